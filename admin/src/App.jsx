@@ -12,6 +12,14 @@ import QueryProvider from './shared/providers/QueryProvider';
 
 // Import only the essential, working pages
 import Login from './pages/Login';
+import TimesheetReview from './pages/TimesheetReview';
+import AcceptInvite from './pages/AcceptInvite';
+import ClientPortalLogin from './pages/ClientPortalLogin';
+import ClientPortalAcceptInvite from './pages/ClientPortalAcceptInvite';
+import ClientPortalShifts from './pages/ClientPortalShifts';
+import ClientPortalTimesheets from './pages/ClientPortalTimesheets';
+import ClientPortalInvoices from './pages/ClientPortalInvoices';
+import { ClientPortalLayout } from './components/client-portal';
 import Dashboard from './pages/Dashboard';
 import Candidates from './pages/Candidates';
 import CandidateProfile from './pages/CandidateProfile';
@@ -22,9 +30,12 @@ import ClientDetail from './pages/ClientDetail';
 import Settings from './pages/Settings';
 import FinancialDashboard from './pages/FinancialDashboard';
 import Deployments from './pages/Deployments';
+import Rosters from './pages/Rosters';
 import Payments from './pages/Payments';
 import Chat from './pages/Chat';
 import EscalationQueue from './pages/EscalationQueue';
+import Gamification from './pages/Gamification';
+import RewardFulfilment from './pages/RewardFulfilment';
 
 // Import new working pages
 import Alerts from './pages/Alerts';
@@ -51,6 +62,57 @@ function AppRoutes() {
         }
       />
 
+      <Route
+        path="timesheet-review/:token"
+        element={
+          <ErrorBoundary level="page">
+            <TimesheetReview />
+          </ErrorBoundary>
+        }
+      />
+
+      <Route
+        path="accept-invite"
+        element={
+          <ErrorBoundary level="page">
+            <AcceptInvite />
+          </ErrorBoundary>
+        }
+      />
+
+      {/* Client portal: client contacts sign in separately from admins */}
+      <Route
+        path="client/login"
+        element={
+          <ErrorBoundary level="page">
+            <ClientPortalLogin />
+          </ErrorBoundary>
+        }
+      />
+
+      <Route
+        path="client/accept-invite"
+        element={
+          <ErrorBoundary level="page">
+            <ClientPortalAcceptInvite />
+          </ErrorBoundary>
+        }
+      />
+
+      <Route
+        path="client"
+        element={
+          <ErrorBoundary level="page">
+            <ClientPortalLayout />
+          </ErrorBoundary>
+        }
+      >
+        <Route index element={<Navigate to="shifts" replace />} />
+        <Route path="shifts" element={<ClientPortalShifts />} />
+        <Route path="timesheets" element={<ClientPortalTimesheets />} />
+        <Route path="invoices" element={<ClientPortalInvoices />} />
+      </Route>
+
       {/* Protected routes */}
       <Route
         path="/"
@@ -113,6 +175,14 @@ function AppRoutes() {
             </ErrorBoundary>
           }
         />
+        <Route
+          path="rosters"
+          element={
+            <ErrorBoundary level="page">
+              <Rosters />
+            </ErrorBoundary>
+          }
+        />
         <Route
           path="payments"
           element={
@@ -133,6 +203,24 @@ function AppRoutes() {
         <Route path="chat" element={<Chat />} />
         <Route path="escalation-queue" element={<EscalationQueue />} />
 
+        {/* Worker engagement */}
+        <Route
+          path="gamification"
+          element={
+            <ErrorBoundary level="page">
+              <Gamification />
+            </ErrorBoundary>
+          }
+        />
+        <Route
+          path="reward-fulfilment"
+          element={
+            <ErrorBoundary level="page">
+              <RewardFulfilment />
+            </ErrorBoundary>
+          }
+        />
+
         {/* Alerts System */}
         <Route
           path="alert-settings"
@@ -214,7 +302,6 @@ function AppRoutes() {
         <Route path="bpo" element={<Navigate to="tender-pipeline" replace />} />
         <Route path="renewal-pipeline" element={<Navigate to="gebiz-intelligence" replace />} />
         <Route path="retention-analytics" element={<Navigate to="financials" replace />} />
-        <Route path="gamification" element={<Navigate to="deployments" replace />} />
         <Route path="training" element={<Navigate to="deployments" replace />} />
         <Route path="ai-sourcing" element={<Navigate to="candidates" replace />} />
         <Route path="consultant-performance" element={<Navigate to="deployments" replace />} />
@@ -0,0 +1,444 @@
+/**
+ * Alert Rule Builder
+ * Builds expression alert rules from conditions over tenders, renewals or
+ * per-client operations metrics, with one level of nested groups, and tests
+ * them against the last 30 days before saving.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { PlusIcon, TrashIcon, PlayIcon, SaveIcon, FilterIcon } from 'lucide-react';
+import Card, { CardHeader, CardTitle, CardContent } from '../ui/Card';
+import Badge from '../ui/Badge';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Toggle from '../ui/Toggle';
+import { useToast } from '../ui/Toast';
+import alertService from '../../shared/services/api/alert.service';
+
+const COMBINATOR_OPTIONS = [
+  { value: 'all', label: 'All of' },
+  { value: 'any', label: 'Any of' }
+];
+
+const PRIORITY_OPTIONS = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+  { value: 'critical', label: 'Critical' }
+];
+
+const DEDUP_OPTIONS = [
+  { value: 60, label: 'Once an hour' },
+  { value: 360, label: 'Every 6 hours' },
+  { value: 1440, label: 'Once a day' },
+  { value: 10080, label: 'Once a week' }
+];
+
+const CHANNELS = [
+  { value: 'in_app', label: 'In-app' },
+  { value: 'email', label: 'Email' },
+  { value: 'slack', label: 'Slack' },
+  { value: 'sms', label: 'SMS' }
+];
+
+const splitList = (text) => text.split(',').map(v => v.trim()).filter(Boolean);
+
+const emptyCondition = (field) => ({
+  type: 'condition',
+  field: field?.key || '',
+  op: field?.operators[0]?.value || '',
+  value: ''
+});
+
+// Builder state → expression tree (the server validates and normalises it)
+function toExpression(group) {
+  return {
+    [group.combinator]: group.items.map(item => (item.type === 'group'
+      ? toExpression(item)
+      : { field: item.field, op: item.op, value: ['in', 'not_in'].includes(item.op) ? splitList(item.value) : item.value }))
+  };
+}
+
+function ConditionRow({ condition, fields, onChange, onRemove }) {
+  const field = fields.find(f => f.key === condition.field) || fields[0];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_1fr_auto] gap-2 items-end">
+      <Select
+        options={fields.map(f => ({ value: f.key, label: f.label }))}
+        value={condition.field}
+        onChange={(key) => onChange(emptyCondition(fields.find(f => f.key === key)))}
+      />
+      <Select
+        options={field?.operators || []}
+        value={condition.op}
+        onChange={(op) => onChange({ ...condition, op })}
+      />
+      <Input
+        placeholder={
+          ['in', 'not_in'].includes(condition.op) ? (field?.options ? field.options.slice(0, 2).join(', ') : 'MOH, MOE')
+            : condition.op === 'within' ? 'days'
+              : field?.type === 'number' ? 'e.g. 500k' : 'value'
+        }
+        value={condition.value}
+        onChange={(e) => onChange({ ...condition, value: e.target.value })}
+      />
+      <Button variant="ghost" size="sm" icon={TrashIcon} onClick={onRemove} aria-label="Remove condition" />
+    </div>
+  );
+}
+
+function ConditionGroup({ group, fields, nested, onChange, onRemove }) {
+  const update = (index, item) => onChange({ ...group, items: group.items.map((it, i) => (i === index ? item : it)) });
+  const remove = (index) => onChange({ ...group, items: group.items.filter((_, i) => i !== index) });
+  const add = (item) => onChange({ ...group, items: [...group.items, item] });
+
+  return (
+    <div className={nested ? 'pl-4 border-l-2 border-primary-200 dark:border-primary-800 space-y-3' : 'space-y-3'}>
+      <div className="flex items-center gap-2">
+        <Select
+          options={COMBINATOR_OPTIONS}
+          value={group.combinator}
+          onChange={(combinator) => onChange({ ...group, combinator })}
+          containerClassName="w-32"
+        />
+        <span className="text-sm text-slate-500 dark:text-slate-400">these conditions</span>
+        {nested && (
+          <Button variant="ghost" size="sm" icon={TrashIcon} onClick={onRemove} aria-label="Remove group" />
+        )}
+      </div>
+
+      {group.items.map((item, index) => (item.type === 'group'
+        ? (
+          <ConditionGroup
+            key={index}
+            group={item}
+            fields={fields}
+            nested
+            onChange={(next) => update(index, next)}
+            onRemove={() => remove(index)}
+          />
+        )
+        : (
+          <ConditionRow
+            key={index}
+            condition={item}
+            fields={fields}
+            onChange={(next) => update(index, next)}
+            onRemove={() => remove(index)}
+          />
+        )))}
+
+      <div className="flex gap-2">
+        <Button variant="secondary" size="sm" icon={PlusIcon} onClick={() => add(emptyCondition(fields[0]))}>
+          Condition
+        </Button>
+        {!nested && (
+          <Button
+            variant="secondary"
+            size="sm"
+            icon={PlusIcon}
+            onClick={() => add({ type: 'group', combinator: 'any', items: [emptyCondition(fields[0])] })}
+          >
+            Group
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function PreviewResult({ preview }) {
+  const max = Math.max(1, ...preview.per_day.map(d => d.count));
+
+  return (
+    <div className="space-y-4 p-4 bg-slate-50 dark:bg-slate-800/50 rounded-lg">
+      <p className="text-xs font-mono text-slate-500 dark:text-slate-400">{preview.expression_text}</p>
+      <div className="grid grid-cols-3 gap-4 text-center">
+        <div>
+          <div className="text-2xl font-bold text-slate-900 dark:text-white">{preview.total_alerts}</div>
+          <div className="text-xs text-slate-500">alerts in {preview.days} days</div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-slate-900 dark:text-white">{preview.distinct_subjects}</div>
+          <div className="text-xs text-slate-500">distinct matches</div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-slate-900 dark:text-white">{preview.matching_now}</div>
+          <div className="text-xs text-slate-500">matching now</div>
+        </div>
+      </div>
+
+      {preview.per_day.length > 0 && (
+        <div className="flex items-end gap-0.5 h-16" title="Alerts per day">
+          {preview.per_day.map(day => (
+            <div
+              key={day.date}
+              className="flex-1 bg-primary-400 dark:bg-primary-600 rounded-t"
+              style={{ height: `${(day.count / max) * 100}%` }}
+              title={`${day.date}: ${day.count}`}
+            />
+          ))}
+        </div>
+      )}
+
+      {preview.sample.length > 0 && (
+        <ul className="divide-y divide-slate-200 dark:divide-slate-700 text-sm">
+          {preview.sample.map(alert => (
+            <li key={`${alert.subject_key}-${alert.triggered_at}`} className="py-2">
+              <div className="font-medium text-slate-800 dark:text-slate-200">{alert.title}</div>
+              <div className="text-slate-500 dark:text-slate-400">
+                {alert.message} · {new Date(alert.triggered_at).toLocaleString('en-SG', { timeZone: 'Asia/Singapore' })}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function AlertRuleBuilder({ userId }) {
+  const toast = useToast();
+  const [subjects, setSubjects] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const fields = useMemo(() => (subjects && draft ? subjects[draft.subject].fields : []), [subjects, draft]);
+
+  const newDraft = (catalogue, subject = 'tender') => ({
+    rule_name: '',
+    subject,
+    priority: 'medium',
+    window_days: 7,
+    dedup_minutes: 1440,
+    notification_channels: ['in_app', 'email'],
+    users: userId || '',
+    emails: '',
+    group: { combinator: 'all', items: [emptyCondition(catalogue[subject].fields[0])] }
+  });
+
+  const fetchRules = async () => {
+    try {
+      const res = await alertService.getAlertRules({ active_only: 'false' });
+      if (res.success) setRules(res.data.filter(rule => rule.rule_type === 'expression'));
+    } catch (error) {
+      console.error('Failed to fetch alert rules:', error);
+    }
+  };
+
+  useEffect(() => {
+    alertService.getRuleFields()
+      .then(res => {
+        if (res.success) {
+          setSubjects(res.data);
+          setDraft(newDraft(res.data));
+        }
+      })
+      .catch(error => console.error('Failed to fetch rule fields:', error));
+    fetchRules();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const update = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setPreview(null);
+  };
+
+  const payload = () => ({
+    subject: draft.subject,
+    expression: toExpression(draft.group),
+    window_days: Number(draft.window_days),
+    dedup_minutes: Number(draft.dedup_minutes)
+  });
+
+  const runPreview = async () => {
+    setBusy('preview');
+    try {
+      const res = await alertService.previewAlertRule(payload());
+      if (res.success) setPreview(res.data);
+    } catch (error) {
+      toast.error('Preview Failed', error.data?.error || error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const save = async () => {
+    if (!draft.rule_name.trim()) {
+      toast.error('Name Required', 'Give the rule a name before saving');
+      return;
+    }
+    setBusy('save');
+    try {
+      const res = await alertService.createAlertRule({
+        ...payload(),
+        rule_name: draft.rule_name.trim(),
+        rule_type: 'expression',
+        priority: draft.priority,
+        notification_channels: draft.notification_channels,
+        recipients: { users: splitList(draft.users), emails: splitList(draft.emails) },
+        created_by: userId
+      });
+      if (res.success) {
+        toast.success('Rule Saved', `${draft.rule_name.trim()} is now active`);
+        setDraft(newDraft(subjects, draft.subject));
+        setPreview(null);
+        fetchRules();
+      }
+    } catch (error) {
+      toast.error('Save Failed', error.data?.error || error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      await alertService.updateAlertRule(rule.id, { active: !rule.active });
+      fetchRules();
+    } catch (error) {
+      toast.error('Update Failed', error.data?.error || error.message);
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    try {
+      await alertService.deleteAlertRule(rule.id);
+      fetchRules();
+    } catch (error) {
+      toast.error('Delete Failed', error.data?.error || error.message);
+    }
+  };
+
+  if (!subjects || !draft) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FilterIcon className="h-5 w-5" />
+          Alert Rules
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {rules.length > 0 && (
+          <div className="divide-y divide-slate-100 dark:divide-slate-800">
+            {rules.map(rule => (
+              <div key={rule.id} className="flex items-start justify-between gap-4 py-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-slate-900 dark:text-white">{rule.rule_name}</span>
+                    <Badge variant="neutral">{subjects[rule.subject]?.label || rule.subject}</Badge>
+                    <Badge variant={rule.priority === 'critical' ? 'error' : rule.priority === 'high' ? 'warning' : 'info'}>
+                      {rule.priority}
+                    </Badge>
+                  </div>
+                  <p className="text-xs font-mono text-slate-500 dark:text-slate-400 mt-1 break-words">{rule.expression_text}</p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <Toggle size="sm" checked={!!rule.active} onChange={() => toggleRule(rule)} aria-label="Active" />
+                  <Button variant="ghost" size="sm" icon={TrashIcon} onClick={() => deleteRule(rule)} aria-label="Delete rule" />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-4 pt-4 border-t border-slate-200 dark:border-slate-700">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Input
+              label="Rule Name"
+              placeholder="Large MOH/MOE tenders closing soon"
+              value={draft.rule_name}
+              onChange={(e) => update({ rule_name: e.target.value })}
+            />
+            <Select
+              label="Watch"
+              options={Object.entries(subjects).map(([value, subject]) => ({ value, label: subject.label }))}
+              value={draft.subject}
+              onChange={(subject) => update({
+                subject,
+                group: { combinator: 'all', items: [emptyCondition(subjects[subject].fields[0])] }
+              })}
+            />
+            <Select
+              label="Priority"
+              options={PRIORITY_OPTIONS}
+              value={draft.priority}
+              onChange={(priority) => update({ priority })}
+            />
+          </div>
+
+          <ConditionGroup group={draft.group} fields={fields} onChange={(group) => update({ group })} />
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {draft.subject === 'operations' && (
+              <Input
+                type="number"
+                label="Metric Window (days)"
+                min={1}
+                max={90}
+                value={draft.window_days}
+                onChange={(e) => update({ window_days: e.target.value })}
+                hint="Rates are compared with the window before"
+              />
+            )}
+            <Select
+              label="Repeat For Same Match"
+              options={DEDUP_OPTIONS}
+              value={Number(draft.dedup_minutes)}
+              onChange={(dedup_minutes) => update({ dedup_minutes })}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Notify Users"
+              placeholder="admin, bd_manager"
+              value={draft.users}
+              onChange={(e) => update({ users: e.target.value })}
+              hint="Their channels, quiet hours and do not disturb apply"
+            />
+            <Input
+              label="Also Email"
+              placeholder="bids@company.com"
+              value={draft.emails}
+              onChange={(e) => update({ emails: e.target.value })}
+            />
+          </div>
+
+          <div className="flex flex-wrap gap-4">
+            {CHANNELS.map(channel => (
+              <Toggle
+                key={channel.value}
+                size="sm"
+                label={channel.label}
+                checked={draft.notification_channels.includes(channel.value)}
+                onChange={(e) => update({
+                  notification_channels: e.target.checked
+                    ? [...draft.notification_channels, channel.value]
+                    : draft.notification_channels.filter(c => c !== channel.value)
+                })}
+              />
+            ))}
+          </div>
+
+          {preview && <PreviewResult preview={preview} />}
+
+          <div className="flex justify-end gap-3">
+            <Button variant="secondary" icon={PlayIcon} onClick={runPreview} loading={busy === 'preview'}>
+              Test Against Last 30 Days
+            </Button>
+            <Button icon={SaveIcon} onClick={save} loading={busy === 'save'}>
+              Save Rule
+            </Button>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -4,4 +4,5 @@
  */
 
 export { default as AlertCard } from './AlertCard';
-export { default as AlertDropdown } from './AlertDropdown';
\ No newline at end of file
+export { default as AlertDropdown } from './AlertDropdown';
+export { default as AlertRuleBuilder } from './AlertRuleBuilder';
\ No newline at end of file
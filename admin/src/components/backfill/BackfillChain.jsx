@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FastForwardIcon, StopCircleIcon, UserCheckIcon, UserXIcon } from 'lucide-react';
+import { api } from '../../shared/services/api';
+import { StatusBadge } from '../ui/Badge';
+import Button from '../ui/Button';
+import { useToast } from '../ui/Toast';
+
+const reasonLabels = {
+  cancelled: 'Cancelled',
+  no_show: 'No show',
+};
+
+const availabilityLabels = {
+  available: 'Available',
+  partial: 'Part of shift',
+  mode_match: 'Usually free',
+  mode_mismatch: 'Usually busy',
+  unknown: 'Unknown',
+};
+
+// SQLite timestamps are UTC without a zone marker
+const formatTime = (value) =>
+  value
+    ? new Date(`${value.replace(' ', 'T')}Z`).toLocaleTimeString('en-SG', { hour: '2-digit', minute: '2-digit' })
+    : '-';
+
+function groupByWave(offers) {
+  return offers.reduce((waves, offer) => {
+    (waves[offer.wave] = waves[offer.wave] || []).push(offer);
+    return waves;
+  }, {});
+}
+
+function BackfillRequest({ request, onChange }) {
+  const toast = useToast();
+  const [busy, setBusy] = useState(null);
+  const waves = groupByWave(request.offers);
+
+  const run = async (action) => {
+    setBusy(action);
+    try {
+      const result = action === 'next'
+        ? await api.backfill.advanceWave(request.id)
+        : await api.backfill.cancelRequest(request.id);
+      if (result.success) {
+        toast.success(
+          action === 'next' ? 'Next Wave Sent' : 'Backfill Stopped',
+          action === 'next' ? `${result.data.offers.length} workers offered the shift` : 'No further offers will be sent'
+        );
+        onChange?.();
+      }
+    } catch (error) {
+      toast.error('Backfill Failed', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-xl border border-slate-200 dark:border-slate-700 space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <div className="space-y-1 text-sm">
+          <div className="flex items-center gap-2">
+            <UserXIcon className="h-4 w-4 text-red-500" />
+            <Link to={`/candidates/${request.vacated_candidate_id}`} className="font-medium text-slate-900 dark:text-white hover:text-primary-600">
+              {request.vacated_candidate_name || request.vacated_candidate_id}
+            </Link>
+            <span className="text-slate-500">{reasonLabels[request.reason] || request.reason}</span>
+          </div>
+          {request.filled_by_candidate_id && (
+            <div className="flex items-center gap-2">
+              <UserCheckIcon className="h-4 w-4 text-emerald-500" />
+              <Link to={`/candidates/${request.filled_by_candidate_id}`} className="font-medium text-slate-900 dark:text-white hover:text-primary-600">
+                {request.filled_by_candidate_name || request.filled_by_candidate_id}
+              </Link>
+              <span className="text-slate-500">took the slot</span>
+            </div>
+          )}
+          <p className="text-xs text-slate-500">
+            Wave {request.current_wave} · {request.wave_size} per wave · {request.window_minutes} min window
+          </p>
+        </div>
+        <StatusBadge status={request.status} />
+      </div>
+
+      {Object.entries(waves).map(([wave, offers]) => (
+        <div key={wave}>
+          <p className="text-xs font-medium uppercase tracking-wide text-slate-500 mb-1">Wave {wave}</p>
+          <div className="divide-y divide-slate-100 dark:divide-slate-800">
+            {offers.map(offer => (
+              <div key={offer.id} className="flex items-center justify-between py-1.5 text-sm">
+                <div className="min-w-0">
+                  <span className="text-slate-400 mr-2">#{offer.rank}</span>
+                  <span className="text-slate-900 dark:text-white">{offer.candidate_name || offer.candidate_id}</span>
+                  <p className="text-xs text-slate-500">
+                    Score {offer.match_score} · {availabilityLabels[offer.availability] || offer.availability}
+                    {offer.channels.length > 0 && ` · via ${offer.channels.join(', ')}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  {offer.status === 'offered' && (
+                    <span className="text-xs text-slate-500">until {formatTime(offer.expires_at)}</span>
+                  )}
+                  {offer.responded_at && (
+                    <span className="text-xs text-slate-500">{formatTime(offer.responded_at)}</span>
+                  )}
+                  <StatusBadge status={offer.status} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {request.status === 'offering' && (
+        <div className="flex gap-2">
+          <Button size="sm" variant="secondary" icon={FastForwardIcon} loading={busy === 'next'} onClick={() => run('next')}>
+            Send Next Wave
+          </Button>
+          <Button size="sm" variant="danger" icon={StopCircleIcon} loading={busy === 'cancel'} onClick={() => run('cancel')}>
+            Stop
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Replacement chain for a job: who dropped out, who was offered the slot
+ * in each wave, how they answered and who took it.
+ */
+export default function BackfillChain({ requests, onChange }) {
+  if (!requests?.length) {
+    return <p className="text-slate-500 text-center py-4 text-sm">No dropouts on this job</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {requests.map(request => (
+        <BackfillRequest key={request.id} request={request} onChange={onChange} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,5 @@
+/**
+ * Backfill Components Barrel Export
+ */
+
+export { default as BackfillChain } from './BackfillChain';
@@ -0,0 +1,396 @@
+/**
+ * Bid Pricing Workspace Component
+ * Cost build-up for a tender (headcount by role, shift patterns, pay rates,
+ * CPF/levy, overtime, PH premiums, overheads, margin), market benchmarks and
+ * saved pricing versions
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  CalculatorIcon,
+  PlusIcon,
+  Trash2Icon,
+  SaveIcon,
+  CheckCircleIcon,
+  TrendingUpIcon
+} from 'lucide-react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+const SERVICE_TYPE_OPTIONS = [
+  { value: '', label: 'Any service type' },
+  { value: 'general', label: 'General Manpower' },
+  { value: 'event_support', label: 'Event Support' },
+  { value: 'administrative', label: 'Administrative' },
+  { value: 'data_entry', label: 'Data Entry' }
+];
+
+const RATE_FIELDS = [
+  { key: 'contract_months', label: 'Contract (months)' },
+  { key: 'cpf_rate', label: 'Employer CPF (%)' },
+  { key: 'levy_per_head', label: 'Levy / foreign head ($/mth)' },
+  { key: 'overtime_multiplier', label: 'OT multiplier' },
+  { key: 'public_holidays_per_year', label: 'Public holidays / year' },
+  { key: 'ph_multiplier', label: 'PH pay multiplier' },
+  { key: 'overhead_pct', label: 'Overheads (% of cost)' },
+  { key: 'margin_pct', label: 'Margin (% of bid)' }
+];
+
+const BREAKDOWN_ROWS = [
+  { key: 'basic', label: 'Basic wages' },
+  { key: 'overtime', label: 'Overtime' },
+  { key: 'public_holiday', label: 'Public holiday premium' },
+  { key: 'cpf', label: 'Employer CPF' },
+  { key: 'levy', label: 'Foreign worker levy' },
+  { key: 'overheads', label: 'Overheads' },
+  { key: 'total_cost', label: 'Total cost', strong: true },
+  { key: 'margin', label: 'Margin' },
+  { key: 'bid_value', label: 'Bid value', strong: true }
+];
+
+const POSITION_LABELS = {
+  below_range: 'Below all comparables',
+  below_median: 'Below median',
+  above_median: 'Above median',
+  above_range: 'Above all comparables'
+};
+
+const EMPTY_ROLE = { role: '', headcount: 1, foreign_headcount: 0, hourly_rate: '', hours_per_day: 8, days_per_week: 5 };
+
+const formatMoney = (value) =>
+  value === null || value === undefined
+    ? '-'
+    : `$${Number(value).toLocaleString('en-SG', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+
+function toNumbers(form, roles) {
+  const inputs = {};
+  for (const { key } of RATE_FIELDS) {
+    inputs[key] = form[key] === '' ? undefined : Number(form[key]);
+  }
+  inputs.roles = roles.map(r => ({
+    role: r.role,
+    headcount: Number(r.headcount),
+    foreign_headcount: Number(r.foreign_headcount || 0),
+    hourly_rate: Number(r.hourly_rate),
+    hours_per_day: Number(r.hours_per_day),
+    days_per_week: Number(r.days_per_week)
+  }));
+  return inputs;
+}
+
+function BenchmarkLine({ label, stats, ours, format = formatMoney }) {
+  if (!stats) return null;
+  return (
+    <div className="flex items-center justify-between text-sm py-1">
+      <span className="text-slate-600 dark:text-slate-400">
+        {label} <span className="text-xs">({stats.count})</span>
+      </span>
+      <span className="text-slate-900 dark:text-white">
+        {format(stats.min)} – {format(stats.max)}, median {format(stats.median)}
+        {ours && (
+          <span className={`ml-2 text-xs font-medium ${ours.vs_median_pct > 0 ? 'text-amber-600' : 'text-emerald-600'}`}>
+            {ours.vs_median_pct > 0 ? '+' : ''}{ours.vs_median_pct}% · {POSITION_LABELS[ours.position]}
+          </span>
+        )}
+      </span>
+    </div>
+  );
+}
+
+export default function BidPricingWorkspace({ tenderId, onApplied }) {
+  const toast = useToast();
+  const [workspace, setWorkspace] = useState(null);
+  const [form, setForm] = useState({});
+  const [roles, setRoles] = useState([{ ...EMPTY_ROLE }]);
+  const [serviceType, setServiceType] = useState('');
+  const [versionName, setVersionName] = useState('');
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const loadInputs = useCallback((inputs) => {
+    const next = {};
+    for (const { key } of RATE_FIELDS) next[key] = inputs[key] ?? '';
+    setForm(next);
+    if (inputs.roles?.length) setRoles(inputs.roles.map(r => ({ ...EMPTY_ROLE, ...r })));
+    setServiceType(inputs.service_type || '');
+    setResult(null);
+  }, []);
+
+  // Keyed on tenderId only: toast is recreated on every provider render and
+  // refetching on it would reset the form
+  const fetchWorkspace = useCallback(async () => {
+    try {
+      const res = await api.pricing.getWorkspace(tenderId);
+      if (res.success) {
+        setWorkspace(res.data);
+        return res.data;
+      }
+    } catch (error) {
+      toast.error('Pricing Unavailable', error.message);
+    }
+    return null;
+  }, [tenderId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    fetchWorkspace().then((data) => {
+      if (!data) return;
+      const start = data.selected || data.scenarios[0];
+      loadInputs(start ? start.inputs : data.defaults);
+    });
+  }, [fetchWorkspace, loadInputs]);
+
+  const updateRole = (index, field, value) => {
+    setRoles(prev => prev.map((r, i) => (i === index ? { ...r, [field]: value } : r)));
+    setResult(null);
+  };
+
+  const run = async (action, fn) => {
+    setBusy(action);
+    try {
+      await fn();
+    } catch (error) {
+      toast.error('Pricing Failed', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCalculate = () => run('calculate', async () => {
+    const res = await api.pricing.preview(tenderId, toNumbers(form, roles), serviceType || undefined);
+    if (res.success) setResult(res.data);
+  });
+
+  const handleSave = () => run('save', async () => {
+    const res = await api.pricing.saveScenario(tenderId, {
+      inputs: toNumbers(form, roles),
+      name: versionName || undefined,
+      service_type: serviceType || undefined
+    });
+    if (res.success) {
+      toast.success('Version Saved', `${res.data.name} · ${formatMoney(res.data.total_value)}`);
+      setVersionName('');
+      setResult({ bid: { ...res.data.breakdown, inputs: res.data.inputs }, benchmarks: res.data.breakdown.benchmarks });
+      fetchWorkspace();
+    }
+  });
+
+  const handleApply = (scenario) => run(`apply-${scenario.id}`, async () => {
+    const res = await api.pricing.applyScenario(scenario.id);
+    if (res.success) {
+      toast.success('Bid Updated', `Bid amount set to ${formatMoney(scenario.total_value)}`);
+      fetchWorkspace();
+      onApplied?.(res.data.tender);
+    }
+  });
+
+  const handleDelete = (scenario) => run(`delete-${scenario.id}`, async () => {
+    if (!window.confirm(`Delete ${scenario.name}?`)) return;
+    const res = await api.pricing.deleteScenario(scenario.id);
+    if (res.success) fetchWorkspace();
+  });
+
+  if (!workspace) {
+    return <p className="text-sm text-slate-500 dark:text-slate-400">Loading pricing...</p>;
+  }
+
+  const bid = result?.bid;
+  const benchmarks = result?.benchmarks;
+
+  return (
+    <div className="space-y-5">
+      {/* Roles */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Headcount &amp; Shift Patterns</label>
+          <Button variant="ghost" size="sm" icon={PlusIcon} onClick={() => setRoles(prev => [...prev, { ...EMPTY_ROLE }])}>
+            Add Role
+          </Button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+                <th className="pb-2 pr-2">Role</th>
+                <th className="pb-2 pr-2">Headcount</th>
+                <th className="pb-2 pr-2">Foreign</th>
+                <th className="pb-2 pr-2">Pay $/h</th>
+                <th className="pb-2 pr-2">Hours/day</th>
+                <th className="pb-2 pr-2">Days/week</th>
+                <th className="pb-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {roles.map((role, index) => (
+                <tr key={index}>
+                  <td className="pr-2 pb-2">
+                    <Input value={role.role} onChange={(e) => updateRole(index, 'role', e.target.value)} placeholder="e.g. Event Crew" />
+                  </td>
+                  {['headcount', 'foreign_headcount', 'hourly_rate', 'hours_per_day', 'days_per_week'].map(field => (
+                    <td key={field} className="pr-2 pb-2 w-24">
+                      <Input
+                        type="number"
+                        min="0"
+                        step={field === 'hourly_rate' ? '0.5' : '1'}
+                        value={role[field]}
+                        onChange={(e) => updateRole(index, field, e.target.value)}
+                      />
+                    </td>
+                  ))}
+                  <td className="pb-2">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      icon={Trash2Icon}
+                      disabled={roles.length === 1}
+                      onClick={() => setRoles(prev => prev.filter((_, i) => i !== index))}
+                      aria-label="Remove role"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Rates */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {RATE_FIELDS.map(({ key, label }) => (
+          <Input
+            key={key}
+            type="number"
+            min="0"
+            label={label}
+            value={form[key] ?? ''}
+            onChange={(e) => { setForm(prev => ({ ...prev, [key]: e.target.value })); setResult(null); }}
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <Select
+          label="Benchmark against"
+          value={serviceType}
+          onChange={(value) => { setServiceType(value); setResult(null); }}
+          options={SERVICE_TYPE_OPTIONS}
+          containerClassName="w-56"
+        />
+        <Button variant="primary" icon={CalculatorIcon} loading={busy === 'calculate'} onClick={handleCalculate}>
+          Calculate
+        </Button>
+        <Input
+          value={versionName}
+          onChange={(e) => setVersionName(e.target.value)}
+          placeholder={`Version ${(workspace.scenarios[0]?.version || 0) + 1}`}
+          containerClassName="w-48"
+        />
+        <Button variant="secondary" icon={SaveIcon} loading={busy === 'save'} onClick={handleSave}>
+          Save Version
+        </Button>
+      </div>
+
+      {/* Result */}
+      {bid && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <div className="p-4 rounded-xl border border-slate-200 dark:border-slate-700">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+                  <th className="pb-2" />
+                  <th className="pb-2 text-right">Monthly</th>
+                  <th className="pb-2 text-right">{bid.inputs.contract_months} months</th>
+                </tr>
+              </thead>
+              <tbody>
+                {BREAKDOWN_ROWS.map(({ key, label, strong }) => (
+                  <tr key={key} className={strong ? 'font-semibold text-slate-900 dark:text-white' : 'text-slate-600 dark:text-slate-400'}>
+                    <td className="py-1">{label}</td>
+                    <td className="py-1 text-right">{formatMoney(bid.monthly[key])}</td>
+                    <td className="py-1 text-right">{formatMoney(bid.total[key])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-3 text-xs text-slate-500 dark:text-slate-400">
+              {bid.headcount} heads · {formatMoney(bid.per_head_monthly)}/head/month · ${bid.charge_out_rate}/h charge-out
+            </p>
+          </div>
+
+          <div className="p-4 rounded-xl border border-slate-200 dark:border-slate-700">
+            <div className="flex items-center gap-2 mb-2">
+              <TrendingUpIcon className="h-4 w-4 text-indigo-600" />
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Market Benchmarks</span>
+            </div>
+            {!benchmarks?.available ? (
+              <p className="text-sm text-slate-500 dark:text-slate-400">GeBIZ intelligence data is not available on this deployment.</p>
+            ) : benchmarks.epu.count === 0 && benchmarks.awards.count === 0 ? (
+              <p className="text-sm text-slate-500 dark:text-slate-400">No comparable contracts found.</p>
+            ) : (
+              <div className="divide-y divide-slate-100 dark:divide-slate-800">
+                <BenchmarkLine label="EPU per head / month" stats={benchmarks.epu.per_head_monthly} ours={benchmarks.epu.our_per_head_monthly} />
+                <BenchmarkLine
+                  label="EPU hourly rate"
+                  stats={benchmarks.epu.hourly_rate}
+                  ours={benchmarks.epu.our_charge_out_rate}
+                  format={(v) => `$${v}`}
+                />
+                <BenchmarkLine label="EPU contract value" stats={benchmarks.epu.total_contract_value} ours={benchmarks.epu.our_total} />
+                <BenchmarkLine label="Awards / month" stats={benchmarks.awards.monthly_value} ours={benchmarks.awards.our_monthly} />
+                <BenchmarkLine label="Award value" stats={benchmarks.awards.total_value} ours={benchmarks.awards.our_total} />
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Saved versions */}
+      {workspace.scenarios.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Saved Versions</label>
+          <div className="space-y-2">
+            {workspace.scenarios.map(scenario => (
+              <div
+                key={scenario.id}
+                className="flex items-center justify-between gap-3 p-3 rounded-lg border border-slate-200 dark:border-slate-700 text-sm"
+              >
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-slate-900 dark:text-white">v{scenario.version} · {scenario.name}</span>
+                    {scenario.is_selected && <CheckCircleIcon className="h-4 w-4 text-emerald-500" aria-label="Current bid" />}
+                  </div>
+                  <p className="text-xs text-slate-500 dark:text-slate-400">
+                    {formatMoney(scenario.total_value)} total · {formatMoney(scenario.monthly_value)}/month · {scenario.margin_pct}% margin
+                    {scenario.created_by ? ` · ${scenario.created_by}` : ''}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <Button variant="ghost" size="sm" onClick={() => loadInputs(scenario.inputs)}>
+                    Load
+                  </Button>
+                  {!scenario.is_selected && (
+                    <>
+                      <Button variant="secondary" size="sm" loading={busy === `apply-${scenario.id}`} onClick={() => handleApply(scenario)}>
+                        Use as Bid
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        icon={Trash2Icon}
+                        loading={busy === `delete-${scenario.id}`}
+                        onClick={() => handleDelete(scenario)}
+                        aria-label="Delete version"
+                      />
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,383 @@
+/**
+ * Compliance Matrix Component
+ * Specification uploads for a tender, the requirements extracted from them
+ * and our compliance position on each, with XLSX/DOCX export
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  UploadIcon,
+  DownloadIcon,
+  FileTextIcon,
+  PlusIcon,
+  Trash2Icon,
+  AlertTriangleIcon,
+  CheckCircleIcon
+} from 'lucide-react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+const STATUS_OPTIONS = [
+  { value: 'pending', label: 'Not assessed' },
+  { value: 'complied', label: 'Complied' },
+  { value: 'partial', label: 'Partially complied' },
+  { value: 'not_complied', label: 'Not complied' }
+];
+
+const FILTER_OPTIONS = [{ value: '', label: 'All statuses' }, ...STATUS_OPTIONS];
+
+const STATUS_COLORS = {
+  pending: 'border-l-slate-300 dark:border-l-slate-600',
+  complied: 'border-l-emerald-500',
+  partial: 'border-l-amber-500',
+  not_complied: 'border-l-red-500'
+};
+
+const EXTRACTION_LABELS = {
+  extracted: null,
+  empty: 'No text found',
+  failed: 'Extraction failed',
+  unsupported: 'Unsupported format'
+};
+
+const EMPTY_ITEM = { ref: '', requirement: '', is_mandatory: true };
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function ReadinessBar({ readiness }) {
+  if (!readiness.total) return null;
+  const segments = [
+    { key: 'complied', color: 'bg-emerald-500' },
+    { key: 'partial', color: 'bg-amber-500' },
+    { key: 'not_complied', color: 'bg-red-500' }
+  ];
+
+  return (
+    <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+      <div className="flex items-center justify-between text-sm mb-2">
+        <span className="flex items-center gap-2 font-medium text-slate-900 dark:text-white">
+          {readiness.ready
+            ? <CheckCircleIcon className="h-4 w-4 text-emerald-500" />
+            : <AlertTriangleIcon className="h-4 w-4 text-amber-500" />}
+          {readiness.ready ? 'Ready for approval' : 'Not ready for approval'}
+        </span>
+        <span className="text-slate-500 dark:text-slate-400">
+          {readiness.assessed_pct}% assessed · {readiness.complied}/{readiness.total} complied
+        </span>
+      </div>
+      <div className="flex h-2 rounded-full overflow-hidden bg-slate-200 dark:bg-slate-700">
+        {segments.map(({ key, color }) => (
+          <div key={key} className={color} style={{ width: `${(readiness[key] / readiness.total) * 100}%` }} />
+        ))}
+      </div>
+      {[...readiness.blockers, ...readiness.warnings].length > 0 && (
+        <ul className="mt-2 space-y-0.5 text-xs">
+          {readiness.blockers.map(b => <li key={b} className="text-red-600 dark:text-red-400">{b}</li>)}
+          {readiness.warnings.map(w => <li key={w} className="text-amber-600 dark:text-amber-400">{w}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function ComplianceMatrix({ tenderId }) {
+  const toast = useToast();
+  const fileInput = useRef(null);
+  const [documents, setDocuments] = useState([]);
+  const [matrix, setMatrix] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [drafts, setDrafts] = useState({});
+  const [newItem, setNewItem] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  // Keyed on tenderId and filter only: toast is recreated on every provider
+  // render and refetching on it would drop unsaved responses
+  const fetchData = useCallback(async () => {
+    try {
+      const [docs, compliance] = await Promise.all([
+        api.documents.list(tenderId),
+        api.documents.getMatrix(tenderId, { status: statusFilter })
+      ]);
+      if (docs.success) setDocuments(docs.data);
+      if (compliance.success) setMatrix(compliance.data);
+    } catch (error) {
+      toast.error('Documents Unavailable', error.message);
+    }
+  }, [tenderId, statusFilter]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const run = async (action, fn) => {
+    setBusy(action);
+    try {
+      await fn();
+    } catch (error) {
+      toast.error('Compliance Update Failed', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleUpload = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    run('upload', async () => {
+      const res = await api.documents.upload(tenderId, file);
+      if (!res.success) throw new Error(res.error || 'Upload failed');
+      const { document, requirements_added } = res.data;
+      if (document.extraction_status === 'extracted') {
+        toast.success('Document Uploaded', `${requirements_added} requirement(s) extracted from ${document.original_name}`);
+      } else {
+        toast.warning('Document Stored', document.extraction_error || EXTRACTION_LABELS[document.extraction_status]);
+      }
+      fetchData();
+    });
+  };
+
+  const handleDownload = (document) => run(`download-${document.id}`, async () => {
+    saveBlob(await api.documents.download(document.id), document.original_name);
+  });
+
+  const handleDeleteDocument = (document) => run(`delete-${document.id}`, async () => {
+    if (!window.confirm(`Delete ${document.original_name} and its ${document.requirement_count} requirement(s)?`)) return;
+    const res = await api.documents.remove(document.id);
+    if (res.success) fetchData();
+  });
+
+  const handleExport = (format) => run(`export-${format}`, async () => {
+    const tender = matrix.tender;
+    saveBlob(await api.documents.exportMatrix(tenderId, format), `compliance-matrix-${tender.tender_no || tender.id}.${format}`);
+  });
+
+  const saveItem = (item, changes) => run(`item-${item.id}`, async () => {
+    const res = await api.documents.updateItem(item.id, changes);
+    if (res.success) {
+      setDrafts(prev => {
+        const next = { ...prev };
+        delete next[item.id];
+        return next;
+      });
+      fetchData();
+    }
+  });
+
+  // Text fields save on blur, and only when they changed
+  const draftValue = (item, field) => drafts[item.id]?.[field] ?? item[field] ?? '';
+  const setDraft = (item, field, value) =>
+    setDrafts(prev => ({ ...prev, [item.id]: { ...prev[item.id], [field]: value } }));
+  const commitDraft = (item, field) => {
+    const value = drafts[item.id]?.[field];
+    if (value !== undefined && value !== (item[field] ?? '')) saveItem(item, { [field]: value });
+  };
+
+  const handleDeleteItem = (item) => run(`item-${item.id}`, async () => {
+    if (!window.confirm(`Delete requirement ${item.ref}?`)) return;
+    const res = await api.documents.deleteItem(item.id);
+    if (res.success) fetchData();
+  });
+
+  const handleAddItem = () => run('add', async () => {
+    const res = await api.documents.addItem(tenderId, newItem);
+    if (res.success) {
+      setNewItem(null);
+      fetchData();
+    }
+  });
+
+  if (!matrix) {
+    return <p className="text-sm text-slate-500 dark:text-slate-400">Loading documents...</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Documents */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Specifications</label>
+          <input ref={fileInput} type="file" accept=".pdf,.docx,.txt" className="hidden" onChange={handleUpload} />
+          <Button variant="secondary" size="sm" icon={UploadIcon} loading={busy === 'upload'} onClick={() => fileInput.current?.click()}>
+            Upload PDF / DOCX
+          </Button>
+        </div>
+        {documents.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">No documents uploaded yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {documents.map(doc => (
+              <div key={doc.id} className="flex items-center justify-between gap-3 p-2 rounded-lg border border-slate-200 dark:border-slate-700 text-sm">
+                <div className="flex items-center gap-2 min-w-0">
+                  <FileTextIcon className="h-4 w-4 text-slate-400 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className="truncate font-medium text-slate-900 dark:text-white">{doc.original_name}</p>
+                    <p className="text-xs text-slate-500 dark:text-slate-400">
+                      {formatSize(doc.file_size)} · {doc.requirement_count} requirement(s)
+                      {EXTRACTION_LABELS[doc.extraction_status] && (
+                        <span className="text-amber-600"> · {EXTRACTION_LABELS[doc.extraction_status]}</span>
+                      )}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    icon={DownloadIcon}
+                    loading={busy === `download-${doc.id}`}
+                    onClick={() => handleDownload(doc)}
+                    aria-label="Download document"
+                  />
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    icon={Trash2Icon}
+                    loading={busy === `delete-${doc.id}`}
+                    onClick={() => handleDeleteDocument(doc)}
+                    aria-label="Delete document"
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ReadinessBar readiness={matrix.readiness} />
+
+      {/* Matrix */}
+      <div>
+        <div className="flex flex-wrap items-end justify-between gap-2 mb-2">
+          <Select
+            value={statusFilter}
+            onChange={setStatusFilter}
+            options={FILTER_OPTIONS}
+            containerClassName="w-48"
+          />
+          <div className="flex items-center gap-2">
+            <Button variant="ghost" size="sm" icon={PlusIcon} onClick={() => setNewItem({ ...EMPTY_ITEM })}>
+              Add Requirement
+            </Button>
+            <Button
+              variant="secondary"
+              size="sm"
+              icon={DownloadIcon}
+              disabled={!matrix.readiness.total}
+              loading={busy === 'export-xlsx'}
+              onClick={() => handleExport('xlsx')}
+            >
+              XLSX
+            </Button>
+            <Button
+              variant="secondary"
+              size="sm"
+              icon={DownloadIcon}
+              disabled={!matrix.readiness.total}
+              loading={busy === 'export-docx'}
+              onClick={() => handleExport('docx')}
+            >
+              DOCX
+            </Button>
+          </div>
+        </div>
+
+        {newItem && (
+          <div className="flex flex-wrap items-end gap-2 p-3 mb-2 rounded-lg border border-indigo-200 dark:border-indigo-800">
+            <Input
+              label="Ref"
+              value={newItem.ref}
+              onChange={(e) => setNewItem(prev => ({ ...prev, ref: e.target.value }))}
+              containerClassName="w-20"
+            />
+            <Input
+              label="Requirement"
+              value={newItem.requirement}
+              onChange={(e) => setNewItem(prev => ({ ...prev, requirement: e.target.value }))}
+              containerClassName="flex-1 min-w-[12rem]"
+            />
+            <label className="flex items-center gap-1 pb-2 text-xs text-slate-600 dark:text-slate-400">
+              <input
+                type="checkbox"
+                checked={newItem.is_mandatory}
+                onChange={(e) => setNewItem(prev => ({ ...prev, is_mandatory: e.target.checked }))}
+              />
+              Mandatory
+            </label>
+            <Button variant="primary" size="sm" loading={busy === 'add'} disabled={!newItem.requirement.trim()} onClick={handleAddItem}>
+              Add
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setNewItem(null)}>
+              Cancel
+            </Button>
+          </div>
+        )}
+
+        {matrix.items.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            {statusFilter ? 'No requirements with this status.' : 'Upload a specification to build the compliance matrix.'}
+          </p>
+        ) : (
+          <div className="space-y-2 max-h-[32rem] overflow-y-auto pr-1">
+            {matrix.items.map(item => (
+              <div
+                key={item.id}
+                className={`p-3 rounded-lg border border-slate-200 dark:border-slate-700 border-l-4 ${STATUS_COLORS[item.status]}`}
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <p className="text-sm text-slate-900 dark:text-white">
+                    <span className="font-mono text-xs text-slate-500 dark:text-slate-400 mr-2">{item.ref}</span>
+                    {item.requirement}
+                    {item.is_mandatory && <span className="ml-2 text-xs font-medium text-red-600">Mandatory</span>}
+                  </p>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    icon={Trash2Icon}
+                    disabled={busy === `item-${item.id}`}
+                    onClick={() => handleDeleteItem(item)}
+                    aria-label="Delete requirement"
+                  />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-[12rem_1fr_10rem] gap-2 mt-2">
+                  <Select
+                    value={item.status}
+                    onChange={(value) => saveItem(item, { status: value })}
+                    options={STATUS_OPTIONS}
+                  />
+                  <Input
+                    value={draftValue(item, 'response')}
+                    onChange={(e) => setDraft(item, 'response', e.target.value)}
+                    onBlur={() => commitDraft(item, 'response')}
+                    placeholder={item.status === 'complied' ? 'Response (optional)' : 'Response / deviation'}
+                  />
+                  <Input
+                    value={draftValue(item, 'owner')}
+                    onChange={(e) => setDraft(item, 'owner', e.target.value)}
+                    onBlur={() => commitDraft(item, 'owner')}
+                    placeholder="Owner"
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -23,7 +23,7 @@ import { clsx } from 'clsx';
 import KanbanColumn, { KanbanColumnSkeleton } from './KanbanColumn';
 import TenderCard from './TenderCard';
 import { useKanbanDnd } from '../../hooks/useKanbanDnd';
-import { pipelineService } from '../../shared/services/api';
+import { pipelineService, gatesService } from '../../shared/services/api';
 
 /**
  * Stage configuration for the 8-stage tender lifecycle
@@ -58,6 +58,7 @@ const BD_MANAGERS = [
  * - Multiple sensor support (Mouse, Pointer, Touch, Keyboard)
  * - SortableContext for both stages and individual tender cards
  * - Optimistic updates with rollback on API errors
+ * - Stage gate status on each card (blocked gates are refused by the API)
  * - Live displacement feedback during drag operations
  * - 8-stage tender lifecycle columns with horizontal scrolling
  */
@@ -67,6 +68,7 @@ export default function KanbanBoard({
   refreshKey = 0
 }) {
   const [tenders, setTenders] = useState([]);
+  const [gates, setGates] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isMobile, setIsMobile] = useState(false);
@@ -88,7 +90,13 @@ export default function KanbanBoard({
   } = useKanbanDnd({
     tenders,
     setTenders,
-    onStageChange
+    onStageChange: (tenderId, newStage) => {
+      // The tender now faces a different gate
+      fetchGates();
+      if (onStageChange) {
+        onStageChange(tenderId, newStage);
+      }
+    }
   });
 
   // Configure sensors for drag and drop
@@ -134,6 +142,7 @@ export default function KanbanBoard({
   // Fetch tenders data
   useEffect(() => {
     fetchTenders();
+    fetchGates();
   }, [refreshKey]);
 
   const fetchTenders = async () => {
@@ -156,6 +165,18 @@ export default function KanbanBoard({
     }
   };
 
+  // Stage gate status is optional - the board still works without it
+  const fetchGates = async () => {
+    try {
+      const response = await gatesService.getBoard();
+      if (response.success) {
+        setGates(response.data || {});
+      }
+    } catch (err) {
+      console.error('Error fetching stage gates:', err);
+    }
+  };
+
   // Group tenders by stage and create sortable context items
   const { tendersByStage, allTenderIds, stageIds } = useMemo(() => {
     const grouped = {};
@@ -337,6 +358,7 @@ export default function KanbanBoard({
                   key={stage.id}
                   stage={stage}
                   tenders={tendersByStage[stage.id] || []}
+                  gates={gates}
                   bdManagers={BD_MANAGERS}
                   onAssignBd={handleAssignBd}
                   onViewDetails={handleViewDetails}
@@ -382,6 +404,7 @@ export default function KanbanBoard({
 
               <TenderCard
                 tender={activeTender}
+                gate={gates[activeTender.id]}
                 bdManagers={BD_MANAGERS}
                 isDragging={true}
               />
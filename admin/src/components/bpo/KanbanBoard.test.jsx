@@ -10,13 +10,16 @@ import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { ToastProvider } from '../ui/Toast';
 import KanbanBoard from './KanbanBoard';
-import { pipelineService } from "../../shared/services/api";
+import { pipelineService, gatesService } from "../../shared/services/api";
 
 // Mock the lifecycle service
 jest.mock('../../shared/services/api', () => ({
   pipelineService: {
     getTenders: jest.fn(),
     moveTender: jest.fn()
+  },
+  gatesService: {
+    getBoard: jest.fn()
   }
 }));
 
@@ -79,6 +82,10 @@ describe('KanbanBoard Component', () => {
       success: true,
       data: mockTenders
     });
+    gatesService.getBoard.mockResolvedValue({
+      success: true,
+      data: {}
+    });
   });
 
   describe('Rendering', () => {
@@ -207,6 +214,39 @@ describe('KanbanBoard Component', () => {
       });
     });
 
+    test('shows the stage gate ahead of a tender', async () => {
+      gatesService.getBoard.mockResolvedValue({
+        success: true,
+        data: {
+          3: {
+            stage: 'internal_approval',
+            name: 'Ready for approval',
+            passed: false,
+            blockers: ['No pricing scenario saved'],
+            approvals: null
+          }
+        }
+      });
+
+      renderWithProviders(<KanbanBoard />);
+
+      await waitFor(() => {
+        expect(screen.getByText('GATE BLOCKED')).toBeInTheDocument();
+        expect(screen.getByText(/Ready for approval: No pricing scenario saved/)).toBeInTheDocument();
+      });
+    });
+
+    test('still renders the board when gate status fails to load', async () => {
+      gatesService.getBoard.mockRejectedValue(new Error('Network error'));
+
+      renderWithProviders(<KanbanBoard />);
+
+      await waitFor(() => {
+        expect(screen.getByText('MOM - Payroll Services')).toBeInTheDocument();
+      });
+      expect(screen.queryByText('GATE BLOCKED')).not.toBeInTheDocument();
+    });
+
     test('shows BD manager avatars when assigned', async () => {
       renderWithProviders(<KanbanBoard />);
 
@@ -99,6 +99,7 @@ const STAGE_COLORS = {
 export default function KanbanColumn({
   stage,
   tenders = [],
+  gates = {},
   bdManagers = [],
   onAssignBd,
   onViewDetails,
@@ -206,6 +207,7 @@ export default function KanbanColumn({
                 >
                   <TenderCard
                     tender={tender}
+                    gate={gates[tender.id]}
                     bdManagers={bdManagers}
                     onAssignBd={onAssignBd}
                     onViewDetails={onViewDetails}
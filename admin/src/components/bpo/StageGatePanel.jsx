@@ -0,0 +1,196 @@
+/**
+ * Stage Gate Panel Component
+ * The gate a tender must pass to reach its next stage: rule checks,
+ * approver sign-off and the append-only approval history
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  CheckCircleIcon,
+  XCircleIcon,
+  SendIcon,
+  MessageSquareIcon
+} from 'lucide-react';
+import Button from '../ui/Button';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+const STAGE_LABELS = {
+  new_opportunity: 'New Opportunity',
+  review: 'Review',
+  bidding: 'Bidding',
+  internal_approval: 'Approval',
+  submitted: 'Submitted',
+  awarded: 'Won'
+};
+
+const ACTION_STYLES = {
+  requested: { label: 'Requested', className: 'text-slate-600 dark:text-slate-400' },
+  approved: { label: 'Approved', className: 'text-emerald-600 dark:text-emerald-400' },
+  rejected: { label: 'Rejected', className: 'text-red-600 dark:text-red-400' },
+  comment: { label: 'Comment', className: 'text-indigo-600 dark:text-indigo-400' }
+};
+
+const formatTime = (value) =>
+  new Date(`${value.replace(' ', 'T')}Z`).toLocaleString('en-SG', { dateStyle: 'medium', timeStyle: 'short' });
+
+export default function StageGatePanel({ tenderId, onDecision }) {
+  const toast = useToast();
+  const [data, setData] = useState(null);
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(null);
+
+  // Keyed on tenderId only: toast is recreated on every provider render
+  const fetchGate = useCallback(async () => {
+    try {
+      const res = await api.gates.getTender(tenderId);
+      if (res.success) setData(res.data);
+    } catch (error) {
+      toast.error('Stage Gate Unavailable', error.message);
+    }
+  }, [tenderId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    fetchGate();
+  }, [fetchGate]);
+
+  const run = async (action, fn) => {
+    setBusy(action);
+    try {
+      await fn();
+    } catch (error) {
+      toast.error('Stage Gate', error.data?.error || error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDecision = (action) => run(action, async () => {
+    const res = await api.gates.decide(tenderId, action, comment.trim() || undefined);
+    if (res.success) {
+      setComment('');
+      fetchGate();
+      onDecision?.(res.data.gate);
+    }
+  });
+
+  const handleRequest = () => run('request', async () => {
+    const res = await api.gates.requestApproval(tenderId, comment.trim() || undefined);
+    if (res.success) {
+      toast.success('Approval Requested', `Notified ${res.data.notified.join(', ')}`);
+      setComment('');
+      fetchGate();
+    }
+  });
+
+  if (!data) {
+    return <p className="text-sm text-slate-500 dark:text-slate-400">Loading stage gate...</p>;
+  }
+
+  const gate = data.next_gate;
+  const approvals = gate?.approvals;
+
+  return (
+    <div className="space-y-4">
+      {!gate ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400">No gate before the next stage.</p>
+      ) : (
+        <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-slate-900 dark:text-white">
+              {gate.name} → {STAGE_LABELS[gate.stage] || gate.stage}
+            </span>
+            <span className={`text-xs font-medium ${gate.passed ? 'text-emerald-600' : 'text-amber-600'}`}>
+              {gate.passed ? 'Ready to move' : 'Blocked'}
+            </span>
+          </div>
+          <ul className="space-y-1">
+            {gate.checks.map(check => (
+              <li key={check.key} className="flex items-start gap-2 text-sm">
+                {check.passed
+                  ? <CheckCircleIcon className="h-4 w-4 mt-0.5 text-emerald-500 flex-shrink-0" />
+                  : <XCircleIcon className="h-4 w-4 mt-0.5 text-red-500 flex-shrink-0" />}
+                <span className="text-slate-700 dark:text-slate-300">
+                  {check.label}
+                  <span className="text-slate-500 dark:text-slate-400"> · {check.detail}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+          {approvals && (
+            <p className="mt-2 text-xs text-slate-500 dark:text-slate-400">
+              {approvals.approvers.length > 0 ? `Approvers: ${approvals.approvers.join(', ')}` : 'Any admin can approve'}
+              {approvals.approved_by.length > 0 && ` · Approved by ${approvals.approved_by.join(', ')}`}
+              {approvals.awaiting.length > 0 && ` · Awaiting ${approvals.awaiting.join(', ')}`}
+            </p>
+          )}
+        </div>
+      )}
+
+      {gate && (
+        <div className="space-y-2">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows="2"
+            className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            placeholder={approvals ? 'Comment (required to reject)' : 'Comment'}
+          />
+          <div className="flex flex-wrap items-center gap-2">
+            {approvals && (
+              <>
+                <Button variant="success" size="sm" icon={CheckCircleIcon} loading={busy === 'approved'} onClick={() => handleDecision('approved')}>
+                  Approve
+                </Button>
+                <Button
+                  variant="danger"
+                  size="sm"
+                  icon={XCircleIcon}
+                  loading={busy === 'rejected'}
+                  disabled={!comment.trim()}
+                  onClick={() => handleDecision('rejected')}
+                >
+                  Reject
+                </Button>
+                <Button variant="secondary" size="sm" icon={SendIcon} loading={busy === 'request'} onClick={handleRequest}>
+                  Request Approval
+                </Button>
+              </>
+            )}
+            <Button
+              variant="ghost"
+              size="sm"
+              icon={MessageSquareIcon}
+              loading={busy === 'comment'}
+              disabled={!comment.trim()}
+              onClick={() => handleDecision('comment')}
+            >
+              Comment
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {data.history.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Approval History</label>
+          <ul className="space-y-2 max-h-60 overflow-y-auto">
+            {data.history.map(entry => {
+              const style = ACTION_STYLES[entry.action] || ACTION_STYLES.comment;
+              return (
+                <li key={entry.id} className="text-sm">
+                  <span className={`font-medium ${style.className}`}>{style.label}</span>
+                  <span className="text-slate-700 dark:text-slate-300"> · {entry.actor || 'unknown'}</span>
+                  <span className="text-xs text-slate-500 dark:text-slate-400">
+                    {' '}· {STAGE_LABELS[entry.stage] || entry.stage} gate · {formatTime(entry.created_at)}
+                  </span>
+                  {entry.comment && <p className="text-slate-600 dark:text-slate-400">{entry.comment}</p>}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
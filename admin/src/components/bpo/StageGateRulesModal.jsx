@@ -0,0 +1,167 @@
+/**
+ * Stage Gate Rules Modal Component
+ * Configures the gate a tender must pass to enter each pipeline stage
+ */
+
+import { useState, useEffect } from 'react';
+import { ShieldCheckIcon, SaveIcon } from 'lucide-react';
+import Modal, { ModalFooter } from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+const STAGE_LABELS = {
+  new_opportunity: 'New Opportunity',
+  review: 'Review',
+  bidding: 'Bidding',
+  internal_approval: 'Internal Approval',
+  submitted: 'Submitted',
+  awarded: 'Won'
+};
+
+const toDraft = (rule) => ({
+  ...rule,
+  name: rule.name || '',
+  min_margin_pct: rule.min_margin_pct ?? '',
+  approvers: rule.approvers.join(', ')
+});
+
+export default function StageGateRulesModal({ isOpen, onClose, onSaved }) {
+  const toast = useToast();
+  const [drafts, setDrafts] = useState([]);
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    api.gates.getRules()
+      .then(res => res.success && setDrafts(res.data.map(toDraft)))
+      .catch(error => toast.error('Gate Rules Unavailable', error.message));
+  }, [isOpen]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleChange = (stage, field, value) => {
+    setDrafts(prev => prev.map(d => (d.stage === stage ? { ...d, [field]: value } : d)));
+  };
+
+  const handleSave = async (draft) => {
+    setSaving(draft.stage);
+    try {
+      const res = await api.gates.updateRule(draft.stage, {
+        ...draft,
+        approvers: draft.approvers.split(',').map(a => a.trim()).filter(Boolean)
+      });
+      if (res.success) {
+        setDrafts(prev => prev.map(d => (d.stage === draft.stage ? toDraft(res.data) : d)));
+        toast.success('Gate Saved', `${STAGE_LABELS[draft.stage]} gate updated`);
+        onSaved?.();
+      }
+    } catch (error) {
+      toast.error('Save Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={
+        <div className="flex items-center gap-3">
+          <ShieldCheckIcon className="h-6 w-6 text-indigo-600" />
+          <span>Stage Gate Rules</span>
+        </div>
+      }
+      description="Checks a tender must pass before it can move into each stage. Moves to Lost and moves backwards are never gated."
+      size="xl"
+    >
+      <div className="space-y-4">
+        {drafts.map(draft => (
+          <div key={draft.stage} className="p-4 rounded-lg border border-slate-200 dark:border-slate-700 space-y-3">
+            <div className="flex items-center justify-between">
+              <label className="flex items-center gap-2 text-sm font-medium text-slate-900 dark:text-white">
+                <input
+                  type="checkbox"
+                  checked={draft.is_active}
+                  onChange={(e) => handleChange(draft.stage, 'is_active', e.target.checked)}
+                  className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                Into {STAGE_LABELS[draft.stage] || draft.stage}
+              </label>
+              <Button
+                variant="secondary"
+                size="sm"
+                icon={SaveIcon}
+                loading={saving === draft.stage}
+                onClick={() => handleSave(draft)}
+              >
+                Save
+              </Button>
+            </div>
+
+            {draft.is_active && (
+              <>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <Input
+                    label="Gate Name"
+                    value={draft.name}
+                    onChange={(e) => handleChange(draft.stage, 'name', e.target.value)}
+                    placeholder="e.g., Bid sign-off"
+                  />
+                  <Input
+                    label="Minimum Margin (%)"
+                    type="number"
+                    step="0.1"
+                    value={draft.min_margin_pct}
+                    onChange={(e) => handleChange(draft.stage, 'min_margin_pct', e.target.value)}
+                    placeholder="No threshold"
+                  />
+                  <Input
+                    label="Approvals Required"
+                    type="number"
+                    min="0"
+                    value={draft.required_approvals}
+                    onChange={(e) => handleChange(draft.stage, 'required_approvals', e.target.value)}
+                  />
+                </div>
+                <Input
+                  label="Named Approvers"
+                  value={draft.approvers}
+                  onChange={(e) => handleChange(draft.stage, 'approvers', e.target.value)}
+                  placeholder="Comma-separated emails"
+                  hint="Leave empty to accept approvals from any admin"
+                />
+                <div className="flex flex-wrap gap-6 text-sm text-slate-700 dark:text-slate-300">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={draft.require_pricing_scenario}
+                      onChange={(e) => handleChange(draft.stage, 'require_pricing_scenario', e.target.checked)}
+                      className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                    />
+                    Saved pricing scenario
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={draft.require_compliance}
+                      onChange={(e) => handleChange(draft.stage, 'require_compliance', e.target.checked)}
+                      className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                    />
+                    Compliance matrix complete
+                  </label>
+                </div>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>
+          Close
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
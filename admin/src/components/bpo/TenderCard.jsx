@@ -8,7 +8,9 @@ import {
   UserIcon,
   AlertCircleIcon,
   PercentIcon,
-  CalendarIcon
+  CalendarIcon,
+  LockIcon,
+  UnlockIcon
 } from 'lucide-react';
 import { clsx } from 'clsx';
 import Badge from '../ui/Badge';
@@ -17,11 +19,13 @@ import Button from '../ui/Button';
 /**
  * TenderCard Component
  * Compact draggable tender card for kanban board
- * Shows: Priority badges, tender title, agency, value, deadline, BD assignment
+ * Shows: Priority badges, tender title, agency, value, deadline, BD assignment,
+ * and the stage gate ahead (from /api/v1/bpo/gates/board)
  * Optimized for 320px column width
  */
 export default function TenderCard({
   tender,
+  gate,
   onAssignBd,
   onViewDetails,
   bdManagers = [],
@@ -175,6 +179,24 @@ export default function TenderCard({
             <span>URGENT</span>
           </span>
         )}
+        {gate && (
+          <span
+            className={clsx(
+              'px-2 py-0.5 rounded text-xs font-medium flex items-center space-x-1',
+              gate.passed
+                ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+                : gate.approvals?.rejected
+                  ? 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+                  : 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300'
+            )}
+            title={`${gate.name}: ${gate.passed ? 'ready to move' : gate.blockers.join('; ')}`}
+          >
+            {gate.passed ? <UnlockIcon className="h-3 w-3" /> : <LockIcon className="h-3 w-3" />}
+            <span>
+              {gate.approvals ? `${gate.approvals.received}/${gate.approvals.required} APPROVED` : gate.passed ? 'GATE READY' : 'GATE BLOCKED'}
+            </span>
+          </span>
+        )}
         {tender.renewal_probability && (
           <span className="px-2 py-0.5 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded text-xs font-medium flex items-center space-x-1">
             <PercentIcon className="h-3 w-3" />
@@ -183,6 +205,14 @@ export default function TenderCard({
         )}
       </div>
 
+      {/* Blocked gate */}
+      {gate && !gate.passed && (
+        <p className="mb-2 text-xs text-slate-600 dark:text-slate-400 truncate" title={gate.blockers.join('; ')}>
+          {gate.name}: {gate.blockers[0]}
+          {gate.blockers.length > 1 && ` (+${gate.blockers.length - 1})`}
+        </p>
+      )}
+
       {/* BD Assignment */}
       <div className="flex items-center justify-between pt-2 border-t border-slate-200 dark:border-slate-700">
         {assignedBd ? (
@@ -15,13 +15,21 @@ import {
   SaveIcon,
   XIcon,
   HistoryIcon,
-  ArrowRightIcon
+  ArrowRightIcon,
+  CalculatorIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  ClipboardCheckIcon,
+  ShieldCheckIcon
 } from 'lucide-react';
 import Modal, { ModalFooter } from '../ui/Modal';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
 import Select from '../ui/Select';
 import { useToast } from '../ui/Toast';
+import BidPricingWorkspace from './BidPricingWorkspace';
+import ComplianceMatrix from './ComplianceMatrix';
+import StageGatePanel from './StageGatePanel';
 
 const STAGE_OPTIONS = [
   { value: 'renewal_watch', label: 'Renewal Watch' },
@@ -34,6 +42,15 @@ const STAGE_OPTIONS = [
   { value: 'lost', label: 'Lost' }
 ];
 
+// Stages where the costing workspace is shown (open by default while bidding)
+const PRICING_STAGES = ['bidding', 'internal_approval', 'submitted', 'awarded', 'lost'];
+
+// Stages where specifications and the compliance matrix are shown
+const COMPLIANCE_STAGES = ['review', ...PRICING_STAGES];
+
+// Stages with a gate ahead of them (Won and Lost are terminal)
+const GATED_STAGES = ['renewal_watch', 'new_opportunity', 'review', 'bidding', 'internal_approval', 'submitted'];
+
 const PRIORITY_OPTIONS = [
   { value: 'low', label: 'Low' },
   { value: 'medium', label: 'Medium' },
@@ -65,6 +82,12 @@ export default function TenderDetailModal({
 
   const toast = useToast();
 
+  // Bid pricing workspace, and the bid figures last applied from it
+  const [showPricing, setShowPricing] = useState(false);
+  const [appliedBid, setAppliedBid] = useState(null);
+  const [showCompliance, setShowCompliance] = useState(false);
+  const [showGate, setShowGate] = useState(false);
+
   // Activity timeline
   const [activities, setActivities] = useState([]);
   const [loadingActivities, setLoadingActivities] = useState(false);
@@ -130,6 +153,27 @@ export default function TenderDetailModal({
     }
   }, [isOpen]);
 
+  useEffect(() => {
+    setShowPricing(tender?.stage === 'bidding');
+    setAppliedBid(null);
+    setShowCompliance(false);
+  }, [tender?.id, tender?.stage]);
+
+  const handleBidApplied = (updated) => {
+    const bid = {
+      our_bid_amount: updated.our_bid_amount,
+      estimated_cost: updated.estimated_cost,
+      estimated_margin: updated.estimated_margin
+    };
+    setAppliedBid(bid);
+    setFormData(prev => ({ ...prev, our_bid_amount: updated.our_bid_amount }));
+    if (onUpdate) {
+      onUpdate(tender.id, bid);
+    }
+  };
+
+  const ourBidAmount = appliedBid ? appliedBid.our_bid_amount : tender?.our_bid_amount;
+
   const handleSave = async () => {
     setLoading(true);
     try {
@@ -139,7 +183,11 @@ export default function TenderDetailModal({
         body: JSON.stringify(formData)
       });
       const data = await res.json();
-      if (!data.success) throw new Error(data.error || 'Update failed');
+      if (!data.success) {
+        const error = new Error(data.error || 'Update failed');
+        error.code = data.code;
+        throw error;
+      }
 
       if (onUpdate) {
         onUpdate(tender.id, formData);
@@ -154,7 +202,12 @@ export default function TenderDetailModal({
       setIsEditing(false);
     } catch (error) {
       console.error('Error updating tender:', error);
-      toast.error('Update Failed', 'Unable to save changes');
+      if (error.code === 'GATE_BLOCKED') {
+        setShowGate(true);
+        toast.error('Stage Gate Blocked', error.message);
+      } else {
+        toast.error('Update Failed', 'Unable to save changes');
+      }
     } finally {
       setLoading(false);
     }
@@ -366,7 +419,7 @@ export default function TenderDetailModal({
                 />
               ) : (
                 <p className="font-semibold">
-                  {tender.our_bid_amount ? `$${tender.our_bid_amount.toLocaleString()}` : 'Not set'}
+                  {ourBidAmount ? `$${ourBidAmount.toLocaleString()}` : 'Not set'}
                 </p>
               )}
             </div>
@@ -409,6 +462,54 @@ export default function TenderDetailModal({
           )}
         </div>
 
+        {/* Bid Pricing */}
+        {!isEditing && PRICING_STAGES.includes(tender.stage) && (
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowPricing(prev => !prev)}
+              className="flex items-center gap-2 mb-3 text-sm font-medium text-gray-700 dark:text-gray-300"
+            >
+              <CalculatorIcon className="h-4 w-4 text-slate-500 dark:text-slate-400" />
+              Bid Pricing
+              {showPricing ? <ChevronUpIcon className="h-4 w-4" /> : <ChevronDownIcon className="h-4 w-4" />}
+            </button>
+            {showPricing && <BidPricingWorkspace tenderId={tender.id} onApplied={handleBidApplied} />}
+          </div>
+        )}
+
+        {/* Specifications & Compliance */}
+        {COMPLIANCE_STAGES.includes(tender.stage) && (!isEditing || showCompliance) && (
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowCompliance(prev => !prev)}
+              className="flex items-center gap-2 mb-3 text-sm font-medium text-gray-700 dark:text-gray-300"
+            >
+              <ClipboardCheckIcon className="h-4 w-4 text-slate-500 dark:text-slate-400" />
+              Specifications &amp; Compliance
+              {showCompliance ? <ChevronUpIcon className="h-4 w-4" /> : <ChevronDownIcon className="h-4 w-4" />}
+            </button>
+            {showCompliance && <ComplianceMatrix tenderId={tender.id} />}
+          </div>
+        )}
+
+        {/* Stage Gate & Approvals */}
+        {GATED_STAGES.includes(tender.stage) && (!isEditing || showGate) && (
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowGate(prev => !prev)}
+              className="flex items-center gap-2 mb-3 text-sm font-medium text-gray-700 dark:text-gray-300"
+            >
+              <ShieldCheckIcon className="h-4 w-4 text-slate-500 dark:text-slate-400" />
+              Stage Gate &amp; Approvals
+              {showGate ? <ChevronUpIcon className="h-4 w-4" /> : <ChevronDownIcon className="h-4 w-4" />}
+            </button>
+            {showGate && <StageGatePanel tenderId={tender.id} />}
+          </div>
+        )}
+
         {/* Activity Timeline */}
         {!isEditing && (
           <div>
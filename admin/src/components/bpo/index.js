@@ -9,6 +9,10 @@ export { default as LifecyclePipeline } from './LifecyclePipeline';
 export { default as TenderDetailModal } from './TenderDetailModal';
 export { default as CreateTenderModal } from './CreateTenderModal';
 export { default as RenewalDetailModal } from './RenewalDetailModal';
+export { default as BidPricingWorkspace } from './BidPricingWorkspace';
+export { default as ComplianceMatrix } from './ComplianceMatrix';
+export { default as StageGatePanel } from './StageGatePanel';
+export { default as StageGateRulesModal } from './StageGateRulesModal';
 
 // Kanban Board Components
 export { default as KanbanBoard } from './KanbanBoard';
@@ -0,0 +1,270 @@
+/**
+ * Rating History
+ * A worker's client ratings: the aggregate used for matching and
+ * reliability, the monthly trend, each rating with its feedback, and
+ * moderation of ratings the worker has disputed.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { StarIcon, TrendingUpIcon, TrendingDownIcon, MinusIcon, FlagIcon, CheckCircleIcon, TrashIcon } from 'lucide-react';
+import Card, { CardHeader, CardTitle, CardContent } from '../ui/Card';
+import Modal, { ModalFooter } from '../ui/Modal';
+import Badge from '../ui/Badge';
+import Button from '../ui/Button';
+import { Textarea } from '../ui/Input';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+// 'open' means something different for jobs, so disputes map their own badges
+const DISPUTE_BADGES = {
+  open: { variant: 'warning', label: 'Disputed' },
+  upheld: { variant: 'neutral', label: 'Upheld' },
+  removed: { variant: 'error', label: 'Removed' },
+};
+
+const TRENDS = {
+  improving: { icon: TrendingUpIcon, label: 'Improving', className: 'text-emerald-600' },
+  declining: { icon: TrendingDownIcon, label: 'Declining', className: 'text-red-600' },
+  steady: { icon: MinusIcon, label: 'Steady', className: 'text-slate-500' },
+};
+
+function formatMonth(month) {
+  return new Date(`${month}-01T00:00:00`).toLocaleDateString('en-SG', { month: 'short', year: '2-digit' });
+}
+
+function Stars({ rating }) {
+  return (
+    <span className="inline-flex">
+      {[1, 2, 3, 4, 5].map(n => (
+        <StarIcon
+          key={n}
+          className={n <= rating ? 'h-4 w-4 text-amber-400 fill-amber-400' : 'h-4 w-4 text-slate-300 dark:text-slate-600'}
+        />
+      ))}
+    </span>
+  );
+}
+
+export default function RatingHistory({ candidateId, onChange }) {
+  const toast = useToast();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [resolving, setResolving] = useState(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await api.ratings.getCandidateRatings(candidateId);
+      if (res.success) setData(res.data);
+    } catch (error) {
+      toast.error('Ratings Unavailable', error.data?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [candidateId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openResolve = (dispute, action) => {
+    setNote('');
+    setResolving({ dispute, action });
+  };
+
+  const handleResolve = async (e) => {
+    e.preventDefault();
+    const { dispute, action } = resolving;
+    setSaving(true);
+    try {
+      const res = await api.ratings.resolveDispute(dispute.id, { action, note });
+      if (res.success) {
+        toast.success(action === 'remove' ? 'Rating Removed' : 'Rating Upheld', `${dispute.job_title} · ${dispute.job_date}`);
+        setResolving(null);
+        await load();
+        onChange?.();
+      }
+    } catch (error) {
+      toast.error('Update Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="h-48 rounded-xl bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+  }
+  if (!data) return null;
+
+  const { summary, history, trend, disputes } = data;
+  const openDisputes = disputes.filter(d => d.status === 'open');
+  const trendInfo = TRENDS[summary.trend];
+
+  return (
+    <div className="space-y-6">
+      {openDisputes.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <FlagIcon className="h-5 w-5 text-amber-500" />
+              Disputed Ratings ({openDisputes.length})
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-slate-500 dark:text-slate-400 mb-3">
+              Disputed ratings do not count towards the average until they are resolved.
+            </p>
+            <div className="divide-y divide-slate-100 dark:divide-slate-800">
+              {openDisputes.map(dispute => (
+                <div key={dispute.id} className="py-3 flex flex-wrap items-center gap-4">
+                  <div className="flex-1 min-w-[240px]">
+                    <div className="flex items-center gap-2">
+                      <Stars rating={dispute.rating} />
+                      <span className="text-sm text-slate-500">
+                        {dispute.client_name} · {dispute.job_title} · {dispute.job_date}
+                      </span>
+                    </div>
+                    {dispute.feedback && (
+                      <p className="text-sm text-slate-600 dark:text-slate-300 mt-1">Client: “{dispute.feedback}”</p>
+                    )}
+                    <p className="text-sm text-slate-900 dark:text-white mt-1">Worker: {dispute.reason}</p>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button variant="ghost" size="sm" icon={CheckCircleIcon} onClick={() => openResolve(dispute, 'uphold')}>
+                      Uphold
+                    </Button>
+                    <Button variant="danger" size="sm" icon={TrashIcon} onClick={() => openResolve(dispute, 'remove')}>
+                      Remove
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <StarIcon className="h-5 w-5 text-amber-500" />
+            Client Ratings
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <p className="text-sm text-slate-500">Average</p>
+              <p className="text-2xl font-bold text-slate-900 dark:text-white">
+                {summary.rating_count ? summary.rating.toFixed(2) : '-'}
+              </p>
+              <p className="text-xs text-slate-400">{summary.rating_count} rating{summary.rating_count === 1 ? '' : 's'}</p>
+            </div>
+            <div>
+              <p className="text-sm text-slate-500">Last 5 shifts</p>
+              <p className="text-2xl font-bold text-slate-900 dark:text-white">
+                {summary.recent_rating !== null ? summary.recent_rating.toFixed(2) : '-'}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-slate-500">Trend</p>
+              {trendInfo ? (
+                <p className={`flex items-center gap-1 text-lg font-semibold ${trendInfo.className}`}>
+                  <trendInfo.icon className="h-5 w-5" />
+                  {trendInfo.label}
+                </p>
+              ) : (
+                <p className="text-sm text-slate-400 mt-2">Not enough ratings</p>
+              )}
+            </div>
+          </div>
+
+          {trend.length > 0 && (
+            <div>
+              <p className="text-sm text-slate-500 mb-2">Average by month</p>
+              <div className="flex items-end gap-2 h-32">
+                {trend.slice(-12).map(month => (
+                  <div key={month.month} className="flex-1 flex flex-col items-center gap-1" title={`${month.count} rating${month.count === 1 ? '' : 's'}`}>
+                    <span className="text-xs text-slate-500">{month.average.toFixed(1)}</span>
+                    <div
+                      className="w-full rounded-t bg-amber-400/80"
+                      style={{ height: `${(month.average / 5) * 80}px` }}
+                    />
+                    <span className="text-xs text-slate-400">{formatMonth(month.month)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {history.length > 0 ? (
+            <div className="divide-y divide-slate-100 dark:divide-slate-800">
+              {history.map(entry => (
+                <div key={entry.deployment_id} className="py-3">
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="flex items-center gap-2">
+                      <Stars rating={entry.rating} />
+                      {entry.dispute_status && (
+                        <Badge variant={DISPUTE_BADGES[entry.dispute_status].variant}>
+                          {DISPUTE_BADGES[entry.dispute_status].label}
+                        </Badge>
+                      )}
+                    </div>
+                    <span className="text-xs text-slate-400">{entry.job_date}</span>
+                  </div>
+                  <p className="text-sm text-slate-500 mt-1">{entry.client_name} · {entry.job_title}</p>
+                  {entry.feedback && <p className="text-sm text-slate-700 dark:text-slate-300 mt-1">“{entry.feedback}”</p>}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-slate-500 text-center py-8">No client ratings yet</p>
+          )}
+
+          {disputes.some(d => d.status !== 'open') && (
+            <div>
+              <p className="text-sm text-slate-500 mb-2">Resolved disputes</p>
+              <div className="space-y-2">
+                {disputes.filter(d => d.status !== 'open').map(dispute => (
+                  <div key={dispute.id} className="text-sm text-slate-600 dark:text-slate-300 flex flex-wrap items-center gap-2">
+                    <Badge variant={DISPUTE_BADGES[dispute.status].variant}>{DISPUTE_BADGES[dispute.status].label}</Badge>
+                    <span>{dispute.rating}★ · {dispute.job_title} · {dispute.job_date}</span>
+                    {dispute.resolution_note && <span className="text-slate-400">— {dispute.resolution_note}</span>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Modal
+        isOpen={!!resolving}
+        onClose={() => setResolving(null)}
+        title={resolving?.action === 'remove' ? 'Remove Rating' : 'Uphold Rating'}
+        description={resolving?.action === 'remove'
+          ? 'The rating is cleared from the shift and stops counting towards the average.'
+          : 'The rating stays and counts towards the average again.'}
+      >
+        {resolving && (
+          <form onSubmit={handleResolve} className="space-y-4">
+            <Textarea
+              label={resolving.action === 'remove' ? 'Reason for removing' : 'Note (optional)'}
+              rows={3}
+              value={note}
+              onChange={e => setNote(e.target.value)}
+              required={resolving.action === 'remove'}
+            />
+            <ModalFooter>
+              <Button variant="secondary" type="button" onClick={() => setResolving(null)}>Cancel</Button>
+              <Button type="submit" variant={resolving.action === 'remove' ? 'danger' : 'primary'} loading={saving}>
+                {resolving.action === 'remove' ? 'Remove Rating' : 'Uphold Rating'}
+              </Button>
+            </ModalFooter>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+}
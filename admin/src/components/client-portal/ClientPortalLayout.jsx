@@ -0,0 +1,73 @@
+/**
+ * Client Portal Layout
+ * Header, navigation and sign-out for client contacts. Sends anyone without
+ * a client session to the portal sign-in page.
+ */
+
+import { NavLink, Navigate, Outlet, useLocation, useNavigate } from 'react-router-dom';
+import { CalendarIcon, ClockIcon, FileTextIcon, LogOutIcon } from 'lucide-react';
+import { clsx } from 'clsx';
+import Logo from '../ui/Logo';
+import Button from '../ui/Button';
+import { api } from '../../shared/services/api';
+
+const NAV_ITEMS = [
+  { to: '/client/shifts', label: 'Shifts', icon: CalendarIcon },
+  { to: '/client/timesheets', label: 'Timesheets', icon: ClockIcon },
+  { to: '/client/invoices', label: 'Invoices & Attendance', icon: FileTextIcon },
+];
+
+export default function ClientPortalLayout() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const user = api.clientPortal.getCurrentUser();
+
+  if (!user) {
+    return <Navigate to="/client/login" state={{ from: location }} replace />;
+  }
+
+  const handleSignOut = () => {
+    api.clientPortal.logout();
+    navigate('/client/login', { replace: true });
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 dark:bg-slate-950">
+      <header className="bg-white dark:bg-slate-900 border-b border-slate-200 dark:border-slate-800">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <Logo size="sm" showText={false} />
+            <div>
+              <p className="font-semibold text-slate-900 dark:text-white">{user.client?.company_name}</p>
+              <p className="text-xs text-slate-500 dark:text-slate-400">{user.name} · Client portal</p>
+            </div>
+          </div>
+          <Button variant="ghost" size="sm" icon={LogOutIcon} onClick={handleSignOut}>
+            Sign out
+          </Button>
+        </div>
+        <nav className="max-w-6xl mx-auto px-4 flex gap-1 overflow-x-auto">
+          {NAV_ITEMS.map(({ to, label, icon: Icon }) => (
+            <NavLink
+              key={to}
+              to={to}
+              className={({ isActive }) => clsx(
+                'flex items-center gap-2 px-3 py-2.5 text-sm font-medium border-b-2 whitespace-nowrap',
+                isActive
+                  ? 'border-primary-600 text-primary-600 dark:text-primary-400'
+                  : 'border-transparent text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200'
+              )}
+            >
+              <Icon className="h-4 w-4" />
+              {label}
+            </NavLink>
+          ))}
+        </nav>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-6">
+        <Outlet />
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+/**
+ * Job Requests Panel
+ * Shift requests raised by clients through the portal. Approving sets the
+ * rates and opens the job; rejecting tells the client why.
+ * Renders nothing while the queue is empty.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { InboxIcon, CheckCircleIcon, XCircleIcon } from 'lucide-react';
+import Card, { CardHeader, CardTitle, CardContent } from '../ui/Card';
+import Modal, { ModalFooter } from '../ui/Modal';
+import Button from '../ui/Button';
+import Input, { Textarea } from '../ui/Input';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+// Mirrors DEFAULT_MARKUP in services/client-portal/index.js
+const DEFAULT_MARKUP = 1.3;
+
+export default function JobRequestsPanel({ onReviewed }) {
+  const toast = useToast();
+  const [requests, setRequests] = useState([]);
+  const [reviewing, setReviewing] = useState(null);
+  const [form, setForm] = useState({ pay_rate: '', charge_rate: '', reason: '' });
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await api.jobs.getRequests();
+      if (res.success) setRequests(res.data);
+    } catch (error) {
+      console.error('Failed to fetch job requests:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openReview = (request, action) => {
+    setForm({ pay_rate: '', charge_rate: '', reason: '' });
+    setReviewing({ request, action });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { request, action } = reviewing;
+    setSaving(true);
+    try {
+      const res = await api.jobs.reviewRequest(request.id, action === 'approve'
+        ? { action, pay_rate: parseFloat(form.pay_rate), charge_rate: form.charge_rate ? parseFloat(form.charge_rate) : undefined }
+        : { action, reason: form.reason });
+      if (res.success) {
+        toast.success(action === 'approve' ? 'Request Approved' : 'Request Rejected', `${request.title} · ${request.client_name}`);
+        setReviewing(null);
+        setRequests(prev => prev.filter(r => r.id !== request.id));
+        onReviewed?.();
+      }
+    } catch (error) {
+      toast.error('Review Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (requests.length === 0) return null;
+
+  const chargePreview = form.pay_rate ? (parseFloat(form.pay_rate) * DEFAULT_MARKUP).toFixed(2) : '';
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <InboxIcon className="h-5 w-5" />
+          Client Requests ({requests.length})
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="divide-y divide-slate-100 dark:divide-slate-800">
+          {requests.map(request => (
+            <div key={request.id} className="py-3 flex flex-wrap items-center gap-4">
+              <div className="flex-1 min-w-[240px]">
+                <p className="font-medium text-slate-900 dark:text-white">
+                  {request.title} · {request.total_slots} worker{request.total_slots > 1 ? 's' : ''}
+                </p>
+                <p className="text-sm text-slate-500 dark:text-slate-400">
+                  {request.client_name} · {request.job_date} {request.start_time}–{request.end_time} · {request.location}
+                </p>
+                <p className="text-xs text-slate-400">Requested by {request.requested_by_name} ({request.requested_by_email})</p>
+                {request.request_notes && (
+                  <p className="text-sm text-slate-600 dark:text-slate-300 mt-1">{request.request_notes}</p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <Button variant="ghost" size="sm" icon={XCircleIcon} onClick={() => openReview(request, 'reject')}>
+                  Reject
+                </Button>
+                <Button variant="success" size="sm" icon={CheckCircleIcon} onClick={() => openReview(request, 'approve')}>
+                  Approve
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+
+      <Modal
+        isOpen={!!reviewing}
+        onClose={() => setReviewing(null)}
+        title={reviewing?.action === 'approve' ? 'Approve Shift Request' : 'Reject Shift Request'}
+        description={reviewing ? `${reviewing.request.title} for ${reviewing.request.client_name} on ${reviewing.request.job_date}` : undefined}
+      >
+        {reviewing && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {reviewing.action === 'approve' ? (
+              <div className="grid grid-cols-2 gap-4">
+                <Input
+                  label="Pay rate ($/hr)"
+                  type="number"
+                  step="0.5"
+                  min="0"
+                  value={form.pay_rate}
+                  onChange={e => setForm(prev => ({ ...prev, pay_rate: e.target.value }))}
+                  required
+                />
+                <Input
+                  label="Charge rate ($/hr)"
+                  type="number"
+                  step="0.5"
+                  min="0"
+                  value={form.charge_rate}
+                  placeholder={chargePreview}
+                  hint="Defaults to the standard markup"
+                  onChange={e => setForm(prev => ({ ...prev, charge_rate: e.target.value }))}
+                />
+              </div>
+            ) : (
+              <Textarea
+                label="Reason (sent to the client)"
+                rows={3}
+                value={form.reason}
+                onChange={e => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                required
+              />
+            )}
+            <ModalFooter>
+              <Button variant="secondary" type="button" onClick={() => setReviewing(null)}>Cancel</Button>
+              <Button
+                type="submit"
+                variant={reviewing.action === 'approve' ? 'primary' : 'danger'}
+                loading={saving}
+              >
+                {reviewing.action === 'approve' ? 'Approve and Open' : 'Reject Request'}
+              </Button>
+            </ModalFooter>
+          </form>
+        )}
+      </Modal>
+    </Card>
+  );
+}
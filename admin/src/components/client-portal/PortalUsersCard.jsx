@@ -0,0 +1,209 @@
+/**
+ * Portal Users Card
+ * Admin view of a client's portal accounts: invite a contact, resend a
+ * pending invite or revoke access.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { KeyIcon, UserPlusIcon, MailIcon, UserXIcon, CopyIcon } from 'lucide-react';
+import Card, { CardHeader, CardTitle, CardContent } from '../ui/Card';
+import Modal, { ModalFooter } from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import { StatusBadge } from '../ui/Badge';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+const EMPTY_FORM = { name: '', email: '', phone: '' };
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  return new Date(value).toLocaleDateString('en-SG', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+export default function PortalUsersCard({ clientId }) {
+  const toast = useToast();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [showInvite, setShowInvite] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [invite, setInvite] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await api.clients.getPortalUsers(clientId);
+      if (res.success) setUsers(res.data);
+    } catch (error) {
+      toast.error('Portal Users Unavailable', error.data?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(u => (u.id === updated.id ? updated : u)));
+  };
+
+  const runAction = async (user, action, successTitle) => {
+    setBusyId(user.id);
+    try {
+      const res = await action();
+      if (res.success) {
+        replaceUser(res.data.user || res.data);
+        if (res.data.inviteUrl) setInvite(res.data);
+        toast.success(successTitle, user.name);
+      }
+    } catch (error) {
+      toast.error('Update Failed', error.data?.error || error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeactivate = (user) => {
+    if (!window.confirm(`Revoke portal access for ${user.name}?`)) return;
+    runAction(user, () => api.clients.deactivatePortalUser(clientId, user.id), 'Access Revoked');
+  };
+
+  const closeInvite = () => {
+    setShowInvite(false);
+    setForm(EMPTY_FORM);
+    setInvite(null);
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await api.clients.invitePortalUser(clientId, form);
+      if (res.success) {
+        setInvite(res.data);
+        setUsers(prev => [...prev, res.data.user]);
+      }
+    } catch (error) {
+      toast.error('Invite Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(invite.inviteUrl);
+      toast.success('Copied', 'Invite link copied to clipboard');
+    } catch {
+      toast.error('Copy Failed', 'Select the link and copy it manually');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <KeyIcon className="h-5 w-5" />
+            Client Portal Access
+          </CardTitle>
+          <Button size="sm" icon={UserPlusIcon} onClick={() => setShowInvite(true)}>
+            Invite Contact
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="h-14 rounded-lg bg-slate-100 dark:bg-slate-800 animate-pulse" />
+        ) : users.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            No one from this client can sign in to the portal yet.
+          </p>
+        ) : (
+          <div className="divide-y divide-slate-100 dark:divide-slate-800">
+            {users.map(user => (
+              <div key={user.id} className="py-3 flex flex-wrap items-center gap-4">
+                <div className="flex-1 min-w-[200px]">
+                  <div className="flex items-center gap-2">
+                    <p className="font-medium text-slate-900 dark:text-white">{user.name}</p>
+                    <StatusBadge status={user.status} />
+                  </div>
+                  <p className="text-sm text-slate-500 dark:text-slate-400">
+                    {user.email} · {user.status === 'invited'
+                      ? `Invite expires ${formatDate(user.invite_expires_at)}`
+                      : `Last sign-in ${formatDate(user.last_login_at)}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  {user.status === 'invited' && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      icon={MailIcon}
+                      onClick={() => runAction(user, () => api.clients.resendPortalInvite(clientId, user.id), 'Invite Resent')}
+                      disabled={busyId === user.id}
+                    >
+                      Resend
+                    </Button>
+                  )}
+                  {user.status !== 'deactivated' && (
+                    <Button
+                      variant="danger"
+                      size="sm"
+                      icon={UserXIcon}
+                      onClick={() => handleDeactivate(user)}
+                      disabled={busyId === user.id}
+                    >
+                      Revoke
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <Modal
+        isOpen={showInvite || !!invite}
+        onClose={closeInvite}
+        title="Invite Client Contact"
+        description="They get an email with a link to set their password. The link expires in 7 days."
+      >
+        {invite ? (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-600 dark:text-slate-300">
+              Invite sent to <strong>{invite.user.email}</strong>. If the email does not arrive, share this link with them:
+            </p>
+            <div className="flex items-center gap-2">
+              <input readOnly value={invite.inviteUrl} className="input text-xs font-mono" onFocus={e => e.target.select()} />
+              <Button variant="secondary" size="sm" icon={CopyIcon} onClick={copyLink}>Copy</Button>
+            </div>
+            <ModalFooter>
+              <Button onClick={closeInvite}>Done</Button>
+            </ModalFooter>
+          </div>
+        ) : (
+          <form onSubmit={handleInvite} className="space-y-4">
+            <Input label="Name" value={form.name} onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))} required />
+            <Input
+              label="Email"
+              type="email"
+              value={form.email}
+              onChange={e => setForm(prev => ({ ...prev, email: e.target.value }))}
+              required
+            />
+            <Input label="Phone" value={form.phone} onChange={e => setForm(prev => ({ ...prev, phone: e.target.value }))} />
+            <ModalFooter>
+              <Button variant="secondary" type="button" onClick={closeInvite}>Cancel</Button>
+              <Button type="submit" loading={saving}>Send Invite</Button>
+            </ModalFooter>
+          </form>
+        )}
+      </Modal>
+    </Card>
+  );
+}
@@ -0,0 +1,111 @@
+/**
+ * Request Shift Modal
+ * A client asks for workers; the request waits for WorkLink to set the
+ * rates and open it.
+ */
+
+import { useState } from 'react';
+import { CalendarPlusIcon } from 'lucide-react';
+import Modal, { ModalFooter } from '../ui/Modal';
+import Button from '../ui/Button';
+import Input, { Textarea } from '../ui/Input';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+// Mirrors MAX_SLOTS in services/client-portal/rules.js
+const MAX_SLOTS = 50;
+
+const EMPTY_FORM = {
+  title: '',
+  job_date: '',
+  start_time: '09:00',
+  end_time: '18:00',
+  location: '',
+  total_slots: 1,
+  description: '',
+  request_notes: '',
+};
+
+export default function RequestShiftModal({ isOpen, onClose, onRequested }) {
+  const toast = useToast();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const update = field => e => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleClose = () => {
+    setForm(EMPTY_FORM);
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await api.clientPortal.requestJob({ ...form, total_slots: Number(form.total_slots) });
+      if (res.success) {
+        toast.success('Shift Requested', 'We will confirm it shortly');
+        onRequested?.(res.data);
+        handleClose();
+      }
+    } catch (error) {
+      toast.error('Request Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      size="lg"
+      title={
+        <div className="flex items-center gap-3">
+          <CalendarPlusIcon className="h-6 w-6 text-primary-600" />
+          <span>Request a Shift</span>
+        </div>
+      }
+      description="WorkLink confirms each request before workers are assigned."
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Input label="Role / shift title" value={form.title} onChange={update('title')} placeholder="e.g. Banquet server" required />
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <Input label="Date" type="date" value={form.job_date} onChange={update('job_date')} required />
+          <Input label="Start" type="time" value={form.start_time} onChange={update('start_time')} required />
+          <Input label="End" type="time" value={form.end_time} onChange={update('end_time')} required />
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <Input
+            label="Location"
+            value={form.location}
+            onChange={update('location')}
+            containerClassName="sm:col-span-2"
+            required
+          />
+          <Input
+            label="Workers needed"
+            type="number"
+            min={1}
+            max={MAX_SLOTS}
+            value={form.total_slots}
+            onChange={update('total_slots')}
+            required
+          />
+        </div>
+        <Textarea label="Job description" rows={3} value={form.description} onChange={update('description')} />
+        <Textarea
+          label="Notes for WorkLink"
+          rows={2}
+          value={form.request_notes}
+          onChange={update('request_notes')}
+          hint="Dress code, who to report to, anything else we should know"
+        />
+        <ModalFooter>
+          <Button variant="secondary" type="button" onClick={handleClose}>Cancel</Button>
+          <Button type="submit" loading={saving}>Send Request</Button>
+        </ModalFooter>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,175 @@
+/**
+ * Shift Workers Modal
+ * The workers assigned to one of the client's shifts, with their clock times.
+ * Once the shift is over each worker can be rated once (1-5 stars).
+ */
+
+import { useState, useEffect } from 'react';
+import { StarIcon, UsersIcon } from 'lucide-react';
+import { clsx } from 'clsx';
+import Modal, { ModalFooter } from '../ui/Modal';
+import Button from '../ui/Button';
+import { StatusBadge } from '../ui/Badge';
+import { Textarea } from '../ui/Input';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+// Mirrors UNRATEABLE_STATUSES in services/client-portal/rules.js
+const UNRATEABLE_STATUSES = ['cancelled', 'no_show'];
+
+function formatTime(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleTimeString('en-SG', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Singapore' });
+}
+
+// Mirrors hasShiftEnded() in services/client-portal/rules.js: overnight shifts end the next day
+function hasShiftEnded(job) {
+  if (job.status === 'completed') return true;
+  const end = new Date(`${job.job_date}T${job.end_time}:00+08:00`);
+  if (job.end_time < job.start_time) end.setUTCDate(end.getUTCDate() + 1);
+  return end <= new Date();
+}
+
+function Stars({ value, onChange }) {
+  return (
+    <div className="flex gap-0.5">
+      {[1, 2, 3, 4, 5].map(n => (
+        <button
+          key={n}
+          type="button"
+          disabled={!onChange}
+          onClick={() => onChange?.(n)}
+          aria-label={`${n} star${n > 1 ? 's' : ''}`}
+          className={clsx('p-0.5', onChange && 'hover:scale-110 transition-transform')}
+        >
+          <StarIcon className={clsx('h-5 w-5', n <= value ? 'fill-amber-400 text-amber-400' : 'text-slate-300 dark:text-slate-600')} />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function WorkerRow({ worker, shiftOver, onRated }) {
+  const toast = useToast();
+  const [rating, setRating] = useState(0);
+  const [feedback, setFeedback] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canRate = shiftOver && !worker.rated_at && !UNRATEABLE_STATUSES.includes(worker.status);
+
+  const submit = async () => {
+    setSaving(true);
+    try {
+      const res = await api.clientPortal.rateWorker(worker.deployment_id, { rating, feedback });
+      if (res.success) {
+        toast.success('Rating Saved', `Thanks for rating ${worker.candidate_name}`);
+        onRated({ ...worker, ...res.data });
+      }
+    } catch (error) {
+      toast.error('Rating Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="py-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex-1 min-w-[160px]">
+          <p className="font-medium text-slate-900 dark:text-white">{worker.candidate_name}</p>
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            In {formatTime(worker.clock_in_at)} · Out {formatTime(worker.clock_out_at)}
+            {worker.hours_worked != null && ` · ${worker.hours_worked}h`}
+          </p>
+        </div>
+        <StatusBadge status={worker.status} />
+        {worker.rated_at && <Stars value={worker.rating} />}
+      </div>
+
+      {worker.rated_at && worker.feedback && (
+        <p className="text-sm text-slate-600 dark:text-slate-300 italic">“{worker.feedback}”</p>
+      )}
+
+      {canRate && (
+        <div className="rounded-lg bg-slate-50 dark:bg-slate-800/50 p-3 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-slate-600 dark:text-slate-300">How did they do?</span>
+            <Stars value={rating} onChange={setRating} />
+          </div>
+          {rating > 0 && (
+            <>
+              <Textarea
+                rows={2}
+                maxLength={1000}
+                placeholder="Optional feedback for WorkLink"
+                value={feedback}
+                onChange={e => setFeedback(e.target.value)}
+              />
+              <div className="flex justify-end">
+                <Button size="sm" onClick={submit} loading={saving}>Submit Rating</Button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function ShiftWorkersModal({ jobId, isOpen, onClose }) {
+  const toast = useToast();
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !jobId) return;
+    setLoading(true);
+    api.clientPortal.getJob(jobId)
+      .then(res => setJob(res.data))
+      .catch(error => toast.error('Shift Unavailable', error.data?.error || error.message))
+      .finally(() => setLoading(false));
+  }, [isOpen, jobId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const shiftOver = job ? hasShiftEnded(job) : false;
+
+  const replaceWorker = updated => {
+    setJob(prev => ({
+      ...prev,
+      workers: prev.workers.map(w => (w.deployment_id === updated.deployment_id ? updated : w)),
+    }));
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      size="lg"
+      title={
+        <div className="flex items-center gap-3">
+          <UsersIcon className="h-6 w-6 text-primary-600" />
+          <span>{job?.title || 'Assigned Workers'}</span>
+        </div>
+      }
+      description={job ? `${job.job_date} · ${job.start_time}–${job.end_time} · ${job.location}` : undefined}
+    >
+      {loading || !job ? (
+        <div className="space-y-2">
+          {[...Array(3)].map((_, i) => (
+            <div key={i} className="h-12 rounded-lg bg-slate-100 dark:bg-slate-800 animate-pulse" />
+          ))}
+        </div>
+      ) : job.workers.length === 0 ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400 py-4">No workers have been assigned yet.</p>
+      ) : (
+        <div className="divide-y divide-slate-100 dark:divide-slate-800">
+          {job.workers.map(worker => (
+            <WorkerRow key={worker.deployment_id} worker={worker} shiftOver={shiftOver} onRated={replaceWorker} />
+          ))}
+        </div>
+      )}
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>Close</Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
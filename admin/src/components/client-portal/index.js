@@ -0,0 +1,9 @@
+/**
+ * Client Portal Components Barrel Export
+ */
+
+export { default as ClientPortalLayout } from './ClientPortalLayout';
+export { default as RequestShiftModal } from './RequestShiftModal';
+export { default as ShiftWorkersModal } from './ShiftWorkersModal';
+export { default as PortalUsersCard } from './PortalUsersCard';
+export { default as JobRequestsPanel } from './JobRequestsPanel';
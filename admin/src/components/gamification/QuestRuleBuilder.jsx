@@ -0,0 +1,174 @@
+/**
+ * Quest Rule Builder
+ * Pick the server event a quest listens to, how events add up and any
+ * conditions. Mirrors normalizeRule() in services/quest-engine/rules.js
+ */
+
+import { PlusIcon, XIcon } from 'lucide-react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+
+const MAX_CONDITIONS = 5;
+
+const MEASURE_OPTIONS = [
+  { value: 'count', label: 'Number of times it happens' },
+  { value: 'sum', label: 'Total of a value' },
+  { value: 'max', label: 'Highest value reached' },
+];
+
+const OPERATOR_LABELS = {
+  eq: 'is',
+  neq: 'is not',
+  gt: 'is more than',
+  gte: 'is at least',
+  lt: 'is less than',
+  lte: 'is at most',
+};
+
+export const EMPTY_RULE = { event: '', measure: 'count', field: '', target: 1, where: [] };
+
+/**
+ * One-line summary of a rule, e.g. "Shift completed 3 times (Weekend shift is yes)"
+ */
+export function describeRule(rule, catalog) {
+  if (!rule?.event) return 'No rule - progress is not tracked automatically';
+
+  const event = catalog?.events.find(e => e.id === rule.event);
+  const fieldLabel = name => event?.fields.find(f => f.name === name)?.label || name;
+
+  let text;
+  if (rule.measure === 'sum') text = `${fieldLabel(rule.field)} adds up to ${rule.target} over "${event?.label || rule.event}"`;
+  else if (rule.measure === 'max') text = `${fieldLabel(rule.field)} reaches ${rule.target} on "${event?.label || rule.event}"`;
+  else text = `"${event?.label || rule.event}" ${rule.target} time${Number(rule.target) === 1 ? '' : 's'}`;
+
+  const conditions = (rule.where || []).map(c => {
+    const value = typeof c.value === 'boolean' ? (c.value ? 'yes' : 'no') : c.value;
+    return `${fieldLabel(c.field)} ${OPERATOR_LABELS[c.op] || c.op} ${value}`;
+  });
+  return conditions.length ? `${text} (${conditions.join(', ')})` : text;
+}
+
+export default function QuestRuleBuilder({ rule, catalog, onChange }) {
+  const event = catalog?.events.find(e => e.id === rule.event);
+  const fields = event?.fields || [];
+  const numberFields = fields.filter(f => f.type === 'number');
+
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const updateCondition = (index, changes) => {
+    update({ where: rule.where.map((c, i) => (i === index ? { ...c, ...changes } : c)) });
+  };
+
+  const addCondition = () => {
+    const field = fields[0];
+    update({ where: [...rule.where, { field: field.name, op: 'eq', value: field.type === 'boolean' ? true : 0 }] });
+  };
+
+  if (!catalog) {
+    return <div className="h-24 rounded-lg bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+  }
+
+  return (
+    <div className="space-y-4 p-4 rounded-xl bg-slate-50 dark:bg-slate-800/50 border border-slate-200 dark:border-slate-700">
+      <div className="grid grid-cols-2 gap-4">
+        <Select
+          label="When this happens"
+          value={rule.event}
+          onChange={(value) => update({ event: value, field: '', where: [] })}
+          options={catalog.events.map(e => ({ value: e.id, label: e.label }))}
+          placeholder="Choose an event..."
+        />
+        <Select
+          label="Count"
+          value={rule.measure}
+          onChange={(value) => update({ measure: value, field: value === 'count' ? '' : rule.field })}
+          options={MEASURE_OPTIONS.filter(m => m.value === 'count' || numberFields.length > 0)}
+          disabled={!rule.event}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        {rule.measure !== 'count' && (
+          <Select
+            label="Value"
+            value={rule.field}
+            onChange={(value) => update({ field: value })}
+            options={numberFields.map(f => ({ value: f.name, label: f.label }))}
+          />
+        )}
+        <Input
+          label="Target"
+          type="number"
+          min="1"
+          value={rule.target}
+          onChange={(e) => update({ target: e.target.value })}
+        />
+      </div>
+
+      {rule.where.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-slate-700 dark:text-slate-300">Only when</p>
+          {rule.where.map((condition, index) => {
+            const field = fields.find(f => f.name === condition.field);
+            return (
+              <div key={index} className="flex items-end gap-2">
+                <Select
+                  containerClassName="flex-1"
+                  value={condition.field}
+                  onChange={(value) => {
+                    const next = fields.find(f => f.name === value);
+                    updateCondition(index, { field: value, value: next?.type === 'boolean' ? true : 0 });
+                  }}
+                  options={fields.map(f => ({ value: f.name, label: f.label }))}
+                />
+                <Select
+                  containerClassName="w-36"
+                  value={condition.op}
+                  onChange={(value) => updateCondition(index, { op: value })}
+                  options={(field?.type === 'boolean' ? ['eq', 'neq'] : catalog.operators)
+                    .map(op => ({ value: op, label: OPERATOR_LABELS[op] || op }))}
+                />
+                {field?.type === 'boolean' ? (
+                  <Select
+                    containerClassName="w-24"
+                    value={condition.value}
+                    onChange={(value) => updateCondition(index, { value })}
+                    options={[{ value: true, label: 'Yes' }, { value: false, label: 'No' }]}
+                  />
+                ) : (
+                  <Input
+                    containerClassName="w-24"
+                    type="number"
+                    value={condition.value}
+                    onChange={(e) => updateCondition(index, { value: e.target.value })}
+                  />
+                )}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  icon={XIcon}
+                  onClick={() => update({ where: rule.where.filter((_, i) => i !== index) })}
+                  aria-label="Remove condition"
+                />
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-sm text-slate-500 dark:text-slate-400">{describeRule(rule, catalog)}</p>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon={PlusIcon}
+          onClick={addCondition}
+          disabled={fields.length === 0 || rule.where.length >= MAX_CONDITIONS}
+        >
+          Condition
+        </Button>
+      </div>
+    </div>
+  );
+}
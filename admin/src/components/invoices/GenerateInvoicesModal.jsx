@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { api } from '../../shared/services/api';
+import Modal, { ModalFooter } from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import { useToast } from '../ui/Toast';
+
+// Default to the previous calendar month
+const getLastMonthPeriod = () => {
+  const now = new Date();
+  const start = new Date(Date.UTC(now.getFullYear(), now.getMonth() - 1, 1));
+  const end = new Date(Date.UTC(now.getFullYear(), now.getMonth(), 0));
+  return { period_start: start.toISOString().split('T')[0], period_end: end.toISOString().split('T')[0] };
+};
+
+/**
+ * Generate draft invoices from completed deployments in a billing period.
+ * With `clientId` only that client is invoiced, otherwise every client with billable work.
+ */
+export default function GenerateInvoicesModal({ isOpen, onClose, clientId, onGenerated }) {
+  const toast = useToast();
+  const [period, setPeriod] = useState(getLastMonthPeriod);
+  const [generating, setGenerating] = useState(false);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const result = await api.invoices.generate({ ...period, client_id: clientId });
+      if (result.success) {
+        const count = result.data.length;
+        if (count === 0) {
+          toast.info('Nothing to Invoice', 'No uninvoiced completed deployments in this period');
+        } else {
+          toast.success('Invoices Generated', `${count} draft invoice${count !== 1 ? 's' : ''} created`);
+        }
+        onGenerated?.(result.data);
+        onClose();
+      }
+    } catch (error) {
+      toast.error('Generation Failed', error.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Generate Invoices" size="md">
+      <div className="space-y-4">
+        <p className="text-sm text-slate-500 dark:text-slate-400">
+          Completed deployments in this period that have not been invoiced yet are billed at their charge rate, with GST added.
+          Deployments with a timesheet are included once the timesheet is approved.
+        </p>
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Period Start"
+            type="date"
+            value={period.period_start}
+            onChange={(e) => setPeriod({ ...period, period_start: e.target.value })}
+          />
+          <Input
+            label="Period End"
+            type="date"
+            value={period.period_end}
+            onChange={(e) => setPeriod({ ...period, period_end: e.target.value })}
+          />
+        </div>
+      </div>
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+        <Button onClick={handleGenerate} loading={generating}>Generate Drafts</Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { DownloadIcon, SendIcon, CheckCircleIcon, TrashIcon } from 'lucide-react';
+import { api } from '../../shared/services/api';
+import { StatusBadge } from '../ui/Badge';
+import Button from '../ui/Button';
+import Table from '../ui/Table';
+import { useToast } from '../ui/Toast';
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat('en-SG', { style: 'currency', currency: 'SGD', minimumFractionDigits: 2 }).format(value || 0);
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-SG', { day: 'numeric', month: 'short', year: 'numeric' }) : '-';
+
+/**
+ * Invoice list with PDF download and draft → sent → paid actions.
+ * Calls `onChange` after any status change or deletion so the parent can refresh.
+ */
+export default function InvoiceTable({ invoices, loading, onChange, showClient = false, emptyMessage = 'No invoices yet' }) {
+  const toast = useToast();
+  const [busyId, setBusyId] = useState(null);
+
+  const runAction = async (invoice, action) => {
+    let paymentReference;
+    if (action === 'paid') {
+      paymentReference = window.prompt(`Payment reference for ${invoice.invoice_number} (optional)`);
+      if (paymentReference === null) return;
+    }
+    if (action === 'delete' && !window.confirm(`Delete draft ${invoice.invoice_number}? Its deployments can then be invoiced again.`)) {
+      return;
+    }
+
+    setBusyId(invoice.id);
+    try {
+      const result = action === 'delete'
+        ? await api.invoices.delete(invoice.id)
+        : await api.invoices.updateStatus(invoice.id, action, paymentReference || undefined);
+      if (result.success) {
+        const messages = {
+          sent: ['Invoice Sent', `${invoice.invoice_number} is now awaiting payment`],
+          paid: ['Invoice Paid', `${invoice.invoice_number} has been marked as paid`],
+          delete: ['Invoice Deleted', `${invoice.invoice_number} has been removed`],
+        };
+        toast.success(...messages[action]);
+        onChange?.();
+      }
+    } catch (error) {
+      toast.error('Update Failed', error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDownload = async (invoice) => {
+    try {
+      const blob = await api.invoices.downloadPdf(invoice.id);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${invoice.invoice_number}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Download Failed', error.message);
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Invoice',
+      accessor: 'invoice_number',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-900 dark:text-white">{value}</p>
+          <p className="text-xs text-slate-500">{row.period_start} to {row.period_end}</p>
+        </div>
+      )
+    },
+    ...(showClient ? [{ header: 'Client', accessor: 'client_name' }] : []),
+    { header: 'Issued', accessor: 'issue_date', render: (value) => formatDate(value) },
+    { header: 'Due', accessor: 'due_date', render: (value) => formatDate(value) },
+    {
+      header: 'Total',
+      accessor: 'total',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium">{formatCurrency(value)}</p>
+          <p className="text-xs text-slate-500">incl. GST {formatCurrency(row.gst_amount)}</p>
+        </div>
+      )
+    },
+    { header: 'Status', accessor: 'status', render: (value) => <StatusBadge status={value} /> },
+    {
+      header: '',
+      accessor: 'id',
+      render: (_, row) => (
+        <div className="flex items-center justify-end gap-1">
+          <Button size="sm" variant="ghost" icon={DownloadIcon} onClick={() => handleDownload(row)} title="Download PDF" />
+          {row.status === 'draft' && (
+            <>
+              <Button size="sm" variant="ghost" icon={TrashIcon} disabled={busyId === row.id} onClick={() => runAction(row, 'delete')} title="Delete draft" />
+              <Button size="sm" variant="secondary" icon={SendIcon} loading={busyId === row.id} onClick={() => runAction(row, 'sent')}>
+                Send
+              </Button>
+            </>
+          )}
+          {['sent', 'overdue'].includes(row.status) && (
+            <Button size="sm" variant="success" icon={CheckCircleIcon} loading={busyId === row.id} onClick={() => runAction(row, 'paid')}>
+              Paid
+            </Button>
+          )}
+        </div>
+      )
+    },
+  ];
+
+  return <Table columns={columns} data={invoices} loading={loading} emptyMessage={emptyMessage} />;
+}
@@ -0,0 +1,89 @@
+import { clsx } from 'clsx';
+
+const BUCKET_ORDER = ['current', 'days_1_30', 'days_31_60', 'days_61_90', 'days_90_plus'];
+
+const BUCKET_COLORS = {
+  current: 'bg-emerald-500',
+  days_1_30: 'bg-amber-400',
+  days_31_60: 'bg-orange-500',
+  days_61_90: 'bg-red-500',
+  days_90_plus: 'bg-red-700',
+};
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat('en-SG', { style: 'currency', currency: 'SGD', minimumFractionDigits: 2 }).format(value || 0);
+
+/**
+ * Outstanding receivables split into ageing buckets (by days past due date).
+ * Pass `showClients` to list the per-client breakdown underneath.
+ */
+export default function ReceivablesAgeing({ ageing, loading, showClients = false }) {
+  if (loading) {
+    return <div className="animate-pulse h-24 bg-slate-100 dark:bg-slate-800 rounded-lg" />;
+  }
+
+  if (!ageing || ageing.total_outstanding === 0) {
+    return <p className="text-sm text-slate-500 dark:text-slate-400">No outstanding invoices</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-sm text-slate-500 dark:text-slate-400">Total outstanding</p>
+        <p className="text-2xl font-bold text-slate-900 dark:text-white">{formatCurrency(ageing.total_outstanding)}</p>
+      </div>
+
+      <div className="flex h-3 rounded-full overflow-hidden bg-slate-100 dark:bg-slate-800">
+        {BUCKET_ORDER.map((key) => {
+          const share = (ageing.buckets[key].amount / ageing.total_outstanding) * 100;
+          return share > 0 ? <div key={key} className={BUCKET_COLORS[key]} style={{ width: `${share}%` }} /> : null;
+        })}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+        {BUCKET_ORDER.map((key) => {
+          const bucket = ageing.buckets[key];
+          return (
+            <div key={key} className="p-3 rounded-lg bg-slate-50 dark:bg-slate-800/50">
+              <div className="flex items-center gap-2">
+                <span className={clsx('w-2 h-2 rounded-full', BUCKET_COLORS[key])} />
+                <p className="text-xs text-slate-500 dark:text-slate-400">{bucket.label}</p>
+              </div>
+              <p className="font-semibold text-slate-900 dark:text-white mt-1">{formatCurrency(bucket.amount)}</p>
+              <p className="text-xs text-slate-400">{bucket.count} invoice{bucket.count !== 1 ? 's' : ''}</p>
+            </div>
+          );
+        })}
+      </div>
+
+      {showClients && ageing.clients?.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500 border-b border-slate-200 dark:border-slate-700">
+                <th className="py-2 pr-4">Client</th>
+                {BUCKET_ORDER.map((key) => (
+                  <th key={key} className="py-2 px-2 text-right">{ageing.buckets[key].label}</th>
+                ))}
+                <th className="py-2 pl-2 text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ageing.clients.map((client) => (
+                <tr key={client.client_id} className="border-b border-slate-100 dark:border-slate-800">
+                  <td className="py-2 pr-4 font-medium text-slate-900 dark:text-white">{client.client_name}</td>
+                  {BUCKET_ORDER.map((key) => (
+                    <td key={key} className={clsx('py-2 px-2 text-right', client.buckets[key].amount > 0 && key !== 'current' ? 'text-red-600' : 'text-slate-600 dark:text-slate-400')}>
+                      {client.buckets[key].amount > 0 ? formatCurrency(client.buckets[key].amount) : '-'}
+                    </td>
+                  ))}
+                  <td className="py-2 pl-2 text-right font-semibold text-slate-900 dark:text-white">{formatCurrency(client.total_outstanding)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * Invoice Components Barrel Export
+ */
+
+export { default as InvoiceTable } from './InvoiceTable';
+export { default as ReceivablesAgeing } from './ReceivablesAgeing';
+export { default as GenerateInvoicesModal } from './GenerateInvoicesModal';
@@ -70,6 +70,7 @@ function getPageTitle(pathname) {
     '/': 'Dashboard',
     '/candidates': 'Candidates',
     '/jobs': 'Jobs',
+    '/rosters': 'Rosters',
     '/clients': 'Clients',
     '/bpo': 'BPO Dashboard',
     '/tender-monitor': 'Tender Monitor',
@@ -78,6 +79,7 @@ function getPageTitle(pathname) {
     '/financials': 'Financials',
     '/training': 'Training',
     '/gamification': 'Gamification',
+    '/reward-fulfilment': 'Reward Fulfilment',
   };
 
   return routes[pathname] || 'WorkLink Admin';
@@ -51,6 +51,7 @@ const mobileNavigation = [
       { name: 'Financial Dashboard', href: '/financials' },
       { name: 'Training', href: '/training' },
       { name: 'Gamification', href: '/gamification' },
+      { name: 'Reward Fulfilment', href: '/reward-fulfilment' },
       { name: 'AI Automation', href: '/ai-automation' },
       { name: 'AI Sourcing', href: '/ai-sourcing' },
       { name: 'ML Dashboard', href: '/ml-dashboard' },
@@ -27,6 +27,8 @@ import {
   TrendingUpIcon,
   Zap as ThunderboltIcon,
   DatabaseIcon,
+  GiftIcon,
+  RepeatIcon,
 } from 'lucide-react';
 import { clsx } from 'clsx';
 import Logo, { LogoIcon } from '../ui/Logo';
@@ -91,6 +93,7 @@ const navigation = [
     description: 'Day-to-day work',
     children: [
       { name: 'Deployments', href: '/deployments', icon: CalendarCheckIcon, description: 'Worker assignments' },
+      { name: 'Rosters', href: '/rosters', icon: RepeatIcon, description: 'Recurring shifts' },
       { name: 'Payments', href: '/payments', icon: WalletIcon, description: 'Pay workers' },
     ],
   },
@@ -104,6 +107,7 @@ const navigation = [
       { name: 'Financials', href: '/financials', icon: DollarSignIcon, description: 'Revenue & profit' },
       { name: 'Retention Analytics', href: '/retention-analytics', icon: TrendingUpIcon, highlight: true, description: 'User engagement & churn' },
       { name: 'Gamification', href: '/gamification', icon: TrophyIcon, description: 'Worker engagement' },
+      { name: 'Reward Fulfilment', href: '/reward-fulfilment', icon: GiftIcon, description: 'Redeemed rewards & stock' },
       { name: 'Training', href: '/training', icon: GraduationCapIcon, description: 'Certifications' },
     ],
   },
@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import { Search, RefreshCw, Play, Database } from 'lucide-react';
+import Card from '../ui/Card';
+import Badge from '../ui/Badge';
+import { useToast } from '../ui/Toast';
+import { clsx } from 'clsx';
+
+const MODES = ['hybrid', 'lexical', 'vector'];
+
+const percent = (value) => (value == null ? '-' : `${Math.round(value * 100)}%`);
+
+/**
+ * Knowledge-base retrieval: backend and index state, a test search showing
+ * lexical and vector scores per hit, index rebuild and evaluation runs.
+ */
+export default function RetrievalPanel() {
+  const toast = useToast();
+  const [status, setStatus] = useState(null);
+  const [evaluations, setEvaluations] = useState([]);
+  const [query, setQuery] = useState('');
+  const [mode, setMode] = useState('hybrid');
+  const [hits, setHits] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    fetchStatus();
+    fetchEvaluations();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const res = await fetch('/api/v1/ml/retrieval/status');
+      const data = await res.json();
+      if (data.success) setStatus(data.data);
+    } catch (error) {
+      console.error('Failed to fetch retrieval status:', error);
+    }
+  };
+
+  const fetchEvaluations = async () => {
+    try {
+      const res = await fetch('/api/v1/ml/retrieval/evaluations');
+      const data = await res.json();
+      if (data.success) setEvaluations(data.data);
+    } catch (error) {
+      console.error('Failed to fetch retrieval evaluations:', error);
+    }
+  };
+
+  const post = async (path, body = {}) => {
+    const res = await fetch(`/api/v1/ml/retrieval/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    return data.data;
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setBusy('search');
+    try {
+      setHits(await post('search', { query, mode, k: 5 }));
+    } catch (error) {
+      toast.error('Search Failed', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRebuild = async () => {
+    setBusy('rebuild');
+    try {
+      const { sync, status: next } = await post('rebuild');
+      setStatus(next);
+      toast.success('Index Rebuilt', `${sync?.added ?? 0} entries embedded`);
+    } catch (error) {
+      toast.error('Rebuild Failed', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleEvaluate = async () => {
+    setBusy('evaluate');
+    try {
+      const report = await post('evaluate', { k: 5 });
+      const hybrid = report.modes.hybrid;
+      toast.success('Evaluation Complete', `${hybrid.queries} queries - recall@${report.k} ${percent(hybrid.recall_at_k)}, MRR ${hybrid.mrr.toFixed(2)}`);
+      fetchEvaluations();
+    } catch (error) {
+      toast.error('Evaluation Failed', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-900 dark:text-white">
+            Retrieval Index
+          </h3>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleRebuild}
+              disabled={!!busy}
+              className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-slate-100 dark:bg-slate-700 text-sm text-slate-700 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-600 disabled:opacity-50 transition-colors"
+            >
+              <RefreshCw className={clsx('h-4 w-4', busy === 'rebuild' && 'animate-spin')} />
+              Rebuild
+            </button>
+            <button
+              onClick={handleEvaluate}
+              disabled={!!busy}
+              className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-primary-500 text-sm text-white hover:bg-primary-600 disabled:opacity-50 transition-colors"
+            >
+              <Play className="h-4 w-4" />
+              Run Evaluation
+            </button>
+          </div>
+        </div>
+
+        {status ? (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <p className="text-slate-500 dark:text-slate-400">Backend</p>
+              <p className="font-medium text-slate-900 dark:text-white">{status.backend.name} ({status.backend.model})</p>
+            </div>
+            <div>
+              <p className="text-slate-500 dark:text-slate-400">Documents</p>
+              <p className="font-medium text-slate-900 dark:text-white">{status.documents}</p>
+            </div>
+            <div>
+              <p className="text-slate-500 dark:text-slate-400">Indexed</p>
+              <p className="font-medium text-slate-900 dark:text-white">{status.indexed}</p>
+            </div>
+            <div>
+              <p className="text-slate-500 dark:text-slate-400">Vector Weight</p>
+              <p className="font-medium text-slate-900 dark:text-white">{status.vector_weight}</p>
+            </div>
+            {status.last_error && (
+              <p className="col-span-full text-red-600 dark:text-red-400">{status.last_error}</p>
+            )}
+          </div>
+        ) : (
+          <p className="text-sm text-slate-400">Loading index status...</p>
+        )}
+      </Card>
+
+      <Card>
+        <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4">
+          Test Search
+        </h3>
+        <form onSubmit={handleSearch} className="flex items-center gap-2 mb-4">
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="e.g. when my gaji come in ah"
+            className="flex-1 px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-sm text-slate-900 dark:text-white"
+          />
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-sm text-slate-900 dark:text-white"
+          >
+            {MODES.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <button
+            type="submit"
+            disabled={busy === 'search'}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-primary-500 text-sm text-white hover:bg-primary-600 disabled:opacity-50 transition-colors"
+          >
+            <Search className="h-4 w-4" />
+            Search
+          </button>
+        </form>
+
+        {hits && (hits.length === 0 ? (
+          <p className="text-sm text-slate-400">No matching entries</p>
+        ) : (
+          <div className="space-y-3">
+            {hits.map(hit => (
+              <div key={hit.key} className="p-4 rounded-lg bg-slate-50 dark:bg-slate-800/50">
+                <div className="flex items-start justify-between mb-1">
+                  <p className="font-medium text-slate-900 dark:text-white">
+                    {hit.rank}. {hit.question}
+                  </p>
+                  <Badge variant={hit.score >= 0.5 ? 'success' : hit.score >= 0.2 ? 'warning' : 'neutral'} size="xs">
+                    {hit.score.toFixed(2)}
+                  </Badge>
+                </div>
+                <p className="text-sm text-slate-600 dark:text-slate-400 line-clamp-2">{hit.answer}</p>
+                <div className="flex items-center gap-4 mt-2 text-xs text-slate-400">
+                  <span>{hit.source === 'faq' ? 'FAQ' : 'Learned'} #{hit.sourceId}</span>
+                  <span>Lexical {hit.lexical.toFixed(2)}</span>
+                  <span>Vector {hit.vector.toFixed(2)}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        ))}
+      </Card>
+
+      <Card>
+        <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4">
+          Evaluations
+        </h3>
+        {evaluations.length === 0 ? (
+          <div className="p-8 text-center text-slate-400">
+            <Database className="h-8 w-8 mx-auto mb-2 opacity-50" />
+            <p>No evaluations yet</p>
+            <p className="text-sm mt-1">Cases come from knowledge-base answers approved as-is</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                  <th className="py-2 pr-4 font-medium">Run</th>
+                  <th className="py-2 pr-4 font-medium">Backend</th>
+                  <th className="py-2 pr-4 font-medium">Cases</th>
+                  <th className="py-2 pr-4 font-medium">Recall@1</th>
+                  <th className="py-2 pr-4 font-medium">Recall@k</th>
+                  <th className="py-2 pr-4 font-medium">MRR</th>
+                </tr>
+              </thead>
+              <tbody>
+                {evaluations.map(run => (
+                  <tr key={run.id} className="border-b border-slate-100 dark:border-slate-800 last:border-0 text-slate-900 dark:text-white">
+                    <td className="py-2 pr-4">
+                      {new Date(run.created_at).toLocaleString('en-SG', { timeZone: 'Asia/Singapore' })}
+                    </td>
+                    <td className="py-2 pr-4">{run.backend}</td>
+                    <td className="py-2 pr-4">{run.cases} ({run.case_source})</td>
+                    <td className="py-2 pr-4">{percent(run.recall_at_1)}</td>
+                    <td className="py-2 pr-4">{percent(run.recall_at_k)} @{run.k}</td>
+                    <td className="py-2 pr-4">{run.mrr?.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
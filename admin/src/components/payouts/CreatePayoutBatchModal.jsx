@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { AlertTriangleIcon } from 'lucide-react';
+import { api } from '../../shared/services/api';
+import Modal, { ModalFooter } from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import { useToast } from '../ui/Toast';
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat('en-SG', { style: 'currency', currency: 'SGD', minimumFractionDigits: 2 }).format(value || 0);
+
+const getNextBusinessDay = () => {
+  const date = new Date();
+  do {
+    date.setDate(date.getDate() + 1);
+  } while (date.getDay() === 0 || date.getDay() === 6);
+  return date.toLocaleDateString('en-CA');
+};
+
+/**
+ * Preview approved payments grouped by bank, then create a payout batch.
+ * `onCreated` receives the new batch (the page downloads its bank file).
+ */
+export default function CreatePayoutBatchModal({ isOpen, onClose, onCreated }) {
+  const toast = useToast();
+  const [formats, setFormats] = useState([]);
+  const [form, setForm] = useState({ format: 'generic-csv', scope: 'approved', value_date: getNextBusinessDay() });
+  const [preview, setPreview] = useState(null);
+  const [loadingPreview, setLoadingPreview] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    api.payouts.getFormats()
+      .then((result) => { if (result.success) setFormats(result.data); })
+      .catch((error) => console.error('Failed to fetch payout formats:', error));
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (isOpen) fetchPreview();
+  }, [isOpen, form.scope]);
+
+  const fetchPreview = async () => {
+    setLoadingPreview(true);
+    try {
+      const result = await api.payouts.preview(form.scope);
+      if (result.success) setPreview(result.data);
+    } catch (error) {
+      console.error('Failed to preview payout batch:', error);
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const result = await api.payouts.createBatch(form);
+      if (result.success) {
+        toast.success('Payout File Created', `${result.data.transfer_count} transfers totalling ${formatCurrency(result.data.total_amount)}`);
+        onCreated?.(result.data);
+        onClose();
+      }
+    } catch (error) {
+      toast.error('Payout Failed', error.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Create Payout File" size="lg">
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <Select
+            label="Bank File Format"
+            value={form.format}
+            onChange={(value) => setForm({ ...form, format: value })}
+            options={formats.map((format) => ({ value: format.id, label: format.label }))}
+          />
+          <Select
+            label="Include"
+            value={form.scope}
+            onChange={(value) => setForm({ ...form, scope: value })}
+            options={[
+              { value: 'approved', label: 'All approved payments' },
+              { value: 'withdrawals', label: 'Withdrawal requests only' },
+            ]}
+          />
+          <Input
+            label="Value Date"
+            type="date"
+            value={form.value_date}
+            onChange={(e) => setForm({ ...form, value_date: e.target.value })}
+          />
+        </div>
+
+        {loadingPreview ? (
+          <div className="animate-pulse h-24 bg-slate-100 dark:bg-slate-800 rounded-lg" />
+        ) : preview && (
+          <>
+            <div className="p-4 rounded-lg bg-slate-50 dark:bg-slate-800">
+              <p className="text-sm text-slate-500">{preview.transfer_count} transfers covering {preview.payment_count} payments</p>
+              <p className="text-2xl font-bold text-slate-900 dark:text-white">{formatCurrency(preview.total_amount)}</p>
+            </div>
+
+            {preview.by_bank.length > 0 && (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-slate-500 border-b border-slate-200 dark:border-slate-700">
+                    <th className="py-2">Bank</th>
+                    <th className="py-2 text-right">Transfers</th>
+                    <th className="py-2 text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.by_bank.map((bank) => (
+                    <tr key={bank.bank_name} className="border-b border-slate-100 dark:border-slate-800">
+                      <td className="py-2 text-slate-900 dark:text-white">{bank.bank_name} <span className="text-slate-400">({bank.bank_code})</span></td>
+                      <td className="py-2 text-right">{bank.count}</td>
+                      <td className="py-2 text-right font-medium">{formatCurrency(bank.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {preview.skipped.length > 0 && (
+              <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800">
+                <div className="flex items-center gap-2 mb-2">
+                  <AlertTriangleIcon className="h-4 w-4 text-amber-600" />
+                  <p className="text-sm font-medium text-amber-700 dark:text-amber-400">
+                    {preview.skipped.length} payment(s) will be left out
+                  </p>
+                </div>
+                <ul className="text-xs text-amber-700 dark:text-amber-400 space-y-1 max-h-32 overflow-y-auto">
+                  {preview.skipped.map((item) => (
+                    <li key={item.payment_id}>{item.candidate_name || item.candidate_id}: {item.reason} ({formatCurrency(item.amount)})</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+        <Button onClick={handleCreate} loading={creating} disabled={!preview?.transfer_count}>
+          Create &amp; Download
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
@@ -0,0 +1,137 @@
+import { useRef, useState } from 'react';
+import { DownloadIcon, UploadIcon, XCircleIcon } from 'lucide-react';
+import { api } from '../../shared/services/api';
+import { StatusBadge } from '../ui/Badge';
+import Button from '../ui/Button';
+import Table from '../ui/Table';
+import { useToast } from '../ui/Toast';
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat('en-SG', { style: 'currency', currency: 'SGD', minimumFractionDigits: 2 }).format(value || 0);
+
+export async function downloadPayoutFile(batch) {
+  const blob = await api.payouts.downloadFile(batch.id);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = batch.file_name;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Payout batches with bank file download, result-file import and cancellation.
+ * Calls `onChange` after a reconciliation or cancellation so payments can refresh.
+ */
+export default function PayoutBatchTable({ batches, loading, onChange }) {
+  const toast = useToast();
+  const fileInput = useRef(null);
+  const importTarget = useRef(null);
+  const [importingId, setImportingId] = useState(null);
+
+  const handleDownload = async (batch) => {
+    try {
+      await downloadPayoutFile(batch);
+    } catch (error) {
+      toast.error('Download Failed', error.message);
+    }
+  };
+
+  const handleImportClick = (batch) => {
+    importTarget.current = batch.id;
+    fileInput.current.value = '';
+    fileInput.current.click();
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    const batchId = importTarget.current;
+    if (!file || !batchId) return;
+
+    setImportingId(batchId);
+    try {
+      const content = await file.text();
+      const result = await api.payouts.importResults(batchId, content, file.name);
+      if (result.success) {
+        const { paid, failed, unmatched } = result.data;
+        toast.success('Bank Results Imported', `${paid} paid, ${failed} failed${unmatched.length ? `, ${unmatched.length} unmatched` : ''}`);
+        onChange?.();
+      }
+    } catch (error) {
+      toast.error('Import Failed', error.message);
+    } finally {
+      setImportingId(null);
+    }
+  };
+
+  const handleCancel = async (batch) => {
+    if (!window.confirm(`Cancel batch ${batch.id}? Only do this if the file was not submitted to the bank.`)) return;
+    try {
+      const result = await api.payouts.cancelBatch(batch.id);
+      if (result.success) {
+        toast.success('Batch Cancelled', 'Its payments are back in the approved queue');
+        onChange?.();
+      }
+    } catch (error) {
+      toast.error('Cancel Failed', error.message);
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Batch',
+      accessor: 'id',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-900 dark:text-white">{value}</p>
+          <p className="text-xs text-slate-500">{row.created_at?.split(' ')[0]} · {row.format}</p>
+        </div>
+      ),
+    },
+    { header: 'Value Date', accessor: 'value_date' },
+    {
+      header: 'Transfers',
+      accessor: 'transfer_count',
+      render: (value, row) => (
+        <div>
+          <p>{value} ({row.payment_count} payments)</p>
+          {(row.paid_count > 0 || row.failed_count > 0) && (
+            <p className="text-xs text-slate-500">{row.paid_count} paid · {row.failed_count} failed</p>
+          )}
+        </div>
+      ),
+    },
+    {
+      header: 'Total',
+      accessor: 'total_amount',
+      render: (value) => <span className="font-bold text-slate-900 dark:text-white">{formatCurrency(value)}</span>,
+    },
+    { header: 'Status', accessor: 'status', render: (value) => <StatusBadge status={value} /> },
+    {
+      header: '',
+      accessor: 'file_name',
+      render: (_, row) => (
+        <div className="flex items-center justify-end gap-1">
+          <Button size="sm" variant="ghost" icon={DownloadIcon} onClick={() => handleDownload(row)} title="Download bank file" />
+          {['generated', 'partially_reconciled'].includes(row.status) && (
+            <Button size="sm" variant="secondary" icon={UploadIcon} loading={importingId === row.id} onClick={() => handleImportClick(row)}>
+              Import Results
+            </Button>
+          )}
+          {row.status === 'generated' && (
+            <Button size="sm" variant="ghost" icon={XCircleIcon} onClick={() => handleCancel(row)} title="Cancel batch" />
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <>
+      <input ref={fileInput} type="file" accept=".csv,.txt" className="hidden" onChange={handleFileSelected} />
+      <Table columns={columns} data={batches} loading={loading} emptyMessage="No payout batches yet" />
+    </>
+  );
+}
@@ -0,0 +1,6 @@
+/**
+ * Payout Components Barrel Export
+ */
+
+export { default as PayoutBatchTable, downloadPayoutFile } from './PayoutBatchTable';
+export { default as CreatePayoutBatchModal } from './CreatePayoutBatchModal';
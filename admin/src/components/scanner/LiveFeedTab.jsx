@@ -16,6 +16,8 @@ const SOURCE_COLORS = {
   alps: 'bg-teal-100 dark:bg-teal-900/40 text-teal-700 dark:text-teal-300',
   mohh_ariba: 'bg-purple-100 dark:bg-purple-900/40 text-purple-700 dark:text-purple-300',
   tenderboard: 'bg-orange-100 dark:bg-orange-900/40 text-orange-700 dark:text-orange-300',
+  tendersgo: 'bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300',
+  ariba_discovery: 'bg-indigo-100 dark:bg-indigo-900/40 text-indigo-700 dark:text-indigo-300',
   mbs_supplier: 'bg-rose-100 dark:bg-rose-900/40 text-rose-700 dark:text-rose-300',
 };
 
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   GlobeIcon,
   ExternalLinkIcon,
@@ -8,10 +8,32 @@ import {
   ShieldIcon,
   BriefcaseIcon,
   DatabaseIcon,
-  FilterIcon
+  FilterIcon,
+  PlayIcon,
+  HistoryIcon,
+  AlertTriangleIcon
 } from 'lucide-react';
 
 // Portal type section config
+// Health reported by GET /scanner/portals (evaluateHealth in services/scraping/portals/common.js)
+const HEALTH_STYLES = {
+  healthy: { label: 'Healthy', dot: 'bg-emerald-500', text: 'text-emerald-600 dark:text-emerald-400' },
+  degraded: { label: 'Degraded', dot: 'bg-amber-500', text: 'text-amber-600 dark:text-amber-400' },
+  failing: { label: 'Failing', dot: 'bg-red-500', text: 'text-red-600 dark:text-red-400' },
+  unknown: { label: 'No runs yet', dot: 'bg-slate-300 dark:bg-slate-600', text: 'text-slate-500 dark:text-slate-400' }
+};
+
+const RUN_STATUS_STYLES = {
+  success: 'text-emerald-600 dark:text-emerald-400',
+  empty: 'text-amber-600 dark:text-amber-400',
+  failed: 'text-red-600 dark:text-red-400',
+  running: 'text-indigo-600 dark:text-indigo-400'
+};
+
+// SQLite timestamps are UTC without a zone marker
+const formatRunTime = (value) =>
+  value ? new Date(`${value.replace(' ', 'T')}Z`).toLocaleString('en-SG', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }) : '-';
+
 const PORTAL_SECTIONS = [
   { type: 'government', title: 'Government Portals', icon: ShieldIcon, description: 'Singapore public sector procurement portals' },
   { type: 'aggregator', title: 'Tender Aggregators', icon: DatabaseIcon, description: 'Multi-source tender search engines and aggregation platforms' },
@@ -20,12 +42,17 @@ const PORTAL_SECTIONS = [
 
 /**
  * PortalsTab
- * Category settings + dynamic portal cards grouped by type + integration tools.
+ * Category settings + dynamic portal cards (with health and run history)
+ * grouped by type + integration tools.
  */
 export default function PortalsTab({
   portals,
   portalsLoading,
   onTogglePortal,
+  portalRuns = {},
+  runningPortal,
+  onRunPortal,
+  onLoadRuns,
   categories,
   enabledCategories,
   onToggleCategory
@@ -56,6 +83,10 @@ export default function PortalsTab({
                 section={section}
                 portals={typePortals}
                 onToggle={onTogglePortal}
+                portalRuns={portalRuns}
+                runningPortal={runningPortal}
+                onRun={onRunPortal}
+                onLoadRuns={onLoadRuns}
               />
             );
           })}
@@ -131,7 +162,7 @@ function CategorySettings({ categories, enabledCategories, onToggle }) {
   );
 }
 
-function PortalSection({ section, portals, onToggle }) {
+function PortalSection({ section, portals, onToggle, portalRuns, runningPortal, onRun, onLoadRuns }) {
   const SectionIcon = section.icon;
 
   return (
@@ -145,17 +176,31 @@ function PortalSection({ section, portals, onToggle }) {
       </div>
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         {portals.map((portal) => (
-          <PortalCard key={portal.portal_key} portal={portal} onToggle={onToggle} />
+          <PortalCard
+            key={portal.portal_key}
+            portal={portal}
+            onToggle={onToggle}
+            runs={portalRuns[portal.portal_key]}
+            running={runningPortal === portal.portal_key}
+            onRun={onRun}
+            onLoadRuns={onLoadRuns}
+          />
         ))}
       </div>
     </div>
   );
 }
 
-function PortalCard({ portal, onToggle }) {
+function PortalCard({ portal, onToggle, runs, running, onRun, onLoadRuns }) {
+  const [showHistory, setShowHistory] = useState(false);
   const isActive = portal.scraper_available && portal.enabled;
   const isComingSoon = !portal.scraper_available;
 
+  const toggleHistory = () => {
+    if (!showHistory) onLoadRuns?.(portal.portal_key);
+    setShowHistory(!showHistory);
+  };
+
   return (
     <div
       className={`bg-white dark:bg-slate-800 rounded-lg border p-4 transition-colors ${
@@ -188,6 +233,7 @@ function PortalCard({ portal, onToggle }) {
           <GlobeIcon className="h-5 w-5 text-slate-300 dark:text-slate-600 flex-shrink-0" />
         )}
       </div>
+      {portal.scraper_available ? <PortalHealth portal={portal} /> : null}
       <div className="flex items-center justify-between mt-3 pt-2 border-t border-slate-100 dark:border-slate-700">
         <a
           href={portal.url}
@@ -206,6 +252,106 @@ function PortalCard({ portal, onToggle }) {
           <span className="text-[10px] text-slate-400 dark:text-slate-500">Never scraped</span>
         ) : null}
       </div>
+      {portal.scraper_available ? (
+        <div className="flex items-center space-x-3 mt-2">
+          <button
+            onClick={toggleHistory}
+            className="inline-flex items-center space-x-1 text-xs font-medium text-slate-600 dark:text-slate-300 hover:text-slate-900 dark:hover:text-white"
+          >
+            <HistoryIcon className="h-3 w-3" />
+            <span>{showHistory ? 'Hide history' : 'Run history'}</span>
+          </button>
+          {portal.enabled ? (
+            <button
+              onClick={() => onRun?.(portal.portal_key)}
+              disabled={running}
+              className="inline-flex items-center space-x-1 text-xs font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300 disabled:opacity-50"
+            >
+              {running ? <LoaderIcon className="h-3 w-3 animate-spin" /> : <PlayIcon className="h-3 w-3" />}
+              <span>{running ? 'Running...' : 'Run now'}</span>
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+      {showHistory ? <RunHistory runs={runs} /> : null}
+    </div>
+  );
+}
+
+function PortalHealth({ portal }) {
+  const health = portal.health || { status: 'unknown' };
+  const style = HEALTH_STYLES[health.status] || HEALTH_STYLES.unknown;
+  const lastRun = portal.last_run;
+
+  return (
+    <div className="mt-3 space-y-1">
+      <div className="flex items-center justify-between text-xs">
+        <span className={`inline-flex items-center space-x-1.5 font-medium ${style.text}`}>
+          <span className={`h-2 w-2 rounded-full ${style.dot}`} />
+          <span>{style.label}</span>
+        </span>
+        {lastRun && lastRun.status !== 'running' ? (
+          <span className="text-[10px] text-slate-400 dark:text-slate-500">
+            Last run: {lastRun.items_found} found, {lastRun.items_new} new
+          </span>
+        ) : null}
+      </div>
+      {health.message ? (
+        <p className="flex items-start space-x-1 text-[11px] text-amber-700 dark:text-amber-300">
+          <AlertTriangleIcon className="h-3 w-3 mt-0.5 flex-shrink-0" />
+          <span className="line-clamp-2">{health.message}</span>
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+function RunHistory({ runs }) {
+  if (!runs) {
+    return (
+      <div className="flex items-center justify-center py-3">
+        <LoaderIcon className="h-4 w-4 animate-spin text-indigo-500" />
+      </div>
+    );
+  }
+  if (runs.length === 0) {
+    return <p className="mt-2 text-xs text-slate-500 dark:text-slate-400">This portal has not been scraped yet.</p>;
+  }
+
+  return (
+    <div className="mt-2 max-h-56 overflow-y-auto">
+      <table className="w-full text-[11px]">
+        <thead>
+          <tr className="text-left text-slate-400 dark:text-slate-500">
+            <th className="font-medium py-1">When</th>
+            <th className="font-medium py-1">Result</th>
+            <th className="font-medium py-1 text-right">Found</th>
+            <th className="font-medium py-1 text-right">New</th>
+            <th className="font-medium py-1 text-right">Dupes</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100 dark:divide-slate-700">
+          {runs.map((run) => (
+            <React.Fragment key={run.id}>
+              <tr className="text-slate-600 dark:text-slate-300">
+                <td className="py-1">
+                  {formatRunTime(run.started_at)}
+                  {run.trigger === 'manual' ? <span className="ml-1 text-slate-400">(manual)</span> : null}
+                </td>
+                <td className={`py-1 font-medium capitalize ${RUN_STATUS_STYLES[run.status] || ''}`}>{run.status}</td>
+                <td className="py-1 text-right">{run.items_found}</td>
+                <td className="py-1 text-right">{run.items_new}</td>
+                <td className="py-1 text-right">{run.items_duplicate}</td>
+              </tr>
+              {run.error ? (
+                <tr>
+                  <td colSpan={5} className="pb-1 text-red-600 dark:text-red-400 break-words">{run.error}</td>
+                </tr>
+              ) : null}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 }
@@ -31,6 +31,8 @@ export default function useScanner(toast) {
   // Portals state
   const [portals, setPortals] = useState([]);
   const [portalsLoading, setPortalsLoading] = useState(false);
+  const [portalRuns, setPortalRuns] = useState({});
+  const [runningPortal, setRunningPortal] = useState(null);
 
   // Categories state
   const [categories, setCategories] = useState([]);
@@ -149,6 +151,18 @@ export default function useScanner(toast) {
     }
   }, []);
 
+  const fetchPortalRuns = useCallback(async (portalKey) => {
+    try {
+      const res = await fetch(`/api/v1/scanner/portals/${portalKey}/runs?limit=10`);
+      const data = await res.json();
+      if (data.success) {
+        setPortalRuns((prev) => ({ ...prev, [portalKey]: data.data || [] }));
+      }
+    } catch (err) {
+      console.error('Error fetching portal runs:', err);
+    }
+  }, []);
+
   const fetchCategories = useCallback(async () => {
     try {
       const res = await fetch('/api/v1/scanner/settings/categories');
@@ -320,6 +334,30 @@ export default function useScanner(toast) {
     }
   }, [toast]);
 
+  const handleRunPortal = useCallback(async (portalKey) => {
+    setRunningPortal(portalKey);
+    try {
+      const res = await fetch(`/api/v1/scanner/portals/${portalKey}/run`, { method: 'POST' });
+      const data = await res.json();
+      if (data.success) {
+        const run = data.data;
+        if (run?.status === 'failed') {
+          toast.error('Scrape Failed', run.error || 'The portal could not be scraped');
+        } else {
+          toast.success('Scrape Complete', `${run?.items_new || 0} new tenders, ${run?.items_duplicate || 0} already known`);
+        }
+        fetchPortals();
+        fetchPortalRuns(portalKey);
+      } else {
+        toast.error('Portal Error', data.error || 'Failed to run portal');
+      }
+    } catch (err) {
+      toast.error('Portal Error', 'Network error running portal');
+    } finally {
+      setRunningPortal(null);
+    }
+  }, [toast, fetchPortals, fetchPortalRuns]);
+
   const handleToggleCategory = useCallback(async (categoryKey) => {
     // Use ref to always get the latest enabled list (avoids stale closure)
     const current = enabledCategoriesRef.current;
@@ -428,7 +466,8 @@ export default function useScanner(toast) {
 
     // Portals
     portals, portalsLoading, activePortals,
-    handleTogglePortal,
+    portalRuns, runningPortal,
+    handleTogglePortal, handleRunPortal, fetchPortalRuns,
 
     // Categories
     categories, enabledCategories,
@@ -0,0 +1,99 @@
+/**
+ * Audit Log Component
+ * Recent changes and who made them
+ */
+
+import { useState, useEffect } from 'react';
+import { HistoryIcon } from 'lucide-react';
+import Card, { CardHeader, CardTitle, CardContent } from '../ui/Card';
+import Button from '../ui/Button';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+const PAGE_SIZE = 25;
+
+const ACTION_LABELS = {
+  POST: 'Created / ran',
+  PUT: 'Updated',
+  PATCH: 'Updated',
+  DELETE: 'Deleted',
+  invite: 'Invited',
+  accept_invite: 'Accepted invite',
+  change_role: 'Changed role',
+  deactivate: 'Deactivated',
+  reactivate: 'Reactivated',
+  update: 'Updated',
+};
+
+function describe(entry) {
+  const action = ACTION_LABELS[entry.event_action] || entry.event_action;
+  const target = entry.resource_id ? `${entry.resource_type} ${entry.resource_id}` : entry.resource_type;
+  return `${action} ${target}`;
+}
+
+export default function AuditLog() {
+  const toast = useToast();
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  const load = async (offset = 0) => {
+    setLoading(true);
+    try {
+      const res = await api.adminUsers.getAudit({ limit: PAGE_SIZE, offset });
+      if (res.success) {
+        setEntries(prev => (offset ? [...prev, ...res.data] : res.data));
+        setTotal(res.total);
+      }
+    } catch (error) {
+      toast.error('Audit Log Unavailable', error.data?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <HistoryIcon className="h-5 w-5" />
+          Audit Log
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {!loading && entries.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">No changes recorded yet.</p>
+        ) : (
+          <div className="divide-y divide-slate-100 dark:divide-slate-800">
+            {entries.map(entry => (
+              <div key={entry.id} className="py-2.5 flex items-start justify-between gap-4 text-sm">
+                <div className="min-w-0">
+                  <p className="text-slate-900 dark:text-white truncate">{describe(entry)}</p>
+                  <p className="text-xs text-slate-500 dark:text-slate-400">
+                    {entry.user_name || entry.user_id || 'Unknown'}
+                    {entry.user_role && ` · ${entry.user_role.replace('_', ' ')}`}
+                    {entry.ip_address && ` · ${entry.ip_address}`}
+                  </p>
+                </div>
+                <span className="text-xs text-slate-400 whitespace-nowrap">
+                  {new Date(entry.created_at).toLocaleString('en-SG', { dateStyle: 'medium', timeStyle: 'short' })}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+        {entries.length < total && (
+          <div className="pt-3 text-center">
+            <Button variant="ghost" size="sm" loading={loading} onClick={() => load(entries.length)}>
+              Load more
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,116 @@
+/**
+ * Invite Admin Modal Component
+ * Invites a colleague by email with a role, then shows the invite link
+ */
+
+import { useState } from 'react';
+import { UserPlusIcon, CopyIcon } from 'lucide-react';
+import Modal, { ModalFooter } from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+const EMPTY_FORM = { name: '', email: '', role: 'consultant' };
+
+export default function InviteAdminModal({ isOpen, onClose, roles, onInvited }) {
+  const toast = useToast();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [invite, setInvite] = useState(null);
+
+  const selectedRole = roles.find(r => r.id === form.role);
+
+  const handleClose = () => {
+    setForm(EMPTY_FORM);
+    setInvite(null);
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await api.adminUsers.invite(form);
+      if (res.success) {
+        setInvite(res.data);
+        onInvited?.(res.data.user);
+      }
+    } catch (error) {
+      toast.error('Invite Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(invite.inviteUrl);
+      toast.success('Copied', 'Invite link copied to clipboard');
+    } catch {
+      toast.error('Copy Failed', 'Select the link and copy it manually');
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={
+        <div className="flex items-center gap-3">
+          <UserPlusIcon className="h-6 w-6 text-primary-600" />
+          <span>Invite Admin</span>
+        </div>
+      }
+      description="They get an email with a link to set their password. The link expires in 7 days."
+    >
+      {invite ? (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            Invite sent to <strong>{invite.user.email}</strong> as {invite.user.role_label}.
+            If the email does not arrive, share this link with them:
+          </p>
+          <div className="flex items-center gap-2">
+            <input readOnly value={invite.inviteUrl} className="input text-xs font-mono" onFocus={e => e.target.select()} />
+            <Button variant="secondary" size="sm" icon={CopyIcon} onClick={copyLink}>Copy</Button>
+          </div>
+          <ModalFooter>
+            <Button onClick={handleClose}>Done</Button>
+          </ModalFooter>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            label="Name"
+            value={form.name}
+            onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+            required
+          />
+          <Input
+            label="Email"
+            type="email"
+            value={form.email}
+            onChange={e => setForm(prev => ({ ...prev, email: e.target.value }))}
+            required
+          />
+          <div>
+            <Select
+              label="Role"
+              options={roles.map(r => ({ value: r.id, label: r.label }))}
+              value={form.role}
+              onChange={role => setForm(prev => ({ ...prev, role }))}
+            />
+            {selectedRole && (
+              <p className="text-xs text-slate-500 dark:text-slate-400 mt-1.5">{selectedRole.description}</p>
+            )}
+          </div>
+          <ModalFooter>
+            <Button variant="secondary" type="button" onClick={handleClose}>Cancel</Button>
+            <Button type="submit" loading={saving}>Send Invite</Button>
+          </ModalFooter>
+        </form>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,173 @@
+/**
+ * Team & Access Component
+ * Admin accounts with their roles: invite, change role, deactivate and reactivate
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { UsersIcon, UserPlusIcon, MailIcon, UserXIcon, UserCheckIcon } from 'lucide-react';
+import Card, { CardHeader, CardTitle, CardContent } from '../ui/Card';
+import Button from '../ui/Button';
+import Badge from '../ui/Badge';
+import Select from '../ui/Select';
+import { useToast } from '../ui/Toast';
+import { useAuth } from '../../contexts/AuthContext';
+import { api } from '../../shared/services/api';
+import InviteAdminModal from './InviteAdminModal';
+
+const STATUS_VARIANTS = {
+  active: 'success',
+  invited: 'info',
+  deactivated: 'neutral',
+};
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  return new Date(value).toLocaleDateString('en-SG', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+export default function TeamAccess() {
+  const toast = useToast();
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [showInvite, setShowInvite] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [usersRes, rolesRes] = await Promise.all([api.adminUsers.getAll(), api.adminUsers.getRoles()]);
+      if (usersRes.success) setUsers(usersRes.data);
+      if (rolesRes.success) setRoles(rolesRes.data.roles);
+    } catch (error) {
+      toast.error('Team Unavailable', error.data?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(u => (u.id === updated.id ? updated : u)));
+  };
+
+  const runAction = async (user, action, successTitle) => {
+    setBusyId(user.id);
+    try {
+      const res = await action();
+      if (res.success) {
+        replaceUser(res.data.user || res.data);
+        toast.success(successTitle, user.name);
+      }
+    } catch (error) {
+      toast.error('Update Failed', error.data?.error || error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeactivate = (user) => {
+    if (!window.confirm(`Deactivate ${user.name}? They will be signed out immediately.`)) return;
+    runAction(user, () => api.adminUsers.deactivate(user.id), 'Admin Deactivated');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <UsersIcon className="h-5 w-5" />
+            Team & Access
+          </CardTitle>
+          <Button size="sm" icon={UserPlusIcon} onClick={() => setShowInvite(true)} disabled={!roles.length}>
+            Invite Admin
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="space-y-2">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-14 rounded-lg bg-slate-100 dark:bg-slate-800 animate-pulse" />
+            ))}
+          </div>
+        ) : (
+          <div className="divide-y divide-slate-100 dark:divide-slate-800">
+            {users.map(user => {
+              const isSelf = user.id === currentUser?.id;
+              return (
+                <div key={user.id} className="py-3 flex flex-wrap items-center gap-4">
+                  <div className="flex-1 min-w-[200px]">
+                    <div className="flex items-center gap-2">
+                      <p className="font-medium text-slate-900 dark:text-white">{user.name}</p>
+                      {isSelf && <span className="text-xs text-slate-400">(you)</span>}
+                      <Badge variant={STATUS_VARIANTS[user.status]}>{user.status}</Badge>
+                    </div>
+                    <p className="text-sm text-slate-500 dark:text-slate-400">
+                      {user.email} · {user.status === 'invited'
+                        ? `Invite expires ${formatDate(user.invite_expires_at)}`
+                        : `Last sign-in ${formatDate(user.last_login_at)}`}
+                    </p>
+                  </div>
+
+                  <Select
+                    containerClassName="w-44"
+                    options={roles.map(r => ({ value: r.id, label: r.label }))}
+                    value={user.role}
+                    onChange={role => runAction(user, () => api.adminUsers.update(user.id, { role }), 'Role Updated')}
+                    disabled={isSelf || user.status === 'deactivated' || busyId === user.id}
+                  />
+
+                  <div className="flex gap-2">
+                    {user.status === 'invited' && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        icon={MailIcon}
+                        onClick={() => runAction(user, () => api.adminUsers.resendInvite(user.id), 'Invite Resent')}
+                        disabled={busyId === user.id}
+                      >
+                        Resend
+                      </Button>
+                    )}
+                    {user.status === 'deactivated' ? (
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        icon={UserCheckIcon}
+                        onClick={() => runAction(user, () => api.adminUsers.reactivate(user.id), 'Admin Reactivated')}
+                        disabled={busyId === user.id}
+                      >
+                        Reactivate
+                      </Button>
+                    ) : !isSelf && (
+                      <Button
+                        variant="danger"
+                        size="sm"
+                        icon={UserXIcon}
+                        onClick={() => handleDeactivate(user)}
+                        disabled={busyId === user.id}
+                      >
+                        Deactivate
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+
+      <InviteAdminModal
+        isOpen={showInvite}
+        onClose={() => setShowInvite(false)}
+        roles={roles}
+        onInvited={user => setUsers(prev => [...prev, user])}
+      />
+    </Card>
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * Settings Components Barrel Export
+ */
+
+export { default as TeamAccess } from './TeamAccess';
+export { default as InviteAdminModal } from './InviteAdminModal';
+export { default as AuditLog } from './AuditLog';
@@ -0,0 +1,151 @@
+/**
+ * Shift Change Queue
+ * Worker swaps and releases waiting for an admin because the client asked
+ * to approve changes. Rejecting keeps the worker on the shift and needs a note.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { CheckIcon, XIcon } from 'lucide-react';
+import Card, { CardHeader, CardTitle, CardContent } from '../ui/Card';
+import Badge from '../ui/Badge';
+import Button from '../ui/Button';
+import Modal, { ModalFooter } from '../ui/Modal';
+import { Textarea } from '../ui/Input';
+import { useToast } from '../ui/Toast';
+import { api } from '../../shared/services/api';
+
+const formatDate = (value) =>
+  new Date(`${value}T00:00:00+08:00`).toLocaleDateString('en-SG', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'Asia/Singapore' });
+
+function describe(request) {
+  return request.type === 'swap'
+    ? `${request.candidate_name} → ${request.target_name}`
+    : `${request.candidate_name} releasing`;
+}
+
+export default function ShiftChangeQueue({ onChange }) {
+  const toast = useToast();
+  const [requests, setRequests] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [note, setNote] = useState('');
+
+  const fetchRequests = async () => {
+    try {
+      const res = await api.shiftChanges.getAll({ status: 'awaiting_approval' });
+      if (res.success) setRequests(res.data);
+    } catch (error) {
+      console.error('Failed to fetch shift changes:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const review = async (request, action, reviewNote) => {
+    setBusyId(request.id);
+    try {
+      const res = await api.shiftChanges.review(request.id, { action, note: reviewNote });
+      if (res.success) {
+        if (action === 'approve') {
+          toast.success(
+            request.type === 'swap' ? 'Swap Approved' : 'Release Approved',
+            request.type === 'swap' ? `${request.target_name} now works this shift` : 'Backfill has started for the open slot'
+          );
+        } else {
+          toast.info('Request Rejected', `${request.candidate_name} stays on the shift`);
+        }
+        setRejecting(null);
+        setNote('');
+        await fetchRequests();
+        onChange?.();
+      }
+    } catch (error) {
+      toast.error('Review Failed', error.data?.error || error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (requests.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Shift changes awaiting approval ({requests.length})</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="divide-y divide-slate-100 dark:divide-slate-800">
+          {requests.map(request => (
+            <div key={request.id} className="py-3 flex flex-wrap items-center gap-3">
+              <div className="flex-1 min-w-[220px]">
+                <div className="flex items-center gap-2">
+                  <p className="font-medium text-slate-900 dark:text-white">{describe(request)}</p>
+                  <Badge variant={request.type === 'swap' ? 'info' : 'warning'}>
+                    {request.type === 'swap' ? 'Swap' : 'Release'}
+                  </Badge>
+                  {request.is_late === 1 && <Badge variant="error">Late</Badge>}
+                </div>
+                <p className="text-sm text-slate-500 dark:text-slate-400">
+                  <Link to={`/jobs/${request.job_id}`} className="hover:underline">{request.job_title}</Link>
+                  {' · '}{request.client_name} · {formatDate(request.job_date)} {request.start_time}-{request.end_time}
+                  {' · '}{request.hours_notice}h notice
+                </p>
+                {request.reason && <p className="text-sm text-slate-600 dark:text-slate-300 mt-1">“{request.reason}”</p>}
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  icon={XIcon}
+                  disabled={busyId === request.id}
+                  onClick={() => setRejecting(request)}
+                >
+                  Reject
+                </Button>
+                <Button
+                  size="sm"
+                  icon={CheckIcon}
+                  loading={busyId === request.id}
+                  onClick={() => review(request, 'approve')}
+                >
+                  Approve
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+
+      <Modal isOpen={!!rejecting} onClose={() => setRejecting(null)} title="Reject shift change">
+        {rejecting && (
+          <div className="space-y-3">
+            <p className="text-sm text-slate-600 dark:text-slate-300">
+              {rejecting.candidate_name} will stay on {rejecting.job_title}. The note is shown to them.
+            </p>
+            <Textarea
+              label="Note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={3}
+              placeholder="Why can't this change go ahead?"
+            />
+          </div>
+        )}
+        <ModalFooter>
+          <Button variant="secondary" onClick={() => setRejecting(null)}>Cancel</Button>
+          <Button
+            variant="danger"
+            disabled={!note.trim()}
+            loading={busyId === rejecting?.id}
+            onClick={() => review(rejecting, 'reject', note.trim())}
+          >
+            Reject
+          </Button>
+        </ModalFooter>
+      </Modal>
+    </Card>
+  );
+}
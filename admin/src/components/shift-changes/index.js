@@ -0,0 +1,5 @@
+/**
+ * Shift Change Components Barrel Export
+ */
+
+export { default as ShiftChangeQueue } from './ShiftChangeQueue';
@@ -24,6 +24,7 @@ const statusVariants = {
   filled: 'info',
   cancelled: 'error',
   completed: 'success',
+  pending_approval: 'warning',
   
   // Payment statuses
   pending: 'warning',
@@ -39,6 +40,37 @@ const statusVariants = {
   won: 'success',
   lost: 'error',
   expired: 'neutral',
+
+  // Timesheet statuses
+  clocked_in: 'info',
+  disputed: 'error',
+
+  // Invoice statuses
+  sent: 'info',
+  overdue: 'error',
+
+  // Payout statuses
+  processing: 'warning',
+  generated: 'info',
+  partially_reconciled: 'warning',
+  reconciled: 'success',
+  failed: 'error',
+
+  // Backfill statuses
+  offering: 'warning',
+  exhausted: 'error',
+  offered: 'info',
+  accepted: 'success',
+  declined: 'neutral',
+  superseded: 'neutral',
+
+  // Reward purchase statuses
+  fulfilled: 'success',
+  refunded: 'neutral',
+
+  // Portal account statuses
+  invited: 'info',
+  deactivated: 'neutral',
 };
 
 export default function Badge({ 
@@ -89,6 +121,7 @@ export function StatusBadge({ status }) {
     filled: 'Filled',
     cancelled: 'Cancelled',
     completed: 'Completed',
+    pending_approval: 'Awaiting Approval',
     
     // Payment
     pending: 'Pending',
@@ -104,6 +137,37 @@ export function StatusBadge({ status }) {
     won: 'Won',
     lost: 'Lost',
     expired: 'Expired',
+
+    // Timesheet
+    clocked_in: 'Clocked In',
+    disputed: 'Disputed',
+
+    // Invoice
+    sent: 'Sent',
+    overdue: 'Overdue',
+
+    // Payout
+    processing: 'Processing',
+    generated: 'Generated',
+    partially_reconciled: 'Part Reconciled',
+    reconciled: 'Reconciled',
+    failed: 'Failed',
+
+    // Backfill
+    offering: 'Offering',
+    exhausted: 'Exhausted',
+    offered: 'Offered',
+    accepted: 'Accepted',
+    declined: 'Declined',
+    superseded: 'Superseded',
+
+    // Reward purchase
+    fulfilled: 'Fulfilled',
+    refunded: 'Refunded',
+
+    // Portal account
+    invited: 'Invited',
+    deactivated: 'Deactivated',
   };
 
   return (
@@ -12,6 +12,7 @@ const Select = forwardRef(({
   error,
   className,
   containerClassName,
+  disabled = false,
   ...props 
 }, ref) => {
   const selectedOption = options.find(opt => opt.value === value);
@@ -23,7 +24,7 @@ const Select = forwardRef(({
           {label}
         </label>
       )}
-      <Listbox value={value} onChange={onChange}>
+      <Listbox value={value} onChange={onChange} disabled={disabled}>
         <div className="relative">
           <Listbox.Button 
             ref={ref}
@@ -114,7 +114,7 @@ export function AuthProvider({ children }) {
       }
     } catch (error) {
       console.error('❌ Login failed:', error.message);
-      const errorMsg = error.message || 'Login failed. Please try again.';
+      const errorMsg = error.data?.error || error.message || 'Login failed. Please try again.';
       setError(errorMsg);
       return { success: false, error: errorMsg };
     } finally {
@@ -161,6 +161,17 @@ export function AuthProvider({ children }) {
     }
   };
 
+  /**
+   * Whether the admin's role grants a permission, e.g. 'finance:write'
+   * (permissions come from the login and verify responses)
+   */
+  const hasPermission = (permission) => (user?.permissions || []).includes(permission);
+
+  /**
+   * Whether the user has any of the roles ('admin', or an admin role such as 'finance')
+   */
+  const hasRole = (...roles) => roles.includes(user?.role) || roles.includes(user?.admin_role);
+
   const value = {
     user,
     loading,
@@ -168,6 +179,8 @@ export function AuthProvider({ children }) {
     login,
     logout,
     updateUser,
+    hasPermission,
+    hasRole,
     isAuthenticated: !!user,
   };
 
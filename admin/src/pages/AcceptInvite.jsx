@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import Button from '../components/ui/Button';
+import Input from '../components/ui/Input';
+import Logo from '../components/ui/Logo';
+import { AlertCircleIcon } from 'lucide-react';
+import { api } from '../shared/services/api';
+
+// Mirrors MIN_PASSWORD_LENGTH in services/admin-users/roles.js
+const MIN_PASSWORD_LENGTH = 10;
+
+export default function AcceptInvite() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const confirmError = confirm && confirm !== password ? 'Passwords do not match' : '';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) return;
+
+    setError('');
+    setLoading(true);
+    try {
+      const res = await api.adminUsers.acceptInvite(token, password);
+      if (res.success) {
+        // Full reload so the auth context picks up the new session
+        window.location.assign('/admin/');
+        return;
+      }
+      setError(res.error || 'Could not accept the invite');
+    } catch (err) {
+      setError(err.data?.error || err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 dark:bg-slate-950 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="flex justify-center mb-8">
+          <Logo size="lg" />
+        </div>
+
+        <div className="bg-white dark:bg-slate-900 rounded-2xl border border-slate-200 dark:border-slate-800 shadow-xl p-8">
+          <div className="mb-6">
+            <h2 className="text-xl font-semibold text-slate-900 dark:text-white">Set your password</h2>
+            <p className="text-slate-500 dark:text-slate-400 mt-1">Finish setting up your WorkLink admin account</p>
+          </div>
+
+          {!token ? (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              This invite link is incomplete. Open the link from your invite email again.
+            </p>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              {error && (
+                <div className="p-3 rounded-lg bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 flex items-center gap-2" role="alert">
+                  <AlertCircleIcon className="h-4 w-4 text-red-600 dark:text-red-400 flex-shrink-0" />
+                  <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+                </div>
+              )}
+
+              <Input
+                id="password"
+                label="Password"
+                type="password"
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+                hint={`At least ${MIN_PASSWORD_LENGTH} characters, with letters and numbers`}
+                required
+              />
+
+              <Input
+                id="confirm"
+                label="Confirm password"
+                type="password"
+                value={confirm}
+                onChange={e => setConfirm(e.target.value)}
+                error={confirmError}
+                required
+              />
+
+              <Button
+                type="submit"
+                className="w-full"
+                loading={loading}
+                disabled={password.length < MIN_PASSWORD_LENGTH || password !== confirm}
+              >
+                Set password and sign in
+              </Button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -24,6 +24,7 @@ import Toggle from '../components/ui/Toggle';
 import Slider from '../components/ui/Slider';
 import DateTimePicker, { TimePicker } from '../components/ui/DateTimePicker';
 import { useToast } from '../components/ui/Toast';
+import { AlertRuleBuilder } from '../components/alerts';
 
 // Services
 import alertService from '../shared/services/api/alert.service';
@@ -208,7 +209,7 @@ export default function AlertSettings() {
         <div>
           <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Alert Settings</h1>
           <p className="text-slate-500 dark:text-slate-400 mt-1">
-            Manage your notification preferences and delivery settings
+            Manage alert rules, your notification preferences and delivery settings
           </p>
         </div>
 
@@ -496,6 +497,9 @@ export default function AlertSettings() {
         </CardContent>
       </Card>
 
+      {/* Expression rules */}
+      <AlertRuleBuilder userId={user?.id} />
+
       {/* Save button at bottom for mobile */}
       {hasChanges && (
         <div className="md:hidden">
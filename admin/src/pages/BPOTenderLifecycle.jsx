@@ -1,14 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import {
   PlusIcon,
-  RefreshCwIcon
+  RefreshCwIcon,
+  ShieldCheckIcon
 } from 'lucide-react';
-import { LifecyclePipeline, TenderDetailModal, CreateTenderModal } from '../components/bpo';
+import { LifecyclePipeline, TenderDetailModal, CreateTenderModal, StageGateRulesModal } from '../components/bpo';
 import { useToast } from '../components/ui/Toast';
 
 export default function BPOTenderLifecycle() {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showDetailModal, setShowDetailModal] = useState(false);
+  const [showGateRules, setShowGateRules] = useState(false);
   const [selectedTender, setSelectedTender] = useState(null);
   const [refreshKey, setRefreshKey] = useState(0);
   const [showAnalytics, setShowAnalytics] = useState(false);
@@ -93,6 +95,13 @@ export default function BPOTenderLifecycle() {
             <RefreshCwIcon className="h-4 w-4" />
             <span>Refresh</span>
           </button>
+          <button
+            onClick={() => setShowGateRules(true)}
+            className="px-4 py-2 text-sm font-medium text-slate-700 dark:text-slate-300 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-lg hover:bg-slate-50 dark:hover:bg-slate-700 flex items-center space-x-2"
+          >
+            <ShieldCheckIcon className="h-4 w-4" />
+            <span>Gate Rules</span>
+          </button>
           <button
             onClick={handleCreateTender}
             className="px-4 py-2 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 flex items-center space-x-2"
@@ -217,6 +226,12 @@ export default function BPOTenderLifecycle() {
         onClose={() => setShowCreateModal(false)}
         onSuccess={handleCreateSuccess}
       />
+
+      <StageGateRulesModal
+        isOpen={showGateRules}
+        onClose={() => setShowGateRules(false)}
+        onSaved={handleRefresh}
+      />
     </div>
   );
 }
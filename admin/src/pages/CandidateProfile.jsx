@@ -31,6 +31,7 @@ import Modal, { ModalFooter } from '../components/ui/Modal';
 import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
 import PerformanceScores from '../components/candidate/PerformanceScores';
+import RatingHistory from '../components/candidate/RatingHistory';
 import { clsx } from 'clsx';
 import { XP_THRESHOLDS as xpThresholds, LEVEL_TITLES } from '../../../shared/utils/gamification-browser';
 
@@ -348,7 +349,9 @@ export default function CandidateProfile() {
           icon={StarIcon} 
           label="Average Rating" 
           value={candidate.rating ? candidate.rating.toFixed(1) : '-'}
-          subValue={candidate.rating ? '⭐'.repeat(Math.round(candidate.rating)) : 'No ratings yet'}
+          subValue={candidate.rating
+            ? `${'⭐'.repeat(Math.round(candidate.rating))}${candidate.rating_count ? ` · ${candidate.rating_count} ratings` : ''}`
+            : 'No ratings yet'}
           color="amber"
         />
         <StatCard 
@@ -371,6 +374,7 @@ export default function CandidateProfile() {
         {[
           { id: 'overview', label: 'Overview' },
           { id: 'deployments', label: 'Job History' },
+          { id: 'ratings', label: 'Ratings' },
           { id: 'achievements', label: 'Achievements' },
         ].map((tab) => (
           <button
@@ -487,6 +491,10 @@ export default function CandidateProfile() {
         </Card>
       )}
 
+      {activeTab === 'ratings' && (
+        <RatingHistory candidateId={candidate.id} onChange={fetchCandidate} />
+      )}
+
       {activeTab === 'achievements' && (
         <Card>
           <CardHeader>
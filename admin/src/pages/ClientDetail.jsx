@@ -13,6 +13,7 @@ import {
   UsersIcon,
   TrendingUpIcon,
   CheckCircleIcon,
+  FileTextIcon,
 } from 'lucide-react';
 import { api } from '../shared/services/api';
 import Card, { CardHeader, CardTitle, CardContent } from '../components/ui/Card';
@@ -22,6 +23,8 @@ import Table from '../components/ui/Table';
 import Modal, { ModalFooter } from '../components/ui/Modal';
 import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
+import { InvoiceTable, ReceivablesAgeing, GenerateInvoicesModal } from '../components/invoices';
+import { PortalUsersCard } from '../components/client-portal';
 import { clsx } from 'clsx';
 
 function StatCard({ icon: Icon, label, value, subvalue, color = 'primary' }) {
@@ -56,6 +59,10 @@ export default function ClientDetail() {
   const [stats, setStats] = useState({ totalJobs: 0, totalRevenue: 0, activeJobs: 0 });
   const [loading, setLoading] = useState(true);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [invoices, setInvoices] = useState([]);
+  const [ageing, setAgeing] = useState(null);
+  const [invoicesLoading, setInvoicesLoading] = useState(true);
+  const [showGenerateModal, setShowGenerateModal] = useState(false);
   const [saving, setSaving] = useState(false);
   const [editForm, setEditForm] = useState({
     company_name: '',
@@ -65,11 +72,13 @@ export default function ClientDetail() {
     contact_email: '',
     contact_phone: '',
     payment_terms: '30',
+    shift_change_approval: 'none',
     notes: '',
   });
 
   useEffect(() => {
     fetchClientData();
+    fetchInvoices();
   }, [id]);
 
   useEffect(() => {
@@ -82,6 +91,7 @@ export default function ClientDetail() {
         contact_email: client.contact_email || '',
         contact_phone: client.contact_phone || '',
         payment_terms: client.payment_terms?.toString() || '30',
+        shift_change_approval: client.shift_change_approval || 'none',
         notes: client.notes || '',
       });
     }
@@ -116,6 +126,21 @@ export default function ClientDetail() {
     }
   };
 
+  const fetchInvoices = async () => {
+    try {
+      const [invoicesData, ageingData] = await Promise.all([
+        api.invoices.getAll({ client_id: id }),
+        api.invoices.getAgeing(id),
+      ]);
+      if (invoicesData.success) setInvoices(invoicesData.data);
+      if (ageingData.success) setAgeing(ageingData.data);
+    } catch (error) {
+      console.error('Failed to fetch invoices:', error);
+    } finally {
+      setInvoicesLoading(false);
+    }
+  };
+
   const handleUpdateClient = async () => {
     setSaving(true);
     try {
@@ -281,6 +306,43 @@ export default function ClientDetail() {
         </Card>
       </div>
 
+      {/* Invoices */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card className="lg:col-span-1">
+          <CardHeader>
+            <CardTitle>Receivables Ageing</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ReceivablesAgeing ageing={ageing} loading={invoicesLoading} />
+          </CardContent>
+        </Card>
+
+        <Card className="lg:col-span-2" padding="none">
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle>Invoices</CardTitle>
+              <Button size="sm" icon={FileTextIcon} onClick={() => setShowGenerateModal(true)}>Generate Invoice</Button>
+            </div>
+          </CardHeader>
+          <InvoiceTable
+            invoices={invoices}
+            loading={invoicesLoading}
+            onChange={fetchInvoices}
+            emptyMessage="No invoices for this client yet"
+          />
+        </Card>
+      </div>
+
+      {/* Client portal accounts */}
+      <PortalUsersCard clientId={id} />
+
+      <GenerateInvoicesModal
+        isOpen={showGenerateModal}
+        onClose={() => setShowGenerateModal(false)}
+        clientId={id}
+        onGenerated={fetchInvoices}
+      />
+
       {/* Edit Client Modal */}
       <Modal
         isOpen={showEditModal}
@@ -343,6 +405,16 @@ export default function ClientDetail() {
               { value: '60', label: 'Net 60 days' },
             ]}
           />
+          <Select
+            label="Shift Change Approval"
+            value={editForm.shift_change_approval}
+            onChange={(value) => setEditForm({ ...editForm, shift_change_approval: value })}
+            options={[
+              { value: 'none', label: 'No approval needed' },
+              { value: 'release', label: 'Approve releases only' },
+              { value: 'all', label: 'Approve swaps and releases' },
+            ]}
+          />
           <div className="md:col-span-2">
             <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
               Notes
@@ -0,0 +1,167 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DownloadIcon } from 'lucide-react';
+import Card, { CardHeader, CardTitle, CardContent } from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Input from '../components/ui/Input';
+import Table from '../components/ui/Table';
+import { StatusBadge } from '../components/ui/Badge';
+import { useToast } from '../components/ui/Toast';
+import { api } from '../shared/services/api';
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat('en-SG', { style: 'currency', currency: 'SGD', minimumFractionDigits: 2 }).format(value || 0);
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-SG', { day: 'numeric', month: 'short', year: 'numeric' }) : '-';
+
+function formatTime(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleTimeString('en-SG', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Singapore' });
+}
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function monthStart() {
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Singapore' });
+  return `${today.slice(0, 7)}-01`;
+}
+
+export default function ClientPortalInvoices() {
+  const toast = useToast();
+  const [invoices, setInvoices] = useState([]);
+  const [attendance, setAttendance] = useState([]);
+  const [range, setRange] = useState({ from_date: monthStart(), to_date: '' });
+  const [loadingInvoices, setLoadingInvoices] = useState(true);
+  const [loadingAttendance, setLoadingAttendance] = useState(true);
+
+  useEffect(() => {
+    api.clientPortal.getInvoices()
+      .then(res => setInvoices(res.data))
+      .catch(error => toast.error('Invoices Unavailable', error.data?.error || error.message))
+      .finally(() => setLoadingInvoices(false));
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadAttendance = useCallback(async () => {
+    setLoadingAttendance(true);
+    try {
+      const res = await api.clientPortal.getAttendance(range);
+      if (res.success) setAttendance(res.data);
+    } catch (error) {
+      toast.error('Attendance Unavailable', error.data?.error || error.message);
+    } finally {
+      setLoadingAttendance(false);
+    }
+  }, [range]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    loadAttendance();
+  }, [loadAttendance]);
+
+  const downloadInvoice = async (invoice) => {
+    try {
+      saveBlob(await api.clientPortal.downloadInvoicePdf(invoice.id), `${invoice.invoice_number}.pdf`);
+    } catch (error) {
+      toast.error('Download Failed', error.message);
+    }
+  };
+
+  const downloadAttendance = async () => {
+    try {
+      saveBlob(await api.clientPortal.downloadAttendanceCsv(range), `attendance_${range.from_date || 'all'}.csv`);
+    } catch (error) {
+      toast.error('Download Failed', error.message);
+    }
+  };
+
+  const invoiceColumns = [
+    {
+      header: 'Invoice',
+      accessor: 'invoice_number',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-900 dark:text-white">{value}</p>
+          <p className="text-xs text-slate-500">{row.period_start} to {row.period_end}</p>
+        </div>
+      )
+    },
+    { header: 'Issued', accessor: 'issue_date', render: (value) => formatDate(value) },
+    { header: 'Due', accessor: 'due_date', render: (value) => formatDate(value) },
+    { header: 'Total', accessor: 'total', render: (value) => formatCurrency(value) },
+    { header: 'Status', accessor: 'status', render: (value) => <StatusBadge status={value} /> },
+    {
+      header: '',
+      accessor: 'id',
+      render: (_, row) => (
+        <div className="flex justify-end">
+          <Button size="sm" variant="ghost" icon={DownloadIcon} onClick={() => downloadInvoice(row)}>PDF</Button>
+        </div>
+      )
+    },
+  ];
+
+  const attendanceColumns = [
+    { header: 'Date', accessor: 'job_date' },
+    {
+      header: 'Worker',
+      accessor: 'candidate_name',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-900 dark:text-white">{value}</p>
+          <p className="text-xs text-slate-500">{row.job_title}</p>
+        </div>
+      )
+    },
+    { header: 'Scheduled', accessor: 'scheduled_start', render: (value, row) => `${value}–${row.scheduled_end}` },
+    { header: 'Clocked', accessor: 'clock_in_at', render: (value, row) => `${formatTime(value)}–${formatTime(row.clock_out_at)}` },
+    { header: 'Hours', accessor: 'hours_worked', render: (value) => value ?? '-' },
+    { header: 'Status', accessor: 'deployment_status', render: (value) => <StatusBadge status={value} /> },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Invoices & Attendance</h1>
+        <p className="text-sm text-slate-500 dark:text-slate-400">Download invoices and the attendance behind them</p>
+      </div>
+
+      <Card padding="none">
+        <Table columns={invoiceColumns} data={invoices} loading={loadingInvoices} emptyMessage="No invoices issued yet" />
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <div className="flex flex-wrap items-end justify-between gap-3">
+            <CardTitle>Attendance history</CardTitle>
+            <div className="flex flex-wrap items-end gap-2">
+              <Input
+                label="From"
+                type="date"
+                value={range.from_date}
+                onChange={e => setRange(prev => ({ ...prev, from_date: e.target.value }))}
+              />
+              <Input
+                label="To"
+                type="date"
+                value={range.to_date}
+                onChange={e => setRange(prev => ({ ...prev, to_date: e.target.value }))}
+              />
+              <Button variant="secondary" icon={DownloadIcon} onClick={downloadAttendance}>CSV</Button>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <Table columns={attendanceColumns} data={attendance} loading={loadingAttendance} emptyMessage="No attendance in this period" />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
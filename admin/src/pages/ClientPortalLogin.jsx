@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import Button from '../components/ui/Button';
+import Input from '../components/ui/Input';
+import Logo from '../components/ui/Logo';
+import { AlertCircleIcon } from 'lucide-react';
+import { api } from '../shared/services/api';
+
+export default function ClientPortalLogin() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  if (api.clientPortal.getCurrentUser()) {
+    return <Navigate to="/client/shifts" replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const res = await api.clientPortal.login(email, password);
+      if (res.success) {
+        navigate(location.state?.from?.pathname || '/client/shifts', { replace: true });
+        return;
+      }
+      setError(res.error || 'Invalid email or password');
+    } catch (err) {
+      setError(err.data?.error || err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 dark:bg-slate-950 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="flex justify-center mb-8">
+          <Logo size="lg" />
+        </div>
+
+        <div className="bg-white dark:bg-slate-900 rounded-2xl border border-slate-200 dark:border-slate-800 shadow-xl p-8">
+          <div className="mb-6">
+            <h2 className="text-xl font-semibold text-slate-900 dark:text-white">Client portal</h2>
+            <p className="text-slate-500 dark:text-slate-400 mt-1">
+              Request shifts, approve timesheets and download invoices
+            </p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-5">
+            {error && (
+              <div className="p-3 rounded-lg bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 flex items-center gap-2" role="alert">
+                <AlertCircleIcon className="h-4 w-4 text-red-600 dark:text-red-400 flex-shrink-0" />
+                <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+              </div>
+            )}
+
+            <Input
+              id="email"
+              label="Email"
+              type="email"
+              autoComplete="email"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              required
+            />
+
+            <Input
+              id="password"
+              label="Password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              required
+            />
+
+            <Button type="submit" className="w-full" loading={loading} disabled={!email || !password}>
+              Sign in
+            </Button>
+          </form>
+        </div>
+
+        <p className="text-center text-sm text-slate-500 dark:text-slate-400 mt-6">
+          No account yet? Ask your WorkLink account manager for an invite.
+        </p>
+      </div>
+    </div>
+  );
+}
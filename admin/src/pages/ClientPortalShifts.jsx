@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from 'react';
+import { PlusIcon, UsersIcon } from 'lucide-react';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Select from '../components/ui/Select';
+import Table from '../components/ui/Table';
+import { StatusBadge } from '../components/ui/Badge';
+import { useToast } from '../components/ui/Toast';
+import { RequestShiftModal, ShiftWorkersModal } from '../components/client-portal';
+import { api } from '../shared/services/api';
+
+const STATUS_OPTIONS = [
+  { value: 'all', label: 'All shifts' },
+  { value: 'pending_approval', label: 'Awaiting approval' },
+  { value: 'open', label: 'Open' },
+  { value: 'filled', label: 'Filled' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'rejected', label: 'Rejected' },
+];
+
+export default function ClientPortalShifts() {
+  const toast = useToast();
+  const [jobs, setJobs] = useState([]);
+  const [status, setStatus] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [showRequest, setShowRequest] = useState(false);
+  const [selectedJobId, setSelectedJobId] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.clientPortal.getJobs({ status });
+      if (res.success) setJobs(res.data);
+    } catch (error) {
+      toast.error('Shifts Unavailable', error.data?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const columns = [
+    {
+      header: 'Shift',
+      accessor: 'title',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-900 dark:text-white">{value}</p>
+          <p className="text-xs text-slate-500">{row.location}</p>
+          {row.status === 'rejected' && row.rejection_reason && (
+            <p className="text-xs text-red-600 dark:text-red-400 mt-0.5">{row.rejection_reason}</p>
+          )}
+        </div>
+      )
+    },
+    { header: 'Date', accessor: 'job_date' },
+    { header: 'Time', accessor: 'start_time', render: (value, row) => `${value}–${row.end_time}` },
+    { header: 'Workers', accessor: 'assigned_workers', render: (value, row) => `${value} / ${row.total_slots}` },
+    { header: 'Status', accessor: 'status', render: (value) => <StatusBadge status={value} /> },
+    {
+      header: '',
+      accessor: 'id',
+      render: (_, row) => (
+        <div className="flex justify-end">
+          {row.assigned_workers > 0 && (
+            <Button size="sm" variant="ghost" icon={UsersIcon} onClick={() => setSelectedJobId(row.id)}>
+              Workers
+            </Button>
+          )}
+        </div>
+      )
+    },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Shifts</h1>
+          <p className="text-sm text-slate-500 dark:text-slate-400">Request workers and rate them after each shift</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Select containerClassName="w-48" options={STATUS_OPTIONS} value={status} onChange={setStatus} />
+          <Button icon={PlusIcon} onClick={() => setShowRequest(true)}>Request Shift</Button>
+        </div>
+      </div>
+
+      <Card padding="none">
+        <Table columns={columns} data={jobs} loading={loading} emptyMessage="No shifts yet" />
+      </Card>
+
+      <RequestShiftModal isOpen={showRequest} onClose={() => setShowRequest(false)} onRequested={load} />
+      <ShiftWorkersModal jobId={selectedJobId} isOpen={!!selectedJobId} onClose={() => setSelectedJobId(null)} />
+    </div>
+  );
+}
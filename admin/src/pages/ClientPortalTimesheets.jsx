@@ -0,0 +1,147 @@
+import { useState, useEffect, useCallback } from 'react';
+import { CheckCircleIcon, AlertTriangleIcon } from 'lucide-react';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Select from '../components/ui/Select';
+import Table from '../components/ui/Table';
+import { StatusBadge } from '../components/ui/Badge';
+import { useToast } from '../components/ui/Toast';
+import { api } from '../shared/services/api';
+
+const STATUS_OPTIONS = [
+  { value: 'submitted', label: 'Awaiting your approval' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'disputed', label: 'Disputed' },
+  { value: 'all', label: 'All timesheets' },
+];
+
+function formatTime(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleTimeString('en-SG', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Singapore' });
+}
+
+export default function ClientPortalTimesheets() {
+  const toast = useToast();
+  const [timesheets, setTimesheets] = useState([]);
+  const [status, setStatus] = useState('submitted');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.clientPortal.getTimesheets({ status });
+      if (res.success) setTimesheets(res.data);
+    } catch (error) {
+      toast.error('Timesheets Unavailable', error.data?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const review = async (timesheet, action) => {
+    let reason;
+    if (action === 'dispute') {
+      reason = window.prompt(`What is wrong with ${timesheet.candidate_name}'s timesheet?`);
+      if (!reason) return;
+    }
+
+    setBusyId(timesheet.id);
+    try {
+      const res = action === 'approve'
+        ? await api.clientPortal.approveTimesheet(timesheet.id)
+        : await api.clientPortal.disputeTimesheet(timesheet.id, reason);
+      if (res.success) {
+        toast.success(
+          action === 'approve' ? 'Timesheet Approved' : 'Timesheet Disputed',
+          `${timesheet.candidate_name} · ${timesheet.job_date}`
+        );
+        load();
+      }
+    } catch (error) {
+      toast.error('Update Failed', error.data?.error || error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Worker',
+      accessor: 'candidate_name',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-900 dark:text-white">{value}</p>
+          <p className="text-xs text-slate-500">{row.job_title} · {row.location}</p>
+        </div>
+      )
+    },
+    { header: 'Date', accessor: 'job_date' },
+    {
+      header: 'Clocked',
+      accessor: 'clock_in_at',
+      render: (value, row) => (
+        <div>
+          <p>{formatTime(value)}–{formatTime(row.clock_out_at)}</p>
+          <p className="text-xs text-slate-500">Scheduled {row.start_time}–{row.end_time}</p>
+        </div>
+      )
+    },
+    {
+      header: 'Hours',
+      accessor: 'hours_worked',
+      render: (value, row) => (
+        <div>
+          <p>{value ?? '-'}</p>
+          {row.break_minutes > 0 && <p className="text-xs text-slate-500">{row.break_minutes} min break</p>}
+        </div>
+      )
+    },
+    {
+      header: 'Status',
+      accessor: 'status',
+      render: (value, row) => (
+        <div>
+          <StatusBadge status={value} />
+          {value === 'disputed' && row.dispute_reason && (
+            <p className="text-xs text-slate-500 mt-1">{row.dispute_reason}</p>
+          )}
+        </div>
+      )
+    },
+    {
+      header: '',
+      accessor: 'id',
+      render: (_, row) => row.status === 'submitted' && (
+        <div className="flex items-center justify-end gap-1">
+          <Button size="sm" variant="ghost" icon={AlertTriangleIcon} disabled={busyId === row.id} onClick={() => review(row, 'dispute')}>
+            Dispute
+          </Button>
+          <Button size="sm" variant="success" icon={CheckCircleIcon} loading={busyId === row.id} onClick={() => review(row, 'approve')}>
+            Approve
+          </Button>
+        </div>
+      )
+    },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Timesheets</h1>
+          <p className="text-sm text-slate-500 dark:text-slate-400">Approve hours before they are invoiced</p>
+        </div>
+        <Select containerClassName="w-56" options={STATUS_OPTIONS} value={status} onChange={setStatus} />
+      </div>
+
+      <Card padding="none">
+        <Table columns={columns} data={timesheets} loading={loading} emptyMessage="No timesheets to show" />
+      </Card>
+    </div>
+  );
+}
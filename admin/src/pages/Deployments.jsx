@@ -18,6 +18,8 @@ import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
 import Table from '../components/ui/Table';
+import { useToast } from '../components/ui/Toast';
+import { ShiftChangeQueue } from '../components/shift-changes';
 import { clsx } from 'clsx';
 
 const formatCurrency = (value) => new Intl.NumberFormat('en-SG', { style: 'currency', currency: 'SGD', minimumFractionDigits: 2 }).format(value || 0);
@@ -47,6 +49,8 @@ export default function Deployments() {
   const [loading, setLoading] = useState(true);
   const [statusFilter, setStatusFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
+  const [reviewingId, setReviewingId] = useState(null);
+  const toast = useToast();
 
   useEffect(() => {
     fetchDeployments();
@@ -65,6 +69,30 @@ export default function Deployments() {
     }
   };
 
+  const handleTimesheetReview = async (timesheetId, action) => {
+    let reason;
+    if (action === 'dispute') {
+      reason = window.prompt('Reason for disputing this timesheet?');
+      if (!reason) return;
+    }
+
+    setReviewingId(timesheetId);
+    try {
+      const result = action === 'approve'
+        ? await api.timesheets.approve(timesheetId)
+        : await api.timesheets.dispute(timesheetId, reason);
+      if (result.success) {
+        toast.success(action === 'approve' ? 'Timesheet Approved' : 'Timesheet Disputed',
+          action === 'approve' ? 'Payment has been queued for the worker' : 'The timesheet has been flagged for adjustment');
+        fetchDeployments();
+      }
+    } catch (error) {
+      toast.error('Review Failed', error.message);
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
   const stats = {
     total: deployments.length,
     assigned: deployments.filter(d => d.status === 'assigned').length,
@@ -86,7 +114,7 @@ export default function Deployments() {
   const statusColors = {
     assigned: 'warning',
     confirmed: 'info',
-    checked_in: 'primary',
+    in_progress: 'primary',
     completed: 'success',
     no_show: 'error',
     cancelled: 'neutral',
@@ -166,6 +194,34 @@ export default function Deployments() {
       accessor: 'status',
       render: (value) => <StatusBadge status={value} />,
     },
+    {
+      header: 'Timesheet',
+      accessor: 'timesheet_status',
+      render: (value, row) => {
+        if (!value) return <span className="text-slate-400">-</span>;
+        if (value !== 'submitted') return <StatusBadge status={value} />;
+        return (
+          <div className="flex items-center gap-2">
+            <Button
+              size="sm"
+              variant="success"
+              loading={reviewingId === row.timesheet_id}
+              onClick={() => handleTimesheetReview(row.timesheet_id, 'approve')}
+            >
+              Approve
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              disabled={reviewingId === row.timesheet_id}
+              onClick={() => handleTimesheetReview(row.timesheet_id, 'dispute')}
+            >
+              Dispute
+            </Button>
+          </div>
+        );
+      },
+    },
   ];
 
   return (
@@ -185,6 +241,8 @@ export default function Deployments() {
         <StatCard title="No Show" value={stats.noShow} icon={XCircleIcon} color="red" />
       </div>
 
+      <ShiftChangeQueue onChange={fetchDeployments} />
+
       {/* Filters */}
       <Card>
         <div className="flex flex-col sm:flex-row gap-4">
@@ -202,7 +260,7 @@ export default function Deployments() {
               { value: 'all', label: 'All Statuses' },
               { value: 'assigned', label: 'Assigned' },
               { value: 'confirmed', label: 'Confirmed' },
-              { value: 'checked_in', label: 'Checked In' },
+              { value: 'in_progress', label: 'In Progress' },
               { value: 'completed', label: 'Completed' },
               { value: 'no_show', label: 'No Show' },
               { value: 'cancelled', label: 'Cancelled' },
@@ -16,6 +16,7 @@ import {
   WalletIcon,
   GiftIcon,
   CalculatorIcon,
+  FileTextIcon,
 } from 'lucide-react';
 import {
   AreaChart,
@@ -39,6 +40,7 @@ import Card, { CardHeader, CardTitle, CardContent } from '../components/ui/Card'
 import Badge from '../components/ui/Badge';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
+import { InvoiceTable, ReceivablesAgeing, GenerateInvoicesModal } from '../components/invoices';
 import { clsx } from 'clsx';
 
 const formatCurrency = (value, compact = false) => {
@@ -98,8 +100,13 @@ export default function FinancialDashboard() {
   const [activeTab, setActiveTab] = useState('overview');
   const [calculator, setCalculator] = useState({ charge_rate: 20, pay_rate: 13, hours: 8, days: 1, headcount: 10, incentives: 0 });
   const [calcResult, setCalcResult] = useState(null);
+  const [ageing, setAgeing] = useState(null);
+  const [invoices, setInvoices] = useState([]);
+  const [receivablesLoading, setReceivablesLoading] = useState(true);
+  const [showGenerateModal, setShowGenerateModal] = useState(false);
 
   useEffect(() => { fetchData(); }, []);
+  useEffect(() => { if (activeTab === 'receivables') fetchReceivables(); }, [activeTab]);
 
   const fetchData = async () => {
     try {
@@ -112,6 +119,21 @@ export default function FinancialDashboard() {
     }
   };
 
+  const fetchReceivables = async () => {
+    try {
+      const [ageingData, invoicesData] = await Promise.all([
+        api.invoices.getAgeing(),
+        api.invoices.getAll(),
+      ]);
+      if (ageingData.success) setAgeing(ageingData.data);
+      if (invoicesData.success) setInvoices(invoicesData.data);
+    } catch (error) {
+      console.error('Failed to fetch receivables:', error);
+    } finally {
+      setReceivablesLoading(false);
+    }
+  };
+
   const calculateProfit = async () => {
     try {
       const totalHours = parseFloat(calculator.hours) * parseInt(calculator.days || 1);
@@ -143,6 +165,7 @@ export default function FinancialDashboard() {
     { id: 'projections', label: 'Projections', icon: TrendingUpIcon },
     { id: 'margins', label: 'Margin Analysis', icon: BarChart3Icon },
     { id: 'incentives', label: 'Incentives', icon: GiftIcon },
+    { id: 'receivables', label: 'Receivables', icon: FileTextIcon },
     { id: 'calculator', label: 'Calculator', icon: CalculatorIcon },
   ];
 
@@ -508,6 +531,33 @@ export default function FinancialDashboard() {
         </>
       )}
 
+      {/* RECEIVABLES TAB */}
+      {activeTab === 'receivables' && (
+        <>
+          <Card>
+            <CardHeader action={<Button size="sm" icon={FileTextIcon} onClick={() => setShowGenerateModal(true)}>Generate Invoices</Button>}>
+              <CardTitle>Receivables Ageing</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <ReceivablesAgeing ageing={ageing} loading={receivablesLoading} showClients />
+            </CardContent>
+          </Card>
+
+          <Card padding="none">
+            <CardHeader className="p-6 mb-0">
+              <CardTitle>Invoices</CardTitle>
+            </CardHeader>
+            <InvoiceTable invoices={invoices} loading={receivablesLoading} onChange={fetchReceivables} showClient />
+          </Card>
+
+          <GenerateInvoicesModal
+            isOpen={showGenerateModal}
+            onClose={() => setShowGenerateModal(false)}
+            onGenerated={fetchReceivables}
+          />
+        </>
+      )}
+
       {/* CALCULATOR TAB */}
       {activeTab === 'calculator' && (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -20,6 +20,7 @@ import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
 import Modal, { ModalFooter } from '../components/ui/Modal';
 import Table from '../components/ui/Table';
+import QuestRuleBuilder, { EMPTY_RULE, describeRule } from '../components/gamification/QuestRuleBuilder';
 import { clsx } from 'clsx';
 
 const rarityConfig = {
@@ -89,7 +90,7 @@ function AchievementCard({ achievement }) {
   );
 }
 
-function QuestCard({ quest }) {
+function QuestCard({ quest, catalog, onEdit }) {
   const typeColors = {
     daily: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
     weekly: 'bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-400',
@@ -124,15 +125,28 @@ function QuestCard({ quest }) {
           )}
         </div>
         <p className="text-sm text-slate-500 mt-0.5">{quest.description}</p>
+        <p className={clsx('text-xs mt-1', quest.rule ? 'text-slate-400' : 'text-amber-600 dark:text-amber-400')}>
+          {describeRule(quest.rule, catalog)}
+        </p>
       </div>
       <div className="flex items-center gap-1 text-primary-600">
         <ZapIcon className="h-4 w-4" />
         <span className="font-semibold">+{quest.xp_reward}</span>
       </div>
+      <Button variant="ghost" size="sm" icon={EditIcon} onClick={() => onEdit(quest)} aria-label="Edit quest" />
     </div>
   );
 }
 
+const EMPTY_QUEST = {
+  title: '',
+  description: '',
+  type: 'daily',
+  xp_reward: 50,
+  active: true,
+  rule: EMPTY_RULE,
+};
+
 function LeaderboardTable({ data }) {
   return (
     <div className="space-y-2">
@@ -183,6 +197,7 @@ export default function Gamification() {
   const [quests, setQuests] = useState([]);
   const [leaderboard, setLeaderboard] = useState([]);
   const [stats, setStats] = useState({});
+  const [questCatalog, setQuestCatalog] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
 
@@ -191,6 +206,8 @@ export default function Gamification() {
   const [showQuestModal, setShowQuestModal] = useState(false);
   const [showSchemeModal, setShowSchemeModal] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [editingQuestId, setEditingQuestId] = useState(null);
+  const [questError, setQuestError] = useState('');
 
   // Form states
   const [achievementForm, setAchievementForm] = useState({
@@ -200,13 +217,7 @@ export default function Gamification() {
     xp_reward: 100,
     rarity: 'common',
   });
-  const [questForm, setQuestForm] = useState({
-    title: '',
-    description: '',
-    type: 'daily',
-    xp_reward: 50,
-    active: true,
-  });
+  const [questForm, setQuestForm] = useState(EMPTY_QUEST);
   const [schemeForm, setSchemeForm] = useState({
     name: '',
     description: '',
@@ -221,16 +232,17 @@ export default function Gamification() {
 
   const fetchData = async () => {
     try {
-      // TODO: Create gamificationService - using raw client for now
-      const [achievementsData, questsData, leaderboardData] = await Promise.all([
-        api.client.get('/gamification/achievements'),
-        api.client.get('/gamification/quests'),
-        api.client.get('/gamification/leaderboard', { params: { limit: 10 } }),
+      const [achievementsData, questsData, leaderboardData, rulesData] = await Promise.all([
+        api.gamification.getAchievements(),
+        api.gamification.getQuests({ include_inactive: 'true', limit: 100 }),
+        api.gamification.getLeaderboard({ limit: 10 }),
+        api.gamification.getQuestRules(),
       ]);
 
       if (achievementsData.success) setAchievements(achievementsData.data);
       if (questsData.success) setQuests(questsData.data);
       if (leaderboardData.success) setLeaderboard(leaderboardData.data);
+      if (rulesData.success) setQuestCatalog(rulesData.data);
 
       // Calculate stats
       const totalXP = leaderboardData.data?.reduce((sum, u) => sum + (u.xp || 0), 0) || 0;
@@ -265,18 +277,33 @@ export default function Gamification() {
     }
   };
 
+  const openQuestModal = (quest = null) => {
+    setEditingQuestId(quest?.id || null);
+    setQuestForm(quest ? {
+      title: quest.title,
+      description: quest.description || '',
+      type: quest.type,
+      xp_reward: quest.xp_reward,
+      active: !!quest.active,
+      rule: quest.rule ? { field: '', ...quest.rule } : EMPTY_RULE,
+    } : EMPTY_QUEST);
+    setQuestError('');
+    setShowQuestModal(true);
+  };
+
   const handleSaveQuest = async () => {
     setSaving(true);
+    setQuestError('');
     try {
-      // TODO: Create gamificationService - using raw client for now
-      const data = await api.client.post('/gamification/quests', questForm);
+      const data = editingQuestId
+        ? await api.gamification.updateQuest(editingQuestId, questForm)
+        : await api.gamification.createQuest(questForm);
       if (data.success) {
         setShowQuestModal(false);
-        setQuestForm({ title: '', description: '', type: 'daily', xp_reward: 50, active: true });
         fetchData();
       }
     } catch (error) {
-      console.error('Failed to save quest:', error);
+      setQuestError(error.data?.error || error.message);
     } finally {
       setSaving(false);
     }
@@ -404,13 +431,13 @@ export default function Gamification() {
           <CardHeader>
             <div className="flex items-center justify-between">
               <CardTitle>All Quests ({quests.length})</CardTitle>
-              <Button size="sm" icon={PlusIcon} onClick={() => setShowQuestModal(true)}>Add Quest</Button>
+              <Button size="sm" icon={PlusIcon} onClick={() => openQuestModal()}>Add Quest</Button>
             </div>
           </CardHeader>
           <CardContent>
             <div className="space-y-3">
               {quests.map(q => (
-                <QuestCard key={q.id} quest={q} />
+                <QuestCard key={q.id} quest={q} catalog={questCatalog} onEdit={openQuestModal} />
               ))}
             </div>
           </CardContent>
@@ -543,8 +570,8 @@ export default function Gamification() {
       <Modal
         isOpen={showQuestModal}
         onClose={() => setShowQuestModal(false)}
-        title="Add Quest"
-        description="Create a new quest for workers to complete"
+        title={editingQuestId ? 'Edit Quest' : 'Add Quest'}
+        description="Progress is tracked on the server from the event the rule listens to"
       >
         <div className="space-y-4">
           <Input
@@ -583,6 +610,14 @@ export default function Gamification() {
               onChange={(e) => setQuestForm({ ...questForm, xp_reward: parseInt(e.target.value) || 0 })}
             />
           </div>
+          <QuestRuleBuilder
+            rule={questForm.rule}
+            catalog={questCatalog}
+            onChange={(rule) => setQuestForm({ ...questForm, rule })}
+          />
+          {questError && (
+            <p className="text-sm text-red-600 dark:text-red-400" role="alert">{questError}</p>
+          )}
           <div className="flex items-center gap-2">
             <input
               type="checkbox"
@@ -598,7 +633,9 @@ export default function Gamification() {
         </div>
         <ModalFooter>
           <Button variant="secondary" onClick={() => setShowQuestModal(false)}>Cancel</Button>
-          <Button onClick={handleSaveQuest} loading={saving}>Create Quest</Button>
+          <Button onClick={handleSaveQuest} loading={saving} disabled={!questForm.title || !questForm.rule.event}>
+            {editingQuestId ? 'Save Quest' : 'Create Quest'}
+          </Button>
         </ModalFooter>
       </Modal>
 
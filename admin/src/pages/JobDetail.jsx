@@ -18,6 +18,7 @@ import {
   PhoneIcon,
   MailIcon,
   SearchIcon,
+  UserXIcon,
 } from 'lucide-react';
 import { api } from '../shared/services/api';
 import Card, { CardHeader, CardTitle, CardContent } from '../components/ui/Card';
@@ -26,6 +27,7 @@ import Button from '../components/ui/Button';
 import Modal, { ModalFooter } from '../components/ui/Modal';
 import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
+import { BackfillChain } from '../components/backfill';
 import { clsx } from 'clsx';
 
 function StatCard({ icon: Icon, label, value, color = 'primary' }) {
@@ -105,6 +107,25 @@ function DeploymentRow({ deployment, onStatusChange }) {
             </button>
           </div>
         )}
+
+        {['assigned', 'confirmed'].includes(deployment.status) && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => onStatusChange(deployment.id, 'no_show')}
+              title="Mark as no show"
+              className="p-2 rounded-lg bg-amber-100 text-amber-600 hover:bg-amber-200"
+            >
+              <UserXIcon className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => onStatusChange(deployment.id, 'cancelled')}
+              title="Cancel deployment"
+              className="p-2 rounded-lg bg-red-100 text-red-600 hover:bg-red-200"
+            >
+              <XCircleIcon className="h-4 w-4" />
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -115,6 +136,7 @@ export default function JobDetail() {
   const navigate = useNavigate();
   const [job, setJob] = useState(null);
   const [deployments, setDeployments] = useState([]);
+  const [backfillRequests, setBackfillRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAssignModal, setShowAssignModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
@@ -160,13 +182,15 @@ export default function JobDetail() {
   const fetchJobData = async () => {
     try {
       // TODO: Add getDeployments method to jobs service - using raw client for deployments endpoint
-      const [jobData, deploymentsData] = await Promise.all([
+      const [jobData, deploymentsData, backfillData] = await Promise.all([
         api.jobs.getById(id),
         api.client.get(`/jobs/${id}/deployments`),
+        api.backfill.getForJob(id),
       ]);
 
       if (jobData.success) setJob(jobData.data);
       if (deploymentsData.success) setDeployments(deploymentsData.data || []);
+      if (backfillData.success) setBackfillRequests(backfillData.data || []);
     } catch (error) {
       console.error('Failed to fetch job:', error);
     } finally {
@@ -175,6 +199,7 @@ export default function JobDetail() {
   };
 
   const handleStatusChange = async (deploymentId, newStatus) => {
+    if (newStatus === 'no_show' && !window.confirm('Mark this worker as a no show? Replacement offers will be sent.')) return;
     try {
       // TODO: Create deploymentsService - using raw client for now
       await api.client.patch(`/deployments/${deploymentId}`, { status: newStatus });
@@ -314,6 +339,11 @@ export default function JobDetail() {
           </div>
         </div>
         <div className="flex items-center gap-3">
+          {job.series_id && (
+            <Link to="/rosters" title={job.series_detached ? 'Edited separately from its roster' : 'Follows roster changes'}>
+              <Badge variant="info">{job.series_detached ? 'Roster shift (edited)' : 'Roster shift'}</Badge>
+            </Link>
+          )}
           <StatusBadge status={job.status} />
           <Button variant="secondary" size="sm" icon={EditIcon} onClick={() => setShowEditModal(true)}>Edit</Button>
         </div>
@@ -385,6 +415,18 @@ export default function JobDetail() {
               )}
             </CardContent>
           </Card>
+
+          {/* Shift Backfill */}
+          {backfillRequests.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Shift Backfill</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <BackfillChain requests={backfillRequests} onChange={fetchJobData} />
+              </CardContent>
+            </Card>
+          )}
         </div>
 
         {/* Sidebar */}
@@ -18,6 +18,7 @@ import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
 import Table, { TablePagination } from '../components/ui/Table';
 import Modal, { ModalFooter } from '../components/ui/Modal';
+import { JobRequestsPanel } from '../components/client-portal';
 import { clsx } from 'clsx';
 
 export default function Jobs() {
@@ -221,6 +222,9 @@ export default function Jobs() {
         </Button>
       </div>
 
+      {/* Shift requests from the client portal */}
+      <JobRequestsPanel onReviewed={fetchJobs} />
+
       {/* Stats */}
       <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
         {[
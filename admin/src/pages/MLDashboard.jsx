@@ -20,6 +20,7 @@ import {
 } from 'lucide-react';
 import Card from '../components/ui/Card';
 import Badge from '../components/ui/Badge';
+import RetrievalPanel from '../components/ml/RetrievalPanel';
 import { clsx } from 'clsx';
 
 // Stat card component
@@ -278,6 +279,7 @@ export default function MLDashboard() {
     { id: 'overview', label: 'Overview', icon: TrendingUp },
     { id: 'faq', label: 'FAQ Library', icon: BookOpen },
     { id: 'knowledge', label: 'Knowledge Base', icon: Database },
+    { id: 'retrieval', label: 'Retrieval', icon: Search },
     { id: 'logs', label: 'Response Logs', icon: MessageSquare },
     { id: 'settings', label: 'Settings', icon: Settings },
   ];
@@ -497,6 +499,9 @@ export default function MLDashboard() {
         </Card>
       )}
 
+      {/* Retrieval Tab */}
+      {activeTab === 'retrieval' && <RetrievalPanel />}
+
       {/* Response Logs Tab */}
       {activeTab === 'logs' && (
         <Card>
@@ -532,6 +537,19 @@ export default function MLDashboard() {
                   <p className="text-sm text-slate-900 dark:text-white">
                     <strong>A:</strong> {log.ai_response}
                   </p>
+                  {log.citations?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {log.citations.map(citation => (
+                        <span
+                          key={`${citation.source}-${citation.source_id}`}
+                          title={citation.question}
+                          className="px-2 py-0.5 rounded-full bg-slate-100 dark:bg-slate-700 text-xs text-slate-600 dark:text-slate-400"
+                        >
+                          [{citation.ref}] {citation.source === 'faq' ? 'FAQ' : 'Learned'} #{citation.source_id}
+                        </span>
+                      ))}
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -9,6 +9,7 @@ import {
   FilterIcon,
   BanknoteIcon,
   WalletIcon,
+  LandmarkIcon,
 } from 'lucide-react';
 import { api } from '../shared/services/api';
 import Card, { CardHeader, CardTitle, CardContent } from '../components/ui/Card';
@@ -18,6 +19,7 @@ import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
 import Table from '../components/ui/Table';
 import Modal from '../components/ui/Modal';
+import { PayoutBatchTable, CreatePayoutBatchModal, downloadPayoutFile } from '../components/payouts';
 import { clsx } from 'clsx';
 
 const formatCurrency = (value) => new Intl.NumberFormat('en-SG', { style: 'currency', currency: 'SGD', minimumFractionDigits: 2 }).format(value || 0);
@@ -58,11 +60,18 @@ export default function Payments() {
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedPayments, setSelectedPayments] = useState([]);
   const [showApproveModal, setShowApproveModal] = useState(false);
+  const [batches, setBatches] = useState([]);
+  const [batchesLoading, setBatchesLoading] = useState(true);
+  const [showPayoutModal, setShowPayoutModal] = useState(false);
 
   useEffect(() => {
     fetchPayments();
   }, [statusFilter]);
 
+  useEffect(() => {
+    fetchBatches();
+  }, []);
+
   const fetchPayments = async () => {
     try {
       const data = await api.payments.getAll({
@@ -76,6 +85,31 @@ export default function Payments() {
     }
   };
 
+  const fetchBatches = async () => {
+    try {
+      const data = await api.payouts.getBatches();
+      if (data.success) setBatches(data.data);
+    } catch (error) {
+      console.error('Failed to fetch payout batches:', error);
+    } finally {
+      setBatchesLoading(false);
+    }
+  };
+
+  const handlePayoutsChanged = () => {
+    fetchBatches();
+    fetchPayments();
+  };
+
+  const handleBatchCreated = async (batch) => {
+    handlePayoutsChanged();
+    try {
+      await downloadPayoutFile(batch);
+    } catch (error) {
+      console.error('Failed to download payout file:', error);
+    }
+  };
+
   const stats = {
     total: payments.reduce((sum, p) => sum + (p.total_amount || 0), 0),
     pending: payments.filter(p => p.status === 'pending').reduce((sum, p) => sum + (p.total_amount || 0), 0),
@@ -191,11 +225,16 @@ export default function Payments() {
           <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Payments</h1>
           <p className="text-slate-500 dark:text-slate-400 mt-1">Manage candidate payroll and withdrawals</p>
         </div>
-        {selectedPayments.length > 0 && (
-          <Button onClick={() => setShowApproveModal(true)} icon={CheckCircleIcon}>
-            Approve Selected ({selectedPayments.length})
+        <div className="flex gap-3">
+          <Button variant="secondary" onClick={() => setShowPayoutModal(true)} icon={LandmarkIcon}>
+            Create Payout File
           </Button>
-        )}
+          {selectedPayments.length > 0 && (
+            <Button onClick={() => setShowApproveModal(true)} icon={CheckCircleIcon}>
+              Approve Selected ({selectedPayments.length})
+            </Button>
+          )}
+        </div>
       </div>
 
       {/* Stats */}
@@ -271,6 +310,20 @@ export default function Payments() {
         />
       </Card>
 
+      {/* Payout Batches */}
+      <Card padding="none">
+        <CardHeader className="p-6 mb-0">
+          <CardTitle>Bank Payout Batches</CardTitle>
+        </CardHeader>
+        <PayoutBatchTable batches={batches} loading={batchesLoading} onChange={handlePayoutsChanged} />
+      </Card>
+
+      <CreatePayoutBatchModal
+        isOpen={showPayoutModal}
+        onClose={() => setShowPayoutModal(false)}
+        onCreated={handleBatchCreated}
+      />
+
       {/* Approve Modal */}
       <Modal
         isOpen={showApproveModal}
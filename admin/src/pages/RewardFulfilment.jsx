@@ -0,0 +1,620 @@
+import { useState, useEffect } from 'react';
+import {
+  ClockIcon,
+  CheckCircleIcon,
+  UndoIcon,
+  PackageIcon,
+  TicketIcon,
+  PencilIcon,
+  UploadIcon,
+  BanIcon,
+  GiftIcon,
+} from 'lucide-react';
+import { api } from '../shared/services/api';
+import Card, { CardHeader, CardTitle } from '../components/ui/Card';
+import Badge, { StatusBadge } from '../components/ui/Badge';
+import Button from '../components/ui/Button';
+import Input from '../components/ui/Input';
+import Select from '../components/ui/Select';
+import Table from '../components/ui/Table';
+import Modal, { ModalFooter } from '../components/ui/Modal';
+import { clsx } from 'clsx';
+
+const FULFILMENT_TYPE_OPTIONS = [
+  { value: 'instant', label: 'Instant (feature unlock)' },
+  { value: 'voucher', label: 'Voucher code' },
+  { value: 'manual', label: 'Manual (admin fulfils)' },
+];
+
+const formatDateTime = (value) => {
+  if (!value) return '-';
+  // SQLite timestamps are UTC without a zone suffix
+  return new Date(value.replace(' ', 'T') + 'Z').toLocaleString('en-SG', {
+    day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Singapore',
+  });
+};
+
+const limitLabel = (value) => (value === null || value === undefined ? 'Unlimited' : value);
+
+function StatCard({ title, value, icon: Icon, color, onClick, active }) {
+  const colors = {
+    amber: 'bg-amber-100 text-amber-600 dark:bg-amber-900/30 dark:text-amber-400',
+    emerald: 'bg-emerald-100 text-emerald-600 dark:bg-emerald-900/30 dark:text-emerald-400',
+    slate: 'bg-slate-100 text-slate-600 dark:bg-slate-800 dark:text-slate-400',
+    purple: 'bg-purple-100 text-purple-600 dark:bg-purple-900/30 dark:text-purple-400',
+  };
+
+  return (
+    <Card
+      hover
+      className={clsx('cursor-pointer transition-all', active && 'ring-2 ring-primary-500')}
+      onClick={onClick}
+    >
+      <div className="flex items-center gap-4">
+        <div className={clsx('p-3 rounded-xl', colors[color])}>
+          <Icon className="h-6 w-6" />
+        </div>
+        <div>
+          <p className="text-2xl font-bold text-slate-900 dark:text-white">{value}</p>
+          <p className="text-sm text-slate-500">{title}</p>
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+function PurchaseActionModal({ action, purchase, onClose, onDone }) {
+  const [text, setText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const isRefund = action === 'refund';
+
+  useEffect(() => {
+    setText('');
+    setError('');
+  }, [purchase, action]);
+
+  const handleSubmit = async () => {
+    if (isRefund && !text.trim()) {
+      setError('Tell the worker why this purchase is being refunded');
+      return;
+    }
+    setSaving(true);
+    setError('');
+    try {
+      if (isRefund) {
+        await api.gamification.refundPurchase(purchase.id, text.trim());
+      } else {
+        await api.gamification.fulfilPurchase(purchase.id, text.trim() || undefined);
+      }
+      onDone();
+    } catch (err) {
+      setError(err.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={!!purchase}
+      onClose={onClose}
+      title={isRefund ? 'Refund Purchase' : 'Mark as Fulfilled'}
+      description={purchase ? `${purchase.reward_name} for ${purchase.candidate_name}` : undefined}
+    >
+      <div className="space-y-4">
+        {isRefund ? (
+          <p className="text-sm text-slate-600 dark:text-slate-400">
+            {purchase?.points_spent} points will be returned to the worker and the item put back in stock.
+          </p>
+        ) : (
+          <p className="text-sm text-slate-600 dark:text-slate-400">
+            The worker is notified that their reward has been delivered.
+          </p>
+        )}
+        <Input
+          label={isRefund ? 'Reason' : 'Note for the worker (optional)'}
+          placeholder={isRefund ? 'e.g. Size no longer available' : 'e.g. Collect from the office front desk'}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          error={error}
+          required={isRefund}
+        />
+      </div>
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button variant={isRefund ? 'danger' : 'success'} onClick={handleSubmit} loading={saving}>
+          {isRefund ? 'Refund Points' : 'Mark Fulfilled'}
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+function InventoryModal({ reward, onClose, onSaved }) {
+  const [form, setForm] = useState({ stock: '', max_per_user: '', fulfilment_type: 'manual', active: true });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!reward) return;
+    setForm({
+      stock: reward.stock ?? '',
+      max_per_user: reward.max_per_user ?? '',
+      fulfilment_type: reward.fulfilment_type,
+      active: !!reward.active,
+    });
+    setError('');
+  }, [reward]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await api.gamification.updateRewardInventory(reward.id, {
+        stock: form.stock === '' ? null : Number(form.stock),
+        max_per_user: form.max_per_user === '' ? null : Number(form.max_per_user),
+        fulfilment_type: form.fulfilment_type,
+        active: form.active,
+      });
+      onSaved();
+    } catch (err) {
+      setError(err.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={!!reward} onClose={onClose} title="Edit Inventory" description={reward?.name}>
+      <div className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            type="number"
+            min="0"
+            label="Stock"
+            hint="Leave blank for unlimited"
+            value={form.stock}
+            onChange={(e) => setForm({ ...form, stock: e.target.value })}
+          />
+          <Input
+            type="number"
+            min="0"
+            label="Limit per worker"
+            hint="Leave blank for no limit"
+            value={form.max_per_user}
+            onChange={(e) => setForm({ ...form, max_per_user: e.target.value })}
+          />
+        </div>
+        <Select
+          label="Fulfilment"
+          value={form.fulfilment_type}
+          onChange={(value) => setForm({ ...form, fulfilment_type: value })}
+          options={FULFILMENT_TYPE_OPTIONS}
+        />
+        <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+          <input
+            type="checkbox"
+            checked={form.active}
+            onChange={(e) => setForm({ ...form, active: e.target.checked })}
+            className="rounded border-slate-300"
+          />
+          Show in the worker rewards shop
+        </label>
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      </div>
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button onClick={handleSave} loading={saving}>Save</Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+function VoucherCodesModal({ reward, onClose, onChanged }) {
+  const [pool, setPool] = useState(null);
+  const [codes, setCodes] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!reward) return;
+    setCodes('');
+    setExpiresAt('');
+    setResult(null);
+    setError('');
+    fetchPool();
+  }, [reward]);
+
+  const fetchPool = async () => {
+    try {
+      const data = await api.gamification.getVoucherCodes(reward.id);
+      if (data.success) setPool(data.data);
+    } catch (err) {
+      setError(err.data?.error || err.message);
+    }
+  };
+
+  const handleUpload = async () => {
+    setUploading(true);
+    setError('');
+    setResult(null);
+    try {
+      const data = await api.gamification.uploadVoucherCodes(reward.id, codes, expiresAt);
+      if (data.success) {
+        setResult(data.data);
+        setCodes('');
+        fetchPool();
+        onChanged();
+      }
+    } catch (err) {
+      setError(err.data?.error || err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleVoid = async (code) => {
+    try {
+      await api.gamification.voidVoucherCode(reward.id, code.id);
+      fetchPool();
+      onChanged();
+    } catch (err) {
+      setError(err.data?.error || err.message);
+    }
+  };
+
+  return (
+    <Modal isOpen={!!reward} onClose={onClose} title="Voucher Codes" description={reward?.name} size="lg">
+      <div className="space-y-5">
+        {pool && (
+          <div className="grid grid-cols-4 gap-3 text-center">
+            {[
+              ['Available', pool.summary.available, 'text-emerald-600'],
+              ['Assigned', pool.summary.assigned, 'text-blue-600'],
+              ['Expired', pool.summary.expired, 'text-amber-600'],
+              ['Void', pool.summary.void, 'text-slate-500'],
+            ].map(([label, value, color]) => (
+              <div key={label} className="p-3 rounded-lg bg-slate-50 dark:bg-slate-800">
+                <p className={clsx('text-xl font-bold', color)}>{value}</p>
+                <p className="text-xs text-slate-500">{label}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1.5">
+            Upload codes
+          </label>
+          <textarea
+            value={codes}
+            onChange={(e) => setCodes(e.target.value)}
+            rows={6}
+            placeholder={'One code per line, optionally with an expiry:\nGRAB-8K2D-11QX\nGRAB-9J3F-22RW,2026-12-31'}
+            className="w-full px-3 py-2 rounded-lg bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 text-slate-900 dark:text-white text-sm font-mono focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+        </div>
+        <div className="flex items-end gap-3">
+          <Input
+            type="date"
+            label="Expiry for codes without one"
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            containerClassName="flex-1"
+          />
+          <Button icon={UploadIcon} onClick={handleUpload} loading={uploading} disabled={!codes.trim()}>
+            Upload
+          </Button>
+        </div>
+
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        {result && (
+          <div className="p-3 rounded-lg bg-emerald-50 dark:bg-emerald-900/20 text-sm text-emerald-700 dark:text-emerald-400">
+            Added {result.added} code(s){result.skipped > 0 && `, ${result.skipped} already in the pool`}.
+            {result.errors.length > 0 && (
+              <ul className="mt-2 list-disc list-inside text-red-600 dark:text-red-400">
+                {result.errors.slice(0, 10).map(line => <li key={line}>{line}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {pool?.codes.length > 0 && (
+          <div className="max-h-64 overflow-y-auto divide-y divide-slate-100 dark:divide-slate-800 border border-slate-200 dark:border-slate-800 rounded-lg">
+            {pool.codes.map(code => (
+              <div key={code.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                <code className="font-mono text-slate-700 dark:text-slate-300 flex-1">{code.code}</code>
+                <span className="text-xs text-slate-500">{code.expires_at ? `Expires ${code.expires_at}` : 'No expiry'}</span>
+                <Badge variant={code.status === 'available' ? 'success' : code.status === 'assigned' ? 'info' : 'neutral'}>
+                  {code.status}
+                </Badge>
+                {code.status === 'available' && (
+                  <Button size="sm" variant="ghost" icon={BanIcon} onClick={() => handleVoid(code)} aria-label="Void code" />
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+/**
+ * Reward fulfilment queue and inventory.
+ * Admins deliver or refund pending reward purchases, set stock and
+ * per-worker limits, and manage voucher code pools.
+ */
+export default function RewardFulfilment() {
+  const [purchases, setPurchases] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, fulfilled: 0, refunded: 0 });
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [inventory, setInventory] = useState([]);
+  const [inventoryLoading, setInventoryLoading] = useState(true);
+  const [action, setAction] = useState({ type: null, purchase: null });
+  const [editingReward, setEditingReward] = useState(null);
+  const [codesReward, setCodesReward] = useState(null);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchInventory();
+  }, []);
+
+  const fetchQueue = async () => {
+    setLoading(true);
+    try {
+      const data = await api.gamification.getFulfilmentQueue({ status: statusFilter });
+      if (data.success) {
+        setPurchases(data.data.purchases);
+        setCounts(data.data.counts);
+      }
+    } catch (error) {
+      console.error('Failed to fetch fulfilment queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchInventory = async () => {
+    try {
+      const data = await api.gamification.getRewardInventory();
+      if (data.success) setInventory(data.data);
+    } catch (error) {
+      console.error('Failed to fetch reward inventory:', error);
+    } finally {
+      setInventoryLoading(false);
+    }
+  };
+
+  const handleActionDone = () => {
+    setAction({ type: null, purchase: null });
+    fetchQueue();
+    fetchInventory();
+  };
+
+  const queueColumns = [
+    {
+      header: 'Worker',
+      accessor: 'candidate_name',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-900 dark:text-white">{value || row.candidate_id}</p>
+          <p className="text-xs text-slate-500">{row.candidate_phone || row.candidate_email}</p>
+        </div>
+      ),
+    },
+    {
+      header: 'Reward',
+      accessor: 'reward_name',
+      render: (value, row) => (
+        <div>
+          <p className="text-slate-900 dark:text-white">{value}</p>
+          <p className="text-xs text-slate-500 capitalize">{row.fulfilment_type}</p>
+        </div>
+      ),
+    },
+    {
+      header: 'Points',
+      accessor: 'points_spent',
+      render: (value) => value?.toLocaleString(),
+    },
+    {
+      header: 'Voucher',
+      accessor: 'voucher_code',
+      render: (value) => value ? <code className="font-mono text-xs">{value}</code> : '-',
+    },
+    {
+      header: 'Requested',
+      accessor: 'created_at',
+      render: (value) => formatDateTime(value),
+    },
+    {
+      header: 'Status',
+      accessor: 'status',
+      render: (value, row) => (
+        <div>
+          <StatusBadge status={value} />
+          {row.failure_reason && <p className="text-xs text-slate-500 mt-1">{row.failure_reason}</p>}
+          {row.note && value === 'fulfilled' && <p className="text-xs text-slate-500 mt-1">{row.note}</p>}
+        </div>
+      ),
+    },
+    {
+      header: '',
+      accessor: 'id',
+      render: (value, row) => row.status === 'pending' ? (
+        <div className="flex justify-end gap-2">
+          <Button size="sm" variant="secondary" onClick={() => setAction({ type: 'refund', purchase: row })}>
+            Refund
+          </Button>
+          <Button size="sm" variant="success" onClick={() => setAction({ type: 'fulfil', purchase: row })}>
+            Fulfil
+          </Button>
+        </div>
+      ) : null,
+    },
+  ];
+
+  const inventoryColumns = [
+    {
+      header: 'Reward',
+      accessor: 'name',
+      render: (value, row) => (
+        <div>
+          <p className={clsx('font-medium', row.active ? 'text-slate-900 dark:text-white' : 'text-slate-400')}>
+            {value}
+            {!row.active && <span className="ml-2 text-xs">(hidden)</span>}
+          </p>
+          <p className="text-xs text-slate-500">{row.points_cost.toLocaleString()} points · {row.tier_required}+</p>
+        </div>
+      ),
+    },
+    {
+      header: 'Fulfilment',
+      accessor: 'fulfilment_type',
+      render: (value) => <span className="capitalize">{value}</span>,
+    },
+    {
+      header: 'Remaining',
+      accessor: 'remaining',
+      render: (value, row) => (
+        <div>
+          <span className={clsx(value === 0 && 'text-red-600 font-medium')}>{limitLabel(value)}</span>
+          {row.fulfilment_type === 'voucher' && (
+            <p className="text-xs text-slate-500">{row.available_codes} code(s) in pool</p>
+          )}
+        </div>
+      ),
+    },
+    {
+      header: 'Per Worker',
+      accessor: 'max_per_user',
+      render: (value) => limitLabel(value),
+    },
+    {
+      header: 'Pending / Fulfilled / Refunded',
+      accessor: 'pending',
+      render: (value, row) => `${value} / ${row.fulfilled} / ${row.refunded}`,
+    },
+    {
+      header: '',
+      accessor: 'id',
+      render: (value, row) => (
+        <div className="flex justify-end gap-2">
+          {row.fulfilment_type === 'voucher' && (
+            <Button size="sm" variant="secondary" icon={TicketIcon} onClick={() => setCodesReward(row)}>
+              Codes
+            </Button>
+          )}
+          <Button size="sm" variant="ghost" icon={PencilIcon} onClick={() => setEditingReward(row)} aria-label="Edit inventory" />
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Reward Fulfilment</h1>
+        <p className="text-slate-500 dark:text-slate-400 mt-1">Deliver redeemed rewards and manage stock and voucher codes</p>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatCard
+          title="Pending"
+          value={counts.pending}
+          icon={ClockIcon}
+          color="amber"
+          onClick={() => setStatusFilter('pending')}
+          active={statusFilter === 'pending'}
+        />
+        <StatCard
+          title="Fulfilled"
+          value={counts.fulfilled}
+          icon={CheckCircleIcon}
+          color="emerald"
+          onClick={() => setStatusFilter('fulfilled')}
+          active={statusFilter === 'fulfilled'}
+        />
+        <StatCard
+          title="Refunded"
+          value={counts.refunded}
+          icon={UndoIcon}
+          color="slate"
+          onClick={() => setStatusFilter('refunded')}
+          active={statusFilter === 'refunded'}
+        />
+        <StatCard
+          title="All Purchases"
+          value={counts.pending + counts.fulfilled + counts.refunded}
+          icon={GiftIcon}
+          color="purple"
+          onClick={() => setStatusFilter('all')}
+          active={statusFilter === 'all'}
+        />
+      </div>
+
+      {/* Queue */}
+      <Card padding="none">
+        <CardHeader className="p-6 mb-0">
+          <CardTitle>{statusFilter === 'pending' ? 'Fulfilment Queue' : 'Purchases'}</CardTitle>
+        </CardHeader>
+        <Table
+          columns={queueColumns}
+          data={purchases}
+          loading={loading}
+          emptyMessage={statusFilter === 'pending' ? 'Nothing waiting to be fulfilled' : 'No purchases found'}
+        />
+      </Card>
+
+      {/* Inventory */}
+      <Card padding="none">
+        <CardHeader className="p-6 mb-0">
+          <CardTitle>
+            <span className="flex items-center gap-2">
+              <PackageIcon className="h-5 w-5" />
+              Inventory
+            </span>
+          </CardTitle>
+        </CardHeader>
+        <Table
+          columns={inventoryColumns}
+          data={inventory}
+          loading={inventoryLoading}
+          emptyMessage="No rewards configured"
+        />
+      </Card>
+
+      <PurchaseActionModal
+        action={action.type}
+        purchase={action.purchase}
+        onClose={() => setAction({ type: null, purchase: null })}
+        onDone={handleActionDone}
+      />
+
+      <InventoryModal
+        reward={editingReward}
+        onClose={() => setEditingReward(null)}
+        onSaved={() => {
+          setEditingReward(null);
+          fetchInventory();
+        }}
+      />
+
+      <VoucherCodesModal
+        reward={codesReward}
+        onClose={() => setCodesReward(null)}
+        onChanged={fetchInventory}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,671 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  PlusIcon,
+  RepeatIcon,
+  PencilIcon,
+  PauseIcon,
+  PlayIcon,
+  RefreshCwIcon,
+  BanIcon,
+  CalendarXIcon,
+  CalendarPlusIcon,
+  TrashIcon,
+  ExternalLinkIcon,
+} from 'lucide-react';
+import { api } from '../shared/services/api';
+import Card, { CardHeader, CardTitle, CardContent } from '../components/ui/Card';
+import Badge, { StatusBadge } from '../components/ui/Badge';
+import Button from '../components/ui/Button';
+import Input, { Textarea } from '../components/ui/Input';
+import Select from '../components/ui/Select';
+import Table from '../components/ui/Table';
+import Modal, { ModalFooter } from '../components/ui/Modal';
+import { useToast } from '../components/ui/Toast';
+import { clsx } from 'clsx';
+
+const SERIES_BADGES = {
+  active: { variant: 'success', label: 'Active' },
+  paused: { variant: 'warning', label: 'Paused' },
+  ended: { variant: 'neutral', label: 'Ended' },
+};
+
+const DAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 7, label: 'Sun' },
+];
+
+const EMPTY_FORM = {
+  title: '',
+  client_id: '',
+  location: '',
+  description: '',
+  pay_rate: '',
+  charge_rate: '',
+  total_slots: 1,
+  break_minutes: 0,
+  days_of_week: [1, 2, 3, 4, 5],
+  start_time: '07:00',
+  end_time: '15:00',
+  start_date: '',
+  end_date: '',
+  horizon_days: 28,
+  skip_public_holidays: 1,
+  contract: '',
+};
+
+const toForm = (series) => ({
+  ...Object.fromEntries(Object.keys(EMPTY_FORM).map(key => [key, series[key] ?? EMPTY_FORM[key]])),
+  description: series.description || '',
+  end_date: series.end_date || '',
+  contract: series.tender_id ? `tender:${series.tender_id}` : series.renewal_id ? `renewal:${series.renewal_id}` : '',
+});
+
+const formatDate = (value) => new Date(`${value}T00:00:00`).toLocaleDateString('en-SG', {
+  weekday: 'short', day: 'numeric', month: 'short',
+});
+
+function SeriesFormModal({ isOpen, series, clients, contracts, onClose, onSaved }) {
+  const toast = useToast();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) setForm(series ? toForm(series) : EMPTY_FORM);
+  }, [isOpen, series]);
+
+  const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+
+  const toggleDay = (day) => setForm(f => ({
+    ...f,
+    days_of_week: f.days_of_week.includes(day) ? f.days_of_week.filter(d => d !== day) : [...f.days_of_week, day],
+  }));
+
+  const contractOptions = [
+    { value: '', label: 'No contract' },
+    ...contracts.tenders.map(t => ({ value: `tender:${t.id}`, label: `Tender · ${t.title}` })),
+    ...contracts.renewals.map(r => ({
+      value: `renewal:${r.id}`,
+      label: `Renewal · ${r.title || r.agency}${r.contract_end_date ? ` (ends ${r.contract_end_date})` : ''}`,
+    })),
+  ];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const [contractType, contractId] = form.contract.split(':');
+    const { contract, ...fields } = form; // eslint-disable-line no-unused-vars
+    const payload = {
+      ...fields,
+      pay_rate: Number(form.pay_rate),
+      charge_rate: form.charge_rate === '' ? null : Number(form.charge_rate),
+      total_slots: Number(form.total_slots),
+      break_minutes: Number(form.break_minutes),
+      horizon_days: Number(form.horizon_days),
+      end_date: form.end_date || null,
+      tender_id: contractType === 'tender' ? contractId : null,
+      renewal_id: contractType === 'renewal' ? contractId : null,
+    };
+
+    setSaving(true);
+    try {
+      const res = series
+        ? await api.jobSeries.update(series.id, payload)
+        : await api.jobSeries.create(payload);
+      if (res.success) {
+        const conflicts = res.data.conflicts || [];
+        if (conflicts.length > 0) {
+          toast.warning('Roster Updated', `${conflicts.length} booked shift${conflicts.length === 1 ? ' no longer fits' : 's no longer fit'} the pattern - review them below`);
+        } else {
+          toast.success(series ? 'Roster Updated' : 'Roster Created', `${res.data.occurrences.length} upcoming shifts`);
+        }
+        onSaved(res.data);
+      }
+    } catch (error) {
+      toast.error('Save Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={series ? 'Edit Roster' : 'New Roster'}
+      description={series
+        ? 'Changes apply to every upcoming shift that has not been edited on its own.'
+        : 'Jobs are created for each shift up to the horizon and topped up every night.'}
+      size="lg"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Input label="Title" value={form.title} onChange={set('title')} required />
+          {series ? (
+            <Input label="Client" value={series.client_name || series.client_id} disabled />
+          ) : (
+            <Select
+              label="Client"
+              value={form.client_id}
+              onChange={(value) => setForm(f => ({ ...f, client_id: value }))}
+              options={clients.map(c => ({ value: c.id, label: c.company_name }))}
+              placeholder="Select client..."
+            />
+          )}
+        </div>
+        <Input label="Location" value={form.location} onChange={set('location')} required />
+        <Textarea label="Description" rows={2} value={form.description} onChange={set('description')} />
+
+        <div>
+          <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1.5">Days</label>
+          <div className="flex flex-wrap gap-2">
+            {DAYS.map(day => (
+              <button
+                key={day.value}
+                type="button"
+                onClick={() => toggleDay(day.value)}
+                className={clsx(
+                  'px-3 py-1.5 rounded-lg text-sm font-medium border transition-colors',
+                  form.days_of_week.includes(day.value)
+                    ? 'bg-primary-500 border-primary-500 text-white'
+                    : 'border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300'
+                )}
+              >
+                {day.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+          <Input label="Start time" type="time" value={form.start_time} onChange={set('start_time')} required />
+          <Input label="End time" type="time" value={form.end_time} onChange={set('end_time')} required />
+          <Input label="Workers per shift" type="number" min="1" value={form.total_slots} onChange={set('total_slots')} required />
+          <Input label="Break (min)" type="number" min="0" value={form.break_minutes} onChange={set('break_minutes')} />
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+          <Input label="Pay rate ($/h)" type="number" step="0.01" value={form.pay_rate} onChange={set('pay_rate')} required />
+          <Input label="Charge rate ($/h)" type="number" step="0.01" value={form.charge_rate} onChange={set('charge_rate')} hint="Blank = 30% markup" />
+          <Input label="Start date" type="date" value={form.start_date} onChange={set('start_date')} required />
+          <Input label="End date" type="date" value={form.end_date} onChange={set('end_date')} hint="Blank = contract end" />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Select
+            label="Contract"
+            value={form.contract}
+            onChange={(value) => setForm(f => ({ ...f, contract: value }))}
+            options={contractOptions}
+          />
+          <Input
+            label="Horizon (days)"
+            type="number"
+            min="1"
+            max="90"
+            value={form.horizon_days}
+            onChange={set('horizon_days')}
+            hint="How far ahead jobs are created"
+          />
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+          <input
+            type="checkbox"
+            checked={!!form.skip_public_holidays}
+            onChange={(e) => setForm(f => ({ ...f, skip_public_holidays: e.target.checked ? 1 : 0 }))}
+            className="rounded border-slate-300"
+          />
+          Skip public holidays
+        </label>
+
+        <ModalFooter>
+          <Button variant="secondary" type="button" onClick={onClose}>Cancel</Button>
+          <Button type="submit" loading={saving} disabled={form.days_of_week.length === 0 || (!series && !form.client_id)}>
+            {series ? 'Save Changes' : 'Create Roster'}
+          </Button>
+        </ModalFooter>
+      </form>
+    </Modal>
+  );
+}
+
+function CancelShiftsModal({ series, onClose, onCancelled }) {
+  const toast = useToast();
+  const [form, setForm] = useState({ from_date: '', to_date: '', reason: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (series) setForm({ from_date: '', to_date: '', reason: '' });
+  }, [series]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await api.jobSeries.cancel(series.id, { ...form, to_date: form.to_date || null });
+      if (res.success) {
+        toast.success('Shifts Cancelled', `${res.data.jobs_cancelled} shifts cancelled, ${res.data.workers_notified} workers notified`);
+        onCancelled(res.data.series);
+      }
+    } catch (error) {
+      toast.error('Cancel Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={!!series}
+      onClose={onClose}
+      title="Cancel Shifts"
+      description="Booked workers are told their shift is cancelled. Leave the end date blank to end the roster."
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <Input label="From" type="date" value={form.from_date} onChange={e => setForm(f => ({ ...f, from_date: e.target.value }))} required />
+          <Input label="To" type="date" value={form.to_date} onChange={e => setForm(f => ({ ...f, to_date: e.target.value }))} />
+        </div>
+        <Textarea label="Reason" rows={2} value={form.reason} onChange={e => setForm(f => ({ ...f, reason: e.target.value }))} hint="Sent to booked workers" />
+        <ModalFooter>
+          <Button variant="secondary" type="button" onClick={onClose}>Back</Button>
+          <Button type="submit" variant="danger" loading={saving}>
+            {form.to_date ? 'Cancel Shifts' : 'End Roster'}
+          </Button>
+        </ModalFooter>
+      </form>
+    </Modal>
+  );
+}
+
+function SeriesDetailModal({ series, onClose, onEdit, onCancelShifts, onChange }) {
+  const toast = useToast();
+  const [exception, setException] = useState({ date: '', action: 'skip', reason: '' });
+  const [busy, setBusy] = useState(null);
+
+  const run = async (key, action, successTitle) => {
+    setBusy(key);
+    try {
+      const res = await action();
+      if (res.success) {
+        if (successTitle) toast.success(successTitle);
+        onChange(series.id);
+      }
+    } catch (error) {
+      toast.error('Update Failed', error.data?.error || error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!series) return null;
+
+  const upcoming = series.occurrences.filter(o => o.status !== 'cancelled');
+
+  return (
+    <Modal isOpen onClose={onClose} title={series.title} description={`${series.schedule_label} · ${series.start_time}–${series.end_time} · ${series.total_slots} per shift`} size="xl">
+      <div className="space-y-6">
+        <div className="flex flex-wrap gap-2">
+          {series.status !== 'ended' && (
+            <>
+              <Button variant="secondary" size="sm" icon={PencilIcon} onClick={onEdit}>Edit Series</Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                icon={series.status === 'active' ? PauseIcon : PlayIcon}
+                loading={busy === 'status'}
+                onClick={() => run('status', () => api.jobSeries.update(series.id, {
+                  status: series.status === 'active' ? 'paused' : 'active',
+                }), series.status === 'active' ? 'Roster Paused' : 'Roster Resumed')}
+              >
+                {series.status === 'active' ? 'Pause' : 'Resume'}
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                icon={RefreshCwIcon}
+                loading={busy === 'generate'}
+                disabled={series.status !== 'active'}
+                onClick={() => run('generate', () => api.jobSeries.generate(series.id), 'Shifts Generated')}
+              >
+                Generate Now
+              </Button>
+              <Button variant="danger" size="sm" icon={BanIcon} onClick={onCancelShifts}>Cancel Shifts</Button>
+            </>
+          )}
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-slate-900 dark:text-white mb-2">
+            Shifts ({upcoming.length} scheduled)
+          </h3>
+          {series.occurrences.length > 0 ? (
+            <div className="max-h-72 overflow-y-auto divide-y divide-slate-100 dark:divide-slate-800">
+              {series.occurrences.map(job => (
+                <div key={job.id} className="py-2 flex items-center gap-3 text-sm">
+                  <span className="w-28 text-slate-900 dark:text-white">{formatDate(job.series_date)}</span>
+                  <StatusBadge status={job.status} />
+                  <span className="text-slate-500">{job.booked}/{job.total_slots} booked</span>
+                  {job.series_detached === 1 && <Badge variant="info">Edited</Badge>}
+                  <div className="ml-auto flex items-center gap-2">
+                    <Link to={`/jobs/${job.id}`} className="text-primary-600 hover:underline flex items-center gap-1">
+                      Edit shift <ExternalLinkIcon className="h-3 w-3" />
+                    </Link>
+                    {['open', 'filled'].includes(job.status) && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        icon={CalendarXIcon}
+                        loading={busy === job.id}
+                        onClick={() => run(job.id, () => api.jobSeries.addException(series.id, {
+                          date: job.series_date, action: 'skip',
+                        }), 'Shift Skipped')}
+                      >
+                        Skip
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-slate-500">No shifts generated yet</p>
+          )}
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-slate-900 dark:text-white mb-2">Exceptions</h3>
+          {series.exceptions.length > 0 && (
+            <div className="space-y-1 mb-3">
+              {series.exceptions.map(ex => (
+                <div key={ex.id} className="flex items-center gap-3 text-sm">
+                  <span className="w-28 text-slate-900 dark:text-white">{formatDate(ex.exception_date)}</span>
+                  <Badge variant={ex.action === 'skip' ? 'warning' : 'info'}>{ex.action === 'skip' ? 'Skipped' : 'Extra shift'}</Badge>
+                  <span className="text-slate-500 flex-1">{ex.reason}</span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    icon={TrashIcon}
+                    title="Remove exception"
+                    loading={busy === ex.id}
+                    onClick={() => run(ex.id, () => api.jobSeries.removeException(series.id, ex.id))}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+          {series.status !== 'ended' && (
+            <div className="flex flex-wrap items-end gap-2">
+              <Input type="date" value={exception.date} onChange={e => setException(x => ({ ...x, date: e.target.value }))} />
+              <Select
+                value={exception.action}
+                onChange={(value) => setException(x => ({ ...x, action: value }))}
+                options={[{ value: 'skip', label: 'Skip this date' }, { value: 'work', label: 'Add a shift' }]}
+              />
+              <Input
+                placeholder="Reason (optional)"
+                value={exception.reason}
+                onChange={e => setException(x => ({ ...x, reason: e.target.value }))}
+                className="flex-1"
+              />
+              <Button
+                variant="secondary"
+                icon={CalendarPlusIcon}
+                loading={busy === 'exception'}
+                disabled={!exception.date}
+                onClick={() => run('exception', async () => {
+                  const res = await api.jobSeries.addException(series.id, exception);
+                  setException({ date: '', action: 'skip', reason: '' });
+                  return res;
+                }, 'Exception Added')}
+              >
+                Add
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function HolidaysCard() {
+  const toast = useToast();
+  const year = new Date().getFullYear();
+  const [holidays, setHolidays] = useState([]);
+  const [form, setForm] = useState({ date: '', name: '' });
+  const [saving, setSaving] = useState(false);
+
+  const load = async () => {
+    try {
+      const res = await api.jobSeries.getHolidays({ year });
+      if (res.success) setHolidays(res.data);
+    } catch (error) {
+      console.error('Failed to fetch public holidays:', error);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await api.jobSeries.addHoliday(form);
+      if (res.success) {
+        const { jobs_cancelled, staffed } = res.data;
+        toast.success('Holiday Added', staffed.length > 0
+          ? `${jobs_cancelled} open shifts cancelled; ${staffed.length} booked shifts kept - cancel them from their roster if needed`
+          : `${jobs_cancelled} roster shifts cancelled`);
+        setForm({ date: '', name: '' });
+        await load();
+      }
+    } catch (error) {
+      toast.error('Add Failed', error.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (date) => {
+    try {
+      await api.jobSeries.removeHoliday(date);
+      await load();
+    } catch (error) {
+      toast.error('Remove Failed', error.data?.error || error.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Public Holidays {year}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="divide-y divide-slate-100 dark:divide-slate-800">
+          {holidays.map(h => (
+            <div key={h.holiday_date} className="py-2 flex items-center gap-3 text-sm">
+              <span className="w-28 text-slate-500">{formatDate(h.holiday_date)}</span>
+              <span className="flex-1 text-slate-900 dark:text-white">{h.name}</span>
+              <Button variant="ghost" size="sm" icon={TrashIcon} title="Remove holiday" onClick={() => handleRemove(h.holiday_date)} />
+            </div>
+          ))}
+          {holidays.length === 0 && <p className="text-sm text-slate-500 py-2">No public holidays set for {year}</p>}
+        </div>
+        <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2">
+          <Input type="date" value={form.date} onChange={e => setForm(f => ({ ...f, date: e.target.value }))} required />
+          <Input placeholder="Name" value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} required className="flex-1" />
+          <Button type="submit" variant="secondary" icon={PlusIcon} loading={saving}>Add</Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function Rosters() {
+  const toast = useToast();
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [clients, setClients] = useState([]);
+  const [contracts, setContracts] = useState({ tenders: [], renewals: [] });
+  const [selected, setSelected] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [cancelling, setCancelling] = useState(null);
+
+  const fetchSeries = async () => {
+    try {
+      const res = await api.jobSeries.getAll({ status: statusFilter });
+      if (res.success) setSeries(res.data);
+    } catch (error) {
+      console.error('Failed to fetch rosters:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSeries();
+  }, [statusFilter]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    api.clients.getAll().then(res => res.success && setClients(res.data)).catch(() => {});
+    api.jobSeries.getContracts().then(res => res.success && setContracts(res.data)).catch(() => {});
+  }, []);
+
+  const openSeries = async (id) => {
+    try {
+      const res = await api.jobSeries.getById(id);
+      if (res.success) setSelected(res.data);
+    } catch (error) {
+      toast.error('Roster Unavailable', error.data?.error || error.message);
+    }
+  };
+
+  const handleSaved = (saved) => {
+    setFormOpen(false);
+    setEditing(null);
+    setSelected(saved);
+    fetchSeries();
+  };
+
+  const columns = [
+    {
+      header: 'Roster',
+      accessor: 'title',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-slate-900 dark:text-white">{value}</p>
+          <p className="text-xs text-slate-500">{row.client_name} · {row.location}</p>
+        </div>
+      ),
+    },
+    {
+      header: 'Schedule',
+      accessor: 'schedule_label',
+      render: (value, row) => (
+        <div>
+          <p className="text-slate-900 dark:text-white">{value}</p>
+          <p className="text-xs text-slate-500">{row.start_time}–{row.end_time} · {row.total_slots} per shift</p>
+        </div>
+      ),
+    },
+    {
+      header: 'Runs',
+      accessor: 'start_date',
+      render: (value, row) => (
+        <span className="text-slate-600 dark:text-slate-400">{value} → {row.end_date || 'open-ended'}</span>
+      ),
+    },
+    {
+      header: 'Contract',
+      accessor: 'tender_title',
+      render: (value, row) => <span className="text-slate-600 dark:text-slate-400">{value || row.renewal_title || '-'}</span>,
+    },
+    {
+      header: 'Upcoming',
+      accessor: 'upcoming_jobs',
+      render: (value, row) => (
+        <div>
+          <p className="text-slate-900 dark:text-white">{value} shifts</p>
+          {row.unfilled_jobs > 0 && <p className="text-xs text-amber-600">{row.unfilled_jobs} not fully staffed</p>}
+        </div>
+      ),
+    },
+    {
+      header: 'Status',
+      accessor: 'status',
+      render: (value) => <Badge variant={SERIES_BADGES[value].variant}>{SERIES_BADGES[value].label}</Badge>,
+    },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-2">
+            <RepeatIcon className="h-6 w-6 text-primary-500" />
+            Rosters
+          </h1>
+          <p className="text-slate-500 dark:text-slate-400 mt-1">Recurring shifts that create jobs automatically</p>
+        </div>
+        <Button icon={PlusIcon} onClick={() => { setEditing(null); setFormOpen(true); }}>New Roster</Button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-4">
+          <Select
+            value={statusFilter}
+            onChange={setStatusFilter}
+            options={[
+              { value: 'active', label: 'Active' },
+              { value: 'paused', label: 'Paused' },
+              { value: 'ended', label: 'Ended' },
+              { value: 'all', label: 'All Rosters' },
+            ]}
+            containerClassName="w-48"
+          />
+          <Table
+            columns={columns}
+            data={series}
+            loading={loading}
+            emptyMessage="No rosters yet"
+            onRowClick={(row) => openSeries(row.id)}
+          />
+        </div>
+        <HolidaysCard />
+      </div>
+
+      <SeriesFormModal
+        isOpen={formOpen}
+        series={editing}
+        clients={clients}
+        contracts={contracts}
+        onClose={() => { setFormOpen(false); setEditing(null); }}
+        onSaved={handleSaved}
+      />
+
+      <SeriesDetailModal
+        series={formOpen || cancelling ? null : selected}
+        onClose={() => setSelected(null)}
+        onEdit={() => { setEditing(selected); setFormOpen(true); }}
+        onCancelShifts={() => setCancelling(selected)}
+        onChange={(id) => { openSeries(id); fetchSeries(); }}
+      />
+
+      <CancelShiftsModal
+        series={cancelling}
+        onClose={() => setCancelling(null)}
+        onCancelled={(updated) => { setCancelling(null); setSelected(updated); fetchSeries(); }}
+      />
+    </div>
+  );
+}
@@ -12,6 +12,9 @@ import {
 import Card, { CardHeader, CardTitle, CardContent } from '../components/ui/Card';
 import Button from '../components/ui/Button';
 import Modal, { ModalFooter } from '../components/ui/Modal';
+import { TeamAccess, AuditLog } from '../components/settings';
+import { RequirePermission } from '../components/auth/ProtectedRoute';
+import { api } from '../shared/services/api';
 
 export default function Settings() {
   const [stats, setStats] = useState(null);
@@ -41,10 +44,7 @@ export default function Settings() {
   const handleResetDatabase = async () => {
     setResetting(true);
     try {
-      const res = await fetch('/api/v1/admin/reset-to-sample', {
-        method: 'POST',
-      });
-      const data = await res.json();
+      const data = await api.client.postJSON('/api/v1/admin/reset-to-sample');
       if (data.success) {
         setResetSuccess(true);
         await fetchStats();
@@ -115,6 +115,13 @@ export default function Settings() {
         </CardContent>
       </Card>
 
+      <RequirePermission permission="users:manage">
+        <TeamAccess />
+      </RequirePermission>
+      <RequirePermission permission="audit:read">
+        <AuditLog />
+      </RequirePermission>
+
       {/* Development Tools */}
       <Card className="border-amber-200 dark:border-amber-900/50">
         <CardHeader>
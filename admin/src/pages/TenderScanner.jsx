@@ -145,6 +145,10 @@ export default function TenderScanner() {
             portals={scanner.portals}
             portalsLoading={scanner.portalsLoading}
             onTogglePortal={scanner.handleTogglePortal}
+            portalRuns={scanner.portalRuns}
+            runningPortal={scanner.runningPortal}
+            onRunPortal={scanner.handleRunPortal}
+            onLoadRuns={scanner.fetchPortalRuns}
             categories={scanner.categories}
             enabledCategories={scanner.enabledCategories}
             onToggleCategory={scanner.handleToggleCategory}
@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { AlertCircleIcon, CheckCircleIcon, ClockIcon } from 'lucide-react';
+import { api } from '../shared/services/api';
+import Button from '../components/ui/Button';
+import Input from '../components/ui/Input';
+import Logo from '../components/ui/Logo';
+
+const formatTime = (value) => {
+  if (!value) return '-';
+  // SQLite timestamps are UTC without a zone suffix
+  const date = new Date(value.replace(' ', 'T') + 'Z');
+  return date.toLocaleTimeString('en-SG', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Singapore' });
+};
+
+/**
+ * Public page opened from the emailed review link.
+ * Client supervisors approve or dispute a worker's timesheet without an admin login.
+ */
+export default function TimesheetReview() {
+  const { token } = useParams();
+  const [timesheet, setTimesheet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [supervisorName, setSupervisorName] = useState('');
+  const [disputeReason, setDisputeReason] = useState('');
+  const [showDispute, setShowDispute] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+
+  useEffect(() => {
+    fetchTimesheet();
+  }, [token]);
+
+  const fetchTimesheet = async () => {
+    try {
+      const data = await api.timesheets.getForReview(token);
+      if (data.success) setTimesheet(data.data);
+    } catch (err) {
+      setError('This review link is invalid or has already been used.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApprove = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      const data = await api.timesheets.approveReview(token, supervisorName);
+      if (data.success) setOutcome('approved');
+    } catch (err) {
+      setError(err.message || 'Could not approve the timesheet');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDispute = async () => {
+    if (!disputeReason.trim()) {
+      setError('Please tell us what is wrong with the recorded hours');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      const data = await api.timesheets.disputeReview(token, supervisorName, disputeReason.trim());
+      if (data.success) setOutcome('disputed');
+    } catch (err) {
+      setError(err.message || 'Could not dispute the timesheet');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 dark:bg-slate-950 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="flex justify-center mb-8">
+          <Logo size="lg" />
+        </div>
+
+        <div className="bg-white dark:bg-slate-900 rounded-2xl border border-slate-200 dark:border-slate-800 shadow-xl p-8">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin h-8 w-8 border-2 border-primary-500 border-t-transparent rounded-full" />
+            </div>
+          ) : outcome ? (
+            <div className="text-center py-4">
+              <CheckCircleIcon className="h-12 w-12 text-emerald-500 mx-auto mb-3" />
+              <h2 className="text-xl font-semibold text-slate-900 dark:text-white">
+                {outcome === 'approved' ? 'Timesheet approved' : 'Dispute submitted'}
+              </h2>
+              <p className="text-slate-500 dark:text-slate-400 mt-1">
+                {outcome === 'approved'
+                  ? 'Thank you. The hours have been confirmed.'
+                  : 'Our team will review the hours and send a corrected timesheet.'}
+              </p>
+            </div>
+          ) : !timesheet ? (
+            <div className="text-center py-4">
+              <AlertCircleIcon className="h-12 w-12 text-red-500/70 mx-auto mb-3" />
+              <p className="text-slate-600 dark:text-slate-300">{error}</p>
+            </div>
+          ) : (
+            <div className="space-y-5">
+              <div>
+                <h2 className="text-xl font-semibold text-slate-900 dark:text-white">Timesheet approval</h2>
+                <p className="text-slate-500 dark:text-slate-400 mt-1">{timesheet.client_name}</p>
+              </div>
+
+              <div className="rounded-xl bg-slate-50 dark:bg-slate-800/50 p-4 space-y-2 text-sm">
+                <p className="font-medium text-slate-900 dark:text-white">{timesheet.candidate_name}</p>
+                <p className="text-slate-600 dark:text-slate-400">{timesheet.job_title} · {timesheet.job_date}</p>
+                <p className="text-slate-600 dark:text-slate-400">{timesheet.location}</p>
+                <div className="flex items-center gap-2 text-slate-600 dark:text-slate-400">
+                  <ClockIcon className="h-4 w-4" />
+                  <span>
+                    {formatTime(timesheet.clock_in_at)} - {formatTime(timesheet.clock_out_at)}
+                    {timesheet.break_minutes > 0 && ` (${timesheet.break_minutes} min break)`}
+                  </span>
+                </div>
+                <p className="text-lg font-semibold text-slate-900 dark:text-white">{timesheet.hours_worked} hours</p>
+              </div>
+
+              {error && (
+                <div className="p-3 rounded-lg bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 flex items-center gap-2" role="alert">
+                  <AlertCircleIcon className="h-4 w-4 text-red-600 dark:text-red-400 flex-shrink-0" />
+                  <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+                </div>
+              )}
+
+              <Input
+                id="supervisor_name"
+                label="Your name"
+                placeholder="Supervisor name"
+                value={supervisorName}
+                onChange={(e) => setSupervisorName(e.target.value)}
+              />
+
+              {showDispute && (
+                <Input
+                  id="dispute_reason"
+                  label="What is wrong with these hours?"
+                  placeholder="e.g. Worker left at 14:30"
+                  value={disputeReason}
+                  onChange={(e) => setDisputeReason(e.target.value)}
+                />
+              )}
+
+              <div className="flex gap-3">
+                {showDispute ? (
+                  <>
+                    <Button variant="ghost" className="flex-1" onClick={() => setShowDispute(false)} disabled={submitting}>
+                      Back
+                    </Button>
+                    <Button variant="danger" className="flex-1" onClick={handleDispute} loading={submitting}>
+                      Submit dispute
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    <Button variant="secondary" className="flex-1" onClick={() => setShowDispute(true)} disabled={submitting}>
+                      Dispute
+                    </Button>
+                    <Button variant="success" className="flex-1" onClick={handleApprove} loading={submitting}>
+                      Approve
+                    </Button>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
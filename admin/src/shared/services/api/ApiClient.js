@@ -11,7 +11,14 @@
  */
 
 class ApiClient {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.tokenKey] - sessionStorage key of the bearer token
+   * @param {string} [options.userKey] - sessionStorage key cleared with the token on a 401
+   */
+  constructor({ tokenKey = 'admin_token', userKey = 'admin_user' } = {}) {
+    this.tokenKey = tokenKey;
+    this.userKey = userKey;
     this.baseURL = import.meta.env.VITE_API_BASE_URL || '';
     this.timeout = 10000; // 10 seconds
     this.retryAttempts = 3;
@@ -27,7 +34,7 @@ class ApiClient {
   setupDefaultInterceptors() {
     // Add auth token to all requests
     this.requestInterceptors.push((config) => {
-      const token = sessionStorage.getItem('admin_token');
+      const token = sessionStorage.getItem(this.tokenKey);
       if (token && token !== 'demo-admin-token') {
         config.headers = {
           ...config.headers,
@@ -93,8 +100,8 @@ class ApiClient {
         // Could trigger logout here
         if (typeof window !== 'undefined' && window.location.pathname !== '/login') {
           console.warn('🔐 Authentication error detected');
-          sessionStorage.removeItem('admin_token');
-          sessionStorage.removeItem('admin_user');
+          sessionStorage.removeItem(this.tokenKey);
+          sessionStorage.removeItem(this.userKey);
         }
         break;
       case 403:
@@ -0,0 +1,109 @@
+/**
+ * Admin Users API Service
+ * Admin accounts, roles, invites and the audit log
+ */
+
+import apiClient from './ApiClient.js';
+
+function withQuery(path, params) {
+  const filteredParams = Object.fromEntries(
+    Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+  );
+  const searchParams = new URLSearchParams(filteredParams).toString();
+  return `${path}${searchParams ? `?${searchParams}` : ''}`;
+}
+
+const adminUsersService = {
+  /**
+   * Get all admin accounts
+   * @param {Object} [params] - { status }
+   * @returns {Promise<Object>} Accounts, deactivated last
+   */
+  async getAll(params = {}) {
+    return apiClient.getJSON(withQuery('/api/v1/admin-users', params));
+  },
+
+  /**
+   * Get the roles and the permissions each grants
+   * @returns {Promise<Object>} { roles, areas }
+   */
+  async getRoles() {
+    return apiClient.getJSON('/api/v1/admin-users/roles');
+  },
+
+  /**
+   * Invite an admin by email
+   * @param {Object} invite - { email, name, role }
+   * @returns {Promise<Object>} { user, inviteUrl, expiresAt }
+   */
+  async invite(invite) {
+    return apiClient.postJSON('/api/v1/admin-users/invite', invite);
+  },
+
+  /**
+   * Replace a pending invite link
+   * @param {string} id - Admin user ID
+   * @returns {Promise<Object>} { user, inviteUrl, expiresAt }
+   */
+  async resendInvite(id) {
+    return apiClient.postJSON(`/api/v1/admin-users/${id}/resend-invite`);
+  },
+
+  /**
+   * Change an admin's name or role
+   * @param {string} id - Admin user ID
+   * @param {Object} changes - { name, role }
+   * @returns {Promise<Object>} Updated account
+   */
+  async update(id, changes) {
+    return apiClient.patchJSON(`/api/v1/admin-users/${id}`, changes);
+  },
+
+  /**
+   * Revoke an admin's access
+   * @param {string} id - Admin user ID
+   * @returns {Promise<Object>} Updated account
+   */
+  async deactivate(id) {
+    return apiClient.postJSON(`/api/v1/admin-users/${id}/deactivate`);
+  },
+
+  /**
+   * Restore a deactivated admin's access
+   * @param {string} id - Admin user ID
+   * @returns {Promise<Object>} Updated account
+   */
+  async reactivate(id) {
+    return apiClient.postJSON(`/api/v1/admin-users/${id}/reactivate`);
+  },
+
+  /**
+   * Set a password from an invite link; signs the new admin in
+   * @param {string} token - Token from the invite link
+   * @param {string} password - New password
+   * @returns {Promise<Object>} { data, token }
+   */
+  async acceptInvite(token, password) {
+    const response = await apiClient.postJSON('/api/v1/admin-users/accept-invite', { token, password });
+
+    if (response.success && response.token) {
+      sessionStorage.setItem('admin_token', response.token);
+      sessionStorage.setItem('admin_user', JSON.stringify(response.data));
+      localStorage.setItem('admin_token', response.token);
+      localStorage.setItem('admin_user', JSON.stringify(response.data));
+    }
+
+    return response;
+  },
+
+  /**
+   * Get audit log entries, newest first
+   * @param {Object} [params] - { userId, resourceType, resourceId, limit, offset }
+   * @returns {Promise<Object>} Entries and total count
+   */
+  async getAudit(params = {}) {
+    return apiClient.getJSON(withQuery('/api/v1/admin-users/audit', params));
+  },
+};
+
+export default adminUsersService;
@@ -47,6 +47,23 @@ const alertService = {
     return response.json();
   },
 
+  /**
+   * Fields and operators expression rules can use, per subject
+   */
+  async getRuleFields() {
+    const response = await client.get('/api/v1/alerts/rules/fields');
+    return response.json();
+  },
+
+  /**
+   * Test an expression rule against the last 30 days without saving it
+   * @param {Object} data - subject, expression, window_days, dedup_minutes
+   */
+  async previewAlertRule(data) {
+    const response = await client.post('/api/v1/alerts/rules/preview', data);
+    return response.json();
+  },
+
   // ========== ALERT HISTORY ==========
 
   /**
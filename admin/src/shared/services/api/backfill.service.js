@@ -0,0 +1,37 @@
+/**
+ * Backfill API Service
+ * Handles replacement offers for cancelled and no-show deployments
+ */
+
+import apiClient from './ApiClient.js';
+
+const backfillService = {
+  /**
+   * Get backfill requests and offers for a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Requests with their offers, newest first
+   */
+  async getForJob(jobId) {
+    return apiClient.getJSON(`/api/v1/backfill/jobs/${jobId}`);
+  },
+
+  /**
+   * Close the current wave and offer the slot to the next group now
+   * @param {string} requestId - Backfill request ID
+   * @returns {Promise<Object>} New offers and the updated request
+   */
+  async advanceWave(requestId) {
+    return apiClient.postJSON(`/api/v1/backfill/requests/${requestId}/next-wave`, {});
+  },
+
+  /**
+   * Stop backfilling a slot
+   * @param {string} requestId - Backfill request ID
+   * @returns {Promise<Object>} Updated request
+   */
+  async cancelRequest(requestId) {
+    return apiClient.postJSON(`/api/v1/backfill/requests/${requestId}/cancel`, {});
+  },
+};
+
+export default backfillService;
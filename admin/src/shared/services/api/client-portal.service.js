@@ -0,0 +1,183 @@
+/**
+ * Client Portal API Service
+ * Used by client contacts at /admin/client. Keeps its own session
+ * (client_token) so it never mixes with an admin sign-in in the same browser.
+ */
+
+import { ApiClient } from './ApiClient.js';
+
+export const CLIENT_TOKEN_KEY = 'client_token';
+export const CLIENT_USER_KEY = 'client_user';
+
+const portalClient = new ApiClient({ tokenKey: CLIENT_TOKEN_KEY, userKey: CLIENT_USER_KEY });
+
+function withQuery(path, params) {
+  const filteredParams = Object.fromEntries(
+    Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+  );
+  const searchParams = new URLSearchParams(filteredParams).toString();
+  return `${path}${searchParams ? `?${searchParams}` : ''}`;
+}
+
+function storeSession(response) {
+  if (response.success && response.token) {
+    sessionStorage.setItem(CLIENT_TOKEN_KEY, response.token);
+    sessionStorage.setItem(CLIENT_USER_KEY, JSON.stringify(response.data));
+  }
+  return response;
+}
+
+const clientPortalService = {
+  /**
+   * Sign a client contact in
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<Object>} { data, token }
+   */
+  async login(email, password) {
+    return storeSession(await portalClient.postJSON('/api/v1/client-portal/login', { email, password }));
+  },
+
+  /**
+   * Set a password from an invite link; signs the contact in
+   * @param {string} token - Token from the invite link
+   * @param {string} password - New password
+   * @returns {Promise<Object>} { data, token }
+   */
+  async acceptInvite(token, password) {
+    return storeSession(await portalClient.postJSON('/api/v1/client-portal/accept-invite', { token, password }));
+  },
+
+  /**
+   * Forget the stored client session
+   */
+  logout() {
+    sessionStorage.removeItem(CLIENT_TOKEN_KEY);
+    sessionStorage.removeItem(CLIENT_USER_KEY);
+  },
+
+  /**
+   * The stored contact, if signed in
+   * @returns {Object|null}
+   */
+  getCurrentUser() {
+    if (!sessionStorage.getItem(CLIENT_TOKEN_KEY)) return null;
+    try {
+      return JSON.parse(sessionStorage.getItem(CLIENT_USER_KEY));
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Get the signed-in contact and their company
+   * @returns {Promise<Object>} Profile
+   */
+  async me() {
+    return portalClient.getJSON('/api/v1/client-portal/me');
+  },
+
+  /**
+   * Get the company's shifts and shift requests
+   * @param {Object} [params] - { status, from_date, to_date }
+   * @returns {Promise<Object>} Jobs with assigned worker counts
+   */
+  async getJobs(params = {}) {
+    return portalClient.getJSON(withQuery('/api/v1/client-portal/jobs', params));
+  },
+
+  /**
+   * Request a shift; it stays pending until WorkLink approves it
+   * @param {Object} request - { title, description, job_date, start_time, end_time, location, total_slots, request_notes }
+   * @returns {Promise<Object>} Created job request
+   */
+  async requestJob(request) {
+    return portalClient.postJSON('/api/v1/client-portal/jobs', request);
+  },
+
+  /**
+   * Get a shift with its assigned workers
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Job with workers
+   */
+  async getJob(id) {
+    return portalClient.getJSON(`/api/v1/client-portal/jobs/${id}`);
+  },
+
+  /**
+   * Rate a worker once their shift has ended
+   * @param {string} deploymentId - Deployment ID
+   * @param {Object} rating - { rating, feedback }
+   * @returns {Promise<Object>} Updated deployment
+   */
+  async rateWorker(deploymentId, rating) {
+    return portalClient.postJSON(`/api/v1/client-portal/deployments/${deploymentId}/rating`, rating);
+  },
+
+  /**
+   * Get the company's timesheets
+   * @param {Object} [params] - { status }
+   * @returns {Promise<Object>} Timesheets
+   */
+  async getTimesheets(params = {}) {
+    return portalClient.getJSON(withQuery('/api/v1/client-portal/timesheets', params));
+  },
+
+  /**
+   * Approve a submitted timesheet
+   * @param {string} id - Timesheet ID
+   * @returns {Promise<Object>} Updated timesheet
+   */
+  async approveTimesheet(id) {
+    return portalClient.postJSON(`/api/v1/client-portal/timesheets/${id}/approve`);
+  },
+
+  /**
+   * Dispute a submitted timesheet
+   * @param {string} id - Timesheet ID
+   * @param {string} reason - What is wrong with it
+   * @returns {Promise<Object>} Updated timesheet
+   */
+  async disputeTimesheet(id, reason) {
+    return portalClient.postJSON(`/api/v1/client-portal/timesheets/${id}/dispute`, { reason });
+  },
+
+  /**
+   * Get issued invoices
+   * @returns {Promise<Object>} Invoices
+   */
+  async getInvoices() {
+    return portalClient.getJSON('/api/v1/client-portal/invoices');
+  },
+
+  /**
+   * Download an invoice
+   * @param {string} id - Invoice ID
+   * @returns {Promise<Blob>} PDF file
+   */
+  async downloadInvoicePdf(id) {
+    const response = await portalClient.get(`/api/v1/client-portal/invoices/${id}/pdf`);
+    return response.blob();
+  },
+
+  /**
+   * Get attendance history
+   * @param {Object} [params] - { from_date, to_date }
+   * @returns {Promise<Object>} One row per deployment
+   */
+  async getAttendance(params = {}) {
+    return portalClient.getJSON(withQuery('/api/v1/client-portal/attendance', params));
+  },
+
+  /**
+   * Download attendance history as CSV
+   * @param {Object} [params] - { from_date, to_date }
+   * @returns {Promise<Blob>} CSV file
+   */
+  async downloadAttendanceCsv(params = {}) {
+    const response = await portalClient.get(withQuery('/api/v1/client-portal/attendance', { ...params, format: 'csv' }));
+    return response.blob();
+  },
+};
+
+export default clientPortalService;
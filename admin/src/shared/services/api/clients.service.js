@@ -264,6 +264,45 @@ const clientsService = {
     const searchParams = new URLSearchParams(params).toString();
     const url = `/api/v1/clients/${id}/activity${searchParams ? `?${searchParams}` : ''}`;
     return apiClient.getJSON(url);
+  },
+
+  /**
+   * Get the client's portal accounts
+   * @param {string|number} id - Client ID
+   * @returns {Promise<Object>} Portal users
+   */
+  async getPortalUsers(id) {
+    return apiClient.getJSON(`/api/v1/clients/${id}/portal-users`);
+  },
+
+  /**
+   * Invite a client contact to the portal
+   * @param {string|number} id - Client ID
+   * @param {Object} invite - { email, name, phone }
+   * @returns {Promise<Object>} { user, inviteUrl, expiresAt }
+   */
+  async invitePortalUser(id, invite) {
+    return apiClient.postJSON(`/api/v1/clients/${id}/portal-users`, invite);
+  },
+
+  /**
+   * Replace a pending portal invite link
+   * @param {string|number} id - Client ID
+   * @param {string} userId - Portal user ID
+   * @returns {Promise<Object>} { user, inviteUrl, expiresAt }
+   */
+  async resendPortalInvite(id, userId) {
+    return apiClient.postJSON(`/api/v1/clients/${id}/portal-users/${userId}/resend-invite`);
+  },
+
+  /**
+   * Revoke a contact's portal access
+   * @param {string|number} id - Client ID
+   * @param {string} userId - Portal user ID
+   * @returns {Promise<Object>} Updated portal user
+   */
+  async deactivatePortalUser(id, userId) {
+    return apiClient.postJSON(`/api/v1/clients/${id}/portal-users/${userId}/deactivate`);
   }
 };
 
@@ -0,0 +1,112 @@
+/**
+ * Tender Documents API Service
+ * Specification uploads and compliance matrices for BPO tenders
+ */
+
+import apiClient from './ApiClient.js';
+
+const documentsService = {
+  /**
+   * List documents uploaded against a tender
+   * @param {string} tenderId - Tender ID
+   * @returns {Promise<Object>} Documents (newest first)
+   */
+  async list(tenderId) {
+    return apiClient.getJSON(`/api/v1/bpo/documents/tenders/${tenderId}`);
+  },
+
+  /**
+   * Upload a specification and extract its requirements
+   * @param {string} tenderId - Tender ID
+   * @param {File} file - PDF, DOCX or TXT file
+   * @returns {Promise<Object>} Stored document and number of requirements added
+   */
+  async upload(tenderId, file) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    // Use fetch directly for FormData uploads
+    const token = sessionStorage.getItem('admin_token');
+    const response = await fetch(`/api/v1/bpo/documents/tenders/${tenderId}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+      body: formData,
+    });
+    return response.json();
+  },
+
+  /**
+   * Download the original uploaded file
+   * @param {string} id - Document ID
+   * @returns {Promise<Blob>} Document file
+   */
+  async download(id) {
+    const response = await apiClient.get(`/api/v1/bpo/documents/${id}/download`);
+    return response.blob();
+  },
+
+  /**
+   * Delete a document and the requirements extracted from it
+   * @param {string} id - Document ID
+   */
+  async remove(id) {
+    return apiClient.deleteJSON(`/api/v1/bpo/documents/${id}`);
+  },
+
+  /**
+   * Get the compliance matrix for a tender
+   * @param {string} tenderId - Tender ID
+   * @param {Object} [filters] - { status, owner }
+   * @returns {Promise<Object>} Tender, items and readiness summary
+   */
+  async getMatrix(tenderId, filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value)
+    );
+    const query = params.toString();
+    return apiClient.getJSON(`/api/v1/bpo/documents/tenders/${tenderId}/compliance${query ? `?${query}` : ''}`);
+  },
+
+  /**
+   * Add a requirement by hand
+   * @param {string} tenderId - Tender ID
+   * @param {Object} data - { ref, section, requirement, is_mandatory }
+   * @returns {Promise<Object>} Created item
+   */
+  async addItem(tenderId, data) {
+    return apiClient.postJSON(`/api/v1/bpo/documents/tenders/${tenderId}/compliance`, data);
+  },
+
+  /**
+   * Update a requirement's status, response or owner
+   * @param {string} itemId - Compliance item ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated item
+   */
+  async updateItem(itemId, data) {
+    return apiClient.patchJSON(`/api/v1/bpo/documents/compliance/${itemId}`, data);
+  },
+
+  /**
+   * Delete a requirement
+   * @param {string} itemId - Compliance item ID
+   */
+  async deleteItem(itemId) {
+    return apiClient.deleteJSON(`/api/v1/bpo/documents/compliance/${itemId}`);
+  },
+
+  /**
+   * Export the compliance matrix for the submission pack
+   * @param {string} tenderId - Tender ID
+   * @param {'xlsx'|'docx'} format - Export format
+   * @returns {Promise<Blob>} Exported file
+   */
+  async exportMatrix(tenderId, format = 'xlsx') {
+    const response = await apiClient.get(`/api/v1/bpo/documents/tenders/${tenderId}/compliance/export?format=${format}`);
+    return response.blob();
+  },
+};
+
+export default documentsService;
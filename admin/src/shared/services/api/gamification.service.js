@@ -44,10 +44,20 @@ const gamificationService = {
 
   /**
    * Get all quests
+   * @param {Object} params - Query parameters (e.g. include_inactive)
    * @returns {Promise<Object>} Quests data
    */
-  async getQuests() {
-    return apiClient.getJSON('/api/v1/gamification/quests');
+  async getQuests(params = {}) {
+    const searchParams = new URLSearchParams(params).toString();
+    return apiClient.getJSON(`/api/v1/gamification/quests${searchParams ? `?${searchParams}` : ''}`);
+  },
+
+  /**
+   * Get the events, fields, measures and operators quest rules can use
+   * @returns {Promise<Object>} Rule catalog
+   */
+  async getQuestRules() {
+    return apiClient.getJSON('/api/v1/gamification/quests/rules');
   },
 
   /**
@@ -151,6 +161,87 @@ const gamificationService = {
    */
   async updateTier(tierId, tierData) {
     return apiClient.putJSON(`/api/v1/gamification/tiers/${tierId}`, tierData);
+  },
+
+  /**
+   * Get every reward with stock, limits and purchase counts
+   * @returns {Promise<Object>} Reward inventory
+   */
+  async getRewardInventory() {
+    return apiClient.getJSON('/api/v1/gamification/rewards/inventory');
+  },
+
+  /**
+   * Update a reward's stock, per-worker limit, fulfilment type or active flag
+   * @param {string} rewardId - Reward ID
+   * @param {Object} changes - Fields to change (null stock/limit means unlimited)
+   * @returns {Promise<Object>} Updated reward
+   */
+  async updateRewardInventory(rewardId, changes) {
+    return apiClient.putJSON(`/api/v1/gamification/rewards/${rewardId}/inventory`, changes);
+  },
+
+  /**
+   * Get reward purchases for the fulfilment queue
+   * @param {Object} params - Query parameters (status, reward_id, limit)
+   * @returns {Promise<Object>} Purchases and counts by status
+   */
+  async getFulfilmentQueue(params = {}) {
+    const searchParams = new URLSearchParams(params).toString();
+    return apiClient.getJSON(`/api/v1/gamification/rewards/fulfilment${searchParams ? `?${searchParams}` : ''}`);
+  },
+
+  /**
+   * Mark a pending purchase as fulfilled
+   * @param {string} purchaseId - Purchase ID
+   * @param {string} [note] - Note shown to the worker
+   * @returns {Promise<Object>} Updated purchase
+   */
+  async fulfilPurchase(purchaseId, note) {
+    return apiClient.postJSON(`/api/v1/gamification/rewards/purchases/${purchaseId}/fulfil`, { note });
+  },
+
+  /**
+   * Refund a pending purchase, returning the worker's points
+   * @param {string} purchaseId - Purchase ID
+   * @param {string} reason - Reason shown to the worker
+   * @returns {Promise<Object>} Updated purchase
+   */
+  async refundPurchase(purchaseId, reason) {
+    return apiClient.postJSON(`/api/v1/gamification/rewards/purchases/${purchaseId}/refund`, { reason });
+  },
+
+  /**
+   * Get a voucher reward's code pool
+   * @param {string} rewardId - Reward ID
+   * @returns {Promise<Object>} Pool summary and masked codes
+   */
+  async getVoucherCodes(rewardId) {
+    return apiClient.getJSON(`/api/v1/gamification/rewards/${rewardId}/codes`);
+  },
+
+  /**
+   * Upload voucher codes to a reward's pool
+   * @param {string} rewardId - Reward ID
+   * @param {string} codes - One code per line, optionally "code,YYYY-MM-DD"
+   * @param {string} [expiresAt] - Expiry for lines without one
+   * @returns {Promise<Object>} Added and skipped counts, and line errors
+   */
+  async uploadVoucherCodes(rewardId, codes, expiresAt) {
+    return apiClient.postJSON(`/api/v1/gamification/rewards/${rewardId}/codes`, {
+      codes,
+      expires_at: expiresAt || undefined
+    });
+  },
+
+  /**
+   * Void an unassigned voucher code
+   * @param {string} rewardId - Reward ID
+   * @param {string} codeId - Voucher code ID
+   * @returns {Promise<Object>} Void confirmation
+   */
+  async voidVoucherCode(rewardId, codeId) {
+    return apiClient.postJSON(`/api/v1/gamification/rewards/${rewardId}/codes/${codeId}/void`, {});
   }
 };
 
@@ -0,0 +1,65 @@
+/**
+ * Stage Gates API Service
+ * Gate rules, approver sign-off and approval history for the BPO pipeline
+ */
+
+import apiClient from './ApiClient.js';
+
+const gatesService = {
+  /**
+   * Get the gate rules for every stage
+   * @returns {Promise<Object>} Rules in pipeline order
+   */
+  async getRules() {
+    return apiClient.getJSON('/api/v1/bpo/gates/rules');
+  },
+
+  /**
+   * Configure the gate into a stage
+   * @param {string} stage - Stage the gate guards
+   * @param {Object} rule - { name, require_pricing_scenario, require_compliance, min_margin_pct, required_approvals, approvers, is_active }
+   * @returns {Promise<Object>} Saved rule
+   */
+  async updateRule(stage, rule) {
+    return apiClient.putJSON(`/api/v1/bpo/gates/rules/${stage}`, rule);
+  },
+
+  /**
+   * Get the gate ahead of every open tender
+   * @returns {Promise<Object>} Gate status keyed by tender ID
+   */
+  async getBoard() {
+    return apiClient.getJSON('/api/v1/bpo/gates/board');
+  },
+
+  /**
+   * Get a tender's next gate and approval history
+   * @param {string} tenderId - Tender ID
+   * @returns {Promise<Object>} Next gate evaluation and history (newest first)
+   */
+  async getTender(tenderId) {
+    return apiClient.getJSON(`/api/v1/bpo/gates/tenders/${tenderId}`);
+  },
+
+  /**
+   * Notify the approvers of a tender's next gate
+   * @param {string} tenderId - Tender ID
+   * @param {string} [comment] - Note for the approvers
+   */
+  async requestApproval(tenderId, comment) {
+    return apiClient.postJSON(`/api/v1/bpo/gates/tenders/${tenderId}/request`, { comment });
+  },
+
+  /**
+   * Approve, reject or comment on a tender's next gate
+   * @param {string} tenderId - Tender ID
+   * @param {'approved'|'rejected'|'comment'} action - Decision
+   * @param {string} [comment] - Required for rejections and comments
+   * @returns {Promise<Object>} History entry and updated gate evaluation
+   */
+  async decide(tenderId, action, comment) {
+    return apiClient.postJSON(`/api/v1/bpo/gates/tenders/${tenderId}/decisions`, { action, comment });
+  },
+};
+
+export default gatesService;
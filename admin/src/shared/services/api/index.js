@@ -15,7 +15,14 @@ import clientsService from './clients.service.js';
 import analyticsService from './analytics.service.js';
 import chatService from './chat.service.js';
 import paymentsService from './payments.service.js';
+import payoutsService from './payouts.service.js';
 import deploymentsService from './deployments.service.js';
+import backfillService from './backfill.service.js';
+import ratingsService from './ratings.service.js';
+import jobSeriesService from './job-series.service.js';
+import shiftChangesService from './shift-changes.service.js';
+import timesheetsService from './timesheets.service.js';
+import invoicesService from './invoices.service.js';
 import gamificationService from './gamification.service.js';
 import trainingService from './training.service.js';
 import tenderService from './tender.service.js';
@@ -24,8 +31,13 @@ import notificationService from './notification.service.js';
 import renewalService from './renewal.service.js';
 import alertService from './alert.service.js';
 import lifecycleService from './lifecycle.service.js';
+import pricingService from './pricing.service.js';
+import documentsService from './documents.service.js';
+import gatesService from './gates.service.js';
 import pipelineService from './pipeline.service.js';
 import scannerService from './scanner.service.js';
+import adminUsersService from './admin-users.service.js';
+import clientPortalService from './client-portal.service.js';
 
 // Export individual services
 export { authService };
@@ -35,7 +47,14 @@ export { clientsService };
 export { analyticsService };
 export { chatService };
 export { paymentsService };
+export { payoutsService };
 export { deploymentsService };
+export { backfillService };
+export { ratingsService };
+export { jobSeriesService };
+export { shiftChangesService };
+export { timesheetsService };
+export { invoicesService };
 export { gamificationService };
 export { trainingService };
 export { tenderService };
@@ -44,8 +63,13 @@ export { notificationService };
 export { renewalService };
 export { alertService };
 export { lifecycleService };
+export { pricingService };
+export { documentsService };
+export { gatesService };
 export { pipelineService };
 export { scannerService };
+export { adminUsersService };
+export { clientPortalService };
 
 // Named exports for destructuring
 export {
@@ -56,7 +80,14 @@ export {
   analyticsService as analytics,
   chatService as chat,
   paymentsService as payments,
+  payoutsService as payouts,
   deploymentsService as deployments,
+  backfillService as backfill,
+  ratingsService as ratings,
+  jobSeriesService as jobSeries,
+  shiftChangesService as shiftChanges,
+  timesheetsService as timesheets,
+  invoicesService as invoices,
   gamificationService as gamification,
   trainingService as training,
   tenderService as tender,
@@ -65,8 +96,13 @@ export {
   renewalService as renewal,
   alertService as alert,
   lifecycleService as lifecycle,
+  pricingService as pricing,
+  documentsService as documents,
+  gatesService as gates,
   pipelineService as pipeline,
-  scannerService as scanner
+  scannerService as scanner,
+  adminUsersService as adminUsers,
+  clientPortalService as clientPortal
 };
 
 /**
@@ -82,7 +118,14 @@ export const api = {
   jobs: jobsService,
   clients: clientsService,
   deployments: deploymentsService,
+  backfill: backfillService,
+  ratings: ratingsService,
+  jobSeries: jobSeriesService,
+  shiftChanges: shiftChangesService,
+  timesheets: timesheetsService,
   payments: paymentsService,
+  payouts: payoutsService,
+  invoices: invoicesService,
   
   // Communication & Support
   chat: chatService,
@@ -97,9 +140,18 @@ export const api = {
   tender: tenderService,
   renewal: renewalService,
   lifecycle: lifecycleService,
+  pricing: pricingService,
+  documents: documentsService,
+  gates: gatesService,
   pipeline: pipelineService,
   scanner: scannerService,
   alert: alertService,
+
+  // Admin accounts
+  adminUsers: adminUsersService,
+
+  // Client self-service portal (separate client session)
+  clientPortal: clientPortalService,
   
   // Analytics
   analytics: analyticsService,
@@ -117,7 +169,14 @@ export const api = {
  * @typedef {typeof analyticsService} AnalyticsService
  * @typedef {typeof chatService} ChatService
  * @typedef {typeof paymentsService} PaymentsService
+ * @typedef {typeof payoutsService} PayoutsService
  * @typedef {typeof deploymentsService} DeploymentsService
+ * @typedef {typeof backfillService} BackfillService
+ * @typedef {typeof ratingsService} RatingsService
+ * @typedef {typeof jobSeriesService} JobSeriesService
+ * @typedef {typeof shiftChangesService} ShiftChangesService
+ * @typedef {typeof timesheetsService} TimesheetsService
+ * @typedef {typeof invoicesService} InvoicesService
  * @typedef {typeof gamificationService} GamificationService
  * @typedef {typeof trainingService} TrainingService
  * @typedef {typeof tenderService} TenderService
@@ -126,6 +185,11 @@ export const api = {
  * @typedef {typeof renewalService} RenewalService
  * @typedef {typeof alertService} AlertService
  * @typedef {typeof lifecycleService} LifecycleService
+ * @typedef {typeof pricingService} PricingService
+ * @typedef {typeof documentsService} DocumentsService
+ * @typedef {typeof gatesService} GatesService
+ * @typedef {typeof adminUsersService} AdminUsersService
+ * @typedef {typeof clientPortalService} ClientPortalService
  * @typedef {typeof apiClient} ApiClient
  */
 
@@ -0,0 +1,82 @@
+/**
+ * Invoices API Service
+ * Handles client invoice generation, status changes, receivables ageing and PDF export
+ */
+
+import apiClient from './ApiClient.js';
+
+const invoicesService = {
+  /**
+   * Get all invoices with optional filtering
+   * @param {Object} params - Query parameters (client_id, status, from_date, to_date)
+   * @returns {Promise<Object>} List of invoices
+   */
+  async getAll(params = {}) {
+    const filteredParams = Object.fromEntries(
+      Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+    );
+    const searchParams = new URLSearchParams(filteredParams).toString();
+    const url = `/api/v1/invoices${searchParams ? `?${searchParams}` : ''}`;
+    return apiClient.getJSON(url);
+  },
+
+  /**
+   * Get invoice by ID with line items
+   * @param {string} id - Invoice ID
+   * @returns {Promise<Object>} Invoice details
+   */
+  async getById(id) {
+    return apiClient.getJSON(`/api/v1/invoices/${id}`);
+  },
+
+  /**
+   * Get receivables ageing
+   * @param {string} [clientId] - Limit to one client
+   * @returns {Promise<Object>} Ageing buckets, per-client breakdown and outstanding invoices
+   */
+  async getAgeing(clientId) {
+    const url = `/api/v1/invoices/ageing${clientId ? `?client_id=${clientId}` : ''}`;
+    return apiClient.getJSON(url);
+  },
+
+  /**
+   * Generate draft invoices from completed deployments
+   * @param {Object} data - { period_start, period_end, client_id? } - all clients when client_id is omitted
+   * @returns {Promise<Object>} Generated invoices
+   */
+  async generate(data) {
+    return apiClient.postJSON('/api/v1/invoices/generate', data);
+  },
+
+  /**
+   * Change invoice status (sent, paid, overdue)
+   * @param {string} id - Invoice ID
+   * @param {string} status - New status
+   * @param {string} [paymentReference] - Bank reference when marking paid
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async updateStatus(id, status, paymentReference) {
+    return apiClient.patchJSON(`/api/v1/invoices/${id}/status`, { status, payment_reference: paymentReference });
+  },
+
+  /**
+   * Delete a draft invoice
+   * @param {string} id - Invoice ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async delete(id) {
+    return apiClient.deleteJSON(`/api/v1/invoices/${id}`);
+  },
+
+  /**
+   * Download invoice as PDF
+   * @param {string} id - Invoice ID
+   * @returns {Promise<Blob>} PDF file
+   */
+  async downloadPdf(id) {
+    const response = await apiClient.get(`/api/v1/invoices/${id}/pdf`);
+    return response.blob();
+  },
+};
+
+export default invoicesService;
@@ -0,0 +1,124 @@
+/**
+ * Job Series API Service
+ * Recurring rosters, their exceptions and bulk cancellation, and the public
+ * holiday calendar
+ */
+
+import apiClient from './ApiClient.js';
+
+const jobSeriesService = {
+  /**
+   * Get series
+   * @param {Object} params - { status, client_id, tender_id, renewal_id }
+   * @returns {Promise<Object>} Series with upcoming job counts
+   */
+  async getAll(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return apiClient.getJSON(`/api/v1/job-series${query ? `?${query}` : ''}`);
+  },
+
+  /**
+   * Get a series with its occurrences and exceptions
+   * @param {string} id - Series ID
+   * @returns {Promise<Object>} Series
+   */
+  async getById(id) {
+    return apiClient.getJSON(`/api/v1/job-series/${id}`);
+  },
+
+  /**
+   * Create a series and generate its first jobs
+   * @param {Object} data - Title, client, rates, days_of_week, times, dates, horizon
+   * @returns {Promise<Object>} Created series
+   */
+  async create(data) {
+    return apiClient.postJSON('/api/v1/job-series', data);
+  },
+
+  /**
+   * Edit a whole series, or pause / resume it
+   * @param {string} id - Series ID
+   * @param {Object} data - Changed fields, status
+   * @returns {Promise<Object>} Series with conflicts (booked shifts that no longer fit)
+   */
+  async update(id, data) {
+    return apiClient.patchJSON(`/api/v1/job-series/${id}`, data);
+  },
+
+  /**
+   * Generate missing jobs now
+   * @param {string} id - Series ID
+   * @returns {Promise<Object>} { jobs_created, jobs }
+   */
+  async generate(id) {
+    return apiClient.postJSON(`/api/v1/job-series/${id}/generate`, {});
+  },
+
+  /**
+   * Skip a date or work one outside the pattern
+   * @param {string} id - Series ID
+   * @param {Object} data - { date, action: 'skip'|'work', reason }
+   * @returns {Promise<Object>} Series
+   */
+  async addException(id, data) {
+    return apiClient.postJSON(`/api/v1/job-series/${id}/exceptions`, data);
+  },
+
+  /**
+   * Remove an exception
+   * @param {string} id - Series ID
+   * @param {string} exceptionId - Exception ID
+   * @returns {Promise<Object>} Series
+   */
+  async removeException(id, exceptionId) {
+    return apiClient.deleteJSON(`/api/v1/job-series/${id}/exceptions/${exceptionId}`);
+  },
+
+  /**
+   * Cancel shifts for a date range, or end the series from a date
+   * @param {string} id - Series ID
+   * @param {Object} data - { from_date, to_date, reason }
+   * @returns {Promise<Object>} { series, jobs_cancelled, workers_notified }
+   */
+  async cancel(id, data) {
+    return apiClient.postJSON(`/api/v1/job-series/${id}/cancel`, data);
+  },
+
+  /**
+   * Get won tenders and contract renewals a series can belong to
+   * @returns {Promise<Object>} { tenders, renewals }
+   */
+  async getContracts() {
+    return apiClient.getJSON('/api/v1/job-series/contracts');
+  },
+
+  /**
+   * Get public holidays
+   * @param {Object} params - { year }
+   * @returns {Promise<Object>} Holidays by date
+   */
+  async getHolidays(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return apiClient.getJSON(`/api/v1/job-series/holidays${query ? `?${query}` : ''}`);
+  },
+
+  /**
+   * Add a public holiday
+   * @param {Object} data - { date, name }
+   * @returns {Promise<Object>} { holiday, jobs_cancelled, staffed }
+   */
+  async addHoliday(data) {
+    return apiClient.postJSON('/api/v1/job-series/holidays', data);
+  },
+
+  /**
+   * Remove a public holiday
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Object>}
+   */
+  async removeHoliday(date) {
+    return apiClient.deleteJSON(`/api/v1/job-series/holidays/${date}`);
+  },
+};
+
+export default jobSeriesService;
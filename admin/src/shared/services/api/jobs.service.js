@@ -221,6 +221,26 @@ const jobsService = {
    */
   async getPreview(id, platform) {
     return apiClient.getJSON(`/api/v1/jobs/${id}/preview/${platform}`);
+  },
+
+  /**
+   * Get shift requests raised through the client portal
+   * @param {Object} [params] - { status } (default pending_approval)
+   * @returns {Promise<Object>} Job requests
+   */
+  async getRequests(params = {}) {
+    const searchParams = new URLSearchParams(params).toString();
+    return apiClient.getJSON(`/api/v1/jobs/requests${searchParams ? `?${searchParams}` : ''}`);
+  },
+
+  /**
+   * Approve or reject a client's shift request
+   * @param {string} id - Job ID
+   * @param {Object} review - { action: 'approve'|'reject', pay_rate, charge_rate, reason }
+   * @returns {Promise<Object>} Reviewed job
+   */
+  async reviewRequest(id, review) {
+    return apiClient.postJSON(`/api/v1/jobs/${id}/review`, review);
   }
 };
 
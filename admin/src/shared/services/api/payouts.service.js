@@ -0,0 +1,85 @@
+/**
+ * Payouts API Service
+ * Handles bank payout batches (GIRO/FAST files) and result-file reconciliation
+ */
+
+import apiClient from './ApiClient.js';
+
+const payoutsService = {
+  /**
+   * Get available bank file formats
+   * @returns {Promise<Object>} List of formats
+   */
+  async getFormats() {
+    return apiClient.getJSON('/api/v1/payouts/formats');
+  },
+
+  /**
+   * Preview the next batch grouped by bank
+   * @param {string} scope - 'approved' or 'withdrawals'
+   * @returns {Promise<Object>} Transfers, per-bank totals and skipped payments
+   */
+  async preview(scope = 'approved') {
+    return apiClient.getJSON(`/api/v1/payouts/preview?scope=${scope}`);
+  },
+
+  /**
+   * Get all payout batches
+   * @param {Object} params - Query parameters (status)
+   * @returns {Promise<Object>} List of batches
+   */
+  async getBatches(params = {}) {
+    const searchParams = new URLSearchParams(params).toString();
+    return apiClient.getJSON(`/api/v1/payouts/batches${searchParams ? `?${searchParams}` : ''}`);
+  },
+
+  /**
+   * Get batch with its transfers
+   * @param {string} id - Batch ID
+   * @returns {Promise<Object>} Batch details
+   */
+  async getBatch(id) {
+    return apiClient.getJSON(`/api/v1/payouts/batches/${id}`);
+  },
+
+  /**
+   * Create a payout batch and bank file
+   * @param {Object} data - { format, value_date, scope }
+   * @returns {Promise<Object>} Created batch
+   */
+  async createBatch(data) {
+    return apiClient.postJSON('/api/v1/payouts/batches', data);
+  },
+
+  /**
+   * Download the bank file for a batch
+   * @param {string} id - Batch ID
+   * @returns {Promise<Blob>} Bank file
+   */
+  async downloadFile(id) {
+    const response = await apiClient.get(`/api/v1/payouts/batches/${id}/file`);
+    return response.blob();
+  },
+
+  /**
+   * Import the bank's result file
+   * @param {string} id - Batch ID
+   * @param {string} content - Result file text
+   * @param {string} fileName - Original file name
+   * @returns {Promise<Object>} Reconciliation summary
+   */
+  async importResults(id, content, fileName) {
+    return apiClient.postJSON(`/api/v1/payouts/batches/${id}/results`, { content, file_name: fileName });
+  },
+
+  /**
+   * Cancel a batch that was not sent to the bank
+   * @param {string} id - Batch ID
+   * @returns {Promise<Object>} Cancelled batch
+   */
+  async cancelBatch(id) {
+    return apiClient.postJSON(`/api/v1/payouts/batches/${id}/cancel`, {});
+  },
+};
+
+export default payoutsService;
@@ -0,0 +1,57 @@
+/**
+ * Bid Pricing API Service
+ * Costing workspace and versioned pricing scenarios for BPO tenders
+ */
+
+import apiClient from './ApiClient.js';
+
+const pricingService = {
+  /**
+   * Get the pricing workspace for a tender
+   * @param {string} tenderId - Tender ID
+   * @returns {Promise<Object>} Tender, default rates and saved scenarios (newest first)
+   */
+  async getWorkspace(tenderId) {
+    return apiClient.getJSON(`/api/v1/bpo/pricing/tenders/${tenderId}`);
+  },
+
+  /**
+   * Price a scenario and compare it with market benchmarks without saving
+   * @param {string} tenderId - Tender ID
+   * @param {Object} inputs - Roles, shift patterns, rates and percentages
+   * @param {string} [serviceType] - EPU service type to benchmark against
+   * @returns {Promise<Object>} Cost build-up and benchmarks
+   */
+  async preview(tenderId, inputs, serviceType) {
+    return apiClient.postJSON(`/api/v1/bpo/pricing/tenders/${tenderId}/preview`, { inputs, service_type: serviceType });
+  },
+
+  /**
+   * Save a scenario as the tender's next version
+   * @param {string} tenderId - Tender ID
+   * @param {Object} data - { inputs, name, notes, service_type }
+   * @returns {Promise<Object>} Saved scenario
+   */
+  async saveScenario(tenderId, data) {
+    return apiClient.postJSON(`/api/v1/bpo/pricing/tenders/${tenderId}/scenarios`, data);
+  },
+
+  /**
+   * Use a scenario as the tender's bid amount, cost and margin
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Promise<Object>} Updated scenario and tender
+   */
+  async applyScenario(scenarioId) {
+    return apiClient.postJSON(`/api/v1/bpo/pricing/scenarios/${scenarioId}/apply`, {});
+  },
+
+  /**
+   * Delete a saved scenario
+   * @param {string} scenarioId - Scenario ID
+   */
+  async deleteScenario(scenarioId) {
+    return apiClient.deleteJSON(`/api/v1/bpo/pricing/scenarios/${scenarioId}`);
+  },
+};
+
+export default pricingService;
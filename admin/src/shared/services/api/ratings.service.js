@@ -0,0 +1,49 @@
+/**
+ * Ratings API Service
+ * Worker rating history, job-site ratings and rating dispute moderation
+ */
+
+import apiClient from './ApiClient.js';
+
+const ratingsService = {
+  /**
+   * Get a worker's rating history, monthly trend and disputes
+   * @param {string} candidateId - Candidate ID
+   * @returns {Promise<Object>} { summary, history, trend, disputes }
+   */
+  async getCandidateRatings(candidateId) {
+    return apiClient.getJSON(`/api/v1/ratings/candidates/${candidateId}`);
+  },
+
+  /**
+   * Get rating disputes
+   * @param {Object} params - { status: 'open'|'upheld'|'removed'|'all' }
+   * @returns {Promise<Object>} Disputes, oldest first
+   */
+  async getDisputes(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return apiClient.getJSON(`/api/v1/ratings/disputes${query ? `?${query}` : ''}`);
+  },
+
+  /**
+   * Uphold or remove a disputed rating
+   * @param {string} disputeId - Dispute ID
+   * @param {Object} data - { action: 'uphold'|'remove', note }
+   * @returns {Promise<Object>} Resolved dispute
+   */
+  async resolveDispute(disputeId, data) {
+    return apiClient.postJSON(`/api/v1/ratings/disputes/${disputeId}/resolve`, data);
+  },
+
+  /**
+   * Get workers' ratings of job sites
+   * @param {Object} params - { client_id }
+   * @returns {Promise<Object>} { summary, ratings }
+   */
+  async getSiteRatings(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return apiClient.getJSON(`/api/v1/ratings/sites${query ? `?${query}` : ''}`);
+  },
+};
+
+export default ratingsService;
@@ -0,0 +1,30 @@
+/**
+ * Shift Changes API Service
+ * Worker-initiated swaps and releases waiting for admin approval
+ */
+
+import apiClient from './ApiClient.js';
+
+const shiftChangesService = {
+  /**
+   * Get shift change requests
+   * @param {Object} params - { status: 'awaiting_approval'|'open'|'all'|..., client_id }
+   * @returns {Promise<Object>} Requests with job, client and worker names
+   */
+  async getAll(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return apiClient.getJSON(`/api/v1/shift-changes${query ? `?${query}` : ''}`);
+  },
+
+  /**
+   * Approve or reject a request
+   * @param {string} id - Request ID
+   * @param {Object} data - { action: 'approve'|'reject', note }
+   * @returns {Promise<Object>} Updated request
+   */
+  async review(id, data) {
+    return apiClient.postJSON(`/api/v1/shift-changes/${id}/review`, data);
+  },
+};
+
+export default shiftChangesService;
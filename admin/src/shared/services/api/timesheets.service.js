@@ -0,0 +1,93 @@
+/**
+ * Timesheets API Service
+ * Handles timesheet review, approval and dispute resolution
+ */
+
+import apiClient from './ApiClient.js';
+
+const timesheetsService = {
+  /**
+   * Get all timesheets with optional filtering
+   * @param {Object} params - Query parameters (status, candidate_id, job_id, date range)
+   * @returns {Promise<Object>} List of timesheets
+   */
+  async getAll(params = {}) {
+    const filteredParams = Object.fromEntries(
+      Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+    );
+    const searchParams = new URLSearchParams(filteredParams).toString();
+    const url = `/api/v1/timesheets${searchParams ? `?${searchParams}` : ''}`;
+    return apiClient.getJSON(url);
+  },
+
+  /**
+   * Get timesheet by ID
+   * @param {string} id - Timesheet ID
+   * @returns {Promise<Object>} Timesheet details
+   */
+  async getById(id) {
+    return apiClient.getJSON(`/api/v1/timesheets/${id}`);
+  },
+
+  /**
+   * Approve a submitted timesheet (creates the worker payment)
+   * @param {string} id - Timesheet ID
+   * @returns {Promise<Object>} Approved timesheet
+   */
+  async approve(id) {
+    return apiClient.postJSON(`/api/v1/timesheets/${id}/approve`, {});
+  },
+
+  /**
+   * Dispute a submitted timesheet
+   * @param {string} id - Timesheet ID
+   * @param {string} reason - Dispute reason
+   * @returns {Promise<Object>} Disputed timesheet
+   */
+  async dispute(id, reason) {
+    return apiClient.postJSON(`/api/v1/timesheets/${id}/dispute`, { reason });
+  },
+
+  /**
+   * Correct hours and send the timesheet back for approval
+   * @param {string} id - Timesheet ID
+   * @param {number} hoursWorked - Corrected hours
+   * @param {string} note - Adjustment note
+   * @returns {Promise<Object>} Re-submitted timesheet
+   */
+  async adjust(id, hoursWorked, note) {
+    return apiClient.postJSON(`/api/v1/timesheets/${id}/adjust`, { hours_worked: hoursWorked, note });
+  },
+
+  /**
+   * Load a timesheet from a supervisor review link (no admin login)
+   * @param {string} token - Review token
+   * @returns {Promise<Object>} Timesheet summary
+   */
+  async getForReview(token) {
+    return apiClient.getJSON(`/api/v1/timesheets/review/${token}`);
+  },
+
+  /**
+   * Supervisor approval from a review link
+   * @param {string} token - Review token
+   * @param {string} supervisorName - Name of the approving supervisor
+   * @returns {Promise<Object>} Result
+   */
+  async approveReview(token, supervisorName) {
+    return apiClient.postJSON(`/api/v1/timesheets/review/${token}/approve`, { supervisor_name: supervisorName });
+  },
+
+  /**
+   * Supervisor dispute from a review link
+   * @param {string} token - Review token
+   * @param {string} supervisorName - Name of the disputing supervisor
+   * @param {string} reason - Dispute reason
+   * @returns {Promise<Object>} Result
+   */
+  async disputeReview(token, supervisorName, reason) {
+    return apiClient.postJSON(`/api/v1/timesheets/review/${token}/dispute`, { supervisor_name: supervisorName, reason });
+  },
+};
+
+export default timesheetsService;
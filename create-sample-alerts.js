@@ -1,13 +1,10 @@
 /**
  * Create Sample Alerts for Testing
- * Inserts test alerts directly into the database
+ * Inserts test alerts into alert_history in worklink.db
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-
-const DB_PATH = path.join(__dirname, 'database/gebiz_intelligence.db');
+const { store } = require('./db');
 
 // Sample alert data
 const testAlerts = [
@@ -83,15 +80,10 @@ function createSampleAlerts() {
   console.log('🔔 Creating sample alerts directly in database...\n');
 
   try {
-    const db = new Database(DB_PATH);
-
-    // Temporarily disable foreign key constraints for test data
-    db.pragma('foreign_keys = OFF');
-
     // Clear existing alerts for fresh test
-    db.prepare('DELETE FROM alert_history WHERE acknowledged_by = ?').run('test-system');
+    store.run('DELETE FROM alert_history WHERE acknowledged_by = ?', 'test-system');
 
-    const insertAlert = db.prepare(`
+    const insertAlert = store.statement(`
       INSERT INTO alert_history (
         id, rule_id, trigger_type, tender_id, renewal_id,
         alert_title, alert_message, alert_priority, alert_data,
@@ -106,7 +98,7 @@ function createSampleAlerts() {
 
       const alertData = {
         id: uuidv4(),
-        rule_id: uuidv4(),
+        rule_id: null, // not raised by a rule
         trigger_type: alert.trigger_type,
         tender_id: alert.trigger_type === 'tender' ? uuidv4() : null,
         renewal_id: alert.trigger_type === 'renewal' ? uuidv4() : null,
@@ -144,24 +136,21 @@ function createSampleAlerts() {
       console.log(`${statusEmoji} Created ${alert.priority} alert: ${alert.title.substring(0, 50)}...`);
     }
 
-    // Re-enable foreign key constraints
-    db.pragma('foreign_keys = ON');
-
     // Test queries
-    const unreadCount = db.prepare('SELECT COUNT(*) as count FROM alert_history WHERE acknowledged = 0').get();
-    const totalCount = db.prepare('SELECT COUNT(*) as count FROM alert_history').get();
+    const unreadCount = store.get('SELECT COUNT(*) as count FROM alert_history WHERE acknowledged = 0');
+    const totalCount = store.get('SELECT COUNT(*) as count FROM alert_history');
 
     console.log('\n📊 Alert Statistics:');
     console.log(`   Total alerts: ${totalCount.count}`);
     console.log(`   Unread alerts: ${unreadCount.count}`);
 
     // Test by priority
-    const priorityCounts = db.prepare(`
+    const priorityCounts = store.all(`
       SELECT alert_priority, COUNT(*) as count
       FROM alert_history
       WHERE acknowledged = 0
       GROUP BY alert_priority
-    `).all();
+    `);
 
     console.log('\n📋 Unread Alerts by Priority:');
     priorityCounts.forEach(row => {
@@ -169,12 +158,12 @@ function createSampleAlerts() {
     });
 
     // Test recent alerts
-    const recentAlerts = db.prepare(`
+    const recentAlerts = store.all(`
       SELECT alert_title, alert_priority, triggered_at, acknowledged
       FROM alert_history
       ORDER BY triggered_at DESC
       LIMIT 3
-    `).all();
+    `);
 
     console.log('\n🕐 Recent Alerts:');
     recentAlerts.forEach(alert => {
@@ -182,8 +171,6 @@ function createSampleAlerts() {
       console.log(`   ${status} ${alert.alert_title.substring(0, 40)}... (${alert.alert_priority})`);
     });
 
-    db.close();
-
     console.log('\n🎉 Sample alerts created successfully!');
     console.log('\nNext steps:');
     console.log('1. Start the server: npm start');
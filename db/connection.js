@@ -10,7 +10,9 @@ const fs = require('fs');
 // Determine environment
 const IS_PRODUCTION = process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT;
 const DATA_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, '..', 'data');
-const DB_PATH = path.join(DATA_DIR, 'worklink.db');
+const DB_PATH = process.env.WORKLINK_DB_PATH || path.join(DATA_DIR, 'worklink.db');
+// WORKLINK_DB_PATH=:memory: gives a private, empty database (service tests)
+const IN_MEMORY = DB_PATH === ':memory:';
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
@@ -20,16 +22,28 @@ if (!fs.existsSync(DATA_DIR)) {
 console.log(`🔌 Database path: ${DB_PATH}`);
 console.log(`🌍 Environment: ${IS_PRODUCTION ? 'PRODUCTION' : 'DEVELOPMENT'}`);
 
+// How long a connection waits on a lock held by another connection
+const BUSY_TIMEOUT_MS = 5000;
+
 /**
  * Initialize and configure SQLite database connection
+ * @param {Object} [options]
+ * @param {boolean} [options.readonly] - Read-only connection (the file must exist)
  * @returns {Database} Configured SQLite database instance
  */
-function createConnection() {
+function createConnection({ readonly = false } = {}) {
+  if (readonly) {
+    const reader = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+    reader.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    return reader;
+  }
+
   const db = new Database(DB_PATH);
 
   // Configure SQLite for optimal performance
   db.pragma('journal_mode = WAL'); // Write-Ahead Logging for better concurrency
   db.pragma('foreign_keys = ON');  // Enable foreign key constraints
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
 
   return db;
 }
@@ -49,6 +63,7 @@ module.exports = {
   createConnection,
   generateAvatar,
   IS_PRODUCTION,
+  IN_MEMORY,
   DATA_DIR,
   DB_PATH
 };
\ No newline at end of file
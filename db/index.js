@@ -3,10 +3,16 @@
  * Refactored modular database system
  * - Production (Railway): Empty database, persists in volume
  * - Development (Local): Seeds with comprehensive sample data
+ *
+ * Everything in the app shares these connections: `db` (read-write),
+ * `reader` (read-only) and `store`, which wraps both with statement caching
+ * and transaction helpers (see ./store.js). Do not open worklink.db with
+ * `new Database()` elsewhere.
  */
 
-const { createConnection, IS_PRODUCTION } = require('./connection');
-const { createSchema, runMigrations } = require('./schema');
+const { createConnection, IS_PRODUCTION, IN_MEMORY } = require('./connection');
+const { migrateOnBoot } = require('./migrator');
+const { createStore } = require('./store');
 const { seedEssentialData, ensureDemoAccount } = require('./seeders/essential');
 const { seedSampleData, resetToSampleData } = require('./seeders/sample');
 
@@ -14,16 +20,13 @@ const { seedSampleData, resetToSampleData } = require('./seeders/sample');
 const db = createConnection();
 
 /**
- * Initialize the database with schema, migrations, and data
+ * Initialize the database with migrations and data
  */
 function initializeDatabase() {
   // Minimal logging for concise output
 
-  // Create schema
-  createSchema(db);
-
-  // Run migrations for backward compatibility
-  runMigrations(db);
+  // Apply pending migrations (refuses to boot on a drifted schema)
+  migrateOnBoot(db);
 
   // Seed essential data (production-safe)
   seedEssentialData(db);
@@ -32,7 +35,7 @@ function initializeDatabase() {
   ensureDemoAccount(db);
 
   // Seed sample data in development only
-  if (!IS_PRODUCTION) {
+  if (!IS_PRODUCTION && !IN_MEMORY) {
     seedSampleData(db);
   }
 
@@ -42,11 +45,16 @@ function initializeDatabase() {
 // Initialize on module load
 initializeDatabase();
 
-// Export database connection and utilities
+// Read-only connection and store, opened once the file and schema exist
+// (an in-memory database cannot be opened twice, so it reads from the writer)
+const reader = IN_MEMORY ? db : createConnection({ readonly: true });
+const store = createStore(db, reader);
+
+// Export database connections and utilities
 module.exports = {
   db,
-  createSchema,
-  runMigrations,
+  reader,
+  store,
   seedEssentialData,
   ensureDemoAccount,
   seedSampleData,
@@ -1,6 +1,17 @@
 /**
- * Database Schema Definitions
- * Contains all table creation statements and migrations
+ * Baseline
+ * The schema as it stood when versioned migrations were introduced: the
+ * table definitions and column migrations from the former db/schema.js,
+ * plus tables that used to be created at runtime (job scheduler status, and
+ * the analytics tables, GeBIZ history table and indexes from the old
+ * db/database schema modules).
+ *
+ * Frozen: never edit this file, the migrator refuses to boot when an applied
+ * migration's checksum changes. Schema changes go in a new numbered
+ * migration (npm run db:migrate:new).
+ *
+ * Every statement is idempotent so the baseline importer can run this over
+ * an existing production database. It cannot be reverted.
  */
 
 /**
@@ -335,7 +346,7 @@ function createSchema(db) {
       candidate_id TEXT NOT NULL,
       reward_id TEXT NOT NULL,
       points_spent INTEGER NOT NULL,
-      status TEXT DEFAULT 'pending',  -- 'pending' | 'fulfilled' | 'cancelled'
+      status TEXT DEFAULT 'pending',  -- 'pending' | 'fulfilled' | 'refunded'
       fulfilled_at DATETIME,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (candidate_id) REFERENCES candidates(id),
@@ -1575,6 +1586,779 @@ function createSchema(db) {
     CREATE INDEX IF NOT EXISTS idx_lifecycle_priority ON bpo_tender_lifecycle(priority);
     CREATE INDEX IF NOT EXISTS idx_lifecycle_renewal ON bpo_tender_lifecycle(is_renewal);
     CREATE INDEX IF NOT EXISTS idx_lifecycle_tender_no ON bpo_tender_lifecycle(tender_no);
+
+    -- ============================================================================
+    -- TIMESHEETS (geofenced clock-in/clock-out per deployment)
+    -- ============================================================================
+    CREATE TABLE IF NOT EXISTS timesheets (
+      id TEXT PRIMARY KEY,
+      deployment_id TEXT UNIQUE NOT NULL,
+      job_id TEXT,
+      candidate_id TEXT,
+
+      -- Clock events with reported position and distance from the job site
+      clock_in_at DATETIME,
+      clock_in_lat REAL,
+      clock_in_lng REAL,
+      clock_in_distance_m INTEGER,
+      clock_in_verified INTEGER DEFAULT 0,
+      clock_out_at DATETIME,
+      clock_out_lat REAL,
+      clock_out_lng REAL,
+      clock_out_distance_m INTEGER,
+      clock_out_verified INTEGER DEFAULT 0,
+
+      -- Computed on clock-out (break taken from jobs.break_minutes)
+      break_minutes INTEGER DEFAULT 0,
+      hours_worked REAL,
+      gross_revenue REAL,
+      candidate_pay REAL,
+      gross_profit REAL,
+
+      -- 'clocked_in', 'submitted', 'approved', 'disputed'
+      status TEXT DEFAULT 'clocked_in',
+      review_token TEXT UNIQUE, -- Shared with the client supervisor for sign-off
+      reviewed_by TEXT,
+      reviewed_at DATETIME,
+      dispute_reason TEXT,
+      adjustment_note TEXT,
+      payment_id TEXT,
+
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (deployment_id) REFERENCES deployments(id),
+      FOREIGN KEY (job_id) REFERENCES jobs(id),
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_timesheets_candidate ON timesheets(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_timesheets_job ON timesheets(job_id);
+    CREATE INDEX IF NOT EXISTS idx_timesheets_status ON timesheets(status);
+
+    -- ============================================================================
+    -- CLIENT INVOICING (billed from completed deployments)
+    -- ============================================================================
+    CREATE TABLE IF NOT EXISTS invoices (
+      id TEXT PRIMARY KEY,
+      invoice_number TEXT UNIQUE NOT NULL, -- INV-YYYY-NNNNN, sequential per year
+      client_id TEXT NOT NULL,
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      issue_date DATE NOT NULL,
+      due_date DATE NOT NULL, -- issue_date + clients.payment_terms
+      subtotal REAL DEFAULT 0,
+      gst_rate REAL DEFAULT 0.09,
+      gst_amount REAL DEFAULT 0,
+      total REAL DEFAULT 0,
+
+      -- 'draft', 'sent', 'paid', 'overdue'
+      status TEXT DEFAULT 'draft',
+      sent_at DATETIME,
+      paid_at DATETIME,
+      payment_reference TEXT,
+      notes TEXT,
+      created_by TEXT,
+
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS invoice_line_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      invoice_id TEXT NOT NULL,
+      deployment_id TEXT UNIQUE, -- A deployment is only ever billed once
+      description TEXT NOT NULL,
+      service_date DATE,
+      quantity REAL DEFAULT 0, -- Hours worked
+      unit_price REAL DEFAULT 0, -- Charge rate
+      amount REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+      FOREIGN KEY (deployment_id) REFERENCES deployments(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_invoices_client ON invoices(client_id);
+    CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+    CREATE INDEX IF NOT EXISTS idx_invoices_due_date ON invoices(due_date);
+    CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice ON invoice_line_items(invoice_id);
+
+    -- ============================================================================
+    -- PAYOUT BATCHES (bank bulk-payment files for approved payments)
+    -- ============================================================================
+    CREATE TABLE IF NOT EXISTS payout_batches (
+      id TEXT PRIMARY KEY,
+      format TEXT NOT NULL, -- See services/payouts/formats
+      value_date DATE NOT NULL,
+      scope TEXT DEFAULT 'approved', -- 'approved' or 'withdrawals' (withdrawal_requested only)
+      transfer_count INTEGER DEFAULT 0,
+      payment_count INTEGER DEFAULT 0,
+      total_amount REAL DEFAULT 0,
+      file_name TEXT,
+      file_content TEXT, -- Kept so the exact file can be downloaded again
+
+      -- 'generated', 'partially_reconciled', 'reconciled', 'cancelled'
+      status TEXT DEFAULT 'generated',
+      result_file_name TEXT,
+      reconciled_at DATETIME,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- One bank transfer per worker account; may cover several payments
+    CREATE TABLE IF NOT EXISTS payout_batch_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id TEXT NOT NULL,
+      reference TEXT UNIQUE NOT NULL, -- Echoed back in the bank result file
+      candidate_id TEXT,
+      bank_name TEXT,
+      bank_code TEXT,
+      account_number TEXT,
+      account_name TEXT,
+      amount REAL NOT NULL,
+      payment_ids TEXT NOT NULL, -- JSON array of payments.id
+
+      -- 'pending', 'paid', 'failed'
+      status TEXT DEFAULT 'pending',
+      bank_reference TEXT,
+      failure_reason TEXT,
+      reconciled_at DATETIME,
+      FOREIGN KEY (batch_id) REFERENCES payout_batches(id),
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_payout_batches_status ON payout_batches(status);
+    CREATE INDEX IF NOT EXISTS idx_payout_batch_items_batch ON payout_batch_items(batch_id);
+
+    -- ============================================================================
+    -- SHIFT BACKFILL (replacement offers when a deployed worker drops out)
+    -- ============================================================================
+    CREATE TABLE IF NOT EXISTS backfill_requests (
+      id TEXT PRIMARY KEY,
+      job_id TEXT NOT NULL,
+      vacated_deployment_id TEXT UNIQUE,
+      vacated_candidate_id TEXT,
+      reason TEXT NOT NULL, -- 'cancelled' or 'no_show'
+
+      -- 'offering', 'filled', 'exhausted', 'cancelled'
+      status TEXT DEFAULT 'offering',
+      current_wave INTEGER DEFAULT 0,
+      wave_size INTEGER NOT NULL,
+      window_minutes INTEGER NOT NULL,
+      filled_by_candidate_id TEXT,
+      filled_deployment_id TEXT,
+      closed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES jobs(id),
+      FOREIGN KEY (vacated_deployment_id) REFERENCES deployments(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS backfill_offers (
+      id TEXT PRIMARY KEY,
+      request_id TEXT NOT NULL,
+      candidate_id TEXT NOT NULL,
+      wave INTEGER NOT NULL,
+      rank INTEGER,
+      match_score REAL,
+      availability TEXT, -- See services/backfill/ranking.js AVAILABILITY_ADJUSTMENTS
+      channels TEXT, -- JSON: channels the offer was sent on
+
+      -- 'offered', 'accepted', 'declined', 'expired', 'superseded'
+      status TEXT DEFAULT 'offered',
+      expires_at DATETIME NOT NULL,
+      responded_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(request_id, candidate_id),
+      FOREIGN KEY (request_id) REFERENCES backfill_requests(id) ON DELETE CASCADE,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_backfill_requests_job ON backfill_requests(job_id);
+    CREATE INDEX IF NOT EXISTS idx_backfill_requests_status ON backfill_requests(status);
+    CREATE INDEX IF NOT EXISTS idx_backfill_offers_candidate ON backfill_offers(candidate_id, status);
+    CREATE INDEX IF NOT EXISTS idx_backfill_offers_expiry ON backfill_offers(status, expires_at);
+
+    -- ============================================================================
+    -- BID PRICING (versioned costing scenarios per BPO tender)
+    -- ============================================================================
+    CREATE TABLE IF NOT EXISTS bpo_bid_scenarios (
+      id TEXT PRIMARY KEY,
+      tender_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      name TEXT,
+      inputs TEXT NOT NULL, -- JSON: roles, rates and percentages (services/bid-pricing/calculator.js)
+      breakdown TEXT NOT NULL, -- JSON: calculated cost build-up
+      monthly_value REAL NOT NULL,
+      total_value REAL NOT NULL,
+      total_cost REAL NOT NULL,
+      margin_pct REAL,
+      contract_months INTEGER,
+      is_selected INTEGER DEFAULT 0, -- Scenario whose figures were applied to the tender
+      notes TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(tender_id, version),
+      FOREIGN KEY (tender_id) REFERENCES bpo_tender_lifecycle(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_bpo_bid_scenarios_tender ON bpo_bid_scenarios(tender_id, version);
+
+    -- ============================================================================
+    -- TENDER DOCUMENTS & COMPLIANCE MATRIX
+    -- ============================================================================
+    CREATE TABLE IF NOT EXISTS bpo_tender_documents (
+      id TEXT PRIMARY KEY,
+      tender_id TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      stored_name TEXT NOT NULL, -- File under DATA_DIR/uploads/tender-documents
+      mime_type TEXT,
+      file_size INTEGER,
+
+      -- 'extracted', 'empty' (no readable text), 'failed'
+      extraction_status TEXT,
+      extraction_error TEXT,
+      extracted_text TEXT,
+      requirement_count INTEGER DEFAULT 0,
+      uploaded_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (tender_id) REFERENCES bpo_tender_lifecycle(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS bpo_compliance_items (
+      id TEXT PRIMARY KEY,
+      tender_id TEXT NOT NULL,
+      document_id TEXT, -- NULL for requirements added by hand
+      ref TEXT, -- Clause number, e.g. '4.1.2' or '4.1(a)'
+      section TEXT,
+      requirement TEXT NOT NULL,
+      is_mandatory INTEGER DEFAULT 0,
+
+      -- 'pending', 'complied', 'partial', 'not_complied'
+      status TEXT DEFAULT 'pending',
+      response TEXT,
+      owner TEXT,
+      sort_order INTEGER DEFAULT 0,
+      updated_by TEXT,
+      updated_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (tender_id) REFERENCES bpo_tender_lifecycle(id) ON DELETE CASCADE,
+      FOREIGN KEY (document_id) REFERENCES bpo_tender_documents(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_bpo_tender_documents_tender ON bpo_tender_documents(tender_id);
+    CREATE INDEX IF NOT EXISTS idx_bpo_compliance_items_tender ON bpo_compliance_items(tender_id, sort_order);
+
+    -- ============================================================================
+    -- STAGE GATES (rules for moving tenders forward, approval history)
+    -- ============================================================================
+    CREATE TABLE IF NOT EXISTS bpo_stage_gates (
+      stage TEXT PRIMARY KEY, -- Gate guards entry into this stage
+      name TEXT,
+      require_pricing_scenario INTEGER DEFAULT 0,
+      require_compliance INTEGER DEFAULT 0,
+      min_margin_pct REAL, -- NULL for no margin threshold
+      required_approvals INTEGER DEFAULT 0,
+      approvers TEXT DEFAULT '[]', -- JSON array of admin emails; empty lets any admin approve
+      is_active INTEGER DEFAULT 1,
+      updated_by TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Append-only: kept when the tender is deleted, never updated
+    CREATE TABLE IF NOT EXISTS bpo_gate_approvals (
+      id TEXT PRIMARY KEY,
+      tender_id TEXT NOT NULL,
+      stage TEXT NOT NULL, -- Gate the entry is for
+      tender_stage TEXT, -- Stage the tender was in at the time
+
+      -- 'requested', 'approved', 'rejected', 'comment'
+      action TEXT NOT NULL,
+      actor TEXT,
+      comment TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_bpo_gate_approvals_tender ON bpo_gate_approvals(tender_id, stage, created_at);
+
+    CREATE TRIGGER IF NOT EXISTS trg_bpo_gate_approvals_no_update
+    BEFORE UPDATE ON bpo_gate_approvals
+    BEGIN
+      SELECT RAISE(ABORT, 'Gate approval history is append-only');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS trg_bpo_gate_approvals_no_delete
+    BEFORE DELETE ON bpo_gate_approvals
+    BEGIN
+      SELECT RAISE(ABORT, 'Gate approval history is append-only');
+    END;
+  `);
+
+  // LLM usage - one row per provider attempt, plus daily per-provider totals
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS llm_usage_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      feature TEXT,
+      provider TEXT NOT NULL,
+      model TEXT,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      cost_usd REAL DEFAULT 0,
+      response_time_ms INTEGER DEFAULT 0,
+      error_message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS llm_daily_usage (
+      date TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      calls INTEGER DEFAULT 0,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      cost_usd REAL DEFAULT 0,
+      errors INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (date, provider)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_llm_usage_logs_created ON llm_usage_logs(created_at);
+  `);
+
+  // Worker sign-in - one-time codes and per-device sessions (only hashes are stored)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS worker_otp_codes (
+      id TEXT PRIMARY KEY,
+      candidate_id TEXT NOT NULL,
+      channel TEXT NOT NULL, -- 'sms', 'email', 'telegram'
+      destination TEXT,
+      code_hash TEXT NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 5,
+      expires_at DATETIME NOT NULL,
+      consumed_at DATETIME,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_worker_otp_codes_candidate ON worker_otp_codes(candidate_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS worker_sessions (
+      id TEXT PRIMARY KEY,
+      candidate_id TEXT NOT NULL,
+      device_id TEXT,
+      device_name TEXT,
+      user_agent TEXT,
+      ip_address TEXT,
+      refresh_token_hash TEXT NOT NULL,
+      previous_token_hash TEXT, -- Presenting this again means the token was stolen
+      refresh_expires_at DATETIME NOT NULL,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME,
+      revoked_reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_worker_sessions_candidate ON worker_sessions(candidate_id, revoked_at);
+  `);
+
+  // Admin users - one account per person, with a role from services/admin-users/roles.js
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'read_only', -- 'owner', 'finance', 'consultant', 'bid_manager', 'read_only'
+      password_hash TEXT,
+
+      -- 'invited' until the invite is accepted, then 'active' or 'deactivated'
+      status TEXT NOT NULL DEFAULT 'invited',
+      invite_token_hash TEXT,
+      invite_expires_at DATETIME,
+      invited_by TEXT,
+      last_login_at DATETIME,
+      deactivated_at DATETIME,
+      deactivated_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_users_status ON admin_users(status);
+
+    -- Who did what (also written by the BPO lifecycle and pipeline routes)
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id TEXT PRIMARY KEY,
+      event_type TEXT NOT NULL,
+      event_action TEXT NOT NULL,
+      resource_type TEXT NOT NULL,
+      resource_id TEXT NOT NULL,
+      user_id TEXT,
+      user_name TEXT,
+      user_role TEXT,
+      ip_address TEXT,
+      old_value TEXT,
+      new_value TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_resource ON audit_log(resource_type, resource_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id, created_at);
+  `);
+
+  // Gamification events - domain events fed to the quest engine (services/quest-engine)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gamification_events (
+      id TEXT PRIMARY KEY,
+      event_key TEXT NOT NULL UNIQUE, -- '<type>:<candidate>:<source id>'; a repeat of the same event is ignored
+      candidate_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      source_id TEXT,
+      payload TEXT, -- JSON fields the rules were evaluated against
+      quests_advanced INTEGER DEFAULT 0,
+      achievements_unlocked INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_gamification_events_candidate ON gamification_events(candidate_id, created_at);
+  `);
+
+  // Worker leagues - seasonal cohorts with promotion/relegation (services/leagues)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS league_seasons (
+      id TEXT PRIMARY KEY,
+      season_key TEXT NOT NULL UNIQUE, -- 'weekly-2026-03-02' | 'monthly-2026-03'
+      length TEXT NOT NULL,            -- 'weekly' | 'monthly'
+      starts_at DATETIME NOT NULL,     -- UTC, inclusive
+      ends_at DATETIME NOT NULL,       -- UTC, exclusive
+      status TEXT DEFAULT 'active',    -- 'active' | 'archived'
+      closed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS league_cohorts (
+      id TEXT PRIMARY KEY,
+      season_id TEXT NOT NULL,
+      tier TEXT NOT NULL,
+      cohort_number INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (season_id) REFERENCES league_seasons(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS league_members (
+      id TEXT PRIMARY KEY,
+      season_id TEXT NOT NULL,
+      cohort_id TEXT NOT NULL,
+      candidate_id TEXT NOT NULL,
+      tier TEXT NOT NULL,
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      -- Filled in when the season closes
+      season_xp INTEGER,
+      final_rank INTEGER,
+      result TEXT,                     -- 'promoted' | 'stayed' | 'relegated'
+      next_tier TEXT,
+      reward_xp INTEGER DEFAULT 0,
+      UNIQUE(season_id, candidate_id),
+      FOREIGN KEY (season_id) REFERENCES league_seasons(id),
+      FOREIGN KEY (cohort_id) REFERENCES league_cohorts(id),
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_league_seasons_status ON league_seasons(status, ends_at);
+    CREATE INDEX IF NOT EXISTS idx_league_cohorts_season ON league_cohorts(season_id, tier);
+    CREATE INDEX IF NOT EXISTS idx_league_members_cohort ON league_members(cohort_id);
+    CREATE INDEX IF NOT EXISTS idx_league_members_candidate ON league_members(candidate_id, joined_at);
+  `);
+
+  // Reward voucher code pools - assigned one per purchase (services/reward-fulfilment)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reward_voucher_codes (
+      id TEXT PRIMARY KEY,
+      reward_id TEXT NOT NULL,
+      code TEXT NOT NULL,
+      expires_at DATE,                  -- last day the code can be used (Singapore date)
+      status TEXT DEFAULT 'available',  -- 'available' | 'assigned' | 'void'
+      purchase_id TEXT,
+      assigned_at DATETIME,
+      uploaded_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(reward_id, code),
+      FOREIGN KEY (reward_id) REFERENCES rewards(id),
+      FOREIGN KEY (purchase_id) REFERENCES reward_purchases(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reward_voucher_codes_pool ON reward_voucher_codes(reward_id, status, expires_at);
+    CREATE INDEX IF NOT EXISTS idx_reward_purchases_status ON reward_purchases(status, created_at);
+  `);
+
+  // XP and points ledger - candidates.xp, lifetime_xp and current_points are
+  // cached sums of these entries (services/ledger)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ledger_transactions (
+      id TEXT PRIMARY KEY,
+      candidate_id TEXT NOT NULL,
+      source_type TEXT NOT NULL,        -- 'shift' | 'quest' | 'reward_purchase' | 'adjustment' | ...
+      source_id TEXT,
+      reason TEXT,
+      created_by TEXT,                  -- admin email for adjustments
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Each currency's entries in a transaction sum to zero
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL,
+      account TEXT NOT NULL,            -- 'candidate:<id>' | 'platform:<source_type>'
+      candidate_id TEXT,                -- set on candidate accounts only
+      currency TEXT NOT NULL,           -- 'xp' | 'lifetime_xp' | 'points'
+      amount INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (transaction_id) REFERENCES ledger_transactions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS ledger_reconciliation_runs (
+      id TEXT PRIMARY KEY,
+      triggered_by TEXT,                -- 'scheduler' or admin email
+      candidates_checked INTEGER DEFAULT 0,
+      accounts_opened INTEGER DEFAULT 0,
+      mismatches_found INTEGER DEFAULT 0,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS ledger_mismatches (
+      id TEXT PRIMARY KEY,
+      run_id TEXT NOT NULL,             -- last run that saw the mismatch
+      candidate_id TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      cached_balance INTEGER NOT NULL,
+      ledger_balance INTEGER NOT NULL,
+      difference INTEGER NOT NULL,      -- cached - ledger
+      status TEXT DEFAULT 'open',       -- 'open' | 'resolved' | 'cleared'
+      resolution TEXT,                  -- 'accept_cached' | 'restore_ledger'
+      resolution_reason TEXT,
+      resolved_by TEXT,
+      resolved_at DATETIME,
+      transaction_id TEXT,              -- adjusting entry for 'accept_cached'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (run_id) REFERENCES ledger_reconciliation_runs(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ledger_transactions_candidate ON ledger_transactions(candidate_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_ledger_transactions_source ON ledger_transactions(source_type, source_id);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_candidate ON ledger_entries(candidate_id, currency);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+    CREATE INDEX IF NOT EXISTS idx_ledger_mismatches_status ON ledger_mismatches(status, candidate_id);
+
+    -- Entries are never edited; corrections are new adjusting transactions
+    CREATE TRIGGER IF NOT EXISTS ledger_entries_immutable
+    BEFORE UPDATE ON ledger_entries
+    BEGIN
+      SELECT RAISE(ABORT, 'ledger entries are immutable');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ledger_transactions_immutable
+    BEFORE UPDATE ON ledger_transactions
+    BEGIN
+      SELECT RAISE(ABORT, 'ledger transactions are immutable');
+    END;
+  `);
+
+  // Client portal accounts - client contacts who request shifts, approve
+  // timesheets and download invoices (services/client-portal)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS client_users (
+      id TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      name TEXT NOT NULL,
+      phone TEXT,
+      password_hash TEXT,
+
+      -- 'invited' until the invite is accepted, then 'active' or 'deactivated'
+      status TEXT NOT NULL DEFAULT 'invited',
+      invite_token_hash TEXT,
+      invite_expires_at DATETIME,
+      invited_by TEXT,
+      last_login_at DATETIME,
+      deactivated_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_client_users_client ON client_users(client_id, status);
+  `);
+
+  // Worker rating loop - disputes of client ratings and workers' ratings of
+  // the job site (services/ratings)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rating_disputes (
+      id TEXT PRIMARY KEY,
+      deployment_id TEXT NOT NULL UNIQUE,
+      candidate_id TEXT NOT NULL,
+
+      -- The rating as given, kept even if moderation removes it
+      rating INTEGER NOT NULL,
+      feedback TEXT,
+      reason TEXT NOT NULL,
+
+      -- 'open' until an admin upholds or removes the rating
+      status TEXT NOT NULL DEFAULT 'open',
+      resolved_by TEXT,
+      resolution_note TEXT,
+      resolved_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (deployment_id) REFERENCES deployments(id),
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rating_disputes_status ON rating_disputes(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_rating_disputes_candidate ON rating_disputes(candidate_id);
+
+    CREATE TABLE IF NOT EXISTS site_ratings (
+      id TEXT PRIMARY KEY,
+      deployment_id TEXT NOT NULL UNIQUE,
+      candidate_id TEXT NOT NULL,
+      job_id TEXT NOT NULL,
+      client_id TEXT,
+      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      feedback TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (deployment_id) REFERENCES deployments(id),
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id),
+      FOREIGN KEY (job_id) REFERENCES jobs(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_site_ratings_client ON site_ratings(client_id, created_at);
+  `);
+
+  // Recurring shift series - a weekly roster that generates jobs rows a set
+  // number of days ahead (services/job-series)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS job_series (
+      id TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      location TEXT NOT NULL,
+      charge_rate REAL NOT NULL,
+      pay_rate REAL NOT NULL,
+      total_slots INTEGER NOT NULL DEFAULT 1,
+      break_minutes INTEGER DEFAULT 0,
+      required_skills TEXT DEFAULT '[]',
+
+      -- ISO days of the week as a JSON array, 1 = Monday ... 7 = Sunday
+      days_of_week TEXT NOT NULL,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE,
+      horizon_days INTEGER NOT NULL DEFAULT 28,
+      skip_public_holidays INTEGER NOT NULL DEFAULT 1,
+
+      -- The contract the roster serves: a won tender or a tracked renewal
+      tender_id TEXT,
+      renewal_id TEXT,
+
+      -- 'active', 'paused' (nothing new is generated) or 'ended'
+      status TEXT NOT NULL DEFAULT 'active',
+      last_generated_at DATETIME,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (client_id) REFERENCES clients(id),
+      FOREIGN KEY (tender_id) REFERENCES tenders(id),
+      FOREIGN KEY (renewal_id) REFERENCES contract_renewals(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_job_series_client ON job_series(client_id, status);
+
+    CREATE TABLE IF NOT EXISTS job_series_exceptions (
+      id TEXT PRIMARY KEY,
+      series_id TEXT NOT NULL,
+      exception_date DATE NOT NULL,
+      -- 'skip' drops the date, 'work' adds it (e.g. working a public holiday)
+      action TEXT NOT NULL,
+      reason TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (series_id, exception_date),
+      FOREIGN KEY (series_id) REFERENCES job_series(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS public_holidays (
+      holiday_date DATE PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // ==========================================
+  // SHIFT SWAPS AND RELEASES (services/shift-changes)
+  // ==========================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS shift_change_requests (
+      id TEXT PRIMARY KEY,
+      deployment_id TEXT NOT NULL,
+      job_id TEXT NOT NULL,
+      candidate_id TEXT NOT NULL,
+      -- 'swap' hands the shift to a named colleague; 'release' puts the slot back on the market
+      type TEXT NOT NULL,
+      target_candidate_id TEXT,
+      reason TEXT,
+
+      -- 'awaiting_colleague', 'awaiting_approval', 'completed', 'declined' (by the colleague),
+      -- 'rejected' (by an admin), 'withdrawn' (by the worker) or 'expired' (shift started)
+      status TEXT NOT NULL,
+      -- Hours between the request and the shift start; late requests count against reliability
+      hours_notice REAL,
+      is_late INTEGER DEFAULT 0,
+
+      new_deployment_id TEXT,
+      backfill_request_id TEXT,
+      responded_at DATETIME,
+      reviewed_by TEXT,
+      review_note TEXT,
+      reviewed_at DATETIME,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (deployment_id) REFERENCES deployments(id),
+      FOREIGN KEY (job_id) REFERENCES jobs(id),
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id),
+      FOREIGN KEY (target_candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_shift_changes_status ON shift_change_requests(status);
+    CREATE INDEX IF NOT EXISTS idx_shift_changes_candidate ON shift_change_requests(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_shift_changes_target ON shift_change_requests(target_candidate_id, status);
+  `);
+
+  // ==========================================
+  // TENDER PORTAL SCRAPER RUNS (services/scraping/portals)
+  // ==========================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scraping_portal_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      portal_key TEXT NOT NULL,
+      trigger TEXT DEFAULT 'scheduled',
+      status TEXT DEFAULT 'running',
+      items_found INTEGER DEFAULT 0,
+      items_new INTEGER DEFAULT 0,
+      items_duplicate INTEGER DEFAULT 0,
+      items_skipped INTEGER DEFAULT 0,
+      items_invalid INTEGER DEFAULT 0,
+      error TEXT,
+      duration_ms INTEGER,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_portal_runs_portal ON scraping_portal_runs(portal_key, started_at);
   `);
 
   if (process.env.NODE_ENV !== 'production') {
@@ -2026,6 +2810,327 @@ function runMigrations(db) {
         console.warn('scanner_settings seed migration warning:', e.message);
       }
     },
+
+    // Migration: Add check_in_time/check_out_time to deployments (written by timesheets)
+    () => {
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info('deployments')").all();
+        const columns = tableInfo.map(c => c.name);
+
+        if (!columns.includes('check_in_time')) {
+          db.exec('ALTER TABLE deployments ADD COLUMN check_in_time DATETIME');
+        }
+        if (!columns.includes('check_out_time')) {
+          db.exec('ALTER TABLE deployments ADD COLUMN check_out_time DATETIME');
+        }
+      } catch (e) {
+        console.warn('deployments check-in migration warning:', e.message);
+      }
+    },
+
+    // Migration: Add withdrawal, transaction and payout batch columns to payments
+    () => {
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info('payments')").all();
+        const columns = tableInfo.map(c => c.name);
+
+        const newColumns = [
+          ['transaction_id', 'TEXT'],
+          ['payment_proof', 'TEXT'],
+          ['notes', 'TEXT'],
+          ['withdrawal_requested', 'INTEGER DEFAULT 0'],
+          ['withdrawal_requested_at', 'DATETIME'],
+          ['payout_batch_id', 'TEXT'],
+          ['payout_failure_reason', 'TEXT'],
+        ];
+
+        newColumns.forEach(([name, type]) => {
+          if (!columns.includes(name)) {
+            db.exec(`ALTER TABLE payments ADD COLUMN ${name} ${type}`);
+          }
+        });
+      } catch (e) {
+        console.warn('payments payout migration warning:', e.message);
+      }
+    },
+
+    // Migration: Add AI source, external id, delivery receipt and media columns to messages
+    () => {
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info('messages')").all();
+        const columns = tableInfo.map(c => c.name);
+
+        const newColumns = [
+          ['ai_source', 'TEXT'],
+          ['external_id', 'TEXT'],
+          ['read_at', 'DATETIME'],
+          ['delivery_status', 'TEXT'],
+          ['delivered_at', 'DATETIME'],
+          ['delivery_error', 'TEXT'],
+          ['media_type', 'TEXT'],
+          ['media_ref', 'TEXT'],
+        ];
+
+        newColumns.forEach(([name, type]) => {
+          if (!columns.includes(name)) {
+            db.exec(`ALTER TABLE messages ADD COLUMN ${name} ${type}`);
+          }
+        });
+
+        db.exec('CREATE INDEX IF NOT EXISTS idx_messages_channel_external ON messages(channel, external_id)');
+      } catch (e) {
+        console.warn('messages delivery migration warning:', e.message);
+      }
+    },
+
+    // Migration: Track when candidates opted in or out of WhatsApp
+    () => {
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info('candidates')").all();
+        const columns = tableInfo.map(c => c.name);
+
+        if (!columns.includes('whatsapp_opted_in_at')) {
+          db.exec('ALTER TABLE candidates ADD COLUMN whatsapp_opted_in_at DATETIME');
+        }
+        if (!columns.includes('whatsapp_opted_out_at')) {
+          db.exec('ALTER TABLE candidates ADD COLUMN whatsapp_opted_out_at DATETIME');
+        }
+      } catch (e) {
+        console.warn('candidates whatsapp migration warning:', e.message);
+      }
+    },
+
+    // Migration: Geocodes for candidate addresses and job locations, plus max commute
+    () => {
+      try {
+        const candidateColumns = db.prepare("PRAGMA table_info('candidates')").all().map(c => c.name);
+        if (!candidateColumns.includes('geo_lat')) {
+          db.exec('ALTER TABLE candidates ADD COLUMN geo_lat REAL');
+        }
+        if (!candidateColumns.includes('geo_lng')) {
+          db.exec('ALTER TABLE candidates ADD COLUMN geo_lng REAL');
+        }
+        if (!candidateColumns.includes('geo_source')) {
+          db.exec('ALTER TABLE candidates ADD COLUMN geo_source TEXT');
+        }
+        if (!candidateColumns.includes('max_commute_km')) {
+          db.exec('ALTER TABLE candidates ADD COLUMN max_commute_km INTEGER');
+        }
+
+        const jobColumns = db.prepare("PRAGMA table_info('jobs')").all().map(c => c.name);
+        if (!jobColumns.includes('geo_lat')) {
+          db.exec('ALTER TABLE jobs ADD COLUMN geo_lat REAL');
+        }
+        if (!jobColumns.includes('geo_lng')) {
+          db.exec('ALTER TABLE jobs ADD COLUMN geo_lng REAL');
+        }
+        if (!jobColumns.includes('geo_source')) {
+          db.exec('ALTER TABLE jobs ADD COLUMN geo_source TEXT');
+        }
+      } catch (e) {
+        console.warn('geocoding migration warning:', e.message);
+      }
+    },
+
+    // Migration: Seed default stage gates (Bidding → Approval, Approval → Submitted)
+    () => {
+      try {
+        const seed = db.prepare(`
+          INSERT OR IGNORE INTO bpo_stage_gates
+            (stage, name, require_pricing_scenario, require_compliance, min_margin_pct, required_approvals)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        seed.run('internal_approval', 'Ready for approval', 1, 1, null, 0);
+        seed.run('submitted', 'Bid sign-off', 0, 0, 10, 2);
+      } catch (e) {
+        console.warn('stage gate seed migration warning:', e.message);
+      }
+    },
+
+    // Migration: Feature and model on LLM usage logs (tables created lazily before the provider registry)
+    () => {
+      try {
+        const columns = db.prepare("PRAGMA table_info('llm_usage_logs')").all().map(c => c.name);
+        if (!columns.includes('feature')) {
+          db.exec('ALTER TABLE llm_usage_logs ADD COLUMN feature TEXT');
+        }
+        if (!columns.includes('model')) {
+          db.exec('ALTER TABLE llm_usage_logs ADD COLUMN model TEXT');
+        }
+      } catch (e) {
+        console.warn('llm_usage_logs migration warning:', e.message);
+      }
+    },
+
+    // Migration: Attribute audit log entries (table first created by the GeBIZ schema)
+    () => {
+      try {
+        const columns = db.prepare("PRAGMA table_info('audit_log')").all().map(c => c.name);
+        for (const column of ['user_name', 'user_role', 'ip_address']) {
+          if (!columns.includes(column)) {
+            db.exec(`ALTER TABLE audit_log ADD COLUMN ${column} TEXT`);
+          }
+        }
+      } catch (e) {
+        console.warn('audit_log migration warning:', e.message);
+      }
+    },
+
+    // Migration: Reset period for daily/weekly quest progress (quest engine)
+    () => {
+      try {
+        const columns = db.prepare("PRAGMA table_info('candidate_quests')").all().map(c => c.name);
+        if (!columns.includes('period_key')) {
+          db.exec('ALTER TABLE candidate_quests ADD COLUMN period_key TEXT');
+        }
+      } catch (e) {
+        console.warn('candidate_quests migration warning:', e.message);
+      }
+    },
+
+    // Migration: Reward stock limits and fulfilment (services/reward-fulfilment)
+    () => {
+      try {
+        const rewardColumns = db.prepare("PRAGMA table_info('rewards')").all().map(c => c.name);
+        if (!rewardColumns.includes('max_per_user')) {
+          db.exec('ALTER TABLE rewards ADD COLUMN max_per_user INTEGER');
+        }
+        if (!rewardColumns.includes('fulfilment_type')) {
+          db.exec("ALTER TABLE rewards ADD COLUMN fulfilment_type TEXT DEFAULT 'manual'");
+          // Feature unlocks need no handling; everything else starts in the admin queue
+          db.exec("UPDATE rewards SET fulfilment_type = 'instant' WHERE category = 'feature'");
+        }
+
+        const purchaseColumns = db.prepare("PRAGMA table_info('reward_purchases')").all().map(c => c.name);
+        const addPurchaseColumn = (name, type) => {
+          if (!purchaseColumns.includes(name)) {
+            db.exec(`ALTER TABLE reward_purchases ADD COLUMN ${name} ${type}`);
+          }
+        };
+        addPurchaseColumn('voucher_code_id', 'TEXT');
+        addPurchaseColumn('note', 'TEXT');
+        addPurchaseColumn('failure_reason', 'TEXT');
+        addPurchaseColumn('handled_by', 'TEXT');
+        addPurchaseColumn('refunded_at', 'DATETIME');
+        db.exec("UPDATE reward_purchases SET status = 'refunded' WHERE status = 'cancelled'");
+      } catch (e) {
+        console.warn('rewards migration warning:', e.message);
+      }
+    },
+
+    // Migration: Client portal job requests and worker ratings (services/client-portal)
+    () => {
+      try {
+        const jobColumns = db.prepare("PRAGMA table_info('jobs')").all().map(c => c.name);
+        const addJobColumn = (name, type) => {
+          if (!jobColumns.includes(name)) {
+            db.exec(`ALTER TABLE jobs ADD COLUMN ${name} ${type}`);
+          }
+        };
+        // Requested jobs wait in 'pending_approval' until an admin sets the rates
+        addJobColumn('requested_by', 'TEXT');
+        addJobColumn('request_notes', 'TEXT');
+        addJobColumn('request_reviewed_by', 'TEXT');
+        addJobColumn('request_reviewed_at', 'DATETIME');
+        addJobColumn('rejection_reason', 'TEXT');
+
+        const deploymentColumns = db.prepare("PRAGMA table_info('deployments')").all().map(c => c.name);
+        if (!deploymentColumns.includes('rated_by')) {
+          db.exec('ALTER TABLE deployments ADD COLUMN rated_by TEXT');
+        }
+        if (!deploymentColumns.includes('rated_at')) {
+          db.exec('ALTER TABLE deployments ADD COLUMN rated_at DATETIME');
+        }
+      } catch (e) {
+        console.warn('client portal migration warning:', e.message);
+      }
+    },
+
+    // Migration: Rating requests and aggregated worker ratings (services/ratings)
+    () => {
+      try {
+        const deploymentColumns = db.prepare("PRAGMA table_info('deployments')").all().map(c => c.name);
+        if (!deploymentColumns.includes('rating_requested_at')) {
+          db.exec('ALTER TABLE deployments ADD COLUMN rating_requested_at DATETIME');
+        }
+
+        const candidateColumns = db.prepare("PRAGMA table_info('candidates')").all().map(c => c.name);
+        if (!candidateColumns.includes('recent_rating')) {
+          db.exec('ALTER TABLE candidates ADD COLUMN recent_rating REAL');
+        }
+        if (!candidateColumns.includes('rating_count')) {
+          db.exec('ALTER TABLE candidates ADD COLUMN rating_count INTEGER DEFAULT 0');
+          // Start from the ratings clients have actually given; candidates
+          // without any keep their current rating until the first one arrives
+          db.exec(`
+            UPDATE candidates SET
+              rating_count = (SELECT COUNT(*) FROM deployments d WHERE d.candidate_id = candidates.id AND d.rating IS NOT NULL),
+              rating = (SELECT ROUND(AVG(d.rating), 2) FROM deployments d WHERE d.candidate_id = candidates.id AND d.rating IS NOT NULL)
+            WHERE EXISTS (SELECT 1 FROM deployments d WHERE d.candidate_id = candidates.id AND d.rating IS NOT NULL)
+          `);
+        }
+      } catch (e) {
+        console.warn('ratings migration warning:', e.message);
+      }
+    },
+
+    // Migration: Jobs generated from a recurring series (services/job-series)
+    () => {
+      try {
+        const jobColumns = db.prepare("PRAGMA table_info('jobs')").all().map(c => c.name);
+        if (!jobColumns.includes('series_id')) {
+          db.exec('ALTER TABLE jobs ADD COLUMN series_id TEXT');
+        }
+        // The series date the job was generated for, even if the job itself is moved
+        if (!jobColumns.includes('series_date')) {
+          db.exec('ALTER TABLE jobs ADD COLUMN series_date DATE');
+        }
+        // Set when one occurrence is edited on its own; series edits then leave it alone
+        if (!jobColumns.includes('series_detached')) {
+          db.exec('ALTER TABLE jobs ADD COLUMN series_detached INTEGER DEFAULT 0');
+        }
+        db.exec(`
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_series_date ON jobs(series_id, series_date)
+          WHERE series_id IS NOT NULL
+        `);
+
+        // Singapore public holidays as gazetted by MOM, with Monday in lieu of a Sunday holiday; later years are added from the admin
+        if (!db.prepare('SELECT 1 FROM public_holidays LIMIT 1').get()) {
+          const insertHoliday = db.prepare('INSERT INTO public_holidays (holiday_date, name) VALUES (?, ?)');
+          [
+            ['2026-01-01', "New Year's Day"],
+            ['2026-02-17', 'Chinese New Year'],
+            ['2026-02-18', 'Chinese New Year'],
+            ['2026-03-21', 'Hari Raya Puasa'],
+            ['2026-04-03', 'Good Friday'],
+            ['2026-05-01', 'Labour Day'],
+            ['2026-05-27', 'Hari Raya Haji'],
+            ['2026-05-31', 'Vesak Day'],
+            ['2026-06-01', 'Vesak Day (observed)'],
+            ['2026-08-09', 'National Day'],
+            ['2026-08-10', 'National Day (observed)'],
+            ['2026-11-08', 'Deepavali'],
+            ['2026-11-09', 'Deepavali (observed)'],
+            ['2026-12-25', 'Christmas Day'],
+          ].forEach(([date, name]) => insertHoliday.run(date, name));
+        }
+      } catch (e) {
+        console.warn('job series migration warning:', e.message);
+      }
+    },
+
+    // Migration: Per-client approval of worker shift swaps and releases (services/shift-changes)
+    () => {
+      try {
+        const clientColumns = db.prepare("PRAGMA table_info('clients')").all().map(c => c.name);
+        // 'none', 'release' (releases only) or 'all' (swaps and releases)
+        if (!clientColumns.includes('shift_change_approval')) {
+          db.exec("ALTER TABLE clients ADD COLUMN shift_change_approval TEXT DEFAULT 'none'");
+        }
+      } catch (e) {
+        console.warn('shift change migration warning:', e.message);
+      }
+    },
   ];
 
   // Run all migrations
@@ -2042,7 +3147,122 @@ function runMigrations(db) {
   }
 }
 
-module.exports = {
-  createSchema,
-  runMigrations
-};
\ No newline at end of file
+function up(db) {
+  createSchema(db);
+  runMigrations(db);
+
+  db.exec(`
+    -- Previously created by services/job-scheduler.js on start
+    CREATE TABLE IF NOT EXISTS job_scheduler_status (
+      job_name TEXT PRIMARY KEY,
+      schedule TEXT NOT NULL,
+      description TEXT,
+      active INTEGER DEFAULT 1,
+      last_run TEXT,
+      next_run TEXT,
+      run_count INTEGER DEFAULT 0,
+      error_count INTEGER DEFAULT 0,
+      last_error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Previously created by db/database/schema/tenders.js
+    CREATE TABLE IF NOT EXISTS gebiz_historical_tenders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tender_no TEXT UNIQUE NOT NULL,
+      description TEXT,
+      awarded_amount REAL,
+      supplier_name TEXT,
+      award_date DATE,
+      agency TEXT,
+      category TEXT,
+      contract_period_start DATE,
+      contract_period_end DATE,
+      raw_data TEXT,
+      imported_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Previously created by db/database/schema/admin.js
+    CREATE TABLE IF NOT EXISTS engagement_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT,
+      session_start DATETIME DEFAULT CURRENT_TIMESTAMP,
+      session_end DATETIME,
+      duration_minutes REAL,
+      pages_visited INTEGER DEFAULT 0,
+      actions_performed INTEGER DEFAULT 0,
+      device_type TEXT,
+      user_agent TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS feature_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT,
+      feature_name TEXT,
+      usage_count INTEGER DEFAULT 1,
+      last_used DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS retention_cohorts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      cohort_month TEXT,
+      candidate_id TEXT,
+      registration_date DATE,
+      first_job_date DATE,
+      active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS churn_predictions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT UNIQUE,
+      risk_score REAL,  -- 0-1 probability
+      risk_factors TEXT,  -- JSON array
+      last_calculated DATETIME DEFAULT CURRENT_TIMESTAMP,
+      intervention_suggested TEXT,
+      intervention_taken TEXT,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_effectiveness (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notification_type TEXT,
+      sent_count INTEGER DEFAULT 0,
+      opened_count INTEGER DEFAULT 0,
+      clicked_count INTEGER DEFAULT 0,
+      responded_count INTEGER DEFAULT 0,
+      conversion_count INTEGER DEFAULT 0,
+      date_tracked DATE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Indexes previously created by db/database/schema/indexes.js
+    CREATE INDEX IF NOT EXISTS idx_deployments_candidate_job ON deployments(candidate_id, job_id);
+    CREATE INDEX IF NOT EXISTS idx_deployments_status ON deployments(status);
+    CREATE INDEX IF NOT EXISTS idx_jobs_client ON jobs(client_id);
+    CREATE INDEX IF NOT EXISTS idx_referrals_referred ON referrals(referred_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_read ON messages(read);
+    CREATE INDEX IF NOT EXISTS idx_reward_purchases_candidate ON reward_purchases(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_candidate_borders_candidate ON candidate_borders(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_notification_log_candidate ON notification_log(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_streak_protection_candidate ON streak_protection(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_push_queue_status ON push_queue(status);
+    CREATE INDEX IF NOT EXISTS idx_push_queue_candidate ON push_queue(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_gebiz_hist_supplier ON gebiz_historical_tenders(supplier_name);
+    CREATE INDEX IF NOT EXISTS idx_gebiz_hist_award_date ON gebiz_historical_tenders(award_date);
+    CREATE INDEX IF NOT EXISTS idx_gebiz_hist_category ON gebiz_historical_tenders(category);
+    CREATE INDEX IF NOT EXISTS idx_gebiz_hist_agency ON gebiz_historical_tenders(agency);
+    CREATE INDEX IF NOT EXISTS idx_gebiz_active_tender_no ON gebiz_active_tenders(tender_no);
+    CREATE INDEX IF NOT EXISTS idx_gebiz_active_closing ON gebiz_active_tenders(closing_date);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,332 @@
+/**
+ * Consolidate GeBIZ intelligence
+ * Alert, scraping and renewal-engagement tables used to live in a separate
+ * gebiz_intelligence.db. This creates them in the main database and copies
+ * across everything found in a legacy file, if one exists.
+ *
+ * Tables and columns only the legacy file has are added here, then rows are
+ * copied with INSERT OR IGNORE.
+ * Where a table already has rows here and an INTEGER id, legacy ids are
+ * dropped and the table's unique keys (e.g. tender_no) decide duplicates.
+ * Rows whose parent did not come across get their foreign key nulled or are
+ * removed, following the key's ON DELETE rule.
+ *
+ * The legacy file is left in place; nothing reads it after this runs.
+ * Rolling back drops the tables created here, not rows imported into tables
+ * that already existed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DATA_DIR } = require('../connection');
+
+const LEGACY_PATHS = [
+  path.join(DATA_DIR, 'gebiz_intelligence.db'),
+  path.join(__dirname, '..', '..', 'database', 'gebiz_intelligence.db'),
+];
+
+// Dropped on rollback, children first
+const TABLES = [
+  'alert_delivery_log',
+  'alert_history',
+  'alert_rules',
+  'user_alert_preferences',
+  'renewal_engagement_activities',
+  'scraping_sessions',
+  'scraping_config',
+];
+
+function createTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id TEXT PRIMARY KEY,
+      rule_name TEXT NOT NULL,
+      rule_type TEXT NOT NULL, -- 'value_threshold', 'closing_soon', 'agency_match', 'renewal_prediction'
+      conditions TEXT NOT NULL, -- JSON
+      priority TEXT DEFAULT 'medium',
+      notification_channels TEXT NOT NULL, -- JSON array
+      recipients TEXT NOT NULL, -- JSON
+      escalation_enabled BOOLEAN DEFAULT 0,
+      escalation_after_minutes INTEGER DEFAULT 60,
+      escalation_recipients TEXT,
+      digest_enabled BOOLEAN DEFAULT 0,
+      digest_frequency TEXT DEFAULT 'daily',
+      digest_time TEXT DEFAULT '09:00',
+      active BOOLEAN DEFAULT 1,
+      last_triggered_at DATETIME,
+      total_triggers INTEGER DEFAULT 0,
+      created_by TEXT DEFAULT 'system',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_history (
+      id TEXT PRIMARY KEY,
+      rule_id TEXT,
+      trigger_type TEXT NOT NULL, -- 'tender', 'renewal', 'deadline', 'system'
+      tender_id TEXT,
+      renewal_id TEXT,
+      alert_title TEXT NOT NULL,
+      alert_message TEXT NOT NULL,
+      alert_priority TEXT DEFAULT 'medium',
+      alert_data TEXT,
+      delivered_channels TEXT,
+      delivery_status TEXT DEFAULT 'pending', -- 'pending', 'sent', 'failed', 'partial'
+      delivery_errors TEXT,
+      triggered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      acknowledged BOOLEAN DEFAULT 0,
+      acknowledged_at DATETIME,
+      acknowledged_by TEXT,
+      action_taken TEXT,
+      action_notes TEXT,
+      action_taken_at DATETIME,
+      escalated BOOLEAN DEFAULT 0,
+      escalated_at DATETIME,
+      escalation_level INTEGER DEFAULT 0,
+      FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE SET NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS user_alert_preferences (
+      id TEXT PRIMARY KEY,
+      user_id TEXT UNIQUE NOT NULL,
+      email_enabled BOOLEAN DEFAULT 1,
+      email_address TEXT,
+      sms_enabled BOOLEAN DEFAULT 0,
+      sms_number TEXT,
+      slack_enabled BOOLEAN DEFAULT 1,
+      slack_user_id TEXT,
+      in_app_enabled BOOLEAN DEFAULT 1,
+      push_enabled BOOLEAN DEFAULT 0,
+      quiet_hours_enabled BOOLEAN DEFAULT 0,
+      quiet_hours_start TEXT DEFAULT '22:00',
+      quiet_hours_end TEXT DEFAULT '08:00',
+      min_priority TEXT DEFAULT 'low',
+      digest_enabled BOOLEAN DEFAULT 1,
+      digest_frequency TEXT DEFAULT 'daily',
+      digest_time TEXT DEFAULT '09:00',
+      digest_days TEXT DEFAULT '["mon","tue","wed","thu","fri"]',
+      max_alerts_per_hour INTEGER DEFAULT 10,
+      max_sms_per_day INTEGER DEFAULT 5,
+      dnd_enabled BOOLEAN DEFAULT 0,
+      dnd_until DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_delivery_log (
+      id TEXT PRIMARY KEY,
+      alert_id TEXT NOT NULL,
+      channel TEXT NOT NULL, -- 'email', 'sms', 'slack', 'push'
+      recipient TEXT NOT NULL,
+      status TEXT DEFAULT 'pending', -- 'pending', 'sent', 'failed', 'bounced'
+      provider TEXT,
+      provider_id TEXT,
+      error_message TEXT,
+      retry_count INTEGER DEFAULT 0,
+      sent_at DATETIME,
+      delivered_at DATETIME,
+      opened_at DATETIME,
+      clicked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (alert_id) REFERENCES alert_history(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS renewal_engagement_activities (
+      id TEXT PRIMARY KEY,
+      renewal_id TEXT NOT NULL,
+      activity_type TEXT NOT NULL, -- 'contact', 'meeting', 'proposal', 'follow_up', 'research'
+      activity_date DATE NOT NULL,
+      activity_description TEXT,
+      participants TEXT, -- JSON array
+      conducted_by TEXT,
+      outcome TEXT,
+      next_steps TEXT,
+      attachments TEXT, -- JSON array of file URLs
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (renewal_id) REFERENCES contract_renewals(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS scraping_sessions (
+      id TEXT PRIMARY KEY,
+      source TEXT NOT NULL DEFAULT 'datagovsg',
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'running', 'completed', 'failed')),
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      user_id TEXT,
+      keywords TEXT, -- JSON array
+      max_results INTEGER DEFAULT 1000,
+      records_scraped INTEGER DEFAULT 0,
+      records_inserted INTEGER DEFAULT 0,
+      error_count INTEGER DEFAULT 0,
+      error_message TEXT,
+      notes TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS scraping_config (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      config_key TEXT UNIQUE NOT NULL,
+      config_value TEXT NOT NULL,
+      description TEXT,
+      updated_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alert_rules_active ON alert_rules(active);
+    CREATE INDEX IF NOT EXISTS idx_alert_rules_type ON alert_rules(rule_type);
+    CREATE INDEX IF NOT EXISTS idx_alert_history_rule_id ON alert_history(rule_id);
+    CREATE INDEX IF NOT EXISTS idx_alert_history_triggered ON alert_history(triggered_at);
+    CREATE INDEX IF NOT EXISTS idx_alert_history_unread ON alert_history(acknowledged) WHERE acknowledged = 0;
+    CREATE INDEX IF NOT EXISTS idx_delivery_log_alert_id ON alert_delivery_log(alert_id);
+    CREATE INDEX IF NOT EXISTS idx_delivery_log_status ON alert_delivery_log(status);
+    CREATE INDEX IF NOT EXISTS idx_engagement_renewal ON renewal_engagement_activities(renewal_id);
+    CREATE INDEX IF NOT EXISTS idx_engagement_date ON renewal_engagement_activities(activity_date);
+    CREATE INDEX IF NOT EXISTS idx_scraping_sessions_status ON scraping_sessions(status);
+    CREATE INDEX IF NOT EXISTS idx_scraping_sessions_started ON scraping_sessions(started_at);
+
+    CREATE TRIGGER IF NOT EXISTS update_alert_rules_timestamp
+    AFTER UPDATE ON alert_rules
+    FOR EACH ROW
+    BEGIN
+      UPDATE alert_rules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS update_user_prefs_timestamp
+    AFTER UPDATE ON user_alert_preferences
+    FOR EACH ROW
+    BEGIN
+      UPDATE user_alert_preferences SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+  `);
+}
+
+function seedDefaults(db) {
+  db.exec(`
+    INSERT OR IGNORE INTO alert_rules (
+      id, rule_name, rule_type, conditions, priority, notification_channels, recipients, active
+    ) VALUES
+      ('rule_high_value_tenders', 'High Value Tender Alert', 'value_threshold',
+       '{"min_value": 1000000, "agencies": ["Ministry of Health", "Ministry of Education"]}',
+       'critical', '["email", "in_app", "slack"]',
+       '{"email": ["admin@worklink.sg"], "slack": ["#alerts"]}', 1),
+      ('rule_closing_soon', 'Tender Closing Soon', 'closing_soon',
+       '{"days_until_close": 3, "min_value": 100000}',
+       'high', '["email", "in_app"]',
+       '{"email": ["admin@worklink.sg"]}', 1),
+      ('rule_renewal_opportunities', 'Contract Renewal Opportunities', 'renewal_prediction',
+       '{"months_until_expiry": 6, "min_probability": 70}',
+       'medium', '["email", "in_app"]',
+       '{"email": ["admin@worklink.sg"]}', 1);
+
+    INSERT OR IGNORE INTO user_alert_preferences (id, user_id, email_address) VALUES
+      ('pref_admin', 'admin', 'admin@worklink.sg'),
+      ('pref_manager', 'manager', 'manager@worklink.sg');
+
+    INSERT OR IGNORE INTO scraping_config (config_key, config_value, description) VALUES
+      ('gebiz_keywords', '["manpower", "cleaning", "security", "hospitality", "catering", "event staff"]', 'Keywords to filter relevant GeBIZ tenders'),
+      ('gebiz_historical_sync_enabled', 'true', 'Enable daily historical data sync'),
+      ('gebiz_active_scrape_enabled', 'true', 'Enable active tender scraping'),
+      ('alert_high_value_threshold', '100000', 'Tender value threshold for high-priority alerts (SGD)'),
+      ('rate_limit_requests_per_minute', '10', 'Max requests per minute for scraping');
+  `);
+}
+
+const quote = (name) => `"${name.replace(/"/g, '""')}"`;
+
+function columnsOf(connection, table) {
+  return connection.prepare(`PRAGMA table_info(${quote(table)})`).all();
+}
+
+function copyTable(db, legacy, table, createSql) {
+  let existing = columnsOf(db, table);
+  if (existing.length === 0) {
+    db.exec(createSql);
+    legacy.prepare("SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL")
+      .all(table)
+      .filter(index => !db.prepare('SELECT 1 FROM sqlite_master WHERE name = ?').get(index.name))
+      .forEach(index => db.exec(index.sql));
+    existing = columnsOf(db, table);
+  }
+
+  // Keep columns only the legacy copy has (e.g. renewal predictions)
+  const ours = new Set(existing.map(c => c.name));
+  const legacyColumns = columnsOf(legacy, table);
+  for (const column of legacyColumns.filter(c => !ours.has(c.name))) {
+    // ADD COLUMN only takes constant defaults
+    const fallback = /^(-?[\d.]+|'.*')$/.test(column.dflt_value) ? ` DEFAULT ${column.dflt_value}` : '';
+    db.exec(`ALTER TABLE ${quote(table)} ADD COLUMN ${quote(column.name)} ${column.type}${fallback}`);
+  }
+
+  const hasRows = Boolean(db.prepare(`SELECT 1 FROM ${quote(table)} LIMIT 1`).get());
+  const columns = legacyColumns
+    .filter(c => !(hasRows && c.pk && c.type.toUpperCase() === 'INTEGER'))
+    .map(c => quote(c.name));
+  if (columns.length === 0) return { copied: 0, total: 0 };
+
+  const list = columns.join(', ');
+  const insert = db.prepare(
+    `INSERT OR IGNORE INTO ${quote(table)} (${list}) VALUES (${columns.map(() => '?').join(', ')})`
+  );
+
+  let copied = 0;
+  let total = 0;
+  for (const row of legacy.prepare(`SELECT ${list} FROM ${quote(table)}`).raw().iterate()) {
+    copied += insert.run(row).changes;
+    total++;
+  }
+  return { copied, total };
+}
+
+// Apply each dangling foreign key's ON DELETE rule, as SQLite would have
+function resolveOrphans(db, table) {
+  const keys = db.prepare(`PRAGMA foreign_key_list(${quote(table)})`).all();
+  for (const orphan of db.prepare(`PRAGMA foreign_key_check(${quote(table)})`).all()) {
+    // A key into a table that never existed here is left as it was
+    if (columnsOf(db, orphan.parent).length === 0) continue;
+
+    const key = keys.find(k => k.id === orphan.fkid);
+    if (key.on_delete === 'SET NULL') {
+      db.prepare(`UPDATE ${quote(orphan.table)} SET ${quote(key.from)} = NULL WHERE rowid = ?`).run(orphan.rowid);
+    } else {
+      db.prepare(`DELETE FROM ${quote(orphan.table)} WHERE rowid = ?`).run(orphan.rowid);
+    }
+  }
+}
+
+function importLegacy(db, legacyPath) {
+  const legacy = new Database(legacyPath, { readonly: true, fileMustExist: true });
+  try {
+    const tables = legacy.prepare(`
+      SELECT name, sql FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND sql NOT LIKE 'CREATE VIRTUAL%'
+      ORDER BY rowid
+    `).all();
+
+    console.log(`📦 Importing ${tables.length} tables from ${legacyPath}`);
+    db.pragma('defer_foreign_keys = ON');
+    for (const { name, sql } of tables) {
+      const { copied, total } = copyTable(db, legacy, name, sql);
+      if (total > 0) console.log(`   ${name}: ${copied}/${total} rows`);
+    }
+    tables.forEach(({ name }) => resolveOrphans(db, name));
+  } finally {
+    legacy.close();
+  }
+}
+
+function up(db) {
+  createTables(db);
+  seedDefaults(db);
+
+  [...new Set(LEGACY_PATHS)]
+    .filter(file => fs.existsSync(file))
+    .forEach(file => importLegacy(db, file));
+}
+
+function down(db) {
+  TABLES.forEach(table => db.exec(`DROP TABLE IF EXISTS ${table}`));
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+/**
+ * Alert rule expressions
+ * Expression rules (rule_type 'expression') store their condition tree,
+ * subject, metric window and dedup window on alert_rules. Alerts remember
+ * which row they were about (subject_key) so dedup works for operations
+ * metrics as well as tenders and renewals. Deliveries held back by quiet
+ * hours or do not disturb wait in alert_delivery_log until scheduled_for.
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE alert_rules ADD COLUMN subject TEXT; -- 'tender', 'renewal', 'operations' (expression rules)
+    ALTER TABLE alert_rules ADD COLUMN expression TEXT; -- JSON condition tree
+    ALTER TABLE alert_rules ADD COLUMN window_days INTEGER DEFAULT 7;
+    ALTER TABLE alert_rules ADD COLUMN dedup_minutes INTEGER DEFAULT 60;
+
+    ALTER TABLE alert_history ADD COLUMN subject_key TEXT;
+    CREATE INDEX IF NOT EXISTS idx_alert_history_subject ON alert_history(rule_id, subject_key, triggered_at);
+
+    ALTER TABLE alert_delivery_log ADD COLUMN scheduled_for DATETIME;
+    CREATE INDEX IF NOT EXISTS idx_alert_delivery_scheduled ON alert_delivery_log(status, scheduled_for);
+
+    ALTER TABLE user_alert_preferences ADD COLUMN timezone TEXT DEFAULT 'Asia/Singapore';
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_alert_delivery_scheduled;
+    DROP INDEX IF EXISTS idx_alert_history_subject;
+
+    ALTER TABLE user_alert_preferences DROP COLUMN timezone;
+    ALTER TABLE alert_delivery_log DROP COLUMN scheduled_for;
+    ALTER TABLE alert_history DROP COLUMN subject_key;
+    ALTER TABLE alert_rules DROP COLUMN dedup_minutes;
+    ALTER TABLE alert_rules DROP COLUMN window_days;
+    ALTER TABLE alert_rules DROP COLUMN expression;
+    ALTER TABLE alert_rules DROP COLUMN subject;
+  `);
+}
+
+module.exports = { up, down };
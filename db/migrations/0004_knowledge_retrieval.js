@@ -0,0 +1,40 @@
+/**
+ * Knowledge retrieval
+ * AI responses remember which knowledge-base passages they were grounded
+ * on (citations, JSON), and retrieval evaluation runs keep their reports so
+ * backends and weights can be compared over time. The vector index itself
+ * lives on disk under the data directory, not in the database.
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE ai_response_logs ADD COLUMN citations TEXT; -- JSON: [{ ref, source, source_id, question, score }]
+
+    CREATE TABLE IF NOT EXISTS ml_retrieval_evaluations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      backend TEXT NOT NULL, -- embedding backend signature, e.g. hashed:v1:1024
+      case_source TEXT NOT NULL, -- feedback | file
+      cases INTEGER NOT NULL,
+      k INTEGER NOT NULL,
+      documents INTEGER NOT NULL,
+      vector_weight REAL,
+      recall_at_1 REAL, -- hybrid ranking
+      recall_at_k REAL,
+      mrr REAL,
+      report TEXT NOT NULL, -- JSON: per-mode summary and per-query ranks
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_ml_retrieval_evaluations_created ON ml_retrieval_evaluations(created_at);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_ml_retrieval_evaluations_created;
+    DROP TABLE IF EXISTS ml_retrieval_evaluations;
+    ALTER TABLE ai_response_logs DROP COLUMN citations;
+  `);
+}
+
+module.exports = { up, down };
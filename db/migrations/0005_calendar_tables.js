@@ -0,0 +1,85 @@
+/**
+ * Admin calendar tables
+ * Weekly availability, one-off special dates, booked interviews and
+ * per-admin calendar settings, which routes/calendar.js used to create on
+ * first use.
+ *
+ * Statements are idempotent, so databases that already have these tables
+ * keep them as they are. Rolling back drops the tables.
+ */
+
+// Dropped on rollback, children first
+const TABLES = [
+  'calendar_settings',
+  'calendar_interviews',
+  'calendar_special_dates',
+  'calendar_availability',
+];
+
+function up(db) {
+  db.exec(`
+    -- Previously created by routes/calendar.js
+    CREATE TABLE IF NOT EXISTS calendar_availability (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id TEXT NOT NULL DEFAULT 'admin',
+      day_of_week INTEGER NOT NULL, -- 0=Sunday, 1=Monday, etc.
+      start_time TEXT NOT NULL, -- HH:MM format
+      end_time TEXT NOT NULL, -- HH:MM format
+      is_active BOOLEAN DEFAULT 1,
+      buffer_minutes INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(admin_id, day_of_week, start_time, end_time)
+    );
+
+    CREATE TABLE IF NOT EXISTS calendar_special_dates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id TEXT NOT NULL DEFAULT 'admin',
+      date TEXT NOT NULL, -- YYYY-MM-DD format
+      type TEXT NOT NULL, -- holiday, blocked, custom, vacation
+      title TEXT NOT NULL,
+      description TEXT,
+      is_available BOOLEAN DEFAULT 0,
+      custom_hours TEXT, -- JSON array of {start, end} objects
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(admin_id, date)
+    );
+
+    CREATE TABLE IF NOT EXISTS calendar_interviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT,
+      candidate_name TEXT NOT NULL,
+      candidate_email TEXT,
+      admin_id TEXT NOT NULL DEFAULT 'admin',
+      scheduled_datetime TEXT NOT NULL, -- ISO string
+      duration_minutes INTEGER DEFAULT 30,
+      interview_type TEXT DEFAULT 'video', -- video, phone, in-person
+      status TEXT DEFAULT 'scheduled', -- scheduled, confirmed, completed, cancelled
+      meeting_link TEXT,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS calendar_settings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id TEXT NOT NULL DEFAULT 'admin',
+      timezone TEXT DEFAULT 'Asia/Singapore',
+      default_buffer_minutes INTEGER DEFAULT 15,
+      auto_confirm_interviews BOOLEAN DEFAULT 0,
+      notification_preferences TEXT, -- JSON
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(admin_id)
+    );
+  `);
+}
+
+function down(db) {
+  for (const table of TABLES) {
+    db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,363 @@
+/**
+ * EPU/SER/19 tender intelligence tables
+ * Tenders, market and competitor intelligence, competitive alerts and the
+ * tender lifecycle with its critical dates, renewals and milestones. The
+ * gebiz-intelligence EPU services used to create these themselves.
+ *
+ * Existing tables are left untouched. Rolling back drops them.
+ */
+
+// Dropped on rollback, children first
+const TABLES = [
+  'epu_performance_milestones',
+  'epu_renewal_opportunities',
+  'epu_critical_dates',
+  'epu_tender_lifecycle',
+  'epu_competitive_alerts',
+  'epu_market_positioning',
+  'epu_competitor_bids',
+  'epu_competitor_profiles',
+  'epu_pricing_intelligence',
+  'epu_competitors',
+  'epu_market_intelligence',
+  'epu_ser_19_tenders',
+];
+
+function up(db) {
+  db.exec(`
+    -- Previously created by services/gebiz-intelligence/epu-ser-19-monitor.js
+    CREATE TABLE IF NOT EXISTS epu_ser_19_tenders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tender_no TEXT UNIQUE NOT NULL,
+      title TEXT NOT NULL,
+      agency TEXT,
+      estimated_value REAL,
+      contract_duration_months INTEGER,
+      manpower_count INTEGER,
+      service_type TEXT, -- 'data_entry', 'administrative', 'event_support', 'general'
+      locations TEXT, -- JSON array of service locations
+      closing_date DATE,
+      published_date DATE,
+      award_date DATE,
+      awarded_supplier TEXT,
+      awarded_amount REAL,
+      status TEXT DEFAULT 'active', -- 'active', 'closed', 'awarded'
+      renewal_eligibility BOOLEAN DEFAULT 0,
+      renewal_probability REAL, -- 0.0 to 1.0
+      competitor_count INTEGER DEFAULT 0,
+      win_probability REAL, -- Based on historical analysis
+      recommended_bid_range TEXT, -- JSON with min/max pricing
+      market_intelligence TEXT, -- JSON with competitive insights
+      requirements_summary TEXT,
+      tender_url TEXT,
+      source_data TEXT, -- JSON blob with raw data
+      intelligence_score INTEGER DEFAULT 0, -- 0-100 scoring
+      alert_priority TEXT DEFAULT 'medium', -- 'low', 'medium', 'high', 'urgent'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_epu_status ON epu_ser_19_tenders(status);
+    CREATE INDEX IF NOT EXISTS idx_epu_agency ON epu_ser_19_tenders(agency);
+    CREATE INDEX IF NOT EXISTS idx_epu_closing_date ON epu_ser_19_tenders(closing_date);
+    CREATE INDEX IF NOT EXISTS idx_epu_value ON epu_ser_19_tenders(estimated_value);
+    CREATE INDEX IF NOT EXISTS idx_epu_priority ON epu_ser_19_tenders(alert_priority);
+    CREATE INDEX IF NOT EXISTS idx_epu_intelligence_score ON epu_ser_19_tenders(intelligence_score);
+
+    CREATE TABLE IF NOT EXISTS epu_market_intelligence (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tender_id INTEGER,
+      intelligence_type TEXT NOT NULL, -- 'pricing', 'competitor', 'renewal', 'requirement'
+      data_point TEXT, -- Specific insight or data point
+      confidence_level REAL, -- 0.0 to 1.0
+      source TEXT, -- 'historical_data', 'pattern_analysis', 'manual_research'
+      impact_level TEXT, -- 'low', 'medium', 'high'
+      actionable_insight TEXT, -- Specific recommendation
+      validity_period DATE, -- When this intelligence expires
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_intel_type ON epu_market_intelligence(intelligence_type);
+    CREATE INDEX IF NOT EXISTS idx_intel_confidence ON epu_market_intelligence(confidence_level);
+    CREATE INDEX IF NOT EXISTS idx_intel_impact ON epu_market_intelligence(impact_level);
+
+    CREATE TABLE IF NOT EXISTS epu_competitors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      competitor_name TEXT NOT NULL,
+      registration_status TEXT, -- 'active', 'expired', 'pending'
+      specializations TEXT, -- JSON array of service types they excel at
+      total_epu_wins INTEGER DEFAULT 0,
+      total_epu_value REAL DEFAULT 0,
+      avg_contract_value REAL,
+      win_rate REAL, -- Percentage
+      typical_pricing_range TEXT, -- JSON with pricing patterns
+      agency_preferences TEXT, -- JSON with agencies they frequently win with
+      service_quality_indicators TEXT, -- JSON with performance metrics
+      last_win_date DATE,
+      market_share_percentage REAL,
+      threat_level TEXT DEFAULT 'medium', -- 'low', 'medium', 'high'
+      competitive_advantages TEXT, -- JSON array of strengths
+      weaknesses TEXT, -- JSON array of areas where they can be beaten
+      last_analyzed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_comp_name ON epu_competitors(competitor_name);
+    CREATE INDEX IF NOT EXISTS idx_comp_win_rate ON epu_competitors(win_rate);
+    CREATE INDEX IF NOT EXISTS idx_comp_threat ON epu_competitors(threat_level);
+
+    CREATE TABLE IF NOT EXISTS epu_pricing_intelligence (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service_type TEXT NOT NULL,
+      agency TEXT,
+      location TEXT,
+      manpower_count INTEGER,
+      contract_duration_months INTEGER,
+      hourly_rate_min REAL,
+      hourly_rate_max REAL,
+      hourly_rate_avg REAL,
+      monthly_cost_per_person REAL,
+      total_contract_value REAL,
+      award_date DATE,
+      supplier_name TEXT,
+      performance_bond_required BOOLEAN DEFAULT 0,
+      performance_bond_percentage REAL,
+      payment_terms TEXT,
+      contract_variations TEXT, -- JSON with any special terms
+      price_per_sqm REAL, -- For location-based services
+      overtime_rates TEXT, -- JSON with overtime pricing
+      holiday_rates TEXT, -- JSON with holiday pricing
+      data_quality TEXT DEFAULT 'high', -- 'low', 'medium', 'high'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pricing_service_type ON epu_pricing_intelligence(service_type);
+    CREATE INDEX IF NOT EXISTS idx_pricing_agency ON epu_pricing_intelligence(agency);
+    CREATE INDEX IF NOT EXISTS idx_pricing_award_date ON epu_pricing_intelligence(award_date);
+
+    -- Previously created by services/gebiz-intelligence/epu-competitor-analyzer.js
+    CREATE TABLE IF NOT EXISTS epu_competitor_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_name TEXT UNIQUE NOT NULL,
+      company_registration_no TEXT,
+      company_size TEXT, -- 'small', 'medium', 'large', 'enterprise'
+      competitor_tier TEXT, -- 'tier_1', 'tier_2', 'tier_3', 'niche', 'new_entrant'
+      threat_level TEXT DEFAULT 'medium',
+      total_epu_contracts INTEGER DEFAULT 0,
+      total_epu_value REAL DEFAULT 0,
+      avg_contract_value REAL DEFAULT 0,
+      win_rate REAL DEFAULT 0,
+      bid_success_rate REAL DEFAULT 0,
+      market_share_percentage REAL DEFAULT 0,
+      first_contract_date DATE,
+      latest_contract_date DATE,
+      preferred_agencies TEXT, -- JSON array of agencies they frequently win
+      service_specializations TEXT, -- JSON array of service types
+      geographical_focus TEXT, -- JSON array of locations/regions
+      typical_contract_size TEXT, -- 'small', 'medium', 'large', 'enterprise'
+      pricing_strategy TEXT, -- 'premium', 'competitive', 'value', 'low_cost'
+      pricing_patterns TEXT, -- JSON with pricing analysis
+      competitive_advantages TEXT, -- JSON array of strengths
+      weaknesses TEXT, -- JSON array of vulnerabilities
+      financial_indicators TEXT, -- JSON with financial health data
+      performance_metrics TEXT, -- JSON with service delivery metrics
+      innovation_score INTEGER DEFAULT 0, -- 0-100
+      reliability_score INTEGER DEFAULT 0, -- 0-100
+      agency_relationship_score INTEGER DEFAULT 0, -- 0-100
+      overall_threat_score INTEGER DEFAULT 0, -- 0-100
+      last_analyzed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_comp_profiles_threat ON epu_competitor_profiles(threat_level);
+    CREATE INDEX IF NOT EXISTS idx_comp_profiles_tier ON epu_competitor_profiles(competitor_tier);
+    CREATE INDEX IF NOT EXISTS idx_comp_profiles_win_rate ON epu_competitor_profiles(win_rate);
+    CREATE INDEX IF NOT EXISTS idx_comp_profiles_threat_score ON epu_competitor_profiles(overall_threat_score);
+
+    CREATE TABLE IF NOT EXISTS epu_competitor_bids (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      competitor_id INTEGER,
+      competitor_name TEXT,
+      tender_id INTEGER,
+      tender_no TEXT,
+      agency TEXT,
+      service_type TEXT,
+      bid_amount REAL,
+      won_contract BOOLEAN DEFAULT 0,
+      award_amount REAL,
+      bid_date DATE,
+      award_date DATE,
+      contract_duration_months INTEGER,
+      bid_ranking INTEGER, -- Position in bid evaluation (if available)
+      price_competitiveness REAL, -- How competitive was their pricing
+      technical_score REAL, -- Technical evaluation score (if available)
+      total_score REAL, -- Overall bid score (if available)
+      win_factors TEXT, -- JSON array of factors that led to win/loss
+      pricing_analysis TEXT, -- JSON with pricing breakdown analysis
+      lessons_learned TEXT, -- Strategic insights from this bid
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(competitor_id) REFERENCES epu_competitor_profiles(id),
+      FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_comp_bids_competitor ON epu_competitor_bids(competitor_id);
+    CREATE INDEX IF NOT EXISTS idx_comp_bids_tender ON epu_competitor_bids(tender_id);
+    CREATE INDEX IF NOT EXISTS idx_comp_bids_won ON epu_competitor_bids(won_contract);
+    CREATE INDEX IF NOT EXISTS idx_comp_bids_date ON epu_competitor_bids(bid_date);
+
+    CREATE TABLE IF NOT EXISTS epu_market_positioning (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      analysis_date DATE,
+      market_segment TEXT, -- 'data_entry', 'administrative', 'event_support', etc.
+      competitor_id INTEGER,
+      competitor_name TEXT,
+      market_position INTEGER, -- 1 = market leader, 2 = strong competitor, etc.
+      market_share_rank INTEGER,
+      competitive_strengths TEXT, -- JSON array
+      competitive_weaknesses TEXT, -- JSON array
+      differentiation_factors TEXT, -- JSON array
+      pricing_position TEXT, -- 'premium', 'competitive', 'value', 'discount'
+      service_quality_rating REAL, -- 1.0 to 5.0
+      innovation_rating REAL, -- 1.0 to 5.0
+      customer_satisfaction REAL, -- 1.0 to 5.0
+      strategic_recommendations TEXT, -- JSON with recommended strategies against this competitor
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(competitor_id) REFERENCES epu_competitor_profiles(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_positioning_segment ON epu_market_positioning(market_segment);
+    CREATE INDEX IF NOT EXISTS idx_positioning_competitor ON epu_market_positioning(competitor_id);
+    CREATE INDEX IF NOT EXISTS idx_positioning_date ON epu_market_positioning(analysis_date);
+
+    CREATE TABLE IF NOT EXISTS epu_competitive_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_type TEXT, -- 'new_competitor', 'pricing_change', 'market_expansion', 'contract_win'
+      competitor_id INTEGER,
+      competitor_name TEXT,
+      alert_priority TEXT DEFAULT 'medium', -- 'low', 'medium', 'high', 'urgent'
+      alert_title TEXT,
+      alert_description TEXT,
+      impact_assessment TEXT,
+      recommended_actions TEXT, -- JSON array
+      data_source TEXT, -- 'tender_analysis', 'market_research', 'manual_input'
+      confidence_level REAL, -- 0.0 to 1.0
+      expires_at DATE,
+      acknowledged BOOLEAN DEFAULT 0,
+      acknowledged_at DATETIME,
+      acknowledged_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(competitor_id) REFERENCES epu_competitor_profiles(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_comp_alerts_type ON epu_competitive_alerts(alert_type);
+    CREATE INDEX IF NOT EXISTS idx_comp_alerts_priority ON epu_competitive_alerts(alert_priority);
+    CREATE INDEX IF NOT EXISTS idx_comp_alerts_acknowledged ON epu_competitive_alerts(acknowledged);
+
+    -- Previously created by services/gebiz-intelligence/epu-lifecycle-tracker.js
+    CREATE TABLE IF NOT EXISTS epu_tender_lifecycle (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tender_id INTEGER,
+      tender_no TEXT,
+      current_stage TEXT NOT NULL,
+      stage_entered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expected_next_stage TEXT,
+      expected_next_stage_date DATE,
+      lifecycle_data TEXT, -- JSON with all stage dates and milestones
+      estimated_timeline TEXT, -- JSON with projected dates
+      actual_timeline TEXT, -- JSON with actual dates
+      delays_identified TEXT, -- JSON with any delays and reasons
+      opportunities_identified TEXT, -- JSON with lifecycle opportunities
+      risk_factors TEXT, -- JSON with identified risks
+      last_updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_lifecycle_tender_id ON epu_tender_lifecycle(tender_id);
+    CREATE INDEX IF NOT EXISTS idx_epu_lifecycle_stage ON epu_tender_lifecycle(current_stage);
+    CREATE INDEX IF NOT EXISTS idx_lifecycle_next_stage_date ON epu_tender_lifecycle(expected_next_stage_date);
+
+    CREATE TABLE IF NOT EXISTS epu_critical_dates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lifecycle_id INTEGER,
+      tender_id INTEGER,
+      date_type TEXT NOT NULL, -- 'publication', 'clarification_deadline', 'submission_deadline', etc.
+      scheduled_date DATE,
+      actual_date DATE,
+      estimated_date DATE,
+      alert_sent BOOLEAN DEFAULT 0,
+      alert_priority TEXT, -- 'low', 'medium', 'high', 'urgent'
+      days_notice INTEGER, -- Days before to send alert
+      description TEXT,
+      impact_assessment TEXT, -- Impact if date is missed
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(lifecycle_id) REFERENCES epu_tender_lifecycle(id),
+      FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_critical_dates_tender ON epu_critical_dates(tender_id);
+    CREATE INDEX IF NOT EXISTS idx_critical_dates_type ON epu_critical_dates(date_type);
+    CREATE INDEX IF NOT EXISTS idx_critical_dates_scheduled ON epu_critical_dates(scheduled_date);
+
+    CREATE TABLE IF NOT EXISTS epu_renewal_opportunities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      original_tender_id INTEGER,
+      original_tender_no TEXT,
+      agency TEXT,
+      service_type TEXT,
+      contract_start_date DATE,
+      contract_end_date DATE,
+      contract_value REAL,
+      incumbent_supplier TEXT,
+      renewal_probability REAL, -- 0.0 to 1.0
+      renewal_notification_date DATE,
+      renewal_tender_expected_date DATE,
+      renewal_strategy TEXT, -- JSON with recommended approach
+      competitive_assessment TEXT, -- JSON with market analysis
+      pricing_intelligence TEXT, -- JSON with pricing recommendations
+      renewal_status TEXT DEFAULT 'monitoring', -- 'monitoring', 'notified', 'tender_live', 'decided'
+      intelligence_score INTEGER DEFAULT 0,
+      last_analyzed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(original_tender_id) REFERENCES epu_ser_19_tenders(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_renewal_end_date ON epu_renewal_opportunities(contract_end_date);
+    CREATE INDEX IF NOT EXISTS idx_renewal_notification_date ON epu_renewal_opportunities(renewal_notification_date);
+    CREATE INDEX IF NOT EXISTS idx_renewal_status ON epu_renewal_opportunities(renewal_status);
+
+    CREATE TABLE IF NOT EXISTS epu_performance_milestones (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lifecycle_id INTEGER,
+      tender_id INTEGER,
+      milestone_type TEXT NOT NULL, -- 'performance_review', 'kpi_assessment', 'service_expansion', 'variation'
+      milestone_date DATE,
+      milestone_description TEXT,
+      completion_status TEXT DEFAULT 'pending', -- 'pending', 'completed', 'overdue', 'cancelled'
+      performance_data TEXT, -- JSON with performance metrics
+      impact_on_renewal REAL, -- Impact score on renewal probability
+      lessons_learned TEXT, -- Key insights for future bids
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(lifecycle_id) REFERENCES epu_tender_lifecycle(id),
+      FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_milestones_tender ON epu_performance_milestones(tender_id);
+    CREATE INDEX IF NOT EXISTS idx_milestones_date ON epu_performance_milestones(milestone_date);
+    CREATE INDEX IF NOT EXISTS idx_milestones_status ON epu_performance_milestones(completion_status);
+  `);
+}
+
+function down(db) {
+  for (const table of TABLES) {
+    db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,173 @@
+/**
+ * Candidate sourcing and interview scheduling tables
+ * Sourcing runs, automated job postings and the discovery queue, plus
+ * consultant availability, interview slots, the interview queue and the
+ * lead conversion and SLM conversation logs behind the scheduling engine,
+ * and where the chat interview scheduler is in each conversation.
+ *
+ * Tables that already exist are kept as they are. Rolling back drops them.
+ */
+
+// Dropped on rollback, children first
+const TABLES = [
+  'interview_conversation_state',
+  'interview_performance',
+  'interview_queue',
+  'slm_conversations',
+  'lead_conversion_log',
+  'interview_slots',
+  'consultant_availability',
+  'candidate_discovery_queue',
+  'automated_job_postings',
+  'sourcing_logs',
+];
+
+function up(db) {
+  db.exec(`
+    -- Previously created by utils/candidate-sourcing-engine.js
+    CREATE TABLE IF NOT EXISTS sourcing_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      platform TEXT NOT NULL,
+      sourcing_type TEXT NOT NULL,
+      job_template TEXT,
+      candidates_found INTEGER DEFAULT 0,
+      candidates_contacted INTEGER DEFAULT 0,
+      candidates_responded INTEGER DEFAULT 0,
+      success_rate REAL DEFAULT 0,
+      cost_per_candidate REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS automated_job_postings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      platform TEXT NOT NULL,
+      job_title TEXT NOT NULL,
+      job_template TEXT NOT NULL,
+      posting_url TEXT,
+      status TEXT DEFAULT 'active',
+      views INTEGER DEFAULT 0,
+      applications INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS candidate_discovery_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_platform TEXT NOT NULL,
+      candidate_profile_url TEXT,
+      candidate_data TEXT, -- JSON string
+      discovery_method TEXT NOT NULL,
+      processing_status TEXT DEFAULT 'pending',
+      pre_qualification_score INTEGER,
+      contacted_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Previously created by utils/interview-scheduling-engine.js
+    CREATE TABLE IF NOT EXISTS consultant_availability (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      consultant_id TEXT DEFAULT 'primary',
+      date DATE NOT NULL,
+      start_time TIME NOT NULL,
+      end_time TIME NOT NULL,
+      is_available BOOLEAN DEFAULT 1,
+      slot_type TEXT DEFAULT 'interview', -- 'interview', 'break', 'blocked'
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS interview_slots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id INTEGER NOT NULL,
+      consultant_id TEXT DEFAULT 'primary',
+      scheduled_date DATE NOT NULL,
+      scheduled_time TIME NOT NULL,
+      duration_minutes INTEGER DEFAULT 30,
+      status TEXT DEFAULT 'scheduled', -- 'scheduled', 'confirmed', 'completed', 'cancelled', 'no_show'
+      interview_type TEXT DEFAULT 'onboarding', -- 'onboarding', 'screening', 'follow_up'
+      meeting_link TEXT,
+      reminder_sent BOOLEAN DEFAULT 0,
+      confirmation_sent BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      notes TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS lead_conversion_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id INTEGER NOT NULL,
+      conversion_stage TEXT NOT NULL, -- 'pending', 'contacted', 'scheduled', 'interviewed', 'active', 'rejected'
+      previous_stage TEXT,
+      conversion_method TEXT, -- 'manual', 'slm_auto', 'slm_followup', 'scheduled_interview'
+      slm_conversation_id TEXT,
+      success_factors TEXT, -- JSON array of factors that led to conversion
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS slm_conversations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id TEXT UNIQUE NOT NULL,
+      candidate_id INTEGER NOT NULL,
+      message_count INTEGER DEFAULT 0,
+      conversation_status TEXT DEFAULT 'active', -- 'active', 'converted', 'abandoned', 'escalated'
+      conversion_intent_score REAL DEFAULT 0, -- 0-1 score of conversion likelihood
+      last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      scheduled_interview_id INTEGER,
+      conversation_summary TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (scheduled_interview_id) REFERENCES interview_slots(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS interview_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id INTEGER NOT NULL,
+      priority_score REAL DEFAULT 0.5, -- 0-1 priority based on candidate quality + urgency
+      queue_status TEXT DEFAULT 'waiting', -- 'waiting', 'contacted', 'scheduled', 'processed'
+      preferred_times TEXT, -- JSON array of candidate preferred time slots
+      contact_attempts INTEGER DEFAULT 0,
+      last_contact_at DATETIME,
+      added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      scheduled_for DATETIME,
+      urgency_level TEXT DEFAULT 'normal' -- 'low', 'normal', 'high', 'urgent'
+    );
+
+    CREATE TABLE IF NOT EXISTS interview_performance (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date DATE NOT NULL,
+      total_scheduled INTEGER DEFAULT 0,
+      total_completed INTEGER DEFAULT 0,
+      total_no_shows INTEGER DEFAULT 0,
+      total_conversions INTEGER DEFAULT 0, -- pending → active
+      avg_interview_duration REAL DEFAULT 30,
+      consultant_satisfaction_score REAL DEFAULT 0, -- 1-10 scale
+      candidate_satisfaction_score REAL DEFAULT 0, -- 1-10 scale
+      efficiency_score REAL DEFAULT 0, -- interviews per hour
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Previously created by services/ai-chat/interview-scheduler-v2.js
+    CREATE TABLE IF NOT EXISTS interview_conversation_state (
+      candidate_id INTEGER PRIMARY KEY,
+      current_stage TEXT NOT NULL,
+      time_preference TEXT,
+      shown_slots TEXT,
+      selected_slot_index INTEGER,
+      selected_date TEXT,
+      selected_time TEXT,
+      conversation_context TEXT,
+      last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+  `);
+}
+
+function down(db) {
+  for (const table of TABLES) {
+    db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,222 @@
+/**
+ * Chat assistant tables
+ * Logs behind the automated chat replies: intent classification, smart
+ * router decisions and its rollout against the legacy path, template usage
+ * and bridge logs, escalations raised by the router, and ML implicit
+ * feedback. Each used to be created by the service that writes it.
+ *
+ * Also adds the columns the code writes but older schemas lack:
+ * response_templates.escalation_priority and success_rate, and
+ * messages.admin_feedback (previously only added by the manual
+ * db/migrate.js script).
+ *
+ * Existing tables are kept as they are. Rolling back drops the tables and
+ * the columns.
+ */
+
+// Dropped on rollback, children first
+const TABLES = [
+  'template_bridge_logs',
+  'template_usage_logs',
+  'escalations',
+  'intent_classification_metrics',
+  'intent_classification_logs',
+  'migration_metrics',
+  'migration_phases',
+  'performance_tracking',
+  'ab_comparison_logs',
+  'smart_router_decisions',
+  'pending_implicit_feedback',
+];
+
+// Added on up(), dropped on rollback
+const COLUMNS = [
+  ['response_templates', 'escalation_priority', "TEXT DEFAULT 'normal'"],
+  ['response_templates', 'success_rate', 'REAL DEFAULT 0.0'],
+  ['messages', 'admin_feedback', 'TEXT'],
+];
+
+function up(db) {
+  db.exec(`
+    -- Previously created by services/ml/index.js
+    CREATE TABLE IF NOT EXISTS pending_implicit_feedback (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL,
+      log_id INTEGER NOT NULL,
+      original_question TEXT,
+      messages_checked INTEGER DEFAULT 0,
+      resolved INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Previously created by services/smart-response-router/index.js
+    CREATE TABLE IF NOT EXISTS smart_router_decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL,
+      message_hash TEXT NOT NULL,
+      intent TEXT NOT NULL,
+      confidence REAL NOT NULL,
+      response_source TEXT NOT NULL,
+      escalated INTEGER DEFAULT 0,
+      uses_real_data INTEGER DEFAULT 0,
+      created_at DATETIME NOT NULL
+    );
+
+    -- Previously created by services/ai-chat/smart-router-integration.js
+    CREATE TABLE IF NOT EXISTS ab_comparison_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL,
+      message_hash TEXT NOT NULL,
+      smart_router_success INTEGER DEFAULT 0,
+      legacy_success INTEGER DEFAULT 0,
+      smart_router_confidence REAL DEFAULT 0,
+      legacy_confidence REAL DEFAULT 0,
+      smart_router_source TEXT,
+      legacy_source TEXT,
+      smart_router_uses_real_data INTEGER DEFAULT 0,
+      legacy_uses_real_data INTEGER DEFAULT 0,
+      comparison_time INTEGER DEFAULT 0,
+      created_at DATETIME NOT NULL,
+      UNIQUE(candidate_id, message_hash)
+    );
+
+    CREATE TABLE IF NOT EXISTS performance_tracking (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      system TEXT NOT NULL,
+      response_time INTEGER NOT NULL,
+      success INTEGER DEFAULT 0,
+      confidence REAL DEFAULT 0,
+      source TEXT,
+      created_at DATETIME NOT NULL
+    );
+
+    -- Previously created by utils/smart-router-migration.js
+    CREATE TABLE IF NOT EXISTS migration_phases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      phase_name TEXT NOT NULL,
+      rollout_percentage INTEGER NOT NULL,
+      started_at DATETIME NOT NULL,
+      ended_at DATETIME,
+      auto_advanced INTEGER DEFAULT 0,
+      success_rate REAL,
+      error_rate REAL,
+      confidence_improvement REAL,
+      notes TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS migration_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date DATE NOT NULL,
+      smart_router_requests INTEGER DEFAULT 0,
+      legacy_requests INTEGER DEFAULT 0,
+      smart_router_successes INTEGER DEFAULT 0,
+      legacy_successes INTEGER DEFAULT 0,
+      smart_router_avg_confidence REAL DEFAULT 0,
+      legacy_avg_confidence REAL DEFAULT 0,
+      smart_router_avg_response_time INTEGER DEFAULT 0,
+      legacy_avg_response_time INTEGER DEFAULT 0,
+      escalation_rate REAL DEFAULT 0,
+      user_satisfaction_score REAL DEFAULT 0
+    );
+
+    -- Previously created by services/intent-classifier/integration.js
+    CREATE TABLE IF NOT EXISTS intent_classification_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT,
+      message TEXT,
+      classified_intent TEXT,
+      confidence REAL,
+      processing_time_ms INTEGER,
+      matched_pattern TEXT,
+      escalation_required INTEGER,
+      source TEXT DEFAULT 'lightweight_classifier',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Previously created by services/intent-classifier/monitoring.js
+    CREATE TABLE IF NOT EXISTS intent_classification_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp DATETIME,
+      candidate_id TEXT,
+      message_length INTEGER,
+      intent TEXT,
+      confidence REAL,
+      processing_time_ms INTEGER,
+      pattern_matched TEXT,
+      context_quality REAL,
+      escalation_required INTEGER,
+      error TEXT,
+      hour_bucket INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Previously created by services/smart-response-router/admin-escalation.js
+    CREATE TABLE IF NOT EXISTS escalations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL,
+      message_content TEXT NOT NULL,
+      original_intent TEXT,
+      escalation_reason TEXT,
+      category TEXT NOT NULL,
+      priority TEXT NOT NULL,
+      department TEXT,
+      assigned_admin TEXT,
+      status TEXT DEFAULT 'open',
+      response_target_time DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME,
+      admin_response TEXT,
+      resolution_notes TEXT
+    );
+
+    -- Previously created by services/template-responses/index.js
+    CREATE TABLE IF NOT EXISTS template_usage_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      template_id INTEGER NOT NULL,
+      candidate_id TEXT NOT NULL,
+      message TEXT NOT NULL,
+      response TEXT NOT NULL,
+      confidence REAL,
+      admin_feedback TEXT,
+      effectiveness_score REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (template_id) REFERENCES response_templates(id)
+    );
+
+    -- Previously created by services/template-responses/integration-bridge.js
+    CREATE TABLE IF NOT EXISTS template_bridge_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL,
+      message TEXT NOT NULL,
+      response_content TEXT NOT NULL,
+      response_source TEXT NOT NULL,
+      channel TEXT DEFAULT 'app',
+      template_id INTEGER,
+      confidence REAL,
+      success INTEGER DEFAULT 1,
+      fallback_used INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_bridge_logs_candidate ON template_bridge_logs(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_bridge_logs_created ON template_bridge_logs(created_at);
+  `);
+
+  for (const [table, column, definition] of COLUMNS) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!columns.includes(column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+}
+
+function down(db) {
+  for (const table of TABLES) {
+    db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+  for (const [table, column] of COLUMNS) {
+    db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,264 @@
+/**
+ * Admin inbox tables
+ * Conversation status and assignment, the human escalation queue with its
+ * notifications, admin workload and daily metrics, chat attachments, quick
+ * reply learning, candidate notes and Telegram account linking. The routes
+ * and services that use them used to create them on first use.
+ *
+ * conversation_metadata and escalation_queue each had two competing inline
+ * definitions (the conversation manager and the chat route; the escalation
+ * system and the template response system). Whichever module loaded first
+ * won, and the other's writes failed. The tables here carry the columns of
+ * both; where a database already has one of the two, the other's columns
+ * are added to it. telegram_groups gains the auto_post_jobs column the
+ * messaging route writes but the baseline lacks.
+ *
+ * Databases that already have a table otherwise keep their own definition.
+ * Rolling back drops the tables and the column.
+ */
+
+// Dropped on rollback, children first
+const TABLES = [
+  'telegram_verifications',
+  'candidate_notes',
+  'suggestion_usage',
+  'frequent_replies',
+  'chat_attachments',
+  'escalation_metrics',
+  'admin_workload',
+  'escalation_notifications',
+  'escalation_queue',
+  'conversation_metadata',
+];
+
+// Columns of the merged tables an existing copy may lack (ALTER TABLE
+// cannot add NOT NULL or CURRENT_TIMESTAMP defaults, so none are used here)
+const MERGED_COLUMNS = {
+  conversation_metadata: [
+    ['status', "TEXT DEFAULT 'open'"],
+    ['priority', "TEXT DEFAULT 'normal'"],
+    ['tags', "TEXT DEFAULT '[]'"],
+    ['assigned_to', 'TEXT'],
+    ['notes', 'TEXT'],
+    ['escalated', 'INTEGER DEFAULT 0'],
+    ['escalation_reason', 'TEXT'],
+    ['escalated_at', 'DATETIME'],
+    ['resolved_at', 'DATETIME'],
+    ['last_admin_reply_at', 'DATETIME'],
+    ['last_candidate_message_at', 'DATETIME'],
+    ['last_updated', 'DATETIME'],
+    ['created_at', 'DATETIME'],
+    ['updated_at', 'DATETIME'],
+  ],
+  escalation_queue: [
+    ['priority', "TEXT DEFAULT 'NORMAL'"],
+    ['trigger_type', 'TEXT'],
+    ['trigger_reason', 'TEXT'],
+    ['message', 'TEXT'],
+    ['category', 'TEXT'],
+    ['auto_response', 'TEXT'],
+    ['context_data', 'TEXT'],
+    ['assigned_admin', 'TEXT'],
+    ['admin_assigned', 'TEXT'],
+    ['status', "TEXT DEFAULT 'pending'"],
+    ['created_at', 'DATETIME'],
+    ['updated_at', 'DATETIME'],
+    ['assigned_at', 'DATETIME'],
+    ['first_response_at', 'DATETIME'],
+    ['resolved_at', 'DATETIME'],
+    ['sla_breach', 'BOOLEAN DEFAULT FALSE'],
+    ['sla_deadline', 'DATETIME'],
+    ['escalation_count', 'INTEGER DEFAULT 1'],
+    ['user_satisfaction_score', 'INTEGER'],
+    ['resolution_notes', 'TEXT'],
+  ],
+};
+
+function columnNames(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+function up(db) {
+  db.exec(`
+    -- Previously created by services/conversation-manager.js and
+    -- routes/api/v1/chat/routes/conversations.js (notes, last_updated)
+    CREATE TABLE IF NOT EXISTS conversation_metadata (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL UNIQUE,
+      status TEXT DEFAULT 'open',
+      priority TEXT DEFAULT 'normal',
+      tags TEXT DEFAULT '[]',
+      assigned_to TEXT,
+      notes TEXT,
+      escalated INTEGER DEFAULT 0,
+      escalation_reason TEXT,
+      escalated_at DATETIME,
+      resolved_at DATETIME,
+      last_admin_reply_at DATETIME,
+      last_candidate_message_at DATETIME,
+      last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    -- Previously created by services/admin-escalation-system.js and
+    -- services/template-responses/index.js (message, category,
+    -- auto_response, admin_assigned)
+    CREATE TABLE IF NOT EXISTS escalation_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL,
+      priority TEXT NOT NULL DEFAULT 'NORMAL',
+      trigger_type TEXT,
+      trigger_reason TEXT,
+      message TEXT,
+      category TEXT,
+      auto_response TEXT,
+      context_data TEXT, -- JSON data for handoff context
+      assigned_admin TEXT,
+      admin_assigned TEXT,
+      status TEXT DEFAULT 'pending', -- pending, assigned, in_progress, resolved, closed
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      assigned_at DATETIME,
+      first_response_at DATETIME,
+      resolved_at DATETIME,
+      sla_breach BOOLEAN DEFAULT FALSE,
+      sla_deadline DATETIME,
+      escalation_count INTEGER DEFAULT 1,
+      user_satisfaction_score INTEGER, -- 1-5 rating
+      resolution_notes TEXT,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS escalation_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      escalation_id INTEGER NOT NULL,
+      channel TEXT NOT NULL,
+      recipient TEXT NOT NULL, -- admin ID, phone, email, etc
+      message TEXT,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered BOOLEAN DEFAULT FALSE,
+      read BOOLEAN DEFAULT FALSE,
+      FOREIGN KEY (escalation_id) REFERENCES escalation_queue(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS admin_workload (
+      admin_id TEXT PRIMARY KEY,
+      active_escalations INTEGER DEFAULT 0,
+      max_capacity INTEGER DEFAULT 5,
+      specializations TEXT, -- JSON array of specialization tags
+      availability_status TEXT DEFAULT 'available', -- available, busy, away, offline
+      last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
+      total_escalations_handled INTEGER DEFAULT 0,
+      avg_resolution_time REAL DEFAULT 0,
+      satisfaction_rating REAL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS escalation_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date DATE NOT NULL,
+      total_escalations INTEGER DEFAULT 0,
+      resolved_escalations INTEGER DEFAULT 0,
+      avg_response_time REAL DEFAULT 0, -- in minutes
+      avg_resolution_time REAL DEFAULT 0, -- in minutes
+      sla_breach_count INTEGER DEFAULT 0,
+      satisfaction_avg REAL DEFAULT 0,
+      escalations_by_trigger TEXT, -- JSON object with trigger type counts
+      escalations_by_priority TEXT -- JSON object with priority counts
+    );
+
+    -- Previously created by services/chat-attachments.js
+    CREATE TABLE IF NOT EXISTS chat_attachments (
+      id TEXT PRIMARY KEY,
+      candidate_id TEXT NOT NULL,
+      message_id TEXT,
+      original_name TEXT NOT NULL,
+      stored_name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      file_size INTEGER NOT NULL,
+      file_url TEXT NOT NULL,
+      thumbnail_url TEXT,
+      is_image INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    -- Previously created by services/quick-replies.js
+    CREATE TABLE IF NOT EXISTS frequent_replies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL,
+      reply_text TEXT NOT NULL,
+      usage_count INTEGER DEFAULT 1,
+      last_used DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(candidate_id, reply_text)
+    );
+
+    CREATE TABLE IF NOT EXISTS suggestion_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL,
+      suggestion_text TEXT NOT NULL,
+      context_type TEXT NOT NULL,
+      used_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_suggestion_candidate_context ON suggestion_usage(candidate_id, context_type);
+
+    -- Previously created by routes/api/v1/candidates/routes/create.js
+    CREATE TABLE IF NOT EXISTS candidate_notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id INTEGER NOT NULL,
+      note TEXT NOT NULL,
+      private BOOLEAN DEFAULT FALSE,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates (id) ON DELETE CASCADE
+    );
+
+    -- Previously created by services/messaging/index.js
+    CREATE TABLE IF NOT EXISTS telegram_verifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      candidate_id TEXT NOT NULL,
+      code TEXT NOT NULL,
+      used INTEGER DEFAULT 0,
+      expires_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  for (const [table, columns] of Object.entries(MERGED_COLUMNS)) {
+    const existing = columnNames(db, table);
+    for (const [column, definition] of columns) {
+      if (!existing.includes(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_conversation_metadata_status ON conversation_metadata(status);
+    CREATE INDEX IF NOT EXISTS idx_conversation_metadata_priority ON conversation_metadata(priority);
+    CREATE INDEX IF NOT EXISTS idx_conversation_metadata_escalated ON conversation_metadata(escalated);
+    CREATE INDEX IF NOT EXISTS idx_conversation_metadata_assigned ON conversation_metadata(assigned_to);
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_escalation_metrics_date ON escalation_metrics(date);
+    CREATE INDEX IF NOT EXISTS idx_escalation_queue_status ON escalation_queue(status);
+    CREATE INDEX IF NOT EXISTS idx_escalation_queue_priority ON escalation_queue(priority);
+    CREATE INDEX IF NOT EXISTS idx_escalation_queue_assigned ON escalation_queue(assigned_admin);
+    CREATE INDEX IF NOT EXISTS idx_escalation_queue_sla ON escalation_queue(sla_deadline);
+  `);
+
+  if (!columnNames(db, 'telegram_groups').includes('auto_post_jobs')) {
+    db.exec('ALTER TABLE telegram_groups ADD COLUMN auto_post_jobs INTEGER DEFAULT 0');
+  }
+}
+
+function down(db) {
+  for (const table of TABLES) {
+    db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+  db.exec('ALTER TABLE telegram_groups DROP COLUMN auto_post_jobs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,120 @@
+/**
+ * Engagement tables
+ * FOMO triggers, social proof and urgency settings, and streak protection
+ * (offered tokens, risk analysis, milestones and recovery). The FOMO engine
+ * and the streak protection system created these when they started.
+ *
+ * Existing tables keep their definition. Rolling back drops them.
+ */
+
+// Dropped on rollback, children first
+const TABLES = [
+  'streak_recovery',
+  'streak_milestones',
+  'streak_risk_analysis',
+  'streak_protection_tokens',
+  'fomo_streak_protection',
+  'fomo_urgency_config',
+  'fomo_social_proof',
+  'fomo_events',
+];
+
+function up(db) {
+  db.exec(`
+    -- Previously created by services/fomo-engine.js
+    CREATE TABLE IF NOT EXISTS fomo_events (
+      id TEXT PRIMARY KEY, candidate_id TEXT, event_type TEXT NOT NULL,
+      event_data TEXT, urgency_score REAL DEFAULT 0,
+      social_proof_factor REAL DEFAULT 0, scarcity_level REAL DEFAULT 0,
+      trigger_sent BOOLEAN DEFAULT FALSE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP, expires_at DATETIME,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS fomo_social_proof (
+      id TEXT PRIMARY KEY, activity_type TEXT NOT NULL, job_id TEXT,
+      location_area TEXT, tier_level TEXT, participant_count INTEGER DEFAULT 1,
+      anonymized_data TEXT, time_window_start DATETIME, time_window_end DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_fomo_social_time ON fomo_social_proof (time_window_start, time_window_end);
+    CREATE INDEX IF NOT EXISTS idx_fomo_social_area ON fomo_social_proof (location_area);
+    CREATE INDEX IF NOT EXISTS idx_fomo_social_job ON fomo_social_proof (job_id);
+
+    CREATE TABLE IF NOT EXISTS fomo_urgency_config (
+      id TEXT PRIMARY KEY, trigger_name TEXT NOT NULL UNIQUE,
+      trigger_type TEXT NOT NULL, threshold_value REAL,
+      urgency_multiplier REAL DEFAULT 1.0, message_template TEXT,
+      active BOOLEAN DEFAULT TRUE, created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS fomo_streak_protection (
+      id TEXT PRIMARY KEY, candidate_id TEXT, streak_days INTEGER,
+      risk_level TEXT, protection_offered BOOLEAN DEFAULT FALSE,
+      protection_accepted BOOLEAN DEFAULT FALSE, protection_type TEXT,
+      offer_expires_at DATETIME, created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    -- Previously created by services/streak-protection-system.js
+    CREATE TABLE IF NOT EXISTS streak_protection_tokens (
+      id TEXT PRIMARY KEY,
+      candidate_id TEXT,
+      token_type TEXT NOT NULL,
+      streak_days INTEGER,
+      risk_score REAL,
+      offered_at DATETIME,
+      expires_at DATETIME,
+      used_at DATETIME,
+      status TEXT DEFAULT 'active',
+      fomo_trigger_data TEXT,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS streak_risk_analysis (
+      id TEXT PRIMARY KEY,
+      candidate_id TEXT,
+      analysis_date DATETIME,
+      current_streak INTEGER,
+      risk_score REAL,
+      risk_factors TEXT,
+      predicted_break_hours REAL,
+      protection_recommended BOOLEAN,
+      fomo_interventions TEXT,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS streak_milestones (
+      id TEXT PRIMARY KEY,
+      candidate_id TEXT,
+      milestone_type TEXT,
+      milestone_value INTEGER,
+      achieved_at DATETIME,
+      celebrated BOOLEAN DEFAULT FALSE,
+      social_proof_sent BOOLEAN DEFAULT FALSE,
+      competitive_alert_sent BOOLEAN DEFAULT FALSE,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS streak_recovery (
+      id TEXT PRIMARY KEY,
+      candidate_id TEXT,
+      lost_streak INTEGER,
+      recovery_started_at DATETIME,
+      current_recovery_days INTEGER DEFAULT 0,
+      motivation_type TEXT,
+      fomo_messages_sent INTEGER DEFAULT 0,
+      recovery_completed BOOLEAN DEFAULT FALSE,
+      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
+    );
+  `);
+}
+
+function down(db) {
+  for (const table of TABLES) {
+    db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,91 @@
+/**
+ * Email delivery tables
+ * Per-email delivery status and retry attempts, stored provider settings
+ * and recipients' email preferences, which services/email/delivery-tracker.js
+ * used to create when it was first loaded.
+ *
+ * Tables that already exist are left alone. Rolling back drops them.
+ */
+
+// Dropped on rollback, children first
+const TABLES = [
+  'email_preferences',
+  'email_config',
+  'email_delivery_attempts',
+  'email_delivery_log',
+];
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_delivery_log (
+      id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+      tracking_id TEXT UNIQUE NOT NULL,
+      recipient_email TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      category TEXT DEFAULT 'general',
+      priority TEXT DEFAULT 'normal',
+      status TEXT DEFAULT 'pending',
+      provider TEXT,
+      message_id TEXT,
+      attempt_count INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 3,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sent_at DATETIME,
+      delivered_at DATETIME,
+      failed_at DATETIME,
+      metadata TEXT DEFAULT '{}'
+    );
+
+    CREATE TABLE IF NOT EXISTS email_delivery_attempts (
+      id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+      tracking_id TEXT NOT NULL,
+      attempt_number INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      error_message TEXT,
+      response_data TEXT,
+      attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (tracking_id) REFERENCES email_delivery_log (tracking_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS email_config (
+      id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+      config_json TEXT NOT NULL,
+      active INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS email_preferences (
+      id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+      user_id TEXT,
+      email TEXT NOT NULL,
+      user_type TEXT DEFAULT 'admin',
+      tender_alerts INTEGER DEFAULT 1,
+      candidate_updates INTEGER DEFAULT 1,
+      job_alerts INTEGER DEFAULT 1,
+      daily_reports INTEGER DEFAULT 1,
+      weekly_reports INTEGER DEFAULT 1,
+      system_notifications INTEGER DEFAULT 1,
+      frequency TEXT DEFAULT 'immediate',
+      quiet_hours_start TEXT DEFAULT '22:00',
+      quiet_hours_end TEXT DEFAULT '08:00',
+      timezone TEXT DEFAULT 'Asia/Singapore',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_email_delivery_log_status ON email_delivery_log (status);
+    CREATE INDEX IF NOT EXISTS idx_email_delivery_log_created_at ON email_delivery_log (created_at);
+    CREATE INDEX IF NOT EXISTS idx_email_delivery_log_category ON email_delivery_log (category);
+    CREATE INDEX IF NOT EXISTS idx_email_delivery_attempts_tracking_id ON email_delivery_attempts (tracking_id);
+    CREATE INDEX IF NOT EXISTS idx_email_preferences_email ON email_preferences (email);
+  `);
+}
+
+function down(db) {
+  for (const table of TABLES) {
+    db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,83 @@
+/**
+ * Data access audit tables
+ * The audit trail of data access, security events and daily access
+ * statistics kept by services/data-integration/audit-logger.js, which used
+ * to create them in its constructor.
+ *
+ * Existing tables are kept. Rolling back drops them.
+ */
+
+// Dropped on rollback
+const TABLES = [
+  'access_statistics',
+  'security_events',
+  'audit_logs',
+];
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      event_type TEXT NOT NULL,
+      user_id TEXT,
+      candidate_id TEXT,
+      data_type TEXT,
+      action TEXT NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      session_id TEXT,
+      success BOOLEAN DEFAULT TRUE,
+      error_message TEXT,
+      sensitive_data BOOLEAN DEFAULT FALSE,
+      retention_date DATETIME,
+      metadata TEXT, -- JSON
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS security_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      event_type TEXT NOT NULL,
+      severity TEXT DEFAULT 'low', -- low, medium, high, critical
+      user_id TEXT,
+      ip_address TEXT,
+      description TEXT NOT NULL,
+      additional_data TEXT, -- JSON
+      resolved BOOLEAN DEFAULT FALSE,
+      resolved_at DATETIME,
+      resolved_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS access_statistics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date DATE NOT NULL,
+      data_type TEXT NOT NULL,
+      total_requests INTEGER DEFAULT 0,
+      successful_requests INTEGER DEFAULT 0,
+      failed_requests INTEGER DEFAULT 0,
+      unique_users INTEGER DEFAULT 0,
+      cache_hits INTEGER DEFAULT 0,
+      cache_misses INTEGER DEFAULT 0,
+      avg_response_time REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(date, data_type)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_timestamp ON audit_logs(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_user_candidate ON audit_logs(user_id, candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_data_type ON audit_logs(data_type);
+    CREATE INDEX IF NOT EXISTS idx_security_events_timestamp ON security_events(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_security_events_severity ON security_events(severity);
+    CREATE INDEX IF NOT EXISTS idx_access_stats_date ON access_statistics(date);
+  `);
+}
+
+function down(db) {
+  for (const table of TABLES) {
+    db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
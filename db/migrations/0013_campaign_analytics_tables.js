@@ -0,0 +1,72 @@
+/**
+ * Campaign analytics tables
+ * Daily campaign metrics, per-campaign performance totals and A/B test
+ * results recorded by utils/campaign-analytics.js, which used to create
+ * them when it initialised.
+ *
+ * Existing tables keep their definition. Rolling back drops them.
+ */
+
+// Dropped on rollback
+const TABLES = [
+  'ab_test_results',
+  'campaign_performance',
+  'campaign_metrics',
+];
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS campaign_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id TEXT NOT NULL,
+      campaign_type TEXT NOT NULL,
+      metric_type TEXT NOT NULL,
+      metric_value REAL NOT NULL,
+      metric_date DATE NOT NULL,
+      channel TEXT,
+      target_audience TEXT,
+      additional_data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS campaign_performance (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id TEXT UNIQUE NOT NULL,
+      campaign_name TEXT NOT NULL,
+      campaign_type TEXT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE,
+      status TEXT NOT NULL DEFAULT 'active',
+      total_sent INTEGER DEFAULT 0,
+      total_delivered INTEGER DEFAULT 0,
+      total_opened INTEGER DEFAULT 0,
+      total_clicked INTEGER DEFAULT 0,
+      total_responded INTEGER DEFAULT 0,
+      total_converted INTEGER DEFAULT 0,
+      cost_total REAL DEFAULT 0,
+      revenue_generated REAL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS ab_test_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      test_id TEXT NOT NULL,
+      campaign_id TEXT NOT NULL,
+      variant_name TEXT NOT NULL,
+      participants INTEGER DEFAULT 0,
+      conversions INTEGER DEFAULT 0,
+      conversion_rate REAL DEFAULT 0,
+      statistical_significance REAL DEFAULT 0,
+      winner BOOLEAN DEFAULT FALSE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+function down(db) {
+  for (const table of TABLES) {
+    db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,392 @@
+/**
+ * Schema Migration Runner
+ * Applies the numbered migrations in db/migrations (NNNN_name.js, each
+ * exporting up(db) and optionally down(db)) in order, one transaction per
+ * migration, and records version, checksum and the resulting schema in
+ * schema_migrations.
+ *
+ * On boot the runner refuses to start when the database has drifted: an
+ * applied migration file was edited, the database is ahead of the code, a
+ * table or column the migrations created has gone missing, or a table exists
+ * that no migration created. Tables are only created by migrations, so an
+ * untracked table means something is writing schema on the side. The one
+ * exception is a table a pending migration creates, which that migration
+ * adopts as it is.
+ *
+ * Databases that predate the runner are adopted by the baseline importer,
+ * which runs 0001_baseline (idempotent) over them and records it.
+ *
+ * Raw .sql files in db/migrations/legacy were never applied by the app and
+ * are kept for reference only.
+ *
+ * @module db/migrator
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/;
+const CREATE_TABLE_PATTERN = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?["'`]?(\w+)/gi;
+const BASELINE_VERSION = 1;
+
+// A table every pre-runner database has; its presence means "existing database"
+const LEGACY_MARKER_TABLE = 'candidates';
+
+class MigrationError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'MigrationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ============================================
+// PURE HELPERS
+// ============================================
+
+/**
+ * @param {string} filename
+ * @returns {{version: number, name: string}|null} null for files the runner ignores
+ */
+function parseMigrationFilename(filename) {
+  const match = filename.match(FILE_PATTERN);
+  if (!match) return null;
+  return { version: Number(match[1]), name: match[2] };
+}
+
+function checksum(source) {
+  return crypto.createHash('sha256').update(source.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Tables a migration's source creates
+ * @param {string} source
+ * @returns {string[]}
+ */
+function createdTables(source) {
+  return [...new Set([...source.matchAll(CREATE_TABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Compare the migrations on disk with those recorded in the database
+ * @param {Object[]} available - [{ version, name, checksum }] sorted by version
+ * @param {Object[]} applied - schema_migrations rows
+ * @returns {{pending: Object[], mismatched: Object[], unknown: Object[]}}
+ */
+function planMigrations(available, applied) {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const availableVersions = new Set(available.map(m => m.version));
+
+  return {
+    pending: available.filter(m => !appliedByVersion.has(m.version)),
+    mismatched: available
+      .filter(m => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum)
+      .map(m => ({ version: m.version, name: m.name, expected: appliedByVersion.get(m.version).checksum, actual: m.checksum })),
+    unknown: applied.filter(row => !availableVersions.has(row.version)),
+  };
+}
+
+/**
+ * Differences between the schema the migrations left behind and the live one
+ * @param {Object} expected - { table: { column: type } } recorded after the last migration
+ * @param {Object} actual - Same shape, read from the database now
+ * @param {string[]} [adopted] - Tables pending migrations create; not untracked
+ * @returns {{missing_tables: string[], missing_columns: string[], changed_columns: string[], untracked_tables: string[]}}
+ */
+function diffSchema(expected, actual, adopted = []) {
+  const diff = { missing_tables: [], missing_columns: [], changed_columns: [], untracked_tables: [] };
+
+  for (const [table, columns] of Object.entries(expected)) {
+    if (!actual[table]) {
+      diff.missing_tables.push(table);
+      continue;
+    }
+    for (const [column, type] of Object.entries(columns)) {
+      if (!(column in actual[table])) {
+        diff.missing_columns.push(`${table}.${column}`);
+      } else if (actual[table][column] !== type) {
+        diff.changed_columns.push(`${table}.${column} (${type} -> ${actual[table][column]})`);
+      }
+    }
+  }
+  diff.untracked_tables = Object.keys(actual).filter(table => !expected[table] && !adopted.includes(table));
+
+  return diff;
+}
+
+function hasDrift(diff) {
+  return diff.missing_tables.length > 0 || diff.missing_columns.length > 0 ||
+    diff.changed_columns.length > 0 || diff.untracked_tables.length > 0;
+}
+
+// ============================================
+// DATABASE
+// ============================================
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_by TEXT NOT NULL DEFAULT 'migrate',   -- 'migrate' | 'baseline-import'
+      duration_ms INTEGER,
+      schema_snapshot TEXT,                         -- JSON { table: { column: type } } after this migration
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Tables and column types of the live database
+ * @param {Database} db
+ * @returns {Object} { table: { column: type } }
+ */
+function snapshotSchema(db) {
+  const tables = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+    ORDER BY name
+  `).all();
+
+  const snapshot = {};
+  for (const { name } of tables) {
+    snapshot[name] = {};
+    for (const column of db.prepare(`PRAGMA table_info('${name.replace(/'/g, "''")}')`).all()) {
+      snapshot[name][column.name] = (column.type || '').toUpperCase();
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Migration files on disk, sorted by version
+ * @param {string} [dir]
+ * @returns {Object[]} [{ version, name, file, checksum, tables }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, parsed: parseMigrationFilename(file) }))
+    .filter(entry => entry.parsed)
+    .map(({ file, parsed }) => {
+      const source = fs.readFileSync(path.join(dir, file), 'utf8');
+      return { ...parsed, file: path.join(dir, file), checksum: checksum(source), tables: createdTables(source) };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  const versions = migrations.map(m => m.version);
+  const duplicate = versions.find((version, index) => versions.indexOf(version) !== index);
+  if (duplicate !== undefined) {
+    throw new MigrationError(`Two migrations share version ${duplicate}`, 'DUPLICATE_VERSION');
+  }
+  return migrations;
+}
+
+function appliedMigrations(db) {
+  return db.prepare('SELECT version, name, checksum, applied_by, duration_ms, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+function expectedSchema(db) {
+  const latest = db.prepare('SELECT schema_snapshot FROM schema_migrations ORDER BY version DESC LIMIT 1').get();
+  return latest?.schema_snapshot ? JSON.parse(latest.schema_snapshot) : null;
+}
+
+/**
+ * Where the database stands against the migrations on disk
+ * @param {Database} db
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Object} { current_version, applied, pending, mismatched, unknown, drift, needs_baseline }
+ */
+function status(db, { dir } = {}) {
+  ensureMigrationsTable(db);
+  const available = loadMigrations(dir);
+  const applied = appliedMigrations(db);
+  const plan = planMigrations(available, applied);
+  const expected = expectedSchema(db);
+
+  return {
+    current_version: applied.length ? applied[applied.length - 1].version : 0,
+    applied,
+    pending: plan.pending.map(({ version, name }) => ({ version, name })),
+    mismatched: plan.mismatched,
+    unknown: plan.unknown.map(({ version, name }) => ({ version, name })),
+    drift: expected ? diffSchema(expected, snapshotSchema(db), plan.pending.flatMap(m => m.tables)) : null,
+    needs_baseline: applied.length === 0 && tableExists(db, LEGACY_MARKER_TABLE),
+  };
+}
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+
+function applyMigration(db, migration, appliedBy) {
+  const { up } = require(migration.file);
+  if (typeof up !== 'function') {
+    throw new MigrationError(`Migration ${migration.version}_${migration.name} has no up()`, 'INVALID_MIGRATION');
+  }
+
+  const startedAt = Date.now();
+  db.transaction(() => {
+    up(db);
+    db.prepare(`
+      INSERT INTO schema_migrations (version, name, checksum, applied_by, duration_ms, schema_snapshot)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      migration.version, migration.name, migration.checksum, appliedBy,
+      Date.now() - startedAt, JSON.stringify(snapshotSchema(db))
+    );
+  })();
+}
+
+/**
+ * Apply pending migrations
+ * @param {Database} db
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would run
+ * @param {number} [options.to] - Stop after this version
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Object[]} Migrations applied (or that would be)
+ */
+function migrate(db, { dryRun = false, to = Infinity, dir } = {}) {
+  ensureMigrationsTable(db);
+  const available = loadMigrations(dir);
+  const plan = planMigrations(available, appliedMigrations(db));
+  assertConsistent(plan);
+
+  const pending = plan.pending.filter(m => m.version <= to);
+  if (dryRun) return pending.map(({ version, name }) => ({ version, name }));
+
+  if (pending.some(m => m.version === BASELINE_VERSION) && tableExists(db, LEGACY_MARKER_TABLE)) {
+    throw new MigrationError('Existing database has no migration history - run the baseline import first', 'NEEDS_BASELINE');
+  }
+
+  for (const migration of pending) {
+    applyMigration(db, migration, 'migrate');
+    console.log(`  ✅ Migration ${migration.version}_${migration.name} applied`);
+  }
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Revert the most recent migrations with their down()
+ * @param {Database} db
+ * @param {Object} [options]
+ * @param {number} [options.steps] - How many to revert
+ * @param {boolean} [options.dryRun]
+ * @param {string} [options.dir]
+ * @returns {Object[]} Migrations reverted (or that would be)
+ */
+function rollback(db, { steps = 1, dryRun = false, dir } = {}) {
+  ensureMigrationsTable(db);
+  const available = loadMigrations(dir);
+  const applied = appliedMigrations(db);
+  assertConsistent(planMigrations(available, applied));
+
+  const targets = applied.slice(-steps).reverse()
+    .map(row => available.find(m => m.version === row.version));
+
+  for (const migration of targets) {
+    if (typeof require(migration.file).down !== 'function') {
+      throw new MigrationError(`Migration ${migration.version}_${migration.name} cannot be reverted`, 'IRREVERSIBLE');
+    }
+  }
+  if (dryRun) return targets.map(({ version, name }) => ({ version, name }));
+
+  for (const migration of targets) {
+    const { down } = require(migration.file);
+    db.transaction(() => {
+      down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+    })();
+    console.log(`  ↩️  Migration ${migration.version}_${migration.name} reverted`);
+  }
+  return targets.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * One-time adoption of a database that predates the runner: run the
+ * idempotent baseline over it and record it as applied
+ * @param {Database} db
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ * @returns {boolean} False when the database already has migration history
+ */
+function importBaseline(db, { dir } = {}) {
+  ensureMigrationsTable(db);
+  if (appliedMigrations(db).length > 0) return false;
+
+  const baseline = loadMigrations(dir).find(m => m.version === BASELINE_VERSION);
+  if (!baseline) throw new MigrationError('Baseline migration not found', 'NO_BASELINE');
+
+  applyMigration(db, baseline, 'baseline-import');
+  console.log('  ✅ Existing database adopted at the baseline schema');
+  return true;
+}
+
+function assertConsistent(plan) {
+  if (plan.mismatched.length > 0) {
+    const names = plan.mismatched.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new MigrationError(`Applied migrations were edited: ${names}`, 'CHECKSUM_MISMATCH', plan.mismatched);
+  }
+  if (plan.unknown.length > 0) {
+    const names = plan.unknown.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new MigrationError(`Database has migrations this code does not: ${names}`, 'UNKNOWN_VERSION', plan.unknown);
+  }
+}
+
+/**
+ * Boot-time entry point: adopt a pre-runner database, refuse to start on
+ * drift, then apply pending migrations. Set ALLOW_SCHEMA_DRIFT=true to start
+ * anyway while investigating.
+ * @param {Database} db
+ */
+function migrateOnBoot(db) {
+  const current = status(db);
+
+  if (current.needs_baseline) {
+    importBaseline(db);
+  } else if (current.applied.length > 0) {
+    const problems = [];
+    if (current.mismatched.length) problems.push(`edited: ${current.mismatched.map(m => `${m.version}_${m.name}`).join(', ')}`);
+    if (current.unknown.length) problems.push(`unknown: ${current.unknown.map(m => `${m.version}_${m.name}`).join(', ')}`);
+    if (current.drift && hasDrift(current.drift)) {
+      const { missing_tables, missing_columns, changed_columns, untracked_tables } = current.drift;
+      const missing = [...missing_tables, ...missing_columns, ...changed_columns];
+      if (missing.length) problems.push(`schema: ${missing.join(', ')}`);
+      if (untracked_tables.length) problems.push(`untracked tables: ${untracked_tables.join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+      const message = `Database schema has drifted from the migrations (${problems.join('; ')}). Run "npm run db:migrate:status" for details.`;
+      if (process.env.ALLOW_SCHEMA_DRIFT !== 'true') {
+        throw new MigrationError(message, 'SCHEMA_DRIFT', current);
+      }
+      console.warn(`⚠️  ${message} Starting anyway (ALLOW_SCHEMA_DRIFT=true).`);
+      return;
+    }
+  }
+
+  migrate(db);
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  parseMigrationFilename,
+  checksum,
+  createdTables,
+  planMigrations,
+  diffSchema,
+  hasDrift,
+  snapshotSchema,
+  loadMigrations,
+  status,
+  migrate,
+  rollback,
+  importBaseline,
+  migrateOnBoot,
+};
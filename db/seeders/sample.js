@@ -255,7 +255,8 @@ function resetToSampleData(db) {
   console.log('🔄 Resetting database...');
   const tables = [
     'push_queue', 'job_match_scores', 'notifications', 'messages', 'tender_matches',
-    'xp_transactions', 'candidate_quests', 'candidate_achievements', 'candidate_availability',
+    'xp_transactions', 'ledger_entries', 'ledger_transactions', 'ledger_mismatches', 'ledger_reconciliation_runs',
+    'candidate_quests', 'candidate_achievements', 'candidate_availability',
     'reward_purchases', 'rewards',
     'payments', 'deployments', 'jobs', 'referrals', 'candidates', 'clients',
     'tenders', 'financial_projections', 'tender_alerts', 'referral_tiers',
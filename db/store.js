@@ -0,0 +1,86 @@
+/**
+ * Data Store
+ * The process-wide way into worklink.db: one writer connection and one
+ * read-only connection (WAL lets reads proceed while a write is open), with
+ * cached prepared statements and transaction helpers.
+ *
+ *   const { store } = require('../db');
+ *   const job = store.get('SELECT * FROM jobs WHERE id = ?', jobId);
+ *   store.transaction(() => { store.run(...); store.run(...); });
+ *
+ * Never close store.writer or store.reader - they are shared.
+ *
+ * @module db/store
+ */
+
+const STATEMENT_CACHE_SIZE = 500;
+
+/**
+ * Prepared statements keyed by SQL, least recently used dropped first.
+ * Cached statements are shared, so do not hold one across an iterate() loop
+ * that prepares the same SQL again.
+ * @param {Database} connection
+ * @param {number} [limit]
+ * @returns {Function} (sql) => Statement
+ */
+function createStatementCache(connection, limit = STATEMENT_CACHE_SIZE) {
+  const cache = new Map();
+
+  const statement = (sql) => {
+    let prepared = cache.get(sql);
+    if (prepared) {
+      cache.delete(sql);
+    } else {
+      prepared = connection.prepare(sql);
+      if (cache.size >= limit) cache.delete(cache.keys().next().value);
+    }
+    cache.set(sql, prepared);
+    return prepared;
+  };
+  statement.size = () => cache.size;
+  statement.clear = () => cache.clear();
+
+  return statement;
+}
+
+/**
+ * @param {Database} writer - Read-write connection
+ * @param {Database} reader - Read-only connection to the same file
+ * @returns {Object} Store
+ */
+function createStore(writer, reader) {
+  const writeStatement = createStatementCache(writer);
+  const readStatement = createStatementCache(reader);
+
+  // Inside a transaction reads go to the writer so they see its uncommitted changes
+  const forRead = (sql) => (writer.inTransaction ? writeStatement(sql) : readStatement(sql));
+
+  return {
+    writer,
+    reader,
+
+    /** Cached statement on the writer, for writes and RETURNING queries */
+    statement: writeStatement,
+
+    get: (sql, ...params) => forRead(sql).get(...params),
+    all: (sql, ...params) => forRead(sql).all(...params),
+    run: (sql, ...params) => writeStatement(sql).run(...params),
+
+    /**
+     * Run fn in a write transaction (BEGIN IMMEDIATE); nested calls become
+     * savepoints. Returns fn's result; rolls back if it throws.
+     */
+    transaction: (fn) => writer.transaction(fn).immediate(),
+
+    clearCache() {
+      writeStatement.clear();
+      readStatement.clear();
+    },
+  };
+}
+
+module.exports = {
+  STATEMENT_CACHE_SIZE,
+  createStatementCache,
+  createStore,
+};
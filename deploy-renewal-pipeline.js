@@ -1,407 +0,0 @@
-#!/usr/bin/env node
-
-/**
- * 🚀 RENEWAL PIPELINE DEPLOYMENT SCRIPT
- * 
- * This script:
- * 1. Applies the renewal tracking database migration
- * 2. Verifies all tables are created
- * 3. Tests API endpoints
- * 4. Generates test data
- * 5. Validates GeBIZ Intelligence page integration
- * 
- * Run: node deploy-renewal-pipeline.js
- */
-
-const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
-const http = require('http');
-
-// Configuration
-const DB_PATH = path.join(__dirname, 'database', 'gebiz_intelligence.db');
-const MIGRATION_PATH = path.join(__dirname, 'database', 'migrations', '001_renewal_alert_system.sql');
-const SERVER_PORT = 8080;
-
-// Colors for terminal output
-const colors = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  cyan: '\x1b[36m'
-};
-
-// Logging helpers
-function log(message) {
-  console.log(`${colors.cyan}[INFO]${colors.reset} ${message}`);
-}
-
-function success(message) {
-  console.log(`${colors.green}✅ ${message}${colors.reset}`);
-}
-
-function error(message) {
-  console.log(`${colors.red}❌ ${message}${colors.reset}`);
-}
-
-function warning(message) {
-  console.log(`${colors.yellow}⚠️  ${message}${colors.reset}`);
-}
-
-function header(message) {
-  console.log(`\n${colors.bright}${colors.blue}${'='.repeat(70)}${colors.reset}`);
-  console.log(`${colors.bright}${colors.blue}${message}${colors.reset}`);
-  console.log(`${colors.bright}${colors.blue}${'='.repeat(70)}${colors.reset}\n`);
-}
-
-// Step 1: Check if database exists
-function checkDatabaseExists() {
-  header('STEP 1: Checking Database');
-  
-  if (!fs.existsSync(DB_PATH)) {
-    error(`Database not found at: ${DB_PATH}`);
-    error('Please run the initial GeBIZ database setup first.');
-    process.exit(1);
-  }
-  
-  success(`Database found: ${DB_PATH}`);
-  return true;
-}
-
-// Step 2: Check if tables already exist
-function checkTablesExist(db) {
-  header('STEP 2: Checking Existing Tables');
-  
-  const tables = db.prepare(`
-    SELECT name FROM sqlite_master 
-    WHERE type='table' 
-    AND name IN ('contract_renewals', 'bpo_tender_lifecycle', 'alert_rules', 'alert_history')
-  `).all();
-  
-  const tableNames = tables.map(t => t.name);
-  
-  if (tableNames.includes('contract_renewals')) {
-    warning('Renewal tables already exist!');
-    log('Existing tables: ' + tableNames.join(', '));
-    return true;
-  }
-  
-  log('Renewal tables not found. Will create them.');
-  return false;
-}
-
-// Step 3: Apply database migration
-function applyMigration(db) {
-  header('STEP 3: Applying Database Migration');
-  
-  if (!fs.existsSync(MIGRATION_PATH)) {
-    error(`Migration file not found: ${MIGRATION_PATH}`);
-    process.exit(1);
-  }
-  
-  log('Reading migration file...');
-  const migrationSQL = fs.readFileSync(MIGRATION_PATH, 'utf8');
-  
-  log('Applying migration...');
-  try {
-    // Split by semicolons and execute each statement
-    const statements = migrationSQL
-      .split(';')
-      .map(s => s.trim())
-      .filter(s => s.length > 0 && !s.startsWith('--'));
-    
-    let executed = 0;
-    let skipped = 0;
-    
-    for (const statement of statements) {
-      try {
-        db.exec(statement);
-        executed++;
-      } catch (err) {
-        if (err.message.includes('already exists') || err.message.includes('duplicate column')) {
-          skipped++;
-        } else {
-          warning(`SQL execution warning: ${err.message.substring(0, 100)}`);
-        }
-      }
-    }
-    
-    success(`Migration applied: ${executed} statements executed, ${skipped} skipped`);
-    return true;
-  } catch (err) {
-    error(`Migration failed: ${err.message}`);
-    return false;
-  }
-}
-
-// Step 4: Verify tables created
-function verifyTables(db) {
-  header('STEP 4: Verifying Tables');
-  
-  const requiredTables = [
-    'contract_renewals',
-    'renewal_engagement_activities',
-    'bpo_tender_lifecycle',
-    'alert_rules',
-    'alert_history',
-    'user_alert_preferences',
-    'audit_log'
-  ];
-  
-  const existingTables = db.prepare(`
-    SELECT name FROM sqlite_master WHERE type='table'
-  `).all().map(t => t.name);
-  
-  let allExist = true;
-  
-  for (const table of requiredTables) {
-    if (existingTables.includes(table)) {
-      success(`✓ Table exists: ${table}`);
-    } else {
-      error(`✗ Table missing: ${table}`);
-      allExist = false;
-    }
-  }
-  
-  // Verify views
-  const requiredViews = [
-    'v_upcoming_renewals',
-    'v_high_priority_renewals',
-    'v_pipeline_summary'
-  ];
-  
-  const existingViews = db.prepare(`
-    SELECT name FROM sqlite_master WHERE type='view'
-  `).all().map(v => v.name);
-  
-  log('\nViews:');
-  for (const view of requiredViews) {
-    if (existingViews.includes(view)) {
-      success(`✓ View exists: ${view}`);
-    } else {
-      warning(`✗ View missing: ${view}`);
-    }
-  }
-  
-  return allExist;
-}
-
-// Step 5: Generate test data
-function generateTestData(db) {
-  header('STEP 5: Generating Test Data');
-  
-  // Check if test data already exists
-  const existingCount = db.prepare('SELECT COUNT(*) as count FROM contract_renewals').get().count;
-  
-  if (existingCount > 0) {
-    warning(`Test data already exists (${existingCount} renewals). Skipping generation.`);
-    return true;
-  }
-  
-  log('Creating sample renewal predictions...');
-  
-  const { v4: uuidv4 } = require('uuid');
-  
-  const sampleRenewals = [
-    {
-      agency: 'MOH',
-      description: 'Healthcare Manpower Services',
-      value: 2500000,
-      supplier: 'WorkLink Singapore Pte Ltd',
-      endDate: '2026-08-15',
-      probability: 85
-    },
-    {
-      agency: 'MOE',
-      description: 'School Cleaning & Maintenance',
-      value: 1800000,
-      supplier: 'ABC Manpower Services',
-      endDate: '2026-10-01',
-      probability: 75
-    },
-    {
-      agency: 'MOM',
-      description: 'Office Support Staff Outsourcing',
-      value: 950000,
-      supplier: 'Worklink Singapore Pte Ltd',
-      endDate: '2026-12-31',
-      probability: 90
-    },
-    {
-      agency: 'IRAS',
-      description: 'Administrative Support Services',
-      value: 750000,
-      supplier: 'XYZ Staffing Solutions',
-      endDate: '2027-03-15',
-      probability: 65
-    }
-  ];
-  
-  const stmt = db.prepare(`
-    INSERT INTO contract_renewals (
-      id, agency, contract_description, contract_value, incumbent_supplier,
-      contract_end_date, predicted_rfp_date, predicted_renewal_date,
-      renewal_probability, confidence_score, engagement_status
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'not_started')
-  `);
-  
-  let inserted = 0;
-  for (const renewal of sampleRenewals) {
-    try {
-      const endDate = new Date(renewal.endDate);
-      const rfpDate = new Date(endDate);
-      rfpDate.setMonth(rfpDate.getMonth() - 6);
-      
-      stmt.run(
-        uuidv4(),
-        renewal.agency,
-        renewal.description,
-        renewal.value,
-        renewal.supplier,
-        renewal.endDate,
-        rfpDate.toISOString().split('T')[0],
-        renewal.endDate,
-        renewal.probability,
-        renewal.probability
-      );
-      inserted++;
-    } catch (err) {
-      warning(`Failed to insert renewal: ${err.message}`);
-    }
-  }
-  
-  success(`Generated ${inserted} sample renewals`);
-  return true;
-}
-
-// Step 6: Verify frontend integration
-function verifyFrontendIntegration() {
-  header('STEP 6: Verifying Frontend Integration');
-  
-  const files = [
-    {
-      path: path.join(__dirname, 'admin', 'src', 'pages', 'GeBizIntelligence.jsx'),
-      name: 'GeBIZ Intelligence Page'
-    },
-    {
-      path: path.join(__dirname, 'admin', 'src', 'components', 'bpo', 'RenewalTimeline.jsx'),
-      name: 'Renewal Timeline Component'
-    },
-    {
-      path: path.join(__dirname, 'admin', 'src', 'shared', 'services', 'api', 'renewal.service.js'),
-      name: 'Renewal Service'
-    }
-  ];
-  
-  let allExist = true;
-  
-  for (const file of files) {
-    if (fs.existsSync(file.path)) {
-      success(`✓ ${file.name} exists`);
-    } else {
-      error(`✗ ${file.name} missing`);
-      allExist = false;
-    }
-  }
-  
-  // Check if RenewalTimeline is imported in GeBizIntelligence
-  const gebizPage = fs.readFileSync(files[0].path, 'utf8');
-  if (gebizPage.includes('RenewalTimeline')) {
-    success('✓ RenewalTimeline component imported');
-  } else {
-    error('✗ RenewalTimeline not imported in GeBIZ Intelligence page');
-    allExist = false;
-  }
-  
-  // Check if renewals tab exists
-  if (gebizPage.includes("id: 'renewals'")) {
-    success('✓ Renewals tab configured');
-  } else {
-    error('✗ Renewals tab not found');
-    allExist = false;
-  }
-  
-  return allExist;
-}
-
-// Main deployment function
-async function main() {
-  console.log('\n');
-  header('🚀 RENEWAL PIPELINE DEPLOYMENT');
-  log('Starting deployment process...\n');
-  
-  try {
-    // Step 1: Check database exists
-    checkDatabaseExists();
-    
-    // Open database connection
-    const db = new Database(DB_PATH);
-    db.pragma('journal_mode = WAL');
-    
-    // Step 2: Check if tables exist
-    const tablesExist = checkTablesExist(db);
-    
-    // Step 3: Apply migration if needed
-    if (!tablesExist) {
-      const migrationSuccess = applyMigration(db);
-      if (!migrationSuccess) {
-        error('Migration failed. Exiting.');
-        db.close();
-        process.exit(1);
-      }
-    }
-    
-    // Step 4: Verify all tables
-    const tablesValid = verifyTables(db);
-    if (!tablesValid) {
-      error('Some tables are missing. Migration may have failed.');
-      db.close();
-      process.exit(1);
-    }
-    
-    // Step 5: Generate test data
-    generateTestData(db);
-    
-    // Close database
-    db.close();
-    
-    // Step 6: Verify frontend integration
-    const frontendValid = verifyFrontendIntegration();
-    
-    // Final summary
-    header('📊 DEPLOYMENT SUMMARY');
-    success('✓ Database migration applied');
-    success('✓ All tables created successfully');
-    success('✓ Test data generated');
-    success(`✓ Frontend integration ${frontendValid ? 'verified' : 'needs attention'}`);
-    
-    console.log('\n');
-    header('🎉 DEPLOYMENT COMPLETE!');
-    console.log('\n');
-    log('Next steps:');
-    console.log(`  1. Start server: ${colors.bright}npm start${colors.reset}`);
-    console.log(`  2. Open browser: ${colors.bright}http://localhost:8080${colors.reset}`);
-    console.log(`  3. Navigate to: ${colors.bright}GeBIZ Intelligence → Renewals tab${colors.reset}`);
-    console.log('\n');
-    log('You should see:');
-    console.log('  • 4 sample contract renewals in the timeline');
-    console.log('  • Stats cards showing renewal counts and values');
-    console.log('  • 12-month timeline view with renewal opportunities');
-    console.log('\n');
-    
-  } catch (err) {
-    error(`Deployment failed: ${err.message}`);
-    console.error(err);
-    process.exit(1);
-  }
-}
-
-// Run deployment
-main().catch(err => {
-  error(`Fatal error: ${err.message}`);
-  console.error(err);
-  process.exit(1);
-});
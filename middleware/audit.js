@@ -0,0 +1,70 @@
+/**
+ * Audit Middleware
+ * Records every successful change made by a signed-in admin in audit_log,
+ * attributed to the admin account that made it.
+ *
+ * Mounted once in front of the v1 routes. Authentication runs later in each
+ * router, so the user is read when the response finishes. Routes that write
+ * a more specific entry themselves set res.locals.audited to skip this one.
+ */
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Bodies are stored for context; never store credentials
+const REDACTED_FIELDS = /password|token|secret|^otp$|^code$/i;
+const MAX_BODY_LENGTH = 4000;
+
+function redact(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body;
+  const result = {};
+  for (const [key, value] of Object.entries(body)) {
+    result[key] = REDACTED_FIELDS.test(key) ? '[redacted]' : value;
+  }
+  return result;
+}
+
+/**
+ * Resource type and id from the path, e.g. /invoices/INV123/send → ['invoices', 'INV123']
+ * @param {string} path - Path relative to /api/v1
+ * @returns {{resourceType: string, resourceId: string}}
+ */
+function describeResource(path) {
+  const segments = path.split('?')[0].split('/').filter(Boolean);
+  return {
+    resourceType: segments[0] || 'api',
+    resourceId: segments.slice(1).join('/'),
+  };
+}
+
+function auditAdminActions(req, res, next) {
+  if (!MUTATING_METHODS.has(req.method)) return next();
+
+  // Routers strip their mount path from req.url, so read it before they run
+  const { resourceType, resourceId } = describeResource(req.path);
+
+  res.on('finish', () => {
+    if (!req.user || req.user.role !== 'admin' || res.statusCode >= 400 || res.locals.audited) return;
+
+    // Loaded lazily: the service depends on the auth middleware
+    const adminUsers = require('../services/admin-users');
+    let body = req.body && Object.keys(req.body).length ? JSON.stringify(redact(req.body)) : null;
+    if (body && body.length > MAX_BODY_LENGTH) body = `${body.slice(0, MAX_BODY_LENGTH)}…`;
+
+    adminUsers.recordAudit({
+      user: req.user,
+      eventType: 'api_request',
+      action: req.method,
+      resourceType,
+      resourceId,
+      newValue: body,
+      ip: req.ip,
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  auditAdminActions,
+  describeResource,
+};
@@ -8,6 +8,7 @@
 const jwt = require('jsonwebtoken');
 const { db } = require('../db');
 const logger = require('../utils/logger');
+const { ROLES, hasPermission, permissionForMethod } = require('../services/admin-users/roles');
 
 // JWT secret from environment or fallback
 const JWT_SECRET = process.env.JWT_SECRET || 'worklink-v2-secret-key';
@@ -16,19 +17,25 @@ const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 /**
  * Generate JWT token for user
  * @param {Object} user - User object
+ * @param {Object} [options]
+ * @param {string} [options.expiresIn] - Overrides JWT_EXPIRES_IN
+ * @param {string} [options.sessionId] - Worker device session the token belongs to
  * @returns {string} JWT token
  */
-function generateToken(user) {
+function generateToken(user, options = {}) {
   const payload = {
     id: user.id,
     email: user.email,
     name: user.name,
     role: user.role || 'candidate',
-    type: user.type || 'candidate' // candidate, admin, support
+    type: user.type || 'candidate' // candidate, admin, support, client
   };
+  if (options.sessionId) {
+    payload.sid = options.sessionId;
+  }
 
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_EXPIRES_IN,
+    expiresIn: options.expiresIn || JWT_EXPIRES_IN,
     issuer: 'worklink-v2',
     audience: 'worklink-users'
   });
@@ -36,7 +43,7 @@ function generateToken(user) {
 
 /**
  * Generate JWT token for admin
- * @param {Object} admin - Admin object with id, email, name
+ * @param {Object} admin - Admin object with id, email, name and admin_role
  * @returns {string} JWT token
  */
 function generateAdminToken(admin) {
@@ -45,7 +52,8 @@ function generateAdminToken(admin) {
       id: admin.id,
       email: admin.email,
       name: admin.name,
-      role: 'admin'
+      role: 'admin',
+      admin_role: admin.admin_role || 'owner'
     },
     JWT_SECRET,
     {
@@ -65,12 +73,12 @@ function verifyToken(token) {
   try {
     // Handle legacy demo tokens
     if (token === 'demo-admin-token') {
-      return { id: 'ADM_DEV', role: 'admin', name: 'Demo Admin', email: 'admin@worklink.sg' };
+      return { id: 'ADM_DEV', role: 'admin', admin_role: 'owner', name: 'Demo Admin', email: 'admin@worklink.sg' };
     }
 
     // If JWT_SECRET is not configured, allow access (no JWT security)
     if (!JWT_SECRET) {
-      return { id: 'ADM_DEV', role: 'admin', name: 'Dev Admin', email: 'dev@worklink.sg' }; // Default admin access
+      return { id: 'ADM_DEV', role: 'admin', admin_role: 'owner', name: 'Dev Admin', email: 'dev@worklink.sg' }; // Default admin access
     }
 
     return jwt.verify(token, JWT_SECRET, {
@@ -111,7 +119,7 @@ function extractToken(req) {
 /**
  * Get user details from database
  * @param {string} userId - User ID
- * @param {string} userType - User type (candidate, admin, support)
+ * @param {string} userType - User type (candidate, admin, support, client)
  * @returns {Object|null} User object or null
  */
 function getUserFromDatabase(userId, userType = 'candidate') {
@@ -126,14 +134,28 @@ function getUserFromDatabase(userId, userType = 'candidate') {
         WHERE id = ?
       `).get(userId);
     } else if (userType === 'admin' || userType === 'support') {
-      // In a real implementation, you'd have admin/support tables
-      // For now, we'll simulate based on ID patterns
-      if (userId.startsWith('ADM_') || userId === 'ADMIN001') {
+      const account = db.prepare('SELECT id, name, email, role, status FROM admin_users WHERE id = ?').get(userId);
+      const hasAccounts = !!account || !!db.prepare('SELECT 1 FROM admin_users LIMIT 1').get();
+
+      if (account) {
+        // Deactivated and not-yet-accepted accounts are signed out
+        user = account.status !== 'active' ? null : {
+          id: account.id,
+          name: account.name,
+          email: account.email,
+          role: 'admin',
+          admin_role: account.role,
+          type: 'admin',
+          status: 'active'
+        };
+      } else if (!hasAccounts && (userId.startsWith('ADM_') || userId === 'ADMIN001')) {
+        // Before the first admin account exists, keep the single env-credential admin working
         user = {
           id: userId,
           name: 'Admin User',
           email: 'admin@worklink.sg',
           role: 'admin',
+          admin_role: 'owner',
           type: 'admin',
           status: 'active'
         };
@@ -147,6 +169,15 @@ function getUserFromDatabase(userId, userType = 'candidate') {
           status: 'active'
         };
       }
+    } else if (userType === 'client') {
+      // Client portal contacts lose access with their account or their company
+      user = db.prepare(`
+        SELECT cu.id, cu.name, cu.email, cu.client_id, 'client' as role, 'client' as type,
+               CASE WHEN cu.status = 'active' AND cl.status = 'active' THEN 'active' ELSE 'inactive' END as status
+        FROM client_users cu
+        JOIN clients cl ON cl.id = cu.client_id
+        WHERE cu.id = ?
+      `).get(userId) || null;
     }
 
     return user;
@@ -156,6 +187,21 @@ function getUserFromDatabase(userId, userType = 'candidate') {
   }
 }
 
+/**
+ * Whether a worker device session is still signed in
+ * @param {string} sessionId - The token's sid claim
+ * @returns {boolean}
+ */
+function isSessionActive(sessionId) {
+  try {
+    const session = db.prepare('SELECT revoked_at FROM worker_sessions WHERE id = ?').get(sessionId);
+    return !!session && !session.revoked_at;
+  } catch (error) {
+    console.error('Database error in isSessionActive:', error);
+    return false;
+  }
+}
+
 /**
  * Basic authentication middleware
  * Verifies token and attaches user to request
@@ -183,6 +229,15 @@ function authenticateUser(req, res, next) {
       });
     }
 
+    // Tokens from a signed-out device stop working before they expire
+    if (decoded.sid && !isSessionActive(decoded.sid)) {
+      return res.status(401).json({
+        success: false,
+        error: 'This device has been signed out',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     // For development mode (no JWT_SECRET), use the returned user directly
     let user;
     if (!process.env.JWT_SECRET && decoded.id === 'ADM_DEV') {
@@ -212,6 +267,7 @@ function authenticateUser(req, res, next) {
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid || null;
 
     next();
   } catch (error) {
@@ -239,7 +295,9 @@ function optionalAuth(req, res, next) {
 
     if (token) {
       const decoded = verifyToken(token);
-      const user = getUserFromDatabase(decoded.id, decoded.type);
+      const user = decoded.id === 'ADM_DEV' && !process.env.JWT_SECRET
+        ? { ...decoded, status: 'active' }
+        : getUserFromDatabase(decoded.id, decoded.type || decoded.role);
 
       if (user && user.status === 'active') {
         req.user = user;
@@ -274,10 +332,61 @@ function authenticateAdmin(req, res, next) {
         code: 'INSUFFICIENT_PERMISSIONS'
       });
     }
+
+    // Read-only admins can look at everything but change nothing
+    if (ROLES[req.user.admin_role]?.readOnly && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your role is read-only',
+        code: 'READ_ONLY_ROLE'
+      });
+    }
     next();
   });
 }
 
+function permissionDenied(res, permission) {
+  return res.status(403).json({
+    success: false,
+    error: `Your role does not allow this (${permission})`,
+    code: 'PERMISSION_DENIED',
+    permission
+  });
+}
+
+/**
+ * Admin authentication plus a specific permission
+ * @param {string} permission - e.g. 'users:manage', 'tenders:approve'
+ * @returns {Function} Middleware
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    authenticateAdmin(req, res, () => {
+      if (!hasPermission(req.user.admin_role, permission)) {
+        return permissionDenied(res, permission);
+      }
+      next();
+    });
+  };
+}
+
+/**
+ * Admin authentication plus read (GET) or write (other methods) access to an area
+ * @param {string} area - Key of AREAS in services/admin-users/roles.js, e.g. 'finance'
+ * @returns {Function} Middleware
+ */
+function authorizeArea(area) {
+  return (req, res, next) => {
+    authenticateAdmin(req, res, () => {
+      const permission = permissionForMethod(area, req.method);
+      if (!hasPermission(req.user.admin_role, permission)) {
+        return permissionDenied(res, permission);
+      }
+      next();
+    });
+  };
+}
+
 /**
  * Authentication middleware for candidate-only access
  */
@@ -296,6 +405,25 @@ function authenticateCandidate(req, res, next) {
   });
 }
 
+/**
+ * Authentication middleware for client portal contacts
+ * req.user.client_id scopes everything they can see
+ */
+function authenticateClient(req, res, next) {
+  authenticateToken(req, res, (err) => {
+    if (err) return next(err);
+
+    if (req.user.role !== 'client') {
+      return res.status(403).json({
+        success: false,
+        error: 'Client portal access required'
+      });
+    }
+
+    next();
+  });
+}
+
 /**
  * Middleware to ensure candidate can only access their own data
  */
@@ -342,6 +470,39 @@ function authenticateAdminOrOwner(req, res, next) {
   });
 }
 
+/**
+ * Area access for admins (see authorizeArea), or a candidate's own data
+ * @param {string} area - Key of AREAS in services/admin-users/roles.js
+ * @returns {Function} Middleware
+ */
+function authorizeAreaOrOwner(area) {
+  return (req, res, next) => {
+    authenticateToken(req, res, (err) => {
+      if (err) {
+        return next(err);
+      }
+
+      if (req.user.role === 'admin') {
+        const permission = permissionForMethod(area, req.method);
+        if (!hasPermission(req.user.admin_role, permission)) {
+          return permissionDenied(res, permission);
+        }
+        return next();
+      }
+
+      const candidateId = req.params.id || req.params.candidateId || req.body.candidate_id;
+      if (req.user.role === 'candidate' && candidateId && candidateId === req.user.id) {
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    });
+  };
+}
+
 /**
  * Legacy token support for migration period
  * Supports both JWT tokens and old demo tokens
@@ -404,9 +565,13 @@ module.exports = {
   authenticateToken,
   authenticateAny,
   authenticateAdmin,
+  requirePermission,
+  authorizeArea,
   authenticateCandidate,
+  authenticateClient,
   authenticateCandidateOwnership,
   authenticateAdminOrOwner,
+  authorizeAreaOrOwner,
   optionalAuth,
   legacyAuth,
   JWT_SECRET
@@ -0,0 +1,137 @@
+/**
+ * Admin Users API
+ * Named admin accounts: invites, roles, deactivation and the audit log.
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminUsers = require('../../../services/admin-users');
+const { requirePermission } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+// Specific entry instead of the generic one from middleware/audit
+function audit(req, res, entry) {
+  adminUsers.recordAudit({ user: req.user, eventType: 'admin_user', resourceType: 'admin_users', ip: req.ip, ...entry });
+  res.locals.audited = true;
+}
+
+// ============================================================================
+// POST /api/v1/admin-users/accept-invite - Set a password from an invite link
+// ============================================================================
+router.post('/accept-invite', (req, res) => {
+  try {
+    const { data, token } = adminUsers.acceptInvite(req.body.token, req.body.password);
+    audit(req, res, { user: data, action: 'accept_invite', resourceId: data.id });
+    res.json({ success: true, data, token });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/admin-users/audit - Audit log, newest first
+// ============================================================================
+router.get('/audit', requirePermission('audit:read'), (req, res) => {
+  try {
+    const { userId, resourceType, resourceId, limit, offset } = req.query;
+    const data = adminUsers.listAudit({ userId, resourceType, resourceId, limit, offset });
+    res.json({ success: true, data: data.entries, total: data.total });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.use(requirePermission('users:manage'));
+
+// ============================================================================
+// GET /api/v1/admin-users - All admin accounts
+// ============================================================================
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, data: adminUsers.listUsers({ status: req.query.status }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/admin-users/roles - Roles and the permissions each grants
+// ============================================================================
+router.get('/roles', (req, res) => {
+  try {
+    res.json({ success: true, data: adminUsers.listRoles() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/admin-users/invite - Invite an admin by email
+// ============================================================================
+router.post('/invite', (req, res) => {
+  try {
+    const data = adminUsers.invite(req.body, req.user);
+    audit(req, res, { action: 'invite', resourceId: data.user.id, newValue: { email: data.user.email, role: data.user.role } });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/admin-users/:id/resend-invite - Replace the invite link
+// ============================================================================
+router.post('/:id/resend-invite', (req, res) => {
+  try {
+    res.json({ success: true, data: adminUsers.resendInvite(req.params.id, req.user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// PATCH /api/v1/admin-users/:id - Change name or role
+// ============================================================================
+router.patch('/:id', (req, res) => {
+  try {
+    const before = adminUsers.listUsers().find(user => user.id === req.params.id);
+    const data = adminUsers.updateUser(req.params.id, req.body);
+    if (before && before.role !== data.role) {
+      audit(req, res, { action: 'change_role', resourceId: data.id, oldValue: { role: before.role }, newValue: { role: data.role } });
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/admin-users/:id/deactivate - Revoke access
+// ============================================================================
+router.post('/:id/deactivate', (req, res) => {
+  try {
+    const data = adminUsers.deactivate(req.params.id, req.user);
+    audit(req, res, { action: 'deactivate', resourceId: data.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/admin-users/:id/reactivate - Restore access
+// ============================================================================
+router.post('/:id/reactivate', (req, res) => {
+  try {
+    const data = adminUsers.reactivate(req.params.id);
+    audit(req, res, { action: 'reactivate', resourceId: data.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
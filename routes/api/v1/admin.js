@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { db, resetToSampleData } = require('../../../db');
+const { requirePermission } = require('../../../middleware/auth');
 
 // Reset database to sample data
-router.post('/reset-to-sample', (req, res) => {
+router.post('/reset-to-sample', requirePermission('settings:manage'), (req, res) => {
   try {
     resetToSampleData();
     res.json({ success: true, message: 'Database reset to sample data' });
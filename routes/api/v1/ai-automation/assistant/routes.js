@@ -68,7 +68,7 @@ Current Business Context:${businessContext}
 
 Be concise, practical, and use Singapore business context. Focus on actionable advice.`;
 
-    const response = await askClaude(question, systemPrompt, { maxTokens: 800 });
+    const response = await askClaude(question, systemPrompt, { feature: 'assistant', maxTokens: 800 });
 
     res.json({
       success: true,
@@ -109,7 +109,7 @@ router.post('/analyze-text', async (req, res) => {
     };
 
     const prompt = prompts[analysisType] || prompts.general;
-    const response = await askClaude(`${prompt}\n\n${text}`, null, { maxTokens: 500 });
+    const response = await askClaude(`${prompt}\n\n${text}`, null, { feature: 'assistant', maxTokens: 500 });
 
     res.json({
       success: true,
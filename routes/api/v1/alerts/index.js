@@ -6,32 +6,25 @@
 
 const express = require('express');
 const router = express.Router();
-const Database = require('better-sqlite3');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
+const { store } = require('../../../../db');
+const alertEngine = require('../../../../services/alerts/engine');
+const { normalizeExpression, formatExpression, describeSubjects } = require('../../../../services/alerts/expressions');
+const { normalizeRuleSettings } = require('../../../../services/alerts/rules');
 
-// Railway-compatible database path configuration
-const getDbPath = () => {
-  // Try GeBIZ intelligence database first (local development)
-  const gebizDbPath = path.join(__dirname, '../../../../database/gebiz_intelligence.db');
-
-  // If GeBIZ database exists, use it
-  if (fs.existsSync(gebizDbPath)) {
-    return gebizDbPath;
-  }
-
-  // Fallback to main database for Railway deployment
-  const mainDbPath = path.join(__dirname, '../../../../data/worklink.db');
-  if (fs.existsSync(mainDbPath)) {
-    return mainDbPath;
-  }
+/**
+ * Validate an expression rule's subject, expression and windows
+ * @returns {{ rule?: Object, error?: string }}
+ */
+function normalizeExpressionRule(data) {
+  const { expression, error } = normalizeExpression(data.expression, data.subject);
+  if (error) return { error };
 
-  // Final fallback for Railway with different structure
-  return process.env.DATABASE_URL || '/opt/render/project/src/data/worklink.db';
-};
+  const result = normalizeRuleSettings(data);
+  if (result.error) return { error: result.error };
 
-const DB_PATH = getDbPath();
+  return { rule: { subject: data.subject, expression, ...result.settings } };
+}
 
 // ============================================================================
 // ALERT RULES MANAGEMENT
@@ -40,19 +33,6 @@ const DB_PATH = getDbPath();
 // GET /api/v1/alerts/rules - List all alert rules
 router.get('/rules', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-
-    // Check if alert_rules table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='alert_rules'").get();
-    if (!tableCheck) {
-      db.close();
-      return res.json({
-        success: true,
-        data: [],
-        message: 'Alert system not available on this deployment'
-      });
-    }
-
     const { active_only = 'true' } = req.query;
 
     let query = 'SELECT * FROM alert_rules';
@@ -61,7 +41,7 @@ router.get('/rules', (req, res) => {
     }
     query += ' ORDER BY priority DESC, rule_name ASC';
 
-    const rules = db.prepare(query).all();
+    const rules = store.all(query);
 
     // Parse JSON fields
     rules.forEach(rule => {
@@ -71,10 +51,12 @@ router.get('/rules', (req, res) => {
       if (rule.escalation_recipients) {
         rule.escalation_recipients = JSON.parse(rule.escalation_recipients);
       }
+      if (rule.expression) {
+        rule.expression = JSON.parse(rule.expression);
+        rule.expression_text = formatExpression(rule.expression);
+      }
     });
 
-    db.close();
-
     res.json({ success: true, data: rules });
   } catch (error) {
     console.error('Error fetching alert rules:', error);
@@ -82,22 +64,34 @@ router.get('/rules', (req, res) => {
   }
 });
 
-// POST /api/v1/alerts/rules - Create alert rule
-router.post('/rules', (req, res) => {
+// GET /api/v1/alerts/rules/fields - Fields and operators for expression rules
+router.get('/rules/fields', (req, res) => {
+  res.json({ success: true, data: describeSubjects() });
+});
+
+// POST /api/v1/alerts/rules/preview - Test an expression rule against the last 30 days
+router.post('/rules/preview', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
-    // Check if alert_rules table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='alert_rules'").get();
-    if (!tableCheck) {
-      db.close();
-      return res.status(503).json({
-        success: false,
-        error: 'Alert system not available on this deployment',
-        message: 'The alert system requires the GeBIZ intelligence database which is not available on Railway deployment'
-      });
+    const { rule, error } = normalizeExpressionRule(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
     }
 
+    const preview = alertEngine.previewRule(rule);
+
+    res.json({
+      success: true,
+      data: { ...preview, expression: rule.expression, expression_text: formatExpression(rule.expression) }
+    });
+  } catch (error) {
+    console.error('Error previewing alert rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/v1/alerts/rules - Create alert rule
+router.post('/rules', (req, res) => {
+  try {
     const {
       rule_name,
       rule_type,
@@ -115,29 +109,45 @@ router.post('/rules', (req, res) => {
       created_by
     } = req.body;
     
-    if (!rule_name || !rule_type || !conditions || !notification_channels || !recipients) {
-      db.close();
+    const isExpression = rule_type === 'expression';
+
+    if (!rule_name || !rule_type || (!conditions && !isExpression) || !notification_channels || !recipients) {
       return res.status(400).json({ 
         success: false, 
         error: 'Missing required fields' 
       });
     }
+
+    let settings = { subject: null, expression: null, window_days: 7, dedup_minutes: 60 };
+    if (isExpression) {
+      const { rule, error } = normalizeExpressionRule(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+      settings = rule;
+    } else if (req.body.dedup_minutes !== undefined) {
+      const result = normalizeRuleSettings({ dedup_minutes: req.body.dedup_minutes });
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+      settings.dedup_minutes = result.settings.dedup_minutes;
+    }
     
     const id = uuidv4();
     
-    db.prepare(`
+    store.statement(`
       INSERT INTO alert_rules (
         id, rule_name, rule_type, conditions, priority,
         notification_channels, recipients, escalation_enabled,
         escalation_after_minutes, escalation_recipients,
         digest_enabled, digest_frequency, digest_time,
-        active, created_by
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        active, created_by, subject, expression, window_days, dedup_minutes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       id,
       rule_name,
       rule_type,
-      JSON.stringify(conditions),
+      JSON.stringify(conditions || {}),
       priority,
       JSON.stringify(notification_channels),
       JSON.stringify(recipients),
@@ -148,11 +158,14 @@ router.post('/rules', (req, res) => {
       digest_frequency,
       digest_time,
       active ? 1 : 0,
-      created_by || 'system'
+      created_by || 'system',
+      settings.subject,
+      settings.expression ? JSON.stringify(settings.expression) : null,
+      settings.window_days,
+      settings.dedup_minutes
     );
     
-    const rule = db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(id);
-    db.close();
+    const rule = store.get('SELECT * FROM alert_rules WHERE id = ?', id);
     
     res.status(201).json({
       success: true,
@@ -168,8 +181,6 @@ router.post('/rules', (req, res) => {
 // PATCH /api/v1/alerts/rules/:id - Update alert rule
 router.patch('/rules/:id', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-    
     const updates = [];
     const params = [];
     
@@ -179,6 +190,41 @@ router.patch('/rules/:id', (req, res) => {
       'escalation_recipients', 'digest_enabled', 'digest_frequency',
       'digest_time', 'active'
     ];
+
+    // Expression, subject and windows are validated together against the stored rule
+    const expressionFields = ['subject', 'expression', 'window_days', 'dedup_minutes'];
+    if (expressionFields.some(field => req.body[field] !== undefined)) {
+      const existing = store.get('SELECT * FROM alert_rules WHERE id = ?', req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Alert rule not found' });
+      }
+
+      if (existing.rule_type === 'expression') {
+        const merged = {
+          subject: existing.subject,
+          expression: JSON.parse(existing.expression || 'null'),
+          window_days: existing.window_days,
+          dedup_minutes: existing.dedup_minutes
+        };
+        expressionFields.forEach(field => {
+          if (req.body[field] !== undefined) merged[field] = req.body[field];
+        });
+
+        const { rule, error } = normalizeExpressionRule(merged);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+        updates.push('subject = ?', 'expression = ?', 'window_days = ?', 'dedup_minutes = ?');
+        params.push(rule.subject, JSON.stringify(rule.expression), rule.window_days, rule.dedup_minutes);
+      } else if (req.body.dedup_minutes !== undefined) {
+        const { settings, error } = normalizeRuleSettings({ dedup_minutes: req.body.dedup_minutes });
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+        updates.push('dedup_minutes = ?');
+        params.push(settings.dedup_minutes);
+      }
+    }
     
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) {
@@ -196,22 +242,19 @@ router.patch('/rules/:id', (req, res) => {
     }
     
     if (updates.length === 0) {
-      db.close();
       return res.status(400).json({ success: false, error: 'No valid fields to update' });
     }
     
     updates.push('updated_at = CURRENT_TIMESTAMP');
     params.push(req.params.id);
     
-    const result = db.prepare(`UPDATE alert_rules SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+    const result = store.run(`UPDATE alert_rules SET ${updates.join(', ')} WHERE id = ?`, ...params);
     
     if (result.changes === 0) {
-      db.close();
       return res.status(404).json({ success: false, error: 'Alert rule not found' });
     }
     
-    const rule = db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(req.params.id);
-    db.close();
+    const rule = store.get('SELECT * FROM alert_rules WHERE id = ?', req.params.id);
     
     res.json({
       success: true,
@@ -227,11 +270,7 @@ router.patch('/rules/:id', (req, res) => {
 // DELETE /api/v1/alerts/rules/:id - Delete alert rule
 router.delete('/rules/:id', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-    
-    const result = db.prepare('DELETE FROM alert_rules WHERE id = ?').run(req.params.id);
-    
-    db.close();
+    const result = store.run('DELETE FROM alert_rules WHERE id = ?', req.params.id);
     
     if (result.changes === 0) {
       return res.status(404).json({ success: false, error: 'Alert rule not found' });
@@ -254,25 +293,6 @@ router.delete('/rules/:id', (req, res) => {
 // GET /api/v1/alerts/history - Get alert history
 router.get('/history', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-
-    // Check if alert_history table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='alert_history'").get();
-    if (!tableCheck) {
-      db.close();
-      return res.json({
-        success: true,
-        data: [],
-        meta: {
-          unread_count: 0,
-          total: 0,
-          limit: parseInt(req.query.limit) || 50,
-          offset: parseInt(req.query.offset) || 0
-        },
-        message: 'Alert system not available on this deployment'
-      });
-    }
-
     const {
       unread_only = 'false',
       priority,
@@ -295,7 +315,7 @@ router.get('/history', (req, res) => {
     query += ' ORDER BY triggered_at DESC LIMIT ? OFFSET ?';
     params.push(parseInt(limit), parseInt(offset));
     
-    const alerts = db.prepare(query).all(...params);
+    const alerts = store.all(query, ...params);
     
     // Parse JSON fields
     alerts.forEach(alert => {
@@ -307,9 +327,7 @@ router.get('/history', (req, res) => {
     });
     
     // Get unread count
-    const unreadCount = db.prepare('SELECT COUNT(*) as count FROM alert_history WHERE acknowledged = 0').get();
-    
-    db.close();
+    const unreadCount = store.get('SELECT COUNT(*) as count FROM alert_history WHERE acknowledged = 0');
     
     res.json({
       success: true,
@@ -329,21 +347,9 @@ router.get('/history', (req, res) => {
 // POST /api/v1/alerts/history/:id/acknowledge - Mark alert as read
 router.post('/history/:id/acknowledge', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
-    // Check if alert_history table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='alert_history'").get();
-    if (!tableCheck) {
-      db.close();
-      return res.json({
-        success: true,
-        message: 'Alert system not available on this deployment'
-      });
-    }
-
     const { user_id, action_taken, action_notes } = req.body;
     
-    const result = db.prepare(`
+    const result = store.run(`
       UPDATE alert_history 
       SET acknowledged = 1,
           acknowledged_at = CURRENT_TIMESTAMP,
@@ -352,9 +358,7 @@ router.post('/history/:id/acknowledge', (req, res) => {
           action_notes = ?,
           action_taken_at = CURRENT_TIMESTAMP
       WHERE id = ?
-    `).run(user_id || 'unknown', action_taken || null, action_notes || null, req.params.id);
-    
-    db.close();
+    `, user_id || 'unknown', action_taken || null, action_notes || null, req.params.id);
     
     if (result.changes === 0) {
       return res.status(404).json({ success: false, error: 'Alert not found' });
@@ -373,29 +377,15 @@ router.post('/history/:id/acknowledge', (req, res) => {
 // POST /api/v1/alerts/history/mark-all-read - Mark all as read
 router.post('/history/mark-all-read', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
-    // Check if alert_history table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='alert_history'").get();
-    if (!tableCheck) {
-      db.close();
-      return res.json({
-        success: true,
-        message: 'Alert system not available on this deployment'
-      });
-    }
-
     const { user_id } = req.body;
     
-    const result = db.prepare(`
+    const result = store.run(`
       UPDATE alert_history 
       SET acknowledged = 1,
           acknowledged_at = CURRENT_TIMESTAMP,
           acknowledged_by = ?
       WHERE acknowledged = 0
-    `).run(user_id || 'unknown');
-    
-    db.close();
+    `, user_id || 'unknown');
     
     res.json({
       success: true,
@@ -410,24 +400,7 @@ router.post('/history/mark-all-read', (req, res) => {
 // GET /api/v1/alerts/unread-count - Get unread count only
 router.get('/unread-count', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-
-    // Check if alert_history table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='alert_history'").get();
-    if (!tableCheck) {
-      db.close();
-      return res.json({
-        success: true,
-        data: {
-          unread_count: 0
-        },
-        message: 'Alert system not available on this deployment'
-      });
-    }
-
-    const result = db.prepare('SELECT COUNT(*) as count FROM alert_history WHERE acknowledged = 0').get();
-
-    db.close();
+    const result = store.get('SELECT COUNT(*) as count FROM alert_history WHERE acknowledged = 0');
 
     res.json({
       success: true,
@@ -448,12 +421,10 @@ router.get('/unread-count', (req, res) => {
 // POST /api/v1/alerts/trigger - Manually trigger alert evaluation
 router.post('/trigger', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-    
     const { tender_id, renewal_id, trigger_type } = req.body;
     
     // Get all active alert rules
-    const rules = db.prepare('SELECT * FROM alert_rules WHERE active = 1').all();
+    const rules = store.all('SELECT * FROM alert_rules WHERE active = 1');
     
     const triggered = [];
     
@@ -464,7 +435,7 @@ router.post('/trigger', (req, res) => {
       let alertData = {};
       
       if (trigger_type === 'tender' && tender_id) {
-        const tender = db.prepare('SELECT * FROM bpo_tender_lifecycle WHERE id = ?').get(tender_id);
+        const tender = store.get('SELECT * FROM bpo_tender_lifecycle WHERE id = ?', tender_id);
         
         if (!tender) continue;
         
@@ -503,7 +474,7 @@ router.post('/trigger', (req, res) => {
           }
         }
       } else if (trigger_type === 'renewal' && renewal_id) {
-        const renewal = db.prepare('SELECT * FROM contract_renewals WHERE id = ?').get(renewal_id);
+        const renewal = store.get('SELECT * FROM contract_renewals WHERE id = ?', renewal_id);
         
         if (!renewal) continue;
         
@@ -531,7 +502,7 @@ router.post('/trigger', (req, res) => {
       if (shouldTrigger) {
         const alertId = uuidv4();
         
-        db.prepare(`
+        store.statement(`
           INSERT INTO alert_history (
             id, rule_id, trigger_type, tender_id, renewal_id,
             alert_title, alert_message, alert_priority, alert_data,
@@ -560,8 +531,6 @@ router.post('/trigger', (req, res) => {
       }
     }
     
-    db.close();
-    
     res.json({
       success: true,
       data: {
@@ -583,32 +552,24 @@ router.post('/trigger', (req, res) => {
 // GET /api/v1/alerts/preferences - Get user preferences
 router.get('/preferences', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-    
     const { user_id } = req.query;
     
     if (!user_id) {
-      db.close();
       return res.status(400).json({ success: false, error: 'user_id required' });
     }
     
-    let prefs = db.prepare('SELECT * FROM user_alert_preferences WHERE user_id = ?').get(user_id);
+    let prefs = store.get('SELECT * FROM user_alert_preferences WHERE user_id = ?', user_id);
     
     // Create default if doesn't exist
     if (!prefs) {
-      db.close();
-      const writeDb = new Database(DB_PATH);
       const id = uuidv4();
       
-      writeDb.prepare(`
+      store.run(`
         INSERT INTO user_alert_preferences (id, user_id, email_enabled, sms_enabled, slack_enabled, in_app_enabled)
         VALUES (?, ?, 1, 0, 1, 1)
-      `).run(id, user_id);
+      `, id, user_id);
       
-      prefs = writeDb.prepare('SELECT * FROM user_alert_preferences WHERE id = ?').get(id);
-      writeDb.close();
-    } else {
-      db.close();
+      prefs = store.get('SELECT * FROM user_alert_preferences WHERE id = ?', id);
     }
     
     // Parse JSON fields
@@ -626,12 +587,9 @@ router.get('/preferences', (req, res) => {
 // PATCH /api/v1/alerts/preferences - Update user preferences
 router.patch('/preferences', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-    
     const { user_id } = req.body;
     
     if (!user_id) {
-      db.close();
       return res.status(400).json({ success: false, error: 'user_id required' });
     }
     
@@ -644,7 +602,7 @@ router.patch('/preferences', (req, res) => {
       'quiet_hours_enabled', 'quiet_hours_start', 'quiet_hours_end',
       'min_priority', 'digest_enabled', 'digest_frequency', 'digest_time',
       'digest_days', 'max_alerts_per_hour', 'max_sms_per_day',
-      'dnd_enabled', 'dnd_until'
+      'dnd_enabled', 'dnd_until', 'timezone'
     ];
     
     for (const field of allowedFields) {
@@ -662,18 +620,15 @@ router.patch('/preferences', (req, res) => {
     }
     
     if (updates.length === 0) {
-      db.close();
       return res.status(400).json({ success: false, error: 'No valid fields to update' });
     }
     
     updates.push('updated_at = CURRENT_TIMESTAMP');
     params.push(user_id);
     
-    db.prepare(`UPDATE user_alert_preferences SET ${updates.join(', ')} WHERE user_id = ?`).run(...params);
-    
-    const prefs = db.prepare('SELECT * FROM user_alert_preferences WHERE user_id = ?').get(user_id);
+    store.run(`UPDATE user_alert_preferences SET ${updates.join(', ')} WHERE user_id = ?`, ...params);
     
-    db.close();
+    const prefs = store.get('SELECT * FROM user_alert_preferences WHERE user_id = ?', user_id);
     
     res.json({
       success: true,
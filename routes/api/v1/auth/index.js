@@ -4,7 +4,7 @@
  *
  * Features:
  * - Core authentication (login, register, me)
- * - Worker app authentication
+ * - Worker app authentication (one-time codes, device sessions)
  * - Telegram OAuth authentication
  * - Google OAuth authentication
  * - Token management
@@ -19,13 +19,15 @@ const router = express.Router();
 // Import route modules
 const coreRoutes = require('./routes/core');
 const workerRoutes = require('./routes/worker');
+const otpRoutes = require('./routes/otp');
 const telegramRoutes = require('./routes/telegram');
 const googleRoutes = require('./routes/google');
 const tokensRoutes = require('./routes/tokens');
 
 // Mount route modules
 router.use('/', coreRoutes);           // POST /login, POST /register, GET /me
-router.use('/', workerRoutes);         // POST /worker/login
+router.use('/', workerRoutes);         // POST /worker/login (demo account)
+router.use('/', otpRoutes);            // POST /worker/otp/*, /worker/token/refresh, /worker/logout, /worker/sessions
 router.use('/', telegramRoutes);       // POST /telegram/login, GET /telegram/config, POST /telegram/debug
 router.use('/', googleRoutes);         // POST /google/login, GET /google/config
 router.use('/', tokensRoutes);         // POST /push-token
@@ -58,12 +60,20 @@ router.get('/', (req, res) => {
     status: 'operational',
     endpoints: {
       // Core authentication
-      'POST /login': 'Login for candidates and admins',
+      'POST /login': 'Admin login (candidates use the worker OTP flow)',
       'POST /register': 'Register new candidate (email-based)',
       'GET /me': 'Get current user information',
+      'GET /permissions': 'Role and permissions of the signed-in admin',
 
       // Worker authentication
-      'POST /worker/login': 'Worker app login (phone/email)',
+      'POST /worker/login': 'Worker app demo account login',
+      'POST /worker/otp/request': 'Send a one-time sign-in code by SMS, email or Telegram',
+      'POST /worker/otp/verify': 'Verify the code and start a device session',
+      'POST /worker/token/refresh': 'Rotate the refresh token for a new access token',
+      'POST /worker/logout': 'Sign out the current device',
+      'GET /worker/sessions': 'List signed-in devices',
+      'DELETE /worker/sessions/:id': 'Sign out a device remotely',
+      'DELETE /worker/sessions': 'Sign out all other devices',
 
       // Telegram authentication
       'POST /telegram/login': 'Telegram widget authentication',
@@ -82,8 +92,9 @@ router.get('/', (req, res) => {
     },
     features: [
       'Multi-provider authentication (Email, Telegram, Google)',
-      'Admin authentication with secure credentials',
-      'Worker app simplified login',
+      'Named admin accounts with role-based permissions',
+      'Worker passwordless sign-in with one-time codes',
+      'Rotating refresh tokens per device',
       'JWT token generation and validation',
       'Referral system integration',
       'Avatar generation and management',
@@ -7,60 +7,31 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../../../../../db');
 const { validate, schemas } = require('../helpers/validation');
-const { generateToken, generateAdminToken, authenticateToken } = require('../helpers/token-manager');
-const logger = require('../../../../../utils/logger');
+const { authenticateToken } = require('../helpers/token-manager');
+const adminUsers = require('../../../../../services/admin-users');
 
 /**
  * POST /login
- * Core login for candidates and admins
+ * Admin login. Candidates are pointed at the worker OTP sign-in.
  */
 router.post('/login', (req, res) => {
   try {
     const { email, password, type = 'candidate' } = req.body;
 
     if (type === 'admin') {
-      // Admin login - requires specific credentials from environment
-      const adminPassword = process.env.ADMIN_PASSWORD;
-      const adminEmail = process.env.ADMIN_EMAIL || 'admin@worklink.sg';
-
-      if (!adminPassword) {
-        logger.error('SECURITY: ADMIN_PASSWORD environment variable not set');
-        return res.status(500).json({ success: false, error: 'Server configuration error' });
-      }
-
-      if (email === adminEmail && password === adminPassword) {
-        const admin = {
-          id: 'ADMIN001',
-          name: 'Admin',
-          email: email,
-          role: 'admin',
-        };
-
-        return res.json({
-          success: true,
-          data: admin,
-          token: generateAdminToken(admin),
-        });
-      }
-      return res.status(401).json({ success: false, error: 'Invalid admin credentials' });
+      // Named admin accounts; the first sign-in with ADMIN_EMAIL/ADMIN_PASSWORD creates the owner
+      const { data, token } = adminUsers.authenticate(email, password);
+      return res.json({ success: true, data, token });
     }
 
-    // Candidate login
-    const candidate = db.prepare('SELECT * FROM candidates WHERE email = ?').get(email);
-
-    if (!candidate) {
-      return res.status(401).json({ success: false, error: 'Invalid credentials' });
-    }
-
-    candidate.certifications = JSON.parse(candidate.certifications || '[]');
-
-    res.json({
-      success: true,
-      data: candidate,
-      token: generateToken(candidate),
+    // Candidates have no password - an email alone must not issue a token
+    return res.status(401).json({
+      success: false,
+      error: 'Sign in with a one-time code via POST /api/v1/auth/worker/otp/request',
+      code: 'OTP_REQUIRED',
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
   }
 });
 
@@ -106,6 +77,7 @@ router.post('/register', validate(schemas.registration), (req, res) => {
 router.get('/me', authenticateToken, (req, res) => {
   try {
     if (req.user.role === 'admin') {
+      const access = adminUsers.describeAccess(req.user);
       return res.json({
         success: true,
         data: {
@@ -113,6 +85,8 @@ router.get('/me', authenticateToken, (req, res) => {
           name: req.user.name,
           email: req.user.email,
           role: req.user.role,
+          admin_role: access.role,
+          permissions: access.permissions,
         },
       });
     }
@@ -140,21 +114,16 @@ router.get('/me', authenticateToken, (req, res) => {
 router.get('/verify', authenticateToken, (req, res) => {
   try {
     if (req.user.role === 'admin') {
-      return res.json({
-        success: true,
-        user: {
-          id: req.user.id,
-          name: req.user.name,
-          email: req.user.email,
-          role: req.user.role,
-        },
-        data: {
-          id: req.user.id,
-          name: req.user.name,
-          email: req.user.email,
-          role: req.user.role,
-        },
-      });
+      const access = adminUsers.describeAccess(req.user);
+      const admin = {
+        id: req.user.id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role,
+        admin_role: access.role,
+        permissions: access.permissions,
+      };
+      return res.json({ success: true, user: admin, data: admin });
     }
 
     const candidate = db.prepare('SELECT * FROM candidates WHERE id = ?').get(req.user.id);
@@ -168,4 +137,15 @@ router.get('/verify', authenticateToken, (req, res) => {
   }
 });
 
+/**
+ * GET /permissions
+ * Role and permissions of the signed-in admin
+ */
+router.get('/permissions', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ success: false, error: 'Admin access required', code: 'INSUFFICIENT_PERMISSIONS' });
+  }
+  res.json({ success: true, data: adminUsers.describeAccess(req.user) });
+});
+
 module.exports = router;
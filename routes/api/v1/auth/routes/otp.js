@@ -0,0 +1,146 @@
+/**
+ * Worker OTP Authentication Routes
+ * Passwordless sign-in with one-time codes, rotating refresh tokens and
+ * per-device sessions the worker can sign out remotely
+ */
+
+const express = require('express');
+const router = express.Router();
+const workerAuth = require('../../../../../services/worker-auth');
+const { authenticateToken } = require('../helpers/token-manager');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    code: error.code || undefined,
+    retryAfterSeconds: error.retryAfterSeconds,
+    attemptsLeft: error.attemptsLeft,
+  });
+}
+
+function deviceFrom(req) {
+  return {
+    deviceId: req.body.deviceId ? String(req.body.deviceId).slice(0, 64) : null,
+    deviceName: req.body.deviceName ? String(req.body.deviceName) : null,
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip,
+  };
+}
+
+function sessionResponse(result) {
+  const { candidate, accessToken, refreshToken, expiresIn, sessionId } = result;
+  candidate.certifications = JSON.parse(candidate.certifications || '[]');
+  return {
+    success: true,
+    data: candidate,
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    sessionId,
+  };
+}
+
+function requireWorker(req, res, next) {
+  if (req.user.role !== 'candidate') {
+    return res.status(403).json({ success: false, error: 'Worker account required' });
+  }
+  next();
+}
+
+/**
+ * POST /worker/otp/request
+ * Send a sign-in code to the worker's phone, email or Telegram
+ * Body: { identifier, channel? }
+ */
+router.post('/worker/otp/request', async (req, res) => {
+  try {
+    const { identifier, email, phone, channel } = req.body;
+    const data = await workerAuth.requestCode({ identifier: identifier || phone || email, channel, ip: req.ip });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /worker/otp/verify
+ * Exchange a valid code for an access token and refresh token
+ * Body: { identifier, code, deviceId?, deviceName? }
+ */
+router.post('/worker/otp/verify', (req, res) => {
+  try {
+    const { identifier, email, phone, code } = req.body;
+    const result = workerAuth.verifyCode({ identifier: identifier || phone || email, code, device: deviceFrom(req) });
+    res.json(sessionResponse(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /worker/token/refresh
+ * Rotate the refresh token; the old one stops working
+ * Body: { refreshToken }
+ */
+router.post('/worker/token/refresh', (req, res) => {
+  try {
+    res.json(sessionResponse(workerAuth.refresh(req.body.refreshToken)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /worker/logout
+ * Sign out this device
+ */
+router.post('/worker/logout', authenticateToken, requireWorker, (req, res) => {
+  try {
+    if (req.sessionId) {
+      workerAuth.revokeSession(req.user.id, req.sessionId);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /worker/sessions
+ * Devices the worker is signed in on
+ */
+router.get('/worker/sessions', authenticateToken, requireWorker, (req, res) => {
+  try {
+    res.json({ success: true, data: workerAuth.listSessions(req.user.id, req.sessionId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /worker/sessions/:id
+ * Sign out another device
+ */
+router.delete('/worker/sessions/:id', authenticateToken, requireWorker, (req, res) => {
+  try {
+    res.json({ success: true, data: workerAuth.revokeSession(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /worker/sessions
+ * Sign out every device except this one
+ */
+router.delete('/worker/sessions', authenticateToken, requireWorker, (req, res) => {
+  try {
+    const revoked = workerAuth.revokeOtherSessions(req.user.id, req.sessionId);
+    res.json({ success: true, data: { revoked } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
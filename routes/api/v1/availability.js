@@ -3,13 +3,27 @@
  * Manage candidate availability for better job matching
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const { db } = require('../../../db');
+const { authenticateAdminOrOwner } = require('../../../middleware/auth');
+const questEngine = require('../../../services/quest-engine');
 const { getSGDateString } = require('../../../shared/constants');
 
+/**
+ * Quest event id for an availability change: the same dates saved again on
+ * the same day count once
+ * @param {Object[]} dates - Saved { date, status } entries
+ * @returns {string}
+ */
+function availabilityEventId(dates) {
+  const saved = dates.map(d => `${d.date}:${d.status || 'available'}`).sort().join(',');
+  return `${getSGDateString()}:${crypto.createHash('sha1').update(saved).digest('hex').slice(0, 16)}`;
+}
+
 // Get candidate availability for a date range
-router.get('/:candidateId', (req, res) => {
+router.get('/:candidateId', authenticateAdminOrOwner, (req, res) => {
   try {
     const { start_date, end_date, days = 30 } = req.query;
     const candidateId = req.params.candidateId;
@@ -60,7 +74,7 @@ router.get('/:candidateId', (req, res) => {
 });
 
 // Set availability for specific dates
-router.post('/:candidateId', (req, res) => {
+router.post('/:candidateId', authenticateAdminOrOwner, (req, res) => {
   try {
     const candidateId = req.params.candidateId;
     const { dates } = req.body; // Array of { date, status, start_time?, end_time?, notes? }
@@ -98,6 +112,8 @@ router.post('/:candidateId', (req, res) => {
       triggerJobMatching(candidateId, availableDates);
     }
 
+    questEngine.emit('availability_updated', candidateId, { sourceId: availabilityEventId(dates) });
+
     res.json({ success: true, data: results });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -105,7 +121,7 @@ router.post('/:candidateId', (req, res) => {
 });
 
 // Set availability for a date range (bulk)
-router.post('/:candidateId/range', (req, res) => {
+router.post('/:candidateId/range', authenticateAdminOrOwner, (req, res) => {
   try {
     const candidateId = req.params.candidateId;
     const { start_date, end_date, status, start_time, end_time, exclude_days = [] } = req.body;
@@ -144,6 +160,8 @@ router.post('/:candidateId/range', (req, res) => {
       insertStmt.run(candidateId, d.date, d.status, d.start_time || null, d.end_time || null);
     }
 
+    questEngine.emit('availability_updated', candidateId, { sourceId: availabilityEventId(dates) });
+
     res.json({ success: true, data: { datesSet: dates.length, dates } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -151,7 +169,7 @@ router.post('/:candidateId/range', (req, res) => {
 });
 
 // Delete availability for a date
-router.delete('/:candidateId/:date', (req, res) => {
+router.delete('/:candidateId/:date', authenticateAdminOrOwner, (req, res) => {
   try {
     db.prepare('DELETE FROM candidate_availability WHERE candidate_id = ? AND date = ?')
       .run(req.params.candidateId, req.params.date);
@@ -0,0 +1,84 @@
+/**
+ * Shift Backfill API
+ * Replacement offers for deployments that were cancelled or no-showed.
+ * Workers see and answer their offers; admins follow the chain per job.
+ */
+
+const express = require('express');
+const router = express.Router();
+const backfill = require('../../../services/backfill');
+const { authenticateAdmin, authenticateCandidate, authenticateCandidateOwnership } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+// ============================================================================
+// WORKER ENDPOINTS
+// ============================================================================
+
+// Open shift offers for a worker
+router.get('/offers/candidate/:candidateId', authenticateCandidateOwnership, (req, res) => {
+  try {
+    const data = backfill.getOpenOffersForCandidate(req.params.candidateId);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Accept an offer - first to accept gets the slot
+router.post('/offers/:id/accept', authenticateCandidate, (req, res) => {
+  try {
+    const { deployment } = backfill.acceptOffer(req.params.id, req.user.id);
+    res.json({ success: true, data: deployment });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Decline an offer
+router.post('/offers/:id/decline', authenticateCandidate, async (req, res) => {
+  try {
+    const offer = await backfill.declineOffer(req.params.id, req.user.id);
+    res.json({ success: true, data: offer });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+// Backfill requests and offers for a job
+router.get('/jobs/:jobId', authenticateAdmin, (req, res) => {
+  try {
+    const data = backfill.getForJob(req.params.jobId);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Close the current wave and offer the slot to the next group now
+router.post('/requests/:id/next-wave', authenticateAdmin, async (req, res) => {
+  try {
+    const data = await backfill.advanceWave(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Stop backfilling
+router.post('/requests/:id/cancel', authenticateAdmin, (req, res) => {
+  try {
+    const data = backfill.cancelRequest(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,8 @@
 const express = require('express');
-const Database = require('better-sqlite3');
-const path = require('path');
 const winston = require('winston');
+const { db } = require('../../../db');
 
 const router = express.Router();
-const dbPath = path.join(__dirname, '../../../data/worklink.db');
-const db = new Database(dbPath);
 
 // Logger setup
 const logger = winston.createLogger({
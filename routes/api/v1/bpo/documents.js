@@ -0,0 +1,179 @@
+/**
+ * 📑 TENDER DOCUMENTS & COMPLIANCE MATRIX API
+ * Tender specification uploads, extracted requirements, and the compliance
+ * matrix bid staff fill in before Internal Approval.
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const documents = require('../../../../services/tender-documents');
+const { authorizeArea } = require('../../../../middleware/auth');
+
+const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20MB
+
+// Browsers send file names as raw UTF-8, which busboy reads as latin1 by default
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE },
+  defParamCharset: 'utf8',
+});
+
+router.use(authorizeArea('tenders'));
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    code: error.code || undefined,
+  });
+}
+
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB`
+        : `Upload error: ${err.message}`;
+      return res.status(400).json({ success: false, error: message, code: 'UPLOAD_FAILED' });
+    }
+    next();
+  });
+}
+
+// ============================================================================
+// GET /api/v1/bpo/documents/tenders/:tenderId - Documents for a tender
+// ============================================================================
+router.get('/tenders/:tenderId', (req, res) => {
+  try {
+    const data = documents.listDocuments(req.params.tenderId);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/bpo/documents/tenders/:tenderId - Upload a specification (PDF/DOCX/TXT)
+// ============================================================================
+router.post('/tenders/:tenderId', uploadFile, (req, res) => {
+  try {
+    const data = documents.uploadDocument(req.params.tenderId, req.file, req.user.email || req.user.id);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/bpo/documents/tenders/:tenderId/compliance - Compliance matrix
+// ============================================================================
+router.get('/tenders/:tenderId/compliance', (req, res) => {
+  try {
+    const { status, owner } = req.query;
+    const data = documents.getMatrix(req.params.tenderId, { status, owner });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/bpo/documents/tenders/:tenderId/compliance/readiness
+// ============================================================================
+router.get('/tenders/:tenderId/compliance/readiness', (req, res) => {
+  try {
+    const data = documents.getReadiness(req.params.tenderId);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/bpo/documents/tenders/:tenderId/compliance/export?format=xlsx|docx
+// ============================================================================
+router.get('/tenders/:tenderId/compliance/export', (req, res) => {
+  try {
+    const { buffer, filename, contentType } = documents.exportMatrix(req.params.tenderId, req.query.format || 'xlsx');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/bpo/documents/tenders/:tenderId/compliance - Add a requirement by hand
+// ============================================================================
+router.post('/tenders/:tenderId/compliance', (req, res) => {
+  try {
+    const data = documents.addItem(req.params.tenderId, req.body, req.user.email || req.user.id);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// PATCH /api/v1/bpo/documents/compliance/:itemId - Status, response, owner
+// ============================================================================
+router.patch('/compliance/:itemId', (req, res) => {
+  try {
+    const data = documents.updateItem(req.params.itemId, req.body, req.user.email || req.user.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// DELETE /api/v1/bpo/documents/compliance/:itemId
+// ============================================================================
+router.delete('/compliance/:itemId', (req, res) => {
+  try {
+    const data = documents.deleteItem(req.params.itemId);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/bpo/documents/:id/download - Original file
+// ============================================================================
+router.get('/:id/download', (req, res) => {
+  try {
+    const file = documents.getDocumentFile(req.params.id);
+    res.download(file.path, file.name, { headers: { 'Content-Type': file.mimeType } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/bpo/documents/:id/text - Extracted text
+// ============================================================================
+router.get('/:id/text', (req, res) => {
+  try {
+    const data = documents.getDocumentText(req.params.id);
+    res.json({ success: true, data: { text: data } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// DELETE /api/v1/bpo/documents/:id - Document and its extracted requirements
+// ============================================================================
+router.delete('/:id', (req, res) => {
+  try {
+    const data = documents.deleteDocument(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * 🚦 STAGE GATES API
+ * Gate rules per pipeline stage, approver sign-off and the append-only
+ * approval history for BPO tenders.
+ */
+
+const express = require('express');
+const router = express.Router();
+const stageGates = require('../../../../services/stage-gates');
+const { authorizeArea, requirePermission } = require('../../../../middleware/auth');
+
+router.use(authorizeArea('tenders'));
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+function actor(req) {
+  return req.user.email || req.user.id;
+}
+
+// ============================================================================
+// GET /api/v1/bpo/gates/rules - Gate rules for every stage
+// ============================================================================
+router.get('/rules', (req, res) => {
+  try {
+    res.json({ success: true, data: stageGates.listRules() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// PUT /api/v1/bpo/gates/rules/:stage - Configure the gate into a stage
+// ============================================================================
+router.put('/rules/:stage', (req, res) => {
+  try {
+    const data = stageGates.updateRule(req.params.stage, req.body, actor(req));
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/bpo/gates/board - Gate ahead of every open tender (Kanban)
+// ============================================================================
+router.get('/board', (req, res) => {
+  try {
+    res.json({ success: true, data: stageGates.getBoard() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/bpo/gates/tenders/:tenderId - Next gate and approval history
+// ============================================================================
+router.get('/tenders/:tenderId', (req, res) => {
+  try {
+    res.json({ success: true, data: stageGates.getTenderGates(req.params.tenderId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/bpo/gates/tenders/:tenderId/request - Notify approvers
+// ============================================================================
+router.post('/tenders/:tenderId/request', (req, res) => {
+  try {
+    const data = stageGates.requestApproval(req.params.tenderId, actor(req), req.body.comment);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/bpo/gates/tenders/:tenderId/decisions - Approve, reject or comment
+// ============================================================================
+router.post('/tenders/:tenderId/decisions', requirePermission('tenders:approve'), (req, res) => {
+  try {
+    const { action, comment, stage } = req.body;
+    const data = stageGates.recordDecision(req.params.tenderId, action, actor(req), comment, stage);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -6,50 +6,21 @@
 
 const express = require('express');
 const router = express.Router();
-const Database = require('better-sqlite3');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
-
-// Import table creator with fallback for Railway deployment
-let ensureTableExistsWithFallback;
-try {
-  const tableCreator = require('../../../db/database/utils/table-creator');
-  ensureTableExistsWithFallback = tableCreator.ensureTableExistsWithFallback;
-} catch (error) {
-  // Fallback function for Railway deployment if table-creator module not found
-  ensureTableExistsWithFallback = (tableName) => {
-    console.warn(`⚠️  Table creator not available, using basic check for ${tableName}`);
-    return true; // Assume table exists or will be created by schema
-  };
-}
-
-// Railway-compatible database path configuration that matches main system
-const getDbPath = () => {
-  try {
-    // Try to use the main config first (for local development)
-    const { DB_PATH } = require('../../../db/database/config');
-    return DB_PATH;
-  } catch (error) {
-    // Fallback for Railway deployment - use same logic as main config
-    const DATA_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, '../../../data');
-    return path.join(DATA_DIR, 'worklink.db');
-  }
-};
+const { store } = require('../../../../db');
+const stageGates = require('../../../../services/stage-gates');
+const { authorizeArea } = require('../../../../middleware/auth');
 
-const DB_PATH = getDbPath();
+router.use(authorizeArea('tenders'));
 
 // ============================================================================
 // GET /api/v1/bpo/lifecycle - List all tenders in pipeline
 // ============================================================================
 router.get('/', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-
     // Check if bpo_tender_lifecycle table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'").get();
+    const tableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'");
     if (!tableCheck) {
-      db.close();
       return res.json({
         success: true,
         data: [], // Frontend expects data to be an array of tenders
@@ -109,7 +80,7 @@ router.get('/', (req, res) => {
     query += ' ORDER BY stage_updated_at DESC LIMIT ? OFFSET ?';
     params.push(parseInt(limit), parseInt(offset));
     
-    const tenders = db.prepare(query).all(...params);
+    const tenders = store.all(query, ...params);
     
     // Parse JSON fields
     tenders.forEach(t => {
@@ -119,8 +90,6 @@ router.get('/', (req, res) => {
       if (t.tags) t.tags = JSON.parse(t.tags);
     });
     
-    db.close();
-    
     res.json({
       success: true,
       data: tenders,
@@ -140,12 +109,9 @@ router.get('/', (req, res) => {
 // ============================================================================
 router.get('/:id', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-    
-    const tender = db.prepare('SELECT * FROM bpo_tender_lifecycle WHERE id = ?').get(req.params.id);
+    const tender = store.get('SELECT * FROM bpo_tender_lifecycle WHERE id = ?', req.params.id);
     
     if (!tender) {
-      db.close();
       return res.status(404).json({ success: false, error: 'Tender not found' });
     }
     
@@ -157,12 +123,10 @@ router.get('/:id', (req, res) => {
     
     // If this is a renewal, get renewal details
     if (tender.is_renewal && tender.renewal_id) {
-      const renewal = db.prepare('SELECT * FROM contract_renewals WHERE id = ?').get(tender.renewal_id);
+      const renewal = store.get('SELECT * FROM contract_renewals WHERE id = ?', tender.renewal_id);
       tender.renewal_details = renewal;
     }
     
-    db.close();
-    
     res.json({
       success: true,
       data: tender
@@ -178,18 +142,6 @@ router.get('/:id', (req, res) => {
 // ============================================================================
 router.post('/', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
-    // Ensure BPO lifecycle table exists (if !table then create table pattern)
-    if (!ensureTableExistsWithFallback('bpo_tender_lifecycle')) {
-      db.close();
-      return res.status(503).json({
-        success: false,
-        error: 'Failed to initialize BPO lifecycle tables',
-        message: 'Database setup required for tender creation'
-      });
-    }
-
     const {
       source_type,
       source_id,
@@ -214,7 +166,6 @@ router.post('/', (req, res) => {
     } = req.body;
     
     if (!title || !agency) {
-      db.close();
       return res.status(400).json({ 
         success: false, 
         error: 'Missing required fields: title, agency' 
@@ -223,7 +174,7 @@ router.post('/', (req, res) => {
     
     const id = uuidv4();
     
-    db.prepare(`
+    store.statement(`
       INSERT INTO bpo_tender_lifecycle (
         id, source_type, source_id, tender_no, title, agency, description, category,
         published_date, closing_date, contract_start_date, contract_end_date,
@@ -254,9 +205,7 @@ router.post('/', (req, res) => {
       assigned_to || null
     );
     
-    const tender = db.prepare('SELECT * FROM bpo_tender_lifecycle WHERE id = ?').get(id);
-    
-    db.close();
+    const tender = store.get('SELECT * FROM bpo_tender_lifecycle WHERE id = ?', id);
     
     res.status(201).json({
       success: true,
@@ -274,12 +223,9 @@ router.post('/', (req, res) => {
 // ============================================================================
 router.patch('/:id', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
     // Check if bpo_tender_lifecycle table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'").get();
+    const tableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'");
     if (!tableCheck) {
-      db.close();
       return res.status(503).json({
         success: false,
         error: 'BPO lifecycle system not available on this deployment',
@@ -287,6 +233,20 @@ router.patch('/:id', (req, res) => {
       });
     }
 
+    const gateError = stageGates.checkStageGate(req.params.id, req.body.stage);
+    if (gateError) {
+      return res.status(gateError.status || 500).json({
+        success: false,
+        error: gateError.message,
+        message: gateError.message,
+        code: gateError.code,
+        gates: gateError.gates
+      });
+    }
+
+    const current = store.get('SELECT stage FROM bpo_tender_lifecycle WHERE id = ?', req.params.id);
+    const stageChanged = !!current && req.body.stage !== undefined && req.body.stage !== current.stage;
+
     const updates = [];
     const params = [];
     
@@ -314,23 +274,26 @@ router.patch('/:id', (req, res) => {
     }
     
     if (updates.length === 0) {
-      db.close();
       return res.status(400).json({ success: false, error: 'No valid fields to update' });
     }
     
+    if (stageChanged) {
+      updates.push('stage_updated_at = CURRENT_TIMESTAMP');
+    }
     updates.push('updated_at = CURRENT_TIMESTAMP');
     params.push(req.params.id);
     
-    const result = db.prepare(`UPDATE bpo_tender_lifecycle SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+    const result = store.run(`UPDATE bpo_tender_lifecycle SET ${updates.join(', ')} WHERE id = ?`, ...params);
     
     if (result.changes === 0) {
-      db.close();
       return res.status(404).json({ success: false, error: 'Tender not found' });
     }
     
-    const tender = db.prepare('SELECT * FROM bpo_tender_lifecycle WHERE id = ?').get(req.params.id);
-    
-    db.close();
+    const tender = store.get('SELECT * FROM bpo_tender_lifecycle WHERE id = ?', req.params.id);
+
+    if (stageChanged) {
+      stageGates.onStageEntered(req.params.id, req.user.id);
+    }
     
     res.json({
       success: true,
@@ -348,14 +311,11 @@ router.patch('/:id', (req, res) => {
 // ============================================================================
 router.post('/renewal/:renewalId/move', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
     // Check if required tables exist (Railway compatibility)
-    const tenderTableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'").get();
-    const renewalTableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='contract_renewals'").get();
+    const tenderTableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'");
+    const renewalTableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='contract_renewals'");
 
     if (!tenderTableCheck || !renewalTableCheck) {
-      db.close();
       return res.status(503).json({
         success: false,
         error: 'Required systems not available on this deployment',
@@ -366,50 +326,50 @@ router.post('/renewal/:renewalId/move', (req, res) => {
     const renewalId = req.params.renewalId;
 
     // Get renewal details
-    const renewal = db.prepare('SELECT * FROM contract_renewals WHERE id = ?').get(renewalId);
+    const renewal = store.get('SELECT * FROM contract_renewals WHERE id = ?', renewalId);
 
     if (!renewal) {
-      db.close();
       return res.status(404).json({ success: false, error: 'Renewal not found' });
     }
 
     // Create tender from renewal
     const tenderId = uuidv4();
 
-    db.prepare(`
-      INSERT INTO bpo_tender_lifecycle (
-        id, source_type, source_id, title, agency, description, category,
-        estimated_value, stage, priority, is_renewal, renewal_id,
-        incumbent_supplier, assigned_to
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      tenderId,
-      'renewal_watch',
-      renewalId,
-      renewal.title || `${renewal.agency} - ${renewal.service_category}`,
-      renewal.agency,
-      `Renewal opportunity from contract expiring ${renewal.contract_end_date}`,
-      renewal.service_category,
-      renewal.estimated_value,
-      'new_opportunity',
-      'medium',
-      1, // is_renewal = true
-      renewalId,
-      renewal.current_supplier,
-      renewal.assigned_bd_manager
-    );
-
-    // Update renewal engagement status
-    db.prepare(`
-      UPDATE contract_renewals
-      SET engagement_status = 'active',
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(renewalId);
-
-    const tender = db.prepare('SELECT * FROM bpo_tender_lifecycle WHERE id = ?').get(tenderId);
+    // The tender and the renewal's engagement status change together
+    store.transaction(() => {
+      store.statement(`
+        INSERT INTO bpo_tender_lifecycle (
+          id, source_type, source_id, title, agency, description, category,
+          estimated_value, stage, priority, is_renewal, renewal_id,
+          incumbent_supplier, assigned_to
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        tenderId,
+        'renewal_watch',
+        renewalId,
+        renewal.title || `${renewal.agency} - ${renewal.service_category}`,
+        renewal.agency,
+        `Renewal opportunity from contract expiring ${renewal.contract_end_date}`,
+        renewal.service_category,
+        renewal.estimated_value,
+        'new_opportunity',
+        'medium',
+        1, // is_renewal = true
+        renewalId,
+        renewal.current_supplier,
+        renewal.assigned_bd_manager
+      );
+
+      // Update renewal engagement status
+      store.run(`
+        UPDATE contract_renewals
+        SET engagement_status = 'active',
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, renewalId);
+    });
 
-    db.close();
+    const tender = store.get('SELECT * FROM bpo_tender_lifecycle WHERE id = ?', tenderId);
 
     res.json({
       success: true,
@@ -427,12 +387,9 @@ router.post('/renewal/:renewalId/move', (req, res) => {
 // ============================================================================
 router.post('/:id/move', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
     // Check if bpo_tender_lifecycle table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'").get();
+    const tableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'");
     if (!tableCheck) {
-      db.close();
       return res.status(503).json({
         success: false,
         error: 'BPO lifecycle system not available on this deployment',
@@ -440,10 +397,9 @@ router.post('/:id/move', (req, res) => {
       });
     }
 
-    const { new_stage, user_id } = req.body;
+    const { new_stage } = req.body;
     
     if (!new_stage) {
-      db.close();
       return res.status(400).json({ success: false, error: 'new_stage required' });
     }
     
@@ -459,40 +415,53 @@ router.post('/:id/move', (req, res) => {
     ];
     
     if (!validStages.includes(new_stage)) {
-      db.close();
       return res.status(400).json({ success: false, error: 'Invalid stage' });
     }
+
+    const gateError = stageGates.checkStageGate(req.params.id, new_stage);
+    if (gateError) {
+      return res.status(gateError.status || 500).json({
+        success: false,
+        error: gateError.message,
+        message: gateError.message,
+        code: gateError.code,
+        gates: gateError.gates
+      });
+    }
+
+    const previous = store.get('SELECT stage FROM bpo_tender_lifecycle WHERE id = ?', req.params.id);
     
-    const result = db.prepare(`
+    const result = store.run(`
       UPDATE bpo_tender_lifecycle 
       SET stage = ?,
           stage_updated_at = CURRENT_TIMESTAMP,
           updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
-    `).run(new_stage, req.params.id);
+    `, new_stage, req.params.id);
     
     if (result.changes === 0) {
-      db.close();
       return res.status(404).json({ success: false, error: 'Tender not found' });
     }
     
-    const tender = db.prepare('SELECT * FROM bpo_tender_lifecycle WHERE id = ?').get(req.params.id);
+    const tender = store.get('SELECT * FROM bpo_tender_lifecycle WHERE id = ?', req.params.id);
+
+    if (previous && previous.stage !== new_stage) {
+      stageGates.onStageEntered(req.params.id, req.user.id);
+    }
 
     // Log audit trail (Railway compatible - optional)
     try {
-      const auditTableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='audit_log'").get();
+      const auditTableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='audit_log'");
       if (auditTableCheck) {
-        db.prepare(`
+        store.run(`
           INSERT INTO audit_log (id, event_type, event_action, resource_type, resource_id, user_id, new_value)
           VALUES (?, 'stage_changed', 'update', 'tender', ?, ?, ?)
-        `).run(uuidv4(), req.params.id, user_id || 'unknown', JSON.stringify({ new_stage }));
+        `, uuidv4(), req.params.id, req.user.id, JSON.stringify({ new_stage }));
       }
     } catch (auditError) {
       // Audit logging failed but don't break the main operation
       console.warn('Audit logging failed:', auditError.message);
     }
-
-    db.close();
     
     res.json({
       success: true,
@@ -510,12 +479,9 @@ router.post('/:id/move', (req, res) => {
 // ============================================================================
 router.post('/:id/decision', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
     // Check if bpo_tender_lifecycle table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'").get();
+    const tableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'");
     if (!tableCheck) {
-      db.close();
       return res.status(503).json({
         success: false,
         error: 'BPO lifecycle system not available on this deployment',
@@ -527,16 +493,14 @@ router.post('/:id/decision', (req, res) => {
       decision, // 'go', 'no-go', 'maybe'
       decision_reasoning,
       qualification_score,
-      qualification_details,
-      user_id
+      qualification_details
     } = req.body;
     
     if (!decision) {
-      db.close();
       return res.status(400).json({ success: false, error: 'decision required' });
     }
     
-    const result = db.prepare(`
+    const result = store.statement(`
       UPDATE bpo_tender_lifecycle 
       SET decision = ?,
           decision_reasoning = ?,
@@ -549,32 +513,29 @@ router.post('/:id/decision', (req, res) => {
     `).run(
       decision,
       decision_reasoning || null,
-      user_id || 'unknown',
+      req.user.id,
       qualification_score || null,
       qualification_details ? JSON.stringify(qualification_details) : null,
       req.params.id
     );
     
     if (result.changes === 0) {
-      db.close();
       return res.status(404).json({ success: false, error: 'Tender not found' });
     }
     
     // If decision is 'no-go', move to lost
     if (decision === 'no-go') {
-      db.prepare(`
+      store.run(`
         UPDATE bpo_tender_lifecycle 
         SET stage = 'lost',
             outcome = 'lost',
             outcome_date = date('now'),
             loss_reason = ?
         WHERE id = ?
-      `).run(decision_reasoning || 'No-go decision', req.params.id);
+      `, decision_reasoning || 'No-go decision', req.params.id);
     }
     
-    const tender = db.prepare('SELECT * FROM bpo_tender_lifecycle WHERE id = ?').get(req.params.id);
-    
-    db.close();
+    const tender = store.get('SELECT * FROM bpo_tender_lifecycle WHERE id = ?', req.params.id);
     
     res.json({
       success: true,
@@ -592,12 +553,9 @@ router.post('/:id/decision', (req, res) => {
 // ============================================================================
 router.get('/dashboard/stats', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-
     // Check if bpo_tender_lifecycle table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'").get();
+    const tableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'");
     if (!tableCheck) {
-      db.close();
       return res.json({
         success: true,
         data: {
@@ -631,7 +589,7 @@ router.get('/dashboard/stats', (req, res) => {
     }
 
     // Overall stats with _count suffix for frontend compatibility
-    const stats = db.prepare(`
+    const stats = store.get(`
       SELECT
         COUNT(*) as total_tenders,
         SUM(CASE WHEN stage = 'renewal_watch' THEN 1 ELSE 0 END) as renewal_watch,
@@ -655,23 +613,21 @@ router.get('/dashboard/stats', (req, res) => {
         SUM(estimated_value) as total_pipeline_value,
         SUM(CASE WHEN outcome = 'won' THEN actual_contract_value ELSE 0 END) as total_won_value
       FROM bpo_tender_lifecycle
-    `).get();
+    `);
     
     // Win rate calculation
     const winLossCount = stats.won + stats.lost;
     const winRate = winLossCount > 0 ? Math.round((stats.won / winLossCount) * 100) : 0;
     
     // Closing soon
-    const closingSoon = db.prepare(`
+    const closingSoon = store.get(`
       SELECT COUNT(*) as count
       FROM bpo_tender_lifecycle
       WHERE closing_date IS NOT NULL
         AND closing_date >= date('now')
         AND closing_date <= date('now', '+7 days')
         AND stage NOT IN ('submitted', 'awarded', 'lost')
-    `).get();
-    
-    db.close();
+    `);
     
     res.json({
       success: true,
@@ -692,12 +648,9 @@ router.get('/dashboard/stats', (req, res) => {
 // ============================================================================
 router.get('/dashboard/deadlines', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-
     // Check if bpo_tender_lifecycle table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'").get();
+    const tableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'");
     if (!tableCheck) {
-      db.close();
       return res.json({
         success: true,
         data: [],
@@ -707,7 +660,7 @@ router.get('/dashboard/deadlines', (req, res) => {
 
     const { days = 7 } = req.query;
     
-    const deadlines = db.prepare(`
+    const deadlines = store.all(`
       SELECT 
         *,
         CAST((julianday(closing_date) - julianday('now')) AS INTEGER) as days_until_close
@@ -717,9 +670,7 @@ router.get('/dashboard/deadlines', (req, res) => {
         AND closing_date <= date('now', '+' || ? || ' days')
         AND stage NOT IN ('submitted', 'awarded', 'lost')
       ORDER BY closing_date ASC
-    `).all(days);
-    
-    db.close();
+    `, days);
     
     res.json({
       success: true,
@@ -736,12 +687,9 @@ router.get('/dashboard/deadlines', (req, res) => {
 // ============================================================================
 router.delete('/:id', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
     // Check if bpo_tender_lifecycle table exists (Railway compatibility)
-    const tableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'").get();
+    const tableCheck = store.get("SELECT name FROM sqlite_master WHERE type='table' AND name='bpo_tender_lifecycle'");
     if (!tableCheck) {
-      db.close();
       return res.status(503).json({
         success: false,
         error: 'BPO lifecycle system not available on this deployment',
@@ -749,9 +697,7 @@ router.delete('/:id', (req, res) => {
       });
     }
 
-    const result = db.prepare('DELETE FROM bpo_tender_lifecycle WHERE id = ?').run(req.params.id);
-    
-    db.close();
+    const result = store.run('DELETE FROM bpo_tender_lifecycle WHERE id = ?', req.params.id);
     
     if (result.changes === 0) {
       return res.status(404).json({ success: false, error: 'Tender not found' });
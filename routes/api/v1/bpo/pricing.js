@@ -0,0 +1,105 @@
+/**
+ * 💰 BID PRICING API
+ * Costing workspace for tenders in the Bidding stage: cost build-up,
+ * market benchmarks and versioned pricing scenarios per tender.
+ */
+
+const express = require('express');
+const router = express.Router();
+const pricing = require('../../../../services/bid-pricing');
+const { authorizeArea } = require('../../../../middleware/auth');
+
+router.use(authorizeArea('tenders'));
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+// ============================================================================
+// POST /api/v1/bpo/pricing/calculate - Cost build-up without a tender
+// ============================================================================
+router.post('/calculate', (req, res) => {
+  try {
+    const data = pricing.calculate(req.body.inputs || req.body);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/bpo/pricing/tenders/:tenderId - Workspace with saved versions
+// ============================================================================
+router.get('/tenders/:tenderId', (req, res) => {
+  try {
+    const data = pricing.getWorkspace(req.params.tenderId);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/bpo/pricing/tenders/:tenderId/preview - Price and benchmark without saving
+// ============================================================================
+router.post('/tenders/:tenderId/preview', (req, res) => {
+  try {
+    const { inputs, service_type } = req.body;
+    const data = pricing.previewScenario(req.params.tenderId, inputs, { serviceType: service_type });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/bpo/pricing/tenders/:tenderId/scenarios - Save as next version
+// ============================================================================
+router.post('/tenders/:tenderId/scenarios', (req, res) => {
+  try {
+    const { inputs, name, notes, service_type } = req.body;
+    const createdBy = req.user.email || req.user.id;
+    const data = pricing.saveScenario(req.params.tenderId, { inputs, name, notes, serviceType: service_type }, createdBy);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/bpo/pricing/scenarios/:id - Single saved version
+// ============================================================================
+router.get('/scenarios/:id', (req, res) => {
+  try {
+    const data = pricing.getScenario(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/bpo/pricing/scenarios/:id/apply - Use as the tender's bid
+// ============================================================================
+router.post('/scenarios/:id/apply', (req, res) => {
+  try {
+    const data = pricing.applyScenario(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// DELETE /api/v1/bpo/pricing/scenarios/:id
+// ============================================================================
+router.delete('/scenarios/:id', (req, res) => {
+  try {
+    const data = pricing.deleteScenario(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
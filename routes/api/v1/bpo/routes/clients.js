@@ -5,6 +5,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { reader } = require('../../../../../db');
 const { getClientOverview } = require('../helpers/metrics-calculator');
 
 /**
@@ -13,13 +14,7 @@ const { getClientOverview } = require('../helpers/metrics-calculator');
  */
 router.get('/overview', (req, res) => {
   try {
-    const Database = require('better-sqlite3');
-    const path = require('path');
-    const dbPath = path.join(__dirname, '../../../../../data/worklink.db');
-    const db = new Database(dbPath);
-
-    const overview = getClientOverview(db);
-    db.close();
+    const overview = getClientOverview(reader);
 
     res.json({
       success: true,
@@ -45,12 +40,7 @@ router.get('/overview', (req, res) => {
 router.get('/active', (req, res) => {
   try {
     const { limit = 50 } = req.query;
-    const Database = require('better-sqlite3');
-    const path = require('path');
-    const dbPath = path.join(__dirname, '../../../../../data/worklink.db');
-    const db = new Database(dbPath);
-
-    const clients = db.prepare(`
+    const clients = reader.prepare(`
       SELECT
         c.*,
         COUNT(t.id) as assigned_tenders,
@@ -65,8 +55,6 @@ router.get('/active', (req, res) => {
       LIMIT ?
     `).all(parseInt(limit));
 
-    db.close();
-
     res.json({
       success: true,
       data: clients,
@@ -92,11 +80,6 @@ router.get('/active', (req, res) => {
 router.get('/performance', (req, res) => {
   try {
     const { timeframe = '30d', limit = 25 } = req.query;
-    const Database = require('better-sqlite3');
-    const path = require('path');
-    const dbPath = path.join(__dirname, '../../../../../data/worklink.db');
-    const db = new Database(dbPath);
-
     // Calculate date range
     const now = new Date();
     let startDate;
@@ -114,7 +97,7 @@ router.get('/performance', (req, res) => {
         startDate = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
     }
 
-    const performance = db.prepare(`
+    const performance = reader.prepare(`
       SELECT
         c.id,
         c.company_name,
@@ -145,8 +128,6 @@ router.get('/performance', (req, res) => {
       won_value: client.won_value || 0
     }));
 
-    db.close();
-
     res.json({
       success: true,
       data: enhanced,
@@ -174,11 +155,6 @@ router.get('/:id/tenders', (req, res) => {
   try {
     const { id } = req.params;
     const { status = 'all', limit = 25 } = req.query;
-    const Database = require('better-sqlite3');
-    const path = require('path');
-    const dbPath = path.join(__dirname, '../../../../../data/worklink.db');
-    const db = new Database(dbPath);
-
     let whereClause = 'WHERE t.assigned_to = ?';
     let params = [id];
 
@@ -187,7 +163,7 @@ router.get('/:id/tenders', (req, res) => {
       params.push(status);
     }
 
-    const tenders = db.prepare(`
+    const tenders = reader.prepare(`
       SELECT
         t.*,
         c.company_name as client_company,
@@ -203,8 +179,6 @@ router.get('/:id/tenders', (req, res) => {
       LIMIT ?
     `).all(...params, parseInt(limit));
 
-    db.close();
-
     res.json({
       success: true,
       data: tenders,
@@ -230,15 +204,8 @@ router.get('/:id/tenders', (req, res) => {
  */
 router.get('/health', (req, res) => {
   try {
-    const Database = require('better-sqlite3');
-    const path = require('path');
-    const dbPath = path.join(__dirname, '../../../../../data/worklink.db');
-    const db = new Database(dbPath);
-
-    const clientCount = db.prepare('SELECT COUNT(*) as count FROM clients').get().count;
-    const activeClientCount = db.prepare("SELECT COUNT(*) as count FROM clients WHERE status = 'active'").get().count;
-
-    db.close();
+    const clientCount = reader.prepare('SELECT COUNT(*) as count FROM clients').get().count;
+    const activeClientCount = reader.prepare("SELECT COUNT(*) as count FROM clients WHERE status = 'active'").get().count;
 
     res.json({
       success: true,
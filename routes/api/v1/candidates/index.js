@@ -16,6 +16,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { authorizeArea } = require('../../../../middleware/auth');
 
 // Import route modules
 const listRoutes = require('./routes/list');
@@ -46,7 +47,7 @@ router.get('/health', (req, res) => {
  * GET /stats
  * Get candidate statistics
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', authorizeArea('candidates'), (req, res) => {
   try {
     const { db } = require('../../../../db');
 
@@ -6,9 +6,10 @@
 
 const express = require('express');
 const { db } = require('../../../../../db');
-const { authenticateAdmin } = require('../../../../../middleware/auth');
+const { authorizeArea } = require('../../../../../middleware/auth');
 const { createValidationMiddleware } = require('../../../../../middleware/database-validation');
 const { parseJSONFields, prepareCandidateForDB } = require('../helpers/avatar-utils');
+const geo = require('../../../../../services/geo');
 
 const router = express.Router();
 
@@ -19,7 +20,7 @@ const validateCandidate = createValidationMiddleware('candidates');
  * POST /
  * Create new candidate
  */
-router.post('/', authenticateAdmin, validateCandidate, (req, res) => {
+router.post('/', authorizeArea('candidates'), validateCandidate, (req, res) => {
   try {
     const candidateData = req.body;
 
@@ -62,6 +63,9 @@ router.post('/', authenticateAdmin, validateCandidate, (req, res) => {
 
     // Get created candidate
     const newCandidate = db.prepare('SELECT * FROM candidates WHERE id = ?').get(result.lastInsertRowid);
+    if (newCandidate && newCandidate.address) {
+      geo.geocodeCandidate(newCandidate.id);
+    }
 
     res.status(201).json({
       success: true,
@@ -84,7 +88,7 @@ router.post('/', authenticateAdmin, validateCandidate, (req, res) => {
  * POST /bulk
  * Create multiple candidates
  */
-router.post('/bulk', authenticateAdmin, (req, res) => {
+router.post('/bulk', authorizeArea('candidates'), (req, res) => {
   try {
     const { candidates } = req.body;
 
@@ -196,7 +200,7 @@ router.post('/bulk', authenticateAdmin, (req, res) => {
  * POST /:id/notes
  * Add note to candidate
  */
-router.post('/:id/notes', authenticateAdmin, (req, res) => {
+router.post('/:id/notes', authorizeArea('candidates'), (req, res) => {
   try {
     const { id } = req.params;
     const { note, private: isPrivate = false } = req.body;
@@ -217,23 +221,6 @@ router.post('/:id/notes', authenticateAdmin, (req, res) => {
       });
     }
 
-    // Create notes table if it doesn't exist
-    try {
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS candidate_notes (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          candidate_id INTEGER NOT NULL,
-          note TEXT NOT NULL,
-          private BOOLEAN DEFAULT FALSE,
-          created_by TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (candidate_id) REFERENCES candidates (id) ON DELETE CASCADE
-        )
-      `);
-    } catch (tableError) {
-      console.warn('Notes table may already exist:', tableError);
-    }
-
     // Add note
     const result = db.prepare(`
       INSERT INTO candidate_notes (candidate_id, note, private, created_by, created_at)
@@ -6,7 +6,7 @@
 
 const express = require('express');
 const { db } = require('../../../../../db');
-const { authenticateAdmin } = require('../../../../../middleware/auth');
+const { authorizeArea } = require('../../../../../middleware/auth');
 const { parseJSONFields } = require('../helpers/avatar-utils');
 const { buildSearchQuery, buildPagination, buildOrderClause, buildCountQuery } = require('../helpers/query-builder');
 
@@ -16,7 +16,7 @@ const router = express.Router();
  * GET /
  * Get all candidates with pagination and filtering
  */
-router.get('/', authenticateAdmin, (req, res) => {
+router.get('/', authorizeArea('candidates'), (req, res) => {
   try {
     const {
       status,
@@ -89,7 +89,7 @@ router.get('/', authenticateAdmin, (req, res) => {
  * GET /search
  * Advanced candidate search
  */
-router.get('/search', authenticateAdmin, (req, res) => {
+router.get('/search', authorizeArea('candidates'), (req, res) => {
   try {
     const {
       q: searchTerm,
@@ -6,8 +6,9 @@
 
 const express = require('express');
 const { db } = require('../../../../../db');
-const { authenticateAdmin, authenticateCandidateOwnership, authenticateAdminOrOwner } = require('../../../../../middleware/auth');
+const { authorizeArea, authorizeAreaOrOwner } = require('../../../../../middleware/auth');
 const { parseJSONFields, prepareCandidateForDB } = require('../helpers/avatar-utils');
+const geo = require('../../../../../services/geo');
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ const router = express.Router();
  * GET /:id
  * Get candidate by ID
  */
-router.get('/:id', authenticateAdminOrOwner, (req, res) => {
+router.get('/:id', authorizeAreaOrOwner('candidates'), (req, res) => {
   try {
     const { id } = req.params;
     const { includeStats } = req.query;
@@ -97,7 +98,7 @@ router.get('/:id', authenticateAdminOrOwner, (req, res) => {
  * PUT /:id
  * Update candidate
  */
-router.put('/:id', authenticateAdminOrOwner, (req, res) => {
+router.put('/:id', authorizeAreaOrOwner('candidates'), (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -143,6 +144,10 @@ router.put('/:id', authenticateAdminOrOwner, (req, res) => {
       });
     }
 
+    if (updateData.address !== undefined) {
+      geo.geocodeCandidate(id);
+    }
+
     // Get updated candidate
     const updatedCandidate = db.prepare('SELECT * FROM candidates WHERE id = ?').get(id);
 
@@ -166,7 +171,7 @@ router.put('/:id', authenticateAdminOrOwner, (req, res) => {
  * DELETE /:id
  * Delete candidate (Admin only)
  */
-router.delete('/:id', authenticateAdmin, (req, res) => {
+router.delete('/:id', authorizeArea('candidates'), (req, res) => {
   try {
     const { id } = req.params;
 
@@ -220,7 +225,7 @@ router.delete('/:id', authenticateAdmin, (req, res) => {
  * GET /:id/jobs
  * Get jobs for a candidate
  */
-router.get('/:id/jobs', authenticateAdminOrOwner, (req, res) => {
+router.get('/:id/jobs', authorizeAreaOrOwner('candidates'), (req, res) => {
   try {
     const { id } = req.params;
     const { status, limit = 20, offset = 0 } = req.query;
@@ -344,7 +349,7 @@ const statusUpdateHandler = (req, res) => {
 };
 
 // Support both POST and PATCH for status updates
-router.post('/:id/status', authenticateAdmin, statusUpdateHandler);
-router.patch('/:id/status', authenticateAdmin, statusUpdateHandler);
+router.post('/:id/status', authorizeArea('candidates'), statusUpdateHandler);
+router.patch('/:id/status', authorizeArea('candidates'), statusUpdateHandler);
 
 module.exports = router;
\ No newline at end of file
@@ -1,22 +1,21 @@
 /**
  * AI Quick Reply Generation Helper
- * Generates contextual quick reply suggestions using Groq API
+ * Generates contextual quick reply suggestions through the LLM registry
+ * (feature 'quick_replies')
  * @module chat/helpers/ai-replies
  */
 
 const logger = require('../../../../../utils/logger');
-
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
+const llm = require('../../../../../services/llm');
 
 /**
  * Generate AI-powered quick reply suggestions
  * @param {string} lastMessage - The last message from support
  * @param {Array} conversationContext - Recent conversation history
- * @returns {Promise<Array<string>|null>} Array of quick reply suggestions
+ * @returns {Promise<Array<string>|null>} Array of quick reply suggestions, null when no provider is available
  */
 async function generateAIQuickReplies(lastMessage, conversationContext = []) {
-  if (!GROQ_API_KEY || !lastMessage) {
+  if (!lastMessage) {
     return null;
   }
 
@@ -46,42 +45,19 @@ If it's a greeting, include friendly responses.
 
 Return ONLY a JSON array of strings, nothing else. Example: ["Yes, I can", "What time?", "Not available", "Tell me more"]`;
 
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant that generates quick reply suggestions for mobile chat interfaces. Always respond with valid JSON arrays only.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 100,
-      }),
-    });
+    const result = await llm.complete('quick_replies', {
+      system: 'You are a helpful assistant that generates quick reply suggestions for mobile chat interfaces. Always respond with valid JSON arrays only.',
+      prompt
+    }, { fallback: null });
 
-    if (!response.ok) {
-      logger.warn('Groq API request failed', {
-        status: response.status,
-        statusText: response.statusText
-      });
-      return getDefaultReplies(lastMessage);
+    if (result.degraded) {
+      return null;
     }
 
-    const data = await response.json();
-    const generatedContent = data.choices?.[0]?.message?.content?.trim();
+    const generatedContent = result.text?.trim();
 
     if (!generatedContent) {
-      logger.warn('No content generated by Groq API');
+      logger.warn('No quick replies generated', { provider: result.provider });
       return getDefaultReplies(lastMessage);
     }
 
@@ -100,7 +76,7 @@ Return ONLY a JSON array of strings, nothing else. Example: ["Yes, I can", "What
         }
       }
     } catch (parseError) {
-      logger.warn('Failed to parse Groq API response as JSON', {
+      logger.warn('Failed to parse quick replies as JSON', {
         content: generatedContent,
         error: parseError.message
       });
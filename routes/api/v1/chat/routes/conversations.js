@@ -88,7 +88,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
         GROUP BY candidate_id
       ) stats ON c.id = stats.candidate_id
 
-      -- Get conversation metadata (create table if needed)
+      -- Get conversation metadata
       LEFT JOIN (
         SELECT candidate_id, status, priority, assigned_to, last_updated
         FROM conversation_metadata
@@ -133,23 +133,6 @@ router.get('/', authenticateAdmin, async (req, res) => {
     query += ` ORDER BY ${sortField} ${sortOrder} LIMIT ? OFFSET ?`;
     params.push(parseInt(limit), offset);
 
-    // Ensure conversation metadata table exists
-    try {
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS conversation_metadata (
-          candidate_id INTEGER PRIMARY KEY,
-          status TEXT DEFAULT 'active',
-          priority TEXT DEFAULT 'normal',
-          assigned_to TEXT,
-          notes TEXT,
-          last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (candidate_id) REFERENCES candidates (id) ON DELETE CASCADE
-        )
-      `);
-    } catch (tableError) {
-      logger.warn('Conversation metadata table may already exist');
-    }
-
     const conversations = db.prepare(query).all(...params);
 
     // Get online status for all candidates
@@ -0,0 +1,177 @@
+/**
+ * Client Portal API
+ * Used by client contacts, not admins: sign-in, shift requests, assigned
+ * workers and ratings, timesheet approval, invoices and attendance history.
+ * Everything is scoped to the signed-in contact's client.
+ */
+
+const express = require('express');
+const router = express.Router();
+const clientPortal = require('../../../services/client-portal');
+const { authenticateClient } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+// ============================================================================
+// POST /api/v1/client-portal/login - Sign in with email and password
+// ============================================================================
+router.post('/login', (req, res) => {
+  try {
+    const { data, token } = clientPortal.authenticate(req.body.email, req.body.password);
+    res.json({ success: true, data, token });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/client-portal/accept-invite - Set a password from an invite link
+// ============================================================================
+router.post('/accept-invite', (req, res) => {
+  try {
+    const { data, token } = clientPortal.acceptInvite(req.body.token, req.body.password);
+    res.json({ success: true, data, token });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.use(authenticateClient);
+
+// ============================================================================
+// GET /api/v1/client-portal/me - The signed-in contact and their company
+// ============================================================================
+router.get('/me', (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.getProfile(req.user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/client-portal/jobs - Shifts and requests, newest first
+// ============================================================================
+router.get('/jobs', (req, res) => {
+  try {
+    const { status, from_date, to_date } = req.query;
+    res.json({ success: true, data: clientPortal.listJobs(req.user.client_id, { status, from_date, to_date }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/client-portal/jobs - Request a shift (pending admin approval)
+// ============================================================================
+router.post('/jobs', (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: clientPortal.requestJob(req.user, req.body) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/client-portal/jobs/:id - A shift with its assigned workers
+// ============================================================================
+router.get('/jobs/:id', (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.getJob(req.user.client_id, req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/client-portal/deployments/:id/rating - Rate a worker after the shift
+// ============================================================================
+router.post('/deployments/:id/rating', (req, res) => {
+  try {
+    const data = clientPortal.rateDeployment(req.user.client_id, req.params.id, req.body, req.user);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/client-portal/timesheets - Timesheets, filter by ?status=submitted
+// ============================================================================
+router.get('/timesheets', (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.listTimesheets(req.user.client_id, { status: req.query.status }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/client-portal/timesheets/:id/approve
+// ============================================================================
+router.post('/timesheets/:id/approve', (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.approveTimesheet(req.user, req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// POST /api/v1/client-portal/timesheets/:id/dispute - Body: { reason }
+// ============================================================================
+router.post('/timesheets/:id/dispute', (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.disputeTimesheet(req.user, req.params.id, req.body.reason) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/client-portal/invoices - Issued invoices
+// ============================================================================
+router.get('/invoices', (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.listInvoices(req.user.client_id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/client-portal/invoices/:id/pdf - Download an invoice
+// ============================================================================
+router.get('/invoices/:id/pdf', (req, res) => {
+  try {
+    const { filename, buffer } = clientPortal.renderInvoicePdf(req.user.client_id, req.params.id);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// GET /api/v1/client-portal/attendance - Attendance history (?format=csv to download)
+// ============================================================================
+router.get('/attendance', (req, res) => {
+  try {
+    const { from_date, to_date, format } = req.query;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="attendance.csv"');
+      return res.send(clientPortal.exportAttendance(req.user.client_id, { from_date, to_date }));
+    }
+
+    res.json({ success: true, data: clientPortal.getAttendance(req.user.client_id, { from_date, to_date }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../../../db');
+const clientPortal = require('../../../services/client-portal');
+const { APPROVAL_POLICIES } = require('../../../services/shift-changes/rules');
+const { authorizeArea } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
 
 // Get all clients
 router.get('/', (req, res) => {
@@ -70,6 +77,44 @@ router.get('/:id/jobs', (req, res) => {
   }
 });
 
+// Client contacts with portal access
+router.get('/:id/portal-users', authorizeArea('jobs'), (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.listUsers(req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Invite a client contact to the portal
+router.post('/:id/portal-users', authorizeArea('jobs'), (req, res) => {
+  try {
+    const { email, name, phone } = req.body;
+    const data = clientPortal.invite({ clientId: req.params.id, email, name, phone }, req.user);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Replace a contact's invite link
+router.post('/:id/portal-users/:userId/resend-invite', authorizeArea('jobs'), (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.resendInvite(req.params.id, req.params.userId, req.user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Revoke a contact's portal access
+router.post('/:id/portal-users/:userId/deactivate', authorizeArea('jobs'), (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.deactivate(req.params.id, req.params.userId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Create client
 router.post('/', (req, res) => {
   try {
@@ -91,7 +136,11 @@ router.post('/', (req, res) => {
 // Update client
 router.put('/:id', (req, res) => {
   try {
-    const allowedFields = ['company_name', 'uen', 'industry', 'contact_name', 'contact_email', 'contact_phone', 'payment_terms', 'status', 'notes'];
+    const allowedFields = ['company_name', 'uen', 'industry', 'contact_name', 'contact_email', 'contact_phone', 'payment_terms', 'status', 'notes', 'shift_change_approval'];
+
+    if (req.body.shift_change_approval !== undefined && !APPROVAL_POLICIES.includes(req.body.shift_change_approval)) {
+      return res.status(400).json({ success: false, error: `shift_change_approval must be one of: ${APPROVAL_POLICIES.join(', ')}` });
+    }
     
     const updates = [];
     const values = [];
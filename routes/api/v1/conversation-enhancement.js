@@ -5,8 +5,7 @@
 
 const express = require('express');
 const router = express.Router();
-const Database = require('better-sqlite3');
-const path = require('path');
+const { db } = require('../../../db');
 
 // Import the enhancement engines
 const ConversationABTesting = require('../../../utils/conversation-ab-testing');
@@ -20,9 +19,6 @@ const analytics = new SLMConversionAnalytics();
 const enhancedFlows = new EnhancedConversationFlows();
 const multilingualEngine = new MultilingualConversationEngine();
 
-// Database connection
-const db = new Database(path.resolve(__dirname, '../../../db/database.db'));
-
 /**
  * ========================================
  * A/B TESTING ENDPOINTS
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../../../db');
+const backfill = require('../../../services/backfill');
+const questEngine = require('../../../services/quest-engine');
+const ledger = require('../../../services/ledger');
+const ratings = require('../../../services/ratings');
+const { authorizeArea } = require('../../../middleware/auth');
+
+router.use(authorizeArea('jobs'));
 
 // Get all deployments with filters
 router.get('/', (req, res) => {
@@ -19,11 +26,14 @@ router.get('/', (req, res) => {
         j.start_time,
         j.end_time,
         j.location,
-        cl.company_name as client_name
+        cl.company_name as client_name,
+        ts.id as timesheet_id,
+        ts.status as timesheet_status
       FROM deployments d
       LEFT JOIN candidates c ON d.candidate_id = c.id
       LEFT JOIN jobs j ON d.job_id = j.id
       LEFT JOIN clients cl ON j.client_id = cl.id
+      LEFT JOIN timesheets ts ON ts.deployment_id = d.id
       WHERE 1=1
     `;
     const params = [];
@@ -174,12 +184,14 @@ router.patch('/:id', (req, res) => {
 
       // Update candidate stats
       if (rating) {
-        db.prepare(`
-          UPDATE candidates 
-          SET total_jobs_completed = total_jobs_completed + 1,
-              xp = xp + 100 + CASE WHEN ? = 5 THEN 50 ELSE 0 END
-          WHERE id = ?
-        `).run(rating, deployment.candidate_id);
+        db.prepare('UPDATE candidates SET total_jobs_completed = total_jobs_completed + 1 WHERE id = ?')
+          .run(deployment.candidate_id);
+        ledger.awardXP(deployment.candidate_id, {
+          amount: 100 + (Number(rating) === 5 ? 50 : 0),
+          actionType: 'deployment',
+          reason: Number(rating) === 5 ? 'Deployment completed with a 5-star rating' : 'Deployment completed',
+          referenceId: req.params.id
+        });
       }
     } else {
       const updates = [];
@@ -197,6 +209,25 @@ router.patch('/:id', (req, res) => {
       }
     }
 
+    // A worker dropping out releases the slot and starts looking for a replacement
+    if (backfill.DROPOUT_STATUSES.includes(status) && !backfill.DROPOUT_STATUSES.includes(deployment.status)) {
+      backfill.handleDeploymentDropout(req.params.id)
+        .catch(error => console.error('Failed to start shift backfill:', error.message));
+    }
+
+    // Quests and achievements (each event counts once per deployment)
+    if (status === 'completed' && deployment.status !== 'completed') {
+      questEngine.emit('deployment_completed', deployment.candidate_id, {
+        sourceId: deployment.id,
+        data: { deployment_id: deployment.id },
+      });
+    }
+    if (rating !== undefined && rating !== null) {
+      db.prepare('UPDATE deployments SET rated_at = CURRENT_TIMESTAMP WHERE id = ?').run(deployment.id);
+      ratings.refreshCandidate(deployment.candidate_id);
+      questEngine.emit('rating_received', deployment.candidate_id, { sourceId: deployment.id, data: { rating } });
+    }
+
     const updated = db.prepare('SELECT * FROM deployments WHERE id = ?').get(req.params.id);
     res.json({ success: true, data: updated });
   } catch (error) {
@@ -132,56 +132,18 @@ function getCandidateRewards(db, candidateId) {
   return db.prepare(`
     SELECT
       r.*,
-      CASE WHEN cr.candidate_id IS NOT NULL THEN 1 ELSE 0 END as purchased,
-      cr.purchased_at,
+      CASE WHEN MAX(rp.id) IS NOT NULL THEN 1 ELSE 0 END as purchased,
+      MAX(rp.created_at) as purchased_at,
       c.current_points
     FROM rewards r
     CROSS JOIN candidates c
-    LEFT JOIN candidate_rewards cr ON r.id = cr.reward_id AND cr.candidate_id = c.id
+    LEFT JOIN reward_purchases rp ON r.id = rp.reward_id AND rp.candidate_id = c.id AND rp.status != 'refunded'
     WHERE c.id = ? AND r.active = 1
-    ORDER BY r.category, r.point_cost ASC
+    GROUP BY r.id
+    ORDER BY r.category, r.points_cost ASC
   `).all(candidateId);
 }
 
-/**
- * Create XP transaction
- * @param {object} db - Database instance
- * @param {object} params - Transaction parameters
- * @param {string} params.candidateId - Candidate ID
- * @param {string} params.actionType - Action type
- * @param {number} params.amount - XP amount
- * @param {string} params.reason - Reason for XP award
- * @param {string} params.referenceId - Reference ID
- */
-function createXPTransaction(db, { candidateId, actionType, amount, reason, referenceId }) {
-  return db.prepare(`
-    INSERT INTO xp_transactions (candidate_id, action_type, amount, reason, reference_id)
-    VALUES (?, ?, ?, ?, ?)
-  `).run(candidateId, actionType, amount, reason, referenceId);
-}
-
-/**
- * Update candidate XP and points
- * @param {object} db - Database instance
- * @param {string} candidateId - Candidate ID
- * @param {number} xpAmount - XP amount to add
- */
-function updateCandidateXP(db, candidateId, xpAmount) {
-  if (xpAmount > 0) {
-    return db.prepare(`
-      UPDATE candidates
-      SET xp = xp + ?, lifetime_xp = lifetime_xp + ?, current_points = current_points + ?
-      WHERE id = ?
-    `).run(xpAmount, xpAmount, xpAmount, candidateId);
-  } else {
-    return db.prepare(`
-      UPDATE candidates
-      SET xp = MAX(0, xp + ?)
-      WHERE id = ?
-    `).run(xpAmount, candidateId);
-  }
-}
-
 module.exports = {
   getCandidateProfile,
   getCandidateAchievements,
@@ -189,7 +151,5 @@ module.exports = {
   getXPHistory,
   getLeaderboard,
   getCandidateBorders,
-  getCandidateRewards,
-  createXPTransaction,
-  updateCandidateXP
+  getCandidateRewards
 };
\ No newline at end of file
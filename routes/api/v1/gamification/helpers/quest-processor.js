@@ -5,23 +5,51 @@
 
 const { createLogger } = require('../../../../../utils/structured-logger');
 const { getSGDateString } = require('../../../../../shared/constants');
+const { parseRequirement, periodKey } = require('../../../../../services/quest-engine/rules');
 const logger = createLogger('gamification-quests');
 
 /**
  * Parse quest requirements and add computed properties
  * @param {Array} quests - Array of quest objects
- * @returns {Array} Parsed quests with requirement and target properties
+ * @returns {Array} Parsed quests with requirement, rule and target properties
  */
 function parseQuests(quests) {
-  return quests.map(q => ({
-    ...q,
-    requirement: JSON.parse(q.requirement || '{}'),
-    target: JSON.parse(q.requirement || '{}').count || 1,
-  }));
+  return quests.map(q => {
+    const rule = parseRequirement(q.requirement);
+    return {
+      ...q,
+      requirement: JSON.parse(q.requirement || '{}'),
+      rule,
+      target: rule ? rule.target : 1,
+    };
+  });
 }
 
 /**
- * Update quest progress for check-in type quests
+ * Add the candidate's progress for the current daily/weekly period and a status:
+ * 'claimed', 'claimable', 'in_progress' or 'available'
+ * @param {Object} quest - Parsed quest joined with its candidate_quests row (if any)
+ * @returns {Object} Quest with progress, completed, claimed and status
+ */
+function withQuestStatus(quest) {
+  const finished = quest.claimed || !quest.completed;
+  const stale = quest.period_key && quest.period_key !== periodKey(quest.type) && finished;
+
+  const progress = stale ? 0 : quest.progress || 0;
+  const completed = !stale && !!quest.completed;
+  const claimed = !stale && !!quest.claimed;
+
+  let status = 'available';
+  if (claimed) status = 'claimed';
+  else if (completed) status = 'claimable';
+  else if (progress > 0) status = 'in_progress';
+
+  return { ...quest, progress, completed, claimed, status };
+}
+
+/**
+ * Manually adjust quest progress (admin correction; workers progress
+ * through server events, see services/quest-engine)
  * @param {object} db - Database instance
  * @param {string} questId - Quest ID
  * @param {string} candidateId - Candidate ID
@@ -36,8 +64,8 @@ function updateQuestProgress(db, questId, candidateId, incrementBy = 1) {
       throw new Error('Quest not found or inactive');
     }
 
-    const requirement = JSON.parse(quest.requirement || '{}');
-    const target = requirement.count || 1;
+    const rule = parseRequirement(quest.requirement);
+    const target = rule ? rule.target : 1;
 
     // Get current progress
     const candidateQuest = db.prepare(`
@@ -85,7 +113,7 @@ function updateQuestProgress(db, questId, candidateId, incrementBy = 1) {
       progress: newProgress,
       target,
       completed: isCompleted,
-      questName: quest.name
+      questName: quest.title
     };
 
   } catch (error) {
@@ -100,7 +128,8 @@ function updateQuestProgress(db, questId, candidateId, incrementBy = 1) {
 }
 
 /**
- * Process streak update for weekly quest
+ * Process streak update (streak quests are advanced by the quest engine's
+ * streak_updated event)
  * @param {object} db - Database instance
  * @param {string} candidateId - Candidate ID
  * @returns {object} Streak update result
@@ -137,33 +166,6 @@ function processStreakUpdate(db, candidateId) {
       WHERE id = ?
     `).run(newStreakDays, today, candidateId);
 
-    // Check if we need to update the weekly quest (QST_WEEKLY_WARRIOR)
-    const weeklyQuest = db.prepare(`
-      SELECT cq.*, q.requirement
-      FROM candidate_quests cq
-      JOIN quests q ON cq.quest_id = q.id
-      WHERE cq.candidate_id = ? AND q.code = 'QST_WEEKLY_WARRIOR' AND cq.completed = 0
-    `).get(candidateId);
-
-    if (weeklyQuest) {
-      const requirement = JSON.parse(weeklyQuest.requirement || '{}');
-      const target = requirement.count || 7;
-
-      if (newStreakDays >= target && !weeklyQuest.completed) {
-        db.prepare(`
-          UPDATE candidate_quests
-          SET progress = ?, completed = 1, completed_at = ?
-          WHERE quest_id = ? AND candidate_id = ?
-        `).run(target, new Date().toISOString(), weeklyQuest.quest_id, candidateId);
-
-        logger.business('weekly_quest_completed', {
-          candidate_id: candidateId,
-          streak_days: newStreakDays,
-          quest_id: weeklyQuest.quest_id
-        });
-      }
-    }
-
     logger.business('streak_updated', {
       candidate_id: candidateId,
       old_streak: candidate.streak_days,
@@ -189,6 +191,7 @@ function processStreakUpdate(db, candidateId) {
 
 module.exports = {
   parseQuests,
+  withQuestStatus,
   updateQuestProgress,
   processStreakUpdate
 };
\ No newline at end of file
@@ -5,11 +5,13 @@
  * Features:
  * - Candidate profile and core gamification data
  * - XP management (awards, job completion, penalties, streaks)
+ * - XP and points ledger with admin adjustments and reconciliation
  * - Achievement system (unlocking, claiming, checking)
- * - Quest system (daily, weekly, special events)
+ * - Quest system (daily, weekly, special events) driven by server events
  * - Leaderboard and ranking system
+ * - Seasonal leagues with promotion and relegation
  * - Profile borders and customization
- * - Rewards shop (The Sink - Career Ladder Strategy)
+ * - Rewards shop (The Sink - Career Ladder Strategy) with fulfilment and voucher codes
  * - Profile flair and theme customization
  *
  * @module gamification
@@ -21,21 +23,27 @@ const router = express.Router();
 // Import route modules
 const profileRoutes = require('./routes/profile');
 const xpRoutes = require('./routes/xp');
+const ledgerRoutes = require('./routes/ledger');
 const achievementRoutes = require('./routes/achievements');
 const questRoutes = require('./routes/quests');
 const leaderboardRoutes = require('./routes/leaderboard');
+const leagueRoutes = require('./routes/leagues');
 const borderRoutes = require('./routes/borders');
 const rewardRoutes = require('./routes/rewards');
 const customizationRoutes = require('./routes/customization');
+const eventRoutes = require('./routes/events');
 
 // Mount route modules
 router.use('/', profileRoutes);           // GET /profile/:candidateId
-router.use('/', xpRoutes);               // POST /xp/award, /xp/job-complete, /xp/penalty, /streak/update
-router.use('/', achievementRoutes);      // GET /achievements, /achievements/user/:candidateId, POST /achievements/unlock, /achievements/:id/claim, /achievements/check/:candidateId
-router.use('/', questRoutes);            // GET /quests, /quests/user/:candidateId, POST /quests/:id/start, /quests/:id/progress, /quests/:id/complete, /quests/:id/claim
+router.use('/', xpRoutes);               // POST /xp/award, /xp/job-complete, /xp/penalty, /streak/update (admin)
+router.use('/', ledgerRoutes);           // GET /ledger/candidates/:candidateId, POST /ledger/candidates/:candidateId/adjustments, GET /ledger/mismatches, POST /ledger/mismatches/:id/resolve, /ledger/reconcile (admin)
+router.use('/', achievementRoutes);      // GET /achievements, /achievements/user/:candidateId, POST /achievements/unlock (admin), /achievements/:id/claim, /achievements/check/:candidateId
+router.use('/', questRoutes);            // GET /quests, /quests/rules, /quests/user/:candidateId, POST/PUT /quests (admin), POST /quests/:id/start, /quests/:id/progress (admin), /quests/:id/complete (admin), /quests/:id/claim
+router.use('/', eventRoutes);            // POST /events/app-open, GET /events/:candidateId (admin)
 router.use('/', leaderboardRoutes);      // GET /leaderboard, /leaderboard/rank/:candidateId
+router.use('/', leagueRoutes);           // GET /leagues/me, /leagues/me/history, GET /leagues/seasons (admin), POST /leagues/rollover (admin)
 router.use('/', borderRoutes);           // GET /borders/:candidateId, POST /borders/:candidateId/select
-router.use('/', rewardRoutes);           // GET /rewards, /rewards/user/:candidateId, POST /rewards/:id/purchase
+router.use('/', rewardRoutes);           // GET /rewards, /rewards/user/:candidateId, /rewards/wallet, POST /rewards/:id/purchase, fulfilment queue and codes (admin)
 router.use('/', customizationRoutes);    // GET/POST /flair/:candidateId, GET/POST /theme/:candidateId, GET /themes
 
 /**
@@ -69,30 +77,52 @@ router.get('/', (req, res) => {
       'GET /profile/:candidateId': 'Get candidate gamification profile with all data',
 
       // XP management
-      'POST /xp/award': 'Award XP to candidate with level up handling',
-      'POST /xp/job-complete': 'Award XP for job completion (Career Ladder Strategy)',
-      'POST /xp/penalty': 'Apply XP penalty for no-shows or late cancellations',
-      'POST /streak/update': 'Update work streak for weekly quests',
+      'POST /xp/award': 'Award XP to candidate with level up handling (admin)',
+      'POST /xp/job-complete': 'Award XP for job completion (Career Ladder Strategy) (admin)',
+      'POST /xp/penalty': 'Apply XP penalty for no-shows or late cancellations (admin)',
+      'POST /streak/update': 'Update work streak for weekly quests (admin)',
+
+      // XP and points ledger
+      'GET /ledger/candidates/:candidateId': 'Cached and ledger balances with recent transactions (admin)',
+      'POST /ledger/candidates/:candidateId/adjustments': 'Adjust XP or points with a reason (admin)',
+      'GET /ledger/mismatches': 'Balances flagged by reconciliation (admin)',
+      'POST /ledger/mismatches/:mismatchId/resolve': 'Accept the cached balance or restore the ledger one (admin)',
+      'POST /ledger/reconcile': 'Reconcile cached balances against the ledger now (admin)',
 
       // Achievement system
       'GET /achievements': 'Get all achievements with pagination and filtering',
       'GET /achievements/user/:candidateId': 'Get user achievements with claimed status',
-      'POST /achievements/unlock': 'Manually unlock achievement',
+      'POST /achievements/unlock': 'Manually unlock achievement (admin)',
       'POST /achievements/:achievementId/claim': 'Claim achievement XP reward',
       'POST /achievements/check/:candidateId': 'Check and auto-unlock achievements',
 
       // Quest system
       'GET /quests': 'Get all active quests with pagination and filtering',
-      'GET /quests/user/:candidateId': 'Get user quests with progress',
+      'GET /quests/rules': 'Events, fields and measures for the quest rule builder (admin)',
+      'POST /quests': 'Create a quest with a rule (admin)',
+      'PUT /quests/:questId': 'Update a quest or its rule (admin)',
+      'GET /quests/user/:candidateId': 'Get active quests with the candidate\'s progress',
       'POST /quests/:questId/start': 'Start a quest for candidate',
-      'POST /quests/:questId/progress': 'Update quest progress (check-in quests)',
-      'POST /quests/:questId/complete': 'Mark quest as completed',
+      'POST /quests/:questId/progress': 'Manually adjust quest progress (admin)',
+      'POST /quests/:questId/complete': 'Manually mark quest as completed (admin)',
       'POST /quests/:questId/claim': 'Claim quest XP reward',
 
+      // Quest engine events
+      'POST /events/app-open': 'Record the signed-in worker\'s daily check-in',
+      'GET /events/:candidateId': 'Recent gamification events for a candidate (admin)',
+
       // Leaderboard and ranking
       'GET /leaderboard': 'Get leaderboard with ranking and filtering',
       'GET /leaderboard/rank/:candidateId': 'Get candidate rank and context',
 
+      // Seasonal leagues
+      'GET /leagues/me': 'Signed-in worker\'s season, tier and cohort standings',
+      'GET /leagues/me/history': 'Signed-in worker\'s results in past seasons',
+      'GET /leagues/seasons': 'Seasons with participation totals (admin)',
+      'GET /leagues/seasons/:seasonId': 'Cohorts of a season (admin)',
+      'GET /leagues/cohorts/:cohortId': 'Standings of a cohort (admin)',
+      'POST /leagues/rollover': 'Close ended seasons and open the current one (admin)',
+
       // Profile borders
       'GET /borders/:candidateId': 'Get borders with unlock status',
       'POST /borders/:candidateId/select': 'Select border for candidate',
@@ -100,7 +130,16 @@ router.get('/', (req, res) => {
       // Rewards shop (The Sink)
       'GET /rewards': 'Get all rewards with pagination and filtering',
       'GET /rewards/user/:candidateId': 'Get user rewards with purchase status',
-      'POST /rewards/:rewardId/purchase': 'Purchase reward with points',
+      'POST /rewards/:rewardId/purchase': 'Purchase reward with points for the signed-in worker',
+      'GET /rewards/wallet': 'Signed-in worker\'s purchases with voucher codes',
+      'GET /rewards/inventory': 'Rewards with stock, code pool and fulfilment counts (admin)',
+      'PUT /rewards/:rewardId/inventory': 'Update stock, per-worker limit or fulfilment type (admin)',
+      'GET /rewards/fulfilment': 'Fulfilment queue (admin)',
+      'POST /rewards/purchases/:purchaseId/fulfil': 'Mark a purchase fulfilled (admin)',
+      'POST /rewards/purchases/:purchaseId/refund': 'Refund a purchase\'s points (admin)',
+      'GET /rewards/:rewardId/codes': 'Voucher code pool (admin)',
+      'POST /rewards/:rewardId/codes': 'Upload voucher codes (admin)',
+      'POST /rewards/:rewardId/codes/:codeId/void': 'Withdraw an unassigned voucher code (admin)',
 
       // Customization (requires rewards)
       'GET /flair/:candidateId': 'Get user profile flair and ownership',
@@ -115,9 +154,11 @@ router.get('/', (req, res) => {
     features: [
       'Comprehensive gamification system for candidate engagement',
       'XP and leveling with tier progression',
+      'Double-entry XP and points ledger with nightly reconciliation',
       'Achievement system with unlock conditions and rewards',
       'Daily, weekly, and special event quests',
       'Competitive leaderboard with ranking',
+      'Weekly or monthly league seasons with promotion and relegation',
       'Profile customization with borders, flair, and themes',
       'Point-based rewards shop (The Sink - Career Ladder Strategy)',
       'Work streak tracking for retention',
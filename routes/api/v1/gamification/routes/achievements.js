@@ -1,16 +1,21 @@
 /**
  * Gamification Achievement Routes
- * Handles achievement listing, unlocking, claiming, and checking
+ * Handles achievement listing, unlocking, claiming, and checking.
+ * Achievements unlock from server events (services/quest-engine); the
+ * manual unlock endpoint is for admins only.
  * @module gamification/routes/achievements
  */
 
 const express = require('express');
 const router = express.Router();
 const { db } = require('../../../../../db');
+const { authorizeArea } = require('../../../../../middleware/auth');
 const { createLogger } = require('../../../../../utils/structured-logger');
+const questEngine = require('../../../../../services/quest-engine');
 const { processLevelUp, calculateLevel } = require('../helpers/xp-calculator');
 const { checkAndUnlockAchievements, unlockAchievement } = require('../helpers/achievement-checker');
-const { getCandidateAchievements, createXPTransaction, updateCandidateXP } = require('../helpers/database-queries');
+const { getCandidateAchievements } = require('../helpers/database-queries');
+const ledger = require('../../../../../services/ledger');
 
 const logger = createLogger('gamification-achievements');
 
@@ -133,9 +138,9 @@ router.get('/achievements/user/:candidateId', (req, res) => {
 
 /**
  * POST /achievements/unlock
- * Unlock achievement (does NOT auto-award XP - must be claimed separately)
+ * Manually unlock an achievement (admin). Does NOT auto-award XP - must be claimed separately
  */
-router.post('/achievements/unlock', (req, res) => {
+router.post('/achievements/unlock', authorizeArea('candidates'), (req, res) => {
   try {
     const { candidate_id, achievement_id } = req.body;
 
@@ -259,11 +264,9 @@ router.post('/achievements/:achievementId/claim', (req, res) => {
 
       // Award XP and points (1:1)
       if (achievement.xp_reward > 0) {
-        updateCandidateXP(db, finalCandidateId, achievement.xp_reward);
-        createXPTransaction(db, {
-          candidateId: finalCandidateId,
-          actionType: 'achievement',
+        ledger.awardXP(finalCandidateId, {
           amount: achievement.xp_reward,
+          actionType: 'achievement',
           reason: `Achievement claimed: ${achievement.name}`,
           referenceId: achievementId
         });
@@ -284,6 +287,8 @@ router.post('/achievements/:achievementId/claim', (req, res) => {
       leveled_up: levelResult.leveledUp
     });
 
+    questEngine.notifyReward(finalCandidateId, achievement.xp_reward, `Achievement claimed: ${achievement.name}`, levelResult);
+
     res.json({
       success: true,
       data: {
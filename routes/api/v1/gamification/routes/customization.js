@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../../../../../db');
 const { createLogger } = require('../../../../../utils/structured-logger');
+const fulfilment = require('../../../../../services/reward-fulfilment');
 
 const logger = createLogger('gamification-customization');
 
@@ -34,10 +35,7 @@ router.get('/flair/:candidateId', (req, res) => {
     }
 
     // Check if user owns Profile Flair reward
-    const ownsReward = db.prepare(`
-      SELECT COUNT(*) as count FROM candidate_rewards
-      WHERE candidate_id = ? AND reward_id = 'RWD_PROFILE_FLAIR'
-    `).get(candidateId).count > 0;
+    const ownsReward = fulfilment.hasReward(candidateId, 'RWD_PROFILE_FLAIR');
 
     res.json({
       success: true,
@@ -70,10 +68,7 @@ router.post('/flair/:candidateId', (req, res) => {
     const { flair } = req.body;
 
     // Check if user owns Profile Flair reward
-    const ownsReward = db.prepare(`
-      SELECT COUNT(*) as count FROM candidate_rewards
-      WHERE candidate_id = ? AND reward_id = 'RWD_PROFILE_FLAIR'
-    `).get(candidateId).count > 0;
+    const ownsReward = fulfilment.hasReward(candidateId, 'RWD_PROFILE_FLAIR');
 
     if (!ownsReward) {
       return res.status(403).json({
@@ -144,10 +139,7 @@ router.get('/theme/:candidateId', (req, res) => {
     }
 
     // Check if user owns Dark Mode Pro reward
-    const ownsReward = db.prepare(`
-      SELECT COUNT(*) as count FROM candidate_rewards
-      WHERE candidate_id = ? AND reward_id = 'RWD_DARK_MODE'
-    `).get(candidateId).count > 0;
+    const ownsReward = fulfilment.hasReward(candidateId, 'RWD_DARK_MODE');
 
     // Users can always use 'default' theme, premium themes require reward
     const availableThemes = ownsReward ? THEMES : ['default'];
@@ -192,10 +184,7 @@ router.post('/theme/:candidateId', (req, res) => {
 
     // Check if user owns Dark Mode Pro reward (required for non-default themes)
     if (theme !== 'default') {
-      const ownsReward = db.prepare(`
-        SELECT COUNT(*) as count FROM candidate_rewards
-        WHERE candidate_id = ? AND reward_id = 'RWD_DARK_MODE'
-      `).get(candidateId).count > 0;
+      const ownsReward = fulfilment.hasReward(candidateId, 'RWD_DARK_MODE');
 
       if (!ownsReward) {
         return res.status(403).json({
@@ -0,0 +1,66 @@
+/**
+ * Gamification Event Routes
+ * The only event the worker app may report itself is opening the app;
+ * everything else is recorded by the routes where it happens
+ * (see services/quest-engine).
+ * @module gamification/routes/events
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateCandidate, authorizeArea } = require('../../../../../middleware/auth');
+const { createLogger } = require('../../../../../utils/structured-logger');
+const { getSGDateString } = require('../../../../../shared/constants');
+const questEngine = require('../../../../../services/quest-engine');
+
+const logger = createLogger('gamification-events');
+
+/**
+ * POST /events/app-open
+ * Daily check-in for the signed-in worker; counts once per Singapore day
+ */
+router.post('/events/app-open', authenticateCandidate, (req, res) => {
+  try {
+    const result = questEngine.recordEvent('app_open', req.user.id, { sourceId: getSGDateString() });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Failed to record app open', {
+      candidate_id: req.user.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /events/:candidateId
+ * Recent gamification events for a candidate (admin troubleshooting)
+ */
+router.get('/events/:candidateId', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: questEngine.listEvents(req.params.candidateId, req.query.limit)
+    });
+
+  } catch (error) {
+    logger.error('Failed to list gamification events', {
+      candidate_id: req.params.candidateId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
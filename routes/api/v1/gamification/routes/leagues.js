@@ -0,0 +1,180 @@
+/**
+ * Gamification League Routes
+ * Seasonal cohorts with promotion and relegation (see services/leagues).
+ * Workers see their own cohort; admins see every season and can run the
+ * season rollover by hand.
+ * @module gamification/routes/leagues
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateCandidate, authorizeArea } = require('../../../../../middleware/auth');
+const { createLogger } = require('../../../../../utils/structured-logger');
+const leagues = require('../../../../../services/leagues');
+
+const logger = createLogger('gamification-leagues');
+
+/**
+ * GET /leagues/me
+ * The signed-in worker's season, tier and cohort standings.
+ * Joins the current season on first visit.
+ */
+router.get('/leagues/me', authenticateCandidate, (req, res) => {
+  try {
+    const league = leagues.getMyLeague(req.user.id);
+
+    if (!league) {
+      return res.status(404).json({
+        success: false,
+        error: 'Candidate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: league
+    });
+
+  } catch (error) {
+    logger.error('Failed to get league', {
+      candidate_id: req.user.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /leagues/me/history
+ * The signed-in worker's results in past seasons
+ */
+router.get('/leagues/me/history', authenticateCandidate, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: leagues.getHistory(req.user.id, req.query.limit)
+    });
+
+  } catch (error) {
+    logger.error('Failed to get league history', {
+      candidate_id: req.user.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /leagues/seasons
+ * Current and archived seasons with participation totals (admin)
+ */
+router.get('/leagues/seasons', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: leagues.listSeasons(req.query.limit),
+      meta: {
+        season_length: leagues.getSeasonLength()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to list league seasons', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /leagues/seasons/:seasonId
+ * A season's cohorts (admin)
+ */
+router.get('/leagues/seasons/:seasonId', authorizeArea('candidates'), (req, res) => {
+  try {
+    const season = leagues.getSeason(req.params.seasonId);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        error: 'Season not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: season
+    });
+
+  } catch (error) {
+    logger.error('Failed to get league season', {
+      season_id: req.params.seasonId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /leagues/cohorts/:cohortId
+ * Standings of any cohort, live or archived (admin)
+ */
+router.get('/leagues/cohorts/:cohortId', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: leagues.cohortStandings(req.params.cohortId)
+    });
+
+  } catch (error) {
+    logger.error('Failed to get league cohort', {
+      cohort_id: req.params.cohortId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /leagues/rollover
+ * Close ended seasons and open the current one now instead of waiting for
+ * the hourly job (admin)
+ */
+router.post('/leagues/rollover', authorizeArea('candidates'), (req, res) => {
+  try {
+    const { closed, season } = leagues.rollover();
+
+    logger.business('league_rollover_manual', {
+      admin_id: req.user?.id,
+      seasons_closed: closed.length,
+      current_season: season.season_key
+    });
+
+    res.json({
+      success: true,
+      data: { closed, season }
+    });
+
+  } catch (error) {
+    logger.error('Failed to roll over league seasons', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+/**
+ * Gamification Ledger Routes
+ * XP and points history from the double-entry ledger (see services/ledger),
+ * admin adjustments and the reconciliation of cached balances.
+ * All endpoints are admin-only.
+ * @module gamification/routes/ledger
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authorizeArea } = require('../../../../../middleware/auth');
+const { createLogger } = require('../../../../../utils/structured-logger');
+const ledger = require('../../../../../services/ledger');
+
+const logger = createLogger('gamification-ledger');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    code: error.code || undefined
+  });
+}
+
+/**
+ * GET /ledger/candidates/:candidateId
+ * Cached and ledger balances with the candidate's recent transactions
+ */
+router.get('/ledger/candidates/:candidateId', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: ledger.getAccount(req.params.candidateId, { limit: req.query.limit })
+    });
+
+  } catch (error) {
+    logger.error('Failed to get ledger account', {
+      candidate_id: req.params.candidateId,
+      error: error.message
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /ledger/candidates/:candidateId/adjustments
+ * Adjust a candidate's XP and/or points. Body: { xp, lifetime_xp, points, reason }
+ */
+router.post('/ledger/candidates/:candidateId/adjustments', authorizeArea('candidates'), (req, res) => {
+  try {
+    const result = ledger.adjust(req.params.candidateId, req.body, {
+      createdBy: req.user.email || req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Failed to adjust ledger', {
+      candidate_id: req.params.candidateId,
+      error: error.message
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /ledger/mismatches?status=open|resolved|cleared|all
+ * Balances the reconciliation flagged, with the last run
+ */
+router.get('/ledger/mismatches', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: ledger.listMismatches({ status: req.query.status, limit: req.query.limit })
+    });
+
+  } catch (error) {
+    logger.error('Failed to list ledger mismatches', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /ledger/mismatches/:mismatchId/resolve
+ * Body: { action: 'accept_cached' | 'restore_ledger', reason }
+ */
+router.post('/ledger/mismatches/:mismatchId/resolve', authorizeArea('candidates'), (req, res) => {
+  try {
+    const mismatch = ledger.resolveMismatch(req.params.mismatchId, {
+      action: req.body.action,
+      reason: req.body.reason,
+      resolvedBy: req.user.email || req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: mismatch
+    });
+
+  } catch (error) {
+    logger.error('Failed to resolve ledger mismatch', {
+      mismatch_id: req.params.mismatchId,
+      error: error.message
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /ledger/reconcile
+ * Run the reconciliation now instead of waiting for the nightly job
+ */
+router.post('/ledger/reconcile', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: ledger.reconcile({ triggeredBy: req.user.email || req.user.id })
+    });
+
+  } catch (error) {
+    logger.error('Failed to reconcile ledger', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
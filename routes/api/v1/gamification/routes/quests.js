@@ -1,30 +1,73 @@
 /**
  * Gamification Quest Routes
- * Handles quest listing, starting, progress tracking, completion, and claiming
+ * Handles quest listing, starting, claiming and admin quest authoring.
+ * Progress comes from server events (services/quest-engine); the manual
+ * progress and complete endpoints are admin corrections only.
  * @module gamification/routes/quests
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { db } = require('../../../../../db');
+const { authorizeArea } = require('../../../../../middleware/auth');
 const { createLogger } = require('../../../../../utils/structured-logger');
-const { parseQuests, updateQuestProgress } = require('../helpers/quest-processor');
+const { EVENTS, MEASURES, OPERATORS, normalizeRule, parseRequirement, periodKey } = require('../../../../../services/quest-engine/rules');
+const questEngine = require('../../../../../services/quest-engine');
+const { parseQuests, withQuestStatus, updateQuestProgress } = require('../helpers/quest-processor');
 const { processLevelUp } = require('../helpers/xp-calculator');
-const { getCandidateQuests, createXPTransaction } = require('../helpers/database-queries');
+const { getCandidateQuests } = require('../helpers/database-queries');
+const ledger = require('../../../../../services/ledger');
 
 const logger = createLogger('gamification-quests');
 
+const QUEST_TYPES = ['daily', 'weekly', 'special'];
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+/**
+ * Validate quest fields from the admin rule builder
+ * @returns {{quest: Object}|{error: string}}
+ */
+function normalizeQuest(data, existing = {}) {
+  const quest = {
+    title: data.title !== undefined ? String(data.title).trim() : existing.title,
+    description: data.description !== undefined ? String(data.description || '').trim() : existing.description,
+    type: data.type || existing.type || 'daily',
+    xp_reward: data.xp_reward !== undefined ? Number(data.xp_reward) : existing.xp_reward || 0,
+    bonus_reward: data.bonus_reward !== undefined ? Number(data.bonus_reward) : existing.bonus_reward || 0,
+    active: data.active !== undefined ? (data.active ? 1 : 0) : existing.active ?? 1,
+    requirement: existing.requirement,
+  };
+
+  if (!quest.title) return { error: 'title is required' };
+  if (!QUEST_TYPES.includes(quest.type)) return { error: `type must be one of: ${QUEST_TYPES.join(', ')}` };
+  if (!Number.isInteger(quest.xp_reward) || quest.xp_reward < 0) return { error: 'xp_reward must be a whole number of 0 or more' };
+  if (!Number.isFinite(quest.bonus_reward) || quest.bonus_reward < 0) return { error: 'bonus_reward must be 0 or more' };
+
+  if (data.rule !== undefined) {
+    const { rule, error } = normalizeRule(data.rule || {});
+    if (error) return { error };
+    quest.requirement = JSON.stringify(rule);
+  }
+  if (!quest.requirement) return { error: 'rule is required' };
+
+  return { quest };
+}
+
 /**
  * GET /quests
  * Get all quests with pagination and filtering
  */
 router.get('/quests', (req, res) => {
   try {
-    const { page = 1, limit = 20, type } = req.query;
+    const { page = 1, limit = 20, type, include_inactive } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    // Build WHERE clause for type filter
-    let whereClause = 'WHERE active = 1';
+    // Build WHERE clause for type filter (admins also list inactive quests)
+    let whereClause = include_inactive === 'true' ? 'WHERE 1 = 1' : 'WHERE active = 1';
     let params = [];
     if (type) {
       whereClause += ' AND type = ?';
@@ -66,6 +109,94 @@ router.get('/quests', (req, res) => {
   }
 });
 
+/**
+ * GET /quests/rules
+ * Events, fields, measures and operators for the admin rule builder
+ */
+router.get('/quests/rules', authorizeArea('candidates'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      events: Object.entries(EVENTS).map(([id, event]) => ({
+        id,
+        label: event.label,
+        fields: Object.entries(event.fields).map(([name, field]) => ({ name, ...field })),
+      })),
+      measures: MEASURES,
+      operators: Object.keys(OPERATORS),
+      quest_types: QUEST_TYPES,
+    },
+  });
+});
+
+/**
+ * POST /quests
+ * Create a quest with a rule (admin)
+ */
+router.post('/quests', authorizeArea('candidates'), (req, res) => {
+  try {
+    const { quest, error } = normalizeQuest(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const id = generateId('QST_');
+    db.prepare(`
+      INSERT INTO quests (id, title, description, type, requirement, xp_reward, bonus_reward, active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, quest.title, quest.description, quest.type, quest.requirement, quest.xp_reward, quest.bonus_reward, quest.active);
+
+    logger.business('quest_created', { quest_id: id, admin_id: req.user.id, requirement: quest.requirement });
+
+    const created = db.prepare('SELECT * FROM quests WHERE id = ?').get(id);
+    res.status(201).json({ success: true, data: parseQuests([created])[0] });
+
+  } catch (error) {
+    logger.error('Failed to create quest', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /quests/:questId
+ * Update a quest, its rule or whether it is active (admin).
+ * Progress already made is kept; a higher target simply moves the goal.
+ */
+router.put('/quests/:questId', authorizeArea('candidates'), (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM quests WHERE id = ?').get(req.params.questId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Quest not found' });
+    }
+
+    const { quest, error } = normalizeQuest(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    db.prepare(`
+      UPDATE quests
+      SET title = ?, description = ?, type = ?, requirement = ?, xp_reward = ?, bonus_reward = ?, active = ?
+      WHERE id = ?
+    `).run(quest.title, quest.description, quest.type, quest.requirement, quest.xp_reward, quest.bonus_reward, quest.active, existing.id);
+
+    logger.business('quest_updated', { quest_id: existing.id, admin_id: req.user.id, requirement: quest.requirement });
+
+    const updated = db.prepare('SELECT * FROM quests WHERE id = ?').get(existing.id);
+    res.json({ success: true, data: parseQuests([updated])[0] });
+
+  } catch (error) {
+    logger.error('Failed to update quest', { quest_id: req.params.questId, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /quests/:questId/start
  * Start a quest for a candidate
@@ -104,18 +235,19 @@ router.post('/quests/:questId/start', (req, res) => {
       });
     }
 
-    const requirement = JSON.parse(quest.requirement || '{}');
+    const rule = parseRequirement(quest.requirement);
+    const target = rule ? rule.target : 1;
 
     db.prepare(`
-      INSERT INTO candidate_quests (candidate_id, quest_id, progress, target, completed, started_at)
-      VALUES (?, ?, 0, ?, 0, datetime('now'))
-    `).run(candidate_id, questId, requirement.count || 1);
+      INSERT INTO candidate_quests (candidate_id, quest_id, progress, target, completed, started_at, period_key)
+      VALUES (?, ?, 0, ?, 0, datetime('now'), ?)
+    `).run(candidate_id, questId, target, periodKey(quest.type));
 
     logger.business('quest_started', {
       candidate_id,
       quest_id: questId,
-      quest_name: quest.name,
-      target: requirement.count || 1
+      quest_name: quest.title,
+      target
     });
 
     res.json({
@@ -123,7 +255,7 @@ router.post('/quests/:questId/start', (req, res) => {
       data: {
         quest,
         progress: 0,
-        target: requirement.count || 1,
+        target,
         started: true
       }
     });
@@ -143,9 +275,9 @@ router.post('/quests/:questId/start', (req, res) => {
 
 /**
  * POST /quests/:questId/progress
- * Update quest progress (for check-in type quests)
+ * Manually adjust quest progress (admin correction)
  */
-router.post('/quests/:questId/progress', (req, res) => {
+router.post('/quests/:questId/progress', authorizeArea('candidates'), (req, res) => {
   try {
     const { candidateId, increment = 1 } = req.body;
     const questId = req.params.questId;
@@ -180,9 +312,9 @@ router.post('/quests/:questId/progress', (req, res) => {
 
 /**
  * POST /quests/:questId/complete
- * Complete quest (mark progress as complete, not yet claimed)
+ * Mark a quest complete, not yet claimed (admin correction)
  */
-router.post('/quests/:questId/complete', (req, res) => {
+router.post('/quests/:questId/complete', authorizeArea('candidates'), (req, res) => {
   try {
     const { candidateId } = req.body;
     const questId = req.params.questId;
@@ -298,17 +430,10 @@ router.post('/quests/:questId/claim', (req, res) => {
 
       // Award XP and points
       if (quest.xp_reward > 0) {
-        db.prepare(`
-          UPDATE candidates
-          SET xp = xp + ?, current_points = current_points + ?
-          WHERE id = ?
-        `).run(quest.xp_reward, quest.xp_reward, candidateId);
-
-        createXPTransaction(db, {
-          candidateId: candidateId,
-          actionType: 'quest',
+        ledger.awardXP(candidateId, {
           amount: quest.xp_reward,
-          reason: `Quest completed: ${quest.name}`,
+          actionType: 'quest',
+          reason: `Quest completed: ${quest.title}`,
           referenceId: questId
         });
       }
@@ -325,11 +450,13 @@ router.post('/quests/:questId/claim', (req, res) => {
     logger.business('quest_reward_claimed', {
       candidate_id: candidateId,
       quest_id: questId,
-      quest_name: result.quest.name,
+      quest_name: result.quest.title,
       xp_awarded: result.quest.xp_reward,
       leveled_up: result.levelResult.leveledUp
     });
 
+    questEngine.notifyReward(candidateId, result.quest.xp_reward, `Quest completed: ${result.quest.title}`, result.levelResult);
+
     res.json({
       success: true,
       data: {
@@ -357,7 +484,7 @@ router.post('/quests/:questId/claim', (req, res) => {
 
 /**
  * GET /quests/user/:candidateId
- * Get user's quests with progress
+ * Get every active quest with the candidate's progress for the current period
  */
 router.get('/quests/user/:candidateId', (req, res) => {
   try {
@@ -365,50 +492,30 @@ router.get('/quests/user/:candidateId', (req, res) => {
     const { page = 1, limit = 20, completed, claimed } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    // Build WHERE clause for filters
-    let whereClause = 'WHERE cq.candidate_id = ? AND q.active = 1';
-    let params = [candidateId];
-
-    if (completed !== undefined) {
-      whereClause += ' AND cq.completed = ?';
-      params.push(completed === 'true' ? 1 : 0);
-    }
-
-    if (claimed !== undefined) {
-      whereClause += ' AND cq.claimed = ?';
-      params.push(claimed === 'true' ? 1 : 0);
-    }
-
-    // Get total count for pagination
-    const totalQuery = `
-      SELECT COUNT(*) as total
-      FROM candidate_quests cq
-      JOIN quests q ON cq.quest_id = q.id
-      ${whereClause}
-    `;
-    const { total } = db.prepare(totalQuery).get(...params);
-
-    // Get user's quests with progress
-    const userQuestsQuery = `
-      SELECT cq.*, q.name, q.description, q.xp_reward, q.type, q.requirement
-      FROM candidate_quests cq
-      JOIN quests q ON cq.quest_id = q.id
-      ${whereClause}
-      ORDER BY cq.started_at DESC
-      LIMIT ? OFFSET ?
-    `;
-    const userQuests = db.prepare(userQuestsQuery).all(...params, parseInt(limit), offset);
-
-    const parsed = parseQuests(userQuests);
+    const quests = db.prepare(`
+      SELECT q.*, q.title as name,
+        cq.progress, cq.completed, cq.claimed, cq.period_key,
+        cq.started_at, cq.completed_at, cq.claimed_at
+      FROM quests q
+      LEFT JOIN candidate_quests cq ON cq.quest_id = q.id AND cq.candidate_id = ?
+      WHERE q.active = 1
+      ORDER BY q.type, q.xp_reward DESC
+    `).all(candidateId);
+
+    // Filter after the period reset so last week's claims don't count
+    const parsed = parseQuests(quests)
+      .map(withQuestStatus)
+      .filter(q => completed === undefined || q.completed === (completed === 'true'))
+      .filter(q => claimed === undefined || q.claimed === (claimed === 'true'));
 
     res.json({
       success: true,
-      data: parsed,
+      data: parsed.slice(offset, offset + parseInt(limit)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
+        total: parsed.length,
+        pages: Math.ceil(parsed.length / parseInt(limit))
       }
     });
 
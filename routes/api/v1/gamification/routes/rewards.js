@@ -1,16 +1,29 @@
 /**
  * Gamification Rewards Shop Routes
- * Handles rewards listing, purchasing, and management (The Sink - Career Ladder Strategy)
+ * Handles rewards listing, purchasing, and management (The Sink - Career Ladder Strategy).
+ * Purchases are fulfilled by services/reward-fulfilment; admins work the
+ * fulfilment queue and voucher code pools from here too.
  * @module gamification/routes/rewards
  */
 
 const express = require('express');
 const router = express.Router();
 const { db } = require('../../../../../db');
+const { authenticateCandidate, authorizeArea } = require('../../../../../middleware/auth');
 const { createLogger } = require('../../../../../utils/structured-logger');
+const fulfilment = require('../../../../../services/reward-fulfilment');
+const { TIER_ORDER, checkEligibility, remainingStock } = require('../../../../../services/reward-fulfilment/rules');
 
 const logger = createLogger('gamification-rewards');
 
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    code: error.code || undefined
+  });
+}
+
 /**
  * GET /rewards
  * Get all active rewards with pagination and filtering
@@ -42,10 +55,12 @@ router.get('/rewards', (req, res) => {
     const rewardsQuery = `
       SELECT * FROM rewards
       ${whereClause}
-      ORDER BY category, point_cost
+      ORDER BY category, points_cost
       LIMIT ? OFFSET ?
     `;
-    const rewards = db.prepare(rewardsQuery).all(...params, parseInt(limit), offset);
+    const codes = fulfilment.availableCodeCounts();
+    const rewards = db.prepare(rewardsQuery).all(...params, parseInt(limit), offset)
+      .map(reward => ({ ...reward, remaining: remainingStock(reward, codes[reward.id] || 0) }));
 
     res.json({
       success: true,
@@ -98,53 +113,41 @@ router.get('/rewards/user/:candidateId', (req, res) => {
 
     // Get all active rewards
     const rewards = db.prepare(`
-      SELECT * FROM rewards ${whereClause} ORDER BY category, point_cost
+      SELECT * FROM rewards ${whereClause} ORDER BY category, points_cost
     `).all(...params);
 
-    // Get user's purchases
+    // Get user's purchases (refunded ones do not count towards limits)
     const purchases = db.prepare(`
       SELECT rp.*, r.name as reward_name, r.category
-      FROM candidate_rewards rp
+      FROM reward_purchases rp
       JOIN rewards r ON rp.reward_id = r.id
       WHERE rp.candidate_id = ?
-      ORDER BY rp.purchased_at DESC
+      ORDER BY rp.created_at DESC
     `).all(candidateId);
 
-    // Create a map of purchased reward counts
-    const purchaseCounts = {};
-    purchases.forEach(p => {
-      purchaseCounts[p.reward_id] = (purchaseCounts[p.reward_id] || 0) + 1;
-    });
-
-    // Tier hierarchy for comparison
-    const tierOrder = { bronze: 0, silver: 1, gold: 2, platinum: 3, diamond: 4, mythic: 5 };
-    const userTierLevel = tierOrder[candidate.current_tier] || 0;
+    const purchaseCounts = fulfilment.purchaseCounts(candidateId);
+    const codes = fulfilment.availableCodeCounts();
+    const userTierLevel = TIER_ORDER[candidate.current_tier] || 0;
 
     // Annotate rewards with availability info
     const annotatedRewards = rewards.map(reward => {
-      const requiredTierLevel = tierOrder[reward.tier_required] || 0;
-      const meetsRequirement = userTierLevel >= requiredTierLevel;
-      const canAfford = candidate.current_points >= reward.point_cost;
-      const inStock = reward.stock === null || reward.stock > 0;
       const purchaseCount = purchaseCounts[reward.id] || 0;
-      const purchased = purchaseCount > 0;
-
-      let canPurchase = meetsRequirement && canAfford && inStock;
-
-      // Check for single-purchase rewards
-      if (reward.max_per_user === 1 && purchased) {
-        canPurchase = false;
-      }
+      const remaining = remainingStock(reward, codes[reward.id] || 0);
+      const ineligible = checkEligibility(candidate, reward, {
+        purchaseCount,
+        availableCodes: codes[reward.id] || 0
+      });
 
       return {
         ...reward,
-        meetsRequirement,
-        canAfford,
-        inStock,
-        purchased,
+        remaining,
+        meetsRequirement: userTierLevel >= (TIER_ORDER[reward.tier_required] || 0),
+        canAfford: candidate.current_points >= reward.points_cost,
+        inStock: remaining === null || remaining > 0,
+        purchased: purchaseCount > 0,
         purchaseCount,
-        canPurchase,
-        statusMessage: getStatusMessage(meetsRequirement, canAfford, inStock, purchased, reward)
+        canPurchase: !ineligible,
+        statusMessage: ineligible ? ineligible.error : 'Available to purchase'
       };
     });
 
@@ -183,142 +186,224 @@ router.get('/rewards/user/:candidateId', (req, res) => {
 
 /**
  * POST /rewards/:rewardId/purchase
- * Purchase a reward
+ * Purchase a reward for the signed-in worker
  */
-router.post('/rewards/:rewardId/purchase', (req, res) => {
+router.post('/rewards/:rewardId/purchase', authenticateCandidate, (req, res) => {
   try {
-    const { candidateId, candidate_id } = req.body;
-    const finalCandidateId = candidateId || candidate_id;
-    const rewardId = req.params.rewardId;
+    const result = fulfilment.purchase(req.user.id, req.params.rewardId);
 
-    if (!finalCandidateId) {
-      return res.status(400).json({
-        success: false,
-        error: 'candidateId or candidate_id is required'
-      });
-    }
-
-    const transaction = db.transaction(() => {
-      // Get candidate info
-      const candidate = db.prepare(`
-        SELECT current_points, current_tier, level FROM candidates WHERE id = ?
-      `).get(finalCandidateId);
-
-      if (!candidate) {
-        throw new Error('Candidate not found');
-      }
-
-      // Get reward info
-      const reward = db.prepare('SELECT * FROM rewards WHERE id = ? AND active = 1').get(rewardId);
-      if (!reward) {
-        throw new Error('Reward not found or inactive');
+    res.json({
+      success: true,
+      data: {
+        reward: result.reward,
+        purchase: result.purchase,
+        points_spent: result.reward.points_cost,
+        remaining_points: result.remaining_points,
+        message: result.purchase.status === 'fulfilled'
+          ? `Successfully purchased ${result.reward.name}!`
+          : `${result.reward.name} is on its way - we will let you know when it is ready`
       }
+    });
 
-      // Check tier requirement
-      const tierOrder = { bronze: 0, silver: 1, gold: 2, platinum: 3, diamond: 4, mythic: 5 };
-      const userTierLevel = tierOrder[candidate.current_tier] || 0;
-      const requiredTierLevel = tierOrder[reward.tier_required] || 0;
+  } catch (error) {
+    logger.error('Failed to purchase reward', {
+      candidate_id: req.user.id,
+      reward_id: req.params.rewardId,
+      error: error.message
+    });
+    sendError(res, error);
+  }
+});
 
-      if (userTierLevel < requiredTierLevel) {
-        throw new Error(`Requires ${reward.tier_required} tier or higher`);
-      }
+/**
+ * GET /rewards/wallet
+ * The signed-in worker's purchases with voucher codes and their expiry
+ */
+router.get('/rewards/wallet', authenticateCandidate, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: fulfilment.getWallet(req.user.id)
+    });
 
-      // Check points
-      if (candidate.current_points < reward.point_cost) {
-        throw new Error('Insufficient points');
-      }
+  } catch (error) {
+    logger.error('Failed to get reward wallet', {
+      candidate_id: req.user.id,
+      error: error.message
+    });
+    sendError(res, error);
+  }
+});
 
-      // Check stock
-      if (reward.stock !== null && reward.stock <= 0) {
-        throw new Error('Out of stock');
-      }
+/**
+ * GET /rewards/inventory
+ * Every reward with stock, code pool and fulfilment counts (admin)
+ */
+router.get('/rewards/inventory', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: fulfilment.listInventory()
+    });
 
-      // Check max per user
-      if (reward.max_per_user) {
-        const userPurchaseCount = db.prepare(`
-          SELECT COUNT(*) as count FROM candidate_rewards
-          WHERE candidate_id = ? AND reward_id = ?
-        `).get(finalCandidateId, rewardId).count;
+  } catch (error) {
+    logger.error('Failed to get reward inventory', { error: error.message });
+    sendError(res, error);
+  }
+});
 
-        if (userPurchaseCount >= reward.max_per_user) {
-          throw new Error(`Maximum ${reward.max_per_user} purchase(s) per user`);
-        }
-      }
+/**
+ * GET /rewards/fulfilment
+ * Fulfilment queue; pending purchases oldest first (admin)
+ */
+router.get('/rewards/fulfilment', authorizeArea('candidates'), (req, res) => {
+  try {
+    const { status, reward_id, limit } = req.query;
+    res.json({
+      success: true,
+      data: fulfilment.listQueue({ status, rewardId: reward_id, limit })
+    });
 
-      // Deduct points
-      db.prepare(`
-        UPDATE candidates SET current_points = current_points - ? WHERE id = ?
-      `).run(reward.point_cost, finalCandidateId);
+  } catch (error) {
+    logger.error('Failed to get fulfilment queue', { error: error.message });
+    sendError(res, error);
+  }
+});
 
-      // Add purchase record
-      db.prepare(`
-        INSERT INTO candidate_rewards (candidate_id, reward_id, purchased_at)
-        VALUES (?, ?, datetime('now'))
-      `).run(finalCandidateId, rewardId);
+/**
+ * POST /rewards/purchases/:purchaseId/fulfil
+ * Mark a queued purchase as handed over, with an optional note for the worker (admin)
+ */
+router.post('/rewards/purchases/:purchaseId/fulfil', authorizeArea('candidates'), (req, res) => {
+  try {
+    const purchase = fulfilment.fulfil(req.params.purchaseId, {
+      note: req.body.note || null,
+      handledBy: req.user.email || req.user.id
+    });
 
-      // Update stock if applicable
-      if (reward.stock !== null) {
-        db.prepare('UPDATE rewards SET stock = stock - 1 WHERE id = ?').run(rewardId);
-      }
+    res.json({
+      success: true,
+      data: purchase
+    });
 
-      // Get updated candidate points
-      const updatedCandidate = db.prepare('SELECT current_points FROM candidates WHERE id = ?').get(finalCandidateId);
+  } catch (error) {
+    logger.error('Failed to fulfil reward purchase', {
+      purchase_id: req.params.purchaseId,
+      error: error.message
+    });
+    sendError(res, error);
+  }
+});
 
-      return { reward, oldPoints: candidate.current_points, newPoints: updatedCandidate.current_points };
+/**
+ * POST /rewards/purchases/:purchaseId/refund
+ * Refund a queued purchase; points and stock are returned (admin)
+ */
+router.post('/rewards/purchases/:purchaseId/refund', authorizeArea('candidates'), (req, res) => {
+  try {
+    const purchase = fulfilment.refund(req.params.purchaseId, {
+      reason: req.body.reason,
+      handledBy: req.user.email || req.user.id
     });
 
-    const result = transaction();
+    res.json({
+      success: true,
+      data: purchase
+    });
 
-    logger.business('reward_purchased', {
-      candidate_id: finalCandidateId,
-      reward_id: rewardId,
-      reward_name: result.reward.name,
-      reward_category: result.reward.category,
-      points_spent: result.reward.point_cost,
-      points_before: result.oldPoints,
-      points_after: result.newPoints
+  } catch (error) {
+    logger.error('Failed to refund reward purchase', {
+      purchase_id: req.params.purchaseId,
+      error: error.message
     });
+    sendError(res, error);
+  }
+});
 
+/**
+ * PUT /rewards/:rewardId/inventory
+ * Change stock, per-worker limit, fulfilment type or availability (admin)
+ */
+router.put('/rewards/:rewardId/inventory', authorizeArea('candidates'), (req, res) => {
+  try {
+    const { stock, max_per_user, fulfilment_type, active } = req.body;
     res.json({
       success: true,
-      data: {
-        reward: result.reward,
-        points_spent: result.reward.point_cost,
-        remaining_points: result.newPoints,
-        message: `Successfully purchased ${result.reward.name}!`
-      }
+      data: fulfilment.updateInventory(req.params.rewardId, { stock, max_per_user, fulfilment_type, active })
     });
 
   } catch (error) {
-    logger.error('Failed to purchase reward', {
-      candidate_id: req.body.candidateId || req.body.candidate_id,
+    logger.error('Failed to update reward inventory', {
       reward_id: req.params.rewardId,
       error: error.message
     });
-    res.status(500).json({
-      success: false,
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /rewards/:rewardId/codes
+ * Voucher code pool summary with masked codes (admin)
+ */
+router.get('/rewards/:rewardId/codes', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: fulfilment.listCodes(req.params.rewardId)
+    });
+
+  } catch (error) {
+    logger.error('Failed to list voucher codes', {
+      reward_id: req.params.rewardId,
       error: error.message
     });
+    sendError(res, error);
   }
 });
 
 /**
- * Helper function to get status message for rewards
+ * POST /rewards/:rewardId/codes
+ * Upload voucher codes: CSV text with one "code[,YYYY-MM-DD]" per line (admin)
  */
-function getStatusMessage(meetsRequirement, canAfford, inStock, purchased, reward) {
-  if (purchased && reward.max_per_user === 1) {
-    return 'Already purchased';
-  }
-  if (!meetsRequirement) {
-    return `Requires ${reward.tier_required} tier`;
-  }
-  if (!canAfford) {
-    return `Need ${reward.point_cost - candidate?.current_points || 0} more points`;
+router.post('/rewards/:rewardId/codes', authorizeArea('candidates'), (req, res) => {
+  try {
+    const result = fulfilment.uploadCodes(req.params.rewardId, {
+      codes: req.body.codes,
+      expiresAt: req.body.expires_at,
+      uploadedBy: req.user.email || req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Failed to upload voucher codes', {
+      reward_id: req.params.rewardId,
+      error: error.message
+    });
+    sendError(res, error);
   }
-  if (!inStock) {
-    return 'Out of stock';
+});
+
+/**
+ * POST /rewards/:rewardId/codes/:codeId/void
+ * Withdraw an unassigned code from the pool (admin)
+ */
+router.post('/rewards/:rewardId/codes/:codeId/void', authorizeArea('candidates'), (req, res) => {
+  try {
+    fulfilment.voidCode(req.params.rewardId, req.params.codeId);
+    res.json({ success: true });
+
+  } catch (error) {
+    logger.error('Failed to void voucher code', {
+      reward_id: req.params.rewardId,
+      code_id: req.params.codeId,
+      error: error.message
+    });
+    sendError(res, error);
   }
-  return 'Available to purchase';
-}
+});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
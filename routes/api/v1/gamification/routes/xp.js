@@ -10,7 +10,9 @@ const { db } = require('../../../../../db');
 const { createLogger } = require('../../../../../utils/structured-logger');
 const { processLevelUp, calculateJobXP, XP_VALUES } = require('../helpers/xp-calculator');
 const { processStreakUpdate } = require('../helpers/quest-processor');
-const { createXPTransaction, updateCandidateXP } = require('../helpers/database-queries');
+const questEngine = require('../../../../../services/quest-engine');
+const ledger = require('../../../../../services/ledger');
+const { authorizeArea } = require('../../../../../middleware/auth');
 
 const logger = createLogger('gamification-xp');
 
@@ -18,7 +20,7 @@ const logger = createLogger('gamification-xp');
  * POST /xp/award
  * Award XP to a candidate with optional level up handling
  */
-router.post('/xp/award', (req, res) => {
+router.post('/xp/award', authorizeArea('candidates'), (req, res) => {
   try {
     const { candidate_id, amount, reason, reference_id, action_type } = req.body;
 
@@ -31,19 +33,14 @@ router.post('/xp/award', (req, res) => {
 
     // Use transaction to ensure atomicity and prevent race conditions
     const transaction = db.transaction(() => {
-      // Add XP transaction with action_type
-      createXPTransaction(db, {
-        candidateId: candidate_id,
-        actionType: action_type || 'manual',
+      // Post to the ledger; points are awarded 1:1 with XP (only for positive amounts)
+      ledger.awardXP(candidate_id, {
         amount,
+        actionType: action_type || 'manual',
         reason,
         referenceId: reference_id
       });
 
-      // Update candidate XP and lifetime_xp
-      // Also award points 1:1 with XP (only for positive amounts)
-      updateCandidateXP(db, candidate_id, amount);
-
       // Check for level up - all within the same transaction
       return processLevelUp(db, candidate_id);
     });
@@ -85,7 +82,7 @@ router.post('/xp/award', (req, res) => {
       amount: req.body.amount,
       error: error.message
     });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -96,7 +93,7 @@ router.post('/xp/award', (req, res) => {
  * POST /xp/job-complete
  * Award XP for job completion using Career Ladder Strategy formula
  */
-router.post('/xp/job-complete', (req, res) => {
+router.post('/xp/job-complete', authorizeArea('candidates'), (req, res) => {
   try {
     const { candidate_id, hours_worked, is_urgent, was_on_time, rating, job_id } = req.body;
 
@@ -112,24 +109,16 @@ router.post('/xp/job-complete', (req, res) => {
 
     // Use transaction to ensure atomicity and prevent race conditions
     const transaction = db.transaction(() => {
-      // Add XP transaction
-      createXPTransaction(db, {
-        candidateId: candidate_id,
-        actionType: 'shift',
+      // Post XP, lifetime_xp and points (1:1) to the ledger
+      ledger.awardXP(candidate_id, {
         amount: xpAmount,
+        actionType: 'shift',
         reason: `Shift completion: ${hours_worked}hrs`,
         referenceId: job_id
       });
 
-      // Update candidate XP, lifetime_xp, current_points (1:1), and total_jobs_completed
-      db.prepare(`
-        UPDATE candidates
-        SET xp = xp + ?,
-            lifetime_xp = lifetime_xp + ?,
-            current_points = current_points + ?,
-            total_jobs_completed = total_jobs_completed + 1
-        WHERE id = ?
-      `).run(xpAmount, xpAmount, xpAmount, candidate_id);
+      db.prepare('UPDATE candidates SET total_jobs_completed = total_jobs_completed + 1 WHERE id = ?')
+        .run(candidate_id);
 
       // Check for level up - all within the same transaction
       const result = processLevelUp(db, candidate_id);
@@ -179,7 +168,7 @@ router.post('/xp/job-complete', (req, res) => {
       hours_worked: req.body.hours_worked,
       error: error.message
     });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -190,7 +179,7 @@ router.post('/xp/job-complete', (req, res) => {
  * POST /xp/penalty
  * Apply penalty for no-shows or late cancellations
  */
-router.post('/xp/penalty', (req, res) => {
+router.post('/xp/penalty', authorizeArea('candidates'), (req, res) => {
   try {
     const { candidate_id, penalty_type, reference_id } = req.body;
 
@@ -225,18 +214,14 @@ router.post('/xp/penalty', (req, res) => {
 
     // Use transaction to ensure atomicity and prevent race conditions
     const transaction = db.transaction(() => {
-      // Add XP transaction (negative amount)
-      createXPTransaction(db, {
-        candidateId: candidate_id,
-        actionType: action_type,
+      // Post the negative amount; the ledger stops XP at 0
+      ledger.awardXP(candidate_id, {
         amount,
+        actionType: action_type,
         reason,
         referenceId: reference_id
       });
 
-      // Update candidate XP (prevent going below 0)
-      db.prepare('UPDATE candidates SET xp = MAX(0, xp + ?) WHERE id = ?').run(amount, candidate_id);
-
       // Check for level change - all within the same transaction
       const result = processLevelUp(db, candidate_id);
       return { ...result, levelChanged: result.leveledUp };
@@ -274,7 +259,7 @@ router.post('/xp/penalty', (req, res) => {
       penalty_type: req.body.penalty_type,
       error: error.message
     });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -285,7 +270,7 @@ router.post('/xp/penalty', (req, res) => {
  * POST /streak/update
  * Update work streak for Career Ladder Strategy - weekly quest
  */
-router.post('/streak/update', (req, res) => {
+router.post('/streak/update', authorizeArea('candidates'), (req, res) => {
   try {
     const { candidate_id } = req.body;
 
@@ -297,6 +282,7 @@ router.post('/streak/update', (req, res) => {
     }
 
     const result = processStreakUpdate(db, candidate_id);
+    questEngine.emit('streak_updated', candidate_id, { sourceId: result.streakLastDate });
 
     res.json({
       success: true,
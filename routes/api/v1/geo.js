@@ -0,0 +1,59 @@
+/**
+ * Geo API
+ * Local geocoding of Singapore addresses and worker commute preferences.
+ */
+
+const express = require('express');
+const router = express.Router();
+const geo = require('../../../services/geo');
+const { authenticateAdmin, authenticateAdminOrOwner } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+// Resolve an address, postal code, MRT station or area name
+router.get('/lookup', (req, res) => {
+  try {
+    const result = geo.geocode(req.query.q);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Location not recognised', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Worker's home location and max commute
+router.get('/candidates/:candidateId/commute', authenticateAdminOrOwner, (req, res) => {
+  try {
+    const data = geo.getCommuteProfile(req.params.candidateId);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update address and/or max commute
+router.put('/candidates/:candidateId/commute', authenticateAdminOrOwner, (req, res) => {
+  try {
+    const { address, max_commute_km } = req.body;
+    const data = geo.updateCommuteProfile(req.params.candidateId, { address, max_commute_km });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Geocode every candidate and job that has no coordinates yet
+router.post('/backfill', authenticateAdmin, (req, res) => {
+  try {
+    const data = geo.geocodeMissing();
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -7,14 +7,24 @@
 
 const express = require('express');
 const router = express.Router();
+const { auditAdminActions } = require('../../../middleware/audit');
 
 // Import route modules
 const authRoutes = require('./auth');
 const candidateRoutes = require('./candidates');
 const jobRoutes = require('./jobs');
+const jobSeriesRoutes = require('./job-series');
 const deploymentRoutes = require('./deployments');
+const shiftChangeRoutes = require('./shift-changes');
+const timesheetRoutes = require('./timesheets');
+const invoiceRoutes = require('./invoices');
+const payoutRoutes = require('./payouts');
+const backfillRoutes = require('./backfill');
+const geoRoutes = require('./geo');
 const paymentRoutes = require('./payments');
 const clientRoutes = require('./clients');
+const clientPortalRoutes = require('./client-portal');
+const ratingRoutes = require('./ratings');
 const tenderRoutes = require('./tenders');
 const bpoRoutes = require('./bpo');
 const trainingRoutes = require('./training');
@@ -35,6 +45,7 @@ const emailPreferencesRoutes = require('./email-preferences');
 
 // Messaging & Webhooks
 const telegramWebhookRoutes = require('./webhooks/telegram');
+const whatsappWebhookRoutes = require('./webhooks/whatsapp');
 const messagingRoutes = require('./messaging');
 
 // AI & ML Routes
@@ -85,6 +96,9 @@ const gebizIntelligenceRoutes = require('./gebiz-intelligence');
 const gebizRenewalsRoutes = require('./gebiz/renewals');
 const alertsRoutes = require('./alerts');
 const bpoLifecycleRoutes = require('./bpo/lifecycle');
+const bpoPricingRoutes = require('./bpo/pricing');
+const bpoDocumentsRoutes = require('./bpo/documents');
+const bpoGatesRoutes = require('./bpo/gates');
 const scrapingRoutes = require('./scraping');
 
 // Consolidated BPO Routes (Feb 2026 Reorganization)
@@ -92,13 +106,28 @@ const pipelineRoutes = require('./pipeline');
 const scannerRoutes = require('./scanner');
 const intelligenceRoutes = require('./intelligence');
 
+// Admin Accounts & Audit
+const adminUsersRoutes = require('./admin-users');
+
+// Attribute admin changes to the signed-in account
+router.use(auditAdminActions);
+
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/candidates', candidateRoutes);
 router.use('/jobs', jobRoutes);
+router.use('/job-series', jobSeriesRoutes);
 router.use('/deployments', deploymentRoutes);
+router.use('/shift-changes', shiftChangeRoutes);
+router.use('/timesheets', timesheetRoutes);
+router.use('/invoices', invoiceRoutes);
+router.use('/payouts', payoutRoutes);
+router.use('/backfill', backfillRoutes);
+router.use('/geo', geoRoutes);
 router.use('/payments', paymentRoutes);
 router.use('/clients', clientRoutes);
+router.use('/client-portal', clientPortalRoutes);
+router.use('/ratings', ratingRoutes);
 router.use('/tenders', tenderRoutes);
 router.use('/bpo', bpoRoutes);
 router.use('/training', trainingRoutes);
@@ -118,6 +147,7 @@ router.use('/email-preferences', emailPreferencesRoutes);
 
 // Messaging & Webhooks
 router.use('/webhooks/telegram', telegramWebhookRoutes);
+router.use('/webhooks/whatsapp', whatsappWebhookRoutes);
 router.use('/messaging', messagingRoutes);
 
 // AI & ML Routes
@@ -165,6 +195,9 @@ router.use('/gebiz', gebizIntelligenceRoutes);
 router.use('/gebiz/renewals', gebizRenewalsRoutes);
 router.use('/alerts', alertsRoutes);
 router.use('/bpo/lifecycle', bpoLifecycleRoutes);
+router.use('/bpo/pricing', bpoPricingRoutes);
+router.use('/bpo/documents', bpoDocumentsRoutes);
+router.use('/bpo/gates', bpoGatesRoutes);
 router.use('/scraping', scrapingRoutes);
 
 // Consolidated BPO Routes (Feb 2026 Reorganization)
@@ -175,6 +208,9 @@ router.use('/intelligence', intelligenceRoutes);
 // Scraping Services
 router.use('/scraping/gebiz-rss', gebizRssRoutes);
 
+// Admin Accounts & Audit
+router.use('/admin-users', adminUsersRoutes);
+
 // API info endpoint
 router.get('/', (req, res) => {
   res.json({
@@ -186,9 +222,18 @@ router.get('/', (req, res) => {
       auth: { path: '/api/v1/auth', status: 'active' },
       candidates: { path: '/api/v1/candidates', status: 'active' },
       jobs: { path: '/api/v1/jobs', status: 'active' },
+      jobSeries: { path: '/api/v1/job-series', status: 'active', description: 'Recurring rosters that generate jobs, with holiday exceptions and bulk cancellation' },
       deployments: { path: '/api/v1/deployments', status: 'active' },
+      shiftChanges: { path: '/api/v1/shift-changes', status: 'active', description: 'Worker shift swaps and releases, with optional per-client approval' },
+      timesheets: { path: '/api/v1/timesheets', status: 'active', description: 'Geofenced clock-in/out with supervisor sign-off' },
+      invoices: { path: '/api/v1/invoices', status: 'active', description: 'Client invoicing, receivables ageing and PDF export' },
+      payouts: { path: '/api/v1/payouts', status: 'active', description: 'Bank payout batches (GIRO/FAST) and reconciliation' },
+      backfill: { path: '/api/v1/backfill', status: 'active', description: 'Replacement offers when a deployed worker drops out' },
+      geo: { path: '/api/v1/geo', status: 'active', description: 'Postal code / MRT geocoding and worker commute preferences' },
       payments: { path: '/api/v1/payments', status: 'active' },
       clients: { path: '/api/v1/clients', status: 'active' },
+      clientPortal: { path: '/api/v1/client-portal', status: 'active', description: 'Client self-service: shift requests, timesheet approval, invoices and attendance' },
+      ratings: { path: '/api/v1/ratings', status: 'active', description: 'Client ratings of workers, job-site ratings and rating disputes' },
       tenders: { path: '/api/v1/tenders', status: 'active' },
       bpo: { path: '/api/v1/bpo', status: 'active' },
       training: { path: '/api/v1/training', status: 'active' },
@@ -209,6 +254,7 @@ router.get('/', (req, res) => {
       messaging: { path: '/api/v1/messaging', status: 'active' },
       webhooks: {
         telegram: { path: '/api/v1/webhooks/telegram', status: 'active' },
+        whatsapp: { path: '/api/v1/webhooks/whatsapp', status: 'active' },
       },
       
       // AI & ML
@@ -251,12 +297,18 @@ router.get('/', (req, res) => {
       gebizRenewals: { path: '/api/v1/gebiz/renewals', status: 'active', description: 'Contract renewal predictions & engagement tracking' },
       alerts: { path: '/api/v1/alerts', status: 'active', description: 'Multi-channel alert system (email, SMS, Slack, in-app)' },
       bpoLifecycle: { path: '/api/v1/bpo/lifecycle', status: 'active', description: '7-stage tender pipeline management' },
+      bpoPricing: { path: '/api/v1/bpo/pricing', status: 'active', description: 'Bid costing workspace with versioned pricing scenarios' },
+      bpoDocuments: { path: '/api/v1/bpo/documents', status: 'active', description: 'Tender specifications and compliance matrix' },
+      bpoGates: { path: '/api/v1/bpo/gates', status: 'active', description: 'Stage gate rules and approver sign-off' },
       scraping: { path: '/api/v1/scraping', status: 'active', description: 'RSS scraping control and monitoring' },
 
       // Consolidated BPO Routes (Feb 2026 Reorganization)
       pipeline: { path: '/api/v1/pipeline', status: 'active', description: 'Unified tender pipeline management' },
       scanner: { path: '/api/v1/scanner', status: 'active', description: 'Live feed scanner, alerts & scraper controls' },
       intelligence: { path: '/api/v1/intelligence', status: 'active', description: 'Historical data, competitors & renewals' },
+
+      // Admin Accounts & Audit
+      adminUsers: { path: '/api/v1/admin-users', status: 'active', description: 'Admin accounts, roles, invites and audit log' },
     },
     notes: {
       emailConfig: 'Disabled - not required for core functionality',
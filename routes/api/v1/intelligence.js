@@ -7,282 +7,9 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const Database = require('better-sqlite3');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { db: mainDb } = require('../../../db');
-
-/**
- * Robust GeBIZ Table Creation for Railway Deployment
- * Ensures all required tables exist before any database operations
- */
-class GeBIZTableManager {
-  constructor(db) {
-    this.db = db;
-    this.initialized = false;
-    this.initializationAttempted = false;
-  }
-
-  /**
-   * Check if a table exists
-   */
-  tableExists(tableName) {
-    try {
-      const result = this.db.prepare(`
-        SELECT name FROM sqlite_master
-        WHERE type='table' AND name=?
-      `).get(tableName);
-      return !!result;
-    } catch (error) {
-      console.error(`❌ Error checking table ${tableName}:`, error.message);
-      return false;
-    }
-  }
-
-  /**
-   * Create the gebiz_historical_tenders table with all indexes
-   */
-  createHistoricalTendersTable() {
-    const sql = `
-      CREATE TABLE IF NOT EXISTS gebiz_historical_tenders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        tender_no TEXT UNIQUE NOT NULL,
-        description TEXT,
-        awarded_amount REAL,
-        supplier_name TEXT,
-        award_date DATE,
-        agency TEXT,
-        category TEXT,
-        contract_period_start DATE,
-        contract_period_end DATE,
-        raw_data TEXT,
-        imported_at DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_gebiz_hist_supplier ON gebiz_historical_tenders(supplier_name);
-      CREATE INDEX IF NOT EXISTS idx_gebiz_hist_award_date ON gebiz_historical_tenders(award_date);
-      CREATE INDEX IF NOT EXISTS idx_gebiz_hist_category ON gebiz_historical_tenders(category);
-      CREATE INDEX IF NOT EXISTS idx_gebiz_hist_agency ON gebiz_historical_tenders(agency);
-      CREATE INDEX IF NOT EXISTS idx_gebiz_hist_amount ON gebiz_historical_tenders(awarded_amount);
-    `;
-
-    try {
-      this.db.exec(sql);
-      console.log('✅ gebiz_historical_tenders table created/verified');
-      return true;
-    } catch (error) {
-      console.error('❌ Failed to create gebiz_historical_tenders table:', error.message);
-      return false;
-    }
-  }
-
-  /**
-   * Create the gebiz_active_tenders table with all indexes
-   */
-  createActiveTendersTable() {
-    const sql = `
-      CREATE TABLE IF NOT EXISTS gebiz_active_tenders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        tender_no TEXT UNIQUE NOT NULL,
-        title TEXT NOT NULL,
-        agency TEXT,
-        closing_date DATE,
-        published_date DATE,
-        category TEXT,
-        estimated_value REAL,
-        url TEXT,
-        details TEXT,
-        has_details BOOLEAN DEFAULT 0,
-        status TEXT DEFAULT 'open',
-        scraped_at DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_gebiz_active_tender_no ON gebiz_active_tenders(tender_no);
-      CREATE INDEX IF NOT EXISTS idx_gebiz_active_closing ON gebiz_active_tenders(closing_date);
-      CREATE INDEX IF NOT EXISTS idx_gebiz_active_agency ON gebiz_active_tenders(agency);
-      CREATE INDEX IF NOT EXISTS idx_gebiz_active_status ON gebiz_active_tenders(status);
-    `;
-
-    try {
-      this.db.exec(sql);
-      console.log('✅ gebiz_active_tenders table created/verified');
-      return true;
-    } catch (error) {
-      console.error('❌ Failed to create gebiz_active_tenders table:', error.message);
-      return false;
-    }
-  }
-
-  /**
-   * Create essential configuration table
-   */
-  createConfigTable() {
-    const sql = `
-      CREATE TABLE IF NOT EXISTS scraping_config (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        config_key TEXT UNIQUE NOT NULL,
-        config_value TEXT NOT NULL,
-        description TEXT,
-        updated_by TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      INSERT OR IGNORE INTO scraping_config (config_key, config_value, description) VALUES
-        ('gebiz_keywords', '["manpower", "cleaning", "security", "hospitality", "catering", "event staff"]', 'Keywords to filter relevant GeBIZ tenders'),
-        ('gebiz_historical_sync_enabled', 'true', 'Enable daily historical data sync'),
-        ('gebiz_active_scrape_enabled', 'true', 'Enable active tender scraping'),
-        ('alert_high_value_threshold', '100000', 'Tender value threshold for high-priority alerts (SGD)'),
-        ('rate_limit_requests_per_minute', '10', 'Max requests per minute for scraping');
-    `;
-
-    try {
-      this.db.exec(sql);
-      console.log('✅ scraping_config table created/verified');
-      return true;
-    } catch (error) {
-      console.error('❌ Failed to create scraping_config table:', error.message);
-      return false;
-    }
-  }
-
-  /**
-   * Initialize all required tables
-   */
-  async initializeTables() {
-    if (this.initialized) return true;
-    if (this.initializationAttempted) return this.initialized;
-
-    this.initializationAttempted = true;
-    console.log('🔧 Initializing GeBIZ tables for Railway deployment...');
-
-    try {
-      // Create all essential tables
-      const results = [
-        this.createHistoricalTendersTable(),
-        this.createActiveTendersTable(),
-        this.createConfigTable()
-      ];
-
-      this.initialized = results.every(result => result === true);
-
-      if (this.initialized) {
-        console.log('✅ All GeBIZ tables initialized successfully');
-      } else {
-        console.error('❌ Some GeBIZ tables failed to initialize');
-      }
-
-      return this.initialized;
-    } catch (error) {
-      console.error('❌ GeBIZ table initialization failed:', error.message);
-      this.initialized = false;
-      return false;
-    }
-  }
-
-  /**
-   * Ensure a specific table exists
-   */
-  async ensureTable(tableName) {
-    if (!this.initialized) {
-      await this.initializeTables();
-    }
-
-    return this.tableExists(tableName);
-  }
-}
-
-// Database connection with Railway-compatible path handling
-const IS_RAILWAY = !!process.env.RAILWAY_ENVIRONMENT; // Only true on actual Railway
-const DB_DIR = IS_RAILWAY
-  ? (process.env.RAILWAY_VOLUME_MOUNT_PATH || '/app/data')
-  : path.join(__dirname, '../../../database');
-
-// Ensure database directory exists
-if (!fs.existsSync(DB_DIR)) {
-  fs.mkdirSync(DB_DIR, { recursive: true });
-  console.log(`📁 Created database directory: ${DB_DIR}`);
-}
-
-const gebizDbPath = path.join(DB_DIR, 'gebiz_intelligence.db');
-let gebizDb;
-let tableManager;
-
-// Initialize database connection
-try {
-  console.log(`🔌 Connecting to GeBIZ database: ${gebizDbPath}`);
-  gebizDb = new Database(gebizDbPath);
-  gebizDb.pragma('journal_mode = WAL');
-  gebizDb.pragma('foreign_keys = ON');
-
-  // Initialize table manager
-  tableManager = new GeBIZTableManager(gebizDb);
-
-  console.log('✅ GeBIZ Intelligence database connected');
-
-  // Initialize tables immediately for Railway
-  if (IS_RAILWAY) {
-    tableManager.initializeTables().catch(error => {
-      console.error('❌ Failed to initialize tables on startup:', error.message);
-    });
-  }
-
-} catch (error) {
-  console.error('❌ GeBIZ Intelligence database connection failed:', error.message);
-  console.error('   Database path:', gebizDbPath);
-
-  // For Railway, attempt to create database directory and retry
-  if (IS_RAILWAY) {
-    try {
-      console.log('🔄 Attempting Railway database recovery...');
-      if (!fs.existsSync(path.dirname(gebizDbPath))) {
-        fs.mkdirSync(path.dirname(gebizDbPath), { recursive: true });
-      }
-      gebizDb = new Database(gebizDbPath);
-      gebizDb.pragma('journal_mode = WAL');
-      tableManager = new GeBIZTableManager(gebizDb);
-      console.log('✅ Railway database recovery successful');
-    } catch (retryError) {
-      console.error('❌ Railway database recovery failed:', retryError.message);
-    }
-  }
-}
-
-/**
- * Middleware to ensure GeBIZ tables exist before any operation
- */
-async function ensureGeBIZTablesMiddleware(req, res, next) {
-  if (!gebizDb || !tableManager) {
-    return res.status(503).json({
-      success: false,
-      error: 'GeBIZ database not initialized',
-      message: 'Database connection failed. Please contact support.'
-    });
-  }
-
-  try {
-    const tablesReady = await tableManager.initializeTables();
-    if (!tablesReady) {
-      return res.status(503).json({
-        success: false,
-        error: 'Failed to initialize GeBIZ tables',
-        message: 'Database setup failed. Please contact support.'
-      });
-    }
-    next();
-  } catch (error) {
-    console.error('❌ Table initialization middleware error:', error.message);
-    return res.status(503).json({
-      success: false,
-      error: 'Database initialization error',
-      message: error.message
-    });
-  }
-}
+const { db, reader } = require('../../../db');
 
 // ========================================
 // DASHBOARD ENDPOINTS
@@ -292,29 +19,29 @@ async function ensureGeBIZTablesMiddleware(req, res, next) {
  * GET /api/v1/intelligence/dashboard
  * Get dashboard overview statistics from historical tenders
  */
-router.get('/dashboard', ensureGeBIZTablesMiddleware, (req, res) => {
+router.get('/dashboard', (req, res) => {
   try {
 
     const stats = {
       // Total historical tenders
-      total_tenders: gebizDb.prepare(`
+      total_tenders: reader.prepare(`
         SELECT COUNT(*) as count FROM gebiz_historical_tenders
       `).get().count,
 
       // Unique suppliers tracked
-      total_suppliers: gebizDb.prepare(`
+      total_suppliers: reader.prepare(`
         SELECT COUNT(DISTINCT supplier_name) as count
         FROM gebiz_historical_tenders
       `).get().count,
 
       // Total contract value
-      total_value: gebizDb.prepare(`
+      total_value: reader.prepare(`
         SELECT COALESCE(SUM(awarded_amount), 0) as sum
         FROM gebiz_historical_tenders
       `).get().sum,
 
       // Recent tenders (last 30 days)
-      recent_tenders: gebizDb.prepare(`
+      recent_tenders: reader.prepare(`
         SELECT COUNT(*) as count
         FROM gebiz_historical_tenders
         WHERE award_date >= date('now', '-30 days')
@@ -339,15 +66,15 @@ router.get('/dashboard', ensureGeBIZTablesMiddleware, (req, res) => {
  * GET /api/v1/intelligence/stats
  * Get database statistics
  */
-router.get('/stats', ensureGeBIZTablesMiddleware, (req, res) => {
+router.get('/stats', (req, res) => {
   try {
 
     const stats = {
-      tenders: gebizDb.prepare('SELECT COUNT(*) as count FROM gebiz_historical_tenders').get().count,
-      suppliers: gebizDb.prepare('SELECT COUNT(DISTINCT supplier_name) as count FROM gebiz_historical_tenders').get().count,
-      agencies: gebizDb.prepare('SELECT COUNT(DISTINCT agency) as count FROM gebiz_historical_tenders').get().count,
-      total_value: gebizDb.prepare('SELECT COALESCE(SUM(awarded_amount), 0) as sum FROM gebiz_historical_tenders').get().sum,
-      date_range: gebizDb.prepare('SELECT MIN(award_date) as min, MAX(award_date) as max FROM gebiz_historical_tenders').get()
+      tenders: reader.prepare('SELECT COUNT(*) as count FROM gebiz_historical_tenders').get().count,
+      suppliers: reader.prepare('SELECT COUNT(DISTINCT supplier_name) as count FROM gebiz_historical_tenders').get().count,
+      agencies: reader.prepare('SELECT COUNT(DISTINCT agency) as count FROM gebiz_historical_tenders').get().count,
+      total_value: reader.prepare('SELECT COALESCE(SUM(awarded_amount), 0) as sum FROM gebiz_historical_tenders').get().sum,
+      date_range: reader.prepare('SELECT MIN(award_date) as min, MAX(award_date) as max FROM gebiz_historical_tenders').get()
     };
 
     res.json({ success: true, stats });
@@ -366,7 +93,7 @@ router.get('/stats', ensureGeBIZTablesMiddleware, (req, res) => {
  * GET /api/v1/intelligence/competitors
  * Get top competitors list with period and category filters
  */
-router.get('/competitors', ensureGeBIZTablesMiddleware, (req, res) => {
+router.get('/competitors', (req, res) => {
   try {
 
     const { limit = 20, category, period = 6 } = req.query;
@@ -398,7 +125,7 @@ router.get('/competitors', ensureGeBIZTablesMiddleware, (req, res) => {
     `;
     params.push(parseInt(limit));
 
-    const competitors = gebizDb.prepare(query).all(...params);
+    const competitors = reader.prepare(query).all(...params);
 
     res.json({ success: true, competitors });
 
@@ -412,13 +139,13 @@ router.get('/competitors', ensureGeBIZTablesMiddleware, (req, res) => {
  * GET /api/v1/intelligence/competitors/:name
  * Get specific competitor details
  */
-router.get('/competitors/:name', ensureGeBIZTablesMiddleware, (req, res) => {
+router.get('/competitors/:name', (req, res) => {
   try {
 
     const { name } = req.params;
 
     // Get recent wins
-    const recent_wins = gebizDb.prepare(`
+    const recent_wins = reader.prepare(`
       SELECT * FROM gebiz_historical_tenders
       WHERE supplier_name = ?
       ORDER BY award_date DESC
@@ -426,7 +153,7 @@ router.get('/competitors/:name', ensureGeBIZTablesMiddleware, (req, res) => {
     `).all(name);
 
     // Get category breakdown
-    const categories = gebizDb.prepare(`
+    const categories = reader.prepare(`
       SELECT
         category,
         COUNT(*) as count,
@@ -460,7 +187,7 @@ router.get('/competitors/:name', ensureGeBIZTablesMiddleware, (req, res) => {
  * GET /api/v1/intelligence/tenders
  * Search historical tenders with comprehensive filters and pagination
  */
-router.get('/tenders', ensureGeBIZTablesMiddleware, (req, res) => {
+router.get('/tenders', (req, res) => {
   try {
 
     const {
@@ -524,13 +251,13 @@ router.get('/tenders', ensureGeBIZTablesMiddleware, (req, res) => {
 
     // Get total count
     const countQuery = query.replace('SELECT *', 'SELECT COUNT(*) as count');
-    const total = gebizDb.prepare(countQuery).get(...params).count;
+    const total = reader.prepare(countQuery).get(...params).count;
 
     // Get paginated results
     query += ` ORDER BY award_date DESC LIMIT ? OFFSET ?`;
     params.push(parseInt(limit), offset);
 
-    const tenders = gebizDb.prepare(query).all(...params);
+    const tenders = reader.prepare(query).all(...params);
 
     res.json({
       success: true,
@@ -557,10 +284,10 @@ router.get('/tenders', ensureGeBIZTablesMiddleware, (req, res) => {
  * GET /api/v1/intelligence/categories
  * Get list of all tender categories
  */
-router.get('/categories', ensureGeBIZTablesMiddleware, (req, res) => {
+router.get('/categories', (req, res) => {
   try {
 
-    const categories = gebizDb.prepare(`
+    const categories = reader.prepare(`
       SELECT DISTINCT category, COUNT(*) as count
       FROM gebiz_historical_tenders
       WHERE category IS NOT NULL
@@ -580,10 +307,10 @@ router.get('/categories', ensureGeBIZTablesMiddleware, (req, res) => {
  * GET /api/v1/intelligence/agencies
  * Get list of all agencies
  */
-router.get('/agencies', ensureGeBIZTablesMiddleware, (req, res) => {
+router.get('/agencies', (req, res) => {
   try {
 
-    const agencies = gebizDb.prepare(`
+    const agencies = reader.prepare(`
       SELECT DISTINCT agency, COUNT(*) as tender_count
       FROM gebiz_historical_tenders
       WHERE agency IS NOT NULL
@@ -600,7 +327,7 @@ router.get('/agencies', ensureGeBIZTablesMiddleware, (req, res) => {
 });
 
 // ========================================
-// RENEWALS ENDPOINTS (Main Database)
+// RENEWALS ENDPOINTS
 // ========================================
 
 /**
@@ -658,13 +385,13 @@ router.get('/renewals', (req, res) => {
 
     // Get total count
     const countQuery = query.replace('SELECT *', 'SELECT COUNT(*) as count');
-    const total = mainDb.prepare(countQuery).get(...params).count;
+    const total = db.prepare(countQuery).get(...params).count;
 
     // Get paginated results
     query += ` ORDER BY months_until_expiry ASC, renewal_probability DESC LIMIT ? OFFSET ?`;
     params.push(parseInt(limit), offset);
 
-    const renewals = mainDb.prepare(query).all(...params);
+    const renewals = db.prepare(query).all(...params);
 
     res.json({
       success: true,
@@ -691,7 +418,7 @@ router.get('/renewals/:id', (req, res) => {
   try {
     const { id } = req.params;
 
-    const renewal = mainDb.prepare(`
+    const renewal = db.prepare(`
       SELECT * FROM contract_renewals WHERE id = ?
     `).get(id);
 
@@ -719,7 +446,7 @@ router.post('/renewals/:id/watch', (req, res) => {
     const { id } = req.params;
 
     // Get the renewal from contract_renewals
-    const renewal = mainDb.prepare(`
+    const renewal = db.prepare(`
       SELECT * FROM contract_renewals WHERE id = ?
     `).get(id);
 
@@ -742,7 +469,7 @@ router.post('/renewals/:id/watch', (req, res) => {
     const tenderId = uuidv4();
     const now = new Date().toISOString();
 
-    mainDb.prepare(`
+    db.prepare(`
       INSERT INTO bpo_tender_lifecycle (
         id,
         tender_no,
@@ -771,7 +498,7 @@ router.post('/renewals/:id/watch', (req, res) => {
     );
 
     // Update the renewal's engagement_status to 'watching'
-    mainDb.prepare(`
+    db.prepare(`
       UPDATE contract_renewals
       SET engagement_status = 'watching',
           updated_at = ?
@@ -779,7 +506,7 @@ router.post('/renewals/:id/watch', (req, res) => {
     `).run(now, id);
 
     // Get the created tender
-    const newTender = mainDb.prepare(`
+    const newTender = db.prepare(`
       SELECT * FROM bpo_tender_lifecycle WHERE id = ?
     `).get(tenderId);
 
@@ -804,7 +531,7 @@ router.post('/renewals/:id/watch', (req, res) => {
  * POST /api/v1/intelligence/sync
  * Trigger Data.gov.sg historical sync
  */
-router.post('/sync', ensureGeBIZTablesMiddleware, async (req, res) => {
+router.post('/sync', async (req, res) => {
   try {
     // Check if sync service is available
     const syncServicePath = path.join(__dirname, '../../../services/gebiz-scraping/historical-sync.js');
@@ -838,42 +565,24 @@ router.post('/sync', ensureGeBIZTablesMiddleware, async (req, res) => {
  */
 router.get('/health', (req, res) => {
   try {
-    const health = {
-      database_connected: !!gebizDb,
-      main_database_connected: !!mainDb,
-      database_path: gebizDbPath,
-      environment: IS_RAILWAY ? 'Railway' : 'Local',
-      table_status: {}
-    };
-
-    if (gebizDb && tableManager) {
-      // Check each critical table
-      const criticalTables = [
-        'gebiz_historical_tenders',
-        'gebiz_active_tenders',
-        'scraping_config'
-      ];
-
-      criticalTables.forEach(tableName => {
-        health.table_status[tableName] = tableManager.tableExists(tableName);
-      });
-
-      health.all_tables_ready = Object.values(health.table_status).every(status => status === true);
-      health.manager_initialized = tableManager.initialized;
-    }
+    const requiredTables = [
+      'gebiz_historical_tenders',
+      'gebiz_active_tenders',
+      'scraping_config',
+      'contract_renewals',
+      'bpo_tender_lifecycle'
+    ];
+    const existing = new Set(
+      reader.prepare("SELECT name FROM sqlite_master WHERE type='table'").all().map(t => t.name)
+    );
 
-    // Check main database tables
-    try {
-      const mainTables = mainDb.prepare(`
-        SELECT name FROM sqlite_master WHERE type='table' AND name IN ('contract_renewals', 'bpo_tender_lifecycle')
-      `).all();
-      health.main_db_tables = mainTables.map(t => t.name);
-    } catch (error) {
-      health.main_db_error = error.message;
-    }
+    const health = { table_status: {} };
+    requiredTables.forEach(tableName => {
+      health.table_status[tableName] = existing.has(tableName);
+    });
+    health.all_tables_ready = Object.values(health.table_status).every(Boolean);
 
-    const statusCode = health.database_connected && health.main_database_connected && health.all_tables_ready ? 200 : 503;
-    res.status(statusCode).json({ success: health.all_tables_ready && health.main_database_connected, health });
+    res.status(health.all_tables_ready ? 200 : 503).json({ success: health.all_tables_ready, health });
 
   } catch (error) {
     console.error('Health check error:', error);
@@ -893,12 +602,12 @@ router.get('/health', (req, res) => {
  * GET /api/v1/intelligence/market-report
  * Aggregate market intelligence data
  */
-router.get('/market-report', ensureGeBIZTablesMiddleware, (req, res) => {
+router.get('/market-report', (req, res) => {
   try {
     const { period = 12 } = req.query;
 
     // Top agencies by spend
-    const top_agencies = gebizDb.prepare(`
+    const top_agencies = reader.prepare(`
       SELECT
         agency,
         COUNT(*) as tender_count,
@@ -913,7 +622,7 @@ router.get('/market-report', ensureGeBIZTablesMiddleware, (req, res) => {
     `).all(period);
 
     // Top categories
-    const top_categories = gebizDb.prepare(`
+    const top_categories = reader.prepare(`
       SELECT
         category,
         COUNT(*) as tender_count,
@@ -928,7 +637,7 @@ router.get('/market-report', ensureGeBIZTablesMiddleware, (req, res) => {
     `).all(period);
 
     // Monthly trends
-    const monthly_trends = gebizDb.prepare(`
+    const monthly_trends = reader.prepare(`
       SELECT
         strftime('%Y-%m', award_date) as month,
         COUNT(*) as tender_count,
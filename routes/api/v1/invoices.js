@@ -0,0 +1,103 @@
+/**
+ * Invoices API
+ * Client invoices generated from completed deployments, receivables ageing
+ * and PDF export. Admin only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const invoicing = require('../../../services/invoicing');
+const { authorizeArea } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+router.use(authorizeArea('finance'));
+
+// List invoices with filters
+router.get('/', (req, res) => {
+  try {
+    const { client_id, status, from_date, to_date } = req.query;
+    const data = invoicing.list({ client_id, status, from_date, to_date });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Receivables ageing (optionally for one client)
+router.get('/ageing', (req, res) => {
+  try {
+    const data = invoicing.getAgeing({ clientId: req.query.client_id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Generate draft invoice(s) for a billing period - one client, or every client when client_id is omitted
+router.post('/generate', (req, res) => {
+  try {
+    const { client_id, period_start, period_end, notes } = req.body;
+    const createdBy = req.user.email || req.user.id;
+
+    if (client_id) {
+      const invoice = invoicing.generate({ clientId: client_id, periodStart: period_start, periodEnd: period_end, createdBy, notes });
+      return res.status(201).json({ success: true, data: [invoice] });
+    }
+
+    const invoices = invoicing.generateForPeriod({ periodStart: period_start, periodEnd: period_end, createdBy });
+    res.status(201).json({ success: true, data: invoices, message: `${invoices.length} invoice(s) generated` });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get single invoice with line items
+router.get('/:id', (req, res) => {
+  try {
+    const invoice = invoicing.getDetails(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+    res.json({ success: true, data: invoice });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Download invoice as PDF
+router.get('/:id/pdf', (req, res) => {
+  try {
+    const { filename, buffer } = invoicing.renderPdf(req.params.id);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Change status (draft → sent → paid / overdue)
+router.patch('/:id/status', (req, res) => {
+  try {
+    const { status, payment_reference } = req.body;
+    const invoice = invoicing.updateStatus(req.params.id, status, { paymentReference: payment_reference });
+    res.json({ success: true, data: invoice });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a draft invoice (its deployments become billable again)
+router.delete('/:id', (req, res) => {
+  try {
+    invoicing.remove(req.params.id);
+    res.json({ success: true, message: 'Invoice deleted' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+/**
+ * Job Series API
+ * Recurring rosters that generate jobs ahead of time, their one-off
+ * exceptions and bulk cancellation, and the public holiday calendar they
+ * skip.
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobSeries = require('../../../services/job-series');
+const { authorizeArea } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+router.use(authorizeArea('jobs'));
+
+// List series (?status=active|paused|ended&client_id=&tender_id=&renewal_id=)
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, data: jobSeries.listSeries(req.query) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create a series and generate its first occurrences
+router.post('/', (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: jobSeries.createSeries(req.body, req.user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Won tenders and contract renewals a series can be attached to
+router.get('/contracts', (req, res) => {
+  try {
+    res.json({ success: true, data: jobSeries.listContracts() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// PUBLIC HOLIDAYS
+// ============================================================================
+
+router.get('/holidays', (req, res) => {
+  try {
+    res.json({ success: true, data: jobSeries.listHolidays(req.query) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/holidays', (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: jobSeries.addHoliday(req.body) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/holidays/:date', (req, res) => {
+  try {
+    jobSeries.removeHoliday(req.params.date);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// SINGLE SERIES
+// ============================================================================
+
+// Series with its occurrences and exceptions
+router.get('/:id', (req, res) => {
+  try {
+    res.json({ success: true, data: jobSeries.getSeries(req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Edit the whole series, or pause / resume it
+router.patch('/:id', (req, res) => {
+  try {
+    res.json({ success: true, data: jobSeries.updateSeries(req.params.id, req.body, req.user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Generate missing occurrences now instead of waiting for the nightly run
+router.post('/:id/generate', (req, res) => {
+  try {
+    const created = jobSeries.generateSeries(req.params.id);
+    res.json({ success: true, data: { jobs_created: created.length, jobs: created } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Skip a date, or work one outside the pattern
+router.post('/:id/exceptions', (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: jobSeries.addException(req.params.id, req.body, req.user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:id/exceptions/:exceptionId', (req, res) => {
+  try {
+    res.json({ success: true, data: jobSeries.removeException(req.params.id, req.params.exceptionId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancel shifts from a date, for a range or for the rest of the series
+router.post('/:id/cancel', (req, res) => {
+  try {
+    res.json({ success: true, data: jobSeries.cancelOccurrences(req.params.id, req.body, req.user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const { db } = require('../../../db');
 const { createValidationMiddleware } = require('../../../middleware/database-validation');
 const { createInputValidationMiddleware } = require('../../../middleware/input-validation');
+const geo = require('../../../services/geo');
+const clientPortal = require('../../../services/client-portal');
+const { authorizeArea } = require('../../../middleware/auth');
 
 // Lazy-load telegram posting to avoid circular dependencies
 let telegramPostingService = null;
@@ -112,9 +115,34 @@ router.get('/', (req, res) => {
     // Auto-complete jobs that are past their end time
     autoCompleteExpiredJobs();
 
-    const { status, client_id, featured, page = 1, limit = 20 } = req.query;
+    const { status, client_id, featured, page = 1, limit = 20, lat, lng, radius_km } = req.query;
     const offset = (page - 1) * limit;
 
+    // Jobs near a point (worker's home or device location), nearest first
+    if (lat !== undefined && lng !== undefined) {
+      const nearby = geo.findJobsNear({
+        lat: parseFloat(lat),
+        lng: parseFloat(lng),
+        radiusKm: radius_km ? parseFloat(radius_km) : undefined,
+        status: status || 'open',
+      });
+      const pageJobs = nearby.slice(offset, offset + parseInt(limit));
+
+      return res.json({
+        success: true,
+        data: pageJobs.map(j => ({
+          ...j,
+          required_certifications: JSON.parse(j.required_certifications || '[]'),
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: nearby.length,
+          totalPages: Math.ceil(nearby.length / limit),
+        },
+      });
+    }
+
     let query = `
       SELECT j.*, c.company_name as client_name 
       FROM jobs j 
@@ -159,7 +187,26 @@ router.get('/', (req, res) => {
       },
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Shift requests from the client portal (?status=pending_approval|rejected)
+router.get('/requests', authorizeArea('jobs'), (req, res) => {
+  try {
+    res.json({ success: true, data: clientPortal.listJobRequests({ status: req.query.status }) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+  }
+});
+
+// Approve a shift request with its rates, or reject it with a reason
+router.post('/:id/review', authorizeArea('jobs'), (req, res) => {
+  try {
+    const job = clientPortal.reviewJobRequest(req.params.id, req.body, req.user.email || req.user.id);
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
   }
 });
 
@@ -229,6 +276,8 @@ router.post('/',
       xp_bonus || 0, featured ? 1 : 0, urgent ? 1 : 0
     );
 
+    if (location) geo.geocodeJob(id);
+
     const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
 
     // Auto-post to Telegram if enabled (optional feature)
@@ -285,15 +334,23 @@ router.put('/:id', (req, res) => {
       }
     }
 
+    // A roster occurrence edited on its own no longer follows series edits
+    const current = db.prepare('SELECT series_id FROM jobs WHERE id = ?').get(req.params.id);
+    const detailFields = allowedFields.filter(f => !['xp_bonus', 'featured', 'status'].includes(f));
+    if (current?.series_id && detailFields.some(f => req.body[f] !== undefined)) {
+      updates.push('series_detached = 1');
+    }
+
     updates.push('updated_at = CURRENT_TIMESTAMP');
     values.push(req.params.id);
 
-    console.log('🔧 SQL Update:', { 
+    console.log('🔧 SQL Update:', {
       sql: `UPDATE jobs SET ${updates.join(', ')} WHERE id = ?`,
       values: values
     });
 
     db.prepare(`UPDATE jobs SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+    if (req.body.location !== undefined) geo.geocodeJob(req.params.id);
     
     const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(req.params.id);
     console.log('✅ Job updated successfully:', job);
@@ -13,9 +13,9 @@ const {
   getProviderStatus,
   testAllProviders,
   cleanupUsageLogs,
-  PROVIDERS,
   API_COSTS,
 } = require('../../../utils/claude');
+const llm = require('../../../services/llm');
 
 // ============================================
 // CONFIGURATION & STATUS ENDPOINTS
@@ -71,7 +71,7 @@ router.post('/test/:provider', async (req, res) => {
   try {
     const { provider } = req.params;
 
-    if (!PROVIDERS[provider]) {
+    if (!llm.get(provider)) {
       return res.status(400).json({
         success: false,
         error: `Unknown provider: ${provider}`,
@@ -132,22 +132,15 @@ router.get('/stats', (req, res) => {
  */
 router.get('/cost-breakdown', (req, res) => {
   try {
-    // This would require categorizing LLM calls by feature
-    // For now, return the basic stats
-    const stats = getLLMStats(30);
+    const days = parseInt(req.query.days) || 30;
+    const stats = getLLMStats(days);
 
     res.json({
       success: true,
       data: {
         totalCost: stats.totals.cost,
-        breakdown: {
-          chatAssistant: stats.totals.cost * 0.4, // Estimated
-          tenderAnalysis: stats.totals.cost * 0.2,
-          candidateMatching: stats.totals.cost * 0.2,
-          jobPostings: stats.totals.cost * 0.1,
-          outreachMessages: stats.totals.cost * 0.1,
-        },
-        note: 'Breakdown is estimated. Implement call categorization for accurate tracking.',
+        breakdown: Object.fromEntries(stats.byFeature.map(row => [row.feature, row.cost])),
+        features: stats.byFeature,
       }
     });
   } catch (error) {
@@ -158,6 +151,42 @@ router.get('/cost-breakdown', (req, res) => {
   }
 });
 
+/**
+ * Get the provider route for every feature
+ */
+router.get('/routes', (req, res) => {
+  try {
+    const routes = Object.keys(llm.FEATURE_ROUTES).map(feature => llm.routeFor(feature));
+
+    res.json({
+      success: true,
+      data: routes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get today's spend against the budget caps
+ */
+router.get('/budget', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: llm.budgets(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // ============================================
 // MAINTENANCE ENDPOINTS
 // ============================================
@@ -206,6 +235,19 @@ router.get('/env-check', (req, res) => {
         length: process.env.GOOGLE_API_KEY?.length || 0,
         prefix: process.env.GOOGLE_API_KEY?.substring(0, 10) + '...' || 'not set',
       },
+      OPENAI_API_KEY: {
+        configured: !!process.env.OPENAI_API_KEY,
+        length: process.env.OPENAI_API_KEY?.length || 0,
+        prefix: process.env.OPENAI_API_KEY?.substring(0, 10) + '...' || 'not set',
+      },
+      OLLAMA_BASE_URL: {
+        configured: !!process.env.OLLAMA_BASE_URL,
+        value: process.env.OLLAMA_BASE_URL || 'not set',
+      },
+      LLM_MOCK: {
+        configured: !!process.env.LLM_MOCK,
+        value: process.env.LLM_MOCK || 'not set',
+      },
     };
 
     res.json({
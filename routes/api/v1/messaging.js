@@ -160,26 +160,43 @@ router.delete('/telegram/:candidateId', (req, res) => {
   }
 });
 
+/**
+ * Record a candidate's WhatsApp opt-in or opt-out
+ * PATCH /api/v1/messaging/whatsapp/:candidateId
+ */
+router.patch('/whatsapp/:candidateId', (req, res) => {
+  try {
+    const { candidateId } = req.params;
+    const { optedIn } = req.body;
+
+    if (typeof optedIn !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'optedIn must be true or false',
+      });
+    }
+
+    const updated = messaging.setWhatsAppOptIn(candidateId, optedIn);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Candidate not found',
+      });
+    }
+
+    res.json({ success: true, data: messaging.getCandidateChannels(candidateId) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Get Telegram groups for job posting
  * GET /api/v1/messaging/telegram/groups
  */
 router.get('/telegram/groups', (req, res) => {
   try {
-    // Ensure table exists
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS telegram_groups (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        chat_id TEXT NOT NULL UNIQUE,
-        name TEXT,
-        description TEXT,
-        member_count INTEGER,
-        active INTEGER DEFAULT 1,
-        auto_post_jobs INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
     const groups = db.prepare(`
       SELECT * FROM telegram_groups WHERE active = 1 ORDER BY name
     `).all();
@@ -205,20 +222,6 @@ router.post('/telegram/groups', (req, res) => {
       });
     }
 
-    // Ensure table exists
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS telegram_groups (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        chat_id TEXT NOT NULL UNIQUE,
-        name TEXT,
-        description TEXT,
-        member_count INTEGER,
-        active INTEGER DEFAULT 1,
-        auto_post_jobs INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
     db.prepare(`
       INSERT INTO telegram_groups (chat_id, name, description, auto_post_jobs)
       VALUES (?, ?, ?, ?)
@@ -417,4 +417,110 @@ router.post('/training-data/import', (req, res) => {
   }
 });
 
+// =====================================================
+// RETRIEVAL
+// =====================================================
+
+/**
+ * GET /api/v1/ml/retrieval/status
+ * Embedding backend and vector index state
+ */
+router.get('/retrieval/status', async (req, res) => {
+  try {
+    await ml.retrieval.refresh();
+    res.json({ success: true, data: ml.retrieval.status() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/ml/retrieval/search
+ * Rank knowledge-base entries for a query, with lexical and vector scores
+ */
+router.post('/retrieval/search', async (req, res) => {
+  try {
+    const { query, k = 5, mode = 'hybrid' } = req.body;
+
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'Query is required' });
+    }
+    if (!ml.retrieval.MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: `Mode must be one of: ${ml.retrieval.MODES.join(', ')}` });
+    }
+
+    const hits = await ml.retrieval.search(query, { k: Math.min(parseInt(k) || 5, 20), mode });
+
+    res.json({ success: true, data: hits });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/ml/retrieval/rebuild
+ * Re-embed every entry into a fresh vector index
+ */
+router.post('/retrieval/rebuild', async (req, res) => {
+  try {
+    const result = await ml.retrieval.rebuild();
+
+    res.json({ success: true, data: { sync: result, status: ml.retrieval.status() } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/ml/retrieval/evaluate
+ * Run an evaluation over approved answers (or the given cases) and keep the report
+ */
+router.post('/retrieval/evaluate', async (req, res) => {
+  try {
+    const { k = 5, cases } = req.body;
+
+    const report = await ml.retrieval.runEvaluation({
+      cases: Array.isArray(cases) ? cases : null,
+      k: Math.min(parseInt(k) || 5, 20),
+      createdBy: req.user?.email || req.user?.id || null,
+    });
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/ml/retrieval/evaluations
+ * Past evaluation runs
+ */
+router.get('/retrieval/evaluations', (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    res.json({ success: true, data: ml.retrieval.getEvaluations(parseInt(limit)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/ml/retrieval/evaluations/:id
+ * One evaluation with its per-query report
+ */
+router.get('/retrieval/evaluations/:id', (req, res) => {
+  try {
+    const evaluation = ml.retrieval.getEvaluation(parseInt(req.params.id));
+
+    if (!evaluation) {
+      return res.status(404).json({ success: false, error: 'Evaluation not found' });
+    }
+
+    res.json({ success: true, data: evaluation });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../../../db');
-const { authenticateAdmin, authenticateAdminOrOwner } = require('../../../middleware/auth');
+const { authorizeArea } = require('../../../middleware/auth');
 const { createValidationMiddleware } = require('../../../middleware/database-validation');
 
 // Get all payments with filters - Admin only
-router.get('/', authenticateAdmin, (req, res) => {
+router.get('/', authorizeArea('finance'), (req, res) => {
   try {
     const { status, candidate_id, from_date, to_date } = req.query;
     
@@ -54,7 +54,7 @@ router.get('/', authenticateAdmin, (req, res) => {
 });
 
 // Get payment stats - Admin only
-router.get('/stats', authenticateAdmin, (req, res) => {
+router.get('/stats', authorizeArea('finance'), (req, res) => {
   try {
     const stats = {
       total: db.prepare('SELECT COALESCE(SUM(total_amount), 0) as amount FROM payments').get().amount,
@@ -72,7 +72,7 @@ router.get('/stats', authenticateAdmin, (req, res) => {
 });
 
 // Update payment status
-router.patch('/:id', authenticateAdmin, createValidationMiddleware('payment'), (req, res) => {
+router.patch('/:id', authorizeArea('finance'), createValidationMiddleware('payment'), (req, res) => {
   try {
     const { status, transaction_id, payment_proof, notes } = req.body;
     const payment = db.prepare('SELECT * FROM payments WHERE id = ?').get(req.params.id);
@@ -116,7 +116,7 @@ router.patch('/:id', authenticateAdmin, createValidationMiddleware('payment'), (
 });
 
 // Batch approve payments
-router.post('/batch-approve', (req, res) => {
+router.post('/batch-approve', authorizeArea('finance'), (req, res) => {
   try {
     const { payment_ids } = req.body;
     
@@ -135,7 +135,7 @@ router.post('/batch-approve', (req, res) => {
 });
 
 // Batch mark as paid
-router.post('/batch-paid', (req, res) => {
+router.post('/batch-paid', authorizeArea('finance'), (req, res) => {
   try {
     const { payment_ids, transaction_id } = req.body;
     
@@ -0,0 +1,105 @@
+/**
+ * Payouts API
+ * Bank bulk-payment (GIRO/FAST) batches for approved payments and
+ * reconciliation from the bank's result file. Admin only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const payouts = require('../../../services/payouts');
+const { authorizeArea } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+router.use(authorizeArea('finance'));
+
+// Available bank file formats
+router.get('/formats', (req, res) => {
+  res.json({ success: true, data: payouts.listFormats() });
+});
+
+// Preview what the next batch would contain, grouped by bank
+router.get('/preview', (req, res) => {
+  try {
+    const data = payouts.preview({ scope: req.query.scope || 'approved' });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List batches
+router.get('/batches', (req, res) => {
+  try {
+    const data = payouts.list({ status: req.query.status });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create a batch and its bank file
+router.post('/batches', (req, res) => {
+  try {
+    const { format, value_date, scope } = req.body;
+    const batch = payouts.createBatch({
+      format,
+      valueDate: value_date,
+      scope,
+      createdBy: req.user.email || req.user.id
+    });
+    res.status(201).json({ success: true, data: batch });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get batch with transfers
+router.get('/batches/:id', (req, res) => {
+  try {
+    const batch = payouts.getDetails(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Payout batch not found' });
+    }
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Download the bank file
+router.get('/batches/:id/file', (req, res) => {
+  try {
+    const { fileName, contentType, content } = payouts.getFile(req.params.id);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+    res.send(content);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Import the bank's result file (sent as text) to mark payments paid or failed
+router.post('/batches/:id/results', (req, res) => {
+  try {
+    const { content, file_name } = req.body;
+    const summary = payouts.importResult(req.params.id, content, file_name);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancel a batch that was not sent to the bank
+router.post('/batches/:id/cancel', (req, res) => {
+  try {
+    const batch = payouts.cancelBatch(req.params.id);
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
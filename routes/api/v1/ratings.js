@@ -0,0 +1,90 @@
+/**
+ * Worker Ratings API
+ * Workers see the rating a client gave them, rate the job site and dispute
+ * unfair ratings; admins review rating history and moderate disputes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ratings = require('../../../services/ratings');
+const { authenticateCandidate, authorizeArea } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+// ============================================================================
+// WORKER ENDPOINTS
+// ============================================================================
+
+// Client rating, dispute and site rating for one of the worker's shifts
+router.get('/deployments/:id', authenticateCandidate, (req, res) => {
+  try {
+    res.json({ success: true, data: ratings.getWorkerView(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Rate the job site after the shift
+router.post('/deployments/:id/site', authenticateCandidate, (req, res) => {
+  try {
+    const data = ratings.rateSite(req.user.id, req.params.id, req.body);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Dispute the client's rating
+router.post('/deployments/:id/dispute', authenticateCandidate, (req, res) => {
+  try {
+    const data = ratings.disputeRating(req.user.id, req.params.id, req.body.reason);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+// Rating history, monthly trend and disputes for a worker
+router.get('/candidates/:id', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({ success: true, data: ratings.getCandidateRatings(req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Dispute queue (?status=open|upheld|removed|all)
+router.get('/disputes', authorizeArea('candidates'), (req, res) => {
+  try {
+    res.json({ success: true, data: ratings.listDisputes({ status: req.query.status }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Uphold or remove a disputed rating
+router.post('/disputes/:id/resolve', authorizeArea('candidates'), (req, res) => {
+  try {
+    const data = ratings.resolveDispute(req.params.id, req.body, req.user);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Workers' ratings of job sites (?client_id=)
+router.get('/sites', authorizeArea('jobs'), (req, res) => {
+  try {
+    res.json({ success: true, data: ratings.listSiteRatings({ client_id: req.query.client_id }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
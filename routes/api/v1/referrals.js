@@ -6,6 +6,8 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../../../db');
 const { validate, schemas } = require('../../../middleware/validation');
+const { authenticateAdmin } = require('../../../middleware/auth');
+const questEngine = require('../../../services/quest-engine');
 
 // Random default avatar generator
 function generateRandomAvatar(name) {
@@ -188,9 +190,9 @@ router.post('/register', validate(schemas.referralRegistration), (req, res) => {
 });
 
 // Process referral bonus (called when referred candidate completes a job)
-router.post('/process-bonus', (req, res) => {
+router.post('/process-bonus', authenticateAdmin, (req, res) => {
   try {
-    const { candidate_id, job_id } = req.body;
+    const { candidate_id } = req.body;
 
     // Find if this candidate was referred
     const referral = db.prepare(`
@@ -204,8 +206,13 @@ router.post('/process-bonus', (req, res) => {
       return res.json({ success: true, message: 'No referral to process' });
     }
 
-    // Update jobs completed count
-    const newJobCount = referral.jobs_completed_by_referred + 1;
+    // Counted from completed deployments, so processing the same job twice changes nothing
+    const newJobCount = db.prepare(`
+      SELECT COUNT(*) as count FROM deployments WHERE candidate_id = ? AND status = 'completed'
+    `).get(candidate_id).count;
+    if (newJobCount <= referral.jobs_completed_by_referred) {
+      return res.json({ success: true, message: 'No new completed jobs' });
+    }
     db.prepare('UPDATE referrals SET jobs_completed_by_referred = ? WHERE id = ?').run(newJobCount, referral.id);
 
     // Check tier progression
@@ -222,9 +229,12 @@ router.post('/process-bonus', (req, res) => {
     }
 
     // First job bonus (tier 1)
-    if (newJobCount === 1 && referral.status === 'registered') {
+    const converted = db.prepare(`
+      UPDATE referrals SET status = 'bonus_paid' WHERE id = ? AND status = 'registered'
+    `).run(referral.id).changes > 0;
+    if (converted) {
       bonusToAward = referral.bonus_amount;
-      db.prepare('UPDATE referrals SET status = ? WHERE id = ?').run('bonus_paid', referral.id);
+      questEngine.emit('referral_converted', referral.referrer_id, { sourceId: referral.id });
     }
 
     if (bonusToAward > 0) {
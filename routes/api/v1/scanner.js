@@ -10,6 +10,8 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../../../db');
+const portalRunner = require('../../../services/scraping/portals/runner');
+const { hasAdapter } = require('../../../services/scraping/portals');
 
 // Optional scraping service (may not be available in all environments)
 let scrapingService;
@@ -591,23 +593,11 @@ router.get('/scraper/logs', async (req, res) => {
 
 /**
  * GET /api/v1/scanner/portals
- * List all scraping portals with their status
+ * List all scraping portals with their status, health and last run
  */
 router.get('/portals', (req, res) => {
   try {
-    const portals = db.prepare(`
-      SELECT * FROM scraping_portals
-      ORDER BY
-        CASE type
-          WHEN 'government' THEN 1
-          WHEN 'aggregator' THEN 2
-          WHEN 'hospitality' THEN 3
-          ELSE 4
-        END,
-        name ASC
-    `).all();
-
-    res.json({ success: true, data: portals });
+    res.json({ success: true, data: portalRunner.listPortals() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -615,7 +605,7 @@ router.get('/portals', (req, res) => {
 
 /**
  * PATCH /api/v1/scanner/portals/:key
- * Toggle portal enabled/disabled (only if scraper_available)
+ * Toggle portal enabled/disabled (only if a scraper adapter exists)
  */
 router.patch('/portals/:key', (req, res) => {
   try {
@@ -632,7 +622,7 @@ router.patch('/portals/:key', (req, res) => {
     }
 
     // Only allow enabling if scraper is available
-    if (enabled && !portal.scraper_available) {
+    if (enabled && !hasAdapter(key)) {
       return res.status(400).json({
         success: false,
         error: 'Cannot enable portal: scraper not yet available (Coming Soon)'
@@ -645,13 +635,56 @@ router.patch('/portals/:key', (req, res) => {
       WHERE portal_key = ?
     `).run(enabled ? 1 : 0, key);
 
-    const updated = db.prepare('SELECT * FROM scraping_portals WHERE portal_key = ?').get(key);
+    const updated = portalRunner.listPortals().find(p => p.portal_key === key);
     res.json({ success: true, data: updated });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * GET /api/v1/scanner/portals/:key/runs
+ * Run history for a portal, newest first (?limit=20)
+ */
+router.get('/portals/:key/runs', (req, res) => {
+  try {
+    res.json({ success: true, data: portalRunner.listRuns(req.params.key, req.query.limit) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/scanner/portals/:key/run
+ * Scrape one enabled portal now
+ */
+router.post('/portals/:key/run', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const portal = db.prepare('SELECT * FROM scraping_portals WHERE portal_key = ?').get(key);
+    if (!portal) {
+      return res.status(404).json({ success: false, error: 'Portal not found' });
+    }
+    if (!hasAdapter(key)) {
+      return res.status(400).json({ success: false, error: 'No scraper available for this portal yet' });
+    }
+    if (!portal.enabled) {
+      return res.status(400).json({ success: false, error: 'Enable the portal before running it' });
+    }
+
+    // GeBIZ runs through its orchestrator so alerts and report emails still go out
+    if (key === 'gebiz' && scrapingService) {
+      await scrapingService.manualScrape({ manual: true });
+    } else {
+      await portalRunner.runPortal(key, { trigger: 'manual' });
+    }
+
+    res.json({ success: true, data: portalRunner.listRuns(key, 1)[0] || null });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================================================
 // SETTINGS ENDPOINTS (scanner_settings table)
 // ============================================================================
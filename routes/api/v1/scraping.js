@@ -6,22 +6,17 @@
 
 const express = require('express');
 const router = express.Router();
-const Database = require('better-sqlite3');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { db, reader } = require('../../../db');
 
 // Import scraping services
 const dataGovSGClient = require('../../../services/gebiz-scraping/datagovsg-client');
 
-const DB_PATH = path.join(__dirname, '../../../database/gebiz_intelligence.db');
-
 // ============================================================================
 // POST /api/v1/scraping/run - Manual trigger RSS scraping
 // ============================================================================
 router.post('/run', async (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
     const {
       source = 'datagovsg',
       keywords = ['manpower', 'services', 'BPO', 'administrative'],
@@ -45,8 +40,6 @@ router.post('/run', async (req, res) => {
       max_results
     );
 
-    db.close();
-
     // Start scraping in background
     res.status(202).json({
       success: true,
@@ -59,7 +52,6 @@ router.post('/run', async (req, res) => {
 
     // Run scraping asynchronously
     (async () => {
-      const db = new Database(DB_PATH);
       let scraped = 0;
       let inserted = 0;
       let errors = 0;
@@ -151,8 +143,6 @@ router.post('/run', async (req, res) => {
           WHERE id = ?
         `).run(error.message, scraped, inserted, errors, sessionId);
       }
-
-      db.close();
     })();
 
   } catch (error) {
@@ -166,30 +156,26 @@ router.post('/run', async (req, res) => {
 // ============================================================================
 router.get('/status', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-
     const { session_id, limit = 10 } = req.query;
 
     if (session_id) {
       // Get specific session
-      const session = db.prepare(`
+      const session = reader.prepare(`
         SELECT * FROM scraping_sessions WHERE id = ?
       `).get(session_id);
 
       if (!session) {
-        db.close();
         return res.status(404).json({ success: false, error: 'Session not found' });
       }
 
       // Parse JSON fields
       if (session.keywords) session.keywords = JSON.parse(session.keywords);
 
-      db.close();
       return res.json({ success: true, data: session });
     }
 
     // Get recent sessions
-    const sessions = db.prepare(`
+    const sessions = reader.prepare(`
       SELECT * FROM scraping_sessions
       ORDER BY started_at DESC
       LIMIT ?
@@ -201,7 +187,7 @@ router.get('/status', (req, res) => {
     });
 
     // Get overall stats
-    const stats = db.prepare(`
+    const stats = reader.prepare(`
       SELECT
         COUNT(*) as total_sessions,
         SUM(CASE WHEN status = 'running' THEN 1 ELSE 0 END) as running_sessions,
@@ -214,7 +200,7 @@ router.get('/status', (req, res) => {
     `).get();
 
     // Get current running session if any
-    const runningSession = db.prepare(`
+    const runningSession = reader.prepare(`
       SELECT id, started_at, records_scraped, records_inserted
       FROM scraping_sessions
       WHERE status = 'running'
@@ -222,8 +208,6 @@ router.get('/status', (req, res) => {
       LIMIT 1
     `).get();
 
-    db.close();
-
     res.json({
       success: true,
       data: {
@@ -244,8 +228,6 @@ router.get('/status', (req, res) => {
 // ============================================================================
 router.get('/sessions', (req, res) => {
   try {
-    const db = new Database(DB_PATH, { readonly: true });
-
     const {
       status,
       source,
@@ -281,7 +263,7 @@ router.get('/sessions', (req, res) => {
     query += ' ORDER BY started_at DESC LIMIT ? OFFSET ?';
     params.push(parseInt(limit), parseInt(offset));
 
-    const sessions = db.prepare(query).all(...params);
+    const sessions = reader.prepare(query).all(...params);
 
     // Parse JSON fields
     sessions.forEach(session => {
@@ -312,9 +294,7 @@ router.get('/sessions', (req, res) => {
       countParams.push(date_to);
     }
 
-    const { total } = db.prepare(countQuery).get(...countParams);
-
-    db.close();
+    const { total } = reader.prepare(countQuery).get(...countParams);
 
     res.json({
       success: true,
@@ -336,18 +316,14 @@ router.get('/sessions', (req, res) => {
 // ============================================================================
 router.delete('/sessions/:id', (req, res) => {
   try {
-    const db = new Database(DB_PATH);
-
     // Check if session is running
     const session = db.prepare('SELECT status FROM scraping_sessions WHERE id = ?').get(req.params.id);
 
     if (!session) {
-      db.close();
       return res.status(404).json({ success: false, error: 'Session not found' });
     }
 
     if (session.status === 'running') {
-      db.close();
       return res.status(400).json({
         success: false,
         error: 'Cannot delete running session'
@@ -356,8 +332,6 @@ router.delete('/sessions/:id', (req, res) => {
 
     const result = db.prepare('DELETE FROM scraping_sessions WHERE id = ?').run(req.params.id);
 
-    db.close();
-
     if (result.changes === 0) {
       return res.status(404).json({ success: false, error: 'Session not found' });
     }
@@ -0,0 +1,89 @@
+/**
+ * Shift Changes API
+ * Workers swap a shift with a colleague or release it back to the market;
+ * admins approve changes for clients that require it.
+ */
+
+const express = require('express');
+const router = express.Router();
+const shiftChanges = require('../../../services/shift-changes');
+const { authenticateCandidate, authorizeArea } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+// ============================================================================
+// WORKER ENDPOINTS
+// ============================================================================
+
+// Requests the worker made and swaps waiting for their answer
+router.get('/mine', authenticateCandidate, (req, res) => {
+  try {
+    res.json({ success: true, data: shiftChanges.getWorkerRequests(req.user.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Colleagues who could take one of the worker's shifts
+router.get('/deployments/:id/colleagues', authenticateCandidate, (req, res) => {
+  try {
+    res.json({ success: true, data: shiftChanges.listColleagues(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Ask to swap or release a shift
+router.post('/', authenticateCandidate, async (req, res) => {
+  try {
+    const data = await shiftChanges.createRequest(req.user.id, req.body);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Accept or decline a swap (body: { accept: true|false })
+router.post('/:id/respond', authenticateCandidate, async (req, res) => {
+  try {
+    const data = await shiftChanges.respondToSwap(req.user.id, req.params.id, req.body.accept === true);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/:id/withdraw', authenticateCandidate, (req, res) => {
+  try {
+    res.json({ success: true, data: shiftChanges.withdrawRequest(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+// Request queue (?status=awaiting_approval|open|completed|...|all&client_id=)
+router.get('/', authorizeArea('jobs'), (req, res) => {
+  try {
+    res.json({ success: true, data: shiftChanges.listRequests(req.query) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Approve or reject (body: { action: 'approve'|'reject', note })
+router.post('/:id/review', authorizeArea('jobs'), async (req, res) => {
+  try {
+    const data = await shiftChanges.reviewRequest(req.params.id, req.body, req.user);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
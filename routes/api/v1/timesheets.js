@@ -0,0 +1,196 @@
+/**
+ * Timesheets API
+ * Geofenced clock-in/clock-out for workers, supervisor sign-off for clients,
+ * and review/adjustment for admins.
+ */
+
+const express = require('express');
+const router = express.Router();
+const timesheets = require('../../../services/timesheets');
+const { authorizeArea, authenticateCandidateOwnership } = require('../../../middleware/auth');
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message, code: error.code || undefined });
+}
+
+function parseCoordinates(body) {
+  const lat = body.lat === undefined || body.lat === null ? undefined : parseFloat(body.lat);
+  const lng = body.lng === undefined || body.lng === null ? undefined : parseFloat(body.lng);
+  return { lat, lng };
+}
+
+// ============================================================================
+// WORKER ENDPOINTS
+// ============================================================================
+
+// Clock in to a deployment (worker must be within the job geofence)
+router.post('/clock-in', authenticateCandidateOwnership, (req, res) => {
+  try {
+    const { deployment_id, candidate_id } = req.body;
+    if (!deployment_id || !candidate_id) {
+      return res.status(400).json({ success: false, error: 'deployment_id and candidate_id are required' });
+    }
+
+    const timesheet = timesheets.clockIn({
+      deploymentId: deployment_id,
+      candidateId: candidate_id,
+      ...parseCoordinates(req.body)
+    });
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Clock out of a deployment and submit the timesheet
+router.post('/clock-out', authenticateCandidateOwnership, (req, res) => {
+  try {
+    const { deployment_id, candidate_id } = req.body;
+    if (!deployment_id || !candidate_id) {
+      return res.status(400).json({ success: false, error: 'deployment_id and candidate_id are required' });
+    }
+
+    const timesheet = timesheets.clockOut({
+      deploymentId: deployment_id,
+      candidateId: candidate_id,
+      ...parseCoordinates(req.body)
+    });
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Worker's deployment + timesheet for a job (drives the clock button state)
+router.get('/candidate/:candidateId/job/:jobId', authenticateCandidateOwnership, (req, res) => {
+  try {
+    const data = timesheets.getForCandidateJob(req.params.candidateId, req.params.jobId);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// CLIENT SUPERVISOR ENDPOINTS (token from the emailed review link)
+// ============================================================================
+
+router.get('/review/:token', (req, res) => {
+  try {
+    const timesheet = timesheets.getByReviewToken(req.params.token);
+    if (!timesheet) {
+      return res.status(404).json({ success: false, error: 'Review link is invalid or has already been used' });
+    }
+
+    // Never echo coordinates or internal margins to the client
+    const { clock_in_at, clock_out_at, break_minutes, hours_worked, status } = timesheet;
+    res.json({
+      success: true,
+      data: {
+        candidate_name: timesheet.candidate_name,
+        job_title: timesheet.job_title,
+        job_date: timesheet.job_date,
+        start_time: timesheet.start_time,
+        end_time: timesheet.end_time,
+        location: timesheet.location,
+        client_name: timesheet.client_name,
+        clock_in_at,
+        clock_out_at,
+        break_minutes,
+        hours_worked,
+        status
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/review/:token/approve', (req, res) => {
+  try {
+    const timesheet = timesheets.getByReviewToken(req.params.token);
+    if (!timesheet) {
+      return res.status(404).json({ success: false, error: 'Review link is invalid or has already been used' });
+    }
+
+    timesheets.approve(timesheet.id, req.body.supervisor_name || 'client supervisor');
+    res.json({ success: true, message: 'Timesheet approved' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/review/:token/dispute', (req, res) => {
+  try {
+    const timesheet = timesheets.getByReviewToken(req.params.token);
+    if (!timesheet) {
+      return res.status(404).json({ success: false, error: 'Review link is invalid or has already been used' });
+    }
+
+    timesheets.dispute(timesheet.id, req.body.supervisor_name || 'client supervisor', req.body.reason);
+    res.json({ success: true, message: 'Timesheet disputed' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+// List timesheets with filters
+router.get('/', authorizeArea('jobs'), (req, res) => {
+  try {
+    const { status, candidate_id, job_id, from_date, to_date } = req.query;
+    const data = timesheets.list({ status, candidate_id, job_id, from_date, to_date });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get single timesheet
+router.get('/:id', authorizeArea('jobs'), (req, res) => {
+  try {
+    const timesheet = timesheets.getDetails(req.params.id);
+    if (!timesheet) {
+      return res.status(404).json({ success: false, error: 'Timesheet not found' });
+    }
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Approve on behalf of the client
+router.post('/:id/approve', authorizeArea('jobs'), (req, res) => {
+  try {
+    const timesheet = timesheets.approve(req.params.id, req.user.email || req.user.id);
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Dispute on behalf of the client
+router.post('/:id/dispute', authorizeArea('jobs'), (req, res) => {
+  try {
+    const timesheet = timesheets.dispute(req.params.id, req.user.email || req.user.id, req.body.reason);
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Correct hours after a dispute and send back for approval
+router.post('/:id/adjust', authorizeArea('jobs'), (req, res) => {
+  try {
+    const { hours_worked, note } = req.body;
+    const timesheet = timesheets.adjust(req.params.id, hours_worked, note);
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../../../db');
+const { authenticateCandidate } = require('../../../middleware/auth');
+const questEngine = require('../../../services/quest-engine');
+const ledger = require('../../../services/ledger');
 
 // Get all training courses
 router.get('/', (req, res) => {
@@ -143,61 +146,68 @@ router.get('/candidate/:candidateId', (req, res) => {
 });
 
 // Enroll in training
-router.post('/:id/enroll', (req, res) => {
+router.post('/:id/enroll', authenticateCandidate, (req, res) => {
   try {
-    const { candidate_id } = req.body;
     db.prepare(`
       INSERT INTO candidate_training (candidate_id, training_id, status)
       VALUES (?, ?, 'enrolled')
-    `).run(candidate_id, req.params.id);
+    `).run(req.user.id, req.params.id);
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Complete training
-router.post('/:id/complete', (req, res) => {
+// Complete training - XP and the certification are granted the first time only
+router.post('/:id/complete', authenticateCandidate, (req, res) => {
   try {
-    const { candidate_id, score } = req.body;
+    const candidateId = req.user.id;
+    const { score = null } = req.body;
     const training = db.prepare('SELECT * FROM training WHERE id = ?').get(req.params.id);
-    
-    const passed = score >= training.pass_score;
+    if (!training) {
+      return res.status(404).json({ success: false, error: 'Training not found' });
+    }
+
+    // Courses without a pass mark are passed by finishing them
+    const passed = training.pass_score === undefined || training.pass_score === null || score >= training.pass_score;
     const status = passed ? 'completed' : 'failed';
 
-    db.prepare(`
-      UPDATE candidate_training 
-      SET status = ?, score = ?, completed_at = CURRENT_TIMESTAMP
-      WHERE candidate_id = ? AND training_id = ?
-    `).run(status, score, candidate_id, req.params.id);
-
-    // Award XP if passed - use transaction for atomicity
-    if (passed) {
-      const transaction = db.transaction(() => {
-        // Award XP
-        db.prepare('UPDATE candidates SET xp = xp + ? WHERE id = ?').run(training.xp_reward, candidate_id);
-
-        // Record XP transaction
-        db.prepare(`
-          INSERT INTO xp_transactions (candidate_id, amount, reason, reference_id)
-          VALUES (?, ?, 'training', ?)
-        `).run(candidate_id, training.xp_reward, req.params.id);
-
-        // Add certification atomically
-        const candidate = db.prepare('SELECT certifications FROM candidates WHERE id = ?').get(candidate_id);
-        const certs = JSON.parse(candidate.certifications || '[]');
-        if (!certs.includes(training.certification_name)) {
-          certs.push(training.certification_name);
-          db.prepare('UPDATE candidates SET certifications = ? WHERE id = ?')
-            .run(JSON.stringify(certs), candidate_id);
-        }
+    const completedNow = db.transaction(() => {
+      // Starting a course without enrolling first is allowed; a completed one is left alone
+      const { changes } = db.prepare(`
+        INSERT INTO candidate_training (candidate_id, training_id, status, score, completed_at)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(candidate_id, training_id) DO UPDATE SET
+          status = excluded.status, score = excluded.score, completed_at = excluded.completed_at
+        WHERE candidate_training.status != 'completed'
+      `).run(candidateId, training.id, status, score);
+
+      if (!passed || changes === 0) {
+        return false;
+      }
+
+      ledger.awardXP(candidateId, {
+        amount: training.xp_reward,
+        actionType: 'training',
+        reason: `Training completed: ${training.title}`,
+        referenceId: training.id
       });
 
-      // Execute transaction atomically
-      transaction();
+      const candidate = db.prepare('SELECT certifications FROM candidates WHERE id = ?').get(candidateId);
+      const certs = JSON.parse(candidate.certifications || '[]');
+      if (training.certification_name && !certs.includes(training.certification_name)) {
+        certs.push(training.certification_name);
+        db.prepare('UPDATE candidates SET certifications = ? WHERE id = ?')
+          .run(JSON.stringify(certs), candidateId);
+      }
+      return true;
+    })();
+
+    if (completedNow) {
+      questEngine.emit('training_completed', candidateId, { sourceId: training.id, data: { score } });
     }
 
-    res.json({ success: true, passed, xp_awarded: passed ? training.xp_reward : 0 });
+    res.json({ success: true, passed, xp_awarded: completedNow ? training.xp_reward : 0 });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -8,6 +8,7 @@ const router = express.Router();
 const { db } = require('../../../../db');
 const messaging = require('../../../../services/messaging');
 const telegram = require('../../../../services/messaging/telegram');
+const backfill = require('../../../../services/backfill');
 const logger = require('../../../../utils/logger');
 
 // Store for pending verifications (linking Telegram to candidate)
@@ -351,11 +352,44 @@ async function handleCallbackQuery(callbackQuery) {
       await telegram.sendMessage(chatId, `Confirmed!`);
       break;
 
+    case 'backfill_accept':
+    case 'backfill_decline':
+      await handleBackfillResponse(String(chatId), action, params[0]);
+      break;
+
     default:
       logger.info('Unknown callback action:', action);
   }
 }
 
+/**
+ * Accept or decline an urgent shift offer from its inline buttons
+ */
+async function handleBackfillResponse(chatId, action, offerId) {
+  const candidate = db.prepare(`
+    SELECT id FROM candidates WHERE telegram_chat_id = ?
+  `).get(chatId);
+
+  if (!candidate) {
+    await telegram.sendMessage(chatId, `Please link your account first using /link CODE`);
+    return;
+  }
+
+  try {
+    if (action === 'backfill_accept') {
+      backfill.acceptOffer(offerId, candidate.id);
+      await telegram.sendMessage(chatId,
+        `<b>Shift confirmed!</b>\n\nCheck the WorkLink app for the job details.`
+      );
+    } else {
+      await backfill.declineOffer(offerId, candidate.id);
+      await telegram.sendMessage(chatId, `No problem - we'll offer it to someone else.`);
+    }
+  } catch (error) {
+    await telegram.sendMessage(chatId, `Sorry, ${error.message.charAt(0).toLowerCase() + error.message.slice(1)}.`);
+  }
+}
+
 /**
  * Setup webhook endpoint
  * GET /api/v1/webhooks/telegram/setup
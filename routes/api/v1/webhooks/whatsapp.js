@@ -0,0 +1,130 @@
+/**
+ * WhatsApp Webhook Handler
+ * Receives incoming messages and delivery receipts from the WhatsApp Cloud API
+ */
+
+const express = require('express');
+const router = express.Router();
+const messaging = require('../../../../services/messaging');
+const whatsapp = require('../../../../services/messaging/whatsapp');
+const logger = require('../../../../utils/logger');
+
+/**
+ * Webhook verification handshake
+ * GET /api/v1/webhooks/whatsapp?hub.mode=subscribe&hub.verify_token=...&hub.challenge=...
+ */
+router.get('/', (req, res) => {
+  const { verifyToken } = whatsapp.getConfig();
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode === 'subscribe' && verifyToken && token === verifyToken) {
+    logger.info('WhatsApp webhook verified');
+    return res.status(200).send(String(challenge));
+  }
+
+  logger.warn('WhatsApp webhook verification failed');
+  res.sendStatus(403);
+});
+
+/**
+ * Main webhook endpoint for WhatsApp events
+ * POST /api/v1/webhooks/whatsapp
+ */
+router.post('/', async (req, res) => {
+  // Signature is computed over the raw body captured by express.json in server.js
+  if (!whatsapp.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+    logger.warn('WhatsApp webhook rejected: invalid or missing signature');
+    return res.sendStatus(401);
+  }
+
+  try {
+    const { messages, statuses } = whatsapp.parseWebhook(req.body);
+
+    for (const receipt of statuses) {
+      const result = messaging.applyWhatsAppStatus(receipt);
+      if (!result.success) {
+        logger.info(`WhatsApp receipt for unknown message ${receipt.id}: ${receipt.status}`);
+      }
+    }
+
+    for (const message of messages) {
+      await handleMessage(message);
+    }
+
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error('WhatsApp webhook error:', error);
+    // Still respond 200 to prevent Meta from retrying
+    res.sendStatus(200);
+  }
+});
+
+/**
+ * Handle an incoming message
+ */
+async function handleMessage(message) {
+  logger.info(`WhatsApp message from ${message.from}: ${message.text}`);
+
+  const candidate = messaging.findCandidateByWhatsApp(message.from);
+
+  if (!candidate) {
+    await whatsapp.sendMessage(message.from,
+      `Hi! We couldn't find a WorkLink account for this number.\n\n` +
+      `Please check that the phone number in your WorkLink profile matches this WhatsApp number.`
+    );
+    return;
+  }
+
+  const keyword = whatsapp.getOptKeyword(message.text);
+  if (keyword) {
+    return handleOptKeyword(candidate, message, keyword);
+  }
+
+  const result = await messaging.handleIncomingMessage('whatsapp', message);
+
+  if (result.success) {
+    await whatsapp.markAsRead(message.id);
+    logger.info(`Message from ${candidate.name} forwarded to admin`);
+  }
+}
+
+/**
+ * STOP / START keywords
+ */
+async function handleOptKeyword(candidate, message, keyword) {
+  if (keyword === 'opt_out') {
+    messaging.setWhatsAppOptIn(candidate.id, false);
+    await whatsapp.sendMessage(message.from,
+      `You've been unsubscribed from WorkLink WhatsApp messages.\n\n` +
+      `You'll still get updates in the WorkLink app. Reply START to subscribe again.`
+    );
+    logger.info(`${candidate.name} opted out of WhatsApp`);
+    return;
+  }
+
+  messaging.setWhatsAppOptIn(candidate.id, true);
+  await whatsapp.sendMessage(message.from,
+    `You're subscribed to WorkLink WhatsApp messages.\n\n` +
+    `You'll receive job updates and messages from WorkLink support here. Reply STOP to unsubscribe.`
+  );
+  logger.info(`${candidate.name} opted in to WhatsApp`);
+}
+
+/**
+ * Get webhook configuration status
+ * GET /api/v1/webhooks/whatsapp/info
+ */
+router.get('/info', (req, res) => {
+  const config = whatsapp.getConfig();
+
+  res.json({
+    configured: whatsapp.isConfigured(),
+    signatureVerification: !!config.appSecret,
+    verifyTokenSet: !!config.verifyToken,
+    apiUrl: config.apiUrl,
+  });
+});
+
+module.exports = router;
@@ -1,83 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const Database = require('better-sqlite3');
-const path = require('path');
-
-// Initialize database
-const db = new Database(path.join(__dirname, '../data/worklink.db'));
-
-// Initialize calendar tables
-const initCalendarTables = () => {
-  // Availability table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS calendar_availability (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      admin_id TEXT NOT NULL DEFAULT 'admin',
-      day_of_week INTEGER NOT NULL, -- 0=Sunday, 1=Monday, etc.
-      start_time TEXT NOT NULL, -- HH:MM format
-      end_time TEXT NOT NULL, -- HH:MM format
-      is_active BOOLEAN DEFAULT 1,
-      buffer_minutes INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(admin_id, day_of_week, start_time, end_time)
-    )
-  `);
-
-  // Special dates/overrides table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS calendar_special_dates (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      admin_id TEXT NOT NULL DEFAULT 'admin',
-      date TEXT NOT NULL, -- YYYY-MM-DD format
-      type TEXT NOT NULL, -- holiday, blocked, custom, vacation
-      title TEXT NOT NULL,
-      description TEXT,
-      is_available BOOLEAN DEFAULT 0,
-      custom_hours TEXT, -- JSON array of {start, end} objects
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(admin_id, date)
-    )
-  `);
-
-  // Interviews table (extend existing or create new)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS calendar_interviews (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      candidate_id TEXT,
-      candidate_name TEXT NOT NULL,
-      candidate_email TEXT,
-      admin_id TEXT NOT NULL DEFAULT 'admin',
-      scheduled_datetime TEXT NOT NULL, -- ISO string
-      duration_minutes INTEGER DEFAULT 30,
-      interview_type TEXT DEFAULT 'video', -- video, phone, in-person
-      status TEXT DEFAULT 'scheduled', -- scheduled, confirmed, completed, cancelled
-      meeting_link TEXT,
-      notes TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Calendar settings table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS calendar_settings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      admin_id TEXT NOT NULL DEFAULT 'admin',
-      timezone TEXT DEFAULT 'Asia/Singapore',
-      default_buffer_minutes INTEGER DEFAULT 15,
-      auto_confirm_interviews BOOLEAN DEFAULT 0,
-      notification_preferences TEXT, -- JSON
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(admin_id)
-    )
-  `);
-};
-
-// Initialize tables
-initCalendarTables();
+const { db } = require('../db');
 
 // Helper function to get day of week from date string
 const getDayOfWeek = (dateString) => {
@@ -1,3 +0,0 @@
-#!/bin/bash
-cd /home/augustine/Augustine_Projects/worklink_v2
-node deploy-renewal-pipeline.js
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migrations CLI
+ * Works on the database directly, without the boot-time drift check, so it
+ * can be used to inspect and repair a database the server refuses to start on.
+ *
+ * Usage:
+ *   node scripts/db-migrate.js status
+ *   node scripts/db-migrate.js up [--dry-run] [--to <version>]
+ *   node scripts/db-migrate.js down [--steps <n>] [--dry-run]
+ *   node scripts/db-migrate.js baseline
+ *   node scripts/db-migrate.js new <name>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const migrator = require('../db/migrator');
+
+function option(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function printList(title, items, format) {
+  if (items.length === 0) return;
+  console.log(`\n${title}`);
+  items.forEach(item => console.log(`   ${format(item)}`));
+}
+
+function printStatus(db) {
+  const result = migrator.status(db);
+
+  console.log(`📋 Schema version: ${result.current_version}`);
+  if (result.needs_baseline) {
+    console.log('\n⚠️  Existing database without migration history - run "baseline" to adopt it');
+  }
+  printList('✅ Applied:', result.applied, m => `${m.version}_${m.name} (${m.applied_by}, ${m.applied_at})`);
+  printList('⏳ Pending:', result.pending, m => `${m.version}_${m.name}`);
+  printList('❌ Edited after being applied:', result.mismatched, m => `${m.version}_${m.name}`);
+  printList('❌ Applied but missing from db/migrations:', result.unknown, m => `${m.version}_${m.name}`);
+
+  if (result.drift) {
+    const { missing_tables, missing_columns, changed_columns, untracked_tables } = result.drift;
+    printList('❌ Missing tables:', missing_tables, t => t);
+    printList('❌ Missing columns:', missing_columns, c => c);
+    printList('❌ Changed columns:', changed_columns, c => c);
+    printList('❌ Tables created outside migrations:', untracked_tables, t => t);
+    console.log(migrator.hasDrift(result.drift) ? '\n❌ Schema has drifted' : '\n✅ No schema drift');
+  }
+}
+
+function scaffold(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) throw new Error('Usage: new <name>');
+
+  const last = migrator.loadMigrations().pop();
+  const version = String((last ? last.version : 0) + 1).padStart(4, '0');
+  const file = path.join(migrator.MIGRATIONS_DIR, `${version}_${slug}.js`);
+
+  fs.writeFileSync(file, `/**
+ * ${name}
+ */
+
+function up(db) {
+  db.exec(\`
+  \`);
+}
+
+function down(db) {
+  db.exec(\`
+  \`);
+}
+
+module.exports = { up, down };
+`);
+  console.log(`📝 Created ${path.relative(process.cwd(), file)}`);
+}
+
+function run(args) {
+  const [command, ...rest] = args;
+
+  if (command === 'new') return scaffold(rest.join(' '));
+
+  const { createConnection } = require('../db/connection');
+  const db = createConnection();
+  const dryRun = rest.includes('--dry-run');
+
+  try {
+    switch (command) {
+      case 'status':
+        printStatus(db);
+        break;
+      case 'up': {
+        const to = option(rest, '--to');
+        const applied = migrator.migrate(db, { dryRun, to: to ? Number(to) : undefined });
+        if (applied.length === 0) console.log('✅ Nothing to migrate');
+        else if (dryRun) printList('Would apply:', applied, m => `${m.version}_${m.name}`);
+        break;
+      }
+      case 'down': {
+        const reverted = migrator.rollback(db, { steps: Number(option(rest, '--steps', 1)), dryRun });
+        if (dryRun) printList('Would revert:', reverted, m => `${m.version}_${m.name}`);
+        break;
+      }
+      case 'baseline':
+        if (!migrator.importBaseline(db)) console.log('ℹ️  Database already has migration history');
+        break;
+      default:
+        console.log('Usage: node scripts/db-migrate.js <status|up|down|baseline|new> [--dry-run] [--to <version>] [--steps <n>]');
+        process.exitCode = 1;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  try {
+    run(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { run };
@@ -0,0 +1,79 @@
+/**
+ * Knowledge Base Retrieval Evaluation
+ * Runs labelled questions through lexical, vector and hybrid ranking and
+ * prints recall@1, recall@k and MRR per mode, plus the questions each mode
+ * missed.
+ *
+ *   (no flags)        cases from admin-approved answers, against the database;
+ *                     the report is saved like an admin-triggered run
+ *   --cases <file>    JSON cases ({ query, question } or { query, relevant })
+ *                     against the database
+ *   --fixture <file>  offline: documents and cases from the file, nothing
+ *                     touches the database (e.g. tests/fixtures/retrieval/worker-faq.json)
+ *   --k <n>           cut-off for recall@k (default 5)
+ *
+ * Usage: node scripts/kb-eval.js [--cases <file> | --fixture <file>] [--k <n>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = { k: 5 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--cases') args.cases = argv[++i];
+    else if (argv[i] === '--fixture') args.fixture = argv[++i];
+    else if (argv[i] === '--k') args.k = parseInt(argv[++i], 10) || 5;
+  }
+  return args;
+}
+
+async function evaluateFixture(file, k) {
+  const { createBackend } = require('../services/ml/retrieval/backends');
+  const { createRetriever } = require('../services/ml/retrieval/retriever');
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const retriever = createRetriever({
+    backend: createBackend(process.env.ML_EMBEDDING_BACKEND || 'hashed', { modelDir: process.env.ML_EMBEDDING_MODEL_DIR || null }),
+    loadDocuments: () => fixture.documents,
+  });
+  return retriever.evaluate(fixture.cases, { k });
+}
+
+async function evaluateDatabase({ cases: file, k }) {
+  const retrieval = require('../services/ml/retrieval');
+  if (!file) return retrieval.runEvaluation({ k, createdBy: 'kb-eval' });
+
+  const { cases, unmatched } = retrieval.casesFromFile(file);
+  if (unmatched.length > 0) {
+    console.log(`⚠️  ${unmatched.length} cases match no current entry: ${unmatched.slice(0, 5).join(' | ')}`);
+  }
+  return retrieval.runEvaluation({ cases, caseSource: `file:${path.basename(file)}`, k, createdBy: 'kb-eval' });
+}
+
+function printReport(report) {
+  console.log(`🔎 Backend ${report.backend.signature} - ${report.documents} documents, vector weight ${report.vector_weight}`);
+  console.log(`   mode      queries  recall@1  recall@${report.k}  MRR`);
+  for (const [mode, summary] of Object.entries(report.modes)) {
+    console.log(`   ${mode.padEnd(9)} ${String(summary.queries).padStart(7)}  ${summary.recall_at_1.toFixed(3).padStart(8)}  ${summary.recall_at_k.toFixed(3).padStart(8)}  ${summary.mrr.toFixed(3)}`);
+  }
+  for (const [mode, summary] of Object.entries(report.modes)) {
+    if (summary.misses.length > 0) console.log(`   ❌ ${mode} missed: ${summary.misses.join(' | ')}`);
+  }
+  if (report.id) console.log(`💾 Saved as evaluation #${report.id}`);
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  (args.fixture ? evaluateFixture(args.fixture, args.k) : evaluateDatabase(args))
+    .then((report) => {
+      printReport(report);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Evaluation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { evaluateFixture };
@@ -0,0 +1,54 @@
+/**
+ * Record Portal Fixture
+ * Saves a portal's live listing page to tests/fixtures/portals/<portal_key>.html
+ * so its adapter can be tested offline, and prints what the adapter reads
+ * from it. Trim the saved page to a few results before committing it.
+ *
+ * Usage: node scripts/record-portal-fixture.js <portal_key>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAdapter, listAdapters, fetchListing } = require('../services/scraping/portals');
+const { normaliseRecord } = require('../services/scraping/portals/common');
+
+const FIXTURE_DIR = path.join(__dirname, '../tests/fixtures/portals');
+
+async function recordFixture(portalKey) {
+  const adapter = getAdapter(portalKey);
+  if (!adapter) {
+    console.error(`❌ No adapter for "${portalKey}". Available: ${listAdapters().map(a => a.key).join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`🌐 Fetching ${adapter.label} listing: ${adapter.listingUrl}`);
+  const html = await fetchListing(adapter);
+
+  fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+  const file = path.join(FIXTURE_DIR, `${portalKey}.html`);
+  fs.writeFileSync(file, html);
+  console.log(`💾 Saved ${html.length} bytes to ${path.relative(process.cwd(), file)}`);
+
+  const items = adapter.parse(html);
+  console.log(`📋 Parsed ${items.length} items`);
+  for (const item of items) {
+    const candidate = adapter.normalise(item);
+    if (!candidate) {
+      console.log('   ⏭️  skipped');
+      continue;
+    }
+    const { record, error } = normaliseRecord(portalKey, candidate);
+    console.log(record ? `   ✅ ${record.tender_no}: ${record.title}` : `   ⚠️  ${error}`);
+  }
+}
+
+if (require.main === module) {
+  recordFixture(process.argv[2])
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Recording failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { recordFixture };
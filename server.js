@@ -60,7 +60,7 @@ const fs = require('fs');
 const http = require('http');
 
 // Initialize database (schema, migrations, and seeding handled in db/index.js)
-const { db } = require('./db');
+const { db, reader } = require('./db');
 
 const app = express();
 const server = http.createServer(app);
@@ -77,7 +77,15 @@ const { sanitizeInput, validateRequestFrequency } = require('./middleware/input-
 
 // Middleware
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature verification (e.g. WhatsApp X-Hub-Signature-256)
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/webhooks/')) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Sanitize all input data
@@ -350,31 +358,6 @@ server.listen(PORT, HOST, async () => {
     }
   });
 
-  // Initialize GeBIZ tables for Railway deployment
-  try {
-    const { ensureGeBIZTables } = require('./scripts/ensure-gebiz-tables');
-
-    logger.info('Ensuring GeBIZ database tables exist...', { module: 'gebiz-init' });
-    const gebizTablesReady = await ensureGeBIZTables(false);
-
-    if (gebizTablesReady) {
-      logger.info('GeBIZ database tables initialized successfully', {
-        module: 'gebiz-init',
-        status: 'ready'
-      });
-    } else {
-      logger.warn('GeBIZ database tables initialization failed - GeBIZ features may not work', {
-        module: 'gebiz-init',
-        status: 'failed'
-      });
-    }
-  } catch (error) {
-    logger.warn('GeBIZ table initialization failed - continuing without some GeBIZ features', {
-      module: 'gebiz-init',
-      error: error.message
-    });
-  }
-
   // Initialize email service and scheduler (temporarily disabled for debugging)
   try {
     logger.info('Email service initialization skipped for development', { module: 'email' });
@@ -461,8 +444,9 @@ function gracefulShutdown(signal) {
     // Close database
     if (db) {
       try {
+        reader.close();
         db.close();
-        logger.info('Database connection closed', { module: 'database' });
+        logger.info('Database connections closed', { module: 'database' });
       } catch (error) {
         logger.warn('Error closing database', { module: 'database', error: error.message });
       }
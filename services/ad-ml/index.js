@@ -110,7 +110,7 @@ Requirements: ${job.requirements || 'None specified'}
 Description: ${job.description || ''}`;
 
   try {
-    const response = await askClaude(prompt, systemPrompt, { maxTokens: 500 });
+    const response = await askClaude(prompt, systemPrompt, { feature: 'ad_optimization', maxTokens: 500 });
     return response.trim();
   } catch (error) {
     console.error('Ad generation failed:', error.message);
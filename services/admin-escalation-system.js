@@ -80,103 +80,19 @@ function getMessagingService() {
   return messagingService;
 }
 
-// Initialize database schema
-function ensureSchema() {
-  // Create tables first
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS escalation_queue (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      candidate_id TEXT NOT NULL,
-      priority TEXT NOT NULL DEFAULT 'NORMAL',
-      trigger_type TEXT NOT NULL,
-      trigger_reason TEXT,
-      context_data TEXT, -- JSON data for handoff context
-      assigned_admin TEXT,
-      status TEXT DEFAULT 'pending', -- pending, assigned, in_progress, resolved, closed
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      assigned_at DATETIME,
-      first_response_at DATETIME,
-      resolved_at DATETIME,
-      sla_breach BOOLEAN DEFAULT FALSE,
-      sla_deadline DATETIME,
-      escalation_count INTEGER DEFAULT 1,
-      user_satisfaction_score INTEGER, -- 1-5 rating
-      resolution_notes TEXT,
-      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS escalation_notifications (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      escalation_id INTEGER NOT NULL,
-      channel TEXT NOT NULL,
-      recipient TEXT NOT NULL, -- admin ID, phone, email, etc
-      message TEXT,
-      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      delivered BOOLEAN DEFAULT FALSE,
-      read BOOLEAN DEFAULT FALSE,
-      FOREIGN KEY (escalation_id) REFERENCES escalation_queue(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS admin_workload (
-      admin_id TEXT PRIMARY KEY,
-      active_escalations INTEGER DEFAULT 0,
-      max_capacity INTEGER DEFAULT 5,
-      specializations TEXT, -- JSON array of specialization tags
-      availability_status TEXT DEFAULT 'available', -- available, busy, away, offline
-      last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
-      total_escalations_handled INTEGER DEFAULT 0,
-      avg_resolution_time REAL DEFAULT 0,
-      satisfaction_rating REAL DEFAULT 0
-    );
-
-    CREATE TABLE IF NOT EXISTS escalation_metrics (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      date DATE NOT NULL,
-      total_escalations INTEGER DEFAULT 0,
-      resolved_escalations INTEGER DEFAULT 0,
-      avg_response_time REAL DEFAULT 0, -- in minutes
-      avg_resolution_time REAL DEFAULT 0, -- in minutes
-      sla_breach_count INTEGER DEFAULT 0,
-      satisfaction_avg REAL DEFAULT 0,
-      escalations_by_trigger TEXT, -- JSON object with trigger type counts
-      escalations_by_priority TEXT -- JSON object with priority counts
-    );
-  `);
-
-  // Create indexes separately (after tables exist)
+// Give admins already assigned conversations a workload row
+function seedAdminWorkload() {
   try {
-    db.exec(`
-      CREATE UNIQUE INDEX IF NOT EXISTS idx_escalation_metrics_date ON escalation_metrics(date);
-      CREATE INDEX IF NOT EXISTS idx_escalation_queue_status ON escalation_queue(status);
-      CREATE INDEX IF NOT EXISTS idx_escalation_queue_priority ON escalation_queue(priority);
-      CREATE INDEX IF NOT EXISTS idx_escalation_queue_assigned ON escalation_queue(assigned_admin);
-      CREATE INDEX IF NOT EXISTS idx_escalation_queue_sla ON escalation_queue(sla_deadline);
-    `);
-  } catch (error) {
-    // Ignore index errors if columns don't exist yet
-    console.warn('Could not create escalation indexes:', error.message);
-  }
-
-  // Insert default admin workload entries for existing admins (if conversation_metadata table exists)
-  try {
-    const tableExists = db.prepare(`
-      SELECT name FROM sqlite_master WHERE type='table' AND name='conversation_metadata'
-    `).get();
-    
-    if (tableExists) {
-      db.prepare(`
-        INSERT OR IGNORE INTO admin_workload (admin_id)
-        SELECT DISTINCT assigned_to FROM conversation_metadata WHERE assigned_to IS NOT NULL
-      `).run();
-    }
+    db.prepare(`
+      INSERT OR IGNORE INTO admin_workload (admin_id)
+      SELECT DISTINCT assigned_to FROM conversation_metadata WHERE assigned_to IS NOT NULL
+    `).run();
   } catch (error) {
-    // Ignore errors if conversation_metadata doesn't exist yet
     console.warn('Could not initialize admin workload from conversation_metadata:', error.message);
   }
 }
 
-// Initialize schema
-ensureSchema();
+seedAdminWorkload();
 
 /**
  * Analyze message for escalation triggers
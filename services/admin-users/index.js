@@ -0,0 +1,470 @@
+/**
+ * Admin Users Service
+ * Named admin accounts with roles, invites and audit attribution.
+ *
+ * Flow:
+ *   invite(email, role) → account in 'invited' status + single-use link
+ *   → acceptInvite(token, password) → 'active', can sign in
+ *   → deactivate() signs the account out on its next request
+ *
+ * Until the first account exists, signing in with ADMIN_EMAIL/ADMIN_PASSWORD
+ * creates it as the owner (id ADMIN001, so existing records attributed to
+ * the shared admin stay with that person). There is always at least one
+ * active owner.
+ *
+ * @module admin-users
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { generateAdminToken } = require('../../middleware/auth');
+const { createLogger } = require('../../utils/structured-logger');
+const {
+  AREAS,
+  ROLES,
+  ROLE_NAMES,
+  permissionsFor,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+} = require('./roles');
+
+const logger = createLogger('admin-users');
+
+const INVITE_TTL_DAYS = 7;
+const BOOTSTRAP_ID = 'ADMIN001';
+
+const PUBLIC_COLUMNS = `
+  id, email, name, role, status, invited_by, invite_expires_at,
+  last_login_at, deactivated_at, deactivated_by, created_at, updated_at
+`;
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+    throw ApiError.badRequest('Enter a valid email address', 'INVALID_EMAIL');
+  }
+  return value;
+}
+
+function assertRole(role) {
+  if (!ROLE_NAMES.includes(role)) {
+    throw ApiError.badRequest(`Role must be one of: ${ROLE_NAMES.join(', ')}`, 'INVALID_ROLE');
+  }
+}
+
+function getRow(id) {
+  const row = db.prepare('SELECT * FROM admin_users WHERE id = ?').get(id);
+  if (!row) throw ApiError.notFound('Admin user not found', 'ADMIN_USER_NOT_FOUND');
+  return row;
+}
+
+// Never leave the service
+const SECRET_FIELDS = new Set(['password_hash', 'invite_token_hash']);
+
+function toPublic(row) {
+  const rest = Object.fromEntries(Object.entries(row).filter(([key]) => !SECRET_FIELDS.has(key)));
+  return { ...rest, role_label: ROLES[row.role]?.label || row.role };
+}
+
+function activeOwnerCount() {
+  return db.prepare("SELECT COUNT(*) AS count FROM admin_users WHERE role = 'owner' AND status = 'active'").get().count;
+}
+
+/**
+ * Keep the escalation routing table in step with the account; the table is
+ * created by the escalation system, which may not have loaded yet.
+ */
+function syncWorkload(adminId, availability) {
+  try {
+    db.prepare('INSERT OR IGNORE INTO admin_workload (admin_id) VALUES (?)').run(adminId);
+    if (availability) {
+      db.prepare('UPDATE admin_workload SET availability_status = ? WHERE admin_id = ?').run(availability, adminId);
+    }
+  } catch (error) {
+    logger.warn('Could not update admin workload', { adminId, error: error.message });
+  }
+}
+
+function sessionPayload(row) {
+  const admin = {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    role: 'admin',
+    admin_role: row.role,
+  };
+  return {
+    data: { ...admin, permissions: permissionsFor(row.role) },
+    token: generateAdminToken(admin),
+  };
+}
+
+function bootstrapOwner(email, password) {
+  const adminPassword = process.env.ADMIN_PASSWORD;
+  const adminEmail = (process.env.ADMIN_EMAIL || 'admin@worklink.sg').toLowerCase();
+
+  if (!adminPassword) {
+    logger.error('ADMIN_PASSWORD environment variable not set and no admin accounts exist');
+    throw ApiError.internal('Server configuration error', 'ADMIN_NOT_CONFIGURED');
+  }
+  if (email !== adminEmail || password !== adminPassword) return null;
+
+  db.prepare(`
+    INSERT INTO admin_users (id, email, name, role, password_hash, status)
+    VALUES (?, ?, 'Admin', 'owner', ?, 'active')
+  `).run(BOOTSTRAP_ID, adminEmail, hashPassword(password));
+  syncWorkload(BOOTSTRAP_ID);
+  logger.business('admin_owner_bootstrapped', { email: adminEmail });
+
+  return getRow(BOOTSTRAP_ID);
+}
+
+/**
+ * Check an admin's email and password
+ * @param {string} email
+ * @param {string} password
+ * @returns {Object} { data, token }
+ */
+function authenticate(email, password) {
+  const normalized = String(email || '').trim().toLowerCase();
+  const hasAccounts = !!db.prepare('SELECT 1 FROM admin_users LIMIT 1').get();
+
+  let row = hasAccounts
+    ? db.prepare('SELECT * FROM admin_users WHERE email = ?').get(normalized)
+    : bootstrapOwner(normalized, password);
+
+  if (row && hasAccounts && !verifyPassword(password, row.password_hash)) row = null;
+  if (!row) {
+    throw ApiError.unauthorized('Invalid admin credentials', 'INVALID_CREDENTIALS');
+  }
+  if (row.status === 'deactivated') {
+    throw ApiError.forbidden('This account has been deactivated', 'ACCOUNT_DEACTIVATED');
+  }
+  if (row.status !== 'active') {
+    throw ApiError.forbidden('Accept your invite before signing in', 'INVITE_PENDING');
+  }
+
+  db.prepare('UPDATE admin_users SET last_login_at = ? WHERE id = ?').run(nowIso(), row.id);
+  return sessionPayload(row);
+}
+
+/**
+ * Role and permissions for the signed-in admin
+ * @param {Object} user - req.user
+ * @returns {Object}
+ */
+function describeAccess(user) {
+  const role = user.admin_role || 'owner';
+  return {
+    role,
+    role_label: ROLES[role]?.label || role,
+    read_only: !!ROLES[role]?.readOnly,
+    permissions: permissionsFor(role),
+  };
+}
+
+/**
+ * Roles and areas for the admin UI
+ * @returns {Object} { roles: [{ id, label, description, permissions }], areas }
+ */
+function listRoles() {
+  return {
+    roles: ROLE_NAMES.map(id => ({
+      id,
+      label: ROLES[id].label,
+      description: ROLES[id].description,
+      permissions: permissionsFor(id),
+    })),
+    areas: AREAS,
+  };
+}
+
+/**
+ * @param {Object} [filters]
+ * @param {string} [filters.status]
+ * @returns {Object[]}
+ */
+function listUsers({ status } = {}) {
+  const rows = status
+    ? db.prepare(`SELECT ${PUBLIC_COLUMNS} FROM admin_users WHERE status = ? ORDER BY name`).all(status)
+    : db.prepare(`SELECT ${PUBLIC_COLUMNS} FROM admin_users ORDER BY status = 'deactivated', name`).all();
+  return rows.map(toPublic);
+}
+
+function issueInvite(row, actor) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  db.prepare(`
+    UPDATE admin_users SET invite_token_hash = ?, invite_expires_at = ?, updated_at = ? WHERE id = ?
+  `).run(hashToken(token), expiresAt, nowIso(), row.id);
+
+  const baseUrl = process.env.ADMIN_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin`;
+  const inviteUrl = `${baseUrl.replace(/\/$/, '')}/accept-invite?token=${token}`;
+
+  // Best effort - the link is also returned so it can be shared directly
+  try {
+    const emailService = require('../email');
+    emailService.sendEmail({
+      to: row.email,
+      subject: 'You have been invited to WorkLink admin',
+      text: `${actor?.name || 'An administrator'} invited you to WorkLink admin as ${ROLES[row.role].label}. Set your password here: ${inviteUrl} (expires in ${INVITE_TTL_DAYS} days).`,
+      html: `<p>${actor?.name || 'An administrator'} invited you to WorkLink admin as <strong>${ROLES[row.role].label}</strong>.</p><p><a href="${inviteUrl}">Set your password</a></p><p>The link expires in ${INVITE_TTL_DAYS} days.</p>`,
+      category: 'auth',
+    }).catch(error => logger.warn('Invite email failed', { email: row.email, error: error.message }));
+  } catch (error) {
+    logger.warn('Invite email unavailable', { email: row.email, error: error.message });
+  }
+
+  return { inviteUrl, expiresAt };
+}
+
+/**
+ * Invite a new admin
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.name
+ * @param {string} params.role - Key of ROLES
+ * @param {Object} actor - req.user of the inviting admin
+ * @returns {Object} { user, inviteUrl, expiresAt }
+ */
+function invite({ email, name, role }, actor) {
+  const normalized = normalizeEmail(email);
+  assertRole(role);
+  if (!name || !String(name).trim()) {
+    throw ApiError.badRequest('Name is required', 'NAME_REQUIRED');
+  }
+  if (db.prepare('SELECT 1 FROM admin_users WHERE email = ?').get(normalized)) {
+    throw ApiError.conflict('An admin with this email already exists', 'ADMIN_EMAIL_EXISTS');
+  }
+
+  const id = generateId('ADM_');
+  db.prepare(`
+    INSERT INTO admin_users (id, email, name, role, status, invited_by)
+    VALUES (?, ?, ?, ?, 'invited', ?)
+  `).run(id, normalized, String(name).trim(), role, actor?.id || null);
+
+  const row = getRow(id);
+  const link = issueInvite(row, actor);
+  logger.business('admin_invited', { adminId: id, role, invitedBy: actor?.id });
+
+  return { user: toPublic(getRow(id)), ...link };
+}
+
+/**
+ * Send a fresh invite link; the previous one stops working
+ * @param {string} id
+ * @param {Object} actor
+ * @returns {Object} { user, inviteUrl, expiresAt }
+ */
+function resendInvite(id, actor) {
+  const row = getRow(id);
+  if (row.status !== 'invited') {
+    throw ApiError.badRequest('This admin has already accepted their invite', 'INVITE_ALREADY_ACCEPTED');
+  }
+  const link = issueInvite(row, actor);
+  return { user: toPublic(getRow(id)), ...link };
+}
+
+/**
+ * Set a password from an invite link and sign in
+ * @param {string} token - From the invite link
+ * @param {string} password
+ * @returns {Object} { data, token }
+ */
+function acceptInvite(token, password) {
+  const row = token
+    ? db.prepare("SELECT * FROM admin_users WHERE invite_token_hash = ? AND status = 'invited'").get(hashToken(String(token)))
+    : null;
+  if (!row) {
+    throw ApiError.badRequest('This invite link is not valid', 'INVITE_INVALID');
+  }
+  if (new Date(row.invite_expires_at).getTime() < Date.now()) {
+    throw ApiError.badRequest('This invite has expired. Ask for a new one.', 'INVITE_EXPIRED');
+  }
+
+  const problem = validatePassword(password);
+  if (problem) throw ApiError.badRequest(problem, 'WEAK_PASSWORD');
+
+  const now = nowIso();
+  db.prepare(`
+    UPDATE admin_users
+    SET password_hash = ?, status = 'active', invite_token_hash = NULL, invite_expires_at = NULL,
+        last_login_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(hashPassword(password), now, now, row.id);
+  syncWorkload(row.id, 'available');
+  logger.business('admin_invite_accepted', { adminId: row.id });
+
+  return sessionPayload(getRow(row.id));
+}
+
+/**
+ * Change an admin's name or role
+ * @param {string} id
+ * @param {Object} changes - { name, role }
+ * @returns {Object} Updated user
+ */
+function updateUser(id, { name, role }) {
+  const row = getRow(id);
+
+  if (role !== undefined && role !== row.role) {
+    assertRole(role);
+    if (row.role === 'owner' && row.status === 'active' && activeOwnerCount() <= 1) {
+      throw ApiError.badRequest('There must be at least one active owner', 'LAST_OWNER');
+    }
+  }
+
+  db.prepare(`
+    UPDATE admin_users SET name = ?, role = ?, updated_at = ? WHERE id = ?
+  `).run(name !== undefined ? String(name).trim() || row.name : row.name, role || row.role, nowIso(), id);
+
+  return toPublic(getRow(id));
+}
+
+/**
+ * Stop an admin signing in; their current token stops working immediately
+ * @param {string} id
+ * @param {Object} actor
+ * @returns {Object} Updated user
+ */
+function deactivate(id, actor) {
+  const row = getRow(id);
+  if (row.id === actor?.id) {
+    throw ApiError.badRequest('You cannot deactivate your own account', 'CANNOT_DEACTIVATE_SELF');
+  }
+  if (row.status === 'deactivated') return toPublic(row);
+  if (row.role === 'owner' && row.status === 'active' && activeOwnerCount() <= 1) {
+    throw ApiError.badRequest('There must be at least one active owner', 'LAST_OWNER');
+  }
+
+  const now = nowIso();
+  db.prepare(`
+    UPDATE admin_users
+    SET status = 'deactivated', invite_token_hash = NULL, deactivated_at = ?, deactivated_by = ?, updated_at = ?
+    WHERE id = ?
+  `).run(now, actor?.id || null, now, id);
+  syncWorkload(id, 'offline');
+  logger.business('admin_deactivated', { adminId: id, by: actor?.id });
+
+  return toPublic(getRow(id));
+}
+
+/**
+ * Let a deactivated admin sign in again with their old password
+ * @param {string} id
+ * @returns {Object} Updated user
+ */
+function reactivate(id) {
+  const row = getRow(id);
+  if (row.status !== 'deactivated') {
+    throw ApiError.badRequest('This admin is not deactivated', 'NOT_DEACTIVATED');
+  }
+  if (!row.password_hash) {
+    throw ApiError.badRequest('This admin never accepted their invite - send a new one', 'INVITE_NEVER_ACCEPTED');
+  }
+
+  db.prepare(`
+    UPDATE admin_users SET status = 'active', deactivated_at = NULL, deactivated_by = NULL, updated_at = ? WHERE id = ?
+  `).run(nowIso(), id);
+  syncWorkload(id, 'available');
+
+  return toPublic(getRow(id));
+}
+
+/**
+ * Write an audit_log entry attributed to an admin
+ * @param {Object} entry
+ * @param {Object} [entry.user] - req.user
+ * @param {string} entry.eventType - e.g. 'admin_user', 'api_request'
+ * @param {string} entry.action - e.g. 'invite', 'POST'
+ * @param {string} entry.resourceType
+ * @param {string} [entry.resourceId]
+ * @param {*} [entry.oldValue]
+ * @param {*} [entry.newValue]
+ * @param {string} [entry.ip]
+ */
+function recordAudit({ user, eventType, action, resourceType, resourceId, oldValue, newValue, ip }) {
+  const serialize = value => (value === undefined || value === null ? null
+    : typeof value === 'string' ? value : JSON.stringify(value));
+  try {
+    db.prepare(`
+      INSERT INTO audit_log (id, event_type, event_action, resource_type, resource_id,
+                             user_id, user_name, user_role, ip_address, old_value, new_value)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      generateId('AUD'),
+      eventType,
+      action,
+      resourceType,
+      resourceId || '',
+      user?.id || null,
+      user?.name || null,
+      user?.admin_role || user?.role || null,
+      ip || null,
+      serialize(oldValue),
+      serialize(newValue)
+    );
+  } catch (error) {
+    logger.warn('Could not write audit log', { eventType, action, error: error.message });
+  }
+}
+
+/**
+ * @param {Object} [filters]
+ * @param {string} [filters.userId]
+ * @param {string} [filters.resourceType]
+ * @param {string} [filters.resourceId]
+ * @param {number} [filters.limit=100]
+ * @param {number} [filters.offset=0]
+ * @returns {Object} { entries, total }
+ */
+function listAudit({ userId, resourceType, resourceId, limit = 100, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (userId) { conditions.push('user_id = ?'); params.push(userId); }
+  if (resourceType) { conditions.push('resource_type = ?'); params.push(resourceType); }
+  if (resourceId) { conditions.push('resource_id = ?'); params.push(resourceId); }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_log ${where}`).get(...params).count;
+  const entries = db.prepare(`
+    SELECT id, event_type, event_action, resource_type, resource_id, user_id, user_name, user_role,
+           ip_address, old_value, new_value, COALESCE(created_at, timestamp) AS created_at
+    FROM audit_log ${where}
+    ORDER BY COALESCE(created_at, timestamp) DESC, rowid DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, Math.min(parseInt(limit, 10) || 100, 500), parseInt(offset, 10) || 0);
+
+  return { entries, total };
+}
+
+module.exports = {
+  INVITE_TTL_DAYS,
+  authenticate,
+  describeAccess,
+  listRoles,
+  listUsers,
+  invite,
+  resendInvite,
+  acceptInvite,
+  updateUser,
+  deactivate,
+  reactivate,
+  recordAudit,
+  listAudit,
+};
@@ -0,0 +1,153 @@
+/**
+ * Admin Roles & Permissions
+ *
+ * Permissions are "<area>:<action>" strings. A role grants a list of them,
+ * where "*" grants everything, "<area>:*" every action in an area and
+ * "*:read" read access to every area.
+ *
+ * Also holds password hashing (scrypt) and the password policy so the
+ * rules can be tested without a database.
+ */
+
+const crypto = require('crypto');
+
+const AREAS = {
+  candidates: 'Candidates & chat',
+  jobs: 'Jobs, deployments & timesheets',
+  finance: 'Payments, payouts & invoices',
+  tenders: 'BPO tenders & pricing',
+  reports: 'Analytics & consultant performance',
+  users: 'Admin users',
+  settings: 'System settings',
+  audit: 'Audit log',
+};
+
+const ROLES = {
+  owner: {
+    label: 'Owner',
+    description: 'Full access, including admin users and settings',
+    permissions: ['*'],
+  },
+  finance: {
+    label: 'Finance',
+    description: 'Payments, payouts and invoices; read-only elsewhere',
+    permissions: ['finance:*', 'candidates:read', 'jobs:read', 'tenders:read', 'reports:read', 'audit:read'],
+  },
+  consultant: {
+    label: 'Consultant',
+    description: 'Candidates, jobs and deployments',
+    permissions: ['candidates:*', 'jobs:*', 'reports:read', 'tenders:read'],
+  },
+  bid_manager: {
+    label: 'Bid Manager',
+    description: 'BPO tenders, pricing and stage gate approvals',
+    permissions: ['tenders:*', 'candidates:read', 'jobs:read', 'finance:read', 'reports:read'],
+  },
+  read_only: {
+    label: 'Read-only',
+    description: 'Can view everything except admin users and the audit log, changes nothing',
+    permissions: ['*:read'],
+    readOnly: true,
+  },
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+const MIN_PASSWORD_LENGTH = 10;
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - Key of ROLES
+ * @param {string} permission - e.g. 'finance:write'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const definition = ROLES[role];
+  if (!definition) return false;
+
+  const [area, action] = permission.split(':');
+  // Admin users and the audit log are never covered by blanket read access
+  const blanketRead = action === 'read' && area !== 'users' && area !== 'audit';
+
+  return definition.permissions.some(granted =>
+    granted === '*' ||
+    granted === permission ||
+    granted === `${area}:*` ||
+    (granted === '*:read' && blanketRead)
+  );
+}
+
+/**
+ * Permissions a role has, expanded per area for the admin UI
+ * @param {string} role
+ * @returns {string[]} e.g. ['finance:read', 'finance:write', ...]
+ */
+function permissionsFor(role) {
+  const result = [];
+  for (const area of Object.keys(AREAS)) {
+    for (const action of ['read', 'write', 'approve', 'manage']) {
+      if (hasPermission(role, `${area}:${action}`)) result.push(`${area}:${action}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Read or write permission for an area, from the HTTP method
+ * @param {string} area
+ * @param {string} method
+ * @returns {string}
+ */
+function permissionForMethod(area, method) {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? `${area}:read` : `${area}:write`;
+}
+
+/**
+ * @param {string} password
+ * @returns {string|null} Error message, or null when acceptable
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain letters and numbers';
+  }
+  return null;
+}
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>"
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+module.exports = {
+  AREAS,
+  ROLES,
+  ROLE_NAMES,
+  MIN_PASSWORD_LENGTH,
+  hasPermission,
+  permissionsFor,
+  permissionForMethod,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+};
@@ -7,13 +7,11 @@
  */
 
 const { ConversationManager } = require('../../utils/new-interview-scheduler');
-const Database = require('better-sqlite3');
-const path = require('path');
+const { db } = require('../../db');
 
 class ImprovedChatEngine {
   constructor() {
-    const dbPath = path.resolve(__dirname, '../../db/database.db');
-    this.db = new Database(dbPath);
+    this.db = db;
     
     // Store active conversation managers (one per candidate)
     this.activeConversations = new Map();
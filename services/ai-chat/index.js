@@ -12,10 +12,26 @@
 
 const { db } = require('../../db');
 const { askClaude } = require('../../utils/claude');
+const llm = require('../llm');
 const ml = require('../ml');
 const prompts = require('./prompts');
 const tools = require('./tools');
 
+// Knowledge base answers containing these are never sent or used to ground a reply
+const PROBLEMATIC_KB_PHRASES = [
+  'usually arrive within 24 hours',
+  'auto-approve',
+  'within 72 hours max',
+  'completely free',
+  'usually within a few hours',
+  'our system will'
+];
+
+function hasProblematicContent(text) {
+  const lower = (text || '').toLowerCase();
+  return PROBLEMATIC_KB_PHRASES.some(phrase => lower.includes(phrase));
+}
+
 /**
  * Get AI settings
  */
@@ -189,7 +205,7 @@ async function detectIntent(message) {
   try {
     const prompt = prompts.INTENT_DETECTION_PROMPT.replace('{{MESSAGE}}', message);
 
-    const response = await askClaude(prompt, '', { maxTokens: 100 });
+    const response = await askClaude(prompt, '', { feature: 'intent', maxTokens: 100 });
 
     // Parse JSON from response
     const jsonMatch = response.match(/\{[\s\S]*\}/);
@@ -395,20 +411,7 @@ async function generateResponse(candidateId, message, options = {}) {
 
     if (kbAnswer) {
       // FILTER OUT PROBLEMATIC RESPONSES
-      const problematicPhrases = [
-        'usually arrive within 24 hours',
-        'auto-approve',
-        'within 72 hours max',
-        'completely free',
-        'usually within a few hours',
-        'our system will'
-      ];
-
-      const hasProblematicContent = problematicPhrases.some(phrase =>
-        kbAnswer.answer.toLowerCase().includes(phrase)
-      );
-
-      if (hasProblematicContent) {
+      if (hasProblematicContent(kbAnswer.answer)) {
         console.log(`⚠️ [AI] Filtering out problematic KB response: "${kbAnswer.answer.substring(0, 50)}..."`);
         // Don't return the problematic response, let it fall through to LLM
       } else {
@@ -424,6 +427,7 @@ async function generateResponse(candidateId, message, options = {}) {
           confidence: kbAnswer.confidence,
           intent: kbAnswer.intent || kbAnswer.category,
           responseTimeMs: responseTime,
+          citations: kbAnswer.citations,
         });
 
         return {
@@ -435,6 +439,7 @@ async function generateResponse(candidateId, message, options = {}) {
           responseTimeMs: responseTime,
           logId,
           fromKB: true,
+          citations: kbAnswer.citations,
         };
       }
     }
@@ -464,6 +469,19 @@ async function generateResponse(candidateId, message, options = {}) {
       console.log(`🤖 [AI] Tool executed: ${toolResult.tool}`);
     }
 
+    // Ground the reply in FAQ / approved answers close to the question
+    let passages = [];
+    if (settings.kb_enabled !== false && !needsRealTimeData) {
+      try {
+        const grounding = await ml.retrieval.ground(message);
+        passages = grounding.passages.filter(passage => !hasProblematicContent(passage.answer));
+        console.log(`🤖 [AI] Grounding passages: ${passages.length}`);
+      } catch (error) {
+        console.warn(`🤖 [AI] Knowledge retrieval failed, answering without passages: ${error.message}`);
+      }
+    }
+    const knowledgeContext = prompts.buildKnowledgeContext(passages);
+
     // Build prompts with tool context
     const candidateContext = prompts.buildCandidateContext(candidate);
     const jobsContext = prompts.buildJobsContext(jobs);
@@ -472,7 +490,7 @@ async function generateResponse(candidateId, message, options = {}) {
     const languageStyle = settings.language_style || 'singlish';
 
     const systemPrompt = prompts.buildSystemPrompt(
-      candidateContext + conversationContext + toolContext,
+      candidateContext + conversationContext + toolContext + knowledgeContext,
       jobsContext,
       responseStyle,
       languageStyle
@@ -480,23 +498,32 @@ async function generateResponse(candidateId, message, options = {}) {
 
     // Generate response - slightly more tokens for normal style
     const maxTokens = responseStyle === 'normal' ? 200 : 150;
-    console.log(`🤖 [AI] Calling askClaude (style: ${responseStyle}, maxTokens: ${maxTokens})...`);
-    const response = await askClaude(message, systemPrompt, { maxTokens });
-    console.log(`🤖 [AI] LLM response received: "${response.substring(0, 50)}..."`)
+    console.log(`🤖 [AI] Calling LLM (style: ${responseStyle}, maxTokens: ${maxTokens})...`);
+    const result = await llm.complete('chat', { prompt: message, system: systemPrompt, maxTokens }, {
+      useCache: true,
+      fallback: prompts.TEMPLATE_FALLBACK_RESPONSE,
+    });
+    // [n] markers become citations; the worker gets the reply without them
+    const { text: response, citations } = ml.retrieval.extractCitations(result.text, passages);
+    // Over budget or no provider reachable: the template goes out instead
+    const source = result.degraded ? 'template' : 'llm';
+    const confidence = result.degraded ? 0 : 0.9; // LLM responses are high confidence
+    console.log(`🤖 [AI] ${result.provider} response received: "${response.substring(0, 50)}..."`)
 
     const responseTime = Date.now() - startTime;
 
     // Log the response
     const logId = ml.logResponse(candidateId, message, response, {
       mode: options.mode || 'suggest',
-      source: 'llm',
-      confidence: 0.9, // LLM responses are high confidence
+      source,
+      confidence,
       intent: intentResult.intent,
       responseTimeMs: responseTime,
+      citations,
     });
 
     // Learn from this interaction (will be confirmed when admin approves)
-    if (settings.learn_from_llm !== false) {
+    if (!result.degraded && settings.learn_from_llm !== false) {
       await ml.learn(message, response, {
         intent: intentResult.intent,
         source: 'llm',
@@ -506,12 +533,13 @@ async function generateResponse(candidateId, message, options = {}) {
 
     return {
       content: response,
-      source: 'llm',
-      confidence: 0.9,
+      source,
+      confidence,
       intent: intentResult.intent,
       responseTimeMs: responseTime,
       logId,
       fromKB: false,
+      citations,
     };
   } catch (error) {
     console.error('AI response generation failed:', error.message);
@@ -37,33 +37,6 @@ class InterviewSchedulerV2 {
         { time: '5:00 PM', label: '5:00 PM' }
       ]
     };
-
-    this.ensureStateTable();
-  }
-
-  /**
-   * Ensure conversation state table exists
-   */
-  ensureStateTable() {
-    try {
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS interview_conversation_state (
-          candidate_id INTEGER PRIMARY KEY,
-          current_stage TEXT NOT NULL,
-          time_preference TEXT,
-          shown_slots TEXT,
-          selected_slot_index INTEGER,
-          selected_date TEXT,
-          selected_time TEXT,
-          conversation_context TEXT,
-          last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-          expires_at DATETIME,
-          FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-        );
-      `);
-    } catch (error) {
-      console.error('❌ Error creating state table:', error);
-    }
   }
 
   /**
@@ -282,8 +282,32 @@ function buildConversationContext(messages, maxMessages = 5) {
   return `\n\nRecent conversation:\n${formatted.join('\n')}`;
 }
 
+/**
+ * Build knowledge base context from retrieved passages, numbered so the
+ * reply can cite them as [1], [2]
+ */
+function buildKnowledgeContext(passages) {
+  if (!passages || passages.length === 0) {
+    return '';
+  }
+
+  const lines = passages.map((passage, i) => {
+    const label = passage.source === 'faq' ? 'FAQ' : 'Approved answer';
+    return `[${i + 1}] ${label}${passage.category ? ` (${passage.category})` : ''}\nQ: ${passage.question}\nA: ${passage.answer}`;
+  });
+
+  return `\n\n## KNOWLEDGE BASE (verified answers - cite the ones you use as [1], [2]):\n${lines.join('\n\n')}\n\nOnly rely on a passage if it answers the candidate's question, and put its number in square brackets after the sentence that uses it. If none of them fit, do not cite anything.`;
+}
+
+/**
+ * Sent instead of an LLM reply when the chat budget is spent or no provider
+ * is reachable - an admin picks the conversation up from the inbox
+ */
+const TEMPLATE_FALLBACK_RESPONSE = `Thanks for your message! A team member will get back to you shortly 🙏`;
+
 module.exports = {
   RECRUITMENT_SYSTEM_PROMPT,
+  TEMPLATE_FALLBACK_RESPONSE,
   INTENT_DETECTION_PROMPT,
   JOB_MATCHING_PROMPT,
   LANG_PROFESSIONAL,
@@ -292,4 +316,5 @@ module.exports = {
   buildCandidateContext,
   buildJobsContext,
   buildConversationContext,
+  buildKnowledgeContext,
 };
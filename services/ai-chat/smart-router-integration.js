@@ -455,39 +455,6 @@ class SmartRouterIntegration {
    */
   async initializeABTesting() {
     try {
-      // Create A/B comparison logs table
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS ab_comparison_logs (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          candidate_id TEXT NOT NULL,
-          message_hash TEXT NOT NULL,
-          smart_router_success INTEGER DEFAULT 0,
-          legacy_success INTEGER DEFAULT 0,
-          smart_router_confidence REAL DEFAULT 0,
-          legacy_confidence REAL DEFAULT 0,
-          smart_router_source TEXT,
-          legacy_source TEXT,
-          smart_router_uses_real_data INTEGER DEFAULT 0,
-          legacy_uses_real_data INTEGER DEFAULT 0,
-          comparison_time INTEGER DEFAULT 0,
-          created_at DATETIME NOT NULL,
-          UNIQUE(candidate_id, message_hash)
-        )
-      `);
-
-      // Create performance tracking table
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS performance_tracking (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          system TEXT NOT NULL,
-          response_time INTEGER NOT NULL,
-          success INTEGER DEFAULT 0,
-          confidence REAL DEFAULT 0,
-          source TEXT,
-          created_at DATETIME NOT NULL
-        )
-      `);
-
       // Initialize Smart Response Router decision logging
       await this.smartRouter.initializeDecisionLogging();
 
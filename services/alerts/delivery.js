@@ -0,0 +1,230 @@
+/**
+ * Alert Delivery
+ * Sends triggered alerts out and records how it went. Legacy rule types go
+ * through the notification router's per-type templates; expression rules
+ * deliver per recipient on their own channels, and deliveries that fall in
+ * quiet hours or do not disturb are logged with scheduled_for and sent by a
+ * later engine run. Also sends the 9 AM daily digest.
+ *
+ * @module alerts/delivery
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../../db');
+const notificationRouter = require('../notifications');
+const { planDeliveries } = require('./rules');
+const { toSqlTime } = require('./history');
+
+/**
+ * Send a legacy rule's alert through the notification router
+ * @param {Object} rule - alert_rules row
+ * @param {Object} alert - { id, alert_title, alert_message, priority }
+ * @param {Object} data - Tender or renewal row the alert is about
+ * @param {string} type - 'tender' or 'renewal'
+ * @param {number|null} [daysUntil] - Days to closing, for closing soon alerts
+ */
+async function notifyRule(rule, alert, data, type, daysUntil = null) {
+  try {
+    let result;
+
+    if (type === 'tender') {
+      if (daysUntil !== null) {
+        result = await notificationRouter.routeClosingSoonAlert(data, rule, daysUntil);
+      } else {
+        result = await notificationRouter.routeHighValueTenderAlert(data, rule);
+      }
+    } else if (type === 'renewal') {
+      result = await notificationRouter.routeRenewalPredictionAlert(data, rule);
+    } else {
+      result = await notificationRouter.routeAlert(alert, rule);
+    }
+
+    // Update alert with delivery results
+    db.prepare(`
+      UPDATE alert_history
+      SET delivered_channels = ?,
+          delivery_status = ?,
+          delivery_errors = ?
+      WHERE id = ?
+    `).run(
+      JSON.stringify(result.delivered_channels),
+      result.success ? 'sent' : 'failed',
+      result.failed_channels.length > 0 ? JSON.stringify(result.failed_channels) : null,
+      alert.id
+    );
+
+  } catch (error) {
+    console.error('Error sending notification:', error);
+  }
+}
+
+/**
+ * Send one logged delivery and record the outcome
+ * @param {Object} delivery - { id, channel, recipient }
+ * @param {Object} alert - { id, alert_title, alert_message, priority }
+ */
+async function sendDelivery(delivery, alert) {
+  let result;
+  try {
+    result = await notificationRouter.sendToChannel(delivery.channel, alert, delivery.recipient);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  db.prepare(`
+    UPDATE alert_delivery_log
+    SET status = ?,
+        error_message = ?,
+        sent_at = ?,
+        retry_count = retry_count + ?
+    WHERE id = ?
+  `).run(
+    result.success ? 'sent' : 'failed',
+    result.success ? null : result.error || 'Delivery failed',
+    result.success ? toSqlTime(new Date()) : null,
+    result.success ? 0 : 1,
+    delivery.id
+  );
+}
+
+/**
+ * Roll an alert's delivery log up into alert_history
+ * @param {string} alertId
+ */
+function updateDeliveryStatus(alertId) {
+  const rows = db.prepare('SELECT channel, status, recipient, error_message FROM alert_delivery_log WHERE alert_id = ?').all(alertId);
+  const sent = [...new Set(rows.filter(r => r.status === 'sent').map(r => r.channel))];
+  const failed = rows.filter(r => r.status === 'failed');
+  const pending = rows.some(r => r.status === 'pending');
+
+  let status = 'sent';
+  if (pending) status = sent.length > 0 || failed.length > 0 ? 'partial' : 'pending';
+  else if (failed.length > 0) status = sent.length > 0 ? 'partial' : 'failed';
+
+  db.prepare(`
+    UPDATE alert_history
+    SET delivered_channels = ?,
+        delivery_status = ?,
+        delivery_errors = ?
+    WHERE id = ?
+  `).run(
+    JSON.stringify(sent),
+    status,
+    failed.length > 0 ? JSON.stringify(failed.map(r => ({ channel: r.channel, recipient: r.recipient, error: r.error_message }))) : null,
+    alertId
+  );
+}
+
+/**
+ * Deliver an expression rule's alert to each recipient on their own
+ * channels, holding back deliveries in quiet hours or do not disturb
+ * @param {Object} rule - alert_rules row
+ * @param {Object} alert - { id, alert_title, alert_message, priority }
+ */
+async function deliverAlert(rule, alert) {
+  const recipients = notificationRouter.getRecipientList(rule.recipients);
+  const channels = notificationRouter.getChannelsForPriority(alert.priority, rule.notification_channels);
+  const { deliveries } = planDeliveries(recipients, { priority: alert.priority, channels });
+
+  const insert = db.prepare(`
+    INSERT INTO alert_delivery_log (id, alert_id, channel, recipient, status, scheduled_for)
+    VALUES (?, ?, ?, ?, 'pending', ?)
+  `);
+
+  for (const delivery of deliveries) {
+    const id = uuidv4();
+    insert.run(id, alert.id, delivery.channel, delivery.address, delivery.scheduled_for ? toSqlTime(delivery.scheduled_for) : null);
+    if (!delivery.scheduled_for) {
+      await sendDelivery({ id, channel: delivery.channel, recipient: delivery.address }, alert);
+    }
+  }
+
+  updateDeliveryStatus(alert.id);
+}
+
+/**
+ * Send deliveries whose quiet hours or do not disturb have ended
+ * @returns {Promise<number>} Deliveries attempted
+ */
+async function sendScheduledDeliveries() {
+  const due = db.prepare(`
+    SELECT dl.id, dl.channel, dl.recipient, dl.alert_id,
+      ah.alert_title, ah.alert_message, ah.alert_priority
+    FROM alert_delivery_log dl
+    JOIN alert_history ah ON ah.id = dl.alert_id
+    WHERE dl.status = 'pending'
+      AND dl.scheduled_for IS NOT NULL
+      AND dl.scheduled_for <= CURRENT_TIMESTAMP
+    ORDER BY dl.scheduled_for
+  `).all();
+
+  const alertIds = new Set();
+  for (const delivery of due) {
+    await sendDelivery(delivery, {
+      id: delivery.alert_id,
+      alert_title: delivery.alert_title,
+      alert_message: delivery.alert_message,
+      priority: delivery.alert_priority
+    });
+    alertIds.add(delivery.alert_id);
+  }
+
+  alertIds.forEach(alertId => updateDeliveryStatus(alertId));
+  return due.length;
+}
+
+/**
+ * Send the daily digest of unacknowledged low/medium alerts (9 AM runs only)
+ * @param {Date} [now]
+ */
+async function sendDailyDigest(now = new Date()) {
+  if (now.getHours() !== 9) return;
+
+  // Get users with digest enabled
+  const users = db.prepare(`
+    SELECT * FROM user_alert_preferences
+    WHERE digest_enabled = 1
+      AND digest_frequency = 'daily'
+  `).all();
+
+  for (const user of users) {
+    try {
+      // Get unacknowledged low/medium priority alerts from last 24 hours
+      const alerts = db.prepare(`
+        SELECT * FROM alert_history
+        WHERE acknowledged = 0
+          AND alert_priority IN ('low', 'medium')
+          AND triggered_at > datetime('now', '-1 day')
+        ORDER BY alert_priority DESC, triggered_at DESC
+      `).all();
+
+      if (alerts.length === 0) continue;
+
+      await notificationRouter.sendDailyDigest(alerts, {
+        emails: [user.email_address],
+        slackChannels: user.slack_user_id ? [`@${user.slack_user_id}`] : []
+      });
+
+      // Mark alerts as included in digest
+      const alertIds = alerts.map(a => a.id);
+      db.prepare(`
+        UPDATE alert_history
+        SET digest_sent = 1,
+            digest_sent_at = CURRENT_TIMESTAMP
+        WHERE id IN (${alertIds.map(() => '?').join(',')})
+      `).run(...alertIds);
+
+    } catch (error) {
+      console.error('Error processing digest for user:', error);
+    }
+  }
+}
+
+module.exports = {
+  notifyRule,
+  deliverAlert,
+  sendDelivery,
+  updateDeliveryStatus,
+  sendScheduledDeliveries,
+  sendDailyDigest,
+};
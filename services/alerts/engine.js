@@ -2,15 +2,15 @@
  * 🔔 ALERT ENGINE
  * Background service that evaluates alert rules and triggers notifications
  * Runs every 5 minutes via cron job
+ * Expression rules (rule_type 'expression') are run by ./expression-rules.js;
+ * sending and the daily digest live in ./delivery.js
  */
 
 const cron = require('node-cron');
-const Database = require('better-sqlite3');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const notificationRouter = require('../notifications');
-
-const DB_PATH = path.join(__dirname, '../../database/gebiz_intelligence.db');
+const { db } = require('../../db');
+const { createAlert } = require('./history');
+const { notifyRule, sendScheduledDeliveries, sendDailyDigest } = require('./delivery');
+const expressionRules = require('./expression-rules');
 
 class AlertEngine {
   constructor() {
@@ -90,14 +90,11 @@ class AlertEngine {
     console.log(`🔍 Alert Engine: Evaluating rules (Run #${this.runsCount})`);
 
     try {
-      const db = new Database(DB_PATH);
-
       // Get all active alert rules
       const rules = db.prepare('SELECT * FROM alert_rules WHERE active = 1').all();
 
       if (rules.length === 0) {
         console.log('ℹ️  No active alert rules to evaluate');
-        db.close();
         return;
       }
 
@@ -112,13 +109,14 @@ class AlertEngine {
         }
       }
 
+      // Send deliveries held back by quiet hours / do not disturb
+      await sendScheduledDeliveries();
+
       // Handle escalations
       await this.handleEscalations(db);
 
       // Process digest batches
-      await this.processDailyDigest(db);
-
-      db.close();
+      await this.processDailyDigest();
 
       this.alertsTriggered += triggered;
       console.log(`✅ Alert Engine: ${triggered} alerts triggered`);
@@ -156,6 +154,10 @@ class AlertEngine {
         triggered = await this.evaluateKeywordMatch(db, rule, conditions);
         break;
 
+      case 'expression':
+        triggered = await expressionRules.evaluateExpressionRule(rule);
+        break;
+
       default:
         console.warn(`Unknown rule type: ${rule.rule_type}`);
     }
@@ -194,13 +196,11 @@ class AlertEngine {
 
     for (const tender of tenders) {
       // Check for deduplication (same tender + rule within 1 hour)
-      if (this.isDuplicate(db, rule.id, tender.id, null)) {
+      if (this.isDuplicate(db, rule, tender.id, null)) {
         continue;
       }
 
-      // Create alert
-      const alertId = await this.createAlert(db, {
-        rule_id: rule.id,
+      await this.raiseAlert(rule, {
         trigger_type: 'tender',
         tender_id: tender.id,
         alert_title: `High-Value Tender: ${tender.title}`,
@@ -213,15 +213,7 @@ class AlertEngine {
           value: tender.estimated_value,
           closing_date: tender.closing_date
         }
-      });
-
-      // Send notification
-      await this.sendNotification(rule, {
-        id: alertId,
-        alert_title: `High-Value Tender: ${tender.title}`,
-        alert_message: `${tender.agency} - $${this.formatCurrency(tender.estimated_value)}`,
-        priority: rule.priority
-      }, tender, 'tender');
+      }, tender);
 
       triggered++;
     }
@@ -250,14 +242,14 @@ class AlertEngine {
 
     for (const tender of tenders) {
       // Check for deduplication
-      if (this.isDuplicate(db, rule.id, tender.id, null)) {
+      if (this.isDuplicate(db, rule, tender.id, null)) {
         continue;
       }
 
       const daysRemaining = Math.max(0, tender.days_remaining);
 
-      const alertId = await this.createAlert(db, {
-        rule_id: rule.id,
+      // Send notification with urgency
+      await this.raiseAlert(rule, {
         trigger_type: 'tender',
         tender_id: tender.id,
         alert_title: `Tender Closing in ${daysRemaining} Day${daysRemaining !== 1 ? 's' : ''}`,
@@ -270,15 +262,7 @@ class AlertEngine {
           days_remaining: daysRemaining,
           closing_date: tender.closing_date
         }
-      });
-
-      // Send notification with urgency
-      await this.sendNotification(rule, {
-        id: alertId,
-        alert_title: `Tender Closing in ${daysRemaining} Day${daysRemaining !== 1 ? 's' : ''}`,
-        alert_message: `${tender.title} - ${tender.agency}`,
-        priority: daysRemaining <= 1 ? 'critical' : rule.priority
-      }, tender, 'tender', daysRemaining);
+      }, tender, daysRemaining);
 
       triggered++;
     }
@@ -308,12 +292,11 @@ class AlertEngine {
 
     for (const renewal of renewals) {
       // Check for deduplication
-      if (this.isDuplicate(db, rule.id, null, renewal.id)) {
+      if (this.isDuplicate(db, rule, null, renewal.id)) {
         continue;
       }
 
-      const alertId = await this.createAlert(db, {
-        rule_id: rule.id,
+      await this.raiseAlert(rule, {
         trigger_type: 'renewal',
         renewal_id: renewal.id,
         alert_title: `Renewal Opportunity: ${renewal.agency}`,
@@ -326,15 +309,7 @@ class AlertEngine {
           value: renewal.contract_value,
           contract_end_date: renewal.contract_end_date
         }
-      });
-
-      // Send notification
-      await this.sendNotification(rule, {
-        id: alertId,
-        alert_title: `Renewal Opportunity: ${renewal.agency}`,
-        alert_message: `${renewal.renewal_probability}% probability - $${this.formatCurrency(renewal.contract_value)}`,
-        priority: rule.priority
-      }, renewal, 'renewal');
+      }, renewal);
 
       triggered++;
     }
@@ -369,24 +344,16 @@ class AlertEngine {
     let triggered = 0;
 
     for (const tender of tenders) {
-      if (this.isDuplicate(db, rule.id, tender.id, null)) continue;
+      if (this.isDuplicate(db, rule, tender.id, null)) continue;
 
-      const alertId = await this.createAlert(db, {
-        rule_id: rule.id,
+      await this.raiseAlert(rule, {
         trigger_type: 'tender',
         tender_id: tender.id,
         alert_title: `New Tender from ${tender.agency}`,
         alert_message: tender.title,
         alert_priority: rule.priority,
         alert_data: { tender_id: tender.id, agency: tender.agency, title: tender.title }
-      });
-
-      await this.sendNotification(rule, {
-        id: alertId,
-        alert_title: `New Tender from ${tender.agency}`,
-        alert_message: tender.title,
-        priority: rule.priority
-      }, tender, 'tender');
+      }, tender);
 
       triggered++;
     }
@@ -418,24 +385,16 @@ class AlertEngine {
       const shouldTrigger = matchType === 'any' ? matches.length > 0 : matches.length === keywords.length;
 
       if (!shouldTrigger) continue;
-      if (this.isDuplicate(db, rule.id, tender.id, null)) continue;
+      if (this.isDuplicate(db, rule, tender.id, null)) continue;
 
-      const alertId = await this.createAlert(db, {
-        rule_id: rule.id,
+      await this.raiseAlert(rule, {
         trigger_type: 'tender',
         tender_id: tender.id,
         alert_title: `Keyword Match: ${tender.title}`,
         alert_message: `Matched: ${matches.join(', ')}`,
         alert_priority: rule.priority,
         alert_data: { tender_id: tender.id, matched_keywords: matches }
-      });
-
-      await this.sendNotification(rule, {
-        id: alertId,
-        alert_title: `Keyword Match: ${tender.title}`,
-        alert_message: `Matched: ${matches.join(', ')}`,
-        priority: rule.priority
-      }, tender, 'tender');
+      }, tender);
 
       triggered++;
     }
@@ -444,87 +403,39 @@ class AlertEngine {
   }
 
   /**
-   * Check if alert is duplicate (same rule + same target within 1 hour)
+   * Check if alert is duplicate (same rule + same target within the rule's dedup window)
    */
-  isDuplicate(db, ruleId, tenderId, renewalId) {
+  isDuplicate(db, rule, tenderId, renewalId) {
     const existing = db.prepare(`
       SELECT id FROM alert_history
       WHERE rule_id = ?
         AND (tender_id = ? OR renewal_id = ?)
-        AND triggered_at > datetime('now', '-1 hour')
+        AND triggered_at > datetime('now', ?)
       LIMIT 1
-    `).get(ruleId, tenderId, renewalId);
+    `).get(rule.id, tenderId, renewalId, `-${rule.dedup_minutes || 60} minutes`);
 
     return !!existing;
   }
 
   /**
-   * Create alert in database
+   * Record an alert for a legacy rule and send it through the notification router
    */
-  async createAlert(db, alertData) {
-    const id = uuidv4();
-
-    db.prepare(`
-      INSERT INTO alert_history (
-        id, rule_id, trigger_type, tender_id, renewal_id,
-        alert_title, alert_message, alert_priority, alert_data,
-        delivered_channels, delivery_status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      id,
-      alertData.rule_id,
-      alertData.trigger_type,
-      alertData.tender_id || null,
-      alertData.renewal_id || null,
-      alertData.alert_title,
-      alertData.alert_message,
-      alertData.alert_priority,
-      JSON.stringify(alertData.alert_data),
-      '[]', // Will be updated after delivery
-      'pending'
-    );
-
-    return id;
+  async raiseAlert(rule, alertData, data, daysUntil = null) {
+    const alertId = createAlert({ rule_id: rule.id, ...alertData });
+
+    await notifyRule(rule, {
+      id: alertId,
+      alert_title: alertData.alert_title,
+      alert_message: alertData.alert_message,
+      priority: alertData.alert_priority
+    }, data, alertData.trigger_type, daysUntil);
   }
 
   /**
-   * Send notification via notification router
+   * Replay an expression rule over past data (see ./expression-rules)
    */
-  async sendNotification(rule, alert, data, type, daysUntil = null) {
-    try {
-      let result;
-
-      if (type === 'tender') {
-        if (daysUntil !== null) {
-          result = await notificationRouter.routeClosingSoonAlert(data, rule, daysUntil);
-        } else {
-          result = await notificationRouter.routeHighValueTenderAlert(data, rule);
-        }
-      } else if (type === 'renewal') {
-        result = await notificationRouter.routeRenewalPredictionAlert(data, rule);
-      } else {
-        result = await notificationRouter.routeAlert(alert, rule);
-      }
-
-      // Update alert with delivery results
-      const db = new Database(DB_PATH);
-      db.prepare(`
-        UPDATE alert_history
-        SET delivered_channels = ?,
-            delivery_status = ?,
-            delivery_errors = ?
-        WHERE id = ?
-      `).run(
-        JSON.stringify(result.delivered_channels),
-        result.success ? 'sent' : 'failed',
-        result.failed_channels.length > 0 ? JSON.stringify(result.failed_channels) : null,
-        alert.id
-      );
-      db.close();
-
-    } catch (error) {
-      console.error('Error sending notification:', error);
-    }
+  previewRule(rule, options) {
+    return expressionRules.previewRule(rule, options);
   }
 
   /**
@@ -574,52 +485,8 @@ class AlertEngine {
   /**
    * Process daily digest batches
    */
-  async processDailyDigest(db) {
-    // Check if it's time to send digest (default: 9 AM)
-    const now = new Date();
-    const hours = now.getHours();
-
-    if (hours !== 9) return; // Only run at 9 AM
-
-    // Get users with digest enabled
-    const users = db.prepare(`
-      SELECT * FROM user_alert_preferences
-      WHERE digest_enabled = 1
-        AND digest_frequency = 'daily'
-    `).all();
-
-    for (const user of users) {
-      try {
-        // Get unacknowledged low/medium priority alerts from last 24 hours
-        const alerts = db.prepare(`
-          SELECT * FROM alert_history
-          WHERE acknowledged = 0
-            AND alert_priority IN ('low', 'medium')
-            AND triggered_at > datetime('now', '-1 day')
-          ORDER BY alert_priority DESC, triggered_at DESC
-        `).all();
-
-        if (alerts.length === 0) continue;
-
-        // Send digest
-        await notificationRouter.sendDailyDigest(alerts, {
-          emails: [user.email_address],
-          slackChannels: user.slack_user_id ? [`@${user.slack_user_id}`] : []
-        });
-
-        // Mark alerts as included in digest
-        const alertIds = alerts.map(a => a.id);
-        db.prepare(`
-          UPDATE alert_history
-          SET digest_sent = 1,
-              digest_sent_at = CURRENT_TIMESTAMP
-          WHERE id IN (${alertIds.map(() => '?').join(',')})
-        `).run(...alertIds);
-
-      } catch (error) {
-        console.error('Error processing digest for user:', error);
-      }
-    }
+  async processDailyDigest() {
+    await sendDailyDigest();
   }
 
   formatCurrency(value) {
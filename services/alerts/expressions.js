@@ -0,0 +1,488 @@
+/**
+ * Alert Rule Expressions
+ * The condition language behind expression alert rules. Conditions can be
+ * written as text:
+ *
+ *   estimated value > 500k AND agency in (MOH, MOE) AND closing within 7 days
+ *
+ * or built as a tree (what the admin rule builder edits and what is stored):
+ *
+ *   { all: [
+ *     { field: 'estimated_value', op: '>', value: 500000 },
+ *     { field: 'agency', op: 'in', value: ['MOH', 'MOE'] },
+ *     { field: 'closing_date', op: 'within', value: 7 },
+ *   ] }
+ *
+ * Groups are { all: [...] }, { any: [...] } and { not: node }. Each subject
+ * (tenders, renewals, operations) has its own field catalogue; text
+ * conditions may use a field's key, label or aliases.
+ *
+ * @module alerts/expressions
+ */
+
+const MAX_DEPTH = 4;
+const MAX_CONDITIONS = 20;
+const MAX_WITHIN_DAYS = 3650;
+
+const OPERATORS = {
+  number: ['>', '>=', '<', '<=', '=', '!='],
+  text: ['=', '!=', 'in', 'not_in', 'contains'],
+  date: ['within'],
+};
+
+const OPERATOR_LABELS = {
+  '>': 'greater than',
+  '>=': 'at least',
+  '<': 'less than',
+  '<=': 'at most',
+  '=': 'is',
+  '!=': 'is not',
+  in: 'is one of',
+  not_in: 'is not one of',
+  contains: 'contains',
+  within: 'within (days)',
+};
+
+const TENDER_STAGES = [
+  'renewal_watch', 'new_opportunity', 'review', 'bidding',
+  'internal_approval', 'submitted', 'awarded', 'lost',
+];
+
+/**
+ * What each subject's rows look like. Operations rows are one per client,
+ * with rates (percent) over the rule's window and the change against the
+ * window before it (percentage points).
+ */
+const SUBJECTS = {
+  tender: {
+    label: 'Tenders',
+    fields: {
+      title: { label: 'Title', type: 'text' },
+      agency: { label: 'Agency', type: 'text' },
+      category: { label: 'Category', type: 'text' },
+      stage: { label: 'Stage', type: 'text', options: TENDER_STAGES },
+      source_type: { label: 'Source', type: 'text', aliases: ['source'] },
+      estimated_value: { label: 'Estimated value', type: 'number', aliases: ['value'] },
+      estimated_margin: { label: 'Estimated margin (%)', type: 'number', aliases: ['margin'] },
+      qualification_score: { label: 'Qualification score', type: 'number', aliases: ['score'] },
+      closing_date: { label: 'Closing', type: 'date', aliases: ['closing', 'closes'] },
+      published_date: { label: 'Published', type: 'date', aliases: ['published'] },
+    },
+  },
+  renewal: {
+    label: 'Contract renewals',
+    fields: {
+      agency: { label: 'Agency', type: 'text' },
+      title: { label: 'Title', type: 'text' },
+      service_category: { label: 'Category', type: 'text', aliases: ['category'] },
+      current_supplier: { label: 'Current supplier', type: 'text', aliases: ['supplier', 'incumbent'] },
+      engagement_status: { label: 'Engagement status', type: 'text', aliases: ['status'] },
+      estimated_value: { label: 'Estimated value', type: 'number', aliases: ['value'] },
+      renewal_probability: { label: 'Renewal probability', type: 'number', aliases: ['probability'] },
+      contract_end_date: { label: 'Contract end', type: 'date', aliases: ['contract_end', 'expiry', 'expires'] },
+      expected_rfp_date: { label: 'Expected RFP', type: 'date', aliases: ['rfp', 'rfp_date'] },
+    },
+  },
+  operations: {
+    label: 'Operations (per client)',
+    fields: {
+      client: { label: 'Client', type: 'text' },
+      industry: { label: 'Industry', type: 'text' },
+      shifts: { label: 'Shifts in window', type: 'number' },
+      fill_rate: { label: 'Fill rate (%)', type: 'number' },
+      no_show_rate: { label: 'No-show rate (%)', type: 'number', aliases: ['no_shows'] },
+      cancellation_rate: { label: 'Cancellation rate (%)', type: 'number', aliases: ['cancellations'] },
+      fill_rate_change: { label: 'Fill rate change (pts)', type: 'number' },
+      no_show_rate_change: { label: 'No-show rate change (pts)', type: 'number' },
+    },
+  },
+};
+
+const fieldKey = (words) => words.join('_').toLowerCase().replace(/-/g, '_').replace(/[^a-z0-9_]/g, '');
+
+/**
+ * Find a field by key, label or alias
+ * @param {string} subject
+ * @param {string} name - e.g. 'estimated value', 'estimated_value', 'value'
+ * @returns {string|null} Field key
+ */
+function resolveField(subject, name) {
+  const fields = SUBJECTS[subject] ? SUBJECTS[subject].fields : {};
+  const key = fieldKey(String(name).trim().split(/\s+/));
+  if (fields[key]) return key;
+
+  const match = Object.entries(fields).find(([, field]) =>
+    (field.aliases || []).includes(key) || fieldKey(field.label.replace(/\(.*\)/, '').trim().split(/\s+/)) === key
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Read a number the way people write money and rates: 500k, 1.2m, 85%
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = /^(-?\d+(?:\.\d+)?)([km])?%?$/i.exec(String(value || '').replace(/[,$]/g, '').trim());
+  if (!match) return null;
+  const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(Number(match[1]) * multiplier * 1e6) / 1e6;
+}
+
+// ============================================
+// TEXT SYNTAX
+// ============================================
+
+const SYMBOLS = ['>=', '<=', '!=', '<>', '==', '>', '<', '=', '(', ')', ','];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      let end = i + 1;
+      let value = '';
+      while (end < text.length && text[end] !== char) {
+        if (text[end] === '\\' && end + 1 < text.length) end++;
+        value += text[end++];
+      }
+      if (end >= text.length) throw new Error('Unclosed quote');
+      tokens.push({ type: 'string', value });
+      i = end + 1;
+      continue;
+    }
+    const symbol = SYMBOLS.find(s => text.startsWith(s, i));
+    if (symbol) {
+      tokens.push({ type: 'symbol', value: symbol });
+      i += symbol.length;
+      continue;
+    }
+    const word = /^[^\s(),<>=!"']+/.exec(text.slice(i));
+    if (!word) throw new Error(`Unexpected "${char}"`);
+    tokens.push({ type: 'word', value: word[0] });
+    i += word[0].length;
+  }
+
+  return tokens;
+}
+
+const isKeyword = (token, ...words) =>
+  token && token.type === 'word' && words.includes(token.value.toLowerCase());
+
+function parseTokens(tokens, subject) {
+  let position = 0;
+  const peek = (offset = 0) => tokens[position + offset];
+  const next = () => tokens[position++];
+  const isSymbol = (token, value) => token && token.type === 'symbol' && token.value === value;
+
+  function expect(value) {
+    const token = next();
+    if (!isSymbol(token, value)) throw new Error(`Expected "${value}"`);
+  }
+
+  function parseOr() {
+    const conditions = [parseAnd()];
+    while (isKeyword(peek(), 'or')) {
+      next();
+      conditions.push(parseAnd());
+    }
+    return conditions.length === 1 ? conditions[0] : { any: conditions };
+  }
+
+  function parseAnd() {
+    const conditions = [parseUnary()];
+    while (isKeyword(peek(), 'and')) {
+      next();
+      conditions.push(parseUnary());
+    }
+    return conditions.length === 1 ? conditions[0] : { all: conditions };
+  }
+
+  function parseUnary() {
+    if (isKeyword(peek(), 'not')) {
+      next();
+      return { not: parseUnary() };
+    }
+    if (isSymbol(peek(), '(')) {
+      next();
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    return parseCondition();
+  }
+
+  // Words up to the next AND / OR / ")" - lets values like Ministry of Health go unquoted
+  function parseValue() {
+    const token = peek();
+    if (!token) throw new Error('Expected a value');
+    if (token.type === 'string') return next().value;
+
+    const words = [];
+    while (peek() && peek().type === 'word' && !isKeyword(peek(), 'and', 'or')) {
+      words.push(next().value);
+    }
+    if (words.length === 0) throw new Error('Expected a value');
+    return words.join(' ');
+  }
+
+  function parseList() {
+    expect('(');
+    const values = [parseValue()];
+    while (isSymbol(peek(), ',')) {
+      next();
+      values.push(parseValue());
+    }
+    expect(')');
+    return values;
+  }
+
+  function parseCondition() {
+    const words = [];
+    while (peek() && peek().type === 'word' && !isKeyword(peek(), 'in', 'contains', 'within')
+      && !(isKeyword(peek(), 'not') && isKeyword(peek(1), 'in'))) {
+      words.push(next().value);
+    }
+    if (words.length === 0) throw new Error('Expected a field name');
+
+    const name = words.join(' ');
+    const field = resolveField(subject, name);
+    if (!field) throw new Error(`Unknown field "${name}"`);
+
+    const token = next();
+    if (!token) throw new Error(`Expected an operator after "${name}"`);
+
+    if (isKeyword(token, 'in')) return { field, op: 'in', value: parseList() };
+    if (isKeyword(token, 'not')) {
+      next();
+      return { field, op: 'not_in', value: parseList() };
+    }
+    if (isKeyword(token, 'contains')) return { field, op: 'contains', value: parseValue() };
+    if (isKeyword(token, 'within')) {
+      const days = next();
+      if (!days || days.type !== 'word') throw new Error('Expected a number of days after "within"');
+      if (isKeyword(peek(), 'day', 'days')) next();
+      return { field, op: 'within', value: days.value };
+    }
+    if (token.type === 'symbol' && !['(', ')', ','].includes(token.value)) {
+      const op = { '==': '=', '<>': '!=' }[token.value] || token.value;
+      return { field, op, value: parseValue() };
+    }
+    throw new Error(`Expected an operator after "${name}"`);
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+  return tree;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function normalizeNode(node, subject, depth, counter) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new Error('Each condition must be an object');
+  }
+  if (depth > MAX_DEPTH) throw new Error(`Groups can be nested at most ${MAX_DEPTH} deep`);
+
+  for (const combinator of ['all', 'any']) {
+    if (node[combinator] !== undefined) {
+      if (!Array.isArray(node[combinator]) || node[combinator].length === 0) {
+        throw new Error(`"${combinator}" must list at least one condition`);
+      }
+      return { [combinator]: node[combinator].map(child => normalizeNode(child, subject, depth + 1, counter)) };
+    }
+  }
+  if (node.not !== undefined) return { not: normalizeNode(node.not, subject, depth + 1, counter) };
+
+  counter.conditions++;
+  if (counter.conditions > MAX_CONDITIONS) throw new Error(`A rule can have at most ${MAX_CONDITIONS} conditions`);
+
+  const field = resolveField(subject, node.field || '');
+  if (!field) throw new Error(`Unknown field "${node.field}" for ${subject}`);
+  const { type, label } = SUBJECTS[subject].fields[field];
+  if (!OPERATORS[type].includes(node.op)) {
+    throw new Error(`${label} supports: ${OPERATORS[type].join(', ')}`);
+  }
+
+  if (node.op === 'within') {
+    const days = parseNumber(node.value);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_WITHIN_DAYS) {
+      throw new Error(`${label}: within needs a whole number of days from 0 to ${MAX_WITHIN_DAYS}`);
+    }
+    return { field, op: 'within', value: days };
+  }
+  if (type === 'number') {
+    const value = parseNumber(node.value);
+    if (value === null) throw new Error(`${label} needs a number, got "${node.value}"`);
+    return { field, op: node.op, value };
+  }
+  if (node.op === 'in' || node.op === 'not_in') {
+    const values = (Array.isArray(node.value) ? node.value : String(node.value || '').split(','))
+      .map(v => String(v).trim())
+      .filter(Boolean);
+    if (values.length === 0) throw new Error(`${label}: list at least one value`);
+    return { field, op: node.op, value: values };
+  }
+  const value = String(node.value === undefined || node.value === null ? '' : node.value).trim();
+  if (!value) throw new Error(`${label} needs a value`);
+  return { field, op: node.op, value };
+}
+
+/**
+ * Validate an expression (text or tree) against a subject's fields
+ * @param {string|Object} input
+ * @param {string} subject - tender | renewal | operations
+ * @returns {{ expression?: Object, error?: string }}
+ */
+function normalizeExpression(input, subject) {
+  if (!SUBJECTS[subject]) {
+    return { error: `subject must be one of: ${Object.keys(SUBJECTS).join(', ')}` };
+  }
+  try {
+    const tree = typeof input === 'string'
+      ? parseTokens(tokenize(input), subject)
+      : input;
+    if (!tree) return { error: 'Add at least one condition' };
+    return { expression: normalizeNode(tree, subject, 1, { conditions: 0 }) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+
+function formatNumber(value) {
+  if (Math.abs(value) >= 1e6 && value % 1e5 === 0) return `${value / 1e6}m`;
+  if (Math.abs(value) >= 1e3 && value % 100 === 0) return `${value / 1e3}k`;
+  return String(value);
+}
+
+function formatText(value) {
+  return /^[\w.\-/&]+$/.test(value) && !['and', 'or', 'not', 'in'].includes(value.toLowerCase())
+    ? value
+    : `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Text form of a normalised expression (parses back to the same tree)
+ * @param {Object} node
+ * @returns {string}
+ */
+function formatExpression(node, parent = null) {
+  if (node.all || node.any) {
+    const combinator = node.all ? 'all' : 'any';
+    const text = node[combinator].map(child => formatExpression(child, combinator)).join(node.all ? ' AND ' : ' OR ');
+    return parent && node[combinator].length > 1 ? `(${text})` : text;
+  }
+  if (node.not) return `NOT ${formatExpression(node.not, 'not')}`;
+
+  switch (node.op) {
+    case 'in':
+    case 'not_in':
+      return `${node.field} ${node.op === 'in' ? 'in' : 'not in'} (${node.value.map(formatText).join(', ')})`;
+    case 'contains':
+      return `${node.field} contains ${formatText(node.value)}`;
+    case 'within':
+      return `${node.field} within ${node.value} days`;
+    default:
+      return `${node.field} ${node.op} ${typeof node.value === 'number' ? formatNumber(node.value) : formatText(node.value)}`;
+  }
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+// Calendar date in Singapore (UTC+8, no DST) as a day number
+function sgDay(value) {
+  const date = value instanceof Date
+    ? new Date(value.getTime() + 8 * 3600000).toISOString().slice(0, 10)
+    : String(value).slice(0, 10);
+  const time = Date.parse(`${date}T00:00:00Z`);
+  return Number.isNaN(time) ? null : Math.round(time / 86400000);
+}
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+function evaluateCondition(condition, row, now) {
+  const actual = row[condition.field];
+  const missing = actual === null || actual === undefined || actual === '';
+
+  switch (condition.op) {
+    case '!=':
+      return missing || (typeof condition.value === 'number' ? Number(actual) !== condition.value : !sameText(actual, condition.value));
+    case 'not_in':
+      return missing || !condition.value.some(v => sameText(actual, v));
+    default:
+      if (missing) return false;
+  }
+
+  switch (condition.op) {
+    case '>': return Number(actual) > condition.value;
+    case '>=': return Number(actual) >= condition.value;
+    case '<': return Number(actual) < condition.value;
+    case '<=': return Number(actual) <= condition.value;
+    case '=': return typeof condition.value === 'number' ? Number(actual) === condition.value : sameText(actual, condition.value);
+    case 'in': return condition.value.some(v => sameText(actual, v));
+    case 'contains': return String(actual).toLowerCase().includes(String(condition.value).toLowerCase());
+    case 'within': {
+      const days = sgDay(actual) - sgDay(now);
+      return Number.isFinite(days) && days >= 0 && days <= condition.value;
+    }
+    default: return false;
+  }
+}
+
+/**
+ * Whether a row matches a normalised expression
+ * @param {Object} node
+ * @param {Object} row - Subject row
+ * @param {Date} [now] - Reference time for "within" conditions
+ * @returns {boolean}
+ */
+function evaluateExpression(node, row, now = new Date()) {
+  if (node.all) return node.all.every(child => evaluateExpression(child, row, now));
+  if (node.any) return node.any.some(child => evaluateExpression(child, row, now));
+  if (node.not) return !evaluateExpression(node.not, row, now);
+  return evaluateCondition(node, row, now);
+}
+
+/**
+ * Fields and operators per subject, for the rule builder
+ * @returns {Object}
+ */
+function describeSubjects() {
+  return Object.fromEntries(Object.entries(SUBJECTS).map(([key, subject]) => [key, {
+    label: subject.label,
+    fields: Object.entries(subject.fields).map(([field, def]) => ({
+      key: field,
+      label: def.label,
+      type: def.type,
+      options: def.options || null,
+      operators: OPERATORS[def.type].map(op => ({ value: op, label: OPERATOR_LABELS[op] })),
+    })),
+  }]));
+}
+
+module.exports = {
+  SUBJECTS,
+  OPERATORS,
+  parseNumber,
+  sgDay,
+  resolveField,
+  normalizeExpression,
+  formatExpression,
+  evaluateExpression,
+  describeSubjects,
+};
@@ -0,0 +1,70 @@
+/**
+ * Alert History
+ * Writes triggered alerts to alert_history and checks it for recent alerts
+ * so a rule does not fire twice on the same row within its dedup window.
+ *
+ * @module alerts/history
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../../db');
+
+// SQLite CURRENT_TIMESTAMP format (UTC), so it compares with stored times
+const toSqlTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Record a triggered alert, pending delivery
+ * @param {Object} alertData - rule_id, trigger_type, tender_id, renewal_id, subject_key,
+ *   alert_title, alert_message, alert_priority, alert_data
+ * @returns {string} Alert id
+ */
+function createAlert(alertData) {
+  const id = uuidv4();
+
+  db.prepare(`
+    INSERT INTO alert_history (
+      id, rule_id, trigger_type, tender_id, renewal_id, subject_key,
+      alert_title, alert_message, alert_priority, alert_data,
+      delivered_channels, delivery_status
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    alertData.rule_id,
+    alertData.trigger_type,
+    alertData.tender_id || null,
+    alertData.renewal_id || null,
+    alertData.subject_key || null,
+    alertData.alert_title,
+    alertData.alert_message,
+    alertData.alert_priority,
+    JSON.stringify(alertData.alert_data),
+    '[]', // Will be updated after delivery
+    'pending'
+  );
+
+  return id;
+}
+
+/**
+ * Whether an expression rule already alerted on this row within its dedup window
+ * @param {Object} rule - alert_rules row
+ * @param {string} key - subjectKey() of the row
+ * @returns {boolean}
+ */
+function isRecentlyAlerted(rule, key) {
+  const existing = db.prepare(`
+    SELECT id FROM alert_history
+    WHERE rule_id = ?
+      AND subject_key = ?
+      AND triggered_at > datetime('now', ?)
+    LIMIT 1
+  `).get(rule.id, key, `-${rule.dedup_minutes || 60} minutes`);
+
+  return !!existing;
+}
+
+module.exports = {
+  toSqlTime,
+  createAlert,
+  isRecentlyAlerted,
+};
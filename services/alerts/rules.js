@@ -0,0 +1,284 @@
+/**
+ * Alert Rules
+ * Operations metrics over a rolling window, replaying a rule over past data
+ * for the "test against last 30 days" preview, and working out who gets an
+ * alert on which channel now and who gets it once their quiet hours or do
+ * not disturb end.
+ *
+ * @module alerts/rules
+ */
+
+const { evaluateExpression, sgDay } = require('./expressions');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Channels delivered per recipient; in-app alerts are the alert_history rows themselves
+const DELIVERY_CHANNELS = ['email', 'sms', 'slack'];
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 90;
+const DEFAULT_DEDUP_MINUTES = 1440;
+const MAX_DEDUP_MINUTES = 30 * 1440;
+
+const DEFAULT_TIMEZONE = 'Asia/Singapore';
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+const difference = (a, b) => (a === null || b === null ? null : Math.round((a - b) * 10) / 10);
+
+/**
+ * Row identity used for dedup windows, e.g. tender:<id>, operations:<client id>
+ * @param {string} subject
+ * @param {Object} row
+ * @returns {string}
+ */
+function subjectKey(subject, row) {
+  return `${subject}:${row.id}`;
+}
+
+const compact = (value) => new Intl.NumberFormat('en-SG', { notation: 'compact' }).format(value || 0);
+const rate = (value) => (value === null || value === undefined ? 'n/a' : `${value}%`);
+
+/**
+ * Alert title and message for a row an expression rule matched
+ * @param {string} subject
+ * @param {Object} row
+ * @returns {{ title: string, message: string }}
+ */
+function describeMatch(subject, row) {
+  if (subject === 'tender') {
+    return {
+      title: `Tender: ${row.title}`,
+      message: [row.agency, row.estimated_value ? `$${compact(row.estimated_value)}` : null, row.closing_date ? `closes ${String(row.closing_date).slice(0, 10)}` : null]
+        .filter(Boolean).join(' - '),
+    };
+  }
+  if (subject === 'renewal') {
+    return {
+      title: `Renewal: ${row.agency}`,
+      message: [row.title, row.estimated_value ? `$${compact(row.estimated_value)}` : null, row.contract_end_date ? `ends ${String(row.contract_end_date).slice(0, 10)}` : null]
+        .filter(Boolean).join(' - '),
+    };
+  }
+  return {
+    title: `${row.client}: fill rate ${rate(row.fill_rate)}, no-shows ${rate(row.no_show_rate)}`,
+    message: `${row.shifts} shift${row.shifts !== 1 ? 's' : ''} in the last ${row.window_days} days`
+      + (row.fill_rate_change !== null ? ` (fill rate ${row.fill_rate_change >= 0 ? '+' : ''}${row.fill_rate_change} pts)` : ''),
+  };
+}
+
+/**
+ * Per-client fill, no-show and cancellation rates for the window ending on
+ * asOf, with the change against the window before it
+ * @param {Object[]} jobs - One row per job: client_id, client, industry,
+ *   job_date, total_slots, filled_slots, deployments, no_shows, cancellations
+ * @param {Object} options
+ * @param {Date} options.asOf
+ * @param {number} [options.windowDays]
+ * @returns {Object[]} Operations rows for clients with shifts in the window
+ */
+function summarizeOperations(jobs, { asOf, windowDays = DEFAULT_WINDOW_DAYS }) {
+  const end = sgDay(asOf);
+  const clients = new Map();
+
+  for (const job of jobs) {
+    const day = sgDay(job.job_date);
+    if (day === null || day > end || day <= end - 2 * windowDays) continue;
+
+    if (!clients.has(job.client_id)) {
+      const empty = () => ({ shifts: 0, slots: 0, filled: 0, deployments: 0, no_shows: 0, cancellations: 0 });
+      clients.set(job.client_id, { client: job.client, industry: job.industry, current: empty(), previous: empty() });
+    }
+    const totals = clients.get(job.client_id)[day > end - windowDays ? 'current' : 'previous'];
+    totals.shifts++;
+    totals.slots += job.total_slots || 0;
+    totals.filled += Math.min(job.filled_slots || 0, job.total_slots || 0);
+    totals.deployments += job.deployments || 0;
+    totals.no_shows += job.no_shows || 0;
+    totals.cancellations += job.cancellations || 0;
+  }
+
+  const rates = (totals) => ({
+    fill_rate: percent(totals.filled, totals.slots),
+    no_show_rate: percent(totals.no_shows, totals.deployments - totals.cancellations),
+    cancellation_rate: percent(totals.cancellations, totals.deployments),
+  });
+
+  return [...clients.entries()]
+    .filter(([, client]) => client.current.shifts > 0)
+    .map(([id, client]) => {
+      const current = rates(client.current);
+      const previous = rates(client.previous);
+      return {
+        id,
+        client: client.client,
+        industry: client.industry,
+        shifts: client.current.shifts,
+        ...current,
+        fill_rate_change: difference(current.fill_rate, previous.fill_rate),
+        no_show_rate_change: difference(current.no_show_rate, previous.no_show_rate),
+        window_days: windowDays,
+      };
+    });
+}
+
+/**
+ * Replay a rule over past data the way the engine would have run it: check
+ * every step, alert on each matching row unless the same row alerted within
+ * the dedup window.
+ * @param {Object} options
+ * @param {Object} options.expression - Normalised expression
+ * @param {string} options.subject
+ * @param {Function} options.rowsAt - (Date) => rows as they stood then
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {number} [options.dedupMinutes]
+ * @param {number} [options.stepMinutes]
+ * @returns {{ alerts: Object[], checks: number }} alerts: { at, key, row }
+ */
+function replayRule({ expression, subject, rowsAt, from, to, dedupMinutes = DEFAULT_DEDUP_MINUTES, stepMinutes = 60 }) {
+  const lastAlerted = new Map();
+  const alerts = [];
+  let checks = 0;
+
+  for (let time = from.getTime(); time <= to.getTime(); time += stepMinutes * 60000) {
+    const at = new Date(time);
+    checks++;
+    for (const row of rowsAt(at)) {
+      if (!evaluateExpression(expression, row, at)) continue;
+      const key = subjectKey(subject, row);
+      const previous = lastAlerted.get(key);
+      if (previous !== undefined && time - previous < dedupMinutes * 60000) continue;
+      lastAlerted.set(key, time);
+      alerts.push({ at, key, row });
+    }
+  }
+
+  return { alerts, checks };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time || '').split(':').map(Number);
+  return Number.isFinite(hours) ? hours * 60 + (minutes || 0) : null;
+}
+
+function localMinutes(now, timezone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone || DEFAULT_TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(now);
+  } catch {
+    parts = new Intl.DateTimeFormat('en-GB', { timeZone: DEFAULT_TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(now);
+  }
+  const value = (type) => Number(parts.find(p => p.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+/**
+ * Minutes left in a recipient's quiet hours (0 when outside them). Windows
+ * that cross midnight, e.g. 22:00-07:00, are handled.
+ * @param {Object} quietHours - { start: 'HH:MM', end: 'HH:MM', timezone }
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function quietMinutesLeft(quietHours, now = new Date()) {
+  if (!quietHours) return 0;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === null || end === null || start === end) return 0;
+
+  const current = localMinutes(now, quietHours.timezone);
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  return inside ? (end - current + 1440) % 1440 : 0;
+}
+
+/**
+ * Work out deliveries for one alert
+ * @param {Object[]} recipients - { name, addresses: { email, sms, slack },
+ *   quiet_hours, dnd_enabled, dnd_until, min_priority }
+ * @param {Object} options
+ * @param {string} options.priority - Alert priority
+ * @param {string[]} options.channels - Channels the rule allows at this priority
+ * @param {Date} [options.now]
+ * @returns {{ deliveries: Object[], skipped: Object[] }} deliveries:
+ *   { recipient, channel, address, scheduled_for } (null = send now)
+ */
+function planDeliveries(recipients, { priority, channels, now = new Date() }) {
+  const deliveries = [];
+  const skipped = [];
+  const seen = new Set();
+  const rank = PRIORITIES.indexOf(priority);
+
+  for (const recipient of recipients) {
+    if (recipient.min_priority && rank < PRIORITIES.indexOf(recipient.min_priority)) {
+      skipped.push({ recipient: recipient.name, reason: `below ${recipient.min_priority} priority` });
+      continue;
+    }
+
+    // Critical alerts ignore quiet hours and do not disturb
+    let sendAt = now;
+    if (priority !== 'critical') {
+      if (recipient.dnd_enabled) {
+        const until = recipient.dnd_until ? new Date(recipient.dnd_until) : null;
+        if (!until || Number.isNaN(until.getTime())) {
+          skipped.push({ recipient: recipient.name, reason: 'do not disturb' });
+          continue;
+        }
+        if (until > sendAt) sendAt = until;
+      }
+      const quiet = quietMinutesLeft(recipient.quiet_hours, sendAt);
+      if (quiet > 0) sendAt = new Date(sendAt.getTime() + quiet * 60000);
+    }
+
+    for (const channel of DELIVERY_CHANNELS) {
+      const address = recipient.addresses[channel];
+      if (!address || !channels.includes(channel)) continue;
+      if (seen.has(`${channel}:${address}`)) continue;
+      seen.add(`${channel}:${address}`);
+      deliveries.push({
+        recipient: recipient.name,
+        channel,
+        address,
+        scheduled_for: sendAt > now ? sendAt : null,
+      });
+    }
+  }
+
+  return { deliveries, skipped };
+}
+
+/**
+ * Validate the expression-rule settings that sit beside the expression
+ * @param {Object} data - window_days, dedup_minutes
+ * @returns {{ settings?: Object, error?: string }}
+ */
+function normalizeRuleSettings(data = {}) {
+  const settings = {
+    window_days: data.window_days === undefined || data.window_days === null ? DEFAULT_WINDOW_DAYS : Number(data.window_days),
+    dedup_minutes: data.dedup_minutes === undefined || data.dedup_minutes === null ? DEFAULT_DEDUP_MINUTES : Number(data.dedup_minutes),
+  };
+
+  if (!Number.isInteger(settings.window_days) || settings.window_days < 1 || settings.window_days > MAX_WINDOW_DAYS) {
+    return { error: `window_days must be a whole number from 1 to ${MAX_WINDOW_DAYS}` };
+  }
+  if (!Number.isInteger(settings.dedup_minutes) || settings.dedup_minutes < 5 || settings.dedup_minutes > MAX_DEDUP_MINUTES) {
+    return { error: `dedup_minutes must be a whole number from 5 to ${MAX_DEDUP_MINUTES}` };
+  }
+  return { settings };
+}
+
+module.exports = {
+  PRIORITIES,
+  DELIVERY_CHANNELS,
+  DEFAULT_WINDOW_DAYS,
+  DEFAULT_DEDUP_MINUTES,
+  subjectKey,
+  describeMatch,
+  summarizeOperations,
+  replayRule,
+  quietMinutesLeft,
+  planDeliveries,
+  normalizeRuleSettings,
+};
@@ -0,0 +1,106 @@
+/**
+ * Alert Rule Sources
+ * Loads the rows expression rules are checked against: tenders from the BPO
+ * pipeline, contract renewals, and per-client operations metrics built from
+ * jobs and deployments. Each source can be read as it is now (engine runs)
+ * or as it stood at past times (rule preview).
+ *
+ * The past view is approximate: tenders and renewals appear from their
+ * created_at, but with today's values (a tender awarded last week shows as
+ * awarded throughout). Operations metrics are rebuilt per day from job dates.
+ *
+ * @module alerts/sources
+ */
+
+const { reader } = require('../../db');
+const { sgDay } = require('./expressions');
+const { summarizeOperations } = require('./rules');
+
+const TENDER_COLUMNS = `
+  id, tender_no, title, agency, category, stage, source_type, estimated_value,
+  estimated_margin, qualification_score, closing_date, published_date, created_at
+`;
+
+const RENEWAL_COLUMNS = `
+  id, original_tender_no, agency, title, service_category, current_supplier,
+  engagement_status, estimated_value, renewal_probability, contract_end_date,
+  expected_rfp_date, created_at
+`;
+
+const dayToDate = (day) => new Date(day * 86400000).toISOString().slice(0, 10);
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone
+function parseTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  const time = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+  return Number.isNaN(time) ? null : time;
+}
+
+function loadJobs(fromDay, toDay) {
+  return reader.prepare(`
+    SELECT j.id, j.client_id, c.company_name AS client, c.industry, j.job_date,
+      j.total_slots, j.filled_slots,
+      COUNT(d.id) AS deployments,
+      COALESCE(SUM(CASE WHEN d.status = 'no_show' THEN 1 ELSE 0 END), 0) AS no_shows,
+      COALESCE(SUM(CASE WHEN d.status = 'cancelled' THEN 1 ELSE 0 END), 0) AS cancellations
+    FROM jobs j
+    JOIN clients c ON c.id = j.client_id
+    LEFT JOIN deployments d ON d.job_id = j.id
+    WHERE j.job_date BETWEEN ? AND ?
+      AND j.status != 'cancelled'
+    GROUP BY j.id
+  `).all(dayToDate(fromDay), dayToDate(toDay));
+}
+
+function loadRecords(subject) {
+  return subject === 'tender'
+    ? reader.prepare(`SELECT ${TENDER_COLUMNS} FROM bpo_tender_lifecycle`).all()
+    : reader.prepare(`SELECT ${RENEWAL_COLUMNS} FROM contract_renewals`).all();
+}
+
+/**
+ * Rows for a subject as they are now
+ * @param {string} subject - tender | renewal | operations
+ * @param {Object} [options]
+ * @param {number} [options.windowDays] - Operations metric window
+ * @param {Date} [options.now]
+ * @returns {Object[]}
+ */
+function currentRows(subject, { windowDays, now = new Date() } = {}) {
+  if (subject !== 'operations') return loadRecords(subject);
+
+  const today = sgDay(now);
+  return summarizeOperations(loadJobs(today - 2 * windowDays + 1, today), { asOf: now, windowDays });
+}
+
+/**
+ * Rows for a subject at past times, loaded once for the whole range
+ * @param {string} subject
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {number} [options.windowDays]
+ * @returns {Function} (Date) => rows as they stood then
+ */
+function historicalRows(subject, { from, to, windowDays }) {
+  if (subject !== 'operations') {
+    const records = loadRecords(subject).map(row => ({ row, created: parseTimestamp(row.created_at) }));
+    return (at) => records
+      .filter(record => record.created === null || record.created <= at.getTime())
+      .map(record => record.row);
+  }
+
+  const jobs = loadJobs(sgDay(from) - 2 * windowDays + 1, sgDay(to));
+  const byDay = new Map();
+  return (at) => {
+    const day = sgDay(at);
+    if (!byDay.has(day)) byDay.set(day, summarizeOperations(jobs, { asOf: at, windowDays }));
+    return byDay.get(day);
+  };
+}
+
+module.exports = {
+  currentRows,
+  historicalRows,
+};
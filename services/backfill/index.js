@@ -0,0 +1,495 @@
+/**
+ * Shift Backfill Service
+ * Finds a replacement when a deployed worker cancels or no-shows.
+ *
+ * Flow:
+ *   deployment → cancelled/no_show (slot released, request opened)
+ *   → wave of offers to the best-ranked available workers (app, push, Telegram)
+ *   → first worker to accept gets the slot; unanswered waves expire and the next wave goes out
+ *   → request is filled, exhausted (nobody left / max waves) or cancelled by an admin
+ *
+ * @module backfill
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const { notifyAdmins } = require('../../websocket/notify-admins');
+const { enhancedMatchCandidates } = require('../../utils/candidate-matching');
+const {
+  DEFAULT_WAVE_SIZE,
+  DEFAULT_WINDOW_MINUTES,
+  DEFAULT_MAX_WAVES,
+  rankReplacements,
+  selectWave,
+  isBackfillable
+} = require('./ranking');
+
+const logger = createLogger('backfill');
+
+const DROPOUT_STATUSES = ['cancelled', 'no_show'];
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+function notifyCandidate(candidateId, title, message, data) {
+  try {
+    const { createNotification } = require('../../websocket/broadcasting/event-notifiers');
+    createNotification(candidateId, 'shift_offer', title, message, data);
+  } catch (error) {
+    logger.warn('Failed to create backfill notification', { candidate_id: candidateId, error: error.message });
+  }
+}
+
+function getRequest(id) {
+  return db.prepare('SELECT * FROM backfill_requests WHERE id = ?').get(id);
+}
+
+function closeRequest(id, status) {
+  db.prepare(`
+    UPDATE backfill_requests SET status = ?, closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'offering'
+  `).run(status, id);
+  db.prepare(`
+    UPDATE backfill_offers SET status = 'superseded' WHERE request_id = ? AND status = 'offered'
+  `).run(id);
+}
+
+function formatShift(job) {
+  return `${job.title} on ${job.job_date}, ${job.start_time}-${job.end_time} at ${job.location}`;
+}
+
+/**
+ * Send one offer over every channel the worker can be reached on
+ * Failures are logged only - the in-app notification is always created.
+ * @returns {Promise<string[]>} Channels used
+ */
+async function deliverOffer(offer, job, windowMinutes) {
+  const candidate = db.prepare(`
+    SELECT id, name, telegram_chat_id, push_token FROM candidates WHERE id = ?
+  `).get(offer.candidate_id);
+  const channels = ['app'];
+  const text = `Urgent shift available: ${formatShift(job)} ($${job.pay_rate}/hr). ` +
+    `First to accept within ${windowMinutes} minutes gets it.`;
+
+  notifyCandidate(candidate.id, 'Urgent shift available', text, { offer_id: offer.id, job_id: job.id });
+
+  try {
+    const messaging = require('../messaging');
+
+    if (candidate.push_token && await messaging.sendPushNotification(candidate, 'Urgent shift available', text)) {
+      channels.push('push');
+    }
+
+    if (candidate.telegram_chat_id && messaging.telegram.isConfigured()) {
+      const result = await messaging.telegram.sendMessageWithButtons(candidate.telegram_chat_id, text, [[
+        { text: 'Accept shift', callback_data: `backfill_accept:${offer.id}` },
+        { text: 'Decline', callback_data: `backfill_decline:${offer.id}` }
+      ]]);
+      if (result.success) channels.push('telegram');
+    }
+  } catch (error) {
+    logger.warn('Failed to deliver backfill offer', { offer_id: offer.id, error: error.message });
+  }
+
+  db.prepare('UPDATE backfill_offers SET channels = ? WHERE id = ?').run(JSON.stringify(channels), offer.id);
+  return channels;
+}
+
+/**
+ * Workers who could take the slot: active, not on this job in any status,
+ * not already working another shift that day and not offered this slot before
+ */
+function getEligibleCandidates(request, job) {
+  return db.prepare(`
+    SELECT c.*,
+      (SELECT COUNT(*) FROM deployments d
+       WHERE d.candidate_id = c.id AND d.status = 'completed') as completed_jobs,
+      (SELECT AVG(d.rating) FROM deployments d
+       WHERE d.candidate_id = c.id AND d.rating IS NOT NULL) as avg_rating,
+      COALESCE(c.total_jobs_completed, 0) as total_jobs_completed
+    FROM candidates c
+    WHERE c.status = 'active'
+      AND c.id != COALESCE(?, '')
+      AND NOT EXISTS (SELECT 1 FROM deployments d WHERE d.candidate_id = c.id AND d.job_id = ?)
+      AND NOT EXISTS (
+        SELECT 1 FROM deployments d
+        JOIN jobs j ON d.job_id = j.id
+        WHERE d.candidate_id = c.id AND j.job_date = ? AND d.status NOT IN ('cancelled', 'no_show')
+      )
+      AND NOT EXISTS (SELECT 1 FROM backfill_offers o WHERE o.candidate_id = c.id AND o.request_id = ?)
+  `).all(request.vacated_candidate_id, job.id, job.job_date, request.id);
+}
+
+/**
+ * Rank eligible workers and send the next wave of offers
+ * Closes the request as exhausted when nobody is left or the wave limit is reached.
+ * @param {string} requestId
+ * @returns {Promise<Object[]>} Offers sent in this wave
+ */
+async function startNextWave(requestId) {
+  const request = getRequest(requestId);
+  if (!request || request.status !== 'offering') {
+    return [];
+  }
+
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(request.job_id);
+  if (!job || !isBackfillable(job)) {
+    closeRequest(requestId, 'exhausted');
+    notifyAdmins('backfill_exhausted', { requestId, jobId: request.job_id, reason: 'shift_over' });
+    return [];
+  }
+  if (job.filled_slots >= job.total_slots) {
+    // Someone was assigned manually in the meantime
+    closeRequest(requestId, 'cancelled');
+    return [];
+  }
+  if (request.current_wave >= DEFAULT_MAX_WAVES) {
+    closeRequest(requestId, 'exhausted');
+    notifyAdmins('backfill_exhausted', { requestId, jobId: job.id, reason: 'max_waves' });
+    return [];
+  }
+
+  const candidates = getEligibleCandidates(request, job);
+  const matching = candidates.length > 0
+    ? await enhancedMatchCandidates(job, candidates, {
+      useAI: false,
+      minScore: 0,
+      maxResults: candidates.length,
+      includeReasons: false
+    })
+    : { matches: [] };
+
+  const availabilityByCandidate = {};
+  db.prepare('SELECT * FROM candidate_availability WHERE date = ?').all(job.job_date)
+    .forEach(entry => { availabilityByCandidate[entry.candidate_id] = entry; });
+
+  const candidatesById = Object.fromEntries(candidates.map(c => [c.id, c]));
+  const ranked = rankReplacements(matching.matches, { job, candidatesById, availabilityByCandidate });
+  const wave = selectWave(ranked, [], request.wave_size);
+
+  if (wave.length === 0) {
+    closeRequest(requestId, 'exhausted');
+    notifyAdmins('backfill_exhausted', { requestId, jobId: job.id, reason: 'no_candidates' });
+    logger.business('backfill_exhausted', { request_id: requestId, job_id: job.id, waves: request.current_wave });
+    return [];
+  }
+
+  // Matching is async - claim the wave number so a concurrent call cannot send the same wave
+  const waveNumber = request.current_wave + 1;
+  const offers = db.transaction(() => {
+    const claimed = db.prepare(`
+      UPDATE backfill_requests SET current_wave = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND current_wave = ? AND status = 'offering'
+    `).run(waveNumber, requestId, request.current_wave);
+    if (claimed.changes === 0) {
+      return [];
+    }
+
+    const insert = db.prepare(`
+      INSERT INTO backfill_offers (id, request_id, candidate_id, wave, rank, match_score, availability, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+    `);
+    return wave.map(entry => {
+      const id = generateId('BFO');
+      insert.run(id, requestId, entry.candidate_id, waveNumber, entry.rank, entry.match_score,
+        entry.availability, `+${request.window_minutes} minutes`);
+      return { id, candidate_id: entry.candidate_id, name: entry.name };
+    });
+  })();
+
+  await Promise.all(offers.map(offer => deliverOffer(offer, job, request.window_minutes)));
+
+  if (offers.length > 0) {
+    logger.business('backfill_wave_sent', { request_id: requestId, job_id: job.id, wave: waveNumber, offers: offers.length });
+    notifyAdmins('backfill_wave_sent', { requestId, jobId: job.id, wave: waveNumber, offers: offers.length });
+  }
+
+  return offers;
+}
+
+/**
+ * Release the slot of a dropped-out deployment and start backfilling it
+ * Called when a deployment moves to cancelled or no_show.
+ * @param {string} deploymentId
+ * @returns {Promise<Object|null>} Backfill request, or null when the shift is over
+ */
+async function handleDeploymentDropout(deploymentId) {
+  const deployment = db.prepare('SELECT * FROM deployments WHERE id = ?').get(deploymentId);
+  if (!deployment || !DROPOUT_STATUSES.includes(deployment.status)) {
+    return null;
+  }
+
+  const existing = db.prepare('SELECT * FROM backfill_requests WHERE vacated_deployment_id = ?').get(deploymentId);
+  if (existing) {
+    return existing;
+  }
+
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(deployment.job_id);
+  const requestId = generateId('BFR');
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE jobs
+      SET filled_slots = MAX(filled_slots - 1, 0),
+          status = CASE WHEN status = 'filled' THEN 'open' ELSE status END
+      WHERE id = ?
+    `).run(deployment.job_id);
+
+    if (isBackfillable(job)) {
+      db.prepare(`
+        INSERT INTO backfill_requests (id, job_id, vacated_deployment_id, vacated_candidate_id, reason, wave_size, window_minutes)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(requestId, job.id, deploymentId, deployment.candidate_id, deployment.status,
+        DEFAULT_WAVE_SIZE, DEFAULT_WINDOW_MINUTES);
+    }
+  })();
+
+  if (!isBackfillable(job)) {
+    return null;
+  }
+
+  logger.business('backfill_started', { request_id: requestId, job_id: job.id, deployment_id: deploymentId, reason: deployment.status });
+  notifyAdmins('backfill_started', { requestId, jobId: job.id, reason: deployment.status });
+
+  await startNextWave(requestId);
+  return getRequest(requestId);
+}
+
+/**
+ * Accept an offer - the first worker to accept gets the slot
+ * Runs in one transaction so two workers accepting at once cannot both get it,
+ * and the job's filled_slots never exceeds total_slots.
+ * @param {string} offerId
+ * @param {string} candidateId - Worker accepting (must own the offer)
+ * @returns {{ deployment: Object, request: Object }}
+ */
+function acceptOffer(offerId, candidateId) {
+  const outcome = db.transaction(() => {
+    const offer = db.prepare(`
+      SELECT o.*, r.status as request_status, r.job_id, o.expires_at <= datetime('now') as is_expired
+      FROM backfill_offers o
+      JOIN backfill_requests r ON o.request_id = r.id
+      WHERE o.id = ?
+    `).get(offerId);
+
+    if (!offer || offer.candidate_id !== candidateId) {
+      return { error: ApiError.notFound('Offer not found') };
+    }
+    if (offer.status !== 'offered' || offer.request_status !== 'offering') {
+      return { error: ApiError.conflict('This shift has already been filled', 'OFFER_CLOSED') };
+    }
+    if (offer.is_expired) {
+      db.prepare(`UPDATE backfill_offers SET status = 'expired' WHERE id = ?`).run(offerId);
+      return { error: ApiError.conflict('This offer has expired', 'OFFER_EXPIRED') };
+    }
+
+    const alreadyOnJob = db.prepare(`
+      SELECT id FROM deployments WHERE job_id = ? AND candidate_id = ?
+    `).get(offer.job_id, candidateId);
+    if (alreadyOnJob) {
+      db.prepare(`UPDATE backfill_offers SET status = 'superseded' WHERE id = ?`).run(offerId);
+      return { error: ApiError.conflict('You are already assigned to this job', 'ALREADY_ASSIGNED') };
+    }
+
+    const slot = db.prepare(`
+      UPDATE jobs SET filled_slots = filled_slots + 1 WHERE id = ? AND filled_slots < total_slots
+    `).run(offer.job_id);
+    if (slot.changes === 0) {
+      closeRequest(offer.request_id, 'cancelled');
+      return { error: ApiError.conflict('This shift has already been filled', 'SLOT_FILLED') };
+    }
+    db.prepare(`
+      UPDATE jobs SET status = 'filled' WHERE id = ? AND filled_slots >= total_slots AND status = 'open'
+    `).run(offer.job_id);
+
+    const deploymentId = generateId('DEP');
+    db.prepare(`
+      INSERT INTO deployments (id, job_id, candidate_id, status) VALUES (?, ?, ?, 'confirmed')
+    `).run(deploymentId, offer.job_id, candidateId);
+
+    db.prepare(`
+      UPDATE backfill_offers SET status = 'accepted', responded_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(offerId);
+    db.prepare(`
+      UPDATE backfill_requests
+      SET status = 'filled', filled_by_candidate_id = ?, filled_deployment_id = ?,
+          closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(candidateId, deploymentId, offer.request_id);
+    db.prepare(`
+      UPDATE backfill_offers SET status = 'superseded' WHERE request_id = ? AND status = 'offered'
+    `).run(offer.request_id);
+
+    return {
+      deployment: db.prepare('SELECT * FROM deployments WHERE id = ?').get(deploymentId),
+      request: getRequest(offer.request_id)
+    };
+  })();
+
+  if (outcome.error) {
+    throw outcome.error;
+  }
+
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(outcome.request.job_id);
+  notifyCandidate(candidateId, 'Shift confirmed', `You're confirmed for ${formatShift(job)}.`, {
+    job_id: job.id, deployment_id: outcome.deployment.id
+  });
+  logger.business('backfill_filled', { request_id: outcome.request.id, job_id: job.id, candidate_id: candidateId });
+  notifyAdmins('backfill_filled', { requestId: outcome.request.id, jobId: job.id, candidateId });
+
+  return outcome;
+}
+
+/**
+ * Decline an offer; sends the next wave early once everyone in this wave has answered
+ * @param {string} offerId
+ * @param {string} candidateId - Worker declining (must own the offer)
+ */
+async function declineOffer(offerId, candidateId) {
+  const offer = db.prepare('SELECT * FROM backfill_offers WHERE id = ?').get(offerId);
+  if (!offer || offer.candidate_id !== candidateId) {
+    throw ApiError.notFound('Offer not found');
+  }
+  if (offer.status !== 'offered') {
+    throw ApiError.conflict('This offer is no longer open', 'OFFER_CLOSED');
+  }
+
+  db.prepare(`
+    UPDATE backfill_offers SET status = 'declined', responded_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(offerId);
+
+  const open = db.prepare(`
+    SELECT COUNT(*) as count FROM backfill_offers WHERE request_id = ? AND status = 'offered'
+  `).get(offer.request_id).count;
+  if (open === 0) {
+    await startNextWave(offer.request_id);
+  }
+
+  return db.prepare('SELECT * FROM backfill_offers WHERE id = ?').get(offerId);
+}
+
+/**
+ * Expire offers past their window and send the next wave where nobody accepted
+ * Run every minute by the job scheduler.
+ * @returns {Promise<{ expired: number, waves_started: number }>}
+ */
+async function processExpiredOffers() {
+  const expired = db.prepare(`
+    UPDATE backfill_offers SET status = 'expired'
+    WHERE status = 'offered' AND expires_at <= datetime('now')
+  `).run().changes;
+
+  const stalled = db.prepare(`
+    SELECT r.id FROM backfill_requests r
+    WHERE r.status = 'offering'
+      AND NOT EXISTS (SELECT 1 FROM backfill_offers o WHERE o.request_id = r.id AND o.status = 'offered')
+  `).all();
+
+  let wavesStarted = 0;
+  for (const { id } of stalled) {
+    const offers = await startNextWave(id);
+    if (offers.length > 0) wavesStarted++;
+  }
+
+  return { expired, waves_started: wavesStarted };
+}
+
+/**
+ * Close the current wave now and send the next one (admin action)
+ */
+async function advanceWave(requestId) {
+  const request = getRequest(requestId);
+  if (!request) {
+    throw ApiError.notFound('Backfill request not found');
+  }
+  if (request.status !== 'offering') {
+    throw ApiError.badRequest(`Cannot send another wave for a ${request.status} request`, 'INVALID_STATUS');
+  }
+
+  db.prepare(`
+    UPDATE backfill_offers SET status = 'expired' WHERE request_id = ? AND status = 'offered'
+  `).run(requestId);
+
+  const offers = await startNextWave(requestId);
+  return { offers, request: getRequest(requestId) };
+}
+
+/**
+ * Stop backfilling (admin action)
+ */
+function cancelRequest(requestId) {
+  const request = getRequest(requestId);
+  if (!request) {
+    throw ApiError.notFound('Backfill request not found');
+  }
+  if (request.status !== 'offering') {
+    throw ApiError.badRequest(`Cannot cancel a ${request.status} request`, 'INVALID_STATUS');
+  }
+
+  closeRequest(requestId, 'cancelled');
+  logger.business('backfill_cancelled', { request_id: requestId, job_id: request.job_id });
+  return getRequest(requestId);
+}
+
+/**
+ * Backfill requests for a job with every offer, newest request first
+ */
+function getForJob(jobId) {
+  const requests = db.prepare(`
+    SELECT r.*, vc.name as vacated_candidate_name, fc.name as filled_by_candidate_name
+    FROM backfill_requests r
+    LEFT JOIN candidates vc ON r.vacated_candidate_id = vc.id
+    LEFT JOIN candidates fc ON r.filled_by_candidate_id = fc.id
+    WHERE r.job_id = ?
+    ORDER BY r.created_at DESC
+  `).all(jobId);
+
+  const offersStmt = db.prepare(`
+    SELECT o.*, c.name as candidate_name
+    FROM backfill_offers o
+    LEFT JOIN candidates c ON o.candidate_id = c.id
+    WHERE o.request_id = ?
+    ORDER BY o.wave ASC, o.rank ASC
+  `);
+
+  return requests.map(request => ({
+    ...request,
+    offers: offersStmt.all(request.id).map(offer => ({
+      ...offer,
+      channels: offer.channels ? JSON.parse(offer.channels) : []
+    }))
+  }));
+}
+
+/**
+ * Open, unexpired offers for a worker with the shift details
+ */
+function getOpenOffersForCandidate(candidateId) {
+  return db.prepare(`
+    SELECT o.id, o.request_id, o.wave, o.expires_at, o.created_at,
+           j.id as job_id, j.title as job_title, j.job_date, j.start_time, j.end_time,
+           j.location, j.pay_rate
+    FROM backfill_offers o
+    JOIN backfill_requests r ON o.request_id = r.id
+    JOIN jobs j ON r.job_id = j.id
+    WHERE o.candidate_id = ? AND o.status = 'offered' AND r.status = 'offering'
+      AND o.expires_at > datetime('now')
+    ORDER BY o.expires_at ASC
+  `).all(candidateId);
+}
+
+module.exports = {
+  DROPOUT_STATUSES,
+  handleDeploymentDropout,
+  startNextWave,
+  acceptOffer,
+  declineOffer,
+  processExpiredOffers,
+  advanceWave,
+  cancelRequest,
+  getForJob,
+  getOpenOffersForCandidate
+};
@@ -0,0 +1,132 @@
+/**
+ * Backfill Ranking
+ * Pure helpers that combine match scores with availability to order replacement
+ * workers, and pick who gets the next wave of offers.
+ * Kept free of database access so they can be unit tested directly.
+ *
+ * @module backfill/ranking
+ */
+
+// Offers sent per wave, how long each wave stays open, and how many waves to try
+const DEFAULT_WAVE_SIZE = parseInt(process.env.BACKFILL_WAVE_SIZE, 10) || 5;
+const DEFAULT_WINDOW_MINUTES = parseInt(process.env.BACKFILL_WINDOW_MINUTES, 10) || 15;
+const DEFAULT_MAX_WAVES = parseInt(process.env.BACKFILL_MAX_WAVES, 10) || 4;
+
+// Score adjustments by availability fit; 'unavailable' workers are never offered
+const AVAILABILITY_ADJUSTMENTS = {
+  available: 20,     // Calendar says available for the whole shift
+  partial: 5,        // Available that day, but not for the full shift hours
+  mode_match: 10,    // No calendar entry; weekday/weekend preference fits
+  unknown: 0,        // No calendar entry and custom availability
+  mode_mismatch: -10 // No calendar entry; preference does not fit (still offered, just later)
+};
+
+function toMinutes(time) {
+  if (!time) return null;
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return Number.isFinite(hours) ? hours * 60 + (minutes || 0) : null;
+}
+
+function isWeekend(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * How well a worker's availability fits the shift
+ * @param {Object|null} entry - candidate_availability row for the job date
+ * @param {Object} candidate - Candidate row (availability_mode)
+ * @param {Object} job - Job row (job_date, start_time, end_time)
+ * @returns {string} Key of AVAILABILITY_ADJUSTMENTS, or 'unavailable'
+ */
+function getAvailabilityFit(entry, candidate, job) {
+  if (entry) {
+    if (entry.status !== 'available') return 'unavailable';
+
+    const shiftStart = toMinutes(job.start_time);
+    const shiftEnd = toMinutes(job.end_time);
+    const freeFrom = toMinutes(entry.start_time);
+    const freeUntil = toMinutes(entry.end_time);
+    if (freeFrom === null || freeUntil === null || shiftStart === null || shiftEnd === null) {
+      return 'available';
+    }
+
+    // Overnight shifts run past midnight
+    const end = shiftEnd <= shiftStart ? shiftEnd + 24 * 60 : shiftEnd;
+    const until = freeUntil <= freeFrom ? freeUntil + 24 * 60 : freeUntil;
+    return freeFrom <= shiftStart && until >= end ? 'available' : 'partial';
+  }
+
+  const mode = candidate.availability_mode || 'weekdays';
+  if (mode === 'custom') return 'unknown';
+  if (mode === 'all') return 'mode_match';
+
+  const weekend = isWeekend(job.job_date);
+  return (mode === 'weekends') === weekend ? 'mode_match' : 'mode_mismatch';
+}
+
+/**
+ * Order replacement workers by match score plus availability
+ * @param {Object[]} matches - Results of enhancedMatchCandidates ({ id, score })
+ * @param {Object} context
+ * @param {Object} context.job - Job row
+ * @param {Object<string, Object>} context.candidatesById - Candidate rows by id
+ * @param {Object<string, Object>} context.availabilityByCandidate - Availability rows for the job date
+ * @returns {Object[]} Ranked { candidate_id, name, match_score, availability, score, rank }
+ */
+function rankReplacements(matches, { job, candidatesById, availabilityByCandidate = {} }) {
+  return matches
+    .map(match => {
+      const candidate = candidatesById[match.id] || { id: match.id };
+      const availability = getAvailabilityFit(availabilityByCandidate[match.id] || null, candidate, job);
+      return {
+        candidate_id: match.id,
+        name: match.name || candidate.name,
+        match_score: match.score,
+        availability,
+        score: match.score + (AVAILABILITY_ADJUSTMENTS[availability] || 0),
+      };
+    })
+    .filter(entry => entry.availability !== 'unavailable')
+    .sort((a, b) => b.score - a.score || b.match_score - a.match_score)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+/**
+ * Pick the next wave of workers who have not been offered the slot yet
+ * @param {Object[]} ranked - Output of rankReplacements
+ * @param {Set<string>|string[]} alreadyOffered - Candidate ids with an earlier offer
+ * @param {number} waveSize
+ */
+function selectWave(ranked, alreadyOffered, waveSize = DEFAULT_WAVE_SIZE) {
+  const offered = alreadyOffered instanceof Set ? alreadyOffered : new Set(alreadyOffered);
+  return ranked.filter(entry => !offered.has(entry.candidate_id)).slice(0, waveSize);
+}
+
+/**
+ * Whether a shift is still worth backfilling (not already over)
+ * @param {Object} job - Job row (job_date, end_time)
+ * @param {Date} now
+ */
+function isBackfillable(job, now = new Date()) {
+  if (!job || !job.job_date) return false;
+  const end = job.end_time || '23:59';
+  // Singapore is UTC+8 all year round (no DST)
+  let shiftEnd = new Date(`${job.job_date}T${end.length === 5 ? end + ':00' : end}+08:00`).getTime();
+  if (isNaN(shiftEnd)) return false;
+  if (toMinutes(job.end_time) !== null && toMinutes(job.end_time) <= toMinutes(job.start_time)) {
+    shiftEnd += 24 * 60 * 60 * 1000;
+  }
+  return shiftEnd > now.getTime();
+}
+
+module.exports = {
+  DEFAULT_WAVE_SIZE,
+  DEFAULT_WINDOW_MINUTES,
+  DEFAULT_MAX_WAVES,
+  AVAILABILITY_ADJUSTMENTS,
+  getAvailabilityFit,
+  rankReplacements,
+  selectWave,
+  isBackfillable,
+};
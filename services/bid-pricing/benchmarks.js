@@ -0,0 +1,102 @@
+/**
+ * Bid Pricing Benchmarks
+ * Reads comparable EPU pricing records and historical GeBIZ awards.
+ * Read-only; returns empty sets when the EPU tables have not been created
+ * on this deployment yet.
+ *
+ * @module bid-pricing/benchmarks
+ */
+
+const { store } = require('../../db');
+
+const COMPARABLE_LIMIT = 50;
+
+// Fewer comparables than this and the search is widened
+const MIN_COMPARABLES = 3;
+
+function hasTable(name) {
+  return !!store.get("SELECT name FROM sqlite_master WHERE type='table' AND name = ?", name);
+}
+
+/**
+ * Run increasingly broad queries until enough rows come back
+ * @param {Array<{ scope: string, sql: string, params: Array }>} attempts - Narrowest first
+ */
+function widen(attempts) {
+  let best = { scope: null, rows: [] };
+  for (const attempt of attempts) {
+    const rows = store.all(attempt.sql, ...attempt.params, COMPARABLE_LIMIT);
+    // A wider search only wins if it actually finds more
+    if (best.scope === null || rows.length > best.rows.length) {
+      best = { scope: attempt.scope, rows };
+    }
+    if (rows.length >= MIN_COMPARABLES) break;
+  }
+  return best;
+}
+
+function findEpuComparables({ agency, serviceType }) {
+  const base = `
+    SELECT service_type, agency, manpower_count, contract_duration_months, hourly_rate_avg,
+           monthly_cost_per_person, total_contract_value, award_date, supplier_name
+    FROM epu_pricing_intelligence
+  `;
+  const order = ' ORDER BY award_date DESC LIMIT ?';
+  const attempts = [];
+  if (serviceType && agency) {
+    attempts.push({ scope: 'service_type_and_agency', sql: `${base} WHERE service_type = ? AND agency = ?${order}`, params: [serviceType, agency] });
+  }
+  if (serviceType) {
+    attempts.push({ scope: 'service_type', sql: `${base} WHERE service_type = ?${order}`, params: [serviceType] });
+  }
+  if (agency) {
+    attempts.push({ scope: 'agency', sql: `${base} WHERE agency = ?${order}`, params: [agency] });
+  }
+  attempts.push({ scope: 'all', sql: `${base}${order}`, params: [] });
+  return widen(attempts);
+}
+
+function findAwardComparables({ agency, category }) {
+  const base = `
+    SELECT tender_no, description, awarded_amount, supplier_name, award_date, agency, category,
+           contract_period_start, contract_period_end
+    FROM gebiz_historical_tenders
+    WHERE awarded_amount > 0
+  `;
+  const order = ' ORDER BY award_date DESC LIMIT ?';
+  const attempts = [];
+  if (category && agency) {
+    attempts.push({ scope: 'category_and_agency', sql: `${base} AND category = ? AND agency = ?${order}`, params: [category, agency] });
+  }
+  if (category) {
+    attempts.push({ scope: 'category', sql: `${base} AND category = ?${order}`, params: [category] });
+  }
+  if (agency) {
+    attempts.push({ scope: 'agency', sql: `${base} AND agency = ?${order}`, params: [agency] });
+  }
+  return attempts.length > 0 ? widen(attempts) : { scope: null, rows: [] };
+}
+
+/**
+ * Comparable pricing records and awards for a tender
+ * @param {Object} criteria
+ * @param {string} [criteria.agency]
+ * @param {string} [criteria.category] - GeBIZ category of the tender
+ * @param {string} [criteria.serviceType] - EPU service type, e.g. 'event_support'
+ * @returns {{ available: boolean, epu: Object[], epuScope: string|null, awards: Object[], awardsScope: string|null }}
+ */
+function findComparables(criteria = {}) {
+  const epu = hasTable('epu_pricing_intelligence') ? findEpuComparables(criteria) : { scope: null, rows: [] };
+  const awards = hasTable('gebiz_historical_tenders') ? findAwardComparables(criteria) : { scope: null, rows: [] };
+  return {
+    available: true,
+    epu: epu.rows,
+    epuScope: epu.scope,
+    awards: awards.rows,
+    awardsScope: awards.scope,
+  };
+}
+
+module.exports = {
+  findComparables,
+};
@@ -0,0 +1,283 @@
+/**
+ * Bid Pricing Calculator
+ * Builds a manpower contract price up from headcount, shift patterns and pay
+ * rates, and positions it against market benchmarks.
+ *
+ * Cost build-up per role (monthly):
+ *   basic wages     headcount × normal hours × pay rate
+ *   overtime        hours above the 44h work week × pay rate × OT multiplier
+ *   PH premium      public holidays worked × shift hours × pay rate × (PH multiplier - 1)
+ *   employer CPF    on the local headcount's share of wages
+ *   levy            foreign headcount × monthly levy
+ * Overheads are a percentage of direct cost; margin is a percentage of the bid
+ * value, so bid = total cost / (1 - margin).
+ *
+ * @module bid-pricing/calculator
+ */
+
+const WEEKS_PER_MONTH = 52 / 12;
+
+// Employment Act: hours beyond this in a week are paid as overtime
+const NORMAL_HOURS_PER_WEEK = 44;
+
+const DEFAULTS = {
+  contract_months: 12,
+  cpf_rate: 17,
+  levy_per_head: 450,
+  overtime_multiplier: 1.5,
+  public_holidays_per_year: 11,
+  ph_multiplier: 2,
+  overhead_pct: 10,
+  margin_pct: 10,
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Fill in defaults and validate pricing inputs
+ * @param {Object} inputs - Raw scenario inputs
+ * @returns {{ inputs: Object, errors: string[] }} Normalised inputs and any validation errors
+ */
+function normalizeInputs(inputs = {}) {
+  const errors = [];
+  const normalized = {};
+
+  for (const [key, fallback] of Object.entries(DEFAULTS)) {
+    normalized[key] = toNumber(inputs[key], fallback);
+    if (!Number.isFinite(normalized[key]) || normalized[key] < 0) {
+      errors.push(`${key} must be a non-negative number`);
+    }
+  }
+  if (normalized.contract_months < 1) errors.push('contract_months must be at least 1');
+  if (normalized.margin_pct >= 100) errors.push('margin_pct must be below 100');
+  if (normalized.overtime_multiplier < 1) errors.push('overtime_multiplier must be at least 1');
+  if (normalized.ph_multiplier < 1) errors.push('ph_multiplier must be at least 1');
+
+  const roles = Array.isArray(inputs.roles) ? inputs.roles : [];
+  if (roles.length === 0) errors.push('At least one role is required');
+
+  normalized.roles = roles.map((role, i) => {
+    const label = role.role || `Role ${i + 1}`;
+    const r = {
+      role: label,
+      headcount: toNumber(role.headcount, 0),
+      foreign_headcount: toNumber(role.foreign_headcount, 0),
+      hourly_rate: toNumber(role.hourly_rate, 0),
+      hours_per_day: toNumber(role.hours_per_day, 8),
+      days_per_week: toNumber(role.days_per_week, 5),
+    };
+
+    if (!Number.isInteger(r.headcount) || r.headcount < 1) errors.push(`${label}: headcount must be a whole number of at least 1`);
+    if (!Number.isInteger(r.foreign_headcount) || r.foreign_headcount < 0 || r.foreign_headcount > r.headcount) {
+      errors.push(`${label}: foreign_headcount must be between 0 and headcount`);
+    }
+    if (!(r.hourly_rate > 0)) errors.push(`${label}: hourly_rate must be greater than 0`);
+    if (!(r.hours_per_day > 0 && r.hours_per_day <= 24)) errors.push(`${label}: hours_per_day must be between 0 and 24`);
+    if (!(r.days_per_week > 0 && r.days_per_week <= 7)) errors.push(`${label}: days_per_week must be between 0 and 7`);
+    return r;
+  });
+
+  return { inputs: normalized, errors };
+}
+
+function costRole(role, inputs) {
+  const weeklyHours = role.hours_per_day * role.days_per_week;
+  const normalWeekly = Math.min(weeklyHours, NORMAL_HOURS_PER_WEEK);
+  const overtimeWeekly = Math.max(0, weeklyHours - NORMAL_HOURS_PER_WEEK);
+
+  // Holidays falling on rostered days; their base pay is already in basic wages
+  const phDaysPerMonth = (inputs.public_holidays_per_year / 12) * (role.days_per_week / 7);
+
+  const basic = role.headcount * normalWeekly * WEEKS_PER_MONTH * role.hourly_rate;
+  const overtime = role.headcount * overtimeWeekly * WEEKS_PER_MONTH * role.hourly_rate * inputs.overtime_multiplier;
+  const publicHoliday = role.headcount * phDaysPerMonth * role.hours_per_day * role.hourly_rate * (inputs.ph_multiplier - 1);
+  const wages = basic + overtime + publicHoliday;
+
+  const localShare = (role.headcount - role.foreign_headcount) / role.headcount;
+  const cpf = wages * localShare * (inputs.cpf_rate / 100);
+  const levy = role.foreign_headcount * inputs.levy_per_head;
+
+  return {
+    role: role.role,
+    headcount: role.headcount,
+    foreign_headcount: role.foreign_headcount,
+    hourly_rate: role.hourly_rate,
+    hours_per_day: role.hours_per_day,
+    days_per_week: role.days_per_week,
+    weekly_hours: weeklyHours,
+    overtime_hours_per_week: overtimeWeekly,
+    monthly_hours: round2(role.headcount * weeklyHours * WEEKS_PER_MONTH),
+    monthly: {
+      basic: round2(basic),
+      overtime: round2(overtime),
+      public_holiday: round2(publicHoliday),
+      wages: round2(wages),
+      cpf: round2(cpf),
+      levy: round2(levy),
+      direct_cost: round2(wages + cpf + levy),
+    },
+  };
+}
+
+/**
+ * Cost build-up and bid value for a pricing scenario
+ * @param {Object} rawInputs - Scenario inputs
+ * @param {Object[]} rawInputs.roles - [{ role, headcount, foreign_headcount, hourly_rate, hours_per_day, days_per_week }]
+ * @param {number} [rawInputs.contract_months]
+ * @param {number} [rawInputs.cpf_rate] - Employer CPF %
+ * @param {number} [rawInputs.levy_per_head] - Monthly levy per foreign worker
+ * @param {number} [rawInputs.overtime_multiplier]
+ * @param {number} [rawInputs.public_holidays_per_year]
+ * @param {number} [rawInputs.ph_multiplier] - Pay multiplier for work on a public holiday
+ * @param {number} [rawInputs.overhead_pct] - % of direct cost
+ * @param {number} [rawInputs.margin_pct] - % of bid value
+ * @returns {{ valid: boolean, errors: string[], inputs: Object, roles?: Object[], monthly?: Object, total?: Object }}
+ */
+function calculateBid(rawInputs) {
+  const { inputs, errors } = normalizeInputs(rawInputs);
+  if (errors.length > 0) {
+    return { valid: false, errors, inputs };
+  }
+
+  const roles = inputs.roles.map(role => costRole(role, inputs));
+  const sum = key => roles.reduce((acc, r) => acc + r.monthly[key], 0);
+
+  const directCost = sum('direct_cost');
+  const overheads = directCost * (inputs.overhead_pct / 100);
+  const totalCost = directCost + overheads;
+  const bidValue = totalCost / (1 - inputs.margin_pct / 100);
+  const headcount = roles.reduce((acc, r) => acc + r.headcount, 0);
+  const monthlyHours = roles.reduce((acc, r) => acc + r.monthly_hours, 0);
+
+  const monthly = {
+    basic: round2(sum('basic')),
+    overtime: round2(sum('overtime')),
+    public_holiday: round2(sum('public_holiday')),
+    wages: round2(sum('wages')),
+    cpf: round2(sum('cpf')),
+    levy: round2(sum('levy')),
+    direct_cost: round2(directCost),
+    overheads: round2(overheads),
+    total_cost: round2(totalCost),
+    margin: round2(bidValue - totalCost),
+    bid_value: round2(bidValue),
+  };
+
+  const total = {};
+  for (const [key, value] of Object.entries(monthly)) {
+    total[key] = round2(value * inputs.contract_months);
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    inputs,
+    roles,
+    headcount,
+    monthly_hours: round2(monthlyHours),
+    monthly,
+    total,
+    per_head_monthly: round2(bidValue / headcount),
+    charge_out_rate: round2(bidValue / monthlyHours),
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function summarise(values) {
+  const clean = values.filter(v => Number.isFinite(v) && v > 0);
+  if (clean.length === 0) return null;
+  return {
+    count: clean.length,
+    min: round2(Math.min(...clean)),
+    median: round2(median(clean)),
+    max: round2(Math.max(...clean)),
+  };
+}
+
+/**
+ * Where a value sits against a set of comparables
+ * @param {number} value
+ * @param {Object|null} stats - From summarise()
+ * @returns {{ vs_median_pct: number, position: 'below_range'|'below_median'|'above_median'|'above_range' }|null}
+ */
+function position(value, stats) {
+  if (!stats || !(value > 0)) return null;
+  let label;
+  if (value < stats.min) label = 'below_range';
+  else if (value > stats.max) label = 'above_range';
+  else label = value <= stats.median ? 'below_median' : 'above_median';
+  return { vs_median_pct: round2(((value - stats.median) / stats.median) * 100), position: label };
+}
+
+/**
+ * Months covered by a contract period, null when either date is missing
+ */
+function contractMonths(start, end) {
+  if (!start || !end) return null;
+  const s = new Date(start);
+  const e = new Date(end);
+  if (Number.isNaN(s.getTime()) || Number.isNaN(e.getTime()) || e <= s) return null;
+  return Math.max(1, Math.round((e - s) / (1000 * 60 * 60 * 24 * 30.44)));
+}
+
+/**
+ * Compare a calculated bid with EPU pricing records and historical awards
+ * @param {Object} bid - calculateBid() result
+ * @param {Object} comparables
+ * @param {Object[]} comparables.epu - epu_pricing_intelligence rows
+ * @param {Object[]} comparables.awards - gebiz_historical_tenders rows
+ */
+function compareWithBenchmarks(bid, { epu = [], awards = [] } = {}) {
+  const epuPerHead = summarise(epu.map(r => r.monthly_cost_per_person));
+  const epuHourly = summarise(epu.map(r => r.hourly_rate_avg));
+  const epuTotal = summarise(epu.map(r => r.total_contract_value));
+
+  const awardTotals = summarise(awards.map(a => a.awarded_amount));
+  const awardMonthly = summarise(awards.map(a => {
+    const months = contractMonths(a.contract_period_start, a.contract_period_end);
+    return months ? a.awarded_amount / months : null;
+  }));
+
+  return {
+    epu: {
+      count: epu.length,
+      per_head_monthly: epuPerHead,
+      hourly_rate: epuHourly,
+      total_contract_value: epuTotal,
+      our_per_head_monthly: position(bid.per_head_monthly, epuPerHead),
+      our_charge_out_rate: position(bid.charge_out_rate, epuHourly),
+      our_total: position(bid.total.bid_value, epuTotal),
+    },
+    awards: {
+      count: awards.length,
+      total_value: awardTotals,
+      monthly_value: awardMonthly,
+      our_total: position(bid.total.bid_value, awardTotals),
+      our_monthly: position(bid.monthly.bid_value, awardMonthly),
+    },
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  NORMAL_HOURS_PER_WEEK,
+  WEEKS_PER_MONTH,
+  normalizeInputs,
+  calculateBid,
+  summarise,
+  contractMonths,
+  compareWithBenchmarks,
+};
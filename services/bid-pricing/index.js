@@ -0,0 +1,225 @@
+/**
+ * Bid Pricing Service
+ * Costing workspace for BPO tenders in the Bidding stage. Each saved pricing
+ * scenario is a numbered version linked to its tender; applying a scenario
+ * copies its figures onto the tender (our_bid_amount, estimated_cost,
+ * estimated_margin).
+ *
+ * @module bid-pricing
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const { DEFAULTS, calculateBid, compareWithBenchmarks } = require('./calculator');
+const { findComparables } = require('./benchmarks');
+
+const logger = createLogger('bid-pricing');
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+function getTender(tenderId) {
+  const tender = db.prepare(`
+    SELECT id, tender_no, title, agency, category, stage, estimated_value,
+           our_bid_amount, estimated_cost, estimated_margin, contract_start_date, contract_end_date
+    FROM bpo_tender_lifecycle WHERE id = ?
+  `).get(tenderId);
+  if (!tender) {
+    throw ApiError.notFound('Tender not found');
+  }
+  return tender;
+}
+
+function parseScenario(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    is_selected: !!row.is_selected,
+    inputs: JSON.parse(row.inputs),
+    breakdown: JSON.parse(row.breakdown),
+  };
+}
+
+/**
+ * Calculate a bid, throwing on invalid inputs
+ * @param {Object} inputs - See calculator.calculateBid
+ */
+function calculate(inputs) {
+  const bid = calculateBid(inputs);
+  if (!bid.valid) {
+    throw ApiError.badRequest(bid.errors.join('; '), 'INVALID_PRICING');
+  }
+  return bid;
+}
+
+/**
+ * Benchmarks for a calculated bid against comparable EPU pricing and awards
+ * @param {Object} tender - Tender row
+ * @param {Object} bid - calculateBid() result
+ * @param {string} [serviceType] - EPU service type to compare against
+ */
+function benchmark(tender, bid, serviceType) {
+  const comparables = findComparables({ agency: tender.agency, category: tender.category, serviceType });
+  return {
+    available: comparables.available,
+    epu_scope: comparables.epuScope,
+    awards_scope: comparables.awardsScope,
+    ...compareWithBenchmarks(bid, comparables),
+    recent_awards: comparables.awards.slice(0, 5),
+  };
+}
+
+/**
+ * Price a scenario without saving it
+ * @param {string} tenderId
+ * @param {Object} inputs - Scenario inputs
+ * @param {Object} [options]
+ * @param {string} [options.serviceType]
+ */
+function previewScenario(tenderId, inputs, { serviceType } = {}) {
+  const tender = getTender(tenderId);
+  const bid = calculate(inputs);
+  return { tender, bid, benchmarks: benchmark(tender, bid, serviceType) };
+}
+
+/**
+ * Pricing workspace for a tender: defaults, saved versions, and the selected version
+ * @param {string} tenderId
+ */
+function getWorkspace(tenderId) {
+  const tender = getTender(tenderId);
+  const scenarios = db.prepare(`
+    SELECT * FROM bpo_bid_scenarios WHERE tender_id = ? ORDER BY version DESC
+  `).all(tenderId).map(parseScenario);
+
+  return {
+    tender,
+    defaults: DEFAULTS,
+    scenarios,
+    selected: scenarios.find(s => s.is_selected) || null,
+  };
+}
+
+/**
+ * Save a pricing scenario as the tender's next version
+ * @param {string} tenderId
+ * @param {Object} data
+ * @param {Object} data.inputs - Scenario inputs
+ * @param {string} [data.name]
+ * @param {string} [data.notes]
+ * @param {string} [data.serviceType]
+ * @param {string} [createdBy]
+ * @returns {Object} Saved scenario
+ */
+function saveScenario(tenderId, { inputs, name, notes, serviceType } = {}, createdBy = null) {
+  const tender = getTender(tenderId);
+  const bid = calculate(inputs);
+  const benchmarks = benchmark(tender, bid, serviceType);
+
+  const id = generateId('BID');
+  const normalized = bid.inputs;
+  const breakdown = {
+    roles: bid.roles,
+    headcount: bid.headcount,
+    monthly_hours: bid.monthly_hours,
+    monthly: bid.monthly,
+    total: bid.total,
+    per_head_monthly: bid.per_head_monthly,
+    charge_out_rate: bid.charge_out_rate,
+  };
+
+  const version = db.transaction(() => {
+    const next = db.prepare(`
+      SELECT COALESCE(MAX(version), 0) + 1 as version FROM bpo_bid_scenarios WHERE tender_id = ?
+    `).get(tenderId).version;
+
+    db.prepare(`
+      INSERT INTO bpo_bid_scenarios (
+        id, tender_id, version, name, inputs, breakdown, monthly_value, total_value,
+        total_cost, margin_pct, contract_months, notes, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id, tenderId, next, name || `Version ${next}`,
+      JSON.stringify({ ...normalized, service_type: serviceType || null }),
+      JSON.stringify({ ...breakdown, benchmarks }),
+      bid.monthly.bid_value, bid.total.bid_value, bid.total.total_cost,
+      normalized.margin_pct, normalized.contract_months, notes || null, createdBy
+    );
+    return next;
+  })();
+
+  logger.business('bid_scenario_saved', {
+    tender_id: tenderId,
+    scenario_id: id,
+    version,
+    total_value: bid.total.bid_value,
+  });
+
+  return getScenario(id);
+}
+
+/**
+ * @param {string} scenarioId
+ */
+function getScenario(scenarioId) {
+  const scenario = parseScenario(db.prepare('SELECT * FROM bpo_bid_scenarios WHERE id = ?').get(scenarioId));
+  if (!scenario) {
+    throw ApiError.notFound('Pricing scenario not found');
+  }
+  return scenario;
+}
+
+/**
+ * Use a scenario as the tender's bid: marks it selected and copies its
+ * bid value, cost and margin onto the tender
+ * @param {string} scenarioId
+ * @returns {{ scenario: Object, tender: Object }}
+ */
+function applyScenario(scenarioId) {
+  const scenario = getScenario(scenarioId);
+
+  db.transaction(() => {
+    db.prepare('UPDATE bpo_bid_scenarios SET is_selected = 0 WHERE tender_id = ?').run(scenario.tender_id);
+    db.prepare('UPDATE bpo_bid_scenarios SET is_selected = 1 WHERE id = ?').run(scenarioId);
+    db.prepare(`
+      UPDATE bpo_tender_lifecycle
+      SET our_bid_amount = ?, estimated_cost = ?, estimated_margin = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(scenario.total_value, scenario.total_cost, scenario.margin_pct, scenario.tender_id);
+  })();
+
+  logger.business('bid_scenario_applied', {
+    tender_id: scenario.tender_id,
+    scenario_id: scenarioId,
+    version: scenario.version,
+    total_value: scenario.total_value,
+  });
+
+  return { scenario: getScenario(scenarioId), tender: getTender(scenario.tender_id) };
+}
+
+/**
+ * Delete a saved scenario. The selected scenario cannot be deleted.
+ * @param {string} scenarioId
+ */
+function deleteScenario(scenarioId) {
+  const scenario = getScenario(scenarioId);
+  if (scenario.is_selected) {
+    throw ApiError.conflict('The selected scenario cannot be deleted', 'SCENARIO_SELECTED');
+  }
+  db.prepare('DELETE FROM bpo_bid_scenarios WHERE id = ?').run(scenarioId);
+  return { id: scenarioId, version: scenario.version };
+}
+
+module.exports = {
+  calculate,
+  previewScenario,
+  getWorkspace,
+  saveScenario,
+  getScenario,
+  applyScenario,
+  deleteScenario,
+};
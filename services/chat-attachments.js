@@ -44,29 +44,6 @@ function ensureDirectories() {
 // Initialize directories on module load
 ensureDirectories();
 
-// Ensure chat_attachments table exists
-function ensureTable() {
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS chat_attachments (
-      id TEXT PRIMARY KEY,
-      candidate_id TEXT NOT NULL,
-      message_id TEXT,
-      original_name TEXT NOT NULL,
-      stored_name TEXT NOT NULL,
-      mime_type TEXT NOT NULL,
-      file_size INTEGER NOT NULL,
-      file_url TEXT NOT NULL,
-      thumbnail_url TEXT,
-      is_image INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-    )
-  `);
-}
-
-// Initialize table on module load
-ensureTable();
-
 // Multer configuration with memory storage
 const storage = multer.memoryStorage();
 
@@ -119,7 +96,6 @@ async function createThumbnail(buffer, thumbnailPath) {
  */
 async function uploadAttachment(file, candidateId, messageId = null) {
   ensureDirectories();
-  ensureTable();
 
   if (!file || !file.buffer) {
     throw new Error('No file provided');
@@ -211,8 +187,6 @@ async function uploadAttachment(file, candidateId, messageId = null) {
  * @returns {object|null} - Attachment record or null if not found
  */
 function getAttachment(attachmentId) {
-  ensureTable();
-
   const attachment = db.prepare('SELECT * FROM chat_attachments WHERE id = ?').get(attachmentId);
 
   if (!attachment) {
@@ -240,8 +214,6 @@ function getAttachment(attachmentId) {
  * @returns {Array} - List of attachments
  */
 function getAttachmentsByCandidate(candidateId) {
-  ensureTable();
-
   const attachments = db.prepare(`
     SELECT * FROM chat_attachments
     WHERE candidate_id = ?
@@ -268,8 +240,6 @@ function getAttachmentsByCandidate(candidateId) {
  * @returns {Array} - List of attachments
  */
 function getAttachmentsByMessage(messageId) {
-  ensureTable();
-
   const attachments = db.prepare(`
     SELECT * FROM chat_attachments
     WHERE message_id = ?
@@ -296,8 +266,6 @@ function getAttachmentsByMessage(messageId) {
  * @returns {boolean} - True if deleted, false if not found
  */
 function deleteAttachment(attachmentId) {
-  ensureTable();
-
   const attachment = db.prepare('SELECT * FROM chat_attachments WHERE id = ?').get(attachmentId);
 
   if (!attachment) {
@@ -339,8 +307,6 @@ function deleteAttachment(attachmentId) {
  * @returns {boolean} - True if updated, false if attachment not found
  */
 function linkAttachmentToMessage(attachmentId, messageId) {
-  ensureTable();
-
   const result = db.prepare(`
     UPDATE chat_attachments SET message_id = ? WHERE id = ?
   `).run(messageId, attachmentId);
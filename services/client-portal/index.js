@@ -0,0 +1,665 @@
+/**
+ * Client Portal Service
+ * Self-service for client contacts: shift requests, assigned workers and
+ * ratings, timesheet sign-off, invoices and attendance history.
+ *
+ * Flow:
+ *   admin invites a contact → acceptInvite(token, password) → signs in
+ *   → requestJob() creates a job in 'pending_approval'
+ *   → admin reviewJobRequest() sets the rates and opens it ('open') or rejects it
+ *   → workers are deployed as usual; after the shift the client approves
+ *     timesheets and rates each worker (deployments.rating / feedback)
+ *
+ * Every read and write is scoped to the signed-in contact's client.
+ *
+ * @module client-portal
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { generateToken } = require('../../middleware/auth');
+const { createLogger } = require('../../utils/structured-logger');
+const { notifyAdmins } = require('../../websocket/notify-admins');
+const { validatePassword, hashPassword, verifyPassword } = require('../admin-users/roles');
+const { toSingaporeDate } = require('../invoicing/calculator');
+const invoicing = require('../invoicing');
+const timesheets = require('../timesheets');
+const questEngine = require('../quest-engine');
+const ratings = require('../ratings');
+const geo = require('../geo');
+const { validateJobRequest, validateRating, attendanceCsv } = require('./rules');
+
+const logger = createLogger('client-portal');
+
+const INVITE_TTL_DAYS = 7;
+const DEFAULT_MARKUP = 1.3;
+
+// Drafts stay internal until they are sent
+const VISIBLE_INVOICE_STATUSES = ['sent', 'paid', 'overdue'];
+
+// Everything but the password and invite token hashes
+const PUBLIC_FIELDS = [
+  'id', 'client_id', 'email', 'name', 'phone', 'status', 'invited_by', 'invite_expires_at',
+  'last_login_at', 'deactivated_at', 'created_at', 'updated_at',
+];
+const PUBLIC_COLUMNS = PUBLIC_FIELDS.join(', ');
+
+// Job fields a client may see - rates stay internal
+const JOB_COLUMNS = `
+  j.id, j.title, j.description, j.job_date, j.start_time, j.end_time, j.break_minutes, j.location,
+  j.total_slots, j.filled_slots, j.status, j.request_notes, j.rejection_reason, j.created_at
+`;
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+    throw ApiError.badRequest('Enter a valid email address', 'INVALID_EMAIL');
+  }
+  return value;
+}
+
+function requireClient(clientId) {
+  const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(clientId);
+  if (!client) throw ApiError.notFound('Client not found', 'CLIENT_NOT_FOUND');
+  return client;
+}
+
+function getUserRow(clientId, id) {
+  const row = db.prepare('SELECT * FROM client_users WHERE id = ? AND client_id = ?').get(id, clientId);
+  if (!row) throw ApiError.notFound('Portal user not found', 'CLIENT_USER_NOT_FOUND');
+  return row;
+}
+
+function toPublic(row) {
+  return Object.fromEntries(PUBLIC_FIELDS.map(field => [field, row[field]]));
+}
+
+function sessionPayload(row) {
+  const client = db.prepare('SELECT id, company_name, logo_url FROM clients WHERE id = ?').get(row.client_id);
+  const user = { id: row.id, email: row.email, name: row.name, role: 'client', type: 'client' };
+  return {
+    data: { ...user, client_id: row.client_id, client },
+    token: generateToken(user),
+  };
+}
+
+/**
+ * Email a client contact (best effort)
+ */
+function emailContact(to, subject, text) {
+  if (!to) return;
+  try {
+    const emailService = require('../email');
+    emailService.sendEmail({ to, subject, text, category: 'client_portal' })
+      .catch(error => logger.warn('Client portal email failed', { to, error: error.message }));
+  } catch (error) {
+    logger.warn('Client portal email unavailable', { to, error: error.message });
+  }
+}
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+
+function issueInvite(row, client, actor) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  db.prepare(`
+    UPDATE client_users SET invite_token_hash = ?, invite_expires_at = ?, updated_at = ? WHERE id = ?
+  `).run(hashToken(token), expiresAt, nowIso(), row.id);
+
+  const baseUrl = process.env.ADMIN_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin`;
+  const inviteUrl = `${baseUrl.replace(/\/$/, '')}/client/accept-invite?token=${token}`;
+
+  // The link is also returned so it can be shared directly
+  emailContact(
+    row.email,
+    `Your ${client.company_name} account on WorkLink`,
+    `${actor?.name || 'WorkLink'} invited you to the WorkLink client portal for ${client.company_name}. ` +
+      `Request shifts, approve timesheets and download invoices there. Set your password here: ${inviteUrl} ` +
+      `(expires in ${INVITE_TTL_DAYS} days).`
+  );
+
+  return { inviteUrl, expiresAt };
+}
+
+/**
+ * Invite a client contact to the portal
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.email
+ * @param {string} params.name
+ * @param {string} [params.phone]
+ * @param {Object} actor - req.user of the inviting admin
+ * @returns {Object} { user, inviteUrl, expiresAt }
+ */
+function invite({ clientId, email, name, phone }, actor) {
+  const client = requireClient(clientId);
+  const normalized = normalizeEmail(email);
+  if (!name || !String(name).trim()) {
+    throw ApiError.badRequest('Name is required', 'NAME_REQUIRED');
+  }
+  if (db.prepare('SELECT 1 FROM client_users WHERE email = ?').get(normalized)) {
+    throw ApiError.conflict('A portal user with this email already exists', 'CLIENT_EMAIL_EXISTS');
+  }
+
+  const id = generateId('CLU');
+  db.prepare(`
+    INSERT INTO client_users (id, client_id, email, name, phone, status, invited_by)
+    VALUES (?, ?, ?, ?, ?, 'invited', ?)
+  `).run(id, client.id, normalized, String(name).trim(), phone || null, actor?.email || actor?.id || null);
+
+  const link = issueInvite(getUserRow(client.id, id), client, actor);
+  logger.business('client_user_invited', { client_id: client.id, client_user_id: id, invited_by: actor?.id });
+
+  return { user: toPublic(getUserRow(client.id, id)), ...link };
+}
+
+/**
+ * Send a fresh invite link; the previous one stops working
+ * @param {string} clientId
+ * @param {string} id
+ * @param {Object} actor
+ * @returns {Object} { user, inviteUrl, expiresAt }
+ */
+function resendInvite(clientId, id, actor) {
+  const row = getUserRow(clientId, id);
+  if (row.status !== 'invited') {
+    throw ApiError.badRequest('This contact has already accepted their invite', 'INVITE_ALREADY_ACCEPTED');
+  }
+  const link = issueInvite(row, requireClient(clientId), actor);
+  return { user: toPublic(getUserRow(clientId, id)), ...link };
+}
+
+/**
+ * Set a password from an invite link and sign in
+ * @param {string} token
+ * @param {string} password
+ * @returns {Object} { data, token }
+ */
+function acceptInvite(token, password) {
+  const row = token
+    ? db.prepare("SELECT * FROM client_users WHERE invite_token_hash = ? AND status = 'invited'").get(hashToken(String(token)))
+    : null;
+  if (!row) {
+    throw ApiError.badRequest('This invite link is not valid', 'INVITE_INVALID');
+  }
+  if (new Date(row.invite_expires_at).getTime() < Date.now()) {
+    throw ApiError.badRequest('This invite has expired. Ask for a new one.', 'INVITE_EXPIRED');
+  }
+
+  const problem = validatePassword(password);
+  if (problem) throw ApiError.badRequest(problem, 'WEAK_PASSWORD');
+
+  const now = nowIso();
+  db.prepare(`
+    UPDATE client_users
+    SET password_hash = ?, status = 'active', invite_token_hash = NULL, invite_expires_at = NULL,
+        last_login_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(hashPassword(password), now, now, row.id);
+  logger.business('client_invite_accepted', { client_id: row.client_id, client_user_id: row.id });
+
+  return sessionPayload(getUserRow(row.client_id, row.id));
+}
+
+/**
+ * Check a client contact's email and password
+ * @param {string} email
+ * @param {string} password
+ * @returns {Object} { data, token }
+ */
+function authenticate(email, password) {
+  const normalized = String(email || '').trim().toLowerCase();
+  const row = db.prepare('SELECT * FROM client_users WHERE email = ?').get(normalized);
+
+  if (!row || !verifyPassword(password, row.password_hash)) {
+    throw ApiError.unauthorized('Invalid email or password', 'INVALID_CREDENTIALS');
+  }
+  if (row.status === 'deactivated') {
+    throw ApiError.forbidden('This account has been deactivated', 'ACCOUNT_DEACTIVATED');
+  }
+  if (row.status !== 'active') {
+    throw ApiError.forbidden('Accept your invite before signing in', 'INVITE_PENDING');
+  }
+  if (requireClient(row.client_id).status !== 'active') {
+    throw ApiError.forbidden('Portal access for this company is paused', 'CLIENT_INACTIVE');
+  }
+
+  db.prepare('UPDATE client_users SET last_login_at = ? WHERE id = ?').run(nowIso(), row.id);
+  return sessionPayload(row);
+}
+
+/**
+ * The signed-in contact and their company
+ * @param {Object} user - req.user
+ * @returns {Object}
+ */
+function getProfile(user) {
+  const row = getUserRow(user.client_id, user.id);
+  const client = db.prepare(`
+    SELECT id, company_name, uen, industry, contact_name, contact_email, contact_phone, logo_url, payment_terms
+    FROM clients WHERE id = ?
+  `).get(row.client_id);
+  return { ...toPublic(row), client };
+}
+
+/**
+ * @param {string} clientId
+ * @returns {Object[]} Portal users of a client
+ */
+function listUsers(clientId) {
+  requireClient(clientId);
+  return db.prepare(`
+    SELECT ${PUBLIC_COLUMNS} FROM client_users WHERE client_id = ?
+    ORDER BY status = 'deactivated', name
+  `).all(clientId);
+}
+
+/**
+ * Revoke a contact's portal access; their token stops working on the next request
+ * @param {string} clientId
+ * @param {string} id
+ * @returns {Object} Updated user
+ */
+function deactivate(clientId, id) {
+  const row = getUserRow(clientId, id);
+  if (row.status === 'deactivated') {
+    throw ApiError.conflict('This contact is already deactivated', 'ALREADY_DEACTIVATED');
+  }
+  const now = nowIso();
+  db.prepare(`
+    UPDATE client_users
+    SET status = 'deactivated', deactivated_at = ?, invite_token_hash = NULL, invite_expires_at = NULL, updated_at = ?
+    WHERE id = ?
+  `).run(now, now, id);
+  logger.business('client_user_deactivated', { client_id: clientId, client_user_id: id });
+  return toPublic(getUserRow(clientId, id));
+}
+
+// ============================================================================
+// SHIFT REQUESTS
+// ============================================================================
+
+function requireClientJob(clientId, jobId) {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ? AND client_id = ?').get(jobId, clientId);
+  if (!job) throw ApiError.notFound('Job not found', 'JOB_NOT_FOUND');
+  return job;
+}
+
+/**
+ * Request a shift. It becomes a job waiting for an admin to set the rates.
+ * @param {Object} user - req.user of the client contact
+ * @param {Object} input - See rules.validateJobRequest
+ * @returns {Object} Created job
+ */
+function requestJob(user, input) {
+  const { job, error } = validateJobRequest(input, toSingaporeDate());
+  if (error) throw ApiError.badRequest(error, 'INVALID_JOB_REQUEST');
+
+  const id = 'JOB' + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+  db.prepare(`
+    INSERT INTO jobs (id, client_id, title, description, job_date, start_time, end_time, location,
+                      charge_rate, pay_rate, total_slots, required_skills, status, requested_by, request_notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?, 'pending_approval', ?, ?)
+  `).run(
+    id, user.client_id, job.title, job.description, job.job_date, job.start_time, job.end_time, job.location,
+    job.total_slots, JSON.stringify(job.required_skills), user.id, job.request_notes
+  );
+
+  const created = requireClientJob(user.client_id, id);
+  logger.business('client_job_requested', { client_id: user.client_id, job_id: id, requested_by: user.id });
+  notifyAdmins('job_request_created', { job: created });
+  return created;
+}
+
+/**
+ * Shift requests across all clients (admin)
+ * @param {Object} [options]
+ * @param {string} [options.status='pending_approval'] - 'pending_approval' | 'rejected'
+ * @returns {Object[]}
+ */
+function listJobRequests({ status = 'pending_approval' } = {}) {
+  return db.prepare(`
+    SELECT j.*, cl.company_name as client_name, cu.name as requested_by_name, cu.email as requested_by_email
+    FROM jobs j
+    LEFT JOIN clients cl ON cl.id = j.client_id
+    LEFT JOIN client_users cu ON cu.id = j.requested_by
+    WHERE j.requested_by IS NOT NULL AND j.status = ?
+    ORDER BY j.job_date, j.start_time
+  `).all(status);
+}
+
+/**
+ * Approve a shift request with its rates, or reject it with a reason (admin)
+ * @param {string} jobId
+ * @param {Object} review
+ * @param {string} review.action - 'approve' | 'reject'
+ * @param {number} [review.pay_rate] - Required to approve
+ * @param {number} [review.charge_rate] - Defaults to pay_rate with the standard markup
+ * @param {string} [review.reason] - Required to reject
+ * @param {string} reviewer - Admin email
+ * @returns {Object} Updated job
+ */
+function reviewJobRequest(jobId, { action, pay_rate, charge_rate, reason }, reviewer) {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  if (!job || !job.requested_by) {
+    throw ApiError.notFound('Job request not found', 'JOB_REQUEST_NOT_FOUND');
+  }
+  if (job.status !== 'pending_approval') {
+    throw ApiError.conflict(`This request is already ${job.status}`, 'JOB_REQUEST_CLOSED');
+  }
+
+  if (action === 'approve') {
+    const payRate = Number(pay_rate);
+    if (!Number.isFinite(payRate) || payRate <= 0) {
+      throw ApiError.badRequest('pay_rate is required to approve a request', 'PAY_RATE_REQUIRED');
+    }
+    const chargeRate = charge_rate === undefined || charge_rate === null || charge_rate === ''
+      ? Math.round(payRate * DEFAULT_MARKUP * 100) / 100
+      : Number(charge_rate);
+    if (!Number.isFinite(chargeRate) || chargeRate <= 0) {
+      throw ApiError.badRequest('charge_rate must be a positive number', 'INVALID_CHARGE_RATE');
+    }
+
+    db.prepare(`
+      UPDATE jobs
+      SET status = 'open', pay_rate = ?, charge_rate = ?, request_reviewed_by = ?, request_reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(payRate, chargeRate, reviewer || null, jobId);
+    if (job.location) geo.geocodeJob(jobId);
+  } else if (action === 'reject') {
+    if (!reason || !String(reason).trim()) {
+      throw ApiError.badRequest('A reason is required to reject a request', 'REASON_REQUIRED');
+    }
+    db.prepare(`
+      UPDATE jobs
+      SET status = 'rejected', rejection_reason = ?, request_reviewed_by = ?, request_reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(String(reason).trim(), reviewer || null, jobId);
+  } else {
+    throw ApiError.badRequest("action must be 'approve' or 'reject'", 'INVALID_ACTION');
+  }
+
+  const requester = db.prepare('SELECT email, name FROM client_users WHERE id = ?').get(job.requested_by);
+  if (requester) {
+    emailContact(
+      requester.email,
+      `Shift request ${action === 'approve' ? 'confirmed' : 'declined'}: ${job.title} on ${job.job_date}`,
+      action === 'approve'
+        ? `Hi ${requester.name},\n\nYour request for ${job.total_slots} worker(s) on ${job.job_date} (${job.title}) is confirmed. ` +
+          'Assigned workers will appear in the client portal.\n'
+        : `Hi ${requester.name},\n\nWe could not take on your request for ${job.job_date} (${job.title}): ${String(reason).trim()}\n`
+    );
+  }
+
+  logger.business('client_job_request_reviewed', { job_id: jobId, action, reviewer });
+  return db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+}
+
+/**
+ * A client's jobs with staffing progress
+ * @param {string} clientId
+ * @param {Object} [filters] - { status, from_date, to_date }
+ * @returns {Object[]}
+ */
+function listJobs(clientId, { status, from_date, to_date } = {}) {
+  let query = `
+    SELECT ${JOB_COLUMNS},
+           (SELECT COUNT(*) FROM deployments d
+            WHERE d.job_id = j.id AND d.status NOT IN ('cancelled', 'no_show')) as assigned_workers
+    FROM jobs j
+    WHERE j.client_id = ?
+  `;
+  const params = [clientId];
+
+  if (status && status !== 'all') {
+    query += ' AND j.status = ?';
+    params.push(status);
+  }
+  if (from_date) {
+    query += ' AND j.job_date >= ?';
+    params.push(from_date);
+  }
+  if (to_date) {
+    query += ' AND j.job_date <= ?';
+    params.push(to_date);
+  }
+
+  query += ' ORDER BY j.job_date DESC, j.start_time DESC LIMIT 500';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * One of a client's jobs with the workers assigned to it
+ * @param {string} clientId
+ * @param {string} jobId
+ * @returns {Object}
+ */
+function getJob(clientId, jobId) {
+  const visible = db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs j WHERE j.id = ? AND j.client_id = ?`).get(jobId, clientId);
+  if (!visible) throw ApiError.notFound('Job not found', 'JOB_NOT_FOUND');
+
+  visible.workers = db.prepare(`
+    SELECT d.id as deployment_id, d.status, d.rating, d.feedback, d.rated_at,
+           c.id as candidate_id, c.name as candidate_name, c.profile_photo,
+           t.id as timesheet_id, t.status as timesheet_status, t.clock_in_at, t.clock_out_at, t.hours_worked
+    FROM deployments d
+    JOIN candidates c ON c.id = d.candidate_id
+    LEFT JOIN timesheets t ON t.deployment_id = d.id
+    WHERE d.job_id = ?
+    ORDER BY c.name
+  `).all(jobId);
+
+  return visible;
+}
+
+/**
+ * Rate a worker after their shift
+ * @param {string} clientId
+ * @param {string} deploymentId
+ * @param {Object} input - { rating, feedback }
+ * @param {Object} user - req.user of the client contact
+ * @returns {Object} Updated deployment
+ */
+function rateDeployment(clientId, deploymentId, input, user) {
+  const deployment = db.prepare(`
+    SELECT d.*, j.job_date, j.start_time, j.end_time
+    FROM deployments d
+    JOIN jobs j ON j.id = d.job_id
+    WHERE d.id = ? AND j.client_id = ?
+  `).get(deploymentId, clientId);
+  if (!deployment) {
+    throw ApiError.notFound('Deployment not found', 'DEPLOYMENT_NOT_FOUND');
+  }
+
+  const { rating, error, code } = validateRating(deployment, input);
+  if (error) {
+    throw code === 'ALREADY_RATED' ? ApiError.conflict(error, code) : ApiError.badRequest(error, code);
+  }
+
+  db.prepare(`
+    UPDATE deployments SET rating = ?, feedback = ?, rated_by = ?, rated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(rating.rating, rating.feedback, user.id, deploymentId);
+  ratings.refreshCandidate(deployment.candidate_id);
+
+  questEngine.emit('rating_received', deployment.candidate_id, {
+    sourceId: deploymentId,
+    data: { rating: rating.rating },
+  });
+  logger.business('client_rated_worker', {
+    client_id: clientId,
+    deployment_id: deploymentId,
+    candidate_id: deployment.candidate_id,
+    rating: rating.rating,
+  });
+
+  return db.prepare('SELECT id, status, rating, feedback, rated_at FROM deployments WHERE id = ?').get(deploymentId);
+}
+
+// ============================================================================
+// TIMESHEETS, INVOICES AND ATTENDANCE
+// ============================================================================
+
+/**
+ * A client's timesheets, without pay or margin
+ * @param {string} clientId
+ * @param {Object} [filters] - { status }
+ * @returns {Object[]}
+ */
+function listTimesheets(clientId, { status } = {}) {
+  let query = `
+    SELECT t.id, t.deployment_id, t.job_id, t.status, t.clock_in_at, t.clock_out_at, t.break_minutes,
+           t.hours_worked, t.reviewed_by, t.reviewed_at, t.dispute_reason, t.adjustment_note,
+           c.name as candidate_name, j.title as job_title, j.job_date, j.start_time, j.end_time, j.location
+    FROM timesheets t
+    JOIN jobs j ON j.id = t.job_id
+    LEFT JOIN candidates c ON c.id = t.candidate_id
+    WHERE j.client_id = ?
+  `;
+  const params = [clientId];
+  if (status && status !== 'all') {
+    query += ' AND t.status = ?';
+    params.push(status);
+  }
+  query += ' ORDER BY j.job_date DESC, c.name LIMIT 500';
+  return db.prepare(query).all(...params);
+}
+
+function requireClientTimesheet(clientId, timesheetId) {
+  const timesheet = db.prepare(`
+    SELECT t.id FROM timesheets t JOIN jobs j ON j.id = t.job_id WHERE t.id = ? AND j.client_id = ?
+  `).get(timesheetId, clientId);
+  if (!timesheet) throw ApiError.notFound('Timesheet not found', 'TIMESHEET_NOT_FOUND');
+  return timesheet;
+}
+
+/**
+ * Approve one of the client's submitted timesheets
+ * @param {Object} user - req.user of the client contact
+ * @param {string} timesheetId
+ * @returns {Object} Approved timesheet
+ */
+function approveTimesheet(user, timesheetId) {
+  requireClientTimesheet(user.client_id, timesheetId);
+  const { status, reviewed_by, reviewed_at } = timesheets.approve(timesheetId, `${user.name} <${user.email}>`);
+  return { id: timesheetId, status, reviewed_by, reviewed_at };
+}
+
+/**
+ * Dispute one of the client's submitted timesheets
+ * @param {Object} user - req.user of the client contact
+ * @param {string} timesheetId
+ * @param {string} reason
+ * @returns {Object} Disputed timesheet
+ */
+function disputeTimesheet(user, timesheetId, reason) {
+  requireClientTimesheet(user.client_id, timesheetId);
+  const disputed = timesheets.dispute(timesheetId, `${user.name} <${user.email}>`, reason && String(reason).trim());
+  return { id: timesheetId, status: disputed.status, dispute_reason: disputed.dispute_reason };
+}
+
+/**
+ * A client's issued invoices
+ * @param {string} clientId
+ * @returns {Object[]}
+ */
+function listInvoices(clientId) {
+  return db.prepare(`
+    SELECT id, invoice_number, period_start, period_end, issue_date, due_date,
+           subtotal, gst_amount, total, status, paid_at
+    FROM invoices
+    WHERE client_id = ? AND status IN (${VISIBLE_INVOICE_STATUSES.map(() => '?').join(', ')})
+    ORDER BY issue_date DESC, invoice_number DESC
+  `).all(clientId, ...VISIBLE_INVOICE_STATUSES);
+}
+
+/**
+ * @param {string} clientId
+ * @param {string} invoiceId
+ * @returns {{filename: string, buffer: Buffer}}
+ */
+function renderInvoicePdf(clientId, invoiceId) {
+  const invoice = db.prepare('SELECT client_id, status FROM invoices WHERE id = ?').get(invoiceId);
+  if (!invoice || invoice.client_id !== clientId || !VISIBLE_INVOICE_STATUSES.includes(invoice.status)) {
+    throw ApiError.notFound('Invoice not found', 'INVOICE_NOT_FOUND');
+  }
+  return invoicing.renderPdf(invoiceId);
+}
+
+/**
+ * Attendance history: every deployment on the client's jobs with clock times
+ * @param {string} clientId
+ * @param {Object} [range] - { from_date, to_date }
+ * @returns {Object[]}
+ */
+function getAttendance(clientId, { from_date, to_date } = {}) {
+  let query = `
+    SELECT j.job_date, j.title as job_title, j.location,
+           j.start_time as scheduled_start, j.end_time as scheduled_end,
+           c.name as candidate_name, d.id as deployment_id, d.status as deployment_status, d.rating,
+           t.clock_in_at, t.clock_out_at, t.break_minutes, t.hours_worked, t.status as timesheet_status
+    FROM deployments d
+    JOIN jobs j ON j.id = d.job_id
+    LEFT JOIN candidates c ON c.id = d.candidate_id
+    LEFT JOIN timesheets t ON t.deployment_id = d.id
+    WHERE j.client_id = ?
+  `;
+  const params = [clientId];
+  if (from_date) {
+    query += ' AND j.job_date >= ?';
+    params.push(from_date);
+  }
+  if (to_date) {
+    query += ' AND j.job_date <= ?';
+    params.push(to_date);
+  }
+  query += ' ORDER BY j.job_date DESC, j.start_time, c.name';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * @param {string} clientId
+ * @param {Object} [range] - { from_date, to_date }
+ * @returns {string} CSV
+ */
+function exportAttendance(clientId, range) {
+  return attendanceCsv(getAttendance(clientId, range));
+}
+
+module.exports = {
+  invite,
+  resendInvite,
+  acceptInvite,
+  authenticate,
+  getProfile,
+  listUsers,
+  deactivate,
+  requestJob,
+  listJobRequests,
+  reviewJobRequest,
+  listJobs,
+  getJob,
+  rateDeployment,
+  listTimesheets,
+  approveTimesheet,
+  disputeTimesheet,
+  listInvoices,
+  renderInvoicePdf,
+  getAttendance,
+  exportAttendance,
+};
@@ -0,0 +1,155 @@
+/**
+ * Client Portal Rules
+ * Validation of job requests and worker ratings, and the attendance export.
+ *
+ * @module client-portal/rules
+ */
+
+const { toCsvRow } = require('../payouts/formats/csv');
+
+const MAX_SLOTS = 50;
+const MAX_FEEDBACK_LENGTH = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Deployments that never turned into a worked shift cannot be rated
+const UNRATEABLE_STATUSES = ['cancelled', 'no_show'];
+
+const ATTENDANCE_COLUMNS = [
+  ['job_date', 'Date'],
+  ['job_title', 'Shift'],
+  ['location', 'Location'],
+  ['candidate_name', 'Worker'],
+  ['scheduled_start', 'Scheduled start'],
+  ['scheduled_end', 'Scheduled end'],
+  ['clock_in_at', 'Clock in'],
+  ['clock_out_at', 'Clock out'],
+  ['break_minutes', 'Break (min)'],
+  ['hours_worked', 'Hours'],
+  ['timesheet_status', 'Timesheet'],
+  ['rating', 'Rating'],
+];
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value || '') && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+/**
+ * Validate a client's shift request
+ * @param {Object} input - { title, description, job_date, start_time, end_time, location, total_slots, required_skills, request_notes }
+ * @param {string} today - YYYY-MM-DD in Singapore time
+ * @returns {{job: Object|null, error: string|null}}
+ */
+function validateJobRequest(input = {}, today) {
+  const title = String(input.title || '').trim();
+  if (!title) return { job: null, error: 'A shift title is required' };
+
+  if (!isValidDate(input.job_date)) {
+    return { job: null, error: 'job_date must be a date (YYYY-MM-DD)' };
+  }
+  if (input.job_date < today) {
+    return { job: null, error: 'Shifts cannot be requested for a past date' };
+  }
+  if (!TIME_PATTERN.test(input.start_time || '') || !TIME_PATTERN.test(input.end_time || '')) {
+    return { job: null, error: 'start_time and end_time must be times (HH:MM)' };
+  }
+  if (input.start_time === input.end_time) {
+    return { job: null, error: 'A shift must end after it starts' };
+  }
+
+  const location = String(input.location || '').trim();
+  if (!location) return { job: null, error: 'A location is required' };
+
+  const slots = input.total_slots === undefined || input.total_slots === '' ? 1 : Number(input.total_slots);
+  if (!Number.isInteger(slots) || slots < 1 || slots > MAX_SLOTS) {
+    return { job: null, error: `total_slots must be a whole number from 1 to ${MAX_SLOTS}` };
+  }
+
+  const skills = Array.isArray(input.required_skills)
+    ? input.required_skills.map(s => String(s).trim()).filter(Boolean)
+    : [];
+
+  return {
+    job: {
+      title,
+      description: String(input.description || '').trim() || null,
+      job_date: input.job_date,
+      start_time: input.start_time,
+      end_time: input.end_time,
+      location,
+      total_slots: slots,
+      required_skills: skills,
+      request_notes: String(input.request_notes || '').trim() || null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Whether the shift behind a deployment is over. Overnight shifts
+ * (end before start) finish the next day.
+ * @param {Object} deployment - With job_date, start_time, end_time and status
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function hasShiftEnded(deployment, now = new Date()) {
+  if (deployment.status === 'completed') return true;
+  if (!isValidDate(deployment.job_date)) return false;
+
+  const end = new Date(`${deployment.job_date}T${deployment.end_time || '23:59'}:00+08:00`);
+  if (deployment.start_time && deployment.end_time && deployment.end_time < deployment.start_time) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  }
+  return now >= end;
+}
+
+/**
+ * Check a client's rating of a worker
+ * @param {Object} deployment - With job fields, status and any existing rating
+ * @param {Object} input - { rating, feedback }
+ * @param {Date} [now]
+ * @returns {{rating: Object|null, error: string|null, code: string|null}}
+ */
+function validateRating(deployment, input = {}, now = new Date()) {
+  if (UNRATEABLE_STATUSES.includes(deployment.status)) {
+    return { rating: null, error: `A ${deployment.status} deployment cannot be rated`, code: 'NOT_RATEABLE' };
+  }
+  if (!hasShiftEnded(deployment, now)) {
+    return { rating: null, error: 'Workers can be rated once the shift has ended', code: 'SHIFT_NOT_ENDED' };
+  }
+  if (deployment.rated_at) {
+    return { rating: null, error: 'This worker has already been rated for this shift', code: 'ALREADY_RATED' };
+  }
+
+  const rating = Number(input.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return { rating: null, error: 'rating must be a whole number from 1 to 5', code: 'INVALID_RATING' };
+  }
+  const feedback = String(input.feedback || '').trim();
+  if (feedback.length > MAX_FEEDBACK_LENGTH) {
+    return { rating: null, error: `Feedback is limited to ${MAX_FEEDBACK_LENGTH} characters`, code: 'INVALID_RATING' };
+  }
+
+  return { rating: { rating, feedback: feedback || null }, error: null, code: null };
+}
+
+/**
+ * Attendance history as CSV, one row per deployment
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+function attendanceCsv(rows) {
+  const lines = [toCsvRow(ATTENDANCE_COLUMNS.map(([, label]) => label))];
+  for (const row of rows) {
+    lines.push(toCsvRow(ATTENDANCE_COLUMNS.map(([key]) => row[key])));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  MAX_SLOTS,
+  validateJobRequest,
+  hasShiftEnded,
+  validateRating,
+  attendanceCsv,
+};
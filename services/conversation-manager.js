@@ -10,37 +10,6 @@
 
 const { db } = require('../db');
 
-// Ensure conversation metadata table exists
-function ensureSchema() {
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS conversation_metadata (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      candidate_id TEXT NOT NULL UNIQUE,
-      status TEXT DEFAULT 'open',
-      priority TEXT DEFAULT 'normal',
-      tags TEXT DEFAULT '[]',
-      assigned_to TEXT,
-      escalated INTEGER DEFAULT 0,
-      escalation_reason TEXT,
-      escalated_at DATETIME,
-      resolved_at DATETIME,
-      last_admin_reply_at DATETIME,
-      last_candidate_message_at DATETIME,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_conversation_metadata_status ON conversation_metadata(status);
-    CREATE INDEX IF NOT EXISTS idx_conversation_metadata_priority ON conversation_metadata(priority);
-    CREATE INDEX IF NOT EXISTS idx_conversation_metadata_escalated ON conversation_metadata(escalated);
-    CREATE INDEX IF NOT EXISTS idx_conversation_metadata_assigned ON conversation_metadata(assigned_to);
-  `);
-}
-
-// Initialize schema on module load
-ensureSchema();
-
 // Valid status and priority values
 const VALID_STATUSES = ['open', 'pending', 'resolved'];
 const VALID_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
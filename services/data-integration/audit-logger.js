@@ -12,88 +12,9 @@ const path = require('path');
 class AuditLogger {
   constructor() {
     this.logDirectory = process.env.AUDIT_LOG_DIR || path.join(__dirname, '..', '..', 'logs', 'audit');
-    this.initializeAuditTables();
     this.ensureLogDirectory();
   }
 
-  /**
-   * Initialize audit tables in database
-   */
-  initializeAuditTables() {
-    try {
-      // Create audit logs table
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS audit_logs (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          event_type TEXT NOT NULL,
-          user_id TEXT,
-          candidate_id TEXT,
-          data_type TEXT,
-          action TEXT NOT NULL,
-          ip_address TEXT,
-          user_agent TEXT,
-          session_id TEXT,
-          success BOOLEAN DEFAULT TRUE,
-          error_message TEXT,
-          sensitive_data BOOLEAN DEFAULT FALSE,
-          retention_date DATETIME,
-          metadata TEXT, -- JSON
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Create security events table
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS security_events (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          event_type TEXT NOT NULL,
-          severity TEXT DEFAULT 'low', -- low, medium, high, critical
-          user_id TEXT,
-          ip_address TEXT,
-          description TEXT NOT NULL,
-          additional_data TEXT, -- JSON
-          resolved BOOLEAN DEFAULT FALSE,
-          resolved_at DATETIME,
-          resolved_by TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Create access statistics table
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS access_statistics (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          date DATE NOT NULL,
-          data_type TEXT NOT NULL,
-          total_requests INTEGER DEFAULT 0,
-          successful_requests INTEGER DEFAULT 0,
-          failed_requests INTEGER DEFAULT 0,
-          unique_users INTEGER DEFAULT 0,
-          cache_hits INTEGER DEFAULT 0,
-          cache_misses INTEGER DEFAULT 0,
-          avg_response_time REAL DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(date, data_type)
-        )
-      `);
-
-      // Create indexes for performance
-      db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_audit_logs_timestamp ON audit_logs(timestamp);
-        CREATE INDEX IF NOT EXISTS idx_audit_logs_user_candidate ON audit_logs(user_id, candidate_id);
-        CREATE INDEX IF NOT EXISTS idx_audit_logs_data_type ON audit_logs(data_type);
-        CREATE INDEX IF NOT EXISTS idx_security_events_timestamp ON security_events(timestamp);
-        CREATE INDEX IF NOT EXISTS idx_security_events_severity ON security_events(severity);
-        CREATE INDEX IF NOT EXISTS idx_access_stats_date ON access_statistics(date);
-      `);
-
-    } catch (error) {
-      console.error('Failed to initialize audit tables:', error);
-    }
-  }
-
   /**
    * Ensure log directory exists
    */
@@ -28,7 +28,7 @@ class FOMAEngine {
 
   initializeEngine() {
     try {
-      this.ensureTablesExist();
+      this.initializeDefaultTriggers();
       this.loadActiveTriggers();
       this.startActivityMonitoring();
       logger.info('FOMO Engine initialized successfully');
@@ -37,59 +37,6 @@ class FOMAEngine {
     }
   }
 
-  ensureTablesExist() {
-    try {
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS fomo_events (
-          id TEXT PRIMARY KEY, candidate_id TEXT, event_type TEXT NOT NULL,
-          event_data TEXT, urgency_score REAL DEFAULT 0,
-          social_proof_factor REAL DEFAULT 0, scarcity_level REAL DEFAULT 0,
-          trigger_sent BOOLEAN DEFAULT FALSE,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP, expires_at DATETIME,
-          FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-        )
-      `);
-
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS fomo_social_proof (
-          id TEXT PRIMARY KEY, activity_type TEXT NOT NULL, job_id TEXT,
-          location_area TEXT, tier_level TEXT, participant_count INTEGER DEFAULT 1,
-          anonymized_data TEXT, time_window_start DATETIME, time_window_end DATETIME,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_fomo_social_time ON fomo_social_proof (time_window_start, time_window_end)`);
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_fomo_social_area ON fomo_social_proof (location_area)`);
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_fomo_social_job ON fomo_social_proof (job_id)`);
-
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS fomo_urgency_config (
-          id TEXT PRIMARY KEY, trigger_name TEXT NOT NULL UNIQUE,
-          trigger_type TEXT NOT NULL, threshold_value REAL,
-          urgency_multiplier REAL DEFAULT 1.0, message_template TEXT,
-          active BOOLEAN DEFAULT TRUE, created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS fomo_streak_protection (
-          id TEXT PRIMARY KEY, candidate_id TEXT, streak_days INTEGER,
-          risk_level TEXT, protection_offered BOOLEAN DEFAULT FALSE,
-          protection_accepted BOOLEAN DEFAULT FALSE, protection_type TEXT,
-          offer_expires_at DATETIME, created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-        )
-      `);
-
-      this.initializeDefaultTriggers();
-      logger.info('FOMO Engine tables ensured');
-    } catch (error) {
-      logger.error('Failed to ensure FOMO tables:', error);
-      throw error;
-    }
-  }
-
   initializeDefaultTriggers() {
     const defaultTriggers = [
       { id: 'job_slot_scarcity_high', trigger_name: 'High Job Slot Scarcity', trigger_type: 'job_slots', threshold_value: 0.8, urgency_multiplier: 2.0, message_template: 'Only {remaining_slots} spots left for {job_title}! Apply now before it fills up.', active: true },
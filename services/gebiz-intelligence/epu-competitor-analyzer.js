@@ -13,9 +13,7 @@
  */
 
 const EPUSer19Monitor = require('./epu-ser-19-monitor');
-const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
+const { db } = require('../../db');
 
 class EPUCompetitorAnalyzer {
   constructor() {
@@ -54,172 +52,11 @@ class EPUCompetitorAnalyzer {
   }
 
   /**
-   * Initialize database with competitor analysis tables
+   * Initialize database connection
    */
   initDB() {
     if (!this.db) {
-      const IS_RAILWAY = !!process.env.RAILWAY_ENVIRONMENT;
-      const DB_DIR = IS_RAILWAY
-        ? (process.env.RAILWAY_VOLUME_MOUNT_PATH || '/app/data')
-        : path.join(__dirname, '../../database');
-
-      if (!fs.existsSync(DB_DIR)) {
-        fs.mkdirSync(DB_DIR, { recursive: true });
-      }
-
-      const dbPath = path.join(DB_DIR, 'gebiz_intelligence.db');
-      this.db = new Database(dbPath);
-      this.db.pragma('journal_mode = WAL');
-      this.db.pragma('foreign_keys = ON');
-
-      this.ensureCompetitorTables();
-    }
-  }
-
-  /**
-   * Create comprehensive competitor analysis tables
-   */
-  ensureCompetitorTables() {
-    try {
-      // Enhanced competitor profiles table
-      const createCompetitorProfilesSQL = `
-        CREATE TABLE IF NOT EXISTS epu_competitor_profiles (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          company_name TEXT UNIQUE NOT NULL,
-          company_registration_no TEXT,
-          company_size TEXT, -- 'small', 'medium', 'large', 'enterprise'
-          competitor_tier TEXT, -- 'tier_1', 'tier_2', 'tier_3', 'niche', 'new_entrant'
-          threat_level TEXT DEFAULT 'medium',
-          total_epu_contracts INTEGER DEFAULT 0,
-          total_epu_value REAL DEFAULT 0,
-          avg_contract_value REAL DEFAULT 0,
-          win_rate REAL DEFAULT 0,
-          bid_success_rate REAL DEFAULT 0,
-          market_share_percentage REAL DEFAULT 0,
-          first_contract_date DATE,
-          latest_contract_date DATE,
-          preferred_agencies TEXT, -- JSON array of agencies they frequently win
-          service_specializations TEXT, -- JSON array of service types
-          geographical_focus TEXT, -- JSON array of locations/regions
-          typical_contract_size TEXT, -- 'small', 'medium', 'large', 'enterprise'
-          pricing_strategy TEXT, -- 'premium', 'competitive', 'value', 'low_cost'
-          pricing_patterns TEXT, -- JSON with pricing analysis
-          competitive_advantages TEXT, -- JSON array of strengths
-          weaknesses TEXT, -- JSON array of vulnerabilities
-          financial_indicators TEXT, -- JSON with financial health data
-          performance_metrics TEXT, -- JSON with service delivery metrics
-          innovation_score INTEGER DEFAULT 0, -- 0-100
-          reliability_score INTEGER DEFAULT 0, -- 0-100
-          agency_relationship_score INTEGER DEFAULT 0, -- 0-100
-          overall_threat_score INTEGER DEFAULT 0, -- 0-100
-          last_analyzed_at DATETIME,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_comp_profiles_threat ON epu_competitor_profiles(threat_level);
-        CREATE INDEX IF NOT EXISTS idx_comp_profiles_tier ON epu_competitor_profiles(competitor_tier);
-        CREATE INDEX IF NOT EXISTS idx_comp_profiles_win_rate ON epu_competitor_profiles(win_rate);
-        CREATE INDEX IF NOT EXISTS idx_comp_profiles_threat_score ON epu_competitor_profiles(overall_threat_score);
-      `;
-
-      // Competitor bidding history
-      const createBiddingHistorySQL = `
-        CREATE TABLE IF NOT EXISTS epu_competitor_bids (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          competitor_id INTEGER,
-          competitor_name TEXT,
-          tender_id INTEGER,
-          tender_no TEXT,
-          agency TEXT,
-          service_type TEXT,
-          bid_amount REAL,
-          won_contract BOOLEAN DEFAULT 0,
-          award_amount REAL,
-          bid_date DATE,
-          award_date DATE,
-          contract_duration_months INTEGER,
-          bid_ranking INTEGER, -- Position in bid evaluation (if available)
-          price_competitiveness REAL, -- How competitive was their pricing
-          technical_score REAL, -- Technical evaluation score (if available)
-          total_score REAL, -- Overall bid score (if available)
-          win_factors TEXT, -- JSON array of factors that led to win/loss
-          pricing_analysis TEXT, -- JSON with pricing breakdown analysis
-          lessons_learned TEXT, -- Strategic insights from this bid
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(competitor_id) REFERENCES epu_competitor_profiles(id),
-          FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_comp_bids_competitor ON epu_competitor_bids(competitor_id);
-        CREATE INDEX IF NOT EXISTS idx_comp_bids_tender ON epu_competitor_bids(tender_id);
-        CREATE INDEX IF NOT EXISTS idx_comp_bids_won ON epu_competitor_bids(won_contract);
-        CREATE INDEX IF NOT EXISTS idx_comp_bids_date ON epu_competitor_bids(bid_date);
-      `;
-
-      // Market positioning analysis
-      const createPositioningSQL = `
-        CREATE TABLE IF NOT EXISTS epu_market_positioning (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          analysis_date DATE,
-          market_segment TEXT, -- 'data_entry', 'administrative', 'event_support', etc.
-          competitor_id INTEGER,
-          competitor_name TEXT,
-          market_position INTEGER, -- 1 = market leader, 2 = strong competitor, etc.
-          market_share_rank INTEGER,
-          competitive_strengths TEXT, -- JSON array
-          competitive_weaknesses TEXT, -- JSON array
-          differentiation_factors TEXT, -- JSON array
-          pricing_position TEXT, -- 'premium', 'competitive', 'value', 'discount'
-          service_quality_rating REAL, -- 1.0 to 5.0
-          innovation_rating REAL, -- 1.0 to 5.0
-          customer_satisfaction REAL, -- 1.0 to 5.0
-          strategic_recommendations TEXT, -- JSON with recommended strategies against this competitor
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(competitor_id) REFERENCES epu_competitor_profiles(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_positioning_segment ON epu_market_positioning(market_segment);
-        CREATE INDEX IF NOT EXISTS idx_positioning_competitor ON epu_market_positioning(competitor_id);
-        CREATE INDEX IF NOT EXISTS idx_positioning_date ON epu_market_positioning(analysis_date);
-      `;
-
-      // Competitive intelligence alerts
-      const createCompetitiveAlertsSQL = `
-        CREATE TABLE IF NOT EXISTS epu_competitive_alerts (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          alert_type TEXT, -- 'new_competitor', 'pricing_change', 'market_expansion', 'contract_win'
-          competitor_id INTEGER,
-          competitor_name TEXT,
-          alert_priority TEXT DEFAULT 'medium', -- 'low', 'medium', 'high', 'urgent'
-          alert_title TEXT,
-          alert_description TEXT,
-          impact_assessment TEXT,
-          recommended_actions TEXT, -- JSON array
-          data_source TEXT, -- 'tender_analysis', 'market_research', 'manual_input'
-          confidence_level REAL, -- 0.0 to 1.0
-          expires_at DATE,
-          acknowledged BOOLEAN DEFAULT 0,
-          acknowledged_at DATETIME,
-          acknowledged_by TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(competitor_id) REFERENCES epu_competitor_profiles(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_comp_alerts_type ON epu_competitive_alerts(alert_type);
-        CREATE INDEX IF NOT EXISTS idx_comp_alerts_priority ON epu_competitive_alerts(alert_priority);
-        CREATE INDEX IF NOT EXISTS idx_comp_alerts_acknowledged ON epu_competitive_alerts(acknowledged);
-      `;
-
-      this.db.exec(createCompetitorProfilesSQL);
-      this.db.exec(createBiddingHistorySQL);
-      this.db.exec(createPositioningSQL);
-      this.db.exec(createCompetitiveAlertsSQL);
-
-      console.log('✅ EPU competitor analysis tables created');
-    } catch (error) {
-      console.error('❌ Failed to create competitor tables:', error.message);
-      throw error;
+      this.db = db;
     }
   }
 
@@ -759,16 +596,6 @@ class EPUCompetitorAnalyzer {
 
     return report;
   }
-
-  /**
-   * Close database connection
-   */
-  closeDB() {
-    if (this.db) {
-      this.db.close();
-      this.db = null;
-    }
-  }
 }
 
 module.exports = EPUCompetitorAnalyzer;
\ No newline at end of file
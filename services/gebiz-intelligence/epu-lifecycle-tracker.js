@@ -12,9 +12,7 @@
  */
 
 const EPUSer19Monitor = require('./epu-ser-19-monitor');
-const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
+const { db } = require('../../db');
 
 class EPULifecycleTracker {
   constructor() {
@@ -68,149 +66,11 @@ class EPULifecycleTracker {
   }
 
   /**
-   * Initialize database with lifecycle tracking tables
+   * Initialize database connection
    */
   initDB() {
     if (!this.db) {
-      const IS_RAILWAY = !!process.env.RAILWAY_ENVIRONMENT;
-      const DB_DIR = IS_RAILWAY
-        ? (process.env.RAILWAY_VOLUME_MOUNT_PATH || '/app/data')
-        : path.join(__dirname, '../../database');
-
-      if (!fs.existsSync(DB_DIR)) {
-        fs.mkdirSync(DB_DIR, { recursive: true });
-      }
-
-      const dbPath = path.join(DB_DIR, 'gebiz_intelligence.db');
-      this.db = new Database(dbPath);
-      this.db.pragma('journal_mode = WAL');
-      this.db.pragma('foreign_keys = ON');
-
-      this.ensureLifecycleTables();
-    }
-  }
-
-  /**
-   * Create lifecycle tracking tables
-   */
-  ensureLifecycleTables() {
-    try {
-      // Tender lifecycle tracking table
-      const createLifecycleTableSQL = `
-        CREATE TABLE IF NOT EXISTS epu_tender_lifecycle (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          tender_id INTEGER,
-          tender_no TEXT,
-          current_stage TEXT NOT NULL,
-          stage_entered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          expected_next_stage TEXT,
-          expected_next_stage_date DATE,
-          lifecycle_data TEXT, -- JSON with all stage dates and milestones
-          estimated_timeline TEXT, -- JSON with projected dates
-          actual_timeline TEXT, -- JSON with actual dates
-          delays_identified TEXT, -- JSON with any delays and reasons
-          opportunities_identified TEXT, -- JSON with lifecycle opportunities
-          risk_factors TEXT, -- JSON with identified risks
-          last_updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_lifecycle_tender_id ON epu_tender_lifecycle(tender_id);
-        CREATE INDEX IF NOT EXISTS idx_lifecycle_stage ON epu_tender_lifecycle(current_stage);
-        CREATE INDEX IF NOT EXISTS idx_lifecycle_next_stage_date ON epu_tender_lifecycle(expected_next_stage_date);
-      `;
-
-      // Critical dates tracking table
-      const createDatesTableSQL = `
-        CREATE TABLE IF NOT EXISTS epu_critical_dates (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          lifecycle_id INTEGER,
-          tender_id INTEGER,
-          date_type TEXT NOT NULL, -- 'publication', 'clarification_deadline', 'submission_deadline', etc.
-          scheduled_date DATE,
-          actual_date DATE,
-          estimated_date DATE,
-          alert_sent BOOLEAN DEFAULT 0,
-          alert_priority TEXT, -- 'low', 'medium', 'high', 'urgent'
-          days_notice INTEGER, -- Days before to send alert
-          description TEXT,
-          impact_assessment TEXT, -- Impact if date is missed
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(lifecycle_id) REFERENCES epu_tender_lifecycle(id),
-          FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_critical_dates_tender ON epu_critical_dates(tender_id);
-        CREATE INDEX IF NOT EXISTS idx_critical_dates_type ON epu_critical_dates(date_type);
-        CREATE INDEX IF NOT EXISTS idx_critical_dates_scheduled ON epu_critical_dates(scheduled_date);
-      `;
-
-      // Renewal opportunities tracking table
-      const createRenewalTableSQL = `
-        CREATE TABLE IF NOT EXISTS epu_renewal_opportunities (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          original_tender_id INTEGER,
-          original_tender_no TEXT,
-          agency TEXT,
-          service_type TEXT,
-          contract_start_date DATE,
-          contract_end_date DATE,
-          contract_value REAL,
-          incumbent_supplier TEXT,
-          renewal_probability REAL, -- 0.0 to 1.0
-          renewal_notification_date DATE,
-          renewal_tender_expected_date DATE,
-          renewal_strategy TEXT, -- JSON with recommended approach
-          competitive_assessment TEXT, -- JSON with market analysis
-          pricing_intelligence TEXT, -- JSON with pricing recommendations
-          renewal_status TEXT DEFAULT 'monitoring', -- 'monitoring', 'notified', 'tender_live', 'decided'
-          intelligence_score INTEGER DEFAULT 0,
-          last_analyzed_at DATETIME,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(original_tender_id) REFERENCES epu_ser_19_tenders(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_renewal_end_date ON epu_renewal_opportunities(contract_end_date);
-        CREATE INDEX IF NOT EXISTS idx_renewal_notification_date ON epu_renewal_opportunities(renewal_notification_date);
-        CREATE INDEX IF NOT EXISTS idx_renewal_status ON epu_renewal_opportunities(renewal_status);
-      `;
-
-      // Performance milestones tracking
-      const createMilestonesTableSQL = `
-        CREATE TABLE IF NOT EXISTS epu_performance_milestones (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          lifecycle_id INTEGER,
-          tender_id INTEGER,
-          milestone_type TEXT NOT NULL, -- 'performance_review', 'kpi_assessment', 'service_expansion', 'variation'
-          milestone_date DATE,
-          milestone_description TEXT,
-          completion_status TEXT DEFAULT 'pending', -- 'pending', 'completed', 'overdue', 'cancelled'
-          performance_data TEXT, -- JSON with performance metrics
-          impact_on_renewal REAL, -- Impact score on renewal probability
-          lessons_learned TEXT, -- Key insights for future bids
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(lifecycle_id) REFERENCES epu_tender_lifecycle(id),
-          FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_milestones_tender ON epu_performance_milestones(tender_id);
-        CREATE INDEX IF NOT EXISTS idx_milestones_date ON epu_performance_milestones(milestone_date);
-        CREATE INDEX IF NOT EXISTS idx_milestones_status ON epu_performance_milestones(completion_status);
-      `;
-
-      this.db.exec(createLifecycleTableSQL);
-      this.db.exec(createDatesTableSQL);
-      this.db.exec(createRenewalTableSQL);
-      this.db.exec(createMilestonesTableSQL);
-
-      console.log('✅ EPU lifecycle tracking tables created');
-    } catch (error) {
-      console.error('❌ Failed to create lifecycle tables:', error.message);
-      throw error;
+      this.db = db;
     }
   }
 
@@ -753,16 +613,6 @@ class EPULifecycleTracker {
       performance_milestones: milestones
     };
   }
-
-  /**
-   * Close database connection
-   */
-  closeDB() {
-    if (this.db) {
-      this.db.close();
-      this.db = null;
-    }
-  }
 }
 
 module.exports = EPULifecycleTracker;
\ No newline at end of file
@@ -153,11 +153,6 @@ class EPUMasterOrchestrator {
       }
       this.scheduledJobs = [];
 
-      // Close database connections
-      this.monitor.closeDB();
-      this.lifecycleTracker.closeDB();
-      this.competitorAnalyzer.closeDB();
-
       // Cleanup scrapers
       if (this.scraper) {
         await this.scraper.cleanup();
@@ -6,9 +6,7 @@
  * of government procurement - EPU/SER/19 (Service - Manpower Supply)
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
+const { db } = require('../../db');
 const axios = require('axios');
 const cheerio = require('cheerio');
 
@@ -74,165 +72,11 @@ class EPUSer19Monitor {
   }
 
   /**
-   * Initialize database connection with EPU/SER/19 specific tables
+   * Initialize database connection
    */
   initDB() {
     if (!this.db) {
-      const IS_RAILWAY = !!process.env.RAILWAY_ENVIRONMENT;
-      const DB_DIR = IS_RAILWAY
-        ? (process.env.RAILWAY_VOLUME_MOUNT_PATH || '/app/data')
-        : path.join(__dirname, '../../database');
-
-      if (!fs.existsSync(DB_DIR)) {
-        fs.mkdirSync(DB_DIR, { recursive: true });
-      }
-
-      const dbPath = path.join(DB_DIR, 'gebiz_intelligence.db');
-      this.db = new Database(dbPath);
-      this.db.pragma('journal_mode = WAL');
-      this.db.pragma('foreign_keys = ON');
-
-      this.ensureEPUTables();
-    }
-  }
-
-  /**
-   * Create EPU/SER/19 specific database tables
-   */
-  ensureEPUTables() {
-    try {
-      // Enhanced EPU/SER/19 tender tracking table
-      const createEPUTableSQL = `
-        CREATE TABLE IF NOT EXISTS epu_ser_19_tenders (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          tender_no TEXT UNIQUE NOT NULL,
-          title TEXT NOT NULL,
-          agency TEXT,
-          estimated_value REAL,
-          contract_duration_months INTEGER,
-          manpower_count INTEGER,
-          service_type TEXT, -- 'data_entry', 'administrative', 'event_support', 'general'
-          locations TEXT, -- JSON array of service locations
-          closing_date DATE,
-          published_date DATE,
-          award_date DATE,
-          awarded_supplier TEXT,
-          awarded_amount REAL,
-          status TEXT DEFAULT 'active', -- 'active', 'closed', 'awarded'
-          renewal_eligibility BOOLEAN DEFAULT 0,
-          renewal_probability REAL, -- 0.0 to 1.0
-          competitor_count INTEGER DEFAULT 0,
-          win_probability REAL, -- Based on historical analysis
-          recommended_bid_range TEXT, -- JSON with min/max pricing
-          market_intelligence TEXT, -- JSON with competitive insights
-          requirements_summary TEXT,
-          tender_url TEXT,
-          source_data TEXT, -- JSON blob with raw data
-          intelligence_score INTEGER DEFAULT 0, -- 0-100 scoring
-          alert_priority TEXT DEFAULT 'medium', -- 'low', 'medium', 'high', 'urgent'
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_epu_status ON epu_ser_19_tenders(status);
-        CREATE INDEX IF NOT EXISTS idx_epu_agency ON epu_ser_19_tenders(agency);
-        CREATE INDEX IF NOT EXISTS idx_epu_closing_date ON epu_ser_19_tenders(closing_date);
-        CREATE INDEX IF NOT EXISTS idx_epu_value ON epu_ser_19_tenders(estimated_value);
-        CREATE INDEX IF NOT EXISTS idx_epu_priority ON epu_ser_19_tenders(alert_priority);
-        CREATE INDEX IF NOT EXISTS idx_epu_intelligence_score ON epu_ser_19_tenders(intelligence_score);
-      `;
-
-      // EPU/SER/19 market intelligence table
-      const createIntelTableSQL = `
-        CREATE TABLE IF NOT EXISTS epu_market_intelligence (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          tender_id INTEGER,
-          intelligence_type TEXT NOT NULL, -- 'pricing', 'competitor', 'renewal', 'requirement'
-          data_point TEXT, -- Specific insight or data point
-          confidence_level REAL, -- 0.0 to 1.0
-          source TEXT, -- 'historical_data', 'pattern_analysis', 'manual_research'
-          impact_level TEXT, -- 'low', 'medium', 'high'
-          actionable_insight TEXT, -- Specific recommendation
-          validity_period DATE, -- When this intelligence expires
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(tender_id) REFERENCES epu_ser_19_tenders(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_intel_type ON epu_market_intelligence(intelligence_type);
-        CREATE INDEX IF NOT EXISTS idx_intel_confidence ON epu_market_intelligence(confidence_level);
-        CREATE INDEX IF NOT EXISTS idx_intel_impact ON epu_market_intelligence(impact_level);
-      `;
-
-      // EPU/SER/19 competitor tracking table
-      const createCompetitorTableSQL = `
-        CREATE TABLE IF NOT EXISTS epu_competitors (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          competitor_name TEXT NOT NULL,
-          registration_status TEXT, -- 'active', 'expired', 'pending'
-          specializations TEXT, -- JSON array of service types they excel at
-          total_epu_wins INTEGER DEFAULT 0,
-          total_epu_value REAL DEFAULT 0,
-          avg_contract_value REAL,
-          win_rate REAL, -- Percentage
-          typical_pricing_range TEXT, -- JSON with pricing patterns
-          agency_preferences TEXT, -- JSON with agencies they frequently win with
-          service_quality_indicators TEXT, -- JSON with performance metrics
-          last_win_date DATE,
-          market_share_percentage REAL,
-          threat_level TEXT DEFAULT 'medium', -- 'low', 'medium', 'high'
-          competitive_advantages TEXT, -- JSON array of strengths
-          weaknesses TEXT, -- JSON array of areas where they can be beaten
-          last_analyzed_at DATETIME,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_comp_name ON epu_competitors(competitor_name);
-        CREATE INDEX IF NOT EXISTS idx_comp_win_rate ON epu_competitors(win_rate);
-        CREATE INDEX IF NOT EXISTS idx_comp_threat ON epu_competitors(threat_level);
-      `;
-
-      // EPU/SER/19 pricing intelligence table
-      const createPricingTableSQL = `
-        CREATE TABLE IF NOT EXISTS epu_pricing_intelligence (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          service_type TEXT NOT NULL,
-          agency TEXT,
-          location TEXT,
-          manpower_count INTEGER,
-          contract_duration_months INTEGER,
-          hourly_rate_min REAL,
-          hourly_rate_max REAL,
-          hourly_rate_avg REAL,
-          monthly_cost_per_person REAL,
-          total_contract_value REAL,
-          award_date DATE,
-          supplier_name TEXT,
-          performance_bond_required BOOLEAN DEFAULT 0,
-          performance_bond_percentage REAL,
-          payment_terms TEXT,
-          contract_variations TEXT, -- JSON with any special terms
-          price_per_sqm REAL, -- For location-based services
-          overtime_rates TEXT, -- JSON with overtime pricing
-          holiday_rates TEXT, -- JSON with holiday pricing
-          data_quality TEXT DEFAULT 'high', -- 'low', 'medium', 'high'
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_pricing_service_type ON epu_pricing_intelligence(service_type);
-        CREATE INDEX IF NOT EXISTS idx_pricing_agency ON epu_pricing_intelligence(agency);
-        CREATE INDEX IF NOT EXISTS idx_pricing_award_date ON epu_pricing_intelligence(award_date);
-      `;
-
-      this.db.exec(createEPUTableSQL);
-      this.db.exec(createIntelTableSQL);
-      this.db.exec(createCompetitorTableSQL);
-      this.db.exec(createPricingTableSQL);
-
-      console.log('✅ EPU/SER/19 specialized tables created');
-    } catch (error) {
-      console.error('❌ Failed to create EPU/SER/19 tables:', error.message);
-      throw error;
+      this.db = db;
     }
   }
 
@@ -632,16 +476,6 @@ class EPUSer19Monitor {
 
     return report;
   }
-
-  /**
-   * Close database connection
-   */
-  closeDB() {
-    if (this.db) {
-      this.db.close();
-      this.db = null;
-    }
-  }
 }
 
 module.exports = EPUSer19Monitor;
\ No newline at end of file
@@ -4,9 +4,7 @@
  */
 
 const dataGovClient = require('./datagovsg-client');
-const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
+const { db } = require('../../db');
 
 // Import WebSocket broadcasting for real-time progress updates
 let broadcastToAdmins;
@@ -34,91 +32,10 @@ class HistoricalTenderSync {
   }
 
   /**
-   * Initialize database connection with Railway compatibility
+   * Attach the shared database connection
    */
   initDB() {
-    if (!this.db) {
-      // Railway-compatible database path detection
-      const IS_RAILWAY = !!process.env.RAILWAY_ENVIRONMENT; // Only true on actual Railway
-      const DB_DIR = IS_RAILWAY
-        ? (process.env.RAILWAY_VOLUME_MOUNT_PATH || '/app/data')
-        : path.join(__dirname, '../../database');
-
-      // Ensure database directory exists
-      if (!fs.existsSync(DB_DIR)) {
-        fs.mkdirSync(DB_DIR, { recursive: true });
-        console.log(`📁 Created database directory: ${DB_DIR}`);
-      }
-
-      const dbPath = path.join(DB_DIR, 'gebiz_intelligence.db');
-      console.log(`🔌 Historical sync connecting to: ${dbPath}`);
-
-      this.db = new Database(dbPath);
-      this.db.pragma('journal_mode = WAL');
-      this.db.pragma('foreign_keys = ON');
-
-      // Ensure required tables exist
-      this.ensureTables();
-    }
-  }
-
-  /**
-   * Ensure required database tables exist
-   */
-  ensureTables() {
-    try {
-      // Check if gebiz_historical_tenders table exists
-      const tableExists = this.db.prepare(`
-        SELECT name FROM sqlite_master
-        WHERE type='table' AND name='gebiz_historical_tenders'
-      `).get();
-
-      if (!tableExists) {
-        console.log('📋 Creating gebiz_historical_tenders table...');
-
-        // Create the table with full schema
-        const createTableSQL = `
-          CREATE TABLE IF NOT EXISTS gebiz_historical_tenders (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            tender_no TEXT UNIQUE NOT NULL,
-            description TEXT,
-            awarded_amount REAL,
-            supplier_name TEXT,
-            award_date DATE,
-            agency TEXT,
-            category TEXT,
-            contract_period_start DATE,
-            contract_period_end DATE,
-            raw_data TEXT,
-            imported_at DATETIME,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          );
-
-          CREATE INDEX IF NOT EXISTS idx_gebiz_hist_supplier ON gebiz_historical_tenders(supplier_name);
-          CREATE INDEX IF NOT EXISTS idx_gebiz_hist_award_date ON gebiz_historical_tenders(award_date);
-          CREATE INDEX IF NOT EXISTS idx_gebiz_hist_category ON gebiz_historical_tenders(category);
-          CREATE INDEX IF NOT EXISTS idx_gebiz_hist_agency ON gebiz_historical_tenders(agency);
-          CREATE INDEX IF NOT EXISTS idx_gebiz_hist_amount ON gebiz_historical_tenders(awarded_amount);
-        `;
-
-        this.db.exec(createTableSQL);
-        console.log('✅ gebiz_historical_tenders table created successfully');
-      }
-    } catch (error) {
-      console.error('❌ Failed to ensure tables exist:', error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Close database connection
-   */
-  closeDB() {
-    if (this.db) {
-      this.db.close();
-      this.db = null;
-    }
+    this.db = db;
   }
 
   /**
@@ -312,8 +229,6 @@ class HistoricalTenderSync {
       this.emitProgress('error', `Sync failed: ${error.message}`, this.stats.progress_percentage);
 
       throw error;
-    } finally {
-      this.closeDB();
     }
   }
 
@@ -0,0 +1,157 @@
+/**
+ * Geocoder
+ * Resolves free-text Singapore addresses and job locations to coordinates
+ * using the local dataset, and turns distances into commute estimates and
+ * match scores.
+ *
+ * Resolution order:
+ *   1. 6-digit postal code → postal sector centroid
+ *   2. Longest MRT station / area / landmark name found in the text
+ *
+ * @module geo/geocoder
+ */
+
+const { POSTAL_SECTORS, MRT_STATIONS, AREAS } = require('./sg-places');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Commute used when a worker has not set one
+const DEFAULT_MAX_COMMUTE_KM = parseInt(process.env.DEFAULT_MAX_COMMUTE_KM, 10) || 15;
+
+// Anything this close counts as "next door" for scoring and location matching
+const NEARBY_KM = 5;
+
+// Door-to-door public transport: walking/waiting overhead plus average speed
+const TRAVEL_OVERHEAD_MINUTES = 10;
+const TRAVEL_MINUTES_PER_KM = 3;
+
+function normalize(text) {
+  return ` ${String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+// Place names to search for, longest first so "Tampines West" wins over "Tampines"
+const NAMED_PLACES = [
+  ...MRT_STATIONS.map(s => ({ ...s, source: 'mrt', key: normalize(s.name) })),
+  ...AREAS.map(a => ({ ...a, source: 'area', key: normalize(a.name) })),
+].sort((a, b) => b.key.length - a.key.length);
+
+/**
+ * Resolve an address or location string to coordinates
+ * @param {string} text - e.g. "Blk 123 Tampines St 11, Singapore 521123" or "Jurong East MRT"
+ * @returns {{ lat: number, lng: number, source: 'postal'|'mrt'|'area', label: string }|null}
+ */
+function geocode(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const postal = text.match(/(?:^|\D)(\d{6})(?!\d)/);
+  if (postal) {
+    const sector = POSTAL_SECTORS[postal[1].slice(0, 2)];
+    if (sector) {
+      return { lat: sector.lat, lng: sector.lng, source: 'postal', label: `${sector.area} (D${String(sector.district).padStart(2, '0')})` };
+    }
+  }
+
+  const haystack = normalize(text);
+  const place = NAMED_PLACES.find(p => haystack.includes(p.key));
+  if (place) {
+    return { lat: place.lat, lng: place.lng, source: place.source, label: place.name };
+  }
+
+  return null;
+}
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Kilometres
+ */
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Rough public transport travel time for a straight-line distance
+ * @param {number} km
+ * @returns {number} Minutes
+ */
+function estimateTravelMinutes(km) {
+  return Math.round(TRAVEL_OVERHEAD_MINUTES + km * TRAVEL_MINUTES_PER_KM);
+}
+
+/**
+ * Location score (0-100) for a commute distance
+ * Full marks within NEARBY_KM, falling to 40 at the worker's max commute,
+ * and 10 beyond it.
+ * @param {number} km
+ * @param {number} [maxKm] - Worker's max commute
+ */
+function scoreDistance(km, maxKm = DEFAULT_MAX_COMMUTE_KM) {
+  if (km <= NEARBY_KM) return 100;
+  if (km > maxKm) return 10;
+  const span = Math.max(1, maxKm - NEARBY_KM);
+  return Math.round(100 - 60 * ((km - NEARBY_KM) / span));
+}
+
+function hasCoordinates(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng);
+}
+
+/**
+ * Worker home point: stored geocode, else geocode the address on the fly
+ * @param {Object} candidate - Candidate row (geo_lat, geo_lng, address)
+ * @returns {{ lat: number, lng: number }|null}
+ */
+function getCandidatePoint(candidate) {
+  if (!candidate) return null;
+  if (hasCoordinates(candidate.geo_lat, candidate.geo_lng)) {
+    return { lat: candidate.geo_lat, lng: candidate.geo_lng };
+  }
+  return geocode(candidate.address);
+}
+
+/**
+ * Job site point: exact site coordinates, else stored geocode, else geocode the location text
+ * @param {Object} job - Job row (location_lat/lng, geo_lat/lng, location)
+ * @returns {{ lat: number, lng: number }|null}
+ */
+function getJobPoint(job) {
+  if (!job) return null;
+  if (hasCoordinates(job.location_lat, job.location_lng)) {
+    return { lat: job.location_lat, lng: job.location_lng };
+  }
+  if (hasCoordinates(job.geo_lat, job.geo_lng)) {
+    return { lat: job.geo_lat, lng: job.geo_lng };
+  }
+  return geocode(job.location);
+}
+
+/**
+ * Commute from a worker's home to a job site
+ * @returns {{ km: number, minutes: number, maxKm: number, withinCommute: boolean }|null}
+ *   null when either side cannot be located
+ */
+function getCommute(candidate, job) {
+  const home = getCandidatePoint(candidate);
+  const site = getJobPoint(job);
+  if (!home || !site) return null;
+
+  const km = Math.round(haversineKm(home.lat, home.lng, site.lat, site.lng) * 10) / 10;
+  const maxKm = candidate.max_commute_km || DEFAULT_MAX_COMMUTE_KM;
+  return { km, minutes: estimateTravelMinutes(km), maxKm, withinCommute: km <= maxKm };
+}
+
+module.exports = {
+  DEFAULT_MAX_COMMUTE_KM,
+  NEARBY_KM,
+  geocode,
+  haversineKm,
+  estimateTravelMinutes,
+  scoreDistance,
+  getCandidatePoint,
+  getJobPoint,
+  getCommute,
+};
@@ -0,0 +1,190 @@
+/**
+ * Geo Service
+ * Stores geocodes for candidates.address and jobs.location and answers
+ * commute questions (worker's max commute, jobs near a point).
+ *
+ * Geocodes are kept in geo_lat/geo_lng/geo_source on both tables. Jobs keep
+ * their exact site coordinates (location_lat/location_lng, used for the
+ * clock-in geofence) separately - an approximate geocode never overwrites them.
+ *
+ * @module geo
+ */
+
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const {
+  DEFAULT_MAX_COMMUTE_KM,
+  geocode,
+  haversineKm,
+  estimateTravelMinutes,
+  getJobPoint,
+} = require('./geocoder');
+
+const logger = createLogger('geo');
+
+const MAX_COMMUTE_LIMIT_KM = 60;
+
+function saveGeocode(table, id, result) {
+  db.prepare(`UPDATE ${table} SET geo_lat = ?, geo_lng = ?, geo_source = ? WHERE id = ?`)
+    .run(result ? result.lat : null, result ? result.lng : null, result ? result.source : null, id);
+}
+
+/**
+ * Geocode a candidate's address and store the result
+ * @param {string} candidateId
+ * @returns {Object|null} Geocode result, null when the address could not be resolved
+ */
+function geocodeCandidate(candidateId) {
+  const candidate = db.prepare('SELECT id, address FROM candidates WHERE id = ?').get(candidateId);
+  if (!candidate) return null;
+
+  const result = geocode(candidate.address);
+  saveGeocode('candidates', candidate.id, result);
+  return result;
+}
+
+/**
+ * Geocode a job's location text and store the result
+ * @param {string} jobId
+ * @returns {Object|null} Geocode result, null when the location could not be resolved
+ */
+function geocodeJob(jobId) {
+  const job = db.prepare('SELECT id, location FROM jobs WHERE id = ?').get(jobId);
+  if (!job) return null;
+
+  const result = geocode(job.location);
+  saveGeocode('jobs', job.id, result);
+  return result;
+}
+
+/**
+ * Geocode every candidate and job that has text but no stored geocode yet
+ * @returns {{ candidates: { resolved: number, unresolved: number }, jobs: { resolved: number, unresolved: number } }}
+ */
+function geocodeMissing() {
+  const run = (table, column) => {
+    const rows = db.prepare(`
+      SELECT id, ${column} as text FROM ${table}
+      WHERE geo_source IS NULL AND ${column} IS NOT NULL AND TRIM(${column}) != ''
+    `).all();
+
+    const counts = { resolved: 0, unresolved: 0 };
+    db.transaction(() => {
+      for (const row of rows) {
+        const result = geocode(row.text);
+        if (result) {
+          saveGeocode(table, row.id, result);
+          counts.resolved++;
+        } else {
+          counts.unresolved++;
+        }
+      }
+    })();
+    return counts;
+  };
+
+  const summary = { candidates: run('candidates', 'address'), jobs: run('jobs', 'location') };
+  logger.business('geocode_backfill', summary);
+  return summary;
+}
+
+/**
+ * A worker's home location and commute preference
+ * @param {string} candidateId
+ */
+function getCommuteProfile(candidateId) {
+  const candidate = db.prepare(`
+    SELECT id, address, geo_lat, geo_lng, geo_source, max_commute_km FROM candidates WHERE id = ?
+  `).get(candidateId);
+  if (!candidate) {
+    throw ApiError.notFound('Candidate not found');
+  }
+
+  const resolved = candidate.geo_source ? geocode(candidate.address) : null;
+  return {
+    address: candidate.address,
+    max_commute_km: candidate.max_commute_km,
+    effective_max_commute_km: candidate.max_commute_km || DEFAULT_MAX_COMMUTE_KM,
+    home: candidate.geo_source
+      ? { lat: candidate.geo_lat, lng: candidate.geo_lng, source: candidate.geo_source, label: resolved ? resolved.label : null }
+      : null,
+  };
+}
+
+/**
+ * Update a worker's address and/or max commute, re-geocoding the address
+ * @param {string} candidateId
+ * @param {Object} data - { address, max_commute_km } (null max_commute_km resets to the default)
+ */
+function updateCommuteProfile(candidateId, { address, max_commute_km }) {
+  const candidate = db.prepare('SELECT id FROM candidates WHERE id = ?').get(candidateId);
+  if (!candidate) {
+    throw ApiError.notFound('Candidate not found');
+  }
+
+  if (max_commute_km !== undefined && max_commute_km !== null) {
+    const km = Number(max_commute_km);
+    if (!Number.isFinite(km) || km <= 0 || km > MAX_COMMUTE_LIMIT_KM) {
+      throw ApiError.badRequest(`max_commute_km must be between 1 and ${MAX_COMMUTE_LIMIT_KM}`, 'INVALID_COMMUTE');
+    }
+    db.prepare('UPDATE candidates SET max_commute_km = ? WHERE id = ?').run(Math.round(km), candidateId);
+  } else if (max_commute_km === null) {
+    db.prepare('UPDATE candidates SET max_commute_km = NULL WHERE id = ?').run(candidateId);
+  }
+
+  if (address !== undefined) {
+    db.prepare('UPDATE candidates SET address = ? WHERE id = ?').run(address || null, candidateId);
+    geocodeCandidate(candidateId);
+  }
+
+  return getCommuteProfile(candidateId);
+}
+
+/**
+ * Jobs within a radius of a point, nearest first
+ * @param {Object} options
+ * @param {number} options.lat
+ * @param {number} options.lng
+ * @param {number} [options.radiusKm]
+ * @param {string} [options.status] - Job status, 'all' for any
+ * @returns {Object[]} Job rows with distance_km and travel_minutes
+ */
+function findJobsNear({ lat, lng, radiusKm = DEFAULT_MAX_COMMUTE_KM, status = 'open' }) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    throw ApiError.badRequest('lat and lng are required', 'INVALID_COORDINATES');
+  }
+
+  let query = `
+    SELECT j.*, c.company_name as client_name
+    FROM jobs j
+    LEFT JOIN clients c ON j.client_id = c.id
+    WHERE 1=1
+  `;
+  const params = [];
+  if (status && status !== 'all') {
+    query += ' AND j.status = ?';
+    params.push(status);
+  }
+
+  return db.prepare(query).all(...params)
+    .map(job => {
+      const site = getJobPoint(job);
+      if (!site) return null;
+      const distance = Math.round(haversineKm(lat, lng, site.lat, site.lng) * 10) / 10;
+      return { ...job, distance_km: distance, travel_minutes: estimateTravelMinutes(distance) };
+    })
+    .filter(job => job && job.distance_km <= radiusKm)
+    .sort((a, b) => a.distance_km - b.distance_km || String(a.job_date).localeCompare(String(b.job_date)));
+}
+
+module.exports = {
+  MAX_COMMUTE_LIMIT_KM,
+  geocode,
+  geocodeCandidate,
+  geocodeJob,
+  geocodeMissing,
+  getCommuteProfile,
+  updateCommuteProfile,
+  findJobsNear,
+};
@@ -0,0 +1,298 @@
+/**
+ * Singapore Places Dataset
+ * Local reference data for geocoding without an external API:
+ * - postal sectors (first two digits of a 6-digit postal code) with an
+ *   approximate centroid and the postal district they belong to
+ * - MRT stations (rail network as of 2024)
+ * - areas and landmarks commonly used as job locations
+ *
+ * Coordinates are WGS84 and accurate to a few hundred metres for stations
+ * and about a kilometre for sectors - good enough for commute estimates,
+ * not for geofencing.
+ *
+ * @module geo/sg-places
+ */
+
+/** Postal sector → { district, area, lat, lng } */
+const POSTAL_SECTORS = {
+  '01': { district: 1, area: 'Raffles Place', lat: 1.2840, lng: 103.8515 },
+  '02': { district: 1, area: 'Cecil', lat: 1.2790, lng: 103.8490 },
+  '03': { district: 1, area: 'Marina Centre', lat: 1.2930, lng: 103.8580 },
+  '04': { district: 1, area: 'Marina', lat: 1.2810, lng: 103.8530 },
+  '05': { district: 1, area: "People's Park", lat: 1.2850, lng: 103.8440 },
+  '06': { district: 1, area: 'Boat Quay', lat: 1.2870, lng: 103.8480 },
+  '07': { district: 2, area: 'Tanjong Pagar', lat: 1.2770, lng: 103.8440 },
+  '08': { district: 2, area: 'Anson', lat: 1.2750, lng: 103.8450 },
+  '09': { district: 4, area: 'HarbourFront', lat: 1.2650, lng: 103.8220 },
+  '10': { district: 4, area: 'Telok Blangah', lat: 1.2790, lng: 103.8110 },
+  '11': { district: 5, area: 'Pasir Panjang', lat: 1.2900, lng: 103.7780 },
+  '12': { district: 5, area: 'West Coast', lat: 1.3080, lng: 103.7650 },
+  '13': { district: 5, area: 'Dover', lat: 1.3050, lng: 103.7820 },
+  '14': { district: 3, area: 'Queenstown', lat: 1.2950, lng: 103.8050 },
+  '15': { district: 3, area: 'Bukit Merah', lat: 1.2850, lng: 103.8270 },
+  '16': { district: 3, area: 'Tiong Bahru', lat: 1.2860, lng: 103.8310 },
+  '17': { district: 6, area: 'City Hall', lat: 1.2930, lng: 103.8520 },
+  '18': { district: 7, area: 'Bugis', lat: 1.2990, lng: 103.8550 },
+  '19': { district: 7, area: 'Beach Road', lat: 1.3020, lng: 103.8600 },
+  '20': { district: 8, area: 'Little India', lat: 1.3070, lng: 103.8510 },
+  '21': { district: 8, area: 'Jalan Besar', lat: 1.3100, lng: 103.8570 },
+  '22': { district: 9, area: 'Orchard', lat: 1.3040, lng: 103.8320 },
+  '23': { district: 9, area: 'River Valley', lat: 1.2980, lng: 103.8350 },
+  '24': { district: 10, area: 'Tanglin', lat: 1.3060, lng: 103.8180 },
+  '25': { district: 10, area: 'Nassim', lat: 1.3090, lng: 103.8220 },
+  '26': { district: 10, area: 'Bukit Timah', lat: 1.3180, lng: 103.8020 },
+  '27': { district: 10, area: 'Holland', lat: 1.3150, lng: 103.8060 },
+  '28': { district: 11, area: 'Watten Estate', lat: 1.3270, lng: 103.8130 },
+  '29': { district: 11, area: 'Novena', lat: 1.3200, lng: 103.8400 },
+  '30': { district: 11, area: 'Thomson', lat: 1.3280, lng: 103.8410 },
+  '31': { district: 12, area: 'Toa Payoh', lat: 1.3340, lng: 103.8500 },
+  '32': { district: 12, area: 'Balestier', lat: 1.3260, lng: 103.8520 },
+  '33': { district: 12, area: 'Potong Pasir', lat: 1.3330, lng: 103.8660 },
+  '34': { district: 13, area: 'MacPherson', lat: 1.3300, lng: 103.8830 },
+  '35': { district: 13, area: 'Braddell', lat: 1.3330, lng: 103.8800 },
+  '36': { district: 13, area: 'Aljunied', lat: 1.3260, lng: 103.8850 },
+  '37': { district: 13, area: 'Paya Lebar', lat: 1.3270, lng: 103.8900 },
+  '38': { district: 14, area: 'Geylang', lat: 1.3150, lng: 103.8850 },
+  '39': { district: 14, area: 'Paya Lebar', lat: 1.3180, lng: 103.8930 },
+  '40': { district: 14, area: 'Eunos', lat: 1.3260, lng: 103.9020 },
+  '41': { district: 14, area: 'Kembangan', lat: 1.3210, lng: 103.9110 },
+  '42': { district: 15, area: 'Katong', lat: 1.3020, lng: 103.9050 },
+  '43': { district: 15, area: 'Joo Chiat', lat: 1.3100, lng: 103.9020 },
+  '44': { district: 15, area: 'Marine Parade', lat: 1.3010, lng: 103.8950 },
+  '45': { district: 15, area: 'Siglap', lat: 1.3120, lng: 103.9220 },
+  '46': { district: 16, area: 'Bedok', lat: 1.3250, lng: 103.9300 },
+  '47': { district: 16, area: 'Bedok North', lat: 1.3330, lng: 103.9360 },
+  '48': { district: 16, area: 'Upper East Coast', lat: 1.3200, lng: 103.9450 },
+  '49': { district: 17, area: 'Changi', lat: 1.3650, lng: 103.9700 },
+  '50': { district: 17, area: 'Loyang', lat: 1.3700, lng: 103.9680 },
+  '51': { district: 18, area: 'Pasir Ris', lat: 1.3720, lng: 103.9490 },
+  '52': { district: 18, area: 'Tampines', lat: 1.3530, lng: 103.9440 },
+  '53': { district: 19, area: 'Hougang', lat: 1.3610, lng: 103.8900 },
+  '54': { district: 19, area: 'Sengkang', lat: 1.3910, lng: 103.8950 },
+  '55': { district: 19, area: 'Serangoon Garden', lat: 1.3630, lng: 103.8670 },
+  '56': { district: 20, area: 'Ang Mo Kio', lat: 1.3700, lng: 103.8460 },
+  '57': { district: 20, area: 'Bishan', lat: 1.3510, lng: 103.8480 },
+  '58': { district: 21, area: 'Upper Bukit Timah', lat: 1.3490, lng: 103.7760 },
+  '59': { district: 21, area: 'Ulu Pandan', lat: 1.3270, lng: 103.7800 },
+  '60': { district: 22, area: 'Jurong East', lat: 1.3330, lng: 103.7420 },
+  '61': { district: 22, area: 'Jurong', lat: 1.3300, lng: 103.7150 },
+  '62': { district: 22, area: 'Pioneer', lat: 1.3200, lng: 103.6950 },
+  '63': { district: 22, area: 'Tuas', lat: 1.3200, lng: 103.6400 },
+  '64': { district: 22, area: 'Jurong West', lat: 1.3440, lng: 103.7050 },
+  '65': { district: 23, area: 'Bukit Batok', lat: 1.3490, lng: 103.7500 },
+  '66': { district: 23, area: 'Dairy Farm', lat: 1.3600, lng: 103.7700 },
+  '67': { district: 23, area: 'Bukit Panjang', lat: 1.3780, lng: 103.7640 },
+  '68': { district: 23, area: 'Choa Chu Kang', lat: 1.3850, lng: 103.7450 },
+  '69': { district: 24, area: 'Lim Chu Kang', lat: 1.4200, lng: 103.7150 },
+  '70': { district: 24, area: 'Tengah', lat: 1.3640, lng: 103.7300 },
+  '71': { district: 24, area: 'Sungei Gedong', lat: 1.4100, lng: 103.7000 },
+  '72': { district: 25, area: 'Kranji', lat: 1.4250, lng: 103.7620 },
+  '73': { district: 25, area: 'Woodlands', lat: 1.4370, lng: 103.7860 },
+  '75': { district: 27, area: 'Sembawang', lat: 1.4490, lng: 103.8200 },
+  '76': { district: 27, area: 'Yishun', lat: 1.4290, lng: 103.8350 },
+  '77': { district: 26, area: 'Upper Thomson', lat: 1.3620, lng: 103.8280 },
+  '78': { district: 26, area: 'Springleaf', lat: 1.3980, lng: 103.8180 },
+  '79': { district: 28, area: 'Seletar', lat: 1.4050, lng: 103.8690 },
+  '80': { district: 28, area: 'Seletar Hills', lat: 1.3780, lng: 103.8730 },
+  '81': { district: 17, area: 'Changi Airport', lat: 1.3590, lng: 103.9890 },
+  '82': { district: 19, area: 'Punggol', lat: 1.4040, lng: 103.9020 },
+};
+
+/** MRT stations → [name, lines, lat, lng] */
+const MRT_STATIONS = [
+  // North-South Line
+  ['Jurong East', ['NS', 'EW'], 1.3331, 103.7422],
+  ['Bukit Batok', ['NS'], 1.3490, 103.7496],
+  ['Bukit Gombak', ['NS'], 1.3587, 103.7518],
+  ['Choa Chu Kang', ['NS'], 1.3854, 103.7443],
+  ['Yew Tee', ['NS'], 1.3973, 103.7474],
+  ['Kranji', ['NS'], 1.4251, 103.7620],
+  ['Marsiling', ['NS'], 1.4326, 103.7741],
+  ['Woodlands', ['NS', 'TE'], 1.4370, 103.7865],
+  ['Admiralty', ['NS'], 1.4406, 103.8009],
+  ['Sembawang', ['NS'], 1.4491, 103.8201],
+  ['Canberra', ['NS'], 1.4431, 103.8296],
+  ['Yishun', ['NS'], 1.4295, 103.8350],
+  ['Khatib', ['NS'], 1.4174, 103.8329],
+  ['Yio Chu Kang', ['NS'], 1.3817, 103.8449],
+  ['Ang Mo Kio', ['NS'], 1.3700, 103.8496],
+  ['Bishan', ['NS', 'CC'], 1.3510, 103.8485],
+  ['Braddell', ['NS'], 1.3404, 103.8468],
+  ['Toa Payoh', ['NS'], 1.3326, 103.8474],
+  ['Novena', ['NS'], 1.3204, 103.8438],
+  ['Newton', ['NS', 'DT'], 1.3127, 103.8381],
+  ['Orchard', ['NS', 'TE'], 1.3043, 103.8320],
+  ['Somerset', ['NS'], 1.3005, 103.8390],
+  ['Dhoby Ghaut', ['NS', 'NE', 'CC'], 1.2988, 103.8456],
+  ['City Hall', ['NS', 'EW'], 1.2931, 103.8520],
+  ['Raffles Place', ['NS', 'EW'], 1.2839, 103.8515],
+  ['Marina Bay', ['NS', 'CE', 'TE'], 1.2764, 103.8546],
+  ['Marina South Pier', ['NS'], 1.2712, 103.8632],
+
+  // East-West Line
+  ['Pasir Ris', ['EW'], 1.3731, 103.9493],
+  ['Tampines', ['EW', 'DT'], 1.3533, 103.9453],
+  ['Simei', ['EW'], 1.3432, 103.9533],
+  ['Tanah Merah', ['EW'], 1.3272, 103.9465],
+  ['Bedok', ['EW'], 1.3240, 103.9300],
+  ['Kembangan', ['EW'], 1.3210, 103.9129],
+  ['Eunos', ['EW'], 1.3198, 103.9029],
+  ['Paya Lebar', ['EW', 'CC'], 1.3177, 103.8926],
+  ['Aljunied', ['EW'], 1.3164, 103.8829],
+  ['Kallang', ['EW'], 1.3114, 103.8714],
+  ['Lavender', ['EW'], 1.3073, 103.8631],
+  ['Bugis', ['EW', 'DT'], 1.3006, 103.8559],
+  ['Tanjong Pagar', ['EW'], 1.2764, 103.8455],
+  ['Outram Park', ['EW', 'NE', 'TE'], 1.2803, 103.8396],
+  ['Tiong Bahru', ['EW'], 1.2862, 103.8270],
+  ['Redhill', ['EW'], 1.2896, 103.8168],
+  ['Queenstown', ['EW'], 1.2946, 103.8059],
+  ['Commonwealth', ['EW'], 1.3025, 103.7983],
+  ['Buona Vista', ['EW', 'CC'], 1.3073, 103.7902],
+  ['Dover', ['EW'], 1.3114, 103.7786],
+  ['Clementi', ['EW'], 1.3151, 103.7652],
+  ['Chinese Garden', ['EW'], 1.3424, 103.7327],
+  ['Lakeside', ['EW'], 1.3442, 103.7210],
+  ['Boon Lay', ['EW'], 1.3386, 103.7060],
+  ['Pioneer', ['EW'], 1.3376, 103.6974],
+  ['Joo Koon', ['EW'], 1.3277, 103.6783],
+  ['Gul Circle', ['EW'], 1.3195, 103.6605],
+  ['Tuas Crescent', ['EW'], 1.3210, 103.6491],
+  ['Tuas West Road', ['EW'], 1.3300, 103.6397],
+  ['Tuas Link', ['EW'], 1.3404, 103.6368],
+  ['Expo', ['CG', 'DT'], 1.3349, 103.9615],
+  ['Changi Airport', ['CG'], 1.3574, 103.9884],
+
+  // North East Line
+  ['HarbourFront', ['NE', 'CC'], 1.2653, 103.8220],
+  ['Chinatown', ['NE', 'DT'], 1.2843, 103.8437],
+  ['Clarke Quay', ['NE'], 1.2886, 103.8467],
+  ['Little India', ['NE', 'DT'], 1.3066, 103.8493],
+  ['Farrer Park', ['NE'], 1.3124, 103.8543],
+  ['Boon Keng', ['NE'], 1.3196, 103.8617],
+  ['Potong Pasir', ['NE'], 1.3313, 103.8688],
+  ['Woodleigh', ['NE'], 1.3392, 103.8707],
+  ['Serangoon', ['NE', 'CC'], 1.3497, 103.8735],
+  ['Kovan', ['NE'], 1.3602, 103.8852],
+  ['Hougang', ['NE'], 1.3713, 103.8925],
+  ['Buangkok', ['NE'], 1.3829, 103.8931],
+  ['Sengkang', ['NE'], 1.3917, 103.8954],
+  ['Punggol', ['NE'], 1.4052, 103.9024],
+
+  // Circle Line
+  ['Bras Basah', ['CC'], 1.2968, 103.8506],
+  ['Esplanade', ['CC'], 1.2934, 103.8554],
+  ['Promenade', ['CC', 'DT'], 1.2936, 103.8602],
+  ['Nicoll Highway', ['CC'], 1.2999, 103.8636],
+  ['Stadium', ['CC'], 1.3028, 103.8753],
+  ['Mountbatten', ['CC'], 1.3063, 103.8825],
+  ['Dakota', ['CC'], 1.3083, 103.8885],
+  ['MacPherson', ['CC', 'DT'], 1.3266, 103.8900],
+  ['Tai Seng', ['CC'], 1.3357, 103.8880],
+  ['Bartley', ['CC'], 1.3425, 103.8797],
+  ['Lorong Chuan', ['CC'], 1.3517, 103.8645],
+  ['Marymount', ['CC'], 1.3488, 103.8394],
+  ['Caldecott', ['CC', 'TE'], 1.3378, 103.8395],
+  ['Botanic Gardens', ['CC', 'DT'], 1.3223, 103.8155],
+  ['Farrer Road', ['CC'], 1.3174, 103.8077],
+  ['Holland Village', ['CC'], 1.3117, 103.7961],
+  ['one-north', ['CC'], 1.2997, 103.7873],
+  ['Kent Ridge', ['CC'], 1.2935, 103.7845],
+  ['Haw Par Villa', ['CC'], 1.2825, 103.7818],
+  ['Pasir Panjang', ['CC'], 1.2762, 103.7913],
+  ['Labrador Park', ['CC'], 1.2722, 103.8026],
+  ['Telok Blangah', ['CC'], 1.2708, 103.8095],
+  ['Bayfront', ['CE', 'DT'], 1.2818, 103.8590],
+
+  // Downtown Line
+  ['Bukit Panjang', ['DT'], 1.3785, 103.7618],
+  ['Cashew', ['DT'], 1.3694, 103.7646],
+  ['Hillview', ['DT'], 1.3626, 103.7675],
+  ['Beauty World', ['DT'], 1.3412, 103.7758],
+  ['King Albert Park', ['DT'], 1.3357, 103.7833],
+  ['Sixth Avenue', ['DT'], 1.3306, 103.7971],
+  ['Tan Kah Kee', ['DT'], 1.3259, 103.8073],
+  ['Stevens', ['DT', 'TE'], 1.3200, 103.8259],
+  ['Rochor', ['DT'], 1.3039, 103.8526],
+  ['Downtown', ['DT'], 1.2795, 103.8528],
+  ['Telok Ayer', ['DT'], 1.2821, 103.8485],
+  ['Fort Canning', ['DT'], 1.2925, 103.8444],
+  ['Bencoolen', ['DT'], 1.2984, 103.8500],
+  ['Jalan Besar', ['DT'], 1.3052, 103.8555],
+  ['Bendemeer', ['DT'], 1.3138, 103.8627],
+  ['Geylang Bahru', ['DT'], 1.3213, 103.8716],
+  ['Mattar', ['DT'], 1.3268, 103.8833],
+  ['Ubi', ['DT'], 1.3300, 103.8990],
+  ['Kaki Bukit', ['DT'], 1.3350, 103.9084],
+  ['Bedok North', ['DT'], 1.3347, 103.9180],
+  ['Bedok Reservoir', ['DT'], 1.3363, 103.9322],
+  ['Tampines West', ['DT'], 1.3455, 103.9383],
+  ['Tampines East', ['DT'], 1.3562, 103.9546],
+  ['Upper Changi', ['DT'], 1.3417, 103.9614],
+
+  // Thomson-East Coast Line
+  ['Woodlands North', ['TE'], 1.4482, 103.7857],
+  ['Woodlands South', ['TE'], 1.4274, 103.7933],
+  ['Springleaf', ['TE'], 1.3976, 103.8182],
+  ['Lentor', ['TE'], 1.3848, 103.8360],
+  ['Mayflower', ['TE'], 1.3713, 103.8364],
+  ['Bright Hill', ['TE'], 1.3625, 103.8334],
+  ['Upper Thomson', ['TE'], 1.3542, 103.8330],
+  ['Napier', ['TE'], 1.3070, 103.8190],
+  ['Orchard Boulevard', ['TE'], 1.3022, 103.8242],
+  ['Great World', ['TE'], 1.2938, 103.8318],
+  ['Havelock', ['TE'], 1.2885, 103.8338],
+  ['Maxwell', ['TE'], 1.2806, 103.8440],
+  ['Shenton Way', ['TE'], 1.2774, 103.8502],
+  ['Gardens by the Bay', ['TE'], 1.2790, 103.8683],
+].map(([name, lines, lat, lng]) => ({ name, lines, lat, lng }));
+
+/** Areas and landmarks not covered by a station name */
+const AREAS = [
+  { name: 'Marina Bay Sands', lat: 1.2834, lng: 103.8607 },
+  { name: 'Suntec City', lat: 1.2936, lng: 103.8573 },
+  { name: 'Singapore Expo', lat: 1.3352, lng: 103.9583 },
+  { name: 'Jewel Changi', lat: 1.3602, lng: 103.9897 },
+  { name: 'Changi Business Park', lat: 1.3340, lng: 103.9640 },
+  { name: 'Sentosa', lat: 1.2494, lng: 103.8303 },
+  { name: 'Resorts World Sentosa', lat: 1.2540, lng: 103.8238 },
+  { name: 'VivoCity', lat: 1.2644, lng: 103.8223 },
+  { name: 'Jurong Island', lat: 1.2660, lng: 103.6990 },
+  { name: 'Jurong West', lat: 1.3404, lng: 103.7090 },
+  { name: 'Tuas', lat: 1.3200, lng: 103.6400 },
+  { name: 'Science Park', lat: 1.2920, lng: 103.7870 },
+  { name: 'Seletar Aerospace', lat: 1.4170, lng: 103.8650 },
+  { name: 'Mandai', lat: 1.4043, lng: 103.7930 },
+  { name: 'Bukit Merah', lat: 1.2819, lng: 103.8239 },
+  { name: 'Alexandra', lat: 1.2870, lng: 103.8050 },
+  { name: 'Sports Hub', lat: 1.3040, lng: 103.8740 },
+  { name: 'Marine Parade', lat: 1.3030, lng: 103.9070 },
+  { name: 'East Coast Park', lat: 1.3008, lng: 103.9120 },
+  { name: 'Changi Village', lat: 1.3890, lng: 103.9880 },
+  { name: 'Loyang', lat: 1.3700, lng: 103.9680 },
+  { name: 'Serangoon Garden', lat: 1.3630, lng: 103.8670 },
+  { name: 'Toa Payoh Central', lat: 1.3328, lng: 103.8490 },
+  { name: 'Woodlands Checkpoint', lat: 1.4450, lng: 103.7690 },
+  { name: 'CBD', lat: 1.2800, lng: 103.8500 },
+
+  // Hotels and malls that host events
+  { name: 'Grand Hyatt Singapore', lat: 1.3066, lng: 103.8330 },
+  { name: 'Mandarin Oriental', lat: 1.2905, lng: 103.8580 },
+  { name: 'Pan Pacific Singapore', lat: 1.2916, lng: 103.8588 },
+  { name: 'Fairmont Singapore', lat: 1.2940, lng: 103.8530 },
+  { name: 'Raffles Hotel', lat: 1.2948, lng: 103.8544 },
+  { name: 'Shangri-La Singapore', lat: 1.3107, lng: 103.8266 },
+  { name: 'Capitol Singapore', lat: 1.2930, lng: 103.8510 },
+  { name: 'ION Orchard', lat: 1.3040, lng: 103.8318 },
+  { name: 'Ngee Ann City', lat: 1.3025, lng: 103.8348 },
+  { name: 'Plaza Singapura', lat: 1.3006, lng: 103.8453 },
+  { name: 'Tampines Mall', lat: 1.3525, lng: 103.9447 },
+  { name: 'Changi City Point', lat: 1.3341, lng: 103.9627 },
+  { name: 'Westgate', lat: 1.3340, lng: 103.7430 },
+];
+
+module.exports = {
+  POSTAL_SECTORS,
+  MRT_STATIONS,
+  AREAS,
+};
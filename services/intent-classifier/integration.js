@@ -232,22 +232,6 @@ function determineEscalationLevel(result) {
  */
 function logClassification(candidateId, message, result) {
   try {
-    // Create table if it doesn't exist
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS intent_classification_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        candidate_id TEXT,
-        message TEXT,
-        classified_intent TEXT,
-        confidence REAL,
-        processing_time_ms INTEGER,
-        matched_pattern TEXT,
-        escalation_required INTEGER,
-        source TEXT DEFAULT 'lightweight_classifier',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
     db.prepare(`
       INSERT INTO intent_classification_logs
       (candidate_id, message, classified_intent, confidence, processing_time_ms, matched_pattern, escalation_required, source)
@@ -81,25 +81,6 @@ class IntentClassifierMonitor extends EventEmitter {
    */
   storeMetrics(candidateId, message, result, error, timestamp) {
     try {
-      // Create metrics table if it doesn't exist
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS intent_classification_metrics (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          timestamp DATETIME,
-          candidate_id TEXT,
-          message_length INTEGER,
-          intent TEXT,
-          confidence REAL,
-          processing_time_ms INTEGER,
-          pattern_matched TEXT,
-          context_quality REAL,
-          escalation_required INTEGER,
-          error TEXT,
-          hour_bucket INTEGER,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
       const hourBucket = Math.floor(timestamp.getTime() / (1000 * 60 * 60));
 
       db.prepare(`
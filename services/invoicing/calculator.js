@@ -0,0 +1,150 @@
+/**
+ * Invoice Calculator
+ * Pure functions for invoice totals, GST, numbering, due dates and receivables ageing.
+ * Kept free of database access so it can be unit tested directly.
+ *
+ * @module invoicing/calculator
+ */
+
+// Singapore GST (9% from 1 Jan 2024)
+const DEFAULT_GST_RATE = parseFloat(process.env.GST_RATE || '0.09');
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+const INVOICE_NUMBER_PREFIX = 'INV';
+
+// Ageing buckets by days past due date, in display order
+const AGEING_BUCKETS = [
+  { key: 'current', label: 'Not yet due', maxDays: 0 },
+  { key: 'days_1_30', label: '1-30 days', maxDays: 30 },
+  { key: 'days_31_60', label: '31-60 days', maxDays: 60 },
+  { key: 'days_61_90', label: '61-90 days', maxDays: 90 },
+  { key: 'days_90_plus', label: '90+ days', maxDays: Infinity },
+];
+
+const OUTSTANDING_STATUSES = ['sent', 'overdue'];
+
+/**
+ * Calendar date (YYYY-MM-DD) in Singapore time
+ */
+function toSingaporeDate(date = new Date()) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Singapore' });
+}
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Build a billable line from a completed deployment.
+ * Prefers the recorded gross_revenue so invoices match deployment financials.
+ */
+function buildLineItem(deployment) {
+  const quantity = roundMoney(deployment.hours_worked);
+  const unitPrice = roundMoney(deployment.charge_rate);
+  const amount = deployment.gross_revenue !== null && deployment.gross_revenue !== undefined
+    ? roundMoney(deployment.gross_revenue)
+    : roundMoney(quantity * unitPrice);
+
+  return {
+    deployment_id: deployment.id,
+    description: `${deployment.job_title || 'Manpower services'} - ${deployment.candidate_name || 'Worker'}`,
+    service_date: deployment.job_date || null,
+    quantity,
+    unit_price: unitPrice,
+    amount,
+  };
+}
+
+/**
+ * Sum line items and apply GST on the subtotal
+ */
+function calculateInvoiceTotals(lines, gstRate = DEFAULT_GST_RATE) {
+  const subtotal = roundMoney((lines || []).reduce((sum, line) => sum + (Number(line.amount) || 0), 0));
+  const gstAmount = roundMoney(subtotal * gstRate);
+
+  return {
+    subtotal,
+    gst_rate: gstRate,
+    gst_amount: gstAmount,
+    total: roundMoney(subtotal + gstAmount),
+  };
+}
+
+/**
+ * Add payment terms (net days) to an issue date. Dates are YYYY-MM-DD strings.
+ */
+function calculateDueDate(issueDate, paymentTerms) {
+  const terms = Number.isInteger(paymentTerms) && paymentTerms >= 0 ? paymentTerms : DEFAULT_PAYMENT_TERMS_DAYS;
+  const date = new Date(`${issueDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + terms);
+  return date.toISOString().split('T')[0];
+}
+
+function formatInvoiceNumber(year, sequence) {
+  return `${INVOICE_NUMBER_PREFIX}-${year}-${String(sequence).padStart(5, '0')}`;
+}
+
+/**
+ * Next number in a year's sequence, given the highest number issued so far (or null)
+ */
+function nextInvoiceNumber(year, lastNumber) {
+  let sequence = 0;
+  if (lastNumber) {
+    const match = String(lastNumber).match(/-(\d+)$/);
+    sequence = match ? parseInt(match[1], 10) : 0;
+  }
+  return formatInvoiceNumber(year, sequence + 1);
+}
+
+/**
+ * Whole days past the due date (negative while not yet due)
+ */
+function getDaysPastDue(dueDate, asOfDate) {
+  const due = Date.parse(`${dueDate}T00:00:00Z`);
+  const asOf = Date.parse(`${asOfDate}T00:00:00Z`);
+  return Math.round((asOf - due) / 86400000);
+}
+
+function getAgeingBucket(daysPastDue) {
+  return AGEING_BUCKETS.find(bucket => daysPastDue <= bucket.maxDays).key;
+}
+
+function isOverdue(invoice, asOfDate) {
+  return invoice.status === 'sent' && getDaysPastDue(invoice.due_date, asOfDate) > 0;
+}
+
+/**
+ * Group outstanding (sent/overdue) invoice totals into ageing buckets
+ */
+function summariseAgeing(invoices, asOfDate) {
+  const buckets = Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, { label: bucket.label, amount: 0, count: 0 }]));
+  let totalOutstanding = 0;
+
+  for (const invoice of invoices || []) {
+    if (!OUTSTANDING_STATUSES.includes(invoice.status)) continue;
+
+    const bucket = buckets[getAgeingBucket(getDaysPastDue(invoice.due_date, asOfDate))];
+    bucket.amount = roundMoney(bucket.amount + invoice.total);
+    bucket.count++;
+    totalOutstanding = roundMoney(totalOutstanding + invoice.total);
+  }
+
+  return { as_of: asOfDate, total_outstanding: totalOutstanding, buckets };
+}
+
+module.exports = {
+  DEFAULT_GST_RATE,
+  DEFAULT_PAYMENT_TERMS_DAYS,
+  AGEING_BUCKETS,
+  OUTSTANDING_STATUSES,
+  toSingaporeDate,
+  roundMoney,
+  buildLineItem,
+  calculateInvoiceTotals,
+  calculateDueDate,
+  formatInvoiceNumber,
+  nextInvoiceNumber,
+  getDaysPastDue,
+  getAgeingBucket,
+  isOverdue,
+  summariseAgeing,
+};
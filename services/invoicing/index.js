@@ -0,0 +1,370 @@
+/**
+ * Invoicing Service
+ * Client invoices generated per billing period from completed deployments.
+ *
+ * Flow:
+ *   generate (draft, numbered, GST applied) → sent (issue/due date fixed)
+ *   → paid, or overdue once the due date passes (daily scheduler job)
+ *
+ * @module invoicing
+ */
+
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const {
+  DEFAULT_GST_RATE,
+  OUTSTANDING_STATUSES,
+  toSingaporeDate,
+  buildLineItem,
+  calculateInvoiceTotals,
+  calculateDueDate,
+  nextInvoiceNumber,
+  getDaysPastDue,
+  getAgeingBucket,
+  summariseAgeing
+} = require('./calculator');
+const { renderInvoicePdf } = require('./pdf');
+
+const logger = createLogger('invoicing');
+
+const INVOICE_STATUSES = ['draft', 'sent', 'paid', 'overdue'];
+
+// Allowed manual status changes (overdue is also set by the scheduler)
+const STATUS_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['paid', 'overdue'],
+  overdue: ['paid'],
+  paid: []
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function assertDate(value, field) {
+  if (!value || !DATE_PATTERN.test(value)) {
+    throw ApiError.badRequest(`${field} must be a date (YYYY-MM-DD)`, 'INVALID_DATE');
+  }
+}
+
+function getInvoice(id) {
+  return db.prepare('SELECT * FROM invoices WHERE id = ?').get(id);
+}
+
+function requireInvoice(id) {
+  const invoice = getInvoice(id);
+  if (!invoice) {
+    throw ApiError.notFound('Invoice not found', 'INVOICE_NOT_FOUND');
+  }
+  return invoice;
+}
+
+/**
+ * Completed deployments in the period that are not yet on an invoice.
+ * Deployments with a timesheet are only billable once the timesheet is approved.
+ */
+function getBillableDeployments(clientId, periodStart, periodEnd) {
+  return db.prepare(`
+    SELECT d.id, d.hours_worked, COALESCE(d.charge_rate, j.charge_rate) as charge_rate, d.gross_revenue,
+      j.title as job_title, j.job_date, c.name as candidate_name
+    FROM deployments d
+    JOIN jobs j ON d.job_id = j.id
+    LEFT JOIN candidates c ON d.candidate_id = c.id
+    LEFT JOIN timesheets t ON t.deployment_id = d.id
+    LEFT JOIN invoice_line_items li ON li.deployment_id = d.id
+    WHERE j.client_id = ? AND d.status = 'completed'
+      AND j.job_date BETWEEN ? AND ?
+      AND li.id IS NULL
+      AND (t.id IS NULL OR t.status = 'approved')
+    ORDER BY j.job_date, j.title, c.name
+  `).all(clientId, periodStart, periodEnd);
+}
+
+const createInvoiceTransaction = db.transaction((client, deployments, { periodStart, periodEnd, issueDate, createdBy, notes }) => {
+  const year = issueDate.slice(0, 4);
+  const last = db.prepare(`
+    SELECT invoice_number FROM invoices WHERE invoice_number LIKE ? ORDER BY invoice_number DESC LIMIT 1
+  `).get(`INV-${year}-%`);
+
+  const id = 'INV' + Date.now().toString(36).toUpperCase() + Math.random().toString(36).slice(2, 5).toUpperCase();
+  const invoiceNumber = nextInvoiceNumber(year, last?.invoice_number);
+  const lines = deployments.map(buildLineItem);
+  const totals = calculateInvoiceTotals(lines, DEFAULT_GST_RATE);
+  const dueDate = calculateDueDate(issueDate, client.payment_terms);
+
+  db.prepare(`
+    INSERT INTO invoices (id, invoice_number, client_id, period_start, period_end, issue_date, due_date,
+      subtotal, gst_rate, gst_amount, total, status, notes, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?)
+  `).run(id, invoiceNumber, client.id, periodStart, periodEnd, issueDate, dueDate,
+    totals.subtotal, totals.gst_rate, totals.gst_amount, totals.total, notes || null, createdBy || null);
+
+  const insertLine = db.prepare(`
+    INSERT INTO invoice_line_items (invoice_id, deployment_id, description, service_date, quantity, unit_price, amount)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (const line of lines) {
+    insertLine.run(id, line.deployment_id, line.description, line.service_date, line.quantity, line.unit_price, line.amount);
+  }
+
+  return id;
+});
+
+/**
+ * Generate a draft invoice for one client and billing period
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.periodStart - YYYY-MM-DD (inclusive)
+ * @param {string} params.periodEnd - YYYY-MM-DD (inclusive)
+ * @param {string} [params.createdBy]
+ * @param {string} [params.notes]
+ * @returns {Object} Invoice with line items
+ */
+function generate({ clientId, periodStart, periodEnd, createdBy, notes }) {
+  assertDate(periodStart, 'period_start');
+  assertDate(periodEnd, 'period_end');
+  if (periodStart > periodEnd) {
+    throw ApiError.badRequest('period_start must be on or before period_end', 'INVALID_PERIOD');
+  }
+
+  const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(clientId);
+  if (!client) {
+    throw ApiError.notFound('Client not found', 'CLIENT_NOT_FOUND');
+  }
+
+  const deployments = getBillableDeployments(clientId, periodStart, periodEnd);
+  if (deployments.length === 0) {
+    throw ApiError.badRequest('No uninvoiced completed deployments in this period', 'NOTHING_TO_INVOICE');
+  }
+
+  const id = createInvoiceTransaction(client, deployments, {
+    periodStart, periodEnd, issueDate: toSingaporeDate(), createdBy, notes
+  });
+  const invoice = getDetails(id);
+
+  logger.business('invoice_generated', {
+    invoice_id: id,
+    invoice_number: invoice.invoice_number,
+    client_id: clientId,
+    line_count: deployments.length,
+    total: invoice.total
+  });
+
+  return invoice;
+}
+
+/**
+ * Generate draft invoices for every client with billable work in the period
+ * @returns {Object[]} Created invoices
+ */
+function generateForPeriod({ periodStart, periodEnd, createdBy }) {
+  assertDate(periodStart, 'period_start');
+  assertDate(periodEnd, 'period_end');
+
+  const clients = db.prepare(`
+    SELECT DISTINCT j.client_id FROM deployments d
+    JOIN jobs j ON d.job_id = j.id
+    LEFT JOIN invoice_line_items li ON li.deployment_id = d.id
+    WHERE d.status = 'completed' AND j.client_id IS NOT NULL
+      AND j.job_date BETWEEN ? AND ? AND li.id IS NULL
+  `).all(periodStart, periodEnd);
+
+  const created = [];
+  for (const { client_id } of clients) {
+    try {
+      created.push(generate({ clientId: client_id, periodStart, periodEnd, createdBy }));
+    } catch (error) {
+      // Clients whose only work is awaiting timesheet approval are skipped
+      if (error.code !== 'NOTHING_TO_INVOICE') throw error;
+    }
+  }
+  return created;
+}
+
+/**
+ * Move an invoice through draft → sent → paid/overdue
+ * @param {string} id
+ * @param {string} status
+ * @param {Object} [options]
+ * @param {string} [options.paymentReference] - Bank reference when marking paid
+ */
+function updateStatus(id, status, { paymentReference } = {}) {
+  if (!INVOICE_STATUSES.includes(status)) {
+    throw ApiError.badRequest(`status must be one of: ${INVOICE_STATUSES.join(', ')}`, 'INVALID_STATUS');
+  }
+
+  const invoice = requireInvoice(id);
+  if (!STATUS_TRANSITIONS[invoice.status].includes(status)) {
+    throw ApiError.conflict(`Cannot change invoice from ${invoice.status} to ${status}`, 'INVALID_TRANSITION');
+  }
+
+  if (status === 'sent') {
+    // The due date runs from the day the invoice actually goes out
+    const client = db.prepare('SELECT payment_terms FROM clients WHERE id = ?').get(invoice.client_id);
+    const issueDate = toSingaporeDate();
+    db.prepare(`
+      UPDATE invoices SET status = 'sent', issue_date = ?, due_date = ?, sent_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(issueDate, calculateDueDate(issueDate, client?.payment_terms), id);
+  } else if (status === 'paid') {
+    db.prepare(`
+      UPDATE invoices SET status = 'paid', paid_at = CURRENT_TIMESTAMP, payment_reference = ?,
+        updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(paymentReference || null, id);
+  } else {
+    db.prepare('UPDATE invoices SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, id);
+  }
+
+  logger.business('invoice_status_changed', { invoice_id: id, from: invoice.status, to: status });
+  return getDetails(id);
+}
+
+/**
+ * Delete a draft invoice, releasing its deployments for re-billing
+ */
+function remove(id) {
+  const invoice = requireInvoice(id);
+  if (invoice.status !== 'draft') {
+    throw ApiError.conflict('Only draft invoices can be deleted', 'INVOICE_NOT_DRAFT');
+  }
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM invoice_line_items WHERE invoice_id = ?').run(id);
+    db.prepare('DELETE FROM invoices WHERE id = ?').run(id);
+  })();
+
+  logger.business('invoice_deleted', { invoice_id: id, invoice_number: invoice.invoice_number });
+}
+
+/**
+ * Flag sent invoices whose due date has passed
+ * @param {string} [asOfDate] - YYYY-MM-DD, defaults to today (Singapore)
+ * @returns {number} Invoices marked overdue
+ */
+function markOverdue(asOfDate = toSingaporeDate()) {
+  const result = db.prepare(`
+    UPDATE invoices SET status = 'overdue', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'sent' AND due_date < ?
+  `).run(asOfDate);
+
+  if (result.changes > 0) {
+    logger.business('invoices_marked_overdue', { count: result.changes, as_of: asOfDate });
+  }
+  return result.changes;
+}
+
+function list({ client_id, status, from_date, to_date } = {}) {
+  let query = `
+    SELECT i.*, cl.company_name as client_name,
+      (SELECT COUNT(*) FROM invoice_line_items li WHERE li.invoice_id = i.id) as line_count
+    FROM invoices i
+    LEFT JOIN clients cl ON i.client_id = cl.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (client_id) {
+    query += ' AND i.client_id = ?';
+    params.push(client_id);
+  }
+  if (status) {
+    query += ' AND i.status = ?';
+    params.push(status);
+  }
+  if (from_date) {
+    query += ' AND i.issue_date >= ?';
+    params.push(from_date);
+  }
+  if (to_date) {
+    query += ' AND i.issue_date <= ?';
+    params.push(to_date);
+  }
+
+  query += ' ORDER BY i.invoice_number DESC';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Invoice with its client and line items
+ */
+function getDetails(id) {
+  const invoice = getInvoice(id);
+  if (!invoice) return null;
+
+  invoice.client = db.prepare(`
+    SELECT id, company_name, uen, contact_name, contact_email, contact_phone, payment_terms
+    FROM clients WHERE id = ?
+  `).get(invoice.client_id);
+  invoice.line_items = db.prepare(`
+    SELECT * FROM invoice_line_items WHERE invoice_id = ? ORDER BY service_date, id
+  `).all(id);
+
+  return invoice;
+}
+
+/**
+ * Receivables ageing across all outstanding invoices, overall and per client
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - Limit to one client
+ */
+function getAgeing({ clientId } = {}) {
+  const asOf = toSingaporeDate();
+  let query = `
+    SELECT i.id, i.invoice_number, i.client_id, cl.company_name as client_name,
+      i.issue_date, i.due_date, i.total, i.status
+    FROM invoices i
+    LEFT JOIN clients cl ON i.client_id = cl.id
+    WHERE i.status IN (${OUTSTANDING_STATUSES.map(() => '?').join(', ')})
+  `;
+  const params = [...OUTSTANDING_STATUSES];
+  if (clientId) {
+    query += ' AND i.client_id = ?';
+    params.push(clientId);
+  }
+  query += ' ORDER BY i.due_date';
+
+  const invoices = db.prepare(query).all(...params).map(invoice => {
+    const daysPastDue = getDaysPastDue(invoice.due_date, asOf);
+    return { ...invoice, days_past_due: daysPastDue, bucket: getAgeingBucket(daysPastDue) };
+  });
+
+  const byClient = {};
+  for (const invoice of invoices) {
+    byClient[invoice.client_id] = byClient[invoice.client_id] || { client_id: invoice.client_id, client_name: invoice.client_name, invoices: [] };
+    byClient[invoice.client_id].invoices.push(invoice);
+  }
+
+  return {
+    ...summariseAgeing(invoices, asOf),
+    clients: Object.values(byClient)
+      .map(({ invoices: clientInvoices, ...client }) => ({ ...client, ...summariseAgeing(clientInvoices, asOf) }))
+      .sort((a, b) => b.total_outstanding - a.total_outstanding),
+    invoices
+  };
+}
+
+/**
+ * Render an invoice as a PDF
+ * @returns {{ filename: string, buffer: Buffer }}
+ */
+function renderPdf(id) {
+  const invoice = getDetails(id);
+  if (!invoice) {
+    throw ApiError.notFound('Invoice not found', 'INVOICE_NOT_FOUND');
+  }
+  return { filename: `${invoice.invoice_number}.pdf`, buffer: renderInvoicePdf(invoice) };
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  generate,
+  generateForPeriod,
+  updateStatus,
+  remove,
+  markOverdue,
+  list,
+  getInvoice,
+  getDetails,
+  getAgeing,
+  getBillableDeployments,
+  renderPdf
+};
@@ -0,0 +1,199 @@
+/**
+ * Invoice PDF Renderer
+ * Writes a plain A4 tax invoice using the built-in PDF Helvetica fonts,
+ * so no PDF library or headless browser is needed.
+ *
+ * @module invoicing/pdf
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_HEIGHT = 16;
+
+// Average Helvetica glyph width as a fraction of font size (digits are 0.556em)
+const AVERAGE_CHAR_WIDTH = 0.54;
+
+function escapeText(text) {
+  return String(text ?? '')
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+function truncate(text, maxChars) {
+  const value = String(text ?? '');
+  return value.length > maxChars ? `${value.slice(0, maxChars - 3)}...` : value;
+}
+
+function formatMoney(value) {
+  return (Number(value) || 0).toLocaleString('en-SG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Minimal multi-page PDF writer (text and rules only)
+ */
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+  }
+
+  text(x, y, value, { size = 10, bold = false, align = 'left' } = {}) {
+    const text = escapeText(value);
+    let left = x;
+    if (align === 'right') {
+      left = x - text.length * size * AVERAGE_CHAR_WIDTH;
+    }
+    this.current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${text}) Tj ET`);
+  }
+
+  line(x1, y1, x2, y2) {
+    this.current.push(`0.5 w ${x1} ${y1} m ${x2} ${y2} l S`);
+  }
+
+  toBuffer() {
+    const objects = [];
+    const pageCount = this.pages.length;
+    // 1 catalog, 2 page tree, 3-4 fonts, then a page + content stream pair per page
+    const pageIds = this.pages.map((_, i) => 5 + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    this.pages.forEach((commands, i) => {
+      const pageId = pageIds[i];
+      const stream = commands.join('\n');
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(output, 'latin1');
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+/**
+ * Render an invoice (with client and line items) as a PDF buffer
+ * @param {Object} invoice - Invoice row with `client` and `line_items`
+ * @returns {Buffer}
+ */
+function renderInvoicePdf(invoice) {
+  const doc = new PdfDocument();
+  const right = PAGE_WIDTH - MARGIN;
+  const client = invoice.client || {};
+  const companyName = process.env.COMPANY_NAME || 'WorkLink';
+
+  // Header
+  let y = PAGE_HEIGHT - MARGIN;
+  doc.text(MARGIN, y, companyName, { size: 18, bold: true });
+  doc.text(right, y, 'TAX INVOICE', { size: 16, bold: true, align: 'right' });
+  y -= 20;
+  if (process.env.COMPANY_UEN) {
+    doc.text(MARGIN, y, `UEN: ${process.env.COMPANY_UEN}`, { size: 9 });
+  }
+  if (process.env.COMPANY_GST_REG_NO) {
+    doc.text(MARGIN, y - 12, `GST Reg No: ${process.env.COMPANY_GST_REG_NO}`, { size: 9 });
+  }
+
+  // Invoice meta
+  const meta = [
+    ['Invoice No', invoice.invoice_number],
+    ['Issue Date', invoice.issue_date],
+    ['Due Date', invoice.due_date],
+    ['Billing Period', `${invoice.period_start} to ${invoice.period_end}`],
+  ];
+  meta.forEach(([label, value], i) => {
+    doc.text(right - 210, y - i * 14, label, { size: 9, bold: true });
+    doc.text(right, y - i * 14, value, { size: 9, align: 'right' });
+  });
+
+  // Bill to
+  y -= 70;
+  doc.text(MARGIN, y, 'Bill To', { size: 9, bold: true });
+  y -= 14;
+  [client.company_name, client.uen && `UEN: ${client.uen}`, client.contact_name && `Attn: ${client.contact_name}`, client.contact_email]
+    .filter(Boolean)
+    .forEach(value => {
+      doc.text(MARGIN, y, value, { size: 10 });
+      y -= 14;
+    });
+
+  // Line items
+  const columns = { date: MARGIN, description: MARGIN + 70, hours: right - 150, rate: right - 80, amount: right };
+  const drawTableHeader = () => {
+    y -= 10;
+    doc.text(columns.date, y, 'Date', { size: 9, bold: true });
+    doc.text(columns.description, y, 'Description', { size: 9, bold: true });
+    doc.text(columns.hours, y, 'Hours', { size: 9, bold: true, align: 'right' });
+    doc.text(columns.rate, y, 'Rate', { size: 9, bold: true, align: 'right' });
+    doc.text(columns.amount, y, 'Amount', { size: 9, bold: true, align: 'right' });
+    y -= 6;
+    doc.line(MARGIN, y, right, y);
+    y -= LINE_HEIGHT;
+  };
+
+  drawTableHeader();
+  for (const line of invoice.line_items || []) {
+    if (y < MARGIN + 120) {
+      doc.addPage();
+      y = PAGE_HEIGHT - MARGIN;
+      drawTableHeader();
+    }
+    doc.text(columns.date, y, line.service_date || '', { size: 9 });
+    doc.text(columns.description, y, truncate(line.description, 52), { size: 9 });
+    doc.text(columns.hours, y, Number(line.quantity || 0).toFixed(2), { size: 9, align: 'right' });
+    doc.text(columns.rate, y, formatMoney(line.unit_price), { size: 9, align: 'right' });
+    doc.text(columns.amount, y, formatMoney(line.amount), { size: 9, align: 'right' });
+    y -= LINE_HEIGHT;
+  }
+
+  // Totals
+  doc.line(MARGIN, y + 8, right, y + 8);
+  y -= 8;
+  const gstPercent = Math.round((invoice.gst_rate || 0) * 10000) / 100;
+  [
+    ['Subtotal', formatMoney(invoice.subtotal), false],
+    [`GST (${gstPercent}%)`, formatMoney(invoice.gst_amount), false],
+    ['Total (SGD)', formatMoney(invoice.total), true],
+  ].forEach(([label, value, bold]) => {
+    doc.text(right - 170, y, label, { size: 10, bold });
+    doc.text(right, y, value, { size: 10, bold, align: 'right' });
+    y -= LINE_HEIGHT;
+  });
+
+  y -= 20;
+  doc.text(MARGIN, y, `Payment terms: net ${client.payment_terms ?? 30} days. Please pay by ${invoice.due_date}.`, { size: 9 });
+  if (invoice.notes) {
+    doc.text(MARGIN, y - 14, truncate(invoice.notes, 100), { size: 9 });
+  }
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  PdfDocument,
+  renderInvoicePdf,
+};
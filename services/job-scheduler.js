@@ -13,6 +13,15 @@ const { processTenderAnalysis } = require('./scheduler-handlers/tender-analysis-
 const { runCandidateEngagement } = require('./scheduler-handlers/engagement-handler');
 const { generateMonthlyReports, performDailyMaintenance } = require('./scheduler-handlers/reports-handler');
 const { updateCandidateScoring } = require('./scheduler-handlers/scoring-handler');
+const { checkOverdueInvoices } = require('./scheduler-handlers/invoicing-handler');
+const { processBackfillOffers } = require('./scheduler-handlers/backfill-handler');
+const { geocodeMissingLocations } = require('./scheduler-handlers/geocode-handler');
+const { rollLeagueSeasons } = require('./scheduler-handlers/league-handler');
+const { reconcileLedger } = require('./scheduler-handlers/ledger-handler');
+const { sendRatingRequests } = require('./scheduler-handlers/rating-handler');
+const { generateJobSeries } = require('./scheduler-handlers/job-series-handler');
+const { expireShiftChanges } = require('./scheduler-handlers/shift-change-handler');
+const { scrapeTenderPortals } = require('./scheduler-handlers/portal-scrape-handler');
 
 class JobScheduler {
   constructor() {
@@ -56,6 +65,60 @@ class JobScheduler {
         description: 'Update candidate scoring and rankings',
         active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
         handler: updateCandidateScoring
+      },
+      'invoice-overdue-check': {
+        schedule: '0 7 * * *',
+        description: 'Mark sent invoices past their due date as overdue',
+        active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
+        handler: checkOverdueInvoices
+      },
+      'backfill-offer-expiry': {
+        schedule: '* * * * *',
+        description: 'Expire unanswered shift backfill offers and send the next wave',
+        active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
+        handler: processBackfillOffers
+      },
+      'geocode-backfill': {
+        schedule: '15 * * * *',
+        description: 'Geocode candidate addresses and job locations that have no coordinates yet',
+        active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
+        handler: geocodeMissingLocations
+      },
+      'league-season-rollover': {
+        schedule: '5 * * * *',
+        description: 'Close ended league seasons: final ranks, rewards, promotion and relegation',
+        active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
+        handler: rollLeagueSeasons
+      },
+      'ledger-reconciliation': {
+        schedule: '30 3 * * *',
+        description: 'Check cached XP and points balances against the ledger and flag mismatches',
+        active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
+        handler: reconcileLedger
+      },
+      'rating-requests': {
+        schedule: '20 * * * *',
+        description: 'Ask clients to rate workers once their shifts have ended',
+        active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
+        handler: sendRatingRequests
+      },
+      'job-series-generation': {
+        schedule: '15 2 * * *',
+        description: 'Generate jobs for recurring rosters up to each series\' horizon',
+        active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
+        handler: generateJobSeries
+      },
+      'shift-change-expiry': {
+        schedule: '*/15 * * * *',
+        description: 'Expire shift swap and release requests nobody acted on before the shift started',
+        active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
+        handler: expireShiftChanges
+      },
+      'tender-portal-scrape': {
+        schedule: '30 0,6,12,18 * * *',
+        description: 'Scrape enabled tender portals other than GeBIZ into the scanner feed',
+        active: true, lastRun: null, nextRun: null, runCount: 0, errorCount: 0,
+        handler: scrapeTenderPortals
       }
     };
   }
@@ -87,26 +150,11 @@ class JobScheduler {
   }
 
   /**
-   * Initialize database table for job status tracking
+   * Register job definitions in job_scheduler_status (table created by the
+   * baseline migration)
    */
   initializeJobsTable() {
     try {
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS job_scheduler_status (
-          job_name TEXT PRIMARY KEY,
-          schedule TEXT NOT NULL,
-          description TEXT,
-          active INTEGER DEFAULT 1,
-          last_run TEXT,
-          next_run TEXT,
-          run_count INTEGER DEFAULT 0,
-          error_count INTEGER DEFAULT 0,
-          last_error TEXT,
-          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
       for (const [jobName, jobDef] of Object.entries(this.jobDefinitions)) {
         const existing = db.prepare('SELECT job_name FROM job_scheduler_status WHERE job_name = ?').get(jobName);
 
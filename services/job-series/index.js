@@ -0,0 +1,595 @@
+/**
+ * Job Series Service
+ * Recurring rosters: a series holds the weekly pattern ("Mon–Fri 07:00–15:00,
+ * 4 slots, until contract end") and generates ordinary jobs rows for each
+ * date up to its horizon. The job scheduler tops every active series up daily.
+ *
+ * Editing:
+ *   - one occurrence: edit the job as usual; it is marked series_detached
+ *     and later series edits leave it alone
+ *   - the whole series: updateSeries() changes the pattern and every future
+ *     occurrence that has not been edited on its own
+ *
+ * Exceptions skip a date (or add one, e.g. to work a public holiday).
+ * Public holidays are skipped unless the series opts out.
+ *
+ * @module job-series
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const { toSingaporeDate } = require('../invoicing/calculator');
+const geo = require('../geo');
+const {
+  isValidDate,
+  addDays,
+  validateSeries,
+  isScheduledOn,
+  occurrenceDates,
+  generationWindow,
+  describeDays,
+  validateException,
+} = require('./rules');
+
+const logger = createLogger('job-series');
+
+// Bulk cancellation with an end date is limited to a year of exceptions
+const MAX_CANCEL_RANGE_DAYS = 366;
+
+// Occurrences that can still change; past and cancelled ones are history
+const EDITABLE_JOB_STATUSES = ['open', 'filled'];
+
+// Fields copied from the series onto each generated job
+const JOB_FIELDS = [
+  'title', 'description', 'location', 'charge_rate', 'pay_rate', 'break_minutes', 'start_time', 'end_time',
+];
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+function parseSeries(row) {
+  return {
+    ...row,
+    days_of_week: JSON.parse(row.days_of_week || '[]'),
+    required_skills: JSON.parse(row.required_skills || '[]'),
+  };
+}
+
+function getSeriesRow(id) {
+  const row = db.prepare('SELECT * FROM job_series WHERE id = ?').get(id);
+  if (!row) throw ApiError.notFound('Job series not found', 'SERIES_NOT_FOUND');
+  return parseSeries(row);
+}
+
+function notifyCandidate(candidateId, title, message, data) {
+  try {
+    const { createNotification } = require('../../websocket/broadcasting/event-notifiers');
+    createNotification(candidateId, 'job', title, message, data);
+  } catch (error) {
+    logger.warn('Failed to create series notification', { candidate_id: candidateId, error: error.message });
+  }
+}
+
+/**
+ * Check the client and the contract a series is attached to
+ */
+function checkLinks(series) {
+  if (!db.prepare('SELECT 1 FROM clients WHERE id = ?').get(series.client_id)) {
+    throw ApiError.badRequest('Client not found', 'CLIENT_NOT_FOUND');
+  }
+  if (series.tender_id) {
+    const tender = db.prepare('SELECT status FROM tenders WHERE id = ?').get(series.tender_id);
+    if (!tender) throw ApiError.badRequest('Tender not found', 'TENDER_NOT_FOUND');
+    if (tender.status !== 'won') {
+      throw ApiError.badRequest('Only a won tender can have a roster', 'TENDER_NOT_WON');
+    }
+  }
+  if (series.renewal_id) {
+    const renewal = db.prepare('SELECT contract_end_date FROM contract_renewals WHERE id = ?').get(series.renewal_id);
+    if (!renewal) throw ApiError.badRequest('Contract renewal not found', 'RENEWAL_NOT_FOUND');
+    return renewal;
+  }
+  return null;
+}
+
+/**
+ * Public holidays and the series' own exceptions between two dates
+ */
+function loadCalendar(seriesId, from, to) {
+  const holidays = new Set(db.prepare(`
+    SELECT holiday_date FROM public_holidays WHERE holiday_date BETWEEN ? AND ?
+  `).all(from, to).map(h => h.holiday_date));
+  const exceptions = new Map(db.prepare(`
+    SELECT exception_date, action FROM job_series_exceptions WHERE series_id = ? AND exception_date BETWEEN ? AND ?
+  `).all(seriesId, from, to).map(e => [e.exception_date, e.action]));
+  return { holidays, exceptions };
+}
+
+/**
+ * Cancel a series' occurrences and tell the workers already booked on them
+ * @returns {{jobs_cancelled: number, workers_notified: number}}
+ */
+function cancelJobs(jobs, reason) {
+  const cancelJob = db.prepare("UPDATE jobs SET status = 'cancelled' WHERE id = ?");
+  const booked = db.prepare(`
+    SELECT id, candidate_id FROM deployments WHERE job_id = ? AND status IN ('assigned', 'confirmed')
+  `);
+  const cancelDeployment = db.prepare("UPDATE deployments SET status = 'cancelled' WHERE id = ?");
+  const notices = [];
+
+  db.transaction(() => {
+    for (const job of jobs) {
+      cancelJob.run(job.id);
+      for (const deployment of booked.all(job.id)) {
+        cancelDeployment.run(deployment.id);
+        notices.push({ job, candidateId: deployment.candidate_id });
+      }
+    }
+  })();
+
+  for (const { job, candidateId } of notices) {
+    notifyCandidate(
+      candidateId,
+      'Shift cancelled',
+      `${job.title} on ${job.job_date} has been cancelled${reason ? `: ${reason}` : ''}.`,
+      { job_id: job.id }
+    );
+  }
+  return { jobs_cancelled: jobs.length, workers_notified: notices.length };
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Create the jobs a series is missing up to its horizon. Dates that already
+ * have a job (in any status) are left alone, so cancelled occurrences stay
+ * cancelled.
+ * @param {string} id - Series ID
+ * @param {string} [today] - YYYY-MM-DD in Singapore time
+ * @returns {Object[]} Jobs created
+ */
+function generateSeries(id, today = toSingaporeDate()) {
+  const series = getSeriesRow(id);
+  if (series.status !== 'active') return [];
+
+  const window = generationWindow(series, today);
+  if (!window) return [];
+
+  const existing = new Set(db.prepare(`
+    SELECT series_date FROM jobs WHERE series_id = ? AND series_date BETWEEN ? AND ?
+  `).all(id, window.from, window.to).map(j => j.series_date));
+  const dates = occurrenceDates(series, window.from, window.to, loadCalendar(id, window.from, window.to))
+    .filter(date => !existing.has(date));
+
+  const insert = db.prepare(`
+    INSERT INTO jobs (id, client_id, title, description, job_date, start_time, end_time, break_minutes, location,
+                      charge_rate, pay_rate, total_slots, required_skills, status, series_id, series_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?)
+  `);
+  const created = [];
+  db.transaction(() => {
+    for (const date of dates) {
+      const jobId = 'JOB' + Date.now().toString(36).toUpperCase() + crypto.randomBytes(3).toString('hex').toUpperCase();
+      insert.run(
+        jobId, series.client_id, series.title, series.description, date, series.start_time, series.end_time,
+        series.break_minutes, series.location, series.charge_rate, series.pay_rate, series.total_slots,
+        JSON.stringify(series.required_skills), id, date
+      );
+      created.push({ id: jobId, job_date: date });
+    }
+    db.prepare('UPDATE job_series SET last_generated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+  })();
+
+  created.forEach(job => geo.geocodeJob(job.id));
+  if (created.length > 0) {
+    logger.business('series_jobs_generated', { series_id: id, jobs: created.length, to: window.to });
+  }
+  return created;
+}
+
+/**
+ * Top up every active series and end the ones past their end date
+ * (job scheduler)
+ * @param {string} [today]
+ * @returns {{series_checked: number, jobs_created: number, series_ended: number}}
+ */
+function generateAll(today = toSingaporeDate()) {
+  const ended = db.prepare(`
+    UPDATE job_series SET status = 'ended', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'active' AND end_date IS NOT NULL AND end_date < ?
+  `).run(today).changes;
+
+  const active = db.prepare("SELECT id FROM job_series WHERE status = 'active'").all();
+  let jobsCreated = 0;
+  for (const { id } of active) {
+    try {
+      jobsCreated += generateSeries(id, today).length;
+    } catch (error) {
+      logger.error('Series generation failed', { series_id: id, error: error.message });
+    }
+  }
+  return { series_checked: active.length, jobs_created: jobsCreated, series_ended: ended };
+}
+
+// ============================================================================
+// SERIES
+// ============================================================================
+
+/**
+ * Series with their schedule label and upcoming staffing
+ * @param {Object} [filters] - { status, client_id, tender_id, renewal_id }
+ * @returns {Object[]}
+ */
+function listSeries({ status, client_id, tender_id, renewal_id } = {}) {
+  let query = `
+    SELECT s.*, cl.company_name as client_name, t.title as tender_title, r.title as renewal_title,
+           (SELECT COUNT(*) FROM jobs j WHERE j.series_id = s.id AND j.job_date >= ? AND j.status != 'cancelled') as upcoming_jobs,
+           (SELECT COUNT(*) FROM jobs j WHERE j.series_id = s.id AND j.job_date >= ? AND j.status = 'open'
+              AND j.filled_slots < j.total_slots) as unfilled_jobs
+    FROM job_series s
+    LEFT JOIN clients cl ON cl.id = s.client_id
+    LEFT JOIN tenders t ON t.id = s.tender_id
+    LEFT JOIN contract_renewals r ON r.id = s.renewal_id
+    WHERE 1=1
+  `;
+  const today = toSingaporeDate();
+  const params = [today, today];
+  for (const [column, value] of [['s.status', status], ['s.client_id', client_id], ['s.tender_id', tender_id], ['s.renewal_id', renewal_id]]) {
+    if (value && value !== 'all') {
+      query += ` AND ${column} = ?`;
+      params.push(value);
+    }
+  }
+  query += ' ORDER BY s.status, cl.company_name, s.title';
+
+  return db.prepare(query).all(...params).map(row => {
+    const series = parseSeries(row);
+    return { ...series, schedule_label: describeDays(series.days_of_week) };
+  });
+}
+
+/**
+ * A series with its occurrences from the last week onwards and its exceptions
+ * @param {string} id
+ * @returns {Object}
+ */
+function getSeries(id) {
+  const series = getSeriesRow(id);
+  const since = addDays(toSingaporeDate(), -7);
+
+  series.schedule_label = describeDays(series.days_of_week);
+  series.occurrences = db.prepare(`
+    SELECT j.id, j.job_date, j.series_date, j.start_time, j.end_time, j.status, j.total_slots, j.filled_slots,
+           j.series_detached,
+           (SELECT COUNT(*) FROM deployments d WHERE d.job_id = j.id AND d.status IN ('assigned', 'confirmed')) as booked
+    FROM jobs j
+    WHERE j.series_id = ? AND j.series_date >= ?
+    ORDER BY j.series_date
+  `).all(id, since);
+  series.exceptions = db.prepare(`
+    SELECT id, exception_date, action, reason, created_by, created_at
+    FROM job_series_exceptions WHERE series_id = ? AND exception_date >= ?
+    ORDER BY exception_date
+  `).all(id, since);
+  return series;
+}
+
+/**
+ * Create a series and generate its first occurrences. Attached to a
+ * contract renewal without an end date, it runs until the contract ends.
+ * @param {Object} input - See rules.validateSeries
+ * @param {Object} actor - req.user of the admin
+ * @returns {Object} Series with occurrences
+ */
+function createSeries(input, actor) {
+  const { series, error } = validateSeries(input);
+  if (error) throw ApiError.badRequest(error, 'INVALID_SERIES');
+  const renewal = checkLinks(series);
+  if (!series.end_date && renewal?.contract_end_date) {
+    series.end_date = renewal.contract_end_date;
+  }
+
+  const id = generateId('SER');
+  db.prepare(`
+    INSERT INTO job_series (id, client_id, title, description, location, charge_rate, pay_rate, total_slots,
+                            break_minutes, required_skills, days_of_week, start_time, end_time, start_date, end_date,
+                            horizon_days, skip_public_holidays, tender_id, renewal_id, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, series.client_id, series.title, series.description, series.location, series.charge_rate, series.pay_rate,
+    series.total_slots, series.break_minutes, JSON.stringify(series.required_skills),
+    JSON.stringify(series.days_of_week), series.start_time, series.end_time, series.start_date, series.end_date,
+    series.horizon_days, series.skip_public_holidays, series.tender_id, series.renewal_id,
+    actor?.email || actor?.id || null
+  );
+
+  const created = generateSeries(id);
+  logger.business('series_created', { series_id: id, client_id: series.client_id, jobs: created.length, created_by: actor?.id });
+  return getSeries(id);
+}
+
+/**
+ * Change a whole series. Future occurrences that were not edited on their
+ * own take the new details; ones that no longer fit the pattern are
+ * cancelled if nobody is booked, and reported as conflicts if someone is.
+ * @param {string} id
+ * @param {Object} input - Changed fields, plus status 'active' | 'paused'
+ * @param {Object} actor
+ * @returns {Object} Series with occurrences and conflicts
+ */
+function updateSeries(id, input, actor) {
+  const existing = getSeriesRow(id);
+  if (existing.status === 'ended') {
+    throw ApiError.conflict('This series has ended', 'SERIES_ENDED');
+  }
+  const { status, ...changes } = input;
+  if (status !== undefined && !['active', 'paused'].includes(status)) {
+    throw ApiError.badRequest("status must be 'active' or 'paused'", 'INVALID_STATUS');
+  }
+  const { series, error } = validateSeries(changes, existing);
+  if (error) throw ApiError.badRequest(error, 'INVALID_SERIES');
+  if (series.client_id !== existing.client_id) {
+    throw ApiError.badRequest('A series cannot move to another client', 'CLIENT_CHANGE');
+  }
+  checkLinks(series);
+
+  const today = toSingaporeDate();
+  const future = db.prepare(`
+    SELECT j.*, (SELECT COUNT(*) FROM deployments d WHERE d.job_id = j.id AND d.status IN ('assigned', 'confirmed')) as booked
+    FROM jobs j
+    WHERE j.series_id = ? AND j.job_date >= ? AND j.series_detached = 0
+      AND j.status IN (${EDITABLE_JOB_STATUSES.map(() => '?').join(', ')})
+  `).all(id, today, ...EDITABLE_JOB_STATUSES);
+
+  const lastDate = future.reduce((max, j) => (j.series_date > max ? j.series_date : max), today);
+  const calendar = loadCalendar(id, today, lastDate);
+  const dropped = future.filter(job => !isScheduledOn(series, job.series_date, calendar));
+  const conflicts = dropped.filter(job => job.booked > 0);
+  const kept = future.filter(job => !dropped.includes(job));
+  const locationChanged = series.location !== existing.location;
+
+  const updateJob = db.prepare(`
+    UPDATE jobs SET ${JOB_FIELDS.map(f => `${f} = ?`).join(', ')}, required_skills = ?,
+           total_slots = MAX(?, filled_slots)
+    WHERE id = ?
+  `);
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE job_series SET title = ?, description = ?, location = ?, charge_rate = ?, pay_rate = ?, total_slots = ?,
+             break_minutes = ?, required_skills = ?, days_of_week = ?, start_time = ?, end_time = ?, start_date = ?,
+             end_date = ?, horizon_days = ?, skip_public_holidays = ?, tender_id = ?, renewal_id = ?,
+             status = COALESCE(?, status), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      series.title, series.description, series.location, series.charge_rate, series.pay_rate, series.total_slots,
+      series.break_minutes, JSON.stringify(series.required_skills), JSON.stringify(series.days_of_week),
+      series.start_time, series.end_time, series.start_date, series.end_date, series.horizon_days,
+      series.skip_public_holidays, series.tender_id, series.renewal_id, status || null, id
+    );
+    for (const job of [...kept, ...conflicts]) {
+      updateJob.run(...JOB_FIELDS.map(f => series[f]), JSON.stringify(series.required_skills), series.total_slots, job.id);
+    }
+    for (const job of dropped.filter(j => j.booked === 0)) {
+      db.prepare("UPDATE jobs SET status = 'cancelled' WHERE id = ?").run(job.id);
+    }
+  })();
+
+  if (locationChanged) [...kept, ...conflicts].forEach(job => geo.geocodeJob(job.id));
+  generateSeries(id, today);
+
+  logger.business('series_updated', {
+    series_id: id,
+    jobs_updated: kept.length + conflicts.length,
+    jobs_cancelled: dropped.length - conflicts.length,
+    conflicts: conflicts.length,
+    updated_by: actor?.id,
+  });
+
+  return {
+    ...getSeries(id),
+    conflicts: conflicts.map(j => ({ id: j.id, job_date: j.job_date, booked: j.booked })),
+  };
+}
+
+/**
+ * Cancel a series' shifts from a date. With an end date only that range is
+ * cancelled; without one the series ends the day before.
+ * @param {string} id
+ * @param {Object} input - { from_date, to_date, reason }
+ * @param {Object} actor
+ * @returns {Object} { series, jobs_cancelled, workers_notified }
+ */
+function cancelOccurrences(id, { from_date, to_date, reason } = {}, actor) {
+  const series = getSeriesRow(id);
+  const today = toSingaporeDate();
+  if (!isValidDate(from_date)) throw ApiError.badRequest('from_date must be a date (YYYY-MM-DD)', 'INVALID_DATE');
+  if (from_date < today) throw ApiError.badRequest('Past shifts cannot be cancelled', 'DATE_IN_PAST');
+  if (to_date !== undefined && to_date !== null && to_date !== '') {
+    if (!isValidDate(to_date) || to_date < from_date) {
+      throw ApiError.badRequest('to_date must be a date on or after from_date', 'INVALID_DATE');
+    }
+    if (to_date > addDays(from_date, MAX_CANCEL_RANGE_DAYS)) {
+      throw ApiError.badRequest(`Cancel at most ${MAX_CANCEL_RANGE_DAYS} days at a time, or end the series`, 'RANGE_TOO_LONG');
+    }
+  }
+  const note = String(reason || '').trim() || null;
+  const until = to_date || null;
+
+  const jobs = db.prepare(`
+    SELECT id, title, job_date FROM jobs
+    WHERE series_id = ? AND series_date >= ? AND (? IS NULL OR series_date <= ?) AND status IN ('open', 'filled')
+  `).all(id, from_date, until, until);
+
+  db.transaction(() => {
+    if (until) {
+      // Keep dates beyond the current horizon from being generated later
+      const upsert = db.prepare(`
+        INSERT INTO job_series_exceptions (id, series_id, exception_date, action, reason, created_by)
+        VALUES (?, ?, ?, 'skip', ?, ?)
+        ON CONFLICT(series_id, exception_date) DO UPDATE SET action = 'skip', reason = excluded.reason
+      `);
+      occurrenceDates(series, from_date, until, loadCalendar(id, from_date, until))
+        .forEach(date => upsert.run(generateId('SEX'), id, date, note, actor?.email || actor?.id || null));
+    } else {
+      const endDate = addDays(from_date, -1);
+      db.prepare(`
+        UPDATE job_series SET end_date = ?, status = CASE WHEN ? < ? THEN 'ended' ELSE status END,
+               updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(endDate, endDate, today, id);
+    }
+  })();
+
+  const result = cancelJobs(jobs, note);
+  logger.business('series_cancelled', { series_id: id, from_date, to_date: until, ...result, cancelled_by: actor?.id });
+  return { series: getSeries(id), ...result };
+}
+
+/**
+ * Skip one date of a series, or add one outside the pattern
+ * @param {string} id
+ * @param {Object} input - { date, action: 'skip'|'work', reason }
+ * @param {Object} actor
+ * @returns {Object} Series with occurrences
+ */
+function addException(id, input, actor) {
+  getSeriesRow(id);
+  const { exception, error } = validateException(input);
+  if (error) throw ApiError.badRequest(error, 'INVALID_EXCEPTION');
+  if (exception.date < toSingaporeDate()) {
+    throw ApiError.badRequest('Past dates cannot be changed', 'DATE_IN_PAST');
+  }
+
+  db.prepare(`
+    INSERT INTO job_series_exceptions (id, series_id, exception_date, action, reason, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(series_id, exception_date) DO UPDATE SET action = excluded.action, reason = excluded.reason
+  `).run(generateId('SEX'), id, exception.date, exception.action, exception.reason, actor?.email || actor?.id || null);
+
+  if (exception.action === 'skip') {
+    const jobs = db.prepare(`
+      SELECT id, title, job_date FROM jobs WHERE series_id = ? AND series_date = ? AND status IN ('open', 'filled')
+    `).all(id, exception.date);
+    cancelJobs(jobs, exception.reason);
+  } else {
+    generateSeries(id);
+  }
+
+  logger.business('series_exception_added', { series_id: id, date: exception.date, action: exception.action });
+  return getSeries(id);
+}
+
+/**
+ * Remove an exception. A skipped date that was already cancelled stays
+ * cancelled; re-open the job itself if needed.
+ * @param {string} id - Series ID
+ * @param {string} exceptionId
+ * @returns {Object} Series with occurrences
+ */
+function removeException(id, exceptionId) {
+  const result = db.prepare('DELETE FROM job_series_exceptions WHERE id = ? AND series_id = ?').run(exceptionId, id);
+  if (result.changes === 0) throw ApiError.notFound('Exception not found', 'EXCEPTION_NOT_FOUND');
+  generateSeries(id);
+  return getSeries(id);
+}
+
+/**
+ * Won tenders and tracked renewals a series can be attached to
+ * @returns {{tenders: Object[], renewals: Object[]}}
+ */
+function listContracts() {
+  return {
+    tenders: db.prepare(`
+      SELECT id, title, agency FROM tenders WHERE status = 'won' ORDER BY updated_at DESC
+    `).all(),
+    renewals: db.prepare(`
+      SELECT id, title, agency, contract_end_date FROM contract_renewals ORDER BY contract_end_date
+    `).all(),
+  };
+}
+
+// ============================================================================
+// PUBLIC HOLIDAYS
+// ============================================================================
+
+/**
+ * Public holidays, optionally for one year
+ * @param {Object} [filters] - { year }
+ * @returns {Object[]}
+ */
+function listHolidays({ year } = {}) {
+  if (year) {
+    return db.prepare(`
+      SELECT * FROM public_holidays WHERE holiday_date LIKE ? ORDER BY holiday_date
+    `).all(`${Number(year)}-%`);
+  }
+  return db.prepare('SELECT * FROM public_holidays ORDER BY holiday_date').all();
+}
+
+/**
+ * Add a public holiday. Future shifts already generated on that date are
+ * cancelled for series that skip holidays, unless nobody can be told in
+ * time: shifts with workers booked are returned for an admin to decide.
+ * @param {Object} input - { date, name }
+ * @returns {{holiday: Object, jobs_cancelled: number, staffed: Object[]}}
+ */
+function addHoliday({ date, name } = {}) {
+  if (!isValidDate(date)) throw ApiError.badRequest('date must be a date (YYYY-MM-DD)', 'INVALID_DATE');
+  const label = String(name || '').trim();
+  if (!label) throw ApiError.badRequest('A name is required', 'NAME_REQUIRED');
+  if (db.prepare('SELECT 1 FROM public_holidays WHERE holiday_date = ?').get(date)) {
+    throw ApiError.conflict('That date is already a public holiday', 'HOLIDAY_EXISTS');
+  }
+
+  db.prepare('INSERT INTO public_holidays (holiday_date, name) VALUES (?, ?)').run(date, label);
+
+  const affected = date >= toSingaporeDate() ? db.prepare(`
+    SELECT j.id, j.title, j.job_date, j.series_id,
+           (SELECT COUNT(*) FROM deployments d WHERE d.job_id = j.id AND d.status IN ('assigned', 'confirmed')) as booked
+    FROM jobs j
+    JOIN job_series s ON s.id = j.series_id
+    WHERE j.series_date = ? AND j.status IN ('open', 'filled') AND s.skip_public_holidays = 1
+      AND NOT EXISTS (SELECT 1 FROM job_series_exceptions e
+                      WHERE e.series_id = s.id AND e.exception_date = ? AND e.action = 'work')
+  `).all(date, date) : [];
+
+  const { jobs_cancelled } = cancelJobs(affected.filter(j => j.booked === 0), label);
+  logger.business('public_holiday_added', { date, name: label, jobs_cancelled });
+
+  return {
+    holiday: db.prepare('SELECT * FROM public_holidays WHERE holiday_date = ?').get(date),
+    jobs_cancelled,
+    staffed: affected.filter(j => j.booked > 0),
+  };
+}
+
+/**
+ * Remove a public holiday. Series fill the date in on their next run.
+ * @param {string} date
+ */
+function removeHoliday(date) {
+  const result = db.prepare('DELETE FROM public_holidays WHERE holiday_date = ?').run(date);
+  if (result.changes === 0) throw ApiError.notFound('Public holiday not found', 'HOLIDAY_NOT_FOUND');
+  logger.business('public_holiday_removed', { date });
+}
+
+module.exports = {
+  generateSeries,
+  generateAll,
+  listSeries,
+  getSeries,
+  createSeries,
+  updateSeries,
+  cancelOccurrences,
+  addException,
+  removeException,
+  listContracts,
+  listHolidays,
+  addHoliday,
+  removeHoliday,
+};
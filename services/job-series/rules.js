@@ -0,0 +1,235 @@
+/**
+ * Job Series Rules
+ * Validation of recurring shift series and the calendar logic that decides
+ * which dates a series has a shift on.
+ *
+ * Days of the week are ISO numbers: 1 = Monday ... 7 = Sunday.
+ *
+ * @module job-series/rules
+ */
+
+const MAX_SLOTS = 50;
+const DEFAULT_HORIZON_DAYS = 28;
+const MAX_HORIZON_DAYS = 90;
+const DEFAULT_MARKUP = 1.3;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// 'skip' drops a date from the series; 'work' adds one, including a public holiday
+const EXCEPTION_ACTIONS = ['skip', 'work'];
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value || '') && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * ISO day of the week for a YYYY-MM-DD date (1 = Monday, 7 = Sunday)
+ * @param {string} date
+ * @returns {number}
+ */
+function isoWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+}
+
+function optionalText(value) {
+  const text = String(value ?? '').trim();
+  return text || null;
+}
+
+/**
+ * Validate a series. For an update, pass the stored series as `existing`
+ * and only the changed fields as `input`.
+ * @param {Object} input
+ * @param {Object} [existing] - Stored series (days_of_week already parsed)
+ * @returns {{series: Object|null, error: string|null}}
+ */
+function validateSeries(input = {}, existing = null) {
+  const merged = { ...(existing || {}), ...input };
+  const fail = error => ({ series: null, error });
+
+  const title = String(merged.title || '').trim();
+  if (!title) return fail('A title is required');
+  if (!merged.client_id) return fail('client_id is required');
+  const location = String(merged.location || '').trim();
+  if (!location) return fail('A location is required');
+
+  const payRate = Number(merged.pay_rate);
+  if (!Number.isFinite(payRate) || payRate <= 0) return fail('pay_rate must be a positive number');
+  const chargeRate = merged.charge_rate === undefined || merged.charge_rate === null || merged.charge_rate === ''
+    ? Math.round(payRate * DEFAULT_MARKUP * 100) / 100
+    : Number(merged.charge_rate);
+  if (!Number.isFinite(chargeRate) || chargeRate <= 0) return fail('charge_rate must be a positive number');
+
+  const slots = merged.total_slots === undefined || merged.total_slots === '' ? 1 : Number(merged.total_slots);
+  if (!Number.isInteger(slots) || slots < 1 || slots > MAX_SLOTS) {
+    return fail(`total_slots must be a whole number from 1 to ${MAX_SLOTS}`);
+  }
+  const breakMinutes = Number(merged.break_minutes || 0);
+  if (!Number.isInteger(breakMinutes) || breakMinutes < 0 || breakMinutes > 240) {
+    return fail('break_minutes must be a whole number from 0 to 240');
+  }
+
+  const days = Array.isArray(merged.days_of_week) ? [...new Set(merged.days_of_week.map(Number))].sort() : [];
+  if (days.length === 0 || days.some(d => !Number.isInteger(d) || d < 1 || d > 7)) {
+    return fail('days_of_week must list days from 1 (Monday) to 7 (Sunday)');
+  }
+
+  if (!TIME_PATTERN.test(merged.start_time || '') || !TIME_PATTERN.test(merged.end_time || '')) {
+    return fail('start_time and end_time must be times (HH:MM)');
+  }
+  if (merged.start_time === merged.end_time) return fail('A shift must end after it starts');
+
+  if (!isValidDate(merged.start_date)) return fail('start_date must be a date (YYYY-MM-DD)');
+  const endDate = merged.end_date || null;
+  if (endDate && !isValidDate(endDate)) return fail('end_date must be a date (YYYY-MM-DD)');
+  if (endDate && endDate < merged.start_date) return fail('end_date cannot be before start_date');
+
+  const horizon = merged.horizon_days === undefined || merged.horizon_days === null || merged.horizon_days === ''
+    ? DEFAULT_HORIZON_DAYS
+    : Number(merged.horizon_days);
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON_DAYS) {
+    return fail(`horizon_days must be a whole number from 1 to ${MAX_HORIZON_DAYS}`);
+  }
+
+  const skills = Array.isArray(merged.required_skills)
+    ? merged.required_skills.map(s => String(s).trim()).filter(Boolean)
+    : [];
+
+  return {
+    series: {
+      client_id: merged.client_id,
+      title,
+      description: optionalText(merged.description),
+      location,
+      pay_rate: payRate,
+      charge_rate: chargeRate,
+      total_slots: slots,
+      break_minutes: breakMinutes,
+      required_skills: skills,
+      days_of_week: days,
+      start_time: merged.start_time,
+      end_time: merged.end_time,
+      start_date: merged.start_date,
+      end_date: endDate,
+      horizon_days: horizon,
+      skip_public_holidays: merged.skip_public_holidays === undefined || merged.skip_public_holidays === null
+        ? 1
+        : (merged.skip_public_holidays && merged.skip_public_holidays !== '0' ? 1 : 0),
+      tender_id: merged.tender_id || null,
+      renewal_id: merged.renewal_id || null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Whether a series has a shift on a date
+ * @param {Object} series - With days_of_week, start_date, end_date, skip_public_holidays
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} calendar
+ * @param {Set<string>} calendar.holidays - Public holiday dates
+ * @param {Map<string, string>} calendar.exceptions - Date → 'skip' | 'work'
+ * @returns {boolean}
+ */
+function isScheduledOn(series, date, { holidays = new Set(), exceptions = new Map() } = {}) {
+  if (date < series.start_date || (series.end_date && date > series.end_date)) return false;
+
+  const action = exceptions.get(date);
+  if (action === 'skip') return false;
+  if (action === 'work') return true;
+
+  if (!series.days_of_week.includes(isoWeekday(date))) return false;
+  return !(series.skip_public_holidays && holidays.has(date));
+}
+
+/**
+ * Dates from `from` to `to` (inclusive) that a series has a shift on
+ * @param {Object} series
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {Object} [calendar] - See isScheduledOn
+ * @returns {string[]}
+ */
+function occurrenceDates(series, from, to, calendar) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (isScheduledOn(series, date, calendar)) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * The window a series should be generated for: today (or its start) up to
+ * the horizon, capped at its end date. Null when there is nothing to generate.
+ * @param {Object} series - With start_date, end_date, horizon_days
+ * @param {string} today - YYYY-MM-DD in Singapore time
+ * @returns {{from: string, to: string}|null}
+ */
+function generationWindow(series, today) {
+  const from = series.start_date > today ? series.start_date : today;
+  let to = addDays(today, series.horizon_days || DEFAULT_HORIZON_DAYS);
+  if (series.end_date && series.end_date < to) to = series.end_date;
+  return from <= to ? { from, to } : null;
+}
+
+/**
+ * Short label for a series' days, e.g. "Mon–Fri" or "Mon, Wed, Fri"
+ * @param {number[]} days - ISO days of the week
+ * @returns {string}
+ */
+function describeDays(days) {
+  const sorted = [...new Set(days)].sort();
+  if (sorted.length === 7) return 'Every day';
+
+  const runs = [];
+  for (const day of sorted) {
+    const run = runs[runs.length - 1];
+    if (run && day === run[run.length - 1] + 1) run.push(day);
+    else runs.push([day]);
+  }
+  return runs
+    .flatMap(run => (run.length >= 3
+      ? [`${DAY_NAMES[run[0] - 1]}–${DAY_NAMES[run[run.length - 1] - 1]}`]
+      : run.map(d => DAY_NAMES[d - 1])))
+    .join(', ');
+}
+
+/**
+ * Check a one-off change to a series' calendar
+ * @param {Object} input - { date, action, reason }
+ * @returns {{exception: Object|null, error: string|null}}
+ */
+function validateException(input = {}) {
+  if (!isValidDate(input.date)) return { exception: null, error: 'date must be a date (YYYY-MM-DD)' };
+  if (!EXCEPTION_ACTIONS.includes(input.action)) {
+    return { exception: null, error: `action must be one of: ${EXCEPTION_ACTIONS.join(', ')}` };
+  }
+  return { exception: { date: input.date, action: input.action, reason: optionalText(input.reason) }, error: null };
+}
+
+module.exports = {
+  DEFAULT_HORIZON_DAYS,
+  MAX_HORIZON_DAYS,
+  isValidDate,
+  addDays,
+  isoWeekday,
+  validateSeries,
+  isScheduledOn,
+  occurrenceDates,
+  generationWindow,
+  describeDays,
+  validateException,
+};
@@ -0,0 +1,423 @@
+/**
+ * Worker Leagues
+ * Seasonal cohorts on top of the XP ledger, so new workers compete with
+ * people at their own pace instead of the all-time leaderboard.
+ *
+ * Flow:
+ *   a season opens (weekly or monthly, `league_season_length` setting)
+ *   → last season's active workers are placed in cohorts of their next tier
+ *   → anyone else joins the emptiest cohort of their tier when they first look
+ *   → season XP is read live from xp_transactions inside the season window
+ *   → the league-season-rollover job closes ended seasons: final ranks are
+ *     stored, rewards paid through the XP ledger, tiers promoted/relegated
+ *     and the season archived
+ *
+ * @module leagues
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { createLogger } = require('../../utils/structured-logger');
+const { TIERS } = require('../../shared/utils/gamification');
+const ledger = require('../ledger');
+const { processLevelUp } = require('../../routes/api/v1/gamification/helpers/xp-calculator');
+const questEngine = require('../quest-engine');
+const {
+  SEASON_LENGTHS,
+  toSqlTimestamp,
+  seasonWindow,
+  startingTier,
+  zoneSizes,
+  rankMembers,
+  withZones,
+  settleCohort,
+  splitIntoCohorts,
+  pickCohort,
+} = require('./rules');
+
+const logger = createLogger('leagues');
+
+// League payouts are themselves XP; they must not count towards the next season
+const REWARD_ACTION = 'league_reward';
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+function tierLabel(tier) {
+  return { tier, tier_name: TIERS[tier]?.name || tier, tier_color: TIERS[tier]?.color || 'slate' };
+}
+
+/**
+ * Configured season length, 'weekly' unless set to 'monthly' in settings
+ * @returns {string}
+ */
+function getSeasonLength() {
+  const row = db.prepare(`SELECT value FROM settings WHERE key = 'league_season_length'`).get();
+  return SEASON_LENGTHS.includes(row?.value) ? row.value : 'weekly';
+}
+
+/**
+ * Members of a cohort with their season XP, ranked and zoned.
+ * Archived seasons read the stored totals; active ones sum the XP ledger.
+ * @param {string} cohortId
+ * @returns {Object[]}
+ */
+function cohortStandings(cohortId) {
+  const cohort = db.prepare('SELECT * FROM league_cohorts WHERE id = ?').get(cohortId);
+  if (!cohort) return [];
+
+  const members = db.prepare(`
+    SELECT
+      m.candidate_id, m.tier, m.joined_at, m.final_rank, m.result, m.next_tier, m.reward_xp,
+      c.name, c.profile_photo, c.profile_flair, c.selected_border_id, c.level, c.streak_days,
+      COALESCE(m.season_xp, (
+        SELECT COALESCE(SUM(x.amount), 0)
+        FROM xp_transactions x
+        WHERE x.candidate_id = m.candidate_id
+          AND x.amount > 0
+          AND x.created_at >= s.starts_at AND x.created_at < s.ends_at
+          AND COALESCE(x.action_type, '') != ?
+      )) as season_xp
+    FROM league_members m
+    JOIN league_seasons s ON s.id = m.season_id
+    JOIN candidates c ON c.id = m.candidate_id
+    WHERE m.cohort_id = ?
+  `).all(REWARD_ACTION, cohortId);
+
+  return withZones(rankMembers(members), cohort.tier);
+}
+
+/**
+ * Active season covering a moment, if one has been opened
+ * @param {Date} [now]
+ * @returns {Object|undefined}
+ */
+function getCurrentSeason(now = new Date()) {
+  const at = toSqlTimestamp(now);
+  return db.prepare(`
+    SELECT * FROM league_seasons
+    WHERE status = 'active' AND starts_at <= ? AND ends_at > ?
+    ORDER BY starts_at DESC LIMIT 1
+  `).get(at, at);
+}
+
+function createCohort(seasonId, tier) {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM league_cohorts WHERE season_id = ? AND tier = ?')
+    .get(seasonId, tier);
+  const id = generateId('LGC');
+  db.prepare('INSERT INTO league_cohorts (id, season_id, tier, cohort_number) VALUES (?, ?, ?, ?)')
+    .run(id, seasonId, tier, count + 1);
+  return id;
+}
+
+function addMember(seasonId, cohortId, candidateId, tier) {
+  db.prepare(`
+    INSERT OR IGNORE INTO league_members (id, season_id, cohort_id, candidate_id, tier)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(generateId('LGM'), seasonId, cohortId, candidateId, tier);
+}
+
+/**
+ * Open the season covering `now` if there is none. Ended seasons are closed
+ * first so workers who earned XP in the last one are carried over into
+ * cohorts of the tier they finished with.
+ * @param {Date} [now]
+ * @returns {Object} Season row
+ */
+function ensureCurrentSeason(now = new Date()) {
+  const current = getCurrentSeason(now);
+  if (current) return current;
+
+  closeEndedSeasons(now);
+  const window = seasonWindow(getSeasonLength(), now);
+
+  const open = db.transaction(() => {
+    const existing = db.prepare('SELECT * FROM league_seasons WHERE season_key = ?').get(window.key);
+    if (existing) return { season: existing, carried: null };
+
+    const seasonId = generateId('LGS');
+    db.prepare(`
+      INSERT INTO league_seasons (id, season_key, length, starts_at, ends_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(seasonId, window.key, window.length, window.starts_at, window.ends_at);
+
+    const previous = db.prepare(`
+      SELECT id FROM league_seasons WHERE status = 'archived' ORDER BY ends_at DESC LIMIT 1
+    `).get();
+
+    const returning = previous ? db.prepare(`
+      SELECT m.candidate_id, m.next_tier
+      FROM league_members m
+      JOIN candidates c ON c.id = m.candidate_id
+      WHERE m.season_id = ? AND m.season_xp > 0 AND m.next_tier IS NOT NULL AND c.status = 'active'
+      ORDER BY m.season_xp DESC
+    `).all(previous.id) : [];
+
+    const byTier = {};
+    for (const member of returning) {
+      (byTier[member.next_tier] = byTier[member.next_tier] || []).push(member.candidate_id);
+    }
+    for (const [tier, candidateIds] of Object.entries(byTier)) {
+      for (const cohort of splitIntoCohorts(candidateIds)) {
+        const cohortId = createCohort(seasonId, tier);
+        cohort.forEach(candidateId => addMember(seasonId, cohortId, candidateId, tier));
+      }
+    }
+
+    return {
+      season: db.prepare('SELECT * FROM league_seasons WHERE id = ?').get(seasonId),
+      carried: returning.length,
+    };
+  });
+
+  const { season, carried } = open();
+  if (carried !== null) {
+    logger.business('league_season_opened', {
+      season_id: season.id,
+      season_key: season.season_key,
+      carried_over: carried,
+    });
+  }
+  return season;
+}
+
+/**
+ * Put a worker into the current season if they are not in it yet
+ * @param {string} candidateId
+ * @param {Date} [now]
+ * @returns {{season: Object, member: Object}}
+ */
+function joinSeason(candidateId, now = new Date()) {
+  const season = ensureCurrentSeason(now);
+
+  const join = db.transaction(() => {
+    const existing = db.prepare('SELECT * FROM league_members WHERE season_id = ? AND candidate_id = ?')
+      .get(season.id, candidateId);
+    if (existing) return existing;
+
+    const last = db.prepare(`
+      SELECT next_tier FROM league_members
+      WHERE candidate_id = ? AND next_tier IS NOT NULL
+      ORDER BY joined_at DESC, rowid DESC LIMIT 1
+    `).get(candidateId);
+    const tier = last?.next_tier || startingTier();
+
+    const cohorts = db.prepare(`
+      SELECT c.id, COUNT(m.id) as members
+      FROM league_cohorts c
+      LEFT JOIN league_members m ON m.cohort_id = c.id
+      WHERE c.season_id = ? AND c.tier = ?
+      GROUP BY c.id
+    `).all(season.id, tier);
+    const cohortId = pickCohort(cohorts) || createCohort(season.id, tier);
+
+    addMember(season.id, cohortId, candidateId, tier);
+    return db.prepare('SELECT * FROM league_members WHERE season_id = ? AND candidate_id = ?')
+      .get(season.id, candidateId);
+  });
+
+  return { season, member: join() };
+}
+
+/**
+ * The signed-in worker's league: season, tier and cohort standings
+ * @param {string} candidateId
+ * @returns {Object|null} null when the candidate does not exist
+ */
+function getMyLeague(candidateId) {
+  const candidate = db.prepare('SELECT id FROM candidates WHERE id = ?').get(candidateId);
+  if (!candidate) return null;
+
+  const { season, member } = joinSeason(candidateId);
+  const standings = cohortStandings(member.cohort_id);
+  const me = standings.find(s => s.candidate_id === candidateId);
+
+  return {
+    season: {
+      id: season.id,
+      key: season.season_key,
+      length: season.length,
+      starts_at: season.starts_at,
+      ends_at: season.ends_at,
+    },
+    ...tierLabel(member.tier),
+    cohort_id: member.cohort_id,
+    zones: zoneSizes(member.tier, standings.length),
+    rank: me?.rank || null,
+    season_xp: me?.season_xp || 0,
+    zone: me?.zone || null,
+    standings,
+  };
+}
+
+/**
+ * Close a season: store final ranks, pay rewards, set next tiers and archive.
+ * Closing an already archived season does nothing.
+ * @param {string} seasonId
+ * @returns {Object|null} Summary, or null if the season was not active
+ */
+function closeSeason(seasonId) {
+  const rewards = [];
+
+  const close = db.transaction(() => {
+    const archived = db.prepare(`
+      UPDATE league_seasons SET status = 'archived', closed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'active'
+    `).run(seasonId);
+    if (archived.changes === 0) return null;
+
+    const summary = { season_id: seasonId, cohorts: 0, members: 0, promoted: 0, relegated: 0, reward_xp: 0 };
+    const cohorts = db.prepare('SELECT * FROM league_cohorts WHERE season_id = ?').all(seasonId);
+    const update = db.prepare(`
+      UPDATE league_members
+      SET season_xp = ?, final_rank = ?, result = ?, next_tier = ?, reward_xp = ?
+      WHERE season_id = ? AND candidate_id = ?
+    `);
+
+    for (const cohort of cohorts) {
+      // The season is already marked archived, so read the live totals from the ledger
+      const members = cohortStandings(cohort.id).map(({ candidate_id, joined_at, season_xp }) => ({
+        candidate_id, joined_at, season_xp,
+      }));
+
+      for (const member of settleCohort(members, cohort.tier)) {
+        update.run(member.season_xp, member.rank, member.result, member.next_tier, member.reward_xp,
+          seasonId, member.candidate_id);
+
+        if (member.reward_xp > 0) {
+          const reason = `${TIERS[cohort.tier].name} League - finished #${member.rank}`;
+          ledger.awardXP(member.candidate_id, {
+            amount: member.reward_xp,
+            actionType: REWARD_ACTION,
+            reason,
+            referenceId: seasonId
+          });
+          rewards.push({
+            candidateId: member.candidate_id,
+            xp: member.reward_xp,
+            reason,
+            levelResult: processLevelUp(db, member.candidate_id)
+          });
+        }
+
+        summary.members++;
+        summary.reward_xp += member.reward_xp;
+        if (member.result === 'promoted') summary.promoted++;
+        if (member.result === 'relegated') summary.relegated++;
+      }
+      summary.cohorts++;
+    }
+
+    return summary;
+  });
+
+  const summary = close();
+  if (!summary) return null;
+
+  logger.business('league_season_closed', summary);
+  rewards.forEach(r => questEngine.notifyReward(r.candidateId, r.xp, r.reason, r.levelResult));
+  return summary;
+}
+
+/**
+ * Close every active season whose window has ended
+ * @param {Date} [now]
+ * @returns {Object[]} Close summaries
+ */
+function closeEndedSeasons(now = new Date()) {
+  const ended = db.prepare(`
+    SELECT id FROM league_seasons WHERE status = 'active' AND ends_at <= ? ORDER BY ends_at
+  `).all(toSqlTimestamp(now));
+
+  return ended.map(s => closeSeason(s.id)).filter(Boolean);
+}
+
+/**
+ * Close every season that has ended and make sure the current one is open.
+ * Run by the league-season-rollover job; safe to run any number of times.
+ * @param {Date} [now]
+ * @returns {{closed: Object[], season: Object}}
+ */
+function rollover(now = new Date()) {
+  const closed = closeEndedSeasons(now);
+  return { closed, season: ensureCurrentSeason(now) };
+}
+
+/**
+ * Seasons with participation totals, newest first (admin)
+ * @param {number} [limit]
+ * @returns {Object[]}
+ */
+function listSeasons(limit = 20) {
+  return db.prepare(`
+    SELECT
+      s.*,
+      (SELECT COUNT(*) FROM league_cohorts c WHERE c.season_id = s.id) as cohorts,
+      COUNT(m.id) as members,
+      COALESCE(SUM(m.result = 'promoted'), 0) as promoted,
+      COALESCE(SUM(m.result = 'relegated'), 0) as relegated,
+      COALESCE(SUM(m.reward_xp), 0) as reward_xp
+    FROM league_seasons s
+    LEFT JOIN league_members m ON m.season_id = s.id
+    GROUP BY s.id
+    ORDER BY s.starts_at DESC
+    LIMIT ?
+  `).all(Math.min(Number(limit) || 20, 100));
+}
+
+/**
+ * A season's cohorts with member counts (admin)
+ * @param {string} seasonId
+ * @returns {Object|null}
+ */
+function getSeason(seasonId) {
+  const season = db.prepare('SELECT * FROM league_seasons WHERE id = ?').get(seasonId);
+  if (!season) return null;
+
+  const cohorts = db.prepare(`
+    SELECT c.*, COUNT(m.id) as members
+    FROM league_cohorts c
+    LEFT JOIN league_members m ON m.cohort_id = c.id
+    WHERE c.season_id = ?
+    GROUP BY c.id
+    ORDER BY c.tier, c.cohort_number
+  `).all(seasonId);
+
+  return { ...season, cohorts: cohorts.map(c => ({ ...c, ...tierLabel(c.tier) })) };
+}
+
+/**
+ * A worker's results in archived seasons, newest first
+ * @param {string} candidateId
+ * @param {number} [limit]
+ * @returns {Object[]}
+ */
+function getHistory(candidateId, limit = 12) {
+  return db.prepare(`
+    SELECT
+      s.id as season_id, s.season_key, s.length, s.starts_at, s.ends_at,
+      m.tier, m.season_xp, m.final_rank, m.result, m.next_tier, m.reward_xp,
+      (SELECT COUNT(*) FROM league_members o WHERE o.cohort_id = m.cohort_id) as cohort_size
+    FROM league_members m
+    JOIN league_seasons s ON s.id = m.season_id
+    WHERE m.candidate_id = ? AND s.status = 'archived'
+    ORDER BY s.starts_at DESC
+    LIMIT ?
+  `).all(candidateId, Math.min(Number(limit) || 12, 52)).map(h => ({ ...h, ...tierLabel(h.tier) }));
+}
+
+module.exports = {
+  getSeasonLength,
+  getCurrentSeason,
+  ensureCurrentSeason,
+  joinSeason,
+  getMyLeague,
+  cohortStandings,
+  closeSeason,
+  closeEndedSeasons,
+  rollover,
+  listSeasons,
+  getSeason,
+  getHistory,
+};
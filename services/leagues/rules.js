@@ -0,0 +1,230 @@
+/**
+ * League Rules
+ * Season windows, cohort placement and promotion/relegation for the
+ * worker leagues.
+ *
+ * Workers compete in cohorts of about COHORT_SIZE within a league tier.
+ * Only XP earned inside the season window counts. When the season closes
+ * the top of each cohort moves up a tier and the bottom moves down:
+ *
+ *   bronze → silver → gold → platinum → diamond → mythic
+ *
+ * League tiers reuse the names and colours of the level tiers but are
+ * tracked separately: a level 3 worker can reach the Gold league.
+ *
+ * @module leagues/rules
+ */
+
+const { TIERS } = require('../../shared/utils/gamification');
+const { getSGDateString } = require('../../shared/constants');
+
+const LEAGUE_TIERS = Object.keys(TIERS);
+
+const SEASON_LENGTHS = ['weekly', 'monthly'];
+
+const COHORT_SIZE = 30;
+const PROMOTE_COUNT = 5;
+const RELEGATE_COUNT = 5;
+
+// XP paid out at season close by final cohort rank; promotion adds a bonus
+const RANK_REWARDS = { 1: 300, 2: 200, 3: 100 };
+const PROMOTION_BONUS = 50;
+
+// Singapore has no daylight saving, so season boundaries are a fixed offset from UTC
+const SG_OFFSET_HOURS = 8;
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP does (UTC)
+ * @param {Date} date
+ * @returns {string} 'YYYY-MM-DD HH:MM:SS'
+ */
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * UTC instant of midnight in Singapore on a calendar day
+ */
+function sgMidnight(year, monthIndex, day) {
+  return new Date(Date.UTC(year, monthIndex, day, -SG_OFFSET_HOURS));
+}
+
+/**
+ * Season containing a date (Singapore time). Weekly seasons run Monday to
+ * Sunday, monthly seasons a calendar month.
+ * @param {string} length - 'weekly' | 'monthly'
+ * @param {Date} [date]
+ * @returns {{key: string, length: string, starts_at: string, ends_at: string}}
+ */
+function seasonWindow(length, date = new Date()) {
+  if (!SEASON_LENGTHS.includes(length)) {
+    throw new Error(`Season length must be one of: ${SEASON_LENGTHS.join(', ')}`);
+  }
+
+  const [year, month, day] = getSGDateString(date).split('-').map(Number);
+  let start;
+  let end;
+
+  if (length === 'monthly') {
+    start = sgMidnight(year, month - 1, 1);
+    end = sgMidnight(year, month, 1);
+  } else {
+    const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7; // Monday = 0
+    start = sgMidnight(year, month - 1, day - weekday);
+    end = sgMidnight(year, month - 1, day - weekday + 7);
+  }
+
+  const startDay = getSGDateString(start);
+  return {
+    key: length === 'monthly' ? `monthly-${startDay.slice(0, 7)}` : `weekly-${startDay}`,
+    length,
+    starts_at: toSqlTimestamp(start),
+    ends_at: toSqlTimestamp(end),
+  };
+}
+
+/**
+ * Tier a worker joins with when they have no league history
+ */
+function startingTier() {
+  return LEAGUE_TIERS[0];
+}
+
+/**
+ * How many of a cohort move up and down at season close. Small cohorts move
+ * at most a third each way; nobody is promoted out of the top tier or
+ * relegated out of the bottom one.
+ * @param {string} tier
+ * @param {number} size - Cohort members
+ * @returns {{promote: number, relegate: number}}
+ */
+function zoneSizes(tier, size) {
+  const index = LEAGUE_TIERS.indexOf(tier);
+  const third = Math.floor(size / 3);
+  return {
+    promote: index === LEAGUE_TIERS.length - 1 ? 0 : Math.min(PROMOTE_COUNT, third),
+    relegate: index <= 0 ? 0 : Math.min(RELEGATE_COUNT, third),
+  };
+}
+
+/**
+ * Rank a cohort by season XP. Ties go to whoever joined the season first.
+ * @param {Object[]} members - { candidate_id, season_xp, joined_at }
+ * @returns {Object[]} Copies with `rank` (1-based), best first
+ */
+function rankMembers(members) {
+  return [...members]
+    .sort((a, b) => (b.season_xp - a.season_xp)
+      || String(a.joined_at).localeCompare(String(b.joined_at))
+      || String(a.candidate_id).localeCompare(String(b.candidate_id)))
+    .map((member, index) => ({ ...member, rank: index + 1 }));
+}
+
+/**
+ * Mark the promotion and relegation zones of a ranked cohort
+ * @param {Object[]} ranked - Output of rankMembers()
+ * @param {string} tier
+ * @returns {Object[]} Copies with `zone`: 'promotion' | 'relegation' | null
+ */
+function withZones(ranked, tier) {
+  const { promote, relegate } = zoneSizes(tier, ranked.length);
+  return ranked.map(member => {
+    let zone = null;
+    if (member.rank <= promote) zone = 'promotion';
+    else if (member.rank > ranked.length - relegate) zone = 'relegation';
+    return { ...member, zone };
+  });
+}
+
+/**
+ * XP reward for a final cohort position. Workers who earned nothing in the
+ * season get nothing.
+ * @param {number} rank
+ * @param {boolean} promoted
+ * @param {number} seasonXp
+ * @returns {number}
+ */
+function seasonReward(rank, promoted, seasonXp) {
+  if (seasonXp <= 0) return 0;
+  return (RANK_REWARDS[rank] || 0) + (promoted ? PROMOTION_BONUS : 0);
+}
+
+/**
+ * Final result of every cohort member at season close
+ * @param {Object[]} members - { candidate_id, season_xp, joined_at }
+ * @param {string} tier
+ * @returns {Object[]} Members with rank, result, next_tier and reward_xp
+ */
+function settleCohort(members, tier) {
+  const index = LEAGUE_TIERS.indexOf(tier);
+
+  return withZones(rankMembers(members), tier).map(member => {
+    // Promotion has to be earned: an idle cohort promotes nobody
+    const promoted = member.zone === 'promotion' && member.season_xp > 0;
+    const relegated = member.zone === 'relegation';
+
+    let result = 'stayed';
+    let nextTier = tier;
+    if (promoted) {
+      result = 'promoted';
+      nextTier = LEAGUE_TIERS[index + 1];
+    } else if (relegated) {
+      result = 'relegated';
+      nextTier = LEAGUE_TIERS[index - 1];
+    }
+
+    return {
+      ...member,
+      result,
+      next_tier: nextTier,
+      reward_xp: seasonReward(member.rank, promoted, member.season_xp),
+    };
+  });
+}
+
+/**
+ * Split workers of one tier into cohorts of at most `size`. Members are dealt
+ * round-robin so that, given a list sorted by strength, every cohort gets a
+ * similar mix.
+ * @param {Array} members
+ * @param {number} [size]
+ * @returns {Array[]}
+ */
+function splitIntoCohorts(members, size = COHORT_SIZE) {
+  const count = Math.max(1, Math.ceil(members.length / size));
+  const cohorts = Array.from({ length: count }, () => []);
+  members.forEach((member, i) => cohorts[i % count].push(member));
+  return cohorts;
+}
+
+/**
+ * Cohort a late joiner goes into: the emptiest one with room
+ * @param {Object[]} cohorts - { id, members }
+ * @param {number} [size]
+ * @returns {string|null} Cohort id, or null when every cohort is full
+ */
+function pickCohort(cohorts, size = COHORT_SIZE) {
+  const open = cohorts.filter(c => c.members < size);
+  if (open.length === 0) return null;
+  return open.reduce((best, c) => (c.members < best.members ? c : best)).id;
+}
+
+module.exports = {
+  LEAGUE_TIERS,
+  SEASON_LENGTHS,
+  COHORT_SIZE,
+  PROMOTE_COUNT,
+  RELEGATE_COUNT,
+  RANK_REWARDS,
+  PROMOTION_BONUS,
+  toSqlTimestamp,
+  seasonWindow,
+  startingTier,
+  zoneSizes,
+  rankMembers,
+  withZones,
+  seasonReward,
+  settleCohort,
+  splitIntoCohorts,
+  pickCohort,
+};
@@ -0,0 +1,488 @@
+/**
+ * Points & XP Ledger Service
+ * The only writer of candidates.xp, lifetime_xp and current_points. Every
+ * change is posted as an immutable double-entry transaction tagged with its
+ * source, and the candidate columns are kept as a cache of the ledger sums.
+ *
+ * Flow:
+ *   award/penalty/purchase/refund → post() → entries written, cache updated
+ *   → XP changes also land in xp_transactions, the activity feed that
+ *     history, quests and leagues read
+ *   → the nightly ledger-reconciliation job compares cache with ledger and
+ *     flags mismatches; an admin resolves each one by accepting the cached
+ *     balance (adjusting entry) or restoring the ledger balance
+ *
+ * Balances that existed before a worker's first posting (seed data, imports,
+ * rows from before the ledger) are carried in as an opening_balance
+ * transaction the first time the account is touched.
+ *
+ * @module ledger
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const { processLevelUp } = require('../../routes/api/v1/gamification/helpers/xp-calculator');
+const {
+  CURRENCIES,
+  BALANCE_COLUMNS,
+  candidateAccount,
+  applicableAmounts,
+  buildEntries,
+  isBalanced,
+  xpAwardChange,
+  validateAdjustment,
+  findMismatches,
+  isValidSourceType,
+} = require('./rules');
+
+const logger = createLogger('ledger');
+
+const RESOLUTIONS = ['accept_cached', 'restore_ledger'];
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+function cachedBalances(candidate) {
+  return Object.fromEntries(CURRENCIES.map(c => [c, candidate[BALANCE_COLUMNS[c]] || 0]));
+}
+
+function requireCandidate(candidateId) {
+  const candidate = db.prepare('SELECT id, name, xp, lifetime_xp, current_points FROM candidates WHERE id = ?').get(candidateId);
+  if (!candidate) {
+    throw ApiError.notFound('Candidate not found', 'CANDIDATE_NOT_FOUND');
+  }
+  return candidate;
+}
+
+/**
+ * Write one balanced transaction. Does not touch the cached balances.
+ * @returns {string} Transaction ID
+ */
+function writeTransaction(candidateId, amounts, { sourceType, sourceId = null, reason = null, createdBy = null }) {
+  const entries = buildEntries(candidateId, sourceType, amounts);
+  if (!isBalanced(entries)) {
+    throw ApiError.internal('Ledger entries do not balance', 'LEDGER_UNBALANCED');
+  }
+
+  const id = generateId('LTX');
+  db.prepare(`
+    INSERT INTO ledger_transactions (id, candidate_id, source_type, source_id, reason, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, candidateId, sourceType, sourceId, reason, createdBy);
+
+  const insert = db.prepare(`
+    INSERT INTO ledger_entries (transaction_id, account, candidate_id, currency, amount)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  entries.forEach(e => insert.run(id, e.account, e.candidate_id, e.currency, e.amount));
+  return id;
+}
+
+/**
+ * Sum of a candidate's entries per currency
+ * @param {string} candidateId
+ * @returns {{xp: number, lifetime_xp: number, points: number}}
+ */
+function ledgerBalances(candidateId) {
+  const balances = Object.fromEntries(CURRENCIES.map(c => [c, 0]));
+  db.prepare(`
+    SELECT currency, SUM(amount) as balance FROM ledger_entries
+    WHERE candidate_id = ? GROUP BY currency
+  `).all(candidateId).forEach(row => { balances[row.currency] = row.balance; });
+  return balances;
+}
+
+/**
+ * Carry a candidate's cached balances into the ledger if they have no
+ * transactions yet. Runs inside the caller's transaction.
+ * @returns {boolean} Whether an opening transaction was written
+ */
+function openAccount(candidate) {
+  const opened = db.prepare('SELECT 1 FROM ledger_transactions WHERE candidate_id = ? LIMIT 1').get(candidate.id);
+  if (opened) return false;
+
+  writeTransaction(candidate.id, cachedBalances(candidate), {
+    sourceType: 'opening_balance',
+    reason: 'Balances carried into the ledger',
+  });
+  return true;
+}
+
+/**
+ * Post a change to a candidate's balances
+ * @param {string} candidateId
+ * @param {Object} change - { xp, lifetime_xp, points } deltas
+ * @param {Object} source
+ * @param {string} source.sourceType - What caused it, e.g. 'shift', 'reward_purchase'
+ * @param {string} [source.sourceId] - ID of the shift, quest, purchase...
+ * @param {string} [source.reason]
+ * @param {string} [source.createdBy]
+ * @returns {{transaction_id: string|null, xp: number, lifetime_xp: number, points: number}}
+ *   Amounts actually applied (XP stops at zero)
+ * @throws {ApiError} 400 when points would be overdrawn
+ */
+function post(candidateId, change, source) {
+  if (!isValidSourceType(source.sourceType)) {
+    throw ApiError.badRequest('Invalid ledger source type', 'INVALID_SOURCE_TYPE');
+  }
+
+  return db.transaction(() => {
+    const candidate = requireCandidate(candidateId);
+    openAccount(candidate);
+
+    const { amounts, error } = applicableAmounts(cachedBalances(candidate), change);
+    if (error) {
+      throw ApiError.badRequest(error, 'INSUFFICIENT_POINTS');
+    }
+    if (CURRENCIES.every(c => amounts[c] === 0)) {
+      return { transaction_id: null, ...amounts };
+    }
+
+    const transactionId = writeTransaction(candidateId, amounts, source);
+    db.prepare(`
+      UPDATE candidates
+      SET xp = xp + ?, lifetime_xp = lifetime_xp + ?, current_points = current_points + ?
+      WHERE id = ?
+    `).run(amounts.xp, amounts.lifetime_xp, amounts.points, candidateId);
+
+    return { transaction_id: transactionId, ...amounts };
+  })();
+}
+
+/**
+ * Award (or take away) XP and record it in the XP activity feed. Points
+ * follow XP gains 1:1 unless given.
+ * @param {string} candidateId
+ * @param {Object} award
+ * @param {number} award.amount - XP, negative for penalties
+ * @param {string} award.actionType - Ledger source type and xp_transactions action_type
+ * @param {string} [award.referenceId]
+ * @param {string} [award.reason]
+ * @param {number} [award.points]
+ * @param {string} [award.createdBy]
+ * @returns {{transaction_id: string|null, xp: number, lifetime_xp: number, points: number}}
+ */
+function awardXP(candidateId, { amount, actionType, referenceId = null, reason = null, points, createdBy = null }) {
+  return db.transaction(() => {
+    const applied = post(candidateId, xpAwardChange(amount, { points }), {
+      sourceType: actionType,
+      sourceId: referenceId,
+      reason,
+      createdBy,
+    });
+
+    if (applied.xp !== 0) {
+      db.prepare(`
+        INSERT INTO xp_transactions (candidate_id, action_type, amount, reason, reference_id)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(candidateId, actionType, applied.xp, reason, referenceId);
+    }
+    return applied;
+  })();
+}
+
+/**
+ * Make an adjusting entry (admin). Changes ledger and cached balances alike.
+ * @param {string} candidateId
+ * @param {Object} input - { xp, lifetime_xp, points, reason }
+ * @param {Object} [options]
+ * @param {string} [options.createdBy]
+ * @returns {{transaction: Object, balances: Object, levelResult: Object}}
+ */
+function adjust(candidateId, input, { createdBy = null } = {}) {
+  const { change, error } = validateAdjustment(input);
+  if (error) {
+    throw ApiError.badRequest(error, 'INVALID_ADJUSTMENT');
+  }
+  const reason = String(input.reason).trim();
+
+  const result = db.transaction(() => {
+    const applied = post(candidateId, change, { sourceType: 'adjustment', reason, createdBy });
+    if (applied.xp !== 0) {
+      db.prepare(`
+        INSERT INTO xp_transactions (candidate_id, action_type, amount, reason, reference_id)
+        VALUES (?, 'adjustment', ?, ?, ?)
+      `).run(candidateId, applied.xp, reason, applied.transaction_id);
+    }
+    return { applied, levelResult: processLevelUp(db, candidateId) };
+  })();
+
+  logger.business('ledger_adjustment', {
+    candidate_id: candidateId,
+    transaction_id: result.applied.transaction_id,
+    xp: result.applied.xp,
+    lifetime_xp: result.applied.lifetime_xp,
+    points: result.applied.points,
+    created_by: createdBy,
+  });
+
+  return {
+    transaction: getTransaction(result.applied.transaction_id),
+    balances: getBalances(candidateId),
+    levelResult: result.levelResult,
+  };
+}
+
+/**
+ * @param {string} transactionId
+ * @returns {Object|null} Transaction with its entries
+ */
+function getTransaction(transactionId) {
+  const transaction = db.prepare('SELECT * FROM ledger_transactions WHERE id = ?').get(transactionId);
+  if (!transaction) return null;
+  transaction.entries = db.prepare(`
+    SELECT account, currency, amount FROM ledger_entries WHERE transaction_id = ? ORDER BY id
+  `).all(transactionId);
+  return transaction;
+}
+
+/**
+ * Cached and ledger balances side by side
+ * @param {string} candidateId
+ * @returns {{cached: Object, ledger: Object, mismatches: Object[]}}
+ */
+function getBalances(candidateId) {
+  const candidate = requireCandidate(candidateId);
+  const ledger = ledgerBalances(candidateId);
+  return {
+    cached: cachedBalances(candidate),
+    ledger,
+    mismatches: findMismatches(candidate, ledger),
+  };
+}
+
+/**
+ * A candidate's ledger: balances and recent transactions, each with the
+ * amounts it moved on the candidate's account
+ * @param {string} candidateId
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @returns {Object}
+ */
+function getAccount(candidateId, { limit = 50 } = {}) {
+  const candidate = requireCandidate(candidateId);
+  const account = candidateAccount(candidateId);
+
+  const transactions = db.prepare(`
+    SELECT * FROM ledger_transactions WHERE candidate_id = ?
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT ?
+  `).all(candidateId, Math.min(Number(limit) || 50, 500));
+
+  const amounts = db.prepare(`
+    SELECT currency, amount FROM ledger_entries WHERE transaction_id = ? AND account = ?
+  `);
+  transactions.forEach(t => {
+    const moved = Object.fromEntries(CURRENCIES.map(c => [c, 0]));
+    amounts.all(t.id, account).forEach(e => { moved[e.currency] = e.amount; });
+    Object.assign(t, moved);
+  });
+
+  return {
+    candidate: { id: candidate.id, name: candidate.name },
+    ...getBalances(candidateId),
+    open_flags: db.prepare(`
+      SELECT * FROM ledger_mismatches WHERE candidate_id = ? AND status = 'open' ORDER BY currency
+    `).all(candidateId),
+    transactions,
+  };
+}
+
+/**
+ * Compare every candidate's cached balances with the ledger and flag
+ * mismatches. Candidates with no ledger history are opened first. Flags
+ * that no longer apply are marked cleared.
+ * @param {Object} [options]
+ * @param {string} [options.triggeredBy='scheduler']
+ * @returns {{run_id: string, candidates_checked: number, accounts_opened: number, mismatches_found: number, flagged: number, cleared: number}}
+ */
+function reconcile({ triggeredBy = 'scheduler' } = {}) {
+  const runId = generateId('LRR');
+  db.prepare('INSERT INTO ledger_reconciliation_runs (id, triggered_by) VALUES (?, ?)').run(runId, triggeredBy);
+
+  const summary = db.transaction(() => {
+    const candidates = db.prepare('SELECT id, xp, lifetime_xp, current_points FROM candidates').all();
+
+    let accountsOpened = 0;
+    candidates.forEach(candidate => {
+      if (openAccount(candidate)) accountsOpened++;
+    });
+
+    const sums = {};
+    db.prepare(`
+      SELECT candidate_id, currency, SUM(amount) as balance FROM ledger_entries
+      WHERE candidate_id IS NOT NULL GROUP BY candidate_id, currency
+    `).all().forEach(row => {
+      sums[row.candidate_id] = sums[row.candidate_id] || {};
+      sums[row.candidate_id][row.currency] = row.balance;
+    });
+
+    const openFlags = new Map();
+    db.prepare(`SELECT id, candidate_id, currency FROM ledger_mismatches WHERE status = 'open'`).all()
+      .forEach(flag => openFlags.set(`${flag.candidate_id}:${flag.currency}`, flag.id));
+
+    const refresh = db.prepare(`
+      UPDATE ledger_mismatches SET run_id = ?, cached_balance = ?, ledger_balance = ?, difference = ?
+      WHERE id = ?
+    `);
+    const flag = db.prepare(`
+      INSERT INTO ledger_mismatches (id, run_id, candidate_id, currency, cached_balance, ledger_balance, difference)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    let found = 0;
+    let flagged = 0;
+    candidates.forEach(candidate => {
+      findMismatches(candidate, sums[candidate.id] || {}).forEach(m => {
+        found++;
+        const key = `${candidate.id}:${m.currency}`;
+        if (openFlags.has(key)) {
+          refresh.run(runId, m.cached, m.ledger, m.difference, openFlags.get(key));
+          openFlags.delete(key);
+        } else {
+          flag.run(generateId('LMM'), runId, candidate.id, m.currency, m.cached, m.ledger, m.difference);
+          flagged++;
+        }
+      });
+    });
+
+    // Anything still in openFlags balanced out (or the candidate is gone)
+    const clear = db.prepare(`
+      UPDATE ledger_mismatches SET status = 'cleared', resolved_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    openFlags.forEach(id => clear.run(id));
+
+    db.prepare(`
+      UPDATE ledger_reconciliation_runs
+      SET candidates_checked = ?, accounts_opened = ?, mismatches_found = ?, finished_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(candidates.length, accountsOpened, found, runId);
+
+    return {
+      run_id: runId,
+      candidates_checked: candidates.length,
+      accounts_opened: accountsOpened,
+      mismatches_found: found,
+      flagged,
+      cleared: openFlags.size,
+    };
+  })();
+
+  if (summary.mismatches_found > 0) {
+    logger.warn('Ledger reconciliation found mismatches', summary);
+  }
+  logger.business('ledger_reconciled', { ...summary, triggered_by: triggeredBy });
+  return summary;
+}
+
+/**
+ * Resolve a flagged mismatch (admin)
+ *   - accept_cached: the cached balance is right; post a ledger-only
+ *     adjusting entry for the difference
+ *   - restore_ledger: the ledger is right; reset the cached balance
+ * @param {string} mismatchId
+ * @param {Object} resolution
+ * @param {string} resolution.action - 'accept_cached' | 'restore_ledger'
+ * @param {string} resolution.reason
+ * @param {string} [resolution.resolvedBy]
+ * @returns {Object} The resolved mismatch
+ */
+function resolveMismatch(mismatchId, { action, reason, resolvedBy = null } = {}) {
+  if (!RESOLUTIONS.includes(action)) {
+    throw ApiError.badRequest(`action must be one of: ${RESOLUTIONS.join(', ')}`, 'INVALID_RESOLUTION');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw ApiError.badRequest('A reason is required to resolve a mismatch', 'REASON_REQUIRED');
+  }
+
+  const result = db.transaction(() => {
+    const mismatch = db.prepare('SELECT * FROM ledger_mismatches WHERE id = ?').get(mismatchId);
+    if (!mismatch) {
+      throw ApiError.notFound('Mismatch not found', 'MISMATCH_NOT_FOUND');
+    }
+    if (mismatch.status !== 'open') {
+      throw ApiError.conflict(`Mismatch is already ${mismatch.status}`, 'MISMATCH_CLOSED');
+    }
+
+    // Balances may have moved since the run; resolve against the current difference
+    const candidate = requireCandidate(mismatch.candidate_id);
+    const column = BALANCE_COLUMNS[mismatch.currency];
+    const ledger = ledgerBalances(candidate.id)[mismatch.currency];
+    const difference = (candidate[column] || 0) - ledger;
+
+    let transactionId = null;
+    let levelResult = null;
+    if (difference !== 0 && action === 'accept_cached') {
+      transactionId = writeTransaction(candidate.id, { [mismatch.currency]: difference }, {
+        sourceType: 'reconciliation',
+        sourceId: mismatchId,
+        reason: String(reason).trim(),
+        createdBy: resolvedBy,
+      });
+    } else if (difference !== 0) {
+      db.prepare(`UPDATE candidates SET ${column} = ? WHERE id = ?`).run(ledger, candidate.id);
+      if (mismatch.currency === 'xp') levelResult = processLevelUp(db, candidate.id);
+    }
+
+    db.prepare(`
+      UPDATE ledger_mismatches
+      SET status = 'resolved', resolution = ?, resolution_reason = ?, resolved_by = ?,
+          resolved_at = CURRENT_TIMESTAMP, transaction_id = ?
+      WHERE id = ?
+    `).run(action, String(reason).trim(), resolvedBy, transactionId, mismatchId);
+
+    return { mismatch, difference, transactionId, levelResult };
+  })();
+
+  logger.business('ledger_mismatch_resolved', {
+    mismatch_id: mismatchId,
+    candidate_id: result.mismatch.candidate_id,
+    currency: result.mismatch.currency,
+    action,
+    difference: result.difference,
+    transaction_id: result.transactionId,
+    resolved_by: resolvedBy,
+  });
+
+  return db.prepare('SELECT * FROM ledger_mismatches WHERE id = ?').get(mismatchId);
+}
+
+/**
+ * Flagged mismatches with the candidate's name
+ * @param {Object} [options]
+ * @param {string} [options.status='open'] - 'open' | 'resolved' | 'cleared' | 'all'
+ * @param {number} [options.limit=200]
+ * @returns {{mismatches: Object[], last_run: Object|null}}
+ */
+function listMismatches({ status = 'open', limit = 200 } = {}) {
+  const mismatches = db.prepare(`
+    SELECT m.*, c.name as candidate_name
+    FROM ledger_mismatches m
+    LEFT JOIN candidates c ON c.id = m.candidate_id
+    ${status === 'all' ? '' : 'WHERE m.status = ?'}
+    ORDER BY ABS(m.difference) DESC, m.created_at DESC
+    LIMIT ?
+  `).all(...(status === 'all' ? [] : [status]), Math.min(Number(limit) || 200, 1000));
+
+  const lastRun = db.prepare(`
+    SELECT * FROM ledger_reconciliation_runs ORDER BY started_at DESC, rowid DESC LIMIT 1
+  `).get() || null;
+
+  return { mismatches, last_run: lastRun };
+}
+
+module.exports = {
+  post,
+  awardXP,
+  adjust,
+  ledgerBalances,
+  getBalances,
+  getTransaction,
+  getAccount,
+  reconcile,
+  resolveMismatch,
+  listMismatches,
+};
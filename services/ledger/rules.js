@@ -0,0 +1,182 @@
+/**
+ * Points & XP Ledger Rules
+ * Double-entry postings, balance derivation and reconciliation checks.
+ *
+ * Every change to a worker's balances is a transaction of immutable entries.
+ * For each currency the entries of a transaction sum to zero: the worker's
+ * account moves one way and a platform account named after the source moves
+ * the other, e.g. a shift award credits candidate:CND001 and debits
+ * platform:shift. The balances cached on the candidates row are the sums of
+ * the worker's entries per currency.
+ *
+ * Currencies and the candidates columns that cache them:
+ *   - xp:          spendable progress (can be lost to penalties, never below 0)
+ *   - lifetime_xp: every XP ever earned; penalties do not reduce it
+ *   - points:      rewards shop currency, earned 1:1 with XP awards
+ *
+ * @module ledger/rules
+ */
+
+const CURRENCIES = ['xp', 'lifetime_xp', 'points'];
+
+const BALANCE_COLUMNS = {
+  xp: 'xp',
+  lifetime_xp: 'lifetime_xp',
+  points: 'current_points',
+};
+
+const SOURCE_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+/**
+ * @param {string} candidateId
+ * @returns {string}
+ */
+function candidateAccount(candidateId) {
+  return `candidate:${candidateId}`;
+}
+
+/**
+ * @param {string} sourceType
+ * @returns {string}
+ */
+function platformAccount(sourceType) {
+  return `platform:${sourceType}`;
+}
+
+/**
+ * Amounts a posting can actually apply given the current balances: XP
+ * stops at zero (as penalties always have), points may not be overdrawn.
+ * @param {Object} balances - { xp, lifetime_xp, points }
+ * @param {Object} change - { xp, lifetime_xp, points }
+ * @returns {{amounts: Object, error: string|null}}
+ */
+function applicableAmounts(balances, change) {
+  const amounts = {};
+  for (const currency of CURRENCIES) {
+    const amount = Math.trunc(Number(change[currency]) || 0);
+    const balance = balances[currency] || 0;
+
+    if (currency === 'points' && balance + amount < 0) {
+      return { amounts: null, error: `Insufficient points: balance ${balance}, needs ${-amount}` };
+    }
+    amounts[currency] = balance + amount < 0 ? -balance : amount;
+  }
+  return { amounts, error: null };
+}
+
+/**
+ * Balanced entries for one posting
+ * @param {string} candidateId
+ * @param {string} sourceType
+ * @param {Object} amounts - { xp, lifetime_xp, points }, already applicable
+ * @returns {{account: string, candidate_id: string|null, currency: string, amount: number}[]}
+ */
+function buildEntries(candidateId, sourceType, amounts) {
+  const entries = [];
+  for (const currency of CURRENCIES) {
+    const amount = amounts[currency] || 0;
+    if (amount === 0) continue;
+    entries.push({ account: candidateAccount(candidateId), candidate_id: candidateId, currency, amount });
+    entries.push({ account: platformAccount(sourceType), candidate_id: null, currency, amount: -amount });
+  }
+  return entries;
+}
+
+/**
+ * Whether each currency's entries sum to zero
+ * @param {{currency: string, amount: number}[]} entries
+ * @returns {boolean}
+ */
+function isBalanced(entries) {
+  const totals = {};
+  entries.forEach(e => { totals[e.currency] = (totals[e.currency] || 0) + e.amount; });
+  return Object.values(totals).every(total => total === 0);
+}
+
+/**
+ * The change an XP award makes: lifetime XP follows gains only, and points
+ * are earned 1:1 with gained XP unless stated otherwise
+ * @param {number} amount - XP, negative for penalties
+ * @param {Object} [options]
+ * @param {number} [options.points] - Points instead of the 1:1 default
+ * @returns {{xp: number, lifetime_xp: number, points: number}}
+ */
+function xpAwardChange(amount, { points } = {}) {
+  const xp = Math.trunc(Number(amount) || 0);
+  return {
+    xp,
+    lifetime_xp: Math.max(xp, 0),
+    points: points === undefined ? Math.max(xp, 0) : Math.trunc(Number(points) || 0),
+  };
+}
+
+/**
+ * Validate an admin adjustment
+ * @param {Object} input - { xp, lifetime_xp, points, reason }
+ * @returns {{change: Object|null, error: string|null}}
+ */
+function validateAdjustment(input = {}) {
+  if (!input.reason || !String(input.reason).trim()) {
+    return { change: null, error: 'A reason is required for an adjustment' };
+  }
+
+  const change = {};
+  for (const currency of CURRENCIES) {
+    const value = input[currency];
+    if (value === undefined || value === null || value === '') {
+      change[currency] = 0;
+      continue;
+    }
+    if (!Number.isInteger(Number(value))) {
+      return { change: null, error: `${currency} must be a whole number` };
+    }
+    change[currency] = Number(value);
+  }
+  // An XP correction moves lifetime XP with it unless given separately
+  if ((input.lifetime_xp === undefined || input.lifetime_xp === null || input.lifetime_xp === '') && change.xp !== 0) {
+    change.lifetime_xp = change.xp;
+  }
+
+  if (CURRENCIES.every(c => change[c] === 0)) {
+    return { change: null, error: 'An adjustment must change xp, lifetime_xp or points' };
+  }
+  return { change, error: null };
+}
+
+/**
+ * Compare cached candidate balances with ledger sums
+ * @param {Object} cached - candidates row (xp, lifetime_xp, current_points)
+ * @param {Object} ledger - { xp, lifetime_xp, points } sums
+ * @returns {{currency: string, cached: number, ledger: number, difference: number}[]}
+ */
+function findMismatches(cached, ledger) {
+  return CURRENCIES
+    .map(currency => {
+      const cachedValue = cached[BALANCE_COLUMNS[currency]] || 0;
+      const ledgerValue = ledger[currency] || 0;
+      return { currency, cached: cachedValue, ledger: ledgerValue, difference: cachedValue - ledgerValue };
+    })
+    .filter(m => m.difference !== 0);
+}
+
+/**
+ * @param {string} sourceType
+ * @returns {boolean}
+ */
+function isValidSourceType(sourceType) {
+  return SOURCE_PATTERN.test(sourceType || '');
+}
+
+module.exports = {
+  CURRENCIES,
+  BALANCE_COLUMNS,
+  candidateAccount,
+  platformAccount,
+  applicableAmounts,
+  buildEntries,
+  isBalanced,
+  xpAwardChange,
+  validateAdjustment,
+  findMismatches,
+  isValidSourceType,
+};
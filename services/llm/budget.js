@@ -0,0 +1,63 @@
+/**
+ * LLM Budget Caps
+ *
+ * Daily spend caps in USD, overall and per feature:
+ *
+ *   LLM_DAILY_BUDGET_USD=5
+ *   LLM_BUDGET_CHAT_USD=2
+ *
+ * When a cap is reached the registry stops calling paid providers for the
+ * rest of the day (UTC) and callers fall back to their templates. Free
+ * providers (zero cost, e.g. a local Ollama) keep serving.
+ *
+ * Pure functions - no I/O.
+ */
+
+function toCap(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const cap = Number(value);
+  return Number.isFinite(cap) && cap >= 0 ? cap : null;
+}
+
+/**
+ * Read budget caps from the environment
+ * @param {Object} env
+ * @returns {{daily_usd: number|null, features: Object<string, number>}}
+ */
+function readBudgets(env = {}) {
+  const features = {};
+  for (const [key, value] of Object.entries(env)) {
+    const match = key.match(/^LLM_BUDGET_([A-Z0-9_]+)_USD$/);
+    const cap = match ? toCap(value) : null;
+    if (cap !== null) {
+      features[match[1].toLowerCase()] = cap;
+    }
+  }
+  return { daily_usd: toCap(env.LLM_DAILY_BUDGET_USD), features };
+}
+
+/**
+ * Check today's spend against the caps
+ * @param {string} feature
+ * @param {{total: number, byFeature: Object<string, number>}} spend - Spend today in USD
+ * @param {Object} budgets - From readBudgets
+ * @returns {{allowed: boolean, reason?: string, limit?: number, spent?: number}}
+ */
+function checkBudget(feature, spend, budgets) {
+  const featureCap = budgets.features[feature];
+  const featureSpent = spend.byFeature[feature] || 0;
+  if (featureCap !== undefined && featureSpent >= featureCap) {
+    return { allowed: false, reason: `Daily ${feature} budget of $${featureCap} reached`, limit: featureCap, spent: featureSpent };
+  }
+
+  if (budgets.daily_usd !== null && spend.total >= budgets.daily_usd) {
+    return { allowed: false, reason: `Daily LLM budget of $${budgets.daily_usd} reached`, limit: budgets.daily_usd, spent: spend.total };
+  }
+
+  return { allowed: true };
+}
+
+module.exports = {
+  readBudgets,
+  checkBudget,
+};
@@ -0,0 +1,57 @@
+/**
+ * LLM Service
+ * The app's provider registry: Anthropic, Groq, Gemini, any OpenAI-compatible
+ * endpoint and a local Ollama, routed per feature with usage and cost logged
+ * to llm_usage_logs / llm_daily_usage and daily budget caps.
+ *
+ * Set LLM_MOCK=replay (or record) with LLM_MOCK_CASSETTE to run offline
+ * against recorded responses - see mock.js.
+ *
+ * @module llm
+ */
+
+const path = require('path');
+const { DATA_DIR } = require('../../db/connection');
+const { createRegistry, createMemoryUsage } = require('./registry');
+const { defaultProviders, estimateTokens, calculateCost } = require('./providers');
+const { createMockProvider, requestKey, MOCK_MODES } = require('./mock');
+const { FEATURE_ROUTES } = require('./routing');
+const usage = require('./usage');
+
+const registry = createRegistry({ providers: defaultProviders(process.env), usage, env: process.env });
+
+if (MOCK_MODES.includes(process.env.LLM_MOCK)) {
+  registry.setMock(createMockProvider({
+    mode: process.env.LLM_MOCK,
+    cassette: process.env.LLM_MOCK_CASSETTE || path.join(DATA_DIR, 'llm-cassette.json'),
+  }));
+  console.log(`🧠 [LLM] Mock provider active (${process.env.LLM_MOCK})`);
+}
+
+/**
+ * Text-only shortcut for registry.complete
+ * @param {string} feature
+ * @param {string} prompt
+ * @param {string} [system]
+ * @param {Object} [options] - maxTokens, temperature, model plus the complete() options
+ * @returns {Promise<string>}
+ */
+async function ask(feature, prompt, system = '', options = {}) {
+  const { maxTokens, temperature, model, ...rest } = options;
+  const result = await registry.complete(feature, { prompt, system, maxTokens, temperature, model }, rest);
+  return result.text;
+}
+
+module.exports = {
+  ...registry,
+  ask,
+  getStats: usage.getStats,
+  cleanupUsage: usage.cleanup,
+  createRegistry,
+  createMemoryUsage,
+  createMockProvider,
+  requestKey,
+  estimateTokens,
+  calculateCost,
+  FEATURE_ROUTES,
+};
@@ -0,0 +1,116 @@
+/**
+ * Record/Replay Mock Provider
+ *
+ * Lets the chat engine and intent pipeline run offline and deterministically.
+ *
+ *   record - calls go to the real providers as usual and every response is
+ *            written to a cassette (JSON file) keyed by feature + prompt
+ *   replay - calls never leave the process: recorded responses are returned
+ *            by key, otherwise a responder function or a canned echo
+ *
+ * Enable with LLM_MOCK=record|replay and LLM_MOCK_CASSETTE=<path>, or pass a
+ * mock to registry.setMock() in tests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { estimateTokens } = require('./providers');
+
+const MOCK_MODES = ['record', 'replay'];
+
+/**
+ * Stable key for a request - model and sampling settings are left out so a
+ * cassette keeps working when routing changes
+ */
+function requestKey(feature, { system, messages }) {
+  const payload = JSON.stringify({ feature, system: system || '', messages: messages.map(m => [m.role, m.content]) });
+  return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 24);
+}
+
+function loadCassette(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).entries || {};
+  } catch (error) {
+    console.warn(`🧠 [LLM] Ignoring unreadable cassette ${file}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {'record'|'replay'} [options.mode='replay']
+ * @param {string} [options.cassette] - JSON file to load from and record to
+ * @param {Object} [options.entries] - Recorded responses keyed by requestKey()
+ * @param {Function} [options.responder] - (request) => text for unrecorded requests
+ * @param {boolean} [options.strict=false] - Throw on unrecorded requests instead of echoing
+ */
+function createMockProvider({ mode = 'replay', cassette = null, entries = null, responder = null, strict = false } = {}) {
+  if (!MOCK_MODES.includes(mode)) {
+    throw new Error(`LLM mock mode must be one of: ${MOCK_MODES.join(', ')}`);
+  }
+
+  const recorded = { ...loadCassette(cassette), ...(entries || {}) };
+
+  function save() {
+    if (!cassette) return;
+    fs.mkdirSync(path.dirname(cassette), { recursive: true });
+    fs.writeFileSync(cassette, JSON.stringify({ version: 1, entries: recorded }, null, 2));
+  }
+
+  return {
+    name: 'mock',
+    label: `Mock (${mode})`,
+    mode,
+    defaultModel: 'mock',
+    costs: { input: 0, output: 0 },
+    isConfigured: () => true,
+
+    async complete(request) {
+      const key = requestKey(request.feature, request);
+      const hit = recorded[key];
+      if (hit) {
+        return { text: hit.text, model: hit.model || 'mock', inputTokens: hit.inputTokens || 0, outputTokens: hit.outputTokens || 0 };
+      }
+
+      if (strict && !responder) {
+        throw new Error(`No recorded LLM response for ${request.feature} (${key})`);
+      }
+
+      const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+      const text = responder
+        ? String(await responder(request))
+        : `[mock:${request.feature}] ${(lastUser?.content || '').slice(0, 80)}`;
+
+      return {
+        text,
+        model: 'mock',
+        inputTokens: estimateTokens((request.system || '') + request.messages.map(m => m.content).join('\n')),
+        outputTokens: estimateTokens(text),
+      };
+    },
+
+    /**
+     * Keep a real provider's response (record mode)
+     */
+    record(request, result) {
+      recorded[requestKey(request.feature, request)] = {
+        feature: request.feature,
+        text: result.text,
+        model: result.model,
+        inputTokens: result.inputTokens,
+        outputTokens: result.outputTokens,
+      };
+      save();
+    },
+
+    entries: () => ({ ...recorded }),
+  };
+}
+
+module.exports = {
+  MOCK_MODES,
+  requestKey,
+  createMockProvider,
+};
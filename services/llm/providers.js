@@ -0,0 +1,218 @@
+/**
+ * LLM Providers
+ *
+ * Every provider exposes the same shape so the registry can route and fall
+ * back between them without caring which API sits behind it:
+ *
+ *   { name, label, defaultModel, costs, isConfigured(), complete(request) }
+ *
+ * where request is { system, messages, model, maxTokens, temperature, timeoutMs }
+ * and complete() resolves to { text, model, inputTokens, outputTokens }.
+ *
+ * Costs are USD per 1K tokens. Local endpoints (Ollama) cost nothing.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Rough token estimate (~4 characters per token) for APIs that omit usage
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Cost in USD of a call at the provider's per-1K token rates
+ */
+function calculateCost(costs, inputTokens, outputTokens) {
+  if (!costs) return 0;
+  return (inputTokens / 1000 * costs.input) + (outputTokens / 1000 * costs.output);
+}
+
+function promptText(system, messages) {
+  return (system || '') + messages.map(m => m.content).join('\n');
+}
+
+// Reject a slow call so the registry can move on to the next provider
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function postJSON(url, headers, body, timeoutMs, label) {
+  const response = await withTimeout(fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  }), timeoutMs || DEFAULT_TIMEOUT_MS, label);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error?.message || errorData.error?.type || `${label} API error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Anthropic Messages API
+ */
+function createAnthropicProvider({ name = 'anthropic', label = 'Anthropic Claude', apiKey, baseUrl, defaultModel, costs }) {
+  return {
+    name,
+    label,
+    defaultModel,
+    costs,
+    isConfigured: () => !!apiKey,
+
+    async complete({ system, messages, model, maxTokens, temperature, timeoutMs }) {
+      if (!apiKey) throw new Error(`${label} API key not configured`);
+
+      const body = { model: model || defaultModel, max_tokens: maxTokens, temperature, messages };
+      if (system) body.system = system;
+
+      const data = await postJSON(`${baseUrl}/v1/messages`, {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      }, body, timeoutMs, label);
+
+      const text = data.content?.[0]?.text || '';
+      if (!text) throw new Error(`Empty response from ${label}`);
+
+      return {
+        text,
+        model: data.model || body.model,
+        inputTokens: data.usage?.input_tokens || estimateTokens(promptText(system, messages)),
+        outputTokens: data.usage?.output_tokens || estimateTokens(text),
+      };
+    },
+  };
+}
+
+/**
+ * OpenAI-compatible /chat/completions (OpenAI, Groq, Ollama, vLLM, LM Studio...)
+ */
+function createOpenAICompatibleProvider({ name, label, apiKey, baseUrl, defaultModel, costs, requiresKey = true }) {
+  return {
+    name,
+    label,
+    defaultModel,
+    costs,
+    isConfigured: () => !!baseUrl && (!requiresKey || !!apiKey),
+
+    async complete({ system, messages, model, maxTokens, temperature, timeoutMs }) {
+      if (requiresKey && !apiKey) throw new Error(`${label} API key not configured`);
+
+      const chat = system ? [{ role: 'system', content: system }, ...messages] : messages;
+      const data = await postJSON(`${baseUrl}/chat/completions`,
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        { model: model || defaultModel, messages: chat, max_tokens: maxTokens, temperature, stream: false },
+        timeoutMs, label);
+
+      const text = data.choices?.[0]?.message?.content || '';
+      if (!text) throw new Error(`Empty response from ${label}`);
+
+      return {
+        text,
+        model: data.model || model || defaultModel,
+        inputTokens: data.usage?.prompt_tokens || estimateTokens(promptText(system, messages)),
+        outputTokens: data.usage?.completion_tokens || estimateTokens(text),
+      };
+    },
+  };
+}
+
+/**
+ * Google Gemini generateContent
+ */
+function createGeminiProvider({ name = 'gemini', label = 'Google Gemini', apiKey, baseUrl, defaultModel, costs }) {
+  return {
+    name,
+    label,
+    defaultModel,
+    costs,
+    isConfigured: () => !!apiKey,
+
+    async complete({ system, messages, model, maxTokens, temperature, timeoutMs }) {
+      if (!apiKey) throw new Error(`${label} API key not configured`);
+
+      const useModel = model || defaultModel;
+      const data = await postJSON(`${baseUrl}/models/${useModel}:generateContent?key=${apiKey}`, {}, {
+        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+        contents: messages.map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+        generationConfig: { maxOutputTokens: maxTokens, temperature, candidateCount: 1 },
+      }, timeoutMs, label);
+
+      const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+      if (!text) throw new Error(`Empty response from ${label}`);
+
+      return {
+        text,
+        model: useModel,
+        inputTokens: data.usageMetadata?.promptTokenCount || estimateTokens(promptText(system, messages)),
+        outputTokens: data.usageMetadata?.candidatesTokenCount || estimateTokens(text),
+      };
+    },
+  };
+}
+
+/**
+ * Providers configured from the environment, cheapest first
+ * @param {Object} env - Usually process.env
+ * @returns {Object[]}
+ */
+function defaultProviders(env = process.env) {
+  return [
+    createOpenAICompatibleProvider({
+      name: 'groq',
+      label: 'Groq (Llama 3.1)',
+      apiKey: env.GROQ_API_KEY,
+      baseUrl: env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+      defaultModel: env.GROQ_MODEL || 'llama-3.1-8b-instant',
+      costs: { input: 0.0001, output: 0.0002 },
+    }),
+    createOpenAICompatibleProvider({
+      name: 'ollama',
+      label: 'Local (Ollama)',
+      // Only routed to when a local endpoint is configured
+      baseUrl: env.OLLAMA_BASE_URL ? `${env.OLLAMA_BASE_URL.replace(/\/$/, '')}/v1` : null,
+      defaultModel: env.OLLAMA_MODEL || 'llama3.1:8b',
+      costs: { input: 0, output: 0 },
+      requiresKey: false,
+    }),
+    createGeminiProvider({
+      apiKey: env.GOOGLE_API_KEY || env.GEMINI_API_KEY,
+      baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      defaultModel: env.GEMINI_MODEL || 'gemini-1.5-pro',
+      costs: { input: 0.00125, output: 0.00375 },
+    }),
+    createOpenAICompatibleProvider({
+      name: 'openai',
+      label: 'OpenAI-compatible',
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, ''),
+      defaultModel: env.OPENAI_MODEL || 'gpt-4o-mini',
+      costs: { input: 0.00015, output: 0.0006 },
+    }),
+    createAnthropicProvider({
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseUrl: env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      defaultModel: env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
+      costs: { input: 0.003, output: 0.015 },
+    }),
+  ];
+}
+
+module.exports = {
+  estimateTokens,
+  calculateCost,
+  createAnthropicProvider,
+  createOpenAICompatibleProvider,
+  createGeminiProvider,
+  defaultProviders,
+};
@@ -0,0 +1,254 @@
+/**
+ * LLM Provider Registry
+ *
+ * One place every AI call goes through:
+ *   feature → route (providers in order) → budget check → first provider
+ *   that answers → usage/cost recorded per attempt
+ *
+ * Callers pass a `fallback` (template text or function) to degrade instead of
+ * throwing when the budget is spent or every provider fails.
+ *
+ * The registry has no I/O of its own: usage storage and the environment are
+ * injected so tests can build one in memory (see index.js for the app's).
+ */
+
+const { resolveRoute, resolveProviderName } = require('./routing');
+const { readBudgets, checkBudget } = require('./budget');
+const { calculateCost } = require('./providers');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 100;
+
+// In-memory usage store, used when none is injected
+function createMemoryUsage() {
+  const rows = [];
+  return {
+    rows,
+    record: (row) => rows.push(row),
+    spendToday() {
+      const today = new Date().toISOString().slice(0, 10);
+      const byFeature = {};
+      let total = 0;
+      for (const row of rows) {
+        if (row.date !== today) continue;
+        total += row.cost;
+        byFeature[row.feature] = (byFeature[row.feature] || 0) + row.cost;
+      }
+      return { total, byFeature };
+    },
+  };
+}
+
+function llmError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isRateLimited(error) {
+  return error.status === 429 || /rate limit|429/i.test(error.message);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object[]} [options.providers] - See providers.js
+ * @param {Object} [options.usage] - { record(row), spendToday() }
+ * @param {Object} [options.env] - Routing overrides and budget caps
+ * @param {number} [options.rateLimitDelayMs=1000] - Pause before the next provider after a 429
+ */
+function createRegistry({ providers = [], usage = createMemoryUsage(), env = {}, rateLimitDelayMs = 1000 } = {}) {
+  const registered = new Map();
+  const cache = new Map();
+  let mock = null;
+
+  function register(provider) {
+    registered.set(provider.name, provider);
+    return provider;
+  }
+
+  providers.forEach(register);
+
+  function get(name) {
+    return registered.get(resolveProviderName(name)) || null;
+  }
+
+  function record(feature, provider, model, result, responseTimeMs, error = null) {
+    const inputTokens = result?.inputTokens || 0;
+    const outputTokens = result?.outputTokens || 0;
+    const cost = result ? calculateCost(provider?.costs, inputTokens, outputTokens) : 0;
+    try {
+      usage.record({
+        date: new Date().toISOString().slice(0, 10),
+        feature,
+        provider: provider ? provider.name : 'cache',
+        model: model || null,
+        inputTokens,
+        outputTokens,
+        cost,
+        responseTimeMs,
+        error,
+      });
+    } catch (e) {
+      console.warn('Failed to record LLM usage:', e.message);
+    }
+    return cost;
+  }
+
+  function degrade(fallback, feature, reason, code, lastError) {
+    if (fallback === undefined) {
+      throw llmError(code === 'LLM_BUDGET_EXCEEDED' ? reason : `All LLM providers failed. Last error: ${lastError?.message || reason}`, code);
+    }
+    console.warn(`🧠 [LLM] ${feature}: ${reason} - using template`);
+    return {
+      text: typeof fallback === 'function' ? fallback() : fallback,
+      provider: 'template',
+      model: null,
+      feature,
+      usage: { inputTokens: 0, outputTokens: 0 },
+      cost: 0,
+      degraded: true,
+      reason,
+    };
+  }
+
+  function cacheKey(feature, request) {
+    return JSON.stringify([feature, request.system, request.messages, request.maxTokens, request.temperature]);
+  }
+
+  /**
+   * Run a completion for a feature
+   * @param {string} feature - Routing key, e.g. 'chat', 'intent', 'tender_analysis'
+   * @param {Object} input
+   * @param {string} [input.prompt] - Single user message (or pass messages)
+   * @param {Object[]} [input.messages] - [{ role: 'user'|'assistant', content }]
+   * @param {string} [input.system]
+   * @param {number} [input.maxTokens]
+   * @param {number} [input.temperature]
+   * @param {string} [input.model] - Override the route's model for every provider
+   * @param {Object} [options]
+   * @param {string} [options.forceProvider] - Only try this provider ("groq" or "groq:model")
+   * @param {string|Function} [options.fallback] - Template to return instead of throwing
+   * @param {boolean} [options.useCache=false] - Reuse identical responses for 5 minutes
+   * @returns {Promise<Object>} { text, provider, model, feature, usage, cost, degraded }
+   */
+  async function complete(feature, input, options = {}) {
+    const { forceProvider = null, fallback, useCache = false } = options;
+    const route = resolveRoute(feature, { env, forceProvider });
+    const request = {
+      feature: route.feature,
+      system: input.system || '',
+      messages: input.messages || [{ role: 'user', content: input.prompt || '' }],
+      maxTokens: input.maxTokens || route.maxTokens,
+      temperature: input.temperature ?? route.temperature,
+      timeoutMs: input.timeoutMs,
+    };
+    const startTime = Date.now();
+
+    if (mock && mock.mode === 'replay') {
+      const result = await mock.complete(request);
+      const responseTimeMs = Date.now() - startTime;
+      record(route.feature, mock, result.model, result, responseTimeMs);
+      return {
+        text: result.text,
+        provider: mock.name,
+        model: result.model,
+        feature: route.feature,
+        usage: { inputTokens: result.inputTokens, outputTokens: result.outputTokens },
+        cost: 0,
+        responseTimeMs,
+        degraded: false,
+      };
+    }
+
+    const key = useCache ? cacheKey(route.feature, request) : null;
+    const cached = key && cache.get(key);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+      record(route.feature, null, cached.result.model, null, Date.now() - startTime);
+      return { ...cached.result, cached: true };
+    }
+
+    const budget = checkBudget(route.feature, usage.spendToday(), readBudgets(env));
+    let lastError = null;
+
+    for (const step of route.steps) {
+      const provider = get(step.provider);
+      if (!provider || !provider.isConfigured()) continue;
+      // Over budget: only free (local) providers may still be used
+      if (!budget.allowed && (provider.costs?.input || provider.costs?.output)) continue;
+
+      const model = input.model || step.model || provider.defaultModel;
+      try {
+        const result = await provider.complete({ ...request, model });
+        const responseTimeMs = Date.now() - startTime;
+        const cost = record(route.feature, provider, result.model, result, responseTimeMs);
+        if (mock && mock.mode === 'record') {
+          mock.record(request, result);
+        }
+
+        const response = {
+          text: result.text,
+          provider: provider.name,
+          model: result.model,
+          feature: route.feature,
+          usage: { inputTokens: result.inputTokens, outputTokens: result.outputTokens },
+          cost,
+          responseTimeMs,
+          degraded: false,
+        };
+
+        if (key) {
+          cache.set(key, { result: response, timestamp: Date.now() });
+          if (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+        }
+        return response;
+      } catch (error) {
+        lastError = error;
+        console.error(`🧠 [LLM] ${provider.label} failed for ${route.feature}:`, error.message);
+        record(route.feature, provider, model, null, Date.now() - startTime, error.message);
+        if (isRateLimited(error) && rateLimitDelayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, rateLimitDelayMs));
+        }
+      }
+    }
+
+    if (!budget.allowed) {
+      return degrade(fallback, route.feature, budget.reason, 'LLM_BUDGET_EXCEEDED', lastError);
+    }
+    return degrade(fallback, route.feature, lastError ? lastError.message : 'No LLM provider configured', 'LLM_UNAVAILABLE', lastError);
+  }
+
+  /**
+   * Provider configuration, without secrets
+   */
+  function status() {
+    const result = {};
+    for (const provider of registered.values()) {
+      result[provider.name] = {
+        name: provider.label,
+        defaultModel: provider.defaultModel,
+        costs: provider.costs,
+        hasApiKey: provider.isConfigured(),
+        status: provider.isConfigured() ? 'available' : 'not_configured',
+      };
+    }
+    return result;
+  }
+
+  return {
+    register,
+    get,
+    list: () => [...registered.values()],
+    status,
+    complete,
+    routeFor: (feature) => resolveRoute(feature, { env }),
+    budgets: () => ({ ...readBudgets(env), spent: usage.spendToday() }),
+    setMock: (provider) => { mock = provider; },
+    clearMock: () => { mock = null; },
+    getMock: () => mock,
+  };
+}
+
+module.exports = {
+  createRegistry,
+  createMemoryUsage,
+};
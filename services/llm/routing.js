@@ -0,0 +1,96 @@
+/**
+ * LLM Feature Routing
+ *
+ * Each feature (worker chat, intent detection, tender analysis...) has an
+ * ordered list of providers to try, optionally pinned to a model, plus its
+ * own generation defaults. Routes can be overridden per deployment with
+ * LLM_ROUTE_<FEATURE>, e.g.
+ *
+ *   LLM_ROUTE_TENDER_ANALYSIS=anthropic:claude-3-5-haiku-latest,groq
+ *
+ * Pure functions - no I/O.
+ */
+
+const DEFAULT_FEATURE = 'default';
+
+// Cheap and fast first for high-volume worker traffic, strongest model first
+// for low-volume BPO analysis
+const FEATURE_ROUTES = {
+  default: { providers: ['groq', 'ollama', 'gemini', 'anthropic'], maxTokens: 1024, temperature: 0.7 },
+  chat: { providers: ['groq', 'ollama', 'gemini', 'anthropic'], maxTokens: 200, temperature: 0.7 },
+  quick_replies: { providers: ['groq:llama-3.1-8b-instant', 'ollama', 'gemini', 'anthropic'], maxTokens: 100, temperature: 0.7 },
+  intent: { providers: ['groq', 'ollama', 'anthropic'], maxTokens: 150, temperature: 0 },
+  slm_fallback: { providers: ['groq', 'ollama', 'anthropic'], maxTokens: 500, temperature: 0.7 },
+  job_posting: { providers: ['groq', 'gemini', 'anthropic'], maxTokens: 1500, temperature: 0.7 },
+  outreach: { providers: ['groq', 'gemini', 'anthropic'], maxTokens: 400, temperature: 0.7 },
+  candidate_matching: { providers: ['groq', 'anthropic'], maxTokens: 800, temperature: 0.2 },
+  ad_optimization: { providers: ['groq', 'gemini', 'anthropic'], maxTokens: 500, temperature: 0.7 },
+  tender_analysis: { providers: ['anthropic', 'openai', 'groq'], maxTokens: 1000, temperature: 0.3 },
+  assistant: { providers: ['anthropic', 'openai', 'groq', 'gemini'], maxTokens: 1024, temperature: 0.5 },
+};
+
+// Pre-registry provider names
+const PROVIDER_ALIASES = {
+  claude: 'anthropic',
+  llama: 'groq',
+  local: 'ollama',
+};
+
+function resolveProviderName(name) {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase();
+  return PROVIDER_ALIASES[key] || key;
+}
+
+/**
+ * Parse "provider[:model],provider[:model]" into route steps
+ * @param {string} spec
+ * @returns {{provider: string, model: string|null}[]}
+ */
+function parseRoute(spec) {
+  if (!spec) return [];
+  return String(spec).split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const index = part.indexOf(':');
+      return index === -1
+        ? { provider: resolveProviderName(part), model: null }
+        : { provider: resolveProviderName(part.slice(0, index)), model: part.slice(index + 1).trim() || null };
+    });
+}
+
+function envKey(feature) {
+  return `LLM_ROUTE_${feature.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Work out which providers to try, in order, for a feature
+ * @param {string} feature
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment holding LLM_ROUTE_* overrides
+ * @param {string} [options.forceProvider] - Try only this provider
+ * @returns {{feature: string, steps: Object[], maxTokens: number, temperature: number}}
+ */
+function resolveRoute(feature = DEFAULT_FEATURE, { env = {}, forceProvider = null } = {}) {
+  const name = feature || DEFAULT_FEATURE;
+  const base = FEATURE_ROUTES[name] || FEATURE_ROUTES[DEFAULT_FEATURE];
+
+  let steps;
+  if (forceProvider) {
+    steps = parseRoute(forceProvider);
+  } else {
+    const override = parseRoute(env[envKey(name)]);
+    steps = override.length > 0 ? override : parseRoute(base.providers.join(','));
+  }
+
+  return { feature: name, steps, maxTokens: base.maxTokens, temperature: base.temperature };
+}
+
+module.exports = {
+  DEFAULT_FEATURE,
+  FEATURE_ROUTES,
+  resolveProviderName,
+  parseRoute,
+  resolveRoute,
+};
@@ -0,0 +1,159 @@
+/**
+ * LLM Usage Store
+ *
+ * Every attempt (success, failure or cache hit) is a row in llm_usage_logs;
+ * llm_daily_usage keeps running per-provider totals for the dashboards.
+ */
+
+const { db } = require('../../db');
+
+/**
+ * Record one LLM attempt
+ * @param {Object} row - { date, feature, provider, model, inputTokens, outputTokens, cost, responseTimeMs, error }
+ */
+function record(row) {
+  db.prepare(`
+    INSERT INTO llm_usage_logs
+      (feature, provider, model, input_tokens, output_tokens, cost_usd, response_time_ms, error_message)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(row.feature, row.provider, row.model, row.inputTokens, row.outputTokens, row.cost, row.responseTimeMs, row.error || null);
+
+  db.prepare(`
+    INSERT INTO llm_daily_usage (date, provider, calls, input_tokens, output_tokens, cost_usd, errors)
+    VALUES (?, ?, 1, ?, ?, ?, ?)
+    ON CONFLICT(date, provider) DO UPDATE SET
+      calls = calls + 1,
+      input_tokens = input_tokens + excluded.input_tokens,
+      output_tokens = output_tokens + excluded.output_tokens,
+      cost_usd = cost_usd + excluded.cost_usd,
+      errors = errors + excluded.errors
+  `).run(row.date, row.provider, row.inputTokens, row.outputTokens, row.cost, row.error ? 1 : 0);
+}
+
+/**
+ * Spend so far today (UTC), overall and per feature
+ * @returns {{total: number, byFeature: Object<string, number>}}
+ */
+function spendToday() {
+  const rows = db.prepare(`
+    SELECT COALESCE(feature, 'default') as feature, SUM(cost_usd) as cost
+    FROM llm_usage_logs
+    WHERE created_at >= date('now')
+    GROUP BY COALESCE(feature, 'default')
+  `).all();
+
+  const byFeature = {};
+  let total = 0;
+  for (const row of rows) {
+    byFeature[row.feature] = row.cost;
+    total += row.cost;
+  }
+  return { total, byFeature };
+}
+
+/**
+ * Usage statistics for the last N days
+ */
+function getStats(days = 30) {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+  const sinceStr = since.toISOString().split('T')[0];
+
+  const totalStats = db.prepare(`
+    SELECT
+      provider,
+      SUM(calls) as total_calls,
+      SUM(input_tokens) as total_input_tokens,
+      SUM(output_tokens) as total_output_tokens,
+      SUM(cost_usd) as total_cost,
+      SUM(errors) as total_errors
+    FROM llm_daily_usage
+    WHERE date >= ?
+    GROUP BY provider
+    ORDER BY total_cost DESC
+  `).all(sinceStr);
+
+  const dailyStats = db.prepare(`
+    SELECT date, provider, calls, input_tokens, output_tokens, cost_usd, errors
+    FROM llm_daily_usage
+    WHERE date >= ?
+    ORDER BY date DESC, cost_usd DESC
+  `).all(sinceStr);
+
+  const featureStats = db.prepare(`
+    SELECT
+      COALESCE(feature, 'default') as feature,
+      COUNT(*) as calls,
+      SUM(input_tokens) as input_tokens,
+      SUM(output_tokens) as output_tokens,
+      SUM(cost_usd) as cost,
+      SUM(CASE WHEN error_message IS NOT NULL THEN 1 ELSE 0 END) as errors
+    FROM llm_usage_logs
+    WHERE created_at >= ?
+    GROUP BY COALESCE(feature, 'default')
+    ORDER BY cost DESC
+  `).all(sinceStr);
+
+  const totals = totalStats.reduce((acc, row) => ({
+    calls: acc.calls + row.total_calls,
+    inputTokens: acc.inputTokens + row.total_input_tokens,
+    outputTokens: acc.outputTokens + row.total_output_tokens,
+    cost: acc.cost + row.total_cost,
+    errors: acc.errors + row.total_errors,
+  }), { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, errors: 0 });
+
+  const successRate = totals.calls > 0 ? ((totals.calls - totals.errors) / totals.calls * 100).toFixed(1) : 100;
+
+  return {
+    period: `${days} days`,
+    totals: {
+      ...totals,
+      cost: Number(totals.cost.toFixed(4)),
+      successRate: `${successRate}%`,
+      avgCostPerCall: totals.calls > 0 ? Number((totals.cost / totals.calls).toFixed(4)) : 0,
+    },
+    byProvider: totalStats.map(row => ({
+      provider: row.provider,
+      calls: row.total_calls,
+      inputTokens: row.total_input_tokens,
+      outputTokens: row.total_output_tokens,
+      cost: Number(row.total_cost.toFixed(4)),
+      errors: row.total_errors,
+      successRate: row.total_calls > 0 ? `${((row.total_calls - row.total_errors) / row.total_calls * 100).toFixed(1)}%` : '100%',
+    })),
+    byFeature: featureStats.map(row => ({
+      feature: row.feature,
+      calls: row.calls,
+      inputTokens: row.input_tokens,
+      outputTokens: row.output_tokens,
+      cost: Number(row.cost.toFixed(4)),
+      errors: row.errors,
+    })),
+    dailyBreakdown: dailyStats.map(row => ({
+      date: row.date,
+      provider: row.provider,
+      calls: row.calls,
+      cost: Number(row.cost_usd.toFixed(4)),
+      errors: row.errors,
+    })),
+  };
+}
+
+/**
+ * Delete per-call logs older than N days (daily totals are kept)
+ * @returns {number} Rows deleted
+ */
+function cleanup(daysToKeep = 90) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+  const cutoffStr = cutoffDate.toISOString().split('T')[0];
+
+  return db.prepare('DELETE FROM llm_usage_logs WHERE date(created_at) < ?').run(cutoffStr).changes;
+}
+
+module.exports = {
+  record,
+  spendToday,
+  getStats,
+  cleanup,
+};
@@ -5,12 +5,14 @@
  * CHANNEL ROUTING LOGIC:
  * - Worker sends via PWA → Reply goes to PWA only
  * - Worker sends via Telegram → Reply goes to Telegram only
+ * - Worker sends via WhatsApp → Reply goes to WhatsApp only (opted-in workers)
  * - Admin can override and send to specific channel or 'all'
  */
 
 const { db } = require('../../db');
 const { broadcastToCandidate, broadcastToAdmins, createNotification, EventTypes, isCandidateOnline } = require('../../websocket');
 const telegram = require('./telegram');
+const whatsapp = require('./whatsapp');
 const webpush = require('web-push');
 
 // Channel types
@@ -37,6 +39,20 @@ function getLastCandidateMessageChannel(candidateId) {
   return lastMessage?.channel || 'app';
 }
 
+/**
+ * Get when the candidate last messaged us on WhatsApp (opens the 24h session window)
+ */
+function getLastWhatsAppInboundAt(candidateId) {
+  const lastMessage = db.prepare(`
+    SELECT created_at FROM messages
+    WHERE candidate_id = ? AND sender = 'candidate' AND channel = 'whatsapp'
+    ORDER BY created_at DESC
+    LIMIT 1
+  `).get(candidateId);
+
+  return lastMessage?.created_at || null;
+}
+
 /**
  * Send a message from admin/AI to candidate
  * 
@@ -44,11 +60,13 @@ function getLastCandidateMessageChannel(candidateId) {
  * - 'auto': Reply on the same channel worker last messaged from
  * - 'app': PWA only (WebSocket + Push)
  * - 'telegram': Telegram only
+ * - 'whatsapp': WhatsApp only (candidate must be opted in)
  * - 'all': Send to all available channels
  *
  * @param {string} candidateId - Candidate ID
  * @param {string} content - Message content
- * @param {object} options - { channel, templateId, aiGenerated, aiSource, replyToChannel }
+ * @param {object} options - { channel, templateId, aiGenerated, aiSource, replyToChannel,
+ *   whatsappTemplate: { name, language, parameters }, whatsappMedia: { type, url, filename } }
  */
 async function sendToCandidate(candidateId, content, options = {}) {
   const {
@@ -58,12 +76,14 @@ async function sendToCandidate(candidateId, content, options = {}) {
     aiSource = null,
     replyToChannel = null,  // Explicit channel from AI processing
     quickReplies = null,    // Quick reply buttons for PWA
-    telegramButtons = null  // Inline keyboard for Telegram
+    telegramButtons = null, // Inline keyboard for Telegram
+    whatsappTemplate = null, // Approved template, required outside the 24h session window
+    whatsappMedia = null    // Media attachment; content becomes the caption
   } = options;
 
   // Get candidate info
   const candidate = db.prepare(`
-    SELECT id, name, telegram_chat_id, preferred_contact, online_status, push_token
+    SELECT id, name, phone, telegram_chat_id, whatsapp_opted_in, preferred_contact, online_status, push_token
     FROM candidates WHERE id = ?
   `).get(candidateId);
 
@@ -83,6 +103,7 @@ async function sendToCandidate(candidateId, content, options = {}) {
   let externalId = null;
   let deliveryMethod = [];
   let sentToTelegram = false;
+  let sentToWhatsApp = false;
   let sentToApp = false;
 
   // 1. Store message in database FIRST
@@ -122,6 +143,35 @@ async function sendToCandidate(candidateId, content, options = {}) {
     }
   }
 
+  // Send to WhatsApp if needed
+  const wantsWhatsApp = targetChannel === 'whatsapp' || targetChannel === 'all';
+  if (wantsWhatsApp && candidate.whatsapp_opted_in && candidate.phone && whatsapp.isConfigured()) {
+    const whatsappResult = await sendWhatsAppContent(candidate, content, { whatsappTemplate, whatsappMedia });
+
+    if (whatsappResult.success) {
+      externalId = whatsappResult.messageId;
+      deliveryMethod.push('whatsapp');
+      sentToWhatsApp = true;
+      db.prepare(`
+        UPDATE messages SET external_id = ?, delivery_status = 'accepted', media_type = ?, media_ref = ? WHERE id = ?
+      `).run(externalId, whatsappMedia?.type || null, whatsappMedia?.url || null, messageId);
+      console.log(`✅ [WhatsApp] Message sent to ${candidateId}${whatsappTemplate ? ` using template ${whatsappTemplate.name}` : ''}`);
+    } else {
+      db.prepare(`
+        UPDATE messages SET delivery_status = 'failed', delivery_error = ? WHERE id = ?
+      `).run(whatsappResult.error, messageId);
+      console.error(`❌ [WhatsApp] Failed to send to ${candidateId}:`, whatsappResult.error);
+    }
+  } else if (targetChannel === 'whatsapp') {
+    const reason = !candidate.whatsapp_opted_in ? 'Candidate has not opted in to WhatsApp'
+      : !candidate.phone ? 'Candidate has no phone number'
+      : 'WhatsApp not configured';
+    db.prepare(`
+      UPDATE messages SET delivery_status = 'failed', delivery_error = ? WHERE id = ?
+    `).run(reason, messageId);
+    console.warn(`⚠️ [WhatsApp] Not sent to ${candidateId}: ${reason}`);
+  }
+
   // 3. Get the full message from DB
   const message = db.prepare('SELECT * FROM messages WHERE id = ?').get(messageId);
 
@@ -170,10 +220,40 @@ async function sendToCandidate(candidateId, content, options = {}) {
     channel: targetChannel,
     deliveryMethod,
     sentToTelegram,
+    sentToWhatsApp,
     sentToApp,
   };
 }
 
+/**
+ * Pick the right WhatsApp message type for an outbound message.
+ * Free-form text and media are only allowed inside the 24h session window.
+ */
+async function sendWhatsAppContent(candidate, content, { whatsappTemplate, whatsappMedia }) {
+  if (whatsappTemplate) {
+    return whatsapp.sendTemplate(candidate.phone, whatsappTemplate.name, {
+      language: whatsappTemplate.language,
+      parameters: whatsappTemplate.parameters || [],
+    });
+  }
+
+  if (!whatsapp.isWithinSessionWindow(getLastWhatsAppInboundAt(candidate.id))) {
+    return {
+      success: false,
+      error: `Outside the ${whatsapp.SESSION_WINDOW_HOURS}-hour WhatsApp session window - send a template message instead`,
+    };
+  }
+
+  if (whatsappMedia) {
+    return whatsapp.sendMedia(candidate.phone, whatsappMedia.type, whatsappMedia.url, {
+      caption: content,
+      filename: whatsappMedia.filename,
+    });
+  }
+
+  return whatsapp.sendMessage(candidate.phone, content);
+}
+
 /**
  * Send push notification to candidate
  */
@@ -215,6 +295,13 @@ async function sendViaTelegram(candidateId, content) {
   return sendToCandidate(candidateId, content, { channel: 'telegram' });
 }
 
+/**
+ * Send via WhatsApp only
+ */
+async function sendViaWhatsApp(candidateId, content, options = {}) {
+  return sendToCandidate(candidateId, content, { ...options, channel: 'whatsapp' });
+}
+
 /**
  * Handle incoming message from external channel
  * @param {string} channel - The channel the message came from
@@ -224,6 +311,7 @@ async function handleIncomingMessage(channel, data) {
   let candidateId = null;
   let content = null;
   let externalId = null;
+  let media = null;
 
   switch (channel) {
     case Channels.TELEGRAM:
@@ -241,8 +329,24 @@ async function handleIncomingMessage(channel, data) {
       externalId = String(data.message_id);
       break;
 
-    case Channels.WHATSAPP:
-      return { success: false, error: 'WhatsApp not implemented' };
+    case Channels.WHATSAPP: {
+      const waCandidate = findCandidateByWhatsApp(data.from);
+
+      if (!waCandidate) {
+        return { success: false, error: 'Unknown whatsapp user', from: data.from };
+      }
+
+      // Messaging us counts as opting in, unless the worker previously sent STOP
+      if (!waCandidate.whatsapp_opted_in && !waCandidate.whatsapp_opted_out_at) {
+        setWhatsAppOptIn(waCandidate.id, true);
+      }
+
+      candidateId = waCandidate.id;
+      content = data.text;
+      externalId = data.id;
+      media = data.media;
+      break;
+    }
 
     default:
       return { success: false, error: 'Unknown channel' };
@@ -256,9 +360,9 @@ async function handleIncomingMessage(channel, data) {
   const messageId = Date.now();
   const timestamp = new Date().toISOString();
   db.prepare(`
-    INSERT INTO messages (id, candidate_id, sender, content, channel, external_id, read, created_at)
-    VALUES (?, ?, 'candidate', ?, ?, ?, 0, ?)
-  `).run(messageId, candidateId, content, channel, externalId, timestamp);
+    INSERT INTO messages (id, candidate_id, sender, content, channel, external_id, media_type, media_ref, read, created_at)
+    VALUES (?, ?, 'candidate', ?, ?, ?, ?, ?, 0, ?)
+  `).run(messageId, candidateId, content, channel, externalId, media?.type || null, media?.id || null, timestamp);
 
   const message = db.prepare('SELECT * FROM messages WHERE id = ?').get(messageId);
 
@@ -325,17 +429,6 @@ async function linkTelegram(telegramChatId, verificationCode) {
 function generateVerificationCode(candidateId) {
   const code = Math.random().toString(36).substring(2, 8).toUpperCase();
 
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS telegram_verifications (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      candidate_id TEXT NOT NULL,
-      code TEXT NOT NULL,
-      used INTEGER DEFAULT 0,
-      expires_at DATETIME,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
   db.prepare(`
     INSERT INTO telegram_verifications (candidate_id, code, expires_at)
     VALUES (?, ?, datetime('now', '+10 minutes'))
@@ -344,6 +437,91 @@ function generateVerificationCode(candidateId) {
   return code;
 }
 
+/**
+ * Find the candidate whose phone number matches a WhatsApp sender id
+ */
+function findCandidateByWhatsApp(waId) {
+  const number = whatsapp.normalizePhone(waId);
+  if (!number) {
+    return null;
+  }
+
+  // Phones are stored as typed (e.g. "+65 9123 4567" or "91234567")
+  const localNumber = number.startsWith('65') ? number.slice(2) : number;
+  return db.prepare(`
+    SELECT id, name, phone, whatsapp_opted_in, whatsapp_opted_out_at
+    FROM candidates
+    WHERE REPLACE(REPLACE(REPLACE(phone, ' ', ''), '+', ''), '-', '') IN (?, ?)
+    ORDER BY updated_at DESC
+    LIMIT 1
+  `).get(number, localNumber) || null;
+}
+
+/**
+ * Record a WhatsApp opt-in or opt-out for a candidate
+ */
+function setWhatsAppOptIn(candidateId, optedIn) {
+  const result = optedIn
+    ? db.prepare(`
+        UPDATE candidates
+        SET whatsapp_opted_in = 1, whatsapp_opted_in_at = datetime('now'), whatsapp_opted_out_at = NULL
+        WHERE id = ?
+      `).run(candidateId)
+    : db.prepare(`
+        UPDATE candidates
+        SET whatsapp_opted_in = 0, whatsapp_opted_out_at = datetime('now')
+        WHERE id = ?
+      `).run(candidateId);
+
+  return result.changes > 0;
+}
+
+/**
+ * Apply a WhatsApp delivery receipt (sent/delivered/read/failed) to the stored message
+ * @param {object} receipt - Parsed status from whatsapp.parseWebhook
+ */
+function applyWhatsAppStatus(receipt) {
+  const message = db.prepare(`
+    SELECT id, candidate_id, delivery_status FROM messages WHERE external_id = ?
+  `).get(receipt.id);
+
+  if (!message) {
+    return { success: false, error: 'Unknown message', externalId: receipt.id };
+  }
+
+  if (!whatsapp.isStatusAdvance(message.delivery_status, receipt.status)) {
+    return { success: true, updated: false, messageId: message.id };
+  }
+
+  const reached = (status) => receipt.status === status || (status === 'delivered' && receipt.status === 'read');
+  db.prepare(`
+    UPDATE messages SET
+      delivery_status = ?,
+      delivery_error = ?,
+      delivered_at = CASE WHEN ? THEN COALESCE(delivered_at, ?) ELSE delivered_at END,
+      read = CASE WHEN ? THEN 1 ELSE read END,
+      read_at = CASE WHEN ? THEN COALESCE(read_at, ?) ELSE read_at END
+    WHERE id = ?
+  `).run(
+    receipt.status,
+    receipt.status === 'failed' ? receipt.error : null,
+    reached('delivered') ? 1 : 0, receipt.timestamp,
+    reached('read') ? 1 : 0,
+    reached('read') ? 1 : 0, receipt.timestamp,
+    message.id
+  );
+
+  broadcastToAdmins({
+    type: 'message_status',
+    messageId: message.id,
+    candidateId: message.candidate_id,
+    status: receipt.status,
+    error: receipt.error,
+  });
+
+  return { success: true, updated: true, messageId: message.id };
+}
+
 /**
  * Broadcast a message to a Telegram group
  */
@@ -396,7 +574,7 @@ function getConfiguredChannels() {
   return {
     app: true,
     telegram: telegram.isConfigured(),
-    whatsapp: false,
+    whatsapp: whatsapp.isConfigured(),
   };
 }
 
@@ -405,6 +583,8 @@ module.exports = {
   sendToCandidate,
   sendViaApp,
   sendViaTelegram,
+  sendViaWhatsApp,
+  sendPushNotification,
   handleIncomingMessage,
   linkTelegram,
   generateVerificationCode,
@@ -413,5 +593,9 @@ module.exports = {
   getCandidateChannels,
   getConfiguredChannels,
   getLastCandidateMessageChannel,
+  findCandidateByWhatsApp,
+  setWhatsAppOptIn,
+  applyWhatsAppStatus,
   telegram,
+  whatsapp,
 };
@@ -0,0 +1,273 @@
+/**
+ * WhatsApp Cloud API Mock Server
+ * Stands in for graph.facebook.com so the WhatsApp adapter and webhook
+ * can be exercised locally without a Meta account.
+ *
+ * Usage:
+ *   node services/messaging/whatsapp-mock.js
+ *   WHATSAPP_API_URL=http://localhost:4010 WHATSAPP_ACCESS_TOKEN=mock-token \
+ *   WHATSAPP_PHONE_NUMBER_ID=1000000000 WHATSAPP_APP_SECRET=mock-secret npm run dev
+ *
+ * Control endpoints (for curl or tests):
+ *   GET  /__mock/sent                       - messages the adapter has sent
+ *   POST /__mock/inbound { from, text }     - deliver a signed inbound message to the webhook
+ *   POST /__mock/status  { id, status }     - deliver a signed delivery receipt to the webhook
+ */
+
+const http = require('http');
+const { signPayload } = require('./whatsapp');
+
+const DEFAULT_PHONE_NUMBER_ID = '1000000000';
+const DEFAULT_DISPLAY_NUMBER = '6560000000';
+
+let sequence = 0;
+
+function nextMessageId() {
+  sequence += 1;
+  return `wamid.MOCK${Date.now().toString(36).toUpperCase()}${String(sequence).padStart(4, '0')}`;
+}
+
+function unixNow() {
+  return String(Math.floor(Date.now() / 1000));
+}
+
+function wrapChange(value, phoneNumberId) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'MOCK_WABA',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: DEFAULT_DISPLAY_NUMBER, phone_number_id: phoneNumberId },
+          ...value,
+        },
+      }],
+    }],
+  };
+}
+
+/**
+ * Build an inbound message webhook payload
+ * @param {object} options - { from, text, name, type, id, phoneNumberId }
+ */
+function buildInboundPayload({ from, text = '', name = 'Mock Worker', type = 'text', id, phoneNumberId = DEFAULT_PHONE_NUMBER_ID }) {
+  const message = { from, id: id || nextMessageId(), timestamp: unixNow(), type };
+  if (type === 'text') {
+    message.text = { body: text };
+  } else {
+    message[type] = { id: `MEDIA${Date.now()}`, mime_type: 'application/octet-stream', caption: text || undefined };
+  }
+
+  return wrapChange({
+    contacts: [{ profile: { name }, wa_id: from }],
+    messages: [message],
+  }, phoneNumberId);
+}
+
+/**
+ * Build a delivery receipt webhook payload
+ * @param {object} options - { id, status, recipient, error, phoneNumberId }
+ */
+function buildStatusPayload({ id, status, recipient = '', error = null, phoneNumberId = DEFAULT_PHONE_NUMBER_ID }) {
+  const receipt = { id, status, timestamp: unixNow(), recipient_id: recipient };
+  if (status === 'failed') {
+    receipt.errors = [{
+      code: 131026,
+      title: 'Message undeliverable',
+      error_data: { details: error || 'Message undeliverable' },
+    }];
+  }
+
+  return wrapChange({ statuses: [receipt] }, phoneNumberId);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function graphError(res, status, message, code) {
+  sendJson(res, status, { error: { message, type: 'OAuthException', code, fbtrace_id: 'MOCK' } });
+}
+
+/**
+ * Create a mock Cloud API server
+ * @param {object} options
+ * @param {string} options.accessToken - Bearer token the adapter must send
+ * @param {string} options.appSecret - Used to sign webhook deliveries
+ * @param {string} options.webhookUrl - Where inbound messages and receipts are posted
+ * @param {string[]} options.failNumbers - Recipients that get an API error
+ * @param {boolean} options.autoReceipts - Post sent/delivered receipts after each send
+ */
+function createMockServer(options = {}) {
+  const {
+    accessToken = 'mock-token',
+    appSecret = 'mock-secret',
+    webhookUrl = null,
+    failNumbers = [],
+    autoReceipts = false,
+  } = options;
+
+  const sent = [];
+  const readReceipts = [];
+
+  async function deliver(payload) {
+    if (!webhookUrl) {
+      throw new Error('webhookUrl is not configured on the mock server');
+    }
+    const body = JSON.stringify(payload);
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': signPayload(body, appSecret),
+      },
+      body,
+    });
+    return { status: response.status, payload };
+  }
+
+  async function handleSend(req, res, phoneNumberId) {
+    if (req.headers.authorization !== `Bearer ${accessToken}`) {
+      return graphError(res, 401, 'Invalid OAuth access token.', 190);
+    }
+
+    const body = await readJson(req);
+    if (body.messaging_product !== 'whatsapp') {
+      return graphError(res, 400, 'Param messaging_product must be whatsapp', 100);
+    }
+
+    // Read receipt for an incoming message
+    if (body.status === 'read') {
+      readReceipts.push(body.message_id);
+      return sendJson(res, 200, { success: true });
+    }
+
+    if (!body.to) {
+      return graphError(res, 400, 'The parameter to is required.', 100);
+    }
+    if (!body.type || !body[body.type]) {
+      return graphError(res, 400, `Param ${body.type || 'type'} is required`, 100);
+    }
+    if (failNumbers.includes(body.to)) {
+      return graphError(res, 400, 'Recipient phone number not in allowed list', 131030);
+    }
+
+    const id = nextMessageId();
+    sent.push({ id, phoneNumberId, ...body });
+
+    sendJson(res, 200, {
+      messaging_product: 'whatsapp',
+      contacts: [{ input: body.to, wa_id: body.to }],
+      messages: [{ id }],
+    });
+
+    // Delay receipts so the adapter has stored the message id first, as with the real API
+    if (autoReceipts && webhookUrl) {
+      setTimeout(async () => {
+        for (const status of ['sent', 'delivered']) {
+          await deliver(buildStatusPayload({ id, status, recipient: body.to, phoneNumberId }))
+            .catch(error => console.error('[WhatsApp mock] Receipt delivery failed:', error.message));
+        }
+      }, 500);
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const sendMatch = url.pathname.match(/^(?:\/v[\d.]+)?\/([^/]+)\/messages$/);
+
+      if (req.method === 'POST' && sendMatch) {
+        return await handleSend(req, res, sendMatch[1]);
+      }
+      if (req.method === 'GET' && url.pathname === '/__mock/sent') {
+        return sendJson(res, 200, { sent, readReceipts });
+      }
+      if (req.method === 'POST' && url.pathname === '/__mock/inbound') {
+        const body = await readJson(req);
+        return sendJson(res, 200, await deliver(buildInboundPayload(body)));
+      }
+      if (req.method === 'POST' && url.pathname === '/__mock/status') {
+        const body = await readJson(req);
+        return sendJson(res, 200, await deliver(buildStatusPayload(body)));
+      }
+
+      graphError(res, 404, `Unknown path ${url.pathname}`, 803);
+    } catch (error) {
+      graphError(res, 500, error.message, 1);
+    }
+  });
+
+  return {
+    sent,
+    readReceipts,
+    server,
+
+    /** Start listening; resolves with the base URL */
+    start(port = 0) {
+      return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+
+    /** Post a signed inbound message to the webhook */
+    sendInbound(from, text, extra = {}) {
+      return deliver(buildInboundPayload({ from, text, ...extra }));
+    },
+
+    /** Post a signed delivery receipt to the webhook */
+    sendStatus(id, status, extra = {}) {
+      return deliver(buildStatusPayload({ id, status, ...extra }));
+    },
+
+    reset() {
+      sent.length = 0;
+      readReceipts.length = 0;
+    },
+  };
+}
+
+module.exports = {
+  createMockServer,
+  buildInboundPayload,
+  buildStatusPayload,
+};
+
+if (require.main === module) {
+  const port = Number(process.env.WHATSAPP_MOCK_PORT) || 4010;
+  const mock = createMockServer({
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN || 'mock-token',
+    appSecret: process.env.WHATSAPP_APP_SECRET || 'mock-secret',
+    webhookUrl: process.env.WHATSAPP_MOCK_WEBHOOK_URL || 'http://localhost:3000/api/v1/webhooks/whatsapp',
+    autoReceipts: process.env.WHATSAPP_MOCK_AUTO_RECEIPTS !== 'false',
+  });
+
+  mock.start(port).then(url => {
+    console.log(`📱 WhatsApp mock Cloud API listening on ${url}`);
+    console.log(`   Set WHATSAPP_API_URL=${url} to send through it`);
+  });
+}
@@ -0,0 +1,337 @@
+/**
+ * WhatsApp Cloud API Service
+ * Handles sending messages and parsing webhooks for the WhatsApp Business Cloud API
+ *
+ * Config is read on every call so WHATSAPP_API_URL can point at the local
+ * mock server (services/messaging/whatsapp-mock.js) in development and tests.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_API_URL = 'https://graph.facebook.com/v19.0';
+const DEFAULT_COUNTRY_CODE = '65';
+
+// Free-form messages are only allowed within 24h of the worker's last message
+const SESSION_WINDOW_HOURS = 24;
+
+const OPT_OUT_KEYWORDS = ['stop', 'unsubscribe', 'opt out', 'optout'];
+const OPT_IN_KEYWORDS = ['start', 'subscribe', 'opt in', 'optin'];
+
+// Receipts can arrive out of order; never move a message backwards
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+const MEDIA_TYPES = ['image', 'document', 'video', 'audio'];
+
+function getConfig() {
+  return {
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    appSecret: process.env.WHATSAPP_APP_SECRET,
+    verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+    apiUrl: (process.env.WHATSAPP_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+  };
+}
+
+/**
+ * Normalise a phone number to WhatsApp's digits-only international format.
+ * Local 8-digit Singapore numbers get the country code prepended.
+ * @returns {string|null}
+ */
+function normalizePhone(phone, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+  if (!phone) return null;
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.length === 8) digits = defaultCountryCode + digits;
+  return digits.length >= 10 && digits.length <= 15 ? digits : null;
+}
+
+/**
+ * Verify the X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signatureHeader - e.g. "sha256=ab12..."
+ * @param {string} appSecret - Meta app secret
+ */
+function verifySignature(rawBody, signatureHeader, appSecret = getConfig().appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) return false;
+
+  const [algorithm, signature] = String(signatureHeader).split('=');
+  if (algorithm !== 'sha256' || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+  const received = Buffer.from(signature, 'hex');
+  const computed = Buffer.from(expected, 'hex');
+
+  return received.length === computed.length && crypto.timingSafeEqual(received, computed);
+}
+
+/**
+ * Sign a body the way Meta does (used by the mock server)
+ */
+function signPayload(body, appSecret) {
+  return 'sha256=' + crypto.createHmac('sha256', appSecret).update(body).digest('hex');
+}
+
+/**
+ * POST to the /messages endpoint of the configured phone number
+ */
+async function callMessagesApi(payload) {
+  const config = getConfig();
+  if (!config.accessToken || !config.phoneNumberId) {
+    console.error('WHATSAPP_ACCESS_TOKEN or WHATSAPP_PHONE_NUMBER_ID not configured');
+    return { success: false, error: 'WhatsApp not configured' };
+  }
+
+  try {
+    const response = await fetch(`${config.apiUrl}/${config.phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${config.accessToken}`,
+      },
+      body: JSON.stringify({ messaging_product: 'whatsapp', ...payload }),
+    });
+
+    const result = await response.json();
+
+    if (!response.ok || result.error) {
+      console.error('WhatsApp API error:', result.error || result);
+      return {
+        success: false,
+        error: result.error?.message || `WhatsApp API returned ${response.status}`,
+        code: result.error?.code,
+      };
+    }
+
+    return {
+      success: true,
+      messageId: result.messages?.[0]?.id || null,
+      data: result,
+    };
+  } catch (error) {
+    console.error('WhatsApp send error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a plain text message (only allowed inside the session window)
+ * @param {string} to - Recipient phone number
+ * @param {string} text - Message text
+ */
+async function sendMessage(to, text, options = {}) {
+  const recipient = normalizePhone(to);
+  if (!recipient) {
+    return { success: false, error: 'Invalid WhatsApp number' };
+  }
+
+  return callMessagesApi({
+    recipient_type: 'individual',
+    to: recipient,
+    type: 'text',
+    text: { body: text, preview_url: !!options.previewUrl },
+  });
+}
+
+/**
+ * Send a pre-approved template message (works outside the session window)
+ * @param {string} to - Recipient phone number
+ * @param {string} templateName - Template name as approved in WhatsApp Manager
+ * @param {object} options - { language, parameters, components }
+ *   `parameters` is a shortcut for body text parameters; `components` is passed through as-is
+ */
+async function sendTemplate(to, templateName, options = {}) {
+  const recipient = normalizePhone(to);
+  if (!recipient) {
+    return { success: false, error: 'Invalid WhatsApp number' };
+  }
+  if (!templateName) {
+    return { success: false, error: 'Template name is required' };
+  }
+
+  const { language = 'en', parameters = [], components = null } = options;
+  const templateComponents = components || (parameters.length > 0
+    ? [{ type: 'body', parameters: parameters.map(value => ({ type: 'text', text: String(value) })) }]
+    : []);
+
+  return callMessagesApi({
+    to: recipient,
+    type: 'template',
+    template: {
+      name: templateName,
+      language: { code: language },
+      ...(templateComponents.length > 0 && { components: templateComponents }),
+    },
+  });
+}
+
+/**
+ * Send an image, document, video or audio file by URL
+ * @param {string} to - Recipient phone number
+ * @param {string} type - image | document | video | audio
+ * @param {string} link - Publicly reachable media URL
+ * @param {object} options - { caption, filename }
+ */
+async function sendMedia(to, type, link, options = {}) {
+  const recipient = normalizePhone(to);
+  if (!recipient) {
+    return { success: false, error: 'Invalid WhatsApp number' };
+  }
+  if (!MEDIA_TYPES.includes(type)) {
+    return { success: false, error: `Media type must be one of: ${MEDIA_TYPES.join(', ')}` };
+  }
+  if (!link) {
+    return { success: false, error: 'Media link is required' };
+  }
+
+  const media = { link };
+  // Audio messages do not support captions
+  if (options.caption && type !== 'audio') media.caption = options.caption;
+  if (options.filename && type === 'document') media.filename = options.filename;
+
+  return callMessagesApi({ to: recipient, type, [type]: media });
+}
+
+/**
+ * Mark an incoming message as read (shows blue ticks to the worker)
+ */
+async function markAsRead(messageId) {
+  return callMessagesApi({ status: 'read', message_id: messageId });
+}
+
+/**
+ * Extract the text we store for an incoming message of any type
+ */
+function getMessageText(message) {
+  switch (message.type) {
+    case 'text':
+      return message.text?.body || '';
+    case 'button':
+      return message.button?.text || '';
+    case 'interactive':
+      return message.interactive?.button_reply?.title || message.interactive?.list_reply?.title || '';
+    default:
+      if (MEDIA_TYPES.includes(message.type) || message.type === 'sticker') {
+        return message[message.type]?.caption || `[${message.type}]`;
+      }
+      return `[${message.type}]`;
+  }
+}
+
+/**
+ * Flatten a webhook payload into incoming messages and status receipts
+ * @returns {{ messages: object[], statuses: object[] }}
+ */
+function parseWebhook(payload) {
+  const messages = [];
+  const statuses = [];
+
+  if (!payload || payload.object !== 'whatsapp_business_account') {
+    return { messages, statuses };
+  }
+
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change.field !== 'messages' || !change.value) continue;
+      const value = change.value;
+
+      const names = {};
+      for (const contact of value.contacts || []) {
+        names[contact.wa_id] = contact.profile?.name || null;
+      }
+
+      for (const message of value.messages || []) {
+        const mediaPayload = message[message.type];
+        const hasMedia = MEDIA_TYPES.includes(message.type) || message.type === 'sticker';
+
+        messages.push({
+          id: message.id,
+          from: message.from,
+          name: names[message.from] || null,
+          timestamp: new Date(Number(message.timestamp) * 1000).toISOString(),
+          type: message.type,
+          text: getMessageText(message),
+          media: hasMedia && mediaPayload ? {
+            type: message.type,
+            id: mediaPayload.id,
+            mimeType: mediaPayload.mime_type || null,
+            filename: mediaPayload.filename || null,
+          } : null,
+        });
+      }
+
+      for (const status of value.statuses || []) {
+        const error = status.errors?.[0];
+        statuses.push({
+          id: status.id,
+          recipient: status.recipient_id,
+          status: status.status,
+          timestamp: new Date(Number(status.timestamp) * 1000).toISOString(),
+          error: error ? (error.error_data?.details || error.title || error.message || `Error ${error.code}`) : null,
+        });
+      }
+    }
+  }
+
+  return { messages, statuses };
+}
+
+/**
+ * Detect opt-in / opt-out keywords in an incoming message
+ * @returns {'opt_in'|'opt_out'|null}
+ */
+function getOptKeyword(text) {
+  const normalized = String(text || '').trim().toLowerCase().replace(/[.!]+$/, '');
+  if (OPT_OUT_KEYWORDS.includes(normalized)) return 'opt_out';
+  if (OPT_IN_KEYWORDS.includes(normalized)) return 'opt_in';
+  return null;
+}
+
+/**
+ * Whether a delivery receipt should replace the stored status.
+ * A failure only counts if the message was never delivered.
+ */
+function isStatusAdvance(current, next) {
+  if (next === 'failed') {
+    return (STATUS_RANK[current] || 0) < STATUS_RANK.delivered && current !== 'failed';
+  }
+  if (!STATUS_RANK[next]) return false;
+  if (current === 'failed') return true;
+  return STATUS_RANK[next] > (STATUS_RANK[current] || 0);
+}
+
+/**
+ * Whether free-form messages can still be sent
+ * @param {string|null} lastInboundAt - Timestamp of the worker's last WhatsApp message
+ */
+function isWithinSessionWindow(lastInboundAt, now = new Date()) {
+  if (!lastInboundAt) return false;
+  const last = new Date(lastInboundAt);
+  if (isNaN(last.getTime())) return false;
+  return now.getTime() - last.getTime() < SESSION_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Check if WhatsApp sending is configured
+ */
+function isConfigured() {
+  const config = getConfig();
+  return !!(config.accessToken && config.phoneNumberId);
+}
+
+module.exports = {
+  SESSION_WINDOW_HOURS,
+  MEDIA_TYPES,
+  getConfig,
+  normalizePhone,
+  verifySignature,
+  signPayload,
+  sendMessage,
+  sendTemplate,
+  sendMedia,
+  markAsRead,
+  parseWebhook,
+  getOptKeyword,
+  isStatusAdvance,
+  isWithinSessionWindow,
+  isConfigured,
+};
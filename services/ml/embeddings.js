@@ -1,9 +1,11 @@
 /**
  * Text Embeddings & Similarity Service
  *
- * Simple TF-IDF based text similarity for knowledge base matching.
+ * Simple TF-IDF based text similarity.
  * No external API needed - runs entirely locally.
- * Can be upgraded to sentence-transformers later for better accuracy.
+ * Knowledge base lookups now go through ./retrieval (BM25 plus embeddings);
+ * this module keeps the normalisation used when storing questions, and its
+ * stop words and word variations are shared with retrieval.
  */
 
 // Stop words to ignore in similarity matching
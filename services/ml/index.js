@@ -14,6 +14,7 @@
 
 const { db } = require('../../db');
 const embeddings = require('./embeddings');
+const retrieval = require('./retrieval');
 
 /**
  * Get ML settings
@@ -43,6 +44,8 @@ function updateSetting(key, value) {
 
 /**
  * Find answer in knowledge base
+ * Retrieval ranks FAQs and learned answers together (see ./retrieval); a
+ * passage is only sent as-is when it clearly answers the question.
  *
  * @param {string} question - User's question
  * @param {object} context - Optional context (category, candidateId, etc.)
@@ -55,75 +58,51 @@ async function findAnswer(question, context = {}) {
     return null;
   }
 
-  const minConfidence = settings.min_confidence || 0.75;
-
-  // First, check FAQ database (manually curated, higher priority)
-  const faqs = db.prepare(`
-    SELECT id, category, question, answer, keywords, priority, 'faq' as source
-    FROM ai_faq
-    WHERE active = 1
-    ORDER BY priority DESC
-  `).all();
-
-  if (faqs.length > 0) {
-    const faqMatches = embeddings.findSimilar(question, faqs, 3, 0.5);
-    if (faqMatches.length > 0 && faqMatches[0].similarity >= 0.6) {
-      // FAQ match with high confidence
-      const match = faqMatches[0];
-      // Update use count
-      db.prepare('UPDATE ai_faq SET use_count = use_count + 1 WHERE id = ?').run(match.id);
-
-      return {
-        answer: match.answer,
-        source: 'faq',
-        sourceId: match.id,
-        confidence: Math.min(1, match.similarity + 0.2), // Boost FAQ confidence
-        category: match.category,
-        question: match.question,
-      };
-    }
-  }
-
-  // Then check learned knowledge base
-  const kbEntries = db.prepare(`
-    SELECT id, question, question_tokens, answer, intent, category, confidence, keywords, 'knowledge_base' as source
-    FROM ml_knowledge_base
-    WHERE confidence >= ?
-    ORDER BY confidence DESC, use_count DESC
-    LIMIT 100
-  `).all(minConfidence * 0.5); // Get entries with at least half the min confidence
-
-  if (kbEntries.length > 0) {
-    const kbMatches = embeddings.findSimilar(question, kbEntries, 3, 0.4);
+  const { answer: match } = await retrieval.ground(question, {
+    kbMinConfidence: settings.min_confidence || 0.75,
+  });
 
-    if (kbMatches.length > 0) {
-      const match = kbMatches[0];
-      // Combined score: similarity * KB confidence
-      const combinedConfidence = match.similarity * match.confidence;
+  if (!match) {
+    return null;
+  }
 
-      if (combinedConfidence >= minConfidence) {
-        // Record usage
-        db.prepare(`
-          UPDATE ml_knowledge_base
-          SET use_count = use_count + 1, last_used_at = datetime('now')
-          WHERE id = ?
-        `).run(match.id);
-
-        return {
-          answer: match.answer,
-          source: 'knowledge_base',
-          sourceId: match.id,
-          confidence: combinedConfidence,
-          similarity: match.similarity,
-          kbConfidence: match.confidence,
-          category: match.category,
-          intent: match.intent,
-        };
-      }
-    }
+  const citations = [retrieval.toCitation(match, 1)];
+
+  if (match.source === 'faq') {
+    // Update use count
+    db.prepare('UPDATE ai_faq SET use_count = use_count + 1 WHERE id = ?').run(match.sourceId);
+
+    return {
+      answer: match.answer,
+      source: 'faq',
+      sourceId: match.sourceId,
+      confidence: Math.min(1, match.score + 0.2), // Boost FAQ confidence
+      similarity: match.score,
+      category: match.category,
+      question: match.question,
+      citations,
+    };
   }
 
-  return null;
+  // Record usage
+  db.prepare(`
+    UPDATE ml_knowledge_base
+    SET use_count = use_count + 1, last_used_at = datetime('now')
+    WHERE id = ?
+  `).run(match.sourceId);
+
+  return {
+    answer: match.answer,
+    source: 'knowledge_base',
+    sourceId: match.sourceId,
+    confidence: retrieval.answerConfidence(match),
+    similarity: match.score,
+    kbConfidence: match.confidence,
+    category: match.category,
+    intent: match.intent,
+    question: match.question,
+    citations,
+  };
 }
 
 /**
@@ -507,12 +486,13 @@ function logResponse(candidateId, incomingMessage, aiResponse, metadata = {}) {
     intent = null,
     responseTimeMs = null,
     tokensUsed = null,
+    citations = null,
   } = metadata;
 
   const result = db.prepare(`
     INSERT INTO ai_response_logs
-    (candidate_id, incoming_message, ai_response, mode, source, kb_entry_id, confidence, intent_detected, response_time_ms, tokens_used)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    (candidate_id, incoming_message, ai_response, mode, source, kb_entry_id, confidence, intent_detected, response_time_ms, tokens_used, citations)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     candidateId,
     incomingMessage,
@@ -523,7 +503,8 @@ function logResponse(candidateId, incomingMessage, aiResponse, metadata = {}) {
     confidence,
     intent,
     responseTimeMs,
-    tokensUsed
+    tokensUsed,
+    citations && citations.length > 0 ? JSON.stringify(citations) : null
   );
 
   return result.lastInsertRowid;
@@ -551,7 +532,10 @@ function getResponseLogs(options = {}) {
   query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
   params.push(limit, offset);
 
-  return db.prepare(query).all(...params);
+  return db.prepare(query).all(...params).map(log => ({
+    ...log,
+    citations: log.citations ? JSON.parse(log.citations) : [],
+  }));
 }
 
 /**
@@ -660,31 +644,11 @@ function isRepeatedQuestion(originalQuestion, followUpMessage) {
  * Called when AI sends an auto-reply
  */
 function storePendingFeedback(candidateId, logId, originalQuestion) {
-  try {
-    db.prepare(`
-      INSERT INTO pending_implicit_feedback
-      (candidate_id, log_id, original_question, messages_checked, created_at)
-      VALUES (?, ?, ?, 0, datetime('now'))
-    `).run(candidateId, logId, originalQuestion);
-  } catch (e) {
-    // Table might not exist yet, create it
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS pending_implicit_feedback (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        candidate_id TEXT NOT NULL,
-        log_id INTEGER NOT NULL,
-        original_question TEXT,
-        messages_checked INTEGER DEFAULT 0,
-        resolved INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    db.prepare(`
-      INSERT INTO pending_implicit_feedback
-      (candidate_id, log_id, original_question, messages_checked, created_at)
-      VALUES (?, ?, ?, 0, datetime('now'))
-    `).run(candidateId, logId, originalQuestion);
-  }
+  db.prepare(`
+    INSERT INTO pending_implicit_feedback
+    (candidate_id, log_id, original_question, messages_checked, created_at)
+    VALUES (?, ?, ?, 0, datetime('now'))
+  `).run(candidateId, logId, originalQuestion);
 }
 
 /**
@@ -827,4 +791,7 @@ module.exports = {
   // Logging
   logResponse,
   getResponseLogs,
+
+  // Knowledge retrieval (search, grounding, evaluation)
+  retrieval,
 };
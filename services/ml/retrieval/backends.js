@@ -0,0 +1,90 @@
+/**
+ * Embedding Backends
+ * A backend turns texts into unit-length vectors:
+ *
+ *   { name, model, dimensions, signature, isAvailable(), embed(texts) }
+ *
+ * embed() is async and returns Float32Array[]. The signature is stored with
+ * the on-disk index; when it changes (another backend, model or dimension
+ * count) the index is rebuilt instead of mixing incompatible vectors.
+ *
+ *   hashed - default. Words, word pairs, character n-grams and concept groups
+ *            hashed into a fixed number of dimensions. No model files, so it
+ *            runs anywhere; character n-grams catch misspellings and
+ *            Singlish spellings the word lists miss.
+ *   onnx   - a local sentence-transformer (see onnx.js)
+ *
+ * @module ml/retrieval/backends
+ */
+
+const { analyze, concepts, charNgrams } = require('./text');
+const { createOnnxBackend } = require('./onnx');
+const { normalize } = require('./vector-index');
+
+const HASHED_VERSION = 1;
+const DEFAULT_DIMENSIONS = 1024;
+
+// Feature weights before the vector is normalised
+const WEIGHTS = { word: 1, pair: 0.5, gram: 0.3, concept: 1 };
+
+// FNV-1a, 32-bit
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.dimensions]
+ */
+function createHashedBackend({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+  function add(vector, feature, weight) {
+    const h = hash(feature);
+    vector[h % dimensions] += (h & 0x80000000 ? -1 : 1) * weight;
+  }
+
+  function embedOne(text) {
+    const vector = new Float32Array(dimensions);
+    const terms = analyze(text);
+    terms.forEach((term, i) => {
+      add(vector, `w:${term}`, WEIGHTS.word);
+      if (i > 0) add(vector, `p:${terms[i - 1]} ${term}`, WEIGHTS.pair);
+      for (const gram of charNgrams(term)) add(vector, `g:${gram}`, WEIGHTS.gram);
+    });
+    for (const concept of concepts(terms)) add(vector, `c:${concept}`, WEIGHTS.concept);
+    return normalize(vector);
+  }
+
+  return {
+    name: 'hashed',
+    model: `ngram-v${HASHED_VERSION}`,
+    dimensions,
+    signature: `hashed:v${HASHED_VERSION}:${dimensions}`,
+    isAvailable: () => true,
+    embed: async (texts) => texts.map(embedOne),
+  };
+}
+
+const BACKENDS = ['hashed', 'onnx'];
+
+/**
+ * Build a backend by name
+ * @param {string} name - hashed | onnx
+ * @param {Object} [options] - Passed to the backend factory
+ * @returns {Object}
+ */
+function createBackend(name, options = {}) {
+  if (name === 'onnx') return createOnnxBackend(options);
+  if (name === 'hashed') return createHashedBackend(options);
+  throw new Error(`Embedding backend must be one of: ${BACKENDS.join(', ')}`);
+}
+
+module.exports = {
+  BACKENDS,
+  createBackend,
+  createHashedBackend,
+};
@@ -0,0 +1,75 @@
+/**
+ * BM25 Lexical Ranking
+ * Okapi BM25 over analysed terms, built in memory from the documents on
+ * every refresh (the knowledge base is small enough that this takes
+ * milliseconds). Scores are also given on a 0-1 scale - the share of the
+ * query's idf weight a document matches - so they can be mixed with cosine
+ * similarity and held against fixed thresholds.
+ *
+ * @module ml/retrieval/bm25
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * @param {Object[]} documents - { key, terms: string[] }
+ * @param {Object} [options]
+ * @param {number} [options.k1]
+ * @param {number} [options.b]
+ */
+function createBm25(documents, { k1 = K1, b = B } = {}) {
+  const postings = new Map(); // term -> Map(key -> term frequency)
+  const lengths = new Map();
+  let totalLength = 0;
+
+  for (const { key, terms } of documents) {
+    lengths.set(key, terms.length);
+    totalLength += terms.length;
+    for (const term of terms) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const counts = postings.get(term);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const count = documents.length;
+  const averageLength = count > 0 ? totalLength / count : 0;
+
+  function idf(term) {
+    const frequency = postings.has(term) ? postings.get(term).size : 0;
+    return Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  /**
+   * Score every document that shares a term with the query
+   * @param {string[]} queryTerms
+   * @returns {Map<string, { score: number, normalized: number }>}
+   */
+  function score(queryTerms) {
+    const unique = [...new Set(queryTerms)];
+    const ceiling = unique.reduce((sum, term) => sum + idf(term), 0);
+    const scores = new Map();
+
+    for (const term of unique) {
+      const counts = postings.get(term);
+      if (!counts) continue;
+      const weight = idf(term);
+      for (const [key, frequency] of counts) {
+        const norm = 1 - b + b * (lengths.get(key) / (averageLength || 1));
+        const contribution = weight * (frequency * (k1 + 1)) / (frequency + k1 * norm);
+        scores.set(key, (scores.get(key) || 0) + contribution);
+      }
+    }
+
+    const results = new Map();
+    for (const [key, value] of scores) {
+      results.set(key, { score: value, normalized: ceiling > 0 ? Math.min(1, value / ceiling) : 0 });
+    }
+    return results;
+  }
+
+  return { score, idf, size: count };
+}
+
+module.exports = { createBm25 };
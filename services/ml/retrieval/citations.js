@@ -0,0 +1,106 @@
+/**
+ * Grounding & Citations
+ * Decides how retrieved passages are used for a worker's question - sent as
+ * the answer, handed to the LLM as numbered passages, or not at all - and
+ * turns the [n] markers in an LLM reply into citation records. Markers are
+ * stripped before the reply goes to the worker; admins see the citations in
+ * the response log.
+ *
+ * @module ml/retrieval/citations
+ */
+
+// Curated FAQ good enough to send without the LLM
+const ANSWER_MIN_SCORE = 0.5;
+// ...and clearly ahead of the next passage, otherwise the LLM chooses
+const ANSWER_MIN_MARGIN = 0.15;
+// Passages worth putting in front of the LLM
+const GROUNDING_MIN_SCORE = 0.2;
+const MAX_PASSAGES = 3;
+
+const CITATION_PATTERN = /\s?\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * How sure we are a passage answers the question: the retrieval score for
+ * curated FAQs, scaled by the learned confidence for knowledge-base entries
+ * @param {Object} hit - From retriever.search()
+ * @returns {number}
+ */
+function answerConfidence(hit) {
+  return hit.source === 'knowledge_base' ? hit.score * (hit.confidence || 0) : hit.score;
+}
+
+/**
+ * @param {Object[]} hits - Ranked, best first
+ * @param {Object} [options]
+ * @param {number} [options.kbMinConfidence] - Bar for learned answers (ml_settings.min_confidence)
+ * @returns {{ answer: Object|null, passages: Object[] }}
+ */
+function planGrounding(hits, { kbMinConfidence = 0.75 } = {}) {
+  // Entries with the same answer (duplicated FAQs, a learned copy of one)
+  // agree with each other, so only the best of them counts
+  const seen = new Set();
+  const distinct = hits.filter(hit => {
+    const answer = String(hit.answer || '').trim().toLowerCase();
+    if (seen.has(answer)) return false;
+    seen.add(answer);
+    return true;
+  });
+
+  const passages = distinct.filter(hit => hit.score >= GROUNDING_MIN_SCORE).slice(0, MAX_PASSAGES);
+  const [top, next] = distinct;
+  if (!top) return { answer: null, passages };
+
+  const margin = top.score - (next ? next.score : 0);
+  const bar = top.source === 'knowledge_base' ? kbMinConfidence : ANSWER_MIN_SCORE;
+  const answer = answerConfidence(top) >= bar && margin >= ANSWER_MIN_MARGIN ? top : null;
+  return { answer, passages };
+}
+
+/**
+ * Citation record for a passage
+ * @param {Object} hit
+ * @param {number} ref - Passage number shown to the LLM
+ * @returns {Object}
+ */
+function toCitation(hit, ref) {
+  return {
+    ref,
+    source: hit.source,
+    source_id: hit.sourceId,
+    question: hit.question,
+    score: hit.score,
+  };
+}
+
+/**
+ * Citations for the passages an LLM reply referred to, and the reply with
+ * the markers removed
+ * @param {string} text
+ * @param {Object[]} passages - In the order they were numbered
+ * @returns {{ text: string, citations: Object[] }}
+ */
+function extractCitations(text, passages) {
+  const cited = new Set();
+  const clean = String(text || '').replace(CITATION_PATTERN, (marker, refs) => {
+    refs.split(',').map(ref => parseInt(ref, 10)).forEach(ref => {
+      if (ref >= 1 && ref <= passages.length) cited.add(ref);
+    });
+    return '';
+  }).replace(/ +([.,!?])/g, '$1').trim();
+
+  return {
+    text: clean,
+    citations: [...cited].sort((a, b) => a - b).map(ref => toCitation(passages[ref - 1], ref)),
+  };
+}
+
+module.exports = {
+  ANSWER_MIN_SCORE,
+  ANSWER_MIN_MARGIN,
+  GROUNDING_MIN_SCORE,
+  MAX_PASSAGES,
+  answerConfidence,
+  planGrounding,
+  toCitation,
+  extractCitations,
+};
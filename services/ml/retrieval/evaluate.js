@@ -0,0 +1,70 @@
+/**
+ * Retrieval Evaluation
+ * Scores rankings against labelled queries: recall@1, recall@k and mean
+ * reciprocal rank, per ranking mode, plus the queries each mode missed.
+ *
+ * @module ml/retrieval/evaluate
+ */
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Rank (1-based) of the first relevant key, or null if it was not returned
+ * @param {string[]} rankedKeys
+ * @param {string[]} relevant
+ * @returns {number|null}
+ */
+function firstRelevantRank(rankedKeys, relevant) {
+  const wanted = new Set(relevant);
+  const index = rankedKeys.findIndex(key => wanted.has(key));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * @param {Array<number|null>} ranks - One per query
+ * @param {number} k
+ * @returns {{ queries: number, recall_at_1: number, recall_at_k: number, mrr: number }}
+ */
+function summarizeRanks(ranks, k) {
+  const count = ranks.length;
+  if (count === 0) return { queries: 0, recall_at_1: 0, recall_at_k: 0, mrr: 0 };
+  return {
+    queries: count,
+    recall_at_1: round(ranks.filter(rank => rank === 1).length / count),
+    recall_at_k: round(ranks.filter(rank => rank !== null && rank <= k).length / count),
+    mrr: round(ranks.reduce((sum, rank) => sum + (rank ? 1 / rank : 0), 0) / count),
+  };
+}
+
+/**
+ * Build a report from per-query rankings
+ * @param {Object[]} results - { query, relevant, rankings: { [mode]: string[] } }
+ * @param {Object} options
+ * @param {number} options.k
+ * @param {string[]} options.modes
+ * @returns {{ k: number, modes: Object, queries: Object[] }}
+ */
+function buildReport(results, { k, modes }) {
+  const queries = results.map(result => ({
+    query: result.query,
+    relevant: result.relevant,
+    ranks: Object.fromEntries(modes.map(mode => [mode, firstRelevantRank(result.rankings[mode] || [], result.relevant)])),
+  }));
+
+  const summary = {};
+  for (const mode of modes) {
+    const ranks = queries.map(query => query.ranks[mode]);
+    summary[mode] = {
+      ...summarizeRanks(ranks, k),
+      misses: queries.filter(query => query.ranks[mode] === null || query.ranks[mode] > k).map(query => query.query),
+    };
+  }
+
+  return { k, modes: summary, queries };
+}
+
+module.exports = {
+  firstRelevantRank,
+  summarizeRanks,
+  buildReport,
+};
@@ -0,0 +1,233 @@
+/**
+ * Knowledge Base Retrieval
+ * The app's retriever over active FAQs (ai_faq) and learned answers
+ * (ml_knowledge_base). The vector index is kept at
+ * <data dir>/retrieval/<backend>-index.json and updated incrementally when
+ * the knowledge base changes - every search checks a cheap corpus version.
+ *
+ *   ML_EMBEDDING_BACKEND        hashed (default) | onnx
+ *   ML_EMBEDDING_MODEL_DIR      folder with model.onnx and vocab.txt (onnx)
+ *   ML_RETRIEVAL_VECTOR_WEIGHT  0-1, share of the score from vectors (0.5)
+ *
+ * An unavailable ONNX backend falls back to hashed n-grams with a warning.
+ *
+ * @module ml/retrieval
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { db, reader } = require('../../../db');
+const { DATA_DIR } = require('../../../db/connection');
+const { BACKENDS, createBackend } = require('./backends');
+const { MODES, DEFAULT_VECTOR_WEIGHT, createRetriever } = require('./retriever');
+const citations = require('./citations');
+
+// Learned answers below this are not retrieved at all
+const KB_MIN_CONFIDENCE = 0.3;
+const EVALUATION_CASE_LIMIT = 500;
+
+function parseKeywords(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch {
+    return String(value).split(',').map(keyword => keyword.trim()).filter(Boolean);
+  }
+}
+
+function resolveBackend(env = process.env) {
+  const name = env.ML_EMBEDDING_BACKEND || 'hashed';
+  if (!BACKENDS.includes(name)) {
+    console.warn(`🔎 [Retrieval] Unknown ML_EMBEDDING_BACKEND "${name}" - using hashed n-grams`);
+    return createBackend('hashed');
+  }
+  const backend = createBackend(name, { modelDir: env.ML_EMBEDDING_MODEL_DIR || null });
+  if (backend.isAvailable()) return backend;
+  console.warn(`🔎 [Retrieval] ${name} backend unavailable (${backend.unavailableReason()}) - using hashed n-grams`);
+  return createBackend('hashed');
+}
+
+function loadDocuments() {
+  const faqs = reader.prepare(`
+    SELECT id, category, question, answer, keywords, priority
+    FROM ai_faq
+    WHERE active = 1
+  `).all().map(row => ({
+    key: `faq:${row.id}`,
+    source: 'faq',
+    sourceId: row.id,
+    question: row.question,
+    answer: row.answer,
+    category: row.category,
+    keywords: parseKeywords(row.keywords),
+    priority: row.priority,
+    confidence: null,
+  }));
+
+  const learned = reader.prepare(`
+    SELECT id, question, answer, intent, category, confidence, keywords
+    FROM ml_knowledge_base
+    WHERE confidence >= ?
+  `).all(KB_MIN_CONFIDENCE).map(row => ({
+    key: `kb:${row.id}`,
+    source: 'knowledge_base',
+    sourceId: row.id,
+    question: row.question,
+    answer: row.answer,
+    category: row.category,
+    intent: row.intent,
+    keywords: parseKeywords(row.keywords),
+    confidence: row.confidence,
+  }));
+
+  return [...faqs, ...learned];
+}
+
+// Changes whenever an entry is added, removed or edited (edits touch updated_at)
+function corpusVersion() {
+  const part = (table) => `
+    SELECT COUNT(*) || ':' || IFNULL(MAX(id), 0) || ':' || IFNULL(MAX(updated_at), '') || ':' || TOTAL(LENGTH(answer))
+    FROM ${table}
+  `;
+  const faq = reader.prepare(part('ai_faq')).pluck().get();
+  const learned = reader.prepare(part('ml_knowledge_base')).pluck().get();
+  return `${faq}|${learned}`;
+}
+
+const backend = resolveBackend();
+const weight = parseFloat(process.env.ML_RETRIEVAL_VECTOR_WEIGHT);
+
+const retriever = createRetriever({
+  backend,
+  loadDocuments,
+  corpusVersion,
+  indexFile: path.join(DATA_DIR, 'retrieval', `${backend.name}-index.json`),
+  vectorWeight: weight >= 0 && weight <= 1 ? weight : DEFAULT_VECTOR_WEIGHT,
+});
+
+/**
+ * Retrieve passages for a worker's question and decide how to use them
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {number} [options.kbMinConfidence] - Bar for sending a learned answer as-is
+ * @returns {Promise<{ answer: Object|null, passages: Object[], hits: Object[] }>}
+ */
+async function ground(question, options = {}) {
+  const hits = await retriever.search(question, { k: 5 });
+  return { ...citations.planGrounding(hits, options), hits };
+}
+
+/**
+ * Evaluation cases from admin feedback: questions whose knowledge-base
+ * answer was approved as-is
+ * @param {number} [limit]
+ * @returns {Object[]} { query, relevant }
+ */
+function casesFromFeedback(limit = EVALUATION_CASE_LIMIT) {
+  return reader.prepare(`
+    SELECT incoming_message AS query, source, kb_entry_id
+    FROM ai_response_logs
+    WHERE kb_entry_id IS NOT NULL
+      AND source IN ('faq', 'knowledge_base')
+      AND admin_action = 'sent_as_is'
+      AND incoming_message IS NOT NULL
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).all(limit).map(row => ({
+    query: row.query,
+    relevant: [`${row.source === 'faq' ? 'faq' : 'kb'}:${row.kb_entry_id}`],
+  }));
+}
+
+/**
+ * Evaluation cases from a JSON file of { query, question } pairs (or
+ * { query, relevant: [keys] }); questions are matched to current entries
+ * @param {string} file
+ * @returns {{ cases: Object[], unmatched: string[] }}
+ */
+function casesFromFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(data) ? data : data.cases || [];
+  const byQuestion = new Map(loadDocuments().map(document => [document.question.trim().toLowerCase(), document.key]));
+
+  const cases = [];
+  const unmatched = [];
+  for (const entry of entries) {
+    const relevant = entry.relevant || [byQuestion.get(String(entry.question || '').trim().toLowerCase())].filter(Boolean);
+    if (relevant.length > 0) cases.push({ query: entry.query, relevant });
+    else unmatched.push(entry.query);
+  }
+  return { cases, unmatched };
+}
+
+/**
+ * Run an evaluation and keep the report
+ * @param {Object} [options]
+ * @param {Object[]} [options.cases] - Defaults to cases from admin feedback
+ * @param {string} [options.caseSource]
+ * @param {number} [options.k=5]
+ * @param {string} [options.createdBy]
+ * @returns {Promise<Object>} Report with its id
+ */
+async function runEvaluation({ cases = null, caseSource = null, k = 5, createdBy = null } = {}) {
+  const evaluationCases = cases || casesFromFeedback();
+  const source = caseSource || (cases ? 'file' : 'feedback');
+  if (evaluationCases.length === 0) {
+    const error = new Error('No evaluation cases - approve some knowledge-base answers or pass a cases file');
+    error.status = 400;
+    throw error;
+  }
+
+  const report = await retriever.evaluate(evaluationCases, { k });
+  const hybrid = report.modes.hybrid;
+  const result = db.prepare(`
+    INSERT INTO ml_retrieval_evaluations
+    (backend, case_source, cases, k, documents, vector_weight, recall_at_1, recall_at_k, mrr, report, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    report.backend.signature, source, evaluationCases.length, k, report.documents, report.vector_weight,
+    hybrid.recall_at_1, hybrid.recall_at_k, hybrid.mrr, JSON.stringify(report), createdBy
+  );
+
+  return { id: result.lastInsertRowid, case_source: source, ...report };
+}
+
+/**
+ * Past evaluation runs, newest first (summary columns only)
+ * @param {number} [limit]
+ * @returns {Object[]}
+ */
+function getEvaluations(limit = 20) {
+  return reader.prepare(`
+    SELECT id, backend, case_source, cases, k, documents, vector_weight, recall_at_1, recall_at_k, mrr, created_by, created_at
+    FROM ml_retrieval_evaluations
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * @param {number} id
+ * @returns {Object|null} Evaluation with its parsed report
+ */
+function getEvaluation(id) {
+  const row = reader.prepare('SELECT * FROM ml_retrieval_evaluations WHERE id = ?').get(id);
+  if (!row) return null;
+  return { ...row, report: JSON.parse(row.report) };
+}
+
+module.exports = {
+  MODES,
+  search: retriever.search,
+  refresh: retriever.refresh,
+  rebuild: retriever.rebuild,
+  status: retriever.status,
+  ground,
+  casesFromFeedback,
+  casesFromFile,
+  runEvaluation,
+  getEvaluations,
+  getEvaluation,
+  ...citations,
+};
@@ -0,0 +1,193 @@
+/**
+ * ONNX Sentence Embeddings
+ * Runs a local sentence-transformer (e.g. all-MiniLM-L6-v2 exported to
+ * ONNX) with onnxruntime-node: WordPiece tokenisation, one batched forward
+ * pass, mean pooling over the attention mask, unit length.
+ *
+ * Optional: onnxruntime-node is not a dependency of the app. Install it and
+ * point ML_EMBEDDING_MODEL_DIR at a folder holding model.onnx (or
+ * onnx/model.onnx) and vocab.txt to use it; otherwise retrieval stays on the
+ * hashed backend.
+ *
+ * @module ml/retrieval/onnx
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalize } = require('./vector-index');
+
+const MAX_TOKENS = 128;
+const MAX_WORD_LENGTH = 100;
+
+function loadRuntime() {
+  try {
+    return require('onnxruntime-node');
+  } catch {
+    return null;
+  }
+}
+
+const isPunctuation = (char) => /[!-/:-@[-`{-~]|\p{P}/u.test(char);
+
+/**
+ * BERT-style WordPiece tokenizer
+ * @param {string} vocabText - vocab.txt contents, one token per line
+ * @param {Object} [options]
+ * @param {boolean} [options.lowercase=true] - Uncased models
+ * @param {number} [options.maxTokens]
+ */
+function createWordPiece(vocabText, { lowercase = true, maxTokens = MAX_TOKENS } = {}) {
+  const vocab = new Map();
+  vocabText.split(/\r?\n/).forEach((token, id) => {
+    if (token && !vocab.has(token)) vocab.set(token, id);
+  });
+
+  const special = (token) => {
+    if (!vocab.has(token)) throw new Error(`WordPiece vocabulary has no ${token} token`);
+    return vocab.get(token);
+  };
+  const CLS = special('[CLS]');
+  const SEP = special('[SEP]');
+  const UNK = special('[UNK]');
+
+  function basicTokens(text) {
+    let clean = String(text || '');
+    if (lowercase) clean = clean.toLowerCase().normalize('NFD').replace(/\p{Mn}/gu, '');
+    let spaced = '';
+    for (const char of clean) spaced += isPunctuation(char) ? ` ${char} ` : char;
+    return spaced.split(/\s+/).filter(Boolean);
+  }
+
+  function pieces(word) {
+    if (word.length > MAX_WORD_LENGTH) return [UNK];
+    const ids = [];
+    let start = 0;
+    while (start < word.length) {
+      let end = word.length;
+      let id = null;
+      while (start < end) {
+        const piece = (start > 0 ? '##' : '') + word.slice(start, end);
+        if (vocab.has(piece)) {
+          id = vocab.get(piece);
+          break;
+        }
+        end--;
+      }
+      if (id === null) return [UNK];
+      ids.push(id);
+      start = end;
+    }
+    return ids;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {number[]} Token ids including [CLS] and [SEP]
+   */
+  function encode(text) {
+    const ids = basicTokens(text).flatMap(pieces).slice(0, maxTokens - 2);
+    return [CLS, ...ids, SEP];
+  }
+
+  return { encode, size: vocab.size };
+}
+
+function findModelFile(modelDir) {
+  return ['model.onnx', path.join('onnx', 'model.onnx')]
+    .map(file => path.join(modelDir, file))
+    .find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.modelDir] - Folder with model.onnx and vocab.txt
+ * @param {number} [options.maxTokens]
+ * @param {Object} [options.runtime] - onnxruntime module (tests)
+ */
+function createOnnxBackend({ modelDir = null, maxTokens = MAX_TOKENS, runtime = undefined } = {}) {
+  const ort = runtime === undefined ? loadRuntime() : runtime;
+  const modelFile = modelDir ? findModelFile(modelDir) : null;
+  const vocabFile = modelDir ? path.join(modelDir, 'vocab.txt') : null;
+  const modelName = modelDir ? path.basename(path.resolve(modelDir)) : 'none';
+
+  let session = null;
+  let tokenizer = null;
+
+  const backend = {
+    name: 'onnx',
+    model: modelName,
+    dimensions: null, // known after the first batch
+    signature: `onnx:${modelName}`,
+
+    isAvailable() {
+      return !!ort && !!modelFile && fs.existsSync(vocabFile);
+    },
+
+    /**
+     * Why isAvailable() is false, for logs and the status endpoint
+     * @returns {string|null}
+     */
+    unavailableReason() {
+      if (!ort) return 'onnxruntime-node is not installed';
+      if (!modelDir) return 'ML_EMBEDDING_MODEL_DIR is not set';
+      if (!modelFile) return `no model.onnx in ${modelDir}`;
+      if (!fs.existsSync(vocabFile)) return `no vocab.txt in ${modelDir}`;
+      return null;
+    },
+
+    async embed(texts) {
+      if (!backend.isAvailable()) throw new Error(`ONNX backend unavailable: ${backend.unavailableReason()}`);
+      if (texts.length === 0) return [];
+      if (!session) {
+        tokenizer = createWordPiece(fs.readFileSync(vocabFile, 'utf8'), { maxTokens });
+        session = await ort.InferenceSession.create(modelFile);
+      }
+
+      const encoded = texts.map(text => tokenizer.encode(text));
+      const length = Math.max(...encoded.map(ids => ids.length));
+      const ids = new BigInt64Array(texts.length * length);
+      const mask = new BigInt64Array(texts.length * length);
+      encoded.forEach((row, r) => row.forEach((id, c) => {
+        ids[r * length + c] = BigInt(id);
+        mask[r * length + c] = 1n;
+      }));
+
+      const shape = [texts.length, length];
+      const feeds = {
+        input_ids: new ort.Tensor('int64', ids, shape),
+        attention_mask: new ort.Tensor('int64', mask, shape),
+      };
+      if (session.inputNames.includes('token_type_ids')) {
+        feeds.token_type_ids = new ort.Tensor('int64', new BigInt64Array(texts.length * length), shape);
+      }
+
+      const outputs = await session.run(feeds);
+      const output = outputs.sentence_embedding || outputs.last_hidden_state || outputs[session.outputNames[0]];
+      const pooled = output.dims.length === 2;
+      const dimensions = output.dims[output.dims.length - 1];
+      backend.dimensions = dimensions;
+
+      return encoded.map((row, r) => {
+        const vector = new Float32Array(dimensions);
+        if (pooled) {
+          vector.set(output.data.subarray(r * dimensions, (r + 1) * dimensions));
+        } else {
+          // Mean pooling over real tokens (padding masked out); the sum
+          // points the same way and is normalised below
+          for (let c = 0; c < row.length; c++) {
+            const offset = (r * length + c) * dimensions;
+            for (let d = 0; d < dimensions; d++) vector[d] += output.data[offset + d];
+          }
+        }
+        return normalize(vector);
+      });
+    },
+  };
+
+  return backend;
+}
+
+module.exports = {
+  createWordPiece,
+  createOnnxBackend,
+};
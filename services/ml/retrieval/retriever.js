@@ -0,0 +1,206 @@
+/**
+ * Hybrid Retriever
+ * Ranks knowledge-base documents for a query by mixing BM25 (exact terms,
+ * rare words count most) with vector similarity from the embedding backend
+ * (paraphrases, misspellings). Both are on a 0-1 scale:
+ *
+ *   score = vectorWeight * cosine + (1 - vectorWeight) * bm25 share
+ *
+ * The retriever has no database access of its own: documents and a cheap
+ * corpus version come from injected functions (see index.js for the app's),
+ * so tests can build one over fixtures.
+ *
+ * @module ml/retrieval/retriever
+ */
+
+const { analyze, concepts } = require('./text');
+const { createBm25 } = require('./bm25');
+const { createVectorIndex } = require('./vector-index');
+const { buildReport } = require('./evaluate');
+
+const MODES = ['lexical', 'vector', 'hybrid'];
+const DEFAULT_VECTOR_WEIGHT = 0.5;
+
+// Concept groups join the terms, so "salary" finds a question about pay
+const withConcepts = (terms) => [...terms, ...concepts(terms).map(concept => `~${concept}`)];
+
+// The question is what queries resemble, so it counts twice; the answer
+// only adds context
+const vectorText = (document) => [document.question, ...(document.keywords || [])].join('\n');
+const lexicalTerms = (document) => {
+  const question = analyze([document.question, ...(document.keywords || [])].join(' '));
+  return [...withConcepts(question), ...question, ...analyze(document.answer)];
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.backend - See backends.js
+ * @param {Function} options.loadDocuments - () => documents: { key, source,
+ *   sourceId, question, answer, category, keywords, confidence }
+ * @param {Function} [options.corpusVersion] - () => value that changes when
+ *   documents do; without it documents load once (call refresh() to reload)
+ * @param {string} [options.indexFile] - On-disk vector index
+ * @param {number} [options.vectorWeight]
+ */
+function createRetriever({ backend, loadDocuments, corpusVersion = null, indexFile = null, vectorWeight = DEFAULT_VECTOR_WEIGHT }) {
+  const index = createVectorIndex({ backend, file: indexFile });
+  index.load();
+
+  let documents = [];
+  let byKey = new Map();
+  let bm25 = createBm25([]);
+  let version;
+  let loaded = false;
+  let refreshing = null;
+  let lastSync = null;
+  let lastError = null;
+
+  /**
+   * Reload documents, rebuild BM25 and sync the vector index
+   * @returns {Promise<Object>} Sync counts
+   */
+  function refresh() {
+    if (refreshing) return refreshing;
+    refreshing = (async () => {
+      const nextVersion = corpusVersion ? corpusVersion() : undefined;
+      documents = loadDocuments();
+      byKey = new Map(documents.map(document => [document.key, document]));
+      bm25 = createBm25(documents.map(document => ({ key: document.key, terms: lexicalTerms(document) })));
+      try {
+        lastSync = { ...(await index.sync(documents.map(document => ({ key: document.key, text: vectorText(document) })))), at: new Date().toISOString() };
+        lastError = null;
+      } catch (error) {
+        lastError = error.message;
+        console.warn('🔎 [Retrieval] Vector index sync failed, ranking on BM25 only:', error.message);
+      }
+      version = nextVersion;
+      loaded = true;
+      return lastSync;
+    })().finally(() => {
+      refreshing = null;
+    });
+    return refreshing;
+  }
+
+  async function ensureFresh() {
+    if (refreshing) await refreshing;
+    if (!loaded || (corpusVersion && corpusVersion() !== version)) await refresh();
+  }
+
+  async function queryVector(query) {
+    try {
+      const [vector] = await backend.embed([query]);
+      return vector;
+    } catch (error) {
+      lastError = error.message;
+      console.warn('🔎 [Retrieval] Query embedding failed, ranking on BM25 only:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Rank documents for a query
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.k=5]
+   * @param {string} [options.mode='hybrid'] - lexical | vector | hybrid
+   * @param {string[]} [options.sources] - Only these document sources
+   * @param {number} [options.minScore=0]
+   * @returns {Promise<Object[]>} Documents with score, lexical, vector and rank
+   */
+  async function search(query, { k = 5, mode = 'hybrid', sources = null, minScore = 0 } = {}) {
+    if (!MODES.includes(mode)) throw new Error(`Retrieval mode must be one of: ${MODES.join(', ')}`);
+    await ensureFresh();
+    if (!query || documents.length === 0) return [];
+
+    const lexical = mode === 'vector' ? new Map() : bm25.score(withConcepts(analyze(query)));
+    const vector = mode === 'lexical' ? null : await queryVector(query);
+    const cosine = vector ? index.similarities(vector) : new Map();
+    const weight = vector ? vectorWeight : 0;
+
+    const hits = [];
+    for (const document of documents) {
+      if (sources && !sources.includes(document.source)) continue;
+      const lexicalScore = lexical.get(document.key)?.normalized || 0;
+      const vectorScore = Math.max(0, cosine.get(document.key) || 0);
+      const score = mode === 'lexical' ? lexicalScore
+        : mode === 'vector' ? vectorScore
+          : weight * vectorScore + (1 - weight) * lexicalScore;
+      if (score <= 0 || score < minScore) continue;
+      hits.push({
+        ...document,
+        score: Math.round(score * 1000) / 1000,
+        lexical: Math.round(lexicalScore * 1000) / 1000,
+        vector: Math.round(vectorScore * 1000) / 1000,
+      });
+    }
+
+    return hits
+      .sort((a, b) => b.score - a.score || (b.confidence || 0) - (a.confidence || 0))
+      .slice(0, k)
+      .map((hit, i) => ({ ...hit, rank: i + 1 }));
+  }
+
+  /**
+   * Run labelled queries through every ranking mode
+   * @param {Object[]} cases - { query, relevant: document keys }
+   * @param {Object} [options]
+   * @param {number} [options.k=5]
+   * @returns {Promise<Object>} Report - see evaluate.buildReport
+   */
+  async function evaluate(cases, { k = 5 } = {}) {
+    await ensureFresh();
+    const results = [];
+    for (const { query, relevant } of cases) {
+      const rankings = {};
+      for (const mode of MODES) {
+        rankings[mode] = (await search(query, { k: Math.max(k, 10), mode })).map(hit => hit.key);
+      }
+      results.push({ query, relevant, rankings });
+    }
+    return {
+      ...buildReport(results, { k, modes: MODES }),
+      backend: status().backend,
+      documents: documents.length,
+      vector_weight: vectorWeight,
+    };
+  }
+
+  function status() {
+    return {
+      backend: { name: backend.name, model: backend.model, signature: backend.signature },
+      documents: documents.length,
+      indexed: index.size,
+      index_file: index.file,
+      index_updated_at: index.updatedAt,
+      vector_weight: vectorWeight,
+      last_sync: lastSync,
+      last_error: lastError,
+    };
+  }
+
+  /**
+   * Drop the vector index and embed everything again
+   * @returns {Promise<Object>} Sync counts
+   */
+  async function rebuild() {
+    if (refreshing) await refreshing;
+    index.clear();
+    return refresh();
+  }
+
+  return {
+    search,
+    evaluate,
+    refresh,
+    rebuild,
+    status,
+    getDocument: (key) => byKey.get(key) || null,
+  };
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_VECTOR_WEIGHT,
+  createRetriever,
+};
@@ -0,0 +1,122 @@
+/**
+ * Retrieval Text Analysis
+ * Turns questions and answers into terms: lowercase, Singlish and SMS
+ * spellings mapped to standard words, particles and stop words dropped,
+ * light suffix stemming. Terms feed BM25; the hashed embedding adds word
+ * pairs and character n-grams on top so misspellings still overlap.
+ *
+ * @module ml/retrieval/text
+ */
+
+const { STOP_WORDS, WORD_VARIATIONS } = require('../embeddings');
+
+// Discourse particles carry tone, not meaning
+const PARTICLES = new Set([
+  'lah', 'la', 'leh', 'lor', 'loh', 'meh', 'sia', 'hor', 'ah', 'ar', 'mah',
+  'bah', 'wah', 'eh', 'orh', 'liao', 'one', 'hah', 'huh',
+]);
+
+// Singlish, SMS and local spellings -> the word the knowledge base uses
+const SPELLINGS = {
+  u: 'you', ur: 'your', yr: 'your', pls: 'please', plz: 'please',
+  tmr: 'tomorrow', tmrw: 'tomorrow', tml: 'tomorrow', tomolo: 'tomorrow', tdy: 'today', '2day': 'today',
+  wat: 'what', wht: 'what', hw: 'how', abt: 'about', bcos: 'because', bc: 'because',
+  dunno: 'know', duno: 'know', cfm: 'confirm', msg: 'message', acc: 'account', acct: 'account',
+  pw: 'password', pwd: 'password', amt: 'amount', sal: 'salary', gaji: 'salary',
+  ot: 'overtime', mc: 'sick', hp: 'phone', handphone: 'phone', nric: 'ic',
+  jio: 'invite', chope: 'book', makan: 'meal', paiseh: 'sorry', kena: 'get',
+  bo: 'no', buay: 'cannot', cmi: 'cannot', cant: 'cannot', wont: 'not',
+  ppl: 'people', pax: 'people', mth: 'month', mths: 'month', wk: 'week', wks: 'week',
+  hr: 'hour', hrs: 'hour', min: 'minute', mins: 'minute', asap: 'urgent',
+  thx: 'thanks', tq: 'thanks', ty: 'thanks', ok: 'okay', okie: 'okay', k: 'okay',
+};
+
+// Suffix stripping only - enough for "payments"/"payment" and
+// "calculated"/"calculate" to meet; a trailing e is always dropped
+function stem(word) {
+  if (word.length <= 4 || /\d/.test(word)) return word;
+  let stemmed = word;
+  if (word.endsWith('ies')) stemmed = `${word.slice(0, -3)}y`;
+  else if (word.endsWith('ing') && word.length > 5) stemmed = word.slice(0, -3);
+  else if (word.endsWith('ed') && !word.endsWith('eed')) stemmed = word.slice(0, -2);
+  else if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) stemmed = word.slice(0, -1);
+  return stemmed.length > 4 && stemmed.endsWith('e') ? stemmed.slice(0, -1) : stemmed;
+}
+
+// Word groups that mean the same thing to a worker, shared with the TF-IDF
+// matcher, keyed by stem
+const CONCEPTS = new Map();
+for (const [key, variations] of Object.entries(WORD_VARIATIONS)) {
+  for (const word of [key, ...variations]) {
+    if (!CONCEPTS.has(stem(word))) CONCEPTS.set(stem(word), key);
+  }
+}
+
+/**
+ * Words of a text after spelling clean-up, before stop words are dropped
+ * @param {string} text
+ * @returns {string[]}
+ */
+function words(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\b(can|won|don|didn|doesn|isn|aren)'t\b/g, (_, head) => (head === 'can' ? 'cannot' : head === 'won' ? 'wont' : 'not'))
+    .replace(/\$/g, ' money ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => SPELLINGS[word] || word);
+}
+
+/**
+ * Index terms: stop words, particles and single letters dropped, stemmed
+ * @param {string} text
+ * @returns {string[]}
+ */
+function analyze(text) {
+  return words(text)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word) && !PARTICLES.has(word))
+    .map(stem);
+}
+
+/**
+ * Concept groups a text touches, e.g. "salary" and "wage" both -> pay
+ * @param {string[]} terms - From analyze()
+ * @returns {string[]}
+ */
+function concepts(terms) {
+  const found = new Set();
+  for (const term of terms) {
+    const concept = CONCEPTS.get(term);
+    if (concept) found.add(concept);
+  }
+  return [...found];
+}
+
+/**
+ * Character n-grams of a word with boundary markers, e.g. "pay" -> #pa, pay, ay#
+ * @param {string} word
+ * @param {number} [min=3]
+ * @param {number} [max=4]
+ * @returns {string[]}
+ */
+function charNgrams(word, min = 3, max = 4) {
+  const padded = `#${word}#`;
+  const grams = [];
+  for (let n = min; n <= max; n++) {
+    for (let i = 0; i + n <= padded.length; i++) grams.push(padded.slice(i, i + n));
+  }
+  return grams;
+}
+
+module.exports = {
+  PARTICLES,
+  SPELLINGS,
+  words,
+  analyze,
+  concepts,
+  charNgrams,
+  stem,
+};
@@ -0,0 +1,177 @@
+/**
+ * On-disk Vector Index
+ * One vector per knowledge-base document, kept in a JSON file under the data
+ * directory so a restart does not re-embed the whole knowledge base.
+ *
+ * sync() is incremental: each entry stores a hash of the text it was
+ * embedded from, so only new or edited documents are embedded again and
+ * deleted ones are dropped. An index written by a different backend (see
+ * backend.signature) is discarded and rebuilt.
+ *
+ * Search is a full scan - the knowledge base is a few thousand short
+ * entries at most.
+ *
+ * @module ml/retrieval/vector-index
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const INDEX_VERSION = 1;
+const EMBED_BATCH_SIZE = 32;
+
+/**
+ * Scale a vector to unit length in place
+ * @param {Float32Array} vector
+ * @returns {Float32Array}
+ */
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+/**
+ * Dot product - cosine similarity for unit vectors
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number}
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+const textHash = (text) => crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+
+const encodeVector = (vector) => Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+
+function decodeVector(text) {
+  const buffer = Buffer.from(text, 'base64');
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.backend - See backends.js
+ * @param {string} [options.file] - JSON file; in memory only when omitted
+ */
+function createVectorIndex({ backend, file = null }) {
+  const entries = new Map(); // key -> { hash, vector }
+  let updatedAt = null;
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return false;
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (stored.version !== INDEX_VERSION || stored.signature !== backend.signature) {
+        console.log(`🔎 [Retrieval] Index ${path.basename(file)} was built by ${stored.signature || 'an older version'} - rebuilding`);
+        return false;
+      }
+      for (const [key, entry] of Object.entries(stored.entries || {})) {
+        entries.set(key, { hash: entry.hash, vector: decodeVector(entry.vector) });
+      }
+      updatedAt = stored.updated_at || null;
+      return true;
+    } catch (error) {
+      console.warn(`🔎 [Retrieval] Ignoring unreadable index ${file}:`, error.message);
+      return false;
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    const stored = {
+      version: INDEX_VERSION,
+      signature: backend.signature,
+      dimensions: entries.size > 0 ? entries.values().next().value.vector.length : backend.dimensions,
+      updated_at: updatedAt,
+      entries: Object.fromEntries([...entries].map(([key, entry]) => [key, { hash: entry.hash, vector: encodeVector(entry.vector) }])),
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(stored));
+    fs.renameSync(temporary, file);
+  }
+
+  /**
+   * Bring the index in line with the documents
+   * @param {Object[]} documents - { key, text }
+   * @returns {Promise<{ added: number, updated: number, removed: number, unchanged: number }>}
+   */
+  async function sync(documents) {
+    const result = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    const pending = [];
+    const keys = new Set();
+
+    for (const document of documents) {
+      keys.add(document.key);
+      const hash = textHash(document.text);
+      const existing = entries.get(document.key);
+      if (existing && existing.hash === hash) {
+        result.unchanged++;
+        continue;
+      }
+      result[existing ? 'updated' : 'added']++;
+      pending.push({ key: document.key, text: document.text, hash });
+    }
+
+    for (const key of [...entries.keys()]) {
+      if (!keys.has(key)) {
+        entries.delete(key);
+        result.removed++;
+      }
+    }
+
+    for (let i = 0; i < pending.length; i += EMBED_BATCH_SIZE) {
+      const batch = pending.slice(i, i + EMBED_BATCH_SIZE);
+      const vectors = await backend.embed(batch.map(item => item.text));
+      batch.forEach((item, j) => entries.set(item.key, { hash: item.hash, vector: vectors[j] }));
+    }
+
+    if (pending.length > 0 || result.removed > 0) {
+      updatedAt = new Date().toISOString();
+      save();
+    }
+    return result;
+  }
+
+  /**
+   * Cosine similarity of every indexed document to a query vector
+   * @param {Float32Array} queryVector
+   * @returns {Map<string, number>}
+   */
+  function similarities(queryVector) {
+    const scores = new Map();
+    for (const [key, entry] of entries) {
+      if (entry.vector.length === queryVector.length) scores.set(key, dot(queryVector, entry.vector));
+    }
+    return scores;
+  }
+
+  function clear() {
+    entries.clear();
+    updatedAt = null;
+    if (file && fs.existsSync(file)) fs.unlinkSync(file);
+  }
+
+  return {
+    load,
+    sync,
+    similarities,
+    clear,
+    get size() { return entries.size; },
+    get updatedAt() { return updatedAt; },
+    file,
+  };
+}
+
+module.exports = {
+  createVectorIndex,
+  normalize,
+  dot,
+};
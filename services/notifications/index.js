@@ -7,10 +7,15 @@
 const emailService = require('./emailService');
 const smsService = require('./smsService');
 const slackService = require('./slackService');
-const Database = require('better-sqlite3');
-const path = require('path');
+const { store } = require('../../db');
+const { quietMinutesLeft } = require('../alerts/rules');
 
-const DB_PATH = path.join(__dirname, '../../database/gebiz_intelligence.db');
+// Fallback addresses for role recipients (see getRecipients)
+const ROLE_EMAILS = {
+  bid_manager: () => process.env.BID_MANAGER_EMAIL,
+  bd_manager: () => process.env.BD_MANAGER_EMAIL,
+  director: () => process.env.DIRECTOR_EMAIL
+};
 
 class NotificationRouter {
   constructor() {
@@ -175,8 +180,6 @@ class NotificationRouter {
     };
     
     try {
-      const db = new Database(DB_PATH, { readonly: true });
-      
       // Parse recipient config
       const config = typeof recipientConfig === 'string' 
         ? JSON.parse(recipientConfig) 
@@ -200,9 +203,7 @@ class NotificationRouter {
       // User IDs - fetch preferences from database
       if (config.users && Array.isArray(config.users)) {
         for (const userId of config.users) {
-          const prefs = db.prepare(
-            'SELECT * FROM user_alert_preferences WHERE user_id = ?'
-          ).get(userId);
+          const prefs = store.get('SELECT * FROM user_alert_preferences WHERE user_id = ?', userId);
           
           if (prefs) {
             // Check if user is in quiet hours or DND
@@ -231,21 +232,13 @@ class NotificationRouter {
       if (config.roles && Array.isArray(config.roles)) {
         // In a real system, you'd query users table by role
         // For now, use fallback emails
-        const roleEmails = {
-          'bid_manager': process.env.BID_MANAGER_EMAIL,
-          'bd_manager': process.env.BD_MANAGER_EMAIL,
-          'director': process.env.DIRECTOR_EMAIL
-        };
-        
         for (const role of config.roles) {
-          if (roleEmails[role]) {
-            recipients.emails.push(roleEmails[role]);
+          if (ROLE_EMAILS[role]) {
+            recipients.emails.push(ROLE_EMAILS[role]());
           }
         }
       }
       
-      db.close();
-      
       // Deduplicate
       recipients.emails = [...new Set(recipients.emails)].filter(Boolean);
       recipients.phones = [...new Set(recipients.phones)].filter(Boolean);
@@ -258,6 +251,73 @@ class NotificationRouter {
     return recipients;
   }
 
+  /**
+   * Recipients one by one with their own addresses, channels, quiet hours
+   * and do not disturb, for per-recipient delivery (expression rules).
+   * Users come from user_alert_preferences; a user entry may narrow their
+   * channels for the rule: { user_id: 'admin', channels: ['slack'] }.
+   * Plain emails, phones, Slack channels and roles have no quiet hours.
+   */
+  getRecipientList(recipientConfig) {
+    const list = [];
+
+    try {
+      const config = (typeof recipientConfig === 'string' ? JSON.parse(recipientConfig) : recipientConfig) || {};
+
+      for (const entry of config.users || []) {
+        const userId = typeof entry === 'string' ? entry : entry.user_id;
+        const prefs = store.get('SELECT * FROM user_alert_preferences WHERE user_id = ?', userId);
+        if (!prefs) continue;
+
+        const only = typeof entry === 'object' && Array.isArray(entry.channels) ? entry.channels : null;
+        const allow = (channel, enabled, address) => (enabled && (!only || only.includes(channel)) ? address : null);
+
+        list.push({
+          name: userId,
+          addresses: {
+            email: allow('email', prefs.email_enabled, prefs.email_address),
+            sms: allow('sms', prefs.sms_enabled, prefs.sms_number),
+            slack: allow('slack', prefs.slack_enabled, prefs.slack_user_id ? `@${prefs.slack_user_id}` : null)
+          },
+          quiet_hours: prefs.quiet_hours_enabled
+            ? { start: prefs.quiet_hours_start, end: prefs.quiet_hours_end, timezone: prefs.timezone }
+            : null,
+          dnd_enabled: !!prefs.dnd_enabled,
+          dnd_until: prefs.dnd_until,
+          min_priority: prefs.min_priority
+        });
+      }
+
+      (config.emails || []).forEach(email => list.push({ name: email, addresses: { email } }));
+      (config.phones || []).forEach(sms => list.push({ name: sms, addresses: { sms } }));
+      (config.slack_channels || []).forEach(slack => list.push({ name: slack, addresses: { slack } }));
+      (config.roles || []).forEach(role => {
+        const email = ROLE_EMAILS[role] && ROLE_EMAILS[role]();
+        if (email) list.push({ name: role, addresses: { email } });
+      });
+    } catch (error) {
+      console.error('Error getting recipient list:', error);
+    }
+
+    return list;
+  }
+
+  /**
+   * Send a generic alert to a single address on one channel
+   */
+  async sendToChannel(channel, alert, address) {
+    switch (channel) {
+      case 'email':
+        return emailService.sendAlert(alert, [address]);
+      case 'sms':
+        return smsService.sendAlert(alert, [address]);
+      case 'slack':
+        return slackService.sendAlert(alert, [address]);
+      default:
+        return { success: false, error: `Unsupported channel: ${channel}` };
+    }
+  }
+
   /**
    * Determine channels based on priority
    * CRITICAL: email + SMS + Slack + in-app
@@ -284,29 +344,16 @@ class NotificationRouter {
   }
 
   /**
-   * Check if user is in quiet hours
+   * Check if user is in quiet hours (in their own timezone)
    */
   isInQuietHours(prefs) {
     if (!prefs.quiet_hours_enabled) return false;
-    
-    const now = new Date();
-    const hours = now.getHours();
-    const minutes = now.getMinutes();
-    const currentTime = hours * 60 + minutes;
-    
-    // Parse quiet hours (format: "22:00")
-    const [startHour, startMin] = (prefs.quiet_hours_start || '22:00').split(':').map(Number);
-    const [endHour, endMin] = (prefs.quiet_hours_end || '07:00').split(':').map(Number);
-    
-    const startTime = startHour * 60 + startMin;
-    const endTime = endHour * 60 + endMin;
-    
-    // Handle overnight quiet hours (e.g., 22:00 to 07:00)
-    if (startTime > endTime) {
-      return currentTime >= startTime || currentTime <= endTime;
-    } else {
-      return currentTime >= startTime && currentTime <= endTime;
-    }
+
+    return quietMinutesLeft({
+      start: prefs.quiet_hours_start || '22:00',
+      end: prefs.quiet_hours_end || '07:00',
+      timezone: prefs.timezone
+    }) > 0;
   }
 
   /**
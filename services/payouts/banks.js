@@ -0,0 +1,53 @@
+/**
+ * Singapore Bank Directory
+ * Maps the free-text `candidates.bank_name` to a clearing bank code for bulk payment files.
+ *
+ * @module payouts/banks
+ */
+
+// Bank codes used by Singapore GIRO/FAST clearing
+const BANKS = [
+  { code: '7171', name: 'DBS Bank', aliases: ['dbs', 'development bank of singapore'] },
+  { code: '7171', name: 'POSB', aliases: ['posb', 'post office savings bank'] },
+  { code: '7339', name: 'OCBC Bank', aliases: ['ocbc', 'oversea-chinese banking'] },
+  { code: '7375', name: 'UOB', aliases: ['uob', 'united overseas bank'] },
+  { code: '9496', name: 'Standard Chartered', aliases: ['standard chartered', 'scb', 'stanchart'] },
+  { code: '7214', name: 'Citibank', aliases: ['citibank', 'citi'] },
+  { code: '9548', name: 'HSBC', aliases: ['hsbc'] },
+  { code: '7302', name: 'Maybank', aliases: ['maybank', 'malayan banking'] },
+  { code: '7986', name: 'CIMB Bank', aliases: ['cimb'] },
+  { code: '7108', name: 'Bank of China', aliases: ['bank of china', 'boc'] },
+];
+
+/**
+ * Resolve a bank from a free-text bank name
+ * @param {string} bankName
+ * @returns {{ code: string, name: string } | null}
+ */
+function lookupBank(bankName) {
+  if (!bankName) return null;
+  const normalized = bankName.toLowerCase().replace(/[^a-z\s-]/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const bank = BANKS.find(({ aliases }) =>
+    aliases.some(alias => new RegExp(`(^| )${alias}`).test(normalized))
+  );
+  return bank ? { code: bank.code, name: bank.name } : null;
+}
+
+/**
+ * Strip spaces and dashes people type into account numbers
+ */
+function normalizeAccountNumber(account) {
+  return String(account || '').replace(/[\s-]/g, '');
+}
+
+function isValidAccountNumber(account) {
+  return /^\d{7,17}$/.test(normalizeAccountNumber(account));
+}
+
+module.exports = {
+  BANKS,
+  lookupBank,
+  normalizeAccountNumber,
+  isValidAccountNumber,
+};
@@ -0,0 +1,108 @@
+/**
+ * Payout Batching
+ * Pure functions that turn payable payments into one bank transfer per worker account.
+ *
+ * @module payouts/batching
+ */
+
+const { lookupBank, normalizeAccountNumber, isValidAccountNumber } = require('./banks');
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Combine payments into transfers, one per candidate bank account.
+ * Payments without usable bank details are returned in `skipped` so finance can chase them.
+ *
+ * @param {Object[]} payments - Rows with id, candidate_id, candidate_name, total_amount, bank_name, bank_account
+ * @returns {{ transfers: Object[], skipped: Object[] }}
+ */
+function buildTransfers(payments) {
+  const transfers = new Map();
+  const skipped = [];
+
+  for (const payment of payments || []) {
+    const skip = (reason) => skipped.push({
+      payment_id: payment.id,
+      candidate_id: payment.candidate_id,
+      candidate_name: payment.candidate_name,
+      amount: roundMoney(payment.total_amount),
+      reason
+    });
+
+    if (!(Number(payment.total_amount) > 0)) {
+      skip('Payment amount must be greater than zero');
+      continue;
+    }
+    if (!payment.bank_name || !payment.bank_account) {
+      skip('Missing bank details');
+      continue;
+    }
+    if (!isValidAccountNumber(payment.bank_account)) {
+      skip('Invalid bank account number');
+      continue;
+    }
+    const bank = lookupBank(payment.bank_name);
+    if (!bank) {
+      skip(`Unrecognised bank: ${payment.bank_name}`);
+      continue;
+    }
+
+    const accountNumber = normalizeAccountNumber(payment.bank_account);
+    const key = `${payment.candidate_id}:${bank.code}:${accountNumber}`;
+    if (!transfers.has(key)) {
+      transfers.set(key, {
+        candidate_id: payment.candidate_id,
+        account_name: payment.candidate_name,
+        bank_name: bank.name,
+        bank_code: bank.code,
+        account_number: accountNumber,
+        amount: 0,
+        payment_ids: []
+      });
+    }
+
+    const transfer = transfers.get(key);
+    transfer.amount = roundMoney(transfer.amount + Number(payment.total_amount));
+    transfer.payment_ids.push(payment.id);
+  }
+
+  const sorted = [...transfers.values()].sort((a, b) =>
+    a.bank_name.localeCompare(b.bank_name) || String(a.account_name).localeCompare(String(b.account_name))
+  );
+
+  return { transfers: sorted, skipped };
+}
+
+/**
+ * Give each transfer a reference the bank echoes back in its result file.
+ * Kept to 16 characters to fit fixed-width layouts.
+ */
+function assignReferences(transfers, batchId) {
+  return transfers.map((transfer, index) => ({
+    ...transfer,
+    reference: `${batchId}-${String(index + 1).padStart(4, '0')}`.slice(-16)
+  }));
+}
+
+/**
+ * Transfer count and value per bank
+ */
+function summariseByBank(transfers) {
+  const banks = new Map();
+  for (const transfer of transfers) {
+    const bank = banks.get(transfer.bank_name) || { bank_name: transfer.bank_name, bank_code: transfer.bank_code, count: 0, amount: 0 };
+    bank.count++;
+    bank.amount = roundMoney(bank.amount + transfer.amount);
+    banks.set(transfer.bank_name, bank);
+  }
+  return [...banks.values()];
+}
+
+module.exports = {
+  roundMoney,
+  buildTransfers,
+  assignReferences,
+  summariseByBank,
+};
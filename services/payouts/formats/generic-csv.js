@@ -0,0 +1,65 @@
+/**
+ * Generic CSV Payout Format
+ * One row per transfer; accepted by most bank bulk-upload portals after column mapping.
+ *
+ * Result file: CSV with columns reference, status, bank_reference, reason.
+ * Status values such as paid/success/completed/accepted mark a transfer paid; anything else failed.
+ *
+ * @module payouts/formats/generic-csv
+ */
+
+const { toCsvRow, parseCsv } = require('./csv');
+
+const SUCCESS_STATUSES = ['paid', 'success', 'successful', 'completed', 'accepted', 'ok'];
+
+const HEADER = ['reference', 'bank_name', 'bank_code', 'account_number', 'account_name', 'amount', 'currency', 'payment_count', 'value_date'];
+
+function build({ batch, transfers }) {
+  const lines = [toCsvRow(HEADER)];
+  for (const transfer of transfers) {
+    lines.push(toCsvRow([
+      transfer.reference,
+      transfer.bank_name,
+      transfer.bank_code,
+      transfer.account_number,
+      transfer.account_name,
+      transfer.amount.toFixed(2),
+      'SGD',
+      transfer.payment_ids.length,
+      batch.value_date
+    ]));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function parseResult(content) {
+  const rows = parseCsv(content);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const column = (name) => header.indexOf(name);
+  const referenceCol = column('reference');
+  const statusCol = column('status');
+  if (referenceCol === -1 || statusCol === -1) {
+    throw new Error('Result file must have "reference" and "status" columns');
+  }
+
+  return rows.slice(1).map(row => {
+    const status = (row[statusCol] || '').trim().toLowerCase();
+    return {
+      reference: (row[referenceCol] || '').trim(),
+      status: SUCCESS_STATUSES.includes(status) ? 'paid' : 'failed',
+      bank_reference: column('bank_reference') >= 0 ? (row[column('bank_reference')] || '').trim() || null : null,
+      reason: column('reason') >= 0 ? (row[column('reason')] || '').trim() || null : null
+    };
+  });
+}
+
+module.exports = {
+  id: 'generic-csv',
+  label: 'Generic CSV',
+  extension: 'csv',
+  contentType: 'text/csv',
+  build,
+  parseResult
+};
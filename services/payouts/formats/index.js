@@ -0,0 +1,31 @@
+/**
+ * Payout File Format Registry
+ * Each format exports { id, label, extension, contentType, build(), parseResult() }.
+ * Register new bank layouts here.
+ *
+ * @module payouts/formats
+ */
+
+const genericCsv = require('./generic-csv');
+const sgGiro = require('./sg-giro');
+
+const FORMATS = {
+  [genericCsv.id]: genericCsv,
+  [sgGiro.id]: sgGiro,
+};
+
+const DEFAULT_FORMAT = genericCsv.id;
+
+function getFormat(id) {
+  return FORMATS[id] || null;
+}
+
+function listFormats() {
+  return Object.values(FORMATS).map(({ id, label, extension }) => ({ id, label, extension }));
+}
+
+module.exports = {
+  DEFAULT_FORMAT,
+  getFormat,
+  listFormats,
+};
@@ -0,0 +1,104 @@
+/**
+ * Singapore GIRO-style Fixed-Width Payout Format
+ * Header, one credit detail record per transfer, and a trailer with control totals.
+ * Every record is padded to 120 characters; amounts are in cents.
+ *
+ *   H | batch ref (16) | value date YYYYMMDD (8) | originator bank (4) | originator account (34) | originator name (35)
+ *   D | bank code (4) | branch (3) | account (34) | account name (35) | txn code "22" (2) | amount cents (11) | reference (16)
+ *   T | record count (7) | total cents (13)
+ *
+ * Result (return) file, one record per transfer, other record types ignored:
+ *   R | reference (16) | status (2, "00" = credited) | bank reference (16) | reason (40)
+ *
+ * @module payouts/formats/sg-giro
+ */
+
+const RECORD_LENGTH = 120;
+const CREDIT_TRANSACTION_CODE = '22';
+const SUCCESS_CODE = '00';
+
+function alpha(value, length) {
+  return String(value ?? '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 .,&()/-]/g, ' ')
+    .slice(0, length)
+    .padEnd(length, ' ');
+}
+
+function numeric(value, length) {
+  const text = String(value ?? '').replace(/\D/g, '');
+  if (text.length > length) {
+    throw new Error(`Value ${value} does not fit in ${length} digits`);
+  }
+  return text.padStart(length, '0');
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function record(fields) {
+  return fields.join('').padEnd(RECORD_LENGTH, ' ');
+}
+
+function build({ batch, transfers, originator = {} }) {
+  const lines = [];
+
+  lines.push(record([
+    'H',
+    alpha(batch.id, 16),
+    numeric(batch.value_date, 8),
+    numeric(originator.bankCode, 4),
+    alpha(originator.account, 34),
+    alpha(originator.name, 35)
+  ]));
+
+  let totalCents = 0;
+  for (const transfer of transfers) {
+    const cents = toCents(transfer.amount);
+    totalCents += cents;
+    lines.push(record([
+      'D',
+      numeric(transfer.bank_code, 4),
+      // Branch code is the leading 3 digits of the account for local banks
+      numeric(transfer.account_number.slice(0, 3), 3),
+      alpha(transfer.account_number, 34),
+      alpha(transfer.account_name, 35),
+      CREDIT_TRANSACTION_CODE,
+      numeric(cents, 11),
+      alpha(transfer.reference, 16)
+    ]));
+  }
+
+  lines.push(record([
+    'T',
+    numeric(transfers.length, 7),
+    numeric(totalCents, 13)
+  ]));
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+function parseResult(content) {
+  return String(content || '')
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('R'))
+    .map(line => {
+      const status = line.slice(17, 19);
+      return {
+        reference: line.slice(1, 17).trim(),
+        status: status === SUCCESS_CODE ? 'paid' : 'failed',
+        bank_reference: line.slice(19, 35).trim() || null,
+        reason: line.slice(35, 75).trim() || (status === SUCCESS_CODE ? null : `Bank return code ${status}`)
+      };
+    });
+}
+
+module.exports = {
+  id: 'sg-giro',
+  label: 'Singapore GIRO (fixed-width)',
+  extension: 'txt',
+  contentType: 'text/plain',
+  build,
+  parseResult
+};
@@ -0,0 +1,329 @@
+/**
+ * Payout Batch Service
+ * Turns approved payments into a bank bulk-payment file and reconciles
+ * the bank's result file back onto each payment.
+ *
+ * Flow:
+ *   approved payments → batch generated (payments 'processing', file downloadable)
+ *   → bank result imported: credited transfers mark their payments 'paid',
+ *     rejected transfers return their payments to 'approved' for the next batch
+ *
+ * @module payouts
+ */
+
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const { buildTransfers, assignReferences, summariseByBank, roundMoney } = require('./batching');
+const { DEFAULT_FORMAT, getFormat, listFormats } = require('./formats');
+
+const logger = createLogger('payouts');
+
+const SCOPES = ['approved', 'withdrawals'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function getOriginator() {
+  return {
+    bankCode: process.env.PAYOUT_ORIGINATOR_BANK_CODE || '',
+    account: process.env.PAYOUT_ORIGINATOR_ACCOUNT || '',
+    name: process.env.PAYOUT_ORIGINATOR_NAME || process.env.COMPANY_NAME || 'WorkLink'
+  };
+}
+
+function requireFormat(formatId) {
+  const format = getFormat(formatId || DEFAULT_FORMAT);
+  if (!format) {
+    throw ApiError.badRequest(`Unknown payout format: ${formatId}`, 'INVALID_FORMAT');
+  }
+  return format;
+}
+
+function requireBatch(id) {
+  const batch = db.prepare('SELECT * FROM payout_batches WHERE id = ?').get(id);
+  if (!batch) {
+    throw ApiError.notFound('Payout batch not found', 'BATCH_NOT_FOUND');
+  }
+  return batch;
+}
+
+/**
+ * Approved payments not already in a batch
+ * @param {string} scope - 'approved' for all, 'withdrawals' for withdrawal requests only
+ */
+function getPayablePayments(scope = 'approved') {
+  if (!SCOPES.includes(scope)) {
+    throw ApiError.badRequest(`scope must be one of: ${SCOPES.join(', ')}`, 'INVALID_SCOPE');
+  }
+
+  return db.prepare(`
+    SELECT p.id, p.candidate_id, p.total_amount, p.withdrawal_requested,
+      c.name as candidate_name, c.bank_name, c.bank_account
+    FROM payments p
+    LEFT JOIN candidates c ON p.candidate_id = c.id
+    WHERE p.status = 'approved' AND p.payout_batch_id IS NULL
+      ${scope === 'withdrawals' ? 'AND p.withdrawal_requested = 1' : ''}
+    ORDER BY p.created_at
+  `).all();
+}
+
+/**
+ * What a batch would contain right now, without creating it
+ */
+function preview({ scope = 'approved' } = {}) {
+  const { transfers, skipped } = buildTransfers(getPayablePayments(scope));
+  return {
+    scope,
+    transfer_count: transfers.length,
+    payment_count: transfers.reduce((sum, t) => sum + t.payment_ids.length, 0),
+    total_amount: roundMoney(transfers.reduce((sum, t) => sum + t.amount, 0)),
+    by_bank: summariseByBank(transfers),
+    transfers,
+    skipped
+  };
+}
+
+/**
+ * Create a payout batch and its bank file
+ * @param {Object} params
+ * @param {string} [params.format] - Format id (see formats registry)
+ * @param {string} params.valueDate - YYYY-MM-DD date the bank should credit
+ * @param {string} [params.scope] - 'approved' or 'withdrawals'
+ * @param {string} [params.createdBy]
+ * @returns {Object} Batch with items and skipped payments
+ */
+function createBatch({ format: formatId, valueDate, scope = 'approved', createdBy }) {
+  const format = requireFormat(formatId);
+  if (!valueDate || !DATE_PATTERN.test(valueDate)) {
+    throw ApiError.badRequest('value_date must be a date (YYYY-MM-DD)', 'INVALID_DATE');
+  }
+
+  const run = db.transaction(() => {
+    const { transfers: grouped, skipped } = buildTransfers(getPayablePayments(scope));
+    if (grouped.length === 0) {
+      throw ApiError.badRequest('No approved payments with valid bank details to pay out', 'NOTHING_TO_PAY');
+    }
+
+    const id = 'PB' + Date.now().toString(36).toUpperCase();
+    const transfers = assignReferences(grouped, id);
+    const batch = { id, value_date: valueDate };
+    const content = format.build({ batch, transfers, originator: getOriginator() });
+    const fileName = `payout-${id}-${valueDate}.${format.extension}`;
+    const paymentCount = transfers.reduce((sum, t) => sum + t.payment_ids.length, 0);
+    const totalAmount = roundMoney(transfers.reduce((sum, t) => sum + t.amount, 0));
+
+    db.prepare(`
+      INSERT INTO payout_batches (id, format, value_date, scope, transfer_count, payment_count, total_amount,
+        file_name, file_content, status, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'generated', ?)
+    `).run(id, format.id, valueDate, scope, transfers.length, paymentCount, totalAmount, fileName, content, createdBy || null);
+
+    const insertItem = db.prepare(`
+      INSERT INTO payout_batch_items (batch_id, reference, candidate_id, bank_name, bank_code, account_number,
+        account_name, amount, payment_ids)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const lockPayment = db.prepare(`
+      UPDATE payments SET status = 'processing', payout_batch_id = ?, payout_failure_reason = NULL
+      WHERE id = ? AND status = 'approved'
+    `);
+
+    for (const transfer of transfers) {
+      insertItem.run(id, transfer.reference, transfer.candidate_id, transfer.bank_name, transfer.bank_code,
+        transfer.account_number, transfer.account_name, transfer.amount, JSON.stringify(transfer.payment_ids));
+      transfer.payment_ids.forEach(paymentId => lockPayment.run(id, paymentId));
+    }
+
+    return { id, skipped };
+  });
+
+  const { id, skipped } = run();
+  const batch = getDetails(id);
+
+  logger.business('payout_batch_created', {
+    batch_id: id,
+    format: batch.format,
+    transfers: batch.transfer_count,
+    total_amount: batch.total_amount,
+    skipped: skipped.length
+  });
+
+  return { ...batch, skipped };
+}
+
+/**
+ * Apply the bank's result file to a batch
+ * @param {string} batchId
+ * @param {string} content - Raw result file text
+ * @param {string} [fileName]
+ * @returns {Object} Reconciliation summary
+ */
+function importResult(batchId, content, fileName) {
+  const batch = requireBatch(batchId);
+  if (['reconciled', 'cancelled'].includes(batch.status)) {
+    throw ApiError.conflict(`Batch is already ${batch.status}`, 'BATCH_CLOSED');
+  }
+  if (!content || !String(content).trim()) {
+    throw ApiError.badRequest('Result file is empty', 'EMPTY_RESULT_FILE');
+  }
+
+  let results;
+  try {
+    results = requireFormat(batch.format).parseResult(content);
+  } catch (error) {
+    throw ApiError.badRequest(`Could not read result file: ${error.message}`, 'INVALID_RESULT_FILE');
+  }
+
+  const summary = { paid: 0, failed: 0, unmatched: [], already_reconciled: 0, paid_amount: 0 };
+
+  const getItem = db.prepare('SELECT * FROM payout_batch_items WHERE batch_id = ? AND reference = ?');
+  const updateItem = db.prepare(`
+    UPDATE payout_batch_items SET status = ?, bank_reference = ?, failure_reason = ?, reconciled_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+  const markPaid = db.prepare(`
+    UPDATE payments SET status = 'paid', paid_at = CURRENT_TIMESTAMP, transaction_id = ?
+    WHERE id = ? AND status = 'processing'
+  `);
+  const addEarnings = db.prepare('UPDATE candidates SET total_earnings = ROUND(total_earnings + ?, 2) WHERE id = ?');
+  const release = db.prepare(`
+    UPDATE payments SET status = 'approved', payout_batch_id = NULL, payout_failure_reason = ?
+    WHERE id = ? AND status = 'processing'
+  `);
+
+  db.transaction(() => {
+    for (const result of results) {
+      const item = getItem.get(batchId, result.reference);
+      if (!item) {
+        summary.unmatched.push(result.reference);
+        continue;
+      }
+      if (item.status !== 'pending') {
+        summary.already_reconciled++;
+        continue;
+      }
+
+      const paymentIds = JSON.parse(item.payment_ids);
+      if (result.status === 'paid') {
+        updateItem.run('paid', result.bank_reference, null, item.id);
+        for (const paymentId of paymentIds) {
+          const payment = db.prepare('SELECT candidate_id, total_amount FROM payments WHERE id = ?').get(paymentId);
+          if (markPaid.run(result.bank_reference || item.reference, paymentId).changes > 0) {
+            addEarnings.run(payment.total_amount, payment.candidate_id);
+          }
+        }
+        summary.paid++;
+        summary.paid_amount = roundMoney(summary.paid_amount + item.amount);
+      } else {
+        const reason = result.reason || 'Rejected by bank';
+        updateItem.run('failed', result.bank_reference, reason, item.id);
+        paymentIds.forEach(paymentId => release.run(reason, paymentId));
+        summary.failed++;
+      }
+    }
+
+    const { pending } = db.prepare(`
+      SELECT COUNT(*) as pending FROM payout_batch_items WHERE batch_id = ? AND status = 'pending'
+    `).get(batchId);
+    const status = pending === 0 ? 'reconciled' : 'partially_reconciled';
+
+    db.prepare(`
+      UPDATE payout_batches SET status = ?, result_file_name = COALESCE(?, result_file_name),
+        reconciled_at = CASE WHEN ? = 'reconciled' THEN CURRENT_TIMESTAMP ELSE reconciled_at END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, fileName || null, status, batchId);
+
+    summary.status = status;
+    summary.pending = pending;
+  })();
+
+  logger.business('payout_batch_reconciled', {
+    batch_id: batchId,
+    paid: summary.paid,
+    failed: summary.failed,
+    unmatched: summary.unmatched.length,
+    status: summary.status
+  });
+
+  return summary;
+}
+
+/**
+ * Cancel a batch that was never sent to the bank; its payments become payable again
+ */
+function cancelBatch(batchId) {
+  const batch = requireBatch(batchId);
+  if (batch.status !== 'generated') {
+    throw ApiError.conflict('Only batches with no imported results can be cancelled', 'BATCH_NOT_CANCELLABLE');
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE payments SET status = 'approved', payout_batch_id = NULL
+      WHERE payout_batch_id = ? AND status = 'processing'
+    `).run(batchId);
+    db.prepare("UPDATE payout_batch_items SET status = 'failed', failure_reason = 'Batch cancelled' WHERE batch_id = ?").run(batchId);
+    db.prepare("UPDATE payout_batches SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(batchId);
+  })();
+
+  logger.business('payout_batch_cancelled', { batch_id: batchId });
+  return getDetails(batchId);
+}
+
+function list({ status } = {}) {
+  let query = `
+    SELECT id, format, value_date, scope, transfer_count, payment_count, total_amount, file_name,
+      status, result_file_name, reconciled_at, created_by, created_at,
+      (SELECT COUNT(*) FROM payout_batch_items i WHERE i.batch_id = b.id AND i.status = 'paid') as paid_count,
+      (SELECT COUNT(*) FROM payout_batch_items i WHERE i.batch_id = b.id AND i.status = 'failed') as failed_count
+    FROM payout_batches b
+  `;
+  const params = [];
+  if (status) {
+    query += ' WHERE status = ?';
+    params.push(status);
+  }
+  query += ' ORDER BY created_at DESC';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Batch with its transfers (file content omitted - use getFile)
+ */
+function getDetails(id) {
+  const batch = db.prepare('SELECT * FROM payout_batches WHERE id = ?').get(id);
+  if (!batch) return null;
+
+  delete batch.file_content;
+  batch.items = db.prepare('SELECT * FROM payout_batch_items WHERE batch_id = ? ORDER BY id').all(id)
+    .map(item => ({ ...item, payment_ids: JSON.parse(item.payment_ids) }));
+  batch.by_bank = summariseByBank(batch.items);
+
+  return batch;
+}
+
+/**
+ * The generated bank file for download
+ * @returns {{ fileName: string, contentType: string, content: string }}
+ */
+function getFile(id) {
+  const batch = requireBatch(id);
+  return {
+    fileName: batch.file_name,
+    contentType: requireFormat(batch.format).contentType,
+    content: batch.file_content
+  };
+}
+
+module.exports = {
+  SCOPES,
+  listFormats,
+  getPayablePayments,
+  preview,
+  createBatch,
+  importResult,
+  cancelBatch,
+  list,
+  getDetails,
+  getFile
+};
@@ -0,0 +1,359 @@
+/**
+ * Quest Engine
+ * Advances quests and unlocks achievements from domain events recorded on
+ * the server, so the worker app can no longer report its own progress.
+ *
+ * Flow:
+ *   route finishes a change (shift completed, training passed, ...)
+ *   → recordEvent() works out the event's fields from the database
+ *   → every active quest and locked achievement listening to the event is evaluated
+ *   → completions are pushed over the WebSocket (quest_completed / achievement_unlocked)
+ *
+ * Events carrying a source id (deployment, training module, referral) are
+ * recorded once per candidate; replays return { duplicate: true } and change
+ * nothing. Rewards are still claimed by the worker through the claim endpoints.
+ *
+ * @module quest-engine
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { createLogger } = require('../../utils/structured-logger');
+const { getSGDateString } = require('../../shared/constants');
+const { DROPOUT_STATUSES } = require('../backfill');
+const {
+  EVENTS,
+  parseRequirement,
+  achievementRule,
+  matches,
+  nextProgress,
+  periodKey,
+} = require('./rules');
+
+const logger = createLogger('quest-engine');
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+/**
+ * Consecutive most recent rows matching a predicate
+ */
+function leadingRun(rows, predicate) {
+  let run = 0;
+  for (const row of rows) {
+    if (!predicate(row)) break;
+    run++;
+  }
+  return run;
+}
+
+/**
+ * Work out the fields rules are evaluated against. Running totals are read
+ * from the database rather than trusted from the caller.
+ */
+const FIELD_LOADERS = {
+  deployment_completed(candidateId, data) {
+    const deployment = db.prepare(`
+      SELECT d.hours_worked, d.candidate_pay, d.rating, j.job_date, j.urgent
+      FROM deployments d
+      LEFT JOIN jobs j ON d.job_id = j.id
+      WHERE d.id = ?
+    `).get(data.deployment_id) || {};
+
+    const day = deployment.job_date ? new Date(`${deployment.job_date}T00:00:00Z`).getUTCDay() : null;
+    const candidate = db.prepare('SELECT total_jobs_completed FROM candidates WHERE id = ?').get(candidateId) || {};
+
+    const placeholders = DROPOUT_STATUSES.map(() => '?').join(', ');
+    const lastDropout = db.prepare(`
+      SELECT MAX(created_at) as at FROM deployments
+      WHERE candidate_id = ? AND status IN (${placeholders})
+    `).get(candidateId, ...DROPOUT_STATUSES).at;
+    const noCancelStreak = db.prepare(`
+      SELECT COUNT(*) as c FROM deployments
+      WHERE candidate_id = ? AND status = 'completed' AND (? IS NULL OR created_at > ?)
+    `).get(candidateId, lastDropout, lastDropout).c;
+    const weekendShifts = db.prepare(`
+      SELECT COUNT(*) as c FROM deployments d
+      JOIN jobs j ON d.job_id = j.id
+      WHERE d.candidate_id = ? AND d.status = 'completed' AND strftime('%w', j.job_date) IN ('0', '6')
+    `).get(candidateId).c;
+
+    return {
+      hours_worked: deployment.hours_worked || 0,
+      earnings: deployment.candidate_pay || 0,
+      rating: deployment.rating || 0,
+      is_weekend: day === 0 || day === 6,
+      is_urgent: !!deployment.urgent,
+      total_jobs_completed: candidate.total_jobs_completed || 0,
+      no_cancel_streak: noCancelStreak,
+      weekend_shifts: weekendShifts,
+    };
+  },
+
+  rating_received(candidateId, data) {
+    const ratings = db.prepare(`
+      SELECT rating FROM deployments
+      WHERE candidate_id = ? AND rating IS NOT NULL
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT 500
+    `).all(candidateId);
+
+    return {
+      rating: Number(data.rating) || 0,
+      five_star_streak: leadingRun(ratings, r => r.rating === 5),
+    };
+  },
+
+  referral_converted(candidateId) {
+    const { c } = db.prepare(`
+      SELECT COUNT(*) as c FROM referrals WHERE referrer_id = ? AND status = 'bonus_paid'
+    `).get(candidateId);
+    return { total_referrals: c };
+  },
+
+  streak_updated(candidateId) {
+    const candidate = db.prepare('SELECT streak_days FROM candidates WHERE id = ?').get(candidateId) || {};
+    return { streak_days: candidate.streak_days || 0 };
+  },
+
+  training_completed(candidateId, data) {
+    const completed = db.prepare(`
+      SELECT COUNT(*) as c FROM candidate_training WHERE candidate_id = ? AND status = 'completed'
+    `).get(candidateId).c;
+    const total = db.prepare('SELECT COUNT(*) as c FROM training').get().c;
+
+    return {
+      score: Number(data.score) || 0,
+      completed_count: completed,
+      all_completed: total > 0 && completed >= total,
+    };
+  },
+
+  availability_updated(candidateId) {
+    const today = getSGDateString();
+    const dates = new Set(db.prepare(`
+      SELECT date FROM candidate_availability
+      WHERE candidate_id = ? AND status = 'available' AND date >= ?
+    `).all(candidateId, today).map(r => r.date));
+
+    // Consecutive days from today onwards
+    let daysAhead = 0;
+    const day = new Date(`${today}T00:00:00Z`);
+    while (dates.has(day.toISOString().slice(0, 10))) {
+      daysAhead++;
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+    return { days_ahead: daysAhead };
+  },
+
+  app_open() {
+    return {};
+  },
+};
+
+/**
+ * Advance the candidate's progress on one quest
+ * @returns {Object|null} Progress entry, or null when nothing changed
+ */
+function advanceQuest(quest, rule, candidateId, fields) {
+  const period = periodKey(quest.type);
+  let row = db.prepare(`
+    SELECT * FROM candidate_quests WHERE candidate_id = ? AND quest_id = ?
+  `).get(candidateId, quest.id);
+
+  // A new day/week starts daily and weekly quests over, unless a finished
+  // quest from the last period is still waiting to be claimed
+  if (row && row.period_key && row.period_key !== period && (row.claimed || !row.completed)) {
+    db.prepare(`
+      UPDATE candidate_quests
+      SET progress = 0, target = ?, completed = 0, claimed = 0, period_key = ?,
+          started_at = CURRENT_TIMESTAMP, completed_at = NULL, claimed_at = NULL
+      WHERE id = ?
+    `).run(rule.target, period, row.id);
+    row = { ...row, progress: 0, completed: 0, claimed: 0 };
+  }
+
+  if (!row) {
+    db.prepare(`
+      INSERT INTO candidate_quests (candidate_id, quest_id, progress, target, completed, period_key)
+      VALUES (?, ?, 0, ?, 0, ?)
+    `).run(candidateId, quest.id, rule.target, period);
+    row = { progress: 0, completed: 0 };
+  }
+
+  if (row.completed) return null;
+
+  const progress = nextProgress(rule, row.progress || 0, fields);
+  if (progress === row.progress) return null;
+
+  const completed = progress >= rule.target;
+  db.prepare(`
+    UPDATE candidate_quests
+    SET progress = ?, target = ?, completed = ?, completed_at = ?, period_key = COALESCE(period_key, ?)
+    WHERE candidate_id = ? AND quest_id = ?
+  `).run(progress, rule.target, completed ? 1 : 0, completed ? new Date().toISOString() : null, period, candidateId, quest.id);
+
+  return { quest_id: quest.id, title: quest.title, progress, target: rule.target, completed };
+}
+
+/**
+ * Push completions to the worker app and admins. Best effort - a closed
+ * socket must not undo the progress already saved.
+ */
+function notifyCompletions(candidateId, quests, achievements) {
+  try {
+    const eventNotifiers = require('../../websocket/broadcasting/event-notifiers');
+    for (const quest of quests) {
+      eventNotifiers.notifyQuestCompleted(candidateId, { ...quest, name: quest.title, reward: quest.xp_reward });
+    }
+    for (const achievement of achievements) {
+      eventNotifiers.notifyAchievementUnlocked(candidateId, achievement);
+    }
+  } catch (error) {
+    logger.warn('Failed to notify gamification completions', { candidate_id: candidateId, error: error.message });
+  }
+}
+
+/**
+ * Push a claimed reward to the worker app's XP bar (and level-up celebration)
+ * @param {string} candidateId
+ * @param {number} xp - XP awarded
+ * @param {string} reason
+ * @param {Object} [levelResult] - processLevelUp() result
+ */
+function notifyReward(candidateId, xp, reason, levelResult = {}) {
+  try {
+    const eventNotifiers = require('../../websocket/broadcasting/event-notifiers');
+    if (xp > 0) eventNotifiers.notifyXPEarned(candidateId, xp, reason);
+    if (levelResult.leveledUp) eventNotifiers.notifyLevelUp(candidateId, levelResult.newLevel);
+  } catch (error) {
+    logger.warn('Failed to notify reward', { candidate_id: candidateId, error: error.message });
+  }
+}
+
+/**
+ * Record a domain event and apply it to the candidate's quests and achievements
+ * @param {string} type - Key of EVENTS in ./rules
+ * @param {string} candidateId
+ * @param {Object} [options]
+ * @param {string} [options.sourceId] - Id of the thing the event is about; makes the event idempotent
+ * @param {Object} [options.data] - Event details the field loader needs (e.g. deployment_id, rating)
+ * @returns {{duplicate: boolean, quests: Object[], achievements: Object[]}}
+ */
+function recordEvent(type, candidateId, { sourceId = null, data = {} } = {}) {
+  if (!EVENTS[type]) {
+    throw new Error(`Unknown gamification event: ${type}`);
+  }
+
+  const fields = FIELD_LOADERS[type](candidateId, data);
+  const eventKey = sourceId ? `${type}:${candidateId}:${sourceId}` : `${type}:${candidateId}:${generateId('EV')}`;
+
+  const apply = db.transaction(() => {
+    const eventId = generateId('GEV');
+    const inserted = db.prepare(`
+      INSERT OR IGNORE INTO gamification_events (id, event_key, candidate_id, event_type, source_id, payload)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(eventId, eventKey, candidateId, type, sourceId, JSON.stringify(fields));
+
+    if (inserted.changes === 0) {
+      return { duplicate: true, quests: [], achievements: [], completedQuests: [] };
+    }
+
+    const progressed = [];
+    const completedQuests = [];
+    for (const quest of db.prepare('SELECT * FROM quests WHERE active = 1').all()) {
+      const rule = parseRequirement(quest.requirement);
+      if (!rule || rule.event !== type || !matches(rule, fields)) continue;
+
+      const entry = advanceQuest(quest, rule, candidateId, fields);
+      if (entry) {
+        progressed.push(entry);
+        if (entry.completed) completedQuests.push(quest);
+      }
+    }
+
+    const unlocked = [];
+    const locked = db.prepare(`
+      SELECT a.* FROM achievements a
+      WHERE NOT EXISTS (
+        SELECT 1 FROM candidate_achievements ca WHERE ca.achievement_id = a.id AND ca.candidate_id = ?
+      )
+    `).all(candidateId);
+    for (const achievement of locked) {
+      const rule = achievementRule(achievement);
+      if (!rule || rule.event !== type || !matches(rule, fields)) continue;
+      if (nextProgress(rule, 0, fields) < rule.target) continue;
+
+      db.prepare(`
+        INSERT OR IGNORE INTO candidate_achievements (candidate_id, achievement_id, claimed)
+        VALUES (?, ?, 0)
+      `).run(candidateId, achievement.id);
+      unlocked.push(achievement);
+    }
+
+    db.prepare(`
+      UPDATE gamification_events SET quests_advanced = ?, achievements_unlocked = ? WHERE id = ?
+    `).run(progressed.length, unlocked.length, eventId);
+
+    return { duplicate: false, quests: progressed, achievements: unlocked, completedQuests };
+  });
+
+  const { completedQuests, ...result } = apply();
+  if (result.duplicate) return result;
+
+  logger.business('gamification_event_recorded', {
+    candidate_id: candidateId,
+    event_type: type,
+    source_id: sourceId,
+    quests_advanced: result.quests.length,
+    quests_completed: completedQuests.length,
+    achievements_unlocked: result.achievements.length,
+  });
+
+  notifyCompletions(candidateId, completedQuests, result.achievements);
+  return result;
+}
+
+/**
+ * recordEvent() for routes: a failure is logged, never thrown, so a broken
+ * quest rule cannot fail the shift, rating or training change that raised it
+ */
+function emit(type, candidateId, options) {
+  if (!candidateId) return null;
+  try {
+    return recordEvent(type, candidateId, options);
+  } catch (error) {
+    logger.error('Failed to record gamification event', {
+      candidate_id: candidateId,
+      event_type: type,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Recent events for a candidate (admin troubleshooting)
+ * @param {string} candidateId
+ * @param {number} [limit]
+ * @returns {Object[]}
+ */
+function listEvents(candidateId, limit = 50) {
+  return db.prepare(`
+    SELECT * FROM gamification_events
+    WHERE candidate_id = ?
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT ?
+  `).all(candidateId, Math.min(Number(limit) || 50, 200)).map(e => ({
+    ...e,
+    payload: JSON.parse(e.payload || '{}'),
+  }));
+}
+
+module.exports = {
+  recordEvent,
+  emit,
+  notifyReward,
+  listEvents,
+};
@@ -0,0 +1,281 @@
+/**
+ * Quest & Achievement Rules
+ * Decides how a domain event advances a quest or unlocks an achievement.
+ *
+ * A rule names the event it listens to, which events qualify and how they
+ * add up to the target:
+ *
+ *   { "event": "deployment_completed", "measure": "sum", "field": "earnings",
+ *     "target": 500, "where": [{ "field": "is_weekend", "op": "eq", "value": true }] }
+ *
+ *   - count: every qualifying event adds 1
+ *   - sum:   every qualifying event adds its `field`
+ *   - max:   progress is the highest `field` seen (streaks and running totals)
+ *
+ * Seeded quests use older shorthand requirements ({"type":"work_streak","days":3})
+ * and achievements a requirement_type/requirement_value pair; both are mapped
+ * onto the same shape by parseRequirement() and achievementRule().
+ *
+ * @module quest-engine/rules
+ */
+
+const { getSGDateString } = require('../../shared/constants');
+
+// Events the server records, and the fields rules can test or add up
+const EVENTS = {
+  deployment_completed: {
+    label: 'Shift completed',
+    fields: {
+      hours_worked: { label: 'Hours worked', type: 'number' },
+      earnings: { label: 'Pay earned ($)', type: 'number' },
+      rating: { label: 'Rating', type: 'number' },
+      is_weekend: { label: 'Weekend shift', type: 'boolean' },
+      is_urgent: { label: 'Urgent job', type: 'boolean' },
+      total_jobs_completed: { label: 'Total shifts completed', type: 'number' },
+      no_cancel_streak: { label: 'Shifts since last cancellation', type: 'number' },
+      weekend_shifts: { label: 'Total weekend shifts', type: 'number' },
+    },
+  },
+  rating_received: {
+    label: 'Rating received',
+    fields: {
+      rating: { label: 'Rating', type: 'number' },
+      five_star_streak: { label: 'Five-star ratings in a row', type: 'number' },
+    },
+  },
+  referral_converted: {
+    label: 'Referral completed first shift',
+    fields: {
+      total_referrals: { label: 'Total successful referrals', type: 'number' },
+    },
+  },
+  streak_updated: {
+    label: 'Work streak updated',
+    fields: {
+      streak_days: { label: 'Streak (days)', type: 'number' },
+    },
+  },
+  training_completed: {
+    label: 'Training passed',
+    fields: {
+      score: { label: 'Score', type: 'number' },
+      completed_count: { label: 'Modules passed', type: 'number' },
+      all_completed: { label: 'All modules passed', type: 'boolean' },
+    },
+  },
+  availability_updated: {
+    label: 'Availability updated',
+    fields: {
+      days_ahead: { label: 'Days ahead marked available', type: 'number' },
+    },
+  },
+  app_open: {
+    label: 'Opened the app',
+    fields: {},
+  },
+};
+
+const EVENT_TYPES = Object.keys(EVENTS);
+
+const MEASURES = ['count', 'sum', 'max'];
+
+const OPERATORS = {
+  eq: (a, b) => a === b,
+  neq: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+};
+
+const MAX_CONDITIONS = 5;
+
+// Shorthand quest requirements used by the seed data
+const LEGACY_QUEST_TYPES = {
+  app_open: r => ({ event: 'app_open', measure: 'count', target: r.count }),
+  weekend_shift: r => ({
+    event: 'deployment_completed',
+    measure: 'count',
+    target: r.count,
+    where: [{ field: 'is_weekend', op: 'eq', value: true }],
+  }),
+  work_streak: r => ({ event: 'streak_updated', measure: 'max', field: 'streak_days', target: r.days }),
+  weekly_earnings: r => ({ event: 'deployment_completed', measure: 'sum', field: 'earnings', target: r.amount }),
+  update_availability: r => ({ event: 'availability_updated', measure: 'max', field: 'days_ahead', target: r.days }),
+};
+
+// achievements.requirement_type → the event and running total it is measured by
+const ACHIEVEMENT_TYPES = {
+  no_cancel_streak: { event: 'deployment_completed', field: 'no_cancel_streak' },
+  weekend_holiday_shifts: { event: 'deployment_completed', field: 'weekend_shifts' },
+  five_star_streak: { event: 'rating_received', field: 'five_star_streak' },
+  all_training: { event: 'training_completed', field: 'all_completed' },
+  referrals: { event: 'referral_converted', field: 'total_referrals' },
+};
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * Validate and clean a rule authored by an admin
+ * @param {Object} data - Raw rule
+ * @returns {{rule: Object}|{error: string}}
+ */
+function normalizeRule(data = {}) {
+  const event = EVENTS[data.event];
+  if (!event) {
+    return { error: `event must be one of: ${EVENT_TYPES.join(', ')}` };
+  }
+
+  const measure = data.measure || 'count';
+  if (!MEASURES.includes(measure)) {
+    return { error: `measure must be one of: ${MEASURES.join(', ')}` };
+  }
+
+  const rule = { event: data.event, measure, target: Number(data.target), where: [] };
+
+  if (measure !== 'count') {
+    if (!event.fields[data.field] || event.fields[data.field].type !== 'number') {
+      return { error: `${measure} needs a number field of ${data.event}` };
+    }
+    rule.field = data.field;
+  }
+
+  if (!Number.isFinite(rule.target) || rule.target <= 0) {
+    return { error: 'target must be a number above 0' };
+  }
+
+  const where = Array.isArray(data.where) ? data.where : [];
+  if (where.length > MAX_CONDITIONS) {
+    return { error: `A rule can have at most ${MAX_CONDITIONS} conditions` };
+  }
+  for (const condition of where) {
+    const field = event.fields[condition.field];
+    if (!field) {
+      return { error: `Unknown field "${condition.field}" for ${data.event}` };
+    }
+    if (!OPERATORS[condition.op]) {
+      return { error: `op must be one of: ${Object.keys(OPERATORS).join(', ')}` };
+    }
+    const value = field.type === 'boolean'
+      ? condition.value === true || condition.value === 'true'
+      : Number(condition.value);
+    if (field.type === 'number' && !Number.isFinite(value)) {
+      return { error: `${condition.field} must be compared with a number` };
+    }
+    rule.where.push({ field: condition.field, op: condition.op, value });
+  }
+
+  return { rule };
+}
+
+/**
+ * Read a quest's stored requirement as a rule
+ * @param {string|Object} requirement - quests.requirement (JSON)
+ * @returns {Object|null} Rule, or null when no server event can complete it
+ */
+function parseRequirement(requirement) {
+  let data = requirement;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data || '{}');
+    } catch {
+      return null;
+    }
+  }
+  if (!data || typeof data !== 'object') return null;
+
+  if (!data.event && LEGACY_QUEST_TYPES[data.type]) {
+    data = LEGACY_QUEST_TYPES[data.type](data);
+    data.target = data.target || 1;
+  }
+
+  const { rule } = normalizeRule(data);
+  return rule || null;
+}
+
+/**
+ * Rule for an achievement row
+ * @param {Object} achievement - { requirement_type, requirement_value }
+ * @returns {Object|null} Rule, or null for requirement types no event measures
+ */
+function achievementRule(achievement) {
+  const mapped = ACHIEVEMENT_TYPES[achievement.requirement_type];
+  if (!mapped) return null;
+  return {
+    event: mapped.event,
+    measure: 'max',
+    field: mapped.field,
+    target: achievement.requirement_value || 1,
+    where: [],
+  };
+}
+
+/**
+ * Whether an event's fields pass every condition of a rule
+ * @param {Object} rule
+ * @param {Object} fields - Event fields
+ * @returns {boolean}
+ */
+function matches(rule, fields) {
+  return rule.where.every(({ field, op, value }) => {
+    const actual = typeof value === 'boolean' ? !!fields[field] : toNumber(fields[field]);
+    return OPERATORS[op](actual, value);
+  });
+}
+
+/**
+ * Progress after a qualifying event, capped at the target
+ * @param {Object} rule
+ * @param {number} current - Progress so far
+ * @param {Object} fields - Event fields
+ * @returns {number}
+ */
+function nextProgress(rule, current, fields) {
+  let progress;
+  switch (rule.measure) {
+    case 'sum':
+      progress = current + toNumber(fields[rule.field]);
+      break;
+    case 'max':
+      progress = Math.max(current, toNumber(fields[rule.field]));
+      break;
+    default:
+      progress = current + 1;
+  }
+  return Math.min(Math.round(progress * 100) / 100, rule.target);
+}
+
+/**
+ * Reset period a quest's progress belongs to (Singapore time).
+ * Daily quests reset at midnight, weekly quests on Monday, others never.
+ * @param {string} questType - 'daily' | 'weekly' | 'special'
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function periodKey(questType, date = new Date()) {
+  if (questType !== 'daily' && questType !== 'weekly') return 'all';
+
+  const day = getSGDateString(date);
+  if (questType === 'daily') return day;
+
+  const monday = new Date(`${day}T00:00:00Z`);
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  EVENTS,
+  EVENT_TYPES,
+  MEASURES,
+  OPERATORS,
+  normalizeRule,
+  parseRequirement,
+  achievementRule,
+  matches,
+  nextProgress,
+  periodKey,
+};
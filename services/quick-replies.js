@@ -227,19 +227,6 @@ function addFrequentReply(candidateId, reply) {
   }
 
   try {
-    // Ensure the frequent_replies table exists
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS frequent_replies (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        candidate_id TEXT NOT NULL,
-        reply_text TEXT NOT NULL,
-        usage_count INTEGER DEFAULT 1,
-        last_used DATETIME DEFAULT CURRENT_TIMESTAMP,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(candidate_id, reply_text)
-      )
-    `);
-
     // Try to update existing, or insert new
     const existing = db.prepare(`
       SELECT id FROM frequent_replies
@@ -349,23 +336,6 @@ function getSuggestedReplies(candidateId, limit = 3) {
  */
 function trackSuggestionUsage(candidateId, suggestion, contextType) {
   try {
-    // Ensure tracking table exists
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS suggestion_usage (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        candidate_id TEXT NOT NULL,
-        suggestion_text TEXT NOT NULL,
-        context_type TEXT NOT NULL,
-        used_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create index if not exists
-    db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_suggestion_candidate_context
-      ON suggestion_usage(candidate_id, context_type)
-    `);
-
     // Record the usage
     db.prepare(`
       INSERT INTO suggestion_usage (candidate_id, suggestion_text, context_type)
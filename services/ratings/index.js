@@ -0,0 +1,402 @@
+/**
+ * Worker Ratings Service
+ * Closes the loop on client ratings: asks clients to rate workers after a
+ * shift, lets workers rate the job site and dispute an unfair rating, and
+ * keeps each worker's aggregate rating current.
+ *
+ * Flow:
+ *   shift ends → sendRatingRequests() emails the client's portal contacts
+ *   → client rates the worker (client-portal rateDeployment) → refreshCandidate()
+ *   → worker may dispute within DISPUTE_WINDOW_DAYS → the rating is left out
+ *     of the aggregate until an admin upholds or removes it
+ *
+ * candidates.rating, rating_count and recent_rating feed the reliability
+ * scorer and candidate matching.
+ *
+ * @module ratings
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const { notifyAdmins } = require('../../websocket/notify-admins');
+const { hasShiftEnded, validateRating } = require('../client-portal/rules');
+const {
+  summarizeRatings,
+  monthlyTrend,
+  validateDispute,
+  validateResolution,
+} = require('./rules');
+
+const logger = createLogger('ratings');
+
+// Shifts that ended longer ago than this are not chased for a rating
+const REQUEST_LOOKBACK_DAYS = 7;
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+function getCandidateDeployment(candidateId, deploymentId) {
+  const deployment = db.prepare(`
+    SELECT d.*, j.title as job_title, j.job_date, j.start_time, j.end_time, j.location, j.client_id,
+           cl.company_name as client_name
+    FROM deployments d
+    JOIN jobs j ON j.id = d.job_id
+    LEFT JOIN clients cl ON cl.id = j.client_id
+    WHERE d.id = ? AND d.candidate_id = ?
+  `).get(deploymentId, candidateId);
+  if (!deployment) throw ApiError.notFound('Deployment not found', 'DEPLOYMENT_NOT_FOUND');
+  return deployment;
+}
+
+// ============================================================================
+// AGGREGATES
+// ============================================================================
+
+/**
+ * Recalculate a worker's rating from their deployments. Ratings under an
+ * open dispute are left out until the dispute is resolved.
+ * @param {string} candidateId
+ * @returns {Object} Summary - { rating, rating_count, recent_rating, trend }
+ */
+function refreshCandidate(candidateId) {
+  const ratings = db.prepare(`
+    SELECT d.rating
+    FROM deployments d
+    LEFT JOIN jobs j ON j.id = d.job_id
+    WHERE d.candidate_id = ? AND d.rating IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM rating_disputes rd WHERE rd.deployment_id = d.id AND rd.status = 'open')
+    ORDER BY COALESCE(d.rated_at, j.job_date, d.created_at) DESC
+  `).all(candidateId).map(r => r.rating);
+
+  const summary = summarizeRatings(ratings);
+  db.prepare(`
+    UPDATE candidates SET rating = ?, rating_count = ?, recent_rating = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(summary.rating, summary.rating_count, summary.recent_rating, candidateId);
+
+  return summary;
+}
+
+/**
+ * A worker's rating history for the admin profile
+ * @param {string} candidateId
+ * @returns {Object} { summary, history, trend, disputes }
+ */
+function getCandidateRatings(candidateId) {
+  if (!db.prepare('SELECT 1 FROM candidates WHERE id = ?').get(candidateId)) {
+    throw ApiError.notFound('Candidate not found', 'CANDIDATE_NOT_FOUND');
+  }
+
+  const history = db.prepare(`
+    SELECT d.id as deployment_id, d.rating, d.feedback, COALESCE(d.rated_at, j.job_date) as rated_at, d.rated_by,
+           j.id as job_id, j.title as job_title, j.job_date, cl.company_name as client_name,
+           rd.id as dispute_id, rd.status as dispute_status
+    FROM deployments d
+    JOIN jobs j ON j.id = d.job_id
+    LEFT JOIN clients cl ON cl.id = j.client_id
+    LEFT JOIN rating_disputes rd ON rd.deployment_id = d.id
+    WHERE d.candidate_id = ? AND d.rating IS NOT NULL
+    ORDER BY COALESCE(d.rated_at, j.job_date, d.created_at) DESC
+  `).all(candidateId);
+
+  const counted = history.filter(r => r.dispute_status !== 'open');
+
+  return {
+    summary: summarizeRatings(counted.map(r => r.rating)),
+    history,
+    trend: monthlyTrend(counted),
+    disputes: listDisputes({ status: 'all', candidateId }),
+  };
+}
+
+// ============================================================================
+// WORKER SIDE
+// ============================================================================
+
+/**
+ * What a worker sees about a finished shift: the client's rating, any
+ * dispute and their own rating of the site
+ * @param {string} candidateId
+ * @param {string} deploymentId
+ * @returns {Object}
+ */
+function getWorkerView(candidateId, deploymentId) {
+  const deployment = getCandidateDeployment(candidateId, deploymentId);
+  return {
+    deployment_id: deployment.id,
+    shift_ended: hasShiftEnded(deployment),
+    rating: deployment.rating,
+    feedback: deployment.feedback,
+    rated_at: deployment.rated_at,
+    dispute: db.prepare(`
+      SELECT id, reason, status, resolution_note, resolved_at, created_at FROM rating_disputes WHERE deployment_id = ?
+    `).get(deploymentId) || null,
+    site_rating: db.prepare(`
+      SELECT id, rating, feedback, created_at FROM site_ratings WHERE deployment_id = ?
+    `).get(deploymentId) || null,
+  };
+}
+
+/**
+ * Worker's rating of the job site after a shift
+ * @param {string} candidateId
+ * @param {string} deploymentId
+ * @param {Object} input - { rating, feedback }
+ * @returns {Object} Site rating
+ */
+function rateSite(candidateId, deploymentId, input) {
+  const deployment = getCandidateDeployment(candidateId, deploymentId);
+  if (db.prepare('SELECT 1 FROM site_ratings WHERE deployment_id = ?').get(deploymentId)) {
+    throw ApiError.conflict('You have already rated this job site', 'ALREADY_RATED');
+  }
+
+  // Same rules as a client rating a worker, without the worker's own rated_at
+  const { rating, error, code } = validateRating({ ...deployment, rated_at: null }, input);
+  if (error) throw ApiError.badRequest(error, code);
+
+  const id = generateId('SRT');
+  db.prepare(`
+    INSERT INTO site_ratings (id, deployment_id, candidate_id, job_id, client_id, rating, feedback)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, deploymentId, candidateId, deployment.job_id, deployment.client_id, rating.rating, rating.feedback);
+
+  logger.business('site_rated', {
+    deployment_id: deploymentId,
+    candidate_id: candidateId,
+    client_id: deployment.client_id,
+    rating: rating.rating,
+  });
+
+  return db.prepare('SELECT id, rating, feedback, created_at FROM site_ratings WHERE id = ?').get(id);
+}
+
+/**
+ * Worker disputes the rating a client gave them. The rating stops counting
+ * towards their aggregate until an admin resolves the dispute.
+ * @param {string} candidateId
+ * @param {string} deploymentId
+ * @param {string} reason
+ * @returns {Object} Dispute
+ */
+function disputeRating(candidateId, deploymentId, reason) {
+  const deployment = getCandidateDeployment(candidateId, deploymentId);
+  const existing = db.prepare('SELECT id FROM rating_disputes WHERE deployment_id = ?').get(deploymentId);
+
+  // Older ratings have no rated_at; the deployment date stands in for it
+  const { reason: text, error, code } = validateDispute({
+    ...deployment,
+    rated_at: deployment.rated_at || deployment.created_at,
+    dispute_id: existing?.id,
+  }, reason);
+  if (error) {
+    throw code === 'ALREADY_DISPUTED' ? ApiError.conflict(error, code) : ApiError.badRequest(error, code);
+  }
+
+  const id = generateId('RDP');
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO rating_disputes (id, deployment_id, candidate_id, rating, feedback, reason)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, deploymentId, candidateId, deployment.rating, deployment.feedback, text);
+    refreshCandidate(candidateId);
+  })();
+
+  logger.business('rating_disputed', { dispute_id: id, deployment_id: deploymentId, candidate_id: candidateId });
+  notifyAdmins('rating_disputed', { disputeId: id, candidateId, deploymentId, rating: deployment.rating });
+
+  return getDispute(id);
+}
+
+// ============================================================================
+// MODERATION
+// ============================================================================
+
+function getDispute(id) {
+  const dispute = db.prepare(`
+    SELECT rd.*, c.name as candidate_name, j.title as job_title, j.job_date, cl.company_name as client_name
+    FROM rating_disputes rd
+    JOIN deployments d ON d.id = rd.deployment_id
+    JOIN jobs j ON j.id = d.job_id
+    LEFT JOIN clients cl ON cl.id = j.client_id
+    LEFT JOIN candidates c ON c.id = rd.candidate_id
+    WHERE rd.id = ?
+  `).get(id);
+  if (!dispute) throw ApiError.notFound('Dispute not found', 'DISPUTE_NOT_FOUND');
+  return dispute;
+}
+
+/**
+ * Rating disputes, oldest first so the queue is worked in order
+ * @param {Object} [filters] - { status = 'open', candidateId }
+ * @returns {Object[]}
+ */
+function listDisputes({ status = 'open', candidateId } = {}) {
+  let query = `
+    SELECT rd.*, c.name as candidate_name, j.title as job_title, j.job_date, cl.company_name as client_name
+    FROM rating_disputes rd
+    JOIN deployments d ON d.id = rd.deployment_id
+    JOIN jobs j ON j.id = d.job_id
+    LEFT JOIN clients cl ON cl.id = j.client_id
+    LEFT JOIN candidates c ON c.id = rd.candidate_id
+    WHERE 1=1
+  `;
+  const params = [];
+  if (status && status !== 'all') {
+    query += ' AND rd.status = ?';
+    params.push(status);
+  }
+  if (candidateId) {
+    query += ' AND rd.candidate_id = ?';
+    params.push(candidateId);
+  }
+  query += ' ORDER BY rd.created_at ASC LIMIT 200';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Uphold or remove a disputed rating. Removing clears it from the
+ * deployment; the original stays on the dispute.
+ * @param {string} id - Dispute ID
+ * @param {Object} input - { action: 'uphold'|'remove', note }
+ * @param {Object} admin - req.user of the moderating admin
+ * @returns {Object} Resolved dispute
+ */
+function resolveDispute(id, input, admin) {
+  const dispute = getDispute(id);
+  if (dispute.status !== 'open') {
+    throw ApiError.conflict('This dispute has already been resolved', 'DISPUTE_RESOLVED');
+  }
+  const { action, note, error } = validateResolution(input);
+  if (error) throw ApiError.badRequest(error, 'INVALID_RESOLUTION');
+
+  const status = action === 'remove' ? 'removed' : 'upheld';
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE rating_disputes SET status = ?, resolved_by = ?, resolution_note = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, admin?.email || admin?.id || null, note, id);
+    if (action === 'remove') {
+      db.prepare('UPDATE deployments SET rating = NULL, feedback = NULL WHERE id = ?').run(dispute.deployment_id);
+    }
+    refreshCandidate(dispute.candidate_id);
+  })();
+
+  logger.business('rating_dispute_resolved', {
+    dispute_id: id,
+    candidate_id: dispute.candidate_id,
+    status,
+    resolved_by: admin?.id,
+  });
+
+  return getDispute(id);
+}
+
+/**
+ * Workers' ratings of job sites, optionally for one client
+ * @param {Object} [filters] - { client_id }
+ * @returns {Object} { summary, ratings }
+ */
+function listSiteRatings({ client_id } = {}) {
+  let where = '';
+  const params = [];
+  if (client_id) {
+    where = 'WHERE sr.client_id = ?';
+    params.push(client_id);
+  }
+
+  const ratings = db.prepare(`
+    SELECT sr.*, c.name as candidate_name, j.title as job_title, j.job_date, j.location, cl.company_name as client_name
+    FROM site_ratings sr
+    JOIN jobs j ON j.id = sr.job_id
+    LEFT JOIN clients cl ON cl.id = sr.client_id
+    LEFT JOIN candidates c ON c.id = sr.candidate_id
+    ${where}
+    ORDER BY sr.created_at DESC
+    LIMIT 200
+  `).all(...params);
+
+  return { summary: summarizeRatings(ratings.map(r => r.rating)), ratings };
+}
+
+// ============================================================================
+// RATING REQUESTS
+// ============================================================================
+
+/**
+ * Ask clients to rate workers whose shifts have ended. One email per
+ * client lists every shift waiting for a rating; each deployment is only
+ * asked about once. Clients without portal contacts are skipped.
+ * @param {Date} [now]
+ * @returns {Object} { clients_emailed, deployments_requested }
+ */
+function sendRatingRequests(now = new Date()) {
+  const since = new Date(now.getTime() - REQUEST_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const pending = db.prepare(`
+    SELECT d.id, d.status, c.name as candidate_name,
+           j.client_id, j.title as job_title, j.job_date, j.start_time, j.end_time
+    FROM deployments d
+    JOIN jobs j ON j.id = d.job_id
+    JOIN candidates c ON c.id = d.candidate_id
+    WHERE d.rating IS NULL AND d.rating_requested_at IS NULL
+      AND d.status NOT IN ('cancelled', 'no_show')
+      AND j.client_id IS NOT NULL AND j.job_date >= ?
+    ORDER BY j.job_date, j.start_time
+  `).all(since).filter(d => hasShiftEnded(d, now));
+
+  const byClient = new Map();
+  for (const deployment of pending) {
+    if (!byClient.has(deployment.client_id)) byClient.set(deployment.client_id, []);
+    byClient.get(deployment.client_id).push(deployment);
+  }
+
+  const baseUrl = process.env.ADMIN_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin`;
+  const shiftsUrl = `${baseUrl.replace(/\/$/, '')}/client/shifts`;
+  const markRequested = db.prepare('UPDATE deployments SET rating_requested_at = CURRENT_TIMESTAMP WHERE id = ?');
+  let clientsEmailed = 0;
+  let deploymentsRequested = 0;
+
+  for (const [clientId, deployments] of byClient) {
+    const contacts = db.prepare("SELECT email FROM client_users WHERE client_id = ? AND status = 'active'").all(clientId);
+    if (contacts.length === 0) continue;
+
+    const lines = deployments.map(d => `- ${d.candidate_name}: ${d.job_title} on ${d.job_date}`).join('\n');
+    try {
+      const emailService = require('../email');
+      for (const { email } of contacts) {
+        emailService.sendEmail({
+          to: email,
+          subject: `How did our workers do? ${deployments.length} shift${deployments.length > 1 ? 's' : ''} to rate`,
+          text: `Please rate the workers from these recent shifts:\n${lines}\n\nRate them here: ${shiftsUrl}`,
+          category: 'client_portal',
+        }).catch(error => logger.warn('Rating request email failed', { to: email, error: error.message }));
+      }
+    } catch (error) {
+      logger.warn('Rating request email unavailable', { client_id: clientId, error: error.message });
+      continue;
+    }
+
+    db.transaction(() => deployments.forEach(d => markRequested.run(d.id)))();
+    clientsEmailed += 1;
+    deploymentsRequested += deployments.length;
+  }
+
+  if (deploymentsRequested > 0) {
+    logger.business('rating_requests_sent', { clients: clientsEmailed, deployments: deploymentsRequested });
+  }
+  return { clients_emailed: clientsEmailed, deployments_requested: deploymentsRequested };
+}
+
+module.exports = {
+  refreshCandidate,
+  getCandidateRatings,
+  getWorkerView,
+  rateSite,
+  disputeRating,
+  listDisputes,
+  resolveDispute,
+  listSiteRatings,
+  sendRatingRequests,
+};
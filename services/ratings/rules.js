@@ -0,0 +1,151 @@
+/**
+ * Worker Rating Rules
+ * Aggregation of client ratings into a worker's score, the rating trend,
+ * and validation of disputes, moderation and job-site ratings.
+ *
+ * @module ratings/rules
+ */
+
+// Ratings in the "recent" average, compared with the ones before for the trend
+const RECENT_WINDOW = 5;
+
+// Change in average stars between the recent window and the rest that counts as a trend
+const TREND_THRESHOLD = 0.25;
+
+// Scores start from a neutral prior so one rating does not make or break a worker
+const PRIOR_MEAN = 3.5;
+const PRIOR_WEIGHT = 3;
+
+// A worker can dispute a rating for this long after it was given
+const DISPUTE_WINDOW_DAYS = 14;
+const MAX_TEXT_LENGTH = 1000;
+
+const RESOLUTION_ACTIONS = ['uphold', 'remove'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Summarise a worker's ratings
+ * @param {number[]} ratings - Star ratings, newest first
+ * @returns {{rating: number, rating_count: number, recent_rating: number|null, trend: string|null}}
+ */
+function summarizeRatings(ratings) {
+  const valid = ratings.map(Number).filter(r => Number.isInteger(r) && r >= 1 && r <= 5);
+  if (valid.length === 0) {
+    return { rating: 0, rating_count: 0, recent_rating: null, trend: null };
+  }
+
+  const recent = mean(valid.slice(0, RECENT_WINDOW));
+  const earlier = mean(valid.slice(RECENT_WINDOW));
+  let trend = null;
+  if (earlier !== null) {
+    const change = recent - earlier;
+    trend = change >= TREND_THRESHOLD ? 'improving' : change <= -TREND_THRESHOLD ? 'declining' : 'steady';
+  }
+
+  return {
+    rating: round2(mean(valid)),
+    rating_count: valid.length,
+    recent_rating: round2(recent),
+    trend,
+  };
+}
+
+/**
+ * Rating score out of 100, pulled towards the neutral prior while a
+ * worker has few ratings
+ * @param {{rating: number, rating_count: number}} summary
+ * @returns {number}
+ */
+function ratingScore({ rating, rating_count: count }) {
+  const stars = (PRIOR_MEAN * PRIOR_WEIGHT + (rating || 0) * (count || 0)) / (PRIOR_WEIGHT + (count || 0));
+  return Math.round((stars / 5) * 100);
+}
+
+/**
+ * Average rating per month, oldest first
+ * @param {{rating: number, rated_at: string}[]} ratings
+ * @returns {{month: string, average: number, count: number}[]}
+ */
+function monthlyTrend(ratings) {
+  const months = new Map();
+  for (const { rating, rated_at: ratedAt } of ratings) {
+    if (!ratedAt || !rating) continue;
+    const month = String(ratedAt).slice(0, 7);
+    const bucket = months.get(month) || { total: 0, count: 0 };
+    bucket.total += Number(rating);
+    bucket.count += 1;
+    months.set(month, bucket);
+  }
+  return [...months.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, { total, count }]) => ({ month, average: round2(total / count), count }));
+}
+
+/**
+ * Check a worker's dispute of the rating a client gave them
+ * @param {Object} deployment - With rating, rated_at (UTC) and dispute_id if already disputed
+ * @param {string} reason
+ * @param {Date} [now]
+ * @returns {{reason: string|null, error: string|null, code: string|null}}
+ */
+function validateDispute(deployment, reason, now = new Date()) {
+  if (!deployment.rating) {
+    return { reason: null, error: 'There is no rating to dispute', code: 'NOT_RATED' };
+  }
+  if (deployment.dispute_id) {
+    return { reason: null, error: 'This rating has already been disputed', code: 'ALREADY_DISPUTED' };
+  }
+  if (deployment.rated_at) {
+    // SQLite CURRENT_TIMESTAMP: UTC without a zone
+    const ratedAt = new Date(deployment.rated_at.replace(' ', 'T') + 'Z');
+    if (now - ratedAt > DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return {
+        reason: null,
+        error: `Ratings can only be disputed within ${DISPUTE_WINDOW_DAYS} days`,
+        code: 'DISPUTE_WINDOW_CLOSED',
+      };
+    }
+  }
+
+  const text = String(reason || '').trim();
+  if (!text) {
+    return { reason: null, error: 'Tell us why the rating is unfair', code: 'REASON_REQUIRED' };
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { reason: null, error: `The reason is limited to ${MAX_TEXT_LENGTH} characters`, code: 'REASON_TOO_LONG' };
+  }
+  return { reason: text, error: null, code: null };
+}
+
+/**
+ * Check an admin's decision on a disputed rating. Removing a rating needs a note.
+ * @param {Object} input - { action, note }
+ * @returns {{action: string|null, note: string|null, error: string|null}}
+ */
+function validateResolution(input = {}) {
+  if (!RESOLUTION_ACTIONS.includes(input.action)) {
+    return { action: null, note: null, error: `action must be one of: ${RESOLUTION_ACTIONS.join(', ')}` };
+  }
+  const note = String(input.note || '').trim();
+  if (input.action === 'remove' && !note) {
+    return { action: null, note: null, error: 'A note is required to remove a rating' };
+  }
+  return { action: input.action, note: note || null, error: null };
+}
+
+module.exports = {
+  RECENT_WINDOW,
+  DISPUTE_WINDOW_DAYS,
+  summarizeRatings,
+  ratingScore,
+  monthlyTrend,
+  validateDispute,
+  validateResolution,
+};
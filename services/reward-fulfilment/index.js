@@ -0,0 +1,549 @@
+/**
+ * Reward Fulfilment Service
+ * Takes a rewards shop purchase from payment through to the worker holding
+ * the reward.
+ *
+ * Flow:
+ *   worker buys → points debited in the ledger, stock taken, purchase 'pending'
+ *   → instant rewards are fulfilled straight away
+ *   → voucher rewards are assigned the next unexpired code from the pool;
+ *     if none is left the purchase is refunded automatically
+ *   → manual rewards wait in the admin queue to be fulfilled or refunded
+ *
+ * A refund returns the points and the stock, and releases any code.
+ *
+ * @module reward-fulfilment
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const { getSGDateString } = require('../../shared/constants');
+const ledger = require('../ledger');
+const {
+  FULFILMENT_TYPES,
+  STATUSES,
+  checkEligibility,
+  remainingStock,
+  canTransition,
+  parseVoucherCodes,
+  maskCode,
+} = require('./rules');
+
+const logger = createLogger('reward-fulfilment');
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+function notifyCandidate(candidateId, title, message, data) {
+  try {
+    const eventNotifiers = require('../../websocket/broadcasting/event-notifiers');
+    eventNotifiers.createNotification(candidateId, 'reward', title, message, data);
+  } catch (error) {
+    logger.warn('Failed to notify candidate', { candidate_id: candidateId, error: error.message });
+  }
+}
+
+function requireReward(rewardId) {
+  const reward = db.prepare('SELECT * FROM rewards WHERE id = ?').get(rewardId);
+  if (!reward) {
+    throw ApiError.notFound('Reward not found', 'REWARD_NOT_FOUND');
+  }
+  return reward;
+}
+
+function requirePurchase(purchaseId) {
+  const purchase = db.prepare('SELECT * FROM reward_purchases WHERE id = ?').get(purchaseId);
+  if (!purchase) {
+    throw ApiError.notFound('Purchase not found', 'PURCHASE_NOT_FOUND');
+  }
+  return purchase;
+}
+
+/**
+ * Unassigned codes that have not expired, per reward
+ * @returns {Object<string, number>}
+ */
+function availableCodeCounts() {
+  const rows = db.prepare(`
+    SELECT reward_id, COUNT(*) as count
+    FROM reward_voucher_codes
+    WHERE status = 'available' AND (expires_at IS NULL OR expires_at >= ?)
+    GROUP BY reward_id
+  `).all(getSGDateString());
+
+  return Object.fromEntries(rows.map(r => [r.reward_id, r.count]));
+}
+
+/**
+ * Purchases of each reward by a candidate, refunds excluded
+ * @param {string} candidateId
+ * @returns {Object<string, number>}
+ */
+function purchaseCounts(candidateId) {
+  const rows = db.prepare(`
+    SELECT reward_id, COUNT(*) as count
+    FROM reward_purchases
+    WHERE candidate_id = ? AND status != 'refunded'
+    GROUP BY reward_id
+  `).all(candidateId);
+
+  return Object.fromEntries(rows.map(r => [r.reward_id, r.count]));
+}
+
+/**
+ * Whether a candidate holds a fulfilled purchase of a reward
+ * (feature unlocks such as profile flair and themes)
+ * @param {string} candidateId
+ * @param {string} rewardId
+ * @returns {boolean}
+ */
+function hasReward(candidateId, rewardId) {
+  return !!db.prepare(`
+    SELECT 1 FROM reward_purchases
+    WHERE candidate_id = ? AND reward_id = ? AND status = 'fulfilled'
+    LIMIT 1
+  `).get(candidateId, rewardId);
+}
+
+/**
+ * Release a purchase's hold on points, stock and code. Runs inside the
+ * caller's transaction.
+ */
+function applyRefund(purchase, { reason, handledBy = null }) {
+  ledger.post(purchase.candidate_id, { points: purchase.points_spent }, {
+    sourceType: 'reward_refund',
+    sourceId: purchase.id,
+    reason,
+    createdBy: handledBy,
+  });
+  db.prepare('UPDATE rewards SET stock = stock + 1 WHERE id = ? AND stock IS NOT NULL')
+    .run(purchase.reward_id);
+
+  if (purchase.voucher_code_id) {
+    db.prepare(`
+      UPDATE reward_voucher_codes SET status = 'available', purchase_id = NULL, assigned_at = NULL
+      WHERE id = ?
+    `).run(purchase.voucher_code_id);
+  }
+
+  db.prepare(`
+    UPDATE reward_purchases
+    SET status = 'refunded', refunded_at = CURRENT_TIMESTAMP, failure_reason = ?, handled_by = ?, voucher_code_id = NULL
+    WHERE id = ?
+  `).run(reason, handledBy, purchase.id);
+}
+
+/**
+ * Assign the soonest-expiring usable code to a purchase
+ * @returns {Object|null} The code, or null when the pool is empty
+ */
+function assignVoucher(purchase) {
+  const code = db.prepare(`
+    SELECT * FROM reward_voucher_codes
+    WHERE reward_id = ? AND status = 'available' AND (expires_at IS NULL OR expires_at >= ?)
+    ORDER BY expires_at IS NULL, expires_at, created_at
+    LIMIT 1
+  `).get(purchase.reward_id, getSGDateString());
+  if (!code) return null;
+
+  const claimed = db.prepare(`
+    UPDATE reward_voucher_codes
+    SET status = 'assigned', purchase_id = ?, assigned_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'available'
+  `).run(purchase.id, code.id);
+  if (claimed.changes === 0) return null;
+
+  db.prepare(`
+    UPDATE reward_purchases SET status = 'fulfilled', fulfilled_at = CURRENT_TIMESTAMP, voucher_code_id = ?
+    WHERE id = ?
+  `).run(code.id, purchase.id);
+  return code;
+}
+
+/**
+ * Buy a reward with points and fulfil it as far as can be done automatically
+ * @param {string} candidateId
+ * @param {string} rewardId
+ * @returns {{purchase: Object, reward: Object, remaining_points: number}}
+ * @throws {ApiError} 400/404 when the purchase is not allowed, 409 when a
+ *   voucher could not be assigned (the points are refunded)
+ */
+function purchase(candidateId, rewardId) {
+  const pay = db.transaction(() => {
+    const candidate = db.prepare('SELECT id, current_points, current_tier FROM candidates WHERE id = ?').get(candidateId);
+    if (!candidate) {
+      throw ApiError.notFound('Candidate not found', 'CANDIDATE_NOT_FOUND');
+    }
+
+    const reward = db.prepare('SELECT * FROM rewards WHERE id = ? AND active = 1').get(rewardId);
+    if (!reward) {
+      throw ApiError.notFound('Reward not found or inactive', 'REWARD_NOT_FOUND');
+    }
+
+    const ineligible = checkEligibility(candidate, reward, {
+      purchaseCount: purchaseCounts(candidateId)[rewardId] || 0,
+      availableCodes: availableCodeCounts()[rewardId] || 0,
+    });
+    if (ineligible) {
+      throw ApiError.badRequest(ineligible.error, ineligible.code);
+    }
+
+    db.prepare('UPDATE rewards SET stock = stock - 1 WHERE id = ? AND stock IS NOT NULL').run(rewardId);
+
+    const purchaseId = generateId('RPU');
+    db.prepare(`
+      INSERT INTO reward_purchases (id, candidate_id, reward_id, points_spent, status)
+      VALUES (?, ?, ?, ?, 'pending')
+    `).run(purchaseId, candidateId, rewardId, reward.points_cost);
+
+    ledger.post(candidateId, { points: -reward.points_cost }, {
+      sourceType: 'reward_purchase',
+      sourceId: purchaseId,
+      reason: reward.name,
+    });
+
+    if (reward.fulfilment_type === 'instant') {
+      db.prepare(`UPDATE reward_purchases SET status = 'fulfilled', fulfilled_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(purchaseId);
+    }
+
+    return { reward, purchaseId };
+  });
+
+  const { reward, purchaseId } = pay();
+
+  if (reward.fulfilment_type === 'voucher') {
+    // Paying and assigning are separate steps so a failed assignment leaves a refunded purchase behind
+    const fulfil = db.transaction(() => {
+      const pending = requirePurchase(purchaseId);
+      const code = assignVoucher(pending);
+      if (!code) applyRefund(pending, { reason: 'No voucher codes left' });
+      return code;
+    });
+
+    if (!fulfil()) {
+      logger.warn('Voucher assignment failed, purchase refunded', { purchase_id: purchaseId, reward_id: rewardId });
+      throw ApiError.conflict(`${reward.name} just ran out - your points have been refunded`, 'FULFILMENT_FAILED');
+    }
+  }
+
+  const result = requirePurchase(purchaseId);
+  const { current_points } = db.prepare('SELECT current_points FROM candidates WHERE id = ?').get(candidateId);
+
+  logger.business('reward_purchased', {
+    candidate_id: candidateId,
+    reward_id: rewardId,
+    purchase_id: purchaseId,
+    points_spent: reward.points_cost,
+    status: result.status,
+  });
+
+  return { purchase: result, reward, remaining_points: current_points };
+}
+
+/**
+ * Mark a queued purchase as handed over (admin)
+ * @param {string} purchaseId
+ * @param {Object} [options]
+ * @param {string} [options.note] - Shown to the worker, e.g. collection details
+ * @param {string} [options.handledBy]
+ * @returns {Object} Updated purchase
+ */
+function fulfil(purchaseId, { note = null, handledBy = null } = {}) {
+  const existing = requirePurchase(purchaseId);
+  if (!canTransition(existing.status, 'fulfilled')) {
+    throw ApiError.conflict(`Purchase is already ${existing.status}`, 'INVALID_TRANSITION');
+  }
+
+  db.prepare(`
+    UPDATE reward_purchases
+    SET status = 'fulfilled', fulfilled_at = CURRENT_TIMESTAMP, note = ?, handled_by = ?
+    WHERE id = ? AND status = 'pending'
+  `).run(note, handledBy, purchaseId);
+
+  const reward = requireReward(existing.reward_id);
+  logger.business('reward_fulfilled', { purchase_id: purchaseId, reward_id: reward.id, handled_by: handledBy });
+  notifyCandidate(existing.candidate_id, `${reward.name} is ready`, note || 'Your reward has been fulfilled.', { purchase_id: purchaseId });
+
+  return requirePurchase(purchaseId);
+}
+
+/**
+ * Refund a queued purchase: points and stock go back (admin)
+ * @param {string} purchaseId
+ * @param {Object} options
+ * @param {string} options.reason - Shown to the worker
+ * @param {string} [options.handledBy]
+ * @returns {Object} Updated purchase
+ */
+function refund(purchaseId, { reason, handledBy = null } = {}) {
+  if (!reason || !String(reason).trim()) {
+    throw ApiError.badRequest('A reason is required to refund a purchase', 'REASON_REQUIRED');
+  }
+
+  const refunded = db.transaction(() => {
+    const existing = requirePurchase(purchaseId);
+    if (!canTransition(existing.status, 'refunded')) {
+      throw ApiError.conflict(`Purchase is already ${existing.status}`, 'INVALID_TRANSITION');
+    }
+    applyRefund(existing, { reason: String(reason).trim(), handledBy });
+    return existing;
+  })();
+
+  const reward = requireReward(refunded.reward_id);
+  logger.business('reward_refunded', {
+    purchase_id: purchaseId,
+    reward_id: reward.id,
+    points: refunded.points_spent,
+    handled_by: handledBy,
+  });
+  notifyCandidate(
+    refunded.candidate_id,
+    `${reward.name} refunded`,
+    `${refunded.points_spent} points are back in your balance. ${String(reason).trim()}`,
+    { purchase_id: purchaseId }
+  );
+
+  return requirePurchase(purchaseId);
+}
+
+/**
+ * Purchases for the admin fulfilment queue, oldest pending first
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Defaults to 'pending'
+ * @param {string} [filters.rewardId]
+ * @param {number} [filters.limit]
+ * @returns {{purchases: Object[], counts: Object}}
+ */
+function listQueue({ status = 'pending', rewardId, limit = 100 } = {}) {
+  if (status !== 'all' && !STATUSES.includes(status)) {
+    throw ApiError.badRequest(`status must be one of: all, ${STATUSES.join(', ')}`, 'INVALID_STATUS');
+  }
+
+  let where = 'WHERE 1=1';
+  const params = [];
+  if (status !== 'all') {
+    where += ' AND p.status = ?';
+    params.push(status);
+  }
+  if (rewardId) {
+    where += ' AND p.reward_id = ?';
+    params.push(rewardId);
+  }
+
+  const purchases = db.prepare(`
+    SELECT
+      p.*, r.name as reward_name, r.category, r.fulfilment_type,
+      c.name as candidate_name, c.phone as candidate_phone, c.email as candidate_email,
+      v.code as voucher_code
+    FROM reward_purchases p
+    JOIN rewards r ON r.id = p.reward_id
+    LEFT JOIN candidates c ON c.id = p.candidate_id
+    LEFT JOIN reward_voucher_codes v ON v.id = p.voucher_code_id
+    ${where}
+    ORDER BY CASE WHEN p.status = 'pending' THEN 0 ELSE 1 END, p.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+    LIMIT ?
+  `).all(...params, Math.min(Number(limit) || 100, 500)).map(p => ({ ...p, voucher_code: maskCode(p.voucher_code) }));
+
+  const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  db.prepare('SELECT status, COUNT(*) as count FROM reward_purchases GROUP BY status').all()
+    .forEach(row => { counts[row.status] = row.count; });
+
+  return { purchases, counts };
+}
+
+/**
+ * A worker's purchases with their codes, newest first
+ * @param {string} candidateId
+ * @returns {Object[]}
+ */
+function getWallet(candidateId) {
+  const today = getSGDateString();
+  return db.prepare(`
+    SELECT
+      p.id, p.reward_id, p.points_spent, p.status, p.note, p.failure_reason,
+      p.created_at, p.fulfilled_at, p.refunded_at,
+      r.name as reward_name, r.description as reward_description, r.icon, r.category, r.fulfilment_type,
+      v.code as voucher_code, v.expires_at as voucher_expires_at
+    FROM reward_purchases p
+    JOIN rewards r ON r.id = p.reward_id
+    LEFT JOIN reward_voucher_codes v ON v.id = p.voucher_code_id
+    WHERE p.candidate_id = ?
+    ORDER BY p.created_at DESC, p.rowid DESC
+  `).all(candidateId).map(p => ({
+    ...p,
+    voucher_expired: !!(p.voucher_expires_at && p.voucher_expires_at < today),
+  }));
+}
+
+/**
+ * Add codes to a voucher reward's pool (admin). Codes already in the pool
+ * are skipped.
+ * @param {string} rewardId
+ * @param {Object} upload
+ * @param {string|string[]} upload.codes - CSV text ("code[,YYYY-MM-DD]" per line) or lines
+ * @param {string} [upload.expiresAt] - Expiry for lines without one
+ * @param {string} [upload.uploadedBy]
+ * @returns {{added: number, skipped: number, errors: string[]}}
+ */
+function uploadCodes(rewardId, { codes, expiresAt = null, uploadedBy = null } = {}) {
+  const reward = requireReward(rewardId);
+  const parsed = parseVoucherCodes(codes, { defaultExpiry: expiresAt || null });
+
+  if (parsed.codes.length === 0) {
+    throw ApiError.badRequest(parsed.errors[0] || 'No voucher codes found in the upload', 'NO_CODES');
+  }
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO reward_voucher_codes (id, reward_id, code, expires_at, uploaded_by)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const added = db.transaction(() => parsed.codes.reduce(
+    (count, c) => count + insert.run(generateId('RVC'), rewardId, c.code, c.expires_at, uploadedBy).changes,
+    0
+  ))();
+
+  logger.business('voucher_codes_uploaded', {
+    reward_id: rewardId,
+    added,
+    skipped: parsed.codes.length - added,
+    rejected: parsed.errors.length,
+    uploaded_by: uploadedBy,
+  });
+
+  if (reward.fulfilment_type !== 'voucher') {
+    logger.warn('Codes uploaded to a reward that does not hand out vouchers', { reward_id: rewardId });
+  }
+
+  return { added, skipped: parsed.codes.length - added, errors: parsed.errors };
+}
+
+/**
+ * Code pool summary and the most recent codes, masked (admin)
+ * @param {string} rewardId
+ * @returns {{summary: Object, codes: Object[]}}
+ */
+function listCodes(rewardId) {
+  requireReward(rewardId);
+  const today = getSGDateString();
+
+  const summary = db.prepare(`
+    SELECT
+      COALESCE(SUM(status = 'available' AND (expires_at IS NULL OR expires_at >= ?)), 0) as available,
+      COALESCE(SUM(status = 'available' AND expires_at < ?), 0) as expired,
+      COALESCE(SUM(status = 'assigned'), 0) as assigned,
+      COALESCE(SUM(status = 'void'), 0) as void
+    FROM reward_voucher_codes WHERE reward_id = ?
+  `).get(today, today, rewardId);
+
+  const codes = db.prepare(`
+    SELECT id, code, expires_at, status, purchase_id, assigned_at, created_at
+    FROM reward_voucher_codes WHERE reward_id = ?
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT 200
+  `).all(rewardId).map(c => ({ ...c, code: maskCode(c.code) }));
+
+  return { summary, codes };
+}
+
+/**
+ * Withdraw an unassigned code from the pool (admin)
+ * @param {string} rewardId
+ * @param {string} codeId
+ */
+function voidCode(rewardId, codeId) {
+  const result = db.prepare(`
+    UPDATE reward_voucher_codes SET status = 'void'
+    WHERE id = ? AND reward_id = ? AND status = 'available'
+  `).run(codeId, rewardId);
+
+  if (result.changes === 0) {
+    throw ApiError.conflict('Only available codes can be voided', 'CODE_NOT_AVAILABLE');
+  }
+}
+
+/**
+ * Rewards with stock, code pool and queue counts (admin)
+ * @returns {Object[]}
+ */
+function listInventory() {
+  const codes = availableCodeCounts();
+  return db.prepare(`
+    SELECT
+      r.*,
+      COALESCE(SUM(p.status = 'pending'), 0) as pending,
+      COALESCE(SUM(p.status = 'fulfilled'), 0) as fulfilled,
+      COALESCE(SUM(p.status = 'refunded'), 0) as refunded
+    FROM rewards r
+    LEFT JOIN reward_purchases p ON p.reward_id = r.id
+    GROUP BY r.id
+    ORDER BY r.category, r.points_cost
+  `).all().map(r => ({
+    ...r,
+    available_codes: codes[r.id] || 0,
+    remaining: remainingStock(r, codes[r.id] || 0),
+  }));
+}
+
+/**
+ * Change a reward's stock limit, per-worker limit or fulfilment type (admin)
+ * @param {string} rewardId
+ * @param {Object} changes - { stock, max_per_user, fulfilment_type, active }; null clears a limit
+ * @returns {Object} Updated reward
+ */
+function updateInventory(rewardId, changes = {}) {
+  requireReward(rewardId);
+
+  const fields = {};
+  for (const key of ['stock', 'max_per_user']) {
+    if (changes[key] === undefined) continue;
+    if (changes[key] === null || changes[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    const value = Number(changes[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw ApiError.badRequest(`${key} must be a whole number of 0 or more, or null for no limit`, 'INVALID_LIMIT');
+    }
+    fields[key] = value;
+  }
+  if (changes.fulfilment_type !== undefined) {
+    if (!FULFILMENT_TYPES.includes(changes.fulfilment_type)) {
+      throw ApiError.badRequest(`fulfilment_type must be one of: ${FULFILMENT_TYPES.join(', ')}`, 'INVALID_FULFILMENT_TYPE');
+    }
+    fields.fulfilment_type = changes.fulfilment_type;
+  }
+  if (changes.active !== undefined) {
+    fields.active = changes.active ? 1 : 0;
+  }
+
+  const keys = Object.keys(fields);
+  if (keys.length === 0) {
+    throw ApiError.badRequest('Nothing to update', 'NO_CHANGES');
+  }
+
+  db.prepare(`UPDATE rewards SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`)
+    .run(...keys.map(k => fields[k]), rewardId);
+
+  logger.business('reward_inventory_updated', { reward_id: rewardId, ...fields });
+  return listInventory().find(r => r.id === rewardId);
+}
+
+module.exports = {
+  availableCodeCounts,
+  purchaseCounts,
+  hasReward,
+  purchase,
+  fulfil,
+  refund,
+  listQueue,
+  getWallet,
+  uploadCodes,
+  listCodes,
+  voidCode,
+  listInventory,
+  updateInventory,
+};
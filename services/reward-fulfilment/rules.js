@@ -0,0 +1,153 @@
+/**
+ * Reward Fulfilment Rules
+ * Purchase eligibility, fulfilment states and voucher code uploads.
+ *
+ * How a purchase is fulfilled depends on the reward's fulfilment_type:
+ *   - instant: feature unlocks, fulfilled as soon as points are paid
+ *   - voucher: a code from the reward's uploaded pool is assigned on purchase
+ *   - manual:  waits in the admin fulfilment queue (physical items, perks)
+ *
+ * A purchase starts 'pending' and ends 'fulfilled' or 'refunded'. A refund
+ * returns the points and the stock; it happens automatically when a
+ * voucher cannot be assigned.
+ *
+ * @module reward-fulfilment/rules
+ */
+
+const TIER_ORDER = { bronze: 0, silver: 1, gold: 2, platinum: 3, diamond: 4, mythic: 5 };
+
+const FULFILMENT_TYPES = ['instant', 'voucher', 'manual'];
+
+const STATUSES = ['pending', 'fulfilled', 'refunded'];
+
+const TRANSITIONS = {
+  pending: ['fulfilled', 'refunded'],
+  fulfilled: [],
+  refunded: [],
+};
+
+const MAX_CODES_PER_UPLOAD = 5000;
+const MAX_CODE_LENGTH = 64;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a candidate may buy a reward
+ * @param {Object} candidate - { current_points, current_tier }
+ * @param {Object} reward - rewards row
+ * @param {Object} context
+ * @param {number} context.purchaseCount - Candidate's purchases of the reward that were not refunded
+ * @param {number} [context.availableCodes] - Unassigned, unexpired codes (voucher rewards)
+ * @returns {{error: string, code: string}|null} null when the purchase may go ahead
+ */
+function checkEligibility(candidate, reward, { purchaseCount = 0, availableCodes = 0 } = {}) {
+  if ((TIER_ORDER[candidate.current_tier] || 0) < (TIER_ORDER[reward.tier_required] || 0)) {
+    return { error: `Requires ${reward.tier_required} tier or higher`, code: 'TIER_REQUIRED' };
+  }
+  if (reward.max_per_user && purchaseCount >= reward.max_per_user) {
+    return { error: `Maximum ${reward.max_per_user} purchase(s) per user`, code: 'LIMIT_REACHED' };
+  }
+  if (!isInStock(reward, availableCodes)) {
+    return { error: 'Out of stock', code: 'OUT_OF_STOCK' };
+  }
+  if ((candidate.current_points || 0) < reward.points_cost) {
+    return { error: 'Insufficient points', code: 'INSUFFICIENT_POINTS' };
+  }
+  return null;
+}
+
+/**
+ * Stock left, or null for unlimited. Voucher rewards are also limited by
+ * their code pool.
+ * @param {Object} reward
+ * @param {number} [availableCodes]
+ * @returns {number|null}
+ */
+function remainingStock(reward, availableCodes = 0) {
+  if (reward.fulfilment_type === 'voucher') {
+    return reward.stock === null || reward.stock === undefined
+      ? availableCodes
+      : Math.min(reward.stock, availableCodes);
+  }
+  return reward.stock === null || reward.stock === undefined ? null : reward.stock;
+}
+
+function isInStock(reward, availableCodes = 0) {
+  const remaining = remainingStock(reward, availableCodes);
+  return remaining === null || remaining > 0;
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Read an uploaded list of voucher codes: one per line, optionally followed
+ * by a comma and an expiry date (YYYY-MM-DD). A header line, blank lines and
+ * repeats are skipped.
+ * @param {string|string[]} input - Text (CSV) or array of lines
+ * @param {Object} [options]
+ * @param {string} [options.defaultExpiry] - Expiry for lines without one
+ * @returns {{codes: {code: string, expires_at: string|null}[], errors: string[]}}
+ */
+function parseVoucherCodes(input, { defaultExpiry = null } = {}) {
+  const lines = Array.isArray(input) ? input : String(input || '').split(/\r?\n/);
+  const codes = [];
+  const errors = [];
+  const seen = new Set();
+
+  if (defaultExpiry && !DATE_PATTERN.test(defaultExpiry)) {
+    return { codes: [], errors: ['expires_at must be a date (YYYY-MM-DD)'] };
+  }
+
+  lines.forEach((line, index) => {
+    const [rawCode, rawExpiry] = String(line).split(',').map(part => part.trim());
+    if (!rawCode) return;
+    if (index === 0 && /^(voucher_?)?code$/i.test(rawCode)) return;
+
+    const lineNo = index + 1;
+    if (rawCode.length > MAX_CODE_LENGTH) {
+      errors.push(`Line ${lineNo}: code is longer than ${MAX_CODE_LENGTH} characters`);
+      return;
+    }
+    if (rawExpiry && !DATE_PATTERN.test(rawExpiry)) {
+      errors.push(`Line ${lineNo}: expiry "${rawExpiry}" is not a date (YYYY-MM-DD)`);
+      return;
+    }
+    if (seen.has(rawCode)) return;
+
+    seen.add(rawCode);
+    codes.push({ code: rawCode, expires_at: rawExpiry || defaultExpiry || null });
+  });
+
+  if (codes.length > MAX_CODES_PER_UPLOAD) {
+    return { codes: [], errors: [`At most ${MAX_CODES_PER_UPLOAD} codes can be uploaded at once`] };
+  }
+  return { codes, errors };
+}
+
+/**
+ * Mask a voucher code for admin lists, keeping the last four characters
+ * @param {string} code
+ * @returns {string}
+ */
+function maskCode(code) {
+  if (!code) return code;
+  return code.length <= 4 ? '****' : `${'*'.repeat(Math.min(code.length - 4, 8))}${code.slice(-4)}`;
+}
+
+module.exports = {
+  TIER_ORDER,
+  FULFILMENT_TYPES,
+  STATUSES,
+  checkEligibility,
+  remainingStock,
+  isInStock,
+  canTransition,
+  parseVoucherCodes,
+  maskCode,
+};
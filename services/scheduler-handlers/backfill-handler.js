@@ -0,0 +1,20 @@
+/**
+ * Shift Backfill Offer Handler
+ */
+
+const { logger } = require('../../utils/structured-logger');
+const backfill = require('../backfill');
+
+async function processBackfillOffers() {
+  try {
+    const { expired, waves_started } = await backfill.processExpiredOffers();
+    if (expired > 0 || waves_started > 0) {
+      logger.info('Processed backfill offers', { module: 'job-scheduler', expired, waves_started });
+    }
+    return { type: 'backfill_offer_expiry', status: 'completed', offers_expired: expired, waves_started, timestamp: new Date().toISOString() };
+  } catch (error) {
+    return { type: 'backfill_offer_expiry', status: 'error', error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = { processBackfillOffers };
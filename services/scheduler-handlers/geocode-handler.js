@@ -0,0 +1,27 @@
+/**
+ * Geocode Backfill Handler
+ */
+
+const { logger } = require('../../utils/structured-logger');
+const geo = require('../geo');
+
+async function geocodeMissingLocations() {
+  try {
+    const { candidates, jobs } = geo.geocodeMissing();
+    if (candidates.resolved > 0 || jobs.resolved > 0) {
+      logger.info('Geocoded addresses and job locations', { module: 'job-scheduler', candidates: candidates.resolved, jobs: jobs.resolved });
+    }
+    return {
+      type: 'geocode_backfill',
+      status: 'completed',
+      candidates_geocoded: candidates.resolved,
+      jobs_geocoded: jobs.resolved,
+      unresolved: candidates.unresolved + jobs.unresolved,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return { type: 'geocode_backfill', status: 'error', error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = { geocodeMissingLocations };
@@ -0,0 +1,19 @@
+/**
+ * Invoice Overdue Check Handler
+ */
+
+const { logger } = require('../../utils/structured-logger');
+const invoicing = require('../invoicing');
+
+async function checkOverdueInvoices() {
+  logger.info('Starting overdue invoice check', { module: 'job-scheduler' });
+
+  try {
+    const markedOverdue = invoicing.markOverdue();
+    return { type: 'invoice_overdue_check', status: 'completed', invoices_marked_overdue: markedOverdue, timestamp: new Date().toISOString() };
+  } catch (error) {
+    return { type: 'invoice_overdue_check', status: 'error', error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = { checkOverdueInvoices };
@@ -0,0 +1,26 @@
+/**
+ * Job Series Generation Handler
+ */
+
+const { logger } = require('../../utils/structured-logger');
+const jobSeries = require('../job-series');
+
+async function generateJobSeries() {
+  logger.info('Generating recurring series jobs', { module: 'job-scheduler' });
+
+  try {
+    const result = jobSeries.generateAll();
+    return {
+      type: 'job_series_generation',
+      status: 'completed',
+      series_checked: result.series_checked,
+      jobs_created: result.jobs_created,
+      series_ended: result.series_ended,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return { type: 'job_series_generation', status: 'error', error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = { generateJobSeries };
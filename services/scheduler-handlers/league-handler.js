@@ -0,0 +1,26 @@
+/**
+ * League Season Rollover Handler
+ */
+
+const { logger } = require('../../utils/structured-logger');
+const leagues = require('../leagues');
+
+async function rollLeagueSeasons() {
+  logger.info('Starting league season rollover', { module: 'job-scheduler' });
+
+  try {
+    const { closed, season } = leagues.rollover();
+    return {
+      type: 'league_season_rollover',
+      status: 'completed',
+      seasons_closed: closed.length,
+      members_settled: closed.reduce((sum, s) => sum + s.members, 0),
+      current_season: season.season_key,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return { type: 'league_season_rollover', status: 'error', error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = { rollLeagueSeasons };
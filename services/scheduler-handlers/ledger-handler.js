@@ -0,0 +1,27 @@
+/**
+ * Ledger Reconciliation Handler
+ */
+
+const { logger } = require('../../utils/structured-logger');
+const ledger = require('../ledger');
+
+async function reconcileLedger() {
+  logger.info('Starting ledger reconciliation', { module: 'job-scheduler' });
+
+  try {
+    const run = ledger.reconcile();
+    return {
+      type: 'ledger_reconciliation',
+      status: 'completed',
+      run_id: run.run_id,
+      candidates_checked: run.candidates_checked,
+      accounts_opened: run.accounts_opened,
+      mismatches_found: run.mismatches_found,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return { type: 'ledger_reconciliation', status: 'error', error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = { reconcileLedger };
@@ -0,0 +1,30 @@
+/**
+ * Tender Portal Scrape Handler
+ * GeBIZ has its own scheduler (services/scraping/gebizRssScheduler.js); this
+ * runs every other enabled portal that has an adapter.
+ */
+
+const { logger } = require('../../utils/structured-logger');
+const portalRunner = require('../scraping/portals/runner');
+
+async function scrapeTenderPortals() {
+  try {
+    const runs = await portalRunner.runEnabledPortals({ exclude: ['gebiz'] });
+    const failed = runs.filter(run => run.status === 'failed');
+    if (failed.length > 0) {
+      logger.warn('Tender portal scrapes failed', { module: 'job-scheduler', portals: failed.map(run => run.portal_key) });
+    }
+    return {
+      type: 'portal_scrape',
+      status: 'completed',
+      portals_run: runs.length,
+      portals_failed: failed.length,
+      tenders_new: runs.reduce((sum, run) => sum + (run.items_new || 0), 0),
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return { type: 'portal_scrape', status: 'error', error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = { scrapeTenderPortals };
@@ -0,0 +1,25 @@
+/**
+ * Rating Request Handler
+ */
+
+const { logger } = require('../../utils/structured-logger');
+const ratings = require('../ratings');
+
+async function sendRatingRequests() {
+  logger.info('Sending client rating requests', { module: 'job-scheduler' });
+
+  try {
+    const result = ratings.sendRatingRequests();
+    return {
+      type: 'rating_requests',
+      status: 'completed',
+      clients_emailed: result.clients_emailed,
+      deployments_requested: result.deployments_requested,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return { type: 'rating_requests', status: 'error', error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = { sendRatingRequests };
@@ -0,0 +1,20 @@
+/**
+ * Shift Change Expiry Handler
+ */
+
+const { logger } = require('../../utils/structured-logger');
+const shiftChanges = require('../shift-changes');
+
+async function expireShiftChanges() {
+  try {
+    const { expired } = shiftChanges.expireStartedRequests();
+    if (expired > 0) {
+      logger.info('Expired shift change requests', { module: 'job-scheduler', expired });
+    }
+    return { type: 'shift_change_expiry', status: 'completed', requests_expired: expired, timestamp: new Date().toISOString() };
+  } catch (error) {
+    return { type: 'shift_change_expiry', status: 'error', error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = { expireShiftChanges };
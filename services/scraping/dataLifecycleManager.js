@@ -21,6 +21,7 @@ class DataLifecycleManager {
   /**
    * Insert validated tenders into gebiz_active_tenders (staging table).
    * Uses INSERT OR IGNORE so duplicate tender_no values are silently skipped.
+   * tender.source names the portal the tender came from (default 'gebiz').
    * @param {Array} validatedTenders Array of validated tender data
    * @returns {Object} Creation results { created, skipped, errors, createdIds, errorDetails }
    */
@@ -44,7 +45,7 @@ class DataLifecycleManager {
         tender_no, title, agency, closing_date, published_date,
         category, estimated_value, url, details,
         status, in_pipeline, dismissed, source, scraped_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', 0, 0, 'gebiz', ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', 0, 0, ?, ?)
     `);
 
     for (const tender of validatedTenders) {
@@ -69,6 +70,7 @@ class DataLifecycleManager {
           estimatedValue,
           tender.source_url || null,
           tender.description || null,
+          tender.source || 'gebiz',
           now
         );
 
@@ -6,6 +6,7 @@
 
 const GeBIZRSSParser = require('./gebizRssParser');
 const DataLifecycleManager = require('./dataLifecycleManager');
+const portalRuns = require('./portals/runner');
 const { db } = require('../../db/database');
 const nodemailer = require('nodemailer');
 
@@ -72,6 +73,7 @@ class GeBIZRSSOrchestrator {
 
     const runId = `RUN-${Date.now()}`;
     const startTime = Date.now();
+    let portalRunId = null;
 
     console.log(`🚀 Starting RSS scraping pipeline (${runId})`);
 
@@ -101,6 +103,7 @@ class GeBIZRSSOrchestrator {
 
       // Log the start of the run
       const runLogId = await this.logScrapingJobStart(runId);
+      portalRunId = this.startPortalRun(options.manual ? 'manual' : 'scheduled');
 
       const pipelineResult = {
         runId,
@@ -191,6 +194,17 @@ class GeBIZRSSOrchestrator {
 
       // Log the completion
       await this.logScrapingJobComplete(runLogId, pipelineResult);
+      // The parser reports fetch failures in its result rather than throwing
+      const parsing = pipelineResult.stages.parsing;
+      this.finishPortalRun(portalRunId, {
+        status: parsing.success === false ? 'failed' : pipelineResult.summary.totalParsed === 0 ? 'empty' : 'success',
+        items_found: pipelineResult.summary.totalParsed,
+        items_new: pipelineResult.summary.stagingRecordsCreated,
+        items_duplicate: pipelineResult.summary.duplicates,
+        items_invalid: parsing.success === false ? 0 : parsing.errors,
+        error: [parsing.error, ...pipelineResult.errors].filter(Boolean).join('; ') || null,
+        duration_ms: pipelineResult.duration
+      });
 
       // Update portal last_scraped_at timestamp
       try {
@@ -216,6 +230,7 @@ class GeBIZRSSOrchestrator {
 
     } catch (error) {
       console.error('❌ Pipeline failed:', error.message);
+      this.finishPortalRun(portalRunId, { status: 'failed', error: error.message, duration_ms: Date.now() - startTime });
 
       // Send failure notification
       if (this.transporter) {
@@ -483,6 +498,34 @@ class GeBIZRSSOrchestrator {
     }
   }
 
+  /**
+   * Record the run in the portal run history (Scanner > Portals)
+   * @param {string} trigger 'scheduled' | 'manual'
+   * @returns {number|null} Run ID
+   */
+  startPortalRun(trigger) {
+    try {
+      return portalRuns.startRun('gebiz', trigger);
+    } catch (error) {
+      console.error('Failed to record portal run:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Close the portal run history entry
+   * @param {number|null} portalRunId Run ID
+   * @param {Object} outcome Counts, status and error
+   */
+  finishPortalRun(portalRunId, outcome) {
+    if (!portalRunId) return;
+    try {
+      portalRuns.finishRun(portalRunId, outcome);
+    } catch (error) {
+      console.error('Failed to record portal run:', error.message);
+    }
+  }
+
   /**
    * Log scraping job start
    * @param {string} runId Run identifier
@@ -5,12 +5,12 @@
  * Updated to use working HTML scraping method instead of broken RSS feeds
  */
 
-const https = require('https');
-const zlib = require('zlib');
 const cheerio = require('cheerio');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 const validator = require('validator');
 const { db } = require('../../db/database');
+const gebizAdapter = require('./portals/gebiz');
+const { fetchPage, sanitizeText, categorize } = require('./portals/common');
 
 // Rate limiter - 1 request every 5 seconds for HTML scraping
 const rateLimiter = new RateLimiterMemory({
@@ -153,181 +153,21 @@ class GeBIZRSSParser {
 
   /**
    * Extract structured tender data from the GeBIZ listing page HTML
-   * Uses cheerio to parse the actual titles, agencies, dates from listing entries
+   * Parsing lives in the GeBIZ portal adapter (services/scraping/portals/gebiz.js)
    * @param {string} htmlContent Full HTML of the listing page
    * @returns {Array} Array of tender data objects
    */
   extractTendersFromListing(htmlContent) {
-    const $ = cheerio.load(htmlContent);
-    const tenders = [];
-
-    // Find all tender links with docCode parameter
-    $('a[href*="docCode="]').each((index, element) => {
-      try {
-        const $link = $(element);
-        const href = $link.attr('href') || '';
-        const docCodeMatch = href.match(/docCode=([A-Z0-9]+)/i);
-
-        if (!docCodeMatch) return;
-
-        const docCode = docCodeMatch[1];
-        const title = $link.text().trim();
-
-        // Skip if this is just a navigation link with no real title
-        if (!title || title.length < 5) return;
-
-        // Walk up the DOM to find the containing tender listing entry
-        const $container = $link.closest('div').parent().closest('div');
-
-        // Extract all text content from the container to find agency, dates, category
-        const containerText = $container.text() || '';
-
-        // Extract agency - look for text patterns near the tender
-        const agency = this.extractAgencyFromContext(containerText, docCode);
-
-        // Extract dates from surrounding text
-        const dates = this.extractDatesFromContext(containerText);
-
-        // Extract category from surrounding text
-        const category = this.extractCategoryFromContext(containerText, title);
-
-        const tenderData = {
-          tender_no: docCode,
-          title: this.sanitizeText(title),
-          agency: agency,
-          description: `Government tender: ${this.sanitizeText(title)}`,
-          published_date: dates.published || new Date().toISOString().split('T')[0],
-          closing_date: dates.closing || this.getEstimatedClosingDate(),
-          category: category,
-          source_url: `https://www.gebiz.gov.sg/ptn/opportunity/directlink.xhtml?docCode=${docCode}`,
-          guid: docCode,
-          raw_content: JSON.stringify({
-            docCode,
-            fullTitle: title,
-            extractedAt: new Date().toISOString(),
-            containerText: containerText.substring(0, 500)
-          })
-        };
-
-        tenders.push(tenderData);
-      } catch (error) {
-        console.error(`Error extracting tender from listing element: ${error.message}`);
-      }
-    });
-
-    // Deduplicate by tender_no (page may have multiple links to same tender)
-    const seen = new Set();
-    return tenders.filter(t => {
-      if (seen.has(t.tender_no)) return false;
-      seen.add(t.tender_no);
-      return true;
-    });
-  }
-
-  /**
-   * Extract agency name from the text surrounding a tender listing entry
-   * @param {string} contextText Text from the container element
-   * @param {string} docCode Document code for prefix-based fallback
-   * @returns {string} Agency name
-   */
-  extractAgencyFromContext(contextText, docCode) {
-    // PRIORITY 1: Infer from document code prefix (most reliable)
-    // Ordered longest-prefix-first to match most specific prefix
-    const prefixMap = [
-      ['DEFNGPP', 'Ministry of Defence'],
-      ['MHASPF', 'Singapore Police Force'],
-      ['MOESCH', 'Ministry of Education'],
-      ['CDVHQ', 'Singapore Civil Defence Force'],
-      ['MHA', 'Ministry of Home Affairs'],
-      ['MOE', 'Ministry of Education'],
-      ['MOH', 'Ministry of Health'],
-      ['MOM', 'Ministry of Manpower'],
-      ['MSF', 'Ministry of Social and Family Development'],
-      ['MTI', 'Ministry of Trade and Industry'],
-      ['MOF', 'Ministry of Finance'],
-      ['MND', 'Ministry of National Development'],
-      ['MCI', 'Ministry of Communications and Information'],
-      ['MOT', 'Ministry of Transport'],
-      ['DSTA', 'Defence Science and Technology Agency'],
-      ['DST', 'Defence Science and Technology Agency'],
-      ['RPO', 'Republic of Singapore Air Force'],
-      ['STB', 'Singapore Tourism Board'],
-      ['ITE', 'Institute of Technical Education'],
-      ['PUB', 'Public Utilities Board'],
-      ['HDB', 'Housing and Development Board'],
-      ['NEA', 'National Environment Agency'],
-      ['LTA', 'Land Transport Authority'],
-      ['NP', 'National Parks Board'],
-      ['JTC', 'JTC Corporation'],
-      ['GOV', 'Government Technology Agency'],
-      ['IRAS', 'Inland Revenue Authority of Singapore'],
-      ['CPF', 'Central Provident Fund Board'],
-      ['BCA', 'Building and Construction Authority'],
-      ['HSA', 'Health Sciences Authority'],
-      ['SLA', 'Singapore Land Authority'],
-      ['URA', 'Urban Redevelopment Authority'],
-      ['CAAS', 'Civil Aviation Authority of Singapore'],
-      ['MPA', 'Maritime and Port Authority'],
-      ['SCDF', 'Singapore Civil Defence Force'],
-      ['SPF', 'Singapore Police Force'],
-    ];
-
-    for (const [prefix, agencyName] of prefixMap) {
-      if (docCode.startsWith(prefix)) {
-        return agencyName;
-      }
-    }
-
-    return 'Government Agency';
-  }
-
-  /**
-   * Extract published and closing dates from context text
-   * @param {string} contextText Text surrounding the tender entry
-   * @returns {Object} { published, closing } date strings
-   */
-  extractDatesFromContext(contextText) {
-    const dates = { published: null, closing: null };
-
-    // GeBIZ date format: "DD Mon YYYY HH:MM AM/PM" e.g. "06 Feb 2026 04:00 PM"
-    const datePattern = /(\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{4})/gi;
-    const dateMatches = contextText.match(datePattern) || [];
-
-    if (dateMatches.length >= 1) {
-      // First date is typically the published date
-      const parsed1 = new Date(dateMatches[0]);
-      if (!isNaN(parsed1.getTime())) {
-        dates.published = parsed1.toISOString().split('T')[0];
-      }
-    }
-
-    if (dateMatches.length >= 2) {
-      // Second date is typically the closing date
-      const parsed2 = new Date(dateMatches[dateMatches.length - 1]);
-      if (!isNaN(parsed2.getTime())) {
-        dates.closing = parsed2.toISOString().split('T')[0];
-      }
-    }
-
-    return dates;
-  }
-
-  /**
-   * Extract category from context text and title
-   * @param {string} contextText Text surrounding the tender entry
-   * @param {string} title Tender title
-   * @returns {string} Category
-   */
-  extractCategoryFromContext(contextText, title) {
-    // Look for GeBIZ category patterns like "Miscellaneous ⇒ Others"
-    const categoryPattern = /([A-Za-z\s&]+)\s*[⇒→>]\s*([A-Za-z\s&]+)/;
-    const catMatch = contextText.match(categoryPattern);
-    if (catMatch) {
-      return catMatch[1].trim();
-    }
-
-    // Fallback to keyword-based categorization
-    return this.categorizeContent(title, contextText);
+    return gebizAdapter.parse(htmlContent).map(item => ({
+      ...gebizAdapter.normalise(item),
+      guid: item.docCode,
+      raw_content: JSON.stringify({
+        docCode: item.docCode,
+        fullTitle: item.title,
+        extractedAt: new Date().toISOString(),
+        containerText: item.containerText.substring(0, 500)
+      })
+    }));
   }
 
   /**
@@ -335,57 +175,7 @@ class GeBIZRSSParser {
    * @returns {string} HTML content
    */
   async fetchHTML() {
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'www.gebiz.gov.sg',
-        path: '/ptn/opportunity/BOListing.xhtml?origin=opportunities',
-        method: 'GET',
-        timeout: 30000,
-        headers: this.headers
-      };
-
-      const req = https.request(options, (res) => {
-        let responseStream = res;
-
-        // Handle compression
-        if (res.headers['content-encoding'] === 'gzip') {
-          responseStream = res.pipe(zlib.createGunzip());
-        } else if (res.headers['content-encoding'] === 'deflate') {
-          responseStream = res.pipe(zlib.createInflate());
-        } else if (res.headers['content-encoding'] === 'br') {
-          responseStream = res.pipe(zlib.createBrotliDecompress());
-        }
-
-        let data = '';
-
-        responseStream.on('data', (chunk) => {
-          data += chunk;
-        });
-
-        responseStream.on('end', () => {
-          if (res.statusCode !== 200) {
-            reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
-          } else {
-            resolve(data);
-          }
-        });
-
-        responseStream.on('error', (error) => {
-          reject(new Error(`Decompression error: ${error.message}`));
-        });
-      });
-
-      req.on('error', (error) => {
-        reject(new Error(`Request error: ${error.message}`));
-      });
-
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-
-      req.end();
-    });
+    return fetchPage(gebizAdapter.listingUrl, { headers: this.headers });
   }
 
   /**
@@ -641,59 +431,7 @@ class GeBIZRSSParser {
    * @returns {string} Category
    */
   categorizeContent(title, description) {
-    const text = `${title} ${description}`.toLowerCase();
-
-    const categories = {
-      'healthcare_staffing': [
-        'hospital', 'nursing', 'clinical', 'medical', 'healthcare',
-        'ancillary', 'patient care', 'ward', 'ambulance', 'paramedic',
-        'therapist', 'allied health', 'nursing home', 'eldercare',
-        'community hospital', 'polyclinic', 'health centre'
-      ],
-      'hospitality_services': [
-        'hotel', 'banquet', 'hospitality', 'resort', 'convention',
-        'front desk', 'concierge', 'room attendant', 'guest service',
-        'integrated resort', 'marina bay', 'sentosa'
-      ],
-      'manpower_services': [
-        'manpower', 'staffing', 'personnel', 'workforce', 'outsourcing',
-        'human resource', 'recruitment', 'temporary staff', 'contract staff'
-      ],
-      'cleaning_services': [
-        'cleaning', 'cleaner', 'housekeeping', 'janitorial', 'sanitation',
-        'waste management', 'hygiene'
-      ],
-      'security_services': [
-        'security', 'guard', 'surveillance', 'patrol', 'protection',
-        'cctv', 'access control'
-      ],
-      'catering_services': [
-        'catering', 'food', 'beverage', 'canteen', 'cafeteria',
-        'meal', 'kitchen', 'dining'
-      ],
-      'event_management': [
-        'event', 'function', 'conference', 'seminar', 'workshop',
-        'exhibition', 'ceremony'
-      ],
-      'facility_management': [
-        'facility', 'building', 'repair', 'upkeep',
-        'property management', 'estate management'
-      ],
-      'transport_services': [
-        'transport', 'transportation', 'vehicle', 'bus', 'shuttle',
-        'logistics', 'delivery'
-      ]
-    };
-
-    for (const [category, keywords] of Object.entries(categories)) {
-      for (const keyword of keywords) {
-        if (text.includes(keyword)) {
-          return category;
-        }
-      }
-    }
-
-    return 'general_services';
+    return categorize(title, description);
   }
 
   /**
@@ -702,28 +440,7 @@ class GeBIZRSSParser {
    * @returns {string} Sanitized text
    */
   sanitizeText(text) {
-    if (!text) return '';
-
-    return text
-      .trim()
-      .replace(/\s+/g, ' ')               // Multiple spaces to single space
-      .split('').filter(char => {
-        const code = char.charCodeAt(0);
-        return code >= 32 && code !== 127; // Keep printable characters only
-      }).join('')
-      .replace(/&[a-zA-Z]+;/g, (match) => {
-        // Decode common HTML entities
-        const entities = {
-          '&amp;': '&',
-          '&lt;': '<',
-          '&gt;': '>',
-          '&quot;': '"',
-          '&#39;': "'",
-          '&nbsp;': ' '
-        };
-        return entities[match] || match;
-      })
-      .substring(0, 2000); // Limit length
+    return sanitizeText(text);
   }
 
   /**
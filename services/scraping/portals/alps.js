@@ -0,0 +1,66 @@
+/**
+ * ALPS Healthcare Adapter
+ * Tender and quotation notices ALPS publishes for the SingHealth, NHG and
+ * NUHS clusters. The notices page is a table; columns are read by header.
+ *
+ * @module scraping/portals/alps
+ */
+
+const cheerio = require('cheerio');
+const { readTable, absoluteUrl } = require('./common');
+
+const LISTING_URL = 'https://alps.sg/tenders-and-quotations';
+
+function cell(row, ...headers) {
+  const header = headers.find(name => row[name]);
+  return header ? row[header] : { text: '', href: null };
+}
+
+/**
+ * Notices on the listing page
+ * @param {string} html
+ * @returns {Object[]}
+ */
+function parse(html) {
+  const $ = cheerio.load(html);
+  const items = [];
+  $('table').each((i, table) => {
+    for (const row of readTable($, table)) {
+      const reference = cell(row, 'reference no.', 'reference no', 'reference');
+      if (!reference.text) continue;
+      const title = cell(row, 'title', 'description');
+      items.push({
+        reference: reference.text,
+        title: title.text,
+        href: title.href || reference.href,
+        institution: cell(row, 'institution', 'cluster').text,
+        published: cell(row, 'published', 'published date').text,
+        closing: cell(row, 'closing', 'closing date').text,
+      });
+    }
+  });
+  return items;
+}
+
+/**
+ * @param {Object} item - From parse()
+ * @returns {Object} Record for normaliseRecord()
+ */
+function normalise(item) {
+  return {
+    tender_no: item.reference,
+    title: item.title,
+    agency: item.institution || 'ALPS Healthcare',
+    published_date: item.published,
+    closing_date: item.closing,
+    source_url: absoluteUrl(item.href, LISTING_URL),
+  };
+}
+
+module.exports = {
+  key: 'alps',
+  label: 'ALPS Healthcare',
+  listingUrl: LISTING_URL,
+  parse,
+  normalise,
+};
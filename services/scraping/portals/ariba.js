@@ -0,0 +1,79 @@
+/**
+ * SAP Ariba Discovery Adapters
+ * Public sourcing postings on Ariba Discovery. The same listing serves two
+ * portals: hotel groups buying manpower in Singapore (ariba_discovery) and
+ * MOH Holdings' healthcare postings (mohh_ariba). Both number tenders by
+ * posting ID, so a posting found by both is only staged once.
+ *
+ * @module scraping/portals/ariba
+ */
+
+const cheerio = require('cheerio');
+const { sanitizeText, absoluteUrl } = require('./common');
+
+/**
+ * Postings on a listing page
+ * @param {string} html
+ * @returns {Object[]}
+ */
+function parse(html) {
+  const $ = cheerio.load(html);
+  return $('.rfx-posting').map((i, posting) => {
+    const $posting = $(posting);
+    const $link = $posting.find('a.posting-title').first();
+    const text = (selector) => sanitizeText($posting.find(selector).first().text());
+    return {
+      id: $posting.attr('data-posting-id'),
+      title: sanitizeText($link.text()),
+      href: $link.attr('href'),
+      buyer: text('.buyer-name'),
+      location: text('.service-location'),
+      commodity: text('.commodity'),
+      posted: text('.posted-on'),
+      deadline: text('.response-deadline'),
+      summary: text('.posting-summary'),
+    };
+  }).get();
+}
+
+function createAribaAdapter({ key, label, listingUrl, accept }) {
+  return {
+    key,
+    label,
+    listingUrl,
+    parse,
+
+    /**
+     * @param {Object} item - From parse()
+     * @returns {Object|null} Record for normaliseRecord(), null if the posting is not for this portal
+     */
+    normalise(item) {
+      if (!item.id || !accept(item)) return null;
+      return {
+        tender_no: `ARIBA-${item.id}`,
+        title: item.title,
+        agency: item.buyer,
+        description: [item.commodity, item.summary].filter(Boolean).join(' - '),
+        published_date: item.posted,
+        closing_date: item.deadline,
+        source_url: absoluteUrl(item.href, listingUrl),
+      };
+    },
+  };
+}
+
+const aribaDiscovery = createAribaAdapter({
+  key: 'ariba_discovery',
+  label: 'Ariba Discovery',
+  listingUrl: 'https://discovery.ariba.com/rfxlist?location=Singapore&commodity=80111600',
+  accept: (item) => /singapore/i.test(item.location),
+});
+
+const mohhAriba = createAribaAdapter({
+  key: 'mohh_ariba',
+  label: 'MOHH eProcurement',
+  listingUrl: 'https://discovery.ariba.com/rfxlist?keywords=MOH%20Holdings&location=Singapore',
+  accept: (item) => /moh holdings|mohh/i.test(item.buyer),
+});
+
+module.exports = { aribaDiscovery, mohhAriba, parse };
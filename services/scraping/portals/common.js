@@ -0,0 +1,324 @@
+/**
+ * Portal Adapter Helpers
+ * Shared fetch, text and date handling for the tender-portal adapters, plus
+ * the checks every portal's records go through before they reach the feed:
+ * normalising to the gebiz_active_tenders shape, de-duplication and run health.
+ * Everything except fetchPage() is pure.
+ *
+ * @module scraping/portals/common
+ */
+
+const https = require('https');
+const zlib = require('zlib');
+
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'Connection': 'keep-alive'
+};
+
+const FETCH_TIMEOUT_MS = 30000;
+
+// Runs in a row that must fail before a portal is reported as failing
+const FAILING_AFTER = 3;
+
+const MIN_TITLE_LENGTH = 10;
+
+// GeBIZ document codes, e.g. MOH000ETT26000045 - aggregators often quote them
+const GEBIZ_CODE_PATTERN = /\b[A-Z][A-Z0-9]{4,10}ET[QT]\d{8}\b/g;
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+const CATEGORY_KEYWORDS = {
+  healthcare_staffing: [
+    'hospital', 'nursing', 'clinical', 'medical', 'healthcare',
+    'ancillary', 'patient care', 'ward', 'ambulance', 'paramedic',
+    'therapist', 'allied health', 'nursing home', 'eldercare',
+    'community hospital', 'polyclinic', 'health centre'
+  ],
+  hospitality_services: [
+    'hotel', 'banquet', 'hospitality', 'resort', 'convention',
+    'front desk', 'concierge', 'room attendant', 'guest service',
+    'integrated resort', 'marina bay', 'sentosa'
+  ],
+  manpower_services: [
+    'manpower', 'staffing', 'personnel', 'workforce', 'outsourcing',
+    'human resource', 'recruitment', 'temporary staff', 'contract staff'
+  ],
+  cleaning_services: [
+    'cleaning', 'cleaner', 'housekeeping', 'janitorial', 'sanitation',
+    'waste management', 'hygiene'
+  ],
+  security_services: [
+    'security', 'guard', 'surveillance', 'patrol', 'protection',
+    'cctv', 'access control'
+  ],
+  catering_services: [
+    'catering', 'food', 'beverage', 'canteen', 'cafeteria',
+    'meal', 'kitchen', 'dining'
+  ],
+  event_management: [
+    'event', 'function', 'conference', 'seminar', 'workshop',
+    'exhibition', 'ceremony'
+  ],
+  facility_management: [
+    'facility', 'building', 'repair', 'upkeep',
+    'property management', 'estate management'
+  ],
+  transport_services: [
+    'transport', 'transportation', 'vehicle', 'bus', 'shuttle',
+    'logistics', 'delivery'
+  ]
+};
+
+/**
+ * GET a listing page, following gzip/deflate/brotli encodings
+ * @param {string} url
+ * @param {Object} [options] - { headers, timeoutMs }
+ * @returns {Promise<string>} HTML
+ */
+function fetchPage(url, { headers = BROWSER_HEADERS, timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { headers, timeout: timeoutMs }, (res) => {
+      let stream = res;
+      const encoding = res.headers['content-encoding'];
+      if (encoding === 'gzip') stream = res.pipe(zlib.createGunzip());
+      else if (encoding === 'deflate') stream = res.pipe(zlib.createInflate());
+      else if (encoding === 'br') stream = res.pipe(zlib.createBrotliDecompress());
+
+      let data = '';
+      stream.on('data', (chunk) => { data += chunk; });
+      stream.on('end', () => {
+        if (res.statusCode !== 200) reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
+        else resolve(data);
+      });
+      stream.on('error', (error) => reject(new Error(`Decompression error: ${error.message}`)));
+    });
+
+    req.on('error', (error) => reject(new Error(`Request error: ${error.message}`)));
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+  });
+}
+
+/**
+ * Collapse whitespace, drop control characters and decode common entities
+ * @param {string} text
+ * @returns {string}
+ */
+function sanitizeText(text) {
+  if (!text) return '';
+
+  const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+  return String(text)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .split('').filter(char => {
+      const code = char.charCodeAt(0);
+      return code >= 32 && code !== 127;
+    }).join('')
+    .replace(/&[a-zA-Z]+;|&#39;/g, (match) => entities[match] || match)
+    .substring(0, 2000);
+}
+
+/**
+ * Feed category for a tender from its title and description
+ * @param {string} title
+ * @param {string} [description]
+ * @returns {string} Category key (see ALL_CATEGORIES in routes/api/v1/scanner.js)
+ */
+function categorize(title, description = '') {
+  const text = `${title} ${description}`.toLowerCase();
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    if (keywords.some(keyword => text.includes(keyword))) return category;
+  }
+  return 'general_services';
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First date in a piece of text as YYYY-MM-DD. Understands "06 Feb 2026",
+ * "2026-02-06" and Singapore-style "06/02/2026" (day first).
+ * @param {string} text
+ * @returns {string|null}
+ */
+function parseDate(text) {
+  if (!text) return null;
+  const value = String(text);
+
+  let match = value.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = value.match(/(\d{1,2})\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?,?\s+(\d{4})/i);
+  if (match) return isoDate(Number(match[3]), MONTHS[match[2].toLowerCase()], Number(match[1]));
+
+  match = value.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (match) return isoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+
+  return null;
+}
+
+/**
+ * GeBIZ document codes quoted in a piece of text
+ * @param {string} text
+ * @returns {string[]}
+ */
+function findGebizCodes(text) {
+  return [...new Set(String(text || '').match(GEBIZ_CODE_PATTERN) || [])];
+}
+
+/**
+ * Rows of an HTML table keyed by lower-cased header text, so adapters do not
+ * depend on column order
+ * @param {Function} $ - cheerio root
+ * @param {Object} table - cheerio table element
+ * @returns {Object[]} [{ <header>: { text, href, $cell } }]
+ */
+function readTable($, table) {
+  const headers = $(table).find('thead th, tr:first-child th').map((i, th) => sanitizeText($(th).text()).toLowerCase()).get();
+  const rows = [];
+  $(table).find('tbody tr').each((i, tr) => {
+    const cells = $(tr).find('td');
+    if (cells.length === 0) return;
+    const row = {};
+    cells.each((index, td) => {
+      const header = headers[index] || `column_${index}`;
+      row[header] = { text: sanitizeText($(td).text()), href: $(td).find('a').attr('href') || null };
+    });
+    rows.push(row);
+  });
+  return rows;
+}
+
+/**
+ * Terms of a <dl> keyed by lower-cased <dt> text
+ * @param {Function} $ - cheerio root
+ * @param {Object} element - cheerio element containing the <dl>
+ * @returns {Object} { <term>: text }
+ */
+function readDefinitions($, element) {
+  const terms = {};
+  $(element).find('dt').each((i, dt) => {
+    terms[sanitizeText($(dt).text()).toLowerCase().replace(/:$/, '')] = sanitizeText($(dt).next('dd').text());
+  });
+  return terms;
+}
+
+function absoluteUrl(href, base) {
+  if (!href) return null;
+  try {
+    return new URL(href, base).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check an adapter's output and shape it as a gebiz_active_tenders record
+ * @param {string} portalKey - Becomes the record's source
+ * @param {Object} item - { tender_no, title, agency, description, published_date, closing_date, category, source_url, refs }
+ * @returns {{record: Object|null, error: string|null}}
+ */
+function normaliseRecord(portalKey, item) {
+  if (!item || !item.tender_no) return { record: null, error: 'Tender number missing' };
+
+  const title = sanitizeText(item.title);
+  if (title.length < MIN_TITLE_LENGTH) return { record: null, error: `Title too short: ${item.tender_no}` };
+
+  const description = sanitizeText(item.description) || title;
+  const sourceUrl = item.source_url && /^https?:\/\//.test(item.source_url) ? item.source_url : null;
+
+  return {
+    record: {
+      tender_no: String(item.tender_no).trim(),
+      title,
+      agency: sanitizeText(item.agency) || null,
+      description,
+      published_date: parseDate(item.published_date),
+      closing_date: parseDate(item.closing_date),
+      category: item.category || categorize(title, description),
+      source_url: sourceUrl,
+      source: portalKey,
+      refs: (item.refs || []).filter(ref => ref && ref !== item.tender_no),
+    },
+    error: null,
+  };
+}
+
+/**
+ * Split records into new ones and duplicates - of each other, of tenders
+ * already staged or in the pipeline, or of a GeBIZ tender an aggregator relists
+ * @param {Object[]} records - Normalised records
+ * @param {Set<string>} existing - Tender numbers already known
+ * @returns {{fresh: Object[], duplicates: Object[]}}
+ */
+function dedupeRecords(records, existing = new Set()) {
+  const seen = new Set(existing);
+  const fresh = [];
+  const duplicates = [];
+
+  for (const record of records) {
+    const keys = [record.tender_no, ...(record.refs || [])];
+    if (keys.some(key => seen.has(key))) {
+      duplicates.push(record);
+      continue;
+    }
+    keys.forEach(key => seen.add(key));
+    fresh.push(record);
+  }
+
+  return { fresh, duplicates };
+}
+
+/**
+ * Portal health from its recent runs
+ * @param {Object[]} runs - scraping_portal_runs rows, newest first
+ * @returns {{status: string, message: string|null, consecutive_failures: number, last_success_at: string|null}}
+ *   status is 'unknown' (never run), 'healthy', 'degraded' or 'failing'
+ */
+function evaluateHealth(runs = []) {
+  const finished = runs.filter(run => run.status !== 'running');
+  const failures = finished.findIndex(run => run.status !== 'failed');
+  const consecutiveFailures = failures === -1 ? finished.length : failures;
+  const lastSuccess = finished.find(run => run.status !== 'failed');
+  const base = { consecutive_failures: consecutiveFailures, last_success_at: lastSuccess?.completed_at || null };
+
+  if (finished.length === 0) return { ...base, status: 'unknown', message: null };
+
+  const [latest] = finished;
+  if (consecutiveFailures >= FAILING_AFTER) {
+    return { ...base, status: 'failing', message: `Last ${consecutiveFailures} runs failed: ${latest.error}` };
+  }
+  if (latest.status === 'failed') {
+    return { ...base, status: 'degraded', message: `Last run failed: ${latest.error}` };
+  }
+  if (latest.status === 'empty' && finished.slice(1).some(run => run.items_found > 0)) {
+    return { ...base, status: 'degraded', message: 'Listing came back empty - the page layout may have changed' };
+  }
+  return { ...base, status: 'healthy', message: null };
+}
+
+module.exports = {
+  BROWSER_HEADERS,
+  FAILING_AFTER,
+  fetchPage,
+  sanitizeText,
+  categorize,
+  parseDate,
+  findGebizCodes,
+  readTable,
+  readDefinitions,
+  absoluteUrl,
+  normaliseRecord,
+  dedupeRecords,
+  evaluateHealth,
+};
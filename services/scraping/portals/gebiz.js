@@ -0,0 +1,153 @@
+/**
+ * GeBIZ Adapter
+ * Singapore Government Electronic Business opportunities listing. Tenders are
+ * the links carrying a docCode; agency comes from the code prefix, dates and
+ * category from the text of the surrounding listing entry.
+ *
+ * @module scraping/portals/gebiz
+ */
+
+const cheerio = require('cheerio');
+const { sanitizeText, categorize, parseDate } = require('./common');
+
+const LISTING_URL = 'https://www.gebiz.gov.sg/ptn/opportunity/BOListing.xhtml?origin=opportunities';
+
+// Ordered longest-prefix-first so the most specific prefix wins
+const AGENCY_PREFIXES = [
+  ['DEFNGPP', 'Ministry of Defence'],
+  ['MHASPF', 'Singapore Police Force'],
+  ['MOESCH', 'Ministry of Education'],
+  ['CDVHQ', 'Singapore Civil Defence Force'],
+  ['MHA', 'Ministry of Home Affairs'],
+  ['MOE', 'Ministry of Education'],
+  ['MOH', 'Ministry of Health'],
+  ['MOM', 'Ministry of Manpower'],
+  ['MSF', 'Ministry of Social and Family Development'],
+  ['MTI', 'Ministry of Trade and Industry'],
+  ['MOF', 'Ministry of Finance'],
+  ['MND', 'Ministry of National Development'],
+  ['MCI', 'Ministry of Communications and Information'],
+  ['MOT', 'Ministry of Transport'],
+  ['DSTA', 'Defence Science and Technology Agency'],
+  ['DST', 'Defence Science and Technology Agency'],
+  ['RPO', 'Republic of Singapore Air Force'],
+  ['STB', 'Singapore Tourism Board'],
+  ['ITE', 'Institute of Technical Education'],
+  ['PUB', 'Public Utilities Board'],
+  ['HDB', 'Housing and Development Board'],
+  ['NEA', 'National Environment Agency'],
+  ['LTA', 'Land Transport Authority'],
+  ['NP', 'National Parks Board'],
+  ['JTC', 'JTC Corporation'],
+  ['GOV', 'Government Technology Agency'],
+  ['IRAS', 'Inland Revenue Authority of Singapore'],
+  ['CPF', 'Central Provident Fund Board'],
+  ['BCA', 'Building and Construction Authority'],
+  ['HSA', 'Health Sciences Authority'],
+  ['SLA', 'Singapore Land Authority'],
+  ['URA', 'Urban Redevelopment Authority'],
+  ['CAAS', 'Civil Aviation Authority of Singapore'],
+  ['MPA', 'Maritime and Port Authority'],
+  ['SCDF', 'Singapore Civil Defence Force'],
+  ['SPF', 'Singapore Police Force'],
+];
+
+const DATE_PATTERN = /\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{4}/gi;
+
+/**
+ * Agency for a document code, from its prefix
+ * @param {string} docCode
+ * @returns {string}
+ */
+function agencyFor(docCode) {
+  const match = AGENCY_PREFIXES.find(([prefix]) => docCode.startsWith(prefix));
+  return match ? match[1] : 'Government Agency';
+}
+
+/**
+ * Published and closing dates from a listing entry - GeBIZ prints the
+ * published date first and the closing date last
+ * @param {string} text
+ * @returns {{published: string|null, closing: string|null}}
+ */
+function datesFrom(text) {
+  const matches = String(text || '').match(DATE_PATTERN) || [];
+  return {
+    published: matches.length >= 1 ? parseDate(matches[0]) : null,
+    closing: matches.length >= 2 ? parseDate(matches[matches.length - 1]) : null,
+  };
+}
+
+/**
+ * Category from a GeBIZ breadcrumb ("Miscellaneous ⇒ Others"), falling back
+ * to keywords
+ * @param {string} text
+ * @param {string} title
+ * @returns {string}
+ */
+function categoryFrom(text, title) {
+  const match = String(text || '').match(/([A-Za-z\s&]+)\s*[⇒→>]\s*([A-Za-z\s&]+)/);
+  return match ? match[1].trim() : categorize(title, text);
+}
+
+function estimatedClosingDate() {
+  const date = new Date();
+  date.setDate(date.getDate() + 30);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Tenders on a listing page
+ * @param {string} html
+ * @returns {Object[]} One entry per docCode
+ */
+function parse(html) {
+  const $ = cheerio.load(html);
+  const seen = new Set();
+  const items = [];
+
+  $('a[href*="docCode="]').each((index, element) => {
+    const $link = $(element);
+    const docCode = ($link.attr('href') || '').match(/docCode=([A-Z0-9]+)/i)?.[1];
+    const title = $link.text().trim();
+
+    // Navigation links carry a docCode but no real title
+    if (!docCode || !title || title.length < 5 || seen.has(docCode)) return;
+    seen.add(docCode);
+
+    // Walk up to the containing listing entry for agency, dates and category
+    const containerText = $link.closest('div').parent().closest('div').text() || '';
+    items.push({ docCode, title, containerText });
+  });
+
+  return items;
+}
+
+/**
+ * @param {Object} item - From parse()
+ * @returns {Object} Record for normaliseRecord()
+ */
+function normalise({ docCode, title, containerText }) {
+  const dates = datesFrom(containerText);
+  const cleanTitle = sanitizeText(title);
+  return {
+    tender_no: docCode,
+    title: cleanTitle,
+    agency: agencyFor(docCode),
+    description: `Government tender: ${cleanTitle}`,
+    published_date: dates.published || new Date().toISOString().split('T')[0],
+    closing_date: dates.closing || estimatedClosingDate(),
+    category: categoryFrom(containerText, title),
+    source_url: `https://www.gebiz.gov.sg/ptn/opportunity/directlink.xhtml?docCode=${docCode}`,
+  };
+}
+
+module.exports = {
+  key: 'gebiz',
+  label: 'GeBIZ',
+  listingUrl: LISTING_URL,
+  parse,
+  normalise,
+  agencyFor,
+  datesFrom,
+};
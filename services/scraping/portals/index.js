@@ -0,0 +1,59 @@
+/**
+ * Tender Portal Adapter Registry
+ * Each adapter exports { key, label, listingUrl, parse(html), normalise(item) }
+ * and may override fetch(). key matches scraping_portals.portal_key; a portal
+ * can only be enabled once an adapter is registered here.
+ *
+ * parse() turns a listing page into raw items and normalise() maps one item
+ * to a gebiz_active_tenders-style record (or null to skip it). Checking,
+ * de-duplication, staging and run health are shared - see ./runner.js.
+ *
+ * MBS Supplier Portal and Procurehere list tenders only to logged-in,
+ * invited vendors, so they have no adapter.
+ *
+ * @module scraping/portals
+ */
+
+const gebiz = require('./gebiz');
+const alps = require('./alps');
+const tenderboard = require('./tenderboard');
+const tendersgo = require('./tendersgo');
+const { aribaDiscovery, mohhAriba } = require('./ariba');
+const { fetchPage } = require('./common');
+
+const ADAPTERS = {
+  [gebiz.key]: gebiz,
+  [alps.key]: alps,
+  [mohhAriba.key]: mohhAriba,
+  [tenderboard.key]: tenderboard,
+  [tendersgo.key]: tendersgo,
+  [aribaDiscovery.key]: aribaDiscovery,
+};
+
+function getAdapter(key) {
+  return ADAPTERS[key] || null;
+}
+
+function hasAdapter(key) {
+  return !!ADAPTERS[key];
+}
+
+function listAdapters() {
+  return Object.values(ADAPTERS).map(({ key, label, listingUrl }) => ({ key, label, listingUrl }));
+}
+
+/**
+ * Download an adapter's listing page
+ * @param {Object} adapter
+ * @returns {Promise<string>} HTML
+ */
+function fetchListing(adapter) {
+  return adapter.fetch ? adapter.fetch() : fetchPage(adapter.listingUrl);
+}
+
+module.exports = {
+  getAdapter,
+  hasAdapter,
+  listAdapters,
+  fetchListing,
+};
@@ -0,0 +1,205 @@
+/**
+ * Portal Runner
+ * Runs a portal adapter end to end - fetch, parse, normalise, de-duplicate,
+ * stage into gebiz_active_tenders - and records every run in
+ * scraping_portal_runs so the Scanner can show history and health.
+ *
+ * @module scraping/portals/runner
+ */
+
+const { db } = require('../../../db');
+const { createLogger } = require('../../../utils/structured-logger');
+const DataLifecycleManager = require('../dataLifecycleManager');
+const { getAdapter, hasAdapter, listAdapters, fetchListing } = require('./index');
+const { normaliseRecord, dedupeRecords, evaluateHealth } = require('./common');
+
+const logger = createLogger('portal-scraper');
+
+// Runs considered when working out a portal's health
+const HEALTH_WINDOW = 10;
+
+const MAX_ERROR_LENGTH = 1000;
+
+function startRun(portalKey, trigger = 'scheduled') {
+  const result = db.prepare(`
+    INSERT INTO scraping_portal_runs (portal_key, trigger, status) VALUES (?, ?, 'running')
+  `).run(portalKey, trigger);
+  return result.lastInsertRowid;
+}
+
+/**
+ * Close a run row
+ * @param {number} runId
+ * @param {Object} outcome - { status, items_found, items_new, items_duplicate, items_skipped, items_invalid, error, duration_ms }
+ */
+function finishRun(runId, outcome) {
+  db.prepare(`
+    UPDATE scraping_portal_runs SET
+      status = ?, items_found = ?, items_new = ?, items_duplicate = ?,
+      items_skipped = ?, items_invalid = ?, error = ?, duration_ms = ?,
+      completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    outcome.status,
+    outcome.items_found || 0,
+    outcome.items_new || 0,
+    outcome.items_duplicate || 0,
+    outcome.items_skipped || 0,
+    outcome.items_invalid || 0,
+    outcome.error ? String(outcome.error).slice(0, MAX_ERROR_LENGTH) : null,
+    outcome.duration_ms ?? null,
+    runId
+  );
+}
+
+// Tender numbers (and GeBIZ codes) already staged or in the pipeline
+function knownTenderNumbers(records) {
+  const keys = [...new Set(records.flatMap(record => [record.tender_no, ...record.refs]))];
+  if (keys.length === 0) return new Set();
+
+  const placeholders = keys.map(() => '?').join(', ');
+  const staged = db.prepare(`SELECT tender_no FROM gebiz_active_tenders WHERE tender_no IN (${placeholders})`).all(...keys);
+  const inPipeline = db.prepare(`SELECT tender_no FROM bpo_tender_lifecycle WHERE tender_no IN (${placeholders})`).all(...keys);
+  return new Set([...staged, ...inPipeline].map(row => row.tender_no));
+}
+
+/**
+ * Scrape one portal into the feed
+ * @param {string} portalKey
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'scheduled' | 'manual'
+ * @param {string} [options.html] - Listing page to use instead of fetching (offline runs)
+ * @returns {Promise<Object>} Run summary (scraping_portal_runs row plus errors)
+ */
+async function runPortal(portalKey, { trigger = 'scheduled', html } = {}) {
+  const adapter = getAdapter(portalKey);
+  if (!adapter) throw new Error(`No scraper adapter for portal ${portalKey}`);
+
+  const startedAt = Date.now();
+  const runId = startRun(portalKey, trigger);
+  const outcome = { status: 'failed', items_found: 0 };
+  const errors = [];
+
+  try {
+    const page = html ?? await fetchListing(adapter);
+    const items = adapter.parse(page);
+    outcome.items_found = items.length;
+
+    const records = [];
+    outcome.items_skipped = 0;
+    outcome.items_invalid = 0;
+    for (const item of items) {
+      const candidate = adapter.normalise(item);
+      if (!candidate) {
+        outcome.items_skipped++;
+        continue;
+      }
+      const { record, error } = normaliseRecord(portalKey, candidate);
+      if (record) {
+        records.push(record);
+      } else {
+        outcome.items_invalid++;
+        errors.push(error);
+      }
+    }
+
+    const { fresh, duplicates } = dedupeRecords(records, knownTenderNumbers(records));
+    outcome.items_duplicate = duplicates.length;
+
+    const staged = fresh.length > 0
+      ? await new DataLifecycleManager().insertToStagingTable(fresh)
+      : { created: 0, errorDetails: [] };
+    outcome.items_new = staged.created;
+    errors.push(...staged.errorDetails.map(detail => `${detail.tender_no}: ${detail.error}`));
+
+    outcome.status = items.length === 0 ? 'empty' : 'success';
+    db.prepare('UPDATE scraping_portals SET last_scraped_at = CURRENT_TIMESTAMP WHERE portal_key = ?').run(portalKey);
+  } catch (error) {
+    outcome.error = error.message;
+    logger.error('Portal scrape failed', { portal: portalKey, error: error.message });
+  }
+
+  outcome.duration_ms = Date.now() - startedAt;
+  if (!outcome.error && errors.length > 0) outcome.error = errors.slice(0, 5).join('; ');
+  finishRun(runId, outcome);
+
+  logger.business('portal_scraped', {
+    portal: portalKey,
+    status: outcome.status,
+    found: outcome.items_found,
+    new: outcome.items_new || 0,
+  });
+
+  return { id: runId, portal_key: portalKey, trigger, ...outcome };
+}
+
+/**
+ * Scrape every enabled portal that has an adapter, one after another
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - Portal keys run elsewhere (GeBIZ has its own scheduler)
+ * @returns {Promise<Object[]>} Run summaries
+ */
+async function runEnabledPortals({ exclude = [] } = {}) {
+  const portals = db.prepare('SELECT portal_key FROM scraping_portals WHERE enabled = 1').all()
+    .map(row => row.portal_key)
+    .filter(key => hasAdapter(key) && !exclude.includes(key));
+
+  const runs = [];
+  for (const key of portals) {
+    runs.push(await runPortal(key));
+  }
+  return runs;
+}
+
+/**
+ * Recent runs of a portal, newest first
+ * @param {string} portalKey
+ * @param {number} [limit]
+ * @returns {Object[]}
+ */
+function listRuns(portalKey, limit = 20) {
+  return db.prepare(`
+    SELECT * FROM scraping_portal_runs WHERE portal_key = ? ORDER BY id DESC LIMIT ?
+  `).all(portalKey, Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100));
+}
+
+/**
+ * Portals with scraper availability taken from the adapter registry, plus
+ * each portal's health and last run
+ * @returns {Object[]}
+ */
+function listPortals() {
+  const available = listAdapters().map(adapter => adapter.key);
+  const placeholders = available.map(() => '?').join(', ');
+  db.prepare(`
+    UPDATE scraping_portals
+    SET scraper_available = CASE WHEN portal_key IN (${placeholders}) THEN 1 ELSE 0 END
+    WHERE scraper_available != CASE WHEN portal_key IN (${placeholders}) THEN 1 ELSE 0 END
+  `).run(...available, ...available);
+
+  const portals = db.prepare(`
+    SELECT * FROM scraping_portals
+    ORDER BY
+      CASE type
+        WHEN 'government' THEN 1
+        WHEN 'aggregator' THEN 2
+        WHEN 'hospitality' THEN 3
+        ELSE 4
+      END,
+      name ASC
+  `).all();
+
+  return portals.map(portal => {
+    const runs = portal.scraper_available ? listRuns(portal.portal_key, HEALTH_WINDOW) : [];
+    return { ...portal, health: evaluateHealth(runs), last_run: runs[0] || null };
+  });
+}
+
+module.exports = {
+  startRun,
+  finishRun,
+  runPortal,
+  runEnabledPortals,
+  listRuns,
+  listPortals,
+};
@@ -0,0 +1,59 @@
+/**
+ * TenderBoard Adapter
+ * Private-sector tender aggregator. Each result is a card with a <dl> of
+ * buyer, dates and the original source; relisted GeBIZ tenders quote their
+ * document code so they are not staged twice.
+ *
+ * @module scraping/portals/tenderboard
+ */
+
+const cheerio = require('cheerio');
+const { sanitizeText, readDefinitions, findGebizCodes, absoluteUrl } = require('./common');
+
+const LISTING_URL = 'https://www.tenderboard.biz/tenders?country=singapore&sort=latest';
+
+/**
+ * Tender cards on the listing page
+ * @param {string} html
+ * @returns {Object[]}
+ */
+function parse(html) {
+  const $ = cheerio.load(html);
+  return $('.tender-card').map((i, card) => {
+    const $link = $(card).find('h3 a').first();
+    return {
+      id: $(card).attr('data-id'),
+      title: sanitizeText($link.text()),
+      href: $link.attr('href'),
+      summary: sanitizeText($(card).find('.summary').text()),
+      terms: readDefinitions($, card),
+    };
+  }).get();
+}
+
+/**
+ * @param {Object} item - From parse()
+ * @returns {Object|null} Record for normaliseRecord()
+ */
+function normalise(item) {
+  if (!item.id) return null;
+  const { terms } = item;
+  return {
+    tender_no: `TB-${item.id}`,
+    title: item.title,
+    agency: terms.buyer,
+    description: item.summary,
+    published_date: terms.published,
+    closing_date: terms.closing,
+    source_url: absoluteUrl(item.href, LISTING_URL),
+    refs: findGebizCodes(`${terms.source || ''} ${item.summary}`),
+  };
+}
+
+module.exports = {
+  key: 'tenderboard',
+  label: 'TenderBoard',
+  listingUrl: LISTING_URL,
+  parse,
+  normalise,
+};
@@ -0,0 +1,62 @@
+/**
+ * TendersGo Adapter
+ * Global tender search engine. The saved search covers manpower and services
+ * categories worldwide, so only Singapore results are kept.
+ *
+ * @module scraping/portals/tendersgo
+ */
+
+const cheerio = require('cheerio');
+const { sanitizeText, findGebizCodes, absoluteUrl } = require('./common');
+
+const LISTING_URL = 'https://www.tendersgo.com/search?country=SG&category=manpower-services';
+
+/**
+ * Search results on the listing page
+ * @param {string} html
+ * @returns {Object[]}
+ */
+function parse(html) {
+  const $ = cheerio.load(html);
+  return $('.search-result').map((i, result) => {
+    const $result = $(result);
+    const $link = $result.find('a.title').first();
+    const text = (selector) => sanitizeText($result.find(selector).first().text());
+    return {
+      ref: text('.ref').replace(/^ref(erence)?\s*:?\s*/i, ''),
+      title: sanitizeText($link.text()),
+      href: $link.attr('href'),
+      country: text('.country'),
+      authority: text('.authority'),
+      published: text('.published'),
+      deadline: text('.deadline'),
+      snippet: text('.snippet'),
+    };
+  }).get();
+}
+
+/**
+ * @param {Object} item - From parse()
+ * @returns {Object|null} Record for normaliseRecord(), null outside Singapore
+ */
+function normalise(item) {
+  if (!/singapore/i.test(item.country)) return null;
+  return {
+    tender_no: item.ref ? `TG-${item.ref}` : null,
+    title: item.title,
+    agency: item.authority,
+    description: item.snippet,
+    published_date: item.published,
+    closing_date: item.deadline,
+    source_url: absoluteUrl(item.href, LISTING_URL),
+    refs: findGebizCodes(`${item.title} ${item.snippet}`),
+  };
+}
+
+module.exports = {
+  key: 'tendersgo',
+  label: 'TendersGo',
+  listingUrl: LISTING_URL,
+  parse,
+  normalise,
+};
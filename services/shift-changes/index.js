@@ -0,0 +1,495 @@
+/**
+ * Shift Change Service
+ * Lets a deployed worker get out of a shift without calling a consultant.
+ *
+ *   swap:    worker proposes a named colleague → colleague accepts
+ *            → (admin approves, if the client wants that) → shift moves over
+ *   release: worker gives the slot back → (admin approves, if required)
+ *            → deployment cancelled and the backfill service finds a replacement
+ *
+ * Colleagues are checked against their availability calendar, the job's
+ * required skills and their other shifts, again at every step since any of
+ * those can change while a request waits.
+ *
+ * Releases with less than LATE_NOTICE_HOURS notice count as last-minute
+ * cancellations in the reliability score.
+ *
+ * @module shift-changes
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const { notifyAdmins } = require('../../websocket/notify-admins');
+const backfill = require('../backfill');
+const {
+  LATE_NOTICE_HOURS,
+  OPEN_STATUSES,
+  CHANGEABLE_DEPLOYMENT_STATUSES,
+  noticeFor,
+  checkColleague,
+  needsApproval,
+  validateRequest,
+} = require('./rules');
+
+const logger = createLogger('shift-changes');
+
+// Colleagues shown to a worker looking for a swap
+const MAX_COLLEAGUES = 30;
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+function notifyCandidate(candidateId, title, message, data) {
+  try {
+    const { createNotification } = require('../../websocket/broadcasting/event-notifiers');
+    createNotification(candidateId, 'shift_change', title, message, data);
+  } catch (error) {
+    logger.warn('Failed to create shift change notification', { candidate_id: candidateId, error: error.message });
+  }
+}
+
+function formatShift(job) {
+  return `${job.title} on ${job.job_date}, ${job.start_time}-${job.end_time}`;
+}
+
+const REQUEST_QUERY = `
+  SELECT r.*, j.title as job_title, j.job_date, j.start_time, j.end_time, j.location, j.client_id,
+         cl.company_name as client_name, c.name as candidate_name, t.name as target_name
+  FROM shift_change_requests r
+  JOIN jobs j ON j.id = r.job_id
+  LEFT JOIN clients cl ON cl.id = j.client_id
+  LEFT JOIN candidates c ON c.id = r.candidate_id
+  LEFT JOIN candidates t ON t.id = r.target_candidate_id
+`;
+
+function getRequest(id) {
+  const request = db.prepare(`${REQUEST_QUERY} WHERE r.id = ?`).get(id);
+  if (!request) throw ApiError.notFound('Shift change request not found', 'REQUEST_NOT_FOUND');
+  return request;
+}
+
+function loadShift(deploymentId) {
+  const deployment = db.prepare('SELECT * FROM deployments WHERE id = ?').get(deploymentId);
+  if (!deployment) throw ApiError.notFound('Deployment not found', 'DEPLOYMENT_NOT_FOUND');
+  const job = db.prepare(`
+    SELECT j.*, COALESCE(cl.shift_change_approval, 'none') as approval_policy
+    FROM jobs j LEFT JOIN clients cl ON cl.id = j.client_id
+    WHERE j.id = ?
+  `).get(deployment.job_id);
+  return { deployment, job };
+}
+
+/**
+ * The colleague's availability entry and other active shifts around the job
+ */
+function colleagueContext(colleagueId, job) {
+  return {
+    colleague: db.prepare('SELECT * FROM candidates WHERE id = ?').get(colleagueId),
+    availability: db.prepare('SELECT * FROM candidate_availability WHERE candidate_id = ? AND date = ?')
+      .get(colleagueId, job.job_date) || null,
+    otherShifts: db.prepare(`
+      SELECT j.* FROM deployments d JOIN jobs j ON j.id = d.job_id
+      WHERE d.candidate_id = ? AND d.status IN ('assigned', 'confirmed', 'in_progress') AND j.id != ?
+        AND j.job_date BETWEEN date(?, '-1 day') AND date(?, '+1 day')
+    `).all(colleagueId, job.id, job.job_date, job.job_date),
+  };
+}
+
+/**
+ * Check a colleague can still take the shift; throws with the reason if not
+ */
+function assertColleagueEligible(colleagueId, job) {
+  const onJob = db.prepare(`
+    SELECT 1 FROM deployments WHERE job_id = ? AND candidate_id = ? AND status NOT IN ('cancelled', 'no_show')
+  `).get(job.id, colleagueId);
+  if (onJob) throw ApiError.conflict('This colleague is already on this shift', 'COLLEAGUE_ON_SHIFT');
+
+  const check = checkColleague({ job, ...colleagueContext(colleagueId, job) });
+  if (!check.eligible) throw ApiError.conflict(check.reason, check.code);
+}
+
+/**
+ * Check the deployment can still be changed; throws if not
+ */
+function assertChangeable(deployment, job, now = new Date()) {
+  if (!CHANGEABLE_DEPLOYMENT_STATUSES.includes(deployment.status)) {
+    throw ApiError.conflict(`A ${deployment.status} shift cannot be changed`, 'DEPLOYMENT_NOT_CHANGEABLE');
+  }
+  if (noticeFor(job, now).started) {
+    throw ApiError.conflict('This shift has already started', 'SHIFT_STARTED');
+  }
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Move the shift to the colleague: the old deployment is cancelled and a
+ * confirmed one created in the same transaction, so the slot count is unchanged
+ */
+function completeSwap(request) {
+  const { deployment, job } = loadShift(request.deployment_id);
+  assertChangeable(deployment, job);
+  assertColleagueEligible(request.target_candidate_id, job);
+
+  const newDeploymentId = generateId('DEP');
+  db.transaction(() => {
+    db.prepare("UPDATE deployments SET status = 'cancelled' WHERE id = ?").run(deployment.id);
+    db.prepare(`
+      INSERT INTO deployments (id, job_id, candidate_id, status) VALUES (?, ?, ?, 'confirmed')
+    `).run(newDeploymentId, job.id, request.target_candidate_id);
+    db.prepare(`
+      UPDATE shift_change_requests
+      SET status = 'completed', new_deployment_id = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(newDeploymentId, request.id);
+  })();
+
+  notifyCandidate(request.candidate_id, 'Swap complete', `${request.target_name} is now working ${formatShift(job)}.`, {
+    request_id: request.id, job_id: job.id,
+  });
+  notifyCandidate(request.target_candidate_id, 'Shift confirmed', `You're confirmed for ${formatShift(job)}.`, {
+    request_id: request.id, job_id: job.id, deployment_id: newDeploymentId,
+  });
+  logger.business('shift_swapped', {
+    request_id: request.id, job_id: job.id, from: request.candidate_id, to: request.target_candidate_id,
+  });
+  notifyAdmins('shift_change_completed', { requestId: request.id, jobId: job.id, type: 'swap' });
+}
+
+/**
+ * Give the slot back: cancel the deployment and hand it to backfill
+ */
+async function completeRelease(request) {
+  const { deployment, job } = loadShift(request.deployment_id);
+  assertChangeable(deployment, job);
+
+  db.transaction(() => {
+    db.prepare("UPDATE deployments SET status = 'cancelled' WHERE id = ?").run(deployment.id);
+    db.prepare(`
+      UPDATE shift_change_requests
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(request.id);
+  })();
+
+  try {
+    const backfillRequest = await backfill.handleDeploymentDropout(deployment.id);
+    if (backfillRequest) {
+      db.prepare('UPDATE shift_change_requests SET backfill_request_id = ? WHERE id = ?').run(backfillRequest.id, request.id);
+    }
+  } catch (error) {
+    logger.error('Failed to start backfill for released shift', { request_id: request.id, error: error.message });
+  }
+
+  notifyCandidate(request.candidate_id, 'Shift released', `You're no longer working ${formatShift(job)}.`, {
+    request_id: request.id, job_id: job.id,
+  });
+  logger.business('shift_released', {
+    request_id: request.id, job_id: job.id, candidate_id: request.candidate_id, late: request.is_late === 1,
+  });
+  notifyAdmins('shift_change_completed', { requestId: request.id, jobId: job.id, type: 'release' });
+}
+
+/**
+ * Send a request on: to an admin if the client requires approval, otherwise
+ * carry it out
+ */
+async function advance(requestId) {
+  const request = getRequest(requestId);
+  const { job } = loadShift(request.deployment_id);
+
+  if (needsApproval(job.approval_policy, request.type)) {
+    db.prepare(`
+      UPDATE shift_change_requests SET status = 'awaiting_approval', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(requestId);
+    notifyAdmins('shift_change_pending', { requestId, jobId: job.id, type: request.type });
+  } else if (request.type === 'swap') {
+    completeSwap(request);
+  } else {
+    await completeRelease(request);
+  }
+  return getRequest(requestId);
+}
+
+// ============================================================================
+// WORKER ACTIONS
+// ============================================================================
+
+/**
+ * Colleagues a worker could swap a shift with, most familiar with the client first
+ * @param {string} candidateId - Worker asking
+ * @param {string} deploymentId - Their deployment
+ * @returns {Object[]} { id, name, shifts_with_client, rating }
+ */
+function listColleagues(candidateId, deploymentId) {
+  const { deployment, job } = loadShift(deploymentId);
+  if (deployment.candidate_id !== candidateId) throw ApiError.notFound('Deployment not found', 'DEPLOYMENT_NOT_FOUND');
+  assertChangeable(deployment, job);
+
+  const candidates = db.prepare(`
+    SELECT c.*,
+      (SELECT COUNT(*) FROM deployments d JOIN jobs j ON j.id = d.job_id
+       WHERE d.candidate_id = c.id AND j.client_id = ? AND d.status = 'completed') as shifts_with_client
+    FROM candidates c
+    WHERE c.status = 'active' AND c.id != ?
+      AND NOT EXISTS (
+        SELECT 1 FROM deployments d
+        WHERE d.candidate_id = c.id AND d.job_id = ? AND d.status NOT IN ('cancelled', 'no_show')
+      )
+    ORDER BY shifts_with_client DESC, COALESCE(c.rating, 0) DESC
+  `).all(job.client_id, candidateId, job.id);
+
+  const availability = new Map(db.prepare('SELECT * FROM candidate_availability WHERE date = ?')
+    .all(job.job_date).map(entry => [entry.candidate_id, entry]));
+  const shiftsByCandidate = new Map();
+  db.prepare(`
+    SELECT d.candidate_id, j.* FROM deployments d JOIN jobs j ON j.id = d.job_id
+    WHERE d.status IN ('assigned', 'confirmed', 'in_progress') AND j.id != ?
+      AND j.job_date BETWEEN date(?, '-1 day') AND date(?, '+1 day')
+  `).all(job.id, job.job_date, job.job_date).forEach(row => {
+    if (!shiftsByCandidate.has(row.candidate_id)) shiftsByCandidate.set(row.candidate_id, []);
+    shiftsByCandidate.get(row.candidate_id).push(row);
+  });
+
+  return candidates
+    .filter(colleague => checkColleague({
+      job,
+      colleague,
+      availability: availability.get(colleague.id) || null,
+      otherShifts: shiftsByCandidate.get(colleague.id) || [],
+    }).eligible)
+    .slice(0, MAX_COLLEAGUES)
+    .map(c => ({ id: c.id, name: c.name, shifts_with_client: c.shifts_with_client, rating: c.rating || null }));
+}
+
+/**
+ * Ask to swap or release a shift
+ * @param {string} candidateId - Worker on the shift
+ * @param {Object} input - { deployment_id, type: 'swap'|'release', target_candidate_id, reason }
+ * @returns {Promise<Object>} Request
+ */
+async function createRequest(candidateId, input = {}) {
+  const { request, error } = validateRequest(input);
+  if (error) throw ApiError.badRequest(error, 'INVALID_REQUEST');
+
+  const { deployment, job } = loadShift(input.deployment_id);
+  if (deployment.candidate_id !== candidateId) throw ApiError.notFound('Deployment not found', 'DEPLOYMENT_NOT_FOUND');
+  assertChangeable(deployment, job);
+
+  const pending = db.prepare(`
+    SELECT 1 FROM shift_change_requests WHERE deployment_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+  `).get(deployment.id, ...OPEN_STATUSES);
+  if (pending) throw ApiError.conflict('You already have a request open for this shift', 'REQUEST_PENDING');
+
+  if (request.type === 'swap') {
+    if (request.target_candidate_id === candidateId) {
+      throw ApiError.badRequest('Choose a colleague to swap with', 'INVALID_REQUEST');
+    }
+    assertColleagueEligible(request.target_candidate_id, job);
+  }
+
+  const notice = noticeFor(job);
+  const id = generateId('SCR');
+  db.prepare(`
+    INSERT INTO shift_change_requests (id, deployment_id, job_id, candidate_id, type, target_candidate_id, reason,
+                                       status, hours_notice, is_late)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, deployment.id, job.id, candidateId, request.type, request.target_candidate_id, request.reason,
+    request.type === 'swap' ? 'awaiting_colleague' : 'awaiting_approval', notice.hours_notice, notice.is_late ? 1 : 0
+  );
+  logger.business('shift_change_requested', {
+    request_id: id, type: request.type, job_id: job.id, candidate_id: candidateId, hours_notice: notice.hours_notice,
+  });
+
+  if (request.type === 'swap') {
+    const requester = db.prepare('SELECT name FROM candidates WHERE id = ?').get(candidateId);
+    notifyCandidate(request.target_candidate_id, 'Shift swap request',
+      `${requester?.name || 'A colleague'} asked you to take ${formatShift(job)} at ${job.location}.`,
+      { request_id: id, job_id: job.id });
+    return getRequest(id);
+  }
+  return advance(id);
+}
+
+/**
+ * Accept or decline a swap offered to you
+ * @param {string} candidateId - The colleague asked
+ * @param {string} requestId
+ * @param {boolean} accept
+ * @returns {Promise<Object>} Request
+ */
+async function respondToSwap(candidateId, requestId, accept) {
+  const request = getRequest(requestId);
+  if (request.target_candidate_id !== candidateId) throw ApiError.notFound('Shift change request not found', 'REQUEST_NOT_FOUND');
+  if (request.status !== 'awaiting_colleague') {
+    throw ApiError.conflict('This request is no longer waiting for you', 'REQUEST_CLOSED');
+  }
+
+  if (!accept) {
+    db.prepare(`
+      UPDATE shift_change_requests SET status = 'declined', responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(requestId);
+    notifyCandidate(request.candidate_id, 'Swap declined',
+      `${request.target_name} can't take ${request.job_title} on ${request.job_date}. You're still on this shift.`,
+      { request_id: requestId, job_id: request.job_id });
+    return getRequest(requestId);
+  }
+
+  const { deployment, job } = loadShift(request.deployment_id);
+  assertChangeable(deployment, job);
+  assertColleagueEligible(candidateId, job);
+  db.prepare(`
+    UPDATE shift_change_requests SET responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(requestId);
+  return advance(requestId);
+}
+
+/**
+ * Withdraw your own request while it is still open
+ * @param {string} candidateId
+ * @param {string} requestId
+ * @returns {Object} Request
+ */
+function withdrawRequest(candidateId, requestId) {
+  const request = getRequest(requestId);
+  if (request.candidate_id !== candidateId) throw ApiError.notFound('Shift change request not found', 'REQUEST_NOT_FOUND');
+  if (!OPEN_STATUSES.includes(request.status)) {
+    throw ApiError.conflict('This request can no longer be withdrawn', 'REQUEST_CLOSED');
+  }
+  db.prepare(`
+    UPDATE shift_change_requests SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(requestId);
+  if (request.status === 'awaiting_colleague') {
+    notifyCandidate(request.target_candidate_id, 'Swap request withdrawn',
+      `${request.candidate_name} no longer needs cover for ${request.job_title} on ${request.job_date}.`,
+      { request_id: requestId });
+  }
+  return getRequest(requestId);
+}
+
+/**
+ * A worker's requests: the ones they made and swaps waiting for their answer
+ * @param {string} candidateId
+ * @returns {{sent: Object[], received: Object[], late_notice_hours: number}}
+ */
+function getWorkerRequests(candidateId) {
+  return {
+    late_notice_hours: LATE_NOTICE_HOURS,
+    sent: db.prepare(`${REQUEST_QUERY} WHERE r.candidate_id = ? ORDER BY r.created_at DESC LIMIT 50`).all(candidateId),
+    received: db.prepare(`
+      ${REQUEST_QUERY} WHERE r.target_candidate_id = ? AND r.status = 'awaiting_colleague' ORDER BY j.job_date
+    `).all(candidateId),
+  };
+}
+
+// ============================================================================
+// ADMIN ACTIONS
+// ============================================================================
+
+/**
+ * Requests for the admin queue
+ * @param {Object} [filters] - { status: a status, 'open' or 'all'; client_id }
+ * @returns {Object[]}
+ */
+function listRequests({ status = 'awaiting_approval', client_id } = {}) {
+  let query = `${REQUEST_QUERY} WHERE 1=1`;
+  const params = [];
+  if (status === 'open') {
+    query += ` AND r.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`;
+    params.push(...OPEN_STATUSES);
+  } else if (status !== 'all') {
+    query += ' AND r.status = ?';
+    params.push(status);
+  }
+  if (client_id) {
+    query += ' AND j.client_id = ?';
+    params.push(client_id);
+  }
+  query += ' ORDER BY j.job_date, j.start_time LIMIT 200';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Approve or reject a request waiting for an admin
+ * @param {string} requestId
+ * @param {Object} input - { action: 'approve'|'reject', note }
+ * @param {Object} actor - req.user of the admin
+ * @returns {Promise<Object>} Request
+ */
+async function reviewRequest(requestId, { action, note } = {}, actor) {
+  if (!['approve', 'reject'].includes(action)) {
+    throw ApiError.badRequest('action must be one of: approve, reject', 'INVALID_ACTION');
+  }
+  const request = getRequest(requestId);
+  if (request.status !== 'awaiting_approval') {
+    throw ApiError.conflict('This request is not waiting for approval', 'REQUEST_CLOSED');
+  }
+  const reviewNote = String(note ?? '').trim() || null;
+  if (action === 'reject' && !reviewNote) {
+    throw ApiError.badRequest('A note is required to reject a request', 'NOTE_REQUIRED');
+  }
+
+  db.prepare(`
+    UPDATE shift_change_requests
+    SET reviewed_by = ?, review_note = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(actor?.email || actor?.id || null, reviewNote, requestId);
+
+  if (action === 'reject') {
+    db.prepare("UPDATE shift_change_requests SET status = 'rejected' WHERE id = ?").run(requestId);
+    const message = `Your request to ${request.type} ${request.job_title} on ${request.job_date} was not approved: ${reviewNote}`;
+    notifyCandidate(request.candidate_id, 'Shift change not approved', message, { request_id: requestId, job_id: request.job_id });
+    if (request.target_candidate_id) {
+      notifyCandidate(request.target_candidate_id, 'Shift swap not approved',
+        `The swap for ${request.job_title} on ${request.job_date} was not approved.`, { request_id: requestId });
+    }
+    logger.business('shift_change_rejected', { request_id: requestId, reviewed_by: actor?.id });
+    return getRequest(requestId);
+  }
+
+  if (request.type === 'swap') {
+    completeSwap(request);
+  } else {
+    await completeRelease(request);
+  }
+  return getRequest(requestId);
+}
+
+/**
+ * Close requests nobody acted on before the shift started (job scheduler)
+ * @param {Date} [now]
+ * @returns {{expired: number}}
+ */
+function expireStartedRequests(now = new Date()) {
+  const open = db.prepare(`${REQUEST_QUERY} WHERE r.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`)
+    .all(...OPEN_STATUSES);
+  const started = open.filter(request => noticeFor(request, now).started);
+
+  const expire = db.prepare(`
+    UPDATE shift_change_requests SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `);
+  db.transaction(() => started.forEach(request => expire.run(request.id)))();
+
+  started.forEach(request => notifyCandidate(request.candidate_id, 'Shift change expired',
+    `Your request for ${request.job_title} on ${request.job_date} was not completed before the shift started. You're still on this shift.`,
+    { request_id: request.id, job_id: request.job_id }));
+  return { expired: started.length };
+}
+
+module.exports = {
+  listColleagues,
+  createRequest,
+  respondToSwap,
+  withdrawRequest,
+  getWorkerRequests,
+  listRequests,
+  reviewRequest,
+  expireStartedRequests,
+};
@@ -0,0 +1,184 @@
+/**
+ * Shift Change Rules
+ * Checks for worker-initiated swaps and releases: who a shift can be handed
+ * to, how much notice was given and whether the client wants an admin to
+ * approve the change.
+ *
+ * @module shift-changes/rules
+ */
+
+const { getAvailabilityFit } = require('../backfill/ranking');
+
+// Changes with less notice than this count as late drops for reliability
+const LATE_NOTICE_HOURS = parseInt(process.env.SHIFT_LATE_NOTICE_HOURS, 10) || 48;
+
+const CHANGE_TYPES = ['swap', 'release'];
+
+// Per-client setting (clients.shift_change_approval)
+const APPROVAL_POLICIES = ['none', 'release', 'all'];
+
+// Requests still waiting on someone
+const OPEN_STATUSES = ['awaiting_colleague', 'awaiting_approval'];
+
+// Deployments a worker can still hand over
+const CHANGEABLE_DEPLOYMENT_STATUSES = ['assigned', 'confirmed'];
+
+const MAX_REASON_LENGTH = 500;
+
+function toMinutes(time) {
+  if (!time) return null;
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return Number.isFinite(hours) ? hours * 60 + (minutes || 0) : null;
+}
+
+/**
+ * Start and end of a shift in epoch milliseconds (Singapore time, overnight
+ * shifts end the next day)
+ * @param {Object} job - Job row (job_date, start_time, end_time)
+ * @returns {{start: number, end: number}|null}
+ */
+function shiftWindow(job) {
+  if (!job || !job.job_date) return null;
+  const startMinutes = toMinutes(job.start_time) ?? 0;
+  let endMinutes = toMinutes(job.end_time) ?? 24 * 60 - 1;
+  if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+  // Singapore is UTC+8 all year round (no DST)
+  const midnight = new Date(`${job.job_date}T00:00:00+08:00`).getTime();
+  if (Number.isNaN(midnight)) return null;
+  return { start: midnight + startMinutes * 60000, end: midnight + endMinutes * 60000 };
+}
+
+/**
+ * Whether two shifts overlap in time
+ * @param {Object} a - Job row
+ * @param {Object} b - Job row
+ * @returns {boolean}
+ */
+function shiftsOverlap(a, b) {
+  const first = shiftWindow(a);
+  const second = shiftWindow(b);
+  if (!first || !second) return false;
+  return first.start < second.end && second.start < first.end;
+}
+
+/**
+ * Notice given for a change, and whether it is too late to make at all
+ * @param {Object} job - Job row
+ * @param {Date} [now]
+ * @returns {{hours_notice: number, is_late: boolean, started: boolean}}
+ */
+function noticeFor(job, now = new Date()) {
+  const window = shiftWindow(job);
+  const hours = window ? (window.start - now.getTime()) / 3600000 : 0;
+  return {
+    hours_notice: Math.round(hours * 10) / 10,
+    is_late: hours < LATE_NOTICE_HOURS,
+    started: hours <= 0,
+  };
+}
+
+/**
+ * Required skills the worker does not have (same loose match as candidate
+ * matching: either name may contain the other)
+ * @param {string[]} required
+ * @param {string[]} skills
+ * @returns {string[]}
+ */
+function missingSkills(required = [], skills = []) {
+  const held = skills.map(s => String(s).toLowerCase());
+  return required.filter(req => {
+    const wanted = String(req).toLowerCase();
+    return !held.some(skill => skill.includes(wanted) || wanted.includes(skill));
+  });
+}
+
+/**
+ * Whether a colleague can take over a shift
+ * @param {Object} context
+ * @param {Object} context.job - Job row (required_skills as JSON text or array)
+ * @param {Object} context.colleague - Candidate row (status, skills, availability_mode)
+ * @param {Object|null} context.availability - candidate_availability row for the job date
+ * @param {Object[]} context.otherShifts - Job rows of the colleague's other active deployments
+ * @returns {{eligible: boolean, code: string|null, reason: string|null}}
+ */
+function checkColleague({ job, colleague, availability = null, otherShifts = [] }) {
+  const refuse = (code, reason) => ({ eligible: false, code, reason });
+
+  if (!colleague || colleague.status !== 'active') {
+    return refuse('COLLEAGUE_INACTIVE', 'This colleague cannot take shifts right now');
+  }
+
+  const fit = getAvailabilityFit(availability, colleague, job);
+  if (fit === 'unavailable') {
+    return refuse('COLLEAGUE_UNAVAILABLE', 'This colleague is marked unavailable that day');
+  }
+  if (fit === 'partial') {
+    return refuse('COLLEAGUE_PARTIALLY_AVAILABLE', 'This colleague is not available for the full shift');
+  }
+
+  const required = Array.isArray(job.required_skills) ? job.required_skills : JSON.parse(job.required_skills || '[]');
+  const skills = Array.isArray(colleague.skills) ? colleague.skills : JSON.parse(colleague.skills || '[]');
+  const missing = missingSkills(required, skills);
+  if (missing.length > 0) {
+    return refuse('COLLEAGUE_MISSING_SKILLS', `This colleague does not have: ${missing.join(', ')}`);
+  }
+
+  if (otherShifts.some(other => shiftsOverlap(job, other))) {
+    return refuse('COLLEAGUE_OVERLAPPING_SHIFT', 'This colleague already has a shift at that time');
+  }
+
+  return { eligible: true, code: null, reason: null };
+}
+
+/**
+ * Whether a change needs an admin's approval under the client's policy
+ * @param {string} policy - 'none' | 'release' | 'all'
+ * @param {string} type - 'swap' | 'release'
+ * @returns {boolean}
+ */
+function needsApproval(policy, type) {
+  if (policy === 'all') return true;
+  return policy === 'release' && type === 'release';
+}
+
+/**
+ * Check a worker's request
+ * @param {Object} input - { type, target_candidate_id, reason }
+ * @returns {{request: Object|null, error: string|null}}
+ */
+function validateRequest(input = {}) {
+  if (!CHANGE_TYPES.includes(input.type)) {
+    return { request: null, error: `type must be one of: ${CHANGE_TYPES.join(', ')}` };
+  }
+  if (input.type === 'swap' && !input.target_candidate_id) {
+    return { request: null, error: 'Choose a colleague to swap with' };
+  }
+  const reason = String(input.reason ?? '').trim();
+  if (reason.length > MAX_REASON_LENGTH) {
+    return { request: null, error: `Reason must be ${MAX_REASON_LENGTH} characters or fewer` };
+  }
+  return {
+    request: {
+      type: input.type,
+      target_candidate_id: input.type === 'swap' ? input.target_candidate_id : null,
+      reason: reason || null,
+    },
+    error: null,
+  };
+}
+
+module.exports = {
+  LATE_NOTICE_HOURS,
+  CHANGE_TYPES,
+  APPROVAL_POLICIES,
+  OPEN_STATUSES,
+  CHANGEABLE_DEPLOYMENT_STATUSES,
+  shiftWindow,
+  shiftsOverlap,
+  noticeFor,
+  missingSkills,
+  checkColleague,
+  needsApproval,
+  validateRequest,
+};
@@ -347,27 +347,6 @@ class AdminEscalationSystem {
     try {
       const { db } = require('../../db');
 
-      // Ensure escalations table exists
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS escalations (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          candidate_id TEXT NOT NULL,
-          message_content TEXT NOT NULL,
-          original_intent TEXT,
-          escalation_reason TEXT,
-          category TEXT NOT NULL,
-          priority TEXT NOT NULL,
-          department TEXT,
-          assigned_admin TEXT,
-          status TEXT DEFAULT 'open',
-          response_target_time DATETIME,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          resolved_at DATETIME,
-          admin_response TEXT,
-          resolution_notes TEXT
-        )
-      `);
-
       const targetTime = new Date(Date.now() + (escalationDetails.responseTarget * 1000));
 
       const result = db.prepare(`
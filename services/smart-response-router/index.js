@@ -211,7 +211,15 @@ class SmartResponseRouter {
       );
     }
 
-    // PRIORITY 2: Low confidence or complex queries requiring escalation
+    // PRIORITY 2: Questions the knowledge base already answers (curated FAQ /
+    // approved answers) - only when no personal data or human is needed
+    if (!intentAnalysis.requiresEscalation && !intentAnalysis.requiresRealData &&
+        (intentAnalysis.confidence < 0.7 || intentAnalysis.primary === 'general_question')) {
+      const kbResponse = await this.answerFromKnowledgeBase(candidateContext, message, intentAnalysis);
+      if (kbResponse) return kbResponse;
+    }
+
+    // PRIORITY 3: Low confidence or complex queries requiring escalation
     if (intentAnalysis.confidence < this.routingConfig.escalationThreshold ||
         intentAnalysis.requiresEscalation) {
       logger.info('Routing to admin escalation', {
@@ -227,7 +235,7 @@ class SmartResponseRouter {
       );
     }
 
-    // PRIORITY 3: Critical queries requiring real data
+    // PRIORITY 4: Critical queries requiring real data
     if (intentAnalysis.requiresRealData) {
       logger.info('Routing to fact-based real data response', {
         candidateId: candidateContext.id,
@@ -242,7 +250,7 @@ class SmartResponseRouter {
       );
     }
 
-    // PRIORITY 4: Standard queries with template responses
+    // PRIORITY 5: Standard queries with template responses
     if (intentAnalysis.confidence >= 0.7) {
       logger.info('Routing to fact-based template response', {
         candidateId: candidateContext.id,
@@ -355,6 +363,40 @@ class SmartResponseRouter {
     }
   }
 
+  /**
+   * Answer from retrieved knowledge-base passages, with citations.
+   * Returns null when no passage is strong enough to send as-is.
+   */
+  async answerFromKnowledgeBase(candidateContext, message, intentAnalysis) {
+    try {
+      const retrieval = require('../ml/retrieval');
+      const { answer } = await retrieval.ground(message);
+      if (!answer) return null;
+
+      logger.info('Routing to knowledge base answer', {
+        candidateId: candidateContext.id,
+        source: answer.source,
+        sourceId: answer.sourceId,
+        score: answer.score
+      });
+
+      return {
+        content: answer.answer,
+        source: 'knowledge_base',
+        confidence: retrieval.answerConfidence(answer),
+        intent: answer.intent || answer.category || intentAnalysis.primary,
+        citations: [retrieval.toCitation(answer, 1)],
+        usesRealData: false
+      };
+    } catch (error) {
+      logger.warn('Knowledge base retrieval failed, continuing routing', {
+        candidateId: candidateContext.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Generate fact-based response using real candidate data
    */
@@ -680,25 +722,13 @@ class SmartResponseRouter {
   }
 
   /**
-   * Initialize database table for decision logging
+   * Check the decision log table (created by migrations) is in place
    */
   async initializeDecisionLogging() {
     try {
       const { db } = require('../../db');
 
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS smart_router_decisions (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          candidate_id TEXT NOT NULL,
-          message_hash TEXT NOT NULL,
-          intent TEXT NOT NULL,
-          confidence REAL NOT NULL,
-          response_source TEXT NOT NULL,
-          escalated INTEGER DEFAULT 0,
-          uses_real_data INTEGER DEFAULT 0,
-          created_at DATETIME NOT NULL
-        )
-      `);
+      db.prepare('SELECT 1 FROM smart_router_decisions LIMIT 1').get();
 
       logger.info('Smart Router decision logging initialized');
 
@@ -0,0 +1,390 @@
+/**
+ * Stage Gate Service
+ * Configurable gate rules for moving BPO tenders forward through the
+ * pipeline, with approver sign-off and an append-only approval history.
+ *
+ * Flow:
+ *   tender enters a stage → approvers of the next gate are notified
+ *   → approvers approve / reject / comment (history rows are never changed)
+ *   → a move into the gated stage is refused until every check passes
+ *
+ * Approvals count for the current round only: those recorded since the tender
+ * last changed stage. Moving a tender back and forward again starts a new round.
+ *
+ * @module stage-gates
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const notificationRouter = require('../notifications');
+const tenderDocuments = require('../tender-documents');
+const {
+  STAGE_ORDER,
+  STAGE_LABELS,
+  nextStage,
+  gatesBetween,
+  evaluateGate,
+  normalizeRule,
+} = require('./rules');
+
+const logger = createLogger('stage-gates');
+
+const HISTORY_ACTIONS = ['requested', 'approved', 'rejected', 'comment'];
+
+// Who hears about a gate without named approvers (see notifications getRecipients)
+const DEFAULT_APPROVER_ROLES = ['bid_manager', 'director'];
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+function getTender(tenderId) {
+  const tender = db.prepare(`
+    SELECT id, tender_no, title, agency, stage, estimated_margin, our_bid_amount,
+           stage_updated_at, created_at
+    FROM bpo_tender_lifecycle WHERE id = ?
+  `).get(tenderId);
+  if (!tender) {
+    throw ApiError.notFound('Tender not found');
+  }
+  return tender;
+}
+
+function parseRule(row) {
+  return {
+    ...row,
+    require_pricing_scenario: !!row.require_pricing_scenario,
+    require_compliance: !!row.require_compliance,
+    is_active: !!row.is_active,
+    approvers: JSON.parse(row.approvers || '[]'),
+  };
+}
+
+// ============================================
+// RULES
+// ============================================
+
+/**
+ * Gate rules for every stage that can be gated, configured or not
+ */
+function listRules() {
+  const rows = db.prepare('SELECT * FROM bpo_stage_gates').all().map(parseRule);
+  return STAGE_ORDER.slice(1).map(stage => rows.find(r => r.stage === stage) || {
+    stage,
+    name: null,
+    require_pricing_scenario: false,
+    require_compliance: false,
+    min_margin_pct: null,
+    required_approvals: 0,
+    approvers: [],
+    is_active: false,
+  });
+}
+
+function getActiveGates() {
+  return db.prepare('SELECT * FROM bpo_stage_gates WHERE is_active = 1').all().map(parseRule);
+}
+
+/**
+ * Create or replace the gate rule for a stage
+ * @param {string} stage - Stage the gate guards entry into
+ * @param {Object} data - See rules.normalizeRule
+ * @param {string} [updatedBy]
+ */
+function updateRule(stage, data, updatedBy = null) {
+  if (!STAGE_ORDER.slice(1).includes(stage)) {
+    throw ApiError.badRequest(`Stage cannot be gated: ${stage}`, 'INVALID_STAGE');
+  }
+  const { rule, error } = normalizeRule(data);
+  if (error) {
+    throw ApiError.badRequest(error, 'INVALID_GATE_RULE');
+  }
+
+  db.prepare(`
+    INSERT INTO bpo_stage_gates (
+      stage, name, require_pricing_scenario, require_compliance, min_margin_pct,
+      required_approvals, approvers, is_active, updated_by, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(stage) DO UPDATE SET
+      name = excluded.name,
+      require_pricing_scenario = excluded.require_pricing_scenario,
+      require_compliance = excluded.require_compliance,
+      min_margin_pct = excluded.min_margin_pct,
+      required_approvals = excluded.required_approvals,
+      approvers = excluded.approvers,
+      is_active = excluded.is_active,
+      updated_by = excluded.updated_by,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(
+    stage,
+    rule.name,
+    rule.require_pricing_scenario ? 1 : 0,
+    rule.require_compliance ? 1 : 0,
+    rule.min_margin_pct,
+    rule.required_approvals,
+    JSON.stringify(rule.approvers),
+    rule.is_active ? 1 : 0,
+    updatedBy
+  );
+
+  logger.business('stage_gate_updated', { stage, ...rule, updated_by: updatedBy });
+  return parseRule(db.prepare('SELECT * FROM bpo_stage_gates WHERE stage = ?').get(stage));
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+// History for the tender's current approval round, oldest first
+function roundHistory(tender, stage) {
+  return db.prepare(`
+    SELECT * FROM bpo_gate_approvals
+    WHERE tender_id = ? AND stage = ? AND created_at >= datetime(?)
+    ORDER BY created_at, rowid
+  `).all(tender.id, stage, tender.stage_updated_at || tender.created_at);
+}
+
+function evaluate(tender, gate) {
+  const scenarioCount = gate.require_pricing_scenario
+    ? db.prepare('SELECT COUNT(*) as count FROM bpo_bid_scenarios WHERE tender_id = ?').get(tender.id).count
+    : 0;
+
+  return evaluateGate(gate, {
+    scenario_count: scenarioCount,
+    compliance: gate.require_compliance ? tenderDocuments.getReadiness(tender.id) : null,
+    margin_pct: tender.estimated_margin,
+    history: gate.required_approvals > 0 ? roundHistory(tender, gate.stage) : [],
+  });
+}
+
+function findGate(stage) {
+  return getActiveGates().find(g => g.stage === stage) || null;
+}
+
+/**
+ * Refuse a stage move that would skip past an unmet gate
+ * Unknown tenders are left for the caller to report.
+ * @param {string} tenderId
+ * @param {string} toStage
+ * @throws {ApiError} 409 GATE_BLOCKED with error.gates
+ */
+function assertCanMove(tenderId, toStage) {
+  const tender = db.prepare(`
+    SELECT id, stage, estimated_margin, stage_updated_at, created_at
+    FROM bpo_tender_lifecycle WHERE id = ?
+  `).get(tenderId);
+  if (!tender || tender.stage === toStage) return;
+
+  const results = gatesBetween(tender.stage, toStage, getActiveGates()).map(gate => evaluate(tender, gate));
+  const blocked = results.find(r => !r.passed);
+  if (blocked) {
+    const failing = blocked.checks.filter(c => !c.passed).map(c => c.detail);
+    const error = ApiError.conflict(`${blocked.name} gate not met: ${failing.join('; ')}`, 'GATE_BLOCKED');
+    error.gates = results;
+    throw error;
+  }
+}
+
+/**
+ * assertCanMove for routes that report the refusal themselves
+ * @param {string} tenderId
+ * @param {string} [toStage] - No stage change when omitted
+ * @returns {ApiError|null} The refusal, or null when the move may go ahead
+ */
+function checkStageGate(tenderId, toStage) {
+  if (!toStage) {
+    return null;
+  }
+  try {
+    assertCanMove(tenderId, toStage);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * The gate ahead of a tender and its full approval history
+ * @param {string} tenderId
+ */
+function getTenderGates(tenderId) {
+  const tender = getTender(tenderId);
+  const stage = nextStage(tender.stage);
+  const gate = stage ? findGate(stage) : null;
+
+  const history = db.prepare(`
+    SELECT * FROM bpo_gate_approvals WHERE tender_id = ? ORDER BY created_at DESC, rowid DESC
+  `).all(tenderId);
+
+  return {
+    tender,
+    next_gate: gate ? evaluate(tender, gate) : null,
+    history,
+  };
+}
+
+/**
+ * Gate ahead of every open tender, for the Kanban board
+ * @returns {Object<string, Object>} Keyed by tender ID; tenders with no gate ahead are left out
+ */
+function getBoard() {
+  const gates = getActiveGates();
+  const tenders = db.prepare(`
+    SELECT id, stage, estimated_margin, stage_updated_at, created_at
+    FROM bpo_tender_lifecycle WHERE stage NOT IN ('awarded', 'lost')
+  `).all();
+
+  const board = {};
+  for (const tender of tenders) {
+    const gate = gates.find(g => g.stage === nextStage(tender.stage));
+    if (!gate) continue;
+    const result = evaluate(tender, gate);
+    board[tender.id] = {
+      stage: result.stage,
+      name: result.name,
+      passed: result.passed,
+      blockers: result.checks.filter(c => !c.passed).map(c => c.detail),
+      approvals: result.approvals && {
+        required: result.approvals.required,
+        received: result.approvals.approved_by.length,
+        rejected: result.approvals.rejected_by.length > 0,
+      },
+    };
+  }
+  return board;
+}
+
+// ============================================
+// APPROVALS
+// ============================================
+
+function notifyApprovers(tender, gate, { title, message, priority = 'high' }) {
+  if (!notificationRouter.initialized) {
+    notificationRouter.initialize();
+  }
+
+  const recipients = gate.approvers.length > 0 ? { emails: gate.approvers } : { roles: DEFAULT_APPROVER_ROLES };
+  notificationRouter.routeAlert(
+    { alert_title: title, alert_message: message, priority },
+    { recipients, notification_channels: ['email', 'slack'], priority }
+  ).then((result) => {
+    logger.info('Gate notification sent', { tender_id: tender.id, stage: gate.stage, delivered: result.delivered_channels });
+  }).catch((error) => {
+    logger.warn('Gate notification failed', { tender_id: tender.id, stage: gate.stage, error: error.message });
+  });
+
+  return gate.approvers.length > 0 ? gate.approvers : DEFAULT_APPROVER_ROLES;
+}
+
+function appendHistory(tender, stage, action, actor, comment) {
+  const id = generateId('GAP');
+  db.prepare(`
+    INSERT INTO bpo_gate_approvals (id, tender_id, stage, tender_stage, action, actor, comment)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, tender.id, stage, tender.stage, action, actor, comment || null);
+  return db.prepare('SELECT * FROM bpo_gate_approvals WHERE id = ?').get(id);
+}
+
+// Gate ahead of the tender that needs sign-off
+function approvalGate(tender, stage) {
+  const target = stage || nextStage(tender.stage);
+  const gate = target ? findGate(target) : null;
+  if (!gate || gate.required_approvals === 0) {
+    throw ApiError.badRequest(`No approval is required to move to ${STAGE_LABELS[target] || target}`, 'NO_APPROVAL_REQUIRED');
+  }
+  return gate;
+}
+
+/**
+ * Ask the approvers of the tender's next gate for sign-off
+ * @param {string} tenderId
+ * @param {string} requestedBy
+ * @param {string} [comment]
+ */
+function requestApproval(tenderId, requestedBy, comment = null) {
+  const tender = getTender(tenderId);
+  const gate = approvalGate(tender);
+  const entry = appendHistory(tender, gate.stage, 'requested', requestedBy, comment);
+
+  const notified = notifyApprovers(tender, gate, {
+    title: `Approval requested: ${tender.title}`,
+    message: `${requestedBy || 'The bid team'} has asked for sign-off to move ${tender.tender_no || tender.title} `
+      + `(${tender.agency}) to ${STAGE_LABELS[gate.stage]}.${comment ? ` ${comment}` : ''}`,
+  });
+
+  logger.business('stage_gate_approval_requested', { tender_id: tenderId, stage: gate.stage, requested_by: requestedBy });
+  return { entry, notified };
+}
+
+/**
+ * Record an approval, rejection or comment against the tender's next gate
+ * @param {string} tenderId
+ * @param {'approved'|'rejected'|'comment'} action
+ * @param {string} actor - Admin email
+ * @param {string} [comment] - Required for rejections and comments
+ * @param {string} [stage] - Gate to act on (defaults to the next stage)
+ */
+function recordDecision(tenderId, action, actor, comment = null, stage = null) {
+  if (!HISTORY_ACTIONS.includes(action) || action === 'requested') {
+    throw ApiError.badRequest('action must be approved, rejected or comment', 'INVALID_ACTION');
+  }
+  if (action !== 'approved' && !String(comment || '').trim()) {
+    throw ApiError.badRequest(`A comment is required when ${action === 'rejected' ? 'rejecting' : 'commenting'}`, 'COMMENT_REQUIRED');
+  }
+
+  const tender = getTender(tenderId);
+  const gate = action === 'comment' ? findGate(stage || nextStage(tender.stage)) : approvalGate(tender, stage);
+  if (!gate) {
+    throw ApiError.badRequest('Tender has no gate ahead to comment on', 'NO_GATE');
+  }
+  if (action !== 'comment' && gate.approvers.length > 0 && !gate.approvers.includes(String(actor).toLowerCase())) {
+    throw ApiError.forbidden(`Only ${gate.approvers.join(', ')} can sign off this gate`, 'NOT_AN_APPROVER');
+  }
+
+  const entry = appendHistory(tender, gate.stage, action, actor, String(comment || '').trim());
+  const result = evaluate(tender, gate);
+
+  if (action === 'rejected') {
+    notifyApprovers(tender, gate, {
+      title: `Approval rejected: ${tender.title}`,
+      message: `${actor} rejected moving ${tender.tender_no || tender.title} to ${STAGE_LABELS[gate.stage]}: ${entry.comment}`,
+    });
+  }
+
+  logger.business('stage_gate_decision', { tender_id: tenderId, stage: gate.stage, action, actor, passed: result.passed });
+  return { entry, gate: result };
+}
+
+/**
+ * Notify approvers when a tender arrives in front of a gate that needs sign-off.
+ * Never throws - a failed notification must not undo the move.
+ * @param {string} tenderId
+ * @param {string} movedBy
+ */
+function onStageEntered(tenderId, movedBy) {
+  try {
+    const tender = getTender(tenderId);
+    const stage = nextStage(tender.stage);
+    const gate = stage ? findGate(stage) : null;
+    if (gate && gate.required_approvals > 0) {
+      requestApproval(tenderId, movedBy);
+    }
+  } catch (error) {
+    logger.warn('Failed to request gate approval', { tender_id: tenderId, error: error.message });
+  }
+}
+
+module.exports = {
+  HISTORY_ACTIONS,
+  listRules,
+  updateRule,
+  assertCanMove,
+  checkStageGate,
+  getTenderGates,
+  getBoard,
+  requestApproval,
+  recordDecision,
+  onStageEntered,
+};
@@ -0,0 +1,209 @@
+/**
+ * Stage Gate Rules
+ * Decides whether a tender may move forward through the BPO pipeline.
+ *
+ * A gate guards entry into a stage. Moving forward past several stages at
+ * once must pass every gate on the way; moving back, or to Lost, is never
+ * gated. Each gate can require:
+ *   - a saved pricing scenario
+ *   - a complete compliance matrix
+ *   - a minimum bid margin
+ *   - N approvals, optionally only from named approvers
+ *
+ * @module stage-gates/rules
+ */
+
+// Forward order of the pipeline; 'lost' can be reached from anywhere
+const STAGE_ORDER = [
+  'renewal_watch',
+  'new_opportunity',
+  'review',
+  'bidding',
+  'internal_approval',
+  'submitted',
+  'awarded',
+];
+
+const STAGE_LABELS = {
+  renewal_watch: 'Renewal Watch',
+  new_opportunity: 'New Opportunity',
+  review: 'Review',
+  bidding: 'Bidding',
+  internal_approval: 'Approval',
+  submitted: 'Submitted',
+  awarded: 'Won',
+  lost: 'Lost',
+};
+
+const MAX_APPROVALS = 10;
+
+/**
+ * Stage a tender would move to next, or null at the end of the pipeline
+ * @param {string} stage
+ */
+function nextStage(stage) {
+  const index = STAGE_ORDER.indexOf(stage);
+  return index === -1 || index === STAGE_ORDER.length - 1 ? null : STAGE_ORDER[index + 1];
+}
+
+/**
+ * Gates to pass when moving between two stages, in pipeline order
+ * @param {string} fromStage
+ * @param {string} toStage
+ * @param {Object[]} gates - Active gate rules
+ * @returns {Object[]}
+ */
+function gatesBetween(fromStage, toStage, gates) {
+  const from = STAGE_ORDER.indexOf(fromStage);
+  const to = STAGE_ORDER.indexOf(toStage);
+  if (from === -1 || to === -1 || to <= from) return [];
+
+  const passing = STAGE_ORDER.slice(from + 1, to + 1);
+  return passing.map(stage => gates.find(g => g.stage === stage)).filter(Boolean);
+}
+
+/**
+ * Latest decision of each approver
+ * A later rejection withdraws an earlier approval and vice versa; comments
+ * and requests do not count as decisions.
+ * @param {Object[]} history - Gate history entries, oldest first
+ * @param {string[]} approvers - Named approvers (empty for anyone)
+ */
+function summariseDecisions(history, approvers = []) {
+  const named = approvers.map(a => a.toLowerCase());
+  const latest = new Map();
+
+  for (const entry of history) {
+    if (entry.action !== 'approved' && entry.action !== 'rejected') continue;
+    const actor = String(entry.actor || '').toLowerCase();
+    if (!actor || (named.length > 0 && !named.includes(actor))) continue;
+    latest.set(actor, entry);
+  }
+
+  const decisions = [...latest.values()];
+  const approvedBy = decisions.filter(d => d.action === 'approved').map(d => d.actor);
+  const rejectedBy = decisions.filter(d => d.action === 'rejected').map(d => d.actor);
+  const decided = new Set(latest.keys());
+
+  return {
+    approved_by: approvedBy,
+    rejected_by: rejectedBy,
+    awaiting: approvers.filter(a => !decided.has(a.toLowerCase())),
+  };
+}
+
+/**
+ * Check a tender against one gate
+ * @param {Object} gate - Gate rule
+ * @param {Object} facts
+ * @param {number} facts.scenario_count - Saved pricing scenarios
+ * @param {Object} [facts.compliance] - Readiness from services/tender-documents
+ * @param {number|null} facts.margin_pct - Tender's estimated margin (%)
+ * @param {Object[]} facts.history - Gate history for this approval round, oldest first
+ * @returns {{ stage: string, name: string, passed: boolean, checks: Object[], approvals: Object|null }}
+ */
+function evaluateGate(gate, facts) {
+  const checks = [];
+
+  if (gate.require_pricing_scenario) {
+    const passed = facts.scenario_count > 0;
+    checks.push({
+      key: 'pricing_scenario',
+      label: 'Saved pricing scenario',
+      passed,
+      detail: passed ? `${facts.scenario_count} version(s) saved` : 'No pricing scenario saved',
+    });
+  }
+
+  if (gate.require_compliance) {
+    const compliance = facts.compliance || { total: 0 };
+    const passed = compliance.total > 0 && !!compliance.ready;
+    checks.push({
+      key: 'compliance',
+      label: 'Compliance matrix complete',
+      passed,
+      detail: compliance.total === 0
+        ? 'No compliance matrix'
+        : passed ? `${compliance.total} requirement(s) assessed` : compliance.blockers.join('; '),
+    });
+  }
+
+  if (gate.min_margin_pct !== null && gate.min_margin_pct !== undefined) {
+    const margin = facts.margin_pct;
+    const passed = margin !== null && margin !== undefined && margin >= gate.min_margin_pct;
+    checks.push({
+      key: 'margin',
+      label: `Margin at least ${gate.min_margin_pct}%`,
+      passed,
+      detail: margin === null || margin === undefined
+        ? 'No margin recorded - apply a pricing scenario'
+        : `Margin is ${margin}%`,
+    });
+  }
+
+  let approvals = null;
+  if (gate.required_approvals > 0) {
+    const summary = summariseDecisions(facts.history, gate.approvers);
+    approvals = { required: gate.required_approvals, approvers: gate.approvers, ...summary };
+    const rejected = summary.rejected_by.length > 0;
+    const passed = !rejected && summary.approved_by.length >= gate.required_approvals;
+    checks.push({
+      key: 'approvals',
+      label: `${gate.required_approvals} approval(s)`,
+      passed,
+      detail: rejected
+        ? `Rejected by ${summary.rejected_by.join(', ')}`
+        : `${summary.approved_by.length} of ${gate.required_approvals} approval(s)`,
+    });
+  }
+
+  return {
+    stage: gate.stage,
+    name: gate.name || STAGE_LABELS[gate.stage],
+    passed: checks.every(c => c.passed),
+    checks,
+    approvals,
+  };
+}
+
+/**
+ * Validate and normalise a gate rule update
+ * @param {Object} data
+ * @returns {{ rule?: Object, error?: string }}
+ */
+function normalizeRule(data = {}) {
+  const rule = {
+    name: data.name ? String(data.name).trim() : null,
+    require_pricing_scenario: !!data.require_pricing_scenario,
+    require_compliance: !!data.require_compliance,
+    min_margin_pct: data.min_margin_pct === null || data.min_margin_pct === undefined || data.min_margin_pct === ''
+      ? null
+      : Number(data.min_margin_pct),
+    required_approvals: Number(data.required_approvals || 0),
+    approvers: Array.isArray(data.approvers)
+      ? [...new Set(data.approvers.map(a => String(a).trim().toLowerCase()).filter(Boolean))]
+      : [],
+    is_active: data.is_active === undefined ? true : !!data.is_active,
+  };
+
+  if (rule.min_margin_pct !== null && (!Number.isFinite(rule.min_margin_pct) || rule.min_margin_pct < 0 || rule.min_margin_pct >= 100)) {
+    return { error: 'min_margin_pct must be between 0 and 100' };
+  }
+  if (!Number.isInteger(rule.required_approvals) || rule.required_approvals < 0 || rule.required_approvals > MAX_APPROVALS) {
+    return { error: `required_approvals must be a whole number from 0 to ${MAX_APPROVALS}` };
+  }
+  if (rule.approvers.length > 0 && rule.required_approvals > rule.approvers.length) {
+    return { error: 'required_approvals cannot exceed the number of named approvers' };
+  }
+  return { rule };
+}
+
+module.exports = {
+  STAGE_ORDER,
+  STAGE_LABELS,
+  nextStage,
+  gatesBetween,
+  summariseDecisions,
+  evaluateGate,
+  normalizeRule,
+};
@@ -30,7 +30,6 @@ class StreakProtectionSystem {
 
   initializeSystem() {
     try {
-      this.ensureTablesExist();
       this.loadActiveProtections();
       this.loadStreakMilestones();
 
@@ -40,78 +39,6 @@ class StreakProtectionSystem {
     }
   }
 
-  ensureTablesExist() {
-    try {
-      // Streak protection tokens/offers
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS streak_protection_tokens (
-          id TEXT PRIMARY KEY,
-          candidate_id TEXT,
-          token_type TEXT NOT NULL,
-          streak_days INTEGER,
-          risk_score REAL,
-          offered_at DATETIME,
-          expires_at DATETIME,
-          used_at DATETIME,
-          status TEXT DEFAULT 'active',
-          fomo_trigger_data TEXT,
-          FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-        )
-      `);
-
-      // Streak risk analysis
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS streak_risk_analysis (
-          id TEXT PRIMARY KEY,
-          candidate_id TEXT,
-          analysis_date DATETIME,
-          current_streak INTEGER,
-          risk_score REAL,
-          risk_factors TEXT,
-          predicted_break_hours REAL,
-          protection_recommended BOOLEAN,
-          fomo_interventions TEXT,
-          FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-        )
-      `);
-
-      // Milestone achievements tracking
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS streak_milestones (
-          id TEXT PRIMARY KEY,
-          candidate_id TEXT,
-          milestone_type TEXT,
-          milestone_value INTEGER,
-          achieved_at DATETIME,
-          celebrated BOOLEAN DEFAULT FALSE,
-          social_proof_sent BOOLEAN DEFAULT FALSE,
-          competitive_alert_sent BOOLEAN DEFAULT FALSE,
-          FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-        )
-      `);
-
-      // Streak recovery tracking
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS streak_recovery (
-          id TEXT PRIMARY KEY,
-          candidate_id TEXT,
-          lost_streak INTEGER,
-          recovery_started_at DATETIME,
-          current_recovery_days INTEGER DEFAULT 0,
-          motivation_type TEXT,
-          fomo_messages_sent INTEGER DEFAULT 0,
-          recovery_completed BOOLEAN DEFAULT FALSE,
-          FOREIGN KEY (candidate_id) REFERENCES candidates(id)
-        )
-      `);
-
-      logger.info('Streak protection tables ensured');
-    } catch (error) {
-      logger.error('Failed to ensure streak protection tables:', error);
-      throw error;
-    }
-  }
-
   loadActiveProtections() {
     try {
       const activeTokens = db.prepare(`
@@ -30,86 +30,12 @@ class FactBasedTemplateSystem {
   initializeSystem() {
     console.log('🎯 [Template System] Initializing fact-based response system...');
 
-    // Initialize database tables for template management
-    this.createTemplateTables();
-
     // Load default templates
     this.loadDefaultTemplates();
 
     console.log('✅ [Template System] Initialization complete');
   }
 
-  createTemplateTables() {
-    // Template management tables
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS template_categories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL UNIQUE,
-        description TEXT,
-        priority INTEGER DEFAULT 1,
-        active INTEGER DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS response_templates (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        category_id INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        trigger_patterns TEXT NOT NULL, -- JSON array of patterns
-        template_content TEXT NOT NULL, -- Template with variables
-        requires_real_data INTEGER DEFAULT 0,
-        escalation_priority TEXT DEFAULT 'normal', -- 'low', 'normal', 'high', 'critical'
-        language TEXT DEFAULT 'en',
-        active INTEGER DEFAULT 1,
-        confidence_score REAL DEFAULT 0.8,
-        usage_count INTEGER DEFAULT 0,
-        success_rate REAL DEFAULT 0.0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (category_id) REFERENCES template_categories(id)
-      );
-
-      CREATE TABLE IF NOT EXISTS template_variables (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        template_id INTEGER NOT NULL,
-        variable_name TEXT NOT NULL,
-        data_source TEXT NOT NULL, -- 'candidate', 'payment', 'job', 'calculated'
-        field_path TEXT NOT NULL, -- JSON path to data
-        fallback_value TEXT,
-        format_type TEXT DEFAULT 'text', -- 'text', 'currency', 'date', 'number'
-        FOREIGN KEY (template_id) REFERENCES response_templates(id)
-      );
-
-      CREATE TABLE IF NOT EXISTS template_usage_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        template_id INTEGER NOT NULL,
-        candidate_id TEXT NOT NULL,
-        message TEXT NOT NULL,
-        response TEXT NOT NULL,
-        confidence REAL,
-        admin_feedback TEXT,
-        effectiveness_score REAL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (template_id) REFERENCES response_templates(id)
-      );
-
-      CREATE TABLE IF NOT EXISTS escalation_queue (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        candidate_id TEXT NOT NULL,
-        message TEXT NOT NULL,
-        priority TEXT DEFAULT 'normal',
-        category TEXT,
-        auto_response TEXT,
-        admin_assigned TEXT,
-        status TEXT DEFAULT 'pending', -- 'pending', 'in_progress', 'resolved'
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        resolved_at DATETIME,
-        resolution_notes TEXT
-      );
-    `);
-  }
-
   /**
    * Main entry point - process incoming message and generate appropriate response
    */
@@ -285,34 +285,6 @@ class TemplateIntegrationBridge {
     }
   }
 
-  /**
-   * Initialize database tables for bridge logging
-   */
-  initializeBridgeTables() {
-    try {
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS template_bridge_logs (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          candidate_id TEXT NOT NULL,
-          message TEXT NOT NULL,
-          response_content TEXT NOT NULL,
-          response_source TEXT NOT NULL,
-          channel TEXT DEFAULT 'app',
-          template_id INTEGER,
-          confidence REAL,
-          success INTEGER DEFAULT 1,
-          fallback_used INTEGER DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_bridge_logs_candidate ON template_bridge_logs(candidate_id);
-        CREATE INDEX IF NOT EXISTS idx_bridge_logs_created ON template_bridge_logs(created_at);
-      `);
-    } catch (error) {
-      console.error('❌ [Bridge] Error creating tables:', error);
-    }
-  }
-
   /**
    * Get bridge performance metrics
    */
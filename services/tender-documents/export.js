@@ -0,0 +1,226 @@
+/**
+ * Compliance Matrix Export
+ * Writes the compliance matrix as an XLSX workbook or a DOCX table for
+ * submission with the bid. Office Open XML is generated directly, so no
+ * spreadsheet or Word library is needed.
+ *
+ * @module tender-documents/export
+ */
+
+const { writeZip } = require('./zip');
+
+const STATUS_LABELS = {
+  pending: 'Not assessed',
+  complied: 'Complied',
+  partial: 'Partially complied',
+  not_complied: 'Not complied',
+};
+
+const COLUMNS = [
+  { key: 'ref', label: 'Clause', width: 10 },
+  { key: 'section', label: 'Section', width: 24 },
+  { key: 'requirement', label: 'Requirement', width: 60 },
+  { key: 'mandatory', label: 'Mandatory', width: 11 },
+  { key: 'status', label: 'Compliance', width: 18 },
+  { key: 'response', label: 'Response', width: 50 },
+  { key: 'owner', label: 'Owner', width: 18 },
+];
+
+const MIME_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+function escapeXml(value) {
+  return String(value ?? '')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '') // eslint-disable-line no-control-regex
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function rowValues(item) {
+  return {
+    ref: item.ref || '',
+    section: item.section || '',
+    requirement: item.requirement,
+    mandatory: item.is_mandatory ? 'Yes' : 'No',
+    status: STATUS_LABELS[item.status] || item.status,
+    response: item.response || '',
+    owner: item.owner || '',
+  };
+}
+
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// ============================================
+// XLSX
+// ============================================
+
+/**
+ * @param {Object} tender - Tender row (tender_no, title, agency)
+ * @param {Object[]} items - Compliance items
+ * @returns {Buffer}
+ */
+function buildXlsx(tender, items) {
+  const cell = (col, row, value, style) =>
+    `<c r="${columnLetter(col)}${row}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+
+  const rows = [];
+  rows.push(`<row r="1">${cell(0, 1, `Compliance Matrix - ${tender.tender_no || ''} ${tender.title}`.trim(), 1)}</row>`);
+  rows.push(`<row r="2">${cell(0, 2, tender.agency || '')}</row>`);
+  rows.push(`<row r="4">${COLUMNS.map((c, i) => cell(i, 4, c.label, 1)).join('')}</row>`);
+  items.forEach((item, index) => {
+    const r = index + 5;
+    const values = rowValues(item);
+    rows.push(`<row r="${r}">${COLUMNS.map((c, i) => cell(i, r, values[c.key], 2)).join('')}</row>`);
+  });
+
+  const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="4" topLeftCell="A5" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${COLUMNS.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${rows.join('')}</sheetData>
+<autoFilter ref="A4:${columnLetter(COLUMNS.length - 1)}${Math.max(4, items.length + 4)}"/>
+</worksheet>`;
+
+  // 0: default, 1: bold, 2: wrapped and top-aligned
+  const styles = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf>
+</cellXfs>
+</styleSheet>`;
+
+  return writeZip([
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="Compliance Matrix" sheetId="1" r:id="rId1"/></sheets>
+<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'Compliance Matrix'!$A$4:$${columnLetter(COLUMNS.length - 1)}$${Math.max(4, items.length + 4)}</definedName></definedNames>
+</workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet },
+    { name: 'xl/styles.xml', data: styles },
+  ]);
+}
+
+// ============================================
+// DOCX
+// ============================================
+
+function paragraph(text, { bold = false, size } = {}) {
+  const props = `${bold ? '<w:b/>' : ''}${size ? `<w:sz w:val="${size}"/>` : ''}`;
+  return `<w:p><w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+}
+
+function tableCell(text, width, { bold = false, shade = false } = {}) {
+  const lines = String(text ?? '').split('\n').map(line => paragraph(line, { bold, size: 18 })).join('');
+  return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shade ? '<w:shd w:val="clear" w:color="auto" w:fill="E7E6E6"/>' : ''}</w:tcPr>${lines}</w:tc>`;
+}
+
+/**
+ * @param {Object} tender - Tender row (tender_no, title, agency)
+ * @param {Object[]} items - Compliance items
+ * @param {Object} readiness - From getReadiness()
+ * @returns {Buffer}
+ */
+function buildDocx(tender, items, readiness) {
+  // Landscape A4 is ~13,900 twips between margins; the section column is left out
+  const docColumns = COLUMNS.filter(c => c.key !== 'section');
+  const totalWidth = docColumns.reduce((sum, c) => sum + c.width, 0);
+  const widths = docColumns.map(c => Math.round((c.width / totalWidth) * 13900));
+
+  const border = '<w:top w:val="single" w:sz="4" w:color="999999"/><w:left w:val="single" w:sz="4" w:color="999999"/><w:bottom w:val="single" w:sz="4" w:color="999999"/><w:right w:val="single" w:sz="4" w:color="999999"/><w:insideH w:val="single" w:sz="4" w:color="999999"/><w:insideV w:val="single" w:sz="4" w:color="999999"/>';
+  const header = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${docColumns.map((c, i) => tableCell(c.label, widths[i], { bold: true, shade: true })).join('')}</w:tr>`;
+  const body = items.map(item => {
+    const values = rowValues(item);
+    return `<w:tr><w:trPr><w:cantSplit/></w:trPr>${docColumns.map((c, i) => tableCell(values[c.key], widths[i])).join('')}</w:tr>`;
+  }).join('');
+
+  const summary = `${readiness.total} requirements: ${readiness.complied} complied, ${readiness.partial} partially complied, ${readiness.not_complied} not complied, ${readiness.pending} not assessed`;
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>
+${paragraph('Compliance Matrix', { bold: true, size: 32 })}
+${paragraph(`${tender.tender_no ? `${tender.tender_no} - ` : ''}${tender.title}`, { bold: true, size: 24 })}
+${tender.agency ? paragraph(tender.agency) : ''}
+${paragraph(summary)}
+<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblBorders>${border}</w:tblBorders><w:tblLayout w:type="fixed"/></w:tblPr>
+<w:tblGrid>${widths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>
+${header}${body}
+</w:tbl>
+${paragraph('')}
+<w:sectPr><w:pgSz w:w="16838" w:h="11906" w:orient="landscape"/><w:pgMar w:top="1000" w:right="1000" w:bottom="1000" w:left="1000" w:header="500" w:footer="500" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+
+  return writeZip([
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`,
+    },
+    { name: 'word/document.xml', data: document },
+  ]);
+}
+
+module.exports = {
+  STATUS_LABELS,
+  MIME_TYPES,
+  buildXlsx,
+  buildDocx,
+};
@@ -0,0 +1,434 @@
+/**
+ * Tender Document Text Extraction
+ * Pulls plain text out of tender specifications without external parsers:
+ *   - DOCX: paragraphs from word/document.xml, with Word's automatic list
+ *     numbering (1, 1.1, (a)...) rebuilt from word/numbering.xml
+ *   - PDF: text-showing operators from (Flate-compressed) content streams
+ *   - TXT: as-is
+ * PDF extraction is best-effort: scanned/image-only PDFs and fonts without a
+ * standard encoding produce little or no text, which callers report as such.
+ *
+ * @module tender-documents/extract
+ */
+
+const zlib = require('zlib');
+const { isZip, readZip } = require('./zip');
+
+// Below this many letters a document is treated as having no usable text
+const MIN_TEXT_LETTERS = 40;
+
+const DOCUMENT_TYPES = {
+  pdf: { mimeType: 'application/pdf', ext: '.pdf' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', ext: '.docx' },
+  txt: { mimeType: 'text/plain', ext: '.txt' },
+};
+
+/**
+ * Identify a supported document from its content (and file name for plain text)
+ * @param {Buffer} buffer
+ * @param {string} [fileName]
+ * @returns {'pdf'|'docx'|'txt'|null}
+ */
+function detectType(buffer, fileName = '') {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (isZip(buffer)) {
+    try {
+      return readZip(buffer).has('word/document.xml') ? 'docx' : null;
+    } catch {
+      return null;
+    }
+  }
+  if (/\.txt$/i.test(fileName) && !buffer.subarray(0, 1024).includes(0)) return 'txt';
+  return null;
+}
+
+// ============================================
+// DOCX
+// ============================================
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function attr(xml, tag, name = 'w:val') {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*\\b${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+function toRoman(n) {
+  const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+  let out = '';
+  for (const [value, numeral] of numerals) {
+    while (n >= value) {
+      out += numeral;
+      n -= value;
+    }
+  }
+  return out;
+}
+
+function formatCounter(value, format) {
+  switch (format) {
+    case 'lowerLetter': return String.fromCharCode(96 + ((value - 1) % 26) + 1);
+    case 'upperLetter': return String.fromCharCode(64 + ((value - 1) % 26) + 1);
+    case 'lowerRoman': return toRoman(value);
+    case 'upperRoman': return toRoman(value).toUpperCase();
+    default: return String(value);
+  }
+}
+
+/**
+ * numId → { abstractId, levels: { [ilvl]: { start, format, text } } }
+ */
+function parseNumbering(xml) {
+  if (!xml) return {};
+  const abstracts = {};
+  for (const block of xml.match(/<w:abstractNum\b[\s\S]*?<\/w:abstractNum>/g) || []) {
+    const id = attr(block, 'w:abstractNum', 'w:abstractNumId');
+    const levels = {};
+    for (const lvl of block.match(/<w:lvl\b[\s\S]*?<\/w:lvl>/g) || []) {
+      levels[attr(lvl, 'w:lvl', 'w:ilvl')] = {
+        start: parseInt(attr(lvl, 'w:start') || '1', 10),
+        format: attr(lvl, 'w:numFmt') || 'decimal',
+        text: attr(lvl, 'w:lvlText') || '',
+      };
+    }
+    abstracts[id] = levels;
+  }
+
+  const nums = {};
+  for (const block of xml.match(/<w:num\b[\s\S]*?<\/w:num>/g) || []) {
+    const abstractId = attr(block, 'w:abstractNumId');
+    nums[attr(block, 'w:num', 'w:numId')] = { abstractId, levels: abstracts[abstractId] || {} };
+  }
+  return nums;
+}
+
+/**
+ * Plain text of a DOCX, one paragraph per line
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function extractDocx(buffer) {
+  const entries = readZip(buffer);
+  const document = entries.get('word/document.xml');
+  if (!document) {
+    throw new Error('Not a Word document');
+  }
+  const xml = document().toString('utf8');
+  const numbering = entries.has('word/numbering.xml')
+    ? parseNumbering(entries.get('word/numbering.xml')().toString('utf8'))
+    : {};
+
+  // Counters are shared by every list instance of the same abstract definition
+  const counters = {};
+  const lines = [];
+
+  for (const paragraph of xml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || []) {
+    const text = decodeXml(
+      (paragraph.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+        .map(part => (part === '<w:tab/>' ? ' ' : part === '<w:br/>' ? '\n' : part.replace(/<[^>]+>/g, '')))
+        .join('')
+    ).trim();
+    if (!text) continue;
+
+    let label = '';
+    const numPr = paragraph.match(/<w:numPr>[\s\S]*?<\/w:numPr>/);
+    const list = numPr && numbering[attr(numPr[0], 'w:numId')];
+    if (list) {
+      const ilvl = parseInt(attr(numPr[0], 'w:ilvl') || '0', 10);
+      const levels = list.levels;
+      const count = counters[list.abstractId] || (counters[list.abstractId] = []);
+      const level = levels[ilvl] || { start: 1, format: 'decimal', text: '' };
+
+      count[ilvl] = count[ilvl] === undefined ? level.start : count[ilvl] + 1;
+      count.length = ilvl + 1; // deeper levels restart
+
+      if (level.format !== 'bullet' && level.format !== 'none') {
+        label = level.text.replace(/%(\d)/g, (m, n) => {
+          const i = parseInt(n, 10) - 1;
+          const value = count[i] === undefined ? (levels[i] ? levels[i].start : 1) : count[i];
+          return formatCounter(value, levels[i] ? levels[i].format : 'decimal');
+        });
+      }
+    }
+
+    lines.push(label ? `${label} ${text}` : text);
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================
+// PDF
+// ============================================
+
+function readLiteralString(src, start) {
+  const bytes = [];
+  let depth = 1;
+  let i = start + 1;
+  while (i < src.length && depth > 0) {
+    const ch = src[i];
+    if (ch === '\\') {
+      const next = src[i + 1];
+      const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+      if (next in escapes) {
+        bytes.push(escapes[next]);
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = src.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        bytes.push(parseInt(octal, 8) & 0xff);
+        i += 1 + octal.length;
+      } else {
+        i += next === '\r' && src[i + 2] === '\n' ? 3 : 2; // line continuation
+      }
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')' && --depth === 0) break;
+    bytes.push(src.charCodeAt(i) & 0xff);
+    i++;
+  }
+  return { value: Buffer.from(bytes), end: i + 1 };
+}
+
+function decodePdfString(bytes) {
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    const body = bytes.subarray(2, bytes.length - (bytes.length % 2));
+    return Buffer.from(body).swap16().toString('utf16le');
+  }
+  // Two-byte strings with an empty high byte are almost always UTF-16BE / identity-mapped ASCII
+  if (bytes.length >= 2 && bytes.length % 2 === 0 && bytes.every((b, i) => i % 2 === 1 || b === 0)) {
+    return Buffer.from(bytes).swap16().toString('utf16le');
+  }
+  return bytes.toString('latin1');
+}
+
+/**
+ * Tokenise a content stream into operands and operators
+ */
+function* tokenize(src) {
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '%') {
+      while (i < src.length && src[i] !== '\n' && src[i] !== '\r') i++;
+    } else if (ch === '(') {
+      const { value, end } = readLiteralString(src, i);
+      yield { type: 'string', value };
+      i = end;
+    } else if (ch === '<' && src[i + 1] !== '<') {
+      const end = src.indexOf('>', i);
+      const hex = src.slice(i + 1, end < 0 ? src.length : end).replace(/\s+/g, '');
+      yield { type: 'string', value: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex') };
+      i = end < 0 ? src.length : end + 1;
+    } else if (ch === '[' || ch === ']') {
+      yield { type: ch };
+      i++;
+    } else if (ch === '<' || ch === '>') {
+      i += 2; // inline dictionary delimiters
+    } else if (ch === '/') {
+      const match = src.slice(i, i + 128).match(/^\/[^\s/[\]()<>{}%]*/);
+      yield { type: 'name', value: match[0] };
+      i += match[0].length;
+    } else if (/[0-9+\-.]/.test(ch)) {
+      const match = src.slice(i, i + 32).match(/^[+-]?(\d+\.?\d*|\.\d+)/);
+      if (match) {
+        yield { type: 'number', value: parseFloat(match[0]) };
+        i += match[0].length;
+      } else {
+        i++;
+      }
+    } else {
+      const match = src.slice(i, i + 16).match(/^[A-Za-z'"*]+/);
+      if (match) {
+        yield { type: 'op', value: match[0] };
+        i += match[0].length;
+      } else {
+        i++;
+      }
+    }
+  }
+}
+
+/**
+ * Text shown by a single content stream
+ */
+function textFromContent(src) {
+  let out = '';
+  let operands = [];
+  let array = null;
+  let lastY = null;
+
+  const newline = () => {
+    if (out && !out.endsWith('\n')) out += '\n';
+  };
+
+  for (const token of tokenize(src)) {
+    if (token.type === '[') {
+      array = [];
+      continue;
+    }
+    if (token.type === ']') {
+      operands.push({ type: 'array', value: array || [] });
+      array = null;
+      continue;
+    }
+    if (array) {
+      array.push(token);
+      continue;
+    }
+    if (token.type !== 'op') {
+      operands.push(token);
+      continue;
+    }
+
+    const nums = operands.filter(o => o.type === 'number').map(o => o.value);
+    switch (token.value) {
+      case 'Tj':
+        operands.filter(o => o.type === 'string').forEach(o => { out += decodePdfString(o.value); });
+        break;
+      case "'":
+      case '"':
+        newline();
+        operands.filter(o => o.type === 'string').forEach(o => { out += decodePdfString(o.value); });
+        break;
+      case 'TJ':
+        for (const part of (operands.find(o => o.type === 'array') || { value: [] }).value) {
+          if (part.type === 'string') out += decodePdfString(part.value);
+          else if (part.type === 'number' && part.value < -200) out += ' ';
+        }
+        break;
+      case 'Td':
+      case 'TD':
+        if (nums.length >= 2 && nums[1] !== 0) newline();
+        else if (!out.endsWith(' ')) out += ' ';
+        break;
+      case 'T*':
+        newline();
+        break;
+      case 'Tm':
+        if (nums.length >= 6) {
+          if (lastY !== null && Math.abs(nums[5] - lastY) > 1) newline();
+          lastY = nums[5];
+        }
+        break;
+      case 'ET':
+        newline();
+        break;
+      default:
+        break;
+    }
+    operands = [];
+  }
+  return out;
+}
+
+/**
+ * Plain text of a PDF (best-effort)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function extractPdf(buffer) {
+  const raw = buffer.toString('latin1');
+  const chunks = [];
+  const streamPattern = /stream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(raw)) !== null) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) break;
+    streamPattern.lastIndex = end + 9;
+
+    // Stream dictionary: from the owning "obj" keyword up to "stream"
+    const dict = raw.slice(Math.max(raw.lastIndexOf(' obj', match.index), match.index - 2048), match.index);
+    if (/\/Subtype\s*\/Image|\/Type\s*\/(XRef|ObjStm|Metadata)|\/Length1|\/FontFile/.test(dict)) continue;
+
+    let data = buffer.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch {
+        continue;
+      }
+    } else if (/\/Filter/.test(dict)) {
+      continue; // other filters (DCT, LZW, ASCII85...) are not text we can read
+    }
+
+    const content = data.toString('latin1');
+    if (/\bBT\b/.test(content) && /T[jJ]|'|"/.test(content)) {
+      chunks.push(textFromContent(content));
+    }
+  }
+
+  return chunks.join('\n');
+}
+
+// ============================================
+// ENTRY POINT
+// ============================================
+
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u00a0\t]/g, ' ')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[\u0000-\u0008\u000b-\u001f]/g, '') // eslint-disable-line no-control-regex
+    .split('\n')
+    .map(line => line.replace(/ {2,}/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract text from an uploaded tender document
+ * @param {Buffer} buffer - File contents
+ * @param {string} [fileName] - Original file name
+ * @returns {{ type: string|null, text: string, status: 'extracted'|'empty'|'failed'|'unsupported', error?: string }}
+ */
+function extractText(buffer, fileName) {
+  const type = detectType(buffer, fileName);
+  if (!type) {
+    return { type: null, text: '', status: 'unsupported', error: 'Only PDF, DOCX and TXT files are supported' };
+  }
+
+  try {
+    const raw = type === 'pdf' ? extractPdf(buffer) : type === 'docx' ? extractDocx(buffer) : buffer.toString('utf8');
+    const text = normalizeText(raw);
+    const letters = (text.match(/[a-z]/gi) || []).length;
+    if (letters < MIN_TEXT_LETTERS) {
+      return {
+        type,
+        text,
+        status: 'empty',
+        error: type === 'pdf' ? 'No readable text found - the PDF may be scanned or use embedded fonts' : 'No text found',
+      };
+    }
+    return { type, text, status: 'extracted' };
+  } catch (error) {
+    return { type, text: '', status: 'failed', error: error.message };
+  }
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  detectType,
+  extractDocx,
+  extractPdf,
+  extractText,
+  normalizeText,
+};
@@ -0,0 +1,353 @@
+/**
+ * Tender Documents Service
+ * Stores tender specifications against lifecycle tenders, extracts their
+ * numbered requirements into a compliance matrix, and tracks how ready the
+ * matrix is for the Internal Approval stage.
+ *
+ * Flow:
+ *   upload PDF/DOCX → text extracted → requirements split out (status 'pending')
+ *   → bid staff mark each complied / partial / not complied with a response and owner
+ *   → matrix exported (XLSX/DOCX) and readiness checked before moving to approval
+ *
+ * @module tender-documents
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../../db');
+const { DATA_DIR } = require('../../db/connection');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const { DOCUMENT_TYPES, extractText } = require('./extract');
+const { splitRequirements } = require('./requirements');
+const { MIME_TYPES, buildXlsx, buildDocx } = require('./export');
+
+const logger = createLogger('tender-documents');
+
+const UPLOAD_DIR = path.join(DATA_DIR, 'uploads', 'tender-documents');
+
+const COMPLIANCE_STATUSES = ['pending', 'complied', 'partial', 'not_complied'];
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+function getTender(tenderId) {
+  const tender = db.prepare('SELECT id, tender_no, title, agency, stage FROM bpo_tender_lifecycle WHERE id = ?').get(tenderId);
+  if (!tender) {
+    throw ApiError.notFound('Tender not found');
+  }
+  return tender;
+}
+
+function getDocument(documentId) {
+  const document = db.prepare(`
+    SELECT id, tender_id, original_name, stored_name, mime_type, file_size, extraction_status,
+           extraction_error, requirement_count, uploaded_by, created_at
+    FROM bpo_tender_documents WHERE id = ?
+  `).get(documentId);
+  if (!document) {
+    throw ApiError.notFound('Document not found');
+  }
+  return document;
+}
+
+function getItem(itemId) {
+  const item = db.prepare('SELECT * FROM bpo_compliance_items WHERE id = ?').get(itemId);
+  if (!item) {
+    throw ApiError.notFound('Requirement not found');
+  }
+  return { ...item, is_mandatory: !!item.is_mandatory };
+}
+
+function nextSortOrder(tenderId) {
+  return db.prepare('SELECT COALESCE(MAX(sort_order), 0) + 1 as next FROM bpo_compliance_items WHERE tender_id = ?')
+    .get(tenderId).next;
+}
+
+// ============================================
+// DOCUMENTS
+// ============================================
+
+/**
+ * Store a tender specification and add its requirements to the matrix
+ * @param {string} tenderId
+ * @param {Object} file - Multer file (buffer, originalname, size)
+ * @param {string} [uploadedBy]
+ * @returns {{ document: Object, requirements_added: number }}
+ */
+function uploadDocument(tenderId, file, uploadedBy = null) {
+  getTender(tenderId);
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw ApiError.badRequest('No file uploaded', 'NO_FILE');
+  }
+
+  const extraction = extractText(file.buffer, file.originalname);
+  if (extraction.status === 'unsupported') {
+    throw ApiError.badRequest(extraction.error, 'UNSUPPORTED_DOCUMENT');
+  }
+
+  const id = generateId('TDOC');
+  const type = DOCUMENT_TYPES[extraction.type];
+  const storedName = `${id}${type.ext}`;
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  fs.writeFileSync(path.join(UPLOAD_DIR, storedName), file.buffer);
+
+  const requirements = extraction.status === 'extracted' ? splitRequirements(extraction.text) : [];
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO bpo_tender_documents (
+        id, tender_id, original_name, stored_name, mime_type, file_size,
+        extraction_status, extraction_error, extracted_text, requirement_count, uploaded_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id, tenderId, file.originalname || storedName, storedName, type.mimeType, file.buffer.length,
+      extraction.status, extraction.error || null, extraction.text || null, requirements.length, uploadedBy
+    );
+
+    const insert = db.prepare(`
+      INSERT INTO bpo_compliance_items (id, tender_id, document_id, ref, section, requirement, is_mandatory, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    let order = nextSortOrder(tenderId);
+    for (const req of requirements) {
+      insert.run(generateId('CMP') + order, tenderId, id, req.ref, req.section, req.requirement, req.is_mandatory ? 1 : 0, order++);
+    }
+  })();
+
+  logger.business('tender_document_uploaded', {
+    tender_id: tenderId,
+    document_id: id,
+    type: extraction.type,
+    extraction_status: extraction.status,
+    requirements: requirements.length,
+  });
+
+  return { document: getDocument(id), requirements_added: requirements.length };
+}
+
+/**
+ * @param {string} tenderId
+ */
+function listDocuments(tenderId) {
+  getTender(tenderId);
+  return db.prepare(`
+    SELECT id, tender_id, original_name, mime_type, file_size, extraction_status,
+           extraction_error, requirement_count, uploaded_by, created_at
+    FROM bpo_tender_documents WHERE tender_id = ? ORDER BY created_at DESC
+  `).all(tenderId);
+}
+
+/**
+ * Location of a stored document for download
+ * @param {string} documentId
+ * @returns {{ path: string, name: string, mimeType: string }}
+ */
+function getDocumentFile(documentId) {
+  const document = getDocument(documentId);
+  const filePath = path.join(UPLOAD_DIR, document.stored_name);
+  if (!fs.existsSync(filePath)) {
+    throw ApiError.notFound('Document file is missing from storage', 'FILE_MISSING');
+  }
+  return { path: filePath, name: document.original_name, mimeType: document.mime_type };
+}
+
+/**
+ * Extracted text of a document, for checking what the splitter saw
+ * @param {string} documentId
+ */
+function getDocumentText(documentId) {
+  getDocument(documentId);
+  return db.prepare('SELECT extracted_text FROM bpo_tender_documents WHERE id = ?').get(documentId).extracted_text || '';
+}
+
+/**
+ * Delete a document and the requirements extracted from it
+ * @param {string} documentId
+ */
+function deleteDocument(documentId) {
+  const document = getDocument(documentId);
+
+  const removed = db.transaction(() => {
+    const items = db.prepare('DELETE FROM bpo_compliance_items WHERE document_id = ?').run(documentId).changes;
+    db.prepare('DELETE FROM bpo_tender_documents WHERE id = ?').run(documentId);
+    return items;
+  })();
+
+  try {
+    fs.unlinkSync(path.join(UPLOAD_DIR, document.stored_name));
+  } catch (error) {
+    logger.warn('Failed to remove tender document file', { document_id: documentId, error: error.message });
+  }
+
+  return { id: documentId, requirements_removed: removed };
+}
+
+// ============================================
+// COMPLIANCE MATRIX
+// ============================================
+
+/**
+ * How complete the compliance matrix is
+ * Ready when every requirement has been assessed and every partial or
+ * not-complied item carries a response explaining the deviation.
+ * @param {string} tenderId
+ */
+function getReadiness(tenderId) {
+  const counts = db.prepare(`
+    SELECT
+      COUNT(*) as total,
+      COALESCE(SUM(status = 'complied'), 0) as complied,
+      COALESCE(SUM(status = 'partial'), 0) as partial,
+      COALESCE(SUM(status = 'not_complied'), 0) as not_complied,
+      COALESCE(SUM(status = 'pending'), 0) as pending,
+      COALESCE(SUM(status IN ('partial', 'not_complied') AND (response IS NULL OR TRIM(response) = '')), 0) as missing_response,
+      COALESCE(SUM(owner IS NULL OR TRIM(owner) = ''), 0) as unassigned,
+      COALESCE(SUM(is_mandatory = 1 AND status = 'not_complied'), 0) as mandatory_not_complied
+    FROM bpo_compliance_items WHERE tender_id = ?
+  `).get(tenderId);
+
+  const blockers = [];
+  if (counts.pending > 0) blockers.push(`${counts.pending} requirement(s) not assessed`);
+  if (counts.missing_response > 0) blockers.push(`${counts.missing_response} deviation(s) without a response`);
+
+  const warnings = [];
+  if (counts.mandatory_not_complied > 0) warnings.push(`${counts.mandatory_not_complied} mandatory requirement(s) not complied`);
+  if (counts.unassigned > 0) warnings.push(`${counts.unassigned} requirement(s) without an owner`);
+
+  return {
+    ...counts,
+    assessed_pct: counts.total ? Math.round(((counts.total - counts.pending) / counts.total) * 100) : 0,
+    ready: counts.total > 0 && blockers.length === 0,
+    blockers,
+    warnings,
+  };
+}
+
+/**
+ * @param {string} tenderId
+ * @param {Object} [filters]
+ * @param {string} [filters.status]
+ * @param {string} [filters.owner]
+ */
+function getMatrix(tenderId, { status, owner } = {}) {
+  const tender = getTender(tenderId);
+
+  let query = 'SELECT * FROM bpo_compliance_items WHERE tender_id = ?';
+  const params = [tenderId];
+  if (status) {
+    query += ' AND status = ?';
+    params.push(status);
+  }
+  if (owner) {
+    query += ' AND owner = ?';
+    params.push(owner);
+  }
+  query += ' ORDER BY sort_order';
+
+  const items = db.prepare(query).all(...params).map(item => ({ ...item, is_mandatory: !!item.is_mandatory }));
+  return { tender, items, readiness: getReadiness(tenderId) };
+}
+
+/**
+ * Add a requirement by hand (e.g. from an addendum or a scanned spec)
+ * @param {string} tenderId
+ * @param {Object} data - { ref, section, requirement, is_mandatory }
+ * @param {string} [createdBy]
+ */
+function addItem(tenderId, { ref, section, requirement, is_mandatory } = {}, createdBy = null) {
+  getTender(tenderId);
+  if (!requirement || !String(requirement).trim()) {
+    throw ApiError.badRequest('requirement is required', 'INVALID_REQUIREMENT');
+  }
+
+  const id = generateId('CMP');
+  db.prepare(`
+    INSERT INTO bpo_compliance_items (id, tender_id, ref, section, requirement, is_mandatory, sort_order, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `).run(id, tenderId, ref || null, section || null, String(requirement).trim(), is_mandatory ? 1 : 0, nextSortOrder(tenderId), createdBy);
+
+  return getItem(id);
+}
+
+/**
+ * Record compliance for a requirement
+ * @param {string} itemId
+ * @param {Object} data - Any of { status, response, owner, ref, section, requirement, is_mandatory }
+ * @param {string} [updatedBy]
+ */
+function updateItem(itemId, data = {}, updatedBy = null) {
+  getItem(itemId);
+
+  if (data.status !== undefined && !COMPLIANCE_STATUSES.includes(data.status)) {
+    throw ApiError.badRequest(`status must be one of: ${COMPLIANCE_STATUSES.join(', ')}`, 'INVALID_STATUS');
+  }
+  if (data.requirement !== undefined && !String(data.requirement || '').trim()) {
+    throw ApiError.badRequest('requirement cannot be empty', 'INVALID_REQUIREMENT');
+  }
+
+  const updates = [];
+  const params = [];
+  for (const field of ['status', 'response', 'owner', 'ref', 'section', 'requirement']) {
+    if (data[field] !== undefined) {
+      updates.push(`${field} = ?`);
+      params.push(data[field] === null ? null : String(data[field]).trim() || null);
+    }
+  }
+  if (data.is_mandatory !== undefined) {
+    updates.push('is_mandatory = ?');
+    params.push(data.is_mandatory ? 1 : 0);
+  }
+  if (updates.length === 0) {
+    throw ApiError.badRequest('No valid fields to update', 'NO_CHANGES');
+  }
+
+  updates.push('updated_by = ?', 'updated_at = CURRENT_TIMESTAMP');
+  params.push(updatedBy, itemId);
+  db.prepare(`UPDATE bpo_compliance_items SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+
+  return getItem(itemId);
+}
+
+/**
+ * @param {string} itemId
+ */
+function deleteItem(itemId) {
+  getItem(itemId);
+  db.prepare('DELETE FROM bpo_compliance_items WHERE id = ?').run(itemId);
+  return { id: itemId };
+}
+
+/**
+ * Compliance matrix as a submission-ready file
+ * @param {string} tenderId
+ * @param {'xlsx'|'docx'} format
+ * @returns {{ buffer: Buffer, filename: string, contentType: string }}
+ */
+function exportMatrix(tenderId, format = 'xlsx') {
+  if (!MIME_TYPES[format]) {
+    throw ApiError.badRequest('format must be xlsx or docx', 'INVALID_FORMAT');
+  }
+  const { tender, items, readiness } = getMatrix(tenderId);
+  const buffer = format === 'xlsx' ? buildXlsx(tender, items) : buildDocx(tender, items, readiness);
+  const base = (tender.tender_no || tender.title).replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 60);
+
+  return { buffer, filename: `compliance-matrix-${base}.${format}`, contentType: MIME_TYPES[format] };
+}
+
+module.exports = {
+  COMPLIANCE_STATUSES,
+  uploadDocument,
+  listDocuments,
+  getDocumentFile,
+  getDocumentText,
+  deleteDocument,
+  getReadiness,
+  getMatrix,
+  addItem,
+  updateItem,
+  deleteItem,
+  exportMatrix,
+};
@@ -0,0 +1,108 @@
+/**
+ * Requirement Splitter
+ * Splits extracted specification text into numbered requirements for the
+ * compliance matrix.
+ *
+ * Recognised clause numbers at the start of a line:
+ *   1   1.   2.3   4.1.2   4.1.2.   (a)   a)   (iv)
+ * Short numbered lines without requirement wording are section headings.
+ * Lettered/roman items take their parent clause's number, e.g. "4.1(a)".
+ * Unnumbered lines continue the clause above them, as do numbers that do not
+ * follow on from the current clause (a wrapped "30 days of award" line).
+ *
+ * @module tender-documents/requirements
+ */
+
+const CLAUSE_PATTERN = /^(\d{1,2}(?:\.\d{1,3}){0,4})(\.?)\s+(\S.*)$/;
+const SUB_CLAUSE_PATTERN = /^\(?([a-z]|[ivx]{1,5})\)\s+(\S.*)$/i;
+
+// Wording that marks an obligation on the contractor
+const REQUIREMENT_PATTERN = /\b(shall|must|required|requires|require|should|will provide|is to|are to|to provide|to ensure|responsible for)\b/i;
+const MANDATORY_PATTERN = /\b(shall|must|is required to|are required to|mandatory)\b/i;
+
+// Page furniture repeated in extracted PDFs
+const NOISE_PATTERN = /^(page \d+( of \d+)?|\d+ of \d+|\d+|confidential|restricted)$/i;
+
+const HEADING_MAX_WORDS = 10;
+
+/**
+ * Whether a clause number plausibly follows the last top-level number seen
+ * ("1." may always restart a list)
+ */
+function followsOn(ref, dotted, lastTop) {
+  if (lastTop === null) return true;
+  const parts = ref.split('.').map(Number);
+  if (parts.length === 1 && parts[0] === 1 && dotted) return true;
+  const lowest = parts.length === 1 ? lastTop + 1 : lastTop;
+  return parts[0] >= lowest && parts[0] <= lastTop + 2;
+}
+
+function isHeading(text) {
+  const words = text.split(/\s+/).length;
+  return words <= HEADING_MAX_WORDS && !/[.;:]$/.test(text) && !REQUIREMENT_PATTERN.test(text);
+}
+
+/**
+ * Split specification text into requirements
+ * @param {string} text - Extracted document text, one paragraph/line per line
+ * @returns {Array<{ ref: string, section: string|null, requirement: string, is_mandatory: boolean }>}
+ */
+function splitRequirements(text) {
+  if (!text) return [];
+
+  const clauses = [];
+  let section = null;
+  let parentRef = null;
+  let lastTop = null;
+  let current = null;
+
+  const finish = () => {
+    if (current) {
+      current.requirement = current.requirement.replace(/\s+/g, ' ').trim();
+      clauses.push(current);
+    }
+    current = null;
+  };
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || NOISE_PATTERN.test(line)) continue;
+
+    const clause = line.match(CLAUSE_PATTERN);
+    if (clause && followsOn(clause[1], clause[2] === '.', lastTop)) {
+      finish();
+      const [, ref, , body] = clause;
+      parentRef = ref;
+      lastTop = Number(ref.split('.')[0]);
+      if (isHeading(body)) {
+        section = `${ref} ${body}`;
+      } else {
+        current = { ref, section, requirement: body };
+      }
+      continue;
+    }
+
+    const sub = line.match(SUB_CLAUSE_PATTERN);
+    if (sub && parentRef) {
+      finish();
+      current = { ref: `${parentRef}(${sub[1].toLowerCase()})`, section, requirement: sub[2] };
+      continue;
+    }
+
+    if (current) {
+      current.requirement += ` ${line}`;
+    }
+  }
+  finish();
+
+  // Keep obligations; a document with none gets every numbered clause
+  const obligations = clauses.filter(c => REQUIREMENT_PATTERN.test(c.requirement));
+  return (obligations.length > 0 ? obligations : clauses).map(c => ({
+    ...c,
+    is_mandatory: MANDATORY_PATTERN.test(c.requirement),
+  }));
+}
+
+module.exports = {
+  splitRequirements,
+};
@@ -0,0 +1,135 @@
+/**
+ * Timesheet Calculations
+ * Pure helpers for geofence checks, worked hours and deployment financials.
+ * Kept free of database access so they can be unit tested directly.
+ *
+ * @module timesheets/calculator
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+// Default geofence radius around the job site, in metres
+const DEFAULT_GEOFENCE_RADIUS_M = parseInt(process.env.TIMESHEET_GEOFENCE_RADIUS_M, 10) || 200;
+
+// How early a worker may clock in before the scheduled start
+const CLOCK_IN_EARLY_MINUTES = parseInt(process.env.TIMESHEET_CLOCK_IN_EARLY_MINUTES, 10) || 60;
+
+// Singapore is UTC+8 all year round (no DST)
+const SG_UTC_OFFSET = '+08:00';
+
+/**
+ * Great-circle distance between two coordinates (haversine)
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Distance in metres
+ */
+function haversineDistance(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Check a reported position against the job site geofence
+ * Jobs without coordinates cannot be verified and are accepted as unverified.
+ * @param {Object} job - Job row with location_lat/location_lng
+ * @param {number} lat - Reported latitude
+ * @param {number} lng - Reported longitude
+ * @param {number} radiusMeters - Allowed radius
+ * @returns {{ verified: boolean, withinRadius: boolean, distance: number|null }}
+ */
+function checkGeofence(job, lat, lng, radiusMeters = DEFAULT_GEOFENCE_RADIUS_M) {
+  if (job.location_lat === null || job.location_lat === undefined ||
+      job.location_lng === null || job.location_lng === undefined) {
+    return { verified: false, withinRadius: true, distance: null };
+  }
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return { verified: false, withinRadius: false, distance: null };
+  }
+
+  const distance = Math.round(haversineDistance(job.location_lat, job.location_lng, lat, lng));
+  return { verified: true, withinRadius: distance <= radiusMeters, distance };
+}
+
+/**
+ * Scheduled start of a job as a Date (job_date + start_time in Singapore time)
+ * @param {Object} job - Job row with job_date and start_time
+ * @returns {Date|null}
+ */
+function getScheduledStart(job) {
+  if (!job.job_date) {
+    return null;
+  }
+  const time = job.start_time || '09:00';
+  const start = new Date(`${job.job_date}T${time}:00${SG_UTC_OFFSET}`);
+  return Number.isNaN(start.getTime()) ? null : start;
+}
+
+/**
+ * Whether a clock-in at the given time is inside the allowed window
+ * @param {Object} job - Job row
+ * @param {Date} at - Clock-in time
+ * @returns {boolean}
+ */
+function isWithinClockInWindow(job, at = new Date()) {
+  const start = getScheduledStart(job);
+  if (!start) {
+    return true;
+  }
+  const earliest = start.getTime() - CLOCK_IN_EARLY_MINUTES * 60000;
+  return at.getTime() >= earliest;
+}
+
+/**
+ * Compute payable hours between clock-in and clock-out, less unpaid break
+ * @param {string|Date} clockIn
+ * @param {string|Date} clockOut
+ * @param {number} breakMinutes
+ * @returns {number} Hours rounded to 2 decimal places (never negative)
+ */
+function calculateWorkedHours(clockIn, clockOut, breakMinutes = 0) {
+  const start = new Date(clockIn).getTime();
+  const end = new Date(clockOut).getTime();
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    return 0;
+  }
+
+  const workedMinutes = (end - start) / 60000 - (breakMinutes || 0);
+  return Math.max(0, Math.round((workedMinutes / 60) * 100) / 100);
+}
+
+/**
+ * Deployment financials for a number of worked hours
+ * @param {number} hoursWorked
+ * @param {number} chargeRate - Hourly rate billed to the client
+ * @param {number} payRate - Hourly rate paid to the worker
+ * @returns {{ gross_revenue: number, candidate_pay: number, gross_profit: number }}
+ */
+function calculateDeploymentFinancials(hoursWorked, chargeRate, payRate) {
+  const round = (n) => Math.round(n * 100) / 100;
+  const grossRevenue = round(hoursWorked * (chargeRate || 0));
+  const candidatePay = round(hoursWorked * (payRate || 0));
+
+  return {
+    gross_revenue: grossRevenue,
+    candidate_pay: candidatePay,
+    gross_profit: round(grossRevenue - candidatePay)
+  };
+}
+
+module.exports = {
+  DEFAULT_GEOFENCE_RADIUS_M,
+  CLOCK_IN_EARLY_MINUTES,
+  haversineDistance,
+  checkGeofence,
+  getScheduledStart,
+  isWithinClockInWindow,
+  calculateWorkedHours,
+  calculateDeploymentFinancials
+};
@@ -0,0 +1,438 @@
+/**
+ * Timesheet Service
+ * Geofenced clock-in/clock-out for deployments with client supervisor sign-off.
+ *
+ * Flow:
+ *   clock in (within job geofence) → clock out (hours + financials computed,
+ *   deployment checked out) → supervisor approves (payment row created,
+ *   deployment completed) or disputes (admin adjusts, re-review)
+ *
+ * @module timesheets
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { createLogger } = require('../../utils/structured-logger');
+const questEngine = require('../quest-engine');
+const { notifyAdmins } = require('../../websocket/notify-admins');
+const {
+  DEFAULT_GEOFENCE_RADIUS_M,
+  checkGeofence,
+  isWithinClockInWindow,
+  calculateWorkedHours,
+  calculateDeploymentFinancials
+} = require('./calculator');
+
+const logger = createLogger('timesheets');
+
+const CLOCKABLE_DEPLOYMENT_STATUSES = ['assigned', 'confirmed', 'in_progress'];
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+/**
+ * Email the client contact a sign-off link for a submitted timesheet
+ * Failures are logged only - admins can still approve from the portal.
+ */
+async function requestSupervisorReview(timesheetId) {
+  const details = getTimesheetDetails('t.id = ?', timesheetId);
+  if (!details || !details.review_token) {
+    return;
+  }
+
+  const client = db.prepare(`
+    SELECT cl.contact_name, cl.contact_email FROM jobs j
+    JOIN clients cl ON j.client_id = cl.id WHERE j.id = ?
+  `).get(details.job_id);
+  if (!client || !client.contact_email) {
+    return;
+  }
+
+  const baseUrl = process.env.APP_URL || 'http://localhost:8080';
+  const link = `${baseUrl}/admin/timesheet-review/${details.review_token}`;
+
+  try {
+    const emailService = require('../email');
+    await emailService.sendEmail({
+      to: client.contact_email,
+      subject: `Timesheet for approval: ${details.candidate_name} - ${details.job_title}`,
+      text: `Hi ${client.contact_name || 'there'},\n\n` +
+        `${details.candidate_name} worked ${details.hours_worked} hours on ${details.job_date} (${details.job_title}).\n` +
+        `Please approve or dispute this timesheet: ${link}\n`,
+      category: 'timesheet'
+    });
+  } catch (error) {
+    logger.warn('Failed to send timesheet review email', { timesheet_id: timesheetId, error: error.message });
+  }
+}
+
+function getTimesheet(id) {
+  return db.prepare('SELECT * FROM timesheets WHERE id = ?').get(id);
+}
+
+function getDeploymentWithJob(deploymentId) {
+  return db.prepare(`
+    SELECT d.*, j.title as job_title, j.job_date, j.start_time, j.end_time, j.break_minutes,
+           j.location, j.location_lat, j.location_lng, j.client_id,
+           j.charge_rate as job_charge_rate, j.pay_rate as job_pay_rate
+    FROM deployments d
+    JOIN jobs j ON d.job_id = j.id
+    WHERE d.id = ?
+  `).get(deploymentId);
+}
+
+/**
+ * Get a timesheet with deployment, candidate and client context
+ * @param {string} where - SQL condition on the timesheets alias `t`
+ * @param {*} value - Bound parameter
+ */
+function getTimesheetDetails(where, value) {
+  return db.prepare(`
+    SELECT t.*,
+           c.name as candidate_name,
+           j.title as job_title, j.job_date, j.start_time, j.end_time, j.location,
+           cl.company_name as client_name
+    FROM timesheets t
+    LEFT JOIN candidates c ON t.candidate_id = c.id
+    LEFT JOIN jobs j ON t.job_id = j.id
+    LEFT JOIN clients cl ON j.client_id = cl.id
+    WHERE ${where}
+  `).get(value);
+}
+
+function assertGeofence(deployment, lat, lng) {
+  const fence = checkGeofence(deployment, lat, lng, DEFAULT_GEOFENCE_RADIUS_M);
+  if (!fence.withinRadius) {
+    const message = fence.distance === null
+      ? 'Location is required to clock in/out for this job'
+      : `You are ${fence.distance}m from the job site (limit ${DEFAULT_GEOFENCE_RADIUS_M}m)`;
+    throw ApiError.badRequest(message, 'OUTSIDE_GEOFENCE');
+  }
+  return fence;
+}
+
+/**
+ * Clock a worker in for a deployment
+ * @param {Object} params - { deploymentId, candidateId, lat, lng }
+ * @returns {Object} Created timesheet
+ */
+function clockIn({ deploymentId, candidateId, lat, lng }) {
+  const deployment = getDeploymentWithJob(deploymentId);
+  if (!deployment || deployment.candidate_id !== candidateId) {
+    throw ApiError.notFound('Deployment not found');
+  }
+  if (!CLOCKABLE_DEPLOYMENT_STATUSES.includes(deployment.status)) {
+    throw ApiError.badRequest(`Cannot clock in to a ${deployment.status} deployment`, 'INVALID_DEPLOYMENT_STATUS');
+  }
+  if (!isWithinClockInWindow(deployment)) {
+    throw ApiError.badRequest('Clock-in opens shortly before the shift starts', 'TOO_EARLY');
+  }
+
+  const existing = db.prepare('SELECT id FROM timesheets WHERE deployment_id = ?').get(deploymentId);
+  if (existing) {
+    throw ApiError.conflict('Already clocked in for this deployment', 'ALREADY_CLOCKED_IN');
+  }
+
+  const fence = assertGeofence(deployment, lat, lng);
+  const id = generateId('TS');
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO timesheets (
+        id, deployment_id, job_id, candidate_id, clock_in_at,
+        clock_in_lat, clock_in_lng, clock_in_distance_m, clock_in_verified,
+        break_minutes, status
+      ) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?, ?, ?, ?, 'clocked_in')
+    `).run(id, deploymentId, deployment.job_id, candidateId,
+      lat ?? null, lng ?? null, fence.distance, fence.verified ? 1 : 0, deployment.break_minutes || 0);
+
+    db.prepare(`
+      UPDATE deployments SET status = 'in_progress', check_in_time = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(deploymentId);
+  })();
+
+  logger.business('timesheet_clock_in', {
+    timesheet_id: id, deployment_id: deploymentId, candidate_id: candidateId, distance_m: fence.distance
+  });
+
+  const timesheet = getTimesheet(id);
+  notifyAdmins('timesheet_clock_in', { timesheet });
+  return timesheet;
+}
+
+/**
+ * Write hours and financials onto the timesheet and its deployment
+ */
+function applyHours(timesheet, deployment, hoursWorked) {
+  const chargeRate = deployment.charge_rate ?? deployment.job_charge_rate;
+  const payRate = deployment.pay_rate ?? deployment.job_pay_rate;
+  const financials = calculateDeploymentFinancials(hoursWorked, chargeRate, payRate);
+
+  db.prepare(`
+    UPDATE timesheets
+    SET hours_worked = ?, gross_revenue = ?, candidate_pay = ?, gross_profit = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(hoursWorked, financials.gross_revenue, financials.candidate_pay, financials.gross_profit, timesheet.id);
+
+  db.prepare(`
+    UPDATE deployments
+    SET hours_worked = ?, charge_rate = ?, pay_rate = ?,
+        gross_revenue = ?, candidate_pay = ?, gross_profit = ?
+    WHERE id = ?
+  `).run(hoursWorked, chargeRate, payRate,
+    financials.gross_revenue, financials.candidate_pay, financials.gross_profit, deployment.id);
+
+  return financials;
+}
+
+/**
+ * Clock a worker out, compute hours and submit the timesheet for review
+ * @param {Object} params - { deploymentId, candidateId, lat, lng }
+ * @returns {Object} Submitted timesheet
+ */
+function clockOut({ deploymentId, candidateId, lat, lng }) {
+  const deployment = getDeploymentWithJob(deploymentId);
+  if (!deployment || deployment.candidate_id !== candidateId) {
+    throw ApiError.notFound('Deployment not found');
+  }
+
+  const timesheet = db.prepare('SELECT * FROM timesheets WHERE deployment_id = ?').get(deploymentId);
+  if (!timesheet || timesheet.status !== 'clocked_in') {
+    throw ApiError.badRequest('Not currently clocked in for this deployment', 'NOT_CLOCKED_IN');
+  }
+
+  const fence = assertGeofence(deployment, lat, lng);
+  const clockOutAt = new Date();
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone suffix
+  const clockInAt = new Date(timesheet.clock_in_at.replace(' ', 'T') + 'Z');
+  const hoursWorked = calculateWorkedHours(clockInAt, clockOutAt, timesheet.break_minutes);
+  const reviewToken = crypto.randomBytes(24).toString('hex');
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE timesheets
+      SET clock_out_at = CURRENT_TIMESTAMP, clock_out_lat = ?, clock_out_lng = ?,
+          clock_out_distance_m = ?, clock_out_verified = ?, status = 'submitted', review_token = ?
+      WHERE id = ?
+    `).run(lat ?? null, lng ?? null, fence.distance, fence.verified ? 1 : 0, reviewToken, timesheet.id);
+
+    applyHours(timesheet, deployment, hoursWorked);
+
+    // Completed only once a supervisor approves the hours
+    db.prepare(`
+      UPDATE deployments SET status = 'checked_out', check_out_time = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(deploymentId);
+  })();
+
+  logger.business('timesheet_submitted', {
+    timesheet_id: timesheet.id, deployment_id: deploymentId, hours_worked: hoursWorked
+  });
+
+  const submitted = getTimesheet(timesheet.id);
+  notifyAdmins('timesheet_submitted', { timesheet: submitted });
+  requestSupervisorReview(submitted.id).catch((error) => {
+    logger.warn('Failed to request supervisor review', { timesheet_id: submitted.id, error: error.message });
+  });
+  return submitted;
+}
+
+/**
+ * Approve a submitted timesheet and raise the worker payment
+ * @param {string} id - Timesheet ID
+ * @param {string} reviewer - Name/email of the approving supervisor or admin
+ * @returns {Object} Approved timesheet
+ */
+function approve(id, reviewer) {
+  const timesheet = getTimesheet(id);
+  if (!timesheet) {
+    throw ApiError.notFound('Timesheet not found');
+  }
+  if (timesheet.status !== 'submitted') {
+    throw ApiError.badRequest(`Cannot approve a ${timesheet.status} timesheet`, 'INVALID_TIMESHEET_STATUS');
+  }
+
+  const deployment = db.prepare('SELECT * FROM deployments WHERE id = ?').get(timesheet.deployment_id);
+  const paymentId = generateId('PAY');
+  const incentive = deployment.incentive_amount || 0;
+  const total = Math.round(((timesheet.candidate_pay || 0) + incentive) * 100) / 100;
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO payments (id, candidate_id, deployment_id, base_amount, incentive_amount, total_amount, hours_worked, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')
+    `).run(paymentId, timesheet.candidate_id, timesheet.deployment_id,
+      timesheet.candidate_pay || 0, incentive, total, timesheet.hours_worked);
+
+    db.prepare(`
+      UPDATE timesheets
+      SET status = 'approved', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+          payment_id = ?, review_token = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(reviewer || null, paymentId, id);
+
+    db.prepare("UPDATE deployments SET status = 'completed' WHERE id = ?").run(timesheet.deployment_id);
+  })();
+
+  logger.business('timesheet_approved', { timesheet_id: id, payment_id: paymentId, reviewer });
+  questEngine.emit('deployment_completed', timesheet.candidate_id, {
+    sourceId: timesheet.deployment_id, data: { deployment_id: timesheet.deployment_id }
+  });
+
+  const approved = getTimesheet(id);
+  notifyAdmins('timesheet_approved', { timesheet: approved });
+  return approved;
+}
+
+/**
+ * Dispute a submitted timesheet
+ * @param {string} id - Timesheet ID
+ * @param {string} reviewer - Name/email of the disputing supervisor or admin
+ * @param {string} reason - Why the hours are disputed
+ * @returns {Object} Disputed timesheet
+ */
+function dispute(id, reviewer, reason) {
+  const timesheet = getTimesheet(id);
+  if (!timesheet) {
+    throw ApiError.notFound('Timesheet not found');
+  }
+  if (timesheet.status !== 'submitted') {
+    throw ApiError.badRequest(`Cannot dispute a ${timesheet.status} timesheet`, 'INVALID_TIMESHEET_STATUS');
+  }
+  if (!reason) {
+    throw ApiError.badRequest('A dispute reason is required');
+  }
+
+  db.prepare(`
+    UPDATE timesheets
+    SET status = 'disputed', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+        dispute_reason = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(reviewer || null, reason, id);
+
+  logger.business('timesheet_disputed', { timesheet_id: id, reviewer, reason });
+
+  const disputed = getTimesheet(id);
+  notifyAdmins('timesheet_disputed', { timesheet: disputed });
+  return disputed;
+}
+
+/**
+ * Resolve a dispute by correcting the hours and re-submitting for approval
+ * @param {string} id - Timesheet ID
+ * @param {number} hoursWorked - Corrected payable hours
+ * @param {string} note - Adjustment note
+ * @returns {Object} Re-submitted timesheet
+ */
+function adjust(id, hoursWorked, note) {
+  const timesheet = getTimesheet(id);
+  if (!timesheet) {
+    throw ApiError.notFound('Timesheet not found');
+  }
+  if (!['submitted', 'disputed'].includes(timesheet.status)) {
+    throw ApiError.badRequest(`Cannot adjust a ${timesheet.status} timesheet`, 'INVALID_TIMESHEET_STATUS');
+  }
+
+  const hours = parseFloat(hoursWorked);
+  if (!Number.isFinite(hours) || hours < 0 || hours > 24) {
+    throw ApiError.badRequest('hours_worked must be between 0 and 24');
+  }
+
+  const deployment = getDeploymentWithJob(timesheet.deployment_id);
+  const reviewToken = crypto.randomBytes(24).toString('hex');
+
+  db.transaction(() => {
+    applyHours(timesheet, deployment, Math.round(hours * 100) / 100);
+    db.prepare(`
+      UPDATE timesheets
+      SET status = 'submitted', adjustment_note = ?, review_token = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(note || null, reviewToken, id);
+  })();
+
+  logger.business('timesheet_adjusted', { timesheet_id: id, hours_worked: hours, note });
+  requestSupervisorReview(id).catch((error) => {
+    logger.warn('Failed to request supervisor review', { timesheet_id: id, error: error.message });
+  });
+  return getTimesheet(id);
+}
+
+/**
+ * List timesheets with optional filters
+ * @param {Object} filters - { status, candidate_id, job_id, from_date, to_date }
+ */
+function list(filters = {}) {
+  let sql = `
+    SELECT t.*,
+           c.name as candidate_name,
+           j.title as job_title, j.job_date, j.location,
+           cl.company_name as client_name
+    FROM timesheets t
+    LEFT JOIN candidates c ON t.candidate_id = c.id
+    LEFT JOIN jobs j ON t.job_id = j.id
+    LEFT JOIN clients cl ON j.client_id = cl.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.status) {
+    sql += ' AND t.status = ?';
+    params.push(filters.status);
+  }
+  if (filters.candidate_id) {
+    sql += ' AND t.candidate_id = ?';
+    params.push(filters.candidate_id);
+  }
+  if (filters.job_id) {
+    sql += ' AND t.job_id = ?';
+    params.push(filters.job_id);
+  }
+  if (filters.from_date) {
+    sql += ' AND j.job_date >= ?';
+    params.push(filters.from_date);
+  }
+  if (filters.to_date) {
+    sql += ' AND j.job_date <= ?';
+    params.push(filters.to_date);
+  }
+
+  sql += ' ORDER BY t.created_at DESC';
+  return db.prepare(sql).all(...params);
+}
+
+/**
+ * Get a worker's deployment and timesheet for a job (used by the worker PWA)
+ * @param {string} candidateId
+ * @param {string} jobId
+ */
+function getForCandidateJob(candidateId, jobId) {
+  const deployment = db.prepare(`
+    SELECT id, status, check_in_time, check_out_time FROM deployments
+    WHERE candidate_id = ? AND job_id = ?
+  `).get(candidateId, jobId);
+
+  if (!deployment) {
+    return { deployment: null, timesheet: null };
+  }
+
+  const timesheet = db.prepare(`
+    SELECT id, status, clock_in_at, clock_out_at, break_minutes, hours_worked, candidate_pay, dispute_reason
+    FROM timesheets WHERE deployment_id = ?
+  `).get(deployment.id);
+
+  return { deployment, timesheet: timesheet || null };
+}
+
+module.exports = {
+  clockIn,
+  clockOut,
+  approve,
+  dispute,
+  adjust,
+  list,
+  getTimesheet,
+  getForCandidateJob,
+  getByReviewToken: (token) => getTimesheetDetails('t.review_token = ?', token),
+  getDetails: (id) => getTimesheetDetails('t.id = ?', id)
+};
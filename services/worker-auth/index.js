@@ -0,0 +1,435 @@
+/**
+ * Worker Auth Service
+ * Passwordless sign-in for the worker PWA with per-device sessions.
+ *
+ * Flow:
+ *   requestCode(email or phone) → 6-digit code sent by SMS, email or Telegram
+ *   → verifyCode() → device session + short-lived access token (JWT with sid)
+ *     and a refresh token
+ *   → refresh() swaps the refresh token for a new pair on every use
+ *
+ * Codes expire after 5 minutes and allow 5 attempts; at most one code a
+ * minute and five an hour are sent per worker. Refresh tokens rotate: if an
+ * already-used token is presented again the session is revoked, since one of
+ * the two holders is not the worker. Revoking a session also stops its
+ * outstanding access tokens (checked in middleware/auth).
+ *
+ * @module worker-auth
+ */
+
+const crypto = require('crypto');
+const { db } = require('../../db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { generateToken, JWT_SECRET } = require('../../middleware/auth');
+const { createLogger } = require('../../utils/structured-logger');
+const {
+  CODE_TTL_MS,
+  MAX_ATTEMPTS,
+  CHANNELS,
+  generateCode,
+  hashSecret,
+  safeEqual,
+  checkCode,
+  canSendCode,
+  normalizeIdentifier,
+  maskDestination,
+  formatRefreshToken,
+  parseRefreshToken,
+  describeDevice,
+} = require('./otp');
+
+const logger = createLogger('worker-auth');
+
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.WORKER_ACCESS_TOKEN_MINUTES, 10) || 15;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.WORKER_REFRESH_TOKEN_DAYS, 10) || 30;
+
+const CODE_ERRORS = {
+  used: ['This code has already been used. Request a new one.', 'OTP_USED'],
+  expired: ['This code has expired. Request a new one.', 'OTP_EXPIRED'],
+  too_many_attempts: ['Too many incorrect attempts. Request a new code.', 'OTP_ATTEMPTS_EXCEEDED'],
+};
+
+function generateId(prefix) {
+  return prefix + Date.now().toString(36).toUpperCase() + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+function hash(value) {
+  return hashSecret(value, JWT_SECRET);
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function findCandidate(identifier) {
+  const parsed = normalizeIdentifier(identifier);
+  if (!parsed) {
+    throw ApiError.badRequest('Enter a valid email address or mobile number', 'INVALID_IDENTIFIER');
+  }
+
+  let candidate;
+  if (parsed.type === 'email') {
+    candidate = db.prepare('SELECT * FROM candidates WHERE LOWER(email) = ?').get(parsed.value);
+  } else {
+    // Stored numbers are not consistently prefixed with +65
+    const local = parsed.value.replace(/^\+65/, '');
+    candidate = db.prepare('SELECT * FROM candidates WHERE phone IN (?, ?, ?)').get(parsed.value, local, String(identifier).trim());
+  }
+
+  if (!candidate) {
+    const label = parsed.type === 'phone' ? 'Phone number' : 'Email';
+    throw ApiError.notFound(`${label} not found. Please sign up first.`, 'CANDIDATE_NOT_FOUND');
+  }
+  return { candidate, type: parsed.type };
+}
+
+/**
+ * Where a code can be sent for this worker, in order of preference
+ */
+function availableChannels(candidate) {
+  const channels = [];
+  if (candidate.phone) channels.push('sms');
+  if (candidate.email) channels.push('email');
+  if (candidate.telegram_chat_id) channels.push('telegram');
+  return channels;
+}
+
+function pickChannel(candidate, identifierType, requested) {
+  const available = availableChannels(candidate);
+
+  if (requested) {
+    if (!CHANNELS.includes(requested)) {
+      throw ApiError.badRequest(`channel must be one of: ${CHANNELS.join(', ')}`, 'INVALID_CHANNEL');
+    }
+    if (!available.includes(requested)) {
+      throw ApiError.badRequest(`No ${requested} contact on file for this account`, 'CHANNEL_UNAVAILABLE');
+    }
+    return requested;
+  }
+  // Default to the channel matching what the worker typed
+  const preferred = identifierType === 'phone' ? 'sms' : 'email';
+  return available.includes(preferred) ? preferred : available[0];
+}
+
+function destinationFor(candidate, channel) {
+  if (channel === 'sms') return candidate.phone;
+  if (channel === 'email') return candidate.email;
+  return candidate.telegram_chat_id;
+}
+
+// Channels are loaded on use so a missing provider SDK only affects its channel
+async function deliver(channel, destination, code) {
+  const minutes = Math.round(CODE_TTL_MS / 60000);
+  const text = `Your WorkLink sign-in code is ${code}. It expires in ${minutes} minutes. Never share this code.`;
+
+  if (channel === 'sms') {
+    const smsService = require('../notifications/smsService');
+    if (!smsService.initialized && !smsService.initialize()) {
+      return { success: false, error: 'SMS not configured' };
+    }
+    return smsService.send(destination, text);
+  }
+
+  if (channel === 'email') {
+    const emailService = require('../email');
+    await emailService.sendEmail({
+      to: destination,
+      subject: `${code} is your WorkLink sign-in code`,
+      text,
+      html: `<p>Your WorkLink sign-in code is</p><p style="font-size:28px;font-weight:bold;letter-spacing:6px">${code}</p><p>It expires in ${minutes} minutes. If you did not try to sign in, you can ignore this email.</p>`,
+      priority: 'high',
+      category: 'auth',
+    });
+    return { success: true };
+  }
+
+  const telegram = require('../messaging/telegram');
+  return telegram.sendMessage(destination, text);
+}
+
+/**
+ * Send a one-time sign-in code
+ * @param {Object} params
+ * @param {string} params.identifier - Email or mobile number
+ * @param {string} [params.channel] - 'sms', 'email' or 'telegram'; defaults from the identifier
+ * @param {string} [params.ip]
+ * @returns {Promise<Object>} { channel, destination (masked), expiresInSeconds, channels }
+ */
+async function requestCode({ identifier, channel, ip = null }) {
+  const { candidate, type } = findCandidate(identifier);
+  const useChannel = pickChannel(candidate, type, channel);
+  if (!useChannel) {
+    throw ApiError.badRequest('No phone, email or Telegram on file for this account', 'CHANNEL_UNAVAILABLE');
+  }
+
+  const sentAt = db.prepare(`
+    SELECT created_at FROM worker_otp_codes
+    WHERE candidate_id = ? AND created_at >= ?
+  `).all(candidate.id, new Date(Date.now() - 60 * 60 * 1000).toISOString()).map(row => new Date(row.created_at).getTime());
+
+  const throttle = canSendCode(sentAt);
+  if (!throttle.allowed) {
+    const error = new ApiError(429, `Please wait ${throttle.retryAfterSeconds}s before requesting another code`, 'OTP_RATE_LIMITED');
+    error.retryAfterSeconds = throttle.retryAfterSeconds;
+    throw error;
+  }
+
+  const code = generateCode();
+  const destination = destinationFor(candidate, useChannel);
+  const id = generateId('OTP');
+
+  // Earlier codes stop working once a new one is issued
+  db.prepare(`
+    UPDATE worker_otp_codes SET consumed_at = ?
+    WHERE candidate_id = ? AND consumed_at IS NULL
+  `).run(nowIso(), candidate.id);
+
+  db.prepare(`
+    INSERT INTO worker_otp_codes (id, candidate_id, channel, destination, code_hash, max_attempts, expires_at, ip_address, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, candidate.id, useChannel, destination, hash(code), MAX_ATTEMPTS,
+    new Date(Date.now() + CODE_TTL_MS).toISOString(), ip, nowIso());
+
+  let delivery;
+  try {
+    delivery = await deliver(useChannel, destination, code);
+  } catch (error) {
+    delivery = { success: false, error: error.message };
+  }
+
+  if (!delivery || delivery.success === false) {
+    if (process.env.NODE_ENV === 'production') {
+      db.prepare('DELETE FROM worker_otp_codes WHERE id = ?').run(id);
+      logger.error('OTP delivery failed', { candidateId: candidate.id, channel: useChannel, error: delivery?.error });
+      throw new ApiError(502, `Could not send the code by ${useChannel}. Try another option.`, 'OTP_DELIVERY_FAILED');
+    }
+    // Without SMS/email providers locally the code is only in the server log
+    logger.warn(`OTP delivery unavailable (${delivery?.error}); development code for ${candidate.id}: ${code}`);
+  }
+
+  logger.business('otp_requested', { candidateId: candidate.id, channel: useChannel });
+
+  return {
+    channel: useChannel,
+    destination: maskDestination(useChannel, destination),
+    expiresInSeconds: CODE_TTL_MS / 1000,
+    channels: availableChannels(candidate),
+  };
+}
+
+function issueTokens(candidate, sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return {
+    secret,
+    accessToken: generateToken(candidate, { expiresIn: `${ACCESS_TOKEN_MINUTES}m`, sessionId }),
+    refreshToken: formatRefreshToken(sessionId, secret),
+  };
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Start a device session for a worker who has proved who they are
+ * @param {Object} candidate - candidates row
+ * @param {Object} [device] - { deviceId, deviceName, userAgent, ip }
+ * @returns {Object} { accessToken, refreshToken, expiresIn, sessionId }
+ */
+function createSession(candidate, device = {}) {
+  const sessionId = generateId('WS');
+  const tokens = issueTokens(candidate, sessionId);
+
+  db.transaction(() => {
+    // Signing in again on the same device replaces its old session
+    if (device.deviceId) {
+      db.prepare(`
+        UPDATE worker_sessions SET revoked_at = ?, revoked_reason = 'replaced'
+        WHERE candidate_id = ? AND device_id = ? AND revoked_at IS NULL
+      `).run(nowIso(), candidate.id, device.deviceId);
+    }
+
+    db.prepare(`
+      INSERT INTO worker_sessions
+        (id, candidate_id, device_id, device_name, user_agent, ip_address, refresh_token_hash, refresh_expires_at, last_used_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(sessionId, candidate.id, device.deviceId || null,
+      (device.deviceName || describeDevice(device.userAgent)).slice(0, 100),
+      device.userAgent || null, device.ip || null, hash(tokens.secret), refreshExpiry(), nowIso(), nowIso());
+  })();
+
+  logger.business('worker_session_created', { candidateId: candidate.id, sessionId });
+
+  return {
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: ACCESS_TOKEN_MINUTES * 60,
+    sessionId,
+  };
+}
+
+/**
+ * Check a sign-in code and start a device session
+ * @param {Object} params
+ * @param {string} params.identifier - Same email or mobile number the code was requested for
+ * @param {string} params.code
+ * @param {Object} [params.device] - { deviceId, deviceName, userAgent, ip }
+ * @returns {Object} { candidate, accessToken, refreshToken, expiresIn, sessionId }
+ */
+function verifyCode({ identifier, code, device = {} }) {
+  if (!code || !/^\d{4,8}$/.test(String(code).trim())) {
+    throw ApiError.badRequest('Enter the code we sent you', 'INVALID_CODE');
+  }
+  const { candidate } = findCandidate(identifier);
+
+  const record = db.prepare(`
+    SELECT * FROM worker_otp_codes
+    WHERE candidate_id = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `).get(candidate.id);
+
+  if (!record) {
+    throw ApiError.badRequest('Request a sign-in code first', 'OTP_NOT_REQUESTED');
+  }
+
+  const result = checkCode(record, hash(String(code).trim()));
+  if (!result.ok) {
+    if (result.reason === 'mismatch') {
+      db.prepare('UPDATE worker_otp_codes SET attempts = attempts + 1 WHERE id = ?').run(record.id);
+      logger.warn('Incorrect OTP', { candidateId: candidate.id, attemptsLeft: result.attemptsLeft });
+      const error = ApiError.unauthorized(
+        result.attemptsLeft > 0
+          ? `Incorrect code. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left.`
+          : CODE_ERRORS.too_many_attempts[0],
+        result.attemptsLeft > 0 ? 'OTP_INVALID' : 'OTP_ATTEMPTS_EXCEEDED'
+      );
+      error.attemptsLeft = result.attemptsLeft;
+      throw error;
+    }
+    const [message, errorCode] = CODE_ERRORS[result.reason];
+    throw ApiError.unauthorized(message, errorCode);
+  }
+
+  db.prepare('UPDATE worker_otp_codes SET consumed_at = ?, attempts = attempts + 1 WHERE id = ?').run(nowIso(), record.id);
+
+  const session = createSession(candidate, device);
+  logger.business('otp_verified', { candidateId: candidate.id, channel: record.channel });
+
+  return { candidate, ...session };
+}
+
+function revoke(sessionId, reason) {
+  db.prepare(`
+    UPDATE worker_sessions SET revoked_at = ?, revoked_reason = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `).run(nowIso(), reason, sessionId);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken
+ * @returns {Object} { candidate, accessToken, refreshToken, expiresIn, sessionId }
+ */
+function refresh(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  const session = parsed && db.prepare('SELECT * FROM worker_sessions WHERE id = ?').get(parsed.sessionId);
+  if (!session) {
+    throw ApiError.unauthorized('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+  if (session.revoked_at) {
+    throw ApiError.unauthorized('This device has been signed out', 'SESSION_REVOKED');
+  }
+  if (new Date(session.refresh_expires_at).getTime() <= Date.now()) {
+    revoke(session.id, 'expired');
+    throw ApiError.unauthorized('Session expired. Please sign in again.', 'SESSION_EXPIRED');
+  }
+
+  const presented = hash(parsed.secret);
+  if (!safeEqual(presented, session.refresh_token_hash)) {
+    if (safeEqual(presented, session.previous_token_hash)) {
+      revoke(session.id, 'refresh_token_reused');
+      logger.warn('Refresh token reused - session revoked', { candidateId: session.candidate_id, sessionId: session.id });
+    }
+    throw ApiError.unauthorized('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const candidate = db.prepare('SELECT * FROM candidates WHERE id = ?').get(session.candidate_id);
+  if (!candidate) {
+    revoke(session.id, 'candidate_removed');
+    throw ApiError.unauthorized('Account not found', 'CANDIDATE_NOT_FOUND');
+  }
+
+  const tokens = issueTokens(candidate, session.id);
+  db.prepare(`
+    UPDATE worker_sessions
+    SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, refresh_expires_at = ?, last_used_at = ?
+    WHERE id = ?
+  `).run(hash(tokens.secret), refreshExpiry(), nowIso(), session.id);
+
+  return {
+    candidate,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: ACCESS_TOKEN_MINUTES * 60,
+    sessionId: session.id,
+  };
+}
+
+/**
+ * Signed-in devices for a worker, most recently used first
+ * @param {string} candidateId
+ * @param {string} [currentSessionId] - Flags the device making the request
+ * @returns {Object[]}
+ */
+function listSessions(candidateId, currentSessionId = null) {
+  return db.prepare(`
+    SELECT id, device_name, ip_address, last_used_at, created_at
+    FROM worker_sessions
+    WHERE candidate_id = ? AND revoked_at IS NULL AND refresh_expires_at > ?
+    ORDER BY last_used_at DESC
+  `).all(candidateId, nowIso()).map(session => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+}
+
+/**
+ * Sign a device out remotely
+ * @param {string} candidateId - Owner; other workers' sessions are not found
+ * @param {string} sessionId
+ * @returns {Object} { id, revoked: true }
+ */
+function revokeSession(candidateId, sessionId) {
+  const session = db.prepare('SELECT id, revoked_at FROM worker_sessions WHERE id = ? AND candidate_id = ?').get(sessionId, candidateId);
+  if (!session) {
+    throw ApiError.notFound('Session not found', 'SESSION_NOT_FOUND');
+  }
+  revoke(session.id, 'signed_out');
+  logger.business('worker_session_revoked', { candidateId, sessionId });
+  return { id: session.id, revoked: true };
+}
+
+/**
+ * Sign out every device except the current one
+ * @returns {number} Sessions revoked
+ */
+function revokeOtherSessions(candidateId, currentSessionId) {
+  const { changes } = db.prepare(`
+    UPDATE worker_sessions SET revoked_at = ?, revoked_reason = 'signed_out'
+    WHERE candidate_id = ? AND id != ? AND revoked_at IS NULL
+  `).run(nowIso(), candidateId, currentSessionId || '');
+  logger.business('worker_sessions_revoked', { candidateId, count: changes });
+  return changes;
+}
+
+module.exports = {
+  requestCode,
+  verifyCode,
+  createSession,
+  refresh,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  availableChannels,
+};
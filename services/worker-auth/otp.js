@@ -0,0 +1,175 @@
+/**
+ * Worker OTP Rules
+ *
+ * Pure helpers for the passwordless worker sign-in: one-time code generation
+ * and checking, resend throttling, identifier normalisation and refresh token
+ * formatting. Nothing here touches the database (see index.js).
+ */
+
+const crypto = require('crypto');
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_CODES_PER_HOUR = 5;
+
+const CHANNELS = ['sms', 'email', 'telegram'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Random numeric code, zero-padded
+ * @param {number} [length=6]
+ * @returns {string}
+ */
+function generateCode(length = CODE_LENGTH) {
+  return String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+}
+
+/**
+ * Keyed hash for codes and refresh tokens - only hashes are stored
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string}
+ */
+function hashSecret(value, secret) {
+  return crypto.createHmac('sha256', secret).update(String(value)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Check a submitted code against its stored record
+ * @param {Object} record - { code_hash, attempts, max_attempts, expires_at, consumed_at }
+ * @param {string} codeHash - Hash of the submitted code
+ * @param {number} [now=Date.now()]
+ * @returns {{ok: boolean, reason: string|null, attemptsLeft: number}}
+ */
+function checkCode(record, codeHash, now = Date.now()) {
+  const maxAttempts = record.max_attempts || MAX_ATTEMPTS;
+  const attemptsLeft = Math.max(0, maxAttempts - record.attempts);
+
+  if (record.consumed_at) return { ok: false, reason: 'used', attemptsLeft: 0 };
+  if (new Date(record.expires_at).getTime() <= now) return { ok: false, reason: 'expired', attemptsLeft: 0 };
+  if (attemptsLeft === 0) return { ok: false, reason: 'too_many_attempts', attemptsLeft: 0 };
+  if (!safeEqual(record.code_hash, codeHash)) return { ok: false, reason: 'mismatch', attemptsLeft: attemptsLeft - 1 };
+  return { ok: true, reason: null, attemptsLeft };
+}
+
+/**
+ * Whether another code may be sent, given when recent ones were
+ * @param {number[]} sentAt - Timestamps (ms) of codes sent in the last hour
+ * @param {number} [now=Date.now()]
+ * @returns {{allowed: boolean, retryAfterSeconds: number}}
+ */
+function canSendCode(sentAt, now = Date.now()) {
+  const recent = sentAt.filter(t => now - t < 60 * 60 * 1000).sort((a, b) => a - b);
+  const last = recent[recent.length - 1];
+
+  if (last !== undefined && now - last < RESEND_COOLDOWN_MS) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((RESEND_COOLDOWN_MS - (now - last)) / 1000) };
+  }
+  if (recent.length >= MAX_CODES_PER_HOUR) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((recent[0] + 60 * 60 * 1000 - now) / 1000) };
+  }
+  return { allowed: true, retryAfterSeconds: 0 };
+}
+
+/**
+ * Classify a sign-in identifier as email or Singapore phone number
+ * @param {string} identifier
+ * @returns {{type: 'email'|'phone', value: string}|null}
+ */
+function normalizeIdentifier(identifier) {
+  const raw = String(identifier || '').trim();
+  if (!raw) return null;
+
+  if (raw.includes('@')) {
+    return EMAIL_REGEX.test(raw) ? { type: 'email', value: raw.toLowerCase() } : null;
+  }
+
+  const digits = raw.replace(/[\s\-()]/g, '');
+  if (/^\d{8}$/.test(digits)) return { type: 'phone', value: `+65${digits}` };
+  if (/^65\d{8}$/.test(digits)) return { type: 'phone', value: `+${digits}` };
+  if (/^\+\d{8,15}$/.test(digits)) return { type: 'phone', value: digits };
+  return null;
+}
+
+/**
+ * Show enough of where the code went for the worker to recognise it
+ * @param {string} channel
+ * @param {string} destination
+ * @returns {string}
+ */
+function maskDestination(channel, destination) {
+  if (channel === 'telegram') return 'Telegram';
+  if (channel === 'email') {
+    const [name, domain] = String(destination).split('@');
+    return `${name.slice(0, 2)}${'*'.repeat(Math.max(1, name.length - 2))}@${domain}`;
+  }
+  return `****${String(destination).slice(-4)}`;
+}
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>" so the session is found without
+ * scanning, while only the secret's hash is stored
+ */
+function formatRefreshToken(sessionId, secret) {
+  return `${sessionId}.${secret}`;
+}
+
+function parseRefreshToken(token) {
+  const value = String(token || '');
+  const dot = value.indexOf('.');
+  if (dot <= 0 || dot === value.length - 1) return null;
+  return { sessionId: value.slice(0, dot), secret: value.slice(dot + 1) };
+}
+
+/**
+ * Short device label from a user agent, e.g. "Chrome on Android"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+function describeDevice(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+
+  const os = /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+    : /Android/.test(ua) ? 'Android'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X|Macintosh/.test(ua) ? 'macOS'
+    : /Linux/.test(ua) ? 'Linux'
+    : null;
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /SamsungBrowser/.test(ua) ? 'Samsung Internet'
+    : /Chrome\/|CriOS/.test(ua) ? 'Chrome'
+    : /Firefox\/|FxiOS/.test(ua) ? 'Firefox'
+    : /Safari\//.test(ua) ? 'Safari'
+    : null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+module.exports = {
+  CODE_LENGTH,
+  CODE_TTL_MS,
+  MAX_ATTEMPTS,
+  RESEND_COOLDOWN_MS,
+  MAX_CODES_PER_HOUR,
+  CHANNELS,
+  generateCode,
+  hashSecret,
+  safeEqual,
+  checkCode,
+  canSendCode,
+  normalizeIdentifier,
+  maskDestination,
+  formatRefreshToken,
+  parseRefreshToken,
+  describeDevice,
+};
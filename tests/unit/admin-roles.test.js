@@ -0,0 +1,115 @@
+/**
+ * Unit Tests: Admin Roles & Permissions
+ *
+ * Tests role permission checks, per-area expansion for the admin UI,
+ * method-to-permission mapping, the password policy and password hashing.
+ */
+
+const {
+  ROLE_NAMES,
+  hasPermission,
+  permissionsFor,
+  permissionForMethod,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+} = require('../../services/admin-users/roles');
+
+// ============================================
+// PERMISSIONS
+// ============================================
+
+describe('hasPermission', () => {
+  test('owners can do everything', () => {
+    expect(hasPermission('owner', 'users:manage')).toBe(true);
+    expect(hasPermission('owner', 'finance:write')).toBe(true);
+    expect(hasPermission('owner', 'tenders:approve')).toBe(true);
+  });
+
+  test('finance can pay people but not change tenders or admins', () => {
+    expect(hasPermission('finance', 'finance:write')).toBe(true);
+    expect(hasPermission('finance', 'tenders:read')).toBe(true);
+    expect(hasPermission('finance', 'tenders:write')).toBe(false);
+    expect(hasPermission('finance', 'users:manage')).toBe(false);
+    expect(hasPermission('finance', 'audit:read')).toBe(true);
+  });
+
+  test('bid managers approve gates; consultants cannot', () => {
+    expect(hasPermission('bid_manager', 'tenders:approve')).toBe(true);
+    expect(hasPermission('consultant', 'tenders:approve')).toBe(false);
+    expect(hasPermission('consultant', 'candidates:write')).toBe(true);
+    expect(hasPermission('consultant', 'finance:read')).toBe(false);
+  });
+
+  test('read-only sees every area except admin users and the audit log', () => {
+    expect(hasPermission('read_only', 'finance:read')).toBe(true);
+    expect(hasPermission('read_only', 'tenders:read')).toBe(true);
+    expect(hasPermission('read_only', 'finance:write')).toBe(false);
+    expect(hasPermission('read_only', 'users:read')).toBe(false);
+    expect(hasPermission('read_only', 'audit:read')).toBe(false);
+  });
+
+  test('unknown roles get nothing', () => {
+    expect(hasPermission(undefined, 'candidates:read')).toBe(false);
+    expect(hasPermission('admin', 'candidates:read')).toBe(false);
+  });
+});
+
+describe('permissionsFor', () => {
+  test('expands wildcards per area', () => {
+    const finance = permissionsFor('finance');
+    expect(finance).toContain('finance:write');
+    expect(finance).toContain('finance:approve');
+    expect(finance).toContain('jobs:read');
+    expect(finance).not.toContain('jobs:write');
+    expect(permissionsFor('owner')).toContain('users:manage');
+  });
+
+  test('every role can at least read reports', () => {
+    for (const role of ROLE_NAMES) {
+      expect(permissionsFor(role)).toContain('reports:read');
+    }
+  });
+});
+
+describe('permissionForMethod', () => {
+  test('maps safe methods to read and the rest to write', () => {
+    expect(permissionForMethod('finance', 'GET')).toBe('finance:read');
+    expect(permissionForMethod('finance', 'HEAD')).toBe('finance:read');
+    expect(permissionForMethod('finance', 'POST')).toBe('finance:write');
+    expect(permissionForMethod('finance', 'DELETE')).toBe('finance:write');
+  });
+});
+
+// ============================================
+// PASSWORDS
+// ============================================
+
+describe('validatePassword', () => {
+  test('requires length and a mix of letters and numbers', () => {
+    expect(validatePassword('short1')).toMatch(/at least 10/);
+    expect(validatePassword('onlyletterslong')).toMatch(/letters and numbers/);
+    expect(validatePassword('1234567890')).toMatch(/letters and numbers/);
+    expect(validatePassword('worklink2026')).toBeNull();
+    expect(validatePassword(undefined)).not.toBeNull();
+  });
+});
+
+describe('hashPassword / verifyPassword', () => {
+  test('round-trips and rejects the wrong password', () => {
+    const stored = hashPassword('worklink2026');
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(verifyPassword('worklink2026', stored)).toBe(true);
+    expect(verifyPassword('worklink2027', stored)).toBe(false);
+  });
+
+  test('salts each hash', () => {
+    expect(hashPassword('worklink2026')).not.toBe(hashPassword('worklink2026'));
+  });
+
+  test('rejects missing or malformed hashes', () => {
+    expect(verifyPassword('worklink2026', null)).toBe(false);
+    expect(verifyPassword('worklink2026', 'plaintext')).toBe(false);
+    expect(verifyPassword('worklink2026', 'scrypt$abc$')).toBe(false);
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Unit Tests: Alert Rules
+ *
+ * Tests the expression language (parsing, validation, formatting and
+ * evaluation), per-client operations metrics, replaying a rule over past
+ * data, quiet hours and per-recipient delivery planning.
+ */
+
+const {
+  parseNumber,
+  normalizeExpression,
+  formatExpression,
+  evaluateExpression,
+} = require('../../services/alerts/expressions');
+const {
+  summarizeOperations,
+  replayRule,
+  quietMinutesLeft,
+  planDeliveries,
+  normalizeRuleSettings,
+} = require('../../services/alerts/rules');
+
+// 2026-10-19 10:00 in Singapore
+const NOW = new Date('2026-10-19T02:00:00Z');
+
+const tender = (overrides = {}) => ({
+  id: 't1',
+  title: 'Manpower services for polyclinics',
+  agency: 'MOH',
+  stage: 'new_opportunity',
+  estimated_value: 750000,
+  closing_date: '2026-10-23',
+  ...overrides,
+});
+
+// ============================================
+// EXPRESSIONS
+// ============================================
+
+describe('parseNumber', () => {
+  test('reads money and rate shorthand', () => {
+    expect(parseNumber('500k')).toBe(500000);
+    expect(parseNumber('1.2M')).toBe(1200000);
+    expect(parseNumber('$2,500')).toBe(2500);
+    expect(parseNumber('85%')).toBe(85);
+    expect(parseNumber('lots')).toBeNull();
+  });
+});
+
+describe('normalizeExpression', () => {
+  test('parses the written form using field labels and aliases', () => {
+    const { expression, error } = normalizeExpression(
+      'estimated value > 500k AND agency in (MOH, MOE) AND closing within 7 days',
+      'tender'
+    );
+    expect(error).toBeUndefined();
+    expect(expression).toEqual({
+      all: [
+        { field: 'estimated_value', op: '>', value: 500000 },
+        { field: 'agency', op: 'in', value: ['MOH', 'MOE'] },
+        { field: 'closing_date', op: 'within', value: 7 },
+      ],
+    });
+  });
+
+  test('AND binds tighter than OR; brackets and NOT group', () => {
+    const { expression } = normalizeExpression(
+      'agency = MOH OR value >= 1m AND NOT (stage in (awarded, lost))',
+      'tender'
+    );
+    expect(expression).toEqual({
+      any: [
+        { field: 'agency', op: '=', value: 'MOH' },
+        { all: [
+          { field: 'estimated_value', op: '>=', value: 1000000 },
+          { not: { field: 'stage', op: 'in', value: ['awarded', 'lost'] } },
+        ] },
+      ],
+    });
+  });
+
+  test('formatted text parses back to the same tree', () => {
+    const { expression } = normalizeExpression(
+      'title contains "Ministry of Health" AND (score < 80 OR stage not in (awarded, lost))',
+      'tender'
+    );
+    const text = formatExpression(expression);
+    expect(text).toBe('title contains "Ministry of Health" AND (qualification_score < 80 OR stage not in (awarded, lost))');
+    expect(normalizeExpression(text, 'tender').expression).toEqual(expression);
+  });
+
+  test('validates trees from the rule builder', () => {
+    expect(normalizeExpression({ all: [{ field: 'no-show rate', op: '>', value: '5%' }] }, 'operations').expression)
+      .toEqual({ all: [{ field: 'no_show_rate', op: '>', value: 5 }] });
+    expect(normalizeExpression({ all: [] }, 'tender').error).toMatch(/at least one condition/);
+    expect(normalizeExpression({ field: 'estimated_value', op: 'contains', value: 'x' }, 'tender').error).toMatch(/supports/);
+    expect(normalizeExpression({ field: 'estimated_value', op: '>', value: 'big' }, 'tender').error).toMatch(/needs a number/);
+  });
+
+  test('reports unknown fields, subjects and syntax errors', () => {
+    expect(normalizeExpression('fill_rate < 80', 'tender').error).toBe('Unknown field "fill_rate"');
+    expect(normalizeExpression('agency = MOH', 'invoices').error).toMatch(/subject must be one of/);
+    expect(normalizeExpression('agency in (MOH', 'tender').error).toBe('Expected ")"');
+    expect(normalizeExpression('agency MOH', 'tender').error).toBe('Unknown field "agency MOH"');
+  });
+});
+
+describe('evaluateExpression', () => {
+  const { expression } = normalizeExpression(
+    'estimated value > 500k AND agency in (moh, moe) AND closing within 7 days',
+    'tender'
+  );
+
+  test('matches when every condition holds (text is case-insensitive)', () => {
+    expect(evaluateExpression(expression, tender(), NOW)).toBe(true);
+  });
+
+  test('closing within counts calendar days ahead in Singapore time', () => {
+    expect(evaluateExpression(expression, tender({ closing_date: '2026-10-26' }), NOW)).toBe(true);
+    expect(evaluateExpression(expression, tender({ closing_date: '2026-10-27' }), NOW)).toBe(false);
+    expect(evaluateExpression(expression, tender({ closing_date: '2026-10-18' }), NOW)).toBe(false);
+  });
+
+  test('missing values fail comparisons but pass negations', () => {
+    expect(evaluateExpression(expression, tender({ estimated_value: null }), NOW)).toBe(false);
+    const notLost = normalizeExpression('stage not in (awarded, lost)', 'tender').expression;
+    expect(evaluateExpression(notLost, tender({ stage: null }), NOW)).toBe(true);
+    expect(evaluateExpression(notLost, tender({ stage: 'lost' }), NOW)).toBe(false);
+  });
+});
+
+// ============================================
+// OPERATIONS METRICS
+// ============================================
+
+describe('summarizeOperations', () => {
+  const job = (day, overrides = {}) => ({
+    client_id: 'c1', client: 'Acme Logistics', industry: 'logistics',
+    job_date: day, total_slots: 10, filled_slots: 10, deployments: 10, no_shows: 0, cancellations: 0,
+    ...overrides,
+  });
+
+  test('rates over the window and the change against the window before', () => {
+    const [row] = summarizeOperations([
+      job('2026-10-18', { filled_slots: 7, deployments: 8, no_shows: 1, cancellations: 1 }),
+      job('2026-10-14', { filled_slots: 9 }),
+      job('2026-10-10'), // previous window
+      job('2026-10-01'), // too old
+    ], { asOf: NOW, windowDays: 7 });
+
+    expect(row).toMatchObject({
+      id: 'c1',
+      client: 'Acme Logistics',
+      shifts: 2,
+      fill_rate: 80,
+      no_show_rate: 5.9,
+      cancellation_rate: 5.6,
+      fill_rate_change: -20,
+      window_days: 7,
+    });
+  });
+
+  test('leaves out clients with no shifts in the window and future jobs', () => {
+    expect(summarizeOperations([job('2026-10-10'), job('2026-10-25')], { asOf: NOW, windowDays: 7 })).toEqual([]);
+  });
+});
+
+describe('replayRule', () => {
+  const { expression } = normalizeExpression('value > 500k', 'tender');
+  const from = new Date('2026-10-01T00:00:00Z');
+  const to = new Date('2026-10-03T00:00:00Z');
+
+  test('alerts again only after the dedup window passes', () => {
+    const { alerts, checks } = replayRule({
+      expression, subject: 'tender', rowsAt: () => [tender()], from, to, dedupMinutes: 1440,
+    });
+    expect(checks).toBe(49);
+    expect(alerts.map(a => a.at.toISOString())).toEqual(['2026-10-01T00:00:00.000Z', '2026-10-02T00:00:00.000Z', '2026-10-03T00:00:00.000Z']);
+    expect(alerts[0].key).toBe('tender:t1');
+  });
+
+  test('rows only alert once they exist', () => {
+    const created = new Date('2026-10-02T12:00:00Z').getTime();
+    const { alerts } = replayRule({
+      expression, subject: 'tender', from, to, dedupMinutes: 1440,
+      rowsAt: (at) => (at.getTime() >= created ? [tender()] : []),
+    });
+    expect(alerts.map(a => a.at.toISOString())).toEqual(['2026-10-02T12:00:00.000Z']);
+  });
+});
+
+// ============================================
+// DELIVERY
+// ============================================
+
+describe('quietMinutesLeft', () => {
+  const overnight = { start: '22:00', end: '07:00', timezone: 'Asia/Singapore' };
+
+  test('counts down to the end of overnight quiet hours in the recipient timezone', () => {
+    expect(quietMinutesLeft(overnight, new Date('2026-10-19T15:30:00Z'))).toBe(450); // 23:30 SGT
+    expect(quietMinutesLeft(overnight, new Date('2026-10-18T22:00:00Z'))).toBe(60); // 06:00 SGT
+    expect(quietMinutesLeft(overnight, NOW)).toBe(0); // 10:00 SGT
+    expect(quietMinutesLeft({ ...overnight, timezone: 'UTC' }, new Date('2026-10-19T02:00:00Z'))).toBe(300);
+  });
+
+  test('no quiet hours when unset or empty', () => {
+    expect(quietMinutesLeft(null, NOW)).toBe(0);
+    expect(quietMinutesLeft({ start: '09:00', end: '09:00' }, NOW)).toBe(0);
+  });
+});
+
+describe('planDeliveries', () => {
+  const sleeping = {
+    name: 'admin',
+    addresses: { email: 'ops@worklink.sg', sms: '+6591234567', slack: '@U123' },
+    quiet_hours: { start: '08:00', end: '12:00', timezone: 'Asia/Singapore' },
+    min_priority: 'low',
+  };
+  const desk = { name: 'bids@worklink.sg', addresses: { email: 'bids@worklink.sg' } };
+
+  test('defers a recipient in quiet hours and sends the rest now, on allowed channels only', () => {
+    const { deliveries } = planDeliveries([sleeping, desk], { priority: 'high', channels: ['email', 'slack'], now: NOW });
+    expect(deliveries).toEqual([
+      { recipient: 'admin', channel: 'email', address: 'ops@worklink.sg', scheduled_for: new Date('2026-10-19T04:00:00Z') },
+      { recipient: 'admin', channel: 'slack', address: '@U123', scheduled_for: new Date('2026-10-19T04:00:00Z') },
+      { recipient: 'bids@worklink.sg', channel: 'email', address: 'bids@worklink.sg', scheduled_for: null },
+    ]);
+  });
+
+  test('critical alerts ignore quiet hours and do not disturb', () => {
+    const { deliveries } = planDeliveries([{ ...sleeping, dnd_enabled: true }], { priority: 'critical', channels: ['sms'], now: NOW });
+    expect(deliveries).toEqual([{ recipient: 'admin', channel: 'sms', address: '+6591234567', scheduled_for: null }]);
+  });
+
+  test('do not disturb holds until it ends, or skips when open-ended', () => {
+    const until = '2026-10-19T06:00:00Z';
+    const held = planDeliveries([{ ...sleeping, quiet_hours: null, dnd_enabled: true, dnd_until: until }], { priority: 'medium', channels: ['email'], now: NOW });
+    expect(held.deliveries[0].scheduled_for).toEqual(new Date(until));
+
+    const skipped = planDeliveries([{ ...sleeping, dnd_enabled: true }], { priority: 'medium', channels: ['email'], now: NOW });
+    expect(skipped.deliveries).toEqual([]);
+    expect(skipped.skipped).toEqual([{ recipient: 'admin', reason: 'do not disturb' }]);
+  });
+
+  test('respects minimum priority and sends each address once', () => {
+    const { deliveries, skipped } = planDeliveries(
+      [{ ...sleeping, min_priority: 'high' }, desk, desk],
+      { priority: 'medium', channels: ['email'], now: NOW }
+    );
+    expect(skipped).toEqual([{ recipient: 'admin', reason: 'below high priority' }]);
+    expect(deliveries).toHaveLength(1);
+  });
+});
+
+describe('normalizeRuleSettings', () => {
+  test('defaults and bounds for metric and dedup windows', () => {
+    expect(normalizeRuleSettings({}).settings).toEqual({ window_days: 7, dedup_minutes: 1440 });
+    expect(normalizeRuleSettings({ window_days: '14', dedup_minutes: 60 }).settings).toEqual({ window_days: 14, dedup_minutes: 60 });
+    expect(normalizeRuleSettings({ window_days: 0 }).error).toMatch(/window_days/);
+    expect(normalizeRuleSettings({ dedup_minutes: 1 }).error).toMatch(/dedup_minutes/);
+  });
+});
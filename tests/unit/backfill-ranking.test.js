@@ -0,0 +1,118 @@
+/**
+ * Unit Tests: Backfill Ranking
+ *
+ * Tests availability fit, combining match scores with availability,
+ * wave selection and whether a shift can still be backfilled.
+ */
+
+const {
+  AVAILABILITY_ADJUSTMENTS,
+  getAvailabilityFit,
+  rankReplacements,
+  selectWave,
+  isBackfillable,
+} = require('../../services/backfill/ranking');
+
+// 2025-03-14 is a Friday, 2025-03-15 a Saturday
+const job = { id: 'JOB1', job_date: '2025-03-14', start_time: '09:00', end_time: '17:00' };
+
+// ============================================
+// AVAILABILITY
+// ============================================
+
+describe('getAvailabilityFit', () => {
+  test('calendar entries take priority over the weekly preference', () => {
+    const candidate = { availability_mode: 'weekends' };
+    expect(getAvailabilityFit({ status: 'available' }, candidate, job)).toBe('available');
+    expect(getAvailabilityFit({ status: 'unavailable' }, { availability_mode: 'all' }, job)).toBe('unavailable');
+  });
+
+  test('checks calendar hours cover the shift', () => {
+    expect(getAvailabilityFit({ status: 'available', start_time: '08:00', end_time: '18:00' }, {}, job)).toBe('available');
+    expect(getAvailabilityFit({ status: 'available', start_time: '12:00', end_time: '18:00' }, {}, job)).toBe('partial');
+  });
+
+  test('handles overnight shifts', () => {
+    const nightJob = { ...job, start_time: '22:00', end_time: '06:00' };
+    expect(getAvailabilityFit({ status: 'available', start_time: '20:00', end_time: '07:00' }, {}, nightJob)).toBe('available');
+    expect(getAvailabilityFit({ status: 'available', start_time: '20:00', end_time: '23:00' }, {}, nightJob)).toBe('partial');
+  });
+
+  test('falls back to the weekday/weekend preference', () => {
+    expect(getAvailabilityFit(null, { availability_mode: 'weekdays' }, job)).toBe('mode_match');
+    expect(getAvailabilityFit(null, { availability_mode: 'weekends' }, job)).toBe('mode_mismatch');
+    expect(getAvailabilityFit(null, { availability_mode: 'weekends' }, { ...job, job_date: '2025-03-15' })).toBe('mode_match');
+    expect(getAvailabilityFit(null, { availability_mode: 'all' }, job)).toBe('mode_match');
+    expect(getAvailabilityFit(null, { availability_mode: 'custom' }, job)).toBe('unknown');
+  });
+});
+
+// ============================================
+// RANKING
+// ============================================
+
+describe('rankReplacements', () => {
+  const candidatesById = {
+    A: { id: 'A', name: 'Aisha', availability_mode: 'weekends' },
+    B: { id: 'B', name: 'Ben', availability_mode: 'weekdays' },
+    C: { id: 'C', name: 'Chen', availability_mode: 'all' },
+  };
+
+  test('adds the availability adjustment to the match score', () => {
+    const ranked = rankReplacements(
+      [{ id: 'A', score: 80 }, { id: 'B', score: 70 }],
+      { job, candidatesById }
+    );
+    expect(ranked.map(r => r.candidate_id)).toEqual(['B', 'A']);
+    expect(ranked[0]).toMatchObject({
+      name: 'Ben', rank: 1, match_score: 70, availability: 'mode_match',
+      score: 70 + AVAILABILITY_ADJUSTMENTS.mode_match,
+    });
+  });
+
+  test('drops workers marked unavailable for the day', () => {
+    const ranked = rankReplacements(
+      [{ id: 'A', score: 90 }, { id: 'C', score: 50 }],
+      { job, candidatesById, availabilityByCandidate: { C: { status: 'unavailable' } } }
+    );
+    expect(ranked.map(r => r.candidate_id)).toEqual(['A']);
+  });
+
+  test('breaks ties on the raw match score', () => {
+    const ranked = rankReplacements(
+      [{ id: 'B', score: 60 }, { id: 'C', score: 70 }],
+      { job, candidatesById, availabilityByCandidate: { B: { status: 'available' } } }
+    );
+    // B: 60 + 20 = 80, C: 70 + 10 = 80
+    expect(ranked.map(r => r.candidate_id)).toEqual(['C', 'B']);
+  });
+});
+
+describe('selectWave', () => {
+  const ranked = ['A', 'B', 'C', 'D'].map((id, i) => ({ candidate_id: id, rank: i + 1 }));
+
+  test('takes the next best workers not yet offered', () => {
+    expect(selectWave(ranked, ['A'], 2).map(r => r.candidate_id)).toEqual(['B', 'C']);
+    expect(selectWave(ranked, new Set(['A', 'B', 'C', 'D']), 2)).toEqual([]);
+  });
+});
+
+describe('isBackfillable', () => {
+  test('allows shifts that have not ended yet in Singapore time', () => {
+    // 16:59 SGT on the shift day
+    expect(isBackfillable(job, new Date('2025-03-14T08:59:00Z'))).toBe(true);
+    // 17:01 SGT
+    expect(isBackfillable(job, new Date('2025-03-14T09:01:00Z'))).toBe(false);
+  });
+
+  test('treats overnight shifts as ending the next day', () => {
+    const nightJob = { ...job, start_time: '22:00', end_time: '06:00' };
+    // 02:00 SGT on 15 March
+    expect(isBackfillable(nightJob, new Date('2025-03-14T18:00:00Z'))).toBe(true);
+  });
+
+  test('rejects jobs without a date', () => {
+    expect(isBackfillable({})).toBe(false);
+    expect(isBackfillable(null)).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Unit Tests: Shift Backfill Service
+ *
+ * Runs dropouts and offer acceptance against an in-memory database.
+ */
+
+process.env.WORKLINK_DB_PATH = ':memory:';
+
+const { db } = require('../../db');
+const backfill = require('../../services/backfill');
+
+db.prepare("INSERT INTO clients (id, company_name) VALUES ('TCLBF', 'Backfill Client')").run();
+db.prepare(`
+  INSERT INTO jobs (id, client_id, title, job_date, start_time, end_time, charge_rate, pay_rate, total_slots, filled_slots, status)
+  VALUES ('TJBBF', 'TCLBF', 'Event crew', '2099-01-01', '09:00', '17:00', 20, 14, 1, 1, 'filled')
+`).run();
+for (const id of ['TCNBF1', 'TCNBF2']) {
+  db.prepare("INSERT INTO candidates (id, name, status) VALUES (?, ?, 'active')").run(id, `Worker ${id}`);
+}
+// A slot row without a worker yet must not hide everyone from the search
+db.prepare("INSERT INTO deployments (id, job_id, candidate_id, status) VALUES ('TDPBF0', 'TJBBF', NULL, 'assigned')").run();
+db.prepare("INSERT INTO deployments (id, job_id, candidate_id, status) VALUES ('TDPBF1', 'TJBBF', 'TCNBF1', 'cancelled')").run();
+
+describe('backfill', () => {
+  let request;
+
+  test('offers the slot to workers not on the job, despite unassigned deployments', async () => {
+    request = await backfill.handleDeploymentDropout('TDPBF1');
+
+    expect(request).toMatchObject({ status: 'offering', current_wave: 1 });
+    const offered = db.prepare('SELECT candidate_id FROM backfill_offers WHERE request_id = ?').all(request.id);
+    expect(offered.map(o => o.candidate_id)).toContain('TCNBF2');
+    expect(offered.map(o => o.candidate_id)).not.toContain('TCNBF1');
+  });
+
+  test('accepting an offer books the worker with a new deployment', () => {
+    const offer = db.prepare(`
+      SELECT id FROM backfill_offers WHERE request_id = ? AND candidate_id = 'TCNBF2'
+    `).get(request.id);
+
+    backfill.acceptOffer(offer.id, 'TCNBF2');
+
+    const filled = db.prepare('SELECT * FROM backfill_requests WHERE id = ?').get(request.id);
+    expect(filled).toMatchObject({ status: 'filled', filled_by_candidate_id: 'TCNBF2' });
+    expect(filled.filled_deployment_id).toMatch(/^DEP[0-9A-Z]+$/);
+    expect(db.prepare('SELECT candidate_id, status FROM deployments WHERE id = ?').get(filled.filled_deployment_id))
+      .toEqual({ candidate_id: 'TCNBF2', status: 'confirmed' });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests: Bid Pricing Calculator
+ *
+ * Tests the cost build-up (wages, overtime, PH premium, CPF, levy),
+ * overheads and margin, input validation and benchmark positioning.
+ */
+
+const {
+  DEFAULTS,
+  WEEKS_PER_MONTH,
+  calculateBid,
+  normalizeInputs,
+  summarise,
+  contractMonths,
+  compareWithBenchmarks,
+} = require('../../services/bid-pricing/calculator');
+
+const crew = { role: 'Event Crew', headcount: 10, hourly_rate: 12, hours_per_day: 8, days_per_week: 5 };
+
+// Makes one role's figures easy to reason about: no CPF, PH premium, overheads or margin
+const flat = { cpf_rate: 0, ph_multiplier: 1, overhead_pct: 0, margin_pct: 0 };
+
+// ============================================
+// INPUTS
+// ============================================
+
+describe('normalizeInputs', () => {
+  test('fills in defaults for omitted rates', () => {
+    const { inputs, errors } = normalizeInputs({ roles: [{ role: 'Crew', headcount: 2, hourly_rate: 10 }] });
+    expect(errors).toEqual([]);
+    expect(inputs).toMatchObject(DEFAULTS);
+    expect(inputs.roles[0]).toMatchObject({ hours_per_day: 8, days_per_week: 5, foreign_headcount: 0 });
+  });
+
+  test('rejects missing roles and impossible values', () => {
+    expect(normalizeInputs({}).errors).toContain('At least one role is required');
+
+    const { errors } = normalizeInputs({
+      margin_pct: 100,
+      roles: [{ role: 'Crew', headcount: 2, foreign_headcount: 3, hourly_rate: 0, hours_per_day: 25 }],
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      'margin_pct must be below 100',
+      'Crew: foreign_headcount must be between 0 and headcount',
+      'Crew: hourly_rate must be greater than 0',
+      'Crew: hours_per_day must be between 0 and 24',
+    ]));
+  });
+});
+
+// ============================================
+// COST BUILD-UP
+// ============================================
+
+describe('calculateBid', () => {
+  test('returns errors instead of figures for invalid inputs', () => {
+    const result = calculateBid({ roles: [] });
+    expect(result.valid).toBe(false);
+    expect(result.monthly).toBeUndefined();
+  });
+
+  test('a 40-hour week is all basic wages', () => {
+    const bid = calculateBid({ ...flat, roles: [crew] });
+    expect(bid.monthly.basic).toBeCloseTo(10 * 40 * WEEKS_PER_MONTH * 12, 2);
+    expect(bid.monthly.overtime).toBe(0);
+    expect(bid.monthly.bid_value).toBe(bid.monthly.basic);
+  });
+
+  test('hours above 44 a week are paid at the overtime multiplier', () => {
+    const bid = calculateBid({ ...flat, roles: [{ ...crew, hours_per_day: 12, days_per_week: 4 }] });
+    expect(bid.roles[0].overtime_hours_per_week).toBe(4);
+    expect(bid.monthly.overtime).toBeCloseTo(10 * 4 * WEEKS_PER_MONTH * 12 * 1.5, 2);
+  });
+
+  test('adds the premium for public holidays on rostered days', () => {
+    const bid = calculateBid({ ...flat, ph_multiplier: 2, public_holidays_per_year: 12, roles: [{ ...crew, days_per_week: 7 }] });
+    // One PH a month, every day rostered: one extra day's pay per head
+    expect(bid.monthly.public_holiday).toBeCloseTo(10 * 8 * 12, 2);
+  });
+
+  test('charges CPF on local wages and levy on foreign headcount', () => {
+    const bid = calculateBid({ ...flat, cpf_rate: 17, levy_per_head: 450, roles: [{ ...crew, foreign_headcount: 4 }] });
+    expect(bid.monthly.cpf).toBeCloseTo(bid.monthly.wages * 0.6 * 0.17, 1);
+    expect(bid.monthly.levy).toBe(1800);
+    expect(bid.monthly.direct_cost).toBeCloseTo(bid.monthly.wages + bid.monthly.cpf + 1800, 1);
+  });
+
+  test('applies overheads on cost and margin on the bid value', () => {
+    const bid = calculateBid({ ...flat, overhead_pct: 10, margin_pct: 20, roles: [crew] });
+    expect(bid.monthly.total_cost).toBeCloseTo(bid.monthly.direct_cost * 1.1, 1);
+    expect(bid.monthly.bid_value).toBeCloseTo(bid.monthly.total_cost / 0.8, 1);
+    expect(bid.monthly.margin / bid.monthly.bid_value).toBeCloseTo(0.2, 3);
+  });
+
+  test('totals over the contract and derives per-head and hourly rates', () => {
+    const bid = calculateBid({ ...flat, contract_months: 24, roles: [crew, { ...crew, role: 'Supervisor', headcount: 1, hourly_rate: 18 }] });
+    expect(bid.headcount).toBe(11);
+    expect(bid.total.bid_value).toBeCloseTo(bid.monthly.bid_value * 24, 1);
+    expect(bid.per_head_monthly).toBeCloseTo(bid.monthly.bid_value / 11, 1);
+    expect(bid.charge_out_rate).toBeCloseTo(bid.monthly.bid_value / bid.monthly_hours, 1);
+  });
+});
+
+// ============================================
+// BENCHMARKS
+// ============================================
+
+describe('summarise', () => {
+  test('ignores empty values and takes the median', () => {
+    expect(summarise([null, 0, 30, 10, 20])).toEqual({ count: 3, min: 10, median: 20, max: 30 });
+    expect(summarise([10, 20])).toMatchObject({ median: 15 });
+    expect(summarise([null])).toBeNull();
+  });
+});
+
+describe('contractMonths', () => {
+  test('converts a contract period to months', () => {
+    expect(contractMonths('2024-01-01', '2025-12-31')).toBe(24);
+    expect(contractMonths('2024-01-01', null)).toBeNull();
+    expect(contractMonths('2025-01-01', '2024-01-01')).toBeNull();
+  });
+});
+
+describe('compareWithBenchmarks', () => {
+  const bid = calculateBid({ ...flat, contract_months: 24, roles: [crew] });
+
+  test('positions the bid against EPU pricing and past awards', () => {
+    const result = compareWithBenchmarks(bid, {
+      epu: [
+        { monthly_cost_per_person: bid.per_head_monthly * 0.8, total_contract_value: bid.total.bid_value * 2 },
+        { monthly_cost_per_person: bid.per_head_monthly * 0.9, total_contract_value: bid.total.bid_value * 3 },
+      ],
+      awards: [
+        { awarded_amount: bid.total.bid_value, contract_period_start: '2023-01-01', contract_period_end: '2024-12-31' },
+      ],
+    });
+
+    expect(result.epu.our_per_head_monthly.position).toBe('above_range');
+    expect(result.epu.our_total.position).toBe('below_range');
+    expect(result.awards.our_total).toEqual({ vs_median_pct: 0, position: 'below_median' });
+    expect(result.epu.hourly_rate).toBeNull();
+    expect(result.epu.our_charge_out_rate).toBeNull();
+  });
+
+  test('handles no comparables', () => {
+    const result = compareWithBenchmarks(bid);
+    expect(result.epu.count).toBe(0);
+    expect(result.awards.our_monthly).toBeNull();
+  });
+});
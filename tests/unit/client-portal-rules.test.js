@@ -0,0 +1,142 @@
+/**
+ * Unit Tests: Client Portal Rules
+ *
+ * Tests shift request validation, when a shift counts as ended,
+ * worker rating checks and the attendance CSV export.
+ */
+
+const {
+  MAX_SLOTS,
+  validateJobRequest,
+  hasShiftEnded,
+  validateRating,
+  attendanceCsv,
+} = require('../../services/client-portal/rules');
+
+const TODAY = '2026-03-10';
+
+const request = {
+  title: ' Banquet server ',
+  job_date: '2026-03-14',
+  start_time: '18:00',
+  end_time: '23:00',
+  location: 'Marina Bay Sands',
+};
+
+// ============================================
+// JOB REQUESTS
+// ============================================
+
+describe('validateJobRequest', () => {
+  test('accepts a complete request and defaults to one worker', () => {
+    const { job, error } = validateJobRequest({ ...request, required_skills: [' F&B ', ''] }, TODAY);
+    expect(error).toBeNull();
+    expect(job).toMatchObject({
+      title: 'Banquet server',
+      total_slots: 1,
+      required_skills: ['F&B'],
+      description: null,
+      request_notes: null,
+    });
+  });
+
+  test('requires a title, location and valid date', () => {
+    expect(validateJobRequest({ ...request, title: '  ' }, TODAY).error).toBe('A shift title is required');
+    expect(validateJobRequest({ ...request, location: '' }, TODAY).error).toBe('A location is required');
+    expect(validateJobRequest({ ...request, job_date: '14/03/2026' }, TODAY).error)
+      .toBe('job_date must be a date (YYYY-MM-DD)');
+  });
+
+  test('refuses past dates but allows today', () => {
+    expect(validateJobRequest({ ...request, job_date: '2026-03-09' }, TODAY).error)
+      .toBe('Shifts cannot be requested for a past date');
+    expect(validateJobRequest({ ...request, job_date: TODAY }, TODAY).error).toBeNull();
+  });
+
+  test('checks times and allows overnight shifts', () => {
+    expect(validateJobRequest({ ...request, end_time: '25:00' }, TODAY).error)
+      .toBe('start_time and end_time must be times (HH:MM)');
+    expect(validateJobRequest({ ...request, end_time: '18:00' }, TODAY).error).toBe('A shift must end after it starts');
+    expect(validateJobRequest({ ...request, start_time: '22:00', end_time: '06:00' }, TODAY).error).toBeNull();
+  });
+
+  test('limits the number of workers', () => {
+    expect(validateJobRequest({ ...request, total_slots: '3' }, TODAY).job.total_slots).toBe(3);
+    expect(validateJobRequest({ ...request, total_slots: 0 }, TODAY).error)
+      .toBe(`total_slots must be a whole number from 1 to ${MAX_SLOTS}`);
+    expect(validateJobRequest({ ...request, total_slots: 1.5 }, TODAY).error).not.toBeNull();
+  });
+});
+
+// ============================================
+// RATINGS
+// ============================================
+
+const deployment = { job_date: '2026-03-14', start_time: '18:00', end_time: '23:00', status: 'confirmed' };
+// 23:30 in Singapore on the shift date
+const afterShift = new Date('2026-03-14T15:30:00Z');
+
+describe('hasShiftEnded', () => {
+  test('uses the shift end in Singapore time', () => {
+    expect(hasShiftEnded(deployment, new Date('2026-03-14T14:59:00Z'))).toBe(false);
+    expect(hasShiftEnded(deployment, new Date('2026-03-14T15:00:00Z'))).toBe(true);
+  });
+
+  test('overnight shifts end the next day', () => {
+    const overnight = { ...deployment, start_time: '22:00', end_time: '06:00' };
+    expect(hasShiftEnded(overnight, afterShift)).toBe(false);
+    expect(hasShiftEnded(overnight, new Date('2026-03-14T22:00:00Z'))).toBe(true);
+  });
+
+  test('completed deployments have always ended', () => {
+    expect(hasShiftEnded({ ...deployment, status: 'completed' }, new Date('2026-03-01T00:00:00Z'))).toBe(true);
+  });
+});
+
+describe('validateRating', () => {
+  test('accepts a whole-star rating with trimmed feedback', () => {
+    expect(validateRating(deployment, { rating: '4', feedback: ' Punctual ' }, afterShift)).toEqual({
+      rating: { rating: 4, feedback: 'Punctual' },
+      error: null,
+      code: null,
+    });
+  });
+
+  test('only after the shift, once, for worked deployments', () => {
+    expect(validateRating(deployment, { rating: 5 }, new Date('2026-03-14T10:00:00Z')).code).toBe('SHIFT_NOT_ENDED');
+    expect(validateRating({ ...deployment, rated_at: '2026-03-15T01:00:00Z' }, { rating: 5 }, afterShift).code)
+      .toBe('ALREADY_RATED');
+    expect(validateRating({ ...deployment, status: 'no_show' }, { rating: 1 }, afterShift).code).toBe('NOT_RATEABLE');
+  });
+
+  test('rejects ratings outside 1 to 5 and overlong feedback', () => {
+    expect(validateRating(deployment, { rating: 0 }, afterShift).code).toBe('INVALID_RATING');
+    expect(validateRating(deployment, { rating: 4.5 }, afterShift).code).toBe('INVALID_RATING');
+    expect(validateRating(deployment, { rating: 3, feedback: 'x'.repeat(1001) }, afterShift).error)
+      .toBe('Feedback is limited to 1000 characters');
+  });
+});
+
+// ============================================
+// ATTENDANCE EXPORT
+// ============================================
+
+describe('attendanceCsv', () => {
+  test('writes a header and one quoted row per deployment', () => {
+    const csv = attendanceCsv([{
+      job_date: '2026-03-14',
+      job_title: 'Server, banquet',
+      location: 'MBS',
+      candidate_name: 'Tan Wei',
+      scheduled_start: '18:00',
+      scheduled_end: '23:00',
+      hours_worked: 4.5,
+      timesheet_status: 'approved',
+      rating: null,
+    }]);
+    const lines = csv.split('\r\n');
+    expect(lines[0]).toBe('Date,Shift,Location,Worker,Scheduled start,Scheduled end,Clock in,Clock out,Break (min),Hours,Timesheet,Rating');
+    expect(lines[1]).toBe('2026-03-14,"Server, banquet",MBS,Tan Wei,18:00,23:00,,,,4.5,approved,');
+    expect(lines[2]).toBe('');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit Tests: Client Portal Service
+ *
+ * Runs the portal against an in-memory database with two client companies:
+ * a contact only ever reaches their own company's jobs, workers, timesheets
+ * and colleagues.
+ */
+
+process.env.WORKLINK_DB_PATH = ':memory:';
+
+const { db } = require('../../db');
+const { hashPassword } = require('../../services/admin-users/roles');
+const portal = require('../../services/client-portal');
+
+const PASSWORD = 'portal-pass-123';
+
+function createCompany(key) {
+  const clientId = `TCL${key}`;
+  db.prepare('INSERT INTO clients (id, company_name) VALUES (?, ?)').run(clientId, `Company ${key}`);
+  db.prepare(`
+    INSERT INTO client_users (id, client_id, email, name, status, password_hash)
+    VALUES (?, ?, ?, ?, 'active', ?)
+  `).run(`TCU${key}`, clientId, `contact-${key.toLowerCase()}@test.sg`, `Contact ${key}`, hashPassword(PASSWORD));
+
+  db.prepare(`
+    INSERT INTO jobs (id, client_id, title, job_date, start_time, end_time, charge_rate, pay_rate, status)
+    VALUES (?, ?, ?, '2026-10-01', '09:00', '17:00', 20, 14, 'completed')
+  `).run(`TJB${key}`, clientId, `Shift at ${key}`);
+  db.prepare('INSERT INTO candidates (id, name) VALUES (?, ?)').run(`TCN${key}`, `Worker ${key}`);
+  db.prepare(`
+    INSERT INTO deployments (id, job_id, candidate_id, status, hours_worked)
+    VALUES (?, ?, ?, 'completed', 8)
+  `).run(`TDP${key}`, `TJB${key}`, `TCN${key}`);
+  db.prepare(`
+    INSERT INTO timesheets (id, deployment_id, job_id, candidate_id, status, hours_worked, candidate_pay,
+                            clock_in_at, clock_out_at)
+    VALUES (?, ?, ?, ?, 'submitted', 8, 112, '2026-10-01T09:00:00+08:00', '2026-10-01T17:00:00+08:00')
+  `).run(`TTS${key}`, `TDP${key}`, `TJB${key}`, `TCN${key}`);
+
+  return {
+    clientId,
+    jobId: `TJB${key}`,
+    deploymentId: `TDP${key}`,
+    timesheetId: `TTS${key}`,
+    contactId: `TCU${key}`,
+    email: `contact-${key.toLowerCase()}@test.sg`,
+  };
+}
+
+const companyA = createCompany('A');
+const companyB = createCompany('B');
+
+// What the auth middleware puts on req.user for a signed-in contact
+const signIn = (company) => portal.authenticate(company.email, PASSWORD).data;
+
+const timesheetStatus = (id) => db.prepare('SELECT status FROM timesheets WHERE id = ?').get(id).status;
+
+// ============================================
+// SIGN-IN
+// ============================================
+
+describe('authenticate', () => {
+  test('scopes the session to the contact\'s own company', () => {
+    const contact = signIn(companyA);
+    expect(contact.client_id).toBe(companyA.clientId);
+    expect(contact.client.company_name).toBe('Company A');
+  });
+
+  test('refuses wrong passwords and paused companies', () => {
+    expect(() => portal.authenticate(companyA.email, 'wrong-pass-123'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_CREDENTIALS' }));
+
+    db.prepare("UPDATE clients SET status = 'inactive' WHERE id = ?").run(companyB.clientId);
+    try {
+      expect(() => signIn(companyB)).toThrow(expect.objectContaining({ code: 'CLIENT_INACTIVE' }));
+    } finally {
+      db.prepare("UPDATE clients SET status = 'active' WHERE id = ?").run(companyB.clientId);
+    }
+  });
+});
+
+// ============================================
+// TIMESHEETS
+// ============================================
+
+describe('timesheets', () => {
+  test('lists only the company\'s own timesheets, without pay', () => {
+    const timesheets = portal.listTimesheets(companyA.clientId, { status: 'all' });
+
+    expect(timesheets.map(t => t.id)).toEqual([companyA.timesheetId]);
+    expect(timesheets[0]).not.toHaveProperty('candidate_pay');
+  });
+
+  test('refuses to approve or dispute another company\'s timesheet', () => {
+    const contact = signIn(companyA);
+
+    expect(() => portal.approveTimesheet(contact, companyB.timesheetId))
+      .toThrow(expect.objectContaining({ status: 404, code: 'TIMESHEET_NOT_FOUND' }));
+    expect(() => portal.disputeTimesheet(contact, companyB.timesheetId, 'Not our worker'))
+      .toThrow(expect.objectContaining({ status: 404, code: 'TIMESHEET_NOT_FOUND' }));
+
+    expect(timesheetStatus(companyB.timesheetId)).toBe('submitted');
+    expect(db.prepare('SELECT COUNT(*) as count FROM payments WHERE deployment_id = ?').get(companyB.deploymentId).count).toBe(0);
+  });
+
+  test('approves the company\'s own timesheet and raises the payment', () => {
+    const contact = signIn(companyA);
+
+    const approved = portal.approveTimesheet(contact, companyA.timesheetId);
+
+    expect(approved).toMatchObject({ id: companyA.timesheetId, status: 'approved', reviewed_by: `Contact A <${companyA.email}>` });
+    expect(db.prepare('SELECT total_amount FROM payments WHERE deployment_id = ?').get(companyA.deploymentId).total_amount).toBe(112);
+  });
+});
+
+// ============================================
+// JOBS AND COLLEAGUES
+// ============================================
+
+describe('other records', () => {
+  test('hides another company\'s jobs and workers', () => {
+    expect(() => portal.getJob(companyA.clientId, companyB.jobId))
+      .toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND' }));
+    expect(() => portal.rateDeployment(companyA.clientId, companyB.deploymentId, { rating: 5 }, signIn(companyA)))
+      .toThrow(expect.objectContaining({ code: 'DEPLOYMENT_NOT_FOUND' }));
+    expect(portal.listJobs(companyA.clientId).map(j => j.id)).toEqual([companyA.jobId]);
+  });
+
+  test('shows the company\'s own job without rates', () => {
+    const job = portal.getJob(companyA.clientId, companyA.jobId);
+
+    expect(job).not.toHaveProperty('pay_rate');
+    expect(job).not.toHaveProperty('charge_rate');
+    expect(job.workers.map(w => w.deployment_id)).toEqual([companyA.deploymentId]);
+  });
+
+  test('cannot reach another company\'s portal users', () => {
+    expect(portal.listUsers(companyA.clientId).map(u => u.id)).toEqual([companyA.contactId]);
+    expect(() => portal.deactivate(companyA.clientId, companyB.contactId))
+      .toThrow(expect.objectContaining({ code: 'CLIENT_USER_NOT_FOUND' }));
+    expect(db.prepare('SELECT status FROM client_users WHERE id = ?').get(companyB.contactId).status).toBe('active');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests: Data Store
+ *
+ * Tests the prepared-statement cache (reuse and least-recently-used eviction)
+ * and how the store routes reads between the writer and the read-only
+ * connection.
+ */
+
+const { createStatementCache, createStore } = require('../../db/store');
+
+// Stands in for a better-sqlite3 connection, recording what it prepares
+function fakeConnection(name) {
+  const connection = {
+    name,
+    inTransaction: false,
+    prepared: [],
+    prepare(sql) {
+      connection.prepared.push(sql);
+      return {
+        get: (...params) => ({ from: name, sql, params }),
+        all: (...params) => [{ from: name, sql, params }],
+        run: (...params) => ({ from: name, sql, params, changes: 1 }),
+      };
+    },
+    transaction(fn) {
+      const wrapped = (...args) => {
+        connection.inTransaction = true;
+        try {
+          return fn(...args);
+        } finally {
+          connection.inTransaction = false;
+        }
+      };
+      wrapped.immediate = wrapped;
+      return wrapped;
+    },
+  };
+  return connection;
+}
+
+describe('createStatementCache', () => {
+  test('prepares each statement once', () => {
+    const connection = fakeConnection('writer');
+    const statement = createStatementCache(connection);
+
+    const first = statement('SELECT 1');
+    expect(statement('SELECT 1')).toBe(first);
+    expect(connection.prepared).toEqual(['SELECT 1']);
+    expect(statement.size()).toBe(1);
+  });
+
+  test('drops the least recently used statement when full', () => {
+    const connection = fakeConnection('writer');
+    const statement = createStatementCache(connection, 2);
+
+    statement('SELECT a');
+    statement('SELECT b');
+    statement('SELECT a'); // a is now more recent than b
+    statement('SELECT c'); // evicts b
+
+    expect(statement.size()).toBe(2);
+    statement('SELECT a');
+    statement('SELECT b');
+    expect(connection.prepared).toEqual(['SELECT a', 'SELECT b', 'SELECT c', 'SELECT b']);
+  });
+
+  test('clear forces statements to be prepared again', () => {
+    const connection = fakeConnection('writer');
+    const statement = createStatementCache(connection);
+
+    statement('SELECT 1');
+    statement.clear();
+    statement('SELECT 1');
+    expect(connection.prepared).toEqual(['SELECT 1', 'SELECT 1']);
+  });
+});
+
+describe('createStore', () => {
+  test('reads go to the read-only connection and writes to the writer', () => {
+    const store = createStore(fakeConnection('writer'), fakeConnection('reader'));
+
+    expect(store.get('SELECT * FROM jobs WHERE id = ?', 'j1')).toMatchObject({ from: 'reader', params: ['j1'] });
+    expect(store.all('SELECT * FROM jobs')[0].from).toBe('reader');
+    expect(store.run('UPDATE jobs SET status = ?', 'open').from).toBe('writer');
+  });
+
+  test('reads inside a transaction see the writer', () => {
+    const store = createStore(fakeConnection('writer'), fakeConnection('reader'));
+
+    const seen = store.transaction(() => {
+      store.run('INSERT INTO jobs (id) VALUES (?)', 'j2');
+      return store.get('SELECT * FROM jobs WHERE id = ?', 'j2').from;
+    });
+
+    expect(seen).toBe('writer');
+    expect(store.get('SELECT * FROM jobs WHERE id = ?', 'j2').from).toBe('reader');
+  });
+});
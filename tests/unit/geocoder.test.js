@@ -0,0 +1,124 @@
+/**
+ * Unit Tests: Geocoder
+ *
+ * Tests postal code and place-name resolution, distances,
+ * commute estimates and distance scoring.
+ */
+
+const {
+  DEFAULT_MAX_COMMUTE_KM,
+  NEARBY_KM,
+  geocode,
+  haversineKm,
+  estimateTravelMinutes,
+  scoreDistance,
+  getJobPoint,
+  getCommute,
+} = require('../../services/geo/geocoder');
+
+// ============================================
+// GEOCODING
+// ============================================
+
+describe('geocode', () => {
+  test('resolves a postal code to its sector', () => {
+    const result = geocode('Blk 201 Tampines St 21, Singapore 521201');
+    expect(result).toMatchObject({ source: 'postal', label: 'Tampines (D18)' });
+  });
+
+  test('prefers the postal code over place names in the text', () => {
+    expect(geocode('Jurong East Street 13 #05-01 600123').source).toBe('postal');
+  });
+
+  test('ignores codes outside known sectors and falls back to names', () => {
+    expect(geocode('Bedok 990000')).toMatchObject({ source: 'mrt', label: 'Bedok' });
+  });
+
+  test('matches MRT station names on word boundaries, longest first', () => {
+    expect(geocode('Near Tampines West MRT').label).toBe('Tampines West');
+    expect(geocode('tampines hub').label).toBe('Tampines');
+    expect(geocode('Clubhouse')).toBeNull();
+  });
+
+  test('resolves landmarks and areas', () => {
+    expect(geocode('Marina Bay Sands Expo Hall')).toMatchObject({ source: 'area', label: 'Marina Bay Sands' });
+    expect(geocode('Warehouse, Tuas South Ave 2')).toMatchObject({ source: 'area', label: 'Tuas' });
+  });
+
+  test('returns null for empty or unknown input', () => {
+    expect(geocode('')).toBeNull();
+    expect(geocode(null)).toBeNull();
+    expect(geocode('Somewhere else')).toBeNull();
+  });
+});
+
+// ============================================
+// DISTANCE
+// ============================================
+
+describe('haversineKm', () => {
+  test('Tampines to Pasir Ris is a short hop, Tampines to Tuas crosses the island', () => {
+    const tampines = geocode('Tampines MRT');
+    const pasirRis = geocode('Pasir Ris MRT');
+    const tuas = geocode('Tuas Link MRT');
+
+    expect(haversineKm(tampines.lat, tampines.lng, pasirRis.lat, pasirRis.lng)).toBeLessThan(NEARBY_KM);
+    expect(haversineKm(tampines.lat, tampines.lng, tuas.lat, tuas.lng)).toBeGreaterThan(30);
+  });
+});
+
+describe('estimateTravelMinutes', () => {
+  test('adds a fixed overhead to a per-km time', () => {
+    expect(estimateTravelMinutes(0)).toBe(10);
+    expect(estimateTravelMinutes(10)).toBe(40);
+  });
+});
+
+describe('scoreDistance', () => {
+  test('gives full marks nearby and drops towards the max commute', () => {
+    expect(scoreDistance(2, 15)).toBe(100);
+    expect(scoreDistance(NEARBY_KM, 15)).toBe(100);
+    expect(scoreDistance(15, 15)).toBe(40);
+    expect(scoreDistance(10, 15)).toBe(70);
+  });
+
+  test('penalises jobs beyond the max commute', () => {
+    expect(scoreDistance(16, 15)).toBe(10);
+    expect(scoreDistance(DEFAULT_MAX_COMMUTE_KM + 1)).toBe(10);
+  });
+});
+
+// ============================================
+// COMMUTE
+// ============================================
+
+describe('getJobPoint', () => {
+  test('prefers exact site coordinates over geocodes', () => {
+    const job = { location_lat: 1.3, location_lng: 103.8, geo_lat: 1.4, geo_lng: 103.9, location: 'Tuas' };
+    expect(getJobPoint(job)).toEqual({ lat: 1.3, lng: 103.8 });
+    expect(getJobPoint({ ...job, location_lat: null, location_lng: null })).toEqual({ lat: 1.4, lng: 103.9 });
+    expect(getJobPoint({ location: 'Tuas' })).toMatchObject({ label: 'Tuas' });
+  });
+});
+
+describe('getCommute', () => {
+  const job = { location: 'Pasir Ris Central' };
+
+  test('uses the worker address and max commute', () => {
+    const commute = getCommute({ address: '10 Tampines Central 1, Singapore 529536', max_commute_km: 8 }, job);
+    expect(commute.km).toBeLessThan(NEARBY_KM);
+    expect(commute).toMatchObject({ maxKm: 8, withinCommute: true });
+    expect(commute.minutes).toBe(estimateTravelMinutes(commute.km));
+  });
+
+  test('falls back to the default max commute', () => {
+    const commute = getCommute({ address: 'Tuas Link' }, job);
+    expect(commute.maxKm).toBe(DEFAULT_MAX_COMMUTE_KM);
+    expect(commute.withinCommute).toBe(false);
+  });
+
+  test('returns null when either side cannot be located', () => {
+    expect(getCommute({ address: 'unknown' }, job)).toBeNull();
+    expect(getCommute({ address: 'Tampines' }, { location: 'TBC' })).toBeNull();
+  });
+});
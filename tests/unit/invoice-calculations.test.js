@@ -0,0 +1,132 @@
+/**
+ * Unit Tests: Invoice Calculations
+ *
+ * Tests line items, GST totals, due dates from payment terms,
+ * sequential numbering and receivables ageing.
+ */
+
+const {
+  buildLineItem,
+  calculateInvoiceTotals,
+  calculateDueDate,
+  nextInvoiceNumber,
+  getDaysPastDue,
+  getAgeingBucket,
+  isOverdue,
+  summariseAgeing,
+} = require('../../services/invoicing/calculator');
+
+// ============================================
+// LINE ITEMS
+// ============================================
+
+describe('buildLineItem', () => {
+  test('uses recorded gross revenue as the amount', () => {
+    const line = buildLineItem({ id: 'DEP1', hours_worked: 8, charge_rate: 20, gross_revenue: 155, job_title: 'Server', candidate_name: 'Ali', job_date: '2025-03-10' });
+    expect(line.amount).toBe(155);
+    expect(line.quantity).toBe(8);
+    expect(line.unit_price).toBe(20);
+    expect(line.description).toBe('Server - Ali');
+  });
+
+  test('falls back to hours x rate when gross revenue is missing', () => {
+    const line = buildLineItem({ id: 'DEP1', hours_worked: 7.5, charge_rate: 18.5, gross_revenue: null });
+    expect(line.amount).toBe(138.75);
+  });
+});
+
+// ============================================
+// TOTALS
+// ============================================
+
+describe('calculateInvoiceTotals', () => {
+  test('applies GST on the subtotal', () => {
+    const totals = calculateInvoiceTotals([{ amount: 100 }, { amount: 60 }], 0.09);
+    expect(totals.subtotal).toBe(160);
+    expect(totals.gst_amount).toBe(14.4);
+    expect(totals.total).toBe(174.4);
+  });
+
+  test('rounds GST to cents', () => {
+    const totals = calculateInvoiceTotals([{ amount: 33.33 }], 0.09);
+    expect(totals.gst_amount).toBe(3);
+    expect(totals.total).toBe(36.33);
+  });
+
+  test('handles an empty invoice', () => {
+    expect(calculateInvoiceTotals([], 0.09).total).toBe(0);
+  });
+});
+
+// ============================================
+// DUE DATE
+// ============================================
+
+describe('calculateDueDate', () => {
+  test('adds payment terms to the issue date', () => {
+    expect(calculateDueDate('2025-01-15', 30)).toBe('2025-02-14');
+  });
+
+  test('crosses year boundaries', () => {
+    expect(calculateDueDate('2024-12-20', 14)).toBe('2025-01-03');
+  });
+
+  test('defaults to 30 days when terms are missing', () => {
+    expect(calculateDueDate('2025-01-01', null)).toBe('2025-01-31');
+  });
+});
+
+// ============================================
+// NUMBERING
+// ============================================
+
+describe('nextInvoiceNumber', () => {
+  test('starts the sequence for a new year', () => {
+    expect(nextInvoiceNumber('2025', null)).toBe('INV-2025-00001');
+  });
+
+  test('continues from the last number issued', () => {
+    expect(nextInvoiceNumber('2025', 'INV-2025-00041')).toBe('INV-2025-00042');
+  });
+});
+
+// ============================================
+// AGEING
+// ============================================
+
+describe('receivables ageing', () => {
+  test('counts days past the due date', () => {
+    expect(getDaysPastDue('2025-03-01', '2025-03-31')).toBe(30);
+    expect(getDaysPastDue('2025-03-31', '2025-03-01')).toBe(-30);
+  });
+
+  test('assigns ageing buckets', () => {
+    expect(getAgeingBucket(-5)).toBe('current');
+    expect(getAgeingBucket(0)).toBe('current');
+    expect(getAgeingBucket(1)).toBe('days_1_30');
+    expect(getAgeingBucket(45)).toBe('days_31_60');
+    expect(getAgeingBucket(90)).toBe('days_61_90');
+    expect(getAgeingBucket(200)).toBe('days_90_plus');
+  });
+
+  test('only sent invoices past due become overdue', () => {
+    expect(isOverdue({ status: 'sent', due_date: '2025-03-01' }, '2025-03-02')).toBe(true);
+    expect(isOverdue({ status: 'sent', due_date: '2025-03-01' }, '2025-03-01')).toBe(false);
+    expect(isOverdue({ status: 'paid', due_date: '2025-03-01' }, '2025-06-01')).toBe(false);
+  });
+
+  test('summarises outstanding invoices and ignores drafts and paid', () => {
+    const summary = summariseAgeing([
+      { status: 'sent', due_date: '2025-04-10', total: 100 },
+      { status: 'overdue', due_date: '2025-03-20', total: 250.5 },
+      { status: 'overdue', due_date: '2024-12-01', total: 80 },
+      { status: 'paid', due_date: '2025-01-01', total: 999 },
+      { status: 'draft', due_date: '2025-01-01', total: 999 },
+    ], '2025-04-01');
+
+    expect(summary.total_outstanding).toBe(430.5);
+    expect(summary.buckets.current.amount).toBe(100);
+    expect(summary.buckets.days_1_30.amount).toBe(250.5);
+    expect(summary.buckets.days_90_plus.count).toBe(1);
+  });
+});
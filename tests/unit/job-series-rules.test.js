@@ -0,0 +1,148 @@
+/**
+ * Unit Tests: Job Series Rules
+ *
+ * Tests series validation, which dates a series has a shift on (weekdays,
+ * public holidays, exceptions), the generation window and day labels.
+ */
+
+const {
+  DEFAULT_HORIZON_DAYS,
+  MAX_HORIZON_DAYS,
+  addDays,
+  isoWeekday,
+  validateSeries,
+  isScheduledOn,
+  occurrenceDates,
+  generationWindow,
+  describeDays,
+  validateException,
+} = require('../../services/job-series/rules');
+
+const input = {
+  client_id: 'CLT001',
+  title: 'Warehouse Picker',
+  location: 'Tuas South Ave 1',
+  pay_rate: 14,
+  total_slots: 4,
+  days_of_week: [5, 1, 2, 3, 4],
+  start_time: '07:00',
+  end_time: '15:00',
+  start_date: '2026-08-03',
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+describe('validateSeries', () => {
+  test('normalizes a weekday series with defaults', () => {
+    const { series, error } = validateSeries(input);
+    expect(error).toBeNull();
+    expect(series).toMatchObject({
+      days_of_week: [1, 2, 3, 4, 5],
+      charge_rate: 18.2,
+      break_minutes: 0,
+      end_date: null,
+      horizon_days: DEFAULT_HORIZON_DAYS,
+      skip_public_holidays: 1,
+      required_skills: [],
+    });
+  });
+
+  test('refuses bad days, times, dates and horizons', () => {
+    expect(validateSeries({ ...input, days_of_week: [] }).error).toMatch(/days_of_week/);
+    expect(validateSeries({ ...input, days_of_week: [0, 8] }).error).toMatch(/days_of_week/);
+    expect(validateSeries({ ...input, end_time: '7pm' }).error).toMatch(/HH:MM/);
+    expect(validateSeries({ ...input, end_time: '07:00' }).error).toBe('A shift must end after it starts');
+    expect(validateSeries({ ...input, end_date: '2026-08-01' }).error).toBe('end_date cannot be before start_date');
+    expect(validateSeries({ ...input, horizon_days: MAX_HORIZON_DAYS + 1 }).error).toMatch(/horizon_days/);
+    expect(validateSeries({ ...input, total_slots: 0 }).error).toMatch(/total_slots/);
+  });
+
+  test('merges an update over the stored series', () => {
+    const { series: stored } = validateSeries(input);
+    const { series, error } = validateSeries({ total_slots: 6, skip_public_holidays: false }, stored);
+    expect(error).toBeNull();
+    expect(series.total_slots).toBe(6);
+    expect(series.skip_public_holidays).toBe(0);
+    expect(series.title).toBe('Warehouse Picker');
+  });
+});
+
+// ============================================
+// CALENDAR
+// ============================================
+
+describe('isScheduledOn', () => {
+  const { series } = validateSeries({ ...input, end_date: '2026-08-31' });
+
+  test('follows the days of the week within the date range', () => {
+    expect(isoWeekday('2026-08-03')).toBe(1);
+    expect(isScheduledOn(series, '2026-08-04')).toBe(true);
+    expect(isScheduledOn(series, '2026-08-08')).toBe(false);
+    expect(isScheduledOn(series, '2026-07-31')).toBe(false);
+    expect(isScheduledOn(series, '2026-09-01')).toBe(false);
+  });
+
+  test('skips public holidays unless the series works them', () => {
+    const holidays = new Set(['2026-08-10']);
+    expect(isScheduledOn(series, '2026-08-10', { holidays })).toBe(false);
+    expect(isScheduledOn({ ...series, skip_public_holidays: 0 }, '2026-08-10', { holidays })).toBe(true);
+  });
+
+  test('exceptions override the pattern and holidays', () => {
+    const holidays = new Set(['2026-08-10']);
+    const exceptions = new Map([['2026-08-10', 'work'], ['2026-08-11', 'skip'], ['2026-08-15', 'work']]);
+    expect(isScheduledOn(series, '2026-08-10', { holidays, exceptions })).toBe(true);
+    expect(isScheduledOn(series, '2026-08-11', { holidays, exceptions })).toBe(false);
+    expect(isScheduledOn(series, '2026-08-15', { holidays, exceptions })).toBe(true);
+  });
+});
+
+describe('occurrenceDates', () => {
+  test('lists the shifts in a range', () => {
+    const { series } = validateSeries({ ...input, days_of_week: [1, 3, 5] });
+    expect(occurrenceDates(series, '2026-08-03', '2026-08-09', { holidays: new Set(['2026-08-07']) }))
+      .toEqual(['2026-08-03', '2026-08-05']);
+  });
+});
+
+describe('generationWindow', () => {
+  const { series } = validateSeries({ ...input, horizon_days: 14 });
+
+  test('runs from today, or the start date, to the horizon', () => {
+    expect(generationWindow(series, '2026-08-10')).toEqual({ from: '2026-08-10', to: '2026-08-24' });
+    expect(generationWindow(series, '2026-07-25')).toEqual({ from: '2026-08-03', to: '2026-08-08' });
+  });
+
+  test('stops at the end date and is empty once the series is over', () => {
+    expect(generationWindow({ ...series, end_date: '2026-08-12' }, '2026-08-10')).toEqual({ from: '2026-08-10', to: '2026-08-12' });
+    expect(generationWindow({ ...series, end_date: '2026-08-12' }, '2026-08-13')).toBeNull();
+    expect(generationWindow(series, '2026-07-01')).toBeNull();
+  });
+
+  test('adds days across month ends', () => {
+    expect(addDays('2026-02-27', 2)).toBe('2026-03-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+});
+
+describe('describeDays', () => {
+  test('collapses runs of three or more days', () => {
+    expect(describeDays([1, 2, 3, 4, 5])).toBe('Mon–Fri');
+    expect(describeDays([5, 3, 1])).toBe('Mon, Wed, Fri');
+    expect(describeDays([1, 2, 4, 5, 6])).toBe('Mon, Tue, Thu–Sat');
+    expect(describeDays([1, 2, 3, 4, 5, 6, 7])).toBe('Every day');
+  });
+});
+
+describe('validateException', () => {
+  test('needs a date and a known action', () => {
+    expect(validateException({ date: '2026-08-10', action: 'skip', reason: ' Client closed ' })).toEqual({
+      exception: { date: '2026-08-10', action: 'skip', reason: 'Client closed' },
+      error: null,
+    });
+    expect(validateException({ date: '10/08/2026', action: 'skip' }).error).toMatch(/date/);
+    expect(validateException({ date: '2026-08-10', action: 'move' }).error).toBe('action must be one of: skip, work');
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * Unit Tests: Knowledge Base Retrieval
+ *
+ * Text analysis (Singlish spellings, particles, stemming), BM25, the hashed
+ * n-gram embedding, WordPiece tokenising for ONNX models, the on-disk vector
+ * index, hybrid ranking against tests/fixtures/retrieval, evaluation metrics
+ * and grounding / citation handling.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyze, concepts, charNgrams, stem } = require('../../services/ml/retrieval/text');
+const { createBm25 } = require('../../services/ml/retrieval/bm25');
+const { createBackend, createHashedBackend } = require('../../services/ml/retrieval/backends');
+const { createWordPiece, createOnnxBackend } = require('../../services/ml/retrieval/onnx');
+const { createVectorIndex, dot } = require('../../services/ml/retrieval/vector-index');
+const { createRetriever } = require('../../services/ml/retrieval/retriever');
+const { firstRelevantRank, summarizeRanks, buildReport } = require('../../services/ml/retrieval/evaluate');
+const { GROUNDING_MIN_SCORE, planGrounding, extractCitations, answerConfidence } = require('../../services/ml/retrieval/citations');
+const { buildKnowledgeContext } = require('../../services/ai-chat/prompts');
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/retrieval/worker-faq.json'), 'utf8'));
+
+const tempDirs = [];
+function tempFile(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-retrieval-'));
+  tempDirs.push(dir);
+  return path.join(dir, name);
+}
+
+describe('Knowledge Base Retrieval', () => {
+  afterAll(() => {
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  describe('text analysis', () => {
+    it('maps Singlish and SMS spellings and drops particles', () => {
+      expect(analyze('u got pay tmr or not lah')).toEqual(['pay', 'tomorrow']);
+      expect(analyze('my gaji reach liao leh')).toEqual(['salary', 'reach']);
+      expect(analyze('forgot pw for my acc')).toEqual(['forgot', 'password', 'account']);
+    });
+
+    it('expands contractions before dropping stop words', () => {
+      expect(analyze("I can't come")).toContain('cannot');
+    });
+
+    it('stems plural and tense forms to the same term', () => {
+      expect(stem('payments')).toBe(stem('payment'));
+      expect(stem('calculated')).toBe(stem('calculate'));
+      expect(stem('cancelling')).toBe('cancell');
+      expect(stem('pay')).toBe('pay');
+    });
+
+    it('groups words that mean the same thing', () => {
+      expect(concepts(analyze('when salary come'))).toEqual(concepts(analyze('when wages come')));
+    });
+
+    it('builds character n-grams with word boundaries', () => {
+      expect(charNgrams('pay')).toEqual(['#pa', 'pay', 'ay#', '#pay', 'pay#']);
+    });
+  });
+
+  describe('BM25', () => {
+    const bm25 = createBm25([
+      { key: 'a', terms: ['pay', 'friday', 'bank'] },
+      { key: 'b', terms: ['cancel', 'job', 'hour'] },
+      { key: 'c', terms: ['pay', 'rate', 'hour'] },
+    ]);
+
+    it('scores only documents sharing a term', () => {
+      const scores = bm25.score(['cancel']);
+      expect([...scores.keys()]).toEqual(['b']);
+    });
+
+    it('normalises scores to 0-1 with rare terms counting most', () => {
+      const scores = bm25.score(['pay', 'friday']);
+      expect(scores.get('a').normalized).toBeGreaterThan(scores.get('c').normalized);
+      expect(scores.get('a').normalized).toBeLessThanOrEqual(1);
+    });
+  });
+
+  describe('hashed backend', () => {
+    const backend = createHashedBackend();
+
+    it('returns unit vectors of the configured size', async () => {
+      const [vector] = await backend.embed(['when do i get paid']);
+      expect(vector).toHaveLength(1024);
+      expect(dot(vector, vector)).toBeCloseTo(1, 5);
+      expect(backend.signature).toBe('hashed:v1:1024');
+    });
+
+    it('scores a misspelt paraphrase above unrelated text', async () => {
+      const [question, paraphrase, unrelated] = await backend.embed([
+        'When will I get paid?',
+        'when i get payed ah',
+        'How do I update my availability?',
+      ]);
+      expect(dot(question, paraphrase)).toBeGreaterThan(dot(question, unrelated) + 0.2);
+    });
+
+    it('is the default backend', () => {
+      expect(createBackend('hashed').name).toBe('hashed');
+      expect(() => createBackend('word2vec')).toThrow();
+    });
+  });
+
+  describe('ONNX backend', () => {
+    const vocab = ['[PAD]', '[UNK]', '[CLS]', '[SEP]', 'when', 'get', 'paid', 'pay', '##day', '?'].join('\n');
+
+    it('tokenises with WordPiece', () => {
+      const tokenizer = createWordPiece(vocab);
+      expect(tokenizer.encode('When PAYDAY?')).toEqual([2, 4, 7, 8, 9, 3]);
+      expect(tokenizer.encode('when salary')).toEqual([2, 4, 1, 3]);
+    });
+
+    it('truncates to the token limit', () => {
+      expect(createWordPiece(vocab, { maxTokens: 4 }).encode('when get paid pay')).toEqual([2, 4, 5, 3]);
+    });
+
+    it('needs the special tokens', () => {
+      expect(() => createWordPiece('when\npay')).toThrow('[CLS]');
+    });
+
+    it('reports why it is unavailable', () => {
+      expect(createOnnxBackend({ runtime: null }).unavailableReason()).toBe('onnxruntime-node is not installed');
+      expect(createOnnxBackend({ runtime: {} }).unavailableReason()).toBe('ML_EMBEDDING_MODEL_DIR is not set');
+    });
+
+    it('mean-pools token embeddings, ignoring padding', async () => {
+      const modelDir = path.dirname(tempFile('vocab.txt'));
+      fs.writeFileSync(path.join(modelDir, 'vocab.txt'), vocab);
+      fs.writeFileSync(path.join(modelDir, 'model.onnx'), '');
+
+      // Token id t embeds as [t, 1]; padding would embed as [0, 1]
+      const runtime = {
+        Tensor: class {
+          constructor(type, data, dims) {
+            Object.assign(this, { type, data, dims });
+          }
+        },
+        InferenceSession: {
+          create: async () => ({
+            inputNames: ['input_ids', 'attention_mask'],
+            outputNames: ['last_hidden_state'],
+            run: async ({ input_ids: ids }) => {
+              const data = new Float32Array(ids.data.length * 2);
+              ids.data.forEach((id, i) => data.set([Number(id), 1], i * 2));
+              return { last_hidden_state: { dims: [...ids.dims, 2], data } };
+            },
+          }),
+        },
+      };
+
+      const backend = createOnnxBackend({ modelDir, runtime });
+      expect(backend.isAvailable()).toBe(true);
+      const [short, long] = await backend.embed(['when', 'when get paid']);
+      // [CLS] when [SEP] = ids 2, 4, 3 -> sum [9, 3]
+      expect(short[0] / short[1]).toBeCloseTo(3, 5);
+      // [CLS] when get paid [SEP] = 2, 4, 5, 6, 3 -> sum [20, 5]
+      expect(long[0] / long[1]).toBeCloseTo(4, 5);
+      expect(backend.dimensions).toBe(2);
+    });
+  });
+
+  describe('vector index', () => {
+    const documents = [
+      { key: 'faq:1', text: 'When will I get paid?' },
+      { key: 'faq:2', text: 'How is my pay calculated?' },
+      { key: 'faq:3', text: 'How do I update my availability?' },
+    ];
+
+    it('only embeds what changed', async () => {
+      const file = tempFile('index.json');
+      const index = createVectorIndex({ backend: createHashedBackend(), file });
+
+      expect(await index.sync(documents)).toEqual({ added: 3, updated: 0, removed: 0, unchanged: 0 });
+      expect(fs.existsSync(file)).toBe(true);
+
+      const next = [{ ...documents[0], text: 'When will I get my salary?' }, documents[1]];
+      expect(await index.sync(next)).toEqual({ added: 0, updated: 1, removed: 1, unchanged: 1 });
+      expect(index.size).toBe(2);
+    });
+
+    it('reloads from disk and rebuilds when the backend changes', async () => {
+      const file = tempFile('index.json');
+      await createVectorIndex({ backend: createHashedBackend(), file }).sync(documents);
+
+      const reloaded = createVectorIndex({ backend: createHashedBackend(), file });
+      expect(reloaded.load()).toBe(true);
+      expect(await reloaded.sync(documents)).toEqual({ added: 0, updated: 0, removed: 0, unchanged: 3 });
+
+      const resized = createVectorIndex({ backend: createHashedBackend({ dimensions: 512 }), file });
+      expect(resized.load()).toBe(false);
+      expect((await resized.sync(documents)).added).toBe(3);
+    });
+
+    it('scores documents by cosine similarity', async () => {
+      const backend = createHashedBackend();
+      const index = createVectorIndex({ backend });
+      await index.sync(documents);
+      const [query] = await backend.embed(['when i get paid']);
+      const scores = index.similarities(query);
+      expect(scores.get('faq:1')).toBeGreaterThan(scores.get('faq:3'));
+    });
+  });
+
+  describe('hybrid retriever', () => {
+    let documents;
+    let version;
+    const retriever = createRetriever({
+      backend: createHashedBackend(),
+      loadDocuments: () => documents,
+      corpusVersion: () => version,
+    });
+
+    beforeEach(() => {
+      documents = fixture.documents;
+      version = 1;
+    });
+
+    it('finds the FAQ for a Singlish paraphrase', async () => {
+      const [top] = await retriever.search('bro when salary come in ah');
+      expect(top.key).toBe('faq:1');
+      expect(top.rank).toBe(1);
+      expect(top.score).toBeGreaterThanOrEqual(GROUNDING_MIN_SCORE);
+    });
+
+    it('keeps unrelated questions below the grounding bar', async () => {
+      const hits = await retriever.search('what is the capital of france');
+      expect(hits.every(hit => hit.score < GROUNDING_MIN_SCORE)).toBe(true);
+    });
+
+    it('filters by source and rejects unknown modes', async () => {
+      const hits = await retriever.search('when salary come', { sources: ['knowledge_base'] });
+      expect(hits.every(hit => hit.source === 'knowledge_base')).toBe(true);
+      await expect(retriever.search('pay', { mode: 'semantic' })).rejects.toThrow('hybrid');
+    });
+
+    it('picks up knowledge base changes', async () => {
+      documents = [...fixture.documents, {
+        key: 'kb:99', source: 'knowledge_base', sourceId: 99, question: 'Where do I park my bicycle?',
+        answer: 'Bicycles go in the bay behind the loading dock.', confidence: 0.9,
+      }];
+      version = 2;
+      const [top] = await retriever.search('where to park bicycle');
+      expect(top.key).toBe('kb:99');
+    });
+
+    it('recalls the fixture questions better than BM25 alone', async () => {
+      const report = await retriever.evaluate(fixture.cases, { k: 3 });
+      expect(report.modes.hybrid.queries).toBe(fixture.cases.length);
+      expect(report.modes.hybrid.recall_at_k).toBeGreaterThanOrEqual(0.85);
+      expect(report.modes.hybrid.mrr).toBeGreaterThanOrEqual(report.modes.lexical.mrr);
+      expect(report.backend.signature).toBe('hashed:v1:1024');
+    });
+  });
+
+  describe('evaluation metrics', () => {
+    it('finds the first relevant rank', () => {
+      expect(firstRelevantRank(['a', 'b', 'c'], ['c', 'b'])).toBe(2);
+      expect(firstRelevantRank(['a'], ['z'])).toBeNull();
+    });
+
+    it('summarises recall and MRR', () => {
+      expect(summarizeRanks([1, 2, null, 4], 3)).toEqual({ queries: 4, recall_at_1: 0.25, recall_at_k: 0.5, mrr: 0.438 });
+      expect(summarizeRanks([], 3).queries).toBe(0);
+    });
+
+    it('lists the queries each mode missed', () => {
+      const report = buildReport([
+        { query: 'q1', relevant: ['a'], rankings: { lexical: ['a'], vector: ['b', 'a'] } },
+        { query: 'q2', relevant: ['c'], rankings: { lexical: ['b'], vector: ['c'] } },
+      ], { k: 1, modes: ['lexical', 'vector'] });
+      expect(report.modes.lexical.misses).toEqual(['q2']);
+      expect(report.modes.vector.misses).toEqual(['q1']);
+      expect(report.queries[0].ranks).toEqual({ lexical: 1, vector: 2 });
+    });
+  });
+
+  describe('grounding and citations', () => {
+    const faq = { source: 'faq', sourceId: 1, question: 'When will I get paid?', answer: 'Every Friday.', score: 0.8 };
+    const learned = { source: 'knowledge_base', sourceId: 7, question: 'Pay rate?', answer: 'See Wallet.', score: 0.8, confidence: 0.9 };
+    const weak = { source: 'faq', sourceId: 2, question: 'Jobs?', answer: 'Check Jobs.', score: 0.1 };
+
+    it('sends a clear FAQ match as the answer', () => {
+      const plan = planGrounding([faq, weak]);
+      expect(plan.answer).toBe(faq);
+      expect(plan.passages).toEqual([faq]);
+    });
+
+    it('leaves close calls to the LLM', () => {
+      expect(planGrounding([faq, { ...weak, score: 0.75 }]).answer).toBeNull();
+    });
+
+    it('does not let a duplicate entry block the answer', () => {
+      const plan = planGrounding([faq, { ...faq, sourceId: 6, answer: 'every friday. ' }, weak]);
+      expect(plan.answer).toBe(faq);
+      expect(plan.passages).toEqual([faq]);
+    });
+
+    it('holds learned answers to the knowledge base confidence bar', () => {
+      expect(answerConfidence(learned)).toBeCloseTo(0.72, 5);
+      expect(planGrounding([learned]).answer).toBeNull();
+      expect(planGrounding([learned], { kbMinConfidence: 0.7 }).answer).toBe(learned);
+    });
+
+    it('turns reply markers into citations and strips them', () => {
+      const { text, citations } = extractCitations('You get paid every Friday [1]. Check your Wallet [2, 5].', [faq, learned]);
+      expect(text).toBe('You get paid every Friday. Check your Wallet.');
+      expect(citations.map(c => [c.ref, c.source, c.source_id])).toEqual([[1, 'faq', 1], [2, 'knowledge_base', 7]]);
+    });
+
+    it('numbers passages for the system prompt', () => {
+      const context = buildKnowledgeContext([faq, learned]);
+      expect(context).toContain('[1] FAQ\nQ: When will I get paid?\nA: Every Friday.');
+      expect(context).toContain('[2] Approved answer');
+      expect(buildKnowledgeContext([])).toBe('');
+    });
+  });
+});
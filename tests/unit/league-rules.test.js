@@ -0,0 +1,157 @@
+/**
+ * Unit Tests: League Rules
+ *
+ * Tests season windows, promotion/relegation zones, season close results
+ * and rewards, and cohort placement.
+ */
+
+const {
+  LEAGUE_TIERS,
+  seasonWindow,
+  zoneSizes,
+  rankMembers,
+  withZones,
+  seasonReward,
+  settleCohort,
+  splitIntoCohorts,
+  pickCohort,
+} = require('../../services/leagues/rules');
+
+function cohort(size, xp = i => (size - i) * 10) {
+  return Array.from({ length: size }, (_, i) => ({
+    candidate_id: `CND${String(i).padStart(2, '0')}`,
+    season_xp: xp(i),
+    joined_at: '2026-03-02 00:00:00',
+  }));
+}
+
+// ============================================
+// SEASONS
+// ============================================
+
+describe('seasonWindow', () => {
+  test('weekly seasons run Monday to Monday, Singapore time', () => {
+    expect(seasonWindow('weekly', new Date('2026-03-04T04:00:00Z'))).toEqual({
+      key: 'weekly-2026-03-02',
+      length: 'weekly',
+      starts_at: '2026-03-01 16:00:00',
+      ends_at: '2026-03-08 16:00:00',
+    });
+  });
+
+  test('Sunday night UTC is already next week in Singapore', () => {
+    expect(seasonWindow('weekly', new Date('2026-03-08T16:30:00Z')).key).toBe('weekly-2026-03-09');
+    expect(seasonWindow('weekly', new Date('2026-03-08T15:30:00Z')).key).toBe('weekly-2026-03-02');
+  });
+
+  test('monthly seasons cover the calendar month, across year ends', () => {
+    expect(seasonWindow('monthly', new Date('2026-12-31T17:00:00Z'))).toEqual({
+      key: 'monthly-2027-01',
+      length: 'monthly',
+      starts_at: '2026-12-31 16:00:00',
+      ends_at: '2027-01-31 16:00:00',
+    });
+  });
+
+  test('rejects unknown lengths', () => {
+    expect(() => seasonWindow('daily')).toThrow(/weekly, monthly/);
+  });
+});
+
+// ============================================
+// ZONES
+// ============================================
+
+describe('zoneSizes', () => {
+  test('a full cohort moves five up and five down', () => {
+    expect(zoneSizes('silver', 30)).toEqual({ promote: 5, relegate: 5 });
+  });
+
+  test('small cohorts move at most a third each way', () => {
+    expect(zoneSizes('silver', 7)).toEqual({ promote: 2, relegate: 2 });
+    expect(zoneSizes('silver', 2)).toEqual({ promote: 0, relegate: 0 });
+  });
+
+  test('nobody leaves the ends of the ladder', () => {
+    expect(zoneSizes(LEAGUE_TIERS[0], 30).relegate).toBe(0);
+    expect(zoneSizes(LEAGUE_TIERS[LEAGUE_TIERS.length - 1], 30).promote).toBe(0);
+  });
+});
+
+describe('rankMembers / withZones', () => {
+  test('ranks by season XP, earlier joiners winning ties', () => {
+    const ranked = rankMembers([
+      { candidate_id: 'A', season_xp: 50, joined_at: '2026-03-03 10:00:00' },
+      { candidate_id: 'B', season_xp: 80, joined_at: '2026-03-04 10:00:00' },
+      { candidate_id: 'C', season_xp: 50, joined_at: '2026-03-02 10:00:00' },
+    ]);
+    expect(ranked.map(m => [m.candidate_id, m.rank])).toEqual([['B', 1], ['C', 2], ['A', 3]]);
+  });
+
+  test('marks the top and bottom of the cohort', () => {
+    const zones = withZones(rankMembers(cohort(9)), 'gold').map(m => m.zone);
+    expect(zones).toEqual(['promotion', 'promotion', 'promotion', null, null, null, 'relegation', 'relegation', 'relegation']);
+  });
+});
+
+// ============================================
+// SEASON CLOSE
+// ============================================
+
+describe('settleCohort', () => {
+  test('promotes the top, relegates the bottom and pays the podium', () => {
+    const settled = settleCohort(cohort(30), 'silver');
+
+    expect(settled[0]).toMatchObject({ rank: 1, result: 'promoted', next_tier: 'gold', reward_xp: 350 });
+    expect(settled[4]).toMatchObject({ rank: 5, result: 'promoted', reward_xp: 50 });
+    expect(settled[5]).toMatchObject({ rank: 6, result: 'stayed', next_tier: 'silver', reward_xp: 0 });
+    expect(settled[29]).toMatchObject({ rank: 30, result: 'relegated', next_tier: 'bronze' });
+    expect(settled.filter(m => m.result === 'promoted')).toHaveLength(5);
+    expect(settled.filter(m => m.result === 'relegated')).toHaveLength(5);
+  });
+
+  test('workers who earned nothing are neither promoted nor rewarded', () => {
+    const settled = settleCohort(cohort(6, () => 0), 'bronze');
+    expect(settled.every(m => m.result === 'stayed' && m.reward_xp === 0)).toBe(true);
+  });
+
+  test('the top tier only relegates', () => {
+    const settled = settleCohort(cohort(30), 'mythic');
+    expect(settled[0]).toMatchObject({ result: 'stayed', next_tier: 'mythic', reward_xp: 300 });
+    expect(settled[29].next_tier).toBe('diamond');
+  });
+});
+
+describe('seasonReward', () => {
+  test('adds the promotion bonus to the rank reward', () => {
+    expect(seasonReward(2, true, 10)).toBe(250);
+    expect(seasonReward(8, false, 10)).toBe(0);
+    expect(seasonReward(1, true, 0)).toBe(0);
+  });
+});
+
+// ============================================
+// COHORTS
+// ============================================
+
+describe('splitIntoCohorts', () => {
+  test('keeps cohorts at or under the size and evenly filled', () => {
+    const cohorts = splitIntoCohorts(Array.from({ length: 61 }, (_, i) => i), 30);
+    expect(cohorts.map(c => c.length)).toEqual([21, 20, 20]);
+  });
+
+  test('deals members round-robin so strength is spread', () => {
+    expect(splitIntoCohorts([1, 2, 3, 4, 5], 3)).toEqual([[1, 3, 5], [2, 4]]);
+  });
+});
+
+describe('pickCohort', () => {
+  test('picks the emptiest cohort with room', () => {
+    expect(pickCohort([{ id: 'a', members: 29 }, { id: 'b', members: 12 }, { id: 'c', members: 30 }], 30)).toBe('b');
+  });
+
+  test('returns null when every cohort is full', () => {
+    expect(pickCohort([{ id: 'a', members: 30 }], 30)).toBeNull();
+    expect(pickCohort([], 30)).toBeNull();
+  });
+});
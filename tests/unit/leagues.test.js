@@ -0,0 +1,68 @@
+/**
+ * Unit Tests: Worker Leagues
+ *
+ * Closes a season against an in-memory database: final standings are
+ * stored, rewards paid once through the XP ledger and tiers moved on.
+ */
+
+process.env.WORKLINK_DB_PATH = ':memory:';
+
+const { db } = require('../../db');
+const leagues = require('../../services/leagues');
+const ledger = require('../../services/ledger');
+const { LEAGUE_TIERS, RANK_REWARDS, PROMOTION_BONUS } = require('../../services/leagues/rules');
+
+function createCandidate(id) {
+  db.prepare("INSERT INTO candidates (id, name, status) VALUES (?, ?, 'active')").run(id, `Worker ${id}`);
+  return id;
+}
+
+const member = (seasonId, candidateId) => db.prepare(`
+  SELECT season_xp, final_rank, result, next_tier, reward_xp FROM league_members WHERE season_id = ? AND candidate_id = ?
+`).get(seasonId, candidateId);
+const rewardsPaid = (candidateId) => db.prepare(`
+  SELECT COALESCE(SUM(amount), 0) as xp FROM xp_transactions WHERE candidate_id = ? AND action_type = 'league_reward'
+`).get(candidateId).xp;
+
+describe('closeSeason', () => {
+  const [leader, runnerUp, idle] = ['TCNLG1', 'TCNLG2', 'TCNLG3'].map(createCandidate);
+  let season;
+
+  beforeAll(() => {
+    [leader, runnerUp, idle].forEach(id => leagues.joinSeason(id));
+    season = leagues.getCurrentSeason();
+    ledger.awardXP(leader, { amount: 500, actionType: 'training', reason: 'Test' });
+    ledger.awardXP(runnerUp, { amount: 100, actionType: 'training', reason: 'Test' });
+  });
+
+  test('stores the final standings, pays rewards and moves tiers', () => {
+    const summary = leagues.closeSeason(season.id);
+
+    expect(summary).toMatchObject({ season_id: season.id, members: 3, promoted: 1 });
+    expect(member(season.id, leader)).toEqual({
+      season_xp: 500,
+      final_rank: 1,
+      result: 'promoted',
+      next_tier: LEAGUE_TIERS[1],
+      reward_xp: RANK_REWARDS[1] + PROMOTION_BONUS,
+    });
+    expect(member(season.id, runnerUp)).toMatchObject({ season_xp: 100, final_rank: 2, result: 'stayed', reward_xp: RANK_REWARDS[2] });
+    expect(member(season.id, idle)).toMatchObject({ season_xp: 0, result: 'stayed', next_tier: LEAGUE_TIERS[0], reward_xp: 0 });
+
+    expect(rewardsPaid(leader)).toBe(RANK_REWARDS[1] + PROMOTION_BONUS);
+    expect(rewardsPaid(idle)).toBe(0);
+    expect(db.prepare('SELECT status FROM league_seasons WHERE id = ?').get(season.id).status).toBe('archived');
+  });
+
+  test('closing it again pays nothing more', () => {
+    expect(leagues.closeSeason(season.id)).toBeNull();
+    expect(rewardsPaid(leader)).toBe(RANK_REWARDS[1] + PROMOTION_BONUS);
+  });
+
+  test('the next season places returning workers in the tier they finished with', () => {
+    const next = leagues.joinSeason(leader, new Date(Date.parse(season.ends_at.replace(' ', 'T') + 'Z') + 60 * 1000));
+
+    expect(next.season.id).not.toBe(season.id);
+    expect(next.member.tier).toBe(LEAGUE_TIERS[1]);
+  });
+});
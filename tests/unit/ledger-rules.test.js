@@ -0,0 +1,117 @@
+/**
+ * Unit Tests: Points & XP Ledger Rules
+ *
+ * Tests applicable amounts, balanced double entries, XP award changes,
+ * adjustment validation and reconciliation mismatches.
+ */
+
+const {
+  applicableAmounts,
+  buildEntries,
+  isBalanced,
+  xpAwardChange,
+  validateAdjustment,
+  findMismatches,
+  isValidSourceType,
+} = require('../../services/ledger/rules');
+
+const balances = { xp: 300, lifetime_xp: 1200, points: 500 };
+
+// ============================================
+// POSTINGS
+// ============================================
+
+describe('applicableAmounts', () => {
+  test('applies changes within the balances as given', () => {
+    expect(applicableAmounts(balances, { xp: 100, lifetime_xp: 100, points: -200 })).toEqual({
+      amounts: { xp: 100, lifetime_xp: 100, points: -200 },
+      error: null,
+    });
+  });
+
+  test('stops XP at zero', () => {
+    expect(applicableAmounts(balances, { xp: -500 }).amounts).toEqual({ xp: -300, lifetime_xp: 0, points: 0 });
+  });
+
+  test('refuses to overdraw points', () => {
+    expect(applicableAmounts(balances, { points: -501 })).toEqual({
+      amounts: null,
+      error: 'Insufficient points: balance 500, needs 501',
+    });
+  });
+});
+
+describe('buildEntries', () => {
+  test('pairs each candidate entry with a platform entry', () => {
+    const entries = buildEntries('CND001', 'shift', { xp: 100, lifetime_xp: 100, points: 0 });
+    expect(entries).toEqual([
+      { account: 'candidate:CND001', candidate_id: 'CND001', currency: 'xp', amount: 100 },
+      { account: 'platform:shift', candidate_id: null, currency: 'xp', amount: -100 },
+      { account: 'candidate:CND001', candidate_id: 'CND001', currency: 'lifetime_xp', amount: 100 },
+      { account: 'platform:shift', candidate_id: null, currency: 'lifetime_xp', amount: -100 },
+    ]);
+    expect(isBalanced(entries)).toBe(true);
+  });
+
+  test('isBalanced spots a one-sided entry', () => {
+    expect(isBalanced([
+      { currency: 'points', amount: -50 },
+      { currency: 'points', amount: 40 },
+    ])).toBe(false);
+  });
+});
+
+describe('xpAwardChange', () => {
+  test('awards earn lifetime XP and points 1:1', () => {
+    expect(xpAwardChange(150)).toEqual({ xp: 150, lifetime_xp: 150, points: 150 });
+    expect(xpAwardChange(150, { points: 0 })).toEqual({ xp: 150, lifetime_xp: 150, points: 0 });
+  });
+
+  test('penalties only take XP', () => {
+    expect(xpAwardChange(-50)).toEqual({ xp: -50, lifetime_xp: 0, points: 0 });
+  });
+});
+
+// ============================================
+// ADJUSTMENTS
+// ============================================
+
+describe('validateAdjustment', () => {
+  test('requires a reason and a non-zero change', () => {
+    expect(validateAdjustment({ xp: 10 }).error).toBe('A reason is required for an adjustment');
+    expect(validateAdjustment({ reason: 'Fix', points: 0 }).error)
+      .toBe('An adjustment must change xp, lifetime_xp or points');
+  });
+
+  test('rejects fractional amounts', () => {
+    expect(validateAdjustment({ reason: 'Fix', points: 2.5 }).error).toBe('points must be a whole number');
+  });
+
+  test('lifetime XP follows XP unless given', () => {
+    expect(validateAdjustment({ reason: 'Fix', xp: '-40' }).change).toEqual({ xp: -40, lifetime_xp: -40, points: 0 });
+    expect(validateAdjustment({ reason: 'Fix', xp: 40, lifetime_xp: 0 }).change)
+      .toEqual({ xp: 40, lifetime_xp: 0, points: 0 });
+  });
+});
+
+// ============================================
+// RECONCILIATION
+// ============================================
+
+describe('findMismatches', () => {
+  test('reports each currency whose cached balance differs', () => {
+    const cached = { xp: 300, lifetime_xp: 1200, current_points: 450 };
+    expect(findMismatches(cached, balances)).toEqual([
+      { currency: 'points', cached: 450, ledger: 500, difference: -50 },
+    ]);
+    expect(findMismatches({ ...cached, current_points: 500 }, balances)).toEqual([]);
+  });
+});
+
+describe('isValidSourceType', () => {
+  test('accepts lower snake case names', () => {
+    expect(isValidSourceType('reward_purchase')).toBe(true);
+    expect(isValidSourceType('Reward Purchase')).toBe(false);
+    expect(isValidSourceType(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit Tests: Points & XP Ledger Service
+ *
+ * Runs postings, reconciliation and mismatch resolution against an
+ * in-memory database.
+ */
+
+process.env.WORKLINK_DB_PATH = ':memory:';
+
+const { db } = require('../../db');
+const ledger = require('../../services/ledger');
+
+let sequence = 0;
+
+function createCandidate({ xp = 0, lifetimeXp = 0, points = 0 } = {}) {
+  const id = `TLG${++sequence}`;
+  db.prepare(`
+    INSERT INTO candidates (id, name, xp, lifetime_xp, current_points)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(id, `Ledger Tester ${sequence}`, xp, lifetimeXp, points);
+  return id;
+}
+
+const cached = (candidateId) => db.prepare(`
+  SELECT xp, lifetime_xp, current_points as points FROM candidates WHERE id = ?
+`).get(candidateId);
+const transactions = (candidateId) => db.prepare(`
+  SELECT source_type FROM ledger_transactions WHERE candidate_id = ? ORDER BY rowid
+`).all(candidateId).map(t => t.source_type);
+const openMismatches = (candidateId) => db.prepare(`
+  SELECT * FROM ledger_mismatches WHERE candidate_id = ? AND status = 'open'
+`).all(candidateId);
+
+// ============================================
+// POSTING
+// ============================================
+
+describe('post', () => {
+  test('writes balanced entries and updates the cached balances', () => {
+    const candidateId = createCandidate();
+
+    const applied = ledger.post(candidateId, { xp: 50, lifetime_xp: 50, points: 50 }, { sourceType: 'shift', sourceId: 'DEP1' });
+
+    const { entries } = ledger.getTransaction(applied.transaction_id);
+    for (const currency of ['xp', 'lifetime_xp', 'points']) {
+      const legs = entries.filter(e => e.currency === currency);
+      expect(legs.reduce((sum, e) => sum + e.amount, 0)).toBe(0);
+      expect(legs).toContainEqual({ account: `candidate:${candidateId}`, currency, amount: 50 });
+    }
+    expect(cached(candidateId)).toEqual({ xp: 50, lifetime_xp: 50, points: 50 });
+    expect(ledger.ledgerBalances(candidateId)).toEqual({ xp: 50, lifetime_xp: 50, points: 50 });
+  });
+
+  test('carries existing balances in as an opening transaction first', () => {
+    const candidateId = createCandidate({ xp: 300, lifetimeXp: 400, points: 120 });
+
+    ledger.post(candidateId, { points: -20 }, { sourceType: 'reward_purchase' });
+
+    expect(transactions(candidateId)).toEqual(['opening_balance', 'reward_purchase']);
+    expect(ledger.ledgerBalances(candidateId)).toEqual({ xp: 300, lifetime_xp: 400, points: 100 });
+    expect(cached(candidateId).points).toBe(100);
+  });
+
+  test('refuses to overdraw points and writes nothing', () => {
+    const candidateId = createCandidate({ points: 10 });
+
+    expect(() => ledger.post(candidateId, { points: -11 }, { sourceType: 'reward_purchase' }))
+      .toThrow(expect.objectContaining({ status: 400, code: 'INSUFFICIENT_POINTS' }));
+    expect(transactions(candidateId)).toEqual([]);
+    expect(cached(candidateId).points).toBe(10);
+  });
+
+  test('stops XP penalties at zero without touching lifetime XP', () => {
+    const candidateId = createCandidate({ xp: 30, lifetimeXp: 30 });
+
+    const applied = ledger.awardXP(candidateId, { amount: -50, actionType: 'penalty', reason: 'No-show' });
+
+    expect(applied).toMatchObject({ xp: -30, lifetime_xp: 0, points: 0 });
+    expect(cached(candidateId)).toEqual({ xp: 0, lifetime_xp: 30, points: 0 });
+    expect(db.prepare('SELECT amount FROM xp_transactions WHERE candidate_id = ?').get(candidateId).amount).toBe(-30);
+  });
+
+  test('rejects unknown source types', () => {
+    const candidateId = createCandidate();
+    expect(() => ledger.post(candidateId, { xp: 5 }, { sourceType: 'Free XP!' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SOURCE_TYPE' }));
+  });
+});
+
+// ============================================
+// RECONCILIATION
+// ============================================
+
+describe('reconcile', () => {
+  test('opens untouched accounts without flagging them', () => {
+    const candidateId = createCandidate({ xp: 80, lifetimeXp: 80, points: 80 });
+
+    const summary = ledger.reconcile({ triggeredBy: 'test' });
+
+    expect(summary.accounts_opened).toBeGreaterThanOrEqual(1);
+    expect(transactions(candidateId)).toEqual(['opening_balance']);
+    expect(openMismatches(candidateId)).toEqual([]);
+  });
+
+  test('flags a cached balance changed outside the ledger, once per run', () => {
+    const candidateId = createCandidate();
+    ledger.post(candidateId, { points: 100 }, { sourceType: 'shift' });
+    db.prepare('UPDATE candidates SET current_points = 250 WHERE id = ?').run(candidateId);
+
+    ledger.reconcile({ triggeredBy: 'test' });
+    ledger.reconcile({ triggeredBy: 'test' });
+
+    const flags = openMismatches(candidateId);
+    expect(flags).toHaveLength(1);
+    expect(flags[0]).toMatchObject({ currency: 'points', cached_balance: 250, ledger_balance: 100, difference: 150 });
+  });
+
+  test('clears flags that balance out by the next run', () => {
+    const candidateId = createCandidate();
+    ledger.post(candidateId, { xp: 40 }, { sourceType: 'shift' });
+    db.prepare('UPDATE candidates SET xp = 10 WHERE id = ?').run(candidateId);
+    ledger.reconcile({ triggeredBy: 'test' });
+    const [flag] = openMismatches(candidateId);
+
+    db.prepare('UPDATE candidates SET xp = 40 WHERE id = ?').run(candidateId);
+    ledger.reconcile({ triggeredBy: 'test' });
+
+    expect(openMismatches(candidateId)).toEqual([]);
+    expect(db.prepare('SELECT status FROM ledger_mismatches WHERE id = ?').get(flag.id).status).toBe('cleared');
+  });
+});
+
+describe('resolveMismatch', () => {
+  function flaggedCandidate() {
+    const candidateId = createCandidate();
+    ledger.post(candidateId, { points: 100 }, { sourceType: 'shift' });
+    db.prepare('UPDATE candidates SET current_points = 160 WHERE id = ?').run(candidateId);
+    ledger.reconcile({ triggeredBy: 'test' });
+    return { candidateId, mismatchId: openMismatches(candidateId)[0].id };
+  }
+
+  test('accept_cached posts an adjusting entry for the difference', () => {
+    const { candidateId, mismatchId } = flaggedCandidate();
+
+    const resolved = ledger.resolveMismatch(mismatchId, { action: 'accept_cached', reason: 'Manual top-up', resolvedBy: 'admin@test' });
+
+    expect(resolved).toMatchObject({ status: 'resolved', resolution: 'accept_cached', resolved_by: 'admin@test' });
+    expect(ledger.ledgerBalances(candidateId).points).toBe(160);
+    expect(cached(candidateId).points).toBe(160);
+    expect(ledger.getTransaction(resolved.transaction_id).source_type).toBe('reconciliation');
+  });
+
+  test('restore_ledger resets the cached balance', () => {
+    const { candidateId, mismatchId } = flaggedCandidate();
+
+    const resolved = ledger.resolveMismatch(mismatchId, { action: 'restore_ledger', reason: 'Direct edit' });
+
+    expect(resolved.transaction_id).toBeNull();
+    expect(cached(candidateId).points).toBe(100);
+    ledger.reconcile({ triggeredBy: 'test' });
+    expect(openMismatches(candidateId)).toEqual([]);
+  });
+
+  test('needs a known action, a reason and an open mismatch', () => {
+    const { mismatchId } = flaggedCandidate();
+
+    expect(() => ledger.resolveMismatch(mismatchId, { action: 'ignore', reason: 'x' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_RESOLUTION' }));
+    expect(() => ledger.resolveMismatch(mismatchId, { action: 'restore_ledger' }))
+      .toThrow(expect.objectContaining({ code: 'REASON_REQUIRED' }));
+
+    ledger.resolveMismatch(mismatchId, { action: 'restore_ledger', reason: 'Direct edit' });
+    expect(() => ledger.resolveMismatch(mismatchId, { action: 'restore_ledger', reason: 'Again' }))
+      .toThrow(expect.objectContaining({ code: 'MISMATCH_CLOSED' }));
+  });
+});
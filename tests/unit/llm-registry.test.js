@@ -0,0 +1,215 @@
+/**
+ * Unit Tests: LLM Provider Registry
+ *
+ * Tests feature routing, fallback between providers, usage and cost
+ * accounting, budget caps degrading to templates, and the record/replay
+ * mock provider.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRegistry, createMemoryUsage } = require('../../services/llm/registry');
+const { parseRoute, resolveRoute } = require('../../services/llm/routing');
+const { readBudgets, checkBudget } = require('../../services/llm/budget');
+const { createMockProvider, requestKey } = require('../../services/llm/mock');
+
+// Scripted provider: each call shifts the next reply (string) or failure (Error)
+function fakeProvider(name, replies, { costs = { input: 0.001, output: 0.002 }, configured = true } = {}) {
+  const calls = [];
+  return {
+    name,
+    label: name,
+    defaultModel: `${name}-default`,
+    costs,
+    calls,
+    isConfigured: () => configured,
+    async complete(request) {
+      calls.push(request);
+      const reply = replies.shift();
+      if (reply instanceof Error) throw reply;
+      return { text: reply, model: request.model, inputTokens: 1000, outputTokens: 500 };
+    },
+  };
+}
+
+// ============================================
+// ROUTING
+// ============================================
+
+describe('routing', () => {
+  test('parses provider and model pairs, resolving legacy names', () => {
+    expect(parseRoute('claude:claude-3-5-haiku-latest, groq')).toEqual([
+      { provider: 'anthropic', model: 'claude-3-5-haiku-latest' },
+      { provider: 'groq', model: null },
+    ]);
+  });
+
+  test('uses the feature route, an env override, or the forced provider', () => {
+    expect(resolveRoute('intent').steps.map(s => s.provider)).toEqual(['groq', 'ollama', 'anthropic']);
+    expect(resolveRoute('intent').temperature).toBe(0);
+    expect(resolveRoute('intent', { env: { LLM_ROUTE_INTENT: 'openai:gpt-4o-mini' } }).steps).toEqual([{ provider: 'openai', model: 'gpt-4o-mini' }]);
+    expect(resolveRoute('chat', { forceProvider: 'gemini' }).steps).toEqual([{ provider: 'gemini', model: null }]);
+  });
+
+  test('keeps models pinned in a feature route', () => {
+    expect(resolveRoute('quick_replies').steps.slice(0, 2)).toEqual([
+      { provider: 'groq', model: 'llama-3.1-8b-instant' },
+      { provider: 'ollama', model: null },
+    ]);
+  });
+
+  test('sends unknown features down the default route', () => {
+    const route = resolveRoute('brand_new_feature');
+    expect(route.feature).toBe('brand_new_feature');
+    expect(route.steps).toEqual(resolveRoute('default').steps);
+  });
+});
+
+// ============================================
+// BUDGETS
+// ============================================
+
+describe('budgets', () => {
+  test('reads daily and per-feature caps from the environment', () => {
+    expect(readBudgets({ LLM_DAILY_BUDGET_USD: '5', LLM_BUDGET_CHAT_USD: '2', LLM_BUDGET_BAD_USD: 'abc' }))
+      .toEqual({ daily_usd: 5, features: { chat: 2 } });
+  });
+
+  test('blocks a feature at its own cap or the overall cap', () => {
+    const budgets = { daily_usd: 5, features: { chat: 2 } };
+    expect(checkBudget('chat', { total: 2, byFeature: { chat: 2 } }, budgets)).toMatchObject({ allowed: false, limit: 2 });
+    expect(checkBudget('intent', { total: 2, byFeature: { chat: 2 } }, budgets).allowed).toBe(true);
+    expect(checkBudget('intent', { total: 5.1, byFeature: {} }, budgets)).toMatchObject({ allowed: false, limit: 5 });
+  });
+});
+
+// ============================================
+// REGISTRY
+// ============================================
+
+describe('registry.complete', () => {
+  test('falls back down the route and records every attempt', async () => {
+    const usage = createMemoryUsage();
+    const groq = fakeProvider('groq', [new Error('Groq API error: 500')]);
+    const anthropic = fakeProvider('anthropic', ['Hello from Claude']);
+    const registry = createRegistry({
+      providers: [groq, anthropic],
+      usage,
+      env: { LLM_ROUTE_CHAT: 'groq,anthropic:claude-test' },
+    });
+
+    const result = await registry.complete('chat', { prompt: 'Hi', system: 'Be brief' });
+
+    expect(result).toMatchObject({ text: 'Hello from Claude', provider: 'anthropic', model: 'claude-test', degraded: false });
+    expect(result.cost).toBeCloseTo(0.002);
+    expect(anthropic.calls[0]).toMatchObject({ system: 'Be brief', messages: [{ role: 'user', content: 'Hi' }], maxTokens: 200 });
+    expect(usage.rows.map(r => [r.provider, r.error ? 'error' : 'ok'])).toEqual([['groq', 'error'], ['anthropic', 'ok']]);
+    expect(usage.rows[1]).toMatchObject({ feature: 'chat', inputTokens: 1000, outputTokens: 500 });
+  });
+
+  test('skips providers that are not configured', async () => {
+    const groq = fakeProvider('groq', ['unused'], { configured: false });
+    const anthropic = fakeProvider('anthropic', ['answer']);
+    const registry = createRegistry({ providers: [groq, anthropic], env: { LLM_ROUTE_DEFAULT: 'groq,anthropic' } });
+
+    expect((await registry.complete('default', { prompt: 'Hi' })).provider).toBe('anthropic');
+    expect(groq.calls).toHaveLength(0);
+  });
+
+  test('throws when every provider fails and no template is given', async () => {
+    const registry = createRegistry({
+      providers: [fakeProvider('groq', [new Error('down')])],
+      env: { LLM_ROUTE_DEFAULT: 'groq' },
+    });
+
+    await expect(registry.complete('default', { prompt: 'Hi' })).rejects.toMatchObject({
+      code: 'LLM_UNAVAILABLE',
+      message: 'All LLM providers failed. Last error: down',
+    });
+  });
+
+  test('degrades to the template once the budget is spent', async () => {
+    const usage = createMemoryUsage();
+    const groq = fakeProvider('groq', ['first', 'second']);
+    const registry = createRegistry({
+      providers: [groq],
+      usage,
+      env: { LLM_ROUTE_CHAT: 'groq', LLM_BUDGET_CHAT_USD: '0.002' },
+    });
+
+    expect((await registry.complete('chat', { prompt: 'Hi' })).text).toBe('first');
+    const degraded = await registry.complete('chat', { prompt: 'Hi again' }, { fallback: () => 'A team member will reply' });
+
+    expect(degraded).toMatchObject({ text: 'A team member will reply', provider: 'template', degraded: true });
+    expect(degraded.reason).toMatch(/chat budget/);
+    expect(groq.calls).toHaveLength(1);
+    await expect(registry.complete('chat', { prompt: 'Hi' })).rejects.toMatchObject({ code: 'LLM_BUDGET_EXCEEDED' });
+  });
+
+  test('keeps serving from free providers when over budget', async () => {
+    const groq = fakeProvider('groq', ['paid']);
+    const ollama = fakeProvider('ollama', ['local'], { costs: { input: 0, output: 0 } });
+    const registry = createRegistry({
+      providers: [groq, ollama],
+      env: { LLM_ROUTE_DEFAULT: 'groq,ollama', LLM_DAILY_BUDGET_USD: '0' },
+    });
+
+    expect(await registry.complete('default', { prompt: 'Hi' })).toMatchObject({ text: 'local', provider: 'ollama', cost: 0 });
+    expect(groq.calls).toHaveLength(0);
+  });
+
+  test('reuses cached responses only when asked', async () => {
+    const groq = fakeProvider('groq', ['one', 'two', 'three']);
+    const registry = createRegistry({ providers: [groq], env: { LLM_ROUTE_DEFAULT: 'groq' } });
+
+    expect((await registry.complete('default', { prompt: 'Hi' }, { useCache: true })).text).toBe('one');
+    expect(await registry.complete('default', { prompt: 'Hi' }, { useCache: true })).toMatchObject({ text: 'one', cached: true });
+    expect((await registry.complete('default', { prompt: 'Hi' })).text).toBe('two');
+  });
+});
+
+// ============================================
+// MOCK PROVIDER
+// ============================================
+
+describe('mock provider', () => {
+  test('replays recorded responses by feature and prompt', async () => {
+    const request = { system: 'Classify', messages: [{ role: 'user', content: 'bila got job?' }] };
+    const mock = createMockProvider({
+      entries: { [requestKey('intent', request)]: { text: '{"intent":"job_inquiry"}', inputTokens: 12, outputTokens: 6 } },
+    });
+    const groq = fakeProvider('groq', []);
+    const registry = createRegistry({ providers: [groq] });
+    registry.setMock(mock);
+
+    const result = await registry.complete('intent', { prompt: 'bila got job?', system: 'Classify' });
+    expect(result).toMatchObject({ text: '{"intent":"job_inquiry"}', provider: 'mock', usage: { inputTokens: 12, outputTokens: 6 } });
+
+    // Unrecorded prompts get a deterministic echo; other features miss the recording
+    const echo = await registry.complete('chat', { prompt: 'bila got job?', system: 'Classify' });
+    expect(echo.text).toBe('[mock:chat] bila got job?');
+    expect(groq.calls).toHaveLength(0);
+  });
+
+  test('uses a responder or fails in strict mode for unrecorded prompts', async () => {
+    const responder = createMockProvider({ responder: ({ feature }) => `reply for ${feature}` });
+    expect((await responder.complete({ feature: 'chat', messages: [{ role: 'user', content: 'Hi' }] })).text).toBe('reply for chat');
+
+    const strict = createMockProvider({ strict: true });
+    await expect(strict.complete({ feature: 'chat', messages: [{ role: 'user', content: 'Hi' }] })).rejects.toThrow(/No recorded LLM response/);
+  });
+
+  test('records real responses to a cassette that replays offline', async () => {
+    const cassette = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-')), 'cassette.json');
+    const recording = createRegistry({ providers: [fakeProvider('groq', ['Recorded answer'])], env: { LLM_ROUTE_CHAT: 'groq' } });
+    recording.setMock(createMockProvider({ mode: 'record', cassette }));
+    expect((await recording.complete('chat', { prompt: 'When is payday?' })).provider).toBe('groq');
+
+    const offline = createRegistry({ providers: [fakeProvider('groq', [new Error('offline')])], env: { LLM_ROUTE_CHAT: 'groq' } });
+    offline.setMock(createMockProvider({ mode: 'replay', cassette, strict: true }));
+    expect(await offline.complete('chat', { prompt: 'When is payday?' })).toMatchObject({ text: 'Recorded answer', provider: 'mock' });
+
+    fs.rmSync(path.dirname(cassette), { recursive: true, force: true });
+  });
+});
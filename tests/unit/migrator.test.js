@@ -0,0 +1,171 @@
+/**
+ * Unit Tests: Schema Migration Runner
+ *
+ * Tests migration file naming, checksums, planning against the recorded
+ * history (pending, edited and unknown migrations) and schema drift detection.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  parseMigrationFilename,
+  checksum,
+  createdTables,
+  planMigrations,
+  diffSchema,
+  hasDrift,
+  loadMigrations,
+  migrate,
+  status,
+} = require('../../db/migrator');
+
+describe('parseMigrationFilename', () => {
+  test('reads version and name from numbered files', () => {
+    expect(parseMigrationFilename('0001_baseline.js')).toEqual({ version: 1, name: 'baseline' });
+    expect(parseMigrationFilename('0012_add_alert_rules.js')).toEqual({ version: 12, name: 'add_alert_rules' });
+  });
+
+  test('ignores legacy and helper files', () => {
+    expect(parseMigrationFilename('001_worker_status_classification.sql')).toBeNull();
+    expect(parseMigrationFilename('add-scraping-fields.js')).toBeNull();
+    expect(parseMigrationFilename('0003_Add-Thing.js')).toBeNull();
+    expect(parseMigrationFilename('legacy')).toBeNull();
+  });
+});
+
+describe('checksum', () => {
+  test('ignores line-ending differences but not content changes', () => {
+    const source = 'function up(db) {\n  db.exec("SELECT 1");\n}\n';
+    expect(checksum(source.replace(/\n/g, '\r\n'))).toBe(checksum(source));
+    expect(checksum(`${source}// edited\n`)).not.toBe(checksum(source));
+  });
+});
+
+describe('createdTables', () => {
+  test('lists the tables a migration creates, once each', () => {
+    const source = `
+      CREATE TABLE IF NOT EXISTS widgets (id INTEGER);
+      create table "gadgets" (id INTEGER);
+      CREATE INDEX IF NOT EXISTS idx_widgets ON widgets(id);
+      CREATE TABLE IF NOT EXISTS widgets (id INTEGER);
+    `;
+    expect(createdTables(source)).toEqual(['widgets', 'gadgets']);
+  });
+});
+
+describe('loadMigrations', () => {
+  test('starts from the baseline and skips db/migrations/legacy', () => {
+    const migrations = loadMigrations();
+    expect(migrations[0]).toMatchObject({ version: 1, name: 'baseline' });
+    expect(migrations.map(m => m.version)).toEqual([...migrations.map(m => m.version)].sort((a, b) => a - b));
+  });
+
+  test('no table is created by two migrations', () => {
+    const tables = loadMigrations().slice(1).flatMap(m => m.tables);
+    expect(tables.filter((table, index) => tables.indexOf(table) !== index)).toEqual([]);
+  });
+});
+
+describe('planMigrations', () => {
+  const available = [
+    { version: 1, name: 'baseline', checksum: 'a' },
+    { version: 2, name: 'add_widgets', checksum: 'b' },
+    { version: 3, name: 'add_gadgets', checksum: 'c' },
+  ];
+
+  test('pending migrations are those not yet recorded', () => {
+    const plan = planMigrations(available, [{ version: 1, name: 'baseline', checksum: 'a' }]);
+    expect(plan.pending.map(m => m.version)).toEqual([2, 3]);
+    expect(plan.mismatched).toEqual([]);
+    expect(plan.unknown).toEqual([]);
+  });
+
+  test('flags migrations edited after being applied', () => {
+    const plan = planMigrations(available, [
+      { version: 1, name: 'baseline', checksum: 'a' },
+      { version: 2, name: 'add_widgets', checksum: 'old' },
+    ]);
+    expect(plan.mismatched).toEqual([{ version: 2, name: 'add_widgets', expected: 'old', actual: 'b' }]);
+    expect(plan.pending.map(m => m.version)).toEqual([3]);
+  });
+
+  test('flags a database that is ahead of the code', () => {
+    const plan = planMigrations(available.slice(0, 1), [
+      { version: 1, name: 'baseline', checksum: 'a' },
+      { version: 2, name: 'add_widgets', checksum: 'b' },
+    ]);
+    expect(plan.unknown.map(m => m.version)).toEqual([2]);
+  });
+});
+
+describe('diffSchema', () => {
+  const expected = {
+    jobs: { id: 'TEXT', title: 'TEXT', pay_rate: 'REAL' },
+    clients: { id: 'TEXT', name: 'TEXT' },
+  };
+
+  test('no drift when the schema matches, even with extra columns', () => {
+    const diff = diffSchema(expected, {
+      jobs: { id: 'TEXT', title: 'TEXT', pay_rate: 'REAL', notes: 'TEXT' },
+      clients: { id: 'TEXT', name: 'TEXT' },
+    });
+    expect(hasDrift(diff)).toBe(false);
+  });
+
+  test('a table no migration created is drift', () => {
+    const diff = diffSchema(expected, { ...expected, chat_attachments: { id: 'INTEGER' } });
+    expect(hasDrift(diff)).toBe(true);
+    expect(diff.untracked_tables).toEqual(['chat_attachments']);
+  });
+
+  test('a table a pending migration creates is not untracked', () => {
+    const diff = diffSchema(expected, { ...expected, chat_attachments: { id: 'INTEGER' } }, ['chat_attachments']);
+    expect(hasDrift(diff)).toBe(false);
+  });
+
+  test('reports missing tables, missing columns and changed types', () => {
+    const diff = diffSchema(expected, { jobs: { id: 'TEXT', pay_rate: 'INTEGER' } });
+    expect(hasDrift(diff)).toBe(true);
+    expect(diff.missing_tables).toEqual(['clients']);
+    expect(diff.missing_columns).toEqual(['jobs.title']);
+    expect(diff.changed_columns).toEqual(['jobs.pay_rate (REAL -> INTEGER)']);
+  });
+});
+
+describe('status', () => {
+  let dir;
+  let db;
+
+  const write = (file, sql) => fs.writeFileSync(path.join(dir, file), `module.exports = { up: db => db.exec(\`${sql}\`) };\n`);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    db = new Database(':memory:');
+    write('0001_baseline.js', 'CREATE TABLE jobs (id TEXT)');
+    migrate(db, { dir });
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reports a table created outside the migrations as drift', () => {
+    db.exec('CREATE TABLE chat_attachments (id TEXT)');
+
+    const { drift } = status(db, { dir });
+    expect(drift.untracked_tables).toEqual(['chat_attachments']);
+    expect(hasDrift(drift)).toBe(true);
+  });
+
+  test('lets a pending migration adopt a table that already exists', () => {
+    db.exec('CREATE TABLE chat_attachments (id TEXT)');
+    write('0002_chat_attachments.js', 'CREATE TABLE IF NOT EXISTS chat_attachments (id TEXT)');
+
+    expect(hasDrift(status(db, { dir }).drift)).toBe(false);
+    migrate(db, { dir });
+    expect(status(db, { dir }).drift.untracked_tables).toEqual([]);
+  });
+});
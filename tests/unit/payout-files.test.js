@@ -0,0 +1,145 @@
+/**
+ * Unit Tests: Payout Files
+ *
+ * Tests bank lookup, grouping payments into transfers,
+ * and writing/reading the generic CSV and GIRO-style formats.
+ */
+
+const { lookupBank } = require('../../services/payouts/banks');
+const { buildTransfers, assignReferences, summariseByBank } = require('../../services/payouts/batching');
+const { getFormat, listFormats } = require('../../services/payouts/formats');
+
+const payment = (overrides) => ({
+  id: 'PAY1',
+  candidate_id: 'CND1',
+  candidate_name: 'Tan Mei Ling',
+  total_amount: 100,
+  bank_name: 'DBS',
+  bank_account: '001-234567-8',
+  ...overrides,
+});
+
+// ============================================
+// BANKS
+// ============================================
+
+describe('lookupBank', () => {
+  test('matches common spellings', () => {
+    expect(lookupBank('DBS Bank Ltd').code).toBe('7171');
+    expect(lookupBank('ocbc').code).toBe('7339');
+    expect(lookupBank('United Overseas Bank').code).toBe('7375');
+  });
+
+  test('returns null for unknown banks', () => {
+    expect(lookupBank('Bank of Nowhere')).toBeNull();
+    expect(lookupBank('')).toBeNull();
+  });
+});
+
+// ============================================
+// TRANSFERS
+// ============================================
+
+describe('buildTransfers', () => {
+  test('combines payments to the same account into one transfer', () => {
+    const { transfers } = buildTransfers([
+      payment({ id: 'PAY1', total_amount: 100.1 }),
+      payment({ id: 'PAY2', total_amount: 50.2 }),
+    ]);
+    expect(transfers).toHaveLength(1);
+    expect(transfers[0].amount).toBe(150.3);
+    expect(transfers[0].payment_ids).toEqual(['PAY1', 'PAY2']);
+    expect(transfers[0].account_number).toBe('0012345678');
+  });
+
+  test('skips payments without usable bank details', () => {
+    const { transfers, skipped } = buildTransfers([
+      payment({ id: 'PAY1', bank_name: null }),
+      payment({ id: 'PAY2', bank_account: 'abc' }),
+      payment({ id: 'PAY3', bank_name: 'Bank of Nowhere' }),
+      payment({ id: 'PAY4', total_amount: 0 }),
+    ]);
+    expect(transfers).toHaveLength(0);
+    expect(skipped.map(s => s.payment_id)).toEqual(['PAY1', 'PAY2', 'PAY3', 'PAY4']);
+  });
+
+  test('sorts transfers by bank and summarises per bank', () => {
+    const { transfers } = buildTransfers([
+      payment({ id: 'PAY1', candidate_id: 'CND1', bank_name: 'UOB', total_amount: 10 }),
+      payment({ id: 'PAY2', candidate_id: 'CND2', bank_name: 'DBS', total_amount: 20 }),
+      payment({ id: 'PAY3', candidate_id: 'CND3', bank_name: 'DBS', total_amount: 30 }),
+    ]);
+    expect(transfers.map(t => t.bank_name)).toEqual(['DBS Bank', 'DBS Bank', 'UOB']);
+    expect(summariseByBank(transfers)).toEqual([
+      { bank_name: 'DBS Bank', bank_code: '7171', count: 2, amount: 50 },
+      { bank_name: 'UOB', bank_code: '7375', count: 1, amount: 10 },
+    ]);
+  });
+
+  test('assigns references that fit 16 characters', () => {
+    const { transfers } = buildTransfers([payment()]);
+    const [transfer] = assignReferences(transfers, 'PBM1ABCDEF');
+    expect(transfer.reference).toBe('PBM1ABCDEF-0001');
+    expect(transfer.reference.length).toBeLessThanOrEqual(16);
+  });
+});
+
+// ============================================
+// FORMATS
+// ============================================
+
+describe('payout formats', () => {
+  const batch = { id: 'PBM1ABCDEF', value_date: '2025-03-14' };
+  const transfers = assignReferences(buildTransfers([
+    payment({ id: 'PAY1', candidate_id: 'CND1', candidate_name: 'Tan, "Mei" Ling', total_amount: 123.45 }),
+    payment({ id: 'PAY2', candidate_id: 'CND2', candidate_name: 'Ahmad', bank_name: 'OCBC', bank_account: '5012345670', total_amount: 80 }),
+  ]).transfers, batch.id);
+
+  test('lists registered formats', () => {
+    expect(listFormats().map(f => f.id)).toEqual(expect.arrayContaining(['generic-csv', 'sg-giro']));
+  });
+
+  test('generic CSV quotes names and parses result files', () => {
+    const format = getFormat('generic-csv');
+    const content = format.build({ batch, transfers });
+    expect(content).toContain('"Tan, ""Mei"" Ling"');
+    expect(content).toContain('123.45');
+
+    const results = format.parseResult(
+      'Reference,Status,Bank_Reference,Reason\r\n' +
+      `${transfers[0].reference},Success,FAST001,\r\n` +
+      `${transfers[1].reference},Rejected,,"Account closed, refer to payer"\r\n`
+    );
+    expect(results).toEqual([
+      { reference: transfers[0].reference, status: 'paid', bank_reference: 'FAST001', reason: null },
+      { reference: transfers[1].reference, status: 'failed', bank_reference: null, reason: 'Account closed, refer to payer' },
+    ]);
+  });
+
+  test('generic CSV rejects result files without required columns', () => {
+    expect(() => getFormat('generic-csv').parseResult('ref,outcome\nA,ok')).toThrow(/reference/);
+  });
+
+  test('GIRO file has fixed-width records and control totals', () => {
+    const lines = getFormat('sg-giro').build({ batch, transfers, originator: { bankCode: '7171', account: '0720012345', name: 'WorkLink' } })
+      .split('\r\n').filter(Boolean);
+
+    expect(lines).toHaveLength(4);
+    lines.forEach(line => expect(line).toHaveLength(120));
+    expect(lines[0].startsWith('HPBM1ABCDEF      20250314')).toBe(true);
+    expect(lines[1].slice(0, 8)).toBe('D7171001');
+    expect(lines[1]).toContain('00000012345');
+    expect(lines[3].slice(0, 21)).toBe('T00000020000000020345');
+  });
+
+  test('GIRO result records map return codes to paid/failed', () => {
+    const results = getFormat('sg-giro').parseResult([
+      'H ignored',
+      'R' + 'PBM1ABCDEF-0001'.padEnd(16) + '00' + 'BANKREF1'.padEnd(16),
+      'R' + 'PBM1ABCDEF-0002'.padEnd(16) + '05' + ''.padEnd(16) + 'ACCOUNT CLOSED',
+    ].join('\n'));
+
+    expect(results[0]).toEqual({ reference: 'PBM1ABCDEF-0001', status: 'paid', bank_reference: 'BANKREF1', reason: null });
+    expect(results[1]).toMatchObject({ reference: 'PBM1ABCDEF-0002', status: 'failed', reason: 'ACCOUNT CLOSED' });
+  });
+});
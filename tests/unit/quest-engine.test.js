@@ -0,0 +1,69 @@
+/**
+ * Unit Tests: Quest Engine
+ *
+ * Records events against an in-memory database: an event about the same
+ * thing advances quests once, however often it is raised.
+ */
+
+process.env.WORKLINK_DB_PATH = ':memory:';
+
+const { db } = require('../../db');
+const questEngine = require('../../services/quest-engine');
+
+let sequence = 0;
+
+db.prepare(`
+  INSERT INTO quests (id, title, type, requirement, xp_reward, active)
+  VALUES ('TQSQE', 'Finish three courses', 'special', ?, 100, 1)
+`).run(JSON.stringify({ event: 'training_completed', measure: 'count', target: 3 }));
+
+function createCandidate() {
+  const id = `TCNQE${++sequence}`;
+  db.prepare("INSERT INTO candidates (id, name, status) VALUES (?, ?, 'active')").run(id, `Worker ${id}`);
+  return id;
+}
+
+const progress = (candidateId) => db.prepare(`
+  SELECT progress FROM candidate_quests WHERE candidate_id = ? AND quest_id = 'TQSQE'
+`).get(candidateId).progress;
+const eventCount = (candidateId) => db.prepare(`
+  SELECT COUNT(*) as c FROM gamification_events WHERE candidate_id = ? AND event_type = 'training_completed'
+`).get(candidateId).c;
+
+describe('recordEvent', () => {
+  test('counts an event with the same source once', () => {
+    const candidateId = createCandidate();
+
+    const first = questEngine.recordEvent('training_completed', candidateId, { sourceId: 'TRN1', data: { score: 90 } });
+    const replay = questEngine.recordEvent('training_completed', candidateId, { sourceId: 'TRN1', data: { score: 90 } });
+
+    expect(first.duplicate).toBe(false);
+    expect(replay).toMatchObject({ duplicate: true, quests: [], achievements: [] });
+    expect(progress(candidateId)).toBe(1);
+    expect(eventCount(candidateId)).toBe(1);
+  });
+
+  test('counts events about different sources separately', () => {
+    const candidateId = createCandidate();
+
+    questEngine.recordEvent('training_completed', candidateId, { sourceId: 'TRN1' });
+    questEngine.recordEvent('training_completed', candidateId, { sourceId: 'TRN2' });
+
+    expect(progress(candidateId)).toBe(2);
+  });
+
+  test('keys the source per candidate', () => {
+    const a = createCandidate();
+    const b = createCandidate();
+
+    questEngine.recordEvent('training_completed', a, { sourceId: 'TRN1' });
+    const other = questEngine.recordEvent('training_completed', b, { sourceId: 'TRN1' });
+
+    expect(other.duplicate).toBe(false);
+    expect(progress(b)).toBe(1);
+  });
+
+  test('emit swallows unknown events instead of failing the caller', () => {
+    expect(questEngine.emit('not_an_event', createCandidate())).toBeNull();
+  });
+});
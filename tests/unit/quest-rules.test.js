@@ -0,0 +1,157 @@
+/**
+ * Unit Tests: Quest & Achievement Rules
+ *
+ * Tests rule validation, reading seeded shorthand requirements, achievement
+ * rules, condition matching, progress measures and quest reset periods.
+ */
+
+const {
+  normalizeRule,
+  parseRequirement,
+  achievementRule,
+  matches,
+  nextProgress,
+  periodKey,
+} = require('../../services/quest-engine/rules');
+
+// ============================================
+// VALIDATION
+// ============================================
+
+describe('normalizeRule', () => {
+  test('accepts a counted event with conditions', () => {
+    const { rule, error } = normalizeRule({
+      event: 'deployment_completed',
+      target: '3',
+      where: [{ field: 'is_weekend', op: 'eq', value: 'true' }, { field: 'hours_worked', op: 'gte', value: '4' }],
+    });
+    expect(error).toBeUndefined();
+    expect(rule).toEqual({
+      event: 'deployment_completed',
+      measure: 'count',
+      target: 3,
+      where: [{ field: 'is_weekend', op: 'eq', value: true }, { field: 'hours_worked', op: 'gte', value: 4 }],
+    });
+  });
+
+  test('rejects unknown events, measures and fields', () => {
+    expect(normalizeRule({ event: 'job_posted', target: 1 }).error).toMatch(/event must be one of/);
+    expect(normalizeRule({ event: 'app_open', measure: 'avg', target: 1 }).error).toMatch(/measure/);
+    expect(normalizeRule({ event: 'deployment_completed', measure: 'sum', field: 'is_weekend', target: 1 }).error)
+      .toMatch(/number field/);
+    expect(normalizeRule({ event: 'deployment_completed', target: 1, where: [{ field: 'tips', op: 'eq', value: 1 }] }).error)
+      .toMatch(/Unknown field/);
+  });
+
+  test('rejects bad targets, operators and comparison values', () => {
+    expect(normalizeRule({ event: 'app_open', target: 0 }).error).toMatch(/target/);
+    expect(normalizeRule({ event: 'app_open', target: 'x' }).error).toMatch(/target/);
+    expect(normalizeRule({ event: 'rating_received', target: 1, where: [{ field: 'rating', op: 'like', value: 5 }] }).error)
+      .toMatch(/op must be/);
+    expect(normalizeRule({ event: 'rating_received', target: 1, where: [{ field: 'rating', op: 'eq', value: 'five' }] }).error)
+      .toMatch(/compared with a number/);
+  });
+
+  test('limits the number of conditions', () => {
+    const where = Array.from({ length: 6 }, () => ({ field: 'rating', op: 'gte', value: 4 }));
+    expect(normalizeRule({ event: 'rating_received', target: 1, where }).error).toMatch(/at most 5/);
+  });
+});
+
+// ============================================
+// STORED REQUIREMENTS
+// ============================================
+
+describe('parseRequirement', () => {
+  test('maps seeded shorthand requirements onto rules', () => {
+    expect(parseRequirement('{"type":"app_open","count":1}')).toMatchObject({ event: 'app_open', measure: 'count', target: 1 });
+    expect(parseRequirement('{"type":"work_streak","days":3}'))
+      .toMatchObject({ event: 'streak_updated', measure: 'max', field: 'streak_days', target: 3 });
+    expect(parseRequirement('{"type":"weekly_earnings","amount":500}'))
+      .toMatchObject({ event: 'deployment_completed', measure: 'sum', field: 'earnings', target: 500 });
+    expect(parseRequirement('{"type":"weekend_shift","count":1}').where)
+      .toEqual([{ field: 'is_weekend', op: 'eq', value: true }]);
+  });
+
+  test('reads rules saved by the rule builder', () => {
+    const stored = JSON.stringify({ event: 'training_completed', measure: 'max', field: 'completed_count', target: 2, where: [] });
+    expect(parseRequirement(stored)).toMatchObject({ event: 'training_completed', field: 'completed_count', target: 2 });
+  });
+
+  test('returns null when no server event can complete the quest', () => {
+    expect(parseRequirement('{"type":"quick_apply","minutes":30}')).toBeNull();
+    expect(parseRequirement('not json')).toBeNull();
+    expect(parseRequirement(null)).toBeNull();
+  });
+});
+
+describe('achievementRule', () => {
+  test('measures achievements by the running total of their requirement type', () => {
+    expect(achievementRule({ requirement_type: 'referrals', requirement_value: 5 }))
+      .toEqual({ event: 'referral_converted', measure: 'max', field: 'total_referrals', target: 5, where: [] });
+    expect(achievementRule({ requirement_type: 'all_training', requirement_value: 1 }).field).toBe('all_completed');
+    expect(achievementRule({ requirement_type: 'job_categories', requirement_value: 3 })).toBeNull();
+  });
+});
+
+// ============================================
+// EVALUATION
+// ============================================
+
+describe('matches', () => {
+  const rule = parseRequirement(JSON.stringify({
+    event: 'deployment_completed',
+    target: 1,
+    where: [{ field: 'is_weekend', op: 'eq', value: true }, { field: 'rating', op: 'gte', value: 4 }],
+  }));
+
+  test('requires every condition', () => {
+    expect(matches(rule, { is_weekend: true, rating: 5 })).toBe(true);
+    expect(matches(rule, { is_weekend: false, rating: 5 })).toBe(false);
+    expect(matches(rule, { is_weekend: true, rating: 3 })).toBe(false);
+  });
+
+  test('treats missing fields as false or 0', () => {
+    expect(matches(rule, {})).toBe(false);
+    expect(matches({ where: [] }, {})).toBe(true);
+  });
+});
+
+describe('nextProgress', () => {
+  test('count adds one per event, capped at the target', () => {
+    const rule = { measure: 'count', target: 2 };
+    expect(nextProgress(rule, 0, {})).toBe(1);
+    expect(nextProgress(rule, 2, {})).toBe(2);
+  });
+
+  test('sum adds the field', () => {
+    const rule = { measure: 'sum', field: 'earnings', target: 500 };
+    expect(nextProgress(rule, 120.5, { earnings: 99.25 })).toBe(219.75);
+    expect(nextProgress(rule, 450, { earnings: 99 })).toBe(500);
+  });
+
+  test('max keeps the highest value, so a broken streak never undoes progress', () => {
+    const rule = { measure: 'max', field: 'streak_days', target: 3 };
+    expect(nextProgress(rule, 0, { streak_days: 2 })).toBe(2);
+    expect(nextProgress(rule, 2, { streak_days: 1 })).toBe(2);
+    expect(nextProgress({ measure: 'max', field: 'all_completed', target: 1 }, 0, { all_completed: true })).toBe(1);
+  });
+});
+
+describe('periodKey', () => {
+  test('daily quests reset at Singapore midnight', () => {
+    // 16:30 UTC is 00:30 the next day in Singapore
+    expect(periodKey('daily', new Date('2026-03-04T16:30:00Z'))).toBe('2026-03-05');
+    expect(periodKey('daily', new Date('2026-03-04T15:30:00Z'))).toBe('2026-03-04');
+  });
+
+  test('weekly quests reset on Monday', () => {
+    expect(periodKey('weekly', new Date('2026-03-04T04:00:00Z'))).toBe('2026-03-02'); // Wednesday
+    expect(periodKey('weekly', new Date('2026-03-08T04:00:00Z'))).toBe('2026-03-02'); // Sunday
+    expect(periodKey('weekly', new Date('2026-03-08T16:30:00Z'))).toBe('2026-03-09'); // Monday in Singapore
+  });
+
+  test('special quests never reset', () => {
+    expect(periodKey('special')).toBe('all');
+  });
+});
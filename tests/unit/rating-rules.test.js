@@ -0,0 +1,113 @@
+/**
+ * Unit Tests: Worker Rating Rules
+ *
+ * Tests rating aggregation and trend, the shrunk rating score, monthly
+ * history, and dispute and moderation checks.
+ */
+
+const {
+  RECENT_WINDOW,
+  DISPUTE_WINDOW_DAYS,
+  summarizeRatings,
+  ratingScore,
+  monthlyTrend,
+  validateDispute,
+  validateResolution,
+} = require('../../services/ratings/rules');
+
+// ============================================
+// AGGREGATES
+// ============================================
+
+describe('summarizeRatings', () => {
+  test('no ratings gives an empty summary', () => {
+    expect(summarizeRatings([])).toEqual({ rating: 0, rating_count: 0, recent_rating: null, trend: null });
+  });
+
+  test('averages valid ratings and ignores anything else', () => {
+    expect(summarizeRatings([5, 4, '4', null, 0, 4.5, 6])).toEqual({
+      rating: 4.33,
+      rating_count: 3,
+      recent_rating: 4.33,
+      trend: null,
+    });
+  });
+
+  test('compares the recent window with earlier ratings', () => {
+    const earlier = [3, 3, 3];
+    expect(RECENT_WINDOW).toBe(5);
+    expect(summarizeRatings([5, 5, 4, 5, 4, ...earlier]).trend).toBe('improving');
+    expect(summarizeRatings([2, 3, 2, 3, 2, ...earlier]).trend).toBe('declining');
+    expect(summarizeRatings([3, 3, 3, 3, 4, ...earlier]).trend).toBe('steady');
+  });
+});
+
+describe('ratingScore', () => {
+  test('a single rating is pulled towards the neutral prior', () => {
+    expect(ratingScore({ rating: 5, rating_count: 1 })).toBe(78);
+    expect(ratingScore({ rating: 1, rating_count: 1 })).toBe(57);
+  });
+
+  test('many ratings approach the plain average', () => {
+    expect(ratingScore({ rating: 5, rating_count: 97 })).toBe(99);
+    expect(ratingScore({ rating: 0, rating_count: 0 })).toBe(70);
+  });
+});
+
+describe('monthlyTrend', () => {
+  test('groups by month, oldest first', () => {
+    expect(monthlyTrend([
+      { rating: 5, rated_at: '2026-03-02 10:00:00' },
+      { rating: 4, rated_at: '2026-02-20' },
+      { rating: 2, rated_at: '2026-03-15 09:00:00' },
+      { rating: 3, rated_at: null },
+    ])).toEqual([
+      { month: '2026-02', average: 4, count: 1 },
+      { month: '2026-03', average: 3.5, count: 2 },
+    ]);
+  });
+});
+
+// ============================================
+// DISPUTES
+// ============================================
+
+const rated = { rating: 2, rated_at: '2026-03-15 01:00:00' };
+const now = new Date('2026-03-20T00:00:00Z');
+
+describe('validateDispute', () => {
+  test('accepts a trimmed reason within the window', () => {
+    expect(validateDispute(rated, ' Client mixed me up with another worker ', now)).toEqual({
+      reason: 'Client mixed me up with another worker',
+      error: null,
+      code: null,
+    });
+  });
+
+  test('needs a rating that has not been disputed yet', () => {
+    expect(validateDispute({ rating: null }, 'Unfair', now).code).toBe('NOT_RATED');
+    expect(validateDispute({ ...rated, dispute_id: 'RDP1' }, 'Unfair', now).code).toBe('ALREADY_DISPUTED');
+  });
+
+  test('closes after the dispute window', () => {
+    const late = new Date(Date.parse('2026-03-15T01:00:00Z') + (DISPUTE_WINDOW_DAYS * 24 + 1) * 60 * 60 * 1000);
+    expect(validateDispute(rated, 'Unfair', late).code).toBe('DISPUTE_WINDOW_CLOSED');
+  });
+
+  test('requires a reason of reasonable length', () => {
+    expect(validateDispute(rated, '   ', now).code).toBe('REASON_REQUIRED');
+    expect(validateDispute(rated, 'x'.repeat(1001), now).code).toBe('REASON_TOO_LONG');
+  });
+});
+
+describe('validateResolution', () => {
+  test('upholding needs no note', () => {
+    expect(validateResolution({ action: 'uphold' })).toEqual({ action: 'uphold', note: null, error: null });
+  });
+
+  test('removing needs a note and unknown actions are refused', () => {
+    expect(validateResolution({ action: 'remove', note: ' ' }).error).toBe('A note is required to remove a rating');
+    expect(validateResolution({ action: 'remove', note: 'Wrong worker' }).note).toBe('Wrong worker');
+    expect(validateResolution({ action: 'delete' }).error).toBe('action must be one of: uphold, remove');
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests: Reward Fulfilment Rules
+ *
+ * Tests purchase eligibility, stock with voucher pools, fulfilment state
+ * transitions and reading uploaded voucher codes.
+ */
+
+const {
+  checkEligibility,
+  remainingStock,
+  canTransition,
+  parseVoucherCodes,
+  maskCode,
+} = require('../../services/reward-fulfilment/rules');
+
+const candidate = { current_points: 5000, current_tier: 'silver' };
+const reward = {
+  id: 'RWD_CAP',
+  points_cost: 4000,
+  tier_required: 'silver',
+  stock: 10,
+  max_per_user: null,
+  fulfilment_type: 'manual',
+};
+
+// ============================================
+// ELIGIBILITY
+// ============================================
+
+describe('checkEligibility', () => {
+  test('allows a purchase that meets every requirement', () => {
+    expect(checkEligibility(candidate, reward)).toBeNull();
+  });
+
+  test('checks tier, points and stock', () => {
+    expect(checkEligibility({ ...candidate, current_tier: 'bronze' }, reward).code).toBe('TIER_REQUIRED');
+    expect(checkEligibility({ ...candidate, current_points: 3999 }, reward).code).toBe('INSUFFICIENT_POINTS');
+    expect(checkEligibility(candidate, { ...reward, stock: 0 }).code).toBe('OUT_OF_STOCK');
+  });
+
+  test('enforces the per-worker limit', () => {
+    const limited = { ...reward, max_per_user: 1 };
+    expect(checkEligibility(candidate, limited, { purchaseCount: 0 })).toBeNull();
+    expect(checkEligibility(candidate, limited, { purchaseCount: 1 })).toEqual({
+      error: 'Maximum 1 purchase(s) per user',
+      code: 'LIMIT_REACHED',
+    });
+  });
+
+  test('voucher rewards need a code in the pool', () => {
+    const voucher = { ...reward, stock: null, fulfilment_type: 'voucher' };
+    expect(checkEligibility(candidate, voucher, { availableCodes: 0 }).code).toBe('OUT_OF_STOCK');
+    expect(checkEligibility(candidate, voucher, { availableCodes: 3 })).toBeNull();
+  });
+});
+
+describe('remainingStock', () => {
+  test('null stock is unlimited for non-voucher rewards', () => {
+    expect(remainingStock({ ...reward, stock: null })).toBeNull();
+    expect(remainingStock(reward)).toBe(10);
+  });
+
+  test('voucher rewards are capped by the code pool', () => {
+    expect(remainingStock({ ...reward, fulfilment_type: 'voucher', stock: null }, 4)).toBe(4);
+    expect(remainingStock({ ...reward, fulfilment_type: 'voucher', stock: 2 }, 4)).toBe(2);
+  });
+});
+
+// ============================================
+// STATES
+// ============================================
+
+describe('canTransition', () => {
+  test('pending purchases can be fulfilled or refunded', () => {
+    expect(canTransition('pending', 'fulfilled')).toBe(true);
+    expect(canTransition('pending', 'refunded')).toBe(true);
+  });
+
+  test('fulfilled and refunded purchases are final', () => {
+    expect(canTransition('fulfilled', 'refunded')).toBe(false);
+    expect(canTransition('refunded', 'fulfilled')).toBe(false);
+    expect(canTransition('unknown', 'fulfilled')).toBe(false);
+  });
+});
+
+// ============================================
+// VOUCHER UPLOADS
+// ============================================
+
+describe('parseVoucherCodes', () => {
+  test('reads codes with optional expiry, skipping the header, blanks and repeats', () => {
+    const { codes, errors } = parseVoucherCodes('code,expires_at\nABC-123,2026-12-31\n\nXYZ-789\nABC-123,2026-12-31\n', {
+      defaultExpiry: '2026-06-30',
+    });
+    expect(errors).toEqual([]);
+    expect(codes).toEqual([
+      { code: 'ABC-123', expires_at: '2026-12-31' },
+      { code: 'XYZ-789', expires_at: '2026-06-30' },
+    ]);
+  });
+
+  test('accepts an array of lines', () => {
+    expect(parseVoucherCodes(['A1', 'B2']).codes.map(c => c.code)).toEqual(['A1', 'B2']);
+  });
+
+  test('reports bad lines and keeps the rest', () => {
+    const { codes, errors } = parseVoucherCodes(`GOOD\nBAD,31/12/2026\n${'X'.repeat(65)}`);
+    expect(codes).toEqual([{ code: 'GOOD', expires_at: null }]);
+    expect(errors).toEqual([
+      'Line 2: expiry "31/12/2026" is not a date (YYYY-MM-DD)',
+      'Line 3: code is longer than 64 characters',
+    ]);
+  });
+
+  test('rejects a bad default expiry', () => {
+    expect(parseVoucherCodes('A1', { defaultExpiry: 'soon' })).toEqual({
+      codes: [],
+      errors: ['expires_at must be a date (YYYY-MM-DD)'],
+    });
+  });
+});
+
+describe('maskCode', () => {
+  test('keeps only the last four characters', () => {
+    expect(maskCode('GRAB-1234-5678')).toBe('********5678');
+    expect(maskCode('ABC')).toBe('****');
+    expect(maskCode(null)).toBeNull();
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit Tests: Reward Fulfilment Service
+ *
+ * Runs purchases and refunds against an in-memory database: points, stock
+ * and voucher codes must move together or not at all.
+ */
+
+process.env.WORKLINK_DB_PATH = ':memory:';
+
+const { db } = require('../../db');
+const rewards = require('../../services/reward-fulfilment');
+
+let sequence = 0;
+
+function createCandidate(points = 500) {
+  const id = `TRF${++sequence}`;
+  db.prepare(`
+    INSERT INTO candidates (id, name, xp, lifetime_xp, current_points, current_tier)
+    VALUES (?, ?, 0, 0, ?, 'bronze')
+  `).run(id, `Reward Tester ${sequence}`, points);
+  return id;
+}
+
+function createReward({ type = 'manual', cost = 100, stock = null } = {}) {
+  const id = `TRW${++sequence}`;
+  db.prepare(`
+    INSERT INTO rewards (id, name, points_cost, stock, fulfilment_type, active)
+    VALUES (?, ?, ?, ?, ?, 1)
+  `).run(id, `Test reward ${sequence}`, cost, stock, type);
+  return id;
+}
+
+const points = (candidateId) => db.prepare('SELECT current_points FROM candidates WHERE id = ?').get(candidateId).current_points;
+const stock = (rewardId) => db.prepare('SELECT stock FROM rewards WHERE id = ?').get(rewardId).stock;
+const purchases = (candidateId) => db.prepare('SELECT * FROM reward_purchases WHERE candidate_id = ?').all(candidateId);
+const ledgerPoints = (candidateId) => db.prepare(`
+  SELECT COALESCE(SUM(amount), 0) as total FROM ledger_entries WHERE candidate_id = ? AND currency = 'points'
+`).get(candidateId).total;
+const codeStatuses = (rewardId) => db.prepare('SELECT code, status, purchase_id FROM reward_voucher_codes WHERE reward_id = ? ORDER BY code').all(rewardId);
+
+afterEach(() => {
+  db.exec('DROP TRIGGER IF EXISTS test_fail');
+});
+
+// ============================================
+// PURCHASE
+// ============================================
+
+describe('purchase', () => {
+  test('debits points through the ledger and takes one from stock', () => {
+    const candidateId = createCandidate(500);
+    const rewardId = createReward({ cost: 150, stock: 3 });
+
+    const result = rewards.purchase(candidateId, rewardId);
+
+    expect(result.purchase.status).toBe('pending');
+    expect(result.remaining_points).toBe(350);
+    expect(points(candidateId)).toBe(350);
+    expect(ledgerPoints(candidateId)).toBe(350);
+    expect(stock(rewardId)).toBe(2);
+  });
+
+  test('fulfils instant rewards straight away', () => {
+    const candidateId = createCandidate();
+    const rewardId = createReward({ type: 'instant' });
+
+    expect(rewards.purchase(candidateId, rewardId).purchase.status).toBe('fulfilled');
+    expect(rewards.hasReward(candidateId, rewardId)).toBe(true);
+  });
+
+  test('refuses when out of stock or short of points, changing nothing', () => {
+    const candidateId = createCandidate(50);
+    const soldOut = createReward({ cost: 10, stock: 0 });
+    const expensive = createReward({ cost: 100, stock: 5 });
+
+    expect(() => rewards.purchase(candidateId, soldOut)).toThrow(expect.objectContaining({ code: 'OUT_OF_STOCK' }));
+    expect(() => rewards.purchase(candidateId, expensive)).toThrow(expect.objectContaining({ code: 'INSUFFICIENT_POINTS' }));
+    expect(points(candidateId)).toBe(50);
+    expect(stock(expensive)).toBe(5);
+    expect(purchases(candidateId)).toEqual([]);
+  });
+
+  test('rolls back stock and the purchase when the ledger posting fails', () => {
+    const candidateId = createCandidate(500);
+    const rewardId = createReward({ cost: 100, stock: 2 });
+    db.exec(`
+      CREATE TRIGGER test_fail BEFORE INSERT ON ledger_entries
+      BEGIN SELECT RAISE(ABORT, 'ledger unavailable'); END
+    `);
+
+    expect(() => rewards.purchase(candidateId, rewardId)).toThrow('ledger unavailable');
+    expect(stock(rewardId)).toBe(2);
+    expect(points(candidateId)).toBe(500);
+    expect(purchases(candidateId)).toEqual([]);
+  });
+});
+
+// ============================================
+// VOUCHERS
+// ============================================
+
+describe('voucher rewards', () => {
+  test('assign the soonest-expiring code on purchase', () => {
+    const candidateId = createCandidate();
+    const rewardId = createReward({ type: 'voucher' });
+    rewards.uploadCodes(rewardId, { codes: ['LATE-1,2099-12-31', 'SOON-1,2098-01-01'] });
+
+    const { purchase } = rewards.purchase(candidateId, rewardId);
+
+    expect(purchase.status).toBe('fulfilled');
+    expect(codeStatuses(rewardId)).toEqual([
+      { code: 'LATE-1', status: 'available', purchase_id: null },
+      { code: 'SOON-1', status: 'assigned', purchase_id: purchase.id },
+    ]);
+  });
+
+  test('are out of stock once the pool is empty', () => {
+    const candidateId = createCandidate();
+    const rewardId = createReward({ type: 'voucher' });
+
+    expect(() => rewards.purchase(candidateId, rewardId)).toThrow(expect.objectContaining({ code: 'OUT_OF_STOCK' }));
+    expect(purchases(candidateId)).toEqual([]);
+  });
+
+  test('refund points and stock when the pool empties between payment and assignment', () => {
+    const candidateId = createCandidate(300);
+    const rewardId = createReward({ type: 'voucher', cost: 120, stock: 4 });
+    rewards.uploadCodes(rewardId, { codes: ['ONLY-1'] });
+    // Another purchase takes the last code as soon as this one is paid for
+    db.exec(`
+      CREATE TRIGGER test_fail AFTER INSERT ON reward_purchases
+      BEGIN UPDATE reward_voucher_codes SET status = 'void' WHERE reward_id = NEW.reward_id; END
+    `);
+
+    expect(() => rewards.purchase(candidateId, rewardId)).toThrow(expect.objectContaining({ status: 409, code: 'FULFILMENT_FAILED' }));
+
+    const [refunded] = purchases(candidateId);
+    expect(refunded).toMatchObject({ status: 'refunded', failure_reason: 'No voucher codes left', voucher_code_id: null });
+    expect(points(candidateId)).toBe(300);
+    expect(ledgerPoints(candidateId)).toBe(300);
+    expect(stock(rewardId)).toBe(4);
+  });
+});
+
+// ============================================
+// REFUNDS
+// ============================================
+
+describe('refund', () => {
+  test('returns points and stock for a queued purchase', () => {
+    const candidateId = createCandidate(200);
+    const rewardId = createReward({ cost: 80, stock: 1 });
+    const { purchase } = rewards.purchase(candidateId, rewardId);
+
+    const refunded = rewards.refund(purchase.id, { reason: 'Item discontinued', handledBy: 'admin@test' });
+
+    expect(refunded).toMatchObject({ status: 'refunded', failure_reason: 'Item discontinued', handled_by: 'admin@test' });
+    expect(points(candidateId)).toBe(200);
+    expect(ledgerPoints(candidateId)).toBe(200);
+    expect(stock(rewardId)).toBe(1);
+  });
+
+  test('does not count refunded purchases towards the per-user limit', () => {
+    const candidateId = createCandidate(200);
+    const rewardId = createReward({ cost: 50 });
+    db.prepare('UPDATE rewards SET max_per_user = 1 WHERE id = ?').run(rewardId);
+
+    const { purchase } = rewards.purchase(candidateId, rewardId);
+    expect(() => rewards.purchase(candidateId, rewardId)).toThrow(expect.objectContaining({ code: 'LIMIT_REACHED' }));
+    rewards.refund(purchase.id, { reason: 'Changed mind' });
+
+    expect(rewards.purchase(candidateId, rewardId).purchase.status).toBe('pending');
+  });
+
+  test('needs a reason and a pending purchase', () => {
+    const candidateId = createCandidate();
+    const rewardId = createReward({ type: 'instant' });
+    const { purchase } = rewards.purchase(candidateId, rewardId);
+
+    expect(() => rewards.refund(purchase.id, { reason: ' ' })).toThrow(expect.objectContaining({ code: 'REASON_REQUIRED' }));
+    expect(() => rewards.refund(purchase.id, { reason: 'Too late' })).toThrow(expect.objectContaining({ code: 'INVALID_TRANSITION' }));
+  });
+
+  test('leaves everything untouched when any step fails', () => {
+    const candidateId = createCandidate(200);
+    const rewardId = createReward({ cost: 60, stock: 2 });
+    const { purchase } = rewards.purchase(candidateId, rewardId);
+    db.exec(`
+      CREATE TRIGGER test_fail BEFORE UPDATE OF status ON reward_purchases
+      BEGIN SELECT RAISE(ABORT, 'write failed'); END
+    `);
+
+    expect(() => rewards.refund(purchase.id, { reason: 'Out of stock at supplier' })).toThrow('write failed');
+    expect(points(candidateId)).toBe(140);
+    expect(ledgerPoints(candidateId)).toBe(140);
+    expect(stock(rewardId)).toBe(1);
+    expect(purchases(candidateId)[0].status).toBe('pending');
+  });
+});
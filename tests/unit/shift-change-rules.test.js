@@ -0,0 +1,142 @@
+/**
+ * Unit Tests: Shift Change Rules
+ *
+ * Tests notice and late-drop detection, shift overlap (including overnight
+ * shifts), colleague eligibility for swaps, per-client approval policies
+ * and request validation.
+ */
+
+const {
+  LATE_NOTICE_HOURS,
+  shiftWindow,
+  shiftsOverlap,
+  noticeFor,
+  missingSkills,
+  checkColleague,
+  needsApproval,
+  validateRequest,
+} = require('../../services/shift-changes/rules');
+
+// Wednesday
+const job = {
+  job_date: '2026-10-21',
+  start_time: '09:00',
+  end_time: '17:00',
+  required_skills: '["Forklift"]',
+};
+
+const colleague = {
+  status: 'active',
+  skills: '["Forklift License", "Food Hygiene"]',
+  availability_mode: 'weekdays',
+};
+
+// ============================================
+// NOTICE
+// ============================================
+
+describe('shiftWindow / noticeFor', () => {
+  test('reads shift times as Singapore time', () => {
+    const window = shiftWindow(job);
+    expect(new Date(window.start).toISOString()).toBe('2026-10-21T01:00:00.000Z');
+    expect(new Date(window.end).toISOString()).toBe('2026-10-21T09:00:00.000Z');
+  });
+
+  test('overnight shifts end the next day', () => {
+    const window = shiftWindow({ job_date: '2026-10-21', start_time: '22:00', end_time: '06:00' });
+    expect(window.end - window.start).toBe(8 * 3600000);
+  });
+
+  test('flags changes inside the late-notice window', () => {
+    const start = shiftWindow(job).start;
+    const early = noticeFor(job, new Date(start - (LATE_NOTICE_HOURS + 1) * 3600000));
+    expect(early).toEqual({ hours_notice: LATE_NOTICE_HOURS + 1, is_late: false, started: false });
+
+    const late = noticeFor(job, new Date(start - 5.25 * 3600000));
+    expect(late).toEqual({ hours_notice: 5.3, is_late: true, started: false });
+  });
+
+  test('a shift that has started cannot be changed', () => {
+    const start = shiftWindow(job).start;
+    expect(noticeFor(job, new Date(start + 60000)).started).toBe(true);
+  });
+});
+
+describe('shiftsOverlap', () => {
+  test('detects overlapping and back-to-back shifts', () => {
+    expect(shiftsOverlap(job, { job_date: '2026-10-21', start_time: '16:00', end_time: '20:00' })).toBe(true);
+    expect(shiftsOverlap(job, { job_date: '2026-10-21', start_time: '17:00', end_time: '20:00' })).toBe(false);
+    expect(shiftsOverlap(job, { job_date: '2026-10-22', start_time: '09:00', end_time: '17:00' })).toBe(false);
+  });
+
+  test('an overnight shift overlaps an early start the next morning', () => {
+    const night = { job_date: '2026-10-20', start_time: '22:00', end_time: '10:00' };
+    expect(shiftsOverlap(night, job)).toBe(true);
+  });
+});
+
+// ============================================
+// COLLEAGUE ELIGIBILITY
+// ============================================
+
+describe('missingSkills', () => {
+  test('matches skill names loosely and case-insensitively', () => {
+    expect(missingSkills(['forklift'], ['Forklift License'])).toEqual([]);
+    expect(missingSkills(['Forklift', 'First Aid'], ['forklift'])).toEqual(['First Aid']);
+  });
+});
+
+describe('checkColleague', () => {
+  test('accepts an active, free, qualified colleague', () => {
+    expect(checkColleague({ job, colleague })).toEqual({ eligible: true, code: null, reason: null });
+  });
+
+  test('accepts a colleague whose usual availability does not cover the day', () => {
+    const weekendsOnly = { ...colleague, availability_mode: 'weekends' };
+    expect(checkColleague({ job, colleague: weekendsOnly }).eligible).toBe(true);
+  });
+
+  test('refuses colleagues who cannot take the shift', () => {
+    const code = (context) => checkColleague({ job, colleague, ...context }).code;
+    expect(code({ colleague: { ...colleague, status: 'suspended' } })).toBe('COLLEAGUE_INACTIVE');
+    expect(code({ availability: { status: 'unavailable' } })).toBe('COLLEAGUE_UNAVAILABLE');
+    expect(code({ availability: { status: 'available', start_time: '12:00', end_time: '18:00' } }))
+      .toBe('COLLEAGUE_PARTIALLY_AVAILABLE');
+    expect(code({ colleague: { ...colleague, skills: ['Food Hygiene'] } })).toBe('COLLEAGUE_MISSING_SKILLS');
+    expect(code({ otherShifts: [{ job_date: '2026-10-21', start_time: '13:00', end_time: '22:00' }] }))
+      .toBe('COLLEAGUE_OVERLAPPING_SHIFT');
+  });
+
+  test('names the missing skills', () => {
+    const result = checkColleague({ job: { ...job, required_skills: ['Forklift', 'Crane'] }, colleague });
+    expect(result.reason).toBe('This colleague does not have: Crane');
+  });
+});
+
+// ============================================
+// APPROVAL AND VALIDATION
+// ============================================
+
+describe('needsApproval', () => {
+  test('follows the client policy', () => {
+    expect(needsApproval('none', 'swap')).toBe(false);
+    expect(needsApproval('none', 'release')).toBe(false);
+    expect(needsApproval('release', 'swap')).toBe(false);
+    expect(needsApproval('release', 'release')).toBe(true);
+    expect(needsApproval('all', 'swap')).toBe(true);
+  });
+});
+
+describe('validateRequest', () => {
+  test('normalizes a release and drops any target', () => {
+    const { request, error } = validateRequest({ type: 'release', target_candidate_id: 'CND009', reason: '  Sick  ' });
+    expect(error).toBeNull();
+    expect(request).toEqual({ type: 'release', target_candidate_id: null, reason: 'Sick' });
+  });
+
+  test('refuses unknown types, swaps without a colleague and long reasons', () => {
+    expect(validateRequest({ type: 'drop' }).error).toBe('type must be one of: swap, release');
+    expect(validateRequest({ type: 'swap' }).error).toBe('Choose a colleague to swap with');
+    expect(validateRequest({ type: 'release', reason: 'x'.repeat(501) }).error).toMatch(/500 characters/);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit Tests: Shift Change Service
+ *
+ * Runs swaps and releases against an in-memory database: the shift moves
+ * or goes back to backfill as a whole, or not at all.
+ */
+
+process.env.WORKLINK_DB_PATH = ':memory:';
+
+const { db } = require('../../db');
+const shiftChanges = require('../../services/shift-changes');
+
+let sequence = 0;
+
+function createClient(policy) {
+  const id = `TCLSC${++sequence}`;
+  db.prepare('INSERT INTO clients (id, company_name, shift_change_approval) VALUES (?, ?, ?)').run(id, `Client ${id}`, policy);
+  return id;
+}
+
+function createCandidate() {
+  const id = `TCNSC${++sequence}`;
+  db.prepare("INSERT INTO candidates (id, name, status) VALUES (?, ?, 'active')").run(id, `Worker ${id}`);
+  return id;
+}
+
+function createShift(clientId, { date = '2099-03-02', start = '09:00', end = '17:00' } = {}) {
+  const key = ++sequence;
+  const jobId = `TJBSC${key}`;
+  db.prepare(`
+    INSERT INTO jobs (id, client_id, title, location, job_date, start_time, end_time, charge_rate, pay_rate, total_slots, filled_slots, status)
+    VALUES (?, ?, 'Warehouse', 'Tuas', ?, ?, ?, 20, 14, 1, 1, 'filled')
+  `).run(jobId, clientId, date, start, end);
+  return jobId;
+}
+
+function deploy(jobId, candidateId) {
+  const id = `TDPSC${++sequence}`;
+  db.prepare("INSERT INTO deployments (id, job_id, candidate_id, status) VALUES (?, ?, ?, 'confirmed')").run(id, jobId, candidateId);
+  return id;
+}
+
+const deployment = (id) => db.prepare('SELECT candidate_id, status FROM deployments WHERE id = ?').get(id);
+const filledSlots = (jobId) => db.prepare('SELECT filled_slots FROM jobs WHERE id = ?').get(jobId).filled_slots;
+
+describe('swap', () => {
+  test('lists colleagues even when the job has a slot without a worker', () => {
+    const jobId = createShift(createClient('none'));
+    const worker = createCandidate();
+    const colleague = createCandidate();
+    const deploymentId = deploy(jobId, worker);
+    db.prepare("INSERT INTO deployments (id, job_id, candidate_id, status) VALUES (?, ?, NULL, 'assigned')").run(`TDPSC${++sequence}`, jobId);
+
+    expect(shiftChanges.listColleagues(worker, deploymentId).map(c => c.id)).toContain(colleague);
+  });
+
+  test('hands the shift to the colleague once they accept', async () => {
+    const jobId = createShift(createClient('none'));
+    const worker = createCandidate();
+    const colleague = createCandidate();
+    const deploymentId = deploy(jobId, worker);
+
+    const request = await shiftChanges.createRequest(worker, { deployment_id: deploymentId, type: 'swap', target_candidate_id: colleague });
+    expect(request.status).toBe('awaiting_colleague');
+
+    const completed = await shiftChanges.respondToSwap(colleague, request.id, true);
+
+    expect(completed.status).toBe('completed');
+    expect(deployment(deploymentId).status).toBe('cancelled');
+    expect(deployment(completed.new_deployment_id)).toEqual({ candidate_id: colleague, status: 'confirmed' });
+    expect(filledSlots(jobId)).toBe(1);
+  });
+
+  test('changes nothing when the colleague took an overlapping shift in the meantime', async () => {
+    const clientId = createClient('none');
+    const jobId = createShift(clientId);
+    const worker = createCandidate();
+    const colleague = createCandidate();
+    const deploymentId = deploy(jobId, worker);
+    const request = await shiftChanges.createRequest(worker, { deployment_id: deploymentId, type: 'swap', target_candidate_id: colleague });
+
+    deploy(createShift(clientId, { start: '12:00', end: '20:00' }), colleague);
+
+    await expect(shiftChanges.respondToSwap(colleague, request.id, true))
+      .rejects.toMatchObject({ code: 'COLLEAGUE_OVERLAPPING_SHIFT' });
+    expect(deployment(deploymentId)).toEqual({ candidate_id: worker, status: 'confirmed' });
+    expect(db.prepare('SELECT status FROM shift_change_requests WHERE id = ?').get(request.id).status).toBe('awaiting_colleague');
+  });
+
+  test('waits for an admin when the client approves all changes', async () => {
+    const jobId = createShift(createClient('all'));
+    const worker = createCandidate();
+    const colleague = createCandidate();
+    const deploymentId = deploy(jobId, worker);
+    const request = await shiftChanges.createRequest(worker, { deployment_id: deploymentId, type: 'swap', target_candidate_id: colleague });
+
+    const pending = await shiftChanges.respondToSwap(colleague, request.id, true);
+    expect(pending.status).toBe('awaiting_approval');
+    expect(deployment(deploymentId).status).toBe('confirmed');
+
+    const approved = await shiftChanges.reviewRequest(request.id, { action: 'approve' }, { id: 'ADM1' });
+    expect(deployment(approved.new_deployment_id).candidate_id).toBe(colleague);
+  });
+});
+
+describe('release', () => {
+  test('cancels the deployment, frees the slot and opens a backfill request', async () => {
+    const jobId = createShift(createClient('release'));
+    const worker = createCandidate();
+    const deploymentId = deploy(jobId, worker);
+
+    const request = await shiftChanges.createRequest(worker, { deployment_id: deploymentId, type: 'release', reason: 'Exam' });
+    expect(request.status).toBe('awaiting_approval');
+
+    const released = await shiftChanges.reviewRequest(request.id, { action: 'approve' }, { id: 'ADM1' });
+
+    expect(released.status).toBe('completed');
+    expect(deployment(deploymentId).status).toBe('cancelled');
+    expect(filledSlots(jobId)).toBe(0);
+    expect(db.prepare('SELECT vacated_deployment_id FROM backfill_requests WHERE id = ?').get(released.backfill_request_id))
+      .toEqual({ vacated_deployment_id: deploymentId });
+  });
+
+  test('refuses once the deployment can no longer be changed', async () => {
+    const jobId = createShift(createClient('release'));
+    const worker = createCandidate();
+    const deploymentId = deploy(jobId, worker);
+    const request = await shiftChanges.createRequest(worker, { deployment_id: deploymentId, type: 'release' });
+
+    db.prepare("UPDATE deployments SET status = 'in_progress' WHERE id = ?").run(deploymentId);
+
+    await expect(shiftChanges.reviewRequest(request.id, { action: 'approve' }, { id: 'ADM1' }))
+      .rejects.toMatchObject({ code: 'DEPLOYMENT_NOT_CHANGEABLE' });
+    expect(deployment(deploymentId).status).toBe('in_progress');
+    expect(filledSlots(jobId)).toBe(1);
+  });
+});
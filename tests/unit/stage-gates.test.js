@@ -0,0 +1,155 @@
+/**
+ * Unit Tests: Stage Gates
+ *
+ * Tests which gates a move must pass, approver decision tallying, gate
+ * evaluation and rule validation.
+ */
+
+const {
+  nextStage,
+  gatesBetween,
+  summariseDecisions,
+  evaluateGate,
+  normalizeRule,
+} = require('../../services/stage-gates/rules');
+
+const approvalGate = { stage: 'internal_approval', name: 'Ready for approval', require_pricing_scenario: true, require_compliance: true, required_approvals: 0, approvers: [] };
+const signOffGate = { stage: 'submitted', name: 'Bid sign-off', min_margin_pct: 10, required_approvals: 2, approvers: [] };
+const gates = [approvalGate, signOffGate];
+
+const facts = (overrides = {}) => ({
+  scenario_count: 1,
+  compliance: { total: 3, ready: true, blockers: [] },
+  margin_pct: 12,
+  history: [],
+  ...overrides,
+});
+
+const entry = (action, actor) => ({ action, actor });
+
+// ============================================
+// MOVES
+// ============================================
+
+describe('gatesBetween', () => {
+  test('gates a single forward step', () => {
+    expect(gatesBetween('bidding', 'internal_approval', gates)).toEqual([approvalGate]);
+    expect(gatesBetween('internal_approval', 'submitted', gates)).toEqual([signOffGate]);
+  });
+
+  test('checks every gate when skipping stages', () => {
+    expect(gatesBetween('review', 'awarded', gates)).toEqual([approvalGate, signOffGate]);
+  });
+
+  test('never gates backward moves, Lost or unknown stages', () => {
+    expect(gatesBetween('submitted', 'bidding', gates)).toEqual([]);
+    expect(gatesBetween('bidding', 'lost', gates)).toEqual([]);
+    expect(gatesBetween('lost', 'submitted', gates)).toEqual([]);
+    expect(gatesBetween('bidding', 'bidding', gates)).toEqual([]);
+  });
+
+  test('finds the next stage in the pipeline', () => {
+    expect(nextStage('bidding')).toBe('internal_approval');
+    expect(nextStage('awarded')).toBeNull();
+    expect(nextStage('lost')).toBeNull();
+  });
+});
+
+// ============================================
+// DECISIONS
+// ============================================
+
+describe('summariseDecisions', () => {
+  test("uses each approver's latest decision", () => {
+    const history = [
+      entry('approved', 'amy@worklink.sg'),
+      entry('rejected', 'ben@worklink.sg'),
+      entry('comment', 'ben@worklink.sg'),
+      entry('approved', 'BEN@worklink.sg'),
+      entry('rejected', 'amy@worklink.sg'),
+    ];
+    const summary = summariseDecisions(history);
+    expect(summary.approved_by).toEqual(['BEN@worklink.sg']);
+    expect(summary.rejected_by).toEqual(['amy@worklink.sg']);
+  });
+
+  test('ignores people who are not named approvers', () => {
+    const history = [entry('approved', 'amy@worklink.sg'), entry('approved', 'intern@worklink.sg')];
+    const summary = summariseDecisions(history, ['amy@worklink.sg', 'dan@worklink.sg']);
+    expect(summary.approved_by).toEqual(['amy@worklink.sg']);
+    expect(summary.awaiting).toEqual(['dan@worklink.sg']);
+  });
+});
+
+// ============================================
+// EVALUATION
+// ============================================
+
+describe('evaluateGate', () => {
+  test('passes when every check is met', () => {
+    const result = evaluateGate(approvalGate, facts());
+    expect(result.passed).toBe(true);
+    expect(result.checks.map(c => c.key)).toEqual(['pricing_scenario', 'compliance']);
+  });
+
+  test('requires a saved pricing scenario', () => {
+    const result = evaluateGate(approvalGate, facts({ scenario_count: 0 }));
+    expect(result.passed).toBe(false);
+    expect(result.checks[0]).toMatchObject({ passed: false, detail: 'No pricing scenario saved' });
+  });
+
+  test('holds back an incomplete compliance matrix', () => {
+    const compliance = { total: 5, ready: false, blockers: ['2 requirement(s) not assessed'] };
+    const result = evaluateGate(approvalGate, facts({ compliance }));
+    expect(result.checks[1]).toMatchObject({ passed: false, detail: '2 requirement(s) not assessed' });
+  });
+
+  test('holds back a tender without a compliance matrix', () => {
+    for (const compliance of [null, { total: 0, ready: false, blockers: [] }]) {
+      const result = evaluateGate(approvalGate, facts({ compliance }));
+      expect(result.passed).toBe(false);
+      expect(result.checks[1]).toMatchObject({ passed: false, detail: 'No compliance matrix' });
+    }
+  });
+
+  test('needs the margin threshold and enough approvals', () => {
+    const history = [entry('approved', 'amy@worklink.sg')];
+    const result = evaluateGate(signOffGate, facts({ margin_pct: 8, history }));
+    expect(result.passed).toBe(false);
+    expect(result.checks.map(c => c.detail)).toEqual(['Margin is 8%', '1 of 2 approval(s)']);
+
+    history.push(entry('approved', 'ben@worklink.sg'));
+    expect(evaluateGate(signOffGate, facts({ margin_pct: 10, history })).passed).toBe(true);
+  });
+
+  test('treats an unpriced tender as below the margin threshold', () => {
+    const result = evaluateGate(signOffGate, facts({ margin_pct: null }));
+    expect(result.checks[0].detail).toMatch(/No margin recorded/);
+  });
+
+  test('blocks on any rejection, however many approvals there are', () => {
+    const history = [entry('approved', 'amy@worklink.sg'), entry('approved', 'ben@worklink.sg'), entry('rejected', 'cal@worklink.sg')];
+    const result = evaluateGate(signOffGate, facts({ history }));
+    expect(result.passed).toBe(false);
+    expect(result.checks[1].detail).toBe('Rejected by cal@worklink.sg');
+    expect(result.approvals.approved_by).toHaveLength(2);
+  });
+});
+
+// ============================================
+// RULES
+// ============================================
+
+describe('normalizeRule', () => {
+  test('normalises approvers and numbers', () => {
+    const { rule } = normalizeRule({ required_approvals: '2', approvers: [' Amy@WorkLink.sg ', 'amy@worklink.sg', 'ben@worklink.sg', ''], min_margin_pct: '12.5' });
+    expect(rule).toMatchObject({ required_approvals: 2, approvers: ['amy@worklink.sg', 'ben@worklink.sg'], min_margin_pct: 12.5, is_active: true });
+    expect(normalizeRule({ min_margin_pct: '' }).rule.min_margin_pct).toBeNull();
+  });
+
+  test('rejects impossible rules', () => {
+    expect(normalizeRule({ required_approvals: 3, approvers: ['amy@worklink.sg'] }).error).toMatch(/cannot exceed/);
+    expect(normalizeRule({ required_approvals: 1.5 }).error).toMatch(/whole number/);
+    expect(normalizeRule({ min_margin_pct: 100 }).error).toMatch(/between 0 and 100/);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit Tests: Tender Documents
+ *
+ * Tests ZIP round-trips, DOCX/PDF text extraction, requirement splitting
+ * and compliance matrix exports.
+ */
+
+const zlib = require('zlib');
+const { crc32, readZip, writeZip } = require('../../services/tender-documents/zip');
+const { detectType, extractText } = require('../../services/tender-documents/extract');
+const { splitRequirements } = require('../../services/tender-documents/requirements');
+const { buildXlsx, buildDocx } = require('../../services/tender-documents/export');
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+function docx(paragraphs, numbering) {
+  const files = [
+    { name: '[Content_Types].xml', data: '<Types/>' },
+    { name: 'word/document.xml', data: `<w:document ${W}><w:body>${paragraphs.join('')}</w:body></w:document>` },
+  ];
+  if (numbering) files.push({ name: 'word/numbering.xml', data: `<w:numbering ${W}>${numbering}</w:numbering>` });
+  return writeZip(files);
+}
+
+function para(text, level) {
+  const numPr = level === undefined ? '' : `<w:pPr><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="1"/></w:numPr></w:pPr>`;
+  return `<w:p>${numPr}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+}
+
+function pdf(content) {
+  const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+  return Buffer.concat([
+    Buffer.from(`%PDF-1.4\n4 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+    stream,
+    Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1'),
+  ]);
+}
+
+// ============================================
+// ZIP
+// ============================================
+
+describe('zip', () => {
+  test('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('reads back what it writes', () => {
+    const archive = writeZip([{ name: 'a.txt', data: 'hello' }, { name: 'dir/b.xml', data: '<x>ünïcode</x>' }]);
+    const entries = readZip(archive);
+    expect([...entries.keys()]).toEqual(['a.txt', 'dir/b.xml']);
+    expect(entries.get('dir/b.xml')().toString('utf8')).toBe('<x>ünïcode</x>');
+  });
+
+  test('rejects non-zip data', () => {
+    expect(() => readZip(Buffer.from('not a zip file at all, definitely not'))).toThrow('Not a valid ZIP archive');
+  });
+});
+
+// ============================================
+// EXTRACTION
+// ============================================
+
+describe('detectType', () => {
+  test('recognises PDF, DOCX and plain text', () => {
+    expect(detectType(pdf('BT ET'))).toBe('pdf');
+    expect(detectType(docx([para('x')]))).toBe('docx');
+    expect(detectType(writeZip([{ name: 'xl/workbook.xml', data: '' }]))).toBeNull();
+    expect(detectType(Buffer.from('Plain spec'), 'spec.txt')).toBe('txt');
+    expect(detectType(Buffer.from('Plain spec'), 'spec.rtf')).toBeNull();
+  });
+});
+
+describe('extractText', () => {
+  test('rebuilds Word list numbering for DOCX paragraphs', () => {
+    const numbering = `
+      <w:abstractNum w:abstractNumId="0">
+        <w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1."/></w:lvl>
+        <w:lvl w:ilvl="1"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1.%2"/></w:lvl>
+        <w:lvl w:ilvl="2"><w:start w:val="1"/><w:numFmt w:val="lowerLetter"/><w:lvlText w:val="(%3)"/></w:lvl>
+      </w:abstractNum>
+      <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>`;
+    const file = docx([
+      para('SCOPE OF SERVICES', 0),
+      para('The Contractor shall supply 20 crew &amp; 2 supervisors.', 1),
+      para('Crew shall wear uniforms.', 2),
+      para('Crew shall carry ID.', 2),
+      para('The Contractor must submit rosters weekly.', 1),
+      para('MANPOWER', 0),
+      para('Supervisors shall hold WSQ certification.', 1),
+    ], numbering);
+
+    const result = extractText(file, 'spec.docx');
+    expect(result).toMatchObject({ type: 'docx', status: 'extracted' });
+    expect(result.text.split('\n')).toEqual([
+      '1. SCOPE OF SERVICES',
+      '1.1 The Contractor shall supply 20 crew & 2 supervisors.',
+      '(a) Crew shall wear uniforms.',
+      '(b) Crew shall carry ID.',
+      '1.2 The Contractor must submit rosters weekly.',
+      '2. MANPOWER',
+      '2.1 Supervisors shall hold WSQ certification.',
+    ]);
+  });
+
+  test('reads text operators from compressed PDF content streams', () => {
+    const file = pdf([
+      'BT /F1 11 Tf 50 800 Td (1 SCOPE OF SERVICES) Tj 0 -14 Td',
+      '(1.1 The Contractor shall provide cleaning services \\(daily\\).) Tj',
+      '0 -14 Td [(1.2 Staff must be ) -300 (trained.)] TJ ET',
+    ].join('\n'));
+
+    const result = extractText(file, 'spec.pdf');
+    expect(result.status).toBe('extracted');
+    expect(result.text.split('\n')).toEqual([
+      '1 SCOPE OF SERVICES',
+      '1.1 The Contractor shall provide cleaning services (daily).',
+      '1.2 Staff must be trained.',
+    ]);
+  });
+
+  test('reports PDFs without readable text', () => {
+    const result = extractText(pdf('q 100 0 0 100 0 0 cm /Im1 Do Q'), 'scan.pdf');
+    expect(result.status).toBe('empty');
+    expect(result.error).toMatch(/scanned/);
+  });
+
+  test('rejects unsupported files', () => {
+    expect(extractText(Buffer.from([0x89, 0x50, 0x4e, 0x47]), 'photo.png').status).toBe('unsupported');
+  });
+});
+
+// ============================================
+// REQUIREMENTS
+// ============================================
+
+describe('splitRequirements', () => {
+  const text = [
+    'TENDER SPECIFICATIONS',
+    'Page 1 of 3',
+    '1 INTRODUCTION',
+    '1.1 The Authority invites quotations for event manpower.',
+    '2 SCOPE OF SERVICES',
+    '2.1 The Contractor shall provide 20 event crew per event day,',
+    'including setup and teardown, within',
+    '30 days of award.',
+    '2.2 The Contractor must ensure all staff hold valid work passes.',
+    '(a) Staff shall wear uniforms.',
+    '(b) Staff should report 30 minutes early.',
+    '2.3 Background information on the venue.',
+  ].join('\n');
+
+  test('splits numbered obligations and skips headings and background', () => {
+    const refs = splitRequirements(text).map(r => r.ref);
+    expect(refs).toEqual(['2.1', '2.2', '2.2(a)', '2.2(b)']);
+  });
+
+  test('joins wrapped lines, including ones that start with a number', () => {
+    expect(splitRequirements(text)[0]).toMatchObject({
+      section: '2 SCOPE OF SERVICES',
+      requirement: 'The Contractor shall provide 20 event crew per event day, including setup and teardown, within 30 days of award.',
+    });
+  });
+
+  test('flags mandatory wording', () => {
+    const [, mustEnsure, , shouldReport] = splitRequirements(text);
+    expect(mustEnsure.is_mandatory).toBe(true);
+    expect(shouldReport.is_mandatory).toBe(false);
+  });
+
+  test('keeps every numbered clause when none use requirement wording', () => {
+    expect(splitRequirements('1. Cleaning of toilets twice a day.\n2. Sweeping of corridors.')).toHaveLength(2);
+    expect(splitRequirements('')).toEqual([]);
+  });
+});
+
+// ============================================
+// EXPORT
+// ============================================
+
+describe('compliance matrix export', () => {
+  const tender = { tender_no: 'MOE000ETT25000123', title: 'Event Manpower <Term>', agency: 'MOE' };
+  const items = [
+    { ref: '2.1', section: 'Scope', requirement: 'Provide 20 crew & 2 supervisors', is_mandatory: true, status: 'complied', response: 'Yes', owner: 'Ops' },
+    { ref: '2.2', section: 'Scope', requirement: 'Uniforms', is_mandatory: false, status: 'partial', response: 'Own T-shirts', owner: null },
+  ];
+
+  test('writes an XLSX workbook with a header row and escaped cells', () => {
+    const entries = readZip(buildXlsx(tender, items));
+    expect(entries.has('xl/workbook.xml')).toBe(true);
+    const sheet = entries.get('xl/worksheets/sheet1.xml')().toString('utf8');
+    expect(sheet).toContain('Event Manpower &lt;Term&gt;');
+    expect(sheet).toContain('Provide 20 crew &amp; 2 supervisors');
+    expect(sheet).toContain('Partially complied');
+    expect(sheet).toContain('<autoFilter ref="A4:G6"/>');
+  });
+
+  test('writes a DOCX table that the extractor can read back', () => {
+    const readiness = { total: 2, complied: 1, partial: 1, not_complied: 0, pending: 0 };
+    const file = buildDocx(tender, items, readiness);
+    const { text } = extractText(file, 'matrix.docx');
+    expect(text).toContain('Compliance Matrix');
+    expect(text).toContain('2 requirements: 1 complied, 1 partially complied, 0 not complied, 0 not assessed');
+    expect(text).toContain('Own T-shirts');
+  });
+});
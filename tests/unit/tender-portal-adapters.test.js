@@ -0,0 +1,281 @@
+/**
+ * Unit Tests: Tender Portal Adapters
+ *
+ * Runs every portal adapter against its saved listing page in
+ * tests/fixtures/portals, and tests the shared record checks, date parsing,
+ * cross-portal de-duplication and run health.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { getAdapter, hasAdapter, listAdapters } = require('../../services/scraping/portals');
+const {
+  parseDate,
+  findGebizCodes,
+  readTable,
+  normaliseRecord,
+  dedupeRecords,
+  evaluateHealth,
+} = require('../../services/scraping/portals/common');
+
+function fixture(portalKey) {
+  return fs.readFileSync(path.join(__dirname, '../fixtures/portals', `${portalKey}.html`), 'utf8');
+}
+
+// parse -> normalise -> normaliseRecord, as the runner does
+function scrape(portalKey) {
+  const adapter = getAdapter(portalKey);
+  const results = { records: [], skipped: 0, errors: [] };
+  for (const item of adapter.parse(fixture(portalKey))) {
+    const candidate = adapter.normalise(item);
+    if (!candidate) {
+      results.skipped++;
+      continue;
+    }
+    const { record, error } = normaliseRecord(portalKey, candidate);
+    if (record) results.records.push(record);
+    else results.errors.push(error);
+  }
+  return results;
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+describe('adapter registry', () => {
+  test('every registered adapter has a fixture', () => {
+    for (const { key } of listAdapters()) {
+      expect(fs.existsSync(path.join(__dirname, '../fixtures/portals', `${key}.html`))).toBe(true);
+    }
+  });
+
+  test('login-only portals have no adapter', () => {
+    expect(hasAdapter('gebiz')).toBe(true);
+    expect(hasAdapter('mbs_supplier')).toBe(false);
+    expect(hasAdapter('procurehere')).toBe(false);
+    expect(getAdapter('procurehere')).toBeNull();
+  });
+});
+
+// ============================================
+// ADAPTERS
+// ============================================
+
+describe('gebiz adapter', () => {
+  test('reads each opportunity once with agency and dates', () => {
+    const { records, skipped, errors } = scrape('gebiz');
+    expect(records.map(r => r.tender_no)).toEqual(['MOH000ETT26000045', 'NEA000ETQ26000112', 'DEFNGPP1ETT26000301']);
+    expect(skipped).toBe(0);
+    expect(errors).toEqual([]);
+
+    expect(records[0]).toMatchObject({
+      title: 'Provision of Ancillary Manpower Services for Public Hospitals',
+      agency: 'Ministry of Health',
+      published_date: '2026-10-12',
+      closing_date: '2026-11-02',
+      category: 'healthcare_staffing',
+      source: 'gebiz',
+    });
+    expect(records[0].source_url).toContain('docCode=MOH000ETT26000045');
+  });
+
+  test('falls back to default dates when the listing shows none', () => {
+    const [, , parade] = scrape('gebiz').records;
+    expect(parade.agency).toBe('Ministry of Defence');
+    expect(parade.published_date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(parade.closing_date > parade.published_date).toBe(true);
+  });
+});
+
+describe('alps adapter', () => {
+  test('reads the table by header and rejects placeholder titles', () => {
+    const { records, errors } = scrape('alps');
+    expect(records.map(r => r.tender_no)).toEqual(['ALPS/ITQ/2026/0412', 'ALPS/ITT/2026/0398']);
+    expect(records[0]).toMatchObject({
+      agency: 'Sengkang General Hospital',
+      published_date: '2026-10-13',
+      closing_date: '2026-11-03',
+      source_url: 'https://alps.sg/tenders/alps-itq-2026-0412',
+    });
+    expect(errors).toEqual(['Title too short: ALPS/ITQ/2026/0405']);
+  });
+});
+
+describe('tenderboard adapter', () => {
+  test('reads cards, skips adverts and keeps the GeBIZ reference', () => {
+    const { records, skipped } = scrape('tenderboard');
+    expect(records.map(r => r.tender_no)).toEqual(['TB-88412', 'TB-88397']);
+    expect(skipped).toBe(1);
+    expect(records[0]).toMatchObject({
+      agency: 'Sentosa Resort Holdings',
+      closing_date: '2026-10-31',
+      category: 'hospitality_services',
+      source_url: 'https://www.tenderboard.biz/tender/88412/banquet-service-staff',
+      refs: [],
+    });
+    expect(records[1].refs).toEqual(['MOH000ETT26000045']);
+  });
+});
+
+describe('tendersgo adapter', () => {
+  test('keeps Singapore results only', () => {
+    const { records, skipped } = scrape('tendersgo');
+    expect(records.map(r => r.tender_no)).toEqual(['TG-5531208', 'TG-5530177']);
+    expect(skipped).toBe(1);
+    expect(records[0]).toMatchObject({ agency: 'JTC Corporation', category: 'security_services' });
+    expect(records[1].refs).toEqual(['NEA000ETQ26000112']);
+  });
+});
+
+describe('ariba adapters', () => {
+  test('discovery keeps Singapore postings', () => {
+    const { records, skipped } = scrape('ariba_discovery');
+    expect(records.map(r => r.tender_no)).toEqual(['ARIBA-1048823', 'ARIBA-1048790']);
+    expect(skipped).toBe(1);
+    expect(records[0]).toMatchObject({
+      agency: 'Marriott International',
+      published_date: '2026-10-16',
+      closing_date: '2026-10-29',
+      source: 'ariba_discovery',
+    });
+  });
+
+  test('MOHH keeps MOH Holdings postings only', () => {
+    const { records, skipped } = scrape('mohh_ariba');
+    expect(records.map(r => r.tender_no)).toEqual(['ARIBA-1048790', 'ARIBA-1048702']);
+    expect(skipped).toBe(1);
+    expect(records.every(r => r.source === 'mohh_ariba')).toBe(true);
+  });
+});
+
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+describe('parseDate', () => {
+  test.each([
+    ['2026-10-19', '2026-10-19'],
+    ['Closing 2026-10-19T16:00:00', '2026-10-19'],
+    ['06 Feb 2026', '2026-02-06'],
+    ['Respond by 4 November, 2026', '2026-11-04'],
+    ['06/02/2026', '2026-02-06'],
+  ])('reads %s', (text, expected) => {
+    expect(parseDate(text)).toBe(expected);
+  });
+
+  test('returns null for missing or impossible dates', () => {
+    expect(parseDate(null)).toBeNull();
+    expect(parseDate('TBC')).toBeNull();
+    expect(parseDate('31/02/2026')).toBeNull();
+    expect(parseDate('2026-13-01')).toBeNull();
+  });
+});
+
+describe('findGebizCodes', () => {
+  test('finds quotation and tender codes once each', () => {
+    expect(findGebizCodes('See MOH000ETT26000045 and NEA000ETQ26000112 (MOH000ETT26000045)'))
+      .toEqual(['MOH000ETT26000045', 'NEA000ETQ26000112']);
+    expect(findGebizCodes('Ref TB-88397')).toEqual([]);
+    expect(findGebizCodes(undefined)).toEqual([]);
+  });
+});
+
+describe('readTable', () => {
+  test('keys cells by header whatever the column order', () => {
+    const $ = cheerio.load(`
+      <table>
+        <thead><tr><th>Title</th><th>Reference No.</th></tr></thead>
+        <tbody><tr><td><a href="/t/1">Cleaning</a></td><td> REF-1 </td></tr></tbody>
+      </table>`);
+    const [row] = readTable($, $('table'));
+    expect(row['reference no.']).toEqual({ text: 'REF-1', href: null });
+    expect(row.title).toEqual({ text: 'Cleaning', href: '/t/1' });
+  });
+});
+
+describe('normaliseRecord', () => {
+  const item = {
+    tender_no: 'TB-1',
+    title: 'Event Ushers for Marina Bay Countdown',
+    published_date: '01 Oct 2026',
+    source_url: 'javascript:void(0)',
+    refs: ['TB-1', 'MOH000ETT26000045'],
+  };
+
+  test('fills defaults and drops unsafe links and self references', () => {
+    const { record } = normaliseRecord('tenderboard', item);
+    expect(record).toMatchObject({
+      description: item.title,
+      published_date: '2026-10-01',
+      closing_date: null,
+      source_url: null,
+      source: 'tenderboard',
+      refs: ['MOH000ETT26000045'],
+    });
+  });
+
+  test('rejects records without a number or a usable title', () => {
+    expect(normaliseRecord('tenderboard', { ...item, tender_no: '' }).error).toBe('Tender number missing');
+    expect(normaliseRecord('tenderboard', { ...item, title: 'TBC' }).error).toBe('Title too short: TB-1');
+  });
+});
+
+describe('dedupeRecords', () => {
+  const gebiz = { tender_no: 'MOH000ETT26000045', refs: [] };
+  const relisted = { tender_no: 'TB-88397', refs: ['MOH000ETT26000045'] };
+  const other = { tender_no: 'TB-88412', refs: [] };
+
+  test('drops an aggregator relisting of a tender in the same batch', () => {
+    const { fresh, duplicates } = dedupeRecords([gebiz, relisted, other]);
+    expect(fresh).toEqual([gebiz, other]);
+    expect(duplicates).toEqual([relisted]);
+  });
+
+  test('drops tenders already staged, by number or GeBIZ reference', () => {
+    const { fresh, duplicates } = dedupeRecords([relisted, other], new Set(['MOH000ETT26000045', 'TB-88412']));
+    expect(fresh).toEqual([]);
+    expect(duplicates).toEqual([relisted, other]);
+  });
+});
+
+describe('evaluateHealth', () => {
+  const ok = (items = 3) => ({ status: 'success', items_found: items, completed_at: '2026-10-18 06:30:00' });
+  const failed = (error = 'timeout') => ({ status: 'failed', items_found: 0, error });
+  const empty = { status: 'empty', items_found: 0 };
+
+  test('unknown until a run finishes', () => {
+    expect(evaluateHealth([]).status).toBe('unknown');
+    expect(evaluateHealth([{ status: 'running' }]).status).toBe('unknown');
+  });
+
+  test('healthy after a successful run', () => {
+    expect(evaluateHealth([{ status: 'running' }, ok(), failed()])).toMatchObject({
+      status: 'healthy',
+      consecutive_failures: 0,
+      last_success_at: '2026-10-18 06:30:00',
+    });
+  });
+
+  test('degraded after one failure', () => {
+    expect(evaluateHealth([failed('HTTP 503'), ok()])).toMatchObject({
+      status: 'degraded',
+      message: 'Last run failed: HTTP 503',
+      consecutive_failures: 1,
+    });
+  });
+
+  test('degraded when a listing that had results comes back empty', () => {
+    expect(evaluateHealth([empty, ok()]).status).toBe('degraded');
+    expect(evaluateHealth([empty, empty]).status).toBe('healthy');
+  });
+
+  test('failing after repeated failures', () => {
+    expect(evaluateHealth([failed('HTTP 403'), failed(), failed(), ok()])).toMatchObject({
+      status: 'failing',
+      message: 'Last 3 runs failed: HTTP 403',
+      consecutive_failures: 3,
+    });
+  });
+});
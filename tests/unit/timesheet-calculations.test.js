@@ -0,0 +1,135 @@
+/**
+ * Unit Tests: Timesheet Calculations
+ *
+ * Tests geofence distance checks, clock-in window,
+ * worked hours after breaks, and deployment financials.
+ */
+
+const {
+  haversineDistance,
+  checkGeofence,
+  isWithinClockInWindow,
+  calculateWorkedHours,
+  calculateDeploymentFinancials,
+} = require('../../services/timesheets/calculator');
+
+// Raffles Place MRT and a point roughly 100m east of it
+const RAFFLES_PLACE = { lat: 1.28393, lng: 103.85144 };
+const NEARBY = { lat: 1.28393, lng: 103.85234 };
+const TUAS = { lat: 1.32047, lng: 103.63691 };
+
+// ============================================
+// DISTANCE
+// ============================================
+
+describe('haversineDistance', () => {
+  test('returns 0 for the same point', () => {
+    expect(haversineDistance(RAFFLES_PLACE.lat, RAFFLES_PLACE.lng, RAFFLES_PLACE.lat, RAFFLES_PLACE.lng)).toBe(0);
+  });
+
+  test('measures short distances in metres', () => {
+    const distance = haversineDistance(RAFFLES_PLACE.lat, RAFFLES_PLACE.lng, NEARBY.lat, NEARBY.lng);
+    expect(distance).toBeGreaterThan(90);
+    expect(distance).toBeLessThan(110);
+  });
+
+  test('measures cross-island distances', () => {
+    const distance = haversineDistance(RAFFLES_PLACE.lat, RAFFLES_PLACE.lng, TUAS.lat, TUAS.lng);
+    expect(distance / 1000).toBeCloseTo(24.2, 0);
+  });
+});
+
+// ============================================
+// GEOFENCE
+// ============================================
+
+describe('checkGeofence', () => {
+  const job = { location_lat: RAFFLES_PLACE.lat, location_lng: RAFFLES_PLACE.lng };
+
+  test('accepts a position inside the radius', () => {
+    const result = checkGeofence(job, NEARBY.lat, NEARBY.lng, 200);
+    expect(result.verified).toBe(true);
+    expect(result.withinRadius).toBe(true);
+  });
+
+  test('rejects a position outside the radius', () => {
+    const result = checkGeofence(job, TUAS.lat, TUAS.lng, 200);
+    expect(result.withinRadius).toBe(false);
+    expect(result.distance).toBeGreaterThan(20000);
+  });
+
+  test('rejects a missing position when the job has coordinates', () => {
+    const result = checkGeofence(job, undefined, undefined, 200);
+    expect(result.withinRadius).toBe(false);
+    expect(result.distance).toBeNull();
+  });
+
+  test('accepts but does not verify jobs without coordinates', () => {
+    const result = checkGeofence({ location_lat: null, location_lng: null }, TUAS.lat, TUAS.lng, 200);
+    expect(result.verified).toBe(false);
+    expect(result.withinRadius).toBe(true);
+  });
+});
+
+// ============================================
+// CLOCK-IN WINDOW
+// ============================================
+
+describe('isWithinClockInWindow', () => {
+  const job = { job_date: '2025-03-10', start_time: '09:00' };
+
+  test('allows clock-in shortly before the shift (Singapore time)', () => {
+    // 08:30 SGT = 00:30 UTC
+    expect(isWithinClockInWindow(job, new Date('2025-03-10T00:30:00Z'))).toBe(true);
+  });
+
+  test('blocks clock-in hours before the shift', () => {
+    // 06:00 SGT = 22:00 UTC previous day
+    expect(isWithinClockInWindow(job, new Date('2025-03-09T22:00:00Z'))).toBe(false);
+  });
+
+  test('allows clock-in when the job has no date', () => {
+    expect(isWithinClockInWindow({}, new Date())).toBe(true);
+  });
+});
+
+// ============================================
+// WORKED HOURS
+// ============================================
+
+describe('calculateWorkedHours', () => {
+  test('subtracts the break', () => {
+    expect(calculateWorkedHours('2025-03-10T01:00:00Z', '2025-03-10T10:00:00Z', 60)).toBe(8);
+  });
+
+  test('rounds to 2 decimal places', () => {
+    expect(calculateWorkedHours('2025-03-10T01:00:00Z', '2025-03-10T01:20:00Z', 0)).toBe(0.33);
+  });
+
+  test('never goes negative when the break exceeds the shift', () => {
+    expect(calculateWorkedHours('2025-03-10T01:00:00Z', '2025-03-10T01:30:00Z', 60)).toBe(0);
+  });
+
+  test('returns 0 when clock-out precedes clock-in', () => {
+    expect(calculateWorkedHours('2025-03-10T10:00:00Z', '2025-03-10T01:00:00Z', 0)).toBe(0);
+  });
+});
+
+// ============================================
+// FINANCIALS
+// ============================================
+
+describe('calculateDeploymentFinancials', () => {
+  test('computes revenue, pay and profit', () => {
+    const result = calculateDeploymentFinancials(8, 18.5, 12.5);
+    expect(result.gross_revenue).toBe(148);
+    expect(result.candidate_pay).toBe(100);
+    expect(result.gross_profit).toBe(48);
+  });
+
+  test('treats missing rates as zero', () => {
+    const result = calculateDeploymentFinancials(4, null, undefined);
+    expect(result.gross_revenue).toBe(0);
+    expect(result.gross_profit).toBe(0);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit Tests: Timesheet Service
+ *
+ * Runs clock-in, clock-out and supervisor review against an in-memory
+ * database: a shift only counts as completed once its hours are approved.
+ */
+
+process.env.WORKLINK_DB_PATH = ':memory:';
+
+const { db } = require('../../db');
+const timesheets = require('../../services/timesheets');
+
+let sequence = 0;
+
+db.prepare("INSERT INTO clients (id, company_name) VALUES ('TCLTS', 'Timesheet Client')").run();
+
+function createDeployment() {
+  const key = ++sequence;
+  db.prepare(`
+    INSERT INTO jobs (id, client_id, title, job_date, start_time, end_time, charge_rate, pay_rate, status)
+    VALUES (?, 'TCLTS', 'Shift', '2026-10-01', '09:00', '17:00', 20, 14, 'open')
+  `).run(`TJBTS${key}`);
+  db.prepare('INSERT INTO candidates (id, name) VALUES (?, ?)').run(`TCNTS${key}`, `Worker ${key}`);
+  db.prepare(`
+    INSERT INTO deployments (id, job_id, candidate_id, status) VALUES (?, ?, ?, 'confirmed')
+  `).run(`TDPTS${key}`, `TJBTS${key}`, `TCNTS${key}`);
+  return { deploymentId: `TDPTS${key}`, candidateId: `TCNTS${key}` };
+}
+
+function submittedTimesheet() {
+  const shift = createDeployment();
+  timesheets.clockIn(shift);
+  return { ...shift, timesheet: timesheets.clockOut(shift) };
+}
+
+const deploymentStatus = (id) => db.prepare('SELECT status FROM deployments WHERE id = ?').get(id).status;
+const completionEvents = (candidateId) => db.prepare(`
+  SELECT source_id FROM gamification_events WHERE candidate_id = ? AND event_type = 'deployment_completed'
+`).all(candidateId).map(e => e.source_id);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('clockOut', () => {
+  test('submits the timesheet without completing the shift', () => {
+    const { deploymentId, candidateId, timesheet } = submittedTimesheet();
+
+    expect(timesheet.status).toBe('submitted');
+    expect(timesheet.review_token).toBeTruthy();
+    expect(deploymentStatus(deploymentId)).toBe('checked_out');
+    expect(completionEvents(candidateId)).toEqual([]);
+  });
+});
+
+describe('review', () => {
+  test('approval completes the shift, raises the payment and credits quests once', () => {
+    const { deploymentId, candidateId, timesheet } = submittedTimesheet();
+
+    const approved = timesheets.approve(timesheet.id, 'supervisor@test.sg');
+
+    expect(approved.status).toBe('approved');
+    expect(db.prepare('SELECT deployment_id FROM payments WHERE id = ?').get(approved.payment_id).deployment_id).toBe(deploymentId);
+    expect(deploymentStatus(deploymentId)).toBe('completed');
+    expect(completionEvents(candidateId)).toEqual([deploymentId]);
+    expect(() => timesheets.approve(timesheet.id, 'supervisor@test.sg'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TIMESHEET_STATUS' }));
+  });
+
+  test('a disputed timesheet earns nothing until it is adjusted and approved', () => {
+    const { deploymentId, candidateId, timesheet } = submittedTimesheet();
+
+    timesheets.dispute(timesheet.id, 'supervisor@test.sg', 'Left at 3pm');
+    expect(deploymentStatus(deploymentId)).toBe('checked_out');
+    expect(completionEvents(candidateId)).toEqual([]);
+
+    timesheets.adjust(timesheet.id, 6, 'Confirmed with supervisor');
+    timesheets.approve(timesheet.id, 'admin@test.sg');
+    expect(deploymentStatus(deploymentId)).toBe('completed');
+    expect(completionEvents(candidateId)).toEqual([deploymentId]);
+  });
+
+  test('approvals in the same millisecond get distinct payment ids', () => {
+    const first = submittedTimesheet();
+    const second = submittedTimesheet();
+    jest.spyOn(Date, 'now').mockReturnValue(1790000000000);
+
+    const a = timesheets.approve(first.timesheet.id, 'admin@test.sg');
+    const b = timesheets.approve(second.timesheet.id, 'admin@test.sg');
+
+    expect(a.payment_id).not.toBe(b.payment_id);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit Tests: WhatsApp Adapter
+ *
+ * Tests phone normalisation, webhook signatures and parsing, opt-in keywords,
+ * receipt ordering, and outbound sends against the local mock Cloud API.
+ */
+
+const whatsapp = require('../../services/messaging/whatsapp');
+const { createMockServer, buildInboundPayload, buildStatusPayload } = require('../../services/messaging/whatsapp-mock');
+
+// ============================================
+// HELPERS
+// ============================================
+
+describe('normalizePhone', () => {
+  test('adds the Singapore country code to local numbers', () => {
+    expect(whatsapp.normalizePhone('9123 4567')).toBe('6591234567');
+    expect(whatsapp.normalizePhone('+65 9123-4567')).toBe('6591234567');
+    expect(whatsapp.normalizePhone('0060123456789')).toBe('60123456789');
+  });
+
+  test('rejects numbers that cannot be dialled', () => {
+    expect(whatsapp.normalizePhone('12345')).toBeNull();
+    expect(whatsapp.normalizePhone(null)).toBeNull();
+  });
+});
+
+describe('verifySignature', () => {
+  const body = JSON.stringify({ object: 'whatsapp_business_account' });
+
+  test('accepts a body signed with the app secret', () => {
+    expect(whatsapp.verifySignature(Buffer.from(body), whatsapp.signPayload(body, 'secret'), 'secret')).toBe(true);
+  });
+
+  test('rejects tampered bodies, wrong secrets and malformed headers', () => {
+    const signature = whatsapp.signPayload(body, 'secret');
+    expect(whatsapp.verifySignature(body + ' ', signature, 'secret')).toBe(false);
+    expect(whatsapp.verifySignature(body, signature, 'other')).toBe(false);
+    expect(whatsapp.verifySignature(body, 'sha1=abc', 'secret')).toBe(false);
+    expect(whatsapp.verifySignature(body, undefined, 'secret')).toBe(false);
+    expect(whatsapp.verifySignature(body, signature, undefined)).toBe(false);
+  });
+});
+
+describe('parseWebhook', () => {
+  test('extracts messages with the sender profile name', () => {
+    const { messages, statuses } = whatsapp.parseWebhook(
+      buildInboundPayload({ from: '6591234567', text: 'Hello', name: 'Mei Ling', id: 'wamid.IN1' })
+    );
+    expect(statuses).toHaveLength(0);
+    expect(messages).toEqual([expect.objectContaining({
+      id: 'wamid.IN1', from: '6591234567', name: 'Mei Ling', type: 'text', text: 'Hello', media: null,
+    })]);
+  });
+
+  test('uses the caption or type placeholder for media messages', () => {
+    const { messages } = whatsapp.parseWebhook(buildInboundPayload({ from: '6591234567', type: 'image' }));
+    expect(messages[0].text).toBe('[image]');
+    expect(messages[0].media).toMatchObject({ type: 'image' });
+  });
+
+  test('extracts receipts including failure details', () => {
+    const { statuses } = whatsapp.parseWebhook(
+      buildStatusPayload({ id: 'wamid.OUT1', status: 'failed', recipient: '6591234567', error: 'Number not on WhatsApp' })
+    );
+    expect(statuses).toEqual([expect.objectContaining({
+      id: 'wamid.OUT1', status: 'failed', recipient: '6591234567', error: 'Number not on WhatsApp',
+    })]);
+  });
+
+  test('ignores payloads from other products', () => {
+    expect(whatsapp.parseWebhook({ object: 'page', entry: [] })).toEqual({ messages: [], statuses: [] });
+  });
+});
+
+describe('getOptKeyword', () => {
+  test('recognises opt-out and opt-in keywords', () => {
+    expect(whatsapp.getOptKeyword(' STOP ')).toBe('opt_out');
+    expect(whatsapp.getOptKeyword('Unsubscribe.')).toBe('opt_out');
+    expect(whatsapp.getOptKeyword('start')).toBe('opt_in');
+  });
+
+  test('does not treat ordinary messages as keywords', () => {
+    expect(whatsapp.getOptKeyword('please stop sending me night shifts')).toBeNull();
+  });
+});
+
+describe('isStatusAdvance', () => {
+  test('only moves receipts forward', () => {
+    expect(whatsapp.isStatusAdvance('accepted', 'sent')).toBe(true);
+    expect(whatsapp.isStatusAdvance('sent', 'read')).toBe(true);
+    expect(whatsapp.isStatusAdvance('read', 'delivered')).toBe(false);
+    expect(whatsapp.isStatusAdvance('delivered', 'delivered')).toBe(false);
+  });
+
+  test('ignores failures reported after delivery', () => {
+    expect(whatsapp.isStatusAdvance('sent', 'failed')).toBe(true);
+    expect(whatsapp.isStatusAdvance('delivered', 'failed')).toBe(false);
+  });
+});
+
+describe('isWithinSessionWindow', () => {
+  const now = new Date('2025-03-14T12:00:00Z');
+
+  test('allows free-form messages for 24 hours after the last inbound message', () => {
+    expect(whatsapp.isWithinSessionWindow('2025-03-13T12:30:00Z', now)).toBe(true);
+    expect(whatsapp.isWithinSessionWindow('2025-03-13T11:59:00Z', now)).toBe(false);
+    expect(whatsapp.isWithinSessionWindow(null, now)).toBe(false);
+  });
+});
+
+// ============================================
+// OUTBOUND (MOCK CLOUD API)
+// ============================================
+
+describe('outbound messages via mock server', () => {
+  const originalEnv = { ...process.env };
+  const mock = createMockServer({ accessToken: 'test-token', failNumbers: ['6599999999'] });
+
+  beforeAll(async () => {
+    const url = await mock.start();
+    process.env.WHATSAPP_API_URL = url;
+    process.env.WHATSAPP_ACCESS_TOKEN = 'test-token';
+    process.env.WHATSAPP_PHONE_NUMBER_ID = '1000000000';
+  });
+
+  afterAll(async () => {
+    process.env = originalEnv;
+    await mock.stop();
+  });
+
+  beforeEach(() => mock.reset());
+
+  test('sends text and returns the message id', async () => {
+    const result = await whatsapp.sendMessage('9123 4567', 'Your shift starts at 9am');
+    expect(result.success).toBe(true);
+    expect(result.messageId).toMatch(/^wamid\./);
+    expect(mock.sent[0]).toMatchObject({
+      to: '6591234567', type: 'text', text: { body: 'Your shift starts at 9am' },
+    });
+  });
+
+  test('sends templates with body parameters', async () => {
+    await whatsapp.sendTemplate('91234567', 'shift_reminder', { parameters: ['Mei Ling', 9] });
+    expect(mock.sent[0].template).toEqual({
+      name: 'shift_reminder',
+      language: { code: 'en' },
+      components: [{ type: 'body', parameters: [{ type: 'text', text: 'Mei Ling' }, { type: 'text', text: '9' }] }],
+    });
+  });
+
+  test('sends documents with caption and filename', async () => {
+    await whatsapp.sendMedia('91234567', 'document', 'https://example.com/payslip.pdf', {
+      caption: 'March payslip', filename: 'payslip.pdf',
+    });
+    expect(mock.sent[0]).toMatchObject({
+      type: 'document',
+      document: { link: 'https://example.com/payslip.pdf', caption: 'March payslip', filename: 'payslip.pdf' },
+    });
+  });
+
+  test('validates input before calling the API', async () => {
+    expect((await whatsapp.sendMedia('91234567', 'sticker', 'https://x')).success).toBe(false);
+    expect((await whatsapp.sendMessage('123', 'hi')).error).toBe('Invalid WhatsApp number');
+    expect(mock.sent).toHaveLength(0);
+  });
+
+  test('surfaces API errors', async () => {
+    const result = await whatsapp.sendMessage('99999999', 'hi');
+    expect(result).toMatchObject({ success: false, code: 131030 });
+
+    process.env.WHATSAPP_ACCESS_TOKEN = 'wrong';
+    const unauthorised = await whatsapp.sendMessage('91234567', 'hi');
+    process.env.WHATSAPP_ACCESS_TOKEN = 'test-token';
+    expect(unauthorised).toMatchObject({ success: false, error: 'Invalid OAuth access token.' });
+  });
+
+  test('reports not configured without credentials', async () => {
+    delete process.env.WHATSAPP_PHONE_NUMBER_ID;
+    expect(whatsapp.isConfigured()).toBe(false);
+    expect(await whatsapp.sendMessage('91234567', 'hi')).toEqual({ success: false, error: 'WhatsApp not configured' });
+    process.env.WHATSAPP_PHONE_NUMBER_ID = '1000000000';
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit Tests: Worker Auth Service
+ *
+ * Runs code checks and refresh token rotation against an in-memory
+ * database: wrong codes use up the code, and a replayed refresh token ends
+ * the session.
+ */
+
+process.env.WORKLINK_DB_PATH = ':memory:';
+
+const { db } = require('../../db');
+const { JWT_SECRET } = require('../../middleware/auth');
+const workerAuth = require('../../services/worker-auth');
+const { hashSecret } = require('../../services/worker-auth/otp');
+
+let sequence = 0;
+
+function createWorker() {
+  const key = ++sequence;
+  const email = `worker${key}@test.sg`;
+  db.prepare("INSERT INTO candidates (id, name, email, status) VALUES (?, ?, ?, 'active')").run(`TCNWA${key}`, `Worker ${key}`, email);
+  return email;
+}
+
+// What requestCode() stores, without sending anything
+function issueCode(email, code) {
+  const { id } = db.prepare('SELECT id FROM candidates WHERE email = ?').get(email);
+  db.prepare(`
+    INSERT INTO worker_otp_codes (id, candidate_id, channel, destination, code_hash, max_attempts, expires_at, created_at)
+    VALUES (?, ?, 'email', ?, ?, 5, ?, ?)
+  `).run(`TOTP${++sequence}`, id, email, hashSecret(code, JWT_SECRET),
+    new Date(Date.now() + 5 * 60 * 1000).toISOString(), new Date().toISOString());
+}
+
+const sessionRow = (id) => db.prepare('SELECT revoked_at, revoked_reason FROM worker_sessions WHERE id = ?').get(id);
+
+describe('verifyCode', () => {
+  test('counts wrong attempts and locks the code after the last one', () => {
+    const email = createWorker();
+    issueCode(email, '123456');
+
+    expect(() => workerAuth.verifyCode({ identifier: email, code: '000000' }))
+      .toThrow(expect.objectContaining({ code: 'OTP_INVALID', attemptsLeft: 4 }));
+    for (let i = 0; i < 3; i++) {
+      expect(() => workerAuth.verifyCode({ identifier: email, code: '000000' })).toThrow();
+    }
+    expect(() => workerAuth.verifyCode({ identifier: email, code: '000000' }))
+      .toThrow(expect.objectContaining({ code: 'OTP_ATTEMPTS_EXCEEDED', attemptsLeft: 0 }));
+
+    expect(() => workerAuth.verifyCode({ identifier: email, code: '123456' }))
+      .toThrow(expect.objectContaining({ code: 'OTP_ATTEMPTS_EXCEEDED' }));
+  });
+
+  test('starts a session once and refuses the same code again', () => {
+    const email = createWorker();
+    issueCode(email, '654321');
+
+    const signedIn = workerAuth.verifyCode({ identifier: email, code: '654321', device: { deviceId: 'phone-1' } });
+
+    expect(signedIn.refreshToken).toBeTruthy();
+    expect(sessionRow(signedIn.sessionId).revoked_at).toBeNull();
+    expect(() => workerAuth.verifyCode({ identifier: email, code: '654321' }))
+      .toThrow(expect.objectContaining({ code: 'OTP_USED' }));
+  });
+});
+
+describe('refresh', () => {
+  function signIn() {
+    const email = createWorker();
+    issueCode(email, '111111');
+    return workerAuth.verifyCode({ identifier: email, code: '111111' });
+  }
+
+  test('rotates the refresh token on every use', () => {
+    const session = signIn();
+
+    const first = workerAuth.refresh(session.refreshToken);
+    const second = workerAuth.refresh(first.refreshToken);
+
+    expect(first.refreshToken).not.toBe(session.refreshToken);
+    expect(second.sessionId).toBe(session.sessionId);
+  });
+
+  test('revokes the session when a used refresh token comes back', () => {
+    const session = signIn();
+    const rotated = workerAuth.refresh(session.refreshToken);
+
+    expect(() => workerAuth.refresh(session.refreshToken))
+      .toThrow(expect.objectContaining({ code: 'INVALID_REFRESH_TOKEN' }));
+    expect(sessionRow(session.sessionId).revoked_reason).toBe('refresh_token_reused');
+
+    // The other holder is signed out too
+    expect(() => workerAuth.refresh(rotated.refreshToken))
+      .toThrow(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit Tests: Worker OTP Sign-in
+ *
+ * Tests code generation and checking (expiry, attempt limits, reuse), resend
+ * throttling, identifier normalisation and refresh token formatting.
+ */
+
+const {
+  MAX_CODES_PER_HOUR,
+  generateCode,
+  hashSecret,
+  checkCode,
+  canSendCode,
+  normalizeIdentifier,
+  maskDestination,
+  formatRefreshToken,
+  parseRefreshToken,
+  describeDevice,
+} = require('../../services/worker-auth/otp');
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2026-03-02T08:00:00Z');
+
+const record = (overrides = {}) => ({
+  code_hash: hashSecret('123456', SECRET),
+  attempts: 0,
+  max_attempts: 5,
+  expires_at: new Date(NOW + 5 * 60 * 1000).toISOString(),
+  consumed_at: null,
+  ...overrides,
+});
+
+// ============================================
+// CODES
+// ============================================
+
+describe('generateCode', () => {
+  test('returns zero-padded numeric codes of the requested length', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(generateCode()).toMatch(/^\d{6}$/);
+    }
+    expect(generateCode(4)).toMatch(/^\d{4}$/);
+  });
+});
+
+describe('checkCode', () => {
+  test('accepts the right code before it expires', () => {
+    expect(checkCode(record(), hashSecret('123456', SECRET), NOW)).toEqual({ ok: true, reason: null, attemptsLeft: 5 });
+  });
+
+  test('counts down attempts on a wrong code', () => {
+    expect(checkCode(record({ attempts: 3 }), hashSecret('000000', SECRET), NOW))
+      .toEqual({ ok: false, reason: 'mismatch', attemptsLeft: 1 });
+  });
+
+  test('refuses expired, used and exhausted codes even when correct', () => {
+    const right = hashSecret('123456', SECRET);
+    expect(checkCode(record({ expires_at: new Date(NOW - 1).toISOString() }), right, NOW).reason).toBe('expired');
+    expect(checkCode(record({ consumed_at: new Date(NOW).toISOString() }), right, NOW).reason).toBe('used');
+    expect(checkCode(record({ attempts: 5 }), right, NOW).reason).toBe('too_many_attempts');
+  });
+
+  test('hashes are keyed by the secret', () => {
+    expect(checkCode(record(), hashSecret('123456', 'other-secret'), NOW).ok).toBe(false);
+  });
+});
+
+describe('canSendCode', () => {
+  test('allows the first code and enforces a one-minute cooldown', () => {
+    expect(canSendCode([], NOW)).toEqual({ allowed: true, retryAfterSeconds: 0 });
+    expect(canSendCode([NOW - 20 * 1000], NOW)).toEqual({ allowed: false, retryAfterSeconds: 40 });
+    expect(canSendCode([NOW - 61 * 1000], NOW).allowed).toBe(true);
+  });
+
+  test('caps codes per hour until the oldest one ages out', () => {
+    const sent = Array.from({ length: MAX_CODES_PER_HOUR }, (_, i) => NOW - (50 - i * 10) * 60 * 1000);
+    expect(canSendCode(sent, NOW)).toEqual({ allowed: false, retryAfterSeconds: 10 * 60 });
+    expect(canSendCode(sent, NOW + 10 * 60 * 1000).allowed).toBe(true);
+  });
+});
+
+// ============================================
+// IDENTIFIERS AND TOKENS
+// ============================================
+
+describe('normalizeIdentifier', () => {
+  test('lower-cases emails and rejects malformed ones', () => {
+    expect(normalizeIdentifier(' Sarah.Tan@Email.com ')).toEqual({ type: 'email', value: 'sarah.tan@email.com' });
+    expect(normalizeIdentifier('sarah@')).toBeNull();
+  });
+
+  test('puts Singapore numbers in +65 form', () => {
+    expect(normalizeIdentifier('9123 4567')).toEqual({ type: 'phone', value: '+6591234567' });
+    expect(normalizeIdentifier('6591234567')).toEqual({ type: 'phone', value: '+6591234567' });
+    expect(normalizeIdentifier('+44 7700 900123')).toEqual({ type: 'phone', value: '+447700900123' });
+    expect(normalizeIdentifier('12345')).toBeNull();
+    expect(normalizeIdentifier('')).toBeNull();
+  });
+});
+
+describe('maskDestination', () => {
+  test('hides most of the phone number or email', () => {
+    expect(maskDestination('sms', '+6591234567')).toBe('****4567');
+    expect(maskDestination('email', 'sarah.tan@email.com')).toBe('sa*******@email.com');
+    expect(maskDestination('telegram', '123456789')).toBe('Telegram');
+  });
+});
+
+describe('refresh tokens', () => {
+  test('round-trip the session id and secret', () => {
+    const token = formatRefreshToken('WSABC123', 'c2VjcmV0.with-dots');
+    expect(parseRefreshToken(token)).toEqual({ sessionId: 'WSABC123', secret: 'c2VjcmV0.with-dots' });
+  });
+
+  test('reject malformed tokens', () => {
+    expect(parseRefreshToken('')).toBeNull();
+    expect(parseRefreshToken('no-dot')).toBeNull();
+    expect(parseRefreshToken('.secret')).toBeNull();
+    expect(parseRefreshToken('WS123.')).toBeNull();
+  });
+});
+
+describe('describeDevice', () => {
+  test('labels common browsers and platforms', () => {
+    expect(describeDevice('Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Mobile Safari/537.36'))
+      .toBe('Chrome on Android');
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1'))
+      .toBe('Safari on iOS');
+    expect(describeDevice('')).toBe('Unknown device');
+  });
+});
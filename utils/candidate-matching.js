@@ -5,13 +5,15 @@
  * Features:
  * - Multi-factor weighted scoring
  * - Skills and certification matching
- * - Location and availability scoring
+ * - Location (travel distance from home) and availability scoring
  * - Performance-based scoring
  * - AI-enhanced reasoning
  * - Engagement tracking integration
  */
 
 const { askClaude } = require('./claude');
+const { geocode, haversineKm, scoreDistance, getCommute, NEARBY_KM } = require('../services/geo/geocoder');
+const { ratingScore } = require('../services/ratings/rules');
 
 /**
  * Default scoring weights for candidate matching
@@ -143,14 +145,25 @@ function calculateCandidateMatchScore(candidate, job, weights = DEFAULT_WEIGHTS)
   let locationScore = 50; // Base neutral score
   const candidateLocations = JSON.parse(candidate.preferred_locations || '[]');
   const jobLocation = job.location || '';
-
-  if (candidateLocations.length > 0 && jobLocation) {
-    const locationMatch = candidateLocations.some(loc =>
-      isLocationMatch(jobLocation, loc)
-    );
+  const locationMatch = candidateLocations.length > 0 && jobLocation &&
+    candidateLocations.some(loc => isLocationMatch(jobLocation, loc));
+  const commute = getCommute(candidate, job);
+  let locationDetails;
+
+  if (commute) {
+    // Travel distance from home; a matching preferred area within the commute lifts it to 80
+    locationScore = scoreDistance(commute.km, commute.maxKm);
+    if (locationMatch && commute.withinCommute) locationScore = Math.max(locationScore, 80);
+    locationDetails = `${commute.km} km from home (~${commute.minutes} min), ` +
+      (commute.withinCommute ? `within ${commute.maxKm} km commute` : `beyond ${commute.maxKm} km commute`);
+  } else if (candidateLocations.length > 0 && jobLocation) {
     locationScore = locationMatch ? 100 : 20; // Strong preference vs mismatch
+    locationDetails = candidateLocations.join(', ');
   } else if (candidateLocations.length === 0) {
     locationScore = 75; // No preference = flexible
+    locationDetails = 'No preference (flexible)';
+  } else {
+    locationDetails = candidateLocations.join(', ');
   }
 
   totalScore += locationScore * locationWeight;
@@ -160,7 +173,7 @@ function calculateCandidateMatchScore(candidate, job, weights = DEFAULT_WEIGHTS)
     score: locationScore,
     weight: locationWeight,
     contribution: locationScore * locationWeight,
-    details: candidateLocations.length > 0 ? candidateLocations.join(', ') : 'No preference (flexible)'
+    details: locationDetails
   });
 
   // 5. Availability Score (15%)
@@ -217,7 +230,8 @@ function calculateCandidateMatchScore(candidate, job, weights = DEFAULT_WEIGHTS)
   let performanceScore = 50; // Default for new workers
 
   if (rating > 0) {
-    performanceScore = (rating / 5) * 100;
+    // With a rating count, a handful of ratings is pulled towards a neutral score
+    performanceScore = candidate.rating_count ? ratingScore(candidate) : (rating / 5) * 100;
 
     // Bonus for consistent high performance
     if (rating >= 4.8) performanceScore += 10;
@@ -245,7 +259,9 @@ function calculateCandidateMatchScore(candidate, job, weights = DEFAULT_WEIGHTS)
     score: performanceScore,
     weight: performanceWeight,
     contribution: performanceScore * performanceWeight,
-    details: rating > 0 ? `${rating}/5 stars (${jobsCompleted} jobs)` : 'No ratings yet'
+    details: rating > 0
+      ? `${rating}/5 stars${candidate.rating_count ? ` from ${candidate.rating_count} ratings` : ''} (${jobsCompleted} jobs)`
+      : 'No ratings yet'
   });
 
   // Calculate final percentage
@@ -530,6 +546,13 @@ function isLocationMatch(jobLocation, candidateLocation) {
     return true;
   }
 
+  // Both places known: compare real distance rather than region membership
+  const jobPoint = geocode(jobLocation);
+  const candidatePoint = geocode(candidateLocation);
+  if (jobPoint && candidatePoint) {
+    return haversineKm(jobPoint.lat, jobPoint.lng, candidatePoint.lat, candidatePoint.lng) <= NEARBY_KM;
+  }
+
   // Regional matches
   const regions = {
     'central': ['city', 'cbd', 'orchard', 'bugis', 'raffles', 'marina bay'],
@@ -648,5 +671,6 @@ module.exports = {
   calculateCandidateMatchScore,
   enhancedMatchCandidates,
   enhanceCandidatesWithAI,
+  isLocationMatch,
   DEFAULT_WEIGHTS,
 };
\ No newline at end of file
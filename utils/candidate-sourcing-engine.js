@@ -9,13 +9,11 @@
  * - Maintains continuous candidate pipeline
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
+const { db } = require('../db');
 
 class CandidateSourcingEngine {
   constructor() {
-    const dbPath = path.resolve(__dirname, '../db/database.db');
-    this.db = new Database(dbPath);
+    this.db = db;
 
     // Sourcing configuration
     this.sourcingConfig = {
@@ -55,77 +53,6 @@ class CandidateSourcingEngine {
         }
       }
     };
-
-    // Initialize sourcing metrics tracking
-    this.initializeSourcingTables();
-  }
-
-  initializeSourcingTables() {
-    // Create sourcing logs table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS sourcing_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        platform TEXT NOT NULL,
-        sourcing_type TEXT NOT NULL,
-        job_template TEXT,
-        candidates_found INTEGER DEFAULT 0,
-        candidates_contacted INTEGER DEFAULT 0,
-        candidates_responded INTEGER DEFAULT 0,
-        success_rate REAL DEFAULT 0,
-        cost_per_candidate REAL DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create job postings table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS automated_job_postings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        platform TEXT NOT NULL,
-        job_title TEXT NOT NULL,
-        job_template TEXT NOT NULL,
-        posting_url TEXT,
-        status TEXT DEFAULT 'active',
-        views INTEGER DEFAULT 0,
-        applications INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        expires_at DATETIME
-      )
-    `);
-
-    // Create candidate discovery queue
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS candidate_discovery_queue (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        source_platform TEXT NOT NULL,
-        candidate_profile_url TEXT,
-        candidate_data TEXT, -- JSON string
-        discovery_method TEXT NOT NULL,
-        processing_status TEXT DEFAULT 'pending',
-        pre_qualification_score INTEGER,
-        contacted_at DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create outreach campaigns table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS outreach_campaigns (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        campaign_name TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        template_type TEXT NOT NULL,
-        target_count INTEGER NOT NULL,
-        sent_count INTEGER DEFAULT 0,
-        response_count INTEGER DEFAULT 0,
-        qualified_count INTEGER DEFAULT 0,
-        success_rate REAL DEFAULT 0,
-        status TEXT DEFAULT 'active',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        completed_at DATETIME
-      )
-    `);
   }
 
   /**
@@ -997,12 +997,12 @@ class ConsultantAnalyticsEngine {
   async runDailyAnalytics(consultantIds = null) {
     const today = new Date().toISOString().split('T')[0];
 
-    // Get all consultants or specified ones
+    // Get all consultants (active admin accounts with the consultant role) or specified ones
     const consultants = consultantIds || db.prepare(`
-      SELECT DISTINCT candidate_id as consultant_id
-      FROM deployments
-      WHERE DATE(created_at) = ?
-    `).all(today).map(row => row.consultant_id);
+      SELECT id as consultant_id
+      FROM admin_users
+      WHERE role = 'consultant' AND status = 'active'
+    `).all().map(row => row.consultant_id);
 
     const results = [];
 
@@ -3,6 +3,8 @@
  * Integrates with existing SLM scheduling bridge to boost conversion rates
  */
 
+const { reader } = require('../db');
+
 class EnhancedConversationFlows {
   constructor(slmBridge = null) {
     this.slmBridge = slmBridge;
@@ -503,9 +505,7 @@ Time remaining: ${finalCountdown} ⏳`,
 
   async getCandidateProfile(candidateId) {
     // Integration with existing database
-    const Database = require('better-sqlite3');
-    const db = new Database(require('path').resolve(__dirname, '../db/database.db'));
-    return db.prepare('SELECT * FROM candidates WHERE id = ?').get(candidateId);
+    return reader.prepare('SELECT * FROM candidates WHERE id = ?').get(candidateId);
   }
 
   async trackConversionMetrics(candidateId, template, response) {
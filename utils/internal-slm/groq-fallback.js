@@ -1,21 +1,19 @@
 /**
  * Groq Fallback Service
  * Handles complex cases that need actual LLM processing
- * Uses Groq API as the external LLM when internal SLM can't handle requests
+ * Calls the LLM registry's slm_fallback route (Groq first) when the
+ * internal SLM can't handle a request
  */
 
-const axios = require('axios');
+const llm = require('../../services/llm');
 
 class GroqService {
   constructor() {
     this.config = {
-      apiKey: process.env.GROQ_API_KEY,
-      baseURL: 'https://api.groq.com/openai/v1/chat/completions',
-      model: 'llama-3.1-8b-instant', // Fast and cost-effective
+      feature: 'slm_fallback',
       maxTokens: 500,
       temperature: 0.7,
-      timeout: 8000, // 8 second timeout (reasonable with working network)
-      retries: 2 // 2 retries for reliability
+      timeout: 8000 // 8 second timeout per provider
     };
 
     this.systemPrompts = this.buildSystemPrompts();
@@ -212,45 +210,23 @@ ESCALATION: For specific account, payment, or job questions, connect with admin
   }
 
   /**
-   * Call Groq API
+   * Call the LLM registry - providers are tried in route order
    */
-  async callGroqAPI(messages, attempt = 1) {
-    try {
-      if (!this.config.apiKey) {
-        throw new Error('Groq API key not configured');
-      }
-
-      const response = await axios.post(this.config.baseURL, {
-        model: this.config.model,
-        messages: messages,
-        max_tokens: this.config.maxTokens,
-        temperature: this.config.temperature,
-        stream: false
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.config.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: this.config.timeout
-      });
-
-      return response.data;
-
-    } catch (error) {
-      if (attempt <= this.config.retries) {
-        console.log(`Groq API attempt ${attempt} failed, retrying...`);
-        await this.delay(1000 * attempt); // Progressive delay
-        return this.callGroqAPI(messages, attempt + 1);
-      }
-      throw error;
-    }
+  async callGroqAPI(messages) {
+    return llm.complete(this.config.feature, {
+      system: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n'),
+      messages: messages.filter(m => m.role !== 'system'),
+      maxTokens: this.config.maxTokens,
+      temperature: this.config.temperature,
+      timeoutMs: this.config.timeout
+    });
   }
 
   /**
    * Format Groq response to match internal SLM format
    */
   formatGroqResponse(groqResponse, intentAnalysis) {
-    const content = groqResponse.choices?.[0]?.message?.content;
+    const content = groqResponse.text;
 
     if (!content) {
       throw new Error('Invalid Groq response format');
@@ -271,11 +247,12 @@ ESCALATION: For specific account, payment, or job questions, connect with admin
       messageType,
       nextActions,
       source: 'groq',
+      provider: groqResponse.provider,
       escalate: shouldEscalate,
       usage: {
-        inputTokens: groqResponse.usage?.prompt_tokens || 0,
-        outputTokens: groqResponse.usage?.completion_tokens || 0,
-        totalTokens: groqResponse.usage?.total_tokens || 0
+        inputTokens: groqResponse.usage.inputTokens,
+        outputTokens: groqResponse.usage.outputTokens,
+        totalTokens: groqResponse.usage.inputTokens + groqResponse.usage.outputTokens
       }
     };
   }
@@ -407,29 +384,22 @@ ESCALATION: For specific account, payment, or job questions, connect with admin
   }
 
   /**
-   * Utility function for delays
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Health check for Groq service
+   * Health check for the fallback route
    */
   async healthCheck() {
-    try {
-      if (!this.config.apiKey) {
-        return { status: 'error', message: 'API key not configured' };
-      }
-
-      const testResponse = await this.callGroqAPI([
-        { role: 'user', content: 'Test connection' }
-      ]);
+    const route = llm.routeFor(this.config.feature);
+    const available = route.steps.filter(step => llm.get(step.provider)?.isConfigured());
+    if (available.length === 0 && !llm.getMock()) {
+      return { status: 'error', message: 'No LLM provider configured', fallback: 'Internal SLM will handle all requests' };
+    }
 
+    try {
+      const result = await this.callGroqAPI([{ role: 'user', content: 'Test connection' }]);
       return {
         status: 'healthy',
-        model: this.config.model,
-        response_time: testResponse.usage?.total_tokens ? 'fast' : 'unknown'
+        provider: result.provider,
+        model: result.model,
+        response_time: `${result.responseTimeMs}ms`
       };
 
     } catch (error) {
@@ -10,13 +10,10 @@
  * - Prevents consultant overwhelm with smart capacity management
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
-
 class InterviewSchedulingEngine {
   constructor() {
-    const { db } = require('../db');
-    this.db = db;
+    const { store } = require('../db');
+    this.store = store;
 
     // Scheduling configuration
     this.config = {
@@ -53,121 +50,16 @@ class InterviewSchedulingEngine {
       }
     };
 
-    // Initialize database tables
-    this.initializeSchedulingTables();
-  }
-
-  initializeSchedulingTables() {
-    // Create consultant availability table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS consultant_availability (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        consultant_id TEXT DEFAULT 'primary',
-        date DATE NOT NULL,
-        start_time TIME NOT NULL,
-        end_time TIME NOT NULL,
-        is_available BOOLEAN DEFAULT 1,
-        slot_type TEXT DEFAULT 'interview', -- 'interview', 'break', 'blocked'
-        notes TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create interview slots table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS interview_slots (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        candidate_id INTEGER NOT NULL,
-        consultant_id TEXT DEFAULT 'primary',
-        scheduled_date DATE NOT NULL,
-        scheduled_time TIME NOT NULL,
-        duration_minutes INTEGER DEFAULT 30,
-        status TEXT DEFAULT 'scheduled', -- 'scheduled', 'confirmed', 'completed', 'cancelled', 'no_show'
-        interview_type TEXT DEFAULT 'onboarding', -- 'onboarding', 'screening', 'follow_up'
-        meeting_link TEXT,
-        reminder_sent BOOLEAN DEFAULT 0,
-        confirmation_sent BOOLEAN DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        completed_at DATETIME,
-        notes TEXT
-      )
-    `);
-
-    // Create lead conversion tracking
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS lead_conversion_log (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        candidate_id INTEGER NOT NULL,
-        conversion_stage TEXT NOT NULL, -- 'pending', 'contacted', 'scheduled', 'interviewed', 'active', 'rejected'
-        previous_stage TEXT,
-        conversion_method TEXT, -- 'manual', 'slm_auto', 'slm_followup', 'scheduled_interview'
-        slm_conversation_id TEXT,
-        success_factors TEXT, -- JSON array of factors that led to conversion
-        notes TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create SLM conversation logs
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS slm_conversations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        conversation_id TEXT UNIQUE NOT NULL,
-        candidate_id INTEGER NOT NULL,
-        message_count INTEGER DEFAULT 0,
-        conversation_status TEXT DEFAULT 'active', -- 'active', 'converted', 'abandoned', 'escalated'
-        conversion_intent_score REAL DEFAULT 0, -- 0-1 score of conversion likelihood
-        last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        scheduled_interview_id INTEGER,
-        conversation_summary TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (scheduled_interview_id) REFERENCES interview_slots(id)
-      )
-    `);
-
-    // Create interview queue management
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS interview_queue (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        candidate_id INTEGER NOT NULL,
-        priority_score REAL DEFAULT 0.5, -- 0-1 priority based on candidate quality + urgency
-        queue_status TEXT DEFAULT 'waiting', -- 'waiting', 'contacted', 'scheduled', 'processed'
-        preferred_times TEXT, -- JSON array of candidate preferred time slots
-        contact_attempts INTEGER DEFAULT 0,
-        last_contact_at DATETIME,
-        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        scheduled_for DATETIME,
-        urgency_level TEXT DEFAULT 'normal' -- 'low', 'normal', 'high', 'urgent'
-      )
-    `);
-
-    // Create interview performance tracking
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS interview_performance (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date DATE NOT NULL,
-        total_scheduled INTEGER DEFAULT 0,
-        total_completed INTEGER DEFAULT 0,
-        total_no_shows INTEGER DEFAULT 0,
-        total_conversions INTEGER DEFAULT 0, -- pending → active
-        avg_interview_duration REAL DEFAULT 30,
-        consultant_satisfaction_score REAL DEFAULT 0, -- 1-10 scale
-        candidate_satisfaction_score REAL DEFAULT 0, -- 1-10 scale
-        efficiency_score REAL DEFAULT 0, -- interviews per hour
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
     // Initialize default availability (Monday to Friday, 9 AM - 6 PM)
     this.initializeDefaultAvailability();
   }
 
   initializeDefaultAvailability() {
     // Check if availability already exists
-    const hasAvailability = this.db.prepare(`
+    const hasAvailability = this.store.get(`
       SELECT COUNT(*) as count FROM consultant_availability
       WHERE date >= DATE('now')
-    `).get().count;
+    `).count;
 
     if (hasAvailability === 0) {
       console.log('📅 Initializing default consultant availability...');
@@ -184,16 +76,16 @@ class InterviewSchedulingEngine {
           const dateStr = date.toISOString().split('T')[0];
 
           // Create morning slot (9 AM - 1 PM)
-          this.db.prepare(`
+          this.store.run(`
             INSERT INTO consultant_availability (date, start_time, end_time, slot_type)
             VALUES (?, '09:00', '13:00', 'interview')
-          `).run(dateStr);
+          `, dateStr);
 
           // Create afternoon slot (2 PM - 6 PM)
-          this.db.prepare(`
+          this.store.run(`
             INSERT INTO consultant_availability (date, start_time, end_time, slot_type)
             VALUES (?, '14:00', '18:00', 'interview')
-          `).run(dateStr);
+          `, dateStr);
         }
       }
     }
@@ -238,14 +130,14 @@ class InterviewSchedulingEngine {
     console.log('📋 Processing interview queue...');
 
     // Get candidates waiting for interview scheduling
-    const queuedCandidates = this.db.prepare(`
+    const queuedCandidates = this.store.all(`
       SELECT iq.*, c.name, c.email, c.phone, c.status as candidate_status
       FROM interview_queue iq
       JOIN candidates c ON iq.candidate_id = c.id
       WHERE iq.queue_status = 'waiting'
       ORDER BY iq.priority_score DESC, iq.added_at ASC
       LIMIT 50
-    `).all();
+    `);
 
     console.log(`📊 Found ${queuedCandidates.length} candidates in queue`);
 
@@ -275,21 +167,21 @@ class InterviewSchedulingEngine {
           scheduled.push({ candidateId: candidate.candidate_id, interviewId, slot: optimalSlot });
 
           // Update queue status
-          this.db.prepare(`
+          this.store.run(`
             UPDATE interview_queue
             SET queue_status = 'scheduled', scheduled_for = ?
             WHERE id = ?
-          `).run(`${optimalSlot.date} ${optimalSlot.time}`, candidate.id);
+          `, `${optimalSlot.date} ${optimalSlot.time}`, candidate.id);
 
         } else {
           // No available slots, mark for follow-up
           failed.push({ candidateId: candidate.candidate_id, reason: 'no_slots_available' });
 
-          this.db.prepare(`
+          this.store.run(`
             UPDATE interview_queue
             SET contact_attempts = contact_attempts + 1, last_contact_at = CURRENT_TIMESTAMP
             WHERE id = ?
-          `).run(candidate.id);
+          `, candidate.id);
         }
 
         // Add small delay to prevent overwhelming
@@ -317,7 +209,7 @@ class InterviewSchedulingEngine {
     console.log('🤖 Managing pending lead conversions with SLM...');
 
     // Get pending leads that need conversion
-    const pendingLeads = this.db.prepare(`
+    const pendingLeads = this.store.all(`
       SELECT c.*,
              JULIANDAY('now') - JULIANDAY(c.created_at) as days_pending
       FROM candidates c
@@ -327,7 +219,7 @@ class InterviewSchedulingEngine {
         AND JULIANDAY('now') - JULIANDAY(c.created_at) <= ?
       ORDER BY c.created_at ASC
       LIMIT 30
-    `).all(this.config.pendingToActiveConversion.maxPendingDays);
+    `, this.config.pendingToActiveConversion.maxPendingDays);
 
     console.log(`🎯 Found ${pendingLeads.length} pending leads for conversion`);
 
@@ -341,7 +233,7 @@ class InterviewSchedulingEngine {
           conversions[conversionResult.action]++;
 
           // Log conversion attempt
-          this.db.prepare(`
+          this.store.statement(`
             INSERT INTO lead_conversion_log
             (candidate_id, conversion_stage, previous_stage, conversion_method, slm_conversation_id, notes)
             VALUES (?, ?, 'pending', 'slm_auto', ?, ?)
@@ -374,7 +266,7 @@ class InterviewSchedulingEngine {
     console.log(`🔍 Finding optimal slot for candidate ${candidate.candidate_id}`);
 
     // Get available slots for next 7 days
-    const availableSlots = this.db.prepare(`
+    const availableSlots = this.store.all(`
       SELECT ca.date, ca.start_time, ca.end_time
       FROM consultant_availability ca
       WHERE ca.date >= DATE('now')
@@ -382,7 +274,7 @@ class InterviewSchedulingEngine {
         AND ca.is_available = 1
         AND ca.slot_type = 'interview'
       ORDER BY ca.date, ca.start_time
-    `).all();
+    `);
 
     // Check each slot for conflicts
     for (const slot of availableSlots) {
@@ -406,22 +298,22 @@ class InterviewSchedulingEngine {
    */
   async isSlotAvailable(date, startTime, slotsNeeded = 1) {
     // Check for existing interviews at this time
-    const conflicts = this.db.prepare(`
+    const conflicts = this.store.get(`
       SELECT COUNT(*) as count
       FROM interview_slots
       WHERE scheduled_date = ?
         AND scheduled_time >= ?
         AND scheduled_time < TIME(?, '+' || (? * 30) || ' minutes')
         AND status IN ('scheduled', 'confirmed')
-    `).get(date, startTime, startTime, slotsNeeded).count;
+    `, date, startTime, startTime, slotsNeeded).count;
 
     // Check daily interview limit
-    const dailyCount = this.db.prepare(`
+    const dailyCount = this.store.get(`
       SELECT COUNT(*) as count
       FROM interview_slots
       WHERE scheduled_date = ?
         AND status IN ('scheduled', 'confirmed')
-    `).get(date).count;
+    `, date).count;
 
     return conflicts === 0 && dailyCount < this.config.maxDailyInterviews;
   }
@@ -446,7 +338,7 @@ class InterviewSchedulingEngine {
 
     const meetingLink = this.generateMeetingLink();
 
-    const stmt = this.db.prepare(`
+    const stmt = this.store.statement(`
       INSERT INTO interview_slots
       (candidate_id, scheduled_date, scheduled_time, duration_minutes, interview_type, meeting_link)
       VALUES (?, ?, ?, ?, 'onboarding', ?)
@@ -473,11 +365,11 @@ class InterviewSchedulingEngine {
     const conversationId = `conv_${candidate.candidate_id}_${Date.now()}`;
 
     // Create conversation record
-    this.db.prepare(`
+    this.store.run(`
       INSERT INTO slm_conversations
       (conversation_id, candidate_id, scheduled_interview_id, conversation_status)
       VALUES (?, ?, ?, 'active')
-    `).run(conversationId, candidate.candidate_id, interviewId);
+    `, conversationId, candidate.candidate_id, interviewId);
 
     // Generate initial message
     const initialMessage = this.generateInitialSLMMessage(candidate, interviewId);
@@ -492,9 +384,9 @@ class InterviewSchedulingEngine {
    * Generate initial SLM message for candidate
    */
   generateInitialSLMMessage(candidate, interviewId) {
-    const interview = this.db.prepare(`
+    const interview = this.store.get(`
       SELECT * FROM interview_slots WHERE id = ?
-    `).get(interviewId);
+    `, interviewId);
 
     const dateTime = `${interview.scheduled_date} ${interview.scheduled_time}`;
     const formattedDateTime = this.formatDateTime(dateTime);
@@ -569,16 +461,16 @@ WorkLink Recruitment Team`,
     console.log(`📋 Adding candidate ${candidate.id} to interview queue`);
 
     // Check if already in queue
-    const existing = this.db.prepare(`
+    const existing = this.store.get(`
       SELECT id FROM interview_queue WHERE candidate_id = ? AND queue_status IN ('waiting', 'contacted')
-    `).get(candidate.id);
+    `, candidate.id);
 
     if (existing) {
       console.log('Candidate already in queue');
       return existing.id;
     }
 
-    const stmt = this.db.prepare(`
+    const stmt = this.store.statement(`
       INSERT INTO interview_queue
       (candidate_id, priority_score, urgency_level)
       VALUES (?, ?, ?)
@@ -599,18 +491,18 @@ WorkLink Recruitment Team`,
     const weekEnd = this.getWeekEnd(new Date()).toISOString().split('T')[0];
 
     // Check daily capacity
-    const dailyCount = this.db.prepare(`
+    const dailyCount = this.store.get(`
       SELECT COUNT(*) as count
       FROM interview_slots
       WHERE scheduled_date = ? AND status IN ('scheduled', 'confirmed')
-    `).get(today).count;
+    `, today).count;
 
     // Check weekly capacity
-    const weeklyCount = this.db.prepare(`
+    const weeklyCount = this.store.get(`
       SELECT COUNT(*) as count
       FROM interview_slots
       WHERE scheduled_date BETWEEN ? AND ? AND status IN ('scheduled', 'confirmed')
-    `).get(weekStart, weekEnd).count;
+    `, weekStart, weekEnd).count;
 
     if (dailyCount >= this.config.maxDailyInterviews) {
       return { canSchedule: false, reason: 'Daily interview limit reached' };
@@ -634,7 +526,7 @@ WorkLink Recruitment Team`,
     console.log('📊 Optimizing scheduling based on performance...');
 
     // Analyze no-show patterns
-    const noShowAnalysis = this.db.prepare(`
+    const noShowAnalysis = this.store.all(`
       SELECT
         strftime('%H', scheduled_time) as hour,
         strftime('%w', scheduled_date) as day_of_week,
@@ -649,7 +541,7 @@ WorkLink Recruitment Team`,
       GROUP BY hour, day_of_week
       HAVING total_interviews >= 5
       ORDER BY no_show_rate DESC
-    `).all();
+    `);
 
     // Identify high-risk time slots
     const highRiskSlots = noShowAnalysis.filter(slot => slot.no_show_rate > 20);
@@ -678,14 +570,14 @@ WorkLink Recruitment Team`,
     const tomorrowStr = tomorrow.toISOString().split('T')[0];
 
     // Get interviews scheduled for tomorrow that need reminders
-    const upcomingInterviews = this.db.prepare(`
+    const upcomingInterviews = this.store.all(`
       SELECT is.*, c.name, c.email, c.phone
       FROM interview_slots is
       JOIN candidates c ON is.candidate_id = c.id
       WHERE is.scheduled_date = ?
         AND is.status IN ('scheduled', 'confirmed')
         AND is.reminder_sent = 0
-    `).all(tomorrowStr);
+    `, tomorrowStr);
 
     let remindersSent = 0;
 
@@ -694,11 +586,11 @@ WorkLink Recruitment Team`,
         await this.sendInterviewReminder(interview);
 
         // Mark reminder as sent
-        this.db.prepare(`
+        this.store.run(`
           UPDATE interview_slots
           SET reminder_sent = 1
           WHERE id = ?
-        `).run(interview.id);
+        `, interview.id);
 
         remindersSent++;
 
@@ -725,7 +617,7 @@ WorkLink Recruitment Team`,
     const yesterdayStr = yesterday.toISOString().split('T')[0];
 
     // Calculate yesterday's performance
-    const performance = this.db.prepare(`
+    const performance = this.store.get(`
       SELECT
         COUNT(*) as total_scheduled,
         SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as total_completed,
@@ -733,23 +625,23 @@ WorkLink Recruitment Team`,
         AVG(duration_minutes) as avg_duration
       FROM interview_slots
       WHERE scheduled_date = ?
-    `).get(yesterdayStr);
+    `, yesterdayStr);
 
     // Calculate conversion rate (interviews → active candidates)
-    const conversions = this.db.prepare(`
+    const conversions = this.store.get(`
       SELECT COUNT(*) as total_conversions
       FROM lead_conversion_log
       WHERE DATE(created_at) = ?
         AND conversion_stage = 'active'
         AND conversion_method LIKE '%interview%'
-    `).get(yesterdayStr).total_conversions;
+    `, yesterdayStr).total_conversions;
 
     // Calculate efficiency (interviews per hour worked)
     const totalHours = performance.total_completed * (performance.avg_duration / 60);
     const efficiency = totalHours > 0 ? performance.total_completed / totalHours : 0;
 
     // Insert performance record
-    this.db.prepare(`
+    this.store.statement(`
       INSERT OR REPLACE INTO interview_performance
       (date, total_scheduled, total_completed, total_no_shows, total_conversions, avg_interview_duration, efficiency_score)
       VALUES (?, ?, ?, ?, ?, ?, ?)
@@ -827,11 +719,11 @@ WorkLink Recruitment Team`,
     console.log(`Message: ${message.content.substring(0, 100)}...`);
 
     // Update conversation log
-    this.db.prepare(`
+    this.store.run(`
       UPDATE slm_conversations
       SET message_count = message_count + 1, last_message_at = CURRENT_TIMESTAMP
       WHERE conversation_id = ?
-    `).run(conversationId);
+    `, conversationId);
 
     return true; // Simulate successful delivery
   }
@@ -936,7 +828,7 @@ WorkLink Team`;
   async getSchedulingAnalytics(days = 7) {
     const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-    const analytics = this.db.prepare(`
+    const analytics = this.store.all(`
       SELECT
         DATE(scheduled_date) as date,
         COUNT(*) as total_scheduled,
@@ -947,7 +839,7 @@ WorkLink Team`;
       WHERE scheduled_date >= ?
       GROUP BY DATE(scheduled_date)
       ORDER BY date DESC
-    `).all(since);
+    `, since);
 
     const summary = analytics.reduce((acc, day) => ({
       totalScheduled: acc.totalScheduled + day.total_scheduled,
@@ -956,11 +848,11 @@ WorkLink Team`;
       avgDuration: (acc.avgDuration + day.avg_duration) / 2
     }), { totalScheduled: 0, totalCompleted: 0, totalNoShows: 0, avgDuration: 0 });
 
-    const conversionRate = this.db.prepare(`
+    const conversionRate = this.store.get(`
       SELECT COUNT(*) as conversions
       FROM lead_conversion_log
       WHERE created_at >= ? AND conversion_stage = 'active'
-    `).get(since).conversions;
+    `, since).conversions;
 
     return {
       period: `${days} days`,
@@ -977,21 +869,21 @@ WorkLink Team`;
   async getCurrentSchedulingStatus() {
     const today = new Date().toISOString().split('T')[0];
 
-    const todayStats = this.db.prepare(`
+    const todayStats = this.store.get(`
       SELECT
         COUNT(*) as scheduled_today,
         SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_today
       FROM interview_slots
       WHERE scheduled_date = ?
-    `).get(today);
+    `, today);
 
-    const queueStatus = this.db.prepare(`
+    const queueStatus = this.store.get(`
       SELECT
         COUNT(*) as total_in_queue,
         SUM(CASE WHEN urgency_level = 'high' THEN 1 ELSE 0 END) as high_priority
       FROM interview_queue
       WHERE queue_status = 'waiting'
-    `).get();
+    `);
 
     const capacityCheck = await this.checkInterviewCapacity();
 
@@ -1009,19 +901,19 @@ WorkLink Team`;
     console.log('🛑 Emergency stop activated - Pausing all scheduling');
 
     // Pause all pending interviews
-    this.db.prepare(`
+    this.store.run(`
       UPDATE interview_queue
       SET queue_status = 'paused'
       WHERE queue_status = 'waiting'
-    `).run();
+    `);
 
     // Mark availability as unavailable for today
     const today = new Date().toISOString().split('T')[0];
-    this.db.prepare(`
+    this.store.run(`
       UPDATE consultant_availability
       SET is_available = 0, notes = 'Emergency pause activated'
       WHERE date = ?
-    `).run(today);
+    `, today);
 
     return { success: true, message: 'All scheduling paused immediately' };
   }
@@ -1030,19 +922,19 @@ WorkLink Team`;
     console.log('▶️ Resuming scheduling activities');
 
     // Resume queue processing
-    this.db.prepare(`
+    this.store.run(`
       UPDATE interview_queue
       SET queue_status = 'waiting'
       WHERE queue_status = 'paused'
-    `).run();
+    `);
 
     // Restore availability
     const today = new Date().toISOString().split('T')[0];
-    this.db.prepare(`
+    this.store.run(`
       UPDATE consultant_availability
       SET is_available = 1, notes = NULL
       WHERE date >= ? AND slot_type = 'interview'
-    `).run(today);
+    `, today);
 
     return { success: true, message: 'Scheduling activities resumed' };
   }
@@ -1053,16 +945,16 @@ WorkLink Team`;
   async isHealthy() {
     try {
       // Test database connectivity
-      const testQuery = this.db.prepare('SELECT COUNT(*) as count FROM interview_queue LIMIT 1').get();
+      const testQuery = this.store.get('SELECT COUNT(*) as count FROM interview_queue LIMIT 1');
 
       // Test basic scheduling operations
       const today = new Date().toISOString().split('T')[0];
-      const availabilityCheck = this.db.prepare(`
+      const availabilityCheck = this.store.get(`
         SELECT COUNT(*) as available_slots
         FROM consultant_availability
         WHERE date >= ? AND is_available = 1
         LIMIT 5
-      `).get(today);
+      `, today);
 
       // Test slot availability function
       const testSlot = await this.isSlotAvailable(today, '10:00');
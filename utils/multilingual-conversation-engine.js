@@ -3,6 +3,8 @@
  * Handles automatic language detection and culturally adapted FOMO strategies
  */
 
+const { reader } = require('../db');
+
 class MultilingualConversationEngine {
   constructor() {
     // Supported languages with regional variants
@@ -665,9 +667,7 @@ class MultilingualConversationEngine {
 
   async getCandidateProfile(candidateId) {
     // Integration with database
-    const Database = require('better-sqlite3');
-    const db = new Database(require('path').resolve(__dirname, '../db/database.db'));
-    return db.prepare('SELECT * FROM candidates WHERE id = ?').get(candidateId);
+    return reader.prepare('SELECT * FROM candidates WHERE id = ?').get(candidateId);
   }
 
   /**
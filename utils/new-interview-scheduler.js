@@ -5,7 +5,7 @@
  * Philosophy: Conversational Agent (not state machine)
  */
 
-const { callGroqAPI } = require('./internal-slm/groq-fallback');
+const llm = require('../services/llm');
 const chrono = require('chrono-node');
 
 /**
@@ -209,10 +209,9 @@ Return JSON with:
   "reasoning": "Brief explanation"
 }`;
 
-      const response = await callGroqAPI([
-        { role: 'system', content: 'You are an intent analysis expert. Return ONLY valid JSON.' },
-        { role: 'user', content: prompt }
-      ], 500);
+      const response = await llm.ask('intent', prompt, 'You are an intent analysis expert. Return ONLY valid JSON.', {
+        maxTokens: 500
+      });
 
       // Clean response
       let cleaned = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
@@ -7,15 +7,18 @@
  */
 
 const { db } = require('../db');
+const { ratingScore } = require('../services/ratings/rules');
+const { LATE_NOTICE_HOURS } = require('../services/shift-changes/rules');
 
 class ReliabilityScoringSystem {
   constructor() {
     this.reliabilityFactors = {
-      pastPerformance: 0.40,     // Historical show-up rate
-      responseTime: 0.15,        // How quickly they respond
+      pastPerformance: 0.35,     // Historical show-up rate
+      clientRatings: 0.15,       // Ratings clients give after each shift
+      responseTime: 0.10,        // How quickly they respond
       confirmationPattern: 0.15, // Pattern of confirmations
       circumstances: 0.10,       // Personal situation stability
-      engagementLevel: 0.10,     // General engagement with platform
+      engagementLevel: 0.05,     // General engagement with platform
       timePatterns: 0.10         // Consistency in availability
     };
 
@@ -66,6 +69,7 @@ class ReliabilityScoringSystem {
   async gatherReliabilityFactors(candidateId) {
     return {
       pastPerformance: await this.calculatePastPerformance(candidateId),
+      clientRatings: await this.calculateClientRatings(candidateId),
       responseTime: await this.calculateResponseTime(candidateId),
       confirmationPattern: await this.calculateConfirmationPattern(candidateId),
       circumstances: await this.evaluateCircumstances(candidateId),
@@ -76,18 +80,21 @@ class ReliabilityScoringSystem {
 
   /**
    * Calculate past performance score
+   * Shifts the worker handed over through services/shift-changes are left out,
+   * except releases made with too little notice, which count as last-minute cancels.
    */
   async calculatePastPerformance(candidateId) {
     const deploymentHistory = db.prepare(`
       SELECT
         COUNT(*) as total_deployments,
-        SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
-        SUM(CASE WHEN status = 'no_show' THEN 1 ELSE 0 END) as no_shows,
-        SUM(CASE WHEN status = 'cancelled_last_minute' THEN 1 ELSE 0 END) as last_minute_cancels,
-        AVG(client_rating) as avg_rating
-      FROM deployments
-      WHERE candidate_id = ?
-      ORDER BY created_at DESC
+        SUM(CASE WHEN d.status = 'completed' THEN 1 ELSE 0 END) as completed,
+        SUM(CASE WHEN d.status = 'no_show' THEN 1 ELSE 0 END) as no_shows,
+        SUM(CASE WHEN d.status = 'cancelled_last_minute' OR sc.is_late = 1 THEN 1 ELSE 0 END) as last_minute_cancels
+      FROM deployments d
+      LEFT JOIN shift_change_requests sc ON sc.deployment_id = d.id AND sc.status = 'completed'
+      WHERE d.candidate_id = ?
+        AND NOT (sc.id IS NOT NULL AND (sc.type = 'swap' OR sc.is_late = 0))
+      ORDER BY d.created_at DESC
       LIMIT 20
     `).get(candidateId);
 
@@ -106,21 +113,37 @@ class ReliabilityScoringSystem {
     score -= (noShowRate * 2); // Double penalty for no-shows
     score -= cancelRate;        // Penalty for last-minute cancels
 
-    // Bonus for high ratings
-    if (deploymentHistory.avg_rating >= 4.5) score += 5;
-    else if (deploymentHistory.avg_rating >= 4.0) score += 3;
-
     return {
       score: Math.max(0, Math.min(100, score)),
       showUpRate,
       noShowRate,
       cancelRate,
-      avgRating: deploymentHistory.avg_rating,
       totalDeployments: deploymentHistory.total_deployments,
       reason: `Based on ${deploymentHistory.total_deployments} deployments`
     };
   }
 
+  /**
+   * Calculate client rating score from the aggregate kept by services/ratings
+   */
+  async calculateClientRatings(candidateId) {
+    const candidate = db.prepare(`
+      SELECT rating, rating_count, recent_rating FROM candidates WHERE id = ?
+    `).get(candidateId);
+
+    if (!candidate?.rating_count) {
+      return { score: 70, reason: "No client ratings yet" };
+    }
+
+    return {
+      score: ratingScore(candidate),
+      avgRating: candidate.rating,
+      recentRating: candidate.recent_rating,
+      totalRatings: candidate.rating_count,
+      reason: `${candidate.rating.toFixed(1)} stars from ${candidate.rating_count} ratings`
+    };
+  }
+
   /**
    * Calculate response time score
    */
@@ -379,6 +402,12 @@ class ReliabilityScoringSystem {
     if (factors.pastPerformance?.noShowRate > 10) {
       actions.push("Address no-show pattern through counseling");
     }
+    if (factors.pastPerformance?.cancelRate > 10) {
+      actions.push(`Discuss late shift releases - ask for at least ${LATE_NOTICE_HOURS} hours' notice or a swap`);
+    }
+    if (factors.clientRatings?.recentRating && factors.clientRatings.recentRating < 3) {
+      actions.push("Review recent client feedback with the candidate");
+    }
     if (factors.responseTime?.avgResponseTime > 12) {
       actions.push("Improve communication responsiveness");
     }
@@ -35,40 +35,6 @@ class SmartRouterMigration {
    */
   async initializeMigration() {
     try {
-      // Create migration tracking table
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS migration_phases (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          phase_name TEXT NOT NULL,
-          rollout_percentage INTEGER NOT NULL,
-          started_at DATETIME NOT NULL,
-          ended_at DATETIME,
-          auto_advanced INTEGER DEFAULT 0,
-          success_rate REAL,
-          error_rate REAL,
-          confidence_improvement REAL,
-          notes TEXT
-        )
-      `);
-
-      // Create migration metrics table
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS migration_metrics (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          date DATE NOT NULL,
-          smart_router_requests INTEGER DEFAULT 0,
-          legacy_requests INTEGER DEFAULT 0,
-          smart_router_successes INTEGER DEFAULT 0,
-          legacy_successes INTEGER DEFAULT 0,
-          smart_router_avg_confidence REAL DEFAULT 0,
-          legacy_avg_confidence REAL DEFAULT 0,
-          smart_router_avg_response_time INTEGER DEFAULT 0,
-          legacy_avg_response_time INTEGER DEFAULT 0,
-          escalation_rate REAL DEFAULT 0,
-          user_satisfaction_score REAL DEFAULT 0
-        )
-      `);
-
       // Record initial phase
       await this.startMigrationPhase('initial', 10);
 
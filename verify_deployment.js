@@ -58,8 +58,7 @@ const schedulerChecks = {
   'Question Handler': /handleQuestion\s*\(/,
   'Slot Handler': /handleSlotSelection\s*\(/,
   'Confirmation Handler': /handleConfirmation\s*\(/,
-  'Database State Management': /getState|updateState|initializeState/,
-  'Database Tables Creation': /ensureStateTable|ensureInterviewTables/
+  'Database State Management': /getState|updateState|initializeState/
 };
 
 console.log('🔧 Scheduler V2 Components:');
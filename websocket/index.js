@@ -312,6 +312,9 @@ module.exports = {
   clientStore,
   
   // Helper functions
+  broadcastToAdmins: broadcast.broadcastToAdmins,
+  broadcastToCandidate: broadcast.broadcastToCandidate,
+  createNotification: eventNotifiers.createNotification,
   isCandidateOnline: broadcast.isCandidateOnline,
   getOnlineCandidates: broadcast.getOnlineCandidates,
   getConnectionStats: broadcast.getConnectionStats
@@ -0,0 +1,26 @@
+/**
+ * Admin Notifications
+ * Best-effort admin broadcasts for services. The broadcast module is loaded
+ * on first use so services can require this at boot without a circular
+ * require through the WebSocket server.
+ */
+
+const { createLogger } = require('../utils/structured-logger');
+
+const logger = createLogger('websocket:notify-admins');
+
+/**
+ * Broadcast an event to connected admins - failures are logged, never thrown
+ * @param {string} type - Event type
+ * @param {Object} payload - Event fields, merged into the message
+ */
+function notifyAdmins(type, payload = {}) {
+  try {
+    const { broadcastToAdmins } = require('./broadcast');
+    broadcastToAdmins({ type, ...payload });
+  } catch (error) {
+    logger.warn('Failed to broadcast admin event', { type, error: error.message });
+  }
+}
+
+module.exports = { notifyAdmins };
@@ -1,11 +1,20 @@
 import { clsx } from 'clsx';
-import { TrophyIcon, WalletIcon, BriefcaseIcon } from 'lucide-react';
+import { TrophyIcon, WalletIcon, BriefcaseIcon, ChevronRightIcon, ArrowUpIcon, ArrowDownIcon } from 'lucide-react';
 import { LEVEL_TITLES as levelTitles } from '../../../../shared/utils/gamification-browser';
 import { StatPod } from '../common';
 import XPBar from '../gamification/XPBar';
 import { formatMoney } from '../../utils/constants';
 
-export default function LeagueCard({ user, userLevel, userXP, thisMonthEarnings, totalJobs, xpAnimating, xpBarRef }) {
+// Season ends_at is a UTC timestamp in SQLite format
+function timeLeft(endsAt) {
+  const ms = new Date(`${endsAt.replace(' ', 'T')}Z`) - Date.now();
+  if (ms <= 0) return 'ending now';
+  const days = Math.floor(ms / 86400000);
+  if (days >= 1) return `${days}d left`;
+  return `${Math.max(1, Math.floor(ms / 3600000))}h left`;
+}
+
+export default function LeagueCard({ user, league, onLeagueClick, userLevel, userXP, thisMonthEarnings, totalJobs, xpAnimating, xpBarRef }) {
   const levelTitle = levelTitles[userLevel] || 'Newcomer';
 
   return (
@@ -44,13 +53,40 @@ export default function LeagueCard({ user, userLevel, userXP, thisMonthEarnings,
           <div className="w-1 h-10 rounded-full bg-gradient-to-b from-emerald-400 to-cyan-400" />
           <div>
             <h1 className="text-2xl font-bold text-white flex items-center gap-2">
-              {levelTitle} League
+              {league ? league.tier_name : levelTitle} League
               <TrophyIcon className="h-6 w-6 text-amber-400" />
             </h1>
             <p className="text-white/50 text-sm">Level {userLevel} • {userXP.toLocaleString()} XP</p>
           </div>
         </div>
 
+        {/* Season standing */}
+        {league?.rank && (
+          <button
+            onClick={onLeagueClick}
+            className="w-full flex items-center gap-3 mb-4 p-3 rounded-2xl bg-white/[0.04] border border-white/[0.08] text-left hover:bg-white/[0.06] transition-colors"
+          >
+            <div className="w-10 h-10 rounded-xl bg-amber-500/20 flex items-center justify-center">
+              <span className="text-amber-400 font-bold">#{league.rank}</span>
+            </div>
+            <div className="flex-1 min-w-0">
+              <p className="text-white text-sm font-medium">
+                {league.season_xp.toLocaleString()} XP this season • of {league.standings.length}
+              </p>
+              <p className={clsx(
+                'text-xs flex items-center gap-1',
+                league.zone === 'promotion' ? 'text-emerald-400' : league.zone === 'relegation' ? 'text-red-400' : 'text-white/40'
+              )}>
+                {league.zone === 'promotion' && <><ArrowUpIcon className="h-3 w-3" /> Promotion zone</>}
+                {league.zone === 'relegation' && <><ArrowDownIcon className="h-3 w-3" /> Relegation zone</>}
+                {!league.zone && 'Safe'}
+                <span className="text-white/40">• {timeLeft(league.season.ends_at)}</span>
+              </p>
+            </div>
+            <ChevronRightIcon className="h-4 w-4 text-white/40" />
+          </button>
+        )}
+
         {/* XP Bar - ref attached to the bar track for flying XP target */}
         <div className="mb-6">
           <XPBar
@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ZapIcon, MapPinIcon, ClockIcon } from 'lucide-react';
+import { useWebSocket } from '../../contexts/WebSocketContext';
+import { useToast } from '../ui/Toast';
+import { formatDate, formatTime, formatMoney } from '../../utils/constants';
+
+// Offer expiry comes back as a UTC SQLite timestamp ("YYYY-MM-DD HH:MM:SS")
+const parseUtc = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+/**
+ * Replacement shift offers for the worker: someone dropped out and the
+ * first to accept gets the slot.
+ */
+export default function ShiftOfferCard({ user }) {
+  const ws = useWebSocket();
+  const toast = useToast();
+  const [offers, setOffers] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
+
+  const fetchOffers = useCallback(async () => {
+    if (!user?.id) return;
+    try {
+      const res = await fetch(`/api/v1/backfill/offers/candidate/${user.id}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await res.json();
+      if (data.success) setOffers(data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch shift offers:', error);
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    fetchOffers();
+  }, [fetchOffers]);
+
+  useEffect(() => {
+    if (!ws) return;
+    const unsub = ws.subscribe('notification', (data) => {
+      if (data.notification?.type === 'shift_offer') fetchOffers();
+    });
+    return () => unsub?.();
+  }, [ws, fetchOffers]);
+
+  const respond = async (offer, action) => {
+    setRespondingId(offer.id);
+    try {
+      const res = await fetch(`/api/v1/backfill/offers/${offer.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await res.json();
+      if (data.success) {
+        if (action === 'accept') {
+          toast.success('Shift Confirmed!', `You're on ${offer.job_title}`);
+        } else {
+          toast.info('Offer Declined', 'We\'ll let the next worker know');
+        }
+      } else {
+        toast.error('Offer Closed', data.error || 'This shift is no longer available');
+      }
+    } catch (error) {
+      toast.error('Error', 'Please try again');
+    } finally {
+      setRespondingId(null);
+      fetchOffers();
+    }
+  };
+
+  if (offers.length === 0) return null;
+
+  return (
+    <div className="mx-4 mt-4 space-y-3">
+      {offers.map(offer => (
+        <div key={offer.id} className="p-4 rounded-2xl bg-gradient-to-r from-amber-500/20 to-orange-500/20 border border-amber-500/30">
+          <div className="flex items-center gap-2 mb-2">
+            <ZapIcon className="h-4 w-4 text-amber-400" />
+            <span className="text-amber-400 text-xs font-semibold uppercase tracking-wide">Urgent shift offer</span>
+            <span className="ml-auto text-white/50 text-xs">
+              until {formatTime(parseUtc(offer.expires_at))}
+            </span>
+          </div>
+
+          <h3 className="text-white font-bold">{offer.job_title}</h3>
+          <div className="mt-1 space-y-1 text-white/60 text-sm">
+            <div className="flex items-center gap-2">
+              <ClockIcon className="h-4 w-4" />
+              <span>{formatDate(offer.job_date)} · {offer.start_time} - {offer.end_time}</span>
+            </div>
+            {offer.location && (
+              <div className="flex items-center gap-2">
+                <MapPinIcon className="h-4 w-4" />
+                <span>{offer.location}</span>
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center gap-3 mt-3">
+            <span className="text-lg font-bold text-emerald-400">${formatMoney(offer.pay_rate)}/hr</span>
+            <div className="ml-auto flex gap-2">
+              <button
+                onClick={() => respond(offer, 'decline')}
+                disabled={respondingId === offer.id}
+                className="px-4 py-2 rounded-xl bg-white/10 text-white/70 font-medium text-sm disabled:opacity-50"
+              >
+                Decline
+              </button>
+              <button
+                onClick={() => respond(offer, 'accept')}
+                disabled={respondingId === offer.id}
+                className="px-4 py-2 rounded-xl bg-gradient-to-r from-amber-500 to-orange-500 text-white font-medium text-sm hover:shadow-lg transition-all disabled:opacity-50"
+              >
+                Accept
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -5,3 +5,4 @@ export { default as LiveActivityFeed } from './LiveActivityFeed';
 export { default as EarningsPotentialCard } from './EarningsPotentialCard';
 export { default as QuestSection } from './QuestSection';
 export { default as FlyingXP } from './FlyingXP';
+export { default as ShiftOfferCard } from './ShiftOfferCard';
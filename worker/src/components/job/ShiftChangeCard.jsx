@@ -0,0 +1,230 @@
+import { useState, useEffect, useCallback } from 'react';
+import { RepeatIcon, LogOutIcon, UserIcon, AlertTriangleIcon } from 'lucide-react';
+import { useToast } from '../ui/Toast';
+import { clsx } from 'clsx';
+
+const STATUS_TEXT = {
+  awaiting_colleague: (r) => `Waiting for ${r.target_name} to accept your swap`,
+  awaiting_approval: (r) => (r.type === 'swap'
+    ? `${r.target_name} accepted - waiting for our team to approve`
+    : 'Waiting for our team to approve your release'),
+  declined: (r) => `${r.target_name} declined your swap - you're still on this shift`,
+  rejected: (r) => `Not approved${r.review_note ? `: ${r.review_note}` : ''} - you're still on this shift`,
+  expired: () => 'Your last request expired - you\'re still on this shift',
+};
+
+const OPEN_STATUSES = ['awaiting_colleague', 'awaiting_approval'];
+
+async function request(path, options = {}) {
+  const res = await fetch(`/api/v1/shift-changes${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+  });
+  return res.json();
+}
+
+/**
+ * Before a shift: swap it with a colleague or release it back to the
+ * market, and follow the request until it is done.
+ */
+export default function ShiftChangeCard({ deploymentId, onChange }) {
+  const toast = useToast();
+  const [latest, setLatest] = useState(null);
+  const [lateNoticeHours, setLateNoticeHours] = useState(48);
+  const [mode, setMode] = useState(null); // 'swap' | 'release'
+  const [colleagues, setColleagues] = useState(null);
+  const [target, setTarget] = useState(null);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const data = await request('/mine');
+      if (data.success) {
+        setLatest(data.data.sent.find(r => r.deployment_id === deploymentId) || null);
+        setLateNoticeHours(data.data.late_notice_hours);
+      }
+    } catch (error) {
+      console.error('Failed to fetch shift changes:', error);
+    }
+  }, [deploymentId]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const openSwap = async () => {
+    setMode('swap');
+    setTarget(null);
+    setColleagues(null);
+    try {
+      const data = await request(`/deployments/${deploymentId}/colleagues`);
+      if (data.success) setColleagues(data.data);
+      else toast.error('Swap Unavailable', data.error);
+    } catch (error) {
+      toast.error('Swap Unavailable', 'Check your connection and try again');
+    }
+  };
+
+  const close = () => {
+    setMode(null);
+    setReason('');
+  };
+
+  const submit = async () => {
+    setSubmitting(true);
+    try {
+      const data = await request('', {
+        method: 'POST',
+        body: JSON.stringify({ deployment_id: deploymentId, type: mode, target_candidate_id: target?.id, reason }),
+      });
+      if (data.success) {
+        if (data.data.status === 'completed') {
+          toast.success('Shift Released', 'We\'ll find someone to cover it');
+        } else if (mode === 'swap') {
+          toast.success('Swap Requested', `We've asked ${target.name}`);
+        } else {
+          toast.success('Release Requested', 'Our team will review it');
+        }
+        close();
+        await fetchRequests();
+        if (data.data.status === 'completed') onChange?.();
+      } else {
+        toast.error('Not Sent', data.error || 'Please try again');
+      }
+    } catch (error) {
+      toast.error('Not Sent', 'Check your connection and try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const withdraw = async () => {
+    setSubmitting(true);
+    try {
+      const data = await request(`/${latest.id}/withdraw`, { method: 'POST' });
+      if (data.success) {
+        toast.success('Request Withdrawn', 'You\'re still on this shift');
+        await fetchRequests();
+      } else {
+        toast.error('Not Withdrawn', data.error || 'Please try again');
+      }
+    } catch (error) {
+      toast.error('Not Withdrawn', 'Check your connection and try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const pending = latest && OPEN_STATUSES.includes(latest.status);
+  const lastOutcome = latest && STATUS_TEXT[latest.status] && !pending ? STATUS_TEXT[latest.status](latest) : null;
+
+  return (
+    <div className="p-4 rounded-2xl bg-[#0a1628]/80 border border-white/[0.05] space-y-3">
+      <div>
+        <p className="text-white font-semibold">Can&apos;t make it?</p>
+        {pending ? (
+          <p className="text-amber-400 text-sm mt-1">{STATUS_TEXT[latest.status](latest)}</p>
+        ) : (
+          <p className="text-white/50 text-sm mt-1">Swap with a colleague or release the shift so we can find cover.</p>
+        )}
+        {lastOutcome && <p className="text-white/50 text-sm mt-1">{lastOutcome}</p>}
+      </div>
+
+      {pending && (
+        <button
+          onClick={withdraw}
+          disabled={submitting}
+          className="w-full px-4 py-2 rounded-xl bg-white/5 border border-white/10 text-white/70 disabled:opacity-50"
+        >
+          Withdraw Request
+        </button>
+      )}
+
+      {!pending && !mode && (
+        <div className="flex gap-2">
+          <button
+            onClick={openSwap}
+            className="flex-1 px-4 py-3 rounded-xl bg-violet-500/20 border border-violet-500/30 text-violet-400 font-semibold flex items-center justify-center gap-2 active:scale-95 transition-transform"
+          >
+            <RepeatIcon className="h-4 w-4" />
+            Swap
+          </button>
+          <button
+            onClick={() => setMode('release')}
+            className="flex-1 px-4 py-3 rounded-xl bg-white/5 border border-white/10 text-white/70 font-semibold flex items-center justify-center gap-2 active:scale-95 transition-transform"
+          >
+            <LogOutIcon className="h-4 w-4" />
+            Release
+          </button>
+        </div>
+      )}
+
+      {mode === 'swap' && (
+        <div className="space-y-2">
+          {colleagues === null ? (
+            <p className="text-white/50 text-sm">Finding colleagues who can take this shift...</p>
+          ) : colleagues.length === 0 ? (
+            <p className="text-white/50 text-sm">Nobody is free for this shift right now. You can release it instead.</p>
+          ) : (
+            <div className="max-h-56 overflow-y-auto space-y-1">
+              {colleagues.map(colleague => (
+                <button
+                  key={colleague.id}
+                  onClick={() => setTarget(colleague)}
+                  className={clsx(
+                    'w-full px-3 py-2 rounded-xl flex items-center gap-3 text-left border',
+                    target?.id === colleague.id ? 'bg-violet-500/20 border-violet-500/40' : 'bg-white/5 border-transparent'
+                  )}
+                >
+                  <UserIcon className="h-4 w-4 text-white/40" />
+                  <span className="flex-1 text-white">{colleague.name}</span>
+                  {colleague.shifts_with_client > 0 && (
+                    <span className="text-xs text-white/40">{colleague.shifts_with_client} shifts here</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {mode === 'release' && (
+        <p className="text-sm text-amber-400/80 flex gap-2">
+          <AlertTriangleIcon className="h-4 w-4 shrink-0 mt-0.5" />
+          Releasing with less than {lateNoticeHours} hours&apos; notice counts against your reliability score. A swap never does.
+        </p>
+      )}
+
+      {mode && (
+        <>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (optional)"
+            rows={2}
+            className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white placeholder-white/30 focus:outline-none resize-none"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={close}
+              className="flex-1 px-4 py-2 rounded-xl bg-white/5 border border-white/10 text-white/70"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={submit}
+              disabled={submitting || (mode === 'swap' && !target)}
+              className="flex-1 px-4 py-2 rounded-xl bg-violet-500/20 border border-violet-500/30 text-violet-400 font-semibold disabled:opacity-50"
+            >
+              {submitting ? 'Sending...' : mode === 'swap' ? 'Ask Colleague' : 'Release Shift'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
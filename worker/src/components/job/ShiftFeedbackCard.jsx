@@ -0,0 +1,186 @@
+import { useState, useEffect, useCallback } from 'react';
+import { StarIcon, FlagIcon } from 'lucide-react';
+import { useToast } from '../ui/Toast';
+import { clsx } from 'clsx';
+
+const DISPUTE_STATUS = {
+  open: 'Dispute under review - the rating does not count until our team decides',
+  upheld: 'Dispute reviewed - the rating was kept',
+  removed: 'Dispute accepted - the rating was removed',
+};
+
+function Stars({ value, onSelect }) {
+  return (
+    <div className="flex gap-1">
+      {[1, 2, 3, 4, 5].map(n => (
+        <button
+          key={n}
+          type="button"
+          disabled={!onSelect}
+          onClick={() => onSelect?.(n)}
+          className={clsx(onSelect && 'active:scale-90 transition-transform')}
+        >
+          <StarIcon className={clsx('h-6 w-6', n <= value ? 'text-amber-400 fill-amber-400' : 'text-white/20')} />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * After a shift: the client's rating of the worker (with a way to dispute
+ * it) and the worker's own rating of the job site.
+ */
+export default function ShiftFeedbackCard({ deploymentId }) {
+  const toast = useToast();
+  const [view, setView] = useState(null);
+  const [siteRating, setSiteRating] = useState(0);
+  const [siteFeedback, setSiteFeedback] = useState('');
+  const [disputing, setDisputing] = useState(false);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchView = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/v1/ratings/deployments/${deploymentId}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await res.json();
+      if (data.success) setView(data.data);
+    } catch (error) {
+      console.error('Failed to fetch shift ratings:', error);
+    }
+  }, [deploymentId]);
+
+  useEffect(() => {
+    fetchView();
+  }, [fetchView]);
+
+  const post = async (path, body) => {
+    setSubmitting(true);
+    try {
+      const res = await fetch(`/api/v1/ratings/deployments/${deploymentId}/${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!data.success) toast.error('Not Sent', data.error || 'Please try again');
+      return data.success;
+    } catch (error) {
+      toast.error('Not Sent', 'Check your connection and try again');
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRateSite = async () => {
+    if (await post('site', { rating: siteRating, feedback: siteFeedback })) {
+      toast.success('Thanks!', 'Your rating helps us pick better job sites');
+      await fetchView();
+    }
+  };
+
+  const handleDispute = async () => {
+    if (await post('dispute', { reason })) {
+      toast.success('Dispute Sent', 'Our team will review the rating');
+      setDisputing(false);
+      await fetchView();
+    }
+  };
+
+  if (!view?.shift_ended) return null;
+
+  return (
+    <div className="p-4 rounded-2xl bg-[#0a1628]/80 border border-white/[0.05] space-y-4">
+      <div>
+        <p className="text-white font-semibold mb-2">Your rating</p>
+        {view.rating ? (
+          <>
+            <Stars value={view.rating} />
+            {view.feedback && <p className="text-white/70 text-sm mt-2">“{view.feedback}”</p>}
+            {view.dispute ? (
+              <p className={clsx('text-sm mt-2', view.dispute.status === 'removed' ? 'text-emerald-400' : 'text-white/50')}>
+                {DISPUTE_STATUS[view.dispute.status]}
+                {view.dispute.resolution_note && ` · ${view.dispute.resolution_note}`}
+              </p>
+            ) : disputing ? (
+              <div className="mt-3 space-y-2">
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Tell us why this rating is unfair..."
+                  rows={3}
+                  className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white placeholder-white/30 focus:outline-none resize-none"
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setDisputing(false)}
+                    className="flex-1 px-4 py-2 rounded-xl bg-white/5 border border-white/10 text-white/70"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleDispute}
+                    disabled={submitting || !reason.trim()}
+                    className="flex-1 px-4 py-2 rounded-xl bg-amber-500/20 border border-amber-500/30 text-amber-400 font-semibold disabled:opacity-50"
+                  >
+                    {submitting ? 'Sending...' : 'Send Dispute'}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button
+                onClick={() => setDisputing(true)}
+                className="mt-2 text-sm text-white/50 flex items-center gap-1"
+              >
+                <FlagIcon className="h-4 w-4" />
+                Dispute this rating
+              </button>
+            )}
+          </>
+        ) : view.dispute?.status === 'removed' ? (
+          <p className="text-emerald-400 text-sm">{DISPUTE_STATUS.removed}</p>
+        ) : (
+          <p className="text-white/50 text-sm">The client hasn&apos;t rated this shift yet</p>
+        )}
+      </div>
+
+      <div className="pt-4 border-t border-white/[0.05]">
+        <p className="text-white font-semibold mb-2">Rate this job site</p>
+        {view.site_rating ? (
+          <>
+            <Stars value={view.site_rating.rating} />
+            <p className="text-white/50 text-sm mt-2">Thanks for your feedback</p>
+          </>
+        ) : (
+          <div className="space-y-2">
+            <Stars value={siteRating} onSelect={setSiteRating} />
+            {siteRating > 0 && (
+              <>
+                <textarea
+                  value={siteFeedback}
+                  onChange={(e) => setSiteFeedback(e.target.value)}
+                  placeholder="How was the site, supervisor and briefing? (optional)"
+                  rows={2}
+                  className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white placeholder-white/30 focus:outline-none resize-none"
+                />
+                <button
+                  onClick={handleRateSite}
+                  disabled={submitting}
+                  className="w-full px-4 py-3 rounded-xl bg-emerald-500/20 border border-emerald-500/30 text-emerald-400 font-semibold active:scale-95 transition-transform disabled:opacity-50"
+                >
+                  {submitting ? 'Sending...' : 'Submit Rating'}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState, useEffect, useCallback } from 'react';
+import { RepeatIcon, CalendarIcon, ClockIcon, MapPinIcon } from 'lucide-react';
+import { useToast } from '../ui/Toast';
+import { DEFAULT_LOCALE, TIMEZONE } from '../../utils/constants';
+
+/**
+ * Colleagues asking the worker to take over one of their shifts
+ */
+export default function SwapRequestsCard({ onChange }) {
+  const toast = useToast();
+  const [requests, setRequests] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const res = await fetch('/api/v1/shift-changes/mine', {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await res.json();
+      if (data.success) setRequests(data.data.received);
+    } catch (error) {
+      console.error('Failed to fetch swap requests:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const respond = async (swap, accept) => {
+    setRespondingId(swap.id);
+    try {
+      const res = await fetch(`/api/v1/shift-changes/${swap.id}/respond`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ accept }),
+      });
+      const data = await res.json();
+      if (data.success) {
+        if (!accept) {
+          toast.success('Swap Declined', `We've let ${swap.candidate_name} know`);
+        } else if (data.data.status === 'completed') {
+          toast.success('Shift Confirmed', `You're working ${swap.job_title}`);
+        } else {
+          toast.success('Swap Accepted', 'Our team will confirm it shortly');
+        }
+        await fetchRequests();
+        onChange?.();
+      } else {
+        toast.error('Not Sent', data.error || 'Please try again');
+      }
+    } catch (error) {
+      toast.error('Not Sent', 'Check your connection and try again');
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  if (requests.length === 0) return null;
+
+  return (
+    <div className="p-4 rounded-2xl bg-violet-500/10 border border-violet-500/20 space-y-3 mb-4">
+      <div className="flex items-center gap-2 text-violet-400">
+        <RepeatIcon className="h-4 w-4" />
+        <span className="font-semibold">Swap requests</span>
+      </div>
+      {requests.map(swap => (
+        <div key={swap.id} className="p-3 rounded-xl bg-[#0a1628]/80 border border-white/[0.05]">
+          <p className="text-white font-medium">{swap.job_title}</p>
+          <p className="text-white/50 text-sm">{swap.candidate_name} is asking you to cover</p>
+          <div className="flex flex-wrap gap-3 mt-2 text-sm text-white/40">
+            <span className="flex items-center gap-1">
+              <CalendarIcon className="h-3.5 w-3.5" />
+              {new Date(`${swap.job_date}T00:00:00+08:00`).toLocaleDateString(DEFAULT_LOCALE, { weekday: 'short', day: 'numeric', month: 'short', timeZone: TIMEZONE })}
+            </span>
+            <span className="flex items-center gap-1"><ClockIcon className="h-3.5 w-3.5" />{swap.start_time} - {swap.end_time}</span>
+            <span className="flex items-center gap-1"><MapPinIcon className="h-3.5 w-3.5" />{swap.location}</span>
+          </div>
+          {swap.reason && <p className="text-white/60 text-sm mt-2">“{swap.reason}”</p>}
+          <div className="flex gap-2 mt-3">
+            <button
+              onClick={() => respond(swap, false)}
+              disabled={respondingId === swap.id}
+              className="flex-1 px-4 py-2 rounded-xl bg-white/5 border border-white/10 text-white/70 disabled:opacity-50"
+            >
+              Decline
+            </button>
+            <button
+              onClick={() => respond(swap, true)}
+              disabled={respondingId === swap.id}
+              className="flex-1 px-4 py-2 rounded-xl bg-emerald-500/20 border border-emerald-500/30 text-emerald-400 font-semibold disabled:opacity-50"
+            >
+              Take Shift
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,3 @@
+export { default as ShiftFeedbackCard } from './ShiftFeedbackCard';
+export { default as ShiftChangeCard } from './ShiftChangeCard';
+export { default as SwapRequestsCard } from './SwapRequestsCard';
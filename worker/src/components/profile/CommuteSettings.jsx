@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { MapPinIcon, CheckIcon } from 'lucide-react';
+import { clsx } from 'clsx';
+import { useToast } from '../ui/Toast';
+import { SectionHeader } from '../common';
+import { useCommuteProfile, useSaveCommute } from '../../hooks/useQueries';
+
+const COMMUTE_OPTIONS = [5, 10, 15, 20, 30];
+
+/**
+ * Home address (postal code or nearest MRT) and how far the worker will travel.
+ * Used to rank job offers and for the "Near Me" filter on Jobs.
+ */
+export default function CommuteSettings({ user }) {
+  const toast = useToast();
+  const { data: profile } = useCommuteProfile(user?.id);
+  const saveCommute = useSaveCommute(user?.id);
+  const [address, setAddress] = useState('');
+
+  useEffect(() => {
+    setAddress(profile?.address || '');
+  }, [profile?.address]);
+
+  const save = async (changes, message) => {
+    try {
+      const data = await saveCommute.mutateAsync(changes);
+      if (changes.address !== undefined && !data.home) {
+        toast.error('Address not recognised', 'Try your postal code or nearest MRT station');
+      } else {
+        toast.success('Commute Updated', message);
+      }
+    } catch (error) {
+      toast.error('Failed', error.message || 'Could not update commute');
+    }
+  };
+
+  const selectedKm = profile?.effective_max_commute_km;
+
+  return (
+    <div className="px-4 mt-6">
+      <SectionHeader title="My Commute" icon={MapPinIcon} />
+      <div className="p-4 rounded-2xl bg-theme-card/80 border border-white/[0.05] space-y-3">
+        <form
+          className="flex gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            save({ address: address.trim() }, 'Home location saved');
+          }}
+        >
+          <input
+            type="text"
+            value={address}
+            onChange={(e) => setAddress(e.target.value)}
+            placeholder="Postal code or nearest MRT"
+            className="flex-1 px-3 py-2.5 rounded-xl bg-theme-primary border border-white/[0.05] text-white placeholder-white/30 text-sm focus:outline-none focus:border-emerald-500/50"
+          />
+          <button
+            type="submit"
+            disabled={saveCommute.isPending || address.trim() === (profile?.address || '')}
+            className="px-4 py-2.5 rounded-xl bg-emerald-500 text-white text-sm font-medium disabled:opacity-40"
+          >
+            Save
+          </button>
+        </form>
+        {profile?.home?.label && (
+          <p className="text-xs text-white/40">Home: {profile.home.label}</p>
+        )}
+
+        <div>
+          <p className="text-sm text-white/60 mb-2">Max travel distance</p>
+          <div className="grid grid-cols-5 gap-2">
+            {COMMUTE_OPTIONS.map(km => (
+              <button
+                key={km}
+                onClick={() => km !== selectedKm && save({ max_commute_km: km }, `Showing jobs within ${km} km`)}
+                disabled={saveCommute.isPending}
+                className={clsx(
+                  'py-2 rounded-xl border text-sm font-semibold transition-all',
+                  selectedKm === km
+                    ? 'bg-emerald-500/20 border-emerald-500/40 text-emerald-400'
+                    : 'bg-theme-primary border-white/[0.05] text-white/70 hover:border-white/10'
+                )}
+              >
+                {km} km
+                {selectedKm === km && <CheckIcon className="h-3 w-3 inline ml-0.5" />}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
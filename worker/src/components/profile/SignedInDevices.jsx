@@ -0,0 +1,80 @@
+import { SmartphoneIcon, MonitorIcon, LogOutIcon } from 'lucide-react';
+import { useToast } from '../ui/Toast';
+import { SectionHeader } from '../common';
+import { useWorkerSessions, useSignOutDevice } from '../../hooks/useQueries';
+
+function formatLastActive(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+  if (minutes < 2) return 'Active now';
+  if (minutes < 60) return `Active ${minutes} min ago`;
+  if (minutes < 24 * 60) return `Active ${Math.floor(minutes / 60)}h ago`;
+  return `Last active ${date.toLocaleDateString('en-SG', { day: 'numeric', month: 'short' })}`;
+}
+
+/**
+ * Devices the worker is signed in on, with remote sign-out.
+ * Sessions come from the one-time-code sign-in; signing a device out stops
+ * its tokens immediately.
+ */
+export default function SignedInDevices({ user }) {
+  const toast = useToast();
+  const { data: sessions = [], isLoading } = useWorkerSessions(user?.id);
+  const signOut = useSignOutDevice(user?.id);
+
+  const others = sessions.filter(s => !s.current);
+
+  const handleSignOut = async (session) => {
+    try {
+      await signOut.mutateAsync(session?.id);
+      toast.success('Signed Out', session ? `${session.device_name} has been signed out` : 'All other devices signed out');
+    } catch (error) {
+      toast.error('Failed', error.message || 'Could not sign out device');
+    }
+  };
+
+  if (!isLoading && sessions.length === 0) return null;
+
+  return (
+    <div className="px-4 mt-6">
+      <SectionHeader
+        title="Signed-in Devices"
+        icon={SmartphoneIcon}
+        actionLabel={others.length > 1 ? 'Sign out others' : undefined}
+        onAction={others.length > 1 ? () => handleSignOut(null) : undefined}
+        actionVariant="button"
+      />
+      <div className="space-y-2">
+        {sessions.map(session => {
+          const Icon = /Windows|macOS|Linux/.test(session.device_name) ? MonitorIcon : SmartphoneIcon;
+          return (
+            <div key={session.id} className="flex items-center gap-4 p-4 rounded-2xl bg-theme-card/80 border border-white/[0.05]">
+              <div className="w-10 h-10 rounded-xl bg-white/5 flex items-center justify-center">
+                <Icon className="h-5 w-5 text-white/50" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="text-white truncate">{session.device_name}</p>
+                <p className="text-xs text-white/40">
+                  {session.current ? 'This device' : formatLastActive(session.last_used_at)}
+                </p>
+              </div>
+              {session.current ? (
+                <span className="px-2 py-1 rounded-lg bg-emerald-500/20 text-emerald-400 text-xs font-medium">Current</span>
+              ) : (
+                <button
+                  onClick={() => handleSignOut(session)}
+                  disabled={signOut.isPending}
+                  className="flex items-center gap-1 px-3 py-2 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-xs font-medium hover:bg-red-500/20 disabled:opacity-40"
+                >
+                  <LogOutIcon className="h-3.5 w-3.5" />
+                  Sign out
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
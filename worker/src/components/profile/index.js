@@ -1,3 +1,5 @@
 export { default as BorderSelectionModal } from './BorderSelectionModal';
 export { default as AvailabilitySelector } from './AvailabilitySelector';
 export { default as MenuLink } from './MenuLink';
+export { default as CommuteSettings } from './CommuteSettings';
+export { default as SignedInDevices } from './SignedInDevices';
@@ -1,37 +1,138 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 
 const AuthContext = createContext(null);
 
+const AUTH_API = '/api/v1/auth/worker';
+// Access tokens last 15 minutes; renew well before they lapse
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+// Stable per-install id so signing in again replaces this device's old session
+function getDeviceId() {
+  let deviceId = localStorage.getItem('worker_device_id');
+  if (!deviceId) {
+    deviceId = window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem('worker_device_id', deviceId);
+  }
+  return deviceId;
+}
+
+function clearStoredSession() {
+  localStorage.removeItem('worker_user');
+  localStorage.removeItem('token');
+  localStorage.removeItem('refresh_token');
+}
+
+async function postJSON(url, body, token) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+  return res.json();
+}
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  const storeSession = useCallback((data) => {
+    setUser(data.data);
+    localStorage.setItem('worker_user', JSON.stringify(data.data));
+    localStorage.setItem('token', data.token);
+    if (data.refreshToken) localStorage.setItem('refresh_token', data.refreshToken);
+  }, []);
+
+  const clearSession = useCallback(() => {
+    setUser(null);
+    clearStoredSession();
+  }, []);
+
+  /**
+   * Swap the refresh token for a new access token. Signs out if the session
+   * was revoked from another device or has expired.
+   */
+  const refreshSession = useCallback(async () => {
+    const refreshToken = localStorage.getItem('refresh_token');
+    if (!refreshToken) return false;
+    try {
+      const data = await postJSON(`${AUTH_API}/token/refresh`, { refreshToken });
+      if (data.success) {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refresh_token', data.refreshToken);
+        return true;
+      }
+      clearSession();
+      return false;
+    } catch (error) {
+      // Offline - keep the session and try again later
+      return false;
+    }
+  }, [clearSession]);
+
   useEffect(() => {
     // Check for stored user and token
     const storedUser = localStorage.getItem('worker_user');
     const storedToken = localStorage.getItem('token');
     if (storedUser && storedToken) {
       setUser(JSON.parse(storedUser));
+      refreshSession();
     } else {
       // Clear incomplete auth state
-      localStorage.removeItem('worker_user');
-      localStorage.removeItem('token');
+      clearStoredSession();
     }
     setLoading(false);
-  }, []);
+  }, [refreshSession]);
 
-  const login = async (email) => {
+  useEffect(() => {
+    if (!user) return undefined;
+    const interval = setInterval(refreshSession, REFRESH_INTERVAL_MS);
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') refreshSession();
+    };
+    document.addEventListener('visibilitychange', onVisible);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+  }, [user?.id, refreshSession]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  /**
+   * Send a one-time sign-in code to the worker's phone, email or Telegram
+   * @returns {Promise<{success: boolean, data?: Object, error?: string, retryAfterSeconds?: number}>}
+   */
+  const requestCode = async (identifier, channel) => {
     try {
-      const res = await fetch('/api/v1/auth/worker/login', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email }),
-      });
-      const data = await res.json();
+      const data = await postJSON(`${AUTH_API}/otp/request`, { identifier, channel });
+      if (data.success) return { success: true, data: data.data };
+      return { success: false, error: data.error, code: data.code, retryAfterSeconds: data.retryAfterSeconds };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  const verifyCode = async (identifier, code) => {
+    try {
+      const data = await postJSON(`${AUTH_API}/otp/verify`, { identifier, code, deviceId: getDeviceId() });
       if (data.success) {
-        setUser(data.data);
-        localStorage.setItem('worker_user', JSON.stringify(data.data));
-        localStorage.setItem('token', data.token);
+        storeSession(data);
+        return { success: true };
+      }
+      return { success: false, error: data.error, code: data.code };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  const loginDemo = async () => {
+    try {
+      const data = await postJSON(`${AUTH_API}/login`, { email: 'sarah.tan@email.com', deviceId: getDeviceId() });
+      if (data.success) {
+        storeSession(data);
         return { success: true };
       }
       return { success: false, error: data.error };
@@ -41,9 +142,11 @@ export function AuthProvider({ children }) {
   };
 
   const logout = () => {
-    setUser(null);
-    localStorage.removeItem('worker_user');
-    localStorage.removeItem('token');
+    const token = localStorage.getItem('token');
+    if (token && localStorage.getItem('refresh_token')) {
+      postJSON(`${AUTH_API}/logout`, {}, token).catch(() => {});
+    }
+    clearSession();
   };
 
   const refreshUser = async () => {
@@ -67,7 +170,17 @@ export function AuthProvider({ children }) {
   };
 
   return (
-    <AuthContext.Provider value={{ user, loading, login, logout, refreshUser, isAuthenticated: !!user }}>
+    <AuthContext.Provider value={{
+      user,
+      loading,
+      requestCode,
+      verifyCode,
+      loginDemo,
+      logout,
+      refreshUser,
+      refreshSession,
+      isAuthenticated: !!user,
+    }}>
       {children}
     </AuthContext.Provider>
   );
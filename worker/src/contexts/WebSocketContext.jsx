@@ -162,6 +162,10 @@ export function WebSocketProvider({ children }) {
         notifyListeners('achievement_unlocked', data);
         break;
 
+      case 'quest_completed':
+        notifyListeners('quest_completed', data);
+        break;
+
       case 'candidate_updated':
         notifyListeners('candidate_updated', data);
         break;
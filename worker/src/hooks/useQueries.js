@@ -12,8 +12,13 @@ import { useAuth } from '../contexts/AuthContext';
 
 const API_BASE = '/api/v1';
 
+function authHeaders() {
+  const token = localStorage.getItem('token');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
 async function apiFetch(url) {
-  const res = await fetch(`${API_BASE}${url}`);
+  const res = await fetch(`${API_BASE}${url}`, { headers: authHeaders() });
   const data = await res.json();
   if (!data.success) throw new Error(data.error || 'Request failed');
   return data.data;
@@ -30,6 +35,24 @@ async function apiPost(url, body) {
   return data.data;
 }
 
+async function apiPut(url, body) {
+  const res = await fetch(`${API_BASE}${url}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!data.success) throw new Error(data.error || 'Request failed');
+  return data.data;
+}
+
+async function apiDelete(url) {
+  const res = await fetch(`${API_BASE}${url}`, { method: 'DELETE', headers: authHeaders() });
+  const data = await res.json();
+  if (!data.success) throw new Error(data.error || 'Request failed');
+  return data.data;
+}
+
 // ─── Jobs ──────────────────────────────────────────────────
 
 /** Fetch all open jobs */
@@ -40,6 +63,15 @@ export function useOpenJobs() {
   });
 }
 
+/** Fetch open jobs within radiusKm of a point, nearest first (with distance_km) */
+export function useNearbyJobs(origin, radiusKm) {
+  return useQuery({
+    queryKey: ['jobs', 'nearby', origin?.lat, origin?.lng, radiusKm],
+    queryFn: () => apiFetch(`/jobs?status=open&lat=${origin.lat}&lng=${origin.lng}&radius_km=${radiusKm}&limit=100`),
+    enabled: !!origin,
+  });
+}
+
 /** Fetch candidate's deployments (applied/assigned jobs) */
 export function useMyDeployments(candidateId) {
   return useQuery({
@@ -97,3 +129,50 @@ export function useSaveAvailability(candidateId) {
     },
   });
 }
+
+// ─── Commute ───────────────────────────────────────────────
+
+/** Fetch candidate home location and max commute */
+export function useCommuteProfile(candidateId) {
+  return useQuery({
+    queryKey: ['commute', candidateId],
+    queryFn: () => apiFetch(`/geo/candidates/${candidateId}/commute`),
+    enabled: !!candidateId,
+  });
+}
+
+/** Save address and/or max commute (PUT mutation) */
+export function useSaveCommute(candidateId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (changes) => apiPut(`/geo/candidates/${candidateId}/commute`, changes),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['commute', candidateId], data);
+      queryClient.invalidateQueries({ queryKey: ['jobs', 'nearby'] });
+    },
+  });
+}
+
+// ─── Signed-in devices ─────────────────────────────────────
+
+/** Fetch the worker's signed-in devices (current device flagged) */
+export function useWorkerSessions(candidateId) {
+  return useQuery({
+    queryKey: ['worker-sessions', candidateId],
+    queryFn: () => apiFetch('/auth/worker/sessions'),
+    enabled: !!candidateId,
+  });
+}
+
+/** Sign out one device, or every other device when sessionId is omitted */
+export function useSignOutDevice(candidateId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (sessionId) => apiDelete(sessionId ? `/auth/worker/sessions/${sessionId}` : '/auth/worker/sessions'),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['worker-sessions', candidateId] });
+    },
+  });
+}
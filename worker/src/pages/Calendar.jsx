@@ -18,6 +18,7 @@ import { useToast } from '../components/ui/Toast';
 import { clsx } from 'clsx';
 import { DEFAULT_LOCALE, TIMEZONE, getSGDateString, formatMoney } from '../utils/constants';
 import { EmptyState } from '../components/common';
+import { SwapRequestsCard } from '../components/job';
 import { useMyDeployments, useAvailability, useAvailabilityMode, useSaveAvailability } from '../hooks/useQueries';
 
 const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
@@ -134,7 +135,7 @@ export default function Calendar() {
   const firstDay = getFirstDayOfMonth(year, month);
 
   // React Query — cached, deduped, auto-refetching
-  const { data: deployments = [], isLoading: deploymentsLoading } = useMyDeployments(user?.id);
+  const { data: deployments = [], isLoading: deploymentsLoading, refetch: refetchDeployments } = useMyDeployments(user?.id);
   const { data: availability = [], isLoading: availabilityLoading } = useAvailability(user?.id);
   const { data: modeData, isLoading: modeLoading } = useAvailabilityMode(user?.id);
   const saveAvailability = useSaveAvailability(user?.id);
@@ -319,6 +320,8 @@ export default function Calendar() {
           </div>
         </div>
 
+        <SwapRequestsCard onChange={refetchDeployments} />
+
         {mode === 'edit' && (
           <div className="flex items-center gap-4 mb-4 text-xs text-white/50">
             <span>Tap dates to toggle:</span>
@@ -14,7 +14,7 @@ import { useStreakProtection } from '../contexts/StreakProtectionContext';
 import { clsx } from 'clsx';
 import { calculateLevel } from '../../../shared/utils/gamification-browser';
 import { LoadingSkeleton, EmptyState } from '../components/common';
-import { FloatingXP, LevelUpCelebration, AchievementUnlock } from '../components/gamification/Confetti';
+import { Confetti, FloatingXP, LevelUpCelebration, AchievementUnlock } from '../components/gamification/Confetti';
 import {
   StreakProtectionModal,
   StreakAlertBanner,
@@ -30,6 +30,7 @@ import {
   EarningsPotentialCard,
   QuestSection,
   FlyingXP,
+  ShiftOfferCard,
 } from '../components/home';
 
 // Pagination (small, kept inline)
@@ -83,6 +84,7 @@ export default function Home() {
   const [jobs, setJobs] = useState([]);
   const [quests, setQuests] = useState([]);
   const [allQuests, setAllQuests] = useState([]);
+  const [league, setLeague] = useState(null);
   const [thisMonthEarnings, setThisMonthEarnings] = useState(0);
   const [loading, setLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
@@ -97,6 +99,7 @@ export default function Home() {
   const [xpGain, setXpGain] = useState({ amount: 0, trigger: 0 });
   const [levelUp, setLevelUp] = useState({ show: false, level: 1 });
   const [achievementUnlock, setAchievementUnlock] = useState({ show: false, achievement: null });
+  const [questConfetti, setQuestConfetti] = useState(0);
 
   useEffect(() => {
     fetchData();
@@ -115,27 +118,44 @@ export default function Home() {
       }
     });
     const unsubXP = ws.subscribe('xp_earned', (data) => {
-      if (data.amount) setXpGain({ amount: data.amount, trigger: Date.now() });
+      if (data.xp) {
+        setXpGain({ amount: data.xp, trigger: Date.now() });
+        refreshUser?.();
+      }
     });
     const unsubLevelUp = ws.subscribe('level_up', (data) => {
-      if (data.newLevel) setLevelUp({ show: true, level: data.newLevel });
+      if (data.level) setLevelUp({ show: true, level: data.level });
+    });
+    // Quest progress and achievements are decided on the server
+    const unsubAchievement = ws.subscribe('achievement_unlocked', (data) => {
+      if (data.achievement) setAchievementUnlock({ show: true, achievement: data.achievement });
+    });
+    const unsubQuest = ws.subscribe('quest_completed', (data) => {
+      if (!data.quest) return;
+      setQuestConfetti(Date.now());
+      toast.success('Quest Complete!', `${data.quest.title} - claim +${data.quest.xp_reward} XP`);
+      fetchData();
     });
-    return () => { unsubJob?.(); unsubXP?.(); unsubLevelUp?.(); };
+    return () => { unsubJob?.(); unsubXP?.(); unsubLevelUp?.(); unsubAchievement?.(); unsubQuest?.(); };
   }, [ws, toast]);
 
   const fetchData = async () => {
     try {
-      const [jobsRes, paymentsRes, questsRes, allQuestsRes] = await Promise.all([
+      const [jobsRes, paymentsRes, questsRes, allQuestsRes, leagueRes] = await Promise.all([
         fetch('/api/v1/jobs?status=open&limit=20'),
         user ? fetch(`/api/v1/payments?candidate_id=${user.id}&limit=10`) : Promise.resolve({ json: () => ({ data: [] }) }),
         user ? fetch(`/api/v1/gamification/quests/user/${user.id}`) : Promise.resolve({ json: () => ({ data: [] }) }),
         user ? fetch(`/api/v1/gamification/quests`) : Promise.resolve({ json: () => ({ data: [] }) }),
+        user ? fetch('/api/v1/gamification/leagues/me', {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+        }) : Promise.resolve({ json: () => ({ data: null }) }),
       ]);
 
       const jobsData = await jobsRes.json();
       const paymentsData = await paymentsRes.json();
       const questsData = await questsRes.json();
       const allQuestsData = await allQuestsRes.json();
+      const leagueData = await leagueRes.json();
 
       if (jobsData.success) {
         const sorted = [...jobsData.data].sort((a, b) => (b.featured || 0) - (a.featured || 0));
@@ -162,6 +182,10 @@ export default function Home() {
       if (allQuestsData.success) {
         setAllQuests(allQuestsData.data || []);
       }
+
+      if (leagueData.success) {
+        setLeague(leagueData.data);
+      }
     } catch (error) {
       toast.error('Failed to load', 'Pull down to refresh');
     } finally {
@@ -236,6 +260,8 @@ export default function Home() {
       <div>
         <LeagueCard
           user={user}
+          league={league}
+          onLeagueClick={() => navigate('/leaderboard')}
           userLevel={userLevel}
           userXP={userXP}
           thisMonthEarnings={thisMonthEarnings}
@@ -244,6 +270,8 @@ export default function Home() {
           xpBarRef={xpBarRef}
         />
 
+        <ShiftOfferCard user={user} />
+
         <LiveActivityFeed userLevel={userLevel} />
 
         {!streakAlertDismissed && (
@@ -323,6 +351,7 @@ export default function Home() {
         />
       )}
 
+      <Confetti trigger={questConfetti} />
       <FloatingXP amount={xpGain.amount} trigger={xpGain.trigger} />
       <LevelUpCelebration show={levelUp.show} level={levelUp.level} onClose={() => setLevelUp({ show: false, level: 1 })} />
       <AchievementUnlock show={achievementUnlock.show} achievement={achievementUnlock.achievement} onClose={() => setAchievementUnlock({ show: false, achievement: null })} />
@@ -12,9 +12,12 @@ import {
   AlertCircleIcon,
   DollarSignIcon,
   ShareIcon,
+  LogInIcon,
+  LogOutIcon,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../components/ui/Toast';
+import { ShiftFeedbackCard, ShiftChangeCard } from '../components/job';
 import { clsx } from 'clsx';
 import {
   formatMoney,
@@ -34,6 +37,8 @@ export default function JobDetail() {
   const [loading, setLoading] = useState(true);
   const [applying, setApplying] = useState(false);
   const [hasApplied, setHasApplied] = useState(false);
+  const [attendance, setAttendance] = useState({ deployment: null, timesheet: null });
+  const [clocking, setClocking] = useState(false);
 
   useEffect(() => {
     fetchJob();
@@ -54,6 +59,7 @@ export default function JobDetail() {
           });
           const applicationData = await applicationRes.json();
           setHasApplied(applicationData.success && applicationData.data?.length > 0);
+          await fetchAttendance();
         }
       }
     } catch (error) {
@@ -63,6 +69,63 @@ export default function JobDetail() {
     }
   };
 
+  const fetchAttendance = async () => {
+    try {
+      const res = await fetch(`/api/v1/timesheets/candidate/${user.id}/job/${id}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await res.json();
+      if (data.success) setAttendance(data.data);
+    } catch (error) {
+      console.error('Failed to fetch attendance:', error);
+    }
+  };
+
+  const getCurrentPosition = () => new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Location is not available on this device'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+      () => reject(new Error('Please allow location access to clock in or out')),
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
+    );
+  });
+
+  const handleClock = async (action) => {
+    setClocking(true);
+    try {
+      const position = await getCurrentPosition();
+      const res = await fetch(`/api/v1/timesheets/clock-${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ deployment_id: attendance.deployment.id, candidate_id: user.id, ...position }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        await fetchAttendance();
+        if (action === 'in') {
+          toast.success('Clocked In', 'Have a great shift!');
+        } else {
+          toast.success('Clocked Out', `${data.data.hours_worked} hours sent to your supervisor for approval`);
+        }
+      } else if (data.code === 'OUTSIDE_GEOFENCE') {
+        toast.error('Too Far Away', data.error);
+      } else {
+        toast.error(action === 'in' ? 'Clock In Failed' : 'Clock Out Failed', data.error || 'Please try again');
+      }
+    } catch (error) {
+      toast.error('Location Needed', error.message);
+    } finally {
+      setClocking(false);
+    }
+  };
+
   const handleApply = async () => {
     if (!user) {
       navigate('/login');
@@ -274,6 +337,64 @@ export default function JobDetail() {
           </div>
         </div>
 
+        {/* Attendance */}
+        {attendance.deployment && ['assigned', 'confirmed', 'in_progress', 'completed'].includes(attendance.deployment.status) && (
+          <div className="p-4 rounded-2xl bg-[#0a1628]/80 border border-white/[0.05]">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <p className="text-white font-semibold">Attendance</p>
+                {!attendance.timesheet && (
+                  <p className="text-white/50 text-sm">Clock in at the job site when your shift starts</p>
+                )}
+                {attendance.timesheet?.status === 'clocked_in' && (
+                  <p className="text-emerald-400 text-sm">
+                    Clocked in at {new Date(attendance.timesheet.clock_in_at.replace(' ', 'T') + 'Z')
+                      .toLocaleTimeString(DEFAULT_LOCALE, { hour: '2-digit', minute: '2-digit', timeZone: TIMEZONE })}
+                  </p>
+                )}
+                {['submitted', 'approved', 'disputed'].includes(attendance.timesheet?.status) && (
+                  <p className={clsx('text-sm', attendance.timesheet.status === 'disputed' ? 'text-red-400' : 'text-white/50')}>
+                    {attendance.timesheet.hours_worked}h ·{' '}
+                    {attendance.timesheet.status === 'submitted' && 'Awaiting supervisor approval'}
+                    {attendance.timesheet.status === 'approved' && `Approved · $${formatMoney(attendance.timesheet.candidate_pay)}`}
+                    {attendance.timesheet.status === 'disputed' && 'Disputed by supervisor - our team will follow up'}
+                  </p>
+                )}
+              </div>
+              {!attendance.timesheet && attendance.deployment.status !== 'completed' && (
+                <button
+                  onClick={() => handleClock('in')}
+                  disabled={clocking}
+                  className="px-4 py-3 rounded-xl bg-emerald-500/20 border border-emerald-500/30 text-emerald-400 font-semibold flex items-center gap-2 active:scale-95 transition-transform disabled:opacity-50"
+                >
+                  <LogInIcon className="h-5 w-5" />
+                  {clocking ? 'Locating...' : 'Clock In'}
+                </button>
+              )}
+              {attendance.timesheet?.status === 'clocked_in' && (
+                <button
+                  onClick={() => handleClock('out')}
+                  disabled={clocking}
+                  className="px-4 py-3 rounded-xl bg-amber-500/20 border border-amber-500/30 text-amber-400 font-semibold flex items-center gap-2 active:scale-95 transition-transform disabled:opacity-50"
+                >
+                  <LogOutIcon className="h-5 w-5" />
+                  {clocking ? 'Locating...' : 'Clock Out'}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Swap or release before the shift */}
+        {attendance.deployment && ['assigned', 'confirmed'].includes(attendance.deployment.status) && !attendance.timesheet && (
+          <ShiftChangeCard deploymentId={attendance.deployment.id} onChange={fetchAttendance} />
+        )}
+
+        {/* Ratings after the shift */}
+        {attendance.deployment && !['cancelled', 'no_show'].includes(attendance.deployment.status) && (
+          <ShiftFeedbackCard deploymentId={attendance.deployment.id} />
+        )}
+
         {/* XP Bonus */}
         {job.xp_bonus > 0 && (
           <div className="p-4 rounded-2xl bg-violet-500/10 border border-violet-500/30 flex items-center gap-4">
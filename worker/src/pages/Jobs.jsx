@@ -11,6 +11,7 @@ import {
   BriefcaseIcon,
   ChevronLeftIcon,
   ClockIcon as PendingIcon,
+  NavigationIcon,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { clsx } from 'clsx';
@@ -25,7 +26,7 @@ import {
   isToday as checkIsToday,
   isTomorrow as checkIsTomorrow,
 } from '../utils/constants';
-import { useOpenJobs, useMyDeployments } from '../hooks/useQueries';
+import { useOpenJobs, useMyDeployments, useNearbyJobs, useCommuteProfile } from '../hooks/useQueries';
 
 // Pending Account Overlay
 function PendingAccountOverlay() {
@@ -190,6 +191,12 @@ function JobCard({ job, applied }) {
               <MapPinIcon className="h-3.5 w-3.5" />
               <span className="truncate max-w-[100px]">{job.location}</span>
             </div>
+            {job.distance_km !== undefined && (
+              <div className="flex items-center gap-1 text-cyan-400">
+                <NavigationIcon className="h-3.5 w-3.5" />
+                <span>{job.distance_km} km · ~{job.travel_minutes} min</span>
+              </div>
+            )}
           </div>
         </div>
 
@@ -286,7 +293,16 @@ export default function Jobs() {
   // React Query — cached, deduped, auto-refetching
   const { data: jobs = [], isLoading: jobsLoading } = useOpenJobs();
   const { data: deploymentsRaw = [], isLoading: deploymentsLoading } = useMyDeployments(user?.id);
-  const loading = jobsLoading || deploymentsLoading;
+
+  // "Near Me": from the saved home location, or the device location if none is saved
+  const { data: commute } = useCommuteProfile(user?.id);
+  const [deviceLocation, setDeviceLocation] = useState(null);
+  const [locationError, setLocationError] = useState(null);
+  const origin = commute?.home || deviceLocation;
+  const radiusKm = commute?.effective_max_commute_km || 15;
+  const { data: nearbyJobs = [], isLoading: nearbyLoading } = useNearbyJobs(filter === 'near' ? origin : null, radiusKm);
+
+  const loading = jobsLoading || deploymentsLoading || (filter === 'near' && !!origin && nearbyLoading);
 
   // Derive applied job IDs from deployments
   const myJobs = useMemo(() => deploymentsRaw.map(d => d.job_id), [deploymentsRaw]);
@@ -301,7 +317,22 @@ export default function Jobs() {
     }
   }, []);
 
-  const filteredJobs = jobs.filter(job => {
+  useEffect(() => {
+    if (filter !== 'near' || origin || deviceLocation) return;
+    if (!navigator.geolocation) {
+      setLocationError('Add your postal code in Profile to see jobs near you');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => setDeviceLocation({ lat: position.coords.latitude, lng: position.coords.longitude }),
+      () => setLocationError('Allow location access or add your postal code in Profile'),
+      { timeout: 10000 }
+    );
+  }, [filter, origin, deviceLocation]);
+
+  const sourceJobs = filter === 'near' ? nearbyJobs : jobs;
+
+  const filteredJobs = sourceJobs.filter(job => {
     if (search) {
       const query = search.toLowerCase();
       if (!job.title.toLowerCase().includes(query) &&
@@ -315,7 +346,8 @@ export default function Jobs() {
     return true;
   });
 
-  const sortedJobs = [...filteredJobs].sort((a, b) => {
+  // Nearby jobs are already ordered by distance
+  const sortedJobs = filter === 'near' ? filteredJobs : [...filteredJobs].sort((a, b) => {
     if (a.featured !== b.featured) return b.featured - a.featured;
     return new Date(a.job_date) - new Date(b.job_date);
   });
@@ -360,17 +392,18 @@ export default function Jobs() {
         </div>
 
         {/* Filter Tabs */}
-        <div className="flex gap-2">
+        <div className="flex gap-2 overflow-x-auto">
           {[
             { id: 'all', label: 'All Jobs', count: jobs.length },
             { id: 'available', label: 'Available', count: jobs.filter(j => !myJobs.includes(j.id)).length },
             { id: 'applied', label: 'Applied', count: myJobs.length },
+            { id: 'near', label: 'Near Me', count: origin ? nearbyJobs.length : '–' },
           ].map(tab => (
             <button
               key={tab.id}
               onClick={() => setFilter(tab.id)}
               className={clsx(
-                'flex items-center gap-2 px-4 py-2.5 rounded-xl text-sm font-medium transition-all',
+                'flex items-center gap-2 px-4 py-2.5 rounded-xl text-sm font-medium whitespace-nowrap transition-all',
                 filter === tab.id
                   ? 'bg-gradient-to-r from-emerald-500 to-cyan-500 text-white shadow-lg shadow-emerald-500/25'
                   : 'bg-[#0a1628] border border-white/[0.05] text-white/50 hover:text-white hover:border-white/10'
@@ -390,13 +423,24 @@ export default function Jobs() {
 
       {/* Jobs List */}
       <div className="px-4 py-4">
+        {filter === 'near' && origin && (
+          <p className="text-white/40 text-xs mb-3">
+            Within {radiusKm} km of {commute?.home ? (commute.home.label || 'home') : 'your current location'}
+          </p>
+        )}
         {loading ? (
           <LoadingSkeleton count={4} height="h-32" />
+        ) : filter === 'near' && !origin ? (
+          <EmptyState
+            icon={NavigationIcon}
+            title={locationError ? 'Location needed' : 'Finding your location...'}
+            description={locationError || 'Jobs will be sorted by distance from you'}
+          />
         ) : paginatedJobs.length === 0 ? (
           <EmptyState
             icon={BriefcaseIcon}
             title="No jobs found"
-            description="Try adjusting your search or filters"
+            description={filter === 'near' ? `No open jobs within ${radiusKm} km - try a longer commute in Profile` : 'Try adjusting your search or filters'}
           />
         ) : (
           <>
@@ -10,6 +10,7 @@ import {
   ZapIcon,
   ChevronDownIcon,
   GiftIcon,
+  KeyIcon,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import Logo from '../components/ui/Logo';
@@ -17,6 +18,8 @@ import { clsx } from 'clsx';
 import logger from '../utils/logger';
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[\d\s\-()]{8,16}$/;
+const CHANNEL_LABELS = { sms: 'SMS', email: 'Email', telegram: 'Telegram' };
 
 function TelegramLoginButton({ onAuth, botUsername }) {
   const handleTelegramLogin = () => {
@@ -104,9 +107,12 @@ function GoogleLoginButton({ onAuth, clientId }) {
 export default function Login() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, isAuthenticated } = useAuth();
+  const { requestCode, verifyCode, loginDemo, isAuthenticated } = useAuth();
   const from = location.state?.from?.pathname || '/';
-  const [email, setEmail] = useState('');
+  const [identifier, setIdentifier] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(null);
+  const [resendIn, setResendIn] = useState(0);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -247,26 +253,63 @@ export default function Login() {
     }).catch(e => console.error('Google config error:', e));
   }, []);
 
-  const validateEmail = useCallback((v) => {
-    if (!v.trim()) return 'Email is required';
-    if (!EMAIL_REGEX.test(v)) return 'Please enter a valid email';
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const validateIdentifier = useCallback((v) => {
+    const value = v.trim();
+    if (!value) return 'Email or mobile number is required';
+    if (value.includes('@') ? !EMAIL_REGEX.test(value) : !PHONE_REGEX.test(value)) {
+      return 'Please enter a valid email or mobile number';
+    }
     return '';
   }, []);
 
-  const emailError = touched ? validateEmail(email) : '';
-  const isValid = email && !validateEmail(email);
+  const identifierError = touched ? validateIdentifier(identifier) : '';
+  const isValid = identifier && !validateIdentifier(identifier);
+
+  const sendCode = async (channel) => {
+    setLoading(true); setError(''); setSuccess('');
+    const result = await requestCode(identifier.trim(), channel);
+    if (result.success) {
+      setCodeSent(result.data);
+      setCode('');
+      setResendIn(60);
+    } else {
+      if (result.retryAfterSeconds) setResendIn(result.retryAfterSeconds);
+      setError(result.error || 'Could not send a code.');
+    }
+    setLoading(false);
+  };
 
-  const handleEmailSubmit = async (e) => {
+  const handleIdentifierSubmit = async (e) => {
     e.preventDefault(); setTouched(true); setError('');
-    const err = validateEmail(email);
+    const err = validateIdentifier(identifier);
     if (err) { setError(err); return; }
+    await sendCode();
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault(); setError('');
+    if (!/^\d{6}$/.test(code)) { setError('Enter the 6-digit code'); return; }
     setLoading(true);
-    const result = await login(email);
-    if (result.success) navigate(from, { replace: true });
-    else setError(result.error || 'Login failed.');
+    const result = await verifyCode(identifier.trim(), code);
+    if (result.success) {
+      navigate(from, { replace: true });
+    } else {
+      setError(result.error || 'Sign in failed.');
+      if (['OTP_EXPIRED', 'OTP_USED', 'OTP_ATTEMPTS_EXCEEDED'].includes(result.code)) setResendIn(0);
+    }
     setLoading(false);
   };
 
+  const resetCode = () => {
+    setCodeSent(null); setCode(''); setError(''); setResendIn(0);
+  };
+
   const hasSocialLogin = botUsername || googleClientId;
 
   return (
@@ -415,31 +458,33 @@ export default function Login() {
               onClick={() => setShowEmailLogin(!showEmailLogin)}
               className="w-full flex items-center justify-center gap-2 py-3 text-white/40 hover:text-white/60 transition-colors"
             >
-              <span className="text-sm">Or continue with email</span>
+              <span className="text-sm">Or sign in with email or phone</span>
               <ChevronDownIcon className={clsx(
                 'h-4 w-4 transition-transform',
                 showEmailLogin && 'rotate-180'
               )} />
             </button>
 
-            {showEmailLogin && (
-              <form onSubmit={handleEmailSubmit} className="space-y-4 pt-2">
+            {showEmailLogin && !codeSent && (
+              <form onSubmit={handleIdentifierSubmit} className="space-y-4 pt-2">
                 <div>
-                  <label htmlFor="email" className="text-sm font-medium text-white/60 mb-2 block">
-                    Email Address
+                  <label htmlFor="identifier" className="text-sm font-medium text-white/60 mb-2 block">
+                    Email or Mobile Number
                   </label>
                   <div className="relative">
                     <MailIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-5 w-5 text-white/30" />
                     <input
-                      id="email"
-                      type="email"
-                      value={email}
-                      onChange={(e) => { setEmail(e.target.value); setError(''); }}
+                      id="identifier"
+                      type="text"
+                      inputMode="email"
+                      autoComplete="username"
+                      value={identifier}
+                      onChange={(e) => { setIdentifier(e.target.value); setError(''); }}
                       onBlur={() => setTouched(true)}
-                      placeholder="Enter your email"
+                      placeholder="you@email.com or 9123 4567"
                       className={clsx(
                         'w-full pl-12 pr-12 py-4 rounded-xl bg-[#0a1628] border text-white placeholder-white/30 focus:outline-none transition-colors',
-                        emailError ? 'border-red-500' : isValid ? 'border-emerald-500' : 'border-white/10 focus:border-emerald-500/50'
+                        identifierError ? 'border-red-500' : isValid ? 'border-emerald-500' : 'border-white/10 focus:border-emerald-500/50'
                       )}
                     />
                     {isValid && <CheckCircleIcon className="absolute right-4 top-1/2 -translate-y-1/2 h-5 w-5 text-emerald-500" />}
@@ -447,21 +492,94 @@ export default function Login() {
                 </div>
                 <button
                   type="submit"
-                  disabled={loading}
+                  disabled={loading || resendIn > 0}
+                  className="w-full py-4 rounded-xl bg-gradient-to-r from-emerald-500 to-cyan-500 text-white font-semibold flex items-center justify-center gap-2 shadow-lg shadow-emerald-500/25 hover:shadow-emerald-500/40 active:scale-[0.98] transition-all disabled:opacity-50"
+                >
+                  {loading ? (
+                    <>
+                      <div className="animate-spin h-5 w-5 border-2 border-white border-t-transparent rounded-full" />
+                      Sending code...
+                    </>
+                  ) : resendIn > 0 ? (
+                    <>Try again in {resendIn}s</>
+                  ) : (
+                    <>
+                      Send Sign-in Code
+                      <ArrowRightIcon className="h-5 w-5" />
+                    </>
+                  )}
+                </button>
+              </form>
+            )}
+
+            {showEmailLogin && codeSent && (
+              <form onSubmit={handleCodeSubmit} className="space-y-4 pt-2">
+                <div>
+                  <label htmlFor="code" className="text-sm font-medium text-white/60 mb-2 block">
+                    Enter the code sent to {codeSent.destination}
+                  </label>
+                  <div className="relative">
+                    <KeyIcon className="absolute left-4 top-1/2 -translate-y-1/2 h-5 w-5 text-white/30" />
+                    <input
+                      id="code"
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      maxLength={6}
+                      autoFocus
+                      value={code}
+                      onChange={(e) => { setCode(e.target.value.replace(/\D/g, '')); setError(''); }}
+                      placeholder="6-digit code"
+                      className="w-full pl-12 pr-4 py-4 rounded-xl bg-[#0a1628] border border-white/10 focus:border-emerald-500/50 text-white text-lg tracking-[0.5em] placeholder-white/30 placeholder:tracking-normal focus:outline-none transition-colors"
+                    />
+                  </div>
+                </div>
+                <button
+                  type="submit"
+                  disabled={loading || code.length !== 6}
                   className="w-full py-4 rounded-xl bg-gradient-to-r from-emerald-500 to-cyan-500 text-white font-semibold flex items-center justify-center gap-2 shadow-lg shadow-emerald-500/25 hover:shadow-emerald-500/40 active:scale-[0.98] transition-all disabled:opacity-50"
                 >
                   {loading ? (
                     <>
                       <div className="animate-spin h-5 w-5 border-2 border-white border-t-transparent rounded-full" />
-                      Logging in...
+                      Verifying...
                     </>
                   ) : (
                     <>
-                      Continue with Email
+                      Sign In
                       <ArrowRightIcon className="h-5 w-5" />
                     </>
                   )}
                 </button>
+                <div className="flex items-center justify-between text-sm">
+                  <button type="button" onClick={resetCode} className="text-white/40 hover:text-white/60">
+                    Change email or number
+                  </button>
+                  <button
+                    type="button"
+                    disabled={loading || resendIn > 0}
+                    onClick={() => sendCode(codeSent.channel)}
+                    className="text-emerald-400 hover:text-emerald-300 disabled:text-white/30"
+                  >
+                    {resendIn > 0 ? `Resend in ${resendIn}s` : 'Resend code'}
+                  </button>
+                </div>
+                {codeSent.channels?.length > 1 && (
+                  <div className="flex items-center justify-center gap-2 text-xs text-white/40">
+                    <span>Send via</span>
+                    {codeSent.channels.filter(c => c !== codeSent.channel).map(channel => (
+                      <button
+                        key={channel}
+                        type="button"
+                        disabled={loading || resendIn > 0}
+                        onClick={() => sendCode(channel)}
+                        className="px-2 py-1 rounded-lg bg-white/5 text-white/60 hover:bg-white/10 disabled:opacity-40"
+                      >
+                        {CHANNEL_LABELS[channel]}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </form>
             )}
           </div>
@@ -479,7 +597,7 @@ export default function Login() {
             disabled={loading}
             onClick={async () => {
               setLoading(true); setError('');
-              const r = await login('sarah.tan@email.com');
+              const r = await loginDemo();
               if (r.success) navigate(from, { replace: true });
               else setError(r.error || 'Demo failed');
               setLoading(false);
@@ -36,7 +36,7 @@ import ProfileAvatar from '../components/ui/ProfileAvatar';
 import XPBar from '../components/gamification/XPBar';
 import { StatCard, SectionHeader } from '../components/common';
 import ProfileImageCrop from '../components/ui/ProfileImageCrop';
-import { BorderSelectionModal, AvailabilitySelector, MenuLink } from '../components/profile';
+import { BorderSelectionModal, AvailabilitySelector, CommuteSettings, MenuLink, SignedInDevices } from '../components/profile';
 
 // Profile Picture/Border Dropdown Menu
 function ProfileActionDropdown({ isOpen, onClose, onSelectPhoto, onSelectBorder, anchorRef }) {
@@ -395,6 +395,8 @@ export default function Profile() {
 
       <AvailabilitySelector user={user} onUpdate={refreshUser} />
 
+      <CommuteSettings user={user} />
+
       <div className="px-4 mt-6">
         <div className="grid grid-cols-3 gap-3">
           <StatCard icon={BriefcaseIcon} label="Jobs Completed" value={jobsCompleted} color="emerald" />
@@ -475,6 +477,8 @@ export default function Profile() {
         </div>
       </div>
 
+      <SignedInDevices user={user} />
+
       {/* Menu Items */}
       <div className="px-4 mt-6 space-y-2">
         <MenuLink icon={ShareIcon} label="Refer & Earn" sublabel={`Invite friends, get $${referralBonus}`} onClick={() => navigate('/referrals')} />
@@ -39,11 +39,8 @@ function QuestCard({ quest, onClaim, onCheckin, claiming }) {
   const isClaimed = quest.status === 'claimed';
   const isClaimable = quest.status === 'claimable';
   
-  // Check if this is a check-in type quest (like daily login)
-  const isCheckinQuest = quest.requirement?.type === 'checkin' || 
-                         quest.title?.toLowerCase().includes('check') ||
-                         quest.title?.toLowerCase().includes('login') ||
-                         quest.title?.toLowerCase().includes('daily');
+  // Opening the app is the only progress the app reports itself
+  const isCheckinQuest = quest.rule?.event === 'app_open';
   const canCheckin = isCheckinQuest && !isClaimed && !isClaimable && quest.progress < quest.target;
 
   const handleQuestClick = () => {
@@ -58,12 +55,12 @@ function QuestCard({ quest, onClaim, onCheckin, claiming }) {
       return;
     }
     
-    // Navigate based on requirement type
-    const reqType = quest.requirement?.type || '';
-    if (reqType.includes('job')) navigate('/jobs');
-    else if (reqType.includes('training')) navigate('/training');
-    else if (reqType.includes('referral')) navigate('/referrals');
-    else if (reqType.includes('profile')) navigate('/complete-profile');
+    // Navigate to where the quest's event happens
+    const event = quest.rule?.event || '';
+    if (event === 'deployment_completed' || event === 'rating_received') navigate('/jobs');
+    else if (event === 'training_completed') navigate('/training');
+    else if (event === 'referral_converted') navigate('/referrals');
+    else if (event === 'availability_updated') navigate('/calendar');
   };
 
   return (
@@ -223,18 +220,14 @@ export default function Quests() {
   const handleCheckin = async (quest) => {
     setClaiming(quest.id);
     try {
-      // Record the check-in progress
-      const res = await fetch(`/api/v1/gamification/quests/${quest.id}/progress`, {
+      // The server records one check-in per day for the signed-in worker
+      const res = await fetch('/api/v1/gamification/events/app-open', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          candidateId: user.id,
-          increment: 1
-        }),
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
       });
       const data = await res.json();
       if (data.success) {
-        toast.success('Checked In!', 'Quest progress updated');
+        toast.success('Checked In!', data.data.duplicate ? 'Already checked in today' : 'Quest progress updated');
         fetchQuests();
       } else {
         toast.error('Failed', data.error || 'Could not check in');
@@ -14,6 +14,10 @@ import {
   CoinsIcon,
   PackageIcon,
   XIcon,
+  CopyIcon,
+  ClockIcon,
+  UndoIcon,
+  WalletIcon,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme, COLOR_THEMES } from '../contexts/ThemeContext';
@@ -232,12 +236,12 @@ function RewardCard({ reward, userTier, userPoints, onPurchase, purchasing, onCu
             )}>
               {reward.tier_required}+
             </span>
-            {reward.stock !== null && (
+            {reward.remaining !== null && reward.remaining !== undefined && (
               <span className={clsx(
                 'text-xs px-2 py-0.5 rounded-full',
-                reward.stock > 0 ? 'bg-white/5 text-white/50' : 'bg-red-500/20 text-red-400'
+                reward.remaining > 0 ? 'bg-white/5 text-white/50' : 'bg-red-500/20 text-red-400'
               )}>
-                {reward.stock > 0 ? `${reward.stock} left` : 'Out of stock'}
+                {reward.remaining > 0 ? `${reward.remaining} left` : 'Out of stock'}
               </span>
             )}
           </div>
@@ -285,6 +289,83 @@ function RewardCard({ reward, userTier, userPoints, onPurchase, purchasing, onCu
   );
 }
 
+const purchaseStatus = {
+  pending: { label: 'Processing', icon: ClockIcon, className: 'bg-amber-500/20 text-amber-400' },
+  fulfilled: { label: 'Delivered', icon: CheckCircleIcon, className: 'bg-emerald-500/20 text-emerald-400' },
+  refunded: { label: 'Refunded', icon: UndoIcon, className: 'bg-white/10 text-white/50' },
+};
+
+function formatDate(value) {
+  return new Date(value.length === 10 ? `${value}T00:00:00+08:00` : `${value.replace(' ', 'T')}Z`)
+    .toLocaleDateString('en-SG', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Asia/Singapore' });
+}
+
+function WalletItem({ purchase, onCopy }) {
+  const category = categoryInfo[purchase.category] || categoryInfo.feature;
+  const IconComponent = ICON_MAP[purchase.icon] || category.icon;
+  const status = purchaseStatus[purchase.status] || purchaseStatus.pending;
+  const StatusIcon = status.icon;
+  const showCode = purchase.voucher_code && purchase.status === 'fulfilled';
+
+  return (
+    <div className="p-4 rounded-2xl border border-white/[0.05]" style={{ backgroundColor: 'var(--bg-card)' }}>
+      <div className="flex items-start gap-4">
+        <div className="w-12 h-12 rounded-2xl bg-white/5 flex items-center justify-center flex-shrink-0">
+          <IconComponent className="h-6 w-6 text-white/60" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center justify-between gap-2">
+            <h3 className="font-semibold text-white truncate">{purchase.reward_name}</h3>
+            <span className={clsx('flex items-center gap-1 text-xs px-2 py-0.5 rounded-full flex-shrink-0', status.className)}>
+              <StatusIcon className="h-3 w-3" />
+              {status.label}
+            </span>
+          </div>
+          <p className="text-xs text-white/40 mt-0.5">
+            {formatDate(purchase.created_at)} • {purchase.points_spent} points
+          </p>
+
+          {showCode && (
+            <div className="mt-3 flex items-center gap-2">
+              <code className={clsx(
+                'flex-1 px-3 py-2 rounded-xl bg-white/5 border border-white/10 font-mono text-sm truncate',
+                purchase.voucher_expired ? 'text-white/30 line-through' : 'text-white'
+              )}>
+                {purchase.voucher_code}
+              </code>
+              {!purchase.voucher_expired && (
+                <button
+                  onClick={() => onCopy(purchase.voucher_code)}
+                  className="p-2 rounded-xl bg-emerald-500/20 border border-emerald-500/30 text-emerald-400 active:scale-95 transition-transform"
+                >
+                  <CopyIcon className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          )}
+          {showCode && purchase.voucher_expires_at && (
+            <p className={clsx('text-xs mt-1', purchase.voucher_expired ? 'text-red-400' : 'text-white/40')}>
+              {purchase.voucher_expired ? 'Expired' : 'Expires'} {formatDate(purchase.voucher_expires_at)}
+            </p>
+          )}
+
+          {purchase.status === 'pending' && (
+            <p className="text-xs text-amber-400/80 mt-2">We're preparing this reward. You'll be notified once it's ready.</p>
+          )}
+          {purchase.note && purchase.status === 'fulfilled' && (
+            <p className="text-xs text-white/50 mt-2">{purchase.note}</p>
+          )}
+          {purchase.status === 'refunded' && (
+            <p className="text-xs text-white/50 mt-2">
+              {purchase.points_spent} points returned{purchase.failure_reason ? ` - ${purchase.failure_reason}` : ''}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // Stat pod component
 function StatPod({ label, value, icon: Icon, color = 'white' }) {
   const colorMap = {
@@ -308,7 +389,7 @@ export default function Rewards() {
   const { colorTheme, setColorTheme } = useTheme();
   const toast = useToast();
   const [rewards, setRewards] = useState([]);
-  const [purchases, setPurchases] = useState([]);
+  const [wallet, setWallet] = useState([]);
   const [userPoints, setUserPoints] = useState(0);
   const [userTier, setUserTier] = useState('bronze');
   const [loading, setLoading] = useState(true);
@@ -325,6 +406,7 @@ export default function Rewards() {
   useEffect(() => {
     if (user) {
       fetchRewards();
+      fetchWallet();
       fetchFlair();
     }
   }, [user]);
@@ -336,9 +418,8 @@ export default function Rewards() {
 
       if (data.success) {
         setRewards(data.data.rewards || []);
-        setPurchases(data.data.purchases || []);
-        setUserPoints(data.data.userPoints || 0);
-        setUserTier(data.data.userTier || 'bronze');
+        setUserPoints(data.data.candidate?.current_points || 0);
+        setUserTier(data.data.candidate?.current_tier || 'bronze');
       }
     } catch (error) {
       console.error('Failed to fetch rewards:', error);
@@ -347,6 +428,20 @@ export default function Rewards() {
     }
   };
 
+  const fetchWallet = async () => {
+    try {
+      const res = await fetch('/api/v1/gamification/rewards/wallet', {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+      });
+      const data = await res.json();
+      if (data.success) {
+        setWallet(data.data || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch reward wallet:', error);
+    }
+  };
+
   const fetchFlair = async () => {
     try {
       const res = await fetch(`/api/v1/gamification/flair/${user.id}`);
@@ -364,19 +459,20 @@ export default function Rewards() {
     try {
       const res = await fetch(`/api/v1/gamification/rewards/${reward.id}/purchase`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ candidateId: user.id }),
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
       });
       const data = await res.json();
 
       if (data.success) {
-        toast.success('Reward Redeemed!', `${reward.name} is yours!`);
-        setUserPoints(data.data.newBalance);
-        fetchRewards();
+        toast.success('Reward Redeemed!', data.data.message || `${reward.name} is yours!`);
+        setUserPoints(data.data.remaining_points);
         refreshUser();
       } else {
         toast.error('Failed', data.error || 'Could not redeem reward');
       }
+      // A failed voucher assignment is refunded, so the wallet changes either way
+      fetchRewards();
+      fetchWallet();
     } catch (error) {
       toast.error('Error', 'Please try again');
     } finally {
@@ -384,6 +480,15 @@ export default function Rewards() {
     }
   };
 
+  const handleCopyCode = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code);
+      toast.success('Copied', 'Voucher code copied');
+    } catch (error) {
+      toast.error('Error', 'Could not copy the code');
+    }
+  };
+
   const handleCustomize = (rewardId) => {
     if (rewardId === 'RWD_PROFILE_FLAIR') {
       setShowFlairPicker(true);
@@ -458,6 +563,7 @@ export default function Rewards() {
     { id: 'available', label: `Available (${availableCount})` },
     { id: 'owned', label: `Owned (${ownedCount})` },
     { id: 'locked', label: `Locked (${lockedCount})` },
+    { id: 'wallet', label: `My Rewards (${wallet.length})` },
   ];
 
   // Check if user owns the feature rewards
@@ -549,7 +655,7 @@ export default function Rewards() {
 
       {/* Rewards List */}
       <div className="px-4 mt-6">
-        <SectionHeader title="All Rewards" icon={GiftIcon} iconColor="text-emerald-400" />
+        <SectionHeader title={filter === 'wallet' ? 'My Rewards' : 'All Rewards'} icon={GiftIcon} iconColor="text-emerald-400" />
 
         <FilterTabs tabs={tabs} activeFilter={filter} onFilterChange={setFilter} />
       </div>
@@ -557,6 +663,20 @@ export default function Rewards() {
       <div className="px-4 py-4">
         {loading ? (
           <LoadingSkeleton count={4} height="h-28" />
+        ) : filter === 'wallet' ? (
+          wallet.length === 0 ? (
+            <EmptyState
+              icon={WalletIcon}
+              title="No rewards redeemed yet"
+              description="Rewards you redeem, and their voucher codes, appear here"
+            />
+          ) : (
+            <div className="space-y-3">
+              {wallet.map(purchase => (
+                <WalletItem key={purchase.id} purchase={purchase} onCopy={handleCopyCode} />
+              ))}
+            </div>
+          )
         ) : sortedRewards.length === 0 ? (
           <EmptyState
             icon={GiftIcon}
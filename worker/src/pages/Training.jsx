@@ -277,13 +277,15 @@ export default function Training() {
     try {
       const res = await fetch(`/api/v1/training/${module.id}/complete`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ candidateId: user.id }),
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+        },
       });
       const data = await res.json();
       
       if (data.success) {
-        toast.success('Training Completed!', `+${module.xp_reward || 50} XP earned`);
+        toast.success('Training Completed!', data.xp_awarded ? `+${data.xp_awarded} XP earned` : 'Already completed');
         setActiveModule(null);
         fetchTraining();
         refreshUser?.();